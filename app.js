@@ -7,26 +7,52 @@
 // ════════════════════════════════════════
 // CONFIG
 // ════════════════════════════════════════
-const CFG = {
-  DB: 'PharmaScanDB',
-  DB_VER: 1,
-  SOON_DAYS: 90,
-  VER: '1.0.0'
-};
+// SOON_DAYS and DL_DOMAIN are read by the shared parser — this is the same object as PharmaCore.CFG.
+// Database name, version and stores: Schema in pharmascan-core.js.
+const CFG = Object.assign(PharmaCore.CFG, {
+  VER: '1.0.0',
+  CAM_REPEAT_MS: 2000,       // camera: the same code again within this is still the same pack (matters while counting / rapid receiving)
+  PAIR_MS: 600               // camera: codes seen within this of the first are one pack's (EAN + DataMatrix, 2D + GS1-128)
+});
 
 // ════════════════════════════════════════
 // STATE
 // ════════════════════════════════════════
 const S = {
   db: null,
-  masterIndex: new Map(),   // barcode → name
-  masterRMS:   new Map(),   // barcode → rms
   filter: 'all',
   search: '',
+  view: 'scans',             // History page: 'scans' (unit rows) or 'stock' (on-hand per lot)
+  lots: [],                  // lot balances as listed in the stock view
+  locations: [],             // location tree (store 'locations'): branch › area › shelf / bin
+  location: '',              // where scans and movements happen now — sticks between scans (setting 'location')
+  locFilter: '',             // History, counters and exports narrowed to this location and everything under it
+  move: null,                // lot balance while the movement modal is open
+  returns: [],               // return worklist as listed: [{ supplier, lots }]
+  returnNote: null,          // last return note created, for re-download
+  recalls: [],               // recall list (store 'recalls'), checked on every scan
+  pair: null,                // { codes, pick, parsed } while codes read together disagree (GS1.merge conflicts)
+  checks: null,              // what the current scan raised: { recalls, serial, serialAlerts, verify, ack:{ recall, serial } }
+  serialView: null,          // { h, rec } while a saved unit's serial history is open
+  verifier: null,            // PharmaVerify verifier while a verification service is set (Master page)
   currentEntry: null,        // entry being built (scan → expiry prompt)
+  mode: 'receive',           // Scan page: 'receive' (saves a unit), 'dispense' (FEFO check, dispense movement) or 'count' (stock-take)
+  count: null,               // open stock-take session (setting 'stockTake'), see StockTake in pharmascan-core.js
+  countReport: null,         // variance report of the last closed count (setting 'stockTakeReport')
+  rapid: false,              // receive mode: complete GS1 scans save themselves (setting 'rapid')
+  rapidRun: { saved:{}, n:0, dup:0 },  // this rapid run: unit id per GTIN + batch + expiry + location, saves and merged duplicates
+  review: [],                // incomplete rapid scans waiting to be finished in the product panel (setting 'rapidReview')
+  reviewing: null,           // id of the review item open in the product panel
+  audio: null,               // AudioContext for scan feedback tones, made on first use
   camActive: false,
-  camInstance: null,
-  ocrWorker: null
+  camInstance: null,         // PharmaCamera scanner while the camera is open
+  camera: { deviceId:'', roi:{ size:0.6, scale:1 } },  // chosen camera and decoded area / zoom (setting 'camera')
+  decoder: null,             // PharmaCamera decoder, made on first camera or picture scan (backend: setting 'decoder')
+  ocrWorker: null,
+  fnc1: '',                  // scanner's FNC1 substitute, if it can't send GS
+  pick: [],                  // master candidates when the scanned code matched only partially / several products
+  label: null,               // { h, enc } while the label modal is open
+  import: null               // { file, append, book, sheet, mapping, result } while the import wizard is open
 };
 
 // ════════════════════════════════════════
@@ -34,25 +60,7 @@ const S = {
 // ════════════════════════════════════════
 const DB = {
   async init() {
-    return new Promise((res, rej) => {
-      const req = indexedDB.open(CFG.DB, CFG.DB_VER);
-      req.onerror = () => rej(req.error);
-      req.onsuccess = () => { S.db = req.result; res(); };
-      req.onupgradeneeded = e => {
-        const db = e.target.result;
-        if (!db.objectStoreNames.contains('history')) {
-          const h = db.createObjectStore('history', { keyPath:'id', autoIncrement:true });
-          h.createIndex('gtin','gtin',{unique:false});
-          h.createIndex('ts','ts',{unique:false});
-        }
-        if (!db.objectStoreNames.contains('master')) {
-          db.createObjectStore('master', { keyPath:'barcode' });
-        }
-        if (!db.objectStoreNames.contains('settings')) {
-          db.createObjectStore('settings', { keyPath:'key' });
-        }
-      };
-    });
+    S.db = await PharmaDB.open();
   },
 
   _tx(store, mode, fn) {
@@ -77,6 +85,38 @@ const DB = {
   del:    (st, id)   => DB._tx(st,'readwrite', s => s.delete(id)),
   clear:  (st)       => DB._tx(st,'readwrite', s => s.clear()),
 
+  // History entries = units joined with their product (see pharmascan-db.js)
+  entries:   ()  => PharmaDB.entries(S.db),
+  entry:     (id) => PharmaDB.entry(S.db, id),
+  saveEntry: (e, opts) => PharmaDB.saveEntry(S.db, e, opts),
+  deleteUnit: (id) => PharmaDB.deleteUnit(S.db, id),
+
+  // Stock ledger: movements per GTIN + batch + expiry, balances joined with their product
+  addMovement: (m)   => PharmaDB.addMovement(S.db, m),
+  movements:   (lot) => PharmaDB.movements(S.db, lot),
+  stock:       ()    => PharmaDB.stock(S.db),
+  recordSerial: (e, event, extra) => PharmaDB.recordSerial(S.db, { gtin:e.gtin, serial:e.serial, batch:e.batch, expiryISO:e.expiryISO }, event, extra),
+
+  bulkDel(st, keys) {
+    return new Promise((res,rej) => {
+      const tx = S.db.transaction(st,'readwrite');
+      const s  = tx.objectStore(st);
+      keys.forEach(k => s.delete(k));
+      tx.oncomplete = () => res(keys.length);
+      tx.onerror    = () => rej(tx.error);
+    });
+  },
+
+  bulkPut(st, items) {
+    return new Promise((res,rej) => {
+      const tx = S.db.transaction(st,'readwrite');
+      const s  = tx.objectStore(st);
+      items.forEach(it => s.put(it));
+      tx.oncomplete = () => res(items.length);
+      tx.onerror    = () => rej(tx.error);
+    });
+  },
+
   async bulkMaster(items) {
     return new Promise((res,rej) => {
       const tx = S.db.transaction('master','readwrite');
@@ -96,139 +136,184 @@ const DB = {
 };
 
 // ════════════════════════════════════════
-// GS1 PARSER  (v2 — positional + parenthesised)
-// ════════════════════════════════════════
-const GS1 = {
-  parse(raw) {
-    const result = { raw:raw||'', gtin:'', expiry:'', expiryISO:'', expiryDisplay:'', batch:'', serial:'', qty:1, isGS1:false };
-    if (!raw || typeof raw !== 'string') return result;
-
-    let code = raw.trim().replace(/[\r\n\t]/g,'');
-    const GS = '\x1D';
-    const hasParens  = code.includes('(');
-    const hasRawGS1  = /^01\d{14}/.test(code);
-
-    if (!hasParens && !hasRawGS1) {
-      // Plain EAN/UPC
-      const d = code.replace(/\D/g,'');
-      if (d.length >= 8 && d.length <= 14) result.gtin = d.padStart(14,'0');
-      return result;
-    }
-
-    result.isGS1 = true;
-
-    if (hasParens) {
-      // ── Parenthesised: (01)XXXXXX(17)YYMMDD(10)BATCH ──
-      const g = code.match(/\(01\)(\d{14})/);   if (g) result.gtin  = g[1];
-      const e = code.match(/\(17\)(\d{6})/);    if (e) this._expiry(e[1], result);
-      const b = code.match(/\(10\)([^(]+)/);    if (b) result.batch  = b[1].replace(/[^\x20-\x7E]/g,'').trim().substring(0,20);
-      const s = code.match(/\(21\)([^(]+)/);    if (s) result.serial = s[1].replace(/[^\x20-\x7E]/g,'').trim().substring(0,20);
-    } else {
-      // ── Raw concatenated: 01GTIN17YYMMDD<GS>10BATCH ──
-      let pos = 0;
-      while (pos < code.length) {
-        if (code[pos] === GS) { pos++; continue; }
-        const ai = code.substring(pos,pos+2);
-        if (ai==='01') { result.gtin = code.substring(pos+2,pos+16); pos+=16; }
-        else if (ai==='17') { this._expiry(code.substring(pos+2,pos+8),result); pos+=8; }
-        else if (ai==='10') { pos+=2; const e=this._varEnd(code,pos); result.batch=code.substring(pos,e).replace(/[^\x20-\x7E]/g,'').trim().substring(0,20); pos=e; }
-        else if (ai==='21') { pos+=2; const e=this._varEnd(code,pos); result.serial=code.substring(pos,e).replace(/[^\x20-\x7E]/g,'').trim().substring(0,20); pos=e; }
-        else { pos++; }
-      }
-    }
-    return result;
-  },
-
-  _varEnd(code,start) {
-    const GS='\x1D';
-    for(let i=start;i<code.length;i++) if(code[i]===GS) return i;
-    return code.length;
-  },
-
-  _expiry(yymmdd, r) {
-    if (!yymmdd || yymmdd.length!==6) return;
-    r.expiry = yymmdd;
-    const yy=parseInt(yymmdd.slice(0,2)), mm=parseInt(yymmdd.slice(2,4));
-    let dd=parseInt(yymmdd.slice(4,6));
-    const yr=2000+yy;
-    if(dd===0) dd=new Date(yr,mm,0).getDate();
-    r.expiryISO     = `${yr}-${String(mm).padStart(2,'0')}-${String(dd).padStart(2,'0')}`;
-    r.expiryDisplay = `${String(dd).padStart(2,'0')}/${String(mm).padStart(2,'0')}/${yr}`;
-  },
-
-  status(isoDate) {
-    if (!isoDate) return 'unknown';
-    const today = new Date(); today.setHours(0,0,0,0);
-    const exp   = new Date(isoDate); exp.setHours(0,0,0,0);
-    const diff  = Math.floor((exp-today)/86400000);
-    if (diff < 0)             return 'expired';
-    if (diff <= CFG.SOON_DAYS) return 'expiring';
-    return 'ok';
-  }
-};
-
-// ════════════════════════════════════════
-// MASTER INDEX
+// GS1 PARSER / MASTER INDEX  (pure logic lives in pharmascan-core.js)
 // ════════════════════════════════════════
-const Master = {
-  build(data) {
-    S.masterIndex.clear();
-    S.masterRMS.clear();
-    for (const it of data) {
-      const bc   = String(it.barcode||'').replace(/\D/g,'');
-      if (!bc || bc.length<8) continue;
-      const g14  = bc.padStart(14,'0');
-      [bc, g14, g14.startsWith('0')?g14.slice(1):'', bc.slice(-8)].filter(Boolean).forEach(k => {
-        if (!S.masterIndex.has(k)) S.masterIndex.set(k, it.name||'');
-        if (it.rms && !S.masterRMS.has(k)) S.masterRMS.set(k, it.rms);
-      });
-    }
-  },
-
-  find(gtin) {
-    if (!gtin) return {name:'',rms:'',how:'NONE'};
-    const candidates = [gtin, gtin.startsWith('0')?gtin.slice(1):'', gtin.slice(-8)].filter(Boolean);
-    for (const c of candidates) {
-      if (S.masterIndex.has(c)) return { name:S.masterIndex.get(c), rms:S.masterRMS.get(c)||'', how:c===gtin?'EXACT':'PARTIAL' };
-    }
-    return {name:'',rms:'',how:'NONE'};
-  }
-};
+const { GS1, Policy, Master, Schema, Ledger, Locations, StockTake, Returns, Recalls, Serials, extractDateFromOCR } = PharmaCore;
 
 // ════════════════════════════════════════
 // SCAN FLOW
 // ════════════════════════════════════════
-async function onBarcode(raw) {
-  if (!raw || !raw.trim()) return;
+/** raw: scanned text, or several codes the camera read off one pack together (merged; pick settles their conflicts). */
+async function onBarcode(raw, pick) {
+  const codes = Array.isArray(raw) ? raw : null;
+  if (!codes && (!raw || !raw.trim())) return;
+  if (S.pair) dropPair();
 
-  const parsed = GS1.parse(raw.trim());
+  const parsed = codes ? GS1.merge(codes, { fnc1:S.fnc1, pick }) : GS1.parse(raw.trim(), { fnc1:S.fnc1 });
+  // Codes that disagree (two GTINs, two batches) are settled before anything opens
+  if (codes && parsed.conflicts.length) { showPair(codes, parsed); return; }
 
   if (!parsed.gtin) {
-    toast('Could not extract barcode — try again','error'); return;
+    toast(parsed.digitalLink && parsed.issues[0] || 'Could not extract barcode — try again','error'); return;
   }
-
-  const match  = Master.find(parsed.gtin);
+  if (parsed.ambiguous) {
+    toast('GS separator lost — check batch / serial before saving','warn');
+    vibrate('error');
+  }
+  const badDate = parsed.elements.find(el => el.date && !el.date.valid);
+  if (badDate) toast(`Bad ${badDate.title.toLowerCase()} in barcode: ${badDate.date.issue}`,'warn');
+  const v = parsed.validation;
+  if (v && !v.valid) toast(`Invalid GTIN: ${v.issues[0]}`,'warn');
+
+  // A case / inner counts as units of its base product
+  const found  = Master.find(parsed.gtin);
+  const pack   = found.pack;
+  // A product saved before (by any of its barcodes) wins over the master list
+  const known  = await PharmaDB.findProduct(S.db, parsed.gtin) || pack && await PharmaDB.findProduct(S.db, pack.unit);
+  const match  = known && known.name ? { name:known.name, rms:known.rms, how:'EXACT', candidates:[] } : found;
   const isGS1  = parsed.isGS1 && !!parsed.expiryISO;
+  // A guess is never taken silently: partial and conflicting matches are offered as a pick-list
+  S.pick = ['PARTIAL','AMBIGUOUS'].includes(match.how) ? match.candidates : [];
 
   // Build a draft entry
   S.currentEntry = {
     raw:         parsed.raw,
     gtin:        parsed.gtin,
-    name:        match.name || 'Unknown Product',
-    rms:         match.rms  || '',
+    productId:   known ? known.id : '',
+    name:        match.name || Schema.UNKNOWN,
+    rms:         match.rms  || known && known.rms || '',
+    category:    found.product && found.product.category || known && known.category || '',
     matchHow:    match.how,
     expiry:      parsed.expiry,
     expiryISO:   parsed.expiryISO,
     expiryDisplay: parsed.expiryDisplay,
+    expirySource: parsed.expirySource,
+    dates:       parsed.dates,
     batch:       parsed.batch,
     serial:      parsed.serial,
-    qty:         1,
+    ambiguous:   parsed.ambiguous,
+    gtinValid:   v ? v.valid : false,
+    gtinIssues:  v ? v.issues : ['Not a GTIN'],
+    prefixType:  v ? v.prefixType : '',
+    qty:         parsed.qty,
+    pack:        pack ? pack.level : 'unit',
+    perPack:     pack ? pack.perPack : 1,       // null: a case nobody has counted yet
+    unitGtin:    pack ? pack.unit : '',
+    elements:    parsed.elements.filter(el => el.ai).map(({ ai, raw }) => ({ ai, raw })),
     supplier:    '',
     returnable:  '',
+    location:    S.location,
     ts:          Date.now()
   };
 
+  // Counting: no product panel, the scan goes straight onto the count
+  if (S.mode === 'count') { const e = S.currentEntry; S.currentEntry = null; S.pick = []; await countScan(e); return; }
+  // Rapid: complete scans save themselves, incomplete ones wait for review
+  if (S.mode === 'receive' && S.rapid && await rapidScan(S.currentEntry)) return;
+
   showProductPanel(isGS1);
+  await checkScan(S.currentEntry);
+  verifyScan(S.currentEntry).catch(err => console.error('Verification:', err));
+}
+
+// ════════════════════════════════════════
+// CODE PAIRING  (codes read off one pack together that disagree, see GS1.merge in pharmascan-core.js)
+// ════════════════════════════════════════
+function showPair(codes, parsed) {
+  S.pair = { codes, pick:{}, parsed };
+  feedback('unknown');
+  renderPair();
+}
+
+function renderPair() {
+  const el = document.getElementById('pairPanel');
+  if (!S.pair) { el.classList.add('hidden'); el.innerHTML = ''; return; }
+  const { sources, conflicts } = S.pair.parsed;
+  const from = i => sources[i].symbology || (sources[i].isGS1 ? 'GS1 code' : 'EAN / UPC');
+  const show = (field, v) => field === 'expiryISO' ? GS1.display(v) : v;
+  el.classList.remove('hidden');
+  el.innerHTML = `<h3>⚠ The codes on this pack disagree</h3>
+    ${conflicts.map(c => `<div class="pair-conflict"><b>${c.label}</b>
+      ${c.values.map(v => `<button onclick="pickPair(${esc(JSON.stringify(c.field))},${esc(JSON.stringify(v.value))})">${esc(show(c.field, v.value))} <small>${v.from.map(from).join(', ')}</small></button>`).join('')}</div>`).join('')}
+    <div>Pick the right value${conflicts.length>1?'s':''}; codes with another GTIN are left out.</div>
+    <button onclick="dropPair()">Rescan</button>`;
+}
+
+async function pickPair(field, value) {
+  const p = S.pair;
+  if (!p) return;
+  p.pick[field] = value;
+  p.parsed = GS1.merge(p.codes, { fnc1:S.fnc1, pick:p.pick });
+  if (p.parsed.conflicts.length) { renderPair(); return; }
+  await onBarcode(p.codes, p.pick);
+}
+
+function dropPair() { S.pair = null; renderPair(); }
+
+const MATCH_BADGES = { NONE:'UNKNOWN', EXACT:'MATCHED', CASE:'CASE PACK', LEGACY:'LEGACY CODE', RMS:'RMS CODE',
+                       PARTIAL:'PARTIAL', AMBIGUOUS:'CHOOSE', PICKED:'CONFIRMED' };
+
+const barcodeList = p => p.barcodes.filter(b => b.kind !== 'rms').map(b => b.code).join(', ');
+
+function renderPickList() {
+  const e = S.currentEntry;
+  document.getElementById('ppPick').innerHTML = S.pick.length ? `<div>${e.matchHow==='AMBIGUOUS'?'Several products match':'Only the last digits match'} — which is it?</div>
+    ${S.pick.map((p, i) => `<button onclick="pickProduct(${i})"><b>${esc(p.name||'(no name)')}</b> · RMS ${esc(p.rms||'—')} · ${esc(barcodeList(p))}</button>`).join('')}
+    <button onclick="pickProduct(-1)">None of these</button>` : '';
+}
+
+/** Settle a partial / ambiguous match. Saving the entry then remembers the barcode for that product. */
+function pickProduct(i) {
+  const e = S.currentEntry, p = S.pick[i];
+  Object.assign(e, p ? { name:p.name || Schema.UNKNOWN, rms:p.rms, matchHow:'PICKED' } : { name:Schema.UNKNOWN, rms:'', matchHow:'NONE' });
+  S.pick = [];
+  showPanelMatch();
+}
+
+function showPanelMatch() {
+  const e = S.currentEntry;
+  document.getElementById('ppName').textContent = e.name;
+  document.getElementById('ppMatchBadge').textContent = MATCH_BADGES[e.matchHow];
+  document.getElementById('ppMatchBadge').className = 'pp-match-badge' + (e.matchHow==='NONE'?' unknown':'');
+  renderPickList();
+}
+
+// ════════════════════════════════════════
+// PRODUCT SEARCH  (unknown barcode → catalogue product, in the product panel and the edit modal)
+// ════════════════════════════════════════
+/** where: 'pp' (product panel) or 'e' (edit modal) — the id prefix of its search box and result list. */
+function productSearch(where) {
+  const q = document.getElementById(where+'Search').value.trim();
+  const hits = q.length >= 2 ? Master.search(q, 12) : [];
+  document.getElementById(where+'Results').innerHTML = hits.map(p =>
+    `<button onclick="chooseSearchResult('${where}',${esc(JSON.stringify(p.key))})"><b>${esc(p.name||'(no name)')}</b> · RMS ${esc(p.rms||'—')} · ${esc(barcodeList(p))}</button>`).join('')
+    || (q.length >= 2 ? '<div>No product found</div>' : '');
+}
+
+/** Use the chosen product for the entry and learn the barcode, so the next scan matches exactly. */
+async function chooseSearchResult(where, key) {
+  const p = Master.products.get(key);
+  if (!p) return;
+  let code;
+  if (where === 'pp') {
+    const e = S.currentEntry;
+    if (!e) return;
+    Object.assign(e, { name:p.name || Schema.UNKNOWN, rms:p.rms, matchHow:'PICKED' });
+    S.pick = [];
+    showPanelMatch();
+    code = e.gtin;
+  } else {
+    document.getElementById('eName').value = p.name;
+    document.getElementById('eRms').value  = p.rms;
+    code = document.getElementById('eGtin').value.trim();
+  }
+  document.getElementById(where+'Search').value = '';
+  document.getElementById(where+'Results').innerHTML = '';
+  if (!/^\d{8,14}$/.test(code)) return;
+  // Pack codes belong with their unit already (packaging contents); only plain barcodes are learned here
+  if (Master.packOf(code)) return;
+  const barcode = await linkMasterBarcode(key, code);
+  if (barcode) toast(`${barcode} now matches ${p.name}`,'ok');
 }
 
 function showProductPanel(hasExpiry) {
@@ -237,17 +322,23 @@ function showProductPanel(hasExpiry) {
 
   // Badge
   const badge = document.getElementById('ppMatchBadge');
-  badge.textContent = e.matchHow === 'NONE' ? 'UNKNOWN' : e.matchHow === 'EXACT' ? 'MATCHED' : 'PARTIAL';
+  badge.textContent = MATCH_BADGES[e.matchHow] || e.matchHow;
   badge.className   = 'pp-match-badge' + (e.matchHow==='NONE'?' unknown':'');
 
   document.getElementById('ppName').textContent = e.name;
-  document.getElementById('ppGtin').textContent = `GTIN: ${e.gtin}`;
+  document.getElementById('ppGtin').textContent = `GTIN: ${e.gtin}` + (e.gtinIssues.length ? ` ⚠ ${e.gtinIssues.join(' · ')}` : '');
+  renderPickList();
 
   // Pre-fill fields
   document.getElementById('ppExpiry').value   = e.expiryISO  || '';
   document.getElementById('ppBatch').value    = e.batch      || '';
-  document.getElementById('ppQty').value      = 1;
+  document.getElementById('ppQty').value      = e.qty || 1;
+  document.getElementById('ppPack').classList.toggle('hidden', e.pack === 'unit');
+  document.getElementById('ppPackLevel').textContent = `${e.pack === 'inner' ? 'Inner pack' : 'Case'} of ${e.unitGtin}`;
+  document.getElementById('ppPerPack').value  = e.perPack || '';
   document.getElementById('ppSupplier').value = '';
+  document.getElementById('ppSearch').value   = '';
+  document.getElementById('ppResults').innerHTML = '';
 
   // OCR button — only for plain EAN (no GS1 expiry)
   const ocrBtn  = document.getElementById('btnOCR');
@@ -259,6 +350,10 @@ function showProductPanel(hasExpiry) {
     ocrZone.classList.add('hidden');
   }
 
+  document.getElementById('ppDispense').classList.toggle('hidden', S.mode !== 'dispense');
+  document.getElementById('btnSave').textContent = S.mode === 'dispense' ? 'Dispense' : 'Save Item';
+  if (S.mode === 'dispense') renderFefo(true);
+
   pp.classList.remove('hidden');
 
   // Auto-focus expiry if it's empty
@@ -272,6 +367,8 @@ function showProductPanel(hasExpiry) {
 async function saveCurrentEntry() {
   const e = S.currentEntry;
   if (!e) return;
+  if (S.pick.length) { toast('Choose the product first (or "None of these")','warn'); return; }
+  if (!e.gtinValid && !confirm(`GTIN ${e.gtin} failed validation:\n${e.gtinIssues.join('\n')}\n\nSave anyway?`)) return;
 
   // Pull from form
   const expiryISO = document.getElementById('ppExpiry').value;
@@ -286,13 +383,29 @@ async function saveCurrentEntry() {
   e.batch         = document.getElementById('ppBatch').value.trim();
   e.qty           = parseInt(document.getElementById('ppQty').value)||1;
   e.supplier      = document.getElementById('ppSupplier').value.trim();
+  if (!S.reviewing) e.location = S.location;   // a reviewed rapid scan keeps the location it was made at
+  if (e.pack !== 'unit') {
+    const per = parseInt(document.getElementById('ppPerPack').value);
+    if (!(per > 0)) { toast('Enter how many units are in this pack','warn'); document.getElementById('ppPerPack').focus(); return; }
+    // A count typed here becomes the pack's recorded contents for the next scan
+    if (per !== e.perPack) await savePackContents(e.gtin, e.unitGtin, e.pack, per);
+    e.perPack = per;
+  }
+
+  // The batch may have been corrected in the form: run the checks again
+  if (!await passChecks(e)) return;
 
-  const id = await DB.add('history', e);
-  e.id = id;
+  if (S.mode === 'dispense') { await dispenseCurrentEntry(e); return; }
+
+  const { productId, unitId } = await DB.saveEntry(e);
+  e.productId = productId;
+  e.id = unitId;
+  if (e.serial) await DB.recordSerial(e, 'received', { unitId });
+  if (S.reviewing) await dropReview(S.reviewing);
 
   closeProductPanel();
   await refreshAll();
-  toast(`Saved: ${e.name}`, 'ok');
+  toast(`Saved: ${e.name}` + (e.pack !== 'unit' ? ` · ${e.qty} × ${e.perPack} = ${Schema.unitCount(e)} units` : ''), 'ok');
   vibrate('success');
 
   // Re-focus barcode input for next scan
@@ -304,6 +417,466 @@ function closeProductPanel() {
   document.getElementById('ocrZone').classList.add('hidden');
   document.getElementById('ocrStatus').textContent = '';
   S.currentEntry = null;
+  S.pick = [];
+  S.checks = null;
+  S.reviewing = null;
+}
+
+// ════════════════════════════════════════
+// DISPENSING  (first-expired-first-out from the stock on hand)
+// ════════════════════════════════════════
+function setScanMode(mode) {
+  S.mode = mode;
+  document.querySelectorAll('#scanMode button').forEach(b => b.classList.toggle('active', b.dataset.mode === mode));
+  document.getElementById('countPanel').classList.toggle('hidden', mode !== 'count');
+  document.getElementById('rapidBar').classList.toggle('hidden', mode !== 'receive' || !S.rapid);
+  closeProductPanel();
+  if (mode === 'count') renderCount();
+  document.getElementById('barcodeInput').focus();
+}
+
+/** FEFO check for the entry as it stands in the form (batch / expiry may have been corrected). */
+async function fefoCheck() {
+  const e = S.currentEntry;
+  const gtin = e.unitGtin || e.gtin;
+  // Legacy barcodes keep lots of their own, so the product's lots are gathered by id as well.
+  // Only the current branch's stock can be picked from.
+  const lots = Ledger.atLocations((await DB.stock()).filter(b => b.gtin === gtin || e.productId && b.productId === e.productId),
+                                  Locations.subtree(S.locations, Locations.branchOf(S.locations, S.location)));
+  const days = parseInt(document.getElementById('ppCourse').value);
+  const end  = days > 0 ? isoDay(new Date(Date.now() + days*864e5)) : '';
+  return Ledger.fefo(lots, { gtin, productId:e.productId, rms:e.rms, category:e.category, supplier:document.getElementById('ppSupplier').value.trim(),
+                             batch:document.getElementById('ppBatch').value.trim(), expiryISO:document.getElementById('ppExpiry').value }, end);
+}
+
+/** alert: the scan just happened — a pick that breaks FEFO is toasted and buzzed, not only listed. */
+async function renderFefo(alert=false) {
+  if (!S.currentEntry) return;
+  const { lot, order, first, warnings } = await fefoCheck();
+  document.getElementById('ppFefo').innerHTML = `
+    ${warnings.map(w => `<div class="fefo-warn ${w.level}">⚠ ${esc(w.message)}</div>`).join('')}
+    ${order.length ? `<div>Pick order (first expired, first out):</div>` + order.map(b => `<div class="fefo-lot${b===first?' first':''}${b.lot===lot?' scanned':''} status-${Policy.evaluate(b).band}">
+      ${b===first?'▶ ':''}Batch <b>${esc(b.batch)||'—'}</b> · Exp ${b.expiryISO||'—'} · ${onHandText(b)} on hand${whereText(b)?` (${esc(whereText(b))})`:''}${b.lot===lot?' · scanned':''}</div>`).join('')
+                   : '<div>No stock of this product on the ledger</div>'}`;
+  const stop = warnings.filter(w => w.level === 'error');
+  if (alert && stop.length) { toast(stop[0].message,'error'); vibrate('error'); }
+}
+
+async function dispenseCurrentEntry(e) {
+  const { lot, order, warnings } = await fefoCheck();
+  const stop = warnings.filter(w => w.level === 'error');
+  if (stop.length && !confirm(`${stop.map(w => w.message).join('\n')}\n\nDispense this pack anyway?`)) return;
+  const units = Schema.unitCount(e);
+  const held  = order.find(b => b.lot === lot);
+  const from  = held ? Ledger.draw(held, units, S.location) : [{ location:S.location, units }];
+  const ms = from.map(d => Ledger.movement('dispense', { productId:e.productId || held && held.productId, gtin:e.unitGtin||e.gtin, batch:e.batch, expiryISO:e.expiryISO },
+    d.units, { perPack:e.perPack||1, location:d.location, note:stop.length ? `FEFO override: ${stop.map(w => w.code).join(', ')}` : '' }));
+  const onHand = await DB.addMovement(ms);
+  if (e.serial) await DB.recordSerial(e, 'dispensed');
+
+  closeProductPanel();
+  await refreshAll();
+  toast(`Dispensed ${units} × ${e.name} — ${onHand} left in batch ${e.batch||'—'}`,'ok');
+  vibrate('success');
+  document.getElementById('barcodeInput').focus();
+}
+
+// ════════════════════════════════════════
+// STOCK-TAKE  (count a location scan by scan, then reconcile against the ledger)
+// ════════════════════════════════════════
+async function startCount() {
+  if (S.count && !confirm(`A count of ${S.count.locationName} is open (${S.count.scans} scans). Throw it away and start again?`)) return;
+  S.count = StockTake.start(S.location, locationName(S.location));
+  await DB.setSetting('stockTake', S.count);
+  renderCount();
+  toast(`Counting ${S.count.locationName} — scan every pack on the shelf`,'ok');
+  document.getElementById('barcodeInput').focus();
+}
+
+/** A scan while counting: +1 pack on its GTIN + batch + expiry line, and a word about anything to pull. */
+async function countScan(e) {
+  if (!S.count) { toast('Start a count first','warn'); return; }
+  const units = (e.qty||1) * (e.perPack||1);
+  const { line, repeat } = StockTake.add(S.count, { productId:e.productId, gtin:e.unitGtin||e.gtin, name:e.name, rms:e.rms,
+                                                    batch:e.batch, expiryISO:e.expiryISO, serial:e.serial, units, perPack:e.perPack||1 });
+  if (repeat) { toast(`Serial ${e.serial} already counted`,'warn'); vibrate('error'); return; }
+  await DB.setSetting('stockTake', S.count);
+  renderCount();
+  const pol = Policy.evaluate(e), recalled = Recalls.check(S.recalls, e).length;
+  if (recalled) { toast(`RECALLED: ${e.name} batch ${e.batch||'—'} — set it aside`,'error'); vibrate('error'); }
+  else if (['expired','quarantine'].includes(pol.state)) { toast(`${pol.badge}: ${e.name} — pull from the shelf`,'error'); vibrate('error'); }
+  else if (!e.expiryISO && !e.batch) toast(`${e.name}: no batch / expiry in this barcode — counted as an undated lot`,'warn');
+  else if (e.pack !== 'unit' && !e.perPack) toast(`${e.name}: case contents unknown — counted as 1 unit`,'warn');
+  else { toast(`${e.name} · ${line.counted}`,'ok'); vibrate('light'); }
+}
+
+function renderCount() {
+  const c = S.count;
+  document.getElementById('countHead').innerHTML = c
+    ? `Counting <b>${esc(c.locationName)}</b> since ${new Date(c.started).toLocaleString()} · ${c.scans} scan${c.scans===1?'':'s'} · ${Object.keys(c.lines).length} lots`
+    : `No count open — pick the location above and start one`;
+  document.getElementById('btnCountStart').textContent = c ? 'Restart Count' : 'Start Count';
+  document.getElementById('btnCountClose').classList.toggle('hidden', !c);
+  const lines = c ? Object.values(c.lines).sort((a,b) => (b.lot === c.last) - (a.lot === c.last) || a.name.localeCompare(b.name)) : [];
+  document.getElementById('countLines').innerHTML = lines.map(l => { const { cls, badge } = policyBadge(l, l.expiryISO);
+    return `<div class="count-line ${cls}${l.lot===c.last?' last':''}">
+      <span><b>${esc(l.name)}</b> · Batch ${esc(l.batch)||'—'} · Exp ${l.expiryISO||'—'} · ${badge}</span>
+      <b>${l.counted}</b><button onclick="setCountLine(${esc(JSON.stringify(l.lot))})">✏</button></div>`; }).join('');
+  renderCountReport();
+}
+
+async function setCountLine(lot) {
+  const l = S.count && S.count.lines[lot];
+  if (!l) return;
+  const v = prompt(`Counted units of ${l.name} batch ${l.batch||'—'} (0 removes the line)`, l.counted);
+  if (v === null) return;
+  const n = parseInt(v);
+  if (!(n >= 0)) { toast('Enter a number of units','warn'); return; }
+  StockTake.set(S.count, lot, n);
+  await DB.setSetting('stockTake', S.count);
+  renderCount();
+}
+
+/** Close the session: counted lines against what the ledger expects at the location. */
+async function closeCount() {
+  const c = S.count;
+  if (!c) return;
+  if (!confirm(`Finish the count of ${c.locationName}? Lots not scanned count as missing.`)) return;
+  const lots = Ledger.atLocations(await DB.stock(), Locations.subtree(S.locations, c.location));
+  S.countReport = StockTake.variance(c, lots);
+  S.count = null;
+  await DB.setSetting('stockTakeReport', S.countReport);
+  await DB.setSetting('stockTake', null);
+  renderCount();
+  const t = S.countReport.totals;
+  toast(`Count closed: ${t.MISSING} missing, ${t.UNEXPECTED} unexpected, ${t.SHORT + t.OVER} with a different quantity`, t.OK === S.countReport.rows.length ? 'ok' : 'warn');
+}
+
+function renderCountReport() {
+  const r = S.countReport;
+  document.getElementById('countReport').innerHTML = r ? `<h3>Stock-take ${esc(r.id)} · ${esc(r.locationName)}</h3>
+    <div>${Object.entries(StockTake.KINDS).map(([k, label]) => `${label}: <b>${r.totals[k]}</b>`).join(' · ')}</div>
+    ${r.rows.filter(x => x.kind !== 'OK').map(x => `<div class="count-var ${x.kind.toLowerCase()}">
+      <span>${StockTake.KINDS[x.kind]}</span><span><b>${esc(x.name)||'—'}</b> · GTIN ${x.gtin} · Batch ${esc(x.batch)||'—'} · Exp ${x.expiryISO||'—'}</span>
+      <span>expected ${x.expected} · counted ${x.counted} · ${x.diff > 0 ? '+' : ''}${x.diff}</span></div>`).join('')}
+    <button onclick="downloadCountReport()">Export CSV</button>
+    ${r.applied ? `<div>Adjustments applied ${new Date(r.applied).toLocaleString()}</div>` : `<button onclick="applyCount()">Apply as Adjustments</button>`}
+    <button onclick="dismissCountReport()">Dismiss</button>` : '';
+}
+
+function downloadCountReport() {
+  const r = S.countReport;
+  if (r) dlFile(StockTake.toCSV(r), `stock-take-${r.id}.csv`, 'text/csv');
+}
+
+/** Book every difference as adjust movements where the stock was expected (StockTake.adjustments). */
+async function applyCount() {
+  const r = S.countReport;
+  if (!r || r.applied) return;
+  const ms = StockTake.adjustments(r);
+  if (!ms.length) { toast('Count matches the ledger — nothing to adjust','ok'); return; }
+  if (!confirm(`Record ${ms.length} adjustment${ms.length>1?'s':''} so the stock on hand at ${r.locationName} matches the count?`)) return;
+  for (const m of ms) await DB.addMovement(m);
+  r.applied = Date.now();
+  await DB.setSetting('stockTakeReport', r);
+  renderCountReport();
+  await refreshAll();
+  toast(`${ms.length} adjustment${ms.length>1?'s':''} recorded`,'ok');
+}
+
+async function dismissCountReport() {
+  if (S.countReport && !S.countReport.applied && !confirm('Dismiss the report without applying it?')) return;
+  S.countReport = null;
+  await DB.setSetting('stockTakeReport', null);
+  renderCountReport();
+}
+
+// ════════════════════════════════════════
+// RAPID SCAN  (receive mode: complete GS1 scans save without the product panel)
+// ════════════════════════════════════════
+// What keeps a scan from saving itself; 'product' sounds as unknown, the rest as needs-expiry
+const REVIEW_REASONS = { product:'Product not recognised', expiry:'No expiry in barcode', batch:'No batch in barcode',
+                         pack:'Case contents unknown', gtin:'GTIN failed validation', separator:'GS separator lost' };
+
+function rapidMissing(e) {
+  return Object.keys(REVIEW_REASONS).filter(k => ({ product:['NONE','PARTIAL','AMBIGUOUS'].includes(e.matchHow), expiry:!e.expiryISO, batch:!e.batch,
+                                                    pack:e.pack !== 'unit' && !e.perPack, gtin:!e.gtinValid, separator:e.ambiguous })[k]);
+}
+
+/**
+ * Save a complete scan straight away, or queue an incomplete one for review. Recalled or suspect packs
+ * go to the product panel as usual — resolves false for those, true when the scan was dealt with here.
+ */
+async function rapidScan(e) {
+  const why = rapidMissing(e);
+  if (why.length) { await queueReview(e, why); return true; }
+  const rec = e.serial ? await PharmaDB.serial(S.db, e.gtin, e.serial) : null;
+  const alerts = Serials.check(rec, e, 'receive');
+  if (Recalls.check(S.recalls, e).length || alerts.some(a => a.level === 'error')) return false;
+  S.currentEntry = null; S.pick = [];
+  // The same serialised pack again: already on the shelf, nothing to add
+  if (alerts.length) { rapidStatus('duplicate', `${e.name} · serial ${e.serial} already in stock`); return true; }
+
+  const key = [e.gtin, e.batch, e.expiryISO, S.location].join('|'), run = S.rapidRun;
+  const held = run.saved[key] && await DB.entry(run.saved[key]);
+  let unitId;
+  if (held) {
+    held.qty = (held.qty||1) + (e.qty||1);
+    unitId = (await DB.saveEntry(held)).unitId;
+    run.dup++;
+    rapidStatus('duplicate', `${e.name} · batch ${e.batch} · now ${qtyText(held)}`);
+  } else {
+    e.location = S.location;
+    unitId = run.saved[key] = (await DB.saveEntry(e)).unitId;
+    run.n++;
+    rapidStatus('saved', `${e.name} · batch ${e.batch} · exp ${e.expiryISO}`);
+  }
+  if (e.serial) { if (!rec) await DB.recordSerial(e, 'scanned'); await DB.recordSerial(e, 'received', { unitId }); }
+  if (Policy.evaluate(e).state === 'expired') toast(`${e.name} expired on ${e.expiryISO}`,'warn');
+  verifyScan(e).catch(err => console.error('Verification:', err));
+  await refreshAll();
+  return true;
+}
+
+async function queueReview(e, why) {
+  // Scanning the same incomplete code again adds to its quantity rather than queueing it twice
+  const same = S.review.find(r => r.entry.raw === e.raw && r.entry.location === S.location);
+  if (same) same.entry.qty = (same.entry.qty||1) + (e.qty||1);
+  else S.review.push({ id:`${Date.now()}${Math.random().toString(36).slice(2,6)}`, entry:{ ...e, location:S.location }, pick:S.pick, why });
+  S.currentEntry = null; S.pick = [];
+  await DB.setSetting('rapidReview', S.review);
+  rapidStatus(why.includes('product') ? 'unknown' : 'needsExpiry', `${e.name} · ${why.map(k => REVIEW_REASONS[k]).join(', ')} — queued for review`);
+}
+
+/** Last outcome, run totals and the review queue, under the scan input. */
+function rapidStatus(kind, text) {
+  if (kind) { feedback(kind); document.getElementById('rapidLast').className = `rapid-${kind}`; document.getElementById('rapidLast').textContent = text; }
+  const run = S.rapidRun;
+  document.getElementById('rapidTotals').textContent = `${run.n} saved · ${run.dup} duplicates merged · ${S.review.length} to review`;
+  document.getElementById('reviewList').innerHTML = S.review.map((r, i) => `<div class="review-item">
+    <span><b>${esc(r.entry.name)}</b> · GTIN ${r.entry.gtin} · ×${r.entry.qty||1} · ${r.why.map(k => REVIEW_REASONS[k]).join(', ')}</span>
+    <button onclick="openReview(${i})">Finish</button><button onclick="dropReview(${esc(JSON.stringify(r.id))})">✕</button></div>`).join('');
+}
+
+async function setRapid(on) {
+  S.rapid = on;
+  S.rapidRun = { saved:{}, n:0, dup:0 };
+  await DB.setSetting('rapid', on);
+  document.getElementById('rapidMode').checked = on;
+  document.getElementById('rapidBar').classList.toggle('hidden', !on || S.mode !== 'receive');
+  document.getElementById('rapidLast').textContent = '';
+  rapidStatus();
+}
+
+/** A queued scan into the product panel, to be completed and saved the usual way. */
+async function openReview(i) {
+  const r = S.review[i];
+  if (!r) return;
+  if (S.mode !== 'receive') setScanMode('receive');
+  S.currentEntry = { ...r.entry, ts:Date.now() };
+  S.pick = r.pick || [];
+  S.reviewing = r.id;
+  showProductPanel(!!r.entry.expiryISO);
+  await checkScan(S.currentEntry);
+}
+
+async function dropReview(id) {
+  S.review = S.review.filter(r => r.id !== id);
+  await DB.setSetting('rapidReview', S.review);
+  rapidStatus();
+}
+
+// ════════════════════════════════════════
+// SCAN CHECKS  (recalls, serialised packs — a hit stops the flow until someone acknowledges it)
+// ════════════════════════════════════════
+/** Check the entry against the recall list and the serial log; acknowledgements hold until something new turns up. */
+async function scanChecks(e) {
+  const c = S.checks || (S.checks = { recalls:[], serial:null, serialAlerts:[], ack:{} });
+  const recalls = Recalls.check(S.recalls, e);
+  if (recalls.length > c.recalls.length) c.ack.recall = false;
+  c.recalls = recalls;
+  c.serial = e.serial ? await PharmaDB.serial(S.db, e.gtin, e.serial) : null;
+  const alerts = Serials.check(c.serial, e, S.mode);
+  if (alerts.length > c.serialAlerts.length) c.ack.serial = false;
+  c.serialAlerts = alerts;
+  return c;
+}
+
+/** Checks right after a scan: a new serial is logged as received, a suspicious one as flagged. */
+async function checkScan(e) {
+  S.checks = null;
+  const c = await scanChecks(e);
+  const stop = c.serialAlerts.filter(a => a.level === 'error');
+  if (stop.length) c.serial = await DB.recordSerial(e, 'flagged', { note:stop.map(a => a.code).join(', ') });
+  else if (e.serial && !c.serial && S.mode === 'receive') c.serial = await DB.recordSerial(e, 'scanned');
+  if (c.recalls.length) showRecallAlert();
+  else if (c.serialAlerts.length) showSerialAlert();
+}
+
+/** Gate before saving / dispensing: false when a check still stands in the way. */
+async function passChecks(e) {
+  const c = await scanChecks(e);
+  const stop = c.serialAlerts.filter(a => a.level === 'error');
+  // Recalled or suspect packs never go to a patient; at goods-in they are saved once acknowledged (set aside)
+  if (c.recalls.length && (S.mode === 'dispense' || !c.ack.recall)) {
+    showRecallAlert();
+    if (S.mode === 'dispense') toast('Recalled stock — do not dispense','error');
+    return false;
+  }
+  if (stop.length && (S.mode === 'dispense' || !c.ack.serial)) {
+    showSerialAlert();
+    if (S.mode === 'dispense') toast('Suspected counterfeit — do not dispense','error');
+    return false;
+  }
+  if (c.serialAlerts.length && !stop.length && !c.ack.serial && !confirm(`${c.serialAlerts[0].message}\n\nSave anyway?`)) return false;
+  // The repository has the last word on a decommissioned pack; an unknown one is the pharmacist's call
+  const v = c.verify;
+  if (v && v.status === 'DECOMMISSIONED' && S.mode === 'dispense') { toast('Decommissioned pack — do not dispense','error'); vibrate('error'); return false; }
+  if (v && ['DECOMMISSIONED','UNKNOWN'].includes(v.status) && !c.ack.verify) {
+    if (!confirm(`${PharmaVerify.STATUS[v.status]}${v.reason ? ` — ${v.reason}` : ''}\n\n${S.mode === 'dispense' ? 'Dispense' : 'Save (and set aside)'} anyway?`)) return false;
+    c.ack.verify = true;
+  }
+  return true;
+}
+
+function showRecallAlert() {
+  const e = S.currentEntry;
+  document.getElementById('rcAlert').innerHTML = `<h2>⚠ RECALLED</h2><div><b>${esc(e.name)}</b> · GTIN ${e.gtin} · Batch ${esc(e.batch)||'—'}${e.serial?` · Serial ${esc(e.serial)}`:''}</div>
+    ${S.checks.recalls.map(({ recall:r, certain }) => `<div class="rc-hit${certain?'':' possible'}">${certain?'':'Possible match (batch / serial not known) · '}
+      <b>${esc(r.ref)||'Recall'}</b>${r.issuer?` · ${esc(r.issuer)}`:''}${r.date?` · ${esc(r.date)}`:''}<br>${esc(r.reason)||'No reason given'}</div>`).join('')}
+    <div>${S.mode === 'dispense' ? 'Do not dispense this pack.' : 'Set the pack aside before saving it.'}</div>`;
+  document.getElementById('recallModal').classList.remove('hidden');
+  vibrate('error');
+}
+
+function ackRecall() {
+  document.getElementById('recallModal').classList.add('hidden');
+  if (!S.checks) return;
+  S.checks.ack.recall = true;
+  if (S.checks.serialAlerts.length && !S.checks.ack.serial) showSerialAlert();
+}
+
+const serialHistory = rec => rec ? `<table><tr><th>Date</th><th>Event</th><th>Batch</th><th>Expiry</th><th>Note</th></tr>
+  ${rec.history.map(h => `<tr><td>${new Date(h.ts).toLocaleString()}</td><td>${h.event}</td><td>${esc(h.batch)||'—'}</td><td>${h.expiryISO||'—'}</td><td>${esc(h.note)}</td></tr>`).join('')}</table>` : '';
+
+/** The scanned pack's alerts and history, or (item given) a saved unit's serial history. */
+function showSerialAlert(item) {
+  const e = item || S.currentEntry, rec = item ? S.serialView.rec : S.checks.serial, alerts = item ? [] : S.checks.serialAlerts;
+  const suspect = alerts.some(a => a.level === 'error');
+  document.getElementById('snAlert').innerHTML = `<h2>${suspect ? '⚠ SUSPECTED COUNTERFEIT' : alerts.length ? '⚠ SERIAL ALREADY SEEN' : 'SERIAL HISTORY'}</h2>
+    <div><b>${esc(e.name)}</b> · GTIN ${e.gtin} · Serial ${esc(e.serial)} · ${rec ? Serials.STATES[rec.state] || rec.state : 'not on file'}</div>
+    ${alerts.map(a => `<div class="sn-alert ${a.level}">${esc(a.message)}</div>`).join('')}
+    ${serialHistory(rec)}`;
+  document.getElementById('serialModal').classList.remove('hidden');
+  if (alerts.length) vibrate('error');
+}
+
+function ackSerial() {
+  document.getElementById('serialModal').classList.add('hidden');
+  if (S.checks && !S.serialView) S.checks.ack.serial = true;
+  S.serialView = null;
+}
+
+async function openSerial(id) {
+  const h = await DB.entry(id);
+  if (!h || !h.serial) return;
+  S.serialView = { h, rec:await PharmaDB.serial(S.db, h.gtin, h.serial) };
+  showSerialAlert(h);
+}
+
+/** Take a pack out of circulation for good (FMD decommission: destroyed, stolen, sample…). */
+async function decommissionSerial() {
+  const e = S.serialView ? S.serialView.h : S.currentEntry;
+  if (!e || !e.serial) return;
+  const reason = prompt(`Decommission serial ${e.serial} — reason (destroyed, stolen, sample, suspected falsified…)`);
+  if (reason === null) return;
+  await DB.recordSerial(e, 'decommissioned', { note:reason.trim() });
+  document.getElementById('serialModal').classList.add('hidden');
+  if (!S.serialView) closeProductPanel();
+  S.serialView = null;
+  await refreshAll();
+  toast(`Serial ${e.serial} decommissioned`,'ok');
+}
+
+// ════════════════════════════════════════
+// PACK VERIFICATION  (serialised packs checked against a repository, see pharmascan-verify.js)
+// ════════════════════════════════════════
+const verifyPack = e => ({ gtin:e.gtin, serial:e.serial, batch:e.batch, expiryISO:e.expiryISO });
+
+/** (Re)build the verifier from the saved service URL — no URL, no verification. */
+async function setupVerifier() {
+  const url = await DB.getSetting('verifyUrl', '');
+  document.getElementById('verifyUrl').value = url;
+  S.verifier = url ? PharmaVerify.createVerifier({
+    adapter:  PharmaVerify.httpAdapter({ url }),
+    state:    await DB.getSetting('verifyState', {}),
+    save:     state => DB.setSetting('verifyState', state),
+    onResult: verifiedLater
+  }) : null;
+  renderVerifyQueue();
+}
+
+async function saveVerifyUrl() {
+  const url = document.getElementById('verifyUrl').value.trim();
+  if (url && !/^https?:\/\//i.test(url)) { toast('Verification URL must start with http:// or https://','error'); return; }
+  await DB.setSetting('verifyUrl', url);
+  // Queued packs wait for whichever service is set; cached answers belong to the old one
+  const { queue=[] } = await DB.getSetting('verifyState', {});
+  await DB.setSetting('verifyState', { cache:{}, queue });
+  await setupVerifier();
+  toast(url ? 'Pack verification on' : 'Pack verification off','ok');
+  flushVerify();
+}
+
+function renderVerifyQueue() {
+  const n = S.verifier ? S.verifier.pending() : 0;
+  document.getElementById('verifyQueue').textContent = n ? `${n} pack${n>1?'s':''} waiting to be verified` : '';
+}
+
+function showVerify(r) {
+  const el = document.getElementById('ppVerify');
+  el.className = r ? `verify-${r.status.toLowerCase()}` : 'hidden';
+  el.textContent = !r ? '' : r.status === 'CHECKING' ? 'Verifying pack…'
+    : PharmaVerify.STATUS[r.status] + (r.reason && r.reason !== PharmaVerify.STATUS[r.status] ? ` · ${r.reason}` : '') + (r.cached ? ' (cached)' : '');
+}
+
+/** Ask the repository about the scanned pack; the answer lands in the panel whenever it comes back. */
+async function verifyScan(e) {
+  if (!S.verifier || !e.serial) return showVerify(null);
+  showVerify({ status:'CHECKING' });
+  const r = await S.verifier.verify(verifyPack(e));
+  renderVerifyQueue();
+  if (S.currentEntry === e) {
+    if (S.checks) S.checks.verify = r;
+    showVerify(r);
+  }
+  if (['DECOMMISSIONED','UNKNOWN'].includes(r.status)) await repositoryAlert(e, r);
+  else if (!r.queued) flushVerify();   // the service is answering again
+}
+
+/** A decommissioned / unknown pack is logged against its serial and called out. */
+async function repositoryAlert(pack, r, later=false) {
+  await DB.recordSerial(pack, 'flagged', { note:`Repository: ${r.status.toLowerCase()}${r.reason ? ` — ${r.reason}` : ''}` });
+  toast(`${later ? `Serial ${pack.serial}: ` : ''}${PharmaVerify.STATUS[r.status]}${r.reason ? ` — ${r.reason}` : ''}`, r.status === 'DECOMMISSIONED' ? 'error' : 'warn');
+  vibrate('error');
+}
+
+/** Answer for a pack queued while offline. */
+async function verifiedLater(pack, r) {
+  const e = S.currentEntry;
+  if (e && PharmaVerify.keyOf(verifyPack(e)) === PharmaVerify.keyOf(pack)) {
+    if (S.checks) S.checks.verify = r;
+    showVerify(r);
+  }
+  if (['DECOMMISSIONED','UNKNOWN'].includes(r.status)) await repositoryAlert(pack, r, true);
+  else if (r.status === 'ERROR') toast(`Serial ${pack.serial}: ${r.reason}`,'warn');
+}
+
+async function flushVerify() {
+  if (!S.verifier || !S.verifier.pending()) return;
+  const answered = await S.verifier.flush();
+  renderVerifyQueue();
+  if (answered.length) toast(`Repository answered for ${answered.length} queued pack${answered.length>1?'s':''}`,'ok');
 }
 
 // ════════════════════════════════════════
@@ -344,91 +917,119 @@ async function runOCR(file) {
   }
 }
 
-/**
- * Extract expiry date from OCR text.
- * Handles: EXP 12/2026 | 12/26 | JUN 2026 | 2026-06-30 | 30.06.26 | BB 06/2026 etc.
- */
-function extractDateFromOCR(text) {
-  // Normalise
-  const t = text.toUpperCase().replace(/[|Il]/g, '1').replace(/O/g,'0');
-
-  const MONTHS = { JAN:1,FEB:2,MAR:3,APR:4,MAY:5,JUN:6,JUL:7,AUG:8,SEP:9,OCT:10,NOV:11,DEC:12 };
-
-  const patterns = [
-    // ISO: 2026-06-30
-    { re:/\b(20\d{2})[\/\-\.](0?[1-9]|1[0-2])[\/\-\.](0?[1-9]|[12]\d|3[01])\b/, fn:m=>`${m[1]}-${m[2].padStart(2,'0')}-${m[3].padStart(2,'0')}` },
-    // DD/MM/YYYY or DD-MM-YYYY
-    { re:/\b(0?[1-9]|[12]\d|3[01])[\/\-\.](0?[1-9]|1[0-2])[\/\-\.](20\d{2})\b/, fn:m=>`${m[3]}-${m[2].padStart(2,'0')}-${m[1].padStart(2,'0')}` },
-    // MM/YYYY or MM-YYYY (no day → last day of month)
-    { re:/\b(0?[1-9]|1[0-2])[\/\-](20\d{2})\b/, fn:m=>{ const yr=parseInt(m[2]),mo=parseInt(m[1]); const last=new Date(yr,mo,0).getDate(); return `${yr}-${String(mo).padStart(2,'0')}-${String(last).padStart(2,'0')}`; } },
-    // MM/YY → assume 20YY
-    { re:/\b(0?[1-9]|1[0-2])[\/\-](\d{2})\b/, fn:m=>{ const yr=2000+parseInt(m[2]),mo=parseInt(m[1]); const last=new Date(yr,mo,0).getDate(); return `${yr}-${String(mo).padStart(2,'0')}-${String(last).padStart(2,'0')}`; } },
-    // MON YYYY  e.g. JUN 2026
-    { re:/\b(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)\s*(20\d{2})\b/, fn:m=>{ const mo=MONTHS[m[1]],yr=parseInt(m[2]); const last=new Date(yr,mo,0).getDate(); return `${yr}-${String(mo).padStart(2,'0')}-${String(last).padStart(2,'0')}`; } },
-    // DD MON YYYY e.g. 30 JUN 2026
-    { re:/\b(\d{1,2})\s*(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)\s*(20\d{2})\b/, fn:m=>`${m[3]}-${String(MONTHS[m[2]]).padStart(2,'0')}-${m[1].padStart(2,'0')}` },
-    // GS1 YYMMDD 6 digits (after EXP or BB)
-    { re:/(?:EXP|BB|EXPIRY|BEST\s*BEFORE|USE\s*BY)[:\s]*(\d{6})/, fn:m=>{ const yy=m[1].slice(0,2),mm=m[1].slice(2,4); let dd=parseInt(m[1].slice(4,6)); const yr=2000+parseInt(yy),mo=parseInt(mm); if(dd===0)dd=new Date(yr,mo,0).getDate(); return `${yr}-${String(mo).padStart(2,'0')}-${String(dd).padStart(2,'0')}`; } }
-  ];
-
-  for (const { re, fn } of patterns) {
-    const m = t.match(re);
-    if (m) {
-      try {
-        const iso = fn(m);
-        // Sanity check — must be a real future-ish date
-        const d = new Date(iso);
-        if (!isNaN(d) && d.getFullYear() >= 2020 && d.getFullYear() <= 2040) return iso;
-      } catch {}
-    }
-  }
-  return null;
-}
-
 // ════════════════════════════════════════
-// MASTER DATA UPLOAD
+// MASTER DATA UPLOAD  (CSV / TSV / XLSX / ODS → column mapping → validation report)
 // ════════════════════════════════════════
 async function uploadMaster(file, append=false) {
-  showLoading('Parsing file...');
+  showLoading('Reading file...');
   try {
-    const text  = await file.text();
-    const lines = text.trim().split(/[\r\n]+/);
-    if (lines.length < 2) { toast('File too short','error'); hideLoading(); return; }
-
-    const header = lines[0];
-    const delim  = header.includes('\t') ? '\t' : ',';
-    const cols   = header.toLowerCase().split(delim).map(c=>c.trim().replace(/['"]/g,''));
-
-    const bi = cols.findIndex(c=>['barcode','gtin','ean','upc','code'].includes(c));
-    const ni = cols.findIndex(c=>['name','description','product','productname'].includes(c));
-    const ri = cols.findIndex(c=>['rms','rmscode','rms_code'].includes(c));
+    const book = await MasterImport.read(file.name, new Uint8Array(await file.arrayBuffer()));
+    if (!book.sheets.some(sh => sh.rows.length)) throw new Error('No rows found');
+    S.import = { file:file.name, append, book, sheet:Math.max(0, book.sheets.findIndex(sh => sh.rows.length)), mapping:null, result:null };
+    document.getElementById('impHeader').checked = true;
+    await renderImport();
+    document.getElementById('importModal').classList.remove('hidden');
+  } catch(e) {
+    toast('Upload failed: '+e.message,'error');
+  }
+  hideLoading();
+}
 
-    if (bi===-1) { toast('No barcode column found','error'); hideLoading(); return; }
+const importRows = () => S.import.book.sheets[S.import.sheet].rows;
+// Mappings are remembered per header row, so the same supplier sheet maps itself next time
+const importKey  = rows => (rows[0]||[]).map(c => String(c).trim().toLowerCase()).join('|');
+
+/** Sheet picker, one column select per master field, and the first rows as they will be read. */
+async function renderImport() {
+  const imp = S.import, rows = importRows();
+  const header = document.getElementById('impHeader').checked;
+  if (!imp.mapping) imp.mapping = (header && (await DB.getSetting('importMappings', {}))[importKey(rows)]) || MasterImport.guessMapping(rows, header);
+  const width = Math.max(0, ...rows.slice(0, 200).map(r => r.length));
+  const colName = i => header && String(rows[0][i]||'').trim() || `Column ${i+1}`;
+
+  document.getElementById('impFile').textContent = `${imp.file} · ${imp.book.format.toUpperCase()} · ${imp.append ? 'append' : 'replace your uploads'}`;
+  document.getElementById('impSheet').innerHTML = imp.book.sheets.map((sh, i) =>
+    `<option value="${i}" ${i===imp.sheet?'selected':''}>${esc(sh.name)} (${sh.rows.filter(r => r.length).length} rows)</option>`).join('');
+  document.getElementById('impSheet').hidden = imp.book.sheets.length < 2;
+  document.getElementById('impMapping').innerHTML = MasterImport.FIELDS.map(f => `<label>${f.label}${f.required?' *':''}
+    <select data-field="${f.key}" onchange="S.import.mapping['${f.key}']=+this.value;renderImportPreview()">
+      <option value="-1">— not in file —</option>
+      ${Array.from({ length:width }, (_, i) => `<option value="${i}" ${imp.mapping[f.key]===i?'selected':''}>${esc(colName(i))}</option>`).join('')}
+    </select></label>`).join('');
+  document.getElementById('impReport').innerHTML = '';
+  imp.result = null;
+  renderImportPreview();
+}
 
-    if (!append) await DB.clear('master');
+function renderImportPreview() {
+  const { mapping } = S.import, rows = importRows();
+  const header = document.getElementById('impHeader').checked;
+  const fields = MasterImport.FIELDS.filter(f => mapping[f.key] >= 0);
+  const sample = rows.slice(header ? 1 : 0).filter(r => r.length).slice(0, 5);
+  document.getElementById('impPreview').innerHTML = fields.length ? `<table><tr>${fields.map(f=>`<th>${f.label}</th>`).join('')}</tr>
+    ${sample.map(r => `<tr>${fields.map(f => `<td>${esc(r[mapping[f.key]])}</td>`).join('')}</tr>`).join('')}</table>` : '';
+  document.getElementById('impRun').disabled = mapping.barcode < 0;
+}
 
-    const items=[];
-    for (let i=1;i<lines.length;i++) {
-      const row = lines[i].split(delim).map(c=>c.trim().replace(/['"]/g,''));
-      const bc  = row[bi];
-      if (bc && bc.replace(/\D/g,'').length>=8)
-        items.push({ barcode:bc, name:ni>=0?row[ni]:'', rms:ri>=0?row[ri]:'' });
-    }
+function importSheetChanged(i) { S.import.sheet = +i; S.import.mapping = null; return renderImport(); }
+function importHeaderChanged()  { S.import.mapping = null; return renderImport(); }
 
-    const n = await DB.bulkMaster(items);
+/** Validate with the chosen mapping, write the good rows, then show the per-row report. */
+async function runImport() {
+  const imp = S.import, rows = importRows();
+  const header = document.getElementById('impHeader').checked;
+  if (imp.mapping.barcode < 0) { toast('Choose the barcode column','error'); return; }
+  showLoading('Importing...');
+  try {
+    const stored   = await DB.getAll('master');
+    // Rows this import replaces are not "the catalogue" it should be compared with
+    const kept     = imp.append ? stored : stored.filter(r => r.source === 'builtin');
+    const existing = new Map(kept.map(r => [String(r.barcode).padStart(14,'0'), r]));
+    const res = MasterImport.toMaster(rows, imp.mapping, { header, existing });
+    if (!res.items.length) throw new Error('No valid rows — check the column mapping');
+
+    // Uploaded rows are the user's own: later catalogue updates never touch them
+    // Replace = replace your uploads; the built-in catalogue stays
+    if (!imp.append) await DB.bulkDel('master', stored.filter(r => r.source !== 'builtin').map(r => r.barcode));
+    const n = await DB.bulkMaster(res.items.map(it => ({ ...it, source:'user' })));
+    if (header) await DB.setSetting('importMappings', { ...await DB.getSetting('importMappings', {}), [importKey(rows)]:imp.mapping });
+
+    imp.result = res;
+    renderImportReport();
     await refreshMasterCount();
-    toast(`${append?'Appended':'Loaded'} ${n} products`,'ok');
+    toast(`${imp.append?'Appended':'Loaded'} ${n} products${res.issues.length?` · ${res.issues.length} issues`:''}`, res.summary.errors ? 'warn' : 'ok');
   } catch(e) {
-    toast('Upload failed: '+e.message,'error');
+    toast('Import failed: '+e.message,'error');
   }
   hideLoading();
 }
 
+function renderImportReport() {
+  const { summary:s, issues } = S.import.result;
+  const SHOW = 100;
+  document.getElementById('impReport').innerHTML = `<div>${s.imported} of ${s.rows} rows imported · ${s.errors} skipped (errors) · ${s.warnings} warnings
+    ${issues.length?'<button onclick="downloadImportReport()">Report CSV</button>':''}</div>
+    ${issues.length?`<table><tr><th>Row</th><th>Barcode</th><th>Name</th><th>Issue</th></tr>
+    ${issues.slice(0, SHOW).map(x => `<tr class="imp-${x.level}"><td>${x.row}</td><td>${esc(x.barcode)}</td><td>${esc(x.name)}</td><td>${esc(x.issue)}</td></tr>`).join('')}</table>
+    ${issues.length > SHOW ? `<div>… ${issues.length - SHOW} more in the CSV</div>` : ''}`:''}`;
+}
+
+function downloadImportReport() {
+  const { file, result } = S.import || {};
+  if (!result) return;
+  let csv = 'ROW,LEVEL,BARCODE,NAME,ISSUE\n';
+  for (const x of result.issues) csv += [x.row, x.level, x.barcode, x.name, x.issue].map(c=>`"${String(c??'').replace(/"/g,'""')}"`).join(',')+'\n';
+  dlFile(csv,`import-report_${file.replace(/\.[^.]+$/,'')}_${fmtDate(new Date())}.csv`,'text/csv');
+}
+
+function closeImportModal() { document.getElementById('importModal').classList.add('hidden'); S.import = null; }
+
 async function resetMaster() {
-  if (!confirm('Clear all master data?')) return;
+  if (!confirm('Remove uploaded products and edits, and go back to the built-in catalogue?')) return;
   await DB.clear('master');
+  await syncBuiltInMaster(true);
   await refreshMasterCount();
-  toast('Master data cleared');
+  toast('Master data reset');
 }
 
 function downloadTemplate() {
@@ -437,23 +1038,292 @@ function downloadTemplate() {
   toast('Template downloaded');
 }
 
+// ════════════════════════════════════════
+// MASTER PRODUCTS  (one product, many barcodes: unit, case, legacy, RMS)
+// ════════════════════════════════════════
+function findMasterProduct(code) {
+  code = String(code||'').trim();
+  const el = document.getElementById('aliasProduct');
+  if (!code) { el.innerHTML = ''; return; }
+  const m = Master.find(code);
+  if (m.how === 'EXACT' || m.how === 'RMS') { renderMasterProduct(m.product.key); return; }
+  el.innerHTML = m.candidates.length ? `<div>${m.how==='AMBIGUOUS'?'Several products':'Closest match'} for ${esc(code)}:</div>
+    ${m.candidates.map(p => `<button onclick="renderMasterProduct(${esc(JSON.stringify(p.key))})">${esc(p.name||'(no name)')} · ${esc(barcodeList(p))}</button>`).join('')}`
+    : `<div>No product has ${esc(code)}</div>`;
+}
+
+function renderMasterProduct(key) {
+  const p = Master.products.get(key);
+  const el = document.getElementById('aliasProduct');
+  if (!p) { el.innerHTML = ''; return; }
+  const codes = p.barcodes.filter(b => b.kind !== 'rms');
+  // Cases / inners: how many of which smaller barcode they hold
+  const contents = b => `<input type="number" min="1" id="pq-${esc(b.code)}" value="${b.contains ? b.contains.qty : ''}" placeholder="qty"> ×
+    <select id="pc-${esc(b.code)}">${codes.filter(c => c.code !== b.code).map(c =>
+      `<option value="${esc(c.code)}" ${b.contains && b.contains.barcode.padStart(14,'0') === c.code.padStart(14,'0') ? 'selected' : ''}>${esc(c.code)}</option>`).join('')}</select>
+    <button onclick="setPackContents(${esc(JSON.stringify(key))},${esc(JSON.stringify(b.code))})">Set</button>`;
+  el.innerHTML = `<div><b>${esc(p.name||'(no name)')}</b> · RMS ${esc(p.rms||'—')}</div>
+    <table>${p.barcodes.map(b => `<tr><td>${esc(b.code)}</td><td>${Master.KINDS[b.kind]||b.kind}</td>
+      <td>${b.kind==='case' || b.kind==='inner' ? contents(b) : ''}</td>
+      <td>${b.kind!=='rms' && b.source!=='builtin' ? `<button onclick="removeMasterBarcode(${esc(JSON.stringify(key))},${esc(JSON.stringify(b.code))})">Remove</button>` : ''}</td></tr>`).join('')}</table>
+    <input id="aliasNew" inputmode="numeric" placeholder="Add barcode…">
+    <select id="aliasKind">${['unit','inner','case','legacy'].map(k => `<option value="${k}">${Master.KINDS[k]}</option>`).join('')}</select>
+    <button onclick="addMasterBarcode(${esc(JSON.stringify(key))})">Add</button>`;
+}
+
+async function addMasterBarcode(key) {
+  const p = Master.products.get(key);
+  const code = document.getElementById('aliasNew').value.replace(/\s/g,'');
+  if (!p) return;
+  if (!/^\d{8,14}$/.test(code)) { toast('Barcode must be 8–14 digits','error'); return; }
+  const barcode = await linkMasterBarcode(key, code, document.getElementById('aliasKind').value);
+  if (barcode === '') toast('Already on this product');
+  if (!barcode) return;
+  renderMasterProduct(key);
+  toast(`${barcode} linked to ${p.name}`,'ok');
+}
+
+/**
+ * Put a barcode on a master product; one another product claims is moved, after asking.
+ * Resolves to the barcode as stored, '' when it was already there, null when the user said no.
+ */
+async function linkMasterBarcode(key, code, kind=Master.kindOf(code)) {
+  const p = Master.products.get(key);
+  // Re-use the stored row of the same GTIN, so the barcode ends up on exactly one product
+  const g14 = code.padStart(14,'0');
+  const owners = [...(Master.codes.get(g14) || [])].map(k => Master.products.get(k));
+  if (owners.some(o => o.key === key) && owners.length === 1) return '';
+  const others = owners.filter(o => o.key !== key);
+  if (others.length && !confirm(`${code} belongs to ${others.map(o => o.name).join(', ')}. Move it to ${p.name}?`)) return null;
+  const stored = owners.flatMap(o => o.barcodes).filter(b => b.kind !== 'rms' && Master.keysOf(b.code, b.kind).includes(g14)).map(b => b.code);
+
+  // Keep the stored spelling (a built-in row that vanished would come back with the next catalogue)
+  const barcode = stored[0] || code;
+  await DB.bulkDel('master', stored.slice(1));
+  await DB.put('master', { barcode, name:p.name, rms:p.rms, product:key, kind, source:'user' });
+  await refreshMasterCount();
+  return barcode;
+}
+
+async function setPackContents(key, code) {
+  const qty   = parseInt(document.getElementById('pq-'+code).value);
+  const child = document.getElementById('pc-'+code).value;
+  if (!(qty > 0) || !child) { toast('Enter a quantity and what the pack holds','error'); return; }
+  const row = Master.products.get(key).barcodes.find(b => b.code === code);
+  await savePackContents(code, child, row.kind, qty);
+  renderMasterProduct(key);
+  const pack = Master.packOf(code);
+  toast(`${code} = ${pack ? pack.perPack : qty} units`,'ok');
+}
+
+/** Record that a case / inner holds qty × child. The pack row joins the child's product. */
+async function savePackContents(code, child, level, qty) {
+  const g14   = code.padStart(14,'0');
+  const unit  = Master.find(child).product;
+  // Write onto the stored row for this GTIN when there is one (same spelling, see addMasterBarcode)
+  const owned = [...(Master.codes.get(g14) || [])].flatMap(k => Master.products.get(k).barcodes).find(b => b.kind !== 'rms' && Master.keysOf(b.code, b.kind).includes(g14));
+  const barcode = owned ? owned.code : code;
+  const row = await DB.get('master', barcode) || {};
+  await DB.put('master', { ...row, barcode, name:row.name || unit && unit.name || '', rms:row.rms || unit && unit.rms || '',
+    ...(unit ? { product:unit.key } : {}), kind:level, contains:{ barcode:child, qty }, source:'user' });
+  await refreshMasterCount();
+}
+
+async function removeMasterBarcode(key, code) {
+  const p = Master.products.get(key);
+  if (!p || !confirm(`Remove ${code} from ${p.name}?`)) return;
+  await DB.del('master', code);
+  await refreshMasterCount();
+  renderMasterProduct(Master.products.has(key) ? key : '');
+}
+
+// ════════════════════════════════════════
+// EXPIRY POLICY  (rules per category / supplier / product, see Policy in pharmascan-core.js)
+// ════════════════════════════════════════
+function renderPolicy() {
+  const rules = Policy.rules;
+  document.getElementById('policyRules').innerHTML = rules.length ? rules.map((r, i) => `<div class="policy-rule">
+    <span>${r.scope === 'default' ? 'Everything' : `${r.scope} <b>${esc(r.match)}</b>`}</span>
+    <span>${Policy.STATES[r.state].label} from ${r.days} days before expiry</span>
+    <button onclick="removePolicyRule(${i})">✕</button></div>`).join('')
+    : `<div>Expiring soon from ${CFG.SOON_DAYS} days before expiry (no rules yet)</div>`;
+  document.getElementById('polState').innerHTML = Object.entries(Policy.STATES).filter(([k]) => !['expired','ok','unknown'].includes(k))
+    .map(([k, st]) => `<option value="${k}">${st.label}</option>`).join('');
+}
+
+async function savePolicy(rules) {
+  Policy.use(rules);
+  await DB.setSetting('expiryPolicy', Policy.rules);
+  renderPolicy();
+  await refreshAll();
+}
+
+async function addPolicyRule() {
+  const r = { scope:document.getElementById('polScope').value, match:document.getElementById('polMatch').value.trim(),
+              state:document.getElementById('polState').value, days:parseInt(document.getElementById('polDays').value) };
+  if (r.scope !== 'default' && !r.match) { toast(`Enter the ${r.scope} the rule is for`,'warn'); return; }
+  if (!(r.days >= 0)) { toast('Enter the number of days before expiry','warn'); return; }
+  if (r.scope === 'default') r.match = '';
+  // One rule per scope + match + state: a new one replaces the old
+  const same = x => x.scope === r.scope && x.match.toLowerCase() === r.match.toLowerCase() && x.state === r.state;
+  await savePolicy([...Policy.rules.filter(x => !same(x)), r]);
+  document.getElementById('polMatch').value = '';
+  document.getElementById('polDays').value  = '';
+  toast('Expiry rule saved','ok');
+}
+
+async function removePolicyRule(i) {
+  await savePolicy(Policy.rules.filter((_, j) => j !== i));
+}
+
+// ════════════════════════════════════════
+// LOCATIONS  (branch › area › shelf / bin, see Locations in pharmascan-core.js)
+// ════════════════════════════════════════
+const locationOptions = (blank, selected='') => `<option value="">${blank}</option>` + Locations.tree(S.locations)
+  .map(l => `<option value="${l.id}"${l.id===selected?' selected':''}>${'\u00a0\u00a0'.repeat(l.depth)}${esc(l.name)}</option>`).join('');
+const locationName = id => Locations.path(S.locations, id);
+
+function renderLocations() {
+  document.getElementById('locationList').innerHTML = S.locations.length ? Locations.tree(S.locations).map(l => `<div class="loc-row" style="padding-left:${l.depth*16}px">
+    <span><b>${esc(l.name)}</b> · ${Locations.KINDS[l.kind] ? Locations.KINDS[l.kind].split(' (')[0] : esc(l.kind)}</span>
+    <button title="Move under the parent picked below" onclick="moveLocation(${esc(JSON.stringify(l.id))})">↪</button>
+    <button onclick="deleteLocation(${esc(JSON.stringify(l.id))})">✕</button></div>`).join('')
+    : '<div>No locations yet — scans are saved without one</div>';
+  document.getElementById('curLocation').innerHTML = locationOptions('No location', S.location);
+  document.getElementById('locFilter').innerHTML   = locationOptions('All locations', S.locFilter);
+  document.getElementById('locParent').innerHTML   = locationOptions('— top level (branch) —');
+  document.getElementById('locKind').innerHTML     = Object.entries(Locations.KINDS).map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+}
+
+async function addLocation() {
+  let loc;
+  try { loc = Locations.create(document.getElementById('locName').value, document.getElementById('locParent').value, document.getElementById('locKind').value); }
+  catch(e) { toast(e.message,'warn'); return; }
+  const twin = S.locations.find(l => l.parentId === loc.parentId && l.name.toLowerCase() === loc.name.toLowerCase());
+  if (twin) { toast(`${locationName(twin.id)} already exists`,'warn'); return; }
+  await DB.put('locations', loc);
+  S.locations = await DB.getAll('locations');
+  document.getElementById('locName').value = '';
+  renderLocations();
+  toast(`Location added: ${locationName(loc.id)}`,'ok');
+}
+
+/** Move a location, and everything in it, under the parent picked in the add form. */
+async function moveLocation(id) {
+  const parentId = document.getElementById('locParent').value;
+  let loc;
+  try { loc = Locations.move(S.locations, id, parentId); }
+  catch(e) { toast(e.message,'warn'); return; }
+  const twin = S.locations.find(l => l.id !== id && l.parentId === loc.parentId && l.name.toLowerCase() === loc.name.toLowerCase());
+  if (twin) { toast(`${locationName(twin.id)} already exists`,'warn'); return; }
+  if (!confirm(`Move ${locationName(id)} under ${parentId ? locationName(parentId) : 'the top level'}?`)) return;
+  await DB.put('locations', loc);
+  S.locations = await DB.getAll('locations');
+  renderLocations();
+  await refreshAll();
+  toast(`Moved to ${locationName(id)}`,'ok');
+}
+
+/** Only an empty leaf goes: stock on the ledger keeps pointing at its location. */
+async function deleteLocation(id) {
+  if (S.locations.some(l => l.parentId === id)) { toast('Remove or move the locations inside it first','warn'); return; }
+  const held = (await DB.stock()).filter(b => (b.at[id]||0) > 0);
+  if (held.length) { toast(`${held.length} lot${held.length>1?'s are':' is'} still on hand there — transfer them first`,'warn'); return; }
+  if (!confirm(`Delete location ${locationName(id)}?`)) return;
+  await DB.del('locations', id);
+  S.locations = await DB.getAll('locations');
+  if (S.location === id) await setLocation('');
+  if (S.locFilter === id) S.locFilter = '';
+  renderLocations();
+  await refreshAll();
+}
+
+async function setLocation(id) {
+  S.location = id;
+  await DB.setSetting('location', id);
+  document.getElementById('curLocation').value = id;
+  // Dispense mode picks from this branch's stock
+  if (S.currentEntry && S.mode === 'dispense') renderFefo();
+}
+
+function setLocFilter(id) {
+  S.locFilter = id;
+  refreshStats();
+  refreshHistory();
+}
+
+// ════════════════════════════════════════
+// BUILT-IN CATALOGUE  (MASTER_DB in master-data.js)
+// ════════════════════════════════════════
+/**
+ * Merge the bundled catalogue into the master store when its version is newer than the
+ * one last merged (or always, with force). Resolves to the report, or null if up to date.
+ */
+async function syncBuiltInMaster(force=false) {
+  if (typeof MASTER_DB === 'undefined') return null;
+  const from = await DB.getSetting('masterVersion', 0);
+  if (!force && from >= MASTER_DB_VERSION) return null;
+
+  const { put, del, report } = Master.mergeBuiltIn(await DB.getAll('master'), Master.fromBuiltIn(MASTER_DB));
+  const summary = { from, to:MASTER_DB_VERSION, at:new Date().toISOString(), ...report };
+  // One transaction: the catalogue, its version and the report move together
+  await new Promise((res,rej) => {
+    const tx = S.db.transaction(['master','settings'],'readwrite');
+    const st = tx.objectStore('master');
+    put.forEach(it => st.put(it));
+    del.forEach(k => st.delete(k));
+    tx.objectStore('settings').put({ key:'masterVersion', value:MASTER_DB_VERSION });
+    tx.objectStore('settings').put({ key:'masterReport',  value:summary });
+    tx.oncomplete = () => res();
+    tx.onerror    = () => rej(tx.error);
+  });
+  return summary;
+}
+
+async function renderMasterReport() {
+  const r = await DB.getSetting('masterReport', null);
+  document.getElementById('masterReport').innerHTML = r ? `Catalogue v${r.to} (${GS1.display(r.at.slice(0,10))}):
+    ${r.added.length} added · ${r.changed.length} changed · ${r.removed.length} removed · ${r.kept.length} kept (your edits)
+    <button onclick="downloadMasterReport()">Report CSV</button>` : '';
+}
+
+async function downloadMasterReport() {
+  const r = await DB.getSetting('masterReport', null);
+  if (!r) return;
+  const rows = [
+    ...r.added.map(x   => ['added',   x.barcode, x.name, '']),
+    ...r.changed.map(x => ['changed', x.barcode, x.to, `was ${x.from}` + (x.rmsFrom !== x.rmsTo ? `; RMS ${x.rmsFrom} → ${x.rmsTo}` : '')]),
+    ...r.removed.map(x => ['removed', x.barcode, x.name, '']),
+    ...r.kept.map(x    => ['kept',    x.barcode, x.name, x.reason + (x.bundled ? `; catalogue says ${x.bundled}` : '')])
+  ];
+  let csv = 'CHANGE,BARCODE,NAME,DETAIL\n';
+  for (const row of rows) csv += row.map(c=>`"${String(c||'').replace(/"/g,'""')}"`).join(',')+'\n';
+  dlFile(csv,`master-update-v${r.from}-v${r.to}.csv`,'text/csv');
+}
+
 // ════════════════════════════════════════
 // EXPORT / BACKUP
 // ════════════════════════════════════════
 async function exportCSV() {
-  const hist = await DB.getAll('history');
+  // Scans made in the location filtered on (History page), if any
+  const ids  = Locations.subtree(S.locations, S.locFilter);
+  const hist = (await DB.entries()).filter(h => !ids || ids.has(h.location||''));
   if (!hist.length) { toast('No data','warn'); return; }
-  const hdr = ['RMS','BARCODE','NAME','EXPIRY','BATCH','QTY','SUPPLIER','RETURNABLE'];
-  const rows = hist.map(h=>[h.rms,h.gtin,h.name,h.expiryDisplay,h.batch,h.qty,h.supplier,h.returnable]);
+  // QTY is packs as counted; UNITS rolls cases / inners down to the base unit
+  // STATUS is the expiry policy state, the same one the badges and filters show
+  const hdr = ['RMS','BARCODE','NAME','EXPIRY','BATCH','QTY','PACK','UNITS_PER_PACK','UNITS','UNIT_GTIN','SUPPLIER','RETURNABLE','STATUS','DAYS_LEFT','LOCATION'];
+  const rows = hist.map(h=>{ const pol = Policy.evaluate(h);
+    return [h.rms,h.gtin,h.name,h.expiryDisplay,h.batch,h.qty,h.pack||'unit',h.perPack||1,Schema.unitCount(h),h.unitGtin||h.gtin,h.supplier,h.returnable,pol.label,pol.daysLeft??'',h.location?locationName(h.location):''];
+  });
   let csv = hdr.join(',')+'\n';
   for(const r of rows) csv += r.map(c=>`"${String(c||'').replace(/"/g,'""')}"`).join(',')+'\n';
   dlFile(csv,`pharmascan-export-${fmtDate(new Date())}.csv`,'text/csv');
-  toast('CSV exported','ok');
+  toast(S.locFilter ? `CSV exported for ${locationName(S.locFilter)}` : 'CSV exported','ok');
 }
 
 async function downloadBackup() {
-  const [hist,mstr] = await Promise.all([DB.getAll('history'),DB.getAll('master')]);
-  dlFile(JSON.stringify({version:CFG.VER,date:new Date().toISOString(),history:hist,master:mstr},null,2),
+  const [products,units,aliases,movements,locations,recalls,serials,mstr] = await Promise.all(['products','units','aliases','movements','locations','recalls','serials','master'].map(st => DB.getAll(st)));
+  dlFile(JSON.stringify({version:CFG.VER,schema:Schema.VERSION,date:new Date().toISOString(),products,units,aliases,movements,locations,recalls,serials,master:mstr},null,2),
     `pharmascan-backup-${fmtDate(new Date())}.json`,'application/json');
   toast('Backup downloaded','ok');
 }
@@ -462,66 +1332,278 @@ async function restoreBackup(file) {
   showLoading('Restoring...');
   try {
     const bk = JSON.parse(await file.text());
-    if (!bk.history && !bk.master) { toast('Invalid backup','error'); hideLoading(); return; }
-    if (bk.history?.length) { await DB.clear('history'); for(const it of bk.history){delete it.id; await DB.add('history',it);} }
+    if (!bk.units && !bk.history && !bk.master) { toast('Invalid backup','error'); hideLoading(); return; }
+    // v1 backups carry flat history rows — split them the same way the DB upgrade does
+    const data = bk.units ? bk : bk.history ? Schema.fromHistory(bk.history) : null;
+    if (data?.units?.length) {
+      for (const st of ['products','units','aliases']) { await DB.clear(st); await DB.bulkPut(st, data[st]||[]); }
+      // Backups from before the ledger: every unit row was a receipt
+      const units = await DB.getAll('units');
+      await DB.clear('movements');
+      await DB.bulkPut('movements', bk.movements || units.map(u => Ledger.receiptOf(u)));
+    }
     if (bk.master?.length)  { await DB.clear('master');  await DB.bulkMaster(bk.master); }
+    if (bk.recalls?.length) { await DB.clear('recalls'); await DB.bulkPut('recalls', bk.recalls); S.recalls = await DB.getAll('recalls'); }
+    if (bk.serials?.length) { await DB.clear('serials'); await DB.bulkPut('serials', bk.serials); }
+    if (bk.locations?.length) { await DB.clear('locations'); await DB.bulkPut('locations', bk.locations); S.locations = await DB.getAll('locations'); renderLocations(); }
     await refreshAll();
-    toast(`Restored ${bk.history?.length||0} items`,'ok');
+    toast(`Restored ${data?.units?.length||0} items`,'ok');
   } catch(e) { toast('Restore failed','error'); }
   hideLoading();
 }
 
 async function clearAllHistory() {
   if (!confirm('Delete all scanned items?')) return;
-  await DB.clear('history');
+  await DB.clear('units');
+  await DB.clear('movements');
   await refreshAll();
   toast('History cleared');
 }
 
+// ════════════════════════════════════════
+// SUPPLIER RETURNS  (lots in a return window → return note; returned stock leaves the counts)
+// ════════════════════════════════════════
+async function refreshReturns() {
+  S.returns = Returns.worklist(await DB.stock());
+  document.getElementById('returnsList').innerHTML = S.returns.length ? S.returns.map((g, gi) => `<div class="rt-group">
+    <h3>${esc(g.supplier||'No supplier recorded')} · ${g.lots.length} lot${g.lots.length>1?'s':''}</h3>
+    ${g.lots.map((b, i) => `<div class="rt-line status-${b.policy.band} policy-${b.policy.state}">
+      <input type="checkbox" id="rtSel-${gi}-${i}" checked>
+      <span><b>${esc(b.name)}</b> · RMS ${esc(b.rms)||'—'} · GTIN ${b.gtin} · Batch ${esc(b.batch)||'—'} · Exp ${b.expiryISO} · ${b.policy.label}</span>
+      <input type="number" id="rtQty-${gi}-${i}" min="1" max="${b.onHand}" value="${b.onHand}"> of ${onHandText(b)}
+    </div>`).join('')}
+    <button onclick="createReturnNote(${gi})">Create Return Note</button>
+  </div>`).join('') : emptyState('↩','Nothing to return','Lots appear here once they enter a supplier return window (Master → Expiry policy)');
+  const n = S.returnNote;
+  document.getElementById('returnsLast').innerHTML = n ? `Last note <b>${esc(n.ref)}</b> · ${esc(n.supplier||'—')} · ${n.units} units
+    <button onclick="downloadReturnNote('pdf')">PDF</button><button onclick="downloadReturnNote('csv')">CSV</button>` : '';
+}
+
+/** Picked lines of one supplier → return movements on the ledger, then the note as PDF. */
+async function createReturnNote(gi) {
+  const g = S.returns[gi];
+  if (!g) return;
+  const lines = g.lots.map((b, i) => ({ ...b, units:document.getElementById(`rtSel-${gi}-${i}`).checked
+    ? Math.min(parseInt(document.getElementById(`rtQty-${gi}-${i}`).value)||0, b.onHand) : 0 }));
+  const ref  = `RN-${fmtDate(new Date())}-${String(Date.now()).slice(-4)}`;
+  const note = Returns.note(g.supplier, lines, { ref });
+  if (!note.lines.length) { toast('Pick at least one line to return','warn'); return; }
+  if (!confirm(`Return ${note.units} units in ${note.lines.length} line${note.lines.length>1?'s':''} to ${g.supplier||'the supplier'}?\nThey leave the stock on hand.`)) return;
+  for (const l of lines) if (l.units > 0) {
+    await DB.addMovement(Ledger.draw(l, l.units, S.location).map(d =>
+      Ledger.movement('return', l, d.units, { perPack:l.perPack, location:d.location, note:`Return note ${ref}${g.supplier ? ` to ${g.supplier}` : ''}` })));
+  }
+  S.returnNote = note;
+  downloadReturnNote('pdf');
+  await refreshAll();
+  toast(`Return note ${ref}: ${note.units} units marked returned`,'ok');
+}
+
+function downloadReturnNote(fmt) {
+  const n = S.returnNote;
+  if (!n) return;
+  if (fmt === 'csv') dlFile(Returns.toCSV(n), `return-note-${n.ref}.csv`, 'text/csv');
+  else dlFile(Returns.toPDF(n), `return-note-${n.ref}.pdf`, 'application/pdf');
+}
+
+// ════════════════════════════════════════
+// RECALLS  (list from a regulator / supplier, matched against every scanned unit)
+// ════════════════════════════════════════
+async function refreshRecalls() {
+  const [hist, lots] = await Promise.all([DB.entries(), DB.stock()]);
+  const rows = Recalls.report(S.recalls, hist, lots);
+  const units = rows.reduce((n, r) => n + r.units, 0);
+  document.getElementById('recallSummary').textContent = S.recalls.length
+    ? `${S.recalls.length} recall${S.recalls.length>1?'s':''} · ${rows.length} scanned item${rows.length===1?'':'s'} affected (${units} units)` : '';
+  document.getElementById('recallList').innerHTML = S.recalls.length ? S.recalls.map(r => {
+    const hit = rows.filter(x => x.recallId === r.id);
+    return `<div class="rc-item${hit.length?' affected':''}">
+      <b>${esc(r.ref)||'—'}</b> · GTIN ${r.gtin}${r.batch?` · Batch ${esc(r.batch)}`:''}${r.serialFrom?` · Serial ${esc(r.serialFrom)}${r.serialTo!==r.serialFrom?`–${esc(r.serialTo)}`:''}`:''}
+      <div>${esc(r.reason)}${r.issuer?` · ${esc(r.issuer)}`:''}${r.date?` · ${esc(r.date)}`:''}</div>
+      <span>${hit.length ? `⚠ ${hit.length} affected` : 'None held'}</span>
+      <button onclick="deleteRecall(${r.id})">✕</button>
+    </div>`; }).join('') : emptyState('🛡','No recalls','Import a recall list or add one by hand');
+}
+
+/** Save recalls, then say straight away whether any stock on file is affected. */
+async function saveRecalls(list) {
+  await DB.bulkPut('recalls', list);
+  S.recalls = await DB.getAll('recalls');
+  const rows = Recalls.report(list, await DB.entries(), []);
+  await refreshRecalls();
+  return rows.length;
+}
+
+async function addRecall() {
+  const v = id => document.getElementById(id).value.trim();
+  const r = Recalls.normalise({ gtin:v('rcGtin'), batch:v('rcBatch'), serialFrom:v('rcSerialFrom'), serialTo:v('rcSerialTo'),
+                                reason:v('rcReason'), ref:v('rcRef'), issuer:v('rcIssuer'), date:v('rcDate') });
+  if (typeof r === 'string') { toast(r,'warn'); return; }
+  const n = await saveRecalls([r]);
+  ['rcGtin','rcBatch','rcSerialFrom','rcSerialTo','rcReason','rcRef','rcIssuer','rcDate'].forEach(id => document.getElementById(id).value = '');
+  toast(n ? `⚠ Recall added — ${n} scanned item${n>1?'s':''} affected` : 'Recall added — no stock affected', n ? 'error' : 'ok');
+}
+
+async function importRecalls(file) {
+  showLoading('Reading recalls...');
+  try {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const { recalls, issues } = /\.json$/i.test(file.name) ? Recalls.fromJSON(JSON.parse(new TextDecoder().decode(bytes)))
+                                                            : Recalls.fromRows((await MasterImport.read(file.name, bytes)).sheets[0]?.rows || []);
+    if (!recalls.length) { toast(issues.length ? `No usable recalls: row ${issues[0].row}: ${issues[0].issue}` : 'No recalls found','warn'); return; }
+    const n = await saveRecalls(recalls);
+    const skipped = issues.length ? ` (${issues.length} row${issues.length>1?'s':''} skipped — first: row ${issues[0].row}, ${issues[0].issue})` : '';
+    toast(`${recalls.length} recalls imported${skipped}` + (n ? ` — ⚠ ${n} scanned item${n>1?'s':''} affected` : ' — no stock affected'), n ? 'error' : 'ok');
+  } catch(e) { toast(`Could not read ${file.name}: ${e.message}`,'error'); }
+  finally { hideLoading(); }
+}
+
+async function deleteRecall(id) {
+  if (!confirm('Remove this recall?')) return;
+  await DB.del('recalls', id);
+  S.recalls = await DB.getAll('recalls');
+  await refreshRecalls();
+}
+
+async function downloadRecallReport() {
+  const rows = Recalls.report(S.recalls, await DB.entries(), await DB.stock());
+  if (!rows.length) { toast('No recalled stock on file','ok'); return; }
+  dlFile(Recalls.toCSV(rows), `recall-response-${fmtDate(new Date())}.csv`, 'text/csv');
+  toast('Recall report downloaded','ok');
+}
+
+// ════════════════════════════════════════
+// DIGITAL LINK SHARING
+// ════════════════════════════════════════
+async function shareLink(id) {
+  const h = await DB.entry(id);
+  if (!h) return;
+  let uri;
+  try { uri = GS1.toDigitalLink(h, await DB.getSetting('dlDomain', CFG.DL_DOMAIN)); }
+  catch(e) { toast(e.message,'error'); return; }
+  if (navigator.share) { try { await navigator.share({ title:h.name, url:uri }); return; } catch {} }
+  try { await navigator.clipboard.writeText(uri); toast('Digital Link copied','ok'); }
+  catch { prompt('GS1 Digital Link', uri); }
+}
+
+// ════════════════════════════════════════
+// LABELS  (GS1 DataMatrix / GS1-128 / QR, rendered offline by gs1-symbols.js)
+// ════════════════════════════════════════
+const LABEL_KINDS = {
+  datamatrix: { title:'GS1 DataMatrix', make:enc => GS1Symbols.dataMatrix(enc.raw) },
+  gs1128:     { title:'GS1-128',        make:enc => GS1Symbols.gs1_128(enc.raw) },
+  qr:         { title:'QR (Digital Link)', make:enc => GS1Symbols.qr(enc.link) }
+};
+
+// GS1-128 is wide: narrower modules, HRI text under the bars
+const labelSVG = (kind, enc) => GS1Symbols.toSVG(LABEL_KINDS[kind].make(enc), kind==='gs1128' ? { scale:2, text:enc.hri } : { scale:4 });
+
+async function openLabel(id) {
+  const h = await DB.entry(id);
+  if (!h) return;
+  let enc;
+  try { enc = GS1.encode(h, await DB.getSetting('dlDomain', CFG.DL_DOMAIN)); }
+  catch(e) { toast(e.message,'error'); return; }
+  S.label = { h, enc };
+  document.getElementById('lblHri').textContent  = enc.hri;
+  document.getElementById('lblLink').textContent = enc.link;
+  document.getElementById('lblSymbols').innerHTML = Object.entries(LABEL_KINDS).map(([kind, k]) => {
+    let svg;
+    try { svg = labelSVG(kind, enc); }
+    catch(e) { return `<div class="lbl-sym"><b>${k.title}</b><div class="lbl-err">${esc(e.message)}</div></div>`; }
+    return `<div class="lbl-sym"><b>${k.title}</b>${svg}
+      <button onclick="downloadLabel('${kind}','svg')">SVG</button><button onclick="downloadLabel('${kind}','png')">PNG</button></div>`;
+  }).join('');
+  document.getElementById('labelModal').classList.remove('hidden');
+}
+
+function downloadLabel(kind, fmt) {
+  if (!S.label) return;
+  const { h, enc } = S.label;
+  const name = `label_${h.gtin}_${h.batch||'nobatch'}_${kind}.${fmt}`.replace(/[^\w.-]/g,'_');
+  if (fmt === 'svg') dlFile(labelSVG(kind, enc), name, 'image/svg+xml');
+  else dlFile(GS1Symbols.toPNG(LABEL_KINDS[kind].make(enc), { scale:kind==='gs1128'?2:6 }), name, 'image/png');
+}
+
+function closeLabelModal() { document.getElementById('labelModal').classList.add('hidden'); S.label = null; }
+
 // ════════════════════════════════════════
 // UI REFRESH
 // ════════════════════════════════════════
 async function refreshAll() {
-  await Promise.all([refreshStats(), refreshRecent(), refreshHistory(), refreshMasterCount()]);
+  await Promise.all([refreshStats(), refreshRecent(), refreshHistory(), refreshReturns(), refreshRecalls(), refreshMasterCount()]);
 }
 
+// Counters are stock on hand (ledger balances), not scans: packs and units at risk per expiry band
 async function refreshStats() {
-  const hist = await DB.getAll('history');
-  let exp=0,soon=0,ok=0;
-  for(const h of hist){ const s=GS1.status(h.expiryISO); if(s==='expired')exp++; else if(s==='expiring')soon++; else if(s==='ok')ok++; }
-  document.getElementById('cntExpired').textContent  = exp;
-  document.getElementById('cntExpiring').textContent = soon;
-  document.getElementById('cntOk').textContent       = ok;
+  const lots = Ledger.atLocations(await DB.stock(), Locations.subtree(S.locations, S.locFilter));
+  const n = { expired:{packs:0,units:0}, expiring:{packs:0,units:0}, ok:{packs:0,units:0} }, act = {};
+  for (const b of lots) {
+    if (b.onHand <= 0) continue;
+    const pol = Policy.evaluate(b), c = n[pol.band];
+    if (c) { c.packs += Ledger.packsOf(b); c.units += b.onHand; }
+    if (ACTION_STATES.includes(pol.state)) { const a = act[pol.state] || (act[pol.state] = {packs:0,units:0}); a.packs += Ledger.packsOf(b); a.units += b.onHand; }
+  }
+  document.getElementById('cntExpired').textContent  = packsUnits(n.expired);
+  document.getElementById('cntExpiring').textContent = packsUnits(n.expiring);
+  document.getElementById('cntOk').textContent       = packsUnits(n.ok);
+  document.getElementById('cntPolicy').textContent   = ACTION_STATES.filter(k => act[k]).map(k => `${Policy.STATES[k].label}: ${packsUnits(act[k])}`).join(' · ');
 }
 
+// Policy states that ask for something to be done, counted on their own in the header
+const ACTION_STATES = ['quarantine','return','discount'];
+
+// "5" when everything is loose units, "3 pk · 40 u" once cases are involved
+const packsUnits = ({ packs, units }) => packs === units ? `${units}` : `${packs} pk · ${units} u`;
+const qtyText    = h => h.pack && h.pack !== 'unit' ? `${h.qty||1} ${h.pack==='inner'?'inner':'case'}${(h.qty||1)>1?'s':''} × ${h.perPack} = ${Schema.unitCount(h)}` : `${h.qty||1}`;
+
 async function refreshRecent() {
-  const hist = (await DB.getAll('history')).sort((a,b)=>b.ts-a.ts).slice(0,8);
+  const hist = (await DB.entries()).sort((a,b)=>b.ts-a.ts).slice(0,8);
   document.getElementById('recentList').innerHTML = hist.length ? hist.map(renderCard).join('') : emptyState('📦','No items yet','Scan a barcode to start');
 }
 
 async function refreshHistory() {
-  let hist = (await DB.getAll('history')).sort((a,b)=>b.ts-a.ts);
+  // Stock view: one card per lot still on hand, soonest expiry first. The location filter narrows
+  // stock to what is there now, and scans to where they were made.
+  const ids = Locations.subtree(S.locations, S.locFilter);
+  let hist = S.view === 'stock' ? Ledger.atLocations(await DB.stock(), ids).filter(b => b.onHand).sort((a,b)=>(a.expiryISO||'9').localeCompare(b.expiryISO||'9'))
+                                : (await DB.entries()).filter(h => !ids || ids.has(h.location||'')).sort((a,b)=>b.ts-a.ts);
+  // Filters are a band (expired / expiring / ok / unknown) or a policy state (return, discount…)
   if (S.filter !== 'all') hist = hist.filter(h => {
-    if (S.filter==='unknown') return !h.expiryISO;
-    return GS1.status(h.expiryISO) === S.filter;
+    const pol = Policy.evaluate(h);
+    return pol.band === S.filter || pol.state === S.filter;
   });
   if (S.search) {
     const q=S.search.toLowerCase();
     hist=hist.filter(h=>(h.name||'').toLowerCase().includes(q)||(h.gtin||'').includes(q)||(h.batch||'').toLowerCase().includes(q)||(h.rms||'').includes(q));
   }
-  document.getElementById('historyList').innerHTML = hist.length ? hist.map(h=>renderCard(h,true)).join('') : emptyState('🔍','No items found','Try a different filter');
+  if (S.view === 'stock') S.lots = hist;
+  document.getElementById('historyList').innerHTML = !hist.length ? emptyState('🔍','No items found','Try a different filter')
+    : S.view === 'stock' ? hist.map(renderLot).join('') : hist.map(h=>renderCard(h,true)).join('');
+}
+
+function setHistoryView(view) {
+  S.view = view;
+  document.querySelectorAll('#historyView button').forEach(b => b.classList.toggle('active', b.dataset.view === view));
+  refreshHistory();
 }
 
 async function refreshMasterCount() {
   const mstr = await DB.getAll('master');
   document.getElementById('masterCount').textContent = mstr.length;
   Master.build(mstr);
+  await renderMasterReport();
+}
+
+// Class status-<band> policy-<state>; an OK badge shows the date instead
+function policyBadge(item, okText) {
+  const pol = Policy.evaluate(item);
+  return { pol, cls:`status-${pol.band} policy-${pol.state}`, badge:pol.state === 'ok' ? okText || 'OK' : pol.badge };
 }
 
 function renderCard(h, actions=false) {
-  const st   = h.expiryISO ? GS1.status(h.expiryISO) : 'unknown';
-  const badge = { expired:'EXPIRED', expiring:'EXPIRING SOON', ok: h.expiryDisplay||'OK', unknown:'NO EXPIRY' }[st] || '';
-  return `<div class="item-card status-${st}">
+  const { cls, badge } = policyBadge(h, h.expiryDisplay);
+  return `<div class="item-card ${cls}">
     <div class="ic-top">
       <span class="ic-name">${esc(h.name)}</span>
       <span class="ic-badge">${badge}</span>
@@ -530,14 +1612,43 @@ function renderCard(h, actions=false) {
       <div class="ic-meta-item"><span>GTIN</span><span>${h.gtin||'—'}</span></div>
       <div class="ic-meta-item"><span>BATCH</span><span>${h.batch||'—'}</span></div>
       <div class="ic-meta-item"><span>RMS</span><span>${h.rms||'—'}</span></div>
+      <div class="ic-meta-item"><span>QTY</span><span>${qtyText(h)}</span></div>
     </div>
+    ${h.location?`<div class="ic-where">📍 ${esc(locationName(h.location))}</div>`:''}
     ${actions?`<div class="ic-actions">
       <button class="ic-btn edit" onclick="openEdit(${h.id})">✏ Edit</button>
+      <button class="ic-btn link" onclick="shareLink(${h.id})">🔗 Link</button>
+      <button class="ic-btn label" onclick="openLabel(${h.id})">🏷 Label</button>
+      ${h.serial?`<button class="ic-btn serial" onclick="openSerial(${h.id})">🔢 Serial</button>`:''}
       <button class="ic-btn delete" onclick="delItem(${h.id})">🗑 Delete</button>
     </div>`:''}
   </div>`;
 }
 
+const onHandText = b => b.perPack > 1 ? `${b.onHand} u · ${Ledger.packsOf(b)} pk` : `${b.onHand}`;
+// "Main St › Fridge: 20 · Store room: 40" — nothing when no location was ever recorded
+const whereText  = b => Object.keys(b.at||{}).some(Boolean) ? Object.entries(b.at).filter(([,n]) => n).map(([l, n]) => `${locationName(l)}: ${n}`).join(' · ') : '';
+
+function renderLot(b, i) {
+  const { cls, badge } = policyBadge(b, b.expiryISO);
+  return `<div class="item-card ${cls}">
+    <div class="ic-top">
+      <span class="ic-name">${esc(b.name)}</span>
+      <span class="ic-badge">${badge}</span>
+    </div>
+    <div class="ic-meta">
+      <div class="ic-meta-item"><span>GTIN</span><span>${b.gtin||'—'}</span></div>
+      <div class="ic-meta-item"><span>BATCH</span><span>${esc(b.batch)||'—'}</span></div>
+      <div class="ic-meta-item"><span>RMS</span><span>${b.rms||'—'}</span></div>
+      <div class="ic-meta-item"><span>ON HAND</span><span>${onHandText(b)}</span></div>
+    </div>
+    ${whereText(b) ? `<div class="ic-where">📍 ${esc(whereText(b))}</div>` : ''}
+    <div class="ic-actions">
+      <button class="ic-btn edit" onclick="openMove(${i})">⇄ Movement</button>
+    </div>
+  </div>`;
+}
+
 function emptyState(icon,title,sub) {
   return `<div class="empty-state"><div class="e-icon">${icon}</div><div class="e-title">${title}</div><div class="e-sub">${sub}</div></div>`;
 }
@@ -546,7 +1657,7 @@ function emptyState(icon,title,sub) {
 // EDIT / DELETE
 // ════════════════════════════════════════
 async function openEdit(id) {
-  const h = await DB.get('history',id);
+  const h = await DB.entry(id);
   if (!h) return;
   document.getElementById('eId').value        = id;
   document.getElementById('eName').value       = h.name||'';
@@ -557,12 +1668,14 @@ async function openEdit(id) {
   document.getElementById('eRms').value        = h.rms||'';
   document.getElementById('eSupplier').value   = h.supplier||'';
   document.getElementById('eReturnable').value = h.returnable||'';
+  document.getElementById('eSearch').value     = '';
+  document.getElementById('eResults').innerHTML = '';
   document.getElementById('editModal').classList.remove('hidden');
 }
 
 async function saveEdit() {
   const id = parseInt(document.getElementById('eId').value);
-  const h  = await DB.get('history',id);
+  const h  = await DB.entry(id);
   if (!h) return;
   const iso = document.getElementById('eExpiry').value;
   h.name       = document.getElementById('eName').value.trim();
@@ -573,7 +1686,7 @@ async function saveEdit() {
   h.rms        = document.getElementById('eRms').value.trim();
   h.supplier   = document.getElementById('eSupplier').value.trim();
   h.returnable = document.getElementById('eReturnable').value;
-  await DB.put('history',h);
+  await DB.saveEntry(h, { overwrite:true });
   closeEditModal();
   await refreshAll();
   toast('Saved','ok');
@@ -583,11 +1696,71 @@ function closeEditModal() { document.getElementById('editModal').classList.add('
 
 async function delItem(id) {
   if (!confirm('Delete this item?')) return;
-  await DB.del('history',id);
+  const h = await DB.entry(id);
+  await DB.deleteUnit(id);
+  // A serialised pack saved by mistake goes back to "received", so scanning it again is not a duplicate
+  if (h && h.serial) await DB.recordSerial(h, 'removed', { unitId:id });
   await refreshAll();
   toast('Deleted');
 }
 
+// ════════════════════════════════════════
+// STOCK MOVEMENTS  (receive / dispense / return / destroy / transfer / adjust one lot at one location)
+// ════════════════════════════════════════
+async function openMove(i) {
+  const b = S.lots[i];
+  if (!b) return;
+  S.move = b;
+  document.getElementById('mvLot').innerHTML = `<b>${esc(b.name)}</b> · GTIN ${b.gtin} · Batch ${esc(b.batch)||'—'} · Exp ${b.expiryISO||'—'}<br>On hand: ${onHandText(b)}`
+    + (whereText(b) ? `<br>📍 ${esc(whereText(b))}` : '');
+  // The inbound leg of a transfer is written by the transfer itself
+  document.getElementById('mvType').innerHTML = Object.entries(Ledger.TYPES).filter(([k]) => k !== 'transferIn').map(([k,t]) => `<option value="${k}">${t.label}</option>`).join('');
+  document.getElementById('mvType').value = 'dispense';
+  // From: the current location when the lot is there, else where most of it is
+  const held = Object.keys(b.at||{}).filter(l => b.at[l] > 0).sort((x, y) => b.at[y] - b.at[x]);
+  document.getElementById('mvFrom').innerHTML = locationOptions('No location', (b.at||{})[S.location] > 0 ? S.location : held[0] || S.location);
+  document.getElementById('mvTo').innerHTML   = locationOptions('Out of our stock (another pharmacy)');
+  document.getElementById('mvQty').value  = '';
+  document.getElementById('mvNote').value = '';
+  moveTypeChanged();
+  const mvs = (await DB.movements(b.lot)).sort((a,b)=>b.ts-a.ts);
+  document.getElementById('mvHistory').innerHTML = mvs.map(m => `<div class="mv-row">
+    <span>${new Date(m.ts).toLocaleString()}</span><span>${Ledger.TYPES[m.type]?.label||m.type}</span>
+    <b>${m.units > 0 ? '+' : ''}${m.units}</b><span>${m.location ? esc(locationName(m.location)) : ''}</span><span>${esc(m.note)}</span></div>`).join('');
+  document.getElementById('moveModal').classList.remove('hidden');
+}
+
+// Adjust is entered as the counted quantity at the location; everything else as units moved
+function moveTypeChanged() {
+  const type = document.getElementById('mvType').value, adjust = type === 'adjust';
+  document.getElementById('mvQtyLabel').textContent = adjust ? 'Counted on hand (units)' : 'Units';
+  document.getElementById('mvToRow').classList.toggle('hidden', type !== 'transfer');
+  if (adjust) document.getElementById('mvQty').value = (S.move.at||{})[document.getElementById('mvFrom').value] || 0;
+}
+
+async function saveMove() {
+  const b = S.move;
+  if (!b) return;
+  const type = document.getElementById('mvType').value;
+  const n = parseInt(document.getElementById('mvQty').value);
+  if (!(n >= 0)) { toast('Enter a quantity','warn'); return; }
+  const from = document.getElementById('mvFrom').value, to = document.getElementById('mvTo').value;
+  const here = (b.at||{})[from] || 0;
+  if (type === 'adjust' && n === here) { toast('Count matches the balance — nothing to adjust'); return; }
+  if (type === 'transfer' && to && to === from) { toast('Pick a different location to transfer to','warn'); return; }
+  if (Ledger.TYPES[type].sign < 0 && n > here && !confirm(`Only ${here} on hand at ${locationName(from)} — record ${n} anyway?`)) return;
+  const extra = { perPack:b.perPack, location:from, note:document.getElementById('mvNote').value.trim() };
+  let ms;
+  try { ms = type === 'transfer' && to ? Ledger.transfer(b, n, from, to, extra) : [Ledger.movement(type, b, type === 'adjust' ? n - here : n, extra)]; }
+  catch(e) { toast(e.message,'warn'); return; }
+  const onHand = await DB.addMovement(ms);
+  closeMoveModal();
+  await refreshAll();
+  toast(type === 'transfer' && to ? `${n} units moved to ${locationName(to)}` : `${Ledger.TYPES[type].label} recorded — ${onHand} on hand`,'ok');
+}
+
+function closeMoveModal() { document.getElementById('moveModal').classList.add('hidden'); S.move = null; }
+
 // ════════════════════════════════════════
 // NAVIGATION
 // ════════════════════════════════════════
@@ -599,43 +1772,107 @@ function showPage(id) {
 }
 
 // ════════════════════════════════════════
-// CAMERA
+// CAMERA  (decoding in pharmascan-camera.js: BarcodeDetector, else the self-hosted zxing-wasm build)
 // ════════════════════════════════════════
 async function toggleCam() {
   S.camActive ? stopCam() : startCam();
 }
 
+/** The decoder picked on the Master page (setting 'decoder'), made on first use. */
+async function camDecoder() {
+  if (!S.decoder) S.decoder = await PharmaCamera.decoder({ prefer:await DB.getSetting('decoder','auto') });
+  document.getElementById('decoderInfo').textContent = S.decoder.name==='native' ? 'Using the browser\'s barcode detector' : 'Using the bundled WASM decoder';
+  return S.decoder;
+}
+
+/** codes: everything seen within PAIR_MS of the first read — one code, or a pack's EAN and GS1 codes to merge. */
+async function camRead(codes) {
+  const raw = codes.length > 1 ? codes.map(c => c.text) : codes[0].text;
+  // Counting and rapid receiving keep the camera running; the scanner already drops the same code seen again within CAM_REPEAT_MS
+  if (S.mode === 'count' || S.mode === 'receive' && S.rapid) { await onBarcode(raw); return; }
+  await stopCam(); document.getElementById('barcodeInput').value=codes[0].text; await onBarcode(raw);
+}
+
 async function startCam() {
   const readerEl = document.getElementById('reader');
   readerEl.classList.remove('hidden');
   try {
-    S.camInstance = new Html5Qrcode('reader');
-    const cams = await Html5Qrcode.getCameras();
-    if (!cams.length) { toast('No camera found','error'); return; }
-    const back = cams.find(c=>/(back|rear|environment)/i.test(c.label)) || cams[0];
-    await S.camInstance.start(back.id,
-      { fps:10, qrbox:{width:250,height:250}, formatsToSupport:[
-        Html5QrcodeSupportedFormats.CODE_128, Html5QrcodeSupportedFormats.EAN_13,
-        Html5QrcodeSupportedFormats.EAN_8,    Html5QrcodeSupportedFormats.QR_CODE,
-        Html5QrcodeSupportedFormats.DATA_MATRIX, Html5QrcodeSupportedFormats.UPC_A
-      ]},
-      async txt => { await stopCam(); document.getElementById('barcodeInput').value=txt; await onBarcode(txt); },
-      ()=>{}
-    );
+    S.camInstance = PharmaCamera.createScanner({ video:document.getElementById('camVideo'), decoder:await camDecoder(),
+                                                 roi:S.camera.roi, repeatMs:CFG.CAM_REPEAT_MS, collectMs:CFG.PAIR_MS, onCodes:camRead });
+    // A saved camera that is gone (unplugged, permissions reset) falls back to the back camera
+    await S.camInstance.start(S.camera.deviceId).catch(e => { if (!S.camera.deviceId) throw e; S.camera.deviceId = ''; return S.camInstance.start(); });
     S.camActive=true;
     document.getElementById('btnCam').style.background='var(--danger)';
     document.getElementById('btnCam').style.color='#fff';
-  } catch(e) { toast('Camera error: '+e.message,'error'); readerEl.classList.add('hidden'); }
+    renderCamControls();
+  } catch(e) { toast('Camera error: '+e.message,'error'); readerEl.classList.add('hidden'); S.camInstance=null; }
 }
 
 async function stopCam() {
-  if (S.camInstance) { try{ await S.camInstance.stop(); S.camInstance.clear(); }catch{} S.camInstance=null; }
+  if (S.camInstance) { S.camInstance.stop(); S.camInstance=null; }
   S.camActive=false;
   document.getElementById('reader').classList.add('hidden');
   document.getElementById('btnCam').style.background='';
   document.getElementById('btnCam').style.color='';
 }
 
+function renderCamControls() {
+  const cam = S.camInstance, { size, scale } = S.camera.roi;
+  const torch = document.getElementById('btnTorch');
+  torch.classList.toggle('hidden', !cam || !cam.hasTorch());
+  torch.textContent = cam && cam.torchOn ? 'Torch Off' : 'Torch On';
+  document.getElementById('camRoi').value = Math.round(size*100);
+  document.getElementById('camZoom').value = scale;
+  // The box marks the part of the picture that is decoded
+  const v = document.getElementById('camVideo'), box = document.getElementById('camBox');
+  const w = v.videoWidth||1, h = v.videoHeight||1, side = size*Math.min(w,h);
+  box.style.width = `${side/w*100}%`;
+  box.style.height = `${side/h*100}%`;
+}
+
+async function toggleTorch() {
+  if (!S.camInstance) return;
+  try { await S.camInstance.torch(); } catch(e) { toast(e.message,'warn'); }
+  renderCamControls();
+}
+
+async function switchCam() {
+  if (!S.camInstance) return;
+  const before = S.camInstance.deviceId;
+  try { S.camera.deviceId = await S.camInstance.switchCamera(); }
+  catch(e) { toast('Camera error: '+e.message,'error'); await stopCam(); return; }
+  if (S.camera.deviceId === before) toast('No other camera on this device','warn');
+  await DB.setSetting('camera', S.camera);
+  renderCamControls();
+}
+
+/** Decoded area and zoom: a small box zoomed 2–3× reads the tiny DataMatrix on vials and ampoules. */
+async function setCamROI() {
+  const roi = { size:document.getElementById('camRoi').value/100, scale:+document.getElementById('camZoom').value };
+  S.camera.roi = S.camInstance ? S.camInstance.setROI(roi) : roi;
+  await DB.setSetting('camera', S.camera);
+  renderCamControls();
+}
+
+/** A photo or saved picture, for devices without a usable live camera. */
+async function scanImageFile(file) {
+  try {
+    const found = await PharmaCamera.decodeImage(file, await camDecoder());
+    if (!found.length) { toast('No barcode found in the picture — try a closer, sharper shot','warn'); return; }
+    // A pack often shows an EAN next to its DataMatrix: every code in the picture is merged into one scan
+    document.getElementById('barcodeInput').value = found[0].text;
+    await onBarcode(found.length > 1 ? found.map(f => f.text) : found[0].text);
+  } catch(e) { toast('Image scan failed: '+e.message,'error'); }
+}
+
+async function setDecoder(prefer) {
+  await DB.setSetting('decoder', prefer);
+  S.decoder = null;
+  if (S.camActive) await stopCam();
+  try { await camDecoder(); toast('Barcode decoder changed','ok'); }
+  catch(e) { document.getElementById('decoderInfo').textContent = e.message; toast(e.message,'error'); }
+}
+
 // ════════════════════════════════════════
 // UTILITIES
 // ════════════════════════════════════════
@@ -648,8 +1885,34 @@ function toast(msg, type='info') {
 }
 function showLoading(t='Loading...') { document.getElementById('loadingText').textContent=t; document.getElementById('loading').classList.remove('hidden'); }
 function hideLoading() { document.getElementById('loading').classList.add('hidden'); }
+// Rapid-scan outcomes, told apart by ear and by hand: tones as [Hz, ms], buzz as a vibrate() pattern
+const FEEDBACK = {
+  saved:       { tones:[[1760,70]],                   buzz:[25] },
+  duplicate:   { tones:[[1760,50],[1760,50]],         buzz:[20,60,20] },
+  unknown:     { tones:[[330,300]],                   buzz:[300] },
+  needsExpiry: { tones:[[880,90],[660,90],[440,120]], buzz:[60,40,60,40,60] }
+};
+function feedback(kind) {
+  const f = FEEDBACK[kind];
+  if (!f) return;
+  if (navigator.vibrate) navigator.vibrate(f.buzz);
+  const AC = window.AudioContext || window.webkitAudioContext;
+  if (!AC) return;
+  try {
+    const ac = S.audio || (S.audio = new AC());
+    let t = ac.currentTime;
+    for (const [hz, ms] of f.tones) {
+      const o = ac.createOscillator(), g = ac.createGain();
+      o.frequency.value = hz; g.gain.value = 0.2;
+      o.connect(g); g.connect(ac.destination);
+      o.start(t); o.stop(t + ms/1000);
+      t += ms/1000 + 0.05;
+    }
+  } catch(e) { console.warn('Scan tone:', e); }
+}
 function vibrate(t='light') { if(!navigator.vibrate)return; ({light:[10],medium:[30],success:[30,50,30],error:[100,50,100]})[t]&&navigator.vibrate(({light:[10],medium:[30],success:[30,50,30],error:[100,50,100]})[t]); }
 function esc(s) { return String(s||'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+function isoDay(d) { return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`; }
 function fmtDate(d) { return `${d.getFullYear()}${String(d.getMonth()+1).padStart(2,'0')}${String(d.getDate()).padStart(2,'0')}`; }
 function dlFile(content,name,mime) { const a=Object.assign(document.createElement('a'),{href:URL.createObjectURL(new Blob([content],{type:mime})),download:name}); document.body.appendChild(a); a.click(); document.body.removeChild(a); }
 
@@ -666,6 +1929,12 @@ function setupEvents() {
 
   // Camera
   document.getElementById('btnCam').addEventListener('click', toggleCam);
+  document.getElementById('btnTorch').addEventListener('click', toggleTorch);
+  document.getElementById('btnSwitchCam').addEventListener('click', switchCam);
+  ['camRoi','camZoom'].forEach(id => document.getElementById(id).addEventListener('change', setCamROI));
+  document.getElementById('scanFile').addEventListener('change', e=>{ if(e.target.files[0]){scanImageFile(e.target.files[0]); e.target.value='';} });
+  document.getElementById('camVideo').addEventListener('loadedmetadata', renderCamControls);
+  document.getElementById('decoderPref').addEventListener('change', e=>setDecoder(e.target.value));
 
   // Product panel
   document.getElementById('btnSave').addEventListener('click', saveCurrentEntry);
@@ -688,6 +1957,11 @@ function setupEvents() {
     if (e.key==='Enter') { e.preventDefault(); document.getElementById('btnSave').click(); }
   });
 
+  // Dispense mode: re-check FEFO as batch / expiry / course length are corrected
+  document.querySelectorAll('#scanMode button').forEach(b=>b.addEventListener('click',()=>setScanMode(b.dataset.mode)));
+  document.getElementById('rapidMode').addEventListener('change', e=>setRapid(e.target.checked));
+  ['ppBatch','ppExpiry','ppCourse'].forEach(id => document.getElementById(id).addEventListener('change', () => { if (S.mode==='dispense') renderFefo(); }));
+
   // Nav
   document.querySelectorAll('.bnav-btn').forEach(b=>b.addEventListener('click',()=>showPage(b.dataset.page)));
 
@@ -699,20 +1973,42 @@ function setupEvents() {
     refreshHistory();
   }));
 
+  // History: scans or stock on hand
+  document.querySelectorAll('#historyView button').forEach(b=>b.addEventListener('click',()=>setHistoryView(b.dataset.view)));
+  document.getElementById('mvType').addEventListener('change', moveTypeChanged);
+  document.getElementById('mvFrom').addEventListener('change', moveTypeChanged);
+
+  // Locations: where scans happen now, and what History / counters / exports show
+  document.getElementById('curLocation').addEventListener('change', e=>setLocation(e.target.value));
+  document.getElementById('locFilter').addEventListener('change', e=>setLocFilter(e.target.value));
+
   // Search
   document.getElementById('searchInput').addEventListener('input', e=>{ S.search=e.target.value; refreshHistory(); });
+  document.getElementById('ppSearch').addEventListener('input', ()=>productSearch('pp'));
+  document.getElementById('eSearch').addEventListener('input', ()=>productSearch('e'));
 
   // Master file inputs
   document.getElementById('fileMaster').addEventListener('change', e=>{ if(e.target.files[0]){uploadMaster(e.target.files[0],false); e.target.value='';} });
+  document.getElementById('aliasSearch').addEventListener('change', e=>findMasterProduct(e.target.value));
   document.getElementById('fileAppend').addEventListener('change', e=>{ if(e.target.files[0]){uploadMaster(e.target.files[0],true); e.target.value='';} });
+  document.getElementById('fileRecalls').addEventListener('change', e=>{ if(e.target.files[0]){importRecalls(e.target.files[0]); e.target.value='';} });
   document.getElementById('fileRestore').addEventListener('change', e=>{ if(e.target.files[0]){restoreBackup(e.target.files[0]); e.target.value='';} });
 
+  // Scanner FNC1 substitute
+  const fc = document.getElementById('fnc1Char');
+  fc.value = S.fnc1;
+  fc.addEventListener('change', async () => { S.fnc1 = fc.value; await DB.setSetting('fnc1', S.fnc1); toast('Scanner setting saved','ok'); });
+
+  // Pack verification: queued packs go out as soon as the connection is back
+  document.getElementById('verifyUrl').addEventListener('change', saveVerifyUrl);
+  window.addEventListener('online', flushVerify);
+
   // Modal backdrop
   document.getElementById('editModal').addEventListener('click', e=>{ if(e.target.id==='editModal')closeEditModal(); });
 
   // Keyboard shortcut: Escape closes panel / modal
   document.addEventListener('keydown', e => {
-    if (e.key==='Escape') { closeProductPanel(); closeEditModal(); }
+    if (e.key==='Escape') { closeProductPanel(); closeEditModal(); if (S.import) closeImportModal(); if (S.move) closeMoveModal(); }
   });
 }
 
@@ -723,9 +2019,29 @@ async function init() {
   console.log('🚀 PharmaScan', CFG.VER);
   try {
     await DB.init();
+    const imported = await PharmaDB.importLegacy(S.db).catch(e => { console.error('PharmacyDB import:', e); return null; });
+    if (imported) toast(`Imported ${imported.units} units and ${imported.products} products from the old inventory`,'ok');
+    S.fnc1 = await DB.getSetting('fnc1','');
+    Policy.use(await DB.getSetting('expiryPolicy', []));
+    S.recalls = await DB.getAll('recalls');
+    S.locations = await DB.getAll('locations');
+    S.location = await DB.getSetting('location', '');
+    S.count = await DB.getSetting('stockTake', null);
+    S.countReport = await DB.getSetting('stockTakeReport', null);
+    S.review = await DB.getSetting('rapidReview', []);
+    S.camera = { ...S.camera, ...await DB.getSetting('camera', {}) };
+    document.getElementById('decoderPref').value = await DB.getSetting('decoder', 'auto');
+    const cat = await syncBuiltInMaster().catch(e => { console.error('Master catalogue:', e); return null; });
+    if (cat) toast(cat.from ? `Product catalogue updated to v${cat.to}: ${cat.added.length} added, ${cat.changed.length} changed, ${cat.removed.length} removed`
+                            : `Loaded ${cat.added.length} built-in products`,'ok');
     await refreshMasterCount();
     await refreshAll();
+    renderPolicy();
+    renderLocations();
+    await setRapid(await DB.getSetting('rapid', false));
+    await setupVerifier();
     setupEvents();
+    flushVerify();
 
     setTimeout(()=>{
       document.getElementById('splash').classList.add('out');
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * MOCK VERIFICATION SERVER
+ * A stand-in pack repository for developing and testing pack verification without a national
+ * system. Speaks the protocol of PharmaVerify.httpAdapter; state lives in memory only.
+ *
+ *   POST /verify        { gtin, serial, batch, expiry }  →  { status, reason }   (404: unknown pack)
+ *   POST /decommission  { gtin, serial, reason }         →  marks a pack decommissioned
+ *   GET  /packs                                          →  the repository as JSON
+ *   GET  /health                                         →  { ok: true }
+ *
+ * Point the app's "Pack verification service" at http://localhost:8787/verify.
+ */
+
+const fs   = require('fs');
+const http = require('http');
+const PharmaVerify = require('../pharmascan-verify.js');
+
+const USAGE = `Usage: pharmascan-mock-verify [options]
+
+Options:
+  -P, --port <n>          port to listen on (default 8787)
+  -d, --data <file>       repository JSON: {"<gtin>|<serial>": {batch, expiry, status, reason}}
+                          (default: a few sample packs)
+      --latency <ms>      delay every answer, to rehearse slow networks
+      --fail-rate <0..1>  share of requests answered 503, to rehearse retries and the offline queue
+  -h, --help              show this help`;
+
+// Expiry as YYYY-MM-DD; status ACTIVE or DECOMMISSIONED
+const SAMPLE = {
+  '06291100080045|SN1001':  { batch:'L2301', expiry:'2027-06-30', status:'ACTIVE' },
+  '06291100080045|SN1002':  { batch:'L2301', expiry:'2027-06-30', status:'DECOMMISSIONED', reason:'Supplied to a patient' },
+  '06291100080045|SN1003':  { batch:'L2301', expiry:'2027-06-30', status:'DECOMMISSIONED', reason:'Stolen' },
+  '04015630982110|ACC0001': { batch:'AC22',  expiry:'2026-12-31', status:'ACTIVE' }
+};
+
+// ════════════════════════════════════════
+// ARGUMENTS
+// ════════════════════════════════════════
+function parseArgs(argv) {
+  const opts = { port:8787, data:'', latency:0, failRate:0 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === '-h' || a === '--help')      opts.help = true;
+    else if (a === '-P' || a === '--port') opts.port = parseInt(value());
+    else if (a === '-d' || a === '--data') opts.data = value();
+    else if (a === '--latency')            opts.latency = parseInt(value());
+    else if (a === '--fail-rate')          opts.failRate = parseFloat(value());
+    else throw new Error(`Unknown option ${a}`);
+  }
+  if (!(opts.port >= 0 && opts.port < 65536)) throw new Error('Port must be 0–65535');
+  if (!(opts.latency >= 0)) throw new Error('Latency must be a number of milliseconds');
+  if (!(opts.failRate >= 0 && opts.failRate <= 1)) throw new Error('Fail rate must be between 0 and 1');
+  return opts;
+}
+
+// ════════════════════════════════════════
+// SERVER
+// ════════════════════════════════════════
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let s = '';
+    req.on('data', c => { s += c; if (s.length > 1e5) req.destroy(); });
+    req.on('end', () => { try { resolve(s ? JSON.parse(s) : {}); } catch(e) { reject(new Error('Body is not JSON')); } });
+    req.on('error', reject);
+  });
+}
+
+function createServer(packs, { latency=0, failRate=0, log=() => {} }={}) {
+  const send = (res, code, body) => {
+    res.writeHead(code, { 'Content-Type':'application/json', 'Access-Control-Allow-Origin':'*',
+                          'Access-Control-Allow-Methods':'GET, POST, OPTIONS', 'Access-Control-Allow-Headers':'Content-Type, Authorization' });
+    res.end(JSON.stringify(body));
+  };
+
+  return http.createServer(async (req, res) => {
+    const route = `${req.method} ${req.url.split('?')[0]}`;
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+    if (latency) await new Promise(r => setTimeout(r, latency));
+    if (failRate && Math.random() < failRate) { log(`${route} → 503 (simulated)`); return send(res, 503, { error:'Simulated outage' }); }
+    try {
+      if (route === 'GET /health') return send(res, 200, { ok:true, packs:Object.keys(packs).length });
+      if (route === 'GET /packs')  return send(res, 200, packs);
+      if (route === 'POST /verify') {
+        const b = await readBody(req);
+        if (!b.gtin || !b.serial) return send(res, 400, { error:'gtin and serial are required' });
+        const r = PharmaVerify.lookup(packs, { gtin:b.gtin, serial:b.serial, batch:b.batch, expiryISO:b.expiry });
+        log(`${route} ${b.gtin} ${b.serial} → ${r.status}${r.reason ? ` (${r.reason})` : ''}`);
+        return send(res, r.status === 'UNKNOWN' && !packs[`${b.gtin}|${b.serial}`] ? 404 : 200, r);
+      }
+      if (route === 'POST /decommission') {
+        const b = await readBody(req);
+        const p = packs[`${b.gtin}|${b.serial}`];
+        if (!p) return send(res, 404, { error:'Unknown pack' });
+        Object.assign(p, { status:'DECOMMISSIONED', reason:b.reason || 'Decommissioned' });
+        log(`${route} ${b.gtin} ${b.serial}`);
+        return send(res, 200, { ok:true });
+      }
+      send(res, 404, { error:`No route ${route}` });
+    } catch(e) { send(res, 400, { error:e.message }); }
+  });
+}
+
+// ════════════════════════════════════════
+// MAIN
+// ════════════════════════════════════════
+function main(argv) {
+  let opts;
+  try { opts = parseArgs(argv); }
+  catch(e) { process.stderr.write(`pharmascan-mock-verify: ${e.message}\n\n${USAGE}\n`); return 2; }
+  if (opts.help) { process.stdout.write(`${USAGE}\n`); return 0; }
+
+  let packs;
+  try { packs = opts.data ? JSON.parse(fs.readFileSync(opts.data, 'utf8')) : JSON.parse(JSON.stringify(SAMPLE)); }
+  catch(e) { process.stderr.write(`pharmascan-mock-verify: cannot read ${opts.data}: ${e.message}\n`); return 2; }
+
+  const server = createServer(packs, { ...opts, log:msg => process.stdout.write(`${new Date().toISOString()} ${msg}\n`) });
+  server.listen(opts.port, () => process.stdout.write(`Mock verification server on http://localhost:${server.address().port}/verify (${Object.keys(packs).length} packs)\n`));
+  server.on('error', e => { process.stderr.write(`pharmascan-mock-verify: ${e.message}\n`); process.exitCode = 2; });
+  return null;
+}
+
+if (require.main === module) {
+  const code = main(process.argv.slice(2));
+  if (code !== null) process.exitCode = code;
+} else {
+  module.exports = { createServer, SAMPLE };
+}
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * PHARMASCAN CLI
+ * Batch-process scanner dumps (one barcode per line) with the same parser the app uses.
+ *
+ *   pharmascan parse          [options] [file…]   parsed fields per barcode
+ *   pharmascan lookup         [options] [file…]   parsed fields + master product match
+ *   pharmascan validate-file  [options] [file…]   problems per barcode; exit 1 if any
+ *
+ * Reads stdin when no file (or "-") is given.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { GS1, Policy, Master } = require('../pharmascan-core.js');
+const MasterImport = require('../master-import.js');
+
+const USAGE = `Usage: pharmascan <parse|lookup|validate-file> [options] [file…]
+
+Options:
+  -f, --format <json|ndjson|csv>   output format (default json)
+  -m, --master <file>              master data CSV/TSV, XLSX, ODS or JSON
+                                   (default: built-in master-data.js)
+  -p, --policy <file>              expiry rules JSON, as saved by the app
+                                   ([{scope, match, state, days}], default: none)
+      --fnc1 <chars>               character the scanner sends in place of GS
+  -o, --output <file>              write to a file instead of stdout
+  -h, --help                       show this help
+
+Input is one barcode per line; blank lines are skipped.`;
+
+// ════════════════════════════════════════
+// ARGUMENTS
+// ════════════════════════════════════════
+function parseArgs(argv) {
+  const opts = { command:'', format:'json', master:'', policy:'', fnc1:'', output:'', files:[] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === '-h' || a === '--help')        opts.help = true;
+    else if (a === '-f' || a === '--format') opts.format = value();
+    else if (a === '-m' || a === '--master') opts.master = value();
+    else if (a === '-o' || a === '--output') opts.output = value();
+    else if (a === '-p' || a === '--policy') opts.policy = value();
+    else if (a === '--fnc1')                 opts.fnc1 = value();
+    else if (a.startsWith('-') && a !== '-') throw new Error(`Unknown option ${a}`);
+    else if (!opts.command)                  opts.command = a;
+    else                                     opts.files.push(a);
+  }
+  if (!['json','ndjson','csv'].includes(opts.format)) throw new Error(`Unknown format "${opts.format}"`);
+  return opts;
+}
+
+// ════════════════════════════════════════
+// INPUT
+// ════════════════════════════════════════
+/** [{source, line, raw}] from the given files, or stdin. */
+function readInput(files) {
+  const sources = files.length ? files : ['-'];
+  const out = [];
+  for (const f of sources) {
+    const text = fs.readFileSync(f === '-' ? 0 : f, 'utf8');
+    text.split(/\r?\n/).forEach((raw, i) => {
+      if (raw.trim()) out.push({ source: f === '-' ? 'stdin' : f, line:i+1, raw:raw.trim() });
+    });
+  }
+  return out;
+}
+
+/** Build the master index; spreadsheet rows go through the same mapping and checks as the app. */
+async function loadMaster(file) {
+  let items;
+  if (!file) items = Master.fromBuiltIn(require('../master-data.js').MASTER_DB);
+  else if (/\.json$/i.test(file)) {
+    items = JSON.parse(fs.readFileSync(file, 'utf8')).map(p => ({ barcode:p.barcode||p.b, name:p.name||p.n||'', rms:p.rms||p.r||'' }));
+  } else {
+    const { sheets } = await MasterImport.read(file, fs.readFileSync(file));
+    const rows = sheets[0] ? sheets[0].rows : [];
+    const mapping = MasterImport.guessMapping(rows);
+    if (mapping.barcode < 0) throw new Error(`${file}: no barcode column found`);
+    const res = MasterImport.toMaster(rows, mapping);
+    const { rows:n, imported, errors, warnings } = res.summary;
+    process.stderr.write(`master: ${imported} of ${n} rows loaded, ${errors} errors, ${warnings} warnings\n`);
+    for (const x of res.issues.slice(0, 20)) process.stderr.write(`  row ${x.row}: ${x.level} — ${x.issue}${x.barcode ? ` (${x.barcode})` : ''}\n`);
+    if (res.issues.length > 20) process.stderr.write(`  … ${res.issues.length - 20} more\n`);
+    items = res.items;
+  }
+  Master.build(items);
+  return items.length;
+}
+
+// ════════════════════════════════════════
+// COMMANDS
+// ════════════════════════════════════════
+/** Flat record shared by every command. */
+function parseRecord({ source, line, raw }, opts) {
+  const p = GS1.parse(raw, { fnc1:opts.fnc1 });
+  const v = p.validation;
+  return {
+    source, line, raw,
+    gtin:       p.gtin,
+    gtinValid:  v ? v.valid : false,
+    batch:      p.batch,
+    serial:     p.serial,
+    expiry:     p.expiryISO,
+    expirySource: p.expirySource,
+    qty:        p.qty,
+    isGS1:      p.isGS1,
+    symbology:  p.symbology,
+    ambiguous:  p.ambiguous,
+    issues:     [...(v ? v.issues : []), ...p.issues],
+    elements:   p.elements.map(({ ai, raw }) => ({ ai, raw })),
+    _parsed:    p
+  };
+}
+
+/** Everything that would make the app warn about this scan. */
+function problemsOf(rec) {
+  const p = rec._parsed, problems = [];
+  if (!p.gtin) problems.push(p.issues[0] || 'No GTIN found');
+  else if (!rec.gtinValid) problems.push(...p.validation.issues);
+  if (p.ambiguous) problems.push('GS separator lost — batch / serial split is a guess');
+  for (const el of p.elements) if (el.unknown) problems.push(`Unreadable data: ${el.raw}`);
+  for (const i of p.issues) if (!problems.includes(i)) problems.push(i);
+  return problems;
+}
+
+const COMMANDS = {
+  parse: {
+    columns: ['source','line','raw','gtin','gtinValid','batch','serial','expiry','expirySource','qty','symbology','ambiguous','issues'],
+    run: (recs) => recs
+  },
+  lookup: {
+    columns: ['source','line','raw','gtin','name','rms','match','candidates','batch','serial','expiry','status','daysLeft','qty','pack','perPack','units'],
+    master: true,
+    run: (recs) => recs.map(r => {
+      const m = Master.find(r.gtin);
+      // PARTIAL / AMBIGUOUS are guesses: list every product they could be
+      const candidates = ['PARTIAL','AMBIGUOUS'].includes(m.how) ? m.candidates.map(p => `${p.name} (RMS ${p.rms||'—'})`) : [];
+      // Cases / inners roll down to base units (perPack empty: contents not recorded)
+      const pack = m.pack || { level:'unit', perPack:1 };
+      const pol  = Policy.evaluate({ expiryISO:r.expiry, gtin:r.gtin, unitGtin:pack.unit, rms:m.rms, category:m.product && m.product.category });
+      return { ...r, name:m.name, rms:m.rms, match:m.how, candidates, status:pol.state, daysLeft:pol.daysLeft, pack:pack.level, perPack:pack.perPack,
+               units:pack.perPack ? r.qty * pack.perPack : null };
+    })
+  },
+  'validate-file': {
+    columns: ['source','line','raw','ok','gtin','problems'],
+    run: (recs) => recs.map(r => {
+      const problems = problemsOf(r);
+      return { source:r.source, line:r.line, raw:r.raw, ok:!problems.length, gtin:r.gtin, problems, _parsed:r._parsed };
+    })
+  }
+};
+
+// ════════════════════════════════════════
+// OUTPUT
+// ════════════════════════════════════════
+const strip = ({ _parsed, ...rec }) => rec;
+
+function csvCell(v) {
+  if (Array.isArray(v)) v = v.join('; ');
+  // GS is written as <GS> so the cell can be fed back to the parser (with --fnc1 '<GS>' when it starts with an AIM identifier)
+  return `"${String(v ?? '').replace(/\x1D/g,'<GS>').replace(/"/g,'""')}"`;
+}
+
+function format(rows, columns, fmt) {
+  if (fmt === 'ndjson') return rows.map(r => JSON.stringify(strip(r))).join('\n') + (rows.length ? '\n' : '');
+  if (fmt === 'csv')    return [columns.join(','), ...rows.map(r => columns.map(c => csvCell(r[c])).join(','))].join('\n') + '\n';
+  return JSON.stringify(rows.map(strip), null, 2) + '\n';
+}
+
+// ════════════════════════════════════════
+// MAIN
+// ════════════════════════════════════════
+async function main(argv) {
+  let opts;
+  try { opts = parseArgs(argv); }
+  catch(e) { process.stderr.write(`pharmascan: ${e.message}\n\n${USAGE}\n`); return 2; }
+
+  const cmd = COMMANDS[opts.command];
+  if (opts.help || !cmd) {
+    if (!opts.help) process.stderr.write(opts.command ? `pharmascan: unknown command "${opts.command}"\n\n` : '');
+    (opts.help ? process.stdout : process.stderr).write(USAGE + '\n');
+    return opts.help ? 0 : 2;
+  }
+  if (!opts.files.length && process.stdin.isTTY) { process.stderr.write(`pharmascan: no input — pass files or pipe barcodes on stdin\n`); return 2; }
+
+  try {
+    if (cmd.master) await loadMaster(opts.master);
+    if (opts.policy) Policy.use(JSON.parse(fs.readFileSync(opts.policy, 'utf8')));
+    const rows = cmd.run(readInput(opts.files).map(r => parseRecord(r, opts)));
+    const text = format(rows, cmd.columns, opts.format);
+    if (opts.output) fs.writeFileSync(opts.output, text);
+    else process.stdout.write(text);
+
+    if (opts.command === 'validate-file') {
+      const bad = rows.filter(r => !r.ok).length;
+      process.stderr.write(`${rows.length} barcodes, ${bad} with problems\n`);
+      return bad ? 1 : 0;
+    }
+    return 0;
+  } catch(e) {
+    process.stderr.write(`pharmascan: ${e.code === 'ENOENT' ? `cannot read ${path.relative('.', e.path)}` : e.message}\n`);
+    return 2;
+  }
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
@@ -3,255 +3,27 @@
  * Supports: GS1 GTIN-14, Legacy 12-digit, EAN-13, and Full GS1 tracking
  */
 
-class UnifiedBarcodeParser {
-  constructor() {
-    this.aiPatterns = {
-      '01': { name: 'GTIN', length: 14 },
-      '17': { name: 'EXPIRY', length: 6 },
-      '10': { name: 'BATCH', variable: true },
-      '21': { name: 'SERIAL', variable: true },
-      '11': { name: 'PROD_DATE', length: 6 },
-      '310': { name: 'NET_WEIGHT', length: 6 },
-      '37': { name: 'COUNT', variable: true }
-    };
-  }
-
-  /**
-   * Detect barcode format based on structure
-   */
-  detectFormat(barcode) {
-    const cleaned = barcode.replace(/[^0-9]/g, '');
-    
-    // GS1 with parentheses
-    if (barcode.includes('(01)')) {
-      return 'GS1_PARENTHESIZED';
-    }
-    
-    // GS1 without parentheses (starts with 01 and has tracking data)
-    if (barcode.startsWith('01') && barcode.length > 16) {
-      if (barcode.includes('17') || barcode.includes('21') || barcode.includes('10')) {
-        return 'GS1_FULL';
-      }
-    }
-    
-    // Standard formats
-    if (cleaned.length === 14) return 'GTIN14';
-    if (cleaned.length === 13) return 'EAN13';
-    if (cleaned.length === 12) return 'LEGACY12';
-    if (cleaned.length === 8) return 'EAN8';
-    
-    return 'UNKNOWN';
-  }
-
-  /**
-   * Parse GS1 barcode with parentheses: (01)GTIN(17)EXPIRY(10)BATCH(21)SERIAL
-   */
-  parseParenthesized(barcode) {
-    const data = {
-      format: 'GS1_PARENTHESIZED',
-      raw: barcode
-    };
-
-    // Extract GTIN
-    const gtinMatch = barcode.match(/\(01\)(\d{14})/);
-    if (gtinMatch) data.gtin = gtinMatch[1];
-
-    // Extract Expiry Date
-    const expiryMatch = barcode.match(/\(17\)(\d{6})/);
-    if (expiryMatch) {
-      data.expiryRaw = expiryMatch[1];
-      data.expiry = this.formatExpiry(expiryMatch[1]);
-    }
-
-    // Extract Batch Number
-    const batchMatch = barcode.match(/\(10\)([^(]+)/);
-    if (batchMatch) data.batch = batchMatch[1].trim();
-
-    // Extract Serial Number
-    const serialMatch = barcode.match(/\(21\)([^(]+)/);
-    if (serialMatch) data.serial = serialMatch[1].trim();
-
-    // Extract Production Date
-    const prodDateMatch = barcode.match(/\(11\)(\d{6})/);
-    if (prodDateMatch) {
-      data.productionDateRaw = prodDateMatch[1];
-      data.productionDate = this.formatExpiry(prodDateMatch[1]);
-    }
-
-    return data;
-  }
-
-  /**
-   * Parse GS1 barcode without parentheses: 01GTIN17EXPIRY10BATCH21SERIAL
-   */
-  parseNonParenthesized(barcode) {
-    const data = {
-      format: 'GS1_FULL',
-      raw: barcode
-    };
-
-    // Extract GTIN (always first 16 chars: 01 + 14 digits)
-    if (barcode.startsWith('01')) {
-      data.gtin = barcode.substring(2, 16);
-    }
-
-    const remaining = barcode.substring(16);
-
-    // Extract Expiry (17YYMMDD)
-    const expiryMatch = remaining.match(/17(\d{6})/);
-    if (expiryMatch) {
-      data.expiryRaw = expiryMatch[1];
-      data.expiry = this.formatExpiry(expiryMatch[1]);
-    }
-
-    // Extract Batch (10BATCH - variable length until next AI)
-    const batchMatch = remaining.match(/10([A-Z0-9\-_/]+?)(?:17|21|11|24|01|$)/);
-    if (batchMatch) data.batch = batchMatch[1];
-
-    // Extract Serial (21SERIAL - variable length until next AI)
-    const serialMatch = remaining.match(/21([A-Z0-9]+?)(?:17|10|11|24|01|$)/);
-    if (serialMatch) data.serial = serialMatch[1];
-
-    // Extract Production Date (11YYMMDD)
-    const prodDateMatch = remaining.match(/11(\d{6})/);
-    if (prodDateMatch) {
-      data.productionDateRaw = prodDateMatch[1];
-      data.productionDate = this.formatExpiry(prodDateMatch[1]);
-    }
-
-    return data;
-  }
-
-  /**
-   * Parse simple barcode formats (GTIN14, EAN13, Legacy12)
-   */
-  parseSimple(barcode, format) {
-    const cleaned = barcode.replace(/[^0-9]/g, '');
-    
-    return {
-      format: format,
-      raw: barcode,
-      code: cleaned,
-      gtin: format === 'GTIN14' ? cleaned : null,
-      ean13: format === 'EAN13' ? cleaned : null,
-      legacy: format === 'LEGACY12' ? cleaned : null
-    };
-  }
-
-  /**
-   * Main parse function - handles all formats
-   */
-  parse(barcode) {
-    if (!barcode || barcode.trim().length === 0) {
-      return { error: 'Empty barcode' };
-    }
-
-    const format = this.detectFormat(barcode);
-
-    try {
-      switch (format) {
-        case 'GS1_PARENTHESIZED':
-          return this.parseParenthesized(barcode);
-        
-        case 'GS1_FULL':
-          return this.parseNonParenthesized(barcode);
-        
-        case 'GTIN14':
-        case 'EAN13':
-        case 'LEGACY12':
-        case 'EAN8':
-          return this.parseSimple(barcode, format);
-        
-        default:
-          return {
-            format: 'UNKNOWN',
-            raw: barcode,
-            error: 'Unrecognized barcode format'
-          };
-      }
-    } catch (error) {
-      return {
-        format: 'ERROR',
-        raw: barcode,
-        error: error.message
-      };
-    }
-  }
-
-  /**
-   * Format expiry date from YYMMDD to YYYY-MM-DD
-   */
-  formatExpiry(yymmdd) {
-    if (!yymmdd || yymmdd.length !== 6) return null;
-    
-    const yy = yymmdd.substring(0, 2);
-    const mm = yymmdd.substring(2, 4);
-    const dd = yymmdd.substring(4, 6);
-    
-    // Assume 20XX for years
-    const year = `20${yy}`;
-    
-    return `${year}-${mm}-${dd}`;
-  }
-
-  /**
-   * Get product identifier from parsed data
-   */
-  getProductId(parsedData) {
-    if (parsedData.gtin) return parsedData.gtin;
-    if (parsedData.code) return parsedData.code;
-    if (parsedData.ean13) return parsedData.ean13;
-    if (parsedData.legacy) return parsedData.legacy;
-    return null;
-  }
-}
+// Shared parser and data model — globals when loaded via <script>, modules under Node
+const { UnifiedBarcodeParser, Schema, GS1, Policy } = typeof PharmaCore !== 'undefined' ? PharmaCore : require('./pharmascan-core.js');
+const Store = typeof PharmaDB !== 'undefined' ? PharmaDB : require('./pharmascan-db.js');
+const Camera = typeof PharmaCamera !== 'undefined' ? PharmaCamera : require('./pharmascan-camera.js');
 
+/**
+ * Thin wrapper over the shared PharmaScanDB (pharmascan-db.js) — the same products,
+ * units and aliases app.js uses. The old PharmacyDB is imported once on first run.
+ */
 class PharmacyDatabase {
   constructor() {
-    this.dbName = 'PharmacyDB';
-    this.version = 2;
     this.db = null;
   }
 
   async init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.version);
-
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
-      };
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        // Products table
-        if (!db.objectStoreNames.contains('products')) {
-          const productsStore = db.createObjectStore('products', { keyPath: 'product_id' });
-          productsStore.createIndex('gtin', 'gtin_14', { unique: false });
-          productsStore.createIndex('legacy', 'legacy_code', { unique: false });
-          productsStore.createIndex('ean13', 'ean_13', { unique: false });
-          productsStore.createIndex('name', 'product_name', { unique: false });
-        }
-
-        // Inventory units table
-        if (!db.objectStoreNames.contains('inventory_units')) {
-          const unitsStore = db.createObjectStore('inventory_units', { keyPath: 'unit_id', autoIncrement: true });
-          unitsStore.createIndex('product_id', 'product_id', { unique: false });
-          unitsStore.createIndex('serial', 'serial_number', { unique: false });
-          unitsStore.createIndex('batch', 'batch_number', { unique: false });
-          unitsStore.createIndex('expiry', 'expiry_date', { unique: false });
-          unitsStore.createIndex('status', 'status', { unique: false });
-        }
-
-        // Barcode lookup table
-        if (!db.objectStoreNames.contains('barcode_lookup')) {
-          const lookupStore = db.createObjectStore('barcode_lookup', { keyPath: 'barcode_value' });
-          lookupStore.createIndex('product_id', 'product_id', { unique: false });
-        }
-      };
-    });
+    this.db = await Store.open();
+    const imported = await Store.importLegacy(this.db);
+    if (imported) console.log('Imported from PharmacyDB:', imported);
+    // Same expiry rules as app.js (Master page → Expiry policy)
+    Policy.use(await Store.setting(this.db, 'expiryPolicy', []));
+    return this.db;
   }
 
   async lookupProduct(barcode) {
@@ -261,48 +33,44 @@ class PharmacyDatabase {
 
     if (!productId) return null;
 
-    // Try barcode lookup table first
-    const lookupResult = await this.getByIndex('barcode_lookup', 'barcode_value', barcode);
-    if (lookupResult) {
-      const product = await this.get('products', lookupResult.product_id);
-      return { product, parsed };
-    }
-
-    // Try direct GTIN lookup
-    if (parsed.gtin) {
-      const byGtin = await this.getByIndex('products', 'gtin', parsed.gtin);
-      if (byGtin) return { product: byGtin, parsed };
-    }
-
-    // Try legacy code lookup
-    if (parsed.legacy) {
-      const byLegacy = await this.getByIndex('products', 'legacy', parsed.legacy);
-      if (byLegacy) return { product: byLegacy, parsed };
-    }
-
-    // Try EAN13 lookup
-    if (parsed.ean13) {
-      const byEan = await this.getByIndex('products', 'ean13', parsed.ean13);
-      if (byEan) return { product: byEan, parsed };
-    }
+    // Aliases cover GTIN-14, EAN-13 and legacy 12-digit codes
+    const product = await Store.findProduct(this.db, parsed.gtin14 || parsed.gtin || productId)
+      || await Store.findProduct(this.db, productId);
+    return product ? { product, parsed } : null;
+  }
 
-    return null;
+  /**
+   * Create a product with the aliases it was scanned under
+   */
+  async createProduct(product, parsed) {
+    return Store.saveProduct(this.db, product, Schema.aliasesFor(product.id, product.gtin, parsed.code));
   }
 
   async saveScannedUnit(productId, parsedData) {
-    const unit = {
-      product_id: productId,
-      serial_number: parsedData.serial || null,
-      batch_number: parsedData.batch || null,
-      expiry_date: parsedData.expiry || null,
-      production_date: parsedData.productionDate || null,
-      raw_barcode: parsedData.raw,
-      barcode_format: parsedData.format,
-      scan_timestamp: new Date().toISOString(),
-      status: 'IN_STOCK'
-    };
+    const expiry = parsedData.expiry || '';
+    const { unitId } = await Store.saveEntry(this.db, {
+      productId,
+      gtin: parsedData.gtin14 || parsedData.gtin || '',
+      batch: parsedData.batch || '',
+      serial: parsedData.serial || '',
+      expiry: parsedData.expiryRaw || '',
+      expiryISO: expiry,
+      expiryDisplay: expiry ? GS1.display(expiry) : '',
+      expirySource: parsedData.expirySource || '',
+      dates: parsedData.dates || {},
+      qty: 1,
+      raw: parsedData.raw,
+      format: parsedData.format,
+      symbology: parsedData.symbology || '',
+      elements: (parsedData.elements || []).filter(e => e.ai).map(({ ai, raw }) => ({ ai, raw })),
+      ts: Date.now()
+    });
+
+    return unitId;
+  }
 
-    return await this.add('inventory_units', unit);
+  async entries() {
+    return Store.entries(this.db);
   }
 
   async add(storeName, data) {
@@ -356,6 +124,8 @@ class EnhancedPharmacyUI {
     this.parser = new UnifiedBarcodeParser();
     this.database = new PharmacyDatabase();
     this.currentScan = null;
+    this.decoder = null;  // PharmaCamera decoder, made on the first camera scan
+    this.scanner = null;  // PharmaCamera scanner while the camera is open
     this.init();
   }
 
@@ -384,6 +154,16 @@ class EnhancedPharmacyUI {
       scanBtn.addEventListener('click', () => this.startCameraScan());
     }
 
+    // Camera controls (optional in the page)
+    const torchBtn = document.getElementById('torch-btn');
+    if (torchBtn) {
+      torchBtn.addEventListener('click', () => this.scanner && this.scanner.torch().catch(error => this.showError(error.message)));
+    }
+    const switchBtn = document.getElementById('switch-camera-btn');
+    if (switchBtn) {
+      switchBtn.addEventListener('click', () => this.scanner && this.scanner.switchCamera().catch(error => this.showError(error.message)));
+    }
+
     // Save button
     const saveBtn = document.getElementById('save-unit-btn');
     if (saveBtn) {
@@ -397,6 +177,9 @@ class EnhancedPharmacyUI {
       
       // Parse barcode
       const parsed = this.parser.parse(barcode);
+      if (parsed.validation && !parsed.validation.valid) {
+        this.showToast(`Invalid GTIN: ${parsed.validation.issues[0]}`, 'warning');
+      }
       
       // Lookup product
       const result = await this.database.lookupProduct(barcode);
@@ -421,21 +204,21 @@ class EnhancedPharmacyUI {
     const infoDiv = document.getElementById('product-info');
     if (!infoDiv) return;
 
-    const expiryStatus = this.calculateExpiryStatus(parsed.expiry);
+    const expiryStatus = this.calculateExpiryStatus({ expiryISO:parsed.expiry, productId:product.id, gtin:product.gtin, rms:product.rms, category:product.category });
     const expiryClass = expiryStatus.class;
     const expiryText = expiryStatus.text;
 
     infoDiv.innerHTML = `
       <div class="product-card animate-slide-in">
         <div class="product-header">
-          <h3>${product.product_name}</h3>
+          <h3>${product.name || Schema.UNKNOWN}</h3>
           <span class="format-badge ${parsed.format.toLowerCase()}">${parsed.format}</span>
         </div>
         
         <div class="product-details">
           <div class="detail-row">
             <span class="label">Product ID:</span>
-            <span class="value">${product.product_id}</span>
+            <span class="value">${product.id}</span>
           </div>
           
           ${parsed.gtin ? `
@@ -564,30 +347,18 @@ class EnhancedPharmacyUI {
       return;
     }
 
-    const productId = `PROD_${parsed.gtin || parsed.code || Date.now()}`;
-    
+    const gtin = parsed.gtin14 || parsed.gtin || '';
     const product = {
-      product_id: productId,
-      product_name: name,
-      gtin_14: parsed.gtin || null,
-      legacy_code: parsed.legacy || null,
-      ean_13: parsed.ean13 || null,
-      category: category,
-      barcode_type: parsed.format,
-      active: true,
-      created_date: new Date().toISOString()
+      id: Schema.productId(gtin || parsed.code),
+      gtin,
+      name,
+      rms: '',
+      category,
+      format: parsed.format
     };
 
     try {
-      await this.database.add('products', product);
-      
-      // Add to barcode lookup
-      await this.database.add('barcode_lookup', {
-        barcode_value: parsed.raw,
-        product_id: productId,
-        barcode_format: parsed.format,
-        is_primary: true
-      });
+      await this.database.createProduct(product, parsed);
 
       this.showSuccess('Product created successfully!');
       this.displayProductInfo(product, parsed);
@@ -605,7 +376,7 @@ class EnhancedPharmacyUI {
 
     try {
       const unitId = await this.database.saveScannedUnit(
-        this.currentScan.product.product_id,
+        this.currentScan.product.id,
         this.currentScan.parsed
       );
 
@@ -623,29 +394,27 @@ class EnhancedPharmacyUI {
     }
   }
 
-  calculateExpiryStatus(expiryDate) {
-    if (!expiryDate) {
-      return { class: '', text: '' };
-    }
+  /**
+   * Expiry badge from the shared policy (Policy in pharmascan-core.js), so both apps agree.
+   * item: an entry or { expiryISO, productId, gtin, rms, category, supplier }
+   */
+  calculateExpiryStatus(item) {
+    const policy = Policy.evaluate(item || {});
+    const CLASSES = { quarantine:'short-expiry', return:'short-expiry', discount:'short-expiry', expiring:'medium-expiry' };
 
-    const today = new Date();
-    const expiry = new Date(expiryDate);
-    const daysUntilExpiry = Math.ceil((expiry - today) / (1000 * 60 * 60 * 24));
-
-    if (daysUntilExpiry < 0) {
-      return { class: 'expired', text: '⚠️ Expired' };
-    } else if (daysUntilExpiry <= 30) {
-      return { class: 'short-expiry', text: `⏰ ${daysUntilExpiry} days left` };
-    } else if (daysUntilExpiry <= 90) {
-      return { class: 'medium-expiry', text: `📅 ${Math.ceil(daysUntilExpiry / 30)} months left` };
-    } else {
-      return { class: 'normal-expiry', text: '✓ Good' };
+    if (policy.state === 'unknown') {
+      return { class: '', text: '' };
+    } else if (policy.state === 'expired') {
+      return { class: 'expired', text: '⚠️ Expired', state: policy.state };
+    } else if (policy.state === 'ok') {
+      return { class: 'normal-expiry', text: '✓ Good', state: policy.state };
     }
+    return { class: `${CLASSES[policy.state]} policy-${policy.state}`, text: `⏰ ${policy.label} · ${policy.daysLeft} days left`, state: policy.state };
   }
 
   async loadHistory() {
     try {
-      const units = await this.database.getAll('inventory_units');
+      const units = await this.database.entries();
       this.renderHistoryTable(units);
     } catch (error) {
       console.error('Error loading history:', error);
@@ -662,22 +431,23 @@ class EnhancedPharmacyUI {
     }
 
     // Sort by scan timestamp (newest first)
-    units.sort((a, b) => new Date(b.scan_timestamp) - new Date(a.scan_timestamp));
+    units.sort((a, b) => b.ts - a.ts);
 
     tableBody.innerHTML = units.map(unit => {
-      const expiryStatus = this.calculateExpiryStatus(unit.expiry_date);
-      const scanDate = new Date(unit.scan_timestamp).toLocaleString();
+      const expiryStatus = this.calculateExpiryStatus(unit);
+      const scanDate = new Date(unit.ts).toLocaleString();
+      const format = unit.format || (unit.isGS1 ? 'GS1_FULL' : 'UNKNOWN');
 
       return `
-        <tr class="product-row ${expiryStatus.class}" data-expiry="${unit.expiry_date || ''}">
-          <td>${unit.product_id}</td>
-          <td class="code">${unit.serial_number || '-'}</td>
-          <td>${unit.batch_number || '-'}</td>
+        <tr class="product-row ${expiryStatus.class}" data-expiry="${unit.expiryISO || ''}">
+          <td>${unit.name}</td>
+          <td class="code">${unit.serial || '-'}</td>
+          <td>${unit.batch || '-'}</td>
           <td class="${expiryStatus.class}">
-            ${unit.expiry_date || '-'}
+            ${unit.expiryISO || '-'}
             ${expiryStatus.text ? `<span class="status-badge">${expiryStatus.text}</span>` : ''}
           </td>
-          <td><span class="format-badge ${unit.barcode_format.toLowerCase()}">${unit.barcode_format}</span></td>
+          <td><span class="format-badge ${format.toLowerCase()}">${format}</span></td>
           <td class="timestamp">${scanDate}</td>
         </tr>
       `;
@@ -775,18 +545,75 @@ class EnhancedPharmacyUI {
     }, 3000);
   }
 
-  startCameraScan() {
-    // Implement camera scanning using html5-qrcode or similar library
-    console.log('Camera scan not yet implemented');
-    this.showError('Camera scanning coming soon! Use manual input for now.');
+  /**
+   * Live camera scan through PharmaCamera (BarcodeDetector or the bundled WASM decoder);
+   * a second tap closes the camera. Without camera access, falls back to picking a photo.
+   */
+  async startCameraScan() {
+    if (this.scanner) return this.stopCameraScan();
+    try {
+      this.decoder = this.decoder || await Camera.decoder();
+      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) return this.scanImage();
+      this.scanner = Camera.createScanner({
+        video: this.cameraView(),
+        decoder: this.decoder,
+        roi: { size: 0.5, scale: 2 },  // packs are held close; zoom in for small DataMatrix codes
+        onCode: (text) => {
+          this.stopCameraScan();
+          this.triggerHaptic();
+          this.handleManualScan(text);
+        }
+      });
+      await this.scanner.start();
+    } catch (error) {
+      this.stopCameraScan();
+      this.showError('Camera unavailable: ' + error.message);
+    }
+  }
+
+  stopCameraScan() {
+    if (this.scanner) this.scanner.stop();
+    this.scanner = null;
+    const video = document.getElementById('camera-view');
+    if (video) video.hidden = true;
+  }
+
+  cameraView() {
+    let video = document.getElementById('camera-view');
+    if (!video) {
+      video = Object.assign(document.createElement('video'), { id: 'camera-view' });
+      document.getElementById('scan-btn').insertAdjacentElement('afterend', video);
+    }
+    video.hidden = false;
+    return video;
+  }
+
+  // Still-image fallback: decode a photo or saved picture
+  scanImage() {
+    const input = Object.assign(document.createElement('input'), { type: 'file', accept: 'image/*' });
+    input.addEventListener('change', async () => {
+      if (!input.files[0]) return;
+      try {
+        const found = await Camera.decodeImage(input.files[0], this.decoder);
+        if (!found.length) return this.showError('No barcode found in the picture');
+        // The DataMatrix carries batch and expiry; prefer it over an EAN in the same shot
+        const code = found.find(f => f.format === 'data_matrix') || found[0];
+        this.handleManualScan(code.text);
+      } catch (error) {
+        this.showError('Image scan failed: ' + error.message);
+      }
+    });
+    input.click();
   }
 }
 
-// Initialize the application
-document.addEventListener('DOMContentLoaded', async () => {
-  const app = new EnhancedPharmacyUI();
-  window.pharmacyApp = app; // Make accessible globally for debugging
-});
+// Initialize the application (browser only — under Node this file just exports its classes)
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', async () => {
+    const app = new EnhancedPharmacyUI();
+    window.pharmacyApp = app; // Make accessible globally for debugging
+  });
+}
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,768 @@
+/**
+ * GS1 CORE
+ * Shared Application Identifier dictionary, element string engine, GTIN validation,
+ * GS1 dates, Digital Link URIs and element string encoding.
+ * Used by app.js (GS1.parse) and enhanced_pharmacy_app.js (UnifiedBarcodeParser).
+ * No DOM access — safe to load as a <script> or require() from Node.
+ */
+
+const GS1Core = (() => {
+
+  // ════════════════════════════════════════
+  // AI DICTIONARY
+  // ════════════════════════════════════════
+  // [ai, format, title, kind]
+  //   format  — GS1 GenSpecs notation, components joined by '+':
+  //             N14 fixed numeric · X..20 variable CSET82 · N6..12 min/max · Y = CSET39
+  //   ai 'n'  — trailing n is the decimal-point position (310n, 392n …)
+  //   ai 's'  — trailing s is a sequence digit (703s)
+  //   kind    — optional semantic hint: date | datetime | daterange | gtin | dec | iso-dec
+  const DEFS = [
+    ['00',   'N18',        'SSCC'],
+    ['01',   'N14',        'GTIN',            'gtin'],
+    ['02',   'N14',        'CONTENT',         'gtin'],
+    ['03',   'N14',        'MTO GTIN',        'gtin'],
+    ['10',   'X..20',      'BATCH/LOT'],
+    ['11',   'N6',         'PROD DATE',       'date'],
+    ['12',   'N6',         'DUE DATE',        'date'],
+    ['13',   'N6',         'PACK DATE',       'date'],
+    ['15',   'N6',         'BEST BEFORE',     'date'],
+    ['16',   'N6',         'SELL BY',         'date'],
+    ['17',   'N6',         'USE BY',          'date'],
+    ['20',   'N2',         'VARIANT'],
+    ['21',   'X..20',      'SERIAL'],
+    ['22',   'X..20',      'CPV'],
+    ['235',  'X..28',      'TPX'],
+    ['240',  'X..30',      'ADDITIONAL ID'],
+    ['241',  'X..30',      'CUST. PART No.'],
+    ['242',  'N..6',       'MTO VARIANT'],
+    ['243',  'X..20',      'PCN'],
+    ['250',  'X..30',      'SECONDARY SERIAL'],
+    ['251',  'X..30',      'REF. TO SOURCE'],
+    ['253',  'N13+X..17',  'GDTI'],
+    ['254',  'X..20',      'GLN EXTENSION'],
+    ['255',  'N13+N..12',  'GCN'],
+    ['30',   'N..8',       'VAR. COUNT'],
+    ['310n', 'N6',         'NET WEIGHT (kg)',  'dec'],
+    ['311n', 'N6',         'LENGTH (m)',       'dec'],
+    ['312n', 'N6',         'WIDTH (m)',        'dec'],
+    ['313n', 'N6',         'HEIGHT (m)',       'dec'],
+    ['314n', 'N6',         'AREA (m2)',        'dec'],
+    ['315n', 'N6',         'NET VOLUME (l)',   'dec'],
+    ['316n', 'N6',         'NET VOLUME (m3)',  'dec'],
+    ['320n', 'N6',         'NET WEIGHT (lb)',  'dec'],
+    ['330n', 'N6',         'GROSS WEIGHT (kg)','dec'],
+    ['337n', 'N6',         'KG PER m2',        'dec'],
+    ['340n', 'N6',         'GROSS WEIGHT (lb)','dec'],
+    ['37',   'N..8',       'COUNT'],
+    ['390n', 'N..15',      'AMOUNT',           'dec'],
+    ['391n', 'N3+N..15',   'AMOUNT',           'iso-dec'],
+    ['392n', 'N..15',      'PRICE',            'dec'],
+    ['393n', 'N3+N..15',   'PRICE',            'iso-dec'],
+    ['394n', 'N4',         'PRCNT OFF',        'dec'],
+    ['395n', 'N6',         'PRICE/UoM',        'dec'],
+    ['400',  'X..30',      'ORDER NUMBER'],
+    ['401',  'X..30',      'GINC'],
+    ['402',  'N17',        'GSIN'],
+    ['403',  'X..30',      'ROUTE'],
+    ['410',  'N13',        'SHIP TO LOC'],
+    ['411',  'N13',        'BILL TO'],
+    ['412',  'N13',        'PURCHASE FROM'],
+    ['413',  'N13',        'SHIP FOR LOC'],
+    ['414',  'N13',        'LOC No.'],
+    ['415',  'N13',        'PAY TO'],
+    ['416',  'N13',        'PROD/SERV LOC'],
+    ['417',  'N13',        'PARTY'],
+    ['420',  'X..20',      'SHIP TO POST'],
+    ['421',  'N3+X..9',    'SHIP TO POST'],
+    ['422',  'N3',         'ORIGIN'],
+    ['423',  'N3+N..12',   'COUNTRY - INITIAL PROCESS'],
+    ['424',  'N3',         'COUNTRY - PROCESS'],
+    ['425',  'N3+N..12',   'COUNTRY - DISASSEMBLY'],
+    ['426',  'N3',         'COUNTRY - FULL PROCESS'],
+    ['427',  'X..3',       'ORIGIN SUBDIVISION'],
+    ['7001', 'N13',        'NSN'],
+    ['7002', 'X..30',      'MEAT CUT'],
+    ['7003', 'N10',        'EXPIRY TIME',      'datetime'],
+    ['7004', 'N..4',       'ACTIVE POTENCY'],
+    ['7005', 'X..12',      'CATCH AREA'],
+    ['7006', 'N6',         'FIRST FREEZE DATE','date'],
+    ['7007', 'N6..12',     'HARVEST DATE',     'daterange'],
+    ['7008', 'X..3',       'AQUATIC SPECIES'],
+    ['7009', 'X..10',      'FISHING GEAR TYPE'],
+    ['7010', 'X..2',       'PROD METHOD'],
+    ['7011', 'N6..10',     'TEST BY DATE',     'datetime'],
+    ['7020', 'X..20',      'REFURB LOT'],
+    ['7021', 'X..20',      'FUNC STAT'],
+    ['7022', 'X..20',      'REV STAT'],
+    ['7023', 'X..30',      'GIAI - ASSEMBLY'],
+    ['703s', 'N3+X..27',   'PROCESSOR'],
+    ['7040', 'N1+X3',      'UIC+EXT'],
+    ['710',  'X..20',      'NHRN PZN'],
+    ['711',  'X..20',      'NHRN CIP'],
+    ['712',  'X..20',      'NHRN CN'],
+    ['713',  'X..20',      'NHRN DRN'],
+    ['714',  'X..20',      'NHRN AIM'],
+    ['715',  'X..20',      'NHRN NDC'],
+    ['723s', 'X2+X..28',   'CERT'],
+    ['7240', 'X..20',      'PROTOCOL'],
+    ['7241', 'N2',         'AIDC MEDIA TYPE'],
+    ['7242', 'X..25',      'VCN'],
+    ['8001', 'N14',        'DIMENSIONS'],
+    ['8002', 'X..20',      'CMT No.'],
+    ['8003', 'N14+X..16',  'GRAI'],
+    ['8004', 'X..30',      'GIAI'],
+    ['8005', 'N6',         'PRICE PER UNIT'],
+    ['8006', 'N14+N2+N2',  'ITIP'],
+    ['8007', 'X..34',      'IBAN'],
+    ['8008', 'N8+N..4',    'PROD TIME'],
+    ['8009', 'X..50',      'OPTSEN'],
+    ['8010', 'Y..30',      'CPID'],
+    ['8011', 'N..12',      'CPID SERIAL'],
+    ['8012', 'X..20',      'VERSION'],
+    ['8013', 'X..25',      'GMN'],
+    ['8017', 'N18',        'GSRN - PROVIDER'],
+    ['8018', 'N18',        'GSRN - RECIPIENT'],
+    ['8019', 'N..10',      'SRIN'],
+    ['8020', 'X..25',      'REF No.'],
+    ['8026', 'N14+N2+N2',  'ITIP CONTENT'],
+    ['8110', 'X..70',      'COUPON'],
+    ['8111', 'N4',         'POINTS'],
+    ['8112', 'X..70',      'COUPON'],
+    ['8200', 'X..70',      'PRODUCT URL'],
+    ['90',   'X..30',      'INTERNAL'],
+    ['91',   'X..90',      'INTERNAL'],
+    ['92',   'X..90',      'INTERNAL'],
+    ['93',   'X..90',      'INTERNAL'],
+    ['94',   'X..90',      'INTERNAL'],
+    ['95',   'X..90',      'INTERNAL'],
+    ['96',   'X..90',      'INTERNAL'],
+    ['97',   'X..90',      'INTERNAL'],
+    ['98',   'X..90',      'INTERNAL'],
+    ['99',   'X..90',      'INTERNAL']
+  ];
+
+  // AI prefixes whose element strings have a predefined length (no FNC1 needed after them)
+  const PREDEFINED = ['00','01','02','03','04','11','12','13','14','15','16','17','18','19','20','31','32','33','34','35','36','41'];
+
+  const CHARSETS = {
+    N: /^\d*$/,
+    X: /^[!"%&'()*+,\-./0-9:;<=>?A-Z_a-z]*$/,   // CSET 82
+    Y: /^[#\-/0-9A-Z]*$/                        // CSET 39
+  };
+
+  function parseFormat(fmt) {
+    return fmt.split('+').map(c => {
+      const m = c.match(/^([NXY])(\d*)(?:\.\.(\d+))?$/);
+      const min = m[3] ? (m[2] ? +m[2] : 1) : +m[2];
+      const max = m[3] ? +m[3] : +m[2];
+      return { type:m[1], min, max };
+    });
+  }
+
+  const AI = {};
+  for (const [code, format, title, kind] of DEFS) {
+    const parts = parseFormat(format);
+    const base  = { format, title, kind:kind||'', parts,
+      min: parts.reduce((a,p)=>a+p.min,0),
+      max: parts.reduce((a,p)=>a+p.max,0) };
+    base.fixed = base.min === base.max;
+    // n / s suffix expands to ten concrete AIs (decimal position or sequence digit)
+    const variants = /[ns]$/.test(code) ? [...Array(10)].map((_,i)=>code.slice(0,-1)+i) : [code];
+    for (const ai of variants) {
+      AI[ai] = Object.assign({ ai, fnc1: !PREDEFINED.includes(ai.slice(0,2)) }, base);
+      if (kind === 'dec' || kind === 'iso-dec') AI[ai].decimals = +ai.slice(-1);
+    }
+  }
+
+  /** Dictionary entry for an AI at the start of `code` (AIs are prefix-free, so first hit wins). */
+  function lookup(code) {
+    for (const n of [2,3,4]) {
+      const def = AI[code.substring(0,n)];
+      if (def) return def;
+    }
+    return null;
+  }
+
+  // ════════════════════════════════════════
+  // DATES
+  // ════════════════════════════════════════
+  const pad2 = n => String(n).padStart(2,'0');
+
+  /**
+   * GS1 GenSpecs sliding century: a two-digit year more than 50 years ahead of
+   * today belongs to the previous century, one 50 or more years behind to the next.
+   */
+  function fullYear(yy, today=new Date()) {
+    const cur = today.getFullYear(), century = cur - cur % 100, diff = yy - cur % 100;
+    if (diff >= 51)  return century - 100 + yy;
+    if (diff <= -50) return century + 100 + yy;
+    return century + yy;
+  }
+
+  /**
+   * YYMMDD → { raw, iso, display, valid, dayUnspecified, issue }.
+   * DD=00 means "day not specified" and resolves to the last day of the month.
+   */
+  function parseDate(s, today=new Date()) {
+    const out = { raw:s, iso:'', display:'', valid:false, dayUnspecified:false, issue:'' };
+    if (!/^\d{6}$/.test(s||'')) { out.issue = 'Date must be YYMMDD'; return out; }
+    const year = fullYear(+s.slice(0,2), today), mm = +s.slice(2,4), dd = +s.slice(4,6);
+    if (mm < 1 || mm > 12) { out.issue = `Month ${s.slice(2,4)} does not exist`; return out; }
+    const last = new Date(Date.UTC(year, mm, 0)).getUTCDate();
+    if (dd > last) { out.issue = `Day ${dd} does not exist in ${year}-${pad2(mm)}`; return out; }
+    const day = dd || last;
+    return Object.assign(out, { valid:true, dayUnspecified:dd === 0,
+      iso:`${year}-${pad2(mm)}-${pad2(day)}`, display:`${pad2(day)}/${pad2(mm)}/${year}` });
+  }
+
+  /** YYMMDDHH[MM] (7003, 7011) → date plus time; the day must be given. */
+  function parseDateTime(s, today=new Date()) {
+    const d = Object.assign(parseDate(s.slice(0,6), today), { raw:s });
+    if (!d.valid) return d;
+    if (d.dayUnspecified) return Object.assign(d, { valid:false, iso:'', display:'', issue:'Day 00 not allowed with a time' });
+    if (s.length === 6) return d;
+    const hh = +s.slice(6,8), mi = s.length >= 10 ? +s.slice(8,10) : 0;
+    if (hh > 23 || mi > 59) return Object.assign(d, { valid:false, iso:'', display:'', issue:`Time ${s.slice(6)} does not exist` });
+    d.iso += `T${pad2(hh)}:${pad2(mi)}`;
+    d.display += ` ${pad2(hh)}:${pad2(mi)}`;
+    return d;
+  }
+
+  /** YYMMDD[YYMMDD] (7007 harvest) → { from, to, valid, issue } where from/to are parseDate results. */
+  function parseDateRange(s, today=new Date()) {
+    const from = parseDate(s.slice(0,6), today);
+    const to   = s.length > 6 ? parseDate(s.slice(6,12), today) : from;
+    const out  = { raw:s, from, to, valid:from.valid && to.valid, issue:from.issue || to.issue };
+    if (out.valid && to.iso < from.iso) Object.assign(out, { valid:false, issue:'Range ends before it starts' });
+    return out;
+  }
+
+  const DATE_PARSERS = { date:parseDate, datetime:parseDateTime, daterange:parseDateRange };
+
+  // Where each date AI lands on a parse result / history entry
+  const DATE_FIELDS = {
+    '17':'expiry', '7003':'expiryTime', '15':'bestBefore', '16':'sellBy', '12':'due',
+    '11':'production', '13':'packaging', '7006':'firstFreeze', '7007':'harvest', '7011':'testBy'
+  };
+  // Which date limits shelf life when several are present
+  const EXPIRY_ORDER = ['expiry','expiryTime','bestBefore','sellBy'];
+
+  /** { expiry:'2027-12-31', bestBefore:…, harvest:{ from, to } … } from the valid dates in elements[]. */
+  function datesOf(elements) {
+    const out = {};
+    for (const e of elements) {
+      const f = DATE_FIELDS[e.ai];
+      if (!f || !e.date || !e.date.valid || out[f]) continue;
+      out[f] = e.date.from ? { from:e.date.from.iso, to:e.date.to.iso } : e.date.iso;
+    }
+    return out;
+  }
+
+  /** The date that limits shelf life: use-by, then expiry time, best-before, sell-by. */
+  function relevantExpiry(dates) {
+    const field = EXPIRY_ORDER.find(f => dates[f]);
+    return field ? { field, iso:dates[field].slice(0,10) } : { field:'', iso:'' };
+  }
+
+  // ════════════════════════════════════════
+  // ELEMENT STRING PARSING
+  // ════════════════════════════════════════
+  const GS = '\x1D';
+
+  /** Check a value against the AI's component formats; returns a list of problems. */
+  function validate(def, value) {
+    const issues = [];
+    if (value.length < def.min || value.length > def.max)
+      issues.push(`AI (${def.ai}) length ${value.length} outside ${def.min}–${def.max}`);
+    let pos = 0;
+    def.parts.forEach((p, i) => {
+      const last = i === def.parts.length-1;
+      const seg  = last ? value.substring(pos) : value.substring(pos, pos+p.max);
+      pos += seg.length;
+      if (!CHARSETS[p.type].test(seg)) issues.push(`AI (${def.ai}) contains invalid characters`);
+    });
+    return issues;
+  }
+
+  /** Typed value for an element: decimal AIs become numbers, everything else stays a string. */
+  function interpret(def, value) {
+    if (def.kind === 'dec')     return Number(value) / Math.pow(10, def.decimals);
+    if (def.kind === 'iso-dec') return { currency:value.slice(0,3), amount:Number(value.slice(3)) / Math.pow(10, def.decimals) };
+    return value;
+  }
+
+  function element(def, raw) {
+    const issues = validate(def, raw);
+    const el = { ai:def.ai, title:def.title, raw, value:interpret(def, raw) };
+    if (DATE_PARSERS[def.kind] && !issues.length) {
+      el.date = DATE_PARSERS[def.kind](raw);
+      if (!el.date.valid) issues.push(`AI (${def.ai}) ${el.date.issue}`);
+    }
+    if (issues.length) el.issues = issues;
+    return el;
+  }
+
+  /** Dates that cannot exist (month 13, day 32) rule out a split when separators were lost. */
+  function plausible(def, raw) {
+    return !DATE_PARSERS[def.kind] || DATE_PARSERS[def.kind](raw).valid;
+  }
+
+  const MAX_CANDIDATES = 8;
+  const MAX_STEPS = 2000;    // split positions tried before the search stops and keeps what it has
+
+  // AIs seen on medicine packs — a reading made of these is the likelier one
+  const COMMON = ['01','02','10','11','15','16','17','21','30','37'];
+  const score  = c => c.filter(([def]) => COMMON.includes(def.ai)).length * 100 + c.length;
+
+  /**
+   * Every way `code` can be cut into well-formed elements from `pos` on.
+   * A variable-length field ends at the next GS when there is one within reach;
+   * otherwise each possible length is tried and kept only if the remainder parses too.
+   * Each candidate is a list of [def, start, end]. Remainders are memoised on (pos, AIs used);
+   * after MAX_STEPS the search gives up and sets ctx.exhausted, so junk input cannot stall a scan.
+   */
+  function candidates(code, pos, seen, ctx) {
+    while (code[pos] === GS) pos++;
+    if (pos >= code.length) return [[]];
+    const key = `${pos}|${[...seen].sort().join(',')}`;
+    if (ctx.memo.has(key)) return ctx.memo.get(key);
+    if (++ctx.steps > MAX_STEPS) { ctx.exhausted = true; return []; }
+    const out = [];
+    const def = lookup(code.substring(pos));
+    if (def && !seen.has(def.ai)) {
+      const start = pos + def.ai.length;
+      let ends;
+      const gs = code.indexOf(GS, start);
+      if (def.fixed) ends = [start + def.max];
+      else if (gs >= 0 && gs - start <= def.max) ends = [gs];
+      else {
+        const limit = Math.min(start + def.max, gs >= 0 ? gs : code.length);
+        ends = [];
+        for (let e = limit; e >= start + def.min; e--) ends.push(e);
+      }
+      for (const end of ends) {
+        if (end > code.length || out.length >= MAX_CANDIDATES) continue;
+        const raw = code.substring(start, end);
+        if (validate(def, raw).length || !plausible(def, raw)) continue;
+        for (const rest of candidates(code, end, new Set(seen).add(def.ai), ctx)) {
+          if (out.length >= MAX_CANDIDATES) break;
+          out.push([[def, start, end], ...rest]);
+        }
+      }
+    }
+    ctx.memo.set(key, out);
+    return out;
+  }
+
+  /**
+   * Parse an unbracketed element string (GS = \x1D between variable-length fields).
+   * Returns { elements[], issues[], ambiguous, alternatives[] }.
+   *
+   * When a variable-length field is not terminated (keyboard-wedge scanners drop GS),
+   * the split is worked out from AI lengths and formats. If more than one split is
+   * valid the result is flagged `ambiguous` and the other readings are returned in
+   * `alternatives` — the caller must confirm rather than trust the first one
+   * (readings built from common pharma AIs are listed first).
+   *
+   * Strings no split can explain fall back to a greedy read; unknown AIs are kept as
+   * { ai:'', raw, unknown:true } and parsing resumes after the next separator.
+   * A search cut short by its step budget is always `ambiguous` — the best reading so far, unconfirmed.
+   */
+  function parseElements(code) {
+    const ctx = { memo:new Map(), steps:0, exhausted:false };
+    const found = candidates(code, 0, new Set(), ctx).sort((a,b) => score(b) - score(a));
+    const cutShort = 'Separator missing — too many possible readings to check them all';
+    if (found.length) {
+      const toElements = c => c.map(([def, s, e]) => element(def, code.substring(s, e)));
+      const [first, ...rest] = found.map(toElements);
+      const result = { elements:first, issues:[], ambiguous:rest.length > 0 || ctx.exhausted, alternatives:rest };
+      if (ctx.exhausted) result.issues.push(cutShort);
+      else if (result.ambiguous) result.issues.push(`Separator missing — ${found.length} possible readings`);
+      return result;
+    }
+
+    const elements = [], issues = [];
+    let pos = 0;
+    while (pos < code.length) {
+      if (code[pos] === GS) { pos++; continue; }
+      const def = lookup(code.substring(pos));
+      if (!def) {
+        let end = code.indexOf(GS, pos); if (end < 0) end = code.length;
+        elements.push({ ai:'', title:'UNKNOWN', raw:code.substring(pos,end), unknown:true });
+        issues.push(`Unknown AI at position ${pos}`);
+        pos = end; continue;
+      }
+      pos += def.ai.length;
+      let end;
+      if (def.fixed) end = Math.min(pos + def.max, code.length);
+      else {
+        end = code.indexOf(GS, pos);
+        if (end < 0 || end - pos > def.max) end = Math.min(pos + def.max, code.length);
+      }
+      const el = element(def, code.substring(pos, end));
+      elements.push(el);
+      if (el.issues) issues.push(...el.issues);
+      pos = end;
+    }
+    if (ctx.exhausted) issues.unshift(cutShort);
+    return { elements, issues, ambiguous:ctx.exhausted, alternatives:[] };
+  }
+
+  /** Parse the human-readable form: (01)09506000134352(17)271231(10)ABC */
+  function parseBracketed(code) {
+    const elements = [], issues = [];
+    const re = /\((\d{2,4})\)([^(]*)/g;
+    let m;
+    while ((m = re.exec(code))) {
+      const def = AI[m[1]];
+      const raw = m[2].replace(/[^\x20-\x7E]/g,'').trim();
+      if (!def) {
+        elements.push({ ai:m[1], title:'UNKNOWN', raw, unknown:true });
+        issues.push(`Unknown AI (${m[1]})`);
+        continue;
+      }
+      const el = element(def, raw);
+      elements.push(el);
+      if (el.issues) issues.push(...el.issues);
+    }
+    return { elements, issues, ambiguous:false, alternatives:[] };
+  }
+
+  // ════════════════════════════════════════
+  // GTIN VALIDATION
+  // ════════════════════════════════════════
+  /** GS1 mod-10 check digit for a digit string without its check digit. */
+  function checkDigit(body) {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) sum += +body[body.length-1-i] * (i % 2 === 0 ? 3 : 1);
+    return (10 - sum % 10) % 10;
+  }
+
+  // GS1 prefix ranges (first three digits of the GTIN-13 form)
+  // [from, to, type, label]  type: country | restricted | coupon | isbn | issn | refund | gs1
+  const PREFIXES = [
+    [  0,  19, 'country',   'USA / Canada'],
+    [ 20,  29, 'restricted','Restricted circulation (in-store)'],
+    [ 30,  39, 'country',   'USA (drugs / NDC)'],
+    [ 40,  49, 'restricted','Restricted circulation (company internal)'],
+    [ 50,  59, 'coupon',    'Coupons (GS1 US)'],
+    [ 60, 139, 'country',   'USA / Canada'],
+    [200, 299, 'restricted','Restricted circulation (in-store)'],
+    [300, 379, 'country',   'France / Monaco'],
+    [380, 380, 'country',   'Bulgaria'],      [383, 383, 'country', 'Slovenia'],
+    [385, 385, 'country',   'Croatia'],       [387, 387, 'country', 'Bosnia and Herzegovina'],
+    [389, 389, 'country',   'Montenegro'],
+    [400, 440, 'country',   'Germany'],
+    [450, 459, 'country',   'Japan'],         [490, 499, 'country', 'Japan'],
+    [460, 469, 'country',   'Russia'],        [470, 470, 'country', 'Kyrgyzstan'],
+    [471, 471, 'country',   'Taiwan'],        [474, 474, 'country', 'Estonia'],
+    [475, 475, 'country',   'Latvia'],        [476, 476, 'country', 'Azerbaijan'],
+    [477, 477, 'country',   'Lithuania'],     [478, 478, 'country', 'Uzbekistan'],
+    [479, 479, 'country',   'Sri Lanka'],     [480, 480, 'country', 'Philippines'],
+    [481, 481, 'country',   'Belarus'],       [482, 482, 'country', 'Ukraine'],
+    [483, 483, 'country',   'Turkmenistan'],  [484, 484, 'country', 'Moldova'],
+    [485, 485, 'country',   'Armenia'],       [486, 486, 'country', 'Georgia'],
+    [487, 487, 'country',   'Kazakhstan'],    [488, 488, 'country', 'Tajikistan'],
+    [489, 489, 'country',   'Hong Kong'],
+    [500, 509, 'country',   'United Kingdom'],
+    [520, 521, 'country',   'Greece'],        [528, 528, 'country', 'Lebanon'],
+    [529, 529, 'country',   'Cyprus'],        [530, 530, 'country', 'Albania'],
+    [531, 531, 'country',   'North Macedonia'],[535, 535, 'country', 'Malta'],
+    [539, 539, 'country',   'Ireland'],       [540, 549, 'country', 'Belgium / Luxembourg'],
+    [560, 560, 'country',   'Portugal'],      [569, 569, 'country', 'Iceland'],
+    [570, 579, 'country',   'Denmark'],       [590, 590, 'country', 'Poland'],
+    [594, 594, 'country',   'Romania'],       [599, 599, 'country', 'Hungary'],
+    [600, 601, 'country',   'South Africa'],  [603, 603, 'country', 'Ghana'],
+    [604, 604, 'country',   'Senegal'],       [608, 608, 'country', 'Bahrain'],
+    [609, 609, 'country',   'Mauritius'],     [611, 611, 'country', 'Morocco'],
+    [613, 613, 'country',   'Algeria'],       [615, 615, 'country', 'Nigeria'],
+    [616, 616, 'country',   'Kenya'],         [618, 618, 'country', "Côte d'Ivoire"],
+    [619, 619, 'country',   'Tunisia'],       [620, 620, 'country', 'Tanzania'],
+    [621, 621, 'country',   'Syria'],         [622, 622, 'country', 'Egypt'],
+    [623, 623, 'country',   'Brunei'],        [624, 624, 'country', 'Libya'],
+    [625, 625, 'country',   'Jordan'],        [626, 626, 'country', 'Iran'],
+    [627, 627, 'country',   'Kuwait'],        [628, 628, 'country', 'Saudi Arabia'],
+    [629, 629, 'country',   'United Arab Emirates'], [630, 630, 'country', 'Qatar'],
+    [631, 631, 'country',   'Namibia'],       [640, 649, 'country', 'Finland'],
+    [690, 699, 'country',   'China'],         [700, 709, 'country', 'Norway'],
+    [729, 729, 'country',   'Israel'],        [730, 739, 'country', 'Sweden'],
+    [740, 740, 'country',   'Guatemala'],     [741, 741, 'country', 'El Salvador'],
+    [742, 742, 'country',   'Honduras'],      [743, 743, 'country', 'Nicaragua'],
+    [744, 744, 'country',   'Costa Rica'],    [745, 745, 'country', 'Panama'],
+    [746, 746, 'country',   'Dominican Republic'], [750, 750, 'country', 'Mexico'],
+    [754, 755, 'country',   'Canada'],        [759, 759, 'country', 'Venezuela'],
+    [760, 769, 'country',   'Switzerland'],   [770, 771, 'country', 'Colombia'],
+    [773, 773, 'country',   'Uruguay'],       [775, 775, 'country', 'Peru'],
+    [777, 777, 'country',   'Bolivia'],       [778, 779, 'country', 'Argentina'],
+    [780, 780, 'country',   'Chile'],         [784, 784, 'country', 'Paraguay'],
+    [786, 786, 'country',   'Ecuador'],       [789, 790, 'country', 'Brazil'],
+    [800, 839, 'country',   'Italy'],         [840, 849, 'country', 'Spain'],
+    [850, 850, 'country',   'Cuba'],          [858, 858, 'country', 'Slovakia'],
+    [859, 859, 'country',   'Czechia'],       [860, 860, 'country', 'Serbia'],
+    [865, 865, 'country',   'Mongolia'],      [867, 867, 'country', 'North Korea'],
+    [868, 869, 'country',   'Türkiye'],       [870, 879, 'country', 'Netherlands'],
+    [880, 880, 'country',   'South Korea'],   [883, 883, 'country', 'Myanmar'],
+    [884, 884, 'country',   'Cambodia'],      [885, 885, 'country', 'Thailand'],
+    [888, 888, 'country',   'Singapore'],     [890, 890, 'country', 'India'],
+    [893, 893, 'country',   'Vietnam'],       [896, 896, 'country', 'Pakistan'],
+    [899, 899, 'country',   'Indonesia'],     [900, 919, 'country', 'Austria'],
+    [930, 939, 'country',   'Australia'],     [940, 949, 'country', 'New Zealand'],
+    [950, 951, 'gs1',       'GS1 Global Office'], [955, 955, 'country', 'Malaysia'],
+    [958, 958, 'country',   'Macau'],         [960, 969, 'gs1',     'GS1 Global Office (GTIN-8)'],
+    [977, 977, 'issn',      'ISSN (serial publications)'],
+    [978, 979, 'isbn',      'ISBN (books) / ISMN'],
+    [980, 980, 'refund',    'Refund receipts'],
+    [981, 984, 'coupon',    'Coupons (common currency)'],
+    [990, 999, 'coupon',    'Coupons']
+  ];
+
+  function classifyPrefix(gtin13) {
+    const p = +gtin13.substring(0,3);
+    const hit = PREFIXES.find(([from, to]) => p >= from && p <= to);
+    return hit ? { prefix:gtin13.substring(0,3), prefixType:hit[2], prefixLabel:hit[3] }
+               : { prefix:gtin13.substring(0,3), prefixType:'unassigned', prefixLabel:'Unassigned prefix' };
+  }
+
+  /**
+   * Validate a GTIN-8/12/13/14 and normalise it to GTIN-14.
+   * Returns { valid, normalized, length, indicator, prefix, prefixType, prefixLabel, issues[] }.
+   * `normalized` is filled whenever the length is right, even if the check digit fails,
+   * so callers can still look the code up and show a warning.
+   */
+  function validateGTIN(code) {
+    const digits = String(code||'').replace(/\s/g,'');
+    const out = { valid:false, normalized:'', length:digits.length, indicator:'', prefix:'', prefixType:'', prefixLabel:'', issues:[] };
+    if (!/^\d+$/.test(digits)) { out.issues.push('GTIN must be numeric'); return out; }
+    if (![8,12,13,14].includes(digits.length)) { out.issues.push(`GTIN length ${digits.length} — expected 8, 12, 13 or 14 digits`); return out; }
+
+    out.normalized = digits.padStart(14,'0');
+    const expected = checkDigit(digits.slice(0,-1));
+    if (expected !== +digits.slice(-1)) out.issues.push(`Check digit ${digits.slice(-1)} should be ${expected}`);
+
+    if (digits.length === 8) {
+      // GTIN-8 has its own prefix space; 0 and 2 are restricted circulation (RCN-8)
+      Object.assign(out, /^[02]/.test(digits)
+        ? { prefix:digits[0], prefixType:'restricted', prefixLabel:'Restricted circulation (RCN-8)' }
+        : classifyPrefix(digits));
+    } else {
+      out.indicator = out.normalized[0];
+      Object.assign(out, classifyPrefix(out.normalized.substring(1)));
+      if (out.indicator === '9') out.issues.push('Indicator 9 — variable measure item');
+    }
+    if (out.prefixType === 'restricted') out.issues.push(`${out.prefixLabel} — not globally unique`);
+    out.valid = !out.issues.some(i => i.startsWith('Check digit'));
+    return out;
+  }
+
+  // ════════════════════════════════════════
+  // SCANNER INPUT
+  // ════════════════════════════════════════
+  // AIM symbology identifiers a scanner may prefix to the data (]<code char><modifier>)
+  const SYMBOLOGIES = {
+    ']C1': { name:'GS1-128',        gs1:true  },
+    ']d2': { name:'GS1 DataMatrix', gs1:true  },
+    ']Q3': { name:'GS1 QR',         gs1:true  },
+    ']e0': { name:'GS1 DataBar',    gs1:true  },
+    ']J1': { name:'GS1 DotCode',    gs1:true  },
+    ']E0': { name:'EAN-13',         gs1:false },
+    ']E4': { name:'EAN-8',          gs1:false },
+    ']C0': { name:'Code 128',       gs1:false },
+    ']d1': { name:'DataMatrix',     gs1:false },
+    ']Q1': { name:'QR',             gs1:false },
+    ']A0': { name:'Code 39',        gs1:false },
+    ']I0': { name:'ITF',            gs1:false }
+  };
+
+  // What scanners send instead of a real GS (0x1D) for FNC1. None of these are legal
+  // inside an element string (CSET 82), so replacing them cannot corrupt data.
+  const FNC1_TOKENS = ['{GS}', '[GS]', '␝', '~', '^'];
+  // These are CSET 82 text a batch or serial may hold. A scanner that sends an AIM identifier
+  // sends a real GS too, so only without one are they taken as FNC1 (or when opts.fnc1 names one).
+  const FNC1_TEXT = ['<GS>', '<FNC1>'];
+
+  /**
+   * Clean raw scanner output into an element string.
+   * opts.fnc1 — extra site-specific FNC1 substitute (a char or token)
+   * Returns { code, aim, symbology, gs1 } — gs1 is true/false when the AIM prefix says so, else null.
+   */
+  function normalise(raw, opts={}) {
+    let code = String(raw||'').replace(/[\r\n\t]/g,'').trim();
+    const out = { code:'', aim:'', symbology:'', gs1:null };
+
+    const aim = code.match(/^\][A-Za-z]\d/);
+    if (aim) {
+      const sym = SYMBOLOGIES[aim[0]];
+      out.aim = aim[0];
+      out.symbology = sym ? sym.name : '';
+      out.gs1 = sym ? sym.gs1 : null;
+      code = code.substring(3);
+    }
+
+    // URIs keep ~ and ^ — they are legal URL characters
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(code)) {
+      const tokens = [opts.fnc1, ...FNC1_TOKENS, ...(out.aim ? [] : FNC1_TEXT)].filter(Boolean);
+      for (const t of tokens) code = code.split(t).join(GS);
+    }
+
+    // A leading FNC1 only marks the symbol as GS1; trailing ones carry nothing
+    if (code[0] === GS && out.gs1 === null) out.gs1 = true;
+    out.code = code.replace(/^\x1D+|\x1D+$/g,'');
+    return out;
+  }
+
+  // ════════════════════════════════════════
+  // GS1 DIGITAL LINK
+  // ════════════════════════════════════════
+  // https://id.gs1.org/01/09506000134352/10/ABC/21/XYZ?17=271231
+  // Primary keys that may open the path, and the qualifiers each may carry, in URI order
+  const DL_KEYS = {
+    '01':   ['22','10','21'],   '8006': ['22','10','21'],
+    '8013': ['8019'],           '8010': ['8011'],
+    '414':  ['254','7040'],     '417':  ['7040'],
+    '8017': ['8019'],           '8018': ['8019'],
+    '00':   [],                 '253':  [],
+    '255':  [],                 '8003': [],
+    '8004': ['7040'],           '401':  [],
+    '402':  []
+  };
+
+  // Convenience alphas from Digital Link 1.1 (still emitted by some generators)
+  const DL_ALIASES = {
+    gtin:'01', itip:'8006', cpv:'22', lot:'10', ser:'21', sscc:'00', gln:'414', glnx:'254',
+    party:'417', gsrnp:'8017', gsrn:'8018', srin:'8019', gdti:'253', ginc:'401', gsin:'402',
+    grai:'8003', giai:'8004', cpid:'8010', cpsn:'8011', gcn:'255', gmn:'8013', exp:'17'
+  };
+
+  const dlAI = k => DL_ALIASES[k] || k;
+
+  /** Percent-encode a value for a URI path/query (RFC 3986 unreserved set only). */
+  function dlEncode(v) {
+    return encodeURIComponent(v).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+  }
+
+  function isDigitalLink(code) {
+    return /^https?:\/\//i.test(code);
+  }
+
+  /**
+   * Decode a GS1 Digital Link URI into the same { elements[], issues[] } shape as an element string.
+   * Also returns { domain, compressed }. Non-AI query parameters (linkType, context …) are ignored.
+   * Compressed URIs are recognised but not expanded — `issues` says so and elements stay empty.
+   */
+  function parseDigitalLink(uri) {
+    const out = { elements:[], issues:[], ambiguous:false, alternatives:[], domain:'', compressed:false };
+    let url;
+    try { url = new URL(uri); } catch { out.issues.push('Not a valid URI'); return out; }
+    out.domain = url.origin;
+
+    const segs = url.pathname.split('/').filter(Boolean).map(s => { try { return decodeURIComponent(s); } catch { return s; } });
+    const pk = segs.findIndex((s,i) => DL_KEYS[dlAI(s)] && i+1 < segs.length);
+    if (pk < 0) {
+      const last = segs[segs.length-1] || '';
+      if (/^[A-Za-z0-9_-]{10,}$/.test(last)) {
+        out.compressed = true;
+        out.issues.push('Compressed Digital Link — decompression not supported, resolve the URI online');
+      } else out.issues.push('No GS1 primary key in URI path');
+      return out;
+    }
+
+    const pairs = [];
+    for (let i = pk; i+1 < segs.length; i += 2) pairs.push([dlAI(segs[i]), segs[i+1]]);
+    const primary = pairs[0][0];
+    for (const [ai] of pairs.slice(1))
+      if (!DL_KEYS[primary].includes(ai)) out.issues.push(`AI (${ai}) is not a key qualifier of (${primary})`);
+    for (const [k, v] of url.searchParams) {
+      const ai = dlAI(k);
+      if (/^\d{2,4}$/.test(ai)) pairs.push([ai, v]);
+    }
+
+    for (let [ai, value] of pairs) {
+      const def = AI[ai];
+      if (!def) { out.elements.push({ ai, title:'UNKNOWN', raw:value, unknown:true }); out.issues.push(`Unknown AI (${ai})`); continue; }
+      if (def.kind === 'gtin' && /^\d{8}$|^\d{12,13}$/.test(value)) value = value.padStart(14,'0');
+      const el = element(def, value);
+      out.elements.push(el);
+      if (el.issues) out.issues.push(...el.issues);
+    }
+    return out;
+  }
+
+  /**
+   * Build an uncompressed Digital Link URI from an elements[] list (or [{ai, raw}] pairs).
+   * The first primary key present opens the path, its qualifiers follow in the standard
+   * order, and every other AI goes into the query string.
+   */
+  function toDigitalLink(elements, domain='https://id.gs1.org') {
+    const vals = {};
+    for (const e of elements) if (e.ai && e.raw && !(e.ai in vals)) vals[e.ai] = e.raw;
+    const primary = Object.keys(DL_KEYS).find(k => vals[k]);
+    if (!primary) throw new Error('Digital Link needs a primary key such as GTIN (01)');
+
+    let path = `/${primary}/${dlEncode(vals[primary])}`;
+    const used = new Set([primary]);
+    for (const q of DL_KEYS[primary]) if (vals[q]) { path += `/${q}/${dlEncode(vals[q])}`; used.add(q); }
+    const query = Object.keys(vals).filter(ai => !used.has(ai)).map(ai => `${ai}=${dlEncode(vals[ai])}`).join('&');
+    return domain.replace(/\/+$/,'') + path + (query ? '?' + query : '');
+  }
+
+  // ════════════════════════════════════════
+  // ENCODING
+  // ════════════════════════════════════════
+  /**
+   * Check an elements[] list ([{ai, raw}]) before it is encoded. Order is kept so
+   * a scanned string re-encodes to itself; put predefined-length AIs first when
+   * building from scratch to save separators. Throws with every problem found.
+   */
+  function prepare(elements) {
+    const list = elements.filter(e => e.ai && e.raw !== undefined && e.raw !== '');
+    const problems = [];
+    const seen = new Set();
+    for (const e of list) {
+      const def = AI[e.ai];
+      if (!def) { problems.push(`Unknown AI (${e.ai})`); continue; }
+      if (seen.has(e.ai)) problems.push(`AI (${e.ai}) appears twice`);
+      seen.add(e.ai);
+      problems.push(...validate(def, String(e.raw)));
+      if (def.kind === 'gtin' && !validateGTIN(e.raw).valid) problems.push(`AI (${e.ai}) check digit is wrong`);
+    }
+    if (!list.length) problems.push('Nothing to encode');
+    if (problems.length) throw new Error(problems.join('; '));
+    return list;
+  }
+
+  /** Human-readable interpretation: (01)09506000134352(17)271231(10)ABC */
+  function toHRI(elements) {
+    return prepare(elements).map(e => `(${e.ai})${e.raw}`).join('');
+  }
+
+  /**
+   * Unbracketed element string as carried in the symbol. GS (FNC1) follows each
+   * variable-length or non-predefined field unless it is the last one.
+   */
+  function toElementString(elements) {
+    const list = prepare(elements);
+    return list.map((e, i) => e.ai + e.raw + (AI[e.ai].fnc1 && i < list.length-1 ? GS : '')).join('');
+  }
+
+  /** YYYY-MM-DD → YYMMDD (DD kept as given; pass dayUnspecified to write 00). */
+  function toYYMMDD(iso, dayUnspecified=false) {
+    const m = String(iso||'').match(/^\d{2}(\d{2})-(\d{2})-(\d{2})/);
+    return m ? m[1] + m[2] + (dayUnspecified ? '00' : m[3]) : '';
+  }
+
+  /** First value for an AI in an elements[] list. */
+  function get(elements, ai) {
+    const el = elements.find(e => e.ai === ai);
+    return el ? el.raw : '';
+  }
+
+  return { AI, GS, SYMBOLOGIES, PREFIXES, lookup, validate, normalise, parseElements, parseBracketed, get, checkDigit, validateGTIN,
+           isDigitalLink, parseDigitalLink, toDigitalLink,
+           DATE_FIELDS, fullYear, parseDate, parseDateTime, parseDateRange, datesOf, relevantExpiry,
+           toHRI, toElementString, toYYMMDD };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GS1Core;
+}
@@ -0,0 +1,414 @@
+/**
+ * GS1 SYMBOLS
+ * Offline barcode generation: GS1 DataMatrix (ECC 200), GS1-128 and QR (GS1 or plain).
+ * Input is an element string from GS1Core.toElementString (GS = \x1D becomes FNC1)
+ * or, for QR, a Digital Link URI. Output renders to SVG text or PNG bytes.
+ * No DOM access — safe to load as a <script> or require() from Node.
+ */
+
+const GS1Symbols = (() => {
+
+  const GS = '\x1D';
+
+  // ════════════════════════════════════════
+  // REED-SOLOMON
+  // ════════════════════════════════════════
+  function galois(prim) {
+    const exp = new Array(512), log = new Array(256);
+    let x = 1;
+    for (let i = 0; i < 255; i++) { exp[i] = x; log[x] = i; x <<= 1; if (x & 0x100) x ^= prim; }
+    for (let i = 255; i < 512; i++) exp[i] = exp[i-255];
+    return { exp, log, mul:(a,b) => a && b ? exp[log[a] + log[b]] : 0 };
+  }
+
+  const GF_DM = galois(0x12D);   // Data Matrix
+  const GF_QR = galois(0x11D);   // QR
+
+  /** ECC codewords for `data`, generator roots α^base … α^(base+n-1). */
+  function rsEncode(data, n, gf, base) {
+    let gen = [1];
+    for (let i = 0; i < n; i++) {
+      const next = new Array(gen.length + 1).fill(0);
+      gen.forEach((g, j) => { next[j] ^= g; next[j+1] ^= gf.mul(g, gf.exp[i + base]); });
+      gen = next;
+    }
+    const rem = new Array(n).fill(0);
+    for (const d of data) {
+      const f = d ^ rem.shift();
+      rem.push(0);
+      for (let j = 0; j < n; j++) rem[j] ^= gf.mul(gen[j+1], f);
+    }
+    return rem;
+  }
+
+  /** Split data into blocks, add ECC to each, and interleave codeword by codeword. */
+  function interleave(blocks, eccLen, gf, base) {
+    const eccs = blocks.map(b => rsEncode(b, eccLen, gf, base));
+    const out = [];
+    const maxLen = Math.max(...blocks.map(b => b.length));
+    for (let i = 0; i < maxLen; i++) for (const b of blocks) if (i < b.length) out.push(b[i]);
+    for (let i = 0; i < eccLen; i++) for (const e of eccs) out.push(e[i]);
+    return out;
+  }
+
+  const grid = (rows, cols, v=false) => Array.from({ length:rows }, () => new Array(cols).fill(v));
+
+  // ════════════════════════════════════════
+  // GS1 DATAMATRIX (ECC 200, square symbols)
+  // ════════════════════════════════════════
+  // [size, regions per side, data codewords, ecc codewords, blocks]
+  const DM_SIZES = [
+    [10,1,3,5,1],     [12,1,5,7,1],     [14,1,8,10,1],    [16,1,12,12,1],
+    [18,1,18,14,1],   [20,1,22,18,1],   [22,1,30,20,1],   [24,1,36,24,1],
+    [26,1,44,28,1],   [32,2,62,36,1],   [36,2,86,42,1],   [40,2,114,48,1],
+    [44,2,144,56,1],  [48,2,174,68,1],  [52,2,204,84,2],  [64,4,280,112,2],
+    [72,4,368,144,4], [80,4,456,192,4], [88,4,576,224,4], [96,4,696,272,4],
+    [104,4,816,336,6],[120,6,1050,408,6],[132,6,1304,496,8]
+  ];
+
+  /** ASCII encodation: digit pairs packed, FNC1 = 232 (leading one marks GS1). */
+  function dmCodewords(data, gs1) {
+    const cw = gs1 ? [232] : [];
+    for (let i = 0; i < data.length; i++) {
+      const c = data.charCodeAt(i);
+      if (data[i] === GS && gs1) cw.push(232);
+      else if (/\d/.test(data[i]) && /\d/.test(data[i+1] || '')) { cw.push(130 + +data.substr(i,2)); i++; }
+      else if (c < 128) cw.push(c + 1);
+      else { cw.push(235, c - 127); }   // upper shift
+    }
+    return cw;
+  }
+
+  /** ISO 16022 Annex F module placement; returns codeword/bit refs (chr*10+bit) or 1 for fixed dark. */
+  function dmPlacement(nrow, ncol) {
+    const a = new Array(nrow * ncol).fill(0);
+    const mod = (r, c, chr, bit) => {
+      if (r < 0) { r += nrow; c += 4 - ((nrow + 4) % 8); }
+      if (c < 0) { c += ncol; r += 4 - ((ncol + 4) % 8); }
+      a[r * ncol + c] = chr * 10 + bit;
+    };
+    const utah = (r, c, chr) => {
+      mod(r-2,c-2,chr,1); mod(r-2,c-1,chr,2); mod(r-1,c-2,chr,3); mod(r-1,c-1,chr,4);
+      mod(r-1,c,chr,5);   mod(r,c-2,chr,6);   mod(r,c-1,chr,7);   mod(r,c,chr,8);
+    };
+    const corner = (chr, cells) => cells.forEach(([r,c],i) => mod(r, c, chr, i+1));
+    let chr = 1, row = 4, col = 0;
+    do {
+      if (row === nrow && col === 0)
+        corner(chr++, [[nrow-1,0],[nrow-1,1],[nrow-1,2],[0,ncol-2],[0,ncol-1],[1,ncol-1],[2,ncol-1],[3,ncol-1]]);
+      if (row === nrow-2 && col === 0 && ncol % 4)
+        corner(chr++, [[nrow-3,0],[nrow-2,0],[nrow-1,0],[0,ncol-4],[0,ncol-3],[0,ncol-2],[0,ncol-1],[1,ncol-1]]);
+      if (row === nrow-2 && col === 0 && ncol % 8 === 4)
+        corner(chr++, [[nrow-3,0],[nrow-2,0],[nrow-1,0],[0,ncol-2],[0,ncol-1],[1,ncol-1],[2,ncol-1],[3,ncol-1]]);
+      if (row === nrow+4 && col === 2 && !(ncol % 8))
+        corner(chr++, [[nrow-1,0],[nrow-1,ncol-1],[0,ncol-3],[0,ncol-2],[0,ncol-1],[1,ncol-3],[1,ncol-2],[1,ncol-1]]);
+      do { if (row < nrow && col >= 0 && !a[row*ncol+col]) utah(row, col, chr++); row -= 2; col += 2; } while (row >= 0 && col < ncol);
+      row += 1; col += 3;
+      do { if (row >= 0 && col < ncol && !a[row*ncol+col]) utah(row, col, chr++); row += 2; col -= 2; } while (row < nrow && col >= 0);
+      row += 3; col += 1;
+    } while (row < nrow || col < ncol);
+    if (!a[nrow*ncol-1]) { a[nrow*ncol-1] = 1; a[nrow*ncol-ncol-2] = 1; }
+    return a;
+  }
+
+  function dataMatrix(data, { gs1=true }={}) {
+    const cw = dmCodewords(data, gs1);
+    const spec = DM_SIZES.find(s => s[2] >= cw.length);
+    if (!spec) throw new Error(`Too much data for Data Matrix (${cw.length} codewords)`);
+    const [size, regions, dataLen, eccLen, nBlocks] = spec;
+
+    // Pad: 129, then 253-state randomised pads
+    if (cw.length < dataLen) cw.push(129);
+    while (cw.length < dataLen) {
+      const r = 129 + ((149 * (cw.length + 1)) % 253) + 1;
+      cw.push(r > 254 ? r - 254 : r);
+    }
+    const blocks = [...Array(nBlocks)].map((_, b) => cw.filter((_, i) => i % nBlocks === b));
+    const eccBlocks = blocks.map(bl => rsEncode(bl, eccLen / nBlocks, GF_DM, 1));
+    const all = cw.slice();
+    for (let i = 0; i < eccLen; i++) all.push(eccBlocks[i % nBlocks][Math.floor(i / nBlocks)]);
+
+    const rs = (size - 2 * regions) / regions;          // data region size
+    const n = rs * regions;                             // mapping matrix size
+    const place = dmPlacement(n, n);
+    const m = grid(size, size);
+    for (let r = 0; r < n; r++) for (let c = 0; c < n; c++) {
+      const v = place[r*n+c];
+      const dark = v === 1 || (v > 1 && (all[Math.floor(v/10) - 1] >> (8 - v % 10)) & 1);
+      m[Math.floor(r/rs)*(rs+2) + 1 + r%rs][Math.floor(c/rs)*(rs+2) + 1 + c%rs] = !!dark;
+    }
+    // Finder (solid left/bottom) and clock (alternating top/right) pattern per region
+    for (let rr = 0; rr < regions; rr++) for (let rc = 0; rc < regions; rc++) {
+      const top = rr*(rs+2), left = rc*(rs+2), bottom = top+rs+1, right = left+rs+1;
+      for (let i = 0; i < rs+2; i++) {
+        m[bottom][left+i] = true;
+        m[top+i][left] = true;
+        m[top][left+i] = i % 2 === 0;
+        m[top+i][right] = i % 2 === 1 || top+i === bottom;
+      }
+    }
+    return { type:'matrix', symbology:'datamatrix', size, modules:m, quiet:1 };
+  }
+
+  // ════════════════════════════════════════
+  // GS1-128 (Code 128 with FNC1)
+  // ════════════════════════════════════════
+  const C128 = [
+    '212222','222122','222221','121223','121322','131222','122213','122312','132212','221213',
+    '221312','231212','112232','122132','122231','113222','123122','123221','223211','221132',
+    '221231','213212','223112','312131','311222','321122','321221','312212','322112','322211',
+    '212123','212321','232121','111323','131123','131321','112313','132113','132311','211313',
+    '231113','231311','112133','112331','132131','113123','113321','133121','313121','211331',
+    '231131','213113','213311','213131','311123','311321','331121','312113','312311','332111',
+    '314111','221411','431111','111224','111422','121124','121421','141122','141221','112214',
+    '112412','122114','122411','142112','142211','241211','221114','413111','241112','134111',
+    '111242','121142','121241','114212','124112','124211','411212','421112','421211','212141',
+    '214121','412121','111143','111341','131141','114113','114311','411113','411311','113141',
+    '114131','311141','411131','211412','211214','211232','2331112'
+  ];
+  const FNC1 = 102, CODE_B = 100, CODE_C = 99, START_B = 104, START_C = 105, STOP = 106;
+
+  function gs1_128(data) {
+    const digitsAt = i => { let n = 0; while (/\d/.test(data[i+n] || '')) n++; return n; };
+    let set = digitsAt(0) >= 2 ? 'C' : 'B';
+    const vals = [set === 'C' ? START_C : START_B, FNC1];
+    for (let i = 0; i < data.length;) {
+      if (data[i] === GS) { vals.push(FNC1); i++; continue; }
+      const d = digitsAt(i);
+      if (set === 'C') {
+        if (d >= 2) { vals.push(+data.substr(i,2)); i += 2; }
+        else { vals.push(CODE_B); set = 'B'; }
+      } else if (d >= 4 && d % 2 === 0) { vals.push(CODE_C); set = 'C'; }
+      else {
+        const c = data.charCodeAt(i) - 32;
+        if (c < 0 || c > 95) throw new Error('GS1-128 cannot carry control characters');
+        vals.push(c); i++;
+      }
+    }
+    vals.push(vals.reduce((s, v, i) => s + v * (i || 1), 0) % 103, STOP);
+
+    if (vals.length > 50) throw new Error('GS1-128 symbol too long (max 48 symbol characters)');
+    const bars = [];
+    for (const v of vals) [...C128[v]].forEach((w, k) => { for (let j = 0; j < +w; j++) bars.push(k % 2 === 0); });
+    return { type:'linear', symbology:'gs1-128', modules:bars, quiet:10 };
+  }
+
+  // ════════════════════════════════════════
+  // QR CODE (byte mode, ECC level M, versions 1–20)
+  // ════════════════════════════════════════
+  // [ecc per block, group1 blocks, group1 data cw, group2 blocks, group2 data cw]
+  const QR_M = [null,
+    [10,1,16,0,0],  [16,1,28,0,0],  [26,1,44,0,0],  [18,2,32,0,0],  [24,2,43,0,0],
+    [16,4,27,0,0],  [18,4,31,0,0],  [22,2,38,2,39], [22,3,36,2,37], [26,4,43,1,44],
+    [30,1,50,4,51], [22,6,36,2,37], [22,8,37,1,38], [24,4,40,5,41], [24,5,41,5,42],
+    [28,7,45,3,46], [28,10,46,1,47],[26,9,43,4,44], [26,3,44,11,45],[26,3,41,13,42]
+  ];
+  const QR_ALIGN = [null, [], [6,18], [6,22], [6,26], [6,30], [6,34],
+    [6,22,38], [6,24,42], [6,26,46], [6,28,50], [6,30,54], [6,32,58], [6,34,62],
+    [6,26,46,66], [6,26,48,70], [6,26,50,74], [6,30,54,78], [6,30,56,82], [6,30,58,86], [6,34,62,90]];
+
+  const QR_MASKS = [
+    (x,y) => (x+y) % 2 === 0,            (x,y) => y % 2 === 0,
+    (x)   => x % 3 === 0,                (x,y) => (x+y) % 3 === 0,
+    (x,y) => (Math.floor(x/3) + Math.floor(y/2)) % 2 === 0,
+    (x,y) => x*y % 2 + x*y % 3 === 0,    (x,y) => (x*y % 2 + x*y % 3) % 2 === 0,
+    (x,y) => ((x+y) % 2 + x*y % 3) % 2 === 0
+  ];
+
+  function qrPenalty(m) {
+    const n = m.length;
+    let p = 0, dark = 0;
+    const lines = [];
+    for (let i = 0; i < n; i++) { lines.push(m[i]); lines.push(m.map(r => r[i])); }
+    for (const line of lines) {
+      let run = 1;
+      for (let i = 1; i <= n; i++) {
+        if (i < n && line[i] === line[i-1]) run++;
+        else { if (run >= 5) p += 3 + run - 5; run = 1; }
+      }
+      const s = line.map(v => v ? 1 : 0).join('');
+      p += 40 * ((s.match(/(?=10111010000)/g) || []).length + (s.match(/(?=00001011101)/g) || []).length);
+    }
+    for (let y = 0; y < n; y++) for (let x = 0; x < n; x++) {
+      if (m[y][x]) dark++;
+      if (y < n-1 && x < n-1 && m[y][x] === m[y][x+1] && m[y][x] === m[y+1][x] && m[y][x] === m[y+1][x+1]) p += 3;
+    }
+    return p + 10 * Math.floor(Math.abs(dark * 100 / (n*n) - 50) / 5);
+  }
+
+  function qr(data, { gs1=false }={}) {
+    const bytes = [...new TextEncoder().encode(data)];
+    let version = 0, spec;
+    for (let v = 1; v < QR_M.length; v++) {
+      spec = QR_M[v];
+      const cap = (spec[1]*spec[2] + spec[3]*spec[4]) * 8;
+      if ((gs1 ? 4 : 0) + 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= cap) { version = v; break; }
+    }
+    if (!version) throw new Error('Too much data for QR (version 20 limit)');
+    const [eccLen, g1, d1, g2, d2] = spec;
+    const capBits = (g1*d1 + g2*d2) * 8;
+
+    // Bit stream: [FNC1 first position] byte mode, count, data, terminator, pad
+    const bits = [];
+    const put = (v, n) => { for (let i = n-1; i >= 0; i--) bits.push((v >>> i) & 1); };
+    if (gs1) put(0b0101, 4);
+    put(0b0100, 4); put(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(b => put(b, 8));
+    put(0, Math.min(4, capBits - bits.length));
+    while (bits.length % 8) bits.push(0);
+    const cw = [];
+    for (let i = 0; i < bits.length; i += 8) cw.push(parseInt(bits.slice(i, i+8).join(''), 2));
+    for (let pad = 0xEC; cw.length < capBits / 8; pad ^= 0xEC ^ 0x11) cw.push(pad);
+
+    const blocks = [];
+    let k = 0;
+    for (let b = 0; b < g1; b++) { blocks.push(cw.slice(k, k+d1)); k += d1; }
+    for (let b = 0; b < g2; b++) { blocks.push(cw.slice(k, k+d2)); k += d2; }
+    const all = interleave(blocks, eccLen, GF_QR, 0);
+
+    // Function patterns
+    const size = 17 + 4 * version;
+    const m = grid(size, size), fn = grid(size, size);
+    const set = (x, y, v) => { m[y][x] = v; fn[y][x] = true; };
+    for (const [fx, fy] of [[0,0], [size-7,0], [0,size-7]])
+      for (let dy = -1; dy <= 7; dy++) for (let dx = -1; dx <= 7; dx++) {
+        const x = fx+dx, y = fy+dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const ring = Math.max(Math.abs(dx-3), Math.abs(dy-3));
+        set(x, y, ring !== 2 && ring !== 4);
+      }
+    for (let i = 8; i < size-8; i++) { set(i, 6, i % 2 === 0); set(6, i, i % 2 === 0); }
+    const al = QR_ALIGN[version];
+    for (const ay of al) for (const ax of al) {
+      if ((ax === 6 && ay === 6) || (ax === 6 && ay === al[al.length-1]) || (ax === al[al.length-1] && ay === 6)) continue;
+      for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++)
+        set(ax+dx, ay+dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+    const drawFormat = mask => {
+      const data = (0 << 3) | mask;     // ECC level M = 00
+      let rem = data;
+      for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+      const f = ((data << 10) | rem) ^ 0x5412;
+      const bit = i => ((f >>> i) & 1) === 1;
+      for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+      set(8, 7, bit(6)); set(8, 8, bit(7)); set(7, 8, bit(8));
+      for (let i = 9; i < 15; i++) set(14-i, 8, bit(i));
+      for (let i = 0; i < 8; i++) set(size-1-i, 8, bit(i));
+      for (let i = 8; i < 15; i++) set(8, size-15+i, bit(i));
+      set(8, size-8, true);
+    };
+    drawFormat(0);
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const v = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const b = ((v >>> i) & 1) === 1, a = size - 11 + i % 3, c = Math.floor(i / 3);
+        set(a, c, b); set(c, a, b);
+      }
+    }
+
+    // Data, zig-zag from the bottom-right corner
+    let i = 0;
+    for (let right = size-1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) for (let j = 0; j < 2; j++) {
+        const x = right - j, up = ((right + 1) & 2) === 0, y = up ? size-1-vert : vert;
+        if (!fn[y][x] && i < all.length * 8) { m[y][x] = ((all[i >>> 3] >>> (7 - (i & 7))) & 1) === 1; i++; }
+      }
+    }
+
+    // Pick the mask with the lowest penalty
+    let best = null, bestScore = Infinity;
+    QR_MASKS.forEach((mask, n) => {
+      const t = m.map((row, y) => row.map((v, x) => fn[y][x] ? v : v !== mask(x, y)));
+      const keep = m.map(r => r.slice());
+      for (let y = 0; y < size; y++) m[y] = t[y];
+      drawFormat(n);
+      const score = qrPenalty(m);
+      if (score < bestScore) { bestScore = score; best = m.map(r => r.slice()); }
+      for (let y = 0; y < size; y++) m[y] = keep[y];
+    });
+    return { type:'matrix', symbology:'qr', size, version, modules:best, quiet:4 };
+  }
+
+  // ════════════════════════════════════════
+  // RENDERING
+  // ════════════════════════════════════════
+  /** Module grid for any symbol: linear symbols become one row repeated `height` times. */
+  function raster(sym, { height=50 }={}) {
+    const q = sym.quiet;
+    if (sym.type === 'linear') {
+      const row = [...new Array(q).fill(false), ...sym.modules, ...new Array(q).fill(false)];
+      return Array.from({ length:height }, () => row);
+    }
+    const w = sym.size + 2*q;
+    return Array.from({ length:w }, (_, y) => Array.from({ length:w }, (_, x) =>
+      y >= q && x >= q && y < q + sym.size && x < q + sym.size && sym.modules[y-q][x-q]));
+  }
+
+  /**
+   * SVG markup. opts: scale (px per module, default 4), height (linear, modules),
+   * text (human-readable line under the symbol).
+   */
+  function toSVG(sym, { scale=4, height=50, text='' }={}) {
+    const r = raster(sym, { height: sym.type === 'linear' ? 1 : 0 });
+    const w = r[0].length, h = sym.type === 'linear' ? height : r.length;
+    const textH = text ? 14 : 0;
+    let path = '';
+    r.forEach((row, y) => {
+      for (let x = 0; x < w; x++) {
+        if (!row[x]) continue;
+        let run = 1;
+        while (row[x+run]) run++;
+        path += `M${x} ${y}h${run}v${sym.type === 'linear' ? h : 1}h-${run}z`;
+        x += run - 1;
+      }
+    });
+    const esc = s => String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${w*scale}" height="${h*scale + textH*scale/2}" viewBox="0 0 ${w} ${h + textH/2}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/>` +
+      (text ? `<text x="${w/2}" y="${h + textH/2 - 1.5}" font-family="monospace" font-size="${Math.max(5, textH/2.5)}" text-anchor="middle">${esc(text)}</text>` : '') +
+      `</svg>`;
+  }
+
+  // PNG: 8-bit greyscale, zlib "stored" blocks — no compressor needed
+  const CRC_TABLE = [...Array(256)].map((_, n) => { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1; return c >>> 0; });
+  const crc32 = bytes => { let c = 0xFFFFFFFF; for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c >>> 8); return (c ^ 0xFFFFFFFF) >>> 0; };
+  const u32 = n => [(n >>> 24) & 255, (n >>> 16) & 255, (n >>> 8) & 255, n & 255];
+
+  /** PNG bytes (Uint8Array). opts: scale (px per module, default 4), height (linear, modules). */
+  function toPNG(sym, { scale=4, height=50 }={}) {
+    const r = raster(sym, { height });
+    const w = r[0].length * scale, h = r.length * scale;
+    const raw = [];
+    for (let y = 0; y < h; y++) {
+      raw.push(0);
+      const row = r[Math.floor(y / scale)];
+      for (let x = 0; x < w; x++) raw.push(row[Math.floor(x / scale)] ? 0 : 255);
+    }
+    const z = [0x78, 0x01];
+    for (let i = 0; i < raw.length || i === 0; i += 65535) {
+      const len = Math.min(65535, raw.length - i);
+      z.push(i + len >= raw.length ? 1 : 0, len & 255, len >>> 8, ~len & 255, (~len >>> 8) & 255);
+      for (let j = i; j < i + len; j++) z.push(raw[j]);
+    }
+    let a = 1, b = 0;
+    for (const v of raw) { a = (a + v) % 65521; b = (b + a) % 65521; }
+    z.push(...u32(((b << 16) | a) >>> 0));
+    const chunk = (type, data) => {
+      const td = [...type].map(c => c.charCodeAt(0)).concat(data);
+      return [...u32(data.length), ...td, ...u32(crc32(td))];
+    };
+    return new Uint8Array([137,80,78,71,13,10,26,10,
+      ...chunk('IHDR', [...u32(w), ...u32(h), 8, 0, 0, 0, 0]),
+      ...chunk('IDAT', z),
+      ...chunk('IEND', [])]);
+  }
+
+  return { dataMatrix, gs1_128, qr, toSVG, toPNG, raster };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GS1Symbols;
+}
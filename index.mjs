@@ -0,0 +1,14 @@
+/**
+ * ES module entry — import { GS1, Master } from 'pharmascan'
+ * The implementation is the CommonJS/browser build in pharmascan-core.js.
+ */
+
+import PharmaCore from './pharmascan-core.js';
+import GS1Core from './gs1-core.js';
+import GS1Symbols from './gs1-symbols.js';
+import MasterImport from './master-import.js';
+import PharmaVerify from './pharmascan-verify.js';
+
+export const { CFG, GS1, Policy, Master, Schema, Ledger, Locations, StockTake, Returns, Recalls, Serials, extractDateFromOCR, UnifiedBarcodeParser } = PharmaCore;
+export { GS1Core, GS1Symbols, MasterImport, PharmaVerify };
+export default PharmaCore;
@@ -3,40 +3,17 @@
  * 11253 products - Built into app
  * Combined from: m.csv + Book1.xlsx + Book3.xlsx + book6.xlsx
  * No need to upload CSV - always available!
+ *
+ * Bump MASTER_DB_VERSION whenever MASTER_DB changes — installed apps merge the new
+ * catalogue into their master store and keep the user's own uploads and edits.
  */
 
+const MASTER_DB_VERSION = 1;
+
 const MASTER_DB = [{"b": "4015630982110", "n": "ACCUCHECK PERFORMA 50S", "r": "220216906"}, {"b": "9650364003455", "n": "A3 REUSABLE FACE MASK 1S", "r": "220196349"}, {"b": "3282770108712", "n": "VADERMA DERMALIBOUR BARRIER INSULATING CRM 50ML", "r": "220197250"}, {"b": "3282770025200", "n": "ADERMA PHYSAC HYDRA CRM COMPEN 40ML", "r": "220230365"}, {"b": "5060006581007", "n": "AD UB351 WRIST BPM", "r": "220160692"}, {"b": "5060006581120", "n": "AD 651 UPPER ARM BPM", "r": "220155693"}, {"b": "965015200003", "n": "ACTIFED TABLETS 12S", "r": "220160902"}, {"b": "6223004516146", "n": "ACTI COLLA C TRIPLE ACTION 30S", "r": "220206176"}, {"b": "4015630064281", "n": "ACCUCHECK ACTIVE METER", "r": "220198448"}, {"b": "8436009783637", "n": "ABRIL NAT INSTANT MASK COLOR 200ML", "r": "220060062"}, {"b": "6291100080045", "n": "ADOL 250MG SUPPO 10S", "r": "220190512"}, {"b": "3282770108668", "n": "ADERMA HYDRA PROTECTIVE SHOWER GEL 200ML", "r": "220224935"}, {"b": "965014600002", "n": "ADOL 125MG SUPPO 10S", "r": "220170230"}, {"b": "3607342733947", "n": "ADIDAS GET READY SHOWER GEL 250ML", "r": "220069990"}, {"b": "6291100081394", "n": "ADOL DROPS 100MG1ML 15ML", "r": "220218211"}, {"b": "3282770209495", "n": "ADERMA EPITHELIAL CREAM 40ML", "r": "220231281"}, {"b": "8436009781961", "n": "ABRIL NAT SHAMPOO MASK LISS 200ML", "r": "220084480"}, {"b": "3282770030174", "n": "ADERMA LIP BALM STICK 4GRM", "r": "220219349"}, {"b": "9650143001177", "n": "3M 1860 N95 MASK 20BOX", "r": "220186074"}, {"b": "9650364002731", "n": "3M FACE MASK N95 8210 20S", "r": "220189958"}, {"b": "8809261000079", "n": "3NS TEX SPORTS TAPE 5CMX5M", "r": "220088905"}, {"b": "3282770106183", "n": "ADERMA EXOMEGA EMOLLIENT SHOWER OIL 200ML", "r": "220233994"}, {"b": "819957020388", "n": "ACTIVISE MULTIVITAMINEFF 20S", "r": "220210991"}, {"b": "3760095250274", "n": "ACM SEBIONEX CLEANSING GEL 200ML", "r": "220224915"}, {"b": "3282770015225", "n": "VADERMA FRAGILE SKIN ULTRA RICH SHOWER GEL 200ML", "r": "220197487"}, {"b": "8436009784276", "n": "ABRIL NAT ANTI DANDRUFF TREATMENT KIT 250ML100ML", "r": "220234244"}, {"b": "3607345401119", "n": "ADIDAS PURE GAME DEO SPRAY 150ML", "r": "220228412"}, {"b": "3282770114843", "n": "ADERMA HAND CREAM 50ML", "r": "220235788"}, {"b": "3282770104783", "n": "ADERMA CYTELIUM DRYING SPRAY 100ML", "r": "220231995"}, {"b": "6291100080557", "n": "ADOL EXTRA CAPLETS 24S", "r": "220224798"}, {"b": "3607347410928", "n": "ADIDAS ICE DIVE ROLL ON 50ML", "r": "220051166"}, {"b": "3607345387321", "n": "ADIDAS ICE DIVE DEOSPRAY 150ML", "r": "220221410"}, {"b": "3002894901000", "n": "ADDITIVA VITC EFF1GM REDOR 20", "r": "220171984"}, {"b": "965014200007", "n": "ADDITIVA MAGNISIUM EFF TAB 10", "r": "220166851"}, {"b": "28711428066634", "n": "3M MEDIPOREPAD SFT CLTH DRSNG ONE SHEET10X1025 PER BOX", "r": "220160128"}, {"b": "3760095252018", "n": "ACM SEBIONEX MICELLAR LOTION 250ML", "r": "220226637"}, {"b": "9650155001189", "n": "ACIC 400MG TAB 35S", "r": "220157884"}, {"b": "45855434553", "n": "ALBORJ HAND SANITIZER 500ML", "r": "220190403"}, {"b": "3282770014105", "n": "ADERMA DERMALIBOUR CRM 50ML", "r": "220223364"}, {"b": "6291100952199", "n": "ACTIVE X CHARCOAL PEELOFF MASK 120ML", "r": "220074118"}, {"b": "819957020340", "n": "ACTIVISE VIT C 1000 EFF 20S", "r": "220211284"}, {"b": "4015630070190", "n": "ACCUCHECK GUIDE KIT", "r": "220202536"}, {"b": "8436009784085", "n": "ABRIL NAT INSTANT MASK SUBLME 200ML", "r": "220218804"}, {"b": "8436009784641", "n": "ABRIL NAT INSTANT MASK LISS  WOOD 250ML", "r": "220236524"}, {"b": "965015200002", "n": "ACTIFED SYRUP 200ML", "r": "220155768"}, {"b": "3282779285230", "n": "ADERMA DERMATOLOGICAL CLEANSING BAR 100G", "r": "220220640"}, {"b": "6291100080069", "n": "ADOL 500 MG CAPLETS 24 S", "r": "220219142"}, {"b": "8436009781169", "n": "ABRIL NAT COLOR PLATINUM CONDITIONER 200ML", "r": "220225347"}, {"b": "4015630066599", "n": "ACCUCHECK GUIDE STRIPS 50S", "r": "220202455"}, {"b": "8436009784337", "n": "ABRIL NAT NTURE PLEX MASK 200ML", "r": "220200399"}, {"b": "9650364003172", "n": "AAB DISPOSABLE FACE MASK 50S", "r": "220193346"}, {"b": "382903206858", "n": "ACCUCHEK ACCUFINE NEEDLE 4MM 32G", "r": "220166518"}, {"b": "3760095250205", "n": "ACM DEPIWHITE EYE CONTOUR GEL 15ML", "r": "220217611"}, {"b": "8436009784320", "n": "ABRIL NAT INSTANT MASK NATURE PLEX 200ML", "r": "220231410"}, {"b": "3760095250120", "n": "ACM SENSITELIAL SPF 100 SUNSCREEN CREAM 40ML", "r": "220232859"}, {"b": "680587997247", "n": "ACTIFOL 1MG TABLET 30S", "r": "220205750"}, {"b": "8436009784061", "n": "ABRIL NAT SHAMPOO SUBLIME 250ML", "r": "220218354"}, {"b": "3282770037036", "n": "ADERMA PHYSAC PURIFYING FOAMING GEL 200ML", "r": "220222036"}, {"b": "4026466010311", "n": "ADDITIVA MAGNISIUM DRINK 20S", "r": "220169224"}, {"b": "965014600040", "n": "ADOL SIN HOT THERA 6S", "r": "220166226"}, {"b": "6291108198070", "n": "ACTIVE PLUS SKIN SANITIZER 95 250ML", "r": "220191249"}, {"b": "7640171660486", "n": "ACTV8SKN EYE CONTOUR", "r": "220210408"}, {"b": "8436009783484", "n": "ABRIL NAT SHAMPOO COLOR 250ML", "r": "220054820"}, {"b": "5050474106031", "n": "V ACUVUE REVITALENS MULTIPURPOSE CONTACT LENSE  SOLUTION 360ML", "r": "220207889"}, {"b": "5903163602034", "n": "ACTIVLAB COLLAGEN JOINT & BODY", "r": "129841893"}, {"b": "5903260902730", "n": "COLLAGEN BEAUTY CAPSULES 30 CASPULES", "r": "220213286"}, {"b": "819957020395", "n": "ACTIVISE KIDS MULTI  CALCIUM EFF 20S", "r": "220211663"}, {"b": "5050474105966", "n": "V ACUVUE REVITALENS MULTIPURPOSE CONTACT LENSE  SOLUTION 100ML", "r": "220206025"}, {"b": "5903260902938", "n": "COLLAGEN BEAUTY SKIN 200 G JAR", "r": "220213721"}, {"b": "4022679114587", "n": "ACTIVITA CAL D3 20S", "r": "220160293"}, {"b": "4026466141954", "n": "ADDITIVA MULTI VITAMIN 20S", "r": "220176583"}, {"b": "819957020357", "n": "ACTIVISE CALCIUM  VIT C EFF 13S", "r": "220210970"}, {"b": "5903260902846", "n": "COLLAGEN BEAUTY HAIR 200G JAR", "r": "220213911"}, {"b": "4026466141961", "n": "ADDITIVA MULTIVITAMINCAFFEINE 20 EFFERVS", "r": "220177342"}, {"b": "5903260902822", "n": "COLLAGEN BEAUTY SHOTS 12 SHOTS", "r": "220213370"}, {"b": "819957020401", "n": "ACTIVISE CRANBERRY  VITC EFF 20S", "r": "220211345"}, {"b": "5903260900873", "n": "COLLAGEN BEAUTY EFFERVESCENT 20 TABLETS", "r": "220214014"}, {"b": "8436009784344", "n": "ABRIL NAT FINAL TOUCH NATURE PLEX 100ML", "r": "220218338"}, {"b": "965015200001", "n": "ACTIFED WET COUGH COLD 200ML", "r": "220170916"}, {"b": "3282770074697", "n": "ADERMA EXOMEGA EMOLLIENT BALM 200 ML", "r": "220216994"}, {"b": "8436009784306", "n": "ABRIL NAT BAIN SHAMPOO 250ML", "r": "220199772"}, {"b": "4015630070855", "n": "ACCUCHEK ACTIVE STRIPS 50S", "r": "220218761"}, {"b": "9650155001233", "n": "ACC 600 LONG EFFERVESCENT 10S", "r": "220162200"}, {"b": "3760095250441", "n": "ACM DEPIWHITE ADVANCED DEPIGMENTING CREAM 40ML", "r": "220219587"}, {"b": "382903206872", "n": "ACCUCHEK ACCUFINE NEEDLE 6MM 31G", "r": "220164668"}, {"b": "6281276015354", "n": "ACRETIN CREAM 005 30GM", "r": "220219325"}, {"b": "8436009781176", "n": "ABRIL NAT COLOR PLATINUM SHAMP 250ML", "r": "220219763"}, {"b": "9650155001226", "n": "ACC 200 SACHET 20S", "r": "220159497"}, {"b": "8436009784290", "n": "ABRIL NAT BAIN SHAMP NATURE PLEX 250ML", "r": "220233734"}, {"b": "6251159024612", "n": "ACTOS 15MG TABS 30S", "r": "220227878"}, {"b": "8002660033529", "n": "MOVYDIA 200MG CAPS 30S", "r": "220196968"}, {"b": "4015630068272", "n": "ACCUCHECK INSTANT STRIP 50S", "r": "220225199"}, {"b": "3760095250267", "n": "ACM DEPIWHITE WHITENING BDY MILK 200ML", "r": "220217187"}, {"b": "8436009784634", "n": "ABRIL NAT POST TREATMENT SHAMPOO LISS  WOOD 250ML", "r": "220217841"}, {"b": "4026466003757", "n": "ADDITIVA VITC EFFTAB 225MG 10", "r": "220167348"}, {"b": "850748004002", "n": "ACULIEF RELIEVES TENSION 1S", "r": "220059003"}, {"b": "7640171660400", "n": "ACTV8SKN ACTUATOR", "r": "220210468"}, {"b": "3607340725425", "n": "ADIDAS PURE GAME SHOWER GEL 250 ML", "r": "220053816"}, {"b": "4015630067237", "n": "ACCUCHEK INSTANT BLOOD GLUC MONITOR SYS", "r": "220166949"}, {"b": "8436009784047", "n": "ABRIL NAT LEAVEON SUBLIME 50ML", "r": "220077785"}, {"b": "4015630065653", "n": "ACCUCHECK PERFORMA KIT", "r": "220232842"}, {"b": "6291108197493", "n": "ACTIVE PLUS HAND SANITIZER 80ML", "r": "220190458"}, {"b": "965013700224", "n": "ACTRAPID HM 10ML", "r": "220170242"}, {"b": "9650155001219", "n": "ACIC CREAM 5 GM", "r": "220153592"}, {"b": "629110080205", "n": "ADOL PM CAPLET 24S", "r": "220163707"}, {"b": "6281276025353", "n": "ACRETIN CREAM 025 30GM", "r": "220229963"}, {"b": "51138541439", "n": "3M FACE MASK N100 1PK", "r": "220182464"}, {"b": "8436009783705", "n": "V ABRIL NAT CELL INNOVE 50ML", "r": "220074146"}, {"b": "3002894310000", "n": "ADDITIVA VITC EFF1GM LEMON 20", "r": "220167189"}, {"b": "8436009783729", "n": "V ABRIL NAT SHAMPO CEL INNOVE 250ML", "r": "220084667"}, {"b": "8436009783941", "n": "V ABRIL NAT BAIN SHAMPO CORCTVE 250ML", "r": "220056820"}, {"b": "4015630018284", "n": "ACCUCHECK SOFTCLIX LANCET 100S", "r": "220221873"}, {"b": "8436009783828", "n": "V ABRIL NAT INSTNT MSK CEL INOVE 200ML", "r": "220074959"}, {"b": "3282770073072", "n": "ADERMA EXOMEGA CRM 200ML", "r": "220224064"}, {"b": "6251159024605", "n": "ACTOS 30MG TABLETS 30S", "r": "220157580"}, {"b": "6291100082377", "n": "ADOL SYRUP 100ML", "r": "220162367"}, {"b": "965014600037", "n": "ADOL ALSIN HOT THERA 6S", "r": "220168246"}, {"b": "965014600036", "n": "ADOL ALLSIN CAPLET 24S", "r": "220163102"}, {"b": "6291100080021", "n": "ADOL 2505ML SUSP 100ML", "r": "220234002"}, {"b": "8032859064591", "n": "ADORE LENSE DARE HAZEL", "r": "220068126"}, {"b": "8032859062047", "n": "ADORE LENSE DARE GREY", "r": "220076406"}, {"b": "8032859062559", "n": "ADORE LENSE DARE GREEN", "r": "220077331"}, {"b": "8032859063570", "n": "ADORE LENSE DARE BLUE", "r": "220071728"}, {"b": "8032859065611", "n": "ADORE LENSE BI GREY", "r": "220063791"}, {"b": "63935014276", "n": "V AG MULTI ACTIVE WOMEN TAB 30S", "r": "220192286"}, {"b": "63935014870", "n": "V AG MULTI VITAMIN ADULT TAB 30S", "r": "220192596"}, {"b": "63935006271", "n": "V AG ECHINACEA 270MG CAPS 100S", "r": "220190412"}, {"b": "63935014221", "n": "V AG CRANBERRY 270MG CAP 40S", "r": "220191084"}, {"b": "63935016010", "n": "V AG ARTHRIFLEX CREAM 100GM", "r": "220192544"}, {"b": "63935012708", "n": "VAG ECHINACEA SYRUP FOR KIDS 150ML", "r": "220068121"}, {"b": "63935015297", "n": "AG MULTI VITAMIN KIDS GUMMY 60S", "r": "220191882"}, {"b": "63935014306", "n": "V AG STIMULEX CAPS 40S", "r": "220190876"}, {"b": "63935015853", "n": "AG RELAXEN DAY CAPS 40S", "r": "220064737"}, {"b": "63935015969", "n": "AG COLLAGEN TRIPLE ACTION CAP 30S", "r": "220081092"}, {"b": "5010058040106", "n": "ADVANCED HEAT PAD X6", "r": "220164870"}, {"b": "9650145000369", "n": "ADVANTAN CREAM 20G", "r": "220168060"}, {"b": "9650145000376", "n": "ADVANTAN OINT 20G", "r": "220171714"}, {"b": "6251613000671", "n": "ADVIL NIGHT 20CAPLETS", "r": "220184199"}, {"b": "6251613000695", "n": "ADVIL 12H BACKJNT IBUPROFEN 600MH 30TABS", "r": "220190052"}, {"b": "6251613000374", "n": "ADVIL LIQUIGEL CAP 32S", "r": "220234124"}, {"b": "965014400030", "n": "ADVIL IBUPROFEN 200MG 50 TAB", "r": "220170126"}, {"b": "965014400029", "n": "ADVIL COLD  SINUS 20CAPS", "r": "220167178"}, {"b": "6251613000435", "n": "ADVIL CHILDREN SYRUP 100MG5ML", "r": "220166228"}, {"b": "965014400005", "n": "ADVIL IBUPROFEN 200MG 24 TAB", "r": "220164786"}, {"b": "965013700226", "n": "AERIUS 5MG TABLETS 30S", "r": "220156323"}, {"b": "965013700227", "n": "AERIUS SYRUP 150ML", "r": "220162420"}, {"b": "899681002157", "n": "AGADIR ARGAN OIL STYLE CURL CREAM 2957ML", "r": "220231275"}, {"b": "899681002195", "n": "AGADIR ARGAN OIL SPRAY TREATMENT 150ML", "r": "220216423"}, {"b": "899681002034", "n": "AGADIR ARGAN OIL MOIST MASK 2366ML", "r": "220226980"}, {"b": "899681002201", "n": "AGADIR ARGAN OIL EXTRA FIRM HOLD SPRITZ 236ML", "r": "220225525"}, {"b": "899681002454", "n": "AGADIR ARGAN OIL DAILY VOLUMZNG SHAMPOO 366ML", "r": "220222382"}, {"b": "899681002041", "n": "AGADIR ARGAN OIL DAILY MOIST SHAMPOO 366ML", "r": "220221499"}, {"b": "899681002065", "n": "AGADIR ARGAN OIL DAILY MOIST CONDITIONER 366ML", "r": "220233498"}, {"b": "899681002072", "n": "AGADIR ARGAN OIL VOLUMIZING STYLING MOUSSE 85OZ", "r": "220226134"}, {"b": "899681002652", "n": "AGADIR ARGAN OIL DAILY VOLUMZNG CONDITIONER 366ML", "r": "220234817"}, {"b": "899681004014", "n": "AGADIR ARAGAN OIL HAIR SHIELD 450 SPRAY 200ML", "r": "220219759"}, {"b": "899681005004", "n": "V AGADIR XTREME HOLD STYLE GEL 87OZ", "r": "220080859"}, {"b": "899681005028", "n": "V AGADIR XTREME HOLD STYLE GEL 2OZ", "r": "220087664"}, {"b": "899681002225", "n": "V AGADIR EXTRA FIRM HOLD SPRITZ 2OZ", "r": "220068531"}, {"b": "899681002546", "n": "AGADIR MEN OUD WOOD HAIR GEL 85GM", "r": "220234328"}, {"b": "899681002560", "n": "AGADIR MEN OUD WOOD HAIR  BDY WASH 508ML", "r": "220223951"}, {"b": "899681002577", "n": "AGADIR MEN OUD WOOD FIRM HOLD HAIR GEL 198ML", "r": "220058622"}, {"b": "899681002553", "n": "AGADIR MEN OUD WOOD BEARD OIL 44ML", "r": "220226999"}, {"b": "899681002058", "n": "AGADIR ARGAN OIL TREATMENT 665ML", "r": "220228169"}, {"b": "899681002997", "n": "AGADIR ARGAN OIL HAIR SHIELD 450 INTENSE CREAM 10OZ", "r": "220225957"}, {"b": "899681002768", "n": "AGADIR ARGAN OIL DRY SHAMPOO 200ML", "r": "220236353"}, {"b": "899681002751", "n": "AGADIR ARGAN OIL AEROSOL HAIR SPRAY 105OZ", "r": "220236154"}, {"b": "8430442445480", "n": "AGILITY EPA  HYDROLYSED COLLAGEN 30DAYS", "r": "220162259"}, {"b": "4019338607405", "n": "AGIOLAX GRANULES 250G", "r": "220220828"}, {"b": "8809611678699", "n": "AHC SERUM AQUALURONIC 30ML", "r": "220205420"}, {"b": "8809611675421", "n": "AHC PEONY TONING CRM 50ML", "r": "220207011"}, {"b": "8809611675407", "n": "AHC PEONY LUMINS SERUM 40ML", "r": "220206896"}, {"b": "8809611675384", "n": "AHC PEONY FOAM 140ML", "r": "220206495"}, {"b": "8809611682986", "n": "AHC MASK AQUA LIFT 28G", "r": "220207711"}, {"b": "8809611682993", "n": "AHC MASK AQUA BRIGHT 28G", "r": "220206350"}, {"b": "8809611678651", "n": "AHC EYE FACE CRM 30ML", "r": "220205610"}, {"b": "8809611678705", "n": "AHC CRM AQUALURONIC 50ML", "r": "220205287"}, {"b": "8809611678668", "n": "AHC CLEANSER AQUALURONIC 140ML", "r": "220206908"}, {"b": "653854270190", "n": "ARDOR SILICONE SCAR GEL 30G", "r": "220198236"}, {"b": "653854270176", "n": "ARDOR REGOW HAIR LOSS SERUM 30ML", "r": "220198024"}, {"b": "653854270121", "n": "ARDOR ONE STEP HAIR STYLER", "r": "220197625"}, {"b": "653854270169", "n": "ARDOR C SUPER SERUM 30ML", "r": "220198066"}, {"b": "653854270206", "n": "ARDOR BRIGHT EYES GEL 50ML", "r": "220197740"}, {"b": "4971902924861", "n": "VAIR DOCTOR PORTABLE JAPAN", "r": "220200469"}, {"b": "8426181973506", "n": "AIRLIFT FRESH BREATH SPRAY", "r": "220067070"}, {"b": "8426181972202", "n": "AIR LIFT FRESH BREATH CAPS 40S", "r": "220236118"}, {"b": "965014300061", "n": "AKNEMYCIN SOLN 25ML", "r": "220166840"}, {"b": "3587925367823", "n": "KIDS CLOTH FACE MASK SUPERMAN", "r": "220199382"}, {"b": "6294015144642", "n": "KIDS CLOTH FACE MASK HELLO KITTY", "r": "220199888"}, {"b": "3587925368448", "n": "FACE MASK UAE DESIGN WHITE", "r": "220198910"}, {"b": "3587925368486", "n": "FACE MASK UAE DESIGN FLAG KIDS", "r": "220198566"}, {"b": "3587925368462", "n": "FACE MASK UAE DESIGN FLAG", "r": "220200945"}, {"b": "3587925368455", "n": "FACE MASK UAE DESIGN BLACK", "r": "220200671"}, {"b": "745125878706", "n": "DISPOSABLE FACE MASK 3 PLY WITH HEAD LOOP", "r": "220200367"}, {"b": "8032979002404", "n": "ALCHIMIA VEGETAL SOAP LEMON 200G", "r": "220156764"}, {"b": "8032979002008", "n": "ALCHIMIA VEGETAL SOAP GRAPESBILBERRY 200G", "r": "220157536"}, {"b": "8032979002091", "n": "ALCHIMIA VEGETAL SOAP AMBER 200G", "r": "220154386"}, {"b": "730821599949", "n": "V ALCON FRESHLOOK MONTHLY COLOR LENSES GREEN 2PCS", "r": "220197757"}, {"b": "730821600515", "n": "V ALCON FRESHLOOK MONTHLY COLOR LENSES HONEY 2PCS", "r": "220197800"}, {"b": "730821991927", "n": "V ALCON FRESHLOOK MONTHLY COLOR LENSES STERLING GRAY 2PCS", "r": "220197827"}, {"b": "730821599376", "n": "V ALCON FRESHLOOK MONTHLY COLOR LENSES GRAY 2PCS", "r": "220197956"}, {"b": "730821598805", "n": "V ALCON FRESHLOOK MONTHLY COLOR LENSES BROWN 2PCS", "r": "220197688"}, {"b": "730821633940", "n": "V ALCON FRESHLOOK MONTHLY COLOR LENSES MISTY GRAY 2PC", "r": "220197865"}, {"b": "730821690646", "n": "V ALCON FRESHLOOK MONTHLY COLOR LENSES PURE HAZEL 2PCS", "r": "220197731"}, {"b": "630175450456", "n": "V ALCON FRESHLOOK DAILY COLOR LENSES GREEN 10PCS", "r": "220197821"}, {"b": "846566921461", "n": "V ALCON FRESHLOOK DAILY COLOR LENSES MYSTIC GRAY 10PCS", "r": "220198082"}, {"b": "846566920907", "n": "V ALCON FRESHLOOK DAILY COLOR LENSES MYSTIC BLUE 10PCS", "r": "220197883"}, {"b": "630175450968", "n": "V ALCON FRESHLOOK DAILY COLOR LENSES PURE HAZEL 10PCS", "r": "220198219"}, {"b": "630175464941", "n": "V ALCON FRESHLOOK DAILY COLOR LENSES GRAY 10PCS", "r": "220197981"}, {"b": "630175449948", "n": "V ALCON FRESHLOOK DAILY COLOR LENSES BLUE 10PCS", "r": "220198115"}, {"b": "846566945245", "n": "V ALCON FRESHLOOK DAILY COLOR LENSES MYSTIC HAZEL 10PCS", "r": "220198045"}, {"b": "300653610831", "n": "ALCON OPTIFREE PUREMOIST 300ML", "r": "220227503"}, {"b": "300653610848", "n": "ALCON OPTIFREE PUREMOIST 90ML", "r": "220221937"}, {"b": "300650418263", "n": "ALCON TEARS NATURALII EYE DRP 15ML", "r": "220185497"}, {"b": "965016000086", "n": "ALCON TEARS NAT FORTEFREE LUB 15ML", "r": "220156705"}, {"b": "965015200004", "n": "ALDACTONE 100MG TAB 10S", "r": "220152918"}, {"b": "965015200122", "n": "ALDACTONE 25MG TABS 20S", "r": "220161318"}, {"b": "401933860468", "n": "ALDARA CREAM SACH 12S", "r": "220166553"}, {"b": "965013700228", "n": "DONT USE ALDOMET 250 100S", "r": "220162382"}, {"b": "5285003470042", "n": "ALDOMET 250MG TABS 30S", "r": "220232576"}, {"b": "624721379346", "n": "ALEVA SLEEP EASY HAIR  BODY WASH 240ML", "r": "220216663"}, {"b": "624721379414", "n": "ALEVA BAMBOO BABY WIPES 30S", "r": "220223170"}, {"b": "624721379483", "n": "ALEVA BAMBOO BABY PACIFIER  TOY WIPES 30S", "r": "220230097"}, {"b": "624721379605", "n": "ALEVA BAMBOO BABY TOOTH N GUM WIPES 30S", "r": "220222369"}, {"b": "624721379476", "n": "ALEVA BAMBOO BABY BREATHE EASY WIPES 30S", "r": "220235056"}, {"b": "9650146000818", "n": "ALFACORT CREAM 30G", "r": "220215167"}, {"b": "6291100081066", "n": "ALFACORT OINTMENT 15GM", "r": "220186361"}, {"b": "6291100081059", "n": "ALFACORT CREAM 15GM", "r": "220183495"}, {"b": "869756000005", "n": "VALL NATURAL BERRY SLEEPY CAP 60S", "r": "220058783"}, {"b": "5016007206357", "n": "OPTIVE FUSION UD VIALS 30X04ML", "r": "220228456"}, {"b": "5016007206388", "n": "OPTIVE FUSION EYE DROPS 10ML", "r": "220222263"}, {"b": "5016007202663", "n": "ALLERGAN OPTIVE EYE DROPS 15ML", "r": "220002389"}, {"b": "965015200058", "n": "ALLERGAN CELLUVISC EYE DRPS 30S", "r": "220154079"}, {"b": "965015200044", "n": "ALLERGAN REFRESH  LUB EYEDRPS 30S", "r": "220155765"}, {"b": "9650152001793", "n": "ALLERGAN REFRESH LIQUIGEL 15ML", "r": "220158430"}, {"b": "965015200045", "n": "ALLERGAN REFRESH TEARS EYEDRPS 15ML", "r": "220159364"}, {"b": "5016007203745", "n": "ALLERGAN ACUVAIL 045 EYE DROPS 04ML 30 SINGLE VIALS", "r": "220162206"}, {"b": "5029354001377", "n": "ALLERGENICS HAIR SHAMPOO 200ML", "r": "220161058"}, {"b": "5029354001216", "n": "ALLERGENICS CREAM 50ML", "r": "220153949"}, {"b": "5029354002053", "n": "ALLERGENICS OINTMENT 50ML", "r": "220157061"}, {"b": "5029354001353", "n": "ALLERGENICS BODY SHWR GEL 200ML", "r": "220167229"}, {"b": "965016200004", "n": "ALLERGOCOMOD E DROP 10ML", "r": "220156595"}, {"b": "965016200003", "n": "DONT USE ALLERGOCOMOD N SPRY15", "r": "220209988"}, {"b": "5425003042140", "n": "ALLINE PROCAP 75 CAPSULES", "r": "129866890"}, {"b": "5425003041587", "n": "ALLINE PROCAP CAP 60S", "r": "220196229"}, {"b": "4038235212314", "n": "ALLPRESAN INT 10 UREA FOT FOAM CRM 125ML", "r": "220165424"}, {"b": "4038235203312", "n": "ALLPRESAN BAS 5 UREA FOT FOAM CRM 125ML", "r": "220161728"}, {"b": "6925267301728", "n": "ALOE 99 SOOTHING GEL 250ML", "r": "220068131"}, {"b": "5029354001025", "n": "ALOE PURE DIGESTIVE AID TABLETS  30", "r": "220161298"}, {"b": "5029354012588", "n": "ALOEDENT TRIPLE ACTION CHARCOAL TOOTHPASTE 100ML", "r": "220205492"}, {"b": "5029354006983", "n": "ALOE DENT MISWAK TOOTHPASTE 100ML", "r": "220232572"}, {"b": "5029354002916", "n": "ALOEDENT TRIPLE ACTION MOUTH WASH", "r": "220155745"}, {"b": "5029354010379", "n": "ALOEDENT SENSITIVE TOOTHPASTE", "r": "220161513"}, {"b": "5029354010447", "n": "ALOEDENT MOUTHWASH WITH FLUORIDE  250ML", "r": "220158482"}, {"b": "5029354005078", "n": "ALOEDENT CHILDREN TOOTHPASTE", "r": "220157648"}, {"b": "5029354007225", "n": "ALOE DENT ALOE VERA ANTI CAVITY TOOTH PASTE 100ML", "r": "220223739"}, {"b": "5029354010461", "n": "ALOE DENT ALOE VERA  ANTI CAVITY SENSITIVE TOOTH PASTE 100ML", "r": "220221441"}, {"b": "9650155250903", "n": "ALOMIDE  01  5ML  EYE  DRP", "r": "220157853"}, {"b": "4008666210586", "n": "ALPECIN DE CAFF SHAMP 250ML", "r": "220154082"}, {"b": "4008666216137", "n": "ALPECIN DAND KILLER SHAMP 250ML", "r": "220180988"}, {"b": "4008666215161", "n": "ALPECIN CAFF SHAMP 250ML", "r": "220002563"}, {"b": "4008666211880", "n": "ALPECIN CAFF LIQUID 200ML", "r": "220157602"}, {"b": "6285095007903", "n": "AVALON ALPHA PLUS CREAM 50G", "r": "220220310"}, {"b": "9650152001847", "n": "ALPHAGEN P 015 EYE DROPS 5ML", "r": "220155829"}, {"b": "965015200099", "n": "DONT USE ALPHAGAN EYE DROPS 5ML", "r": "220002390"}, {"b": "852805005045", "n": "ALTCHEK NIGHT TREATMENT 30ML", "r": "220163541"}, {"b": "852805005069", "n": "ALTCHEK GLYCOLIC RENEWAL PADS 36 PADS", "r": "220155401"}, {"b": "852805005021", "n": "ALTCHEK BRIGHTENING SERUM 30ML", "r": "220162719"}, {"b": "8001090921345", "n": "ALWAYS ULTRA DIAMOND NRML WNG 7S", "r": "220223377"}, {"b": "8001090921420", "n": "ALWAYS DIAMOND UTHIN LONG 7S", "r": "220235252"}, {"b": "8001841964966", "n": "ALWAYS ULTRA ALL IN ONE LONG 2", "r": "220206727"}, {"b": "8001841965000", "n": "ALWAYS ULTRA ALL IN ONE EXTRA", "r": "220206643"}, {"b": "8001841967400", "n": "ALWAYS DIAMOND WITH FLEX FOAM ULTRA THIN PAD 13S", "r": "220205814"}, {"b": "8001841967448", "n": "ALWAYS DIAMOND WITH FLEX FOAM ULTRA THIN PAD 10S", "r": "220206055"}, {"b": "8001841780665", "n": "ALWAYS DREAMZZ MAXI THICK NIGHT PAD 7S", "r": "220205367"}, {"b": "8001841780696", "n": "ALWAYS DREAMZZ MAXI THICK COTN NIGHT PAD 7S", "r": "220206431"}, {"b": "4015400238812", "n": "ALWAYS THICK SUPER WITH WINGS 10S", "r": "220230775"}, {"b": "8001090542403", "n": "ALWAYS COMF  PRO DLY LINRS NRML FRESH 20S", "r": "220234494"}, {"b": "8001090542502", "n": "ALWAYS COMF  PRO DLY LINRS NRML FRESH 40S", "r": "220221939"}, {"b": "8001090542625", "n": "ALWAYS DLY LINRS MULTIFORM FRESH NRML 20S", "r": "220233741"}, {"b": "8001090542717", "n": "ALWAYS DAILY LINERS COMFORT PROTECT NORMAL 20S", "r": "220226394"}, {"b": "4015400746171", "n": "ALWAYS COTTON SOFT LARGE 10S", "r": "220227354"}, {"b": "4015400647973", "n": "ALWAYS COTTON SOFT LARGE 10S", "r": "220223348"}, {"b": "4015400552000", "n": "ALWAYS ULTRA THIN COTTON SENSITIVE 7S", "r": "220229678"}, {"b": "4015400259015", "n": "ALWAYS NIGHT LONGER 8S", "r": "220225817"}, {"b": "4015400069904", "n": "ALWAYS COTTON SOFT ULTRA THIN LONG 8S", "r": "220234100"}, {"b": "4015400069942", "n": "ALWAYS COTTON SOFT ULTRA THIN NORMAL 10S", "r": "220217558"}, {"b": "4015400205319", "n": "ALWAYS ULTRA NIGHT SUPER PLUS  6S", "r": "220224155"}, {"b": "4015400566120", "n": "ALWAYS ULTRA DIAMOND NORMAL 6S", "r": "220231680"}, {"b": "4015400566182", "n": "ALWAYS ULTRA DIAMOND  EXTRA LONG 7S", "r": "220234212"}, {"b": "4015400214496", "n": "ALWAYS ULTR NORMAL WINGS 8S", "r": "220223776"}, {"b": "4015400746225", "n": "ALWAYS TOTAL PROT LARGE WITH WINGS 24S", "r": "220222320"}, {"b": "4015400625032", "n": "ALWAYS PANTYLINER LARGE 26S", "r": "220222908"}, {"b": "4015400124719", "n": "ALWAYS PANTY LINERS EXTRA PROTECT LARGE 16S", "r": "220232983"}, {"b": "4015400164623", "n": "ALWAYS PANTILINRS NORMAL FRESH 20S", "r": "220226077"}, {"b": "4015400124771", "n": "ALWAYS PANTILINERS REGULAR 40S", "r": "220217712"}, {"b": "4015400124740", "n": "ALWAYS PANTILINERS REGULAR 20S", "r": "220236370"}, {"b": "4015400164593", "n": "ALWAYS PANTILINERS FRESH 40S", "r": "220218974"}, {"b": "4015400205258", "n": "ALWAYS NIGHT ULTRA THIN WITH WINGS 7S", "r": "220231918"}, {"b": "4015400258964", "n": "ALWAYS NIGHT LARGE 24S", "r": "220222133"}, {"b": "37000830955", "n": "ALWAYS INFINITY OVERNIGHT 13S", "r": "220194299"}, {"b": "37000899099", "n": "ALWAYS INFINITY EXTRA HEAVY 14S", "r": "220195240"}, {"b": "8001090542250", "n": "ALWAYS COMF  PROT DLY LINRS NRML 40S", "r": "220224306"}, {"b": "8001090542205", "n": "ALWAYS COMF  PROT DLY LINRS NRML 20S", "r": "220228344"}, {"b": "4015400245919", "n": "ALWAYS CLEAN  DRY LARGE 30S", "r": "220231655"}, {"b": "6910181210652", "n": "AMANI ULTRA SLIMWINGS ABSORB 8S", "r": "220072117"}, {"b": "6910181210553", "n": "AMANI NIGHT PADS ULTRA SLIM 8S", "r": "220060064"}, {"b": "3582910071051", "n": "AMARYL M 2MG500MG TABLETS 30S", "r": "220216167"}, {"b": "3582910079040", "n": "AMARYL 1MG TAB 30S", "r": "220220454"}, {"b": "3582910015062", "n": "AMARYL TAB 4 MG", "r": "220155912"}, {"b": "3582910015055", "n": "AMARYL 3MG TABLETS 30S", "r": "220160977"}, {"b": "3582910015048", "n": "AMARYL 2MG TABLETS 30S", "r": "220162104"}, {"b": "829835012008", "n": "AGR WHEAT GRASS TAB 200S", "r": "220074948"}, {"b": "9650364003394", "n": "AMBIENTE NITRILE GLOVES S 100S", "r": "220195907"}, {"b": "9650364003240", "n": "AMBIENTE NITRILE GLOVES M 100S", "r": "220193412"}, {"b": "9650364003233", "n": "AMBIENTE NITRILE GLOVES L 100S", "r": "220193678"}, {"b": "9650364003363", "n": "AMBIENTE LATEX GLOVES S 100S", "r": "220194240"}, {"b": "45866434664", "n": "AMEGEL HAND SANITIZER 60ML", "r": "220190435"}, {"b": "641528005094", "n": "AMERIX OMEGA 3 CHEWABLE GUMMIES ADULT 90S", "r": "220236516"}, {"b": "641528005124", "n": "AMERIX BIOTIN 5000 MCG TAB 60S", "r": "220224416"}, {"b": "641528005087", "n": "AMERIX VITAMIN D3 2000IU 60 GUMMY", "r": "220226947"}, {"b": "641528005070", "n": "AMERIX VITAMIN C CHEWABLE GUMMIES 60S", "r": "220231295"}, {"b": "641528005056", "n": "AMERIX MULTIVITAMIN CHEWABLE TABS 60S", "r": "220217000"}, {"b": "9650245000108", "n": "AMEYA SURGICAL SPIRIT 200ML", "r": "220171426"}, {"b": "6202100060458", "n": "AMEYA ISOPROPYL ALCOHOL 70 200ML", "r": "220168522"}, {"b": "6202100006744", "n": "AMEYA GLYCERIN 100ML", "r": "220221587"}, {"b": "9650245000122", "n": "AMEYA EPSOM SALT 500GM", "r": "220168238"}, {"b": "6202100002215", "n": "AMEYA EPSOM SALT 100GM", "r": "220171425"}, {"b": "6202100055336", "n": "AMEYA CASTOR OIL 100ML", "r": "220157238"}, {"b": "6202100062285", "n": "AMEYA CALAMINE LOTION BP 200ML", "r": "220166507"}, {"b": "6202100002216", "n": "AMEYA BORIC ACID POWDER 100GM", "r": "220165483"}, {"b": "9650245000184", "n": "AMEYA BENZYL BENZOATE 100ML", "r": "220171424"}, {"b": "6202100065236", "n": "AMEYA AMEPEROXIDE 6 200ML", "r": "220161462"}, {"b": "9650245000085", "n": "AMEYA AMEDONE 10 SPRAY 250ML", "r": "220169783"}, {"b": "9650245000078", "n": "AMEYA AMEDONE 10 SOLUTION 200ML", "r": "220162074"}, {"b": "9650245000061", "n": "AMEYA AMEDONE 10 SOLUTION 120ML", "r": "220168146"}, {"b": "6297000373706", "n": "AMOSVITAL VIT C 20 EFFERVESCENT", "r": "220065132"}, {"b": "965013500002", "n": "AMOXIL 500MG CAPSULES 20S", "r": "220171990"}, {"b": "965013500001", "n": "AMOXIL 2505ML SUSP 100ML", "r": "220169235"}, {"b": "965013500011", "n": "AMOXIL 250MG CAPSULES 20S", "r": "220172380"}, {"b": "965013500010", "n": "AMOXIL 1255ML SUSP 100ML", "r": "220168852"}, {"b": "5392000080744", "n": "AMPHIS HAIR  NAIL NUTRIENTS 28 SACHTS", "r": "220193172"}, {"b": "602003976391", "n": "AMPILASH EYELASH EXTENSION MASCARA", "r": "220063364"}, {"b": "609788968245", "n": "AMS CHELATED ZINC 25MG 60TABS", "r": "220228994"}, {"b": "609788968535", "n": "AMS ZINC 50MG 60S", "r": "220225389"}, {"b": "609788968184", "n": "AMS OMEGA3 1000MG 60S", "r": "220231423"}, {"b": "609788968665", "n": "AMS PEARLY SKIN WHITENING 1500MG 60CAPS", "r": "220231170"}, {"b": "609788968696", "n": "AMS RASPBERRY KETONE LEAN 60 CAP", "r": "220234996"}, {"b": "609788968702", "n": "AMS PENAMAX MALE ENHANCE 60CT", "r": "220169565"}, {"b": "609788968122", "n": "AMS VITAMIN D 10000IU 60 SOFTGELS", "r": "220234489"}, {"b": "604776735830", "n": "AMS VIVA PILL WOMEN 120CAPS", "r": "220178338"}, {"b": "604776735847", "n": "AMS VIVA PILL MEN 120CAPS", "r": "220176252"}, {"b": "609788968856", "n": "AMS VELVET POWER CAPS 60S", "r": "220168414"}, {"b": "609788968276", "n": "AMS ROYALJELLY 500MG 60CT", "r": "220170499"}, {"b": "609788968429", "n": "AMS RASPBERRY KETONE WITH CLA 60CT", "r": "220166616"}, {"b": "604776736585", "n": "AMS RAPID C 500MGTAB 100S", "r": "220210151"}, {"b": "604776736592", "n": "AMS RAPID C 1000MGTAB 100S", "r": "220346231"}, {"b": "604776735731", "n": "AMS PEDIAWELL ZINC DROP RASP 50ML", "r": "220164982"}, {"b": "604776735724", "n": "AMS PEDIAWELL MULTIDROP RASP 50ML", "r": "220164861"}, {"b": "604776735687", "n": "AMS PEDIAWELL IRON DROP RASP 50ML", "r": "220170229"}, {"b": "604776735694", "n": "AMS PEDIAWELL FLUORIDE DROP RASP 50ML", "r": "220167623"}, {"b": "604776735700", "n": "AMS PEDIAWELL D800 DROP RASP 50ML", "r": "220156467"}, {"b": "604776735663", "n": "AMS PEDIAWELL D400 DROP RASP 50ML", "r": "220171259"}, {"b": "604776735656", "n": "AMS PEDIAWELL COMPLETE DROP RASP 50ML", "r": "220172163"}, {"b": "604776735670", "n": "AMS PEDIAWELL BASIC DROP RASP 50ML", "r": "220169255"}, {"b": "609788968238", "n": "AMS OSTEO PLUS AMS 96 CT", "r": "220171434"}, {"b": "604776735786", "n": "AMS OSTEO FREE 72CAPLETS", "r": "220157077"}, {"b": "609788968092", "n": "AMS MALE FERTILITY SUPPL 60CT", "r": "220156470"}, {"b": "609788968559", "n": "AMS LARGININE 1000MG 100CT", "r": "220169040"}, {"b": "609788969013", "n": "AMS FLORABIOTIX PROB 50BIL 30CAPS", "r": "220183938"}, {"b": "609788968825", "n": "AMS COLLACAPS HYDRLYSD COLAGEN 60 TAB", "r": "220233030"}, {"b": "609788968214", "n": "AMS CO Q10 400MG 30S", "r": "220227167"}, {"b": "609788968160", "n": "AMS CALCIUM WITH VIT D3 60 CAP", "r": "220194326"}, {"b": "609788968450", "n": "AMS BIOTIN 5000 MCG 60 TABS", "r": "220225632"}, {"b": "609788968962", "n": "AMS BIOTIN 10000 MCG 60 TABS", "r": "220217046"}, {"b": "609788968900", "n": "AMS BELLAGEN LIQUID FORMULA 500ML", "r": "220168293"}, {"b": "6281208035658", "n": "AMVASC 10MG 30S CAPS", "r": "220163956"}, {"b": "6281208015650", "n": "AMVASC 5MG 30S CAPS", "r": "220165496"}, {"b": "6281208025659", "n": "AMVASC 25MG 30S CAPS", "r": "220172290"}, {"b": "6291100082278", "n": "AMYDRAMINE EXPET SF SYRUP 120ML", "r": "220227862"}, {"b": "6291100082285", "n": "AMYDRAMINE EXPET ADULT SYRUP 120ML", "r": "220226140"}, {"b": "6291100080274", "n": "AMYDRAMINE PAED SYP 120ML", "r": "220229305"}, {"b": "6945296000188", "n": "ANALGESIC FOMENTATION PALSTER", "r": "220079229"}, {"b": "5015833307184", "n": "CREIGHTONS FRIZZ NO MORE SHAMPOO 250ML", "r": "220074505"}, {"b": "5015833307283", "n": "CREIGHTONS FRIZZ NO MORE HAIR SERUM 50ML", "r": "220066811"}, {"b": "5015833307221", "n": "CREIGHTONS FRIZZ NO MORE BLOW DRY CREME 100ML", "r": "220066950"}, {"b": "5015833307245", "n": "CREIGHTONS FRIZZ NO MORE ACTIVATOR CREAM 100ML", "r": "220076396"}, {"b": "965014500012", "n": "ANDROCUR 50MG TAB 20S", "r": "220165123"}, {"b": "5200415201060", "n": "ANIVA ANANTRA EXTENDED 28TABS", "r": "220071724"}, {"b": "5200415201077", "n": "ANIVA ANANTRA FEMALE 14TABS", "r": "220079222"}, {"b": "5200415201046", "n": "ANIVA ANANTRA RAPID 2TABS", "r": "220086604"}, {"b": "5200415201053", "n": "ANIVA PROBIOLYTE SACHETS 10S", "r": "220075734"}, {"b": "8056040472101", "n": "ANNE G CUDDLING MASSANNE GE OIL 125ML", "r": "220057604"}, {"b": "8056040472095", "n": "ANNE G BIO PROTECTIVE CRM 100ML", "r": "220063186"}, {"b": "965015500002", "n": "ANTISITIN PRIVIN E DROPS 10ML", "r": "220159352"}, {"b": "8053670940208", "n": "ANVIAGENE FORTIFYING AND ENERGIZING SHAMPOO WOMAN 200ML", "r": "220226780"}, {"b": "8053670940192", "n": "ANVIAGENE FORTIFYING AND ENERGIZING SHAMPOO MAN 200ML", "r": "220235355"}, {"b": "8053670940413", "n": "ANIVAGENE RESTRUCTURING HAIR CONDITIONER 125ML", "r": "220217525"}, {"b": "8053670940444", "n": "ANIVAGENE HAIR REPAIR MASK 125ML", "r": "220229326"}, {"b": "8053670940185", "n": "ANIVAGENE HAIR LOSS AMPOULES WOMAN 14 AMP", "r": "220218883"}, {"b": "8053670940178", "n": "ANIVAGENE HAIR LOSS AMPOULES MAN 14 AMP", "r": "220235085"}, {"b": "8053670940437", "n": "ANIVAGENE ANTIDANDRUFF SHAMPOO 200ML", "r": "220220201"}, {"b": "3401543688668", "n": "MERCK BABY APAISYLANTISEPTIC SPRAY", "r": "220161251"}, {"b": "3858882702096", "n": "APIGLUKAN IMUNO SYRUP 100ML", "r": "220204734"}, {"b": "3858882102209", "n": "APIVIT MULTI SYRUP 100ML", "r": "220204523"}, {"b": "3858882102186", "n": "APIVIT IMUNO C SYRUP 100ML", "r": "220204442"}, {"b": "6251151000539", "n": "APISAL DROPS 15ML", "r": "220182445"}, {"b": "55086000284", "n": "APOTHECARE LEMON BALM SHMP 355ML", "r": "220174585"}, {"b": "55086000338", "n": "APOTHECARE LEMON BALM COND 355ML", "r": "220176255"}, {"b": "55086000253", "n": "APOTHECARE ALOE VERA SHMP 355ML", "r": "220175172"}, {"b": "55086000307", "n": "APOTHECARE ALOE VERA COND 355ML", "r": "220179942"}, {"b": "48723003335", "n": "CONTRACEPTIVE FILM 12S", "r": "220155388"}, {"b": "930986551", "n": "APROPOS THROAT SPRAYCHILD 25ML", "r": "220050512"}, {"b": "930986548", "n": "APROPOS THROAT SPRAY ADULT", "r": "220075473"}, {"b": "904243639", "n": "APROPOS NASAL SPRAY 25 ML", "r": "220054804"}, {"b": "904243565", "n": "APROPOS EAR DROPS 20 ML", "r": "220062320"}, {"b": "3582910067764", "n": "APROVEL 300MG TAB 28S", "r": "220219957"}, {"b": "3582910067771", "n": "APROVEL 150MG TAB 28S", "r": "220233837"}, {"b": "8718117609857", "n": "APTAMIL ADVANCE2 612 MONTHS 900GM", "r": "220208859"}, {"b": "8718117609901", "n": "APTAMIL ADVANCE1 06 MONTHS 900GM", "r": "220208069"}, {"b": "8718117610808", "n": "APTAMIL ADVANCE KID4 36 YRS 900GM", "r": "220208299"}, {"b": "8718117609970", "n": "APTAMIL ADVANCE JUNIOR3 13 YRS 900GM", "r": "220209021"}, {"b": "5051594002975", "n": "APTAMIL GROWING UP MILK 200ML", "r": "220155425"}, {"b": "8718117609840", "n": "APTAMIL ADVANCE2 612 MONTHS 400GM", "r": "220208143"}, {"b": "8718117609895", "n": "APTAMIL ADVANCE1 06 MONTHS 400GM", "r": "220209449"}, {"b": "8718117610792", "n": "APTAMIL ADVANCE KID4 36 YRS 400GM", "r": "220208215"}, {"b": "8718117609963", "n": "APTAMIL ADVANCE JUNIOR3 13 YRS 400GM", "r": "220208413"}, {"b": "8718117600236", "n": "APTAMIL JUNIOR 3 13YEARS 900GM", "r": "220165605"}, {"b": "8716900559129", "n": "APTAMIL FIRST INFANT MILK 200ML", "r": "220163322"}, {"b": "8718117600298", "n": "APTAMIL 2 900G", "r": "220222116"}, {"b": "8718117600281", "n": "APTAMIL 2 400G", "r": "220220537"}, {"b": "8718117600274", "n": "APTAMIL 1 FROM BRITH 06 MONTH 900GM", "r": "220156102"}, {"b": "8718117600267", "n": "APTAMIL 1 400G", "r": "220219649"}, {"b": "8718117600229", "n": "APTA JUNIOR 3 13YEAR 400G", "r": "220154582"}, {"b": "7435118017092", "n": "V APTICA READING  EMPIRE BLUE PRINT 100", "r": "220197187"}, {"b": "7435118018006", "n": "V APTICA READING  EMPIRE BLUE PRINT 150", "r": "220197078"}, {"b": "7435118018013", "n": "V APTICA READING  EMPIRE BLUE PRINT 200", "r": "220197377"}, {"b": "7435118018020", "n": "V APTICA READING  EMPIRE BLUE PRINT 250", "r": "220196835"}, {"b": "7435118018037", "n": "V APTICA READING  EMPIRE BLUE PRINT 300", "r": "220197020"}, {"b": "7435118017030", "n": "V APTICA READING  EMPIRE DARK DEMI AMBER 100", "r": "220197186"}, {"b": "7435118017047", "n": "V APTICA READING  EMPIRE DARK DEMI AMBER 150", "r": "220197254"}, {"b": "7435118017054", "n": "V APTICA READING  EMPIRE DARK DEMI AMBER 200", "r": "220196640"}, {"b": "7435118017061", "n": "V APTICA READING  EMPIRE DARK DEMI AMBER 250", "r": "220196847"}, {"b": "7435118017078", "n": "V APTICA READING  EMPIRE DARK DEMI AMBER 300", "r": "220196556"}, {"b": "7435118018051", "n": "V APTICA READING  EMPIRE GENIUS BLACK 100", "r": "220197529"}, {"b": "7435118018068", "n": "V APTICA READING  EMPIRE GENIUS BLACK 150", "r": "220197581"}, {"b": "7435118018075", "n": "V APTICA READING  EMPIRE GENIUS BLACK 200", "r": "220196942"}, {"b": "7435118018082", "n": "V APTICA READING  EMPIRE GENIUS BLACK 250", "r": "220196540"}, {"b": "7435118018099", "n": "V APTICA READING  EMPIRE GENIUS BLACK 300", "r": "220197200"}, {"b": "7435118016071", "n": "V APTICA READING  EMPIRE LIGHT DEMI AMBER 100", "r": "220197099"}, {"b": "7435118016088", "n": "V APTICA READING  EMPIRE LIGHT DEMI AMBER 150", "r": "220196627"}, {"b": "7435118016095", "n": "V APTICA READING  EMPIRE LIGHT DEMI AMBER 200", "r": "220197113"}, {"b": "7435118017009", "n": "V APTICA READING  EMPIRE LIGHT DEMI AMBER 250", "r": "220196837"}, {"b": "7435118017016", "n": "V APTICA READING  EMPIRE LIGHT DEMI AMBER 300", "r": "220196814"}, {"b": "7435118020054", "n": "V APTICA READING  HIPPO HANGOVER BLUE PRINT 100", "r": "220196755"}, {"b": "7435118020061", "n": "V APTICA READING  HIPPO HANGOVER BLUE PRINT 150", "r": "220197226"}, {"b": "7435118020078", "n": "V APTICA READING  HIPPO HANGOVER BLUE PRINT 200", "r": "220196781"}, {"b": "7435118020085", "n": "V APTICA READING  HIPPO HANGOVER BLUE PRINT 250", "r": "220196806"}, {"b": "7435118020092", "n": "V APTICA READING  HIPPO HANGOVER BLUE PRINT 300", "r": "220197163"}, {"b": "7435118019034", "n": "V APTICA READING  HIPPO HANGOVER BRANCH OLIVE 100", "r": "220197325"}, {"b": "7435118019041", "n": "V APTICA READING  HIPPO HANGOVER BRANCH OLIVE 150", "r": "220197009"}, {"b": "7435118019058", "n": "V APTICA READING  HIPPO HANGOVER BRANCH OLIVE 200", "r": "220196892"}, {"b": "7435118019065", "n": "V APTICA READING  HIPPO HANGOVER BRANCH OLIVE 250", "r": "220196607"}, {"b": "7435118019072", "n": "V APTICA READING  HIPPO HANGOVER BRANCH OLIVE 300", "r": "220196821"}, {"b": "7435118019096", "n": "V APTICA READING  HIPPO HANGOVER DEMI AMBER 100", "r": "220196659"}, {"b": "7435118020009", "n": "V APTICA READING  HIPPO HANGOVER DEMI AMBER 150", "r": "220197061"}, {"b": "7435118020016", "n": "V APTICA READING  HIPPO HANGOVER DEMI AMBER 200", "r": "220196690"}, {"b": "7435118020023", "n": "V APTICA READING  HIPPO HANGOVER DEMI AMBER 250", "r": "220197006"}, {"b": "7435118020030", "n": "V APTICA READING  HIPPO HANGOVER DEMI AMBER 300", "r": "220196541"}, {"b": "7435118021013", "n": "V APTICA READING  HIPPO HANGOVER GENIUS BLACK 100", "r": "220196419"}, {"b": "7435118021020", "n": "V APTICA READING  HIPPO HANGOVER GENIUS BLACK 150", "r": "220196728"}, {"b": "7435118021037", "n": "V APTICA READING  HIPPO HANGOVER GENIUS BLACK 200", "r": "220196579"}, {"b": "7435118021044", "n": "V APTICA READING  HIPPO HANGOVER GENIUS BLACK 250", "r": "220196975"}, {"b": "7435118021051", "n": "V APTICA READING  HIPPO HANGOVER GENIUS BLACK 300", "r": "220196984"}, {"b": "7435118026087", "n": "V APTICA READING  LENNON DEMI AMBER 100", "r": "220197505"}, {"b": "7435118026094", "n": "V APTICA READING  LENNON DEMI AMBER 150", "r": "220197590"}, {"b": "7435118027008", "n": "V APTICA READING  LENNON DEMI AMBER 200", "r": "220196985"}, {"b": "7435118027015", "n": "V APTICA READING  LENNON DEMI AMBER 250", "r": "220196582"}, {"b": "7435118028067", "n": "V APTICA READING  LENNON DEMI AMBER 300", "r": "220197291"}, {"b": "7435118028005", "n": "V APTICA READING  LENNON GENIUS BLACK 100", "r": "220197188"}, {"b": "7435118028012", "n": "V APTICA READING  LENNON GENIUS BLACK 150", "r": "220197138"}, {"b": "7435118028029", "n": "V APTICA READING  LENNON GENIUS BLACK 200", "r": "220197148"}, {"b": "7435118028036", "n": "V APTICA READING  LENNON GENIUS BLACK 250", "r": "220196987"}, {"b": "7435118028043", "n": "V APTICA READING  LENNON GENIUS BLACK 300", "r": "220196872"}, {"b": "7435118027022", "n": "V APTICA READING  LENNON PASTEL AQUIFER 100", "r": "220197280"}, {"b": "7435118027039", "n": "V APTICA READING  LENNON PASTEL AQUIFER 150", "r": "220196746"}, {"b": "7435118027046", "n": "V APTICA READING  LENNON PASTEL AQUIFER 200", "r": "220197157"}, {"b": "7435118027053", "n": "V APTICA READING  LENNON PASTEL AQUIFER 250", "r": "220197572"}, {"b": "7435118028081", "n": "V APTICA READING  LENNON PASTEL AQUIFER 300", "r": "220196546"}, {"b": "7435118027060", "n": "V APTICA READING  LENNON ROYAL RED 100", "r": "220197102"}, {"b": "7435118027077", "n": "V APTICA READING  LENNON ROYAL RED 150", "r": "220197419"}, {"b": "7435118027084", "n": "V APTICA READING  LENNON ROYAL RED 200", "r": "220197385"}, {"b": "7435118027091", "n": "V APTICA READING  LENNON ROYAL RED 250", "r": "220196464"}, {"b": "7435118029002", "n": "V APTICA READING  LENNON ROYAL RED 300", "r": "220197314"}, {"b": "7435118036093", "n": "V APTICA READING  SMART TRAVEL MATT BLACK 100", "r": "220196479"}, {"b": "7435118037007", "n": "V APTICA READING  SMART TRAVEL MATT BLACK 150", "r": "220197143"}, {"b": "7435118037014", "n": "V APTICA READING  SMART TRAVEL MATT BLACK 200", "r": "220196595"}, {"b": "7435118037021", "n": "V APTICA READING  SMART TRAVEL MATT BLACK 250", "r": "220197335"}, {"b": "7435118037038", "n": "V APTICA READING  SMART TRAVEL MATT BLACK 300", "r": "220197380"}, {"b": "7435118038011", "n": "V APTICA READING  SMART TRAVEL MATT BLUE 100", "r": "220197225"}, {"b": "7435118038028", "n": "V APTICA READING  SMART TRAVEL MATT BLUE 150", "r": "220197340"}, {"b": "7435118038035", "n": "V APTICA READING  SMART TRAVEL MATT BLUE 200", "r": "220197202"}, {"b": "7435118038042", "n": "V APTICA READING  SMART TRAVEL MATT BLUE 250", "r": "220196762"}, {"b": "7435118038059", "n": "V APTICA READING  SMART TRAVEL MATT BLUE 300", "r": "220196707"}, {"b": "7435118037052", "n": "V APTICA READING  SMART TRAVEL MATT RED 100", "r": "220196930"}, {"b": "7435118037069", "n": "V APTICA READING  SMART TRAVEL MATT RED 150", "r": "220196680"}, {"b": "7435118037076", "n": "V APTICA READING  SMART TRAVEL MATT RED 200", "r": "220197449"}, {"b": "7435118037083", "n": "V APTICA READING  SMART TRAVEL MATT RED 250", "r": "220196476"}, {"b": "7435118037090", "n": "V APTICA READING  SMART TRAVEL MATT RED 300", "r": "220196422"}, {"b": "7435118038073", "n": "V APTICA READING  SMART TRAVEL MATT TORT BROWN 100", "r": "220196751"}, {"b": "7435118038080", "n": "V APTICA READING  SMART TRAVEL MATT TORT BROWN 150", "r": "220196624"}, {"b": "7435118038097", "n": "V APTICA READING  SMART TRAVEL MATT TORT BROWN 200", "r": "220197176"}, {"b": "7435118039001", "n": "V APTICA READING  SMART TRAVEL MATT TORT BROWN 250", "r": "220196897"}, {"b": "7435118039018", "n": "V APTICA READING  SMART TRAVEL MATT TORT BROWN 300", "r": "220197259"}, {"b": "8906046112436", "n": "AQUABIOTIC DEIONIZED WATER", "r": "220156042"}, {"b": "6805699533198", "n": "SENSODYNE EXTRA SOFT MICRO ACTIVE TOOTH BRUSH", "r": "220222800"}, {"b": "9502930970930", "n": "AQUAFRESH MYBIGTEETH 6 KIDS TP 50ML", "r": "220232474"}, {"b": "18653005778", "n": "AQUAFRESH MILK TEETH TB", "r": "220221452"}, {"b": "18653004412", "n": "AQUAFRESH MILD  MINTY TP 125ML", "r": "220218108"}, {"b": "9502930970923", "n": "AQUAFRESH LITTLETEETH 35 KIDS TP 50ML", "r": "220217578"}, {"b": "18653004368", "n": "AQUAFRESH LITTLE TEETH TB", "r": "220230797"}, {"b": "18653004429", "n": "AQUAFRESH FRESH  MINTY TP 125ML", "r": "220217857"}, {"b": "3594450400185", "n": "ARCALION 200MG 30S", "r": "220227732"}, {"b": "204000610522", "n": "ARCECLOX 75 CREAM 75ML", "r": "220221616"}, {"b": "965013700217", "n": "ARCOXIA 60MG TABS 28S", "r": "220172183"}, {"b": "965013700231", "n": "ARCOXIA 90MG TABS 28S", "r": "220163664"}, {"b": "965013700230", "n": "ARCOXIA 120MG TAB 7S", "r": "220172091"}, {"b": "965013700527", "n": "ARCOXIA 90MG TAB 7S", "r": "220168427"}, {"b": "965013700528", "n": "ARCOXIA 60MG TAB 7S", "r": "220154922"}, {"b": "74764620590", "n": "ARDELL PROF DUAL LASH APPLICATOR", "r": "220217937"}, {"b": "74764650023", "n": "ARDELL NAT STYLE EYELASH 105 BLK", "r": "220232364"}, {"b": "74764682741", "n": "ARDELL MECH BROW PENCIL MED BROWN", "r": "220063028"}, {"b": "74764682758", "n": "ARDELL MECH BROW PENCIL DARK BROWN", "r": "220069487"}, {"b": "74764682734", "n": "ARDELL MECH BROW PENCIL BLONDE", "r": "220061971"}, {"b": "74764679512", "n": "ARDELL EYELASH DOUBLE WISPIES", "r": "220066956"}, {"b": "74764679529", "n": "ARDELL EYELASH DOUBLE DEMI WISPIES", "r": "220083399"}, {"b": "74764679505", "n": "ARDELL EYELASH DOUBLE 110", "r": "220066613"}, {"b": "78462470174", "n": "ARDELL EYELASH BLK101 DEMI", "r": "220083410"}, {"b": "74764679536", "n": "ARDELL EYELASH ACCENTS 001", "r": "220083400"}, {"b": "74764650061", "n": "ARDELL EYELASH 131 BLK", "r": "220079702"}, {"b": "74764650054", "n": "ARDELL EYELASH 117 BLK", "r": "220090297"}, {"b": "74764615558", "n": "ARDELL CURVY EYELASH 411 BLACK", "r": "220217587"}, {"b": "74764615541", "n": "ARDELL CURVY EYELASH 410 BLACK", "r": "220216126"}, {"b": "74764682710", "n": "ARDELL BROW POMADE WBRUSH MED BROWN", "r": "220230339"}, {"b": "74764682727", "n": "ARDELL BROW POMADE WBRUSH DARK BROWN", "r": "220217801"}, {"b": "74764682765", "n": "ARDELL BROW DEFINING KIT", "r": "220071635"}, {"b": "8023496011246", "n": "ARGIN UP ENRGY ENHANCE MALEFEM EFF 20S", "r": "220220764"}, {"b": "8853976002866", "n": "V ARGUSSY COFFEE SALT SCRUB 280G", "r": "220071076"}, {"b": "965015200118", "n": "ARICEPT 5MG TABS 28S", "r": "220167669"}, {"b": "33200194606", "n": "AH ULTRAMAX DEO STICK UNSCENT 73G", "r": "220208878"}, {"b": "33200197447", "n": "AH ULTRAMAX DEO STICK SPORT 73G", "r": "220209415"}, {"b": "33200197249", "n": "AH ULTRAMAX DEO STICK FRESH 73G", "r": "220208281"}, {"b": "33200191223", "n": "AH ULTRAMAX DEO STICK FRESH 28G", "r": "220231501"}, {"b": "33200005469", "n": "AH ULTRAMAX DEO ESSENTIALS CLEAN WIDE 71GM", "r": "220220885"}, {"b": "33200190202", "n": "AH ULTRA MAX DEO STICK ESSENTIALS FRESH WIDE 71G", "r": "220219562"}, {"b": "33200197935", "n": "AH ESSNTL W DEO STICK CLEAN 71G", "r": "220209390"}, {"b": "5010724517109", "n": "ARM  HAMMER EXTRA STRENGTH TOOTH PASTE 115G", "r": "220226974"}, {"b": "5010724518557", "n": "ARM  HAMMER ENAMEL CARE WHITENING TOOTH PASTE 115G", "r": "220223036"}, {"b": "5010724517123", "n": "ARM  HAMMER COMPLETE CARE TOOTH PASTE 115G", "r": "220232003"}, {"b": "3141389910492", "n": "ARNAUD YOUTHFULL RADIANCE RANGE QUICK BTYLIFT VIALS 51ML", "r": "220217082"}, {"b": "3141389913462", "n": "ARNAUD YOUTHFUL RADIANCE EYE CONTOUR CARE 50ML", "r": "220226680"}, {"b": "3141380005821", "n": "ARNAUD SEBO PURIFY LOTION 250ML", "r": "220225859"}, {"b": "3141380005814", "n": "ARNAUD SEBO PURIFY CLEANSING GEL 150ML", "r": "220231828"}, {"b": "3141380005838", "n": "ARNAUD SEBO ANTIREGRAISSANT CRM 50 ML", "r": "220222157"}, {"b": "3525550099214", "n": "ARNAUD RITUEL VISAGE GEL FACE WASH 150ML", "r": "220236347"}, {"b": "141389908611", "n": "ARNAUD PREMIUM GLOBAL DAY CREAM 50ML", "r": "220165259"}, {"b": "3141389914247", "n": "ARNAUD NUTRI REGENERANTE AMPOULES REPARATRICES 51ML", "r": "220226938"}, {"b": "141389908642", "n": "ARNAUD LUXURY NIGHT TIME CONCENTRATE 30ML", "r": "220169079"}, {"b": "3141389912601", "n": "ARNAUD EYE CONTOUR ELIXIR 15ML", "r": "220170691"}, {"b": "3141389910416", "n": "ARNAUD ECLAT JEUNESSE DAY CRM 50ML", "r": "220230584"}, {"b": "3141389915725", "n": "ARNAUD COPABAIA SUN PROTECTION FACE CREAM SPF 50 50 ML", "r": "220230224"}, {"b": "3141389915756", "n": "ARNAUD COPABAIA SUN PROTECTION BODY LOTION SPF50 175ML", "r": "220228703"}, {"b": "3352712006625", "n": "ARNICA GEL 45GM HOMEOPATHIC", "r": "220164793"}, {"b": "6291106409826", "n": "AROMA ARG OIL SERUM 100ML", "r": "220071180"}, {"b": "6291106409888", "n": "AROMA ARG OIL REJUVE SHAMP 330ML", "r": "220088894"}, {"b": "6291106409918", "n": "AROMA ARG OIL HEAT DEFENSE SPRAY 250ML", "r": "220078473"}, {"b": "6291106409536", "n": "AROMA ARG OIL DEEP HAIR MASQUE 200ML", "r": "220086434"}, {"b": "6291106409895", "n": "AROMA ARG OIL DAILY MOIST CONDI 330ML", "r": "220081517"}, {"b": "5206172219997", "n": "BENOSTAN AROUSA FEMININE GEL 10S", "r": "220217290"}, {"b": "9650364001178", "n": "ART NAIL PATCH ASSORTED", "r": "220231021"}, {"b": "6297000720401", "n": "ARTELAC  ECTOIN SDU 30 SDU", "r": "129901912"}, {"b": "4030571004066", "n": "ARTELAC ADVANCED 30S UNIDOSE", "r": "220215975"}, {"b": "73911818019", "n": "ARTMATIC EYELASHES BLACK HUSSEY", "r": "220220517"}, {"b": "73911818026", "n": "ARTMATIC EYELASHES BLACK EVENING", "r": "220231140"}, {"b": "6297001071083", "n": "ASA KOR 81MG TABLETS 30S", "r": "129826944"}, {"b": "6297001071076", "n": "ASA KOR 75MG TABLETS 30S", "r": "129826910"}, {"b": "7640129620005", "n": "ASACOL 400MG TAB 100S", "r": "220161415"}, {"b": "5016003681400", "n": "ASCENSIA CONTOUR CARE 50 TEST STRIPS", "r": "220206194"}, {"b": "5016003796302", "n": "ASCENSIA CONTOUR CARE METER PACK", "r": "220207508"}, {"b": "9650155001806", "n": "ASCENSIA NEXT GLUCOSE STRIPS50S", "r": "220158419"}, {"b": "5016003708800", "n": "ASCENSIA MICROFILL STRIPS 50S", "r": "220226620"}, {"b": "5016003792106", "n": "ASCENSIA NEXT GLUCOSE MONITORING SYSTEM", "r": "220169987"}, {"b": "5016003782008", "n": "ASCENSIA CONTOUR NEXT ONE GLUCOMETER", "r": "220158214"}, {"b": "5016003655104", "n": "ASCENSIA MICROLET LANCETS 200S", "r": "220155988"}, {"b": "5016003184604", "n": "ASCENSIA CONTOUR TS STRIPS 50S", "r": "220224969"}, {"b": "5016003181900", "n": "ASCENSIA CONTOUR TS METER", "r": "220231944"}, {"b": "5016003716300", "n": "ASCENSIA CONTOUR METER PACK", "r": "220226135"}, {"b": "6291100080960", "n": "ASMAFORT SYRUP 100ML", "r": "220153141"}, {"b": "5703562001007", "n": "ASONOR NASAL SPRAY 30ML", "r": "220181190"}, {"b": "965014400007", "n": "ASPIMED 75EC TABLETS 56S", "r": "220171574"}, {"b": "9650155001585", "n": "ASPIRIN PROTECT 90S", "r": "220152418"}, {"b": "9650155001578", "n": "V ASPIRIN PROTECT 30S", "r": "220162886"}, {"b": "965015500028", "n": "V ASPIRINC EFF TABS 10S", "r": "220161840"}, {"b": "965015500097", "n": "V ASPIRIN 500MG 20TABS", "r": "220163795"}, {"b": "965015500084", "n": "ASPIRIN 500MG SOLUBLE TABS", "r": "220169387"}, {"b": "8470001746894", "n": "ASPOLVIT COLLAGEN AA TRP ACT 20 MONODOSE", "r": "220181907"}, {"b": "139612399902", "n": "ASZ DISPOSABLE BLACK MASK 50S", "r": "220199427"}, {"b": "5000456012119", "n": "ATACAND PLUS 16125MG 28S", "r": "220235136"}, {"b": "500456012119", "n": "ATACAND 16MG TABLETS 28S", "r": "220187406"}, {"b": "5000456021470", "n": "ATACAND 8 MG 28S", "r": "220225380"}, {"b": "5000456021463", "n": "ATACAND 4MG TABS 28S", "r": "220158835"}, {"b": "965016000015", "n": "ATARAX 10MG TAB 25S", "r": "220164146"}, {"b": "5200107018013", "n": "V ATHOMER STERILE SEA WATER PROPO ALL AGES", "r": "220092604"}, {"b": "5200107018006", "n": "V ATHOMER STERILE SEA WATER ALL AGE", "r": "220051655"}, {"b": "5200107018020", "n": "V ATHOMER BABY STERILE SEA WATER", "r": "220089799"}, {"b": "5200107018037", "n": "ATHOMER BABY SEA WATER PROPOLIS", "r": "220061434"}, {"b": "9650273000088", "n": "ATORMIN 50MG 28S", "r": "220152449"}, {"b": "965015700016", "n": "ATROVENT 2502ML UDV 20S", "r": "220165345"}, {"b": "965013500028", "n": "AUGMENTIN 1GM TAB 14S", "r": "220157984"}, {"b": "965013500017", "n": "AUGMENTIN 625MG TABLETS 20S", "r": "220164686"}, {"b": "9650135000522", "n": "AUGMENTIN SUSP ES 600", "r": "220171451"}, {"b": "965013500003", "n": "AUGMENTIN 375MG TABLETS 20S", "r": "220162692"}, {"b": "965013500014", "n": "AUGMENTIN 3125ML SUSP 100ML", "r": "220172123"}, {"b": "965013500015", "n": "AUGMENTIN 4575ML SUSP 70ML", "r": "220160976"}, {"b": "965013500012", "n": "AUGMENTIN 1565ML SUSP 100ML", "r": "220160975"}, {"b": "965013500013", "n": "AUGMENTIN 2285ML SUSP 70ML", "r": "220171110"}, {"b": "965013500016", "n": "AUGMENTIN 625ML DROPS 20ML", "r": "220172122"}, {"b": "7432708249416", "n": "AUQUEST SLIMMING CRM", "r": "220203955"}, {"b": "7432708249417", "n": "AUQUEST HYDROGEL EYE PATCH", "r": "220204925"}, {"b": "7432708249414", "n": "AUQUEST HORSE FOOT OIL CRM", "r": "220204542"}, {"b": "51381886028", "n": "V AURA CACIA RELAXNG SWEET ORNG BODY OIL 118ML", "r": "220201732"}, {"b": "51381886189", "n": "V AURA CACIA RELAXNG LAV BODY OIL 118ML", "r": "220202035"}, {"b": "5410076390830", "n": "AUSSIE UL MIRACLE MOIST SHAMP 300ML", "r": "220181659"}, {"b": "4084500654860", "n": "AUSSIE REPAIR MIRACLE SHAMP 300ML", "r": "220181614"}, {"b": "4084500654839", "n": "AUSSIE REPAIR MIRACLE COND 250ML", "r": "220181700"}, {"b": "5410076390809", "n": "AUSSIE MIRACLE MOIST COND 250ML", "r": "220180566"}, {"b": "5410076390427", "n": "AUSSIE MEGA SHAMP 300ML", "r": "220180533"}, {"b": "5410076390519", "n": "AUSSIE MEGA COND 250ML", "r": "220180317"}, {"b": "5410076390458", "n": "AUSSIE COLOUR MATE SHAMP 300ML", "r": "220180290"}, {"b": "5410076390540", "n": "AUSSIE COLOUR MATE COND 250ML", "r": "220182011"}, {"b": "5410076390779", "n": "AUSSIE 3 MIN MIRACLE RECONSTRUCTOR 250ML", "r": "220182057"}, {"b": "4084500618008", "n": "AUSSIE 3 MIN MIRACLE MOISTURE 250ML", "r": "220180329"}, {"b": "5410076390656", "n": "AUSSIE 3 MIN MIRACLE COLOUR 250ML", "r": "220180454"}, {"b": "8001841559179", "n": "AUSSIE SOS REPAIR TREATMENT 25ML", "r": "220203166"}, {"b": "8001841559094", "n": "AUSSIE SOS MOISTURE 25ML", "r": "220202448"}, {"b": "8001841558233", "n": "AUSSIE SOS MOISTURE 25ML", "r": "220203189"}, {"b": "8001841555751", "n": "AUSSIE SHMP SOS 290ML", "r": "220202715"}, {"b": "8001841558080", "n": "AUSSIE CONDITIONER SOS 200ML", "r": "220202347"}, {"b": "8001090718792", "n": "AUSSIE ABE SHAMPOO MIRACLE MOI", "r": "220203365"}, {"b": "8001090718761", "n": "AUSSIE ABE 3MM MIRACLE MOIST 7", "r": "220203958"}, {"b": "6285095006579", "n": "AVALON ALPHA PLUS CREAM 30G", "r": "220221027"}, {"b": "6284000001043", "n": "AVALON FOOT CREAM 100 ML", "r": "220229374"}, {"b": "6284000002323", "n": "AVALON POVIDONE MOUTH WASH 135ML", "r": "220224889"}, {"b": "6284000002477", "n": "AVALON MUSCLE PAIN REL 100ML", "r": "220219740"}, {"b": "965013500018", "n": "AVALOX 400MG TABLETS 7S", "r": "220168488"}, {"b": "9650157000937", "n": "AVAMYS 275MCG NASAL SPRAY", "r": "220160601"}, {"b": "965015700058", "n": "AVANDAMET 2500MG TAB 28S", "r": "220156710"}, {"b": "3574661406473", "n": "AVEENO DERMEXA LONG LASTING BALM 75ML", "r": "220223308"}, {"b": "3574661493633", "n": "AVEENO SKIN RLF MOIST HAND CRM 75ML", "r": "220205128"}, {"b": "3574661251660", "n": "AVEENO DERMEXA EMOLLIENT BODY WASH 300ML", "r": "220231493"}, {"b": "3574660490466", "n": "AVEENO DERMEXA EMOLLIENT CRM 200ML", "r": "220222325"}, {"b": "3574661496269", "n": "AVEENO SKIN RELIEF NOURISHNG LOTION 300ML", "r": "220219945"}, {"b": "3574661499338", "n": "AVEENO DAILY MOISTURSNG LOT 300ML", "r": "220228849"}, {"b": "3574661298658", "n": "AVEENO SKIN RELIEF BATH SHOWER OIL 300ML", "r": "220219695"}, {"b": "3574660332490", "n": "AVEENO DAILY MOISTURSNG CRM 100ML", "r": "220218951"}, {"b": "3574661493787", "n": "AVEENO BABY BARRIER CREAM 100ML", "r": "220234397"}, {"b": "3574660484830", "n": "AVEENO BABY LOTION 150ML", "r": "220232218"}, {"b": "3574661493671", "n": "AVEENO BABY HAIR  BODY WASH 300ML", "r": "220224152"}, {"b": "3574660154344", "n": "AVEENO HAND CREAM 75ML", "r": "220225417"}, {"b": "3282770201161", "n": "AVENE SPF 50 MINERAL CRM 50ML", "r": "220235770"}, {"b": "3282770100891", "n": "AVENE CLEANANCE HYDRA SOOTHING CRM 40ML", "r": "220229122"}, {"b": "3282770204667", "n": "AVENE CICALFATE REPAIR CRM 40ML", "r": "220232968"}, {"b": "3282770114096", "n": "AVENE TRIXERA SOAP 100G", "r": "220216010"}, {"b": "3282770202854", "n": "AVENE CLEAN COMEDOMED ANTBLEMISH 30ML", "r": "220234905"}, {"b": "3282770208177", "n": "AVENE AOXITIVE SERUM 30ML", "r": "220224033"}, {"b": "3282770208245", "n": "AVENE AOXITIVE NIGHT PEELING CRM 30ML", "r": "220219859"}, {"b": "3282770208214", "n": "AVENE AOXITIVE EYE CONTOUR 15ML", "r": "220228297"}, {"b": "3282770208139", "n": "AVENE AOXITIVE DAY CRM 30ML", "r": "220222356"}, {"b": "3282770139204", "n": "AVENE CLEANANCE GEL TUBE 200ML", "r": "220346243"}, {"b": "3282770100648", "n": "AVENE ANTIREDNESS FLUID 300ML", "r": "220231797"}, {"b": "3282770202281", "n": "AVENE TRIXERA NUTRI FLUID CLEANSE FACE  BODY 400ML", "r": "220218352"}, {"b": "3282770202090", "n": "AVENE SPRAY FOR CHILDREN SPF 50 200ML", "r": "220224229"}, {"b": "3282770100617", "n": "AVENE SPRAY 50 200ML", "r": "220235957"}, {"b": "3282770209402", "n": "AVENE REVITALISE NOURISH CRM 50ML", "r": "220217020"}, {"b": "3282779405447", "n": "AVNE XERACALM CLEANS OIL 400ML", "r": "220223080"}, {"b": "3282779405553", "n": "AVENE XERACALM AD CREME RELIPIDANTE 200ML", "r": "220218056"}, {"b": "3282770100037", "n": "AVENE VHIGH PROTE TINT SPF50 50ML", "r": "220234857"}, {"b": "3282779402903", "n": "AVENE VHIGH PROT KIDS LTN50 100ML", "r": "220230094"}, {"b": "3282770074758", "n": "AVENE TRIXERA NUTRIFLUID BALM 200ML", "r": "220219967"}, {"b": "3282779003131", "n": "AVENE THERMAL WATER SPRAY 300ML", "r": "220216372"}, {"b": "3282779035576", "n": "AVENE THERMAL WATER 50 ML", "r": "220232366"}, {"b": "3282770202113", "n": "AVENE SUNBLOCK LTN 50 100ML", "r": "220229330"}, {"b": "3282770112047", "n": "AVENE SUN SOLAIRE DRY TOUCH SPF 50 FLUID 50ML", "r": "220217629"}, {"b": "3282770209938", "n": "AVENE SOOTHING RADIANCE MASK 50ML", "r": "220221258"}, {"b": "3282779051361", "n": "AVENE SOOTHING EYE CONTOUR CREAM 10M", "r": "220163668"}, {"b": "3282779348850", "n": "AVENE SKIN RECOVERY 40ML", "r": "220233832"}, {"b": "3282770049350", "n": "AVENE PHYSIOLIFT SMOOTHINGM NIGHT CRM 30ML", "r": "220233544"}, {"b": "3282770049312", "n": "AVENE PHYSIOLIFT SMOOTHING DAY CRM 30ML", "r": "220230924"}, {"b": "3282770049381", "n": "AVENE PHYSIOLIFT EYES WRINKLES 15ML", "r": "220217722"}, {"b": "3282770073041", "n": "AVENE MOIST SELFTAN LTIN 100ML", "r": "220236101"}, {"b": "3282770208788", "n": "AVENE HYDRANCE CRM NORMAL SKIN SPF30 40ML", "r": "220230909"}, {"b": "3282770208962", "n": "AVENE HYDRANCE CRM LIGHT 40ML", "r": "220230277"}, {"b": "3282770208795", "n": "AVENE HYDRANCE CRM DRY SKIN SPF30 40ML", "r": "220231162"}, {"b": "3282770112634", "n": "AVENE HIGHPRTCT CLN SUNSCRN SPF3050ML", "r": "220176877"}, {"b": "3282779051491", "n": "AVENE GENTLE PROCTONING LOTION 200M", "r": "220170475"}, {"b": "3282779051514", "n": "AVENE GENTLE MILK CLEANSER 200ML", "r": "220171311"}, {"b": "3282770100877", "n": "AVENE GENTLE EXFOL SCRB 75ML", "r": "220218347"}, {"b": "3282779003124", "n": "AVENE EAU THERMAL SPRING WATER 150ML", "r": "220231762"}, {"b": "3282770098938", "n": "AVENE CREME SPF50 50ML", "r": "220222498"}, {"b": "3282770100273", "n": "AVENE COLD CREAM LIP BALM 4G", "r": "220226086"}, {"b": "3282770207736", "n": "AVENE CLEANANCE CLEANS GEL 200ML", "r": "220216367"}, {"b": "3282779353793", "n": "AVENE CICALFATE POSTPROCEDURE SKIN REPAIR EMULSION 40 ML", "r": "220159238"}, {"b": "3282779048637", "n": "AVENE CICALFATE DRYING AB LOTION 40ML", "r": "220160892"}, {"b": "3282770072815", "n": "AVENE CC HAND CREAM 50ML", "r": "220225854"}, {"b": "3282770207811", "n": "AVENE CLEANANCE MICELLAR WATER 400ML", "r": "220167144"}, {"b": "3863847005082", "n": "AVENE VERY HP FLUID SPF5050ML B1G1F", "r": "220206715"}, {"b": "3282770098099", "n": "AVENE SUN CARE SPF50 SOLAR REFLEX 30ML", "r": "220228173"}, {"b": "3282770203493", "n": "AVENE HYDRATING AQUA GEL CRM 50ML", "r": "220231428"}, {"b": "3863847005099", "n": "AVENE HIGH PROT CREAM SPF5050ML B1G1F", "r": "220205384"}, {"b": "3282770112689", "n": "AVENE FLUIDE SPF50  TINTED 50 ML", "r": "220225746"}, {"b": "3863847009677", "n": "AVENE FLUID 50TT 50ML FA B1G1F", "r": "220205585"}, {"b": "3282770200478", "n": "AVENE DERMABSOLU NIGHT CRM 40ML", "r": "220208446"}, {"b": "3282770200515", "n": "AVENE DERMABSOLU DAY CRM 40ML", "r": "220209148"}, {"b": "3282770101263", "n": "AVENE CICALFATE LIPS REPAIRING BALM 10ML", "r": "220222913"}, {"b": "3282770038330", "n": "AVNE VH PROT TINT DT EMULSPF50 50ML", "r": "220219361"}, {"b": "3282779003322", "n": "AVN EXTRA GENTL CLNSR 200ML", "r": "220226922"}, {"b": "3282779254892", "n": "AVENE ULTRA RICH SOAP FREE CLEANSING BAR 100GM", "r": "220002479"}, {"b": "3282779178631", "n": "AVENE TRXERA EMOLIENT CRM 400ML", "r": "220231650"}, {"b": "3282770074734", "n": "AVENE TRIXERA NUTRITION LOT 200ML", "r": "220173168"}, {"b": "3282770074727", "n": "AVENE TRIXERA NUTRIFLUID LOTION 400ML", "r": "220231181"}, {"b": "3282779043106", "n": "AVENE SUN CARE CRM SPF5050 ML", "r": "220224667"}, {"b": "3282779206280", "n": "AVENE RICH HYDRATING CREAM 40M", "r": "220166817"}, {"b": "3282779027540", "n": "AVENE RESTORATION SKIN CRM 40ML", "r": "220235214"}, {"b": "3282770072365", "n": "AVENE PHYSIOLIFT PRECISION WRINKLE FILLER 15ML", "r": "220224200"}, {"b": "3282779051347", "n": "AVENE MICELLAR LTN CLEAN MAKEUP REMOVR 200ML", "r": "220231579"}, {"b": "3282770037364", "n": "AVENE MICELLAR LOT CLSNR  MAKE UP RMVR 400ML", "r": "220225519"}, {"b": "3282770114669", "n": "AVENE HIGH PROT BRUME SILKY MIST SPF30 150ML", "r": "220177101"}, {"b": "9650155001431", "n": "AVENE ELUAGE GEL CONCEN 15ML", "r": "220163592"}, {"b": "9650155001448", "n": "AVENE ELUAGE CREAM 30ML", "r": "220167544"}, {"b": "3282779230520", "n": "AVENE ELAUGE EYE CONTOUR CARE 15ML", "r": "220221784"}, {"b": "3282779002738", "n": "AVENE COLD CREAM VISAGE CREME 40ML", "r": "220233088"}, {"b": "3282779254878", "n": "AVENE COLD CREAM LIP CREAM 15ML", "r": "220227652"}, {"b": "3282779002721", "n": "AVENE COLD CREAM 100ML", "r": "220223770"}, {"b": "3282770037319", "n": "AVENE CLEANANCE MICELLAR WATER 400ML", "r": "220225221"}, {"b": "3282779293631", "n": "AVENE CLEANANCE HYDRA CREMA CALMANTE 40 ML", "r": "220221766"}, {"b": "3282770037340", "n": "AVENE CLEANANCE HYDRA CREAM 40ML", "r": "220233659"}, {"b": "3282770037678", "n": "AVENE CLEANANCE EXPERT 40ML", "r": "220226190"}, {"b": "3282770037159", "n": "AVENE CLEANANCE EXFO ABSORB MASK50ML", "r": "220002381"}, {"b": "3282779222600", "n": "AVENE CLEAN-AC CLEAN. CRM 200ML", "r": "220346204"}, {"b": "3282779043878", "n": "AVENE ANTIREDNESS CRM 40ML", "r": "220223724"}, {"b": "3282779004121", "n": "AVENE AKERAT CR CORP 200ML", "r": "220233988"}, {"b": "3282779128384", "n": "AVENE AKERAT 30 CRM 100ML", "r": "220233300"}, {"b": "3282770038170", "n": "AVENE TRIACNEAL EXPERT EMULSION 30ML", "r": "220233041"}, {"b": "5012909005418", "n": "AVENT WASH BPADS X6", "r": "220000645"}, {"b": "5012909010962", "n": "AVENT SLCON TEATS VARIABLE X2", "r": "220227682"}, {"b": "5012909010931", "n": "AVENT SLCON TEAT 4HOLE X2", "r": "220235840"}, {"b": "5012909010900", "n": "AVENT SLCON TEAT 3HOLE X2", "r": "220221182"}, {"b": "5012909010870", "n": "AVENT SLCON TEAT 2HOLE X2", "r": "220227751"}, {"b": "5012909010849", "n": "AVENT SLCON TEAT 1HOLE X2", "r": "220232179"}, {"b": "8710103498599", "n": "AVENT ORTHO SOOTHER NIGHT 618M 2PC", "r": "220219544"}, {"b": "8710103543398", "n": "AVENT ORTHO SOOTHER NIGHT 06M 2PC", "r": "220222179"}, {"b": "8710103563099", "n": "AVENT NATURAL NEWBORN TEATS 0M", "r": "220223815"}, {"b": "8710103561491", "n": "AVENT NATURAL FEEDING BOTTLE 260ML 1M", "r": "220230978"}, {"b": "8710103561767", "n": "AVENT NATURAL FEEDING BOTTLE 125ML 0M", "r": "220221872"}, {"b": "5012909006941", "n": "AVENT MILK POWDER DISPENSER", "r": "220228101"}, {"b": "8710103576686", "n": "AVENT GLASS FEEDING BTL BIBERON 120ML", "r": "220047653"}, {"b": "5012909006156", "n": "AVENT BOTTLE AND TEAT BRUSH", "r": "220220787"}, {"b": "6291108725726", "n": "AXCES SPRAY SANITISER 250ML", "r": "220209000"}, {"b": "6291108725641", "n": "AXCES SPRAY OUD SANITISER 250ML", "r": "220208567"}, {"b": "6281006460522", "n": "AXE SHOWER MOUSSE OUD WOOD  VANILA 200ML", "r": "220228567"}, {"b": "6281006460546", "n": "AXE SHOWER MOUSSE BERGAMOT 200ML", "r": "220232039"}, {"b": "8690637892639", "n": "AXE LEATHER COOKIES DEO BODY SPRAY 150ML", "r": "220195412"}, {"b": "8717163647363", "n": "AXE DARK TEMPTATION DEO SPRAY 150ML", "r": "220236170"}, {"b": "8717163647349", "n": "AXE BLACK DEO SPRAY 150ML", "r": "220217588"}, {"b": "8710908688577", "n": "AXE SIGNATURE DEO SPRAY 6X150ML", "r": "220224102"}, {"b": "6221048310645", "n": "AXE MARINE DEO 150ML", "r": "220220580"}, {"b": "8717163647400", "n": "AXE ICE CHILL DEO SPRAY 150ML", "r": "220217804"}, {"b": "6221048311239", "n": "AXE EXCITE BODY SPRAY 150ML", "r": "220230904"}, {"b": "6221048312816", "n": "AXE AERO APOLLO DEO SPRAY 150ML", "r": "220221646"}, {"b": "8710908688782", "n": "AXE ADRENALINE DEO SPRAY 6X150ML", "r": "220216327"}, {"b": "9650273000057", "n": "AYULAX CAPSULES 30S", "r": "220155127"}, {"b": "8908000961012", "n": "AYURVEDA AYUVIGO FORTE CAP 60S", "r": "220152596"}, {"b": "9650160002737", "n": "AZARGA 5ML EYE DRP", "r": "220158414"}, {"b": "9650364002441", "n": "AZELASTINCOMOD 05MGML EYE DRPS 10ML", "r": "220067967"}, {"b": "6281269155630", "n": "AZIONCE CAPS 250MG 6S", "r": "220163513"}, {"b": "6291100082506", "n": "AZOMYCIN CAPS 6S", "r": "220160020"}, {"b": "9650155250902", "n": "AZOPT EYE DRP", "r": "220162006"}, {"b": "90010001132", "n": "BS VIA SLIM 30CAP", "r": "220048213"}, {"b": "8437011329028", "n": "BABE UREA 10 REPAIRING LOTION 500ML", "r": "220230525"}, {"b": "8437011329943", "n": "BABE TRANSPARENT SUNSCREEN WET SKIN SPF50 200ML", "r": "220236018"}, {"b": "8437011329370", "n": "BABE SUNSCREEN LOTION SPF50 200ML", "r": "220236097"}, {"b": "8437014389302", "n": "BABE STOP AKN PURFYNG CLNS GEL 200ML", "r": "220217795"}, {"b": "8437014389265", "n": "BABE STOP AKN MATTIFYING MOISTURISER 50ML", "r": "220231164"}, {"b": "8437014389289", "n": "BABE STOP AKN KERATOLYTIC FLUID 30ML", "r": "220233609"}, {"b": "8437011329882", "n": "BABE SOOTHNG MICELLAR GEL 245ML", "r": "220217913"}, {"b": "8437014389210", "n": "BABE SKINTONE UNIFYNG FLUID 50ML", "r": "220225259"}, {"b": "8437014389258", "n": "BABE SEBUM REGULATNG MASK 50ML", "r": "220227103"}, {"b": "8437011329103", "n": "BABE ROLLON DEO ANTIPERSPIRANT 50ML", "r": "220220187"}, {"b": "8437000945710", "n": "BABE PEDIATRIC OIL SOAP 200ML", "r": "220229235"}, {"b": "8437014389081", "n": "BABE PEDIATRIC NAPPY RASH CREAM 100ML", "r": "220232230"}, {"b": "8437014389456", "n": "BABE PEDIATRIC FACIAL BALM 50ML", "r": "220191132"}, {"b": "8437000945727", "n": "BABE PEDIATRIC EMOLLIENT CREAM 200ML", "r": "220223201"}, {"b": "8437000945758", "n": "BABE PEDIATRIC CRADLE CAP SHAMPOO 200ML", "r": "220233515"}, {"b": "8437000945734", "n": "BABE PEDIATRIC BATH GEL 500ML", "r": "220220440"}, {"b": "8437000945970", "n": "BABE OIL SOAP WITH OMEGA 369 500ML", "r": "220220189"}, {"b": "8437011329073", "n": "BABE NIPPLE CARE CREAM 30ML", "r": "220228821"}, {"b": "8436571630025", "n": "BABE MICELLAR WATER 400ML", "r": "220165143"}, {"b": "8437014389814", "n": "BABE LIP REPAIRING CRM 15ML", "r": "220194239"}, {"b": "8437011329240", "n": "BABE LIP CARE STICK SPF20 4G", "r": "220229663"}, {"b": "8437014389203", "n": "BABE IQUALOGY WHITE SERUM 30ML", "r": "220220223"}, {"b": "8437014389227", "n": "BABE IQUALOGY WHITE MICELLAR LOTION 250ML", "r": "220229743"}, {"b": "8437011329066", "n": "BABE INTIMATE HYGIENE GEL 250ML", "r": "220229672"}, {"b": "8437011329165", "n": "BABE HYDRONOURISHING CREAM SPF20 50ML", "r": "220228630"}, {"b": "8437014389470", "n": "BABE HYDRO 24H CRM GEL 50ML", "r": "220231664"}, {"b": "8437011329912", "n": "BABE HYDRA CALM BODY WASH 500ML", "r": "220236333"}, {"b": "8437011329905", "n": "BABE HYDRA CALM BODY MILK 500ML", "r": "220225520"}, {"b": "8437011329097", "n": "BABE HAND CREAM BABE 75 ML", "r": "220222415"}, {"b": "8437014389050", "n": "BABE FACIAL SUNSCREEN LIGHT TEXTURE SPF50 50ML", "r": "220228862"}, {"b": "8437014389326", "n": "BABE FACIAL OIL FREE SUNSCREEN 50ML", "r": "220234703"}, {"b": "8437011329042", "n": "BABE ANTICELLULITE FIRMING GEL 200 ML", "r": "220225006"}, {"b": "8437011329059", "n": "BABE ANTI STRETCH MARK CRM 200ML", "r": "220230371"}, {"b": "8437000945925", "n": "BABE ANTI OILY DANDRUFF SHAMPOO 250ML", "r": "220235094"}, {"b": "8437000945932", "n": "BABE ANTI HAIR LOSS SHAMPOO 250ML", "r": "220218506"}, {"b": "8437000945949", "n": "BABE ANTI HAIR LOSS LOTION 125ML", "r": "220223535"}, {"b": "8437011329080", "n": "BABE FOOT REPAIRING CREAM 10 UREA 100ML", "r": "220221778"}, {"b": "4533213674059", "n": "BABY FOOT EASY PACK MEN 1 HRS TREATMENT", "r": "220229836"}, {"b": "4533213040984", "n": "BABY FOOT EASY PACK LAVENDER 1 HR MASK", "r": "220222032"}, {"b": "75371051289", "n": "BABY MAGIC NO RINSE WASH 207ML", "r": "220171467"}, {"b": "3401542327308", "n": "BABYFEN DROPS 20ML", "r": "220082196"}, {"b": "6280656276828", "n": "BABYLYTE 240ML", "r": "220158695"}, {"b": "5000488105292", "n": "SPATONE ORIGINAL 28 DAYPACK", "r": "220056817"}, {"b": "5000488107623", "n": "SPATONE IRON W VIT C 28 DAY PACK", "r": "220081830"}, {"b": "5000488109733", "n": "BACH RESCUE SPRAY NIGHT SPRAY 20ML", "r": "220086016"}, {"b": "5000488108729", "n": "BACH RESCUE SPRAY 20ML", "r": "220072877"}, {"b": "5000488108712", "n": "BACH RESCUE REMEDY 10ML", "r": "220088562"}, {"b": "965013500021", "n": "BACTROBAN OINTMENT 15GM", "r": "220153384"}, {"b": "5050251010964", "n": "BACTROBAN NASAL OINTMENT 3GM", "r": "220160497"}, {"b": "5050251010957", "n": "BACTROBAN CREAM 15GM", "r": "220170868"}, {"b": "5900793046498", "n": "MIRACULUM BAKUCHIOL REJUVENATING NIGHT CREAM 50 ML", "r": "220237727"}, {"b": "5900793046535", "n": "MIRACULUM BAKUCHIOL INTENSIVELY REGENERATING FACE SERUM 30 ML", "r": "220238780"}, {"b": "5900793046474", "n": "MIRACULUM BAKUCHIOL FACE LIFTING DAY CREAM  50 ML", "r": "220238843"}, {"b": "5900793046559", "n": "MIRACULUM BAKUCHIOL EXFOLIATING FACE PEELING 100 ML", "r": "220236708"}, {"b": "5900793046511", "n": "MIRACULUM BAKUCHIOL  ACTIVELY SMOOTHING EYE SERUM 20 ML", "r": "220236790"}, {"b": "5900793046573", "n": "MIRACULUM BAKUCHIO NORMALIZING FACE TONIC 200ML", "r": "220237826"}, {"b": "8690957001537", "n": "BALEN BEEDROPS LICORISE VIT C  ZN LOZENGES 24S", "r": "220195031"}, {"b": "8690957001544", "n": "BALEN BEEDROPS ECHINACEA HONEY  PROP LOZENGES 24S", "r": "220193980"}, {"b": "8690957001513", "n": "BALEN BEEDROPS GINGER TURMERIC  JUNIPERLOZ 24S", "r": "220194345"}, {"b": "79656631050", "n": "BBOAT SIMPLY PROT SPORT SPF50 170G", "r": "220198238"}, {"b": "79656631074", "n": "BBOAT SIMPLY PROT SPORT LOTION SPF50 90ML", "r": "220197753"}, {"b": "79656628302", "n": "BBOAT SIMPLY PROT KIDS SPRAY SPF50 170G", "r": "220218961"}, {"b": "79656631111", "n": "BBOAT SIMPLY PROT KIDS LOTION SPF50 90ML", "r": "220198182"}, {"b": "79656631128", "n": "BBOAT SIMPLY PROT BABY LOTION SPF50 90ML", "r": "220197849"}, {"b": "79656619409", "n": "BBOAT ULTRA PROTHYDRAT SPF50 175ML", "r": "220165365"}, {"b": "79656649543", "n": "BBOAT SUN PROTECT LTN SPF50 90ML", "r": "220159372"}, {"b": "79656649536", "n": "BBOAT SUN PROTECT LTN SPF30 90ML", "r": "220152711"}, {"b": "79656615609", "n": "BBOAT SUN COMFORT SPF50 LOTION 90ML", "r": "220170921"}, {"b": "79656649550", "n": "BBOAT SPORT SUNSCREEN LTN SPF30 90ML", "r": "220161533"}, {"b": "79656651508", "n": "BBOAT SPORT SUN LTN SPF110 90ML", "r": "220220856"}, {"b": "79656004021", "n": "BBOAT PROT TAN OIL SPF15 236ML", "r": "220225792"}, {"b": "79656400106", "n": "BBOAT GOLD TAN BLEND OIL 236ML", "r": "220219894"}, {"b": "79656651515", "n": "BBOAT FACE SUN LOT SPF50 60ML", "r": "220224756"}, {"b": "79656400885", "n": "BBOAT DEEP TAN OIL SPF8 236ML", "r": "220235378"}, {"b": "79656400137", "n": "BBOAT DEEP TAN OIL SPF2 236ML", "r": "220226741"}, {"b": "79656400250", "n": "BBOAT DARK TAN OIL SPF4 236ML", "r": "220229079"}, {"b": "79656000078", "n": "BBOAT ALOE GEL 230GM", "r": "220229895"}, {"b": "79656126266", "n": "B.BOAT SPORT ULTRA SPRAY SPF100 170ML", "r": "220346261"}, {"b": "79656126228", "n": "B.BOAT SPORT ULTRA LOTION SPF100 90ML", "r": "220346253"}, {"b": "79656619379", "n": "BBOAT SUN COMFORT SPRAY SPF 50 175ML", "r": "220159768"}, {"b": "79656649567", "n": "BBOAT SPORT SUNSCREEN LTN SPF50 90ML", "r": "220222649"}, {"b": "79656651485", "n": "BBOAT SPORT SPRAY SPF110 177ML", "r": "220228745"}, {"b": "79656615616", "n": "BBOAT SPORT COOLZONE AFTER SUN GEL 226GM", "r": "220158346"}, {"b": "79656444742", "n": "BBOAT SPF 50 KIDS SPRY 175ML", "r": "220219158"}, {"b": "79656652048", "n": "BBOAT KIDS SUNSCREEN LTN SPF 50 90ML", "r": "220225092"}, {"b": "79656619423", "n": "BBOAT DRY OIL SPRAY SPF 15 175ML", "r": "220169997"}, {"b": "79656625226", "n": "BBOAT DRY BALANCE SS SPRAY SPF50 170G", "r": "220231931"}, {"b": "79656625233", "n": "BBOAT DRY BALANCE SS LOT SPF50 90ML", "r": "220162209"}, {"b": "79656650730", "n": "BBOAT COOLZON SPRY SPF50 170G", "r": "220228501"}, {"b": "79656603682", "n": "BBOAT COOL ZONE LTN SPF50 177ML", "r": "220233464"}, {"b": "79656652055", "n": "BBOAT BABY SUNSCREEN LOTION SPF 50 90ML", "r": "220158964"}, {"b": "3574660426151", "n": "BANDAID WATERBLOCK CLEAR 20S", "r": "220216913"}, {"b": "3574660418354", "n": "BANDAID FLEXIBLE FABRIC ASSTD 50S", "r": "220217566"}, {"b": "3574660418323", "n": "BANDAID FLEXIBLE FABRIC 20S", "r": "220220783"}, {"b": "3574660418262", "n": "BANDAID COMFORT FIT SHEER ASSORTED 50S", "r": "220226719"}, {"b": "3574660418231", "n": "BANDAID COMFORT FIT SHEER 20S", "r": "220228828"}, {"b": "3574660418200", "n": "BANDAID COMFORT FIT SHEER", "r": "220152403"}, {"b": "3574660426168", "n": "BANDAID ALOE VERA 20S", "r": "220229921"}, {"b": "965018300035", "n": "BANEOCIN OINTMENT 20GM", "r": "220162575"}, {"b": "965018300004", "n": "BANEOCIN POWDER 10GM", "r": "220002595"}, {"b": "663350052374", "n": "BARBIE BODY SPRAY 200ML", "r": "220228986"}, {"b": "705875610070", "n": "BARLEANS SIGNATURE FISH OIL 100S CAPS", "r": "220054817"}, {"b": "705875100205", "n": "BARLEANS TOTAL OMEGA 90S CAPS", "r": "220085683"}, {"b": "5010724532966", "n": "BATISTE DRY SHAMPOO VOLUME 200ML", "r": "220216945"}, {"b": "5010724532980", "n": "BATISTE DRY SHAMPOO HYDRATE 200ML", "r": "220231301"}, {"b": "5010724532973", "n": "BATISTE DRY SHAMPOO DE FRIZZ 200ML", "r": "220231580"}, {"b": "5010724532997", "n": "BATISTE DRY SHAMPOO DAMAGE CONTROL 200ML", "r": "220219278"}, {"b": "5010724527535", "n": "BATISTE DRY SHAMPOO TROPICAL 50ML", "r": "220223466"}, {"b": "5010724527504", "n": "BATISTE DRY SHAMPOO ORIGINAL 50ML", "r": "220220281"}, {"b": "5010724526804", "n": "BATISTE DRY SHAMPOO CHERRY 50ML", "r": "220230530"}, {"b": "5010724527399", "n": "BATISTE DRY SHAMPOO BLUSH 50ML", "r": "220221524"}, {"b": "5010724527511", "n": "BATISTE DRY SHAMPOO TROPICAL 200ML", "r": "220225081"}, {"b": "5010724527481", "n": "BATISTE DRY SHAMPOO ORIGINAL 200ML", "r": "220236039"}, {"b": "5010724528105", "n": "BATISTE DRY SHAMPOO ORIENTAL 200ML", "r": "220222961"}, {"b": "5010724527474", "n": "BATISTE DRY SHAMPOO MEDIUM  BRUNETTE 200ML", "r": "220216250"}, {"b": "5010724527450", "n": "BATISTE DRY SHAMPOO FRESH 200ML", "r": "220225385"}, {"b": "5010724527443", "n": "BATISTE DRY SHAMPOO DARK  DEEP BROWN 200ML", "r": "220219367"}, {"b": "5010724527375", "n": "BATISTE BLUSH DRY SHAMPOO 200ML", "r": "220218634"}, {"b": "5010724526798", "n": "BATISTE  DRY SHAMPOO CHERRY 200ML", "r": "220230685"}, {"b": "5010724527528", "n": "BATISTE DRY SHAMPOO TROPICAL 400ML", "r": "220225644"}, {"b": "5010724527498", "n": "BATISTE DRY SHAMPOO ORIGINAL 400ML", "r": "220233740"}, {"b": "5010724528426", "n": "BATISTE DRY SHAMPOO FLORAL ESSENCE 200ML", "r": "220222494"}, {"b": "5010724527382", "n": "BATISTE DRY SHAMPOO BLUSH 400ML", "r": "220229532"}, {"b": "7391899237749", "n": "BAUSCH  LOMB BIO TRUE EYE SOLUTION 360ML", "r": "220224605"}, {"b": "785810400249", "n": "BL SOFLENS NATURAL COLORS PLATINUM GREY", "r": "220162756"}, {"b": "785810400119", "n": "BL SOFLENS NATURAL COLORS PACIFIC BLUE", "r": "220164013"}, {"b": "785810399598", "n": "BL SOFLENS NATURAL COLORS EMERALD DARK GREEN", "r": "220159886"}, {"b": "785810399338", "n": "BL SOFLENS NATURAL COLORS AQUAMARINE GREEN", "r": "220161295"}, {"b": "785810399208", "n": "BL SOFLENS NATURAL COLORS AMAZON GREEN", "r": "220168674"}, {"b": "5060463980122", "n": "BBA THICKENING SHAMPOO 730ML", "r": "220239347"}, {"b": "5060463980047", "n": "BBA TEXTURISING CLAY 100ML", "r": "220237286"}, {"b": "5060463980139", "n": "BBA STIMULATING CONDITIONER 730ML", "r": "220239017"}, {"b": "5060463980061", "n": "BBA SHAVE CREAM 150ML", "r": "220240245"}, {"b": "5060463980092", "n": "BBA POST SHAVE BALM 100ML", "r": "220238514"}, {"b": "5060463980023", "n": "BBA MOULDING CREAM 100ML", "r": "220239094"}, {"b": "5060463980054", "n": "BBA FINISHING POMADE 100ML", "r": "220237045"}, {"b": "5060463980115", "n": "BBA FACE WASH 150ML", "r": "220237979"}, {"b": "5060463980108", "n": "BBA FACE MOISTURISER 100ML", "r": "220238443"}, {"b": "5060463980030", "n": "BBA DEFINING GEL 150ML", "r": "220236639"}, {"b": "5060463980085", "n": "BBA BEARD AND SHAVE OIL 25ML", "r": "220238020"}, {"b": "382903205202", "n": "BD MICROFINE PLUS PEN NEEDLES 32G 4MM", "r": "220168061"}, {"b": "8001841659510", "n": "BEAR FRUITS STRAWBERRY HAIR MASKCAP 20ML", "r": "220208962"}, {"b": "8001841659244", "n": "BEAR FRUITS FLAMINGO HAIR MASKCAP 20ML", "r": "220208871"}, {"b": "8001841659152", "n": "BEAR FRUITS COCONUT HAIR MASKCAP 20ML", "r": "220208161"}, {"b": "8001841659121", "n": "BEAR FRUITS AVOCADO HAIR MASKCAP 20ML", "r": "220208318"}, {"b": "5907581255544", "n": "BEAUTY COLLAGEN DIETARY SUPPL TAB 45S", "r": "220203178"}, {"b": "5907581257036", "n": "BEAUTY HAIR DIETARY SUPPL TAB 60S", "r": "220203106"}, {"b": "857651007465", "n": "BEAVER TEA TREE OIL CONDITIONER 40ML", "r": "220208978"}, {"b": "857651007427", "n": "BEAVER COCONUT OIL CONDITIONER 40ML", "r": "220208307"}, {"b": "857651007380", "n": "BEAVER ARGAN OIL CONDITIONER 40ML", "r": "220209251"}, {"b": "857651007083", "n": "BEAVER VOLUMIST COCONUT DRY SHMP TROPCAL PASS 220ML", "r": "220202588"}, {"b": "857651007076", "n": "BEAVER VOLUMIST COCONUT DRY SHMP ORIGINAL CLASS 220ML", "r": "220202875"}, {"b": "857651007052", "n": "BEAVER VOLUMIST COCONUT DRY SHMP ORIENT ELEGT 220ML", "r": "220203014"}, {"b": "857651007069", "n": "BEAVER VOLUMIST COCONUT DRY SHMP GREEN FRESH 220ML", "r": "220203004"}, {"b": "857651007090", "n": "BEAVER VOLUM COCONUT OIL DRY COND 120ML", "r": "220208358"}, {"b": "857651007458", "n": "BEAVER TEA TREE OIL SHMP 60ML", "r": "220203257"}, {"b": "811131033504", "n": "BEAVER MARULA OIL SHPOO 10ML", "r": "220197495"}, {"b": "857651007397", "n": "BEAVER MARULA OIL SHMP 60ML", "r": "220179326"}, {"b": "857651007212", "n": "BEAVER MARULA OIL SHAMP 350ML", "r": "220175721"}, {"b": "857651007496", "n": "BEAVER MARULA OIL HAIR OIL 100ML", "r": "220220892"}, {"b": "857651007472", "n": "BEAVER MARULA OIL HAIR MASK 250ML", "r": "220209809"}, {"b": "857651007403", "n": "BEAVER MARULA OIL COND 40ML", "r": "220178657"}, {"b": "857651007229", "n": "BEAVER MARULA OIL COND 350ML", "r": "220173639"}, {"b": "811131033511", "n": "BEAVER MARULA OIL CDITIONER 10ML", "r": "220197122"}, {"b": "857651007410", "n": "BEAVER COCONUT OIL SHMP 60ML", "r": "220202320"}, {"b": "857651007434", "n": "BEAVER CHERRY BLOSSOM SHMP 60ML", "r": "220176305"}, {"b": "857651007519", "n": "BEAVER CHERRY BLOSSOM REFRESHNG SPRAY 100ML", "r": "220226060"}, {"b": "857651007441", "n": "BEAVER CHERRY BLOSSOM COND 40ML", "r": "220176151"}, {"b": "857651007298", "n": "BEAVER CHERRY BLOSOM SHAMP 350ML", "r": "220179097"}, {"b": "857651007304", "n": "BEAVER CHERRY BLOSOM COND 350ML", "r": "220174947"}, {"b": "857651007373", "n": "BEAVER ARGAN OIL SHMP 60ML", "r": "220202942"}, {"b": "8712400766340", "n": "BEBELAC 2 400G", "r": "220217616"}, {"b": "8712400766333", "n": "BEBELAC 1 400G", "r": "220226191"}, {"b": "9650155001042", "n": "BECOZYME FORTE TABLETS 20S", "r": "220161843"}, {"b": "9650155001745", "n": "BECOZYM 20ML", "r": "220167763"}, {"b": "5281018003855", "n": "BEESLINE WHTNG ROLLON DEO CTN CNDY 50ML", "r": "220229092"}, {"b": "5281018020586", "n": "BEESLINE EXP FACE WHITNG SCRB 25GM", "r": "220228914"}, {"b": "5281018088142", "n": "BEESLINE WTNG ROLL ON INSTANT WHITE 50ML", "r": "220212459"}, {"b": "5281018088180", "n": "BEESLINE WHNG ROLL ON DEO ZERO ALU 70ML", "r": "220235694"}, {"b": "5281018088166", "n": "BEESLINE WHNG ROLL ON DEO ZERO ALU 70ML", "r": "220225970"}, {"b": "5281018088159", "n": "BEESLINE WHNG ROLL ON DEO ZERO ALU 70ML", "r": "220230278"}, {"b": "5281018088173", "n": "BEESLINE WHNG ROLL ON DEO ZERO ALU 70ML", "r": "220215983"}, {"b": "5281018089071", "n": "BEESLINE AGE DEFENSE TINT FLU SPF50 40ML", "r": "220212393"}, {"b": "5281018089064", "n": "BEESLINE AGE DEFENSE FLUID SPF 50 40ML", "r": "220212471"}, {"b": "5281018002988", "n": "BEESLINE WHITENING SENSITIVE ZONE DEO FF 150ML", "r": "220235547"}, {"b": "5281018003244", "n": "BEESLINE WHITENING INTIMATE WASH 200ML", "r": "220226865"}, {"b": "5281018007068", "n": "BEESLINE FEMININE HYGIENIC WASH 200ML", "r": "220236136"}, {"b": "5281018003022", "n": "BSL SKIN WHITENING SERUM SPF30 30ML", "r": "220216357"}, {"b": "5281018003879", "n": "BEESLINE WHITNING  ARABIN OUD DEO ROLL ON 50ML", "r": "220224513"}, {"b": "5281018003893", "n": "BEESLINE WHITENING SPORT DEO ROLL ON 50ML", "r": "220223130"}, {"b": "5281018003220", "n": "BEESLINE WHITENING SENSITIVE ZONE SOAP 110G", "r": "220232600"}, {"b": "5281018003145", "n": "BEESLINE WHITENING SENSITIVE ZONE CREAM 50ML", "r": "220226705"}, {"b": "5281018003039", "n": "BEESLINE WHITENING ROLL ON DEO FRAG FREE 50ML", "r": "220235606"}, {"b": "5281018003176", "n": "BEESLINE WHITENING PACIFIC ISLANDS DEO ROLL ON 50ML", "r": "220222324"}, {"b": "5281018003251", "n": "BEESLINE WHITENING HAIR DELAYNG DEO ROLL ON 50ML", "r": "220226903"}, {"b": "5281018003046", "n": "BEESLINE WHITENING FACIAL WASH 250ML", "r": "220216818"}, {"b": "5281018881675", "n": "BEESLINE WHITENING FACIAL TONER 200ML", "r": "220220833"}, {"b": "5281018003053", "n": "BEESLINE WHITENING EYE CONTO CRM 30ML", "r": "220235245"}, {"b": "5281018003152", "n": "BEESLINE WHITENING ELDER ROSE DEO ROLL ON 50ML", "r": "220236205"}, {"b": "5281018003060", "n": "BEESLINE WHITENING DAY CREAM SPF30 50ML", "r": "220220815"}, {"b": "5281018003183", "n": "BEESLINE WHITENING COOL BREEZEDEO ROLL ON 50ML", "r": "220232504"}, {"b": "5281018006047", "n": "BEESLINE ULTRASCREEN INVISUN CREAM SPF50 60ML", "r": "220226069"}, {"b": "5281018881125", "n": "BEESLINE SUNTAN OIL 200ML", "r": "220222195"}, {"b": "5281018951347", "n": "BEESLINE PURCRT SUNTANOIL SPF10 200ML", "r": "220079413"}, {"b": "5281018004050", "n": "BEESLINE PROPOLIS FCL WASH 250ML", "r": "220220481"}, {"b": "5281018001226", "n": "BEESLINE LIP CARE SOOTH JUORI ROSE 4GM", "r": "220226757"}, {"b": "5281018001240", "n": "BEESLINE LIP CARE SHIMM STRW 4GM", "r": "220229160"}, {"b": "5281018953464", "n": "BEESLINE GOLD SHIMMER SUNTAN OIL 200ML", "r": "220221162"}, {"b": "5281018881330", "n": "BEESLINE 4 IN 1 WHITENNG CLENSR 150ML", "r": "220217935"}, {"b": "5281018003237", "n": "BEES WHTNG CREAM NIGHT 50ML", "r": "220218421"}, {"b": "5281018001257", "n": "BEES LIP CARE SHIMMERY STRAWBERRY 4GM", "r": "220231869"}, {"b": "5281018003428", "n": "BEESLINE WHTNG SUNFILTER SPF50 60ML", "r": "220084475"}, {"b": "5281018003190", "n": "BEESLINE WHTNG FACIAL SCRUB 50ML", "r": "220076538"}, {"b": "5281018003084", "n": "BEESLINE WHTNG BODY LOTION 200ML", "r": "220232624"}, {"b": "5281018003862", "n": "BEESLINE WHITENING INVISIBLE ROLL ON DEO 50ML", "r": "220226674"}, {"b": "5281018003909", "n": "BEESLINE WHITENING  BEAUTY PEARL DEO ROLL ON 50ML", "r": "220229722"}, {"b": "5281018881682", "n": "BEESLINE LIP  EYE WHITE MAKEUP REMVR 150ML", "r": "220234660"}, {"b": "5281018951309", "n": "BEESLINE KIDS SUNSCREEN LOTN SPF50 200ML", "r": "220230201"}, {"b": "5281018951323", "n": "BEESLINE GOLD SUNTAN LOTN SPF15 200ML", "r": "220222639"}, {"b": "5281018951330", "n": "BEESLINE CARROT SUNTAN LOTN SPF15 200ML", "r": "220235358"}, {"b": "4056500128993", "n": "BEKUNIS HERBAL LAXATIVE 30S", "r": "220165947"}, {"b": "5017848250318", "n": "BELLS ZINCAST CREAM 225MG", "r": "220160033"}, {"b": "9650136000408", "n": "BELLS WHITE PETROLEUM JELLY BP 225GM", "r": "220180962"}, {"b": "5017848251537", "n": "BELLS SILVER BIRD EUCALYPTUS OIL 28ML", "r": "220180743"}, {"b": "5017848249046", "n": "BELLS CALAMINE LOTION 200ML", "r": "220232833"}, {"b": "5017848251049", "n": "BELLS OLIVE OIL BP 70ML", "r": "220156489"}, {"b": "5017848250714", "n": "BELLS GLYCERIN LIQUID 30ML", "r": "220236486"}, {"b": "5017848251056", "n": "BELLS ALMOND OIL 70ML", "r": "220232952"}, {"b": "965013600026", "n": "BELLS CASTOR OIL 70ML", "r": "220169585"}, {"b": "965013600007", "n": "BELLS IODINE TINCTURE 25ML", "r": "220167062"}, {"b": "965013600023", "n": "BELLS HYDROGEN PEROXIDE", "r": "220169726"}, {"b": "965013700369", "n": "BENEFIBER LIQUID 12S", "r": "220156322"}, {"b": "5206172217061", "n": "BENOSTAN INTIMATE CLEANSING GEL 200ML", "r": "220074523"}, {"b": "5206172217108", "n": "BENOSTAN FEMINA VINEGAR WASH 2 X 150ML", "r": "220218773"}, {"b": "5206172217146", "n": "BENOSTAN FEMINA BAKING SODA 150ML", "r": "220217270"}, {"b": "3499320010429", "n": "BENZAC AC 10 GEL 60GM", "r": "220231533"}, {"b": "3499320010856", "n": "BENZAC AC 5 GEL 60GM", "r": "220232511"}, {"b": "3499320010863", "n": "BENZAC AC 25 GEL 60GM", "r": "220226723"}, {"b": "3499320005623", "n": "BENZAC SPOTS 30 SPF 120ML", "r": "220217263"}, {"b": "3499320007566", "n": "BENZAC SPOT WASH 235ML", "r": "220227756"}, {"b": "9650155002063", "n": "BEPANTHEN CRM 5100G", "r": "220199961"}, {"b": "4008500018170", "n": "BEPANTHEN PROTECTIVE BABY OINTMENT 100G", "r": "220228966"}, {"b": "4008500109427", "n": "BEPANTHEN OINTMENT 30G", "r": "220229867"}, {"b": "6285074002080", "n": "BEPANTHEN ANTI SACR GEL 20G", "r": "220213083"}, {"b": "6285074003094", "n": "BEPANTHEN SENSIDAILY CREAM 150ML", "r": "220230313"}, {"b": "4008500109403", "n": "BEPANTHENE LOTION 200ML", "r": "220225584"}, {"b": "4008500024959", "n": "BEPANTHEN SENSIDERM CREAM 50G", "r": "220233339"}, {"b": "4008500109441", "n": "BEPANTHEN PLUS CREAM 30GM", "r": "220229280"}, {"b": "4008500109380", "n": "BEPANTHENE CREAM 30GM", "r": "220225316"}, {"b": "2000000185774", "n": "V BERGAMO BR01 60  CLEAR CRYSTAL 100", "r": "220196576"}, {"b": "2000000185781", "n": "V BERGAMO BR01 60  CLEAR CRYSTAL 150", "r": "220197287"}, {"b": "2000000185798", "n": "V BERGAMO BR01 60  CLEAR CRYSTAL 200", "r": "220197416"}, {"b": "2000000185804", "n": "V BERGAMO BR01 60  CLEAR CRYSTAL 250", "r": "220197051"}, {"b": "965015500031", "n": "BEROCCA EFFERVESCENT TABS 10", "r": "220157878"}, {"b": "965015700019", "n": "BEROTEC SYRUP 100ML", "r": "220161172"}, {"b": "5291043000446", "n": "BETADINE VAGINAL DOUCHE 250 ML", "r": "220221282"}, {"b": "7640168160142", "n": "BETADINE INTIMATE WASH 300 ML", "r": "220231620"}, {"b": "7640168160814", "n": "BETADINE MOISTURZNG INTMATE WASH 250ML", "r": "220221691"}, {"b": "7640168160852", "n": "BETADINE ODOUR CONTROL INTIMATE WASH 250ML", "r": "220230661"}, {"b": "7640168160890", "n": "BETADINE FA INTMATE WASH 250ML", "r": "220221612"}, {"b": "5291043000040", "n": "BETADINE VAGINAL PESSARIES 14S", "r": "220228954"}, {"b": "965013700243", "n": "BETADINE VAGINAL KIT 250ML", "r": "220168622"}, {"b": "5291043001450", "n": "BETADINE VAGINAL GEL 10 100GM", "r": "220226681"}, {"b": "7640168160845", "n": "BETADINE ODOUR CONTROL INTIMATE WASH 50ML", "r": "220224320"}, {"b": "7640168160807", "n": "BETADINE MOIST INTIMATE WASH 50ML", "r": "220227013"}, {"b": "7640168160883", "n": "BETADINE FA INTMATE WASH 50ML", "r": "220232004"}, {"b": "7640168160975", "n": "BETADINE ODOUR CTRL WIPES 10S", "r": "220236001"}, {"b": "7640168160869", "n": "BETADINE ODOUR CTRL INTMATE FOAM 100ML", "r": "220219251"}, {"b": "7640168160876", "n": "BETADINE ODOUR CONTROL INTIMATE FOAM 200ML", "r": "220226461"}, {"b": "7640168160838", "n": "BETADINE MOISTURZNG INTMATE FOAM 200ML", "r": "220228667"}, {"b": "7640168160821", "n": "BETADINE MOISTURZNG INTMATE FOAM 100ML", "r": "220228525"}, {"b": "7640168160968", "n": "BETADINE MOISTURIZING WIPES 10S", "r": "220227194"}, {"b": "7640168160128", "n": "BETADINE INTIMATE WASH 50 ML", "r": "220227759"}, {"b": "7640168160173", "n": "BETADINE INTIMATE FOAM 200ML", "r": "220217699"}, {"b": "7640168160166", "n": "BETADINE INTIMATE FOAM 100 ML", "r": "220234573"}, {"b": "7640168160982", "n": "BETADINE FRESH  ACTIVE WIPES 10S", "r": "220219025"}, {"b": "7640168160609", "n": "BETADINE FEM WPS GNT PROT 10S", "r": "220224983"}, {"b": "7640168160913", "n": "BETADINE FA INTMATE FOAM 200ML", "r": "220228300"}, {"b": "7640168160906", "n": "BETADINE FA INTMATE FOAM 100ML", "r": "220225848"}, {"b": "5291043000989", "n": "BETADINE TROAT SPRAY 50ML", "r": "220232635"}, {"b": "5291043000439", "n": "BETADINE GARGLE  MOUTHWASH 250ML", "r": "220232505"}, {"b": "5291043000385", "n": "BETADINE ANTISEPTIC SOLUTION 500ML", "r": "220233538"}, {"b": "5291043001443", "n": "BETADINE SKIN CLEANSER 125ML", "r": "220222937"}, {"b": "965013700197", "n": "BETADINE SCALP CLEANSER 125ML", "r": "220163425"}, {"b": "5291043000422", "n": "BETADINE GARGLE  MOUTH WASH 1 125ML", "r": "220227956"}, {"b": "5291043000460", "n": "BETADINE OINTMENT 40GM", "r": "220216444"}, {"b": "5291043000378", "n": "BETADINE ANTISEPTIC SOLUTION 120ML", "r": "220227313"}, {"b": "5291043000026", "n": "BETADINE DRY POWDER SPRAY 55GM", "r": "220235087"}, {"b": "9003751000337", "n": "BETADINE COLD DEFENCE NASAL SPRAY 20ML", "r": "220234663"}, {"b": "9003751000344", "n": "BETADINE COLD DFNSE CHLD NASAL SPRAY 20ML", "r": "220225307"}, {"b": "965013700511", "n": "BETADINE ANTISEPTIC PAINT 8ML", "r": "220169174"}, {"b": "260265220360", "n": "BETADINE SOOTHING RELIEF INHALATION SOLUTION", "r": "220165431"}, {"b": "4260265220278", "n": "BETADINE SOOTH RELIEF NASAL  SINUS SPRAY 20ML", "r": "220236224"}, {"b": "260265220292", "n": "BETADINE SOOTH RELIEF EYE ALLERGY 10ML", "r": "220166080"}, {"b": "260265220285", "n": "BETADINE SOOTH RELIEF EYE ALLERGY 1005ML", "r": "220172529"}, {"b": "965015200100", "n": "ALLERGAN BETAGAN 05 EYE DROPS 5ML", "r": "220155764"}, {"b": "965013500045", "n": "BETAMET OINTMENT 10GM", "r": "220163273"}, {"b": "8002660031389", "n": "BETASERC 24MG 60 TABLETS", "r": "220238348"}, {"b": "8002660030931", "n": "BETASERC TABLETS 8MG  100S", "r": "220230679"}, {"b": "8002660030924", "n": "BETASERC 16MG TABLETS 60S", "r": "220218957"}, {"b": "6281263085353", "n": "BETAZOL CREAM 30GM", "r": "220232739"}, {"b": "965015200075", "n": "BETNOVATE SCALP APP 30ML", "r": "220159365"}, {"b": "965015200006", "n": "BETNOVATE CREAM 30GM", "r": "220160323"}, {"b": "965015200007", "n": "BETNOVATE OINTMENT 30GM", "r": "220159164"}, {"b": "965015200005", "n": "BETNOVATE C CREAM 30GM", "r": "220155997"}, {"b": "965016000127", "n": "BETOPTIC EYE DROPS 5ML", "r": "220155698"}, {"b": "4211125454326", "n": "BEURER PO 40 PULSE OXIMETER", "r": "220159444"}, {"b": "4211125643829", "n": "BEURER MG40 INFRARED MASSAGER", "r": "220217137"}, {"b": "4211125643355", "n": "BEURER MG 147 MASSAGE PILLOW", "r": "220160366"}, {"b": "4211125500269", "n": "BEURER MABIS MRCRY FREE THERMOFAHRN", "r": "220155241"}, {"b": "4211125123451", "n": "BEURER MABIS HEARING AID WITH BLUTOOTH DBA 200", "r": "220153789"}, {"b": "4211125732127", "n": "BEURER LUGGUAGE SCALE LS06", "r": "220153162"}, {"b": "4211125679156", "n": "BEURER HM 16 THERMO HYGROMETER", "r": "220166103"}, {"b": "4211125260019", "n": "BEURER HK 35 HEATING PAD", "r": "220155711"}, {"b": "4211125641085", "n": "BEURER HA50 HEARING AID", "r": "220158284"}, {"b": "4211125534004", "n": "BEURER FWM 50 FOOT WARMER WITH SHIATSU MASSAGE", "r": "220153263"}, {"b": "4211125795191", "n": "BEURER FT78 REPLACEMENT PROTECTIVE CAP 210", "r": "220153775"}, {"b": "4211125795184", "n": "BEURER FT78 CLINICAL EAR THERMOMETER", "r": "220153774"}, {"b": "4211125795856", "n": "BEURER FOREHEAD THERMOMETER FT80", "r": "220220279"}, {"b": "4211125666002", "n": "BEURER EM 41 DIGITAL STIMULATION INIT", "r": "220158499"}, {"b": "4211125950040", "n": "BEURER BY 11 EXPRESS THERMOMETER MONKEY", "r": "220158500"}, {"b": "4211125950057", "n": "BEURER BY 11 EXPRESS THERMOMETER FROG", "r": "220165940"}, {"b": "4211125950064", "n": "BEURER BY 11 EXPRESS THERMOMETER DOG", "r": "220153163"}, {"b": "4211125659165", "n": "BEURER BC 58 WRIST BP MONITOR TOUCH SCREEN", "r": "220217749"}, {"b": "4211125676407", "n": "BEURER AS80 ACTIVITY SENSOR", "r": "220152241"}, {"b": "5020105002858", "n": "BHF TP PERFECT WHITE GOLD125ML", "r": "220058613"}, {"b": "5020105002452", "n": "BHF TP PERFECT WHITE BLACK FRESH MINT 125ML", "r": "220056806"}, {"b": "5020105002612", "n": "BHF MOUTHWASH TOTAL WHITE BLACK 500ML", "r": "220082200"}, {"b": "965014000002", "n": "BEZALIP 400 RETARD TAB 30S", "r": "220169716"}, {"b": "5031413983999", "n": "BFC MAKE UP BLENDING SPONGE", "r": "220213281"}, {"b": "6291108198414", "n": "V BFRESH HAND SANITIZER 250ML", "r": "220197203"}, {"b": "6291108198421", "n": "BFRESH TOTAL SHIELD HAND SANITIZER 250ML", "r": "220207665"}, {"b": "5391189161428", "n": "BIPRETERAX ARGININE 5MG125MG TAB 30S", "r": "220229920"}, {"b": "18515016232", "n": "BIKINI ZONE CREAM HAIR RMVR2OZ", "r": "220076520"}, {"b": "8906005273574", "n": "BILUMA ADVANCE ELBOW AND KNEES CREAM 45G", "r": "220232605"}, {"b": "8906005273352", "n": "BILUMA SKIN LIGHTENING CREAM 100G", "r": "220218635"}, {"b": "8906005273345", "n": "BILUMA SKIN LIGHTENING CREAM 45GM", "r": "220229890"}, {"b": "8906005273550", "n": "BILUMA FACE DAY CREAM 50ML", "r": "220226164"}, {"b": "8906005273567", "n": "BILUMA ADVANCE NIGHT CREAM 50G", "r": "220225295"}, {"b": "8906005272850", "n": "BILUMA SKIN LIGHTENING CREAM 15G", "r": "220220163"}, {"b": "8697711700064", "n": "BIOBALANCE BRGHTNG EYE CREAM 15ML", "r": "220233641"}, {"b": "8697711700040", "n": "BIO BALANCE BODY WHITENING CREAM 55ML", "r": "220224315"}, {"b": "8697711700231", "n": "V BB STRETCH MARK RMVR 60ML", "r": "220181574"}, {"b": "8697711700019", "n": "BIOBALANCE ARGAN OIL HAND  NAIL BALM 60ML", "r": "220221285"}, {"b": "8697711700033", "n": "BIOBALANCE LAVENDER FOOT  LEG CREAM 60ML", "r": "220228303"}, {"b": "8697711700026", "n": "BIOBALANCE ARGAN OIL CRACKED HEEL FOOT BALM 60ML", "r": "220223474"}, {"b": "9650364000010", "n": "BIO MAGNET BRACELET", "r": "220083420"}, {"b": "854936003129", "n": "V BIO N MORINGA SUPER FOOD VEGI 60S CAPS", "r": "220051395"}, {"b": "854936003297", "n": "V BIO N HEALTHY HAIR WITH BIOTIN 10000 VEGI 60S CAPS", "r": "220064732"}, {"b": "854936003327", "n": "V BIO N 100 NAT RASPBRY KETONE 60CAPS", "r": "220189733"}, {"b": "854936003280", "n": "V BIO N COFFEE KETONE MANGO COMBO 60CAPS", "r": "220189364"}, {"b": "854936003020", "n": "V BIO N RASPBRY KETONE DIET 60CAPS", "r": "220190006"}, {"b": "854936003242", "n": "V BIO N GREEN COFFEE BEAN WITH GCA 800 MG 60S CAPS", "r": "220072367"}, {"b": "854936003570", "n": "V BIO N GRAVIOLLA VEGI 60S CAPS", "r": "220061967"}, {"b": "6001159128229", "n": "BIO OIL NATURAL 25ML", "r": "220210444"}, {"b": "6001159116585", "n": "BIO OIL 25ML", "r": "220156898"}, {"b": "6001159128250", "n": "V BIO OIL NATURAL 200ML", "r": "220198214"}, {"b": "6001159128243", "n": "V BIO OIL NATURAL 125ML", "r": "220198225"}, {"b": "6001159128236", "n": "V BIO OIL NATURAL 60ML", "r": "220197779"}, {"b": "6001159130987", "n": "BIO OIL BODY LOTION 250ML", "r": "220210398"}, {"b": "6001159130970", "n": "BIO OIL BODY LOTION 175ML", "r": "220210719"}, {"b": "6001159113140", "n": "BIO OIL 200ML", "r": "220222672"}, {"b": "6001159113133", "n": "BIO OIL 125ML", "r": "220226790"}, {"b": "6001159118978", "n": "BIO OIL DRY SKIN GEL 200ML", "r": "220164166"}, {"b": "6001159113126", "n": "BIO OIL 60ML", "r": "220230875"}, {"b": "6001159118961", "n": "BIO OIL DRY SKIN GEL 100ML", "r": "220155493"}, {"b": "6001159118954", "n": "BIO OIL DRY SKIN GEL 50ML", "r": "220171159"}, {"b": "759126193638", "n": "BIODASH REJUVENATION LED MASK 1S", "r": "220217220"}, {"b": "3701129803738", "n": "BIODERMA PHOTODERM SPOTAGE SPF50 40ML", "r": "220225775"}, {"b": "3701129800850", "n": "BIODERMA SENSIBIO GEL MOUSSANT 100ML", "r": "220233214"}, {"b": "3701129800218", "n": "BIODERMA PHOTODERM KID SPF50  SUN FOAM 150 ML", "r": "220223819"}, {"b": "3401399545405", "n": "BIODERMA CICABIO SOOTH REPAIR OINT 40ML", "r": "220225568"}, {"b": "3401381463298", "n": "BIODERMA ATODERM INTENSIVE BAUM 75ML", "r": "220237329"}, {"b": "3401353791220", "n": "BDERMA SEBIUM FOAMING GEL 100ML", "r": "220218906"}, {"b": "3401354309233", "n": "BDERMA ATODERM SHOWER GEL 100ML", "r": "220231004"}, {"b": "3701129801369", "n": "BIODERMA SEBIUM NIGHT PEEL 40ML", "r": "220225047"}, {"b": "3701129800096", "n": "BIODERMA PIGMENTBIO SENSITIVE AREAS 75ML", "r": "220216035"}, {"b": "3701129800089", "n": "BIODERMA PIGMENTBIO NIGHT RENEWER 50ML", "r": "220223680"}, {"b": "3701129800102", "n": "BIODERMA PIGMENTBIO H2O 250ML", "r": "220216541"}, {"b": "3701129800553", "n": "BIODERMA PIGMENTBIO FOAMING CREAM 500ML", "r": "220235961"}, {"b": "3701129800546", "n": "BIODERMA PIGMENTBIO FOAMING CREAM 200ML", "r": "220221239"}, {"b": "3701129800072", "n": "BIODERMA PIGMENTBIO DAILY CARE SPF50 40ML", "r": "220218309"}, {"b": "3701129800119", "n": "BIODERMA PIGMENTBIO CCONCENTRATE 15ML", "r": "220216807"}, {"b": "3401528519895", "n": "BIODERMA ATODERM SHOWER OIL 200ML", "r": "220231448"}, {"b": "3401399373008", "n": "BIODERMA ATODERM NUTRITIVE CREAM 40ML", "r": "220223333"}, {"b": "3401399694356", "n": "BDERMA HYDRABIO TONIQUE 250ML", "r": "220195802"}, {"b": "3401528520846", "n": "BDERMA ATODERM SHOWER OIL 1L", "r": "220195645"}, {"b": "3401528520037", "n": "BDERMA ATODERM SHOWER OIL 100ML", "r": "220196007"}, {"b": "3701129801345", "n": "BDERMA ABC DERM COLD CRM VISAGECORPS 45ML", "r": "220204694"}, {"b": "3701129801352", "n": "BIODERMA ABC DERM COLD CREAM 200ML", "r": "220224395"}, {"b": "3701129801642", "n": "BIODERMA SENSIBIO H2O PUMP 850ML", "r": "220225647"}, {"b": "3701129802731", "n": "BIODERMA PHOTODERM COVER TOUCH SPF50 LIGHT 40G", "r": "220224379"}, {"b": "3701129802724", "n": "BIODERMA PHOTODERM COVER TOUCH SPF 50 40 ML", "r": "220222049"}, {"b": "3701129800225", "n": "BIODERMA CICABIO SPRAY LOTION DRYING 40ML", "r": "220221319"}, {"b": "3401528546341", "n": "BIODERMA ATODERM SOS SPRAY 200ML", "r": "220218144"}, {"b": "3401353806399", "n": "BDERMA SEBIUM MOUSSANT GEL TUBE 200ML", "r": "220210181"}, {"b": "3401360157514", "n": "BDERMA SEBIUM LOTION 200ML", "r": "220222511"}, {"b": "3401397163496", "n": "BDERMA CICABIO CRM 100ML", "r": "220216464"}, {"b": "3701129801963", "n": "BDERMA ATODERM INTENSIVE EYE 100ML", "r": "220210911"}, {"b": "3701129803554", "n": "BDERMA PHOTODERM MX FLUIDE LIGHT SPF100 40ML", "r": "220346158"}, {"b": "3701129803561", "n": "BIODERMA PHOTODERM MX FLUID TUBE SPF100 40ML", "r": "220064945"}, {"b": "3701129804452", "n": "BIODERMA SENSIBIO DEFENSIVE 40ML", "r": "220346263"}, {"b": "3701129803585", "n": "V BDERMA PHOTODERM BRONZ BRUME SPF 50 SPRAY 200ML", "r": "220196191"}, {"b": "3701129803622", "n": "BIODERMA PHOTODERM MAX SPF50 SUN MIST 150ML", "r": "220235958"}, {"b": "3701129803820", "n": "BIODERMA PHOTODERM REFRESHING AFTERSUN MILK 200ML", "r": "220235713"}, {"b": "3701129804063", "n": "BIODERMA PHOTODERM KID SPRAY SPF50 200ML", "r": "220221830"}, {"b": "401395461082", "n": "V BDERMASEBIUM SOAP 100GM", "r": "220160431"}, {"b": "3401574364272", "n": "V BDERMA SENSIBIO LIGHT CREAM", "r": "220165064"}, {"b": "3401347169882", "n": "V BDERMA ATODERM SHWER GEL 200ML", "r": "220159753"}, {"b": "3701129800331", "n": "V BDERMA ABC DERM H20 1L", "r": "220185909"}, {"b": "3401528546112", "n": "BIODERMA SENSIBIO H2O CLEANSING WIPES 25S", "r": "220232343"}, {"b": "3401573670282", "n": "BIODERMA SENSIBIO FORTE RAPID SOOTH CRM", "r": "220222741"}, {"b": "3401346673335", "n": "BIODERMA SENSIBIO EYE CONTOUR GEL15ML", "r": "220236418"}, {"b": "3701129800843", "n": "BIODERMA SENSIBIO CLEANSING FOAMING GEL 500ML", "r": "220230222"}, {"b": "3401348840421", "n": "BIODERMA SEBIUM HYDRA MOIST CRM 40ML", "r": "220230883"}, {"b": "3401360147508", "n": "BIODERMA SEBIUM GLOBAL 30ML", "r": "220232216"}, {"b": "3401574131423", "n": "BIODERMA SEBIUM EXFOLIATING GEL100ML", "r": "220216185"}, {"b": "3401353689053", "n": "BIODERMA PHOTODERM MAX SPF50 STICK 8G", "r": "220229607"}, {"b": "3701129804377", "n": "BIODERMA PHOTODERM MAX SPF 50 FLUID 40ML", "r": "220218997"}, {"b": "3701129804384", "n": "BIODERMA PHOTODERM FLUID TINT SPF50 40ML", "r": "220227625"}, {"b": "3401561197654", "n": "BIODERMA PHOTODERM FLUID TINT SPF50 40ML", "r": "220229998"}, {"b": "3701129801116", "n": "BIODERMA PHOTODERM AKN MAT SPF30 MATIFYING FLUID 40ML", "r": "220228238"}, {"b": "3401345060150", "n": "BIODERMA NODE FLUIDE SHAMP 200ML", "r": "220216920"}, {"b": "3401573697197", "n": "BIODERMA NODE FLUID SHAMPOO 400 ML", "r": "220235865"}, {"b": "3401347869775", "n": "BIODERMA HYDRABIO SERUM 40ML", "r": "220229418"}, {"b": "3401329447809", "n": "BIODERMA HYDRABIO GEL CRM LIGHT 40ML", "r": "220218479"}, {"b": "3401329447687", "n": "BIODERMA HYDRABIO CREAM RICH 50ML", "r": "220221280"}, {"b": "3401399694127", "n": "BIODERMA HYDRA MOIST MICELLAR WATER 250ML", "r": "220228542"}, {"b": "3401564695546", "n": "BIODERMA CICABIO REPAIRING CRM 50 30ML", "r": "220235481"}, {"b": "3401347869546", "n": "BIODERMA CICABIO CRM SOOTH REPAIR 40ML", "r": "220217947"}, {"b": "3401399372575", "n": "BIODERMA ATODERM REPAIR HAND CREAM 50ML", "r": "220223933"}, {"b": "3401399373527", "n": "BIODERMA ATODERM PAIN CLEANSING SOAP 150G", "r": "220223790"}, {"b": "3401399372926", "n": "BIODERMA ATODERM NOURISHG SHWER GEL 1L", "r": "220219848"}, {"b": "3701129804315", "n": "BIODERMA ATODERM NOURISHG CRM PUMP 200ML", "r": "220226409"}, {"b": "3701129801000", "n": "BIODERMA ATODERM LEVRES LIP BALM 15ML", "r": "220219403"}, {"b": "3401560969757", "n": "BIODERMA ATODERM INTENSIVE GEL 500ML", "r": "220235522"}, {"b": "3701129802069", "n": "BIODERMA ATODERM INTENSIVE BAUME 200ML", "r": "220226695"}, {"b": "3401399372407", "n": "BIODERMA ATDERM DOUCHE MOIST SHWER GEL 500ML", "r": "220217083"}, {"b": "3701129801628", "n": "BIODERMA ABC DERM PERI ORAL 40ML", "r": "220235539"}, {"b": "3401397163618", "n": "BIODERMA ABC DERM MOUSSANT FOAMING CLEANSING GEL 1LITRE", "r": "220217350"}, {"b": "3401345568694", "n": "BIODERMA ABC DERM MOUSSANT FOAMING CLEANSER 200ML", "r": "220219077"}, {"b": "3401360081451", "n": "BIODERMA ABC DERM HYDRATANT MOISTURISING MILK 200ML", "r": "220231372"}, {"b": "3701129800997", "n": "BIODERMA ABC DERM GENTLE SHAMPOO 200ML", "r": "220216726"}, {"b": "3401596378974", "n": "BIOD WHITE OBJ HAND LIGHT CRM 50ML", "r": "220216298"}, {"b": "3401578653709", "n": "BIOD SEBIUM MOUSSANT GEL 200ML", "r": "220230507"}, {"b": "3401381507565", "n": "BDERMA SENSIBIO MILD FOAMING GEL 200ML", "r": "220233762"}, {"b": "3401396991779", "n": "BDERMA SENSIBIO H2O WPUMP 500ML", "r": "220221264"}, {"b": "3401397240531", "n": "BDERMA SENSIBIO DS FOAMING GEL 200ML", "r": "220216328"}, {"b": "3401397240470", "n": "BDERMA SENSIBIO DS CREAM 40ML", "r": "220222323"}, {"b": "3401360106994", "n": "BDERMA SEBIUM SENSITIVE ANTIBLEISH 30 ML", "r": "220224520"}, {"b": "3401361353625", "n": "BDERMA SEBIUM PORE REFINER 30ML", "r": "220233632"}, {"b": "3401381682361", "n": "BDERMA SEBIUM MAT CONTROL CREAM 30ML", "r": "220233952"}, {"b": "3401396991830", "n": "BDERMA SEBIUM H2O 500ML", "r": "220220994"}, {"b": "3401353789500", "n": "BDERMA PHOTODERM TINTED CRM LIGHT 40ML", "r": "220222102"}, {"b": "3401353789678", "n": "BDERMA PHOTODERM TINTED CRM DARK 40ML", "r": "220226275"}, {"b": "3401353789739", "n": "BDERMA PHOTODERM MAX FLUID SPF100 40ML", "r": "220229950"}, {"b": "3401353789449", "n": "BDERMA PHOTODERM COMPACTDARK SPF50 10ML", "r": "220219137"}, {"b": "3401398303648", "n": "BDERMA CICABIO ARNICA 40 ML", "r": "220236302"}, {"b": "3401399372346", "n": "BDERMA ATODERM LIPS MOISTURISING STICK 4G", "r": "220227998"}, {"b": "3401570945826", "n": "BDERMA ATODERM CREAM 500ML", "r": "220153590"}, {"b": "3401344957253", "n": "BIODERMA NODE DS SHAMPOOING 125ML", "r": "220232481"}, {"b": "3401395376706", "n": "BDERMA SENSIBIO H2O 100ML", "r": "220226939"}, {"b": "3401399277092", "n": "BDERMA SEBIUM FOAMING GEL 500ML", "r": "220224165"}, {"b": "3401572288297", "n": "BIODERMA SEBIUM H20 250 ML CLEANSER", "r": "220175252"}, {"b": "3401575390447", "n": "BIODERMA SENSIBIO MICELLAR WATER 250ML", "r": "220219696"}, {"b": "3701129802076", "n": "BIODERMA ATODERM INTENSIVE ULTRASOOTHING BALM 500ML", "r": "220235926"}, {"b": "3701129803523", "n": "BIODERMA PHOTODERM CREME SPF50+ T40ML", "r": "129846890"}, {"b": "3701129803707", "n": "BIOD PHOT AR SPF51", "r": "220046832"}, {"b": "3401528546402", "n": "BIODERMA ATODERM SOS SPRAY 50ML", "r": "220230385"}, {"b": "3401347548137", "n": "BDERMA SENSIBIO H20 20ML", "r": "220213719"}, {"b": "3401345935571", "n": "V BDERMA SENSIBIO H2O WO PUMP 500ML", "r": "220153241"}, {"b": "3401528506420", "n": "V BDERMA SENSIBIO H2O 500ML", "r": "220153457"}, {"b": "3401395376935", "n": "V BDERMA SEBIUM H2O 100ML", "r": "220154847"}, {"b": "3401351104374", "n": "V BDERMA SEBIUM AKN FLUID 30ML", "r": "220154068"}, {"b": "9650155001967", "n": "V BDERMA PHOTODERM FLUIDFLUID", "r": "220171910"}, {"b": "3401340652787", "n": "V BDERMA ATODERM PP ULTRA NOURISH BALM 200ML", "r": "220155985"}, {"b": "3401342118113", "n": "BIODERMA WHITE OBJCTVE LIGHT PEN 5ML", "r": "220231449"}, {"b": "3401344908347", "n": "BIODERMA WHITE OBJ LIGHTENING CRM 30ML", "r": "220225125"}, {"b": "3401344908576", "n": "BIODERMA WHITE OBJ LIGHT SERUM NIGHT 30ML", "r": "220219888"}, {"b": "3401579165355", "n": "BIODERMA WHITE OBJ FOAM H2O 200ML", "r": "220227765"}, {"b": "3401397743582", "n": "BIODERMA SENSIBIO ANTIPERSPIRANT DEO ROLL ON 50ML", "r": "220221914"}, {"b": "3701129800935", "n": "BIODERMA SEBIUM FOAMING GEL 200ML", "r": "220234900"}, {"b": "3401574131591", "n": "BIODERMA SEBIUM ANTI SHINE CRM 40ML", "r": "220220805"}, {"b": "3701129801079", "n": "BIODERMA PHOTODERM MAX SPRAY SPF 50  400ML", "r": "220224683"}, {"b": "3401353689114", "n": "BIODERMA PHOTODERM MAX SPF50 STICK 4G", "r": "220230254"}, {"b": "3401353688742", "n": "BIODERMA PHOTODERM MAX SPF50 SPRY 200ML", "r": "220216245"}, {"b": "3701129801062", "n": "BIODERMA PHOTODERM MAX SPF50 SPRAY 200ML", "r": "220223852"}, {"b": "3401525720546", "n": "BIODERMA PHOTODERM MAX 100 CREME 40ML", "r": "220232712"}, {"b": "3401341355762", "n": "BIODERMA PHOTODERM BRONZ SPF50 200ML", "r": "220233615"}, {"b": "3401528509551", "n": "BIODERMA PHOTO AQUAFLUID SPF50 PKT 30ML", "r": "220227014"}, {"b": "3401526340224", "n": "BIODERMA PHOTO AQUAFLUID SPF100 40ML", "r": "220226101"}, {"b": "3401044783077", "n": "BIODERMA MATRICIUM 30 X 1ML", "r": "220224623"}, {"b": "3401329448059", "n": "BIODERMA HYDRABIO SPF30 MIST 50ML", "r": "220224770"}, {"b": "3401329447977", "n": "BIODERMA HYDRABIO PERFECTEUR SPF30 40ML", "r": "220222567"}, {"b": "3401340106914", "n": "BIODERMA ATODERM PREVENTIVE NOURISHING CREAM 200ML", "r": "220225387"}, {"b": "3401399373176", "n": "BIODERMA ATODERM PP FOAMING GEL 200ML", "r": "220229245"}, {"b": "3401574937964", "n": "BIODERMA ATODERM PO ZINC CREAM 100ML", "r": "220231314"}, {"b": "3401560936988", "n": "BIODERMA ATODERM INTENSIVE GEL 200ML", "r": "220222243"}, {"b": "3401396936770", "n": "BIODERMA ABC DERM SOLAIRE SUN CREAM SPF 50 50G", "r": "220219858"}, {"b": "3401347169653", "n": "BIODERMA ABC DERM MAMAN FIRMING CREAM 200ML", "r": "220232111"}, {"b": "3701129800980", "n": "BIODERMA ABC DERM H2O CLEANSING WIPES 60S", "r": "220221105"}, {"b": "3401396935711", "n": "BIODERMA ABC DERM COLD CREAM VISAGE 40ML", "r": "220234137"}, {"b": "3401396935889", "n": "BIODERMA ABC DERM COLD CREAM CORPS 200ML", "r": "220232329"}, {"b": "3401396924944", "n": "BIODERMA ABC DERM CHANGE INTENSIF DIAPER RASH 75G", "r": "220216884"}, {"b": "3401396936480", "n": "BIODERMA ABC DERM BODY  BATH RELAXING OIL 200ML", "r": "220228983"}, {"b": "3401577538373", "n": "BIODERMA ABC DERM BABY SQUAM 40ML", "r": "220217405"}, {"b": "3401397076468", "n": "BIODERMA ABC DERM ATO BAUME 200ML", "r": "220222056"}, {"b": "3401565359201", "n": "BIODERMA  ATODERM  INTENSIVE BALM", "r": "220217247"}, {"b": "3401573886744", "n": "BIOD NODE DS ANTI DANDRUFF SHAMPOO125ML", "r": "220217875"}, {"b": "3401347869607", "n": "BIOD CICABIO DRY REPAIR LOTION 40ML", "r": "220224567"}, {"b": "3401562953211", "n": "BDERMA WHIT OBJ CR MOUSSAT 500ML", "r": "220231336"}, {"b": "3401562982884", "n": "BDERMA WHIT OBJ CR MOUSSAT 200ML", "r": "220216430"}, {"b": "3401325008448", "n": "BDERMA SENSIBIO H20 500ML FREE SENSIBIO H20 250ML", "r": "220160310"}, {"b": "3401396605607", "n": "BDERMA SEBIUM SERUM 40ML", "r": "220220042"}, {"b": "3401396605546", "n": "BDERMA SEBIUM MASQUE T40ML", "r": "220155825"}, {"b": "3401398309442", "n": "BDERMA SEBIUM H2O 250ML", "r": "220216458"}, {"b": "3401398335694", "n": "BDERMA SEBIUM H2O 250ML", "r": "220227481"}, {"b": "3401398335526", "n": "BDERMA SEBIUM H2O 100ML", "r": "220219087"}, {"b": "3401360145207", "n": "BDERMA SEBIUM GLOBAL COVER 30ML", "r": "220232569"}, {"b": "9650155001561", "n": "BDERMA SEBIUM FOAMING GEL OFFER", "r": "220161848"}, {"b": "3401526340743", "n": "BDERMA PHOTODERM SUN BOX LIGHT 3S", "r": "220169493"}, {"b": "9650155001998", "n": "BDERMA PHOTODERM SPOTSPOT", "r": "220195116"}, {"b": "3401353791169", "n": "BDERMA PHOTODERM SPOT CRM SPF50 30ML", "r": "220219200"}, {"b": "3401344037696", "n": "BDERMA PHOTODERM SPF 20 SPRAY", "r": "220157073"}, {"b": "3401360195349", "n": "BDERMA PHOTODERM NUDE TOUCH SPF 50 NATURAL TINT 40 ML", "r": "220226672"}, {"b": "3401360195318", "n": "BDERMA PHOTODERM NUDE TOUCH SPF 50 LIGHT TINT 40 ML", "r": "220225657"}, {"b": "3401360195332", "n": "BDERMA PHOTODERM NUDE TOUCH SPF 50 GOLDEN TINT 40 ML", "r": "220220858"}, {"b": "9650155001950", "n": "BDERMA PHOTODERM MAX LIGHTLIGHT", "r": "220169988"}, {"b": "3401353790049", "n": "BDERMA PHOTODERM MAX CRM SPF100 40ML", "r": "220230419"}, {"b": "3401360188525", "n": "BDERMA PHOTODERM KID MILK SPF 50 100ML", "r": "220232531"}, {"b": "3401353789210", "n": "BDERMA PHOTODERM COMPACTLGHT SPF50 10ML", "r": "220225451"}, {"b": "401396151340", "n": "BDERMA PHOTODERM BRONZ SPF 30", "r": "220157338"}, {"b": "3401353789159", "n": "BDERMA PHOTODERM AR SPF50  30ML", "r": "220220165"}, {"b": "3401353780224", "n": "BDERMA PHOTODERM ANTIAGE SPF30 30ML", "r": "220228925"}, {"b": "401347171205", "n": "BDERMA PHOTO SPRAY SPF 50", "r": "220160705"}, {"b": "3401398919283", "n": "BDERMA ATODERM SHOWER GEL 500ML", "r": "220225714"}, {"b": "3401577265279", "n": "BDERMA ATODERM PP CREAM", "r": "220158216"}, {"b": "3401399848193", "n": "BDERMA HYDRABIO BRUME AEROSOL 50ML", "r": "220204685"}, {"b": "3401399848254", "n": "BDERMA HYDRABIO BRUME AEROSOL 300ML", "r": "220204533"}, {"b": "3401353790100", "n": "BDERMA PHOTODERM MAX MILK SPF100 100ML", "r": "220227263"}, {"b": "3701129803400", "n": "BIODERMA SEBIUM GEL MOUSSANT ACTIF TUBE 200ML", "r": "130002483"}, {"b": "734038605424", "n": "BIOFENDO COLOSTRUM POWDER STCK 30S", "r": "220180869"}, {"b": "734038605431", "n": "BIOFENDO COLOSTRUM CHOCO BARS 20S", "r": "220181914"}, {"b": "731124100016", "n": "BIOFREEZE PAIN RELIEVING GEL 118ML", "r": "220231381"}, {"b": "731124122124", "n": "BIOFREEZ SPRAY 118ML", "r": "220225005"}, {"b": "731124100009", "n": "BIOFREEZE PAIN RELIEVING ROLLON 89ML", "r": "220229619"}, {"b": "9650144001275", "n": "BIOGAIA PROBIOTIC DROPS", "r": "220168472"}, {"b": "5060216562582", "n": "VBIOGLAN VITAGUMMIES VITAMIN D3 1000IU 60S", "r": "220202604"}, {"b": "5060216562605", "n": "VBIOGLAN VITAGUMMIES FAMILY MULTVITAMIN 60S", "r": "220202395"}, {"b": "5060216562629", "n": "VBIOGLAN VITAGUMMIES WOMENS MULTIVITAMIN 60S", "r": "220202804"}, {"b": "5060216563886", "n": "VBIOGLAN ACTIVE CURCUMIN TAB 30S", "r": "220202528"}, {"b": "5060216564609", "n": "VBIOGLAN VITAMIN C  ZINC EFFERVESCENT TAB 20S", "r": "220202585"}, {"b": "5060216564166", "n": "VBIOGLAN SMARTKIDS GUMMIES VITAMIND 30S", "r": "220203149"}, {"b": "5060216564142", "n": "VBIOGLAN SMARTKIDS GUMMIES IRON 30S", "r": "220202971"}, {"b": "5060216563930", "n": "VBIOGLAN COLLAGEN GUMMIES 60S", "r": "220203243"}, {"b": "4260225043503", "n": "BIOMED VEIN VANISH 90ML", "r": "220206150"}, {"b": "4260225043107", "n": "BIOMED ROSA CURE SERUM 30ML", "r": "220205908"}, {"b": "4260225044609", "n": "BIOMED RETINOL BOOST 30ML", "r": "220206652"}, {"b": "4260225041905", "n": "BIOMED PEEL ME UP 40ML", "r": "220207049"}, {"b": "4260225042605", "n": "BIOMED LUSHES LASHES SERUM 4ML", "r": "220207522"}, {"b": "4260225043404", "n": "BIOMED INGROW GONE", "r": "220207643"}, {"b": "4260225044401", "n": "BIOMED HYALURON BOOST 30ML", "r": "220205794"}, {"b": "4260225042100", "n": "BIOMED FORGET YOUR AGE SERUM 30ML", "r": "220206200"}, {"b": "4260225043800", "n": "BIOMED FORGET YOUR AGE FACE MASK 40ML", "r": "220207626"}, {"b": "4260225043909", "n": "BIOMED FORGET YOUR AGE EYEMASK 15ML", "r": "220207369"}, {"b": "4260225044708", "n": "BIOMED FORGET YOUR AGE EYE SERUM 15ML", "r": "220207574"}, {"b": "4260225042209", "n": "BIOMED FORGET YOUR AGE EYE CREAM 15ML", "r": "220207755"}, {"b": "4260225041103", "n": "BIOMED FORGET YOUR AGE CREAM 50ML", "r": "220206792"}, {"b": "4260225041608", "n": "BIOMED FORGET YOUR AGE CHIN UP", "r": "220207826"}, {"b": "4260225045200", "n": "BIOMED FIRST AID SERUM 30ML", "r": "220207096"}, {"b": "4260225045309", "n": "BIOMED FIRST AID FACE MASK 40ML", "r": "220206247"}, {"b": "4260225042308", "n": "BIOMED FIRST AID FACE CREAM 40ML", "r": "220205799"}, {"b": "4260225045408", "n": "BIOMED FIRST AID EYE MASK 15ML", "r": "220206491"}, {"b": "4260225042407", "n": "BIOMED FIRST AID EYE CREAM 15ML", "r": "220205179"}, {"b": "4260225044906", "n": "BIOMED EYE BAGS AWAY EYE SERUM 15ML", "r": "220205785"}, {"b": "4260225041301", "n": "BIOMED EYE BAGS AWAY EYE CREAM 15ML", "r": "220206736"}, {"b": "4260225044500", "n": "BIOMED COLLAGEN BOOST", "r": "220207424"}, {"b": "426022504306", "n": "BIOMED CAPILLARY CURE 30ML", "r": "220207117"}, {"b": "4260225042902", "n": "BIOMED BIOTOX 30ML", "r": "220207200"}, {"b": "4260225043008", "n": "BIOMED BIOBRIGHT 30ML", "r": "220205152"}, {"b": "4260225042704", "n": "BIOMED BEAUTIFUL BROW 4ML", "r": "220207760"}, {"b": "4260225045705", "n": "BIOMED AQUA DETOX SERUM 30ML", "r": "220206403"}, {"b": "4260225041707", "n": "BIOMED AQUA DETOX MASK 40ML", "r": "220207877"}, {"b": "4260225045506", "n": "BIOMED AQUA DETOX EYE MASK 15 ML", "r": "220205825"}, {"b": "4260225045507", "n": "BIOMED AQUA DETOX EYE CREAM 15ML", "r": "220207414"}, {"b": "4260225041202", "n": "BIOMED AQUA DETOX 24H 50ML", "r": "220206557"}, {"b": "4260225044807", "n": "BIOMED ANTI DARK CIRCLES SERUM 15ML", "r": "220206974"}, {"b": "4260225042803", "n": "BIOMED ANTI DARK CIRCLES CREAM 15ML", "r": "220206197"}, {"b": "4260225041400", "n": "BIOMED 5IN1 CLEANSER 90ML", "r": "220205642"}, {"b": "19100078291", "n": "BIORE COMBO PACK CLNSG STRIP 8S", "r": "220236504"}, {"b": "19100213531", "n": "BIORE CHARCOAL PORE STRIPS 9S", "r": "220220227"}, {"b": "19100009202", "n": "BIORE ULTRA PORE PERFECT STRIPS SET 9S", "r": "220232313"}, {"b": "19100213555", "n": "BIORE DEEP PORE CHARCOAL CLEANSER FOR OILY SKIN 200ML", "r": "220218052"}, {"b": "19100238800", "n": "BIORE BAKING SODA PORE CLEANSER 200ML", "r": "220232383"}, {"b": "3660398500987", "n": "CYSTIPHANE ANTI HAIR LOSS SHMPOO 200ML", "r": "220228318"}, {"b": "3660398500994", "n": "CYSTIPHANE ANTI HAIR LOSS LOTION 200ML", "r": "220223704"}, {"b": "3660398500291", "n": "FEMILYANE PHYSIO INTIMATE WASH 200ML", "r": "220225363"}, {"b": "3660398500413", "n": "FEMEILYANE PH8 GENTLE CLNSING FLUID 200ML", "r": "220227148"}, {"b": "3660398501212", "n": "BIORGA CYSTIPHANE NORM AD SHAMP S 200ML", "r": "220171284"}, {"b": "3660398501205", "n": "BIORGA CYSTIPHANE INTEN AD SHAMP DS 200ML", "r": "220157983"}, {"b": "3660398501021", "n": "CYSTIPHANE BIORGA TABLET 120S", "r": "220220958"}, {"b": "633911741634", "n": "BIOSILK HYDRTNG THERAPY SHAMPO 355ML", "r": "220076522"}, {"b": "3532678588650", "n": "BIOSYNEX AUTOTEST GLUTEN TEST 1S", "r": "220213505"}, {"b": "8055348700152", "n": "BIOTHERA FLUGENIL 600 OVULES", "r": "220197880"}, {"b": "5907471978140", "n": "BIOXX FOOT CREAM AB  MOIST", "r": "220193729"}, {"b": "5907471978133", "n": "BIOXX FACE GEL SERUM", "r": "220194394"}, {"b": "590747978201", "n": "BIOXX FACE CREAM NEUROPHROLINE", "r": "220194238"}, {"b": "5907471978126", "n": "BIOXX FACE CREAM NATURAL GROWTH FACTORS", "r": "220193749"}, {"b": "5907472978119", "n": "BIOXX ANTIBACTERIAL HAND CREAM 75ML", "r": "220195919"}, {"b": "6925267301551", "n": "BLACK MASK MILK 120ML", "r": "220072380"}, {"b": "8006320054763", "n": "BLANX INTENSIVE STAIN REMOVE TP 75ML", "r": "220216870"}, {"b": "5050474104228", "n": "AMO BLINK INTENSIVE TEARS PLUS LIQUID GEL EYE DROPS 10 ML", "r": "220233135"}, {"b": "5050474104488", "n": "BLINK INTENSIVE SOOTHING EYE DROPS VIAL 20S", "r": "220229820"}, {"b": "5050474104525", "n": "AMO BLINK INTENSIVE TEARS DROPS 10ML", "r": "220234571"}, {"b": "5050474104556", "n": "BLINK CONTACTS SOOTHING EYE DROPS 10 ML", "r": "220230234"}, {"b": "5011784000914", "n": "BLISTEX INT MOIST SPF10 5G", "r": "220220749"}, {"b": "5011784000518", "n": "BLISTEX DAILY CONDITIONER 7G", "r": "220230665"}, {"b": "819247010037", "n": "VBLOOM  QUAINT LIFE ENERGY 100 TAB", "r": "220051398"}, {"b": "819247010068", "n": "VBLOOM  QUAINT DERMAGLOW 60 TAB", "r": "220062867"}, {"b": "819247010518", "n": "BLOOM  QUAINT MACHOMAX FORTE 60 CAP", "r": "220089814"}, {"b": "819247010020", "n": "BLOOM  QUAINT FLEXIMOVE 100 TAB", "r": "220077235"}, {"b": "819247010051", "n": "BLOOM  QUAINT EASY SLIM 60CAP", "r": "220180087"}, {"b": "6251159026944", "n": "BLOPRESS 16MG TAB 28S", "r": "220224387"}, {"b": "6251159026937", "n": "BLOPRESS 8MG TAB 28S", "r": "220223805"}, {"b": "6223003661052", "n": "BLU MINI BREEZ IONIC AIR PURIFIER", "r": "220061982"}, {"b": "6223003661861", "n": "BLU IONIC POWER SHOWER FILTER7 STAGES", "r": "220077922"}, {"b": "6223003661113", "n": "BLU IONIC POWER FILTER SPARE PART SET", "r": "220001269"}, {"b": "6223003661076", "n": "BLU IONIC POWER FILTER LEMON 3 REFILL CRTRG", "r": "220073784"}, {"b": "6223003661854", "n": "BLU IONIC POWER  FILTER NMC 3 REFILL CRTRG", "r": "220001265"}, {"b": "6223003661090", "n": "BLU BRZ IONIC AIR PRF AROMA OIL GRN APPLE 100ML", "r": "220079716"}, {"b": "6223003661045", "n": "BLU BREEZ IONIC AIR PURIFIER", "r": "220052590"}, {"b": "8470000735820", "n": "BLUE CAP SPRAY 100ML", "r": "220078471"}, {"b": "8470003812443", "n": "BLUE CAP SHAMP 150ML", "r": "220055761"}, {"b": "8470000693663", "n": "BLUE CAP CREAM 50ML", "r": "220065834"}, {"b": "743715005051", "n": "BLUEBONNET VITC CHEWABLE 500MG 90S", "r": "220209556"}, {"b": "743715006164", "n": "BLUEBONNET VIT E 400IU 50 SOFT GEL", "r": "220209924"}, {"b": "743715004405", "n": "BLUEBONNET VIT B12 5000MCG 30S", "r": "220210106"}, {"b": "743715004221", "n": "BLUEBONNET STRESS BCOMPLEX VCAPS 50S", "r": "220209642"}, {"b": "743715011045", "n": "BLUEBONNET SKINNY GARCINIA 90CAPS", "r": "220209802"}, {"b": "743715009523", "n": "BLUEBONNET OMEGA3 1000MG 90 SOFT GEL", "r": "220209776"}, {"b": "743715009219", "n": "BLUEBONNET EVENING PRIMROSE OIL 60GELS", "r": "220061091"}, {"b": "743715008175", "n": "BLUEBONNET COQ10 200MG 30 SOFT GEL", "r": "220209938"}, {"b": "743715004474", "n": "BLUEBONNET BIOTIN 5000MCG 60CAPS", "r": "220001240"}, {"b": "743715004184", "n": "BLUEBONNET B COMPLEX VCAPS 100S", "r": "220209607"}, {"b": "6251158910008", "n": "BLUVISA 50MG 4 TABLETS", "r": "220211333"}, {"b": "26169036971", "n": "BODY F TWILIGHT MIST SIGN BS 236ML", "r": "220059831"}, {"b": "26169038524", "n": "BODY F SIGNATURE SWEET SUNRISE 80Z 236ML", "r": "220082432"}, {"b": "26169034656", "n": "BODY F SIGNATURE ROMANTIC DREAM 236ML", "r": "220053696"}, {"b": "26169036513", "n": "BODY F SG PVKISS BS 236ML", "r": "220063475"}, {"b": "4250453303883", "n": "BODYBOOST IMMUNE 12 VIALS", "r": "220209774"}, {"b": "4250453303920", "n": "BODYBOOST VIT C 12 VIALS", "r": "220210148"}, {"b": "4250453303869", "n": "BODYBOOST VITB12 12 VIALS", "r": "220209529"}, {"b": "4250453303937", "n": "BODYBOOST D3 12 VIALS", "r": "220210259"}, {"b": "4250453303906", "n": "BODYBOOST BEAUTY COLLAGEN 12 VIALS", "r": "220209817"}, {"b": "885645039130", "n": "(V)BC PINK VNILA WISH 2IN1 BODY WASH & BBL BATH 473ML", "r": "220196862"}, {"b": "885645043427", "n": "(V)BC CUCUMBER MELON 2IN1 BODY WASH & BBL BATH 473ML", "r": "220196660"}, {"b": "885645043366", "n": "(V)BC BTIFUL BLOSSOMS 2IN1 BODY WASH & BBL BATH 473ML", "r": "220196469"}, {"b": "885645017718", "n": "BC SWEET LOVE BODY WASH 473ML", "r": "220217679"}, {"b": "885645021203", "n": "BC SCARLET KISS MOISTURIZING BODY WASH 16OZ", "r": "220076926"}, {"b": "885645012256", "n": "BC EXOTIC CHERRY BODY WASH 473ML", "r": "220221309"}, {"b": "885645034098", "n": "BC COCONUT HIBISCUS MOISTURIZING BODY WASH 473ML", "r": "220056171"}, {"b": "885645035880", "n": "VBC DRK CHERRY ORCD 2IN1 BODY WASH  BBL BATH 473ML", "r": "220196580"}, {"b": "885645035828", "n": "VBC TWILIGHT MIST 2IN1 BODY WASH  BBL BATH 473ML", "r": "220196962"}, {"b": "885645035910", "n": "VBC SWT PEAPEONY 2IN1 BODY WASH  BBL BATH 473ML", "r": "220197550"}, {"b": "885645024662", "n": "BC TRULY YOURS FRAGRANCE MIST 237ML", "r": "220067475"}, {"b": "885645012331", "n": "BC TOASTED VANILLA SGR BODY WASH 473ML", "r": "220140092"}, {"b": "885645017756", "n": "BC SWEET LOVE FRAGRNC MIST 237ML", "r": "220137196"}, {"b": "885645017732", "n": "BC SWEET LOVE BODY CREAM 227ML", "r": "220218452"}, {"b": "885645021234", "n": "BC SCARLET KISS FRAGRANCE MIST 8OZ", "r": "220066875"}, {"b": "885645012300", "n": "BC EXOTIC CHERRY BODY MIST 237ML", "r": "220217051"}, {"b": "885645034012", "n": "BC COCONUT HIBISCUS FRAGRANCE MIST 237ML", "r": "220065532"}, {"b": "5000158070806", "n": "BONJELA ORAL GEL 15G", "r": "220232538"}, {"b": "8901138500573", "n": "HIMALAYA BONNISAN SYRUP 120ML", "r": "220230908"}, {"b": "5056090900305", "n": "BOOTEA 28DAY TEATOX SENNA LESS", "r": "220167403"}, {"b": "4210201203933", "n": "BRAUN ORAL B SMART6 6000N TB", "r": "220156593"}, {"b": "4210201203919", "n": "BRAUN ORAL B SMART 4 4000N TB", "r": "220167983"}, {"b": "4210201279686", "n": "BRAUN ORAL B GENIUS X 20100S WHITE", "r": "220193882"}, {"b": "4210201236313", "n": "BRAUN SILK LADY SHAVER LS5103", "r": "220214404"}, {"b": "4210201330073", "n": "BRAUN HELLO BODY MINI TRIMMER BS1000", "r": "220214252"}, {"b": "4210201238591", "n": "BRAUN BEARD TRIMMER BT3000", "r": "220214654"}, {"b": "4210201400448", "n": "BRAUN ALL IN ONE TOOL XT5", "r": "220214930"}, {"b": "4210201238577", "n": "BRAUN 4IN1 STYLING KIT  GILLETTE RAZOR", "r": "220215003"}, {"b": "4210201049777", "n": "BRAUN3170 SLK EPL SOFT MSAGE", "r": "220165046"}, {"b": "4210201176596", "n": "BRAUN ORALB EB602 SENSI THIN", "r": "220155633"}, {"b": "4210201196761", "n": "ORAL B OXYJET CLEAN PRO2000 TOOTH BRUSH", "r": "220228251"}, {"b": "4210201746225", "n": "ORAL B 174 MN NOZZLE SET NEW PACK FOR  OXYJET", "r": "220234357"}, {"b": "4210201108566", "n": "BRAUN SILKEPIL LEGBODYFACE 9961", "r": "220169373"}, {"b": "4210201139270", "n": "BRAUN SILK EPIL 832N", "r": "220156594"}, {"b": "4210201631644", "n": "BRAUN SATIN HAIR 5 AIR STYLER AS530 1000 WATTS", "r": "220228046"}, {"b": "4210201631606", "n": "BRAUN SATIN AIRSTYLER AS 330", "r": "220163782"}, {"b": "4210201064169", "n": "BRAUN ORALB POWER PRO CARE 500 3D CLEAN", "r": "220161057"}, {"b": "4210201135036", "n": "BRAUN ORAL B PRO 2 2000 TB", "r": "220154418"}, {"b": "4210201106630", "n": "BRAUN MINI EPILATOR SE 830", "r": "220163170"}, {"b": "4210201644309", "n": "BRAUN ES1 HSTRTNR CPROFESONL", "r": "220166423"}, {"b": "4022167620156", "n": "BRAUN BP MONITOR BP6200 UPPER ARM", "r": "220230881"}, {"b": "4022167300164", "n": "BRAUN NON CONTACT FOREHEAD THERMOMETER", "r": "220226395"}, {"b": "4022167652294", "n": "BRAUN THERMOSCAN 7 AGE PRECISION", "r": "220232701"}, {"b": "4022167003003", "n": "BRAUN BPM BUA5000 UPPER ARM EXACT FIT 1", "r": "220170722"}, {"b": "4022167200099", "n": "BRAUN DIGITAL THERMOMETER AGE PRESCISION PRT2000", "r": "220232137"}, {"b": "4022167400062", "n": "BRAUN THERMOSCAN REFILLS LF 40", "r": "220235441"}, {"b": "4022167220097", "n": "BRAUN BPM WRIST 3 VITAL SCAN", "r": "220221648"}, {"b": "4022167200198", "n": "BRAUN BPM WRIST 1 VITAL SCAN", "r": "220225659"}, {"b": "4022167600851", "n": "BRAUN BP MONITOR BP6000 UPPER ARM", "r": "220233582"}, {"b": "6990314575520", "n": "BREATH ON ADULT REUSABLE MASK 1S", "r": "220195495"}, {"b": "5281001213261", "n": "BREATH ON CLOTH FACE MASK 1S", "r": "220198398"}, {"b": "2215415451523", "n": "BREATH ON REUSABLE SPORT MASK 1S", "r": "220195715"}, {"b": "6972585331012", "n": "BREATH ON KIDS FASHION MASK 1S", "r": "220195334"}, {"b": "5182189181116", "n": "BREATH ON KIDS DISPOSABLE MASK 50S", "r": "220224020"}, {"b": "6980771003209", "n": "BREATHE EASY SMALL 1S", "r": "220154100"}, {"b": "6980770072107", "n": "BREATHE EASY MEDIUM 1S", "r": "220154338"}, {"b": "9502930972712", "n": "BREATHE RIGHT NASAL STRIPS REGULAR 10S", "r": "220234740"}, {"b": "9502930974617", "n": "BREATHE RIGHT KIDS NASAL STRIPS 12S", "r": "220232143"}, {"b": "9502930972262", "n": "BREATHE RIGHT CLEAR NASALSTRIPS 10S REG", "r": "220158705"}, {"b": "9502930972279", "n": "BREATHE RIGHT CLEAR NASAL STRIPS 10S L", "r": "220154076"}, {"b": "6940746466872", "n": "BREATHE WELL NASAL STRIPS MED 10S", "r": "220187407"}, {"b": "6940746466880", "n": "BREATHE WELL NASAL STRIPS LARG 10S", "r": "220067050"}, {"b": "9650161000039", "n": "BREXIN TAB 20S", "r": "220153952"}, {"b": "853231003261", "n": "BRITENZ TEETH WHITEING PEN 365ML", "r": "220000797"}, {"b": "731509679793", "n": "BROADWAY IMPRESS NAILS SO UNEXPECTED BIPA120", "r": "220072142"}, {"b": "731509692723", "n": "BROADWAY IMPRESS NAILS POWER UP BIPA016", "r": "220085686"}, {"b": "731509679786", "n": "BROADWAY IMPRESS NAILS CLAIM TO FAME BIPA110", "r": "220087532"}, {"b": "731509576849", "n": "BROADWAY IMP ZONE FRENCH MANICURE BIPDM040", "r": "220224227"}, {"b": "731509580518", "n": "BROADWAY IMP ROCK IT FRENCH MANICURE BIPD010", "r": "220236354"}, {"b": "731509623024", "n": "BROADWAY IMP NAILS SYMPHONY BIPA010", "r": "220222840"}, {"b": "731509623086", "n": "BROADWAY IMP NAILS NEXT WAVE BIPA070", "r": "220224134"}, {"b": "731509623055", "n": "BROADWAY IMP NAILS HARLEM SHAKE BIPA040", "r": "220226661"}, {"b": "731509623031", "n": "BROADWAY IMP NAILS BELLS  WHISTLES BIPA020", "r": "220227030"}, {"b": "731509566741", "n": "BROADWAY IMP FAKE NAILSTWEETHEART BIP240", "r": "220224899"}, {"b": "731509566710", "n": "BROADWAY RATED R BIP210", "r": "220071620"}, {"b": "731509692709", "n": "BROADWAY IMPRESS NAILS SETTLE DOWN BIPA014", "r": "220064875"}, {"b": "731509623048", "n": "BROADWAY IMP NAILS BOOGIE DOWN BIPA030", "r": "220220889"}, {"b": "731509566543", "n": "BROADWAY IMP  FIRST DATE MATT BROWN BIP040", "r": "220220480"}, {"b": "731509566734", "n": "BOARDWAY IMP MED APPEAL BLACK BIP230", "r": "220220417"}, {"b": "6253016905805", "n": "BRONCARE SYRUP 100ML", "r": "220194150"}, {"b": "3664798021578", "n": "BRONCHICUM ELIXIR S 100ML", "r": "220191987"}, {"b": "4033077086444", "n": "BRONCHILON SYRUP 100ML", "r": "220158689"}, {"b": "5060553250111", "n": "V BROTHER MAX ANTI COLIC FEEDING BOTTLE 240ML PINK", "r": "220200406"}, {"b": "5060553250876", "n": "BROTHER MAX SPLASH STRAWBERRY TEETHER", "r": "220217522"}, {"b": "5060553250852", "n": "BROTHER MAX SPLASH ORANGE TEETHER", "r": "220222130"}, {"b": "5060553250869", "n": "BROTHER MAX SPLASH APPLE TEETHER", "r": "220217464"}, {"b": "5060553250661", "n": "BROTHER MAX SLIMLINE MILK POWDER DISPENSER", "r": "220225964"}, {"b": "5060553250951", "n": "BROTHER MAX SILICONE TEAT SIZE M", "r": "220227430"}, {"b": "5060553250968", "n": "BROTHER MAX SILICONE TEAT SIZE L", "r": "220232254"}, {"b": "5060553250098", "n": "BROTHER MAX M TEAT ANTI COLIC FEEDING BOTTLE BLUE 240ML", "r": "220229127"}, {"b": "5060553250708", "n": "BROTHER MAX EASY HOLD WEANING BOWL SET  PINKGREEN", "r": "220229882"}, {"b": "5060553250692", "n": "BROTHER MAX EASY HOLD WEANING BOWL SET  BLUEGREEN", "r": "220229616"}, {"b": "5060553250579", "n": "BROTHER MAX 4IN1 TRAINER CUP PINK", "r": "220218725"}, {"b": "5060553250562", "n": "BROTHER MAX 4IN1 TRAINER CUP", "r": "220219561"}, {"b": "5060553250654", "n": "BROTHER MAX 2 DRINKS IN 1 BOTTLE PINK 340ML", "r": "220227574"}, {"b": "5060553250647", "n": "BROTHER MAX 2 DRINKS IN 1 BOTTLE BLUE 340ML", "r": "220233494"}, {"b": "5060553250050", "n": "BROTHER MAX  S TEAT PP ANTICOLIC FEEDING BOTTLE PINK 160ML", "r": "220233718"}, {"b": "5060553250036", "n": "BROTHER MAX  S TEAT PP ANTICOLIC FEEDING BOTTLE BLUE 160ML", "r": "220226055"}, {"b": "5060553250180", "n": "BROTHER MAX FEEDING BOTTLE 3-6 240ML", "r": "220346166"}, {"b": "5060553250302", "n": "BROTHER MAX FEEDING BOTTLE 0-3 160ML", "r": "220346184"}, {"b": "5060553251026", "n": "BROTHER MAX PP ANTICOLIC FEEDING BOTTLE   S TEAT 2 PACK BLUE 160ML", "r": "220235715"}, {"b": "5060553251057", "n": "BROTHER MAX ANTI COLIC FEEDING BOTTLE 2 PACK PINK 240ML", "r": "220226025"}, {"b": "5060553251033", "n": "BROTHER MAX ANTI COLIC FEEDING BOTTLE 2 PACK PINK 160ML", "r": "220217316"}, {"b": "5060553251040", "n": "BROTHER MAX ANTI COLIC FEEDING BOTTLE 2 PACK BLUE 240ML", "r": "220218242"}, {"b": "811992017811", "n": "V BROWFOOD TINTED BROW ENHANCNG GELFIX BRNT 8ML", "r": "220110350"}, {"b": "811992017828", "n": "BROWFOOD TINTED BROW ENHANCNG GELFIX DRK BRNT 8ML", "r": "220076391"}, {"b": "811992018207", "n": "BROWFOOD 24H TRIFEATHR BROW PEN TAUPE", "r": "220072124"}, {"b": "811992018221", "n": "BROWFOOD 24H TRIFEATHR BROW PEN DARK BRUNETTE", "r": "220054982"}, {"b": "8002660033468", "n": "BRUFEN RAPID 400MG 20S", "r": "220195682"}, {"b": "8002660033710", "n": "BRUFEN SYRUP 200ML", "r": "220201540"}, {"b": "8002660033703", "n": "BRUFEN 600MG GRANULES SACHET 30S", "r": "220206097"}, {"b": "8002660032805", "n": "BRUFEN 600ML GRANULES 20S", "r": "220224441"}, {"b": "8002660030986", "n": "BRUFEN RETARD 800MG TAB 20S", "r": "220227403"}, {"b": "8002660030979", "n": "BRUFEN 600 MG TAB 30S", "r": "220233025"}, {"b": "8002660030962", "n": "BRUFEN 400 MG TAB 30S", "r": "220002561"}, {"b": "8023813092187", "n": "BRUFEN SYRUP 100ML", "r": "220156615"}, {"b": "8432666002241", "n": "VBRUNOVASSARI STOP REDNESS 50ML", "r": "220195880"}, {"b": "8432666002135", "n": "VBRUNOVASSARI PURE BALANCE FLUID 50ML", "r": "220195054"}, {"b": "8432666002982", "n": "VBRUNOVASSARI HA50X HYALURONIC FILLER 15ML", "r": "220195536"}, {"b": "8432666002111", "n": "VBRUNOVASSARI AKNO CONTROL LOTION 250ML", "r": "220193895"}, {"b": "8432666023246", "n": "BRUNOVASSARI GLYCO CHARCOAL MASK 200G", "r": "220195256"}, {"b": "8432666002333", "n": "BRONU V WHITE PURE C WHITENING ESSENCE 3X8ML", "r": "220217416"}, {"b": "8432666002326", "n": "BRONU V WHITE LIGHT SPOT CORRECTOR  30ML", "r": "220232219"}, {"b": "8432666002128", "n": "BRONU V PURE SOLUTIONS CLEANSING GEL 150ML", "r": "220219485"}, {"b": "8432666002562", "n": "BRONU V KIANTY EYE LIFT OX 15ML", "r": "220222069"}, {"b": "8432666002357", "n": "BRONU V CREAMY CLEANSING FOAM 150ML", "r": "220220981"}, {"b": "5060591033332", "n": "BUBBLE T RAINBOW MACARON SELECTION BATH FIZZERS", "r": "220239414"}, {"b": "5060591033318", "n": "BUBBLE T RAINBOW BUBBLE BATH SET", "r": "220239476"}, {"b": "5060591033363", "n": "BUBBLE T RAINBOW BATH PEARL SELECTION", "r": "220238113"}, {"b": "5060591033325", "n": "BUBBLE T RAINBOW BATH ART SET", "r": "220237624"}, {"b": "5060591033189", "n": "BUBBLE T ICE TEA SUGAR SCRUB CUBES", "r": "220237032"}, {"b": "5060591033301", "n": "BUBBLE T FROZEN WINTER BERRIES SELECTION", "r": "220238676"}, {"b": "5060591033295", "n": "BUBBLE T  FROZEN WINTER BERRIES MACARON SELECTION", "r": "220237815"}, {"b": "5060591033509", "n": "BUBBLE MACARON BATH FIZZERS 5S", "r": "220237026"}, {"b": "5060591033479", "n": "BUBBLE DONUT BATH FIZZER 6S", "r": "220239798"}, {"b": "5060591033493", "n": "BUBBLE BATH FIZZERS MINI", "r": "220237703"}, {"b": "7613033803536", "n": "BUBCHEN WASH GEL SENSITIVE 400ML", "r": "220230233"}, {"b": "7613035506336", "n": "BUBCHEN SHAMPOO  SHOWER SPORT FRIEND 230ML", "r": "220218558"}, {"b": "7613035506404", "n": "BUBCHEN SHAMPOO  SHOWER RASPBERRY FUN 230ML", "r": "220221208"}, {"b": "7613035507821", "n": "BUBCHEN SHAMPOO  SHOWER PRINCESS ROSALEA 230ML", "r": "220226511"}, {"b": "7613035494855", "n": "BUBCHEN SHAMPOO  SHOWER MONSTER FUN 230ML", "r": "220224728"}, {"b": "7613035494312", "n": "BUBCHEN SHAMPOO  SHOWER JUNGLE GANG 230ML", "r": "220219029"}, {"b": "7613035508040", "n": "BUBCHEN SHAMPOO  SHOWER  CONDITIONER LITTLE MERMAID 230ML", "r": "220232118"}, {"b": "7613033803338", "n": "BUBCHEN MILD BABY SHAMPOO 200ML", "r": "220230075"}, {"b": "40055718", "n": "BUBCHEN CARE CREAM SENSITIVE 75ML", "r": "220223562"}, {"b": "7613034271709", "n": "BUBCHEN BABY SHAMPOO SENSITIVE 400ML", "r": "220223867"}, {"b": "7613033803789", "n": "BUBCHEN BABY PROTECTION CREAM SENSITIVE 150ML", "r": "220235361"}, {"b": "7613033803741", "n": "BUBCHEN BABY LOTION SENSITIVE 200ML", "r": "220227151"}, {"b": "7613034271686", "n": "BUBCHEN BABY BATH SENSITIVE 400ML", "r": "220229670"}, {"b": "7613033803406", "n": "BUBCHEN BABY BATH SENSITIVE 200ML", "r": "220225461"}, {"b": "5060144640222", "n": "BULL DOG SENSITIVE MOISTURIZR 100ML", "r": "220202869"}, {"b": "5060144641663", "n": "BULL DOG SENSITIVE FACE WASH 150ML", "r": "220203158"}, {"b": "5060144645135", "n": "BULL DOG SENSITIVE FACE SCRUB 125ML", "r": "220202956"}, {"b": "5060144645562", "n": "BULL DOG RAZORKIT 2S", "r": "220204666"}, {"b": "5060144645579", "n": "BULL DOG RAZOR REFILL4S", "r": "220204239"}, {"b": "5060144640024", "n": "BULL DOG ORIG MOISTURIZER 10ML", "r": "220172023"}, {"b": "5060144642240", "n": "BULL DOG ORIG FACE WASH 150ML", "r": "220153463"}, {"b": "5060144642813", "n": "BULL DOG ORIG FACE SCRUB 125ML", "r": "220168012"}, {"b": "5060144643964", "n": "BULL DOG ORIG BEARD SHAMP  COND 200ML", "r": "220156831"}, {"b": "5060144643926", "n": "BULL DOG ORIG BEARD OIL 30ML", "r": "220154859"}, {"b": "5060144643940", "n": "BULL DOG ORIG BEARD BALM 75ML", "r": "220170920"}, {"b": "612831022092", "n": "BP AFTER SHAVE LOTION SENSITIVE 57ML", "r": "220171853"}, {"b": "612831022016", "n": "BP AFTER SHAVE LOTION ORIGINAL 57ML", "r": "220172508"}, {"b": "612831022214", "n": "BP AFTER SHAVE LOTION MAXSTRENGTH 57ML", "r": "220155886"}, {"b": "3664798027204", "n": "BUSCOPAN TABLETS 50S", "r": "220181589"}, {"b": "3664798027211", "n": "BUSCOPAN TABS 10MG 20S", "r": "220216673"}, {"b": "6291100081073", "n": "BUTALIN SYRUP 120ML", "r": "220219363"}, {"b": "6291100080267", "n": "BUTALIN 2MG TABS 20S", "r": "220221045"}, {"b": "5900793007796", "n": "V BYC MOZE TOKYO PARFUM 10ML", "r": "220186425"}, {"b": "5900793034570", "n": "V BYC MOZE SUMMER IN PARIS PARFUM 10ML", "r": "220185369"}, {"b": "5900793007789", "n": "V BYC MOZE ROME PARFUM 10ML", "r": "220184010"}, {"b": "5900793002470", "n": "V BYC MOZE PARIS PARFUM 10ML", "r": "220185518"}, {"b": "5900793007918", "n": "V BYC MOZE NEW YORK PARFUM 10ML", "r": "220187375"}, {"b": "5900793007772", "n": "V BYC MOZE LONDON PARFUM 10ML", "r": "220186739"}, {"b": "6254000121034", "n": "C4 HAIR DRINKABLE COLAGEN 14X25ML", "r": "220220239"}, {"b": "6254000121010", "n": "C4 DERM DRINKABLE COLAGEN 14X25ML", "r": "220175909"}, {"b": "6254000121027", "n": "C4 JOINTS COLLAGEN DRINKABLE BTL 14X25ML", "r": "220234161"}, {"b": "965013700346", "n": "DONT USE CALC SANDOZ FORTE EFF TABS 10", "r": "220171443"}, {"b": "965013700345", "n": "CAC 1000 SANDOZ 10 EFF TABS", "r": "220162383"}, {"b": "5060043722104", "n": "CAFLON UK ASSORTED STERELISED STUDS FOR BABIES", "r": "220051662"}, {"b": "5060043722111", "n": "CAFLON UK ASSORTED STERELISED STUDS", "r": "220077756"}, {"b": "5060043721244", "n": "CAFLON SAFETEC 24CT GOLD PLATE", "r": "220177168"}, {"b": "5060043724191", "n": "CAFLON FSHN ROCK CRISTAL GLITER BALL ASORTED", "r": "220061088"}, {"b": "9650155002070", "n": "CALCVITA  EFFERVESCENT TABLETS 15S", "r": "220229337"}, {"b": "4008500109496", "n": "CAL C VITA EFF TAB 10S", "r": "220236327"}, {"b": "807504101086", "n": "CALIFORNIA MANGO SULAFT FREE SHMPOO 65ML", "r": "220205443"}, {"b": "807504169017", "n": "CALIFORNIA MANGO LIP BALM SPF 15", "r": "220206537"}, {"b": "807504100164", "n": "CALIFORNIA MANGO GEL BODY WASH 65 ML", "r": "220207016"}, {"b": "807504100386", "n": "CALIFORNIA MANGO EXTREME CREAM 625 GM", "r": "220207539"}, {"b": "807504100232", "n": "CALIFORNIA MANGO EXFOLIATING SCRUB 241 GM", "r": "220207670"}, {"b": "807504100447", "n": "CALIFORNIA MANGO DRY SKIN MEND1134GM", "r": "220206438"}, {"b": "807504101093", "n": "CALIFORNIA MANGO DAILY CONDITIONER 65 ML", "r": "220206244"}, {"b": "807504101048", "n": "CALIFORNIA MANGO CUTICLE OIL 15 ML", "r": "220205534"}, {"b": "807504100041", "n": "CALIFORNIA MANGO BODY LOTION 65 ML", "r": "220206286"}, {"b": "807504100102", "n": "CALIFORNIA MANGO BODY LOTION 266 ML", "r": "220207616"}, {"b": "807504100072", "n": "CALIFORNIA MANGO BODY HYDRATE SPRAY 125ML", "r": "220205262"}, {"b": "807504100720", "n": "CALIFORNIA MANGO BODY BUTTER 1205GM", "r": "220205377"}, {"b": "9650144001244", "n": "CALTRATE 600VIT DMINERALS 60 TAB", "r": "220168536"}, {"b": "965014400035", "n": "CALTRATE 600  D 60 TABS", "r": "220168471"}, {"b": "6251613000589", "n": "CALTRATE CALCIUM 600MG 60S", "r": "220224446"}, {"b": "965014600065", "n": "CALVITALIS SYRUP 300ML", "r": "220170047"}, {"b": "8902297020636", "n": "CAMDOL 500MG TABLETS 24S", "r": "129812119"}, {"b": "8902297022289", "n": "CAMDOL 160 MG CHEWABLE TABLETS 24S", "r": "129807192"}, {"b": "8902297020643", "n": "CAMDOL ULTRA 500MG/65MG TABLETS 24S", "r": "129807187"}, {"b": "5901350467138", "n": "CAMELEO ESSENTIAL KIT SHAMPCONDHAIR MASK 3X50ML", "r": "220208857"}, {"b": "7640110706275", "n": "CANDEREL RED STICK 50 X 1G", "r": "220231180"}, {"b": "7640110700167", "n": "CANDEREL LOW CAL SWEET TAB 300S", "r": "220221981"}, {"b": "7640110700174", "n": "CANDEREL LOW CAL SWEET TAB 100S", "r": "220229293"}, {"b": "6291100780754", "n": "CANDIZOLE VAG CREAM 45GM", "r": "220160882"}, {"b": "965015500007", "n": "CANESTEN 05GM TABLETS 1S", "r": "220160309"}, {"b": "965015500009", "n": "CANESTEN SOLUTION 20ML", "r": "220166442"}, {"b": "965015500008", "n": "CANESTEN CREAM 20GM", "r": "220152558"}, {"b": "965015500001", "n": "CANESTEN 100MG VAGINAL TAB 6S", "r": "220161841"}, {"b": "9650155001752", "n": "CANESTEN 1 30ML PUMP SPRAY", "r": "220169494"}, {"b": "817513015328", "n": "CANTU SULFTFREE HYDRATE CRM COND 135OZ", "r": "220239153"}, {"b": "817513015311", "n": "CANTU SULFATEFREE CLEANS CRM SHAM 135OZ", "r": "220239415"}, {"b": "856017000126", "n": "CANTU SHEA BUTR LEAVE IN COND RPR CRM 453G", "r": "220183803"}, {"b": "817513015700", "n": "CANTU SHEA BTR NAT HAIR WAVE WHIP CURL MOUSE 248ML", "r": "220183726"}, {"b": "817513010002", "n": "CANTU SHEA BTR NAT HAIR MOIST CURL ACTVTR CRM 355ML", "r": "220187478"}, {"b": "817513010132", "n": "CANTU SHEA BTR LEAVE IN COND CRM 340G", "r": "220182258"}, {"b": "817513010033", "n": "CANTU COC CURLING CRM 340G", "r": "220182368"}, {"b": "817513016325", "n": "CANTU DEEP TREAMTMENT HAIR MASQUE 50G", "r": "220205550"}, {"b": "817513019883", "n": "CANTU AVOCDO SFREE HYDRAT CRM CO 135OZ", "r": "220238717"}, {"b": "817513019876", "n": "CANTU AVOCADO SULFATE FREE SHAMPO 135OZ", "r": "220237920"}, {"b": "625720615503", "n": "CAPSIDOL CREAM 100 GM", "r": "220167088"}, {"b": "9650364002649", "n": "CARBON N95 FACE MASK 9213 AO", "r": "220185655"}, {"b": "634114071955", "n": "CT SUNSCREEN PROTECTION SPF 50+ HIGH UVA/UVB 50ML", "r": "129807170"}, {"b": "634114052718", "n": "CT BREAKOUT CONTROL SPOT PASTE 30ML", "r": "129807174"}, {"b": "746935352264", "n": "CT BREAKOUT CONTROL OVERNIGHT DETOX SERUM 30ML", "r": "129812120"}, {"b": "634114014075", "n": "CT BREAKOUT CONTROL MOISTURISER CREAM 100ML", "r": "129807151"}, {"b": "634114043174", "n": "CT BREAKOUT CONTROL FACIAL WET MASK 50ML", "r": "129807178"}, {"b": "634114029055", "n": "CT BREAKOUT CONTROL FACIAL PURIFYING TONIC 250ML", "r": "129812157"}, {"b": "634114029062", "n": "CT BREAKOUT CONTROL FACIAL EXFOLIATING SCRUB 125ML", "r": "129807240"}, {"b": "634114068870", "n": "CT BREAKOUT CONTROL FACIAL CLEANSING WASH 200ML", "r": "129807154"}, {"b": "634114009088", "n": "CT BREAKOUT CONTROL FACIAL CLEANSING BAR 100GM", "r": "129812173"}, {"b": "634114043761", "n": "CT BREAKOUT CONTROL EXFOLIATING BODY BAR 100GM", "r": "129812192"}, {"b": "634114052725", "n": "CT BREAKOUT CONTROL CLEANSING PADS 60S", "r": "129807173"}, {"b": "4820118800134", "n": "CARBOWHITE 24TABS", "r": "220074524"}, {"b": "965015200081", "n": "CARDURA 4MG TAB 20S", "r": "220158712"}, {"b": "617201656808", "n": "CARE WIPES ANTI VIRUS  ANTI BACTERIAL 64S", "r": "220202576"}, {"b": "3574661501949", "n": "CAREFREE GREEN TEA  ALOE INTIMATE CLEANSER 200ML", "r": "220228637"}, {"b": "3574661501956", "n": "CAREFREE VITAMIN E  COTTON INTIMATE CLEANSER 200ML", "r": "220232623"}, {"b": "3574661504179", "n": "CAREFREE GREEN TEA  ALOE INTIMATE CLEANSER 150ML", "r": "220235023"}, {"b": "3574661506302", "n": "CAREFREE GREEN TEA  ALOE INTIMATE WIPES 20 PCS", "r": "220218894"}, {"b": "3574661506449", "n": "CAREFREE VITAMIN E  COTTON  INTIMATE WIPES 20 PCS", "r": "220218488"}, {"b": "3574661429328", "n": "CAREFREE FLEXI COMFORT FRESH SCENT 60 PCS", "r": "220227104"}, {"b": "3574661500386", "n": "CAREFREE BREATHABLE COTTON 34 PCS", "r": "220228081"}, {"b": "3574661403663", "n": "CAREFREE FLEXI COMFORT COTTON FEEL 20 PCS", "r": "220228660"}, {"b": "3574661405100", "n": "CAREFREE FLEXI COMFORT COTTON FEEL 44 PCS", "r": "220217559"}, {"b": "3574661224039", "n": "CAREFREE FLEXI COMFORT COTTON FRESH 40 PCS", "r": "220217894"}, {"b": "3574661224077", "n": "CAREFREE FLEXI COMFORT COTTON FEEL 40 PCS", "r": "220223977"}, {"b": "3574660625790", "n": "CAREFREE LARGE REGULAR 48 PCS", "r": "220236555"}, {"b": "3574660535198", "n": "CAREFREE SINGLE WRAP ALOE 30 PCS", "r": "220224786"}, {"b": "3574660039559", "n": "CAREFREE MAXI 20PCS", "r": "220234577"}, {"b": "3574660050516", "n": "CAREFREE SINGLE WRAP FRESH 20 PCS", "r": "220228819"}, {"b": "3574661250533", "n": "CAREFREE FLEXI COMFORT ALOE 40 PCS", "r": "220217924"}, {"b": "3574661257037", "n": "CAREFREE MAXI LARGE FRESH 20 PCS", "r": "220217254"}, {"b": "3574661250717", "n": "CAREFREE FLEXI COMFORT COTTON FRESH 20 PCS", "r": "220234898"}, {"b": "8002110312334", "n": "CAREFREE ORIGINAL PANTY LINERS 34S", "r": "220231922"}, {"b": "3574660095142", "n": "CAREFREE INTIMATE WASH 200ML", "r": "220228142"}, {"b": "8002110312365", "n": "CAREFREE FRESH PANTY LINERS 34S", "r": "220218456"}, {"b": "3574661429335", "n": "CAREFREE FLEXICOMFORT COTTON FEEL 60 PCS", "r": "220227816"}, {"b": "3574661250762", "n": "CAREFREE FLEXI COMFORT COTTON FEEL 20 PCS", "r": "220221209"}, {"b": "3574660463965", "n": "CAREFREE BREATHABLE SINGLE WRAP 30 PCS", "r": "220220328"}, {"b": "5000101033049", "n": "CAREX HAND GEL ALOE VERA 200ML", "r": "220167665"}, {"b": "5000101959417", "n": "CAREX ALOE VERA HAND GEL 50ML", "r": "220168694"}, {"b": "83078001902", "n": "CARMEX STRAWBERRY LIP BALM TUBE 10GM", "r": "220215928"}, {"b": "83078421144", "n": "CARMEX ORIGINAL LIP BALM TUBE 10GM", "r": "220215858"}, {"b": "83078911171", "n": "CARMEX ORIGINAL BALM STICK SPF15 425GM", "r": "220215323"}, {"b": "83078001476", "n": "CARMEX ORIGINAL BALM POT BLISTER 75GM", "r": "220215383"}, {"b": "83078001445", "n": "CARMEX CHERRY LIP BALM TUBE 10GM", "r": "220215295"}, {"b": "83078415303", "n": "CARMEX CHERRY LIP BALM POT 75GM", "r": "220215871"}, {"b": "8902281610263", "n": "CARMICIDE INFANT COLIC DROP 50ML", "r": "220183270"}, {"b": "9650364001741", "n": "CAROLYN MAKE UP SPONGE LATEX FREE", "r": "220085202"}, {"b": "5287000375191", "n": "CARROT SUN TANING CRM 350ML", "r": "220204396"}, {"b": "5287000375160", "n": "CARROT SUN SPR TANING OIL 200ML", "r": "220204852"}, {"b": "5287000375535", "n": "CARROT SUN GOLDEN TANING CRM 350ML", "r": "220204690"}, {"b": "5287000375566", "n": "CARROT SUN GOLDEN SPR TANING OIL 200ML", "r": "220204045"}, {"b": "8437010367489", "n": "CASMARA PURIFYINGALGAE PEEL OFF MASK", "r": "220234099"}, {"b": "8437010367496", "n": "CASMARA HYDRA ALGAE PEEL OFF MASK", "r": "220233634"}, {"b": "8437010367571", "n": "CASAMARA ANTIOXIDANT ALGAE PEEL OFF MASK", "r": "220229003"}, {"b": "5201048290063", "n": "CASTALIA SENSIAL MOIST BODY MILK 200ML", "r": "220224036"}, {"b": "5201048291107", "n": "CASTALIA DERMOPUR SOLAIR CREAM 40ML", "r": "220232324"}, {"b": "5201048291060", "n": "CASTALIA DERMOPUR LACTOKER CREAM 40ML", "r": "220234803"}, {"b": "5201048291008", "n": "CASTALIA DERMOPUR CLEANSING GEL 150ML", "r": "220235486"}, {"b": "5201048292012", "n": "CASTALIA CHRONODERM ANTI AGE EYE CRM 15ML", "r": "220234804"}, {"b": "3600521230299", "n": "LOREAL CASTING CREAM 500 LIGHT BROWN", "r": "220236206"}, {"b": "3600521230268", "n": "LOREAL CASTING CREAM 400 BROWN", "r": "220219600"}, {"b": "3600521230244", "n": "LOREAL CASTING CREAM 300 DARK BROWN", "r": "220226803"}, {"b": "965013700245", "n": "CATAFLAM 50MG TAB 20S", "r": "220160132"}, {"b": "965013700408", "n": "CATAFLAM 50MG TAB 10S", "r": "220162683"}, {"b": "620554007234", "n": "CELADRIN CREAM 75 100 ML", "r": "220234630"}, {"b": "965015200132", "n": "CELEBREX 200MG CAPS 30S", "r": "220159766"}, {"b": "965015200008", "n": "CELEBREX 100MG CAP 20S", "r": "220155346"}, {"b": "965015200009", "n": "CELEBREX 200MG CAP 10S", "r": "220158960"}, {"b": "8901463122990", "n": "CELEMAC 200 30CAPS", "r": "220179612"}, {"b": "8901463122983", "n": "CELEMAC 200 10CAPS", "r": "220178949"}, {"b": "8002660030771", "n": "CENTRAMIN 10MG 20TABS", "r": "220177840"}, {"b": "8002660030788", "n": "CENTRAMIN 5MG SYRUP 100ML", "r": "220179809"}, {"b": "5415062331736", "n": "CENTRUM ENERGY 30 TAB", "r": "220223836"}, {"b": "6251613000497", "n": "CENTRUM LUTEIN TABLETS 30S", "r": "220220035"}, {"b": "6251613000527", "n": "CENTRUM SILVER TABLETS 30S", "r": "220229221"}, {"b": "6251613000534", "n": "CENTRUM SILVER TABLETS 100S", "r": "220226558"}, {"b": "6251613000626", "n": "CENTRUM MEN TABLET 60S", "r": "220229446"}, {"b": "6251613000657", "n": "CENTRUM WOMEN TABLET 60S", "r": "220235295"}, {"b": "9650144001046", "n": "CENTRUM LUTEIN 100S", "r": "220162370"}, {"b": "6251613000596", "n": "CENTRUM JUNIOR CHEWABLE TAB 30S", "r": "220232627"}, {"b": "740985227312", "n": "21ST CENTURY OMEGA3 FISH OIL 1000MG 90S", "r": "220226765"}, {"b": "740985223802", "n": "21ST CENTURY SENTARY 130S", "r": "220226023"}, {"b": "740985277577", "n": "21ST CENTURY BITOIN 10000 MCG 60S", "r": "220229022"}, {"b": "740985223260", "n": "21ST CENTURY CALCIUM PLUS 90 CAP", "r": "220219709"}, {"b": "740985224052", "n": "21ST CENTURY HERBAL SLIMMING TEA ORANGE 24S", "r": "220225776"}, {"b": "740985210246", "n": "21 CENTURY VITAMIN C CHEWABLE 500 MG 110S", "r": "220234543"}, {"b": "740985212455", "n": "21ST CENTURY VIT E400 IU 110S", "r": "220231241"}, {"b": "740985214343", "n": "21 CENTURY HAIR SKIN AND NAILS TAB 50S", "r": "220230178"}, {"b": "740985222638", "n": "21 CENTURY CAL MAG ZINC  D3 90TAB", "r": "220232801"}, {"b": "740985223611", "n": "21ST CENTURY SLIMMING TEA HONEY LEM 24S", "r": "220224383"}, {"b": "740985223994", "n": "21ST CENTURY HERBAL SLIMMING TEA NATURAL 24S", "r": "220216798"}, {"b": "740985226230", "n": "21ST CENTURY ARTHRIFLEX TABS 120S", "r": "220226045"}, {"b": "740985227909", "n": "21ST CENTURY HERBAL SLIMMING TEA GREEN TEA 24S", "r": "220230028"}, {"b": "740985228746", "n": "21ST CENTURY TRIPLE OMEGA COMPLEX 90S", "r": "220220366"}, {"b": "740985270622", "n": "21ST CENTURY D1000 IU 110S", "r": "220235656"}, {"b": "740985212257", "n": "21ST CENTURY C1000MG PROLONGED RELEASE CAPLETS 110S", "r": "220168903"}, {"b": "740985228098", "n": "21ST CENTURY NTURAL CAL 600D 75S", "r": "220158688"}, {"b": "740985277294", "n": "21ST CENTURY VITA JOY BIOTIN500MCG CHEW 60S", "r": "220157754"}, {"b": "740985223758", "n": "21ST CENTURY PRENATAL 60 TAB", "r": "220167090"}, {"b": "740985224885", "n": "21ST CENTURY GLUCOSAMINE  CHONDROITIN PLUS 60S", "r": "220159134"}, {"b": "740985228395", "n": "21ST CENTURY FAT BURNER CAPS 60S", "r": "220158325"}, {"b": "740985238530", "n": "21ST CENTURY IRON 27 MG 30 TAB", "r": "220159481"}, {"b": "740985226681", "n": "21ST CENTURY B COMPLEX VIT C 100 CAP", "r": "220232548"}, {"b": "740985223314", "n": "21ST CENTURY STRESS B W ZINC 66S", "r": "220161157"}, {"b": "740985229286", "n": "21ST CENTURY ACIDOPHILUS PROBIOTIC BLEND 150CAPS", "r": "220156876"}, {"b": "740985276235", "n": "21 CENTURY MIMI BEARS OMEGA PLUS DHA GUMMIES 60S", "r": "220233416"}, {"b": "740985228180", "n": "21ST CENTURY DIABETES FORMULA 90TAB", "r": "220232347"}, {"b": "740985276853", "n": "21ST CENTURY MIMI BEARS EXTRA C CHEW 60S", "r": "220229320"}, {"b": "740985237854", "n": "21ST CENTURY MIMI BEARS MULTIVIT CHEW 60S", "r": "220228831"}, {"b": "740985225561", "n": "21ST CENTURY DIGESTIVE ENZYME CAPS 60S", "r": "220224414"}, {"b": "740985223062", "n": "21ST CENTURY SOY ISOFLAVONES 50MG 60VCAPSFEMALE", "r": "220157447"}, {"b": "740985271759", "n": "21ST CENTURY PRENATAL MULTIVITAMINDHA 60S", "r": "220227348"}, {"b": "740985278475", "n": "21ST CENTURY EXT STRN HAIR SKIN NAILS 90TAB", "r": "220178985"}, {"b": "740985271292", "n": "21ST CENTURY ALASKA WILD FISH OIL 90S", "r": "220172425"}, {"b": "740985226674", "n": "21ST CENT ACE ANTIOXIDANT 75S", "r": "220233254"}, {"b": "3337875597395", "n": "CERAVE MOISTRZNG LTN DRY TO VERY DRY 473ML", "r": "220218117"}, {"b": "3337875597388", "n": "CERAVE MOISTRZNG CRM DRY TO VERY DRY 454G", "r": "220226565"}, {"b": "3337875597357", "n": "CERAVE FOAM CLEANSR NORM OILY 473ML", "r": "220236027"}, {"b": "3337875597333", "n": "CERAVE HYDRATE CLEAN NORMAL DRY 473ML", "r": "220225511"}, {"b": "3337875597227", "n": "CERAVE MOISTRZNG CRM DRY TO VERY DRY 340G", "r": "220224003"}, {"b": "3337875597449", "n": "CERAVE FACIAL MOIST LTN NORM TO DRY 52ML", "r": "220225436"}, {"b": "3337875597487", "n": "CERAVE FACE MOIST LTN SPF25 NORM DRY 52ML", "r": "220224316"}, {"b": "3337875597272", "n": "CERAVE EYE REPAIR CREAM 14ML", "r": "220220701"}, {"b": "3337875597210", "n": "CERAVE MOIST LOTION DRY TO VERY DRY 236ML", "r": "220233110"}, {"b": "3337875597197", "n": "CERAVE FOAM CLEANSR NORM OILY 236ML", "r": "220223177"}, {"b": "3337875597296", "n": "CERAVE SA RENEW FOOT CREAM 88ML", "r": "220226738"}, {"b": "3337875597180", "n": "CERAVE HYDRA CLEANSR NORM DRY 236ML", "r": "220216281"}, {"b": "3337875597319", "n": "CERAVE REPARATIVE HAND CREAM 50ML", "r": "220219131"}, {"b": "965016000030", "n": "CERAZETTE TABLETS 28S", "r": "220171638"}, {"b": "7613036666527", "n": "CETAPHIL BABY DAILY LOTION 400ML", "r": "220226420"}, {"b": "7613036666541", "n": "CETAPHIL BABY CALENDULA WASH  SHAMP 400ML", "r": "220217707"}, {"b": "7613035392502", "n": "CETAPHIL BABY MASSAGE OIL 300ML", "r": "220216048"}, {"b": "7613035392878", "n": "CETAPHIL BABY GENTLE WASH  SHAMPOO 300ML", "r": "220226936"}, {"b": "7613036454308", "n": "CETAPHIL BABY DIABER CREAM 70G", "r": "220218860"}, {"b": "7613035392939", "n": "CETAPHIL BABY DAILY LOTION 300ML", "r": "220227291"}, {"b": "9650160003062", "n": "CETAPHIL FACE MASK 25S GWP", "r": "220196132"}, {"b": "3499320006514", "n": "CETAPHIL OILY SKIN CLSNR 500ML", "r": "220181595"}, {"b": "3499320006538", "n": "CETAPHIL MOIST LOTION 1L", "r": "220217838"}, {"b": "3499320006521", "n": "CETAPHIL GENTLE SKIN CLEANSER 1L", "r": "220222935"}, {"b": "3499320009263", "n": "CETAPHIL DAILY HYDRATING LOTION 88ML", "r": "220233112"}, {"b": "3499320008006", "n": "CETAPHIL RICH NIGHT CRM 48G", "r": "220218559"}, {"b": "3499320008037", "n": "CETAPHIL REDNESS PRONE SKIN DAILY MOIST SPF30 50ML", "r": "220230287"}, {"b": "3499320009584", "n": "CETAPHIL HYDRATING EYE CREAM SERUM 14ML", "r": "220227073"}, {"b": "3499320008181", "n": "CETAPHIL PRO REDNESS FACE WASH 237ML", "r": "220229878"}, {"b": "3499320008013", "n": "CETAPHIL REDNESS PRONE SKIN NGHT CRM 50ML", "r": "220217389"}, {"b": "7613037062182", "n": "CETAPHIL ULTRAGENTLE SOOTHING BODY WASH 500ML", "r": "220219172"}, {"b": "3499320010542", "n": "CETAPHIL PRO ECZEMA PRONE SKIN HAND CLEANSING LOTION 500ML", "r": "220219331"}, {"b": "3499320010818", "n": "CETAPHIL SUN PHOTO FLUID SPF 50 TINTED 50ML", "r": "220232932"}, {"b": "3493200108015", "n": "CETAPHIL SUN FACE FLUID NON TINTED  SPF 50 50ML", "r": "220220337"}, {"b": "7897930777019", "n": "CETAPHIL PRO ECZEMA BODY MOISTURIZING FOAM 100ML", "r": "220216910"}, {"b": "7897930777064", "n": "CETAPHIL PRO ECZEMA FACE CLEANSING FOAM 250ML", "r": "220218143"}, {"b": "7897930777033", "n": "CETAPHIL PRO ECZEMA FACE MOISTURIZING CRM 50ML", "r": "220227277"}, {"b": "3499320010177", "n": "CETAPHIL PRO ECZEMA PRONE SKIN DAY HAND CREAM 50ML", "r": "220233495"}, {"b": "3499320010184", "n": "CETAPHIL PRO ECZEMA PRONE SKIN NIGHT HAND CREAM 50ML", "r": "220235808"}, {"b": "7613038102788", "n": "VCETAPHIL BABY ADVANCED PROTECTION CRM 85GM", "r": "220198953"}, {"b": "3499320011167", "n": "CETAPHIL BHR BRGHTNING LOTION 245ML", "r": "220230892"}, {"b": "3499320011129", "n": "CETAPHIL BHR BRIGHTNES NIGHT CMFRT CRM 50GM", "r": "220219758"}, {"b": "3499320011051", "n": "CETAPHIL BHR BRIGHTNES DAY CREAM 50GM", "r": "220231987"}, {"b": "3499320011181", "n": "CETAPHIL BHR BRGHTNING  BODY WSH 245ML", "r": "220218540"}, {"b": "3499320011105", "n": "CETAPHIL BHR BRIGHTNES RFRSH TONER 150ML", "r": "220223759"}, {"b": "3499320011082", "n": "CETAPHIL BHR BRIGHTNES FACE CLNSR 100ML", "r": "220230996"}, {"b": "3499320010658", "n": "CETAPHIL PRO ACNE CLAY MASK 85ML", "r": "220223441"}, {"b": "3499320011204", "n": "CETAPHIL BHR BRGHTNING SOAP BAR 100GM", "r": "220219924"}, {"b": "7640203240334", "n": "CETAPHIL BABY DAILY LOTION PUMP 400ML", "r": "220231085"}, {"b": "7640203240327", "n": "CETAPHIL BABY WASH  SHAMPOO 400ML", "r": "220233391"}, {"b": "7640203240310", "n": "CETAPHIL BABY DIAP CRM 70G", "r": "220205685"}, {"b": "3499320005647", "n": "CETAPHIL GENTLE SKIN CLEANSER 500ML", "r": "220231792"}, {"b": "3499320005654", "n": "CETAPHIL GENTLE SKIN CLEANSER 236ML", "r": "220231200"}, {"b": "3499320006507", "n": "CETAPHIL OILY SKIN CLEANSER 236ML", "r": "220218492"}, {"b": "3499320007078", "n": "CETAPHIL MOISTURISING LOTION 236 ML", "r": "220231022"}, {"b": "3499320007467", "n": "CETAPHIL DAILY ADV ULTRA HYDRA LOTION 225G", "r": "220229087"}, {"b": "3499320010108", "n": "CETAPHIL MOISTR CRM FACEBDY 453G", "r": "220165622"}, {"b": "7612076368200", "n": "CETAPHIL SUN SPF50 LIGHT  GEL 100ML", "r": "220220949"}, {"b": "3499320006545", "n": "CETAPHIL MOISTURIZING LOTION 500ML", "r": "220225513"}, {"b": "3499320011884", "n": "CETAPHIL MOISTURIZING CRM JAR 250GM", "r": "220218180"}, {"b": "7612076368248", "n": "CETAPHIL SUN LIPOSML LOTION FB SPF50 SENS 100ML", "r": "220220588"}, {"b": "3499320008174", "n": "CETAPHIL OIL FREE FACIAL MOSTURIZ LTN SPF30 120ML", "r": "220217618"}, {"b": "3499320008129", "n": "CETAPHILPRO ECZEMA MOISTURISING LOTION 295ML", "r": "220230667"}, {"b": "3499320006972", "n": "CETAPHIL UV DEFENSE SPF 50 50GM", "r": "220222544"}, {"b": "7612076368293", "n": "CETAPHIL SUN LIGHT GEL  SPF50 VSENS 50ML", "r": "220222129"}, {"b": "3499320008167", "n": "CETAPHIL PRO ECZEMA BODYWASH 295ML", "r": "220223784"}, {"b": "3499320006668", "n": "CETAPHIL OIL CONTR FOAM WASH 235ML", "r": "220230693"}, {"b": "3499320009287", "n": "CETAPHIL SUN EXTREME SPF50 LOTION 50ML", "r": "220226117"}, {"b": "3499320006989", "n": "CETAPHIL MOIST CRM 100GRM", "r": "220223548"}, {"b": "7613036482646", "n": "CETAPHIL ULTRA GENTLE BODY WASH FRAG FREE 500ML", "r": "220227685"}, {"b": "3499320007061", "n": "CETAPHIL CLEANSER 200ML", "r": "220154058"}, {"b": "7613036481823", "n": "CETAPHIL ULTRA GENTLE BODY WASH REFRESHING 500ML", "r": "220225605"}, {"b": "3499320012386", "n": "CETAPHIL MOISTURIZING LOTION 118ML", "r": "220217440"}, {"b": "3499320011921", "n": "CETAPHIL OILY SKIN CLEANSER 125ML", "r": "220224025"}, {"b": "3499320010061", "n": "CETAPHIL GENTLE MAKEUP REMOVER 180ML", "r": "220220193"}, {"b": "3499320012461", "n": "CETAPHIL GENTLE SKIN CLEANSER 118ML", "r": "220219081"}, {"b": "3499320007122", "n": "CETAPHIL GENTLE SKIN CLNSING WIPES 25S", "r": "220229738"}, {"b": "3499320003759", "n": "CETAPHIL ANTIBACTERIAL BAR 127 GM", "r": "220222289"}, {"b": "3499320003629", "n": "CETAPHIL MOIST LOTION 200ML", "r": "220220379"}, {"b": "7612076600508", "n": "CETAPHIL PROTECTIVE LIP BALM SPF 50 8ML", "r": "220225471"}, {"b": "3499320008396", "n": "CETAPHIL GENTLE CLEANSING BAR 127 GM", "r": "220226465"}, {"b": "7612076368279", "n": "CETAPHIL SUN KIDS LIPOSML LTN SPF50 SENS 150ML", "r": "220232182"}, {"b": "7640203242352", "n": "CETAPHIL KIDS SPR SPLSH SHPSHWR 230ML", "r": "220209382"}, {"b": "7640203242307", "n": "CETAPHIL KIDS GRLS SPRSFT SHPCOND230ML", "r": "220209420"}, {"b": "7640203242314", "n": "CETAPHIL KIDS GRLS PRNCES SHPCOND230ML", "r": "220208532"}, {"b": "7640203242345", "n": "CETAPHIL KIDS BUBLS SHMP  SHWR 230ML", "r": "220208916"}, {"b": "7640203242338", "n": "CETAPHIL KIDS BOYS SPRTS SHPSHWR 230ML", "r": "220208372"}, {"b": "7640203242321", "n": "CETAPHIL KIDS BOYS GALXY SHMPSHWR230ML", "r": "220209405"}, {"b": "3499320011297", "n": "CETAPHIL HEALTHY LIQUID HAND WASH 236ML", "r": "220211008"}, {"b": "3499320011273", "n": "CETAPHIL HEALTHY HAND CREAM 50GM", "r": "220211331"}, {"b": "3499320010085", "n": "CETAPHIL GENTLE SKIN FOAMING CLEANSER 236ML", "r": "220228139"}, {"b": "7613036714976", "n": "CETAPHIL EXTRA GENTLE DAILY SCRUB 178ML", "r": "220236544"}, {"b": "7612076368286", "n": "CETAPHIL DAYLONG SPF 30 GELSPRAY 150ML", "r": "220228551"}, {"b": "7612076368262", "n": "CETAPHIL DAYLONG LOTION SPF30 150ML", "r": "220223017"}, {"b": "7612076368224", "n": "CETAPHIL DAYLONG AFTER SUN GEL 200ML", "r": "220229823"}, {"b": "7612076368231", "n": "CETAPHIL DAYLONG AFTER SUN GEL 100ML", "r": "220224180"}, {"b": "6298044065985", "n": "CETAPHIL BABY WIPES 80 WIPES", "r": "220208926"}, {"b": "6298044065923", "n": "CETAPHIL BABY WIPES 40S", "r": "220200490"}, {"b": "6298044065978", "n": "CETAPHIL BABY WIPES 20 WIPES", "r": "220208968"}, {"b": "6291100080984", "n": "CETRALON 10MG TAB 10S", "r": "220170849"}, {"b": "4260133180390", "n": "CH ALPHA SPORT 25ML 30S", "r": "220230653"}, {"b": "9650364002465", "n": "CH ALPHA 30X25ML", "r": "220056692"}, {"b": "5013457019599", "n": "CHAMPIX 1MG 56 TABS", "r": "220223804"}, {"b": "5013457019643", "n": "CHAMPIX 05 AND 1MG TABS", "r": "220225875"}, {"b": "93000501578", "n": "CHAP ICE LIPBALM STIK STRAW 425G", "r": "220088810"}, {"b": "3592495912052", "n": "CHARACTER MULTIPURPOSE MAKE UP BRUSH 9", "r": "220233611"}, {"b": "3592495912045", "n": "CHARACTER MULTIPURPOSE MAKE UP BRUSH 8", "r": "220224907"}, {"b": "3592495912038", "n": "CHARACTER MULTIPURPOSE MAKE UP BRUSH 6", "r": "220220916"}, {"b": "3592495912014", "n": "CHARACTER MULTIPURPOSE MAKE UP BRUSH 4", "r": "220230362"}, {"b": "35924959120121", "n": "CHARACTER MULTIPURPOSE MAKE UP BRUSH 3", "r": "220224357"}, {"b": "3592495912076", "n": "CHARACTER MULTIPURPOSE MAKE UP BRUSH 2", "r": "220234383"}, {"b": "3592495912069", "n": "CHARACTER MULTIPURPOSE MAKE UP BRUSH 10", "r": "220231760"}, {"b": "3592495912083", "n": "CHARACTER MULTIPURPOSE MAKE UP BRUSH 1", "r": "220227216"}, {"b": "3592495420014", "n": "CHARACTER FACIAL BEAUTY PUFF WETDRY", "r": "220065135"}, {"b": "5060420330069", "n": "V CW THICKER  FULLER SHAMPOO 250ML", "r": "220191318"}, {"b": "5060420330076", "n": "CW THICKER  FULLER CONDITIONER 250ML", "r": "220115274"}, {"b": "5060420331295", "n": "CW MOISTURE SEAL SHAMPOO 250ML", "r": "220189940"}, {"b": "5060420331264", "n": "CW MOISTURE SEAL MASK 150ML", "r": "220114020"}, {"b": "5060420331233", "n": "CW MOISTURE SEAL HAIR HEALER 200ML", "r": "220094137"}, {"b": "5060420331226", "n": "CW MOISTURE SEAL CONDITIONER 250ML", "r": "220107770"}, {"b": "5060420330113", "n": "CW COLOUR EN VIOLET TON SHAMPOO 250ML", "r": "220170536"}, {"b": "8809650043380", "n": "CKJ KOREAN RED GINSENG EXTRACT 100GM", "r": "220213937"}, {"b": "8809650045292", "n": "CKJ POWDER CAPSULES 500MG 180S", "r": "220213333"}, {"b": "8809650043373", "n": "CKJ KOREAN RED GINSENG EXTRACT 50GM", "r": "220213315"}, {"b": "8809650045582", "n": "CKJ KOREAN RED GINSENG  PASNFRUIT 3X10S", "r": "220214058"}, {"b": "8809650045490", "n": "CKJ KOREAN RED GINSENG  PEACH 3X10S", "r": "220213770"}, {"b": "8809650045261", "n": "CKJ EXTRACT EVERYTIME 20ML", "r": "220214012"}, {"b": "8809535592248", "n": "CKJ KOREAN RED GINSENG  POMGRNT 3X10S", "r": "220213381"}, {"b": "9555830800111", "n": "CHEWIES IMMUNOLACIOUS 60S", "r": "220161068"}, {"b": "9555830800012", "n": "CHEWIES COLOSTRUM60S", "r": "220156808"}, {"b": "5029066007148", "n": "CHILD FARM SEN SHAMPOO 250ML", "r": "220062323"}, {"b": "5029066007155", "n": "CHILD FARM SEN HAIRBODYWASH ORNG 250ML", "r": "220092620"}, {"b": "5029066078469", "n": "CHILD FARM SEN HAIRBODYWASH BBAPPLE 250ML", "r": "220072537"}, {"b": "5029066007186", "n": "CHILD FARM SEN CONDITIONER 250ML", "r": "220077904"}, {"b": "5029066024176", "n": "CHILD FARM SEN BUBBLE BATH 250ML", "r": "220067059"}, {"b": "5029066078483", "n": "CHILD FARM SEN BABY WASH 250ML", "r": "220065852"}, {"b": "5029066078520", "n": "CHILD FARM SEN BABY MOISTURZR 250ML", "r": "220050500"}, {"b": "5029066078506", "n": "CHILD FARM SEN BABY BEDTME BUBLES 250ML", "r": "220085857"}, {"b": "5029066008251", "n": "CHILD FARM SEN 3IN1 SWIM 250ML", "r": "220074514"}, {"b": "6298199032085", "n": "CE 006 RING CUSHION MOLD PU FOAM", "r": "220168283"}, {"b": "6298197841085", "n": "CE 002 O SHAPE RING CUSHION CUT PU FOAM", "r": "220167899"}, {"b": "678112801251", "n": "CHLORASEPTIC LOZ HONEY  LEMON 18S", "r": "220224844"}, {"b": "678112017461", "n": "CHLORASEPTIC MAX STRENGTH WILD BERRY 15 LOZ", "r": "220221595"}, {"b": "678112012664", "n": "CHOLRASEPTIC SOOTHING CITRUS 18 LOZ", "r": "220156658"}, {"b": "678112101894", "n": "CHLORSEPTIC WARM HONEY LEMON 18S", "r": "220154797"}, {"b": "378112011048", "n": "CHLORASEPTIC SORE THROAT SPRAY MENTHOL 177ML", "r": "220169610"}, {"b": "378112693558", "n": "CHLORASEPTIC SORE THROAT SPRAY KIDS GRAPE 177ML", "r": "220162724"}, {"b": "678112012558", "n": "CHLORASEPTIC SORE THROAT SPRAY CITRUS 177ML", "r": "220163871"}, {"b": "378112011031", "n": "CHLORASEPTIC SORE THROAT SPRAY CHERRY 177ML", "r": "220169709"}, {"b": "378112011062", "n": "CHLORASEPTIC LOZ CHERRY 18S", "r": "220221415"}, {"b": "678112017119", "n": "CHLORASEPTIC LIQUID CENTER CHERRY 18S", "r": "220166768"}, {"b": "6291100081400", "n": "CHLOROHISTOL SYRUP 100ML", "r": "220170049"}, {"b": "965014600004", "n": "CHLOROHISTOL TABLETS 20S", "r": "220164614"}, {"b": "8908004526071", "n": "CHOLCAL VITAMIN D3 2000 IU ORAL STRIPS", "r": "220214944"}, {"b": "735786007874", "n": "CHOLLEY AHA CREAM 50ML", "r": "220346278"}, {"b": "641528000839", "n": "CHOOZ ANTACID SUGAR FREE GUM TABS MINT FLAV 12S", "r": "220235598"}, {"b": "54459321122", "n": "CIALIS 20MG 28 TABLETS", "r": "220188775"}, {"b": "9650144001169", "n": "CIALIS 20 MG TAB 12S", "r": "220162084"}, {"b": "9650144001121", "n": "CIALIS 5 MG", "r": "220002624"}, {"b": "965014400010", "n": "CIALIS 20MG TABLETS 4S", "r": "220172286"}, {"b": "9650155250904", "n": "CILOXAN 5ML EYE DRP", "r": "220152546"}, {"b": "9650160002836", "n": "CILOXAN 03 EONIT 35 G", "r": "220159345"}, {"b": "8430469167624", "n": "READITIC 20MG 12 TABLETS", "r": "220212625"}, {"b": "8430469167600", "n": "READITIC 5MG 28 TABLETS", "r": "220212936"}, {"b": "8430469165194", "n": "RESPIMAR GO NASAL SPRAY WITH MINT  30ML", "r": "220213165"}, {"b": "8430469176022", "n": "CINFAHELIX SYRUP 100 ML", "r": "220212790"}, {"b": "965016000214", "n": "CIPRALEX 10MG TAB PER TAB", "r": "220167540"}, {"b": "965013500046", "n": "CIPROBAY 750MG TABS 10S", "r": "220164112"}, {"b": "965013500023", "n": "CIPROBAY 500MG TABLETS 10S", "r": "220155913"}, {"b": "965016000135", "n": "CIPROBAY EAR DROPS 10ML", "r": "220152626"}, {"b": "965013500022", "n": "CIPROBAY 250MG TABLETS 10S", "r": "220172296"}, {"b": "4056500731100", "n": "CIRCULIN COUGH LOZENGES 30S", "r": "220163991"}, {"b": "965016000023", "n": "CIRRUS CAPSULES 14S", "r": "220002542"}, {"b": "9650364003615", "n": "CIVIL DISPOSABLE MASK BLACK 50S", "r": "220204742"}, {"b": "9650143001115", "n": "CLAMOX TABS 625GM", "r": "220166696"}, {"b": "6291100780099", "n": "CLARADONE VAGINAL DOUCH 200ML", "r": "220164143"}, {"b": "965013700246", "n": "CLARINASE TABLETS 14S", "r": "220162684"}, {"b": "13964286564", "n": "CLARINOL XS SOFT GEL CAPSULE 60S", "r": "220207014"}, {"b": "965013700390", "n": "CLARITINE TABLETS 30S", "r": "220161930"}, {"b": "965013700247", "n": "CLARITINE SYRUP 100ML", "r": "220172372"}, {"b": "965013700199", "n": "CLARITINE 10MG TABLETS 10S", "r": "220169275"}, {"b": "646437271929", "n": "TONGKAT ALI PLUS 120 CAP'S", "r": "129807356"}, {"b": "646437271936", "n": "MACA TRIO BOOST ENERGY 1500 MG 120 CAPS", "r": "129812244"}, {"b": "3574660680638", "n": "JJ MORNING ENERGY ENERGISING SCRUB 150ML", "r": "220218380"}, {"b": "3574660598155", "n": "CC SHINE CONTROL WASH 200ML", "r": "220156879"}, {"b": "3574660682168", "n": "CC MORNING ENERGY SHINE CONTROL WASH 150ML", "r": "220223330"}, {"b": "3574660682243", "n": "CC MORNING ENERGY ENERGISING WASH 150ML", "r": "220230072"}, {"b": "3574660002515", "n": "CC EXFOLIATING DAILY WASH 150ML", "r": "220228373"}, {"b": "3574660002522", "n": "CC DEEP ACTION CREAM CLEANSER 150ML", "r": "220223998"}, {"b": "3574661379616", "n": "CC COVER  CORRECT BB CREAM MEDIUM 50ML", "r": "220228507"}, {"b": "3574661379623", "n": "CC COVER  CORRECT BB CREAM LIGHT 50ML", "r": "220217257"}, {"b": "3574660149807", "n": "CC BLACKHEAD CLEARING DAILY SCRUB 150ML", "r": "220218237"}, {"b": "3574660135794", "n": "CC BLACKHEAD CLEARING CLEANSER 200ML", "r": "220219571"}, {"b": "3574660381726", "n": "CC ADVANTAGE DAILY WASH 150ML", "r": "220219301"}, {"b": "3574661106700", "n": "CC ADVANTAGE CLEAR  SOOTHE FOAM WASH 150ML", "r": "220235456"}, {"b": "5900095015239", "n": "CLEANIC DEO WIPES FRESH 12S", "r": "220058996"}, {"b": "678112254156", "n": "CLEAR EYES REDNESS RELIEF 15ML", "r": "220185317"}, {"b": "641528000723", "n": "CLEAR RESULTS EARLY PREGNANCY TEST", "r": "220068537"}, {"b": "8001090850188", "n": "CLEARBLUE DIG OVULATION 10S", "r": "220219171"}, {"b": "8001090749802", "n": "CLEARBLUE PREGNANCY TEST 6DAYS 1S", "r": "220181448"}, {"b": "4015600720308", "n": "CLEARBLUE PREGNANCY TEST DOUBLE", "r": "220227365"}, {"b": "5410076400669", "n": "CLEARBLUE PREGNANCY TEST WITH WEEKS INDICATOR 1S", "r": "220235677"}, {"b": "4015600719975", "n": "CLEARBLUE PREGNANCY TEST STRIP 1S", "r": "220226740"}, {"b": "5011321728165", "n": "CLEARBLUE DIGITAL PREGNANCY TEST", "r": "220234594"}, {"b": "5011321728042", "n": "CLEARBLUE DIGITAL OVU TEST", "r": "220168301"}, {"b": "4987072028063", "n": "CLEARWIPE LENS CLEANER 20PCS", "r": "220226884"}, {"b": "9650155250875", "n": "CLOBATE OINTMENT 30GM", "r": "220170507"}, {"b": "6291100083046", "n": "CLOFEN CREAMGEL 50GM", "r": "220169303"}, {"b": "965014600018", "n": "CLOFEN 50MG TAB 20S", "r": "220167913"}, {"b": "3582910077336", "n": "CLOMID 50MG TAB 10S", "r": "220217613"}, {"b": "6221048412028", "n": "CLOSEUP THPST WHTNOW NXTARB 75ML", "r": "220166556"}, {"b": "6221048414268", "n": "CLOSE UP DIAMOND ATTRCTION REFRSH MINT TOOTH PASTE 75ML", "r": "220235911"}, {"b": "9650364003516", "n": "V CNDOER DISPOSABLE MASK 50S", "r": "220194662"}, {"b": "3582910010562", "n": "CO APROVAL 300125 TAB 28S", "r": "220171052"}, {"b": "3582910010555", "n": "CO APROVEL 150MG125MG TAB 28S", "r": "220232319"}, {"b": "965013700261", "n": "CO DIOVAN 16025 TAB 28S", "r": "220164795"}, {"b": "965013700260", "n": "CO DIOVAN 160125 TAB 28S", "r": "220163517"}, {"b": "965013700262", "n": "CO DIOVAN 80125 TAB 28S", "r": "220164872"}, {"b": "965013700410", "n": "CO RENITEC TAB 30S", "r": "220166813"}, {"b": "3760215873437", "n": "CODAGE ON THE ROAD AGAIN TRAVEL KIT", "r": "220239706"}, {"b": "3760215874182", "n": "CODAGE DAY CREAM 50ML", "r": "220239592"}, {"b": "3760215874199", "n": "CODAGE NIGHT CREAM 50ML", "r": "220237932"}, {"b": "3760215874236", "n": "CODAGE MOISTURIZING MASK 50ML", "r": "220236653"}, {"b": "3760215874281", "n": "CODAGE NO1 MOISTURIZING SERUM 30ML", "r": "220236816"}, {"b": "3760215874298", "n": "CODAGE NO2 ANTI SHINE SERUM 30ML", "r": "220237117"}, {"b": "3760215874304", "n": "CODAGE NO3 RADIANCE SERUM 30ML", "r": "220239041"}, {"b": "3760215874311", "n": "CODAGE NO4 ANTI SPOTS SERUM 30ML", "r": "220239873"}, {"b": "3760215874342", "n": "CODAGE NO7 SOOTHING SERUM 30ML", "r": "220236692"}, {"b": "3760215874359", "n": "CODAGE NO10 EYE CONTOUR SERUM 15ML", "r": "220239781"}, {"b": "3760215871808", "n": "CODAGE MOISTURIZING LOTION 200ML", "r": "220237890"}, {"b": "3760215870016", "n": "CODAGE MICELLAR WATER 200ML", "r": "220238290"}, {"b": "3760215872737", "n": "CODAGE CLEANSING GEL 150ML", "r": "220236912"}, {"b": "3401398400552", "n": "CODEXIAL OIL RICH CLNDNG CARE 400ML", "r": "220179357"}, {"b": "3770008263147", "n": "CODEXIAL EFFASUN SPOT CRCTV CRM 30ML", "r": "220180291"}, {"b": "3770008263154", "n": "CODEXIAL EFFASUN BRIGHT 8 EMULSION 30ML", "r": "220180501"}, {"b": "3770008263161", "n": "CODEXIAL EFFASUN BRIGHT 15 INT SERUM15ML", "r": "220181509"}, {"b": "9650364003349", "n": "COK VINYL GLOVES M 100S", "r": "220193258"}, {"b": "9650364003356", "n": "COK VINYL GLOVES L 100S", "r": "220192918"}, {"b": "9650364003332", "n": "COK LATEX GLOVES L 100S", "r": "220193285"}, {"b": "5016155132331", "n": "COLAB DRY SHAMPOO UNICORN 200ML", "r": "220223797"}, {"b": "5016155119868", "n": "COLAB DRY SHAMPOO TROPICAL 200ML", "r": "220222122"}, {"b": "5016155128518", "n": "COLAB DRY SHAMPOO PARADSE 200ML", "r": "220233790"}, {"b": "5016155119806", "n": "COLAB DRY SHAMPOO ORIGINAL 200ML", "r": "220223225"}, {"b": "5016155132805", "n": "COLAB DRY SHAMPOO GOOD VIBES 200ML", "r": "220234326"}, {"b": "5016155119844", "n": "COLAB DRY SHAMPOO FRUITY 200ML", "r": "220230723"}, {"b": "5016155120017", "n": "COLAB DRY SHAMPOO FRESH 200ML", "r": "220224975"}, {"b": "5016155119905", "n": "COLAB DRY SHAMPOO EXTREME VOLUME ORIGINAL 200ML", "r": "220218305"}, {"b": "5016155119882", "n": "COLAB DRY SHAMPOO EXOTC 200ML", "r": "220231714"}, {"b": "5016155128648", "n": "COLAB DRY SHAMPOO CANDY 200ML", "r": "220231773"}, {"b": "5016155124848", "n": "COLAB DRY SHAMPOO ACTVE 200ML", "r": "220235329"}, {"b": "8718951265103", "n": "COLGATE ULTRA SOFT 2 TB", "r": "220193617"}, {"b": "6920354823152", "n": "COLGATE NATURAL CHARCOAL TOOTH PASTE 75ML", "r": "220220403"}, {"b": "8718951302068", "n": "COLGATE BAMBOO CHARCOAL TB SOFT", "r": "220224832"}, {"b": "8718951366015", "n": "COLGATE OPTIC WHITE EXPERT COMPLETE", "r": "220208577"}, {"b": "6920354826030", "n": "COLGATE KIDS 69 YEARS MINT TOOTH PASTE 60ML", "r": "220220921"}, {"b": "6920354826948", "n": "COLGATE KIDS 35 YEARS MINT TOOTH PASTE 60ML", "r": "220225759"}, {"b": "8718951078147", "n": "COLGATE SENS PRO RELIEF TOOTHPASTE 75ML", "r": "220225101"}, {"b": "7891024179482", "n": "COLGATE OPTIC WHITE MOUTHWASH 500ML", "r": "220224789"}, {"b": "6001067017332", "n": "COLGATE OPTIC WHITE 360 PLUS TOOTH BRUSH", "r": "220220069"}, {"b": "8850006306468", "n": "COLGATE TOTAL12 PRO GUM HEALTH MW 250ML", "r": "220216835"}, {"b": "9300632018871", "n": "COLGATE TOTAL MINT WAXED DENTAL FLOSS 25M", "r": "220234885"}, {"b": "8718951309258", "n": "COLGATE SLIM SOFT TB 2PK", "r": "220212435"}, {"b": "8718951079205", "n": "COLGATE SENS REPAIR  PREVENT TP 75ML", "r": "220223695"}, {"b": "6920354826016", "n": "COLGATE KIDS 02 YEARS FREE FLOURIDE TOOTH PASTE 40ML", "r": "220232198"}, {"b": "8850006340417", "n": "COLGATE TOTAL PRO GUM PASTE", "r": "220159437"}, {"b": "6920354819667", "n": "COLGATE TOTAL CLEAN MINT TP 75ML", "r": "220158192"}, {"b": "8718951176102", "n": "COLGATE TOTAL CLEAN BREATH TP 75ML", "r": "220216905"}, {"b": "6281001104155", "n": "COLGATE TOTAL 12H CLEAN MINT TOOTH PASTE 100ML", "r": "220220316"}, {"b": "6001067017400", "n": "COLGATE SLIM SOFT CHARCOAL 17X TOOTH BRUSH", "r": "220234520"}, {"b": "8693495052337", "n": "COLGATE SLIM SOFT ADV TB 2S", "r": "220236462"}, {"b": "8850006304792", "n": "COLGATE PLAX PEPPERMINT MW 250ML", "r": "220224195"}, {"b": "8850006304709", "n": "COLGATE PLAX FRESH TEA MW 250ML", "r": "220232138"}, {"b": "7891024124826", "n": "COLGATE OPTIC WHITE TOOTHPASTE 75ML", "r": "220235923"}, {"b": "8718951194144", "n": "COLGATE OPTIC WHITE TBPEN", "r": "220230289"}, {"b": "7509546075846", "n": "COLGATE OPTIC WHITE COOLMINT TP 75ML", "r": "220218049"}, {"b": "6001067000037", "n": "COLGATE OPTIC WHITE 360 PLUS TOOTH BRUSH", "r": "220236165"}, {"b": "8714789737591", "n": "COLGATE 360 SONIC TB MEDIUM", "r": "220225076"}, {"b": "6001067026358", "n": "COLGATE 360 SENSITIVE PRO RELIEF TOOTH BRUSH", "r": "220221806"}, {"b": "6221088040151", "n": "COLLOMAK", "r": "220163172"}, {"b": "8901463125304", "n": "COLMACYN 05MG 30TABS", "r": "220179779"}, {"b": "3061375781137", "n": "GARNR COLOR NATRURALS 81 LIGHT ASH BLONDE", "r": "220223461"}, {"b": "3061375781076", "n": "GARNR COLOR NATRURALS 6 DARK BLONDE", "r": "220230058"}, {"b": "3061375781045", "n": "GARNR COLOR NATRURALS 3 DARK BROWN", "r": "220227276"}, {"b": "3061375781038", "n": "GARNR COLOR NATRURALS 1 BLACK", "r": "220222174"}, {"b": "5029066003102", "n": "COLOUR B4 EXTRA HAIR COLOUR REMOVER DARK TONES", "r": "220063032"}, {"b": "965017900038", "n": "COLPERMIN CAPS 20S", "r": "220158188"}, {"b": "4048846002914", "n": "COMBIVENT UD SOLN 20S", "r": "220154984"}, {"b": "965016000025", "n": "COMBIZYM TABLETS 30S", "r": "220158891"}, {"b": "3663555002621", "n": "COMPEED HIGH HEEL BLISTER PLASTER 5S", "r": "220192932"}, {"b": "3574660559859", "n": "COMPEED SPORTS UNDERFOOT 5S", "r": "220193308"}, {"b": "3574660634839", "n": "COMPEED SPORTS HEEL 5S", "r": "220193410"}, {"b": "3574660651751", "n": "COMPEED BLISTER PLASTER MIXED 5S", "r": "220193343"}, {"b": "5708932022736", "n": "COMPEED BUNION 5S", "r": "220193267"}, {"b": "5708932006910", "n": "COMPEED BLISTER PLASTER MED 5S", "r": "220192965"}, {"b": "3663555004212", "n": "COMPEED BLISTER PLASTER MEDIUM 10S", "r": "220212839"}, {"b": "3663555004243", "n": "COMPEED COLD SORE PATCH 15S", "r": "220205985"}, {"b": "3663555004236", "n": "COMPEED CORN MOISTURISING 6S", "r": "220207895"}, {"b": "3663555004199", "n": "COMPEED CALLOUS MEDIUM 6S", "r": "220207988"}, {"b": "3663555004168", "n": "COMPEED BLISTER ON TOES 8S", "r": "220205455"}, {"b": "3663555004175", "n": "COMPEED BLISTER PLASTER SMALL 6S", "r": "220213116"}, {"b": "8435373703128", "n": "COMPLIDERMOL ANTI HAIRLOSS LOTION 120ML", "r": "220214338"}, {"b": "8435373703135", "n": "COMPLIDERMOL  ANTI HAIRLOSS SHAMPO 200ML", "r": "220214637"}, {"b": "8435373703111", "n": "COMPLIDERMOL ANTI HAIRLOSS 60 CAPS", "r": "220214209"}, {"b": "9400501003257", "n": "COMVITA MANUKA HONEY LOZENGES COOL MINT 54G", "r": "220053261"}, {"b": "763319106701", "n": "V CII MOIST BODY MIST STRWBRY 50ML", "r": "220180898"}, {"b": "763319106770", "n": "V CII MOIST BODY MIST SNOW ROSE 50ML", "r": "220180314"}, {"b": "763319106831", "n": "V CII MOIST BODY MIST LUSCIOUS PEAR 50ML", "r": "220181043"}, {"b": "763319106787", "n": "V CII MOIST BODY MIST FLOWR BLAST 50ML", "r": "220181370"}, {"b": "763319106817", "n": "V CII MOIST BODY MIST CRYST MUSK 50ML", "r": "220181694"}, {"b": "763319106312", "n": "V CII MOIST BODY LOT CUCUMBR 236ML", "r": "220181901"}, {"b": "763319106336", "n": "V CII MOIST BODY LOT CANDY LUSH 236ML", "r": "220180940"}, {"b": "763319105636", "n": "V CII MOIST BDY LTN 236ML VAN SILK", "r": "220085687"}, {"b": "763319102888", "n": "V CII MOIST BDY LTN 236ML RASPBERRY", "r": "220059011"}, {"b": "763319104738", "n": "V CII MOIST BDY LTN 236ML PURE AMBE", "r": "220071204"}, {"b": "763319107128", "n": "V CII EDT RASPBERRY 50ML", "r": "220190719"}, {"b": "763319107272", "n": "V CII EDT PEACH VELVET 50ML", "r": "220181631"}, {"b": "763319107241", "n": "V CII EDT LUSCIOUS PEAR 50ML", "r": "220180912"}, {"b": "763319107227", "n": "V CII EDT CRYSTAL MUSK 50ML", "r": "220181729"}, {"b": "763319107081", "n": "V CII EDT CHERRY BLOSSOM 50ML", "r": "220181161"}, {"b": "763319102833", "n": "V CII BODY MIST 236ML RASPBERRY", "r": "220083201"}, {"b": "9650364001468", "n": "V CII BDY MIST 50ML MINI ASTD", "r": "220084917"}, {"b": "965016000026", "n": "CONCOR 10MG TABLETS 30S", "r": "220159145"}, {"b": "965016000027", "n": "CONCOR 5 PLUS TABLETS 30S", "r": "220158842"}, {"b": "3705409010007", "n": "CONCOR 5MG TABLETS 30S", "r": "220233246"}, {"b": "3705409020006", "n": "CONCOR COR 25 MG TAB 30S", "r": "220222168"}, {"b": "4008491109703", "n": "CONTRACTUBEX GEL 50GM", "r": "220226171"}, {"b": "7640171660516", "n": "CONTRAD AI500 MONODOSE GEL MD", "r": "220209838"}, {"b": "7640171660530", "n": "CONTRAD CR500 MONODOSE GEL MD", "r": "220209595"}, {"b": "7640171660523", "n": "CONTRAD ST500 MONODOSE GEL MD", "r": "220209717"}, {"b": "5201431215307", "n": "CT SUNSCREEN LOTION 100ML SPF50", "r": "220346186"}, {"b": "5201431213419", "n": "COPPERTONE TANNING COCONUT OIL 200ML", "r": "220229728"}, {"b": "5201431213310", "n": "COPPERTONE TANNING CARROT LOTION 200ML", "r": "220217652"}, {"b": "5201431215703", "n": "COPPERTONE SUN LOTION SPF30 200ML", "r": "220234278"}, {"b": "965013700411", "n": "CORDARONE TAB 30S", "r": "220002470"}, {"b": "5000198124422", "n": "COREGA ULTRA CREAM 40GM", "r": "220220265"}, {"b": "5000198021202", "n": "COREGA SUPERCREAM 40ML", "r": "220219250"}, {"b": "9502930974259", "n": "CORREGA DENTURE CLEANSER TAB 36S", "r": "220221767"}, {"b": "3468080081116", "n": "V CDF BABY BIO ORGNC DIAPER CHANGE 500ML", "r": "220191598"}, {"b": "3468080408173", "n": "V CDF BABY BIO ORGNC DETOX MIST 100ML", "r": "220192553"}, {"b": "3468080081437", "n": "V CDF BABY BIO ORGNC CRM 100ML", "r": "220192784"}, {"b": "3468080081406", "n": "V CDF BABY BIO ORGNC CLSNG WTR 500ML", "r": "220191980"}, {"b": "3468080081390", "n": "V CDF BABY BIO ORGNC CLNSG GEL 500ML", "r": "220190600"}, {"b": "6294015140026", "n": "CORNELLS 100ML SANITIZER SPRAY", "r": "220238313"}, {"b": "6294015140736", "n": "CORNELLS 100ML SANITIZER SPRAY ORANGE", "r": "220237336"}, {"b": "6294015140729", "n": "CORNELLS 100ML SANITIZER SPRAY YELLOW", "r": "220237208"}, {"b": "6294015140521", "n": "CORNELLS 200ML SANITIZER SPRAY", "r": "220240168"}, {"b": "6294015139266", "n": "CORNELLS 500ML SANITIZER  BLUE", "r": "220239716"}, {"b": "6294015140033", "n": "CORNELLS 500ML SANITIZER GEL", "r": "220239383"}, {"b": "6294015139723", "n": "CORNELLS 65ML SANITIZER GEL", "r": "220236739"}, {"b": "6294015143522", "n": "CORNELLS HELLO KITTY VALUEPACK", "r": "220238345"}, {"b": "6294015142778", "n": "CORNELLS KIDS SPRAY 100ML JERRY", "r": "220237846"}, {"b": "6294015142761", "n": "CORNELLS KIDS SPRAY 100ML TOM", "r": "220237283"}, {"b": "6294015142532", "n": "CORNELLS OFFER PACK KIDS JOKER", "r": "220240180"}, {"b": "6294015144840", "n": "CORNELLS OUD HAND SANITIZER SPRAY 100ML", "r": "220239313"}, {"b": "6294015140088", "n": "CORNELLS POCKET SANITIZER PINK 33ML", "r": "220196275"}, {"b": "6294015141184", "n": "CORNELLS PROMO OFFER 100ML SPRAY SPORT", "r": "220238939"}, {"b": "6294015141818", "n": "CORNELLS PROMO OFFER HAND WASH CITRUS", "r": "220237355"}, {"b": "6294015141801", "n": "CORNELLS PROMO OFFER HAND WASH ORIGINAL", "r": "220239963"}, {"b": "6294015140170", "n": "CORNELLS PROMO OFFER SANITIZER SPRAY", "r": "220237627"}, {"b": "6294015140040", "n": "CORNELLS SANITIZER BLUE 250ML", "r": "220193040"}, {"b": "6294015140927", "n": "CORNELLS WELLNESS AB HAND WASH CITRUS 250ML", "r": "220195688"}, {"b": "6294015140903", "n": "CORNELLS WELLNESS AB HAND WASH HYDRATING 250ML", "r": "220195419"}, {"b": "6294015140910", "n": "CORNELLS WELLNESS AB HAND WASH ORG 250ML", "r": "220195136"}, {"b": "6294015140958", "n": "CORNELLS WELLNESS ADV SANT HAND WASH AQUA 500ML", "r": "220193856"}, {"b": "6294015140941", "n": "CORNELLS WELLNESS ADV SANT HAND WASH LEMON 500ML", "r": "220195575"}, {"b": "6294015140965", "n": "CORNELLS WELLNESS ADV SANT HAND WASH ORG 500ML", "r": "220193696"}, {"b": "6294015141870", "n": "CORNELLS WELLNESS KIDS BATMAN SPRAY 100ML", "r": "220197458"}, {"b": "6294015142105", "n": "CORNELLS WELLNESS KIDS BATMAN SPRAY 100ML  GEL 65ML", "r": "220196558"}, {"b": "6294015141887", "n": "CORNELLS WELLNESS KIDS JOKER SPRAY 100ML", "r": "220196645"}, {"b": "6294015142099", "n": "CORNELLS WELLNESS KIDS SUPERMAN SPRAY 100ML  GEL 65ML", "r": "220196809"}, {"b": "6294015141856", "n": "CORNELLS WELLNESS KIDS WONDER WOMAN SPRAY 100ML", "r": "220196714"}, {"b": "6294015142082", "n": "CORNELLS WELLNESS KIDS WONDER WOMEN SPRAY 100ML  GEL 65ML", "r": "220197460"}, {"b": "6294015140569", "n": "CORNELLS WELLNESS MULTI SURFACE DIS SPRY 750ML", "r": "220195491"}, {"b": "6294015141702", "n": "CORNELLS WELLNESS TRIPLE HYGINE PACK", "r": "220195283"}, {"b": "6294015141955", "n": "KIDS BATMAN GEL 65ML", "r": "220236616"}, {"b": "6294015145021", "n": "KIDS SPRAY BATMAN PROMO 11", "r": "220236601"}, {"b": "6294015145069", "n": "KIDS SPRAY HELLO KITTY PROMO 11", "r": "220236794"}, {"b": "6294015145052", "n": "KIDS SPRAY TOM  JERRY PROMO 11", "r": "220239632"}, {"b": "6294015141948", "n": "KIDS SUPERMAN GEL 65ML", "r": "220237654"}, {"b": "6294015141931", "n": "KIDS WONDER WOMEN GEL 65ML", "r": "220236682"}, {"b": "6294015141863", "n": "CORNELLS WELLNESS KIDS SUPERMAN SPRAY 100ML", "r": "220197509"}, {"b": "6294015141207", "n": "CORNELLS WELLNESS ISOPROPYL ALCHOL 70 500ML", "r": "220195435"}, {"b": "6294015141191", "n": "CORNELLS WELLNESS ISOPROPYL ALCHOL 70 250ML", "r": "220193686"}, {"b": "6294015138283", "n": "COSMO HAND SANITIZER SPRAY 250ML", "r": "220191205"}, {"b": "6294015138535", "n": "COSMO HAND SANITIZER SPRAY 200ML", "r": "220192137"}, {"b": "6294015138528", "n": "COSMO HAND SANITIZER SPRAY 150ML", "r": "220191676"}, {"b": "6294015138351", "n": "COSMO HAND SANITIZER SPRAY 100ML", "r": "220190582"}, {"b": "6294015137040", "n": "COSMO HAND SANITIZER GEL 65ML", "r": "220191496"}, {"b": "6294015136500", "n": "COSMO HAND SANITIZER GEL 500ML", "r": "220190894"}, {"b": "6294015136517", "n": "COSMO HAND SANITIZER GEL 1000ML", "r": "220191295"}, {"b": "965013700263", "n": "COSOPT EYE DROPS 5ML", "r": "220169810"}, {"b": "8809416471112", "n": "COSRX SALICYLIC GENTLE CLEANSER 150ML", "r": "220214954"}, {"b": "8809416470306", "n": "COSRX ONE STEP ORIGINAL CLEAR PAD 70S", "r": "220214197"}, {"b": "8809416470511", "n": "COSRX LOW PH GOOD MORNING CLEANSER 150ML", "r": "220214357"}, {"b": "8809416470122", "n": "COSRX HYALURONIC INTENSIVE CREAM 100GM", "r": "220214664"}, {"b": "8809416470368", "n": "COSRX CENTELLA BLEMISH CREAM 30ML", "r": "220214477"}, {"b": "8809416470054", "n": "COSRX BHA BLACKHEAD POWER LIQUID 100ML", "r": "220214492"}, {"b": "8809416470191", "n": "COSRX ALOE SOOTHNG SUNCREAM SPF50 50ML", "r": "220214613"}, {"b": "8809416470030", "n": "COSRX AHABHA CLARIFY TONER 150ML", "r": "220214523"}, {"b": "8809416470016", "n": "COSRX ADVNCD SNAIL92 CREAM 100GM", "r": "220214539"}, {"b": "8809416470009", "n": "COSRX ADVANCED SNAIL96 PWR ESSENCE100ML", "r": "220214250"}, {"b": "8809598451070", "n": "COSRX ADV SNAILPEPTIDE EYE CREAM 25ML", "r": "220214776"}, {"b": "8021685012630", "n": "COSVAL PROPOLINA SPRAY 15ML", "r": "220194269"}, {"b": "8021685011411", "n": "COSVAL PROPOLINA TABLETS 20S", "r": "220195638"}, {"b": "8006746001662", "n": "COTTON SOUND MAKEUP PADS OVAL F60", "r": "220159408"}, {"b": "9318153000206", "n": "COTTONS ULTRA THIN REG PADS 14S", "r": "220090024"}, {"b": "15794081906", "n": "COUNTRY LIFE CORE DAILY MEN 60 TABS", "r": "220211230"}, {"b": "15794068723", "n": "COUNTRY LIFE VIT C 1000MG 90 TABS", "r": "220211458"}, {"b": "15794041009", "n": "COUNTRY LIFE OMEGA 369 90SFTGLS", "r": "220211658"}, {"b": "15794041207", "n": "COUNTRY LIFEOMEGA 3 MOOD 90SFTGLS", "r": "220211057"}, {"b": "15794050452", "n": "COUNTRY LIFE MAXI HAIR PLUS 120 CAPS", "r": "220211146"}, {"b": "15794065081", "n": "COUNTRY LIFE BIOTIN 10MG VCAP 120S", "r": "220215480"}, {"b": "15794067917", "n": "COUNTRY LIFE VIT C 500MG 100 TABS", "r": "220211617"}, {"b": "15794016090", "n": "COUNTRY LIFE ALLERMAX 50 CAPS", "r": "220211431"}, {"b": "79181772914", "n": "BEAUTIFUL NAILS", "r": "220075206"}, {"b": "21959041135", "n": "CYG STICK  BLACK", "r": "220075748"}, {"b": "21959051189", "n": "CYG COLOR COMB  DARK BROWN 10G", "r": "220087352"}, {"b": "21959051288", "n": "CYG COLOR COMB  BLK 10G", "r": "220068660"}, {"b": "5391189230483", "n": "COVERAM 10MG10MG TABLETS 30S", "r": "220227170"}, {"b": "5391189240413", "n": "COVERAM 10MG5MG TABLETS 30S", "r": "220235382"}, {"b": "9650160002546", "n": "COVERAM 5MG 5MG TAB 30S", "r": "220169876"}, {"b": "5201580259009", "n": "COVERDERM VANISH SERUM 20ML", "r": "220089252"}, {"b": "5201580912270", "n": "COVERDERM VANISH EYES 15ML", "r": "220158062"}, {"b": "5201589044916", "n": "COVERDERM PERF FACE COVR WTRPF MAKEUP 9", "r": "220175603"}, {"b": "5201580260111", "n": "COVERDERM PEPTUMAX YEUX 15ML", "r": "220166236"}, {"b": "5201580260104", "n": "COVERDERM PEPTUMAX VISAGE 30ML", "r": "220163427"}, {"b": "5201580260128", "n": "COVERDERM PEPTUMAX SERUM 30ML", "r": "220168312"}, {"b": "5201580248027", "n": "COVERDERM MAXYDRAT VISAGE OILY 30ML - 210392216", "r": "220346178"}, {"b": "5201580248010", "n": "COVERDERM MAXYDRAT VISAGE NORMAL 30ML - 210390216", "r": "220346268"}, {"b": "5201580248034", "n": "COVERDERM MAXYDRAT VISAGE DRY  SENSITIVE 30ML", "r": "220164535"}, {"b": "5201580250006", "n": "COVERDERM MAXYDRAT SERUM 20ML", "r": "220165067"}, {"b": "5201580257043", "n": "COVERDERM LUMINOUS SUPREME YEUX 15ML", "r": "220156404"}, {"b": "5201580257029", "n": "COVERDERM LUMINOUS SUPREME TRI ACTIVE 30ML", "r": "220153310"}, {"b": "5201580257036", "n": "COVERDERM LUMINOUS SUPREME SERUM 20ML", "r": "220164534"}, {"b": "5201580257012", "n": "COVERDERM LUMINOUS SUPREME 30ML", "r": "220154289"}, {"b": "5201580241660", "n": "COVERDERM FILTERAY SPF 50 NON TINTED", "r": "220171057"}, {"b": "5201580241042", "n": "COVERDERM FILTERAY FACE SPF80 50ML", "r": "220002554"}, {"b": "5201580241035", "n": "COVERDERM FILTERAY FACE SPF60 50ML", "r": "220167764"}, {"b": "5201580936238", "n": "COVERDERM COMP PWDR WTRPRF NON COM NRML", "r": "220179028"}, {"b": "5201580945230", "n": "COVERDERM COMP PWDR WTRPRF NON COM DRY", "r": "220174090"}, {"b": "520158926901", "n": "COVERDERM CLASSIC 6", "r": "220172919"}, {"b": "9650364000591", "n": "COVERDERM CLASSIC 15ML ASSORTED COLOR", "r": "220079249"}, {"b": "5201580268018", "n": "COVERDERM CC CRM FACE LIGHT BEIGE", "r": "220164456"}, {"b": "5201580268100", "n": "COVERDERM CC CRM EYES LIGHT BEIGE", "r": "220169724"}, {"b": "5391189102155", "n": "COVERSYL 10MG TABLETS 30S", "r": "220225606"}, {"b": "5391189091145", "n": "COVERSYL 5MG TABLETS 30S", "r": "220222550"}, {"b": "965013700524", "n": "COZAAR 100MG TAB 30S", "r": "220156324"}, {"b": "965013700220", "n": "COZAAR 50MG TABLETS 28S", "r": "220162421"}, {"b": "9650364003387", "n": "SILKCAR LATEX GLOVES S 100S", "r": "220195355"}, {"b": "9650364003479", "n": "CRANBERRY NITRILE GLOVES M", "r": "220196355"}, {"b": "4006293096276", "n": "CREDO NAIL NIPPER 82MM STRAIGHT CHRM DIABETIC", "r": "220051664"}, {"b": "5015833310795", "n": "CREIGHTONS CREME DE COCONUT  KERATIN SHAMPOO 250ML", "r": "220075454"}, {"b": "5015833310818", "n": "CREIGHTONS CREME DE COCONUT  KERATIN COND 250ML", "r": "220059888"}, {"b": "5015833303612", "n": "CREIGHTONS ARGAN SMTH SHAMPOO 250ML", "r": "220063026"}, {"b": "5015833307382", "n": "CREIGHTONS ARGAN SMTH HAIR OIL 50ML", "r": "220065843"}, {"b": "5015833312232", "n": "CREIGHTONS ARGAN SMTH DEEP CONDITINOING MASQUE 125ML", "r": "220081016"}, {"b": "5015833303636", "n": "CREIGHTONS ARGAN SMTH CONDITIONER 250ML", "r": "220088538"}, {"b": "5015833305166", "n": "CR RASPBERRYPOMEG BDY BUTER 200ML", "r": "220087518"}, {"b": "5015833300307", "n": "CR MANGO  PAPAYA BATH GEL 500ML", "r": "220073760"}, {"b": "5015833300260", "n": "CR COCONUT  HONEY BATH GEL 500ML", "r": "220080047"}, {"b": "5015833303650", "n": "CR CHERRY  FIG HAND WASH 500ML", "r": "220088823"}, {"b": "5015833302134", "n": "CR CHERRY  FIG BATH GEL 500ML", "r": "220061230"}, {"b": "8051417275460", "n": "CRESCINA TREAT 1300 MAN 1010 VIALS 100", "r": "220170866"}, {"b": "8051417275736", "n": "CRESCINA HFSC REGROW 1300 MAN SHAMP", "r": "220163433"}, {"b": "8051417275347", "n": "CRESCINA HFSC REGROW 1300 MAN 10VIALS", "r": "220168548"}, {"b": "8051417275767", "n": "CRESCINA HFSC REGROW 1300 FEM SHAMP", "r": "220002480"}, {"b": "8051417275378", "n": "CRESCINA HFSC REGROW 1300 FEM 10VIALS", "r": "220168435"}, {"b": "8001090404299", "n": "ORAL B 3D WHITE PERFECT TP KIT 2X75ML", "r": "220216588"}, {"b": "8001090827623", "n": "CREST 3DW THERAPY SENSE 75ML", "r": "220195218"}, {"b": "8001090827661", "n": "CREST 3DW ENAMEL CARE 75ML", "r": "220195930"}, {"b": "8001841273174", "n": "CREST 3D WHITE DEEP CLEAN TP 75ML", "r": "220228794"}, {"b": "8001090125620", "n": "CREST 3D WHITE BRLNC TOOTHPASTE 75ML", "r": "220227441"}, {"b": "8001841177991", "n": "CREST 3D WHITE BRILLIANCE 75ML", "r": "220195592"}, {"b": "8001841430768", "n": "CREST KIDS 50ML", "r": "220157430"}, {"b": "4015400572961", "n": "CREST 3D WHITE LUXE INST PEARL GLOW TP 75ML", "r": "220231825"}, {"b": "4015400572831", "n": "CREST 3D WHITE LUXE HEALTHY SHINETP 75ML", "r": "220236086"}, {"b": "37000956587", "n": "CREST MW 36ML", "r": "220203372"}, {"b": "37000926924", "n": "CREST 3D WHITE BRILLIANCE TP 75ML", "r": "220204904"}, {"b": "4015400573043", "n": "CREST 3D WHIT DELUXE ANTITOBACCO", "r": "220233792"}, {"b": "5000456056175", "n": "CRESTOR 40MG TABLETS 28S", "r": "220194849"}, {"b": "5000456056168", "n": "CRESTOR 20MG TABLETS 28S", "r": "220196245"}, {"b": "5000456056151", "n": "CRESTOR 10MG TABS 28S", "r": "220218254"}, {"b": "5000456056144", "n": "CRESTOR 5MG TAB OF 28", "r": "220197776"}, {"b": "965014300089", "n": "CROMA OPTHALMIC SOLN 10ML", "r": "220164100"}, {"b": "4712066300074", "n": "CRYSTAL PURE WHITE EXTRA CAPS 90S", "r": "220209530"}, {"b": "4712066120160", "n": "CRYSTAL PURE BEAUTY COLLAGEN DRINK 500MLX10BOT", "r": "220050502"}, {"b": "4712066200480", "n": "CRYSTAL PURE SYNERGY DIET", "r": "220086611"}, {"b": "4712066100513", "n": "CRYSTAL PURE SLIM LEMON DRINK", "r": "220086610"}, {"b": "4712066100551", "n": "CRYSTAL PURE BLAC MACA MAN PERFORMANCE SUPPORT", "r": "220072882"}, {"b": "4712066200534", "n": "CRYSTAL PURE BEAUTY COLLAGEN PWDR 6000MG", "r": "220081529"}, {"b": "8428749694908", "n": "CUMLAUDE LAB SEROTOGYN", "r": "220206590"}, {"b": "8428749549109", "n": "CUMLAUDE LAB PREBIOTIC", "r": "220207169"}, {"b": "8428749662105", "n": "CUMLAUDE LAB INTIMATE HIGEINE", "r": "220207359"}, {"b": "8428749723509", "n": "CUMLAUDE LAB HIDRATANTE INTERNO DELIGYN", "r": "220205172"}, {"b": "8428749790006", "n": "CUMLAUDE LAB GINESEDA", "r": "220207229"}, {"b": "7612412423686", "n": "CURAPROX WHITE IS BLACK DUO TOOTH BRUSH PASTE", "r": "220231079"}, {"b": "7612412423822", "n": "CURAPROX BLACK IS WHITE TOOTH PASTE 75ML", "r": "220225524"}, {"b": "7612412423167", "n": "CURADEN CURAPROX TB 5460 ULTRA SOFT", "r": "220155423"}, {"b": "7612412423839", "n": "CURAPROX WHITE IS BLACK TOOTH PASTE 75ML", "r": "220227869"}, {"b": "7612412423693", "n": "CURAPROX WHITE IS BLACK DUO TOOTH BRUSH PASTE", "r": "220234401"}, {"b": "7612412423204", "n": "CURAPROX WHITE IS BLACK DUO TOOTH BRUSH", "r": "220232785"}, {"b": "8056746070069", "n": "CURADEN CURASEPT ADS 712 GEL TP 75ML", "r": "220180612"}, {"b": "7612412424652", "n": "CURADEN BE YOU RISING STAR SET", "r": "220232151"}, {"b": "7612412424676", "n": "CURADEN BE YOU PURE HAPPINESS SET", "r": "220216026"}, {"b": "7612412424669", "n": "CURADEN BE YOU EXPLORER SET", "r": "220230001"}, {"b": "7612412424645", "n": "CURADEN BE YOU DAY DREAMER SET", "r": "220236454"}, {"b": "7612412424690", "n": "CURADEN BE YOU CHALLENGER SET", "r": "220220800"}, {"b": "7612412424683", "n": "CURADEN BE YOU CANDY LOVER SET", "r": "220217169"}, {"b": "7612412427707", "n": "VCURAPROX PRIME START 07", "r": "220204224"}, {"b": "7612412427639", "n": "VCURAPROX PRIME START 06", "r": "220204701"}, {"b": "7612412427905", "n": "VCURAPROX PRIME START 011", "r": "220203604"}, {"b": "7612412428889", "n": "CURAPROX TRAVEL SET", "r": "220234308"}, {"b": "7612412426618", "n": "CURAPROX PERIO PLUS SUP CHX 009 75ML", "r": "220204747"}, {"b": "7612412426663", "n": "CURAPROX PERIO PLUS REGULAR WITH CHLOROHEXIDEINE 009 200ML", "r": "220236538"}, {"b": "7612412426588", "n": "CURAPROX PERIO PLUS PROT WITH CHLOREHEXEDINE 012 200ML", "r": "220231293"}, {"b": "7612412426731", "n": "CURAPROX PERIO PLUS FORTE WITH CHLOROHEXIDEINE 020 200ML", "r": "220224063"}, {"b": "7612412426625", "n": "CURAPROX PERIO PLUS FOCUS WITH CHLOROHEXIDEINE 050 10ML", "r": "220235157"}, {"b": "7612412426762", "n": "CURAPROX PERIO PLUS BALANCE WITH CHLOROHEXIDEINE 005 200ML", "r": "220225945"}, {"b": "7612412015607", "n": "CURAPROX CS1560 SOFT BLISTER SINGLEPACK", "r": "220227257"}, {"b": "7612412039603", "n": "CURAPROX 3960 SUPER SOFT TOOTH BRUSH", "r": "220231371"}, {"b": "7612412429503", "n": "CURADEN PEACHAPRICOT TP 60ML", "r": "220215347"}, {"b": "7612412429527", "n": "CURADEN GRAPEFRUITBERGAMOT TP 60ML", "r": "220215530"}, {"b": "7612412429541", "n": "CURADEN CHALLENGERSET KAKI TP 60ML", "r": "220215509"}, {"b": "7612412429497", "n": "CURADEN CANDY LOVER WATERMELON TP 60ML", "r": "220215621"}, {"b": "7612412429510", "n": "CURADEN APPLEALOE VERA TP 60ML", "r": "220215827"}, {"b": "7612412429534", "n": "CURADEN  BLACKBERRY LICORICE TP 60ML", "r": "220215483"}, {"b": "7612412427769", "n": "VCURAPROX PRIME START 08", "r": "220204796"}, {"b": "7612412422436", "n": "CURAPROX ENZYCAL TOOTH PASTE 75ML", "r": "220232533"}, {"b": "8056746071493", "n": "CURASEPT WHT LUXURY WHTNG TPASTE 75MLTB", "r": "220208285"}, {"b": "8056746071509", "n": "CURASEPT GOLD LUXURY WHTNG DENT  TPASTE 75MLTB", "r": "220208999"}, {"b": "8056746071486", "n": "CURASEPT BLK LUXURY WHTNG TPASTE 75MLTB", "r": "220208931"}, {"b": "8056746070274", "n": "CURASEPT ADS 305 GEL", "r": "220181723"}, {"b": "8056746070014", "n": "CURASEPT ADS 212 MOUTH WASH 200ML", "r": "220181084"}, {"b": "8718546676109", "n": "CURESUPPORT LIPOSOMAL VITC 1000MG 150ML", "r": "220213022"}, {"b": "8718546675911", "n": "CURESUPPORT LIPOSAMAL VITAMIN D3 60 CAPS", "r": "220212700"}, {"b": "8718546676086", "n": "CURESUPPORT LIPOSOMAL CURCUMIN 250ML", "r": "220212949"}, {"b": "965017900035", "n": "DONT USE CUSICROM 2 ED 10ML", "r": "220156103"}, {"b": "309971370281", "n": "CUTEX NAIL POLISH REM ULTRA POWERFULL 200ML", "r": "220221859"}, {"b": "309971370229", "n": "CUTEX NAIL POLISH REM NOURISHING 200ML", "r": "220221167"}, {"b": "309971370267", "n": "CUREX NAIL POLISH REM STREGTH SHELD 200ML", "r": "220217231"}, {"b": "309971370564", "n": "CUTEX NAIL POLISH REM TWIST  SCRUB SPONGE", "r": "220193135"}, {"b": "309971370205", "n": "CUTEX NAIL POLISH REM NONACETONE 200ML", "r": "220236553"}, {"b": "965015200070", "n": "CUTIVATE OINTMENT 15GM", "r": "220158069"}, {"b": "965015200069", "n": "CUTIVATE CREAM 15GM", "r": "220165074"}, {"b": "35046078560", "n": "CYBERGENICS PRO TESTOSTERONE BOOST 30CAPS", "r": "220064734"}, {"b": "9650137006102", "n": "CYCLO 3 FORT CAPS 30S", "r": "220172531"}, {"b": "3592619065558", "n": "CYTEAL SOLUTION 500ML", "r": "220236325"}, {"b": "625720616579", "n": "D FORTE VIT D 50000IU 12CAPS", "r": "220180226"}, {"b": "3594456400011", "n": "DAFLON 500MG TABLETS 30S", "r": "220233414"}, {"b": "5702191018202", "n": "DAIVOBET OINTMENT 30GM", "r": "220187559"}, {"b": "5702191014143", "n": "DAIVOBET GEL 30GM", "r": "220197767"}, {"b": "965013700264", "n": "DAKTACORT CREAM 15GM", "r": "220171275"}, {"b": "965013700266", "n": "DAKTARIN ORAL GEL 40GM", "r": "220159562"}, {"b": "965013700201", "n": "DAKTARIN CREAM 30GM", "r": "220170695"}, {"b": "965013700265", "n": "DAKTARIN 2 POWDER 20GM", "r": "220168481"}, {"b": "965016000094", "n": "DALACIN VAGINAL OVULES 3S", "r": "220157187"}, {"b": "965016000093", "n": "DALACIN VAGINAL CREAM 40GM", "r": "220169382"}, {"b": "965016000035", "n": "DALACIN C 300MG CAPSULES 16S", "r": "220158949"}, {"b": "965016000034", "n": "DALACIN C 150MG CAPSULES 16S", "r": "220162291"}, {"b": "965016000036", "n": "DALACIN T LOTION 30ML", "r": "220159743"}, {"b": "965016000144", "n": "DANZEN TAB 20S", "r": "220154762"}, {"b": "3582910029229", "n": "DAONIL TAB 100S", "r": "220227728"}, {"b": "882381021849", "n": "DARPHIN EYE CARE DARK CIRCLES RELIEF SERUM 15ML", "r": "220235488"}, {"b": "810168021843", "n": "DAXWELL VINYL GLOVES XL 100S", "r": "220194882"}, {"b": "810168021935", "n": "DAXWELL VINYL GLOVES M 100S", "r": "220223042"}, {"b": "810168021942", "n": "DAXWELL VINYL GLOVES L 100S", "r": "220194527"}, {"b": "8809115029119", "n": "D KLAIRS SUPPLE PREPRTN UNSCENT TNR180ML", "r": "220214920"}, {"b": "8809115023551", "n": "D KLAIRS SUPPLE PREPRTN ALLOVR LTN 250ML", "r": "220214993"}, {"b": "8809115025012", "n": "D KLAIRS SUPPLE PREPARTN TONER 180ML", "r": "220214621"}, {"b": "8809115025258", "n": "D KLAIRS RICH MOIST SOOTHING SERUM 80ML", "r": "220214829"}, {"b": "8809115020147", "n": "D KLAIRS RICH MOIST SOOTHING CREAM 60ML", "r": "220214881"}, {"b": "8809115025487", "n": "D KLAIRS RICH MOIST FOAMING CLNSR 100ML", "r": "220214900"}, {"b": "8809115023681", "n": "D KLAIRS MIDNIGHT BLUE YTH ACTV DROP20ML", "r": "220214782"}, {"b": "8809572890338", "n": "D KLAIRS GNTL BLCKSUGAR FCL POLISH110GM", "r": "220214701"}, {"b": "8809115025937", "n": "D KLAIRS GNTL BLCK DEEP CLEANS OIL 150ML", "r": "220214778"}, {"b": "8809115025050", "n": "D KLAIRS FRESHLY JUICED VITAMIN DROP35ML", "r": "220214472"}, {"b": "8809115024046", "n": "D KLAIRS FRESHLY JUICED VIT E MASK 90ML", "r": "220215018"}, {"b": "5011501060030", "n": "DEEP FREEZE COLD GEL 100GM", "r": "220235396"}, {"b": "965017900031", "n": "DEICOL EYE OINT 3GM", "r": "220154370"}, {"b": "5060106900005", "n": "DEKASAN PRICKLY HEAT POWDER 100ML", "r": "220202709"}, {"b": "8427426046740", "n": "DENTAID VITIS ORTHO TP 100ML", "r": "220171340"}, {"b": "8427426043060", "n": "DENTAID PERIO AID T  MOUTHWASH 500ML", "r": "220156787"}, {"b": "8427426043053", "n": "DENTAID PERIO AID M  MOUTHWASH 500ML", "r": "220153678"}, {"b": "8427426042995", "n": "DENATID PERIO AID T  GEL 75ML", "r": "220160278"}, {"b": "8427426043015", "n": "DENTAID VITIS WHITENING TP 100ML", "r": "220184395"}, {"b": "8427426043084", "n": "DENTAID VITIS WHITENING MOUTHWASH 500ML", "r": "220186903"}, {"b": "8427426011878", "n": "DENTAID VITIS TB GINGIVAL", "r": "220183555"}, {"b": "8427426045095", "n": "DENTAID VITIS SENS TP 100ML", "r": "220184045"}, {"b": "8427426056008", "n": "DENTAID VITIS SENS MW 500ML", "r": "220187405"}, {"b": "8427426012028", "n": "DENTAID VITIS SEN TB", "r": "220186072"}, {"b": "8427426012080", "n": "DENTAID VITIS ORTHO TB", "r": "220184896"}, {"b": "8427426046757", "n": "DENTAID VITIS ORTHO MOUTHWASH 500ML", "r": "220178596"}, {"b": "8427426020894", "n": "DENTAID VITIS ORTHO KIT", "r": "220152662"}, {"b": "8427426052642", "n": "DENTAID VITIS KIDS TB INTL", "r": "220185742"}, {"b": "8427426052789", "n": "DENTAID VITIS KIDS GEL 50ML", "r": "220183364"}, {"b": "8427426052673", "n": "DENTAID VITIS JUNIOR TB", "r": "220187000"}, {"b": "8427426052765", "n": "DENTAID VITIS JUNIOR DENTAL GEL 75ML", "r": "220184477"}, {"b": "8427426043008", "n": "DENTAID VITIS GINGIVAL TP 100ML", "r": "220183163"}, {"b": "8427426043077", "n": "DENTAID VITIS GINGIVAL MOUTHWASH 500ML", "r": "220183528"}, {"b": "8427426054547", "n": "DENTAID VITIS BABY TB", "r": "220185622"}, {"b": "8427426043039", "n": "DENTAID PERIO AID T  MOUTHWASH 150ML", "r": "220186547"}, {"b": "8427426042025", "n": "DENTAID PERIO AID SPRAY", "r": "220186047"}, {"b": "8427426043022", "n": "DENTAID PERIO AID M  MOUTHWASH 150ML", "r": "220183615"}, {"b": "8427426033498", "n": "DENTAID INTERPROX SUPER MICRO ORNG 07", "r": "220158036"}, {"b": "8427426033504", "n": "DENTAID INTERPROX NANO PINK 06", "r": "220154820"}, {"b": "8427426033474", "n": "DENTAID INTERPROX MINI YLW 11", "r": "220183644"}, {"b": "8427426033511", "n": "DENTAID INTERPROX MINI CONICAL RED 10", "r": "220153638"}, {"b": "8427426033481", "n": "DENTAID INTERPROX MICRO GRN 09", "r": "220156517"}, {"b": "8427426033443", "n": "DENTAID INTERPROX MAXI VIOLET 22", "r": "220186835"}, {"b": "8427426033450", "n": "DENTAID INTERPROX CONICAL BLISTER 6U", "r": "220187217"}, {"b": "8427426000773", "n": "DENTAID INTERPROX 2G CYLINDRIAL 6U", "r": "220170557"}, {"b": "8427426026841", "n": "DENTAID HALITA TP 75ML", "r": "220187012"}, {"b": "8427426026773", "n": "DENTAID HALITA TONGUE CLEANER", "r": "220186852"}, {"b": "8427426026803", "n": "DENTAID HALITA MOUTHWASH 500ML", "r": "220185395"}, {"b": "8427426026834", "n": "DENTAID HALITA FORTE SPRAY 15ML", "r": "220185929"}, {"b": "8427426026827", "n": "DENTAID HALITA SPRAY 15ML", "r": "220161288"}, {"b": "47701000397", "n": "DENTEK TONGUE CLEANER", "r": "220202671"}, {"b": "47701003527", "n": "DENTEK INSTANT PAIN RELIEF 50APLCTR", "r": "220174719"}, {"b": "47701002155", "n": "DENTEK COMPLETE CLEAN FLOSS PICKS75CT", "r": "220054685"}, {"b": "5011784050216", "n": "DENTINOX TEETHING GEL 15GM", "r": "220227464"}, {"b": "5011784000853", "n": "DENTINOX TEETHING TOOTH PASTE", "r": "220160067"}, {"b": "5020535010140", "n": "DENTIPLUS WHITENING TARTAR CONTROL 500ML", "r": "220169573"}, {"b": "5020535005931", "n": "DENTIPLUS MOUTH SPRAY", "r": "220168302"}, {"b": "9300807032992", "n": "DENTISTE PLUS WHITE TPASTE 100 GM TUBE", "r": "220155749"}, {"b": "9300807041574", "n": "DENTISTE TRAVEL PACK TP 20GM", "r": "220174172"}, {"b": "8850567164644", "n": "DEO KLEAR NATURAL MINERAL DEODORANT STICK SKIN RESCUE WITH ALOE VERA 70 GM", "r": "129807358"}, {"b": "8850567162626", "n": "DEO KLEAR NATURAL MINERAL DEODORANT STICK REPAIR PROTECT WITH LICORICE 70 GM", "r": "129807359"}, {"b": "8850567165658", "n": "DEO KLEAR NATURAL MINERAL DEODORANT STICK CLASSIC PURE 70 GM", "r": "129812245"}, {"b": "8850567360015", "n": "DEO KLEAR NATURAL MINERAL DEODORANT SPRAY CLASSIC PURE 100 ML", "r": "129807357"}, {"b": "8850567460012", "n": "DEO KLEAR NATURAL MINERAL DEODORANT ROLL-ON CLASSIC PURE 65 ML", "r": "129812250"}, {"b": "8850567101045", "n": "DEONAT NATURAL DEO STICK 100GM", "r": "220234673"}, {"b": "8850567301049", "n": "DEONAT NATURAL DEO SPRAY 100ML", "r": "220217549"}, {"b": "8850567402043", "n": "DEONAT NATURAL DEO ROLL ON 65ML", "r": "220221431"}, {"b": "8850567511011", "n": "DEONAT NATURAL DEO POWDER 50GM", "r": "220228490"}, {"b": "8850567103025", "n": "DEONAT DEODORANT STICK 80G", "r": "220074436"}, {"b": "8850567143045", "n": "DEONAT ALOE DEO STICK100GM WIDE", "r": "220057242"}, {"b": "8850567114076", "n": "DEONAT MANGOSTEEN DEODORANT STICK 80 GM", "r": "220088554"}, {"b": "8850567142062", "n": "DEONAT CURCUMA DEO STICK 100G", "r": "220062449"}, {"b": "850567402050", "n": "DEONAT ALOE ROLLON 65 ML", "r": "220060502"}, {"b": "8850567311055", "n": "DEONAT ALOE DEO SPRAY 100 ML", "r": "220075469"}, {"b": "8850567405013", "n": "DEONAT DEODORANT FOOT POWDER 50G", "r": "220223669"}, {"b": "8850567507571", "n": "DEONAT FOOT SPRAY 100ML", "r": "220227891"}, {"b": "3582910090427", "n": "DEPAKINE CHRONO 500 TAB 30S", "r": "220188161"}, {"b": "3582910094784", "n": "DEPAKINE 200MG TABLETS 40S", "r": "220235802"}, {"b": "3582910002642", "n": "DEPAKINE SOLUTION 40ML", "r": "220161485"}, {"b": "6253344200306", "n": "PELLA MOSTAL HAIR GROWTH SOLUTION 50 ML", "r": "220221671"}, {"b": "6253344200634", "n": "MOSTAL EYELASH", "r": "220219811"}, {"b": "6253344200443", "n": "DERMA UNDER EYE CRM 15ML", "r": "220229755"}, {"b": "6253344200399", "n": "DERMA SUNSCREEN SPF50 75ML", "r": "220230704"}, {"b": "6253344200276", "n": "DERMA PHOTOBLOCK PLUS SPF50 75ML", "r": "220230461"}, {"b": "6253344200344", "n": "DERMA OILY SKIN GEL SPF50 75ML", "r": "220229386"}, {"b": "6253344200405", "n": "DERMA MOIST FOAM 75ML", "r": "220216532"}, {"b": "6253344200214", "n": "DERMA MOIST CRM 150ML", "r": "220216950"}, {"b": "6253344200429", "n": "DERMA LIP PLUMPING BALM 15ML", "r": "220223175"}, {"b": "6253344200542", "n": "DERMA INSTANT YOUTH CREAM 60ML", "r": "220216122"}, {"b": "6253344200481", "n": "DERMA INSTANT YOUTH CREAM 30ML", "r": "220216087"}, {"b": "6253344200450", "n": "DERMA HAND REPAIR CRM 75GM", "r": "220232272"}, {"b": "6253344200412", "n": "b", "r": "220224820"}, {"b": "6253344200368", "n": "DERMA CREMOGEL 75ML", "r": "220222929"}, {"b": "6253344200672", "n": "DERMA CHARCOAL PEEL OFF MASK 75GM", "r": "220216422"}, {"b": "6253344200245", "n": "DERMA AQUAX WHITENING 50GM", "r": "220218795"}, {"b": "6253344200252", "n": "DERMA AQUAX REPELLENT CRM 75ML", "r": "220227952"}, {"b": "6253344200382", "n": "DERMA AQUAX PLUS FOAM 75ML", "r": "220218063"}, {"b": "6253344200313", "n": "DERMA AQUAX DEO CRM 75ML", "r": "220221558"}, {"b": "6253344200436", "n": "DERMA ANTIWRINKLES CRM 30ML", "r": "220234997"}, {"b": "6253344200351", "n": "DERMA DELICE SOLUTION 50ML", "r": "220181352"}, {"b": "6253344200238", "n": "CORNEX GEL 15G", "r": "220181363"}, {"b": "4719745010293", "n": "DERMA ANGEL ANTI ACNE GEL", "r": "220207748"}, {"b": "4719745504365", "n": "DERMA ANGEL ACNE PATCH", "r": "220207979"}, {"b": "4719745001161", "n": "DERMA ANGEL ACNE CARE", "r": "220206671"}, {"b": "30985087000", "n": "DERMAE PSORZEMA CRM 113G", "r": "220228880"}, {"b": "30985038002", "n": "DERMA E VRY CLR SPT TRTMNT WABLMSH CPLX", "r": "220166720"}, {"b": "30985063158", "n": "DERMA E VOLUME  SHINE RESTORING SHAMPOO 236ML", "r": "220169827"}, {"b": "30985006032", "n": "DERMA E VIT C DAILY BRIGHT CLEANSER 175ML", "r": "220220825"}, {"b": "30985004205", "n": "DERMA E SUN DEF MIN OIL FREE SS SPF30 56G", "r": "220002650"}, {"b": "30985004755", "n": "DERMA E SKIN LIGHTEN CRM 56G", "r": "220217627"}, {"b": "30985080001", "n": "DERMA E SKIN HAIR AND NAIL OIL 30ML", "r": "220161623"}, {"b": "30985081008", "n": "DERMA E SCAR GEL 56G", "r": "220222818"}, {"b": "30985087307", "n": "DERMA E SCALP RELIEF SHAMPOO 236ML", "r": "220169980"}, {"b": "30985014006", "n": "DERMA E RADIANT GLOW FACE OIL 60ML", "r": "220172404"}, {"b": "30985012200", "n": "DERMA E PURIFYNG 2IN1 CHARCOAL MASK 48G", "r": "220170538"}, {"b": "30985014907", "n": "DERMA E OVERNIGHT PEEL 60ML", "r": "220155587"}, {"b": "30985012507", "n": "DERMA E OIL FREE MOISTURIZER 50ML", "r": "220162439"}, {"b": "30985014709", "n": "DERMA E NOURISHING ROSE CLEANSING OIL 60ML", "r": "220172384"}, {"b": "30985006902", "n": "DERMA E MICRODERMABRASION SCRUB 56G", "r": "220171463"}, {"b": "30985004663", "n": "DERMA E HYDRATING NIGHT CRM WITH HYALURONIC ACID56 G", "r": "220166873"}, {"b": "30985019759", "n": "DERMA E HYDRATING EYE CRM WITH HYALURONIC ACID14 G", "r": "220170162"}, {"b": "30985004656", "n": "DERMA E HYDRATING DC WITH HYALURONIC ACID 56G", "r": "220216764"}, {"b": "30985041002", "n": "DERMA E FIRMING MOISTURIZER WITH DMAE 56G", "r": "220166658"}, {"b": "30985037500", "n": "DERMA E DEEP PORE ACNE SCRUB 113G", "r": "220220673"}, {"b": "30985003758", "n": "DERMA E DARK CIRCLE REDUCING EYE CRM 14G", "r": "220222280"}, {"b": "30985012309", "n": "DERMA E DAILY DETOX SCRUB 113G", "r": "220002651"}, {"b": "30985023008", "n": "DERMA E AW ADV ANTIOXIDANT MOIST 56G", "r": "220169593"}, {"b": "30985004816", "n": "DERMA E ANTIWRINKLE CLEANSER 175ML", "r": "220230991"}, {"b": "30985002003", "n": "DERMA E AGEDEFYING HAND CRM WITH MSM 113G", "r": "220217719"}, {"b": "30985039009", "n": "DERMA E ACNE REBALANCING CREAM 56G", "r": "220223088"}, {"b": "30985037005", "n": "DERMA E ACNE DEEP PORE CLEANSER WASH 175ML", "r": "220217258"}, {"b": "8906557902223", "n": "DERMACARE SOAP SALICYLIC 100MG", "r": "220054811"}, {"b": "8906557902220", "n": "DERMACARE SOAP ACNE 100MG", "r": "220088548"}, {"b": "8906557902221", "n": "DERMACARE SOAP GLYCERIN 100MG", "r": "220083407"}, {"b": "8906557902222", "n": "DERMACARE SOAP SULFUR 100MG", "r": "220071074"}, {"b": "850017077102", "n": "DERMALFASH MINI ESSENTIALS REPLENISHMENT KIT 8 WOS", "r": "220239172"}, {"b": "850017077096", "n": "DERMAFLASH MINI RETAIL 2 WOS BALLET SLIPPER PINK", "r": "220239359"}, {"b": "853290006500", "n": "DERMAFLASH LUXE ESSENTIALS REPLENISHMENT KIT 4 WOS", "r": "220240130"}, {"b": "853290006890", "n": "DERMAFLASH LUXE ESSENTIALS REPLENISHMENT KIT 12 WOS", "r": "220239237"}, {"b": "853290006821", "n": "DERMAFLASH LUXE 4 WOS WHITE", "r": "220236628"}, {"b": "853290006845", "n": "DERMAFLASH LUXE 4 WOS  ICY PINK", "r": "220239760"}, {"b": "853290006869", "n": "DERMAFLASH LUXE 4 WOS  HOT PINK", "r": "220236962"}, {"b": "3700138600642", "n": "DERMAGOR CRME SOLAIRE 50 UVA", "r": "220177198"}, {"b": "3700322548071", "n": "DERMAGORE ATOPICALM 250ML", "r": "220183300"}, {"b": "3700138600208", "n": "DERMAGOR STICK DEODOREANT", "r": "220079050"}, {"b": "3700322548323", "n": "DERMAGOR SKINPLAST 40ML", "r": "220185441"}, {"b": "3700322548125", "n": "DERMAGOR MES ESSENTIELS CRME HYDRATANTE VISAGE 24H RICHE 40 ML", "r": "220079217"}, {"b": "3700322548132", "n": "DERMAGOR MES ESSENTIELS CRME HYDRATANTE VISAGE 24H LEGERE 40ML", "r": "220069480"}, {"b": "3700322008506", "n": "DERMAGOR MATIDERM CREAM PURETE 40ML", "r": "220080049"}, {"b": "3700322548552", "n": "DERMAGOR GEL PYZIN 200ML", "r": "220195213"}, {"b": "3700322548187", "n": "DERMAGOR ERYCALM LOTION 400ML", "r": "220075048"}, {"b": "3700322008032", "n": "DERMAGOR BODY OIL JOJOBA 200ML", "r": "220075566"}, {"b": "666151030671", "n": "DERMALOGICA PRISMA PROTECT SPF30 50ML", "r": "220174623"}, {"b": "666151040830", "n": "DERMALOGICA CLEAR START BH FIZZ MASK 50ML", "r": "220176381"}, {"b": "666151032057", "n": "DERMALOGICA CALM WATER GEL 50ML", "r": "220174303"}, {"b": "666151051126", "n": "DERMALOGICA BRK OUT CLEARNG BOOSTR 30ML", "r": "220177623"}, {"b": "666151750135", "n": "DERMALOGICA BIOLUMIN C SERUM 30 ML", "r": "220179448"}, {"b": "666151062108", "n": "DERMALOGICA AGE BRGHT SPOT FADER 15ML", "r": "220189198"}, {"b": "666151062313", "n": "DERMALOGICA RETINOL CLEARING OIL 30ML", "r": "220203184"}, {"b": "666151062320", "n": "DERMALOGICA POWERBRIGHT SPOT SERUM 30ML", "r": "220212628"}, {"b": "666151111868", "n": "DERMALOGICA NECK FIT SERUM 50ML", "r": "220212920"}, {"b": "666151111899", "n": "DERMALOGICA MELTING MOIST MASQUE 50ML", "r": "220212654"}, {"b": "666151111738", "n": "DERMALOGICA HYDRO MASQUE EXFOLIANT 50ML", "r": "220202561"}, {"b": "666151111950", "n": "DERMALOGICA CLEAN START AQUA JELLY 59ML", "r": "220212927"}, {"b": "666151062283", "n": "DERMALOGICA BIOLUMINC EYE SERUM 15ML", "r": "220203215"}, {"b": "666151062146", "n": "DERMALOGICA AGE BRGHT CLEARNG SRM 30ML", "r": "220188063"}, {"b": "666151010437", "n": "DERMALOGICA ULT CALM CLEANS 8OZ", "r": "220171630"}, {"b": "666151010444", "n": "DERMALOGICA ULT CALM CLEANS 16OZ", "r": "220168357"}, {"b": "666151060135", "n": "DERMALOGICA TOTAL EYE CARE 05OZ", "r": "220165455"}, {"b": "666151010017", "n": "DERMALOGICA SP CLEAN GEL 8OZ", "r": "220171612"}, {"b": "666151010024", "n": "DERMALOGICA SP CLEAN GEL 16OZ", "r": "220168337"}, {"b": "666151060951", "n": "DERMALOGICA SKIN PERFECT PRIMER SPF 30 22ML", "r": "220174856"}, {"b": "666151040649", "n": "DERMALOGICA SEBUM CLRNG MASQUE 75ML", "r": "220218525"}, {"b": "666151061286", "n": "DERMALOGICA RENEWAL LIP COMPLEX 175", "r": "220171006"}, {"b": "666151010628", "n": "DERMALOGICA PRECLEANSE 507 OZ", "r": "220169983"}, {"b": "666151060777", "n": "DERMALOGICA MV POWER FIRM 05OZ", "r": "220164889"}, {"b": "666151040328", "n": "DERMALOGICA MV POW REC MASQUE", "r": "220168338"}, {"b": "666151020016", "n": "DERMALOGICA MULTIACTIVE TONER 250ML", "r": "220164253"}, {"b": "666151030244", "n": "DERMALOGICA INTENSIVE MOIST 35OZ", "r": "220163132"}, {"b": "666151060227", "n": "DERMALOGICA INTENSIVE EYE REPA 05OZ", "r": "220172409"}, {"b": "666151031098", "n": "DERMALOGICA DYNAMIC SKIN RECOVERY 50", "r": "220162415"}, {"b": "666151021167", "n": "DERMALOGICA DAILY SUERFOLIANT 20OZ", "r": "220162416"}, {"b": "666151020467", "n": "DERMALOGICA DAILY MICROFOLIANT 75GM", "r": "220162409"}, {"b": "666151011069", "n": "DERMALOGICA CLEARING SKIN WASH 500M", "r": "220155931"}, {"b": "666151011120", "n": "DERMALOGICA CLEAR SBO CLRING FOAMING WASH 177ML", "r": "220168336"}, {"b": "666151020818", "n": "DERMALOGICA ANTOXDANT HYDRMST 150", "r": "220002653"}, {"b": "666151030831", "n": "DERMALOGICA ACTIVE MOIST 35OZ", "r": "220164128"}, {"b": "666151030855", "n": "DERMALOGICA ACTIVE MOIST 175OZ", "r": "220166724"}, {"b": "666151062252", "n": "DERMALOGICA PHYTO NAT FIRMNG SRM 40ML", "r": "220188552"}, {"b": "666151021280", "n": "DERMALOGICA THERMAFOLIANT BODY SCRB 177ML", "r": "220188447"}, {"b": "666151030978", "n": "DERMALOGICA SUP RICH REP 17OZ", "r": "220165525"}, {"b": "666151061941", "n": "DERMALOGICA STRESS POSITIVE EYE TREATMENT 085OZ", "r": "220172312"}, {"b": "666151060029", "n": "DERMALOGICA STHNG EYE MAKEUP REMOVER 118ML", "r": "220166370"}, {"b": "666151050877", "n": "DERMALOGICA SPEC CLEAR BOOST", "r": "220291265"}, {"b": "666151032095", "n": "DERMALOGICA SOUND SLEEP COCOON 50ML", "r": "220176744"}, {"b": "666151010710", "n": "DERMALOGICA SKN RESURFCIN CLENSR 150", "r": "220171903"}, {"b": "666151030848", "n": "DERMALOGICA SKIN SMOOTH CREAM 34 OZ", "r": "220191784"}, {"b": "666151030862", "n": "DERMALOGICA SKIN SMOOTH CREAM 1.7 OZ", "r": "220291238"}, {"b": "666151020153", "n": "DERMALOGICA SKIN PREP SCRUB 25OZ", "r": "220170431"}, {"b": "666151050624", "n": "DERMALOGICA SKIN HYDRAT BOOST 30ML", "r": "220170900"}, {"b": "666151040021", "n": "DERMALOGICA SKIN HYD MAS 25OZ", "r": "220170992"}, {"b": "666151001893", "n": "DERMALOGICA SKIN BASIC  OIL", "r": "220169475"}, {"b": "666151011199", "n": "DERMALOGICA PRE CLEANSE BALM 30OZ", "r": "220160148"}, {"b": "666151060326", "n": "DERMALOGICA PHYTO REPLENSIH OIL 10", "r": "220167941"}, {"b": "666151061736", "n": "DERMALOGICA OVERNIGHT CLEARING GEL 50ML", "r": "220171071"}, {"b": "666151030350", "n": "DERMALOGICA OIL CONTROL LOT 2OZ", "r": "220291297"}, {"b": "666151061996", "n": "DERMALOGICA NIGHTLY LIP TREATMENT 034OZ", "r": "220159091"}, {"b": "666151030251", "n": "DERMALOGICA INTENSIVE MOIST 175OZ", "r": "220172144"}, {"b": "666151033054", "n": "DERMALOGICA INT MOIST CLNSR 295ML", "r": "220174230"}, {"b": "666151032149", "n": "DERMALOGICA HYDRATION SKN SMTHNG CM 50ML", "r": "220176528"}, {"b": "666151032132", "n": "DERMALOGICA HYDRATION SKN SMTHNG CM 100ML", "r": "220178574"}, {"b": "666151020214", "n": "DERMALOGICA GENTLE CRM EXFOL 75ML", "r": "220161763"}, {"b": "666151900127", "n": "DERMALOGICA EXFOLIATING FACE BRUSH 1S", "r": "220291352"}, {"b": "666151010215", "n": "DERMALOGICA DERMAL CLAY CLEANS 84 OZ", "r": "220165456"}, {"b": "666151031531", "n": "DERMALOGICA CLEARING MATTIFIER 40ML", "r": "220296272"}, {"b": "666151020955", "n": "DERMALOGICA CLEAR SBO CLRING ALL OVER TONER 120ML", "r": "220161961"}, {"b": "666151061569", "n": "DERMALOGICA CLEAR S.BO CLRING OVERNIGHT TREATMENT 60ML", "r": "220296165"}, {"b": "666151061583", "n": "DERMALOGICA CLEAR S.BO CLRING ER SPOT FIX 10ML", "r": "220296214"}, {"b": "666151061606", "n": "DERMALOGICA CLEAR S.BO CLRING DAYTIME TREATMENT 60ML", "r": "220296243"}, {"b": "666151030435", "n": "DERMALOGICA BARRIER REPAIR 30ML", "r": "220169032"}, {"b": "666151051065", "n": "DEMALOGICA BARRIER DEFENSE BOOSTER 30ML", "r": "220173869"}, {"b": "850017077034", "n": "DERMAPORE WHITE", "r": "220236651"}, {"b": "850017077027", "n": "DERMAPORE LILAC", "r": "220240281"}, {"b": "853290006913", "n": "DERMAPORE ICY PINK", "r": "220238921"}, {"b": "860001962901", "n": "DERMAPORE CHARCOAL", "r": "220237659"}, {"b": "9650364002403", "n": "V DERMAROLLER 4 IN 1", "r": "220057742"}, {"b": "357486506084", "n": "DCL SKIN RENEWAL COMPLX SPF30 30ML", "r": "220153707"}, {"b": "357486509252", "n": "DCL SKIN BRGTNG CMPLXN TRTMNT 30ML", "r": "220161652"}, {"b": "357486500235", "n": "DCL MULTIACTION PENTA PEEL 50PADS", "r": "220222338"}, {"b": "357486505384", "n": "DCL G20 RADIANCE FEEL 50PADS", "r": "220156811"}, {"b": "357486500662", "n": "DCL C SCAPE HG PTNCY EYE TRTMNT 15ML", "r": "220159491"}, {"b": "357486500457", "n": "DCL C SCAPE HG POTNCY NGT BOSTER 30ML", "r": "220169393"}, {"b": "357486509658", "n": "DCL ACTIVE MATTIFYNG CLEANSER 125ML", "r": "220226301"}, {"b": "9330130004861", "n": "DERMAVEEN SOAP FREE WASH 500ML", "r": "220159450"}, {"b": "9330130004687", "n": "DERMAVEEN MOIST LOTION 500ML", "r": "220155246"}, {"b": "7350058790082", "n": "ABSOLUTE DRY DAB ON 35ML", "r": "220224312"}, {"b": "7350058790204", "n": "ABSOLUTE DRY ANTIPERSP WIPES 10PCS", "r": "220226019"}, {"b": "8436025480077", "n": "DERMOFIX SERTACONAZOL", "r": "220072526"}, {"b": "965015200011", "n": "DERMOVATE OINTMENT 30GM", "r": "220155831"}, {"b": "965015200010", "n": "DERMOVATE CREAM 25GM", "r": "220162028"}, {"b": "965015200074", "n": "DERMOVATE SCALP APP 25ML", "r": "220158899"}, {"b": "9650364002939", "n": "DERMOVIVA HAND SANITIZER 50ML", "r": "220190466"}, {"b": "8051770524564", "n": "DERMOXEN PRONEEM INTIMATE CLNSER 125ML", "r": "220194515"}, {"b": "8051770522560", "n": "DERMOXEN LENITIVO INTIMATE CLNSER 125ML", "r": "220194281"}, {"b": "8051770523567", "n": "DERMOXEN ANTI ODOUR INTIMATE CLNSER 125ML", "r": "220194576"}, {"b": "8051770528562", "n": "DERMOXEN 4MEN  INTIMATE CLNSER 125ML", "r": "220195737"}, {"b": "8051770521563", "n": "DERMOXEN 4GIRLS INTIMATE CLNSER 125ML", "r": "220196074"}, {"b": "8437012698543", "n": "DESSATA ORG LEOPARD BLACK HAIRBRUSH", "r": "220346247"}, {"b": "8437012698925", "n": "DESSATA MINI MAJOLICAS CHERRY HAIRBRUSH", "r": "220346196"}, {"b": "8437012698550", "n": "DESSATA MINI CATRINAS PURPLE HAIRBRUSH", "r": "220341139"}, {"b": "8437012698901", "n": "DESSATA MINI BUTTERFLIES SILVER HAIRBRUSH", "r": "220077758"}, {"b": "965016000175", "n": "DETRUSITOL 2MG TABS 28S", "r": "220152892"}, {"b": "6295120050170", "n": "DETTOL HAND SANITIZER SPRY ORGNL 90ML", "r": "220211283"}, {"b": "6295120050163", "n": "DETTOL HAND SANITIZER SPRY ORGNL 50ML", "r": "220211013"}, {"b": "6001106108991", "n": "DETTOL ORIGINAL HAND WASH 200 ML", "r": "220235319"}, {"b": "6295120027370", "n": "DETTOL HAND SANITZER SKINCARE 50ML", "r": "220217163"}, {"b": "6295120027363", "n": "DETTOL HAND SANITZER ORIGINAL 50ML", "r": "220226497"}, {"b": "6295120012468", "n": "DETTOL ANTIBACTERIAL WIPES SENSITIVE 10S", "r": "220235302"}, {"b": "6295120010730", "n": "DETTOL ANTIBACTERIAL WIPES ORIGINAL 10S", "r": "220236569"}, {"b": "6295120012451", "n": "DETTOL ANTIBACTERIAL WIPES FRESH 10S", "r": "220223353"}, {"b": "5000158063709", "n": "DETTOL FRESH HAND WASH 200 ML", "r": "220216500"}, {"b": "6295120022917", "n": "DETTOL WIPES GIRLS SRPS 10S", "r": "220159724"}, {"b": "6295120022900", "n": "DETTOL WIPES BOYS SRPS 10S", "r": "220158041"}, {"b": "6001106105747", "n": "DETTOL ORIGINAL SOAP 165 GM", "r": "220218637"}, {"b": "6001106109394", "n": "DETTOL ORIGINAL SHOWER GEL 250 ML", "r": "220217292"}, {"b": "50158904", "n": "DETTOL LIQUID 125ML", "r": "220228184"}, {"b": "6295120027387", "n": "DETTOL HAND SANITZER FRESH 50ML", "r": "220222760"}, {"b": "6001106109400", "n": "DETTOL FRESH SHOWER GEL 250ML", "r": "220221562"}, {"b": "6295120019054", "n": "DETTOL CARE PROTECT SHAMP 400ML", "r": "220160411"}, {"b": "50158188", "n": "DETTOL PERSONALCARE ANTISEPTIC 250ML", "r": "220223314"}, {"b": "5000158063228", "n": "DETTOL PERSONALCARE ANTISEPTIC 500ML", "r": "220235826"}, {"b": "7640153088284", "n": "DEXILANT 30MG 14TAB", "r": "220168682"}, {"b": "7640153088307", "n": "DEXILANT 30MG 28TAB", "r": "220156050"}, {"b": "7640153088321", "n": "DEXILANT 60MG 14TAB", "r": "220157450"}, {"b": "7640153088345", "n": "DEXILANT 60MG 28TAB", "r": "220163583"}, {"b": "40468921", "n": "DEXTRO ENERGY MINIS PEACH 50G", "r": "220179799"}, {"b": "42183112", "n": "DEXTRO ENERGY MINIS LIME 50G", "r": "220177766"}, {"b": "40468969", "n": "DEXTRO ENERGY MINIS CHERRY 50G", "r": "220173383"}, {"b": "40468945", "n": "DEXTRO ENERGY MINIS BLACKCURRANT 50G", "r": "220176753"}, {"b": "4046802214500", "n": "DEXTRO ENERGY MINI LIME 50GM", "r": "220165641"}, {"b": "4029917002323", "n": "DHU ARNICAL GEL 50G", "r": "220087658"}, {"b": "4029917001234", "n": "DUH ARNICA 30 C 80 TAB", "r": "220060666"}, {"b": "4029917001685", "n": "DHU TONSILOTREN 60S", "r": "220075055"}, {"b": "4029917002156", "n": "DUH INFLUCID 80 TAB", "r": "220089263"}, {"b": "8901138040017", "n": "DIABECON TABLETS 120S", "r": "220162715"}, {"b": "3664898029184", "n": "DIAMICRON MR 60MG 30S", "r": "220169875"}, {"b": "3594451100091", "n": "DIAMICRON 80MG TABLETS 60S", "r": "220159895"}, {"b": "965014500004", "n": "DIANE 35 TABLETS 21S", "r": "220169789"}, {"b": "8697711710018", "n": "V DIAPEX DIAPER RASH CRM 60ML", "r": "220180786"}, {"b": "9650155001257", "n": "DICLO 75 ID TAB 20S", "r": "220158547"}, {"b": "9650155001264", "n": "DICLO 150 ID TAB 10S", "r": "220166903"}, {"b": "6251107016010", "n": "DICLOGESIC 50MG TAB 20S", "r": "220163431"}, {"b": "3770005546021", "n": "DIETISPA ABSOLUTE SLIM FAT BELLY ACTION 15 PATCHS", "r": "220078167"}, {"b": "3770005546014", "n": "DIETISPA ABSOLUTE SLIM ANTI CELULIT ACTION 15 PAIRS", "r": "220053270"}, {"b": "3499320010665", "n": "DIFFERIN CREAM", "r": "220196588"}, {"b": "3499320010672", "n": "DIFFERIN GEL 30GM", "r": "220198478"}, {"b": "5000485000743", "n": "DIFFLAM CREAM 50GM", "r": "220160897"}, {"b": "965015200082", "n": "DIFLUCAN 50MG CAPS 7S", "r": "220161317"}, {"b": "965015200012", "n": "DIFLUCAN 150MG CAPSULES 1S", "r": "220161531"}, {"b": "965013700372", "n": "DIOVAN 160MG TAB 28S", "r": "220165138"}, {"b": "965013700277", "n": "DIOVAN 80MG TABLETS 28S", "r": "220160967"}, {"b": "965013700222", "n": "DIPROGENTA OINTMENT 15GM", "r": "220168171"}, {"b": "965013700280", "n": "DIPROLENE OINTMENT 30GM", "r": "220170409"}, {"b": "965013700291", "n": "DIPROSALIC OINTMENT 30GM", "r": "220168428"}, {"b": "965013700281", "n": "DIPROSONE OINTMENT 30GM", "r": "220155567"}, {"b": "965013700541", "n": "DIPROSONE CREAM 30GM", "r": "220170244"}, {"b": "5060191554558", "n": "DIRTY WORKS STRAIGHT NAIL SCISSORS", "r": "220140047"}, {"b": "5060191554374", "n": "DIRTY WORKS SLANTED TWEEZER", "r": "220142847"}, {"b": "5060191554756", "n": "DIRTY WORKS POWDER BRUSH", "r": "220143623"}, {"b": "5060191555647", "n": "DIRTY WORKS DOUBLE ENDED SMOKY EYE BRUSH", "r": "220140635"}, {"b": "5060388882457", "n": "DIRTY WORKS CREAMY CLEANSER 200ML", "r": "220142117"}, {"b": "5060191554732", "n": "DIRTY WORKS ANGLED BLUSHER BRUSH", "r": "220137465"}, {"b": "5060191554541", "n": "DIRTY WORKS ROUGH SKIN SHAVER", "r": "220137096"}, {"b": "3863847000223", "n": "DISFLATYL TABLETS 30S", "r": "220229098"}, {"b": "7612626900201", "n": "DISFLATYL TABLETS", "r": "220178693"}, {"b": "7612626900188", "n": "DISFLATYL DROPS 30ML", "r": "220230755"}, {"b": "6291105776066", "n": "DISNEY MINNIE HAND SANITIZER 60ML", "r": "220218801"}, {"b": "8993417384219", "n": "DISNEY ESKULIN BODY POWDER 150G", "r": "220061742"}, {"b": "8412428017553", "n": "DISNEY 2IN1 GEL BATH  SHMPO ASSTED  475ML", "r": "220087344"}, {"b": "6291100086306", "n": "DIZINIL TAB 20S", "r": "220171571"}, {"b": "9650364003462", "n": "DMC NITRILE GLOVES S", "r": "220195197"}, {"b": "9650364003097", "n": "DMC LATEX GLOVES 100S", "r": "220191110"}, {"b": "965018300023", "n": "DOLGIT 600MG 20 TAB", "r": "220163706"}, {"b": "965018300009", "n": "DOLGIT 400MG TABLETS 20S", "r": "220170086"}, {"b": "4260297470269", "n": "DOM STIMULATOR CONDOM 3S", "r": "220227465"}, {"b": "4260297470276", "n": "DOM STIMULATOR CONDOM 12S", "r": "220226956"}, {"b": "4260297470399", "n": "DOM RIBBED CONDOM 12S", "r": "220233368"}, {"b": "4260297470368", "n": "DOM FLAVORED CONDOM 6S", "r": "220216722"}, {"b": "4260297470351", "n": "DOM FLAVORED CONDOM 3S", "r": "220218134"}, {"b": "4260297470375", "n": "DOM FLAVORED CONDOM 12S", "r": "220218830"}, {"b": "4260297470337", "n": "DOM CONTOUR CONDOM 3S", "r": "220227314"}, {"b": "4260297470344", "n": "DOM CONTOUR CONDOM 12S", "r": "220226364"}, {"b": "4260297470290", "n": "DOM 100 PLEASSURE CONDOM 12S", "r": "220216457"}, {"b": "6285128003018", "n": "DOMPY 10MG 30S TAB", "r": "220166073"}, {"b": "6281260024232", "n": "DOMPY 1MGML 200ML SUSPENSION", "r": "220225065"}, {"b": "4009932921403", "n": "DOPPELHERZ KINDER MULTVTM SYRP 150ML", "r": "220227392"}, {"b": "4009932514667", "n": "DOPPELHERZ DIABETIC VIT TAB 30S", "r": "220064731"}, {"b": "965015700049", "n": "DOSTINEX TAB 8S", "r": "220157586"}, {"b": "8002140113604", "n": "DC TIMODORE SPRAY DEODORANT", "r": "220051590"}, {"b": "8002140204005", "n": "DC T ACTION REFRESHING FOOT DEODORANT", "r": "220062687"}, {"b": "8002140117114", "n": "DC HYGIENIC DEODORANT INSOLES", "r": "220081686"}, {"b": "8002140119002", "n": "DC HYDROCOLLOID BLISTER PAD", "r": "220057244"}, {"b": "8002140128134", "n": "DC HALLUX PROTECTION SIZE SM", "r": "220077232"}, {"b": "8002140113215", "n": "DC DEODORANTE POWDER", "r": "220082212"}, {"b": "8002140137006", "n": "DC CRYOTHERAPY FOR WARTS", "r": "220074960"}, {"b": "8002140123016", "n": "DC CORN REMOVER LIQUID W BRUSH", "r": "220236234"}, {"b": "8002140117015", "n": "DC CORN PLASTERS PAD  ADHESIVE", "r": "220060492"}, {"b": "8002140114014", "n": "DC CORN PLASTERS FOR HARD SKIN", "r": "220072861"}, {"b": "8002140115011", "n": "DC CORN PLASTERS FOR HARD CORN", "r": "220056667"}, {"b": "8002140116018", "n": "DC CORN PLASTERS BETWEEN TOES", "r": "220066946"}, {"b": "8002140120015", "n": "DC CORN PAD PLASTR HARD CORNS", "r": "220077009"}, {"b": "8002140118012", "n": "DC CANVASS CUTOUT CORN PLASTERS", "r": "220088897"}, {"b": "8002140122019", "n": "DC CANVASS CUTOUT CORN PAD PLASTR", "r": "220080835"}, {"b": "8710908404184", "n": "DOVE 0 ORIGINAL DEO SPRAY 150ML", "r": "220226499"}, {"b": "8710447320655", "n": "DOVE 0 CUCUMBER DEO SPRAY 150ML", "r": "220229979"}, {"b": "8710908725241", "n": "DOVE ORIGINAL DEO SPRAY 150ML", "r": "220227555"}, {"b": "8710908725531", "n": "DOVE GO FRESH DEO SPRAY 150ML", "r": "220219545"}, {"b": "6281006473645", "n": "DOVE WHITE BEAUTY BAR 135GM", "r": "220218113"}, {"b": "6281006444232", "n": "DOVE STRENGTHENING RITUAL CONDITIONER AVOCADO 350ML", "r": "220221849"}, {"b": "6281006425347", "n": "DOVE STRENGTHENING RITUAL AVOCADO SHAMPOO 400ML", "r": "220216482"}, {"b": "6281006443471", "n": "DOVE SPLIT ENDS RESCUE COND 400ML", "r": "220233410"}, {"b": "6281006422827", "n": "DOVE SPLIT END RESCUE SHAMP 400ML", "r": "220221316"}, {"b": "6281006425361", "n": "DOVE REPAIRING RITUAL SHAMPOO COCONUT 400ML", "r": "220225089"}, {"b": "6281006444256", "n": "DOVE REPAIRING RITUAL CONDITIONER COCONUT 350ML", "r": "220226302"}, {"b": "8712561493031", "n": "DOVE PURE CARE DRY OIL SHAMPOO 250ML", "r": "220171152"}, {"b": "6281006473607", "n": "DOVE PINK BEAUTY BAR 135GM", "r": "220227557"}, {"b": "8712561495363", "n": "DOVE OXYGEN MOISTURE CONDITIONER 250ML", "r": "220234718"}, {"b": "80466468", "n": "DOVE ORIGINAL DEO CREAM 50ML", "r": "220229076"}, {"b": "4000388172104", "n": "DOVE NOURISHMENT HAND CREAM CARE 75ML", "r": "220219878"}, {"b": "6281006442788", "n": "DOVE NOURISH OIL CARE COND 400ML", "r": "220227825"}, {"b": "6281006407251", "n": "DOVE FACIAL FOAM BEAUTY MOIST CREAM 100ML", "r": "220226280"}, {"b": "8711600456877", "n": "DOVE ESSENTIAL NRSHMNT BODY LOT 250ML", "r": "220235942"}, {"b": "7640107470110", "n": "DOXIPROCT OINTMENT 30G", "r": "220225067"}, {"b": "7640107470127", "n": "DOXIPROCT PLUS OINTMENT 20GM", "r": "220233183"}, {"b": "6923257710154", "n": "DR RASHEL CHARCOAL WHITENING TP 100ML", "r": "220082211"}, {"b": "819957024744", "n": "DG MULTIVITAMIN GUMMIES 60S", "r": "220211613"}, {"b": "819957024768", "n": "DG VIT C GUMMIES 60S", "r": "220211052"}, {"b": "9650364001734", "n": "DR LEVINES PWR MAGNETIC POSTURE SUPP", "r": "220081833"}, {"b": "9319629102691", "n": "DR LEWINNS LINE SMOOTHING COMPLEX TRIPLE ACTION DAY DEFENCE 30G", "r": "220239296"}, {"b": "9319629743962", "n": "DR LEWINNS LINE SMOOTHING COMPLEX MULTI ACTION TONING MIST 120ML", "r": "220236913"}, {"b": "9319629743955", "n": "DR LEWINNS LINE SMOOTHING COMPLEX MELTING CLEANSING JELLY 120ML", "r": "220239157"}, {"b": "9319629104527", "n": "DR LEWINNS LINE SMOOTHING COMPLEX HYDRATING DAY CREAM 30G", "r": "220240161"}, {"b": "9319629743948", "n": "DR LEWINNS LINE SMOOTHING COMPLEX HYALURONIC EYE PATCH 3 SETS", "r": "220236745"}, {"b": "9319629742439", "n": "DR LEWINNS LINE SMOOTHING COMPLEX HIGH POTENCY TREATMENT MASK 3S", "r": "220237361"}, {"b": "9319629743641", "n": "DR LEWINNS LINE SMOOTHING COMPLEX HIGH POTENCY TREATMENT MASK 1S", "r": "220237088"}, {"b": "9319629102738", "n": "DR LEWINNS LINE SMOOTHING COMPLEX EYE RECOVERY COMPLEX 15G", "r": "220240249"}, {"b": "9319629102714", "n": "DR LEWINNS LINE SMOOTHING COMPLEX DOUBLE INTENSITY NIGHT CREAM 30G", "r": "220240038"}, {"b": "9319629102431", "n": "DR LEWINNS LINE SMOOTHING COMPLEX CORRECTIVE LINE FILLER 30G", "r": "220236785"}, {"b": "9319629743597", "n": "DR LEWINNS ETERNAL YOUTH JELLYFISH COLLAGEN HYDRATING FACE MASK 1S", "r": "220237358"}, {"b": "9319629743603", "n": "DR LEWINNS ETERNAL YOUTH CHARCOAL  BLACK PEARL DETOXIFYING FACE MASK 1S", "r": "220236874"}, {"b": "9319629743610", "n": "DR LEWINNS ETERNAL YOUTH 24K GOLD AGEDEFYING FACE MASK 1S", "r": "220237720"}, {"b": "9319629108815", "n": "DR  LEWINNS LINE SMOOTHING COMPLEX INSTANT LINE ERASER SERUM 30ML", "r": "220238318"}, {"b": "638142876520", "n": "DR O NON ALC DISINFECTANT SPRAY 500ML", "r": "220205134"}, {"b": "638142876636", "n": "DR O NON ALC DISINFECTANT SPRAY 250ML", "r": "220207068"}, {"b": "638142876667", "n": "DR O NON ALC DISINFECTANT SPRAY 100ML", "r": "220206574"}, {"b": "5060176675124", "n": "V DR ORGANIC VRGN COCO OIL DEO 50ML", "r": "220191025"}, {"b": "5060176671508", "n": "V DR ORGANIC TEA TREE DEO 50ML", "r": "220192814"}, {"b": "5060391844152", "n": "V DR ORGANIC CHARCOAL FACE WASH 200ML", "r": "220175147"}, {"b": "5060176671478", "n": "V DR ORGANIC ALOEVERA DEO ROLLON 50ML", "r": "220192719"}, {"b": "5060176671539", "n": "DR ORGANIC LAVENDER DEO  ROLL ON 50ML", "r": "220221852"}, {"b": "5060391844176", "n": "DR ORGANIC CHARCOAL FACE SCRUB 125ML", "r": "220233782"}, {"b": "5060176670969", "n": "DR ORGANIC ALOE VERA SHAMPOO 265ML", "r": "220232636"}, {"b": "5060391844213", "n": "VDR ORGANIC CHARCOAL TP 100ML", "r": "220193652"}, {"b": "5060176670693", "n": "DR ORGANIC TEA TREE TOOTHPASTE 100ML", "r": "220219904"}, {"b": "5060176670723", "n": "DR ORGANIC POMEGRANATE TOOTHPASTE 100ML", "r": "220222420"}, {"b": "5060176670662", "n": "DR ORGANIC ALOE VERA TOOTHPASTE 100ML", "r": "220216180"}, {"b": "5060176671263", "n": "V DR ORGANIC TEA TREE COND 265ML", "r": "220164359"}, {"b": "5060176674882", "n": "V DR ORGANIC MA ARGAN OIL SKIN LOT 200ML", "r": "220152424"}, {"b": "5060176674783", "n": "DRORGANIC MOROCO ARG OIL RESTIVE TRTMNT CONDI 200ML", "r": "220232769"}, {"b": "5060176670631", "n": "DR ORGANIC VIT E SKIN LTN 200 ML", "r": "220234097"}, {"b": "5060176675148", "n": "DR ORGANIC VIRGIN COCONUT SHAMPOO 265ML", "r": "220218045"}, {"b": "5060176674981", "n": "DR ORGANIC VIRGIN COCONUT CONDITIONER 265ML", "r": "220234644"}, {"b": "5060176674967", "n": "DR ORGANIC VIRG COCONUTOIL BODY WASH 250ML", "r": "220232926"}, {"b": "5060176671089", "n": "DR ORGANIC TEA TREE SHAMPOO 265ML", "r": "220235412"}, {"b": "5060176671836", "n": "DR ORGANIC TEA TREE PURE OIL 10ML", "r": "220236448"}, {"b": "5060176671027", "n": "DR ORGANIC LAVNDER SHAMP00 265ML", "r": "220222100"}, {"b": "5060176674646", "n": "DR ORGANIC ARGANOIL BODY WASH 250ML", "r": "220222701"}, {"b": "5060176674868", "n": "DR ORGANIC ARGAN SHAMPOO 265ML", "r": "220225755"}, {"b": "5060176671140", "n": "DR ORGANIC ALOE VERA COND 265ML", "r": "220217467"}, {"b": "5060176674608", "n": "V DR ORGANIC MA ARGAN OIL BATH  MSSG BODY OIL 100ML", "r": "220155826"}, {"b": "5060391844251", "n": "V DR ORGANIC COCONUT OIL TP 100ML", "r": "220193648"}, {"b": "5060176674844", "n": "DRORGANIC MOROCO ARGAN OIL PURE OIL 50ML", "r": "220230421"}, {"b": "5060176674769", "n": "DRORGANIC MOROCO ARG OIL HAIR TRTMNT SERUM 100ML", "r": "220235113"}, {"b": "5060176671560", "n": "DR ORGANIC VIT E DEO 50ML", "r": "220224075"}, {"b": "5060176671805", "n": "DR ORGANIC VIT E BODY WASH 250 ML", "r": "220220037"}, {"b": "5060176671683", "n": "DR ORGANIC TEA TREA BODY WASH 250 ML", "r": "220235904"}, {"b": "5060176671201", "n": "DR ORGANIC LAVNDER CONDITIONER 250ML", "r": "220220777"}, {"b": "5060176671867", "n": "DR ORGANIC LAVENDER PURE OIL 50ML", "r": "220232268"}, {"b": "5060176674684", "n": "DR ORGANIC ARGAN OIL CONDITIONER 265ML", "r": "220231129"}, {"b": "3614051856348", "n": "DR PR DERMA PURETE MIC WTR SEN 50ML", "r": "220178334"}, {"b": "3614051311304", "n": "DR PR RENAISSANCE DE NUIT SERUM 30ML", "r": "220170473"}, {"b": "3614051305570", "n": "DR PR RENAISSANCE DE NUIT NIGHT CREAM 40ML", "r": "220166855"}, {"b": "3614051347105", "n": "DR PR RENAISSANCE DE NUIT EYE CREAM 15ML", "r": "220168484"}, {"b": "3614051353366", "n": "DR PR MATIN RADIEUX  MORNING LOTION 30ML", "r": "220171729"}, {"b": "3614051311571", "n": "DR PR LUMINEXPERT RENEWING RADIANCE LTN 150ML", "r": "220169178"}, {"b": "3614051131544", "n": "DR PR LUMINEXPERT 3IN1 EYE TRTMNT 15ML", "r": "220002476"}, {"b": "3614051649704", "n": "DR PR LUMINEXPERT  ANTIAGEING CREAM 40ML", "r": "220171447"}, {"b": "3614051353014", "n": "DR PR HYALURIDES LP ANTI WRINKL SERUM 30ML", "r": "220164457"}, {"b": "3614051341967", "n": "DR PR HYALURIDES LP ANTI WRINKL EYE CRM 15ML", "r": "220170248"}, {"b": "3614051339872", "n": "DR PR HYALURIDES LP ANTI WRINKL CRM 40ML", "r": "220169089"}, {"b": "3614051232722", "n": "DR PR COLLAGENES LIFT 3D TRTMNT 2108ML", "r": "220172376"}, {"b": "3614051361064", "n": "DR PR COLLAGENES LIFT 3D LIFTING  EL ACTIVE SERUM 30ML", "r": "220166085"}, {"b": "3614051526869", "n": "DR PR COLLAGENES LIFT 3D GLOBAL LIFTING CREAM 40ML", "r": "220166703"}, {"b": "3614051530835", "n": "DR PR COLLAGENES LIFT 3D EYE CARE 15ML", "r": "220155909"}, {"b": "732953024030", "n": "DR SHEFFIELD BABY TEETHING GEL 935GM", "r": "220162177"}, {"b": "9650364000690", "n": "DR TEA SLIMMING TEA", "r": "220057249"}, {"b": "811068014898", "n": "VDR TEALS EPSMSALT EUCLSPRMNT 450G", "r": "220055000"}, {"b": "811068014881", "n": "VDR TEALS EPSOM SALT LAVENDER 450G", "r": "220071199"}, {"b": "3282770107258", "n": "DUCRAY ICTYANE LIPCARE LIP BALM HD 15ML", "r": "220178824"}, {"b": "3282770053029", "n": "DUCRAY EXYANE BODYCARE CLNSNG GEL 400ML", "r": "220230393"}, {"b": "3282770203943", "n": "DUCRAY DEXYANE CRM 200ML", "r": "220173609"}, {"b": "3282770073355", "n": "DUCRAY DEXYAN MED SOOTHNG RPR CRM 100ML", "r": "220229128"}, {"b": "3282770141351", "n": "DUCRAY KERACNYL CLEANSING GEL 200ML", "r": "220236248"}, {"b": "3282770148282", "n": "DUCRAY EXTRA GENTLE SHAMPOO 400ML", "r": "220230647"}, {"b": "3282770111378", "n": "DUCRAY NUTRICERAT SHAMPOO 200ML", "r": "220224164"}, {"b": "3282779381581", "n": "DUCRAY STIMULATING GEL 30ML", "r": "220235759"}, {"b": "3282770209853", "n": "DUCRAY NUTRICERAT MASK 150ML", "r": "220219178"}, {"b": "3282770038842", "n": "DUCRAY NEOPTIDE MEN HAIR LOTION 100ML", "r": "220216091"}, {"b": "3282779242080", "n": "DUCRAY NEOPTID HAIR LOSS TRTMNT 3X30ML", "r": "220222110"}, {"b": "3282770049299", "n": "DUCRAY MELASCREEN SKIN LIGHT CRM SPF15 40 ML", "r": "220217907"}, {"b": "3282770055108", "n": "DUCRAY MELASCREEN NIGHT CREAM 30ML", "r": "220220345"}, {"b": "3282779367943", "n": "DUCRAY MELASCREEN DEPIGMENTATION 30ML", "r": "220230695"}, {"b": "3282770049497", "n": "DUCRAY MELAS PHOTOPROTECT RICH CRM SPF50 40 ML", "r": "220223885"}, {"b": "3282770073249", "n": "DUCRAY MELAS GLOBAL HAND CRM SPF50 50ML", "r": "220223713"}, {"b": "3282779368612", "n": "DUCRAY KERACNYL PP CREAM 30ML", "r": "220233204"}, {"b": "3282770203622", "n": "DUCRAY KELUAL DS SHAMPOO 100ML", "r": "220223291"}, {"b": "3282770204285", "n": "DUCRAY ICTYANE NOURISH EMOLLIENT CRM 200ML", "r": "220233884"}, {"b": "3282779370646", "n": "DUCRAY ICTYANE HD EMOLLIENT CREAM 50ML", "r": "220218695"}, {"b": "3282779421577", "n": "DUCRAY CREASTIM LOTION 2X30ML", "r": "220231649"}, {"b": "3282770075533", "n": "DUCRAY ANAPHASE SHAMPOO 200ML", "r": "220224908"}, {"b": "3282770073683", "n": "DUCRAY ANAPHASE PLUS CONDITIONER 200ML", "r": "220232772"}, {"b": "3282770075526", "n": "DUCRAY ANAPHASE HAIRLOSS SHAMPOO 400ML", "r": "220235622"}, {"b": "3282770049503", "n": "DUC MELAS UV LGHT CRM SPF50 40ML", "r": "220226970"}, {"b": "3282770049527", "n": "DUC MELAS PHTOAGING SERUM 30ML", "r": "220225550"}, {"b": "3282770037524", "n": "DUC KERACNYL CTRL CRM 30ML", "r": "220223049"}, {"b": "3282770139099", "n": "DUCRAY ELUTION SHAMPOO 200ML", "r": "220231394"}, {"b": "3282770140484", "n": "DUCRAY SQUANORM DRY DANDRUFF SHAMPOO 200ML", "r": "220221647"}, {"b": "3282770037388", "n": "DUCRAY SQUANORM DRY DANDRUFF SHAMPOO 200ML", "r": "220221647"}, {"b": "3282779417006", "n": "DUCRAY SENSINOL SERUM 30 ML", "r": "220218409"}, {"b": "3282779317658", "n": "DUCRAY SENSINOL  SHAMPOO 200ML", "r": "220236232"}, {"b": "3282770209822", "n": "DUCRAY NUTRICERAT EMULSION 100ML", "r": "220229797"}, {"b": "3282770109108", "n": "DUCRAY NUTRICERAT CONCENTRATE 75 ML", "r": "220171815"}, {"b": "3282770209846", "n": "DUCRAY NUTRICERAT ANTI DRYNESS PROTECTIVE SPRAY 75ML", "r": "220181278"}, {"b": "3282770108071", "n": "DUCRAY KERTYOL PSO SHAMOO 200ML", "r": "220235908"}, {"b": "3282779002011", "n": "DUCRAY KELUAL EMULSION 50ML", "r": "220168689"}, {"b": "3282770030082", "n": "DUCRAY ICTYANE MOISTURIZE MICELLAR WATER 200ML", "r": "220217785"}, {"b": "3282770106916", "n": "DUCRAY ICTYANE HYDRATE LOTION 400ML", "r": "220217900"}, {"b": "3282779370936", "n": "DUCRAY ICTYANE CREAM 50 ML", "r": "220164153"}, {"b": "3282770108040", "n": "DUCRAY ICTYANE CLEANSING CREAM 200ML", "r": "220002378"}, {"b": "3282779370790", "n": "DUCRAY ICTYANE BAR 200 GM", "r": "220232830"}, {"b": "3282779065665", "n": "DUCRAY ELUTION SHAMPOO 300ML", "r": "220236135"}, {"b": "3282770109146", "n": "DUCRAY ELUT SHAMP REBAL DERMO PROT200ML", "r": "220158953"}, {"b": "3282779392181", "n": "DUCRAY DIASEPTYL SPRAY 125ML", "r": "220162197"}, {"b": "3282779392570", "n": "DUCRAY ANAPHASE CREAM SHAMPOO 200ML", "r": "220171147"}, {"b": "3863847009660", "n": "DUCRAY ANACAPS HAIR SUPP 60 CAP BOGOF", "r": "220206432"}, {"b": "3282770105322", "n": "DUCRAY ANACAPS ACTIVE CAPSULES", "r": "220233630"}, {"b": "485638949301", "n": "DUCRAY ANACAPS OFFER PACK", "r": "220153769"}, {"b": "3582910090328", "n": "DULCOLAX 5MG TAB 40S", "r": "220224219"}, {"b": "4048846000859", "n": "DULCOLAX TABLETS 30S", "r": "220153585"}, {"b": "8002660028884", "n": "DUPHALAC FRUIT LACTULOSE 200ML", "r": "220224637"}, {"b": "8002660026231", "n": "DUPHALAC STICKS 667MG 15ML SACHETS 20S", "r": "220224364"}, {"b": "8715554002395", "n": "DUPHALAC SYRUP 300ML", "r": "220232246"}, {"b": "8002660031006", "n": "DUPHASTON TABS 10 MG 20S", "r": "220233686"}, {"b": "5052197056716", "n": "DUREX FEEL ULTRA THIN CANDOM 20S", "r": "220223921"}, {"b": "5052197056785", "n": "DUREX NATURAL INTIMATE GEL 100ML", "r": "220234565"}, {"b": "5052197056648", "n": "DUREX SENSUAL STRAWBEERY CONDOM 12S", "r": "220217426"}, {"b": "5052197056662", "n": "DUREX NAUGHTY CHOCOLATE CONDOM 12S", "r": "220228711"}, {"b": "6295120046241", "n": "DUREX THIN FEEL CONDOMS XL 12S", "r": "220234205"}, {"b": "6295120050460", "n": "DUREX CONDOM REAL FEEL 20S", "r": "220213466"}, {"b": "6295120050521", "n": "DUREX CONDOM INVISIBLE 20S", "r": "220213829"}, {"b": "6295120030745", "n": "DUREX EXTENDED PLEASURE CONDOM 20S", "r": "220232079"}, {"b": "6295120046173", "n": "DUREX PLAY 2IN1 MASSG GEL200ML", "r": "220225247"}, {"b": "6295120046203", "n": "DUREX PLAY MASSAGE 2N1 SENSUAL GEL 200ML", "r": "220220693"}, {"b": "6295120046210", "n": "DUREX PLAY MASSAGE STIMULATION 200ML", "r": "220229049"}, {"b": "5052197052350", "n": "DUREX INVISIBLE EXTRA LUBE CONDOM 12S", "r": "220224286"}, {"b": "5052197050738", "n": "DUREX INVISIBLE EXTRA THIN 12S", "r": "220218803"}, {"b": "5052197032567", "n": "DUREX REAL FEEL 10 S", "r": "220222408"}, {"b": "6295120030752", "n": "DUREX EXTRA SAFE CONDOM 20S", "r": "220235476"}, {"b": "5052197003819", "n": "DUREX MUTUAL PLEASURE 10S", "r": "220217673"}, {"b": "5010232955028", "n": "DUREX ENTENDED PLEASURE 12S", "r": "220215984"}, {"b": "5038483447840", "n": "DUREX INTENSE PLEASURE 12S", "r": "220223089"}, {"b": "5010232964518", "n": "DUREX FEEL THIN 12S", "r": "220222328"}, {"b": "5038483866467", "n": "DUREX FEATHERLITE ULTRA 12S", "r": "220233084"}, {"b": "5010232964488", "n": "DUREX ELITE 12S", "r": "220235550"}, {"b": "5038483580417", "n": "DUREX SENSATION CONDOM 12S", "r": "220227733"}, {"b": "5010232964464", "n": "DUREX SELECT 12S", "r": "220225308"}, {"b": "5010232964501", "n": "DUREX EXTRA SAFE 12S", "r": "220235584"}, {"b": "5010232964457", "n": "DUREX SELECT 6S", "r": "220231764"}, {"b": "6295120046180", "n": "DUREX PLAY SWEET STRAWBERRY GEL 50 ML", "r": "220219496"}, {"b": "6295120046142", "n": "DUREX VERY CHERRY LUB 50ML", "r": "220223048"}, {"b": "6295120046197", "n": "DUREX PLAY TINGLE LUB 50ML", "r": "220233640"}, {"b": "6295120046166", "n": "DUREX PLAY HEAT LUB 50ML", "r": "220225107"}, {"b": "6295120046159", "n": "DUREX PLAY FEEL LUBRICANT 50 ML", "r": "220228670"}, {"b": "5010232964495", "n": "DUREX EXTRA SAFE 6S", "r": "220216125"}, {"b": "5010232964471", "n": "DUREX ELITE 6S", "r": "220235693"}, {"b": "5052197051742", "n": "DUREX TICKLING RIBS 6S", "r": "220228633"}, {"b": "5052197003789", "n": "DUREX MUTUAL PLEASURE 3S", "r": "220233778"}, {"b": "6295120030998", "n": "DUREX REAL FEEL CONDOM 3S", "r": "220232308"}, {"b": "5052197050707", "n": "DUREX INVISIBLE EX THIN 3S", "r": "220221509"}, {"b": "5038483682821", "n": "DUREX EXTENDED PLEASURE 3S", "r": "220232615"}, {"b": "5038483683163", "n": "DUREX SELECT CONDOM 3S", "r": "220226478"}, {"b": "5038483682920", "n": "DUREX EXTRA SAFE CONDOM 3S", "r": "220230020"}, {"b": "5038483739020", "n": "DUREX FETHERLITE CONDOM 3S", "r": "220217951"}, {"b": "5038483867198", "n": "DUREX FEATHERLITE ULTRA 3S", "r": "220235453"}, {"b": "6291107466514", "n": "DUREX  MUTUAL PLEASR 10S  FREE LUBE 50ML", "r": "220193567"}, {"b": "5010232964433", "n": "DUREX TICKLING RIBS 12S", "r": "220223792"}, {"b": "5038483256275", "n": "DUREX PLEASURE MAX WARMING 12S", "r": "220227881"}, {"b": "5038483512838", "n": "DUREX PLAY 2 IN 1 MASSAGE MOUSSE", "r": "220155191"}, {"b": "5038483506677", "n": "DUREX PLAY 2 IN 1 MASSAGE MELTS", "r": "220152905"}, {"b": "5038483876367", "n": "DUREX LOVE BOX PLEASURE 3S NEW", "r": "220170575"}, {"b": "8002660032249", "n": "DUSPATALIN RETARD 200MG CAPS 30S", "r": "220232125"}, {"b": "8002660031013", "n": "DUSPATALIN 135MG TAB 50S", "r": "220221073"}, {"b": "965013700212", "n": "DYNAMISAN F3 TABS 30S", "r": "220171444"}, {"b": "8436024611007", "n": "DYNAMOGEN APPETIZER ORAL SLTN 20AMP", "r": "220172227"}, {"b": "5025155049389", "n": "DYSON HAIR DRYER WHITE", "r": "220198062"}, {"b": "5025155031810", "n": "DYSON HAIR DRYER WGIFT BOX  PINK", "r": "220080055"}, {"b": "5025155049297", "n": "DYSON HAIR DRYER PINK", "r": "220197649"}, {"b": "5025155038840", "n": "DYSON AIR WRAP PINK", "r": "220196325"}, {"b": "6224007349359", "n": "V EAMA WHITENING TOOTH BRUSH", "r": "220193310"}, {"b": "50072734", "n": "V EAMA TWIST N BRUSH TOOTH BRUSH", "r": "220193385"}, {"b": "6224007349991", "n": "V EAMA MILO KIDS TOOTH BRUSH", "r": "220193220"}, {"b": "6225000016491", "n": "V EAMA DEEP CLEAN SMOKERS TOOTH BRUSH", "r": "220193141"}, {"b": "622000016446", "n": "V EAMA ANTIBACTERIAL TOOTH BRUSH", "r": "220193605"}, {"b": "8430308004806", "n": "EBASTEL 10MG 20 TABLETS", "r": "220224018"}, {"b": "9318048059449", "n": "V ECO AROMA ESS OIL SLEEP ROLLERBALL 10ML", "r": "220192843"}, {"b": "9318048059340", "n": "V ECO AROMA ESS OIL SLEEP BLEND 10ML", "r": "220190446"}, {"b": "79131930944", "n": "V ECOFINEST HAND SANITIZER 60ML", "r": "220198023"}, {"b": "79131930945", "n": "V ECOFINEST HAND SANITIZER 300ML", "r": "220197900"}, {"b": "79131930949", "n": "V ECOFINEST HAND SANITIZER 118ML", "r": "220197828"}, {"b": "3323037743540", "n": "ECRINAL NAIL POLISH REM 125ML", "r": "220223730"}, {"b": "3323036008855", "n": "ECRINAL STOP NAIL BITE 10 ML", "r": "220171971"}, {"b": "125002743431", "n": "IVORY BRIGHTENING VITAMIN C PLUS 60CAPS", "r": "220081102"}, {"b": "9314839005053", "n": "QV KIDS MOISTURISING CREAM 100G", "r": "220222573"}, {"b": "9314839007330", "n": "QV KIDS HAIR SHAMPOO 200ML", "r": "220216529"}, {"b": "9314839014222", "n": "QV BABY SKIN LOTION 250ML", "r": "220217667"}, {"b": "9314839014192", "n": "QV BABY GENTLE WASH 250ML", "r": "220225870"}, {"b": "9314839014239", "n": "QV BABY BAR 100G", "r": "220233430"}, {"b": "9314839007422", "n": "EGO QV LIP BALM 15G", "r": "220231531"}, {"b": "9314839004735", "n": "EGO QV KIDS WASH 200ML", "r": "220162594"}, {"b": "9314839007347", "n": "QV KIDS HAIR CONDITIONER 150G", "r": "220218089"}, {"b": "9314839007682", "n": "QV KIDS BAR 100G", "r": "220233180"}, {"b": "9314839014154", "n": "QV BABY BATH OIL 250ML", "r": "220228949"}, {"b": "9314839013874", "n": "QV BABY 2 IN 1 SHAMPOO  CONDITIONER 200G", "r": "220233547"}, {"b": "9314839001222", "n": "EGOZITE PROTBABY LOTION", "r": "220155631"}, {"b": "9314839007811", "n": "EGOZITE BABY CREAM 50G", "r": "220235471"}, {"b": "9314839004742", "n": "EGO QV KIDS BALM 100GM", "r": "220163777"}, {"b": "9314839006555", "n": "EGO QV GENTLE WASH 250G", "r": "220222793"}, {"b": "9314839015427", "n": "EGO QV FLARE UP CREAM 100G", "r": "220227371"}, {"b": "9314839011696", "n": "EGO MOOV HEAD LICE COMBING COND 200ML", "r": "220218493"}, {"b": "9314839017476", "n": "EGO QV HAND CREAM SPF15 50G", "r": "220232049"}, {"b": "9314839012952", "n": "EGO QV CREAM PUMP 500G", "r": "220233935"}, {"b": "9314839003349", "n": "EGO QV FACE NIGHT CREAM 50G", "r": "220232424"}, {"b": "9314839003387", "n": "EGO QV FACE EYE CREAM 15G", "r": "220235083"}, {"b": "9314839006562", "n": "EGO QV GENTLE WASH 500 ML", "r": "220219458"}, {"b": "9314839005640", "n": "EGO QV DRY SKIN CREAM 250G", "r": "220229085"}, {"b": "9314839006890", "n": "EGO QV FACE DAY CREAM 75G", "r": "220218683"}, {"b": "9314839015410", "n": "EGO QV FACE GNTL FOAMNG CLNSR 150ML", "r": "220232450"}, {"b": "9314839009921", "n": "EGO MOOV HEADLICE SHAMP 200ML", "r": "220219896"}, {"b": "9314839002618", "n": "EGO QV SKIN LOTION 250ML", "r": "220235213"}, {"b": "9314839008948", "n": "EGO QV INTENSIVE MOISTURIZIN CLEANSER 250ML", "r": "220220425"}, {"b": "9314839002632", "n": "EGO QV CREAM 100G", "r": "220231981"}, {"b": "9314839005633", "n": "EGO QV WASH 250ML", "r": "220220317"}, {"b": "9314839005657", "n": "EGO QV BATH OIL 250ML", "r": "220228158"}, {"b": "9314839006876", "n": "EGO QV HEEL BALM 50G", "r": "220219513"}, {"b": "9314839011856", "n": "EGO QV HAND CREAM 50G", "r": "220222400"}, {"b": "9314839002601", "n": "EGO QV BAR 100G", "r": "220228866"}, {"b": "9314839015397", "n": "EGO FACE MAKE UP REMOVAL WIPES 25S", "r": "220221642"}, {"b": "9314839010774", "n": "EGO RESOLVE PLUS CRM 10  30GM", "r": "220222821"}, {"b": "9314839002595", "n": "EGO QV SKIN WASH 500 ML", "r": "220230061"}, {"b": "9314839007385", "n": "EGO QV HAIR GENTLE CONDITIONER 200GM", "r": "220157316"}, {"b": "9314839015359", "n": "EGO QV FACE RESCUE GEL 25ML", "r": "220232921"}, {"b": "9314839006869", "n": "EGO QV FACE PURIFYING MASK 75G", "r": "220222873"}, {"b": "9314839004407", "n": "EGO QV FACE EYE MAKEUP REMOVER 15ML", "r": "220227282"}, {"b": "93549073", "n": "EGO QV FACE EXF POLISH 150G", "r": "220224976"}, {"b": "9314839002755", "n": "EGO QV FACE CLEANSER 500ML", "r": "220170561"}, {"b": "9650364003226", "n": "V EGYMED PROTECTIVE DISPOSABLE MASK", "r": "220193266"}, {"b": "764936405109", "n": "EGYPTIAN MAGIC ALL PURP SKIN CRM 45ML", "r": "220074009"}, {"b": "764936777770", "n": "EGYPTIAN MAGIC ALL PURP SKIN CRM 118ML", "r": "220081699"}, {"b": "5098928124507", "n": "V ELAVE SEN SHOWER GEL 250ML", "r": "220192173"}, {"b": "5098928123319", "n": "V ELAVE SEN SHAMP 250ML", "r": "220192041"}, {"b": "5098928123296", "n": "V ELAVE SEN INT CRM 500G", "r": "220190592"}, {"b": "53994776", "n": "V ELAVE SEN BABY OIL 250ML", "r": "220191721"}, {"b": "5098928125320", "n": "V ELAVE SEN BABY NAPPY CRM 100G", "r": "220190534"}, {"b": "5098928123821", "n": "V ELAVE SEN BABY BATH 400ML", "r": "220190956"}, {"b": "5098928125474", "n": "ELAVE SEN INTENSVE OINTMENT 250G", "r": "220188577"}, {"b": "5098928121469", "n": "ELAVE SEN INTENSVE CRM 125G", "r": "220187884"}, {"b": "5098928125603", "n": "V ELAVE SEN SPF50 VERY HIGH PROT 200ML", "r": "220211143"}, {"b": "301870394351", "n": "ELDOQUIN FORTE 4 CREAM 15GM", "r": "220224906"}, {"b": "3571700274178", "n": "ELEGANT HAND SANITIZER SPRAY 60ML", "r": "220191552"}, {"b": "3571700502196", "n": "ELEGANT HAND SANITIZER SPRAY 250 ML", "r": "220229602"}, {"b": "3571700274185", "n": "ELEGANT HAND SANITIZER SPRAY 100ML", "r": "220192387"}, {"b": "5011522022154", "n": "V ELEGANT TOUCH FRENCH NAILS AG PINK", "r": "220050958"}, {"b": "5011522022550", "n": "V ELEGANT TOUCH FRENCH NAILS AG BARE", "r": "220069482"}, {"b": "4008500109854", "n": "ELEVIT PRONATAL TABS 30S", "r": "220232330"}, {"b": "9650155001943", "n": "ELEVIT PRONATAL 100TABS", "r": "220158846"}, {"b": "6938888124713", "n": "IN BATH S BAMBOO CXZQ007B", "r": "220087351"}, {"b": "6938888113144", "n": "ELFIN BATH SCRUBBER CX012C", "r": "220061241"}, {"b": "6938888124294", "n": "ELFIN BATH S PRINT CLR GLOV KG5008", "r": "220079252"}, {"b": "6938888124911", "n": "ELFIN BATH S HEMP KLZM007A", "r": "220051949"}, {"b": "6938888124263", "n": "ELFIN BATH S HEMP JM007C", "r": "220060068"}, {"b": "6938888124287", "n": "ELFIN BATH S HEMP ATM007A", "r": "220053283"}, {"b": "6938888122283", "n": "ELFIN BATH S HEMP AT0011A", "r": "220077344"}, {"b": "3577056013058", "n": "ELGYDIUM KIDS FRESH STRAWBERRY TP 50ML", "r": "220230305"}, {"b": "3577056022104", "n": "ELGYDIUM JUNIOR TP GEL BUBBLE GUM 50ML", "r": "220221515"}, {"b": "3577056013140", "n": "ELGYDIUM CLINIC DENTAL FLOSS BLACK 50M", "r": "220172097"}, {"b": "3577056004797", "n": "ELGYDIUM ANTI PLAQUE TOOTHBRUSH SOFT", "r": "220229779"}, {"b": "3577057054661", "n": "ELGYD JUNIOR TN 712Y", "r": "220229597"}, {"b": "3577057054654", "n": "ELGYDIUM SENSITIVE TBRUSH SOFT", "r": "220233723"}, {"b": "3577057001924", "n": "ELGYDIUM CLINIC DENTAL FLOSS EXPANDING 25M", "r": "220225427"}, {"b": "3577057001900", "n": "ELGYDIUM CLINIC DENTAL FLOSS CHX 50M", "r": "220217619"}, {"b": "3577056001307", "n": "ELGYDIUM BLANCHEUR TBRUSH SOFT", "r": "220222207"}, {"b": "3577056001314", "n": "ELGYDIUM BLANCHEUR TBRUSH MEDIUM", "r": "220232870"}, {"b": "3577056004780", "n": "ELGYDIUM ANTIPLAQUE TBRUSH MEDIUM", "r": "220217526"}, {"b": "3577051104201", "n": "ELGYDIUM ANTI PLAQUE 100G", "r": "220229803"}, {"b": "3577056013584", "n": "ELGYD FLR SENS TP GEL 75ML", "r": "220227019"}, {"b": "3577057001917", "n": "ELGYD FLOURIDE FLOSSN 35M", "r": "220226587"}, {"b": "3577056013027", "n": "ELGYD BICARBONATE WHITE 75ML", "r": "220223471"}, {"b": "3577056018558", "n": "ELGYDIUM ANTISTAIN TP 30ML", "r": "220219254"}, {"b": "3577056005985", "n": "ARTHRODONT FLOUR TP GEL75ML", "r": "220222519"}, {"b": "3577056014062", "n": "ELGYDIUM TOOTH DECAY PROTECT TP 75ML", "r": "220235092"}, {"b": "3577056013690", "n": "ELGYDIUM KIDS BANANA TP 50ML", "r": "220230231"}, {"b": "9650155001981", "n": "ELIDEL CREAM 30GM", "r": "220193003"}, {"b": "9650160002843", "n": "ELIQUIS 5MG", "r": "220165623"}, {"b": "3663555004250", "n": "ELLAONE ULIPRISTAL CONTRACEPTION 30MG", "r": "220208402"}, {"b": "4260161040178", "n": "ELMETACIN SPRAY 50ML", "r": "220216283"}, {"b": "965013700294", "n": "ELOCOM LOTION 30ML", "r": "220171277"}, {"b": "965013700295", "n": "ELOCOM OINTMENT 30GM", "r": "220172598"}, {"b": "965013700293", "n": "ELOCOM CREAM 30GM", "r": "220163519"}, {"b": "965013700406", "n": "DONT USE ELOCOM CREAM 15GM", "r": "220161486"}, {"b": "8904091103027", "n": "ELOVERA CREAM", "r": "220154432"}, {"b": "6091403202621", "n": "ELTROXIN 100MCG TABS 100S", "r": "220232882"}, {"b": "6091403202348", "n": "ELTROXIN 50MCG TABS 100S", "r": "220223854"}, {"b": "9314839009389", "n": "ELUCENT GENTLE CLEANSER 140G", "r": "220166262"}, {"b": "9314839006760", "n": "ELUCENT BODY MOIST 200MLAR", "r": "220157567"}, {"b": "9314839009860", "n": "EGO ELUCENT SERUM 30ML", "r": "220231685"}, {"b": "9314839009891", "n": "EGO ELUCENT NIGHT CREAM 50GM", "r": "220215977"}, {"b": "9314839009884", "n": "EGO ELUCENT EYE CREAM 15GM", "r": "220225766"}, {"b": "9314839009877", "n": "EGO ELUCENT DAY CREAM SPF 50 95ML", "r": "220217179"}, {"b": "9650136000286", "n": "ELUDRIL SOLUTION 90ML", "r": "220161740"}, {"b": "3577051528618", "n": "ELUGEL 40 ML", "r": "220217824"}, {"b": "3600521767818", "n": "LOREAL ELVIVE TOTAL REPAIR 5 SHAMPOO 400ML", "r": "220232756"}, {"b": "3600522386179", "n": "LOREAL ELVIVE TOTAL REPAIR 5 CONDITIONER 400ML", "r": "220222396"}, {"b": "3610340017421", "n": "LOREAL ELVIVE EXTRA ORD OIL REPLACEMENT 300ML", "r": "220219840"}, {"b": "3610340019982", "n": "LOREAL ELVIVE EXTRA ORD OIL REPLACEMENT 300ML", "r": "220216996"}, {"b": "3610340020261", "n": "LOREAL ELVIVE EXT ORD NOUR OIL CONDITIONER 400ML", "r": "220234758"}, {"b": "3600522386094", "n": "LOREAL ELVIVE COLOR PROT CONDITIONER 400ML", "r": "220219954"}, {"b": "3610340030109", "n": "LOREAL ELVIVE TOTAL REPAIR 5 STYLING CRM JAR 200ML", "r": "220226358"}, {"b": "3610340040931", "n": "LOREAL ELVIVE KERATIN STRAIGHT SHAMPOO 400ML", "r": "220224160"}, {"b": "3610340030185", "n": "LOREAL ELVIVE EXTRAORD OIL STYLING CREAM JAR 200ML", "r": "220232520"}, {"b": "3610340020025", "n": "LOREAL ELVIVE EXT ORD OIL SHAMPOO 400ML", "r": "220234450"}, {"b": "3610340029981", "n": "LOREAL ELVIVE ARGININE STYLING CREAM JAR 200ML", "r": "220220624"}, {"b": "3600522247104", "n": "LOREAL ELVIVE ARGIN SHAMPOO 400ML", "r": "220224402"}, {"b": "3600523540259", "n": "ELVIVE XTRAORDINARY OIL SHAMP 3IN1 400ML", "r": "220216831"}, {"b": "3600523543472", "n": "ELVIVE TOTAL REPAIR 5 LOW SHAMPOO 400ML", "r": "220228037"}, {"b": "3600521142448", "n": "ELVIVE SERUM SMOOTH INTENSE 50ML", "r": "220154902"}, {"b": "3610340046650", "n": "ELVIVE SERUM KERATIN STRAIGHT 50ML", "r": "220218654"}, {"b": "3610340041532", "n": "ELVIVE KERATIN STRAIGHT OIL REPLACEMENT 300ML", "r": "220222064"}, {"b": "3610340041235", "n": "ELVIVE KERATIN STRAIGHT COND 400ML", "r": "220226965"}, {"b": "3600523608515", "n": "ELVIVE COLOR PRTOECT OIL SHAMP 3IN1 400ML", "r": "220230941"}, {"b": "3600522386131", "n": "ELVIVE ARGININE RESIST X3 CONDITIONER 400ML", "r": "220221438"}, {"b": "6291103730459", "n": "EMIFENAC 50MG DISPERSIBLE 20S", "r": "220218542"}, {"b": "7321837513826", "n": "EMLA CREAM 30GM", "r": "220152551"}, {"b": "7321839710535", "n": "EMLA CREAM 5 5X5GM", "r": "220163175"}, {"b": "6291103663122", "n": "EMPER OUD MALAKI DEO 200ML", "r": "220074114"}, {"b": "793596770821", "n": "ENCOLLAGEN LIQUID COLLAGEN 1050ML", "r": "220240040"}, {"b": "965018300026", "n": "ENELFA TABLETS 20S", "r": "220171905"}, {"b": "965018300011", "n": "ENELFA 250MG SUPPO 10S", "r": "220171295"}, {"b": "965018300010", "n": "ENELFA 125MG SUPPO 10S", "r": "220166099"}, {"b": "6291100277360", "n": "ENERGY SILKERATINE HAIR MASK 500ML", "r": "220224260"}, {"b": "5285003145971", "n": "ENERGY SILKERATINE ARGAN HEALING OIL 100ML", "r": "220226405"}, {"b": "6291105775816", "n": "ENERGY COAL TAR ANTI DANDRUFF SHAMPOO", "r": "220223098"}, {"b": "6291105773539", "n": "ENERGY ANTILICE PRE SHAMPO CNDTN 125ML", "r": "220068519"}, {"b": "6291100277681", "n": "ENERGY ANTI LICE SHAMPOO 250ML", "r": "220232858"}, {"b": "6291105773522", "n": "ENERGY ANTI LICE PROTECTIVE HAIR SPRAY 100ML", "r": "220223754"}, {"b": "7805722874235", "n": "ENO LEMON BOTTLE 150 GM", "r": "220228689"}, {"b": "7806736785364", "n": "ENO ORANGE BOTTLE 150 GM", "r": "220231652"}, {"b": "7714611763119", "n": "ENO REGULAR BOTTLE 150 GM", "r": "220220687"}, {"b": "18653002852", "n": "ENO FRUIT REG SACH 10S", "r": "220171490"}, {"b": "18653002913", "n": "ENO ORANGE 10 SACHETS", "r": "220154095"}, {"b": "18653002883", "n": "ENO LEMON 10 SACHETS", "r": "220163989"}, {"b": "3582910074014", "n": "ENTEROGERMINA PWDR ORAL SUSP 10SACH", "r": "220225651"}, {"b": "3582910075448", "n": "ENTEROGERMINA 2BILLION5ML ORAL SUSP 20 VIALS", "r": "220231229"}, {"b": "3582910075455", "n": "ENTEROGERMINA SUSP 5ML 10S", "r": "220162547"}, {"b": "3582910076384", "n": "ENTEROGERMINA 2 BILLION 12 CAPSULES", "r": "220230950"}, {"b": "9144211951414", "n": "ENZYMAX FORTE CAP 20S", "r": "220196059"}, {"b": "670480291108", "n": "ENZYMEDICA DIGEST GOLD  PROBIOTICS 45 CAPS", "r": "220168677"}, {"b": "670480241202", "n": "ENZYMEDICA LACTO CAPS 30S", "r": "220155167"}, {"b": "670480981214", "n": "ENZYMEDICA ACID SOOTHE CAPS 30S", "r": "220162286"}, {"b": "670480110201", "n": "ENZYMEDICA SLENDER GR CAPS 90S", "r": "220156699"}, {"b": "670480330500", "n": "ENZYMEDICA NUTRITION TWO DILY CAPS 60S", "r": "220158484"}, {"b": "670480290903", "n": "ENZYMEDICA DIGEST GOLDPROBIOTICS CAPS 90S", "r": "220165337"}, {"b": "670480981139", "n": "ENZYMEDICA DIGEST CAPS 30S", "r": "220155316"}, {"b": "670480201404", "n": "ENZYMEDICA CANDIDASE 42CAP", "r": "220153299"}, {"b": "9650307000022", "n": "EPHEPECT PASTILLS 25S", "r": "220139638"}, {"b": "8033776701002", "n": "EPIBIOT 300 MG  30G VAGINAL GEL", "r": "220237463"}, {"b": "3499320007368", "n": "EPIDUO GEL PUMP 30G", "r": "220230838"}, {"b": "9650160002706", "n": "EPIDUO GEL 30 GM", "r": "220159892"}, {"b": "3441540000063", "n": "EPILETTE", "r": "220156316"}, {"b": "6221032160423", "n": "EPIMAG SACHETS 10S", "r": "220185474"}, {"b": "349502501012", "n": "EPIPEN JR AUTO INJECTOR 015MG", "r": "220165411"}, {"b": "9323610006158", "n": "EPIPEN AUTO INJECTOR 03MG", "r": "220170673"}, {"b": "7610940001895", "n": "EQUAZEN CHEWS 3Y 180CAPS", "r": "220180792"}, {"b": "7610940001833", "n": "EQUAZEN CAPS 5Y 180S", "r": "220180155"}, {"b": "7610940001857", "n": "EQUAZEN LIQUID 3Y 200ML", "r": "220180821"}, {"b": "5285001777877", "n": "EQUIA CEREAL BAR SESAME 40GM", "r": "220078158"}, {"b": "3582910083276", "n": "ERCEFURYL CAPS 28S", "r": "220198339"}, {"b": "3760162578843", "n": "ERIC FAVRE WHITENING MASK 50ML", "r": "220090022"}, {"b": "3760162573725", "n": "ERIC FAVRE WHITE CREAM", "r": "220073182"}, {"b": "3760162573718", "n": "ERIC FAVRE LUMI WHITE CREAM AAGE 50ML", "r": "220077583"}, {"b": "3760162573756", "n": "ERIC FAVRE LIFT MASK 50ML", "r": "220070309"}, {"b": "3760162573701", "n": "ERIC FAVRE LIFT CREAM 50ML", "r": "220079683"}, {"b": "3760162579017", "n": "ERIC FAVRE LIFT CONCENT SERUM 10AMPX5ML", "r": "220058771"}, {"b": "3760162573695", "n": "ERIC FAVRE DETOX CREAM 50ML", "r": "220068116"}, {"b": "3760162573732", "n": "ERIC FAVRE AQUA MASK 50ML", "r": "220060495"}, {"b": "3760162573688", "n": "ERIC FAVRE AQUA CREAM 50ML", "r": "220065930"}, {"b": "4026841471973", "n": "ESBERITOX COMPACT TAB 20S", "r": "220202697"}, {"b": "8008843006953", "n": "ESI MOSQUITO REMEDY GEL 10ML", "r": "220185511"}, {"b": "965013700298", "n": "ESIDREX 25MG TABLETS 20S", "r": "220165269"}, {"b": "3582910062400", "n": "ESSENTIALE FORTE 300MG CAP 50S", "r": "220227458"}, {"b": "6297000471266", "n": "ESSENTIALS SUGAR MAPLE  BILBERRY NIGHT CREAM 50ML", "r": "220067051"}, {"b": "6297000471242", "n": "ESSENTIALS SPF30 SUN SCREEN LTN 120ML", "r": "220072145"}, {"b": "6297000471525", "n": "ESSENTIALS SLIMMING GEL 200ML", "r": "220065953"}, {"b": "6297000471211", "n": "ESSENTIALS SKIN PROTECTHEALING CRM 50GM", "r": "220077898"}, {"b": "6297000471174", "n": "ESSENTIALS SHEA  HONEY MOIST BODY LTN 120ML", "r": "220067970"}, {"b": "6297000471150", "n": "ESSENTIALS PAPAYA FRUITHONEY FACE MASK 50G", "r": "220086462"}, {"b": "6297000471297", "n": "ESSENTIALS NUTMEG  SUNFLOWER 24 HOUR CREAM 50ML", "r": "220059731"}, {"b": "6297000471082", "n": "ESSENTIALS NEEMHYSSOP FACE WASH 120ML", "r": "220060661"}, {"b": "6297000471143", "n": "ESSENTIALS NEEM  ROSEMARY ABLEMISH CRM 30G", "r": "220079064"}, {"b": "6297000471099", "n": "ESSENTIALS NEEM  PEPPERMINT OIL PURIFY TONR 120ML", "r": "220081538"}, {"b": "6297000471556", "n": "ESSENTIALS MIRACLE CLEANSER WVITE 100ML", "r": "220061433"}, {"b": "6297000471167", "n": "ESSENTIALS HONEY  WALNUT FACE SCRB 50G", "r": "220075068"}, {"b": "6297000471549", "n": "ESSENTIALS HIMALAYAN INSPIRED MICELLAR WTR 200ML", "r": "220065585"}, {"b": "6297000471709", "n": "ESSENTIALS HENNA LIQUORICE SHAMP 220ML", "r": "220087534"}, {"b": "6297000471808", "n": "ESSENTIALS HENNA LIQUORI INTENS H 220ML", "r": "220058795"}, {"b": "6297000471075", "n": "ESSENTIALS FAC WASH LILYGING 150ML", "r": "220089798"}, {"b": "6297000471259", "n": "ESSENTIALS DAY DFN CRM WHT GRM OIL SHEA BTR 50ML", "r": "220075057"}, {"b": "6297000471044", "n": "ESSENTIALS CUCUMROSE WATER SKIN TNR 120ML", "r": "220059891"}, {"b": "6297000471198", "n": "ESSENTIALS BROAD SPECT SUN OIL SPF50", "r": "220162560"}, {"b": "6297000471235", "n": "ESSENTIALS BROAD SPECT SUN OIL SPF30 120ML", "r": "220155911"}, {"b": "6297000471280", "n": "ESSENTIALS ALOE VERA UNDER EYE GEL 30ML", "r": "220069499"}, {"b": "6297000471730", "n": "ESSENTIALS ALOE VERA SHAMPOO 220ML", "r": "220219720"}, {"b": "6297000471587", "n": "ESSENTIALS ALOE VERA  ALMOND CLNS MILK 120ML", "r": "220066957"}, {"b": "6297000471273", "n": "ESSENTIALS ALOE FRMNG EYE GEL HYALURONATE 30ML", "r": "220165436"}, {"b": "6297000471136", "n": "ESSENTIALS ALOE  PEPPERMINT OIL HYDRA 5 GEL 50ML", "r": "220231538"}, {"b": "6297000471341", "n": "ESSENTIALS ALOE  LIQUORICE ROOT BRIGHT CREAM 50GM", "r": "220076418"}, {"b": "6297000471068", "n": "ESSENTIALS ALOE  APRCT OIL NRSH CRM 50ML", "r": "220075749"}, {"b": "3461022002064", "n": "ESTHE EXCELLAGE SERUM 30ML", "r": "220220034"}, {"b": "3461022002019", "n": "ESTHE EXCELLAGE EYE CONTOUR 15ML", "r": "220219778"}, {"b": "3461022002026", "n": "ESTHE EXCELLAGE CREAM 50ML", "r": "220228697"}, {"b": "3461020014083", "n": "EDR INTENSIVE SPIRULINE SERUM 30ML", "r": "220197272"}, {"b": "3461020014090", "n": "EDR INTENSIVE SPIRULINE CREAM 50ML", "r": "220200029"}, {"b": "3461020014069", "n": "EDR INTENSIVE PROPOLIS LOTION 200ML", "r": "220196955"}, {"b": "3461020007696", "n": "ESTHE WHITE DARK SPOTS CONCENTRATE SERUM 9ML", "r": "220225558"}, {"b": "3461020011457", "n": "ESTHE WHITE BRIGHTENING YOUTH EYE CARE 15ML", "r": "220231654"}, {"b": "3461020012690", "n": "ESTHE WHITE BRIGHTENING CLEANSING FOAM 150ML", "r": "220219315"}, {"b": "3461020007757", "n": "ESTHE WHITE BRIGHTENING CALMING LOTION 200ML", "r": "220235228"}, {"b": "3461020010368", "n": "ESTHE WHITE BRIGHT YOUTH REGEN NIGHT CARE 50ML", "r": "220226816"}, {"b": "3461020008662", "n": "ESTHE SENSI CALMING BIOMIMETIC CREAM 50ML", "r": "220231563"}, {"b": "3461020012423", "n": "ESTHE PHOTO REVERSE ANTIDARK SPOTS 50ML", "r": "220232630"}, {"b": "3461020008082", "n": "ESTHE OSMOCLEAN LIGHTENING BUFFING MASK 75ML", "r": "220226502"}, {"b": "3461020013192", "n": "ESTHE OSMOCLEAN HIGH TOL MAKEUP REMOVER 125ML", "r": "220236545"}, {"b": "3461020013550", "n": "ESTHE OSMOCLEAN DEEP PORE CLEANSER 75ML", "r": "220226848"}, {"b": "3461020007962", "n": "ESTHE OSMOCLEAN CLEANSING GEL 150ML", "r": "220235003"}, {"b": "3461020011181", "n": "ESTHE OSMOCLEAN CALMING LOTION 200ML", "r": "220230551"}, {"b": "3461020014236", "n": "ESTHE MORPHO FITNESS SLIMMING SERUM 100ML", "r": "220221040"}, {"b": "3461020012188", "n": "ESTHE LIFT  REPAIR TIGHTHENING SERUM 30ML", "r": "220225403"}, {"b": "3461020012164", "n": "ESTHE LIFT  REPAIR SMOOTHING CREAM 50ML", "r": "220220690"}, {"b": "3461020012591", "n": "ESTHE LIFT  REPAIR INSTANT REPULP MASK 50ML", "r": "220232444"}, {"b": "3461020013024", "n": "ESTHE LIFT  REPAIR EYE CONTOUR PATCH 10X3ML", "r": "220225174"}, {"b": "3461020014526", "n": "ESTHE LIFT  REPAIR EYE CONTOUR CARE 15ML", "r": "220235574"}, {"b": "3461020014113", "n": "ESTHE INTENSIVE RETINOL SERUM 15ML", "r": "220230435"}, {"b": "3461020014120", "n": "ESTHE INTENSIVE RETINOL CREAM 50ML", "r": "220217869"}, {"b": "3461020014045", "n": "ESTHE INTENSIVE PROPOLIS SERUM 30ML", "r": "220222930"}, {"b": "3461020014052", "n": "ESTHE INTENSIVE PROPOLIS CREAM 30ML", "r": "220217615"}, {"b": "3461020014014", "n": "ESTHE INTENSIVE HYALURONIC SERUM 30ML", "r": "220233102"}, {"b": "3461022002118", "n": "ESTHE INTENSIVE HYALURONIC EYE SERUM 15ML", "r": "220220704"}, {"b": "3461020014021", "n": "ESTHE INTENSIVE HYALURONIC CREAM 50ML", "r": "220234501"}, {"b": "3461020014144", "n": "ESTHE INTENSIVE AHA PEEL GENTLE SERUM 30ML", "r": "220226167"}, {"b": "3461020014137", "n": "ESTHE INTENSIVE AHA PEEL CONC SERUM 30ML", "r": "220228457"}, {"b": "3461020013611", "n": "ESTHE INCELLIUM CITY SPRAY 100ML", "r": "220226232"}, {"b": "3461020011563", "n": "ESTHE EVE TISSUE RENEWAL SERUM 30ML", "r": "220232467"}, {"b": "3461022003078", "n": "ESTHE EAU CELLULAIRE MOISTURIZING GEL 50ML", "r": "220230212"}, {"b": "3461022003085", "n": "ESTHE EAU CELLULAIRE MOISTURIZING CREAM 50ML", "r": "220228557"}, {"b": "3461022003047", "n": "ESTHE EAU CELLULAIRE HYDRA BOOSTER 100ML", "r": "220230471"}, {"b": "3461020014243", "n": "ESTHE ABSOLUTE FIRMING CONTOURING CARE 200ML", "r": "220219981"}, {"b": "3461020012294", "n": "EDR NO SUN ULTRA HIGH PROTECTION 50ML", "r": "220167998"}, {"b": "3461020014106", "n": "EDR INTENSIF VITAMINE C CRM 50ML", "r": "220164915"}, {"b": "3461020100020", "n": "EDR PHOTOREVERSE BOGOF", "r": "220197816"}, {"b": "3461020100328", "n": "EDR HYLRN SRMEYE CNTRJD ROLL PROMO PK", "r": "220213680"}, {"b": "34610020100306", "n": "EDR EVEPROMO BOX", "r": "220203917"}, {"b": "3461022003021", "n": "EDR CELLULAR WATER SPR 100ML  30ML OFFER PACK", "r": "220210859"}, {"b": "3461020007764", "n": "ESTHEDERM WHITE CLEANS MOUSSE 150ML", "r": "220224009"}, {"b": "3461020100199", "n": "ESTHEDERM LIP  RPR BOX SRMPATCHCUPS", "r": "220229636"}, {"b": "3461020012942", "n": "ESTHE WHITE BRIGHTENING MOIST DAY CARE 50ML", "r": "220224244"}, {"b": "3461020012430", "n": "ESTHE SUN INTOLERANCE PROTECTIVE CARE 50ML", "r": "220231781"}, {"b": "3461020011310", "n": "ESTHE SENSI SYSTEM CALMING EYE CONTOUR 15ML", "r": "220235638"}, {"b": "3461020011815", "n": "ESTHE RADIANCE DETOX ILLUMINATE CARE 50ML", "r": "220231343"}, {"b": "3461020013642", "n": "ESTHE PURE PORE REFINER CONCENTRATE 50ML", "r": "220226733"}, {"b": "3461020008211", "n": "ESTHE PURE CONTROL CARE CREAM 50ML", "r": "220226197"}, {"b": "3461020013574", "n": "ESTHE OSMOCLEAN REPLINISH CLEANSING MILK 200ML", "r": "220226115"}, {"b": "3461020010962", "n": "ESTHE OSMOCLEAN CALMING CLEANSING MILK 200ML", "r": "220232463"}, {"b": "3461020009775", "n": "ESTHE INTENSIF VITAMIN C SERUM 4GMS", "r": "220228485"}, {"b": "3461020013659", "n": "ESTHE DERM REPAIR RESTRUCTING SERUM 30ML", "r": "220226422"}, {"b": "3461020012720", "n": "ESTHE CYCLO SYSTEM YOUTH CREAM 50ML", "r": "220219090"}, {"b": "3461020008167", "n": "ESTHE CONCENTRATE FUNDAMENTAL SERUM 30ML", "r": "220224060"}, {"b": "3461020007719", "n": "ESTHE CLARITY WHITENING REPAIR DAY CARE 50ML", "r": "220230243"}, {"b": "3461020007702", "n": "ESTHE CLARITY BRIGHT REPAIR NIGHT CREAM 50ML", "r": "220224450"}, {"b": "3461020013086", "n": "ESTHE ACTIVE REPAIR WRINKLE CORRECT CREAM 50ML", "r": "220220415"}, {"b": "3461020012898", "n": "ESTHE ACTIVE REPAIR EYE CONTOUR CARE 15ML", "r": "220218721"}, {"b": "3461020011303", "n": "EDR WHITENING REPAIR EYE CONTOUR 15ML", "r": "220155338"}, {"b": "3461020011495", "n": "EDR INTENSIF VIT A SERUM BOTTLE 15 ML", "r": "220166166"}, {"b": "3461020012270", "n": "EDR BRONZ REPAIR EXTREM SUN 50ML", "r": "220163800"}, {"b": "3461026073787", "n": "EDR EXELLAGE HAND CREAM 50ML", "r": "220208796"}, {"b": "9650364003691", "n": "ETOFLAM 90MG 28TABS", "r": "220210563"}, {"b": "9120005559974", "n": "EUCARBON TABLETS 100S", "r": "220225750"}, {"b": "9120005550407", "n": "EUCARBON TABLETS 30S", "r": "220232045"}, {"b": "4005800238963", "n": "EUCERIN SUN FLUID PIGMENT CONTROL SPF50 50ML", "r": "220216795"}, {"b": "4005900542724", "n": "EUCERIN HYALURONFILLER NIGHT PEELING  SERUM 30ML", "r": "220227695"}, {"b": "6001051003549", "n": "EUCERIN EVEN PIGMENT PRFCTR CRM SPF30 50ML", "r": "220233875"}, {"b": "6001051003563", "n": "EUCERIN EVEN PIGMENT DUAL SERUM MONO CHAMBER 30ML", "r": "220230354"}, {"b": "8850029031194", "n": "EUCERIN EVEN PIGMENT CLNSG FOAM 160ML", "r": "220225408"}, {"b": "6001051003556", "n": "EUCERIN EVEN PIG PRFCTOR NGHT CRM 50ML", "r": "220221381"}, {"b": "4005900590367", "n": "EUCERIN AA HYALURON FILLR VIT C BOOSTER 8ML", "r": "220234645"}, {"b": "4005900590374", "n": "EUCERIN AA HYALURON FILLR VIT C BOOSTER 3VIALS 8ML", "r": "220231673"}, {"b": "4005800258404", "n": "EUCERIN HYALURONFILLER MOISTURE BOOSTER 30ML", "r": "220219327"}, {"b": "4005900728562", "n": "EUCERIN HYALURON FILLER FACIAL MIST 150ML", "r": "220219853"}, {"b": "4005900573940", "n": "EUCERIN AQUAPHOR SOOTHING SKIN BALM 110ML", "r": "220226401"}, {"b": "4005900770042", "n": "EUCERIN AQUAPHOR BODY SPRAY BALM 250ML", "r": "220222449"}, {"b": "4005900836519", "n": "EUCERIN EVEN PIGMENT HAND CREAM 75ML", "r": "220217612"}, {"b": "4005800270895", "n": "EUCERIN DERMATOCLEAN HYALURON MICELLAR FOAM 150ML", "r": "220232270"}, {"b": "4005800268748", "n": "EUCERIN AQUAPHOR REPAIRING LIP BALM SOS 10ML", "r": "220228215"}, {"b": "4005900911711", "n": "EUCERIN SUN Pigment Control Gel-Cream Tinted CC Medium SPF50+ 50ml", "r": "129807205"}, {"b": "4005900836793", "n": "EUCERIN SUN Oil Control Gel-Cream Tinted CC Medium SPF50+ 50ml", "r": "129807157"}, {"b": "4005900871237", "n": "EUCERIN DERMOPURIFYER SERUM 40ML", "r": "220238100"}, {"b": "4005800295485", "n": "EUCERIN DERMOPURIFYER FLUID SPF30 50ML", "r": "220239417"}, {"b": "4005900836762", "n": "EUCERIN 10 UREA REPAIR PLUS FOOT FOAM 150ML", "r": "220239333"}, {"b": "4005800019487", "n": "EUCERINE PH5 PROTECTION BODY LOTION 400ML", "r": "220223856"}, {"b": "4005800053061", "n": "EUCERIN VOLUMEFILLER ANTIAGE NIGHT CREAM 50ML", "r": "220231777"}, {"b": "4005800164477", "n": "EUCERIN UREA REPAIR PLUS 5 UREA WASH FLUID 400ML", "r": "220222895"}, {"b": "4005800168642", "n": "EUCERIN UREA INTENSIVE HAND CREAM 5 75ML", "r": "220221800"}, {"b": "8850029013671", "n": "EUCERIN SUN GEL CREM OIL CONTRL DRY TCH SPF50 50ML", "r": "220225658"}, {"b": "4005800147326", "n": "EUCERIN SUN FLUID PHOTOAGING CONTROL SPF50 50ML", "r": "220233605"}, {"b": "6085011013335", "n": "EUCERIN SUN FLUID MATFY SPF50 11", "r": "220165254"}, {"b": "6085011013359", "n": "EUCERIN SUN CRME SPF50 50ML", "r": "220170805"}, {"b": "4005900485557", "n": "EUCERIN SUN CREAM TINTED MEDIUM SPF50 50ML", "r": "220228022"}, {"b": "4005800019531", "n": "EUCERIN PH5 SHOWER OIL 400ML", "r": "220228102"}, {"b": "4005800631702", "n": "EUCERIN LIP ACTIVE ACTIVE LIPS CARE SPF15 48G", "r": "220222968"}, {"b": "4005800024733", "n": "EUCERIN INTIM PROTECT CLENSNG LOTION 250ML", "r": "220215962"}, {"b": "4005800036101", "n": "EUCERIN INTENSIVE 10 UREA FOOT CREAM 100ML", "r": "220232957"}, {"b": "4005900492944", "n": "EUCERIN HYALURONFILLER VOLUMELIFT EYE CREAM SPF15 15 ML", "r": "220224298"}, {"b": "4005800025358", "n": "EUCERIN HYALURONFILLER DAY CREAM 50ML", "r": "220234614"}, {"b": "4005800161421", "n": "EUCERIN HYALURON FILLERELASTICITY DAY 50ML", "r": "220220752"}, {"b": "4005800025365", "n": "EUCERIN HYALURON FILLER NIGHT CREAM 50ML", "r": "220218644"}, {"b": "4005800045578", "n": "EUCERIN HYALURON FILLER EYE CRM  SPF15 15ML", "r": "220235946"}, {"b": "4005800630446", "n": "EUCERIN EVEN PIGMENT WHITENING BODY LOTION 250ML", "r": "220231871"}, {"b": "4005800182006", "n": "EUCERIN DERMPUR FACE ADJUCTIVE SMOOTHING CREAM 50ML", "r": "220232059"}, {"b": "4005800181986", "n": "EUCERIN DERMOPURIFYER SKIN RENEWAL TREATMENT 40ML", "r": "220221016"}, {"b": "4005800182044", "n": "EUCERIN DERMOPURIFYER OIL CONTROL SCRUB 100ML", "r": "220222206"}, {"b": "4005800181757", "n": "EUCERIN DERMOPURIFYER OIL CONTROL CLEANSING GEL 200ML", "r": "220234949"}, {"b": "4005800182037", "n": "EUCERIN DERMOPURIFYER MATTIFYING FLUID 50ML", "r": "220226993"}, {"b": "4005800182020", "n": "EUCERIN DERMOPURIFYER FACE TONER 200ML", "r": "220233898"}, {"b": "4005808951222", "n": "EUCERIN DERMATOCLEAN HYALURON MICELLAR WATER 200ML", "r": "220235323"}, {"b": "4005800078002", "n": "EUCERIN ATOPICONTROL INTENSIVE CALMING CREAM 40ML", "r": "220231465"}, {"b": "4005800127625", "n": "EUCERIN AQUAPORIN DRY SKIN CREAM 50ML", "r": "220234162"}, {"b": "4005800128561", "n": "EUCERIN AQUAPORIN ACTV REVITALISING EYE CREAM 15ML", "r": "220228999"}, {"b": "4005800127632", "n": "EUCERIN AQUAPORIN ACTIVE SPF25 UVA 50ML", "r": "220233309"}, {"b": "4005800127618", "n": "EUCERIN AQUAPORIN ACTIVE HYDRATION FACE CREAM 50ML", "r": "220235393"}, {"b": "4005900572677", "n": "EUCERIN AQUAPHOR SOOTHING SKIN BALM 45G", "r": "220218451"}, {"b": "4005800028229", "n": "EUCERIN ANTI PERSPIRANT DEO 48H ROLL ON 50ML", "r": "220224979"}, {"b": "6001051001613", "n": "EUCERIN 5UREA COMPLETE REPAIR LTN 250ML", "r": "220216313"}, {"b": "4005800036149", "n": "EUCERIN 5 UREA FACE CREAM 50ML", "r": "220224264"}, {"b": "6001051001606", "n": "EUCERIN 10 UREA BODY LOTION 250ML", "r": "220224514"}, {"b": "4005808338573", "n": "EUCERIN VOLUME FILLER OILYCOMBINATION 50ML", "r": "220219054"}, {"b": "4005800005640", "n": "EUCERIN SUNCARE TRANS SPRY SPF50 200ML", "r": "220223416"}, {"b": "4005800631788", "n": "EUCERIN STRETCH MARKS CARE OIL 125ML", "r": "220224310"}, {"b": "9650364003530", "n": "EUCERIN POUCH GWP", "r": "220196854"}, {"b": "4005800019524", "n": "EUCERIN PH5 WASHING GEL 400ML", "r": "220227176"}, {"b": "4005800033094", "n": "EUCERIN KIDS SUN SPRY SPF50 200ML", "r": "220223495"}, {"b": "4005800027840", "n": "EUCERIN KIDS SUN LOTION SPF50 150ML", "r": "220225661"}, {"b": "4005800036590", "n": "EUCERIN ITCH RELIEF TREATMENT 100ML", "r": "220225770"}, {"b": "4005800014499", "n": "EUCERIN HYALURONFILLER DAY SPF15 50ML", "r": "220221451"}, {"b": "4005800077296", "n": "EUCERIN HYALURONFILLER CONCENTRATE 30ML", "r": "220169168"}, {"b": "4005800143267", "n": "EUCERIN HYALURONFILLER CC CREAM MEDIUM 50ML", "r": "220232555"}, {"b": "4005800143946", "n": "EUCERIN HYALURONFILLER CC CREAM LIGHT 50ML", "r": "220236590"}, {"b": "4005800161445", "n": "EUCERIN HYALURON FILLERELASTICITY NIGHT CREAM 50ML", "r": "220233012"}, {"b": "4005800160745", "n": "EUCERIN HYALURON FILLER ELASTICITY FACIAL OIL 30ML", "r": "220224381"}, {"b": "6001051003518", "n": "EUCERIN EVEN PIGMENT PRFCTR SPOT CRCTR 5ML", "r": "220232478"}, {"b": "4005800049620", "n": "EUCERIN EVEN BRIGHTER MOISTURISER NIGHT CREAM 50ML", "r": "220236422"}, {"b": "4005800029875", "n": "EUCERIN EVEN BRIGHTER DAY CREAM 50ML", "r": "220224002"}, {"b": "4005800030864", "n": "EUCERIN EVEN BRIGHTER CONCENTRATE 6 X 5ML", "r": "220223787"}, {"b": "4005800264856", "n": "EUCERIN DRY TUCH BODY GELCREAM SPF50 200ML", "r": "220227350"}, {"b": "4005800064906", "n": "EUCERIN DERMO DENSIFYER EYE CREAM 15ML", "r": "220224855"}, {"b": "6001051002283", "n": "EUCERIN DERM PURIF OIL CNTRL CLEANS GEL 400ML", "r": "220163954"}, {"b": "4005800036576", "n": "EUCERIN DC DRY AND ITCH RELIEF UREA SHAMPOO 250ML", "r": "220235143"}, {"b": "4005800036958", "n": "EUCERIN DC ANTI DANDRUFF SHAMPOO 250ML", "r": "220233073"}, {"b": "4005800169694", "n": "EUCERIN ATOPICONTROL HAND CREAM 75ML", "r": "220224341"}, {"b": "4005800034176", "n": "EUCERIN ATOPICONTROL BODY CARE LOTION 250ML", "r": "220235215"}, {"b": "4005800077777", "n": "EUCERIN ATOPICONTROL BATHSHOWER OIL 400ML", "r": "220222656"}, {"b": "4005800019272", "n": "EUCERIN AQUAPORIN RICHREFRESHING BODYMILK 400ML", "r": "220217113"}, {"b": "4005900573971", "n": "EUCERIN AQUAPHOR SOOTHNG SKIN BALM 449ML", "r": "220228691"}, {"b": "4005800053016", "n": "EUCERIN ANTIAGE VOLUMEFILLER DAY CREAM 50ML", "r": "220218902"}, {"b": "6085011013380", "n": "EUCERIN ANTIAGE KIT WRINKLE FILINGVOL LIFT", "r": "220162960"}, {"b": "6085011013366", "n": "EUCERIN ANTIAGE KIT WRINKLE FILING", "r": "220165129"}, {"b": "4005800028335", "n": "EUCERIN ANTI PERSPIRANT PUMP DEO SPRAY 30ML", "r": "220224909"}, {"b": "4005800039058", "n": "EUCERIN ANTI DANDRUFF TREATMENT 100ML", "r": "220223081"}, {"b": "4005800034596", "n": "EUCERIN 5 UREA NETTOYANT CLEANSING GEL 200ML", "r": "220226901"}, {"b": "4005800059759", "n": "EUCERIN DERMO PURIFIER TONER 200ML", "r": "220225757"}, {"b": "4005800633287", "n": "EUCERIN 10 UREA BODY LOTION", "r": "220156972"}, {"b": "8023496011369", "n": "EUFOL PLUS MULTI VIT WITH IRON 30TABS", "r": "220230504"}, {"b": "965027400005", "n": "EUPHORBIUM COMP NASAL SPRAY 20ML", "r": "220165583"}, {"b": "6291105890465", "n": "EURO GLOVES VINYL POWDERED 100S", "r": "220190749"}, {"b": "625720617637", "n": "EURO D COLCHICINE 06MG 100TABS", "r": "220208075"}, {"b": "625720617705", "n": "EURO D 50000IU 15CAPS", "r": "220208617"}, {"b": "625720616234", "n": "EURO D 10000", "r": "220154831"}, {"b": "625720616241", "n": "EURO D FORTE 50000 IU 100 CAPS", "r": "220165051"}, {"b": "3705421010009", "n": "EUTHYROX 150 MCG TAB 100S", "r": "220228472"}, {"b": "9650160002294", "n": "EUTHYROX TAB 100MG 100S", "r": "220167653"}, {"b": "9650160002287", "n": "EUTHYROX TAB 50MG 100S", "r": "220156798"}, {"b": "3705421030007", "n": "EUTHYROX 25 MCG TAB 100S", "r": "220220000"}, {"b": "6223001382683", "n": "EVA KERATIN UV PROTECTIVE SERUM 100ML", "r": "220231236"}, {"b": "6223001382348", "n": "EVA KERATIN REVITALIZING SHAMPOO 230 ML", "r": "220230092"}, {"b": "6223001382836", "n": "EVA KERATIN LEAVEIN HAIR CREAM 200ML", "r": "220235625"}, {"b": "6223001382379", "n": "EVA KERATIN CONDITIONER 230 ML", "r": "220225274"}, {"b": "6223007350860", "n": "LIMITLESS LACTOFERRIN 100 MG 30 SACHETS", "r": "220229263"}, {"b": "6223007351362", "n": "LIMITLESS C ZINC PLUS 20 TAB", "r": "220224087"}, {"b": "6223007351447", "n": "LIMITLESS MANMAX MULTIVITAMIN 30 TAB", "r": "220221963"}, {"b": "6223007351485", "n": "LIMITLESS WOMANMAX MULTIVITAMIN 30 TAB", "r": "220233406"}, {"b": "6223004517761", "n": "LIMITLESS ZINC 25MG 30 TAB", "r": "220215818"}, {"b": "6223007350679", "n": "HAIRTONE 60 CAP", "r": "220215855"}, {"b": "6223004511080", "n": "EVA GENUPHIL JOINT SUPPLMENTS 60S", "r": "220225555"}, {"b": "6223002457052", "n": "EVA CHROMAX CAP 60S", "r": "220159558"}, {"b": "6223004511189", "n": "EVA PHARMA THIOTACID PLUS 300MG 60S", "r": "220158632"}, {"b": "6223002457311", "n": "EVA CARNIVITA FORTE TAB 30S", "r": "220156477"}, {"b": "6223002457137", "n": "EVA PROSTANORM CAP 20S", "r": "220162553"}, {"b": "6223002450176", "n": "LIMITLESS CZINC ORIGINAL LOZ 30S", "r": "220233789"}, {"b": "3760031691079", "n": "EVAUX EVONAIL REPAIRING NAIL CRM 15ML", "r": "220059879"}, {"b": "3760031691086", "n": "EVAUX EVONAIL CLEANSER", "r": "220077599"}, {"b": "3760031691147", "n": "EVAUX SOURCH EUA THERMALE 200ML", "r": "220174829"}, {"b": "3760031691185", "n": "EVAUX LEGS  FEET CRM GEL 250ML", "r": "220174234"}, {"b": "3760031691055", "n": "EVAUX EVOSKIN REPAIR SOOTHING CREAM GEL 150ML", "r": "220080044"}, {"b": "3760031691048", "n": "EVAUX EVOSKIN REPAIR CREME 50ML", "r": "220062677"}, {"b": "3760031691024", "n": "EVAUX EVOSKIN MOISTURISING FACE CRM 25ML", "r": "220070657"}, {"b": "3760031691000", "n": "EVAUX EVOSKIN DS SEBUM REGULTION CRM 50ML", "r": "220072121"}, {"b": "3760031691017", "n": "EVAUX EVOSKIN ANTIAGE WRINKLE CRM 50ML", "r": "220062672"}, {"b": "3760031691093", "n": "EVAUX EVOGYN INTIMATE MOISTURISING GEL 50ML", "r": "220061961"}, {"b": "4719872950202", "n": "EVELINE SMART OVULATION TEST 10S", "r": "220076528"}, {"b": "653341212641", "n": "EVERZEN CAPS 30S", "r": "220066807"}, {"b": "3068320014067", "n": "EVIAN REBIRTH 750ML", "r": "220070675"}, {"b": "3068320114767", "n": "EVIAN KIDS WATER 330ML", "r": "220220009"}, {"b": "3068320109596", "n": "EVIAN ESSENCE WATER 500ML", "r": "220228833"}, {"b": "3068320109657", "n": "EVIAN ESSENCE WATER 330ML", "r": "220222347"}, {"b": "79298300086", "n": "EVIAN BRUMISATEUR 50ML", "r": "220099342"}, {"b": "79298300024", "n": "EVIAN BRUMISATEUR 150ML", "r": "220083202"}, {"b": "3068320117133", "n": "EVIAN TOTEM KIDS BOTTLE 310ML", "r": "220078483"}, {"b": "3068320055008", "n": "EVIAN MINERAL WATER 05LT", "r": "220073078"}, {"b": "9650160002607", "n": "EVRA SACHETS 3S", "r": "220157763"}, {"b": "7612076600638", "n": "EXCIPIAL MOISTURIZING PRURI LOTION 200ML", "r": "220216612"}, {"b": "7612076600645", "n": "EXCIPIAL MOISTURIZING U10 LIPOLOTION 200ML", "r": "220232942"}, {"b": "3499320008075", "n": "EXCIPIAL MOISTURIZING U10 CREAN 100GM", "r": "220216664"}, {"b": "7612076600652", "n": "EXCIPIAL MOISTURIZING U10 LIPOLOTION 500ML", "r": "220229411"}, {"b": "3499320008099", "n": "EXCIPIAL HYDRO LOTION 200ML", "r": "220216590"}, {"b": "3499320008082", "n": "EXCIPIAL HYDRO CREAM 60GM", "r": "220222103"}, {"b": "9650137006355", "n": "NAVELA 15MG TAB 1S", "r": "220164229"}, {"b": "3401547779324", "n": "NOREVA EXFOLIAC FOAMING GEL 200ML", "r": "220230309"}, {"b": "9650137005822", "n": "EXFORGE HCT FCT 10160125 MG", "r": "220169012"}, {"b": "9650137005853", "n": "EXFORGE HCT FCT 5160125 MG", "r": "220156321"}, {"b": "9650137005655", "n": "EXFORGE TAB 10160MG 28S", "r": "220169313"}, {"b": "9650137005662", "n": "EXFORGE TAB 5160MG 28S", "r": "220160970"}, {"b": "3760035682066", "n": "EXO KERATIN SPRAY MASK", "r": "220110345"}, {"b": "3770002119358", "n": "EXO KERATIN SHAMPOOING ANTI FRIZZ", "r": "220054223"}, {"b": "3700795203163", "n": "EXO KERATIN LISSAGE BRESILIENKIT", "r": "220073205"}, {"b": "3770002119365", "n": "EXO KERATIN CONDITIONER ANTI FRIZZ", "r": "220081007"}, {"b": "9650364003509", "n": "EC SURGICAL FACE MASK 50S", "r": "220194850"}, {"b": "5011522099743", "n": "V EYLURE VOLUME STARTER KIT NO101", "r": "220078508"}, {"b": "5011522002378", "n": "V EYLURE LASHES VOLUME PLUS STRIP 100", "r": "220085675"}, {"b": "5011522002880", "n": "V EYLURE LASHES GLAMOUR STRIP 107", "r": "220086444"}, {"b": "5011522054094", "n": "V EYLURE LASHES GIRLS ALOUD KIMBERLEY", "r": "220068538"}, {"b": "5011522054070", "n": "V EYLURE LASHES GIRLS ALOUD CHERYL", "r": "220085206"}, {"b": "627843801269", "n": "OVER EZ NATURAL DETOX 1CAP", "r": "220196800"}, {"b": "628250169010", "n": "FUEL EZ FUEL FOR LIFE 1CAP", "r": "220197129"}, {"b": "6285095009266", "n": "EZ CARE OILY SKIN CLEANSER 220ML", "r": "220231214"}, {"b": "6285095009259", "n": "EZ CARE OILY SKIN CLEANSER 110ML", "r": "220236167"}, {"b": "6285095009297", "n": "EZ CARE MOISTURUZING LOTION 500ML", "r": "220221082"}, {"b": "6285095009280", "n": "EZ CARE MOISTURUZING LOTION 220ML", "r": "220231741"}, {"b": "6285095009273", "n": "EZ CARE MOISTURIZING LOTION 110ML", "r": "220227725"}, {"b": "6285095009242", "n": "EZ CARE GENTLE SKIN CLEANSER 220ML", "r": "220235123"}, {"b": "6285095009235", "n": "EZ CARE GENTLE SKIN CLEANSER 110ML", "r": "220227055"}, {"b": "965013700308", "n": "EZETROL 10MG TABLETS 28S", "r": "220159564"}, {"b": "6285147001101", "n": "V EZIPAN SYRUP 100ML", "r": "220198707"}, {"b": "25715671130", "n": "EZYDOSE NASAL ASPIRATOR", "r": "220226147"}, {"b": "86875114035", "n": "EZYCARE PLUS COMFORT SLEEP MASK", "r": "220162835"}, {"b": "25715688404", "n": "EZY DOSE TRAVEL WRIST BAND", "r": "220228665"}, {"b": "86875114059", "n": "EZYCARE PLUS FINGER COTS 12S", "r": "220162722"}, {"b": "86875177559", "n": "EZYCARE PKT SIZE TABLET CUTTER", "r": "220153168"}, {"b": "25715673752", "n": "EZY DOSE 7 DAY AMPM REMINDER", "r": "220161074"}, {"b": "25715670072", "n": "EZY DOSE 10ML ORAL SYRINGE", "r": "220231807"}, {"b": "25715670065", "n": "EZY DOSE 7 DAY CLASSIC PILL REMINDER LARGE", "r": "220228000"}, {"b": "86875187053", "n": "EZYCARE CLASSIC CONTACT LENS CASE", "r": "220159578"}, {"b": "25715671505", "n": "EZY DOSE VITAMIN ORGANIZER", "r": "220155062"}, {"b": "25715670157", "n": "EZY DOSE ORIGINAL TABLET CUTTER", "r": "220220651"}, {"b": "25715672816", "n": "EZY DOSE MEDICINE SPOONDROPPER", "r": "220223671"}, {"b": "25715671185", "n": "EZY DOSE FEVER READER", "r": "220231824"}, {"b": "25715693491", "n": "EZY DOSE EZY DOSE CALIBRATED GLASS DROPER", "r": "220158771"}, {"b": "25715683522", "n": "EZY DOSE DROP GUIDE  EYE WASH CUP", "r": "220161021"}, {"b": "25715670041", "n": "EZY DOSE 7 DAY CLASSIC PILL REMINDER SMALL", "r": "220165943"}, {"b": "5060775500018", "n": "FAACE TIRED MASK 100 ML", "r": "220211291"}, {"b": "5060775500025", "n": "FAACE SWEATY MASK 100ML", "r": "220211594"}, {"b": "5060775500001", "n": "FAACE PERIOD MASK 100 ML", "r": "220211287"}, {"b": "5031413915341", "n": "THE HAND BRAND NAIL VARNISH REMOVER SPONGE POT", "r": "129866913"}, {"b": "5031413914641", "n": "THE HAND BRAND NAIL VARNISH REMOVER PADS WITH ACETONE 20'S", "r": "129861914"}, {"b": "5031413921809", "n": "THE HAND BRAND CUTICLE REVITALIZER PEN W/ MANICURE STICK & NAIL FILE", "r": "129866915"}, {"b": "5031413956825", "n": "THE HAND BRAND 7 WAY NAIL BUFFER", "r": "129866916"}, {"b": "5031413916539", "n": "FACE FACTS WASH OFF MASK  REGENERATING", "r": "220213092"}, {"b": "5031413918533", "n": "FACE FACTS WASH OFF MASK  FIRMING", "r": "220213137"}, {"b": "5031413918502", "n": "FACE FACTS WASH OFF MASK  BRIGHTENING", "r": "220212978"}, {"b": "5031413919554", "n": "FACE FACTS VITAMIN C SHEET MASK", "r": "220213241"}, {"b": "5031413993127", "n": "FACE FACTS SHEET MASK  WRINKLE CARE", "r": "220212908"}, {"b": "5031413914375", "n": "FACE FACTS SHEET MASK  MOISTURISING", "r": "220212769"}, {"b": "5031413993097", "n": "FACE FACTS SHEET MASK  BRIGHTENING", "r": "220212976"}, {"b": "5031413915099", "n": "FACE FACTS SERUMSHEET MASK NUTRIINFUSION", "r": "220212662"}, {"b": "5031413914801", "n": "FACE FACTS SERUM SHEET MASK RADIANCEGLOW", "r": "220213187"}, {"b": "5031413965506", "n": "FACE FACTS PORE STRIPS FOREHEAD AND CHIN", "r": "129866919"}, {"b": "5031413914139", "n": "FACE FACTS NOSE PORE STRIPS OIL CONTROL WITH GREEN TEA", "r": "129866924"}, {"b": "5031413965476", "n": "FACE FACTS NOSE PORE STRIPS  TEA TREE", "r": "220212772"}, {"b": "5031413972313", "n": "FACE FACTS NOSE PORE STRIPS  CHARCOAL", "r": "220212954"}, {"b": "5031413919899", "n": "FACE FACTS MUD MASK  SEAWEED", "r": "220213274"}, {"b": "5031413919974", "n": "FACE FACTS MUD MASK  CUCUMBER", "r": "220213101"}, {"b": "5031413913019", "n": "FACE FACTS HYDRATING NIGHT CREAM", "r": "129861918"}, {"b": "5031413914276", "n": "FACE FACTS HYDRATING MUD MASK", "r": "220213078"}, {"b": "5031413913040", "n": "FACE FACTS HYDRATING EYE CREAM", "r": "129861915"}, {"b": "5031413912982", "n": "FACE FACTS HYDRATING DAY CREAM", "r": "129866918"}, {"b": "5031413982138", "n": "FACE FACTS GEL EYE PATCHSOOTHE PUFFYEYES", "r": "220213234"}, {"b": "5031413982169", "n": "FACE FACTS GEL EYE PATCHES DARK CIRCLES", "r": "220213081"}, {"b": "5031413914436", "n": "FACE FACTS GEL EYE PATCHES BRIGHTENING", "r": "220212939"}, {"b": "5031413982190", "n": "FACE FACTS GEL EYE PATCHES", "r": "129861925"}, {"b": "5031413922813", "n": "FACE FACTS FACIAL SCRUB  STRAWBERRY", "r": "220213109"}, {"b": "5031413922783", "n": "FACE FACTS FACIAL SCRUB  PEACH", "r": "220213027"}, {"b": "5031413922844", "n": "FACE FACTS FACIAL SCRUB  COCONUT", "r": "220212917"}, {"b": "5031413919820", "n": "FACE FACTS COLLAGEN  Q10 SHEET MASK", "r": "220213240"}, {"b": "5031413913361", "n": "FACE FACTS CLEANSING FACIAL SCRUB", "r": "129866926"}, {"b": "5031413918632", "n": "FACE FACTS CLAY MUD MASK  SOOTHING", "r": "220212624"}, {"b": "5031413918601", "n": "FACE FACTS CLAY MUD MASK  BRIGHTENING", "r": "220212618"}, {"b": "5031413922370", "n": "FACE FACTS BODY SCRUB  SEA SALT", "r": "220212796"}, {"b": "5031413922318", "n": "FACE FACTS BODY SCRUB  COFFEE", "r": "220213052"}, {"b": "5031413914009", "n": "FACE FACTS AGE DEFYING NIGHT CREAM", "r": "129866914"}, {"b": "5031413914061", "n": "FACE FACTS AGE DEFYING FACIAL SCRUB", "r": "129866921"}, {"b": "5031413914030", "n": "FACE FACTS AGE DEFYING EYE CREAM", "r": "129866896"}, {"b": "5031413913972", "n": "FACE FACTS AGE DEFYING DAY CREAM", "r": "129861916"}, {"b": "5031413923261", "n": "FACE FACTS 98 NATURAL BAMBOO SHEETMASK", "r": "220212631"}, {"b": "877917000818", "n": "FW VITAMIN C POWDER", "r": "220090299"}, {"b": "877917005615", "n": "FW SUNSCREEN SPF 50 50ML", "r": "220060056"}, {"b": "877917000092", "n": "FW SILKY GEL WHITENIZER 30ML", "r": "220231358"}, {"b": "3760078080249", "n": "FW SERUM 30 ML", "r": "220082208"}, {"b": "877917000511", "n": "FW POCKET DEO ROLL ON BLUE 50ML", "r": "220228879"}, {"b": "877917005295", "n": "FW ORIG LIGHT SERUM 30ML", "r": "220225648"}, {"b": "3425123645490", "n": "FW MAXI TONE BODY LOTION", "r": "220075589"}, {"b": "877917005608", "n": "FW LIGHTENNING AND PEELING SOAP 200GM", "r": "220228788"}, {"b": "877917005271", "n": "FW EXFOLIATING EXCLUSIVE SOAP 200GM", "r": "220070852"}, {"b": "877917005431", "n": "FW EXFOL CARROT SOAP 200G", "r": "220233325"}, {"b": "877917000214", "n": "FW EXCLUSIVE VIT C SOAP 200GM", "r": "220221799"}, {"b": "877917000344", "n": "FW EXCLUSIVE VIT C SERUM 30ML", "r": "220224694"}, {"b": "877917000474", "n": "FW DERMACNE CRM 30ML", "r": "220235262"}, {"b": "877917000269", "n": "FW DERMA ACNE KIT", "r": "220088916"}, {"b": "877917005493", "n": "FW DARK SPOTS REMOVER SPRAY 30 ML", "r": "220225506"}, {"b": "877917005585", "n": "FW CREAM MILK EXTRM HYDRATION 500ML", "r": "220224190"}, {"b": "877917000733", "n": "FW CLARIFIANCE EXCL WHITE FADE CRM 200ML", "r": "220232032"}, {"b": "877917005462", "n": "FW AHA2 MOIST LIGHTENING LOTION 500ML", "r": "220223664"}, {"b": "877917005288", "n": "FW AHA 2 YELLOW SOAP 200G", "r": "220220535"}, {"b": "3760078080195", "n": "FAIR  WHITE WHITENNING CREAM 50ML", "r": "220227174"}, {"b": "3760078080294", "n": "FAIR  WHITE GEL CREAM BRIGHTENING TREATMENT 30ML", "r": "220227422"}, {"b": "3760078080348", "n": "FAIR  WHITE EXCL VIT C BODY LOTION 500ML", "r": "220228606"}, {"b": "3760078080171", "n": "FAIR  WHITE BODY LOTION 500ML", "r": "220232006"}, {"b": "708002405914", "n": "VFAITH IN NATURE LEMON  TEA TREE SHAMPO 400ML", "r": "220195721"}, {"b": "708002405921", "n": "VFAITH IN NATURE LEMON  TEA TREE COND 400ML", "r": "220194410"}, {"b": "708002400414", "n": "VFAITH IN NATURE LAVENDER  GERANIUM SHAMPO 400ML", "r": "220193962"}, {"b": "708002400421", "n": "VFAITH IN NATURE LAVENDER  GERANIUM COND 400ML", "r": "220193859"}, {"b": "708002401619", "n": "VFAITH IN NATURE GRAPEFRUIT  ORNGE SHAMPO 400ML", "r": "220194050"}, {"b": "708002401626", "n": "VFAITH IN NATURE GRAPEFRUIT  ORNGE COND 400ML", "r": "220194664"}, {"b": "708002400315", "n": "VFAITH IN NATURE COCONUT SHAMPOO 400ML", "r": "220194553"}, {"b": "708002400322", "n": "VFAITH IN NATURE COCONUT COND 400ML", "r": "220195312"}, {"b": "708002405310", "n": "VFAITH IN NATURE AVOCADO SHAMPOO 400ML", "r": "220194519"}, {"b": "708002405327", "n": "VFAITH IN NATURE AVOCADO COND 400ML", "r": "220194026"}, {"b": "708002400513", "n": "VFAITH IN NATURE ALOEVERA SHAMPOO 400ML", "r": "220194987"}, {"b": "708002400520", "n": "VFAITH IN NATURE ALOEVERA COND 400ML", "r": "220196109"}, {"b": "8595103958614", "n": "FARMAX MAXICOR 30 CAP", "r": "220165007"}, {"b": "8595103958669", "n": "FARMAX DERMAX 90S", "r": "220152782"}, {"b": "9650364001437", "n": "FASHION JEWELRY QUIAN JEWELERY", "r": "220084025"}, {"b": "9650364001185", "n": "FASHION JEWELRY PONY BOND ASSRTD", "r": "220227473"}, {"b": "9650364001512", "n": "FASHION JEWELRY HAIRCLIP HIGHCLASS", "r": "220001259"}, {"b": "9650364001413", "n": "FASHION JEWELRY HAIR BANDS CRYSTAL", "r": "220059456"}, {"b": "9650364001383", "n": "FASHION JEWELRY HAIR BANDS", "r": "220074437"}, {"b": "9650364001369", "n": "FASHION JEWELRY CLIP BIG", "r": "220077597"}, {"b": "9650364001352", "n": "FASHION JEWELRY ASTD", "r": "220052588"}, {"b": "9650364001345", "n": "FASHION JEWELRY ACCESS CRYSTAL CLIP", "r": "220074530"}, {"b": "965015200056", "n": "FASIGYN TABLETS 4S", "r": "220164039"}, {"b": "7640140241494", "n": "FAST  UP EFFERVESCENT TAB 20S", "r": "220198613"}, {"b": "8057289181649", "n": "VFASTCAP 500 HAIRLOSS 30TABS", "r": "220194506"}, {"b": "965014500005", "n": "FASTUM GEL DISPEN 100GM", "r": "220156965"}, {"b": "965014500011", "n": "FASTUM GEL REG 50GM", "r": "220169000"}, {"b": "965015500080", "n": "FAVERIN 50MG TABS 60S", "r": "220167662"}, {"b": "8068020708209", "n": "FEDUA ULTRA GLOSSY TOP  BASE 11ML", "r": "220237372"}, {"b": "8068020708384", "n": "FEDUA 7 DAY NAIL FINISHING 11ML", "r": "220236964"}, {"b": "8068020709442", "n": "FEDUA PINK ORCHID FOOT CEAM 45ML", "r": "220238234"}, {"b": "8068020709459", "n": "FEDUA MINT  GRAPES FOOT BALM 45ML", "r": "220239593"}, {"b": "6291108592205", "n": "FEEL FULL SUBLING SPR FOR APPETITE 20ML", "r": "220222740"}, {"b": "9650157000920", "n": "FEFOL CAP 30S", "r": "220158209"}, {"b": "7315426548757", "n": "FEINCHEIN KIDS MULTI 250 ML", "r": "220080041"}, {"b": "7314957624312", "n": "FEINCHEIN JOINT SUPPORT 250 ML", "r": "220058252"}, {"b": "965015200149", "n": "FELDENE 20MG CAPS 10S", "r": "220153257"}, {"b": "6291069702736", "n": "FEM LEGSBODY WAX STRP SEN SKIN STRWBRY", "r": "220160479"}, {"b": "6291069702767", "n": "FEM FW STRIP SEN SKIN STRWBRY", "r": "220170643"}, {"b": "8901103018041", "n": "FEM CREAM BLEACH MILK PEARLBLUEBERRY 100GM", "r": "220166954"}, {"b": "6291069702781", "n": "FEM BKN WAX STRP SEN SKN STRWBRY", "r": "220161917"}, {"b": "6291069702774", "n": "FEM BKN WAX STRP NORMAL SKN CALENDULA", "r": "220171267"}, {"b": "5010058040045", "n": "FEMEASE WALLET 2S", "r": "220163883"}, {"b": "5000167002126", "n": "FEMFRESH FRESHNESS DEO SPRAY 125ML", "r": "220218076"}, {"b": "5000167014174", "n": "FEMFRESH REBALANCE POWDER 200GM", "r": "220217294"}, {"b": "5010724519417", "n": "FEMFRESH INTIMATE DAILY WASH ALOEVERA 250ML", "r": "220217852"}, {"b": "5010724526132", "n": "FEMFRESH FRESHENING WIPES 10S", "r": "220234853"}, {"b": "5010724527177", "n": "FEMFRESH TRAVEL SIZE INTIMATE DEO SPRAY 50ML", "r": "220226380"}, {"b": "5010724527962", "n": "FEMFRESH TRIPLE ACTION INTIMATE WASH 250ML", "r": "220232998"}, {"b": "5010724529300", "n": "FEMFRESH SILVER DEO SPRAY 125ML", "r": "220220482"}, {"b": "5010724529317", "n": "FEMFRESH INTIMATE ULTIMATE CARE WASH 250 ML", "r": "220219316"}, {"b": "6281936031816", "n": "FENAM FORTE TAB 20S", "r": "220159899"}, {"b": "965013700311", "n": "FENISTIL 1MGML DROPS 20ML", "r": "220168172"}, {"b": "965013700312", "n": "FENISTIL GEL 30GM", "r": "220157971"}, {"b": "891339001017", "n": "FERAMAX POLYSACCHARID IRON COMPLEX", "r": "220209707"}, {"b": "965013700470", "n": "FEROSE SYRUP 100ML", "r": "220169312"}, {"b": "965013700469", "n": "FEROSE F TABLETS 30S", "r": "220167354"}, {"b": "965013700468", "n": "FEROSE 100MG TABLETS 30S", "r": "220162556"}, {"b": "625720616975", "n": "FERRATE SUSPENSION 60MG 100ML", "r": "220157849"}, {"b": "8433042012212", "n": "FERRER OMEGAFORT KIDS GUMMY 30S", "r": "220077007"}, {"b": "3377632543708", "n": "FERRO EASY KIDS 20SACHETS", "r": "220184493"}, {"b": "3377632994760", "n": "FERRO EASY 20SACHETS", "r": "220182751"}, {"b": "9317039000651", "n": "FESS LITTLE NOSE DROPS 25MLASPIRATOR", "r": "220217386"}, {"b": "9317039000422", "n": "FESS FREQUENT FLYER SALINE NASAL SPRAY 30ML", "r": "220234692"}, {"b": "965013500043", "n": "FEVADOL SYRUP SF 145ML", "r": "220162386"}, {"b": "965013500042", "n": "FEVADOL TAB 20S", "r": "220166792"}, {"b": "641528000464", "n": "FIBERALL 48 DOSES", "r": "220107786"}, {"b": "8051417275941", "n": "FILLERINA NIGHT TREATMENT GRADE 5", "r": "220161936"}, {"b": "8051417275613", "n": "FILLERINA NIGHT TREATMENT GRADE 3", "r": "220159568"}, {"b": "8051417275866", "n": "FILLERINA LIP VOLUM T GRADE2", "r": "220168774"}, {"b": "8051417275903", "n": "FILLERINA FILLER TREATMENT GRADE 5", "r": "220170418"}, {"b": "8051417275552", "n": "FILLERINA FILLER TREATMENT GRADE 3", "r": "220162693"}, {"b": "8051417275965", "n": "FILLERINA EYE AND LIP TREATMENT GRADE 5", "r": "220169280"}, {"b": "8051417275644", "n": "FILLERINA EYE  LIPS TREATMENT GRADE 3", "r": "220170417"}, {"b": "8051417275927", "n": "FILLERINA DAY TREATMENT GRADE 5", "r": "220002481"}, {"b": "8051417275583", "n": "FILLERINA DAY TREATMENT GRADE 3", "r": "220167065"}, {"b": "3540550009032", "n": "FILORGA OXYGENGLOW RADIANCE CREAM 50ML", "r": "220232893"}, {"b": "3540550009025", "n": "FILORGA OXYGENGLOW EXPRESS MASK 75ML", "r": "220236143"}, {"b": "3540550009001", "n": "FILORGA OXYGEN GLOW EYES 15ML", "r": "220173344"}, {"b": "3540550008523", "n": "FILORGA NCEFNIGHT MASK 50ML", "r": "220220700"}, {"b": "3540550008844", "n": "FILORGA SCRUB  DETOX FOAM EXFOLIATOR 50ML", "r": "220221405"}, {"b": "3540550009483", "n": "FILORGA GLOBALREPAIR REVITALISING CREAM 50ML", "r": "220216059"}, {"b": "3540550009476", "n": "FILORGA GLOBAL REPAIR INTENSIVE 30ML", "r": "220193329"}, {"b": "3540550000046", "n": "FILORGA TIME FILLER INTENSIVE 30 ML", "r": "220212605"}, {"b": "3540550007540", "n": "FILORGA NCEF SHOT 15 ML", "r": "220211852"}, {"b": "3540550009148", "n": "FILORGA NCEF REVERSE EYES 15ML", "r": "220205151"}, {"b": "3540550009469", "n": "FILORGA GLOBAL REPAIR EYES  LIPS 15ML", "r": "220210775"}, {"b": "3540550010403", "n": "FILORGA SKIN UNIFY RADIANCE 15ML", "r": "129807172"}, {"b": "3540550000077", "n": "FILORGA SKIN UNIFY INTENSIVE 30ML", "r": "129812136"}, {"b": "3540550000107", "n": "FILORGA SKIN UNIFY 50ML", "r": "129812123"}, {"b": "3540550009605", "n": "FILORGA AGE PURIFY MASK75ML", "r": "220238706"}, {"b": "3540550009629", "n": "FILORGA AGE PURIFY INTENSIVE  SERUM 30ML", "r": "220237596"}, {"b": "3540550009643", "n": "FILORGA AGE PURIFY FLUIDE50ML", "r": "220239443"}, {"b": "3540550009636", "n": "FILORGA AGE PURIFY CLEANSER 150ML", "r": "220239289"}, {"b": "3401360202337", "n": "FILORGA UVDEFENCE SPF50 40ML", "r": "220224639"}, {"b": "3401560783223", "n": "FILORGA TIMEFILLER MAT CREAM 50ML", "r": "220220209"}, {"b": "3401597522796", "n": "FILORGA TIME FILLER EYES 15ML", "r": "220222386"}, {"b": "3401352045003", "n": "FILORGA TIME FILLER CREAM 50ML", "r": "220217537"}, {"b": "3401560361926", "n": "FILORGA SOLUTION MICELLAR 400ML", "r": "220165197"}, {"b": "3540550008127", "n": "FILORGA SLEEP  LIFT LIFTING NIGHT CREAM 50ML", "r": "220230827"}, {"b": "3401528545740", "n": "FILORGA SCRUB   EXFOLIATING MASK 55ML", "r": "220230888"}, {"b": "3540550008059", "n": "FILORGA OXYGENPEEL PEELING LOTION 150ML", "r": "220233319"}, {"b": "3401361057578", "n": "FILORGA OPTIMEYES CONTOUR CRM 15ML", "r": "220222274"}, {"b": "3401360120075", "n": "FILORGA NUTRI FILLING LIP BALM 4G", "r": "220220443"}, {"b": "3401353695146", "n": "FILORGA NEOCICA MOIST REPAIR CRM 40ML", "r": "220218214"}, {"b": "3401360192225", "n": "FILORGA NCTFREVERSE REGENERATE CRM 50ML", "r": "220229265"}, {"b": "3401360192232", "n": "FILORGA NCEFREVERSE MAT FLUID 50ML", "r": "220221658"}, {"b": "3401360192249", "n": "FILORGA NCEF INT MULTCORCTR SERUM  30ML", "r": "220222317"}, {"b": "3401348573060", "n": "FILORGA MESO MASK 50ML", "r": "220235301"}, {"b": "3540550008288", "n": "FILORGA LIFTDESIGNER LIFTING SERUM 30ML", "r": "220229225"}, {"b": "3401399693984", "n": "FILORGA FOAM CLEANSER 150ML", "r": "220227884"}, {"b": "3401340879207", "n": "FILORGA C RECOVER 3 X 10ML", "r": "220229893"}, {"b": "3401360226906", "n": "FILORGA BODY CREAM FOR FAMILY 100ML", "r": "220170734"}, {"b": "3401360245761", "n": "FILORGA VISAGE FACE SPF50 40ML", "r": "220216390"}, {"b": "3540550008073", "n": "FILORGA UVBRONZE ANTIAGEING SUN OIL SPF30 150ML", "r": "220164908"}, {"b": "3401360049765", "n": "FILORGA TIMEZERO MULTICORRECTION WRINKLE SERUM 30ML", "r": "220223796"}, {"b": "3540550008035", "n": "FILORGA TIMEFLASH ACTIVE PRIMER 30ML", "r": "220224221"}, {"b": "3401360225138", "n": "FILORGA TIMEFILLER SMOOTHNG MASK 20ML", "r": "220222147"}, {"b": "3401360180666", "n": "FILORGA SUNBLOCK UV BRONZE BODY 150ML", "r": "220164910"}, {"b": "3401346975354", "n": "FILORGA SLEEP AND PEEL CREAM 50ML", "r": "220228477"}, {"b": "3401560783452", "n": "FILORGA SKIN STRUCTURE 30ML", "r": "220161311"}, {"b": "3401360016552", "n": "FILORGA SKIN ABSOLUTE DAY CREAM 50ML", "r": "220218271"}, {"b": "3401360315402", "n": "FILORGA SKIN ABSOLUTE 50ML", "r": "220160709"}, {"b": "3540550008141", "n": "FILORGA SCRUB  PEEL 150ML", "r": "220153305"}, {"b": "3540550008554", "n": "FILORGA POREEXPRESS REGULATING PRIMER 30ML", "r": "220225442"}, {"b": "3401360110755", "n": "FILORGA PIGMENTWHITE BRIGHTENING CARE 50ML", "r": "220230548"}, {"b": "3401353655683", "n": "FILORGA PIGMENT PERFECT SERUM 30ML", "r": "220234562"}, {"b": "3401561221069", "n": "FILORGA PERFECT SKIN SRM 30ML", "r": "220220072"}, {"b": "3540550009018", "n": "FILORGA OXYGEN GLOW CLEAN 125ML", "r": "220173419"}, {"b": "3540550008042", "n": "FILORGA OPTIMEYES LASHESBROWS SERUM 265ML", "r": "220218012"}, {"b": "3401360094413", "n": "FILORGA OPTIM EYES PATCH 16S", "r": "220158539"}, {"b": "3401360049604", "n": "FILORGA OPTIM EYES LOTION 110 ML", "r": "220218083"}, {"b": "3401360226609", "n": "FILORGA OIL ABSOLUTE SERUM 30ML", "r": "220233449"}, {"b": "3401162659230", "n": "FILORGA NUTRI FILLER REPLENISHING CRM 50ML", "r": "220229308"}, {"b": "3401360156456", "n": "FILORGA NCTF ESSENCE REGENRATE LOT 150ML", "r": "220229482"}, {"b": "3401397428557", "n": "FILORGA MESOTHERAPIST ROLLER  SOLUTION", "r": "220233347"}, {"b": "3401396638773", "n": "FILORGA MESOABSOLUTE  ANTI AGE SERUM 30ML", "r": "220216874"}, {"b": "3540550008110", "n": "FILORGA LIFTSTRUCTURE LIFTING CREAM 50ML", "r": "220221308"}, {"b": "3540550009568", "n": "FILORGA LIFT MASK SACHETS", "r": "220195067"}, {"b": "3401346975064", "n": "FILORGA ISO STRUCTURE ABSOLUTE FIRM CRM 50 ML", "r": "220221555"}, {"b": "3401360225121", "n": "FILORGA HYDRATION CELLU MASK HYDRA FILLER 1S", "r": "220221975"}, {"b": "3401565359720", "n": "FILORGA HYDRAHYAL HYDRATE SERUM 30ML", "r": "220229857"}, {"b": "3401398089337", "n": "FILORGA HYAL DEFENCE 30ML", "r": "220217819"}, {"b": "3401360037076", "n": "FILORGA HAND ABSOLUTE 50ML", "r": "220159354"}, {"b": "3540550008394", "n": "FILORGA FOAM CLEANSER SERUM 2 X 150 ML", "r": "220156807"}, {"b": "3540550008097", "n": "FILORGA FLASH NUDE PWDR COMPACT 9G", "r": "220157769"}, {"b": "3540550008530", "n": "FILORGA FLASH NUDE FLUID MED LGT 30ML", "r": "220160205"}, {"b": "3540550008561", "n": "FILORGA FLASH NUDE FLUID MED DARK 30ML", "r": "220154986"}, {"b": "3540550008578", "n": "FILORGA FLASH NUDE FLUID LIGHT 30ML", "r": "220164531"}, {"b": "3401360120082", "n": "FILORGA EYES ABSOLUTE EYE CRM15ML", "r": "220218472"}, {"b": "3540550008325", "n": "FILORGA COFFRET CLEAN  RADIANT", "r": "220153064"}, {"b": "3401360263185", "n": "FILORGA BRUME MIST SPF50  60ML", "r": "220220260"}, {"b": "3401353655805", "n": "FILORGA BB PERFECT SPF15 1 BEIGE 30ML", "r": "220236523"}, {"b": "3401354497336", "n": "FILORGA ANTI FATIGUE NIGHT BALM 50ML", "r": "220158999"}, {"b": "3401353744035", "n": "FILORGA AGE PEEL", "r": "220157589"}, {"b": "856147829", "n": "FINAFTA MULTIORAL 2OZ", "r": "220073756"}, {"b": "856147812", "n": "FINAFTA ANALGESIC ORAL BABY", "r": "220075465"}, {"b": "6251001225167", "n": "V FINE WET WIPES BABY 54 SHEETS", "r": "220198705"}, {"b": "6251001225143", "n": "V FINE WET WIPES BABY 22 SHEETS", "r": "220200962"}, {"b": "6251001317329", "n": "V FINE FACE MASK GUARD LARGE SLIM", "r": "220200084"}, {"b": "6251001317572", "n": "V FINE FACE MASK GUARD CMFRT MEDM", "r": "220200136"}, {"b": "6251001317589", "n": "V FINE FACE MASK GUARD CMFRT LARGE", "r": "220199473"}, {"b": "6251001317879", "n": "FINE HYGIENE SOLUTIONS FINE GUARD PURESURFACES 150ML", "r": "220203940"}, {"b": "6251001317855", "n": "FINE HYGIENE SOLUTIONS FINE GUARD 50ML", "r": "220204755"}, {"b": "96093672", "n": "V FISH FISHSHAPE TEXTURISING CREAM 25ML", "r": "220060052"}, {"b": "96093689", "n": "V FISH FISHFINGERS SHAPE DEFINING WAX 25ML", "r": "220051937"}, {"b": "5060412670500", "n": "FISH SUPERFISH SLICKFISH WETLOOK GEL 150ML", "r": "220076527"}, {"b": "5060049288260", "n": "FISH SUPERFISH FISHGLUE GEL 150ML", "r": "220085863"}, {"b": "5060255457016", "n": "FISH SUPERFISH FISHFIX WAX 100ML", "r": "220067955"}, {"b": "688031095952", "n": "FISH STONEFISH CLAY 70ML", "r": "220078155"}, {"b": "688003111611", "n": "FISH MEMORYFISH GEL 150ML", "r": "220074127"}, {"b": "688003111017", "n": "FISH FISHFIBRE 100ML", "r": "220070663"}, {"b": "5702191015935", "n": "FITO GAUZE ADVANCE 10X10 CM", "r": "220227684"}, {"b": "5702191015928", "n": "FITO CREAM FOR BURN 32 GM", "r": "220232838"}, {"b": "3838989625092", "n": "FITOVAL HAIR LOSS SHAMPOO 200ML", "r": "220081104"}, {"b": "3838989624446", "n": "FITOVAL HAIR LOSS LOTION 240ML", "r": "220217681"}, {"b": "3838989632960", "n": "FITOVAL DANDRUFF SHAMPOO 200ML", "r": "220216452"}, {"b": "3838989570170", "n": "FITOVAL 60 CAPSULES", "r": "220071195"}, {"b": "3582910089841", "n": "FLAGYL 400MG 14S", "r": "220221636"}, {"b": "3582910072430", "n": "FLAGYL 200MG TABLETS 21S", "r": "220168537"}, {"b": "301320000290", "n": "FLEET ENEMA ADULT", "r": "220161600"}, {"b": "301320000283", "n": "FLEET ENEMA CHILD", "r": "220164331"}, {"b": "25715673301", "n": "FLENTS SHORT TOOTH LICE COMB", "r": "220153778"}, {"b": "2010211201217", "n": "EZYCARE QUIET CONTOUR EARPLUGS 10PRCASE", "r": "220152445"}, {"b": "86875184915", "n": "EZYCARE PLUS HOT COLD GEL EYE MASK", "r": "220163748"}, {"b": "86875173315", "n": "EZYCARE LONG TOOTH LICE COMB", "r": "220152234"}, {"b": "77602000301", "n": "EZY DOSE FLENTS SOFT FOAM EAR PLUGS 4 PAIR", "r": "220217689"}, {"b": "23185002652", "n": "FLENTS KIDS SILICONE EAR PLUGS", "r": "220216655"}, {"b": "86875101035", "n": "EZYCARE SILICONE EAR PLUGS 3PRCASE", "r": "220156558"}, {"b": "86875112413", "n": "EZYCARE PLUS WAX COTTON EAR PLUGS", "r": "220166104"}, {"b": "965013700434", "n": "FLEXIN CONT 75MB CAP 28S", "r": "220170653"}, {"b": "5060280920585", "n": "FLEXISEQ GEL FOR JOINT CARE 50G", "r": "220215529"}, {"b": "9317129043018", "n": "FLEXITOL LIP BALM 10GX3", "r": "220181069"}, {"b": "9329224002159", "n": "FLEXITOL LIP BALM TUB 10G", "r": "220203256"}, {"b": "317129040864", "n": "FLEXITOL LIP BALM 10G", "r": "220168771"}, {"b": "9317129043056", "n": "FLEXITOL KIDS NAPPY BALM 100GM", "r": "220212987"}, {"b": "9317129042547", "n": "FLEXITOL LIP BALM SPF50 10G", "r": "220233769"}, {"b": "9317129042899", "n": "FLEXITOL KIDS SKIN RELIF WASH  SHAMPO 175ML", "r": "220229765"}, {"b": "9317129042875", "n": "FLEXITOL KIDS SKIN RELIF CREAM 56G", "r": "220220886"}, {"b": "9317129042882", "n": "FLEXITOL KIDS SKIN RELIEF MOIST LOTION 175ML", "r": "220230328"}, {"b": "9317129041953", "n": "FLEXITOL HEEL MAGIC 70G", "r": "220233713"}, {"b": "9317129042172", "n": "FLEXITOL HEEL BALM 112G", "r": "220233637"}, {"b": "9317129042271", "n": "FLEXITOL ANTIITCH SOOTHING CREAM 85G", "r": "220231984"}, {"b": "9317129042653", "n": "FLEXITOL FOOT ODOUR CONTROL SPRAY 210ML", "r": "220236521"}, {"b": "9317129042639", "n": "FLEXITOL ANTI AGEING HAND BALM SPF15 40G", "r": "220229780"}, {"b": "9317129041786", "n": "FLEXITOL CALLUS CREAM 56G", "r": "220153381"}, {"b": "317129040642", "n": "FLEXITOL HEEL BALM 56G", "r": "220161257"}, {"b": "9317129041397", "n": "FLEXITOL HAND BALM 56G", "r": "220233684"}, {"b": "9317129041946", "n": "FLEXITOL FOOT CREAM 85GM", "r": "220232105"}, {"b": "9317129041700", "n": "FLRXITOL VERY DRY SKIN CREAM 125GM", "r": "220227287"}, {"b": "9317129043094", "n": "FLEXITOL VITAMIN E CRM 85G", "r": "220202399"}, {"b": "9317129042660", "n": "FLEXITOL SENSITIVE SKIN WASH 250ML", "r": "220220579"}, {"b": "9317129042677", "n": "FLEXITOL SENSITIVE SKIN LOTION 250ML", "r": "220230033"}, {"b": "9317129043049", "n": "FLEXITOL SCALP RELIEF SERUM 60ML", "r": "220202377"}, {"b": "317129040666", "n": "FLEXITOL CUTICLE  NAIL CREAM 20G", "r": "220162558"}, {"b": "9317129042516", "n": "FLEXITOL ANTIFUNGAL LIQUID 30ML", "r": "220194485"}, {"b": "9317129042561", "n": "FLEXITOL ANTI ITCH SOOTHING LOTION 250ML", "r": "220230834"}, {"b": "965015200023", "n": "FLIXONASE N SPRAY 12OS", "r": "220154996"}, {"b": "965015200119", "n": "FLIXOTIDE DISKUS 250MCG 60S", "r": "220154998"}, {"b": "965015200085", "n": "FLIXOTIDE 125MCG EVOHALER 60UD", "r": "220166284"}, {"b": "965015200133", "n": "FLIXOTIDE 50 EVOHA 120S", "r": "220158710"}, {"b": "653341212542", "n": "FLORAGEN KIDS TAB 40S", "r": "220063523"}, {"b": "653341212443", "n": "FLORAGEN ADULT CAPS 30S", "r": "220085994"}, {"b": "3760074270446", "n": "V FLOXIA PROTEXIO FLUID SPF 50 125ML", "r": "220174931"}, {"b": "3760074270385", "n": "V FLOXIA ANTI DANDRUFF SHAMPOO 200ML", "r": "220176626"}, {"b": "3760074270262", "n": "FLOXIA UNIFYING MOISTURIZING MILK 500 ML", "r": "220216606"}, {"b": "3760074270194", "n": "FLOXIA SPOT AND COMPLEXION CONTROL MICRO EMULSION 40ML", "r": "220221948"}, {"b": "3760074270910", "n": "FLOXIA REVITALIZING HAIR SERUM 50ML", "r": "220220218"}, {"b": "3760074270514", "n": "FLOXIA REGULATOR PURIFYING GEL 200ML", "r": "220230286"}, {"b": "3760074270422", "n": "FLOXIA REGULATOR BALANCING GEL 40ML", "r": "220223946"}, {"b": "3760074270415", "n": "FLOXIA PROTEXIO CLEAR EMULSION SPF50 50ML", "r": "220218035"}, {"b": "3760074270743", "n": "FLOXIA INTIMATE CLEANSING FLUID 200ML", "r": "220231607"}, {"b": "3760074270859", "n": "FLOXIA SOAP FOR DRY AND SNSITIVE SKIN 150ML", "r": "220234392"}, {"b": "3760074270187", "n": "FLOXIA REGENIA REGENERATING CREAM 40ML", "r": "220234005"}, {"b": "3760074270866", "n": "FLOXIA MOISTURIZING SOOTHING FLUID 125ML", "r": "220235714"}, {"b": "3760074270965", "n": "FLOXIA DEEP CLEANSG ENERGZG SHAMPO OILY HAIR 200ML", "r": "220223039"}, {"b": "3760074270934", "n": "FLOXIA FOOD SUPPLEMENT FOR HAIR  NAIL 42S", "r": "220175163"}, {"b": "8002660030764", "n": "FLUCIFEM 150MG 1CAP", "r": "220165060"}, {"b": "6285085001560", "n": "FLUDREX TABLETS 24S", "r": "220231283"}, {"b": "6285085000372", "n": "FLUDREX SYPUP 120ML", "r": "220231039"}, {"b": "6291100081318", "n": "FLUKIT TAB 20S", "r": "220235089"}, {"b": "6291100080410", "n": "FLUKIT SYRUP 60ML", "r": "220226618"}, {"b": "6281086011003", "n": "FLUTAB TABLETS 20S", "r": "220169811"}, {"b": "965015200102", "n": "FML LIQUIFILM 5ML", "r": "220002558"}, {"b": "6291100082988", "n": "FOLICRON CAPSULES 30S", "r": "220227041"}, {"b": "965014600005", "n": "FOLICUM 5MG TABLETS 20S", "r": "220172285"}, {"b": "8013134001814", "n": "FOLTENE SHAMPOO WOMEN 200 ML", "r": "220226555"}, {"b": "8013134001807", "n": "FOLTENE SHAMPOO MEN 200 ML", "r": "220222345"}, {"b": "8013134002613", "n": "FOLTENE REVITALIZNG COND FOR WOMN 150ML", "r": "220224371"}, {"b": "8013134000350", "n": "FOLTENE HAIR  SCALP TREATMENT AMP FOR WOMEN", "r": "220231077"}, {"b": "8013134230214", "n": "FOLTENE EYE LASH  BROW TRETMNT 8ML", "r": "220233272"}, {"b": "663234096517", "n": "FOOT GUARD FOOT POWDER", "r": "220059877"}, {"b": "35267584326", "n": "FOOT PATCH", "r": "220085205"}, {"b": "3800002310186", "n": "FOOTNESS FRESH SHOE  FOOT SPR 125ML", "r": "220203442"}, {"b": "3800002310124", "n": "FOOTNESS FOOT SCRUB 75ML", "r": "220203936"}, {"b": "3800002310131", "n": "FOOTNESS HEEL BALM 75ML", "r": "220203722"}, {"b": "3800002310155", "n": "FOOTNESS CRACKED HEEL CRM 50ML", "r": "220203974"}, {"b": "3800002310162", "n": "FOOTNESS ROUGH SKIN  CALLUS CRM 30GM", "r": "220203693"}, {"b": "7640143655380", "n": "FORA EARLY PREGNANCY TESTX1", "r": "220080072"}, {"b": "7640143650545", "n": "FORA DIGITAL PREGNANCY TESTX3", "r": "220072888"}, {"b": "8436542622790", "n": "FORCENRGY PERFORMANCE DRINKABLE VIALS 10 VIALS 10ML", "r": "220223462"}, {"b": "8436542622936", "n": "FORCENRGY GROWTH DRINKABLE 10 VIALS 10ML", "r": "220219850"}, {"b": "8436542622929", "n": "FORCENRGY DEFENSES DRINKABLE 10 VIALS 10ML", "r": "220231508"}, {"b": "8436542622820", "n": "FORCENRGY C VITALITY DRINK 10 VIALS 10ML", "r": "220235852"}, {"b": "8436542622813", "n": "FORCENRGY C TONUS DRINKABLE 10 VIALS 10ML", "r": "220229923"}, {"b": "8436542622837", "n": "FORCENRGY C PROPOLIS DRINK 10 VIALS 10ML", "r": "220227633"}, {"b": "8436542622806", "n": "FORCENRGY C JUNIOR DRINKABLE 10 VIALS 10ML", "r": "220219365"}, {"b": "8436542622844", "n": "FORCENRGY C GINGER DRINKABLE 10 VIALS 10ML", "r": "220216162"}, {"b": "8436542622967", "n": "FORCENRGY BEMORY DRINKABLE 10 VIALS 10ML", "r": "220219312"}, {"b": "4260103332880", "n": "FORMOLINE L112 WEIGHT MANAG 60S", "r": "220154921"}, {"b": "814627024819", "n": "FORMULA SKINDETOXING PEEL MASK CHARCOAL  PLUM 100ML", "r": "220239277"}, {"b": "814627024833", "n": "FORMULA SKIN PURIFYING BUBBLE MASK RHASSOUL CLAY  TEA 254 OZ", "r": "220238054"}, {"b": "814627025694", "n": "FORMULA SKIN BRIGHTENING PEEL MASK PAPAYA  CITRUS 100ML", "r": "220240165"}, {"b": "814627025380", "n": "FORMULA MATTIFYING OILFREE MOISTURIZER ALOE VERA  BAMBOO 254 OZ", "r": "220238770"}, {"b": "814627026363", "n": "FORMULA MAKEUP FACIAL WIPES PINK GRAPEFRUIT  APPLE 25PC", "r": "220239085"}, {"b": "814627025250", "n": "FORMULA ILLUMINATING PEEL MASK RASPBERRY  ACAI 100ML", "r": "220238959"}, {"b": "814627025373", "n": "FORMULA FACE SCRUB ZINC  OAT  PUMICE 100ML", "r": "220239032"}, {"b": "814627025359", "n": "FORMULA FACE FOAMING CLEANSER PASSIONFRUIT  GREEN TEA 150ML", "r": "220238796"}, {"b": "814627025182", "n": "FORMULA DETOXIFYING FACE WASH CHARCOAL  WILLOW BARK 150ML", "r": "220238950"}, {"b": "814627025502", "n": "FORMULA DAILY MOISTURIZER WITH SPF 15 GUAVA  VITAMIN C 254 OZ", "r": "220239353"}, {"b": "799439051201", "n": "FORTAVITA MANUKA HONEY WITH GINSENG MGO 100 250 GMS", "r": "220058997"}, {"b": "799439051225", "n": "FORTAVITA MANUKA HONEY MGO 400 500G", "r": "220194101"}, {"b": "799439051218", "n": "FORTAVITA MANUKA HONEY WITH ROYAL GELLY MGO 100 250 GMS", "r": "220194287"}, {"b": "9421900038268", "n": "FORTAVITA MANUKA HONEY MGO400 250G", "r": "220194847"}, {"b": "9421902294983", "n": "FORTAVITA MANUKA HONEY WITH GINGER MGO 100 250 GMS", "r": "220056689"}, {"b": "609722901833", "n": "FORTAVITA THROAT  MOUTH SPRAY 30 ML", "r": "220053258"}, {"b": "793573720603", "n": "FORTAVITA HL MANUKA HONEY UMF10 12 LOZENGES", "r": "220060042"}, {"b": "793573720580", "n": "FORTAVITA MANUKA HONEY PROPOLIS 12 LOZENGES LH", "r": "220064727"}, {"b": "793573720597", "n": "FORTAVITA MANUKA  PROPOLIS 12 LOZENGES COOL MINT", "r": "220062310"}, {"b": "905887941", "n": "FORTAVITA VIGOREGAL VIALS 10S", "r": "220057229"}, {"b": "9421902294990", "n": "FORTAVITA MANUKA HONEY WITH GLUCOSAMINE MGO 100 250 GMS", "r": "220193466"}, {"b": "942190003268", "n": "FORTAVITA MANUKA HONEY MGO 400 250 GMS", "r": "220193864"}, {"b": "6285078000143", "n": "FORTOSA COLLAGEN POWDER 10G 30STICKS", "r": "220194440"}, {"b": "5000456027663", "n": "FORXIGA 10MG 28S", "r": "220224046"}, {"b": "5060492547396", "n": "FORZA VIT D3 1000IU CAL 150MG GUMMIES 60S", "r": "220197950"}, {"b": "5060492547402", "n": "FORZA VIT D3 1000IU GUMMIES 60S", "r": "220198241"}, {"b": "5060492547389", "n": "FORZA VIT D3 400IU CAL 250MG GUMMIES 60S", "r": "220197766"}, {"b": "9650364003271", "n": "FORZA RAGAZZI FACE SHIELD", "r": "220193377"}, {"b": "5013945190557", "n": "FOSAMAX TAB 4S", "r": "220219594"}, {"b": "5013945000948", "n": "FOSAVANCE TAB 4S", "r": "220163426"}, {"b": "8025153209874", "n": "FOSTER INHALER 100MCG", "r": "220157064"}, {"b": "8008277228013", "n": "FP KERATINE MIRACLE MASK 250ML", "r": "220057734"}, {"b": "8008277228082", "n": "FP COLOR MASK GLOASS  PROTECT 250ML", "r": "220064387"}, {"b": "88634094022", "n": "FRANWILSON INSTANT BROWS ROUND", "r": "220221194"}, {"b": "88634094015", "n": "FRANWILSON INSTANT BROWS ARCHED", "r": "220217036"}, {"b": "797776001484", "n": "FREE LICE ANTI LICE SHAMPOO 200ML", "r": "220207278"}, {"b": "641528000624", "n": "LEONAS GUMMY VIT C ORANGE 60S", "r": "220227663"}, {"b": "4024619013165", "n": "V FREI OL SKIN SHAPING OIL 125ML", "r": "220195496"}, {"b": "4024619010164", "n": "V FREI OL MASSAGE OIL PREGNANT 125ML", "r": "220195153"}, {"b": "4024619011161", "n": "V FREI OL SKIN CARE OIL 125ML", "r": "220196048"}, {"b": "9650364002427", "n": "VFRESH LEMON HAND SANITIZER 38ML", "r": "220072549"}, {"b": "5202888102455", "n": "FREZYDERM SPOT END NIGHT CRM 50ML", "r": "220063953"}, {"b": "5202888102424", "n": "FREZYDERM SPOT END DAY CRM 50ML", "r": "220052216"}, {"b": "5202888271021", "n": "FREZYDERM MOISTURIZING RICH CRM 50ML", "r": "220054172"}, {"b": "5202888271038", "n": "FREZYDERM ANTI WRINKLE RICH DAY CRM 50ML", "r": "220072480"}, {"b": "8411114085876", "n": "V FROZEN II TOILETRY BAG SG 100ML  EDT 50ML", "r": "220181647"}, {"b": "8411114085791", "n": "V FROZEN II EDT NAT SPRAY 30ML", "r": "220180340"}, {"b": "8411114085852", "n": "V FROZEN II EDT 30ML  MANICURE KIT", "r": "220180652"}, {"b": "8411114085197", "n": "V FROZEN II EDT 30ML  HAIRCLIP  KEYRING", "r": "220181305"}, {"b": "8411114085807", "n": "FROZEN II EDT SPRAY 100ML  CHARM", "r": "220228497"}, {"b": "8411114085814", "n": "FROZEN II BODY SPRAY 200ML", "r": "220218972"}, {"b": "8803348039174", "n": "FRUDIA SNAIL SHEET MASK", "r": "220203550"}, {"b": "8803348040194", "n": "FRUDIA SHEA BUTTER SHEET MASK", "r": "220203593"}, {"b": "8803348038399", "n": "FRUDIA ROYAL BERRYV SHEET MASK", "r": "220203723"}, {"b": "8803348040200", "n": "FRUDIA RASPBERRY SHEET MASK", "r": "220204766"}, {"b": "8803348040231", "n": "FRUDIA PEACH SHEET MASK", "r": "220204138"}, {"b": "8803348041290", "n": "FRUDIA OVERNIGHT MASK 20S", "r": "220205065"}, {"b": "8803348040248", "n": "FRUDIA MANGO SHEET MASK", "r": "220204923"}, {"b": "8803348040224", "n": "FRUDIA COCONUT SHEET MASK", "r": "220205004"}, {"b": "8803348038948", "n": "FRUDIA CICADERM SHEET MASK", "r": "220204664"}, {"b": "8803348039150", "n": "FRUDIA CAVIAR GOLD MASK", "r": "220203331"}, {"b": "8803348040187", "n": "FRUDIA CACTUS SHEET MASK", "r": "220204246"}, {"b": "8803348039198", "n": "FRUDIA AIR MASK 24 WATERY", "r": "220204203"}, {"b": "8803348039211", "n": "FRUDIA AIR MASK 24 SNOWY", "r": "220204286"}, {"b": "5702191019674", "n": "FUCICORT CREAM 30GM", "r": "220198511"}, {"b": "5702191019667", "n": "FUCICORT CREAM 15GM", "r": "220187604"}, {"b": "5702191010916", "n": "FUCIDIN H CREAM 30G", "r": "220230012"}, {"b": "5702191009132", "n": "FUCIDIN OINTMENT 2 30 GM", "r": "220234466"}, {"b": "5702191018219", "n": "FUCIDIN CREAM 2 30 GM", "r": "220234031"}, {"b": "5702191018196", "n": "FUCIDIN H CREAM 15GM", "r": "220168833"}, {"b": "5702191009125", "n": "FUCIDIN OINTMENT 15GM", "r": "220164578"}, {"b": "5702191009156", "n": "FUCIDIN CREAM 15GM", "r": "220171040"}, {"b": "5702191014747", "n": "FUCIDIN 2 INTERTULLE 10S", "r": "220169567"}, {"b": "5060337261227", "n": "FUCITHALMIC 1 EYE DROPS 5GM", "r": "220226170"}, {"b": "6959142531351", "n": "V STELLA BRUSH EGG", "r": "220060660"}, {"b": "6281269115320", "n": "FUSIBACT B CREAM 15GM", "r": "220219812"}, {"b": "6281269096544", "n": "FUSIBACT OINTMENT 15GM", "r": "220225379"}, {"b": "965014300049", "n": "FUSIBACT CREAM 15GM", "r": "220164670"}, {"b": "51131201590", "n": "FUTURO SPORT HINGED KNEE BRACE ADJ", "r": "220229123"}, {"b": "51131201552", "n": "FUTURO STABILIZING BACK SUPPORT SM", "r": "220219027"}, {"b": "51131201699", "n": "FUTURO HER WRIST SUPPORT R HAND ADJ", "r": "220234286"}, {"b": "51131200760", "n": "FUTURO STABILIZING BACK SUPPORT LXL", "r": "220230213"}, {"b": "51131200944", "n": "FUTURO SURGICAL BINDER  ABDOMINAL SUPPORT LARGE", "r": "220216760"}, {"b": "51131201484", "n": "FUTURO ACTIVE KNIT KNEE STABILIZER L", "r": "220236098"}, {"b": "51131201477", "n": "FUTURO ACTIVE KNIT KNEE STABILIZER M", "r": "220221841"}, {"b": "51131201576", "n": "FUTURO ENERGWRIST SUPP RGHT HAND LXL", "r": "220232310"}, {"b": "51131200593", "n": "FUTURO ENERG WRIST SUPP LH SM", "r": "220157453"}, {"b": "51131201583", "n": "FUTURO ENERGIZING WRIST SUPPORT LH LXL", "r": "220235491"}, {"b": "51131200609", "n": "FUTURO ENERG WRIST SUPP RH SMLMDM", "r": "220161066"}, {"b": "51131200647", "n": "FUTURO INFINITY PRECISION FIT KNEE SUPPORT BLACK ADJ", "r": "220156398"}, {"b": "51131201286", "n": "FUTURO ULTRA SHEER PANTYHOSE WOMEN ASS", "r": "220156121"}, {"b": "51131201491", "n": "FUTURO TROUSER SOCKS WOM MBLCK", "r": "220155820"}, {"b": "51131200722", "n": "FUTURO DELUXE THUMB STABILIZERLXL", "r": "220216314"}, {"b": "51131201538", "n": "FUTURO DELUXE THUMB STABILIZER SM", "r": "220230152"}, {"b": "51131201361", "n": "FUTURO SOFT CERVICAL COLLAR ADJ", "r": "220232396"}, {"b": "51131200630", "n": "FUTURO INFINITY PRECISION FIT ELBOW SUPPORT ADJ", "r": "220222842"}, {"b": "51131200753", "n": "FUTURO STABILIZING KNEE SUPPORT LARGE", "r": "220220718"}, {"b": "51131200623", "n": "FUTURO INFINITY PRECISION FIT ANKLE SUPPORT BLACK ADJ", "r": "220167397"}, {"b": "51131200739", "n": "FUTURO STABILIZING KNEE SUPPORT SMALL", "r": "220217583"}, {"b": "51131201088", "n": "FUTURO OPEN TOE OPEN HEEL KNEE LENTH M", "r": "220220884"}, {"b": "51131201705", "n": "FUTURO SLIM SILHOUETTE ANKLE SPRT SM", "r": "220156399"}, {"b": "51131201545", "n": "FUTURO SPORT TENNIS ELBOW SUPPORT ADJUSTABLE", "r": "220222524"}, {"b": "51131200920", "n": "FUTURO POUCH ARM SLING MILD SUPPORT ADULT", "r": "220229973"}, {"b": "51131200586", "n": "FUTURO COMFORT LIFT KNEE SUPPORT XL", "r": "220228748"}, {"b": "51131201422", "n": "FUTURO ADJUSTABLE ELBOW SUPPORT", "r": "220229317"}, {"b": "51131200999", "n": "FUTURO COMFORT LIFT KNEE SUPORT MEDIUM", "r": "220228310"}, {"b": "51131201002", "n": "FUTURO COMFORT LIFT KNEE SUPPORT L", "r": "220235474"}, {"b": "51131201439", "n": "FUTURO SPORT ADJSTBLE ANKLE SUPPORT", "r": "220226007"}, {"b": "51131200616", "n": "FUTURO INFINITY PRECISION FIT WRIST SUPPORT ADJ", "r": "220232337"}, {"b": "51131200951", "n": "FUTURO COMT LIFT ELBOW SUPPORT S", "r": "220220882"}, {"b": "51131201026", "n": "FUTURO COMFORT LIFT ANKLE SUPPORT MEDIUM", "r": "220226136"}, {"b": "51131201019", "n": "FUTURO COMFORT LIFT ANKLE SMALL", "r": "220228065"}, {"b": "51131201347", "n": "FUTURO ULTRASHEER PANTYHS WM FRNCH CT", "r": "220222988"}, {"b": "51131201071", "n": "FUTURO THERAPEUTIC OPEN TOE XL BEIGE 1PAIR", "r": "220231250"}, {"b": "51131201248", "n": "FUTURO PANTYHOSE FOR WOMEN ASSRD", "r": "220159898"}, {"b": "51131201101", "n": "FUTURO OPENTOE HEEL XL BGE KNEE LENGTH", "r": "220231517"}, {"b": "51131201095", "n": "FUTURO OPEN TOE OPEN HEEL KNEE LENTHM L", "r": "220220947"}, {"b": "51131200579", "n": "FUTURO MOIST CONTROL ANKLE SUPP ADJ", "r": "220170571"}, {"b": "51131201682", "n": "FUTURO HER WRIST SUPPORT LHAND ADJ", "r": "220216201"}, {"b": "51131190030", "n": "FUTURO HER KNEE SUPPORT ADJ", "r": "220227289"}, {"b": "51131200401", "n": "FUTURO ENERGIZNG SUPP GLOVE LRG", "r": "220217162"}, {"b": "51131200975", "n": "FUTURO COMFORT LIFT ELBOW L", "r": "220234637"}, {"b": "5000158070356", "n": "FYBOGEL SACHETS 30S", "r": "220165708"}, {"b": "751063340809", "n": "V GAIA ECHINACEA SUPREME 30ML", "r": "220191905"}, {"b": "751063145701", "n": "VGAIA KIDS BLACK ELDERBERRY SYRUP 90ML", "r": "220195530"}, {"b": "751063390507", "n": "V GAIA KIDS ECHINACEA SUPREME 30ML", "r": "220211272"}, {"b": "751063390408", "n": "V GAIA KIDS DEFENSE 30ML", "r": "220210981"}, {"b": "751063328302", "n": "V GAIA HOLY BASIL LEAF 30ML", "r": "220191007"}, {"b": "6972247310720", "n": "CETAPHIL HD SNTIZER 500ML GWP", "r": "220195121"}, {"b": "3499320011259", "n": "AKLIEF TRIFAROTENE CREAM 50MG", "r": "220222832"}, {"b": "3499320010504", "n": "CLOBEX SHAMPOO 125ML", "r": "220237907"}, {"b": "9650137005488", "n": "GALVUS 50MG TAB 28S", "r": "220165137"}, {"b": "9650137005501", "n": "GALVUSMET TAB 60S 50850", "r": "220169960"}, {"b": "6009663566117", "n": "GAMA WELLNESS MIN MASSAGER", "r": "220086454"}, {"b": "8002660024381", "n": "GANATON 50 MG ITOPRIDE HYDROCHLORIDE", "r": "220048475"}, {"b": "35046068714", "n": "GARDEN GREEN ACAICLEANSE 48H DETOX 947ML", "r": "220054233"}, {"b": "658010118347", "n": "V GOL URINARY TRACT  50BIL 60CAPS", "r": "220178258"}, {"b": "658010118279", "n": "VGOL PROBIOTIC ONCE DAILY 30CAPS", "r": "220178600"}, {"b": "658010118293", "n": "V GOL PROBIOTIC ONCE DAILY MEN 30CAPS", "r": "220192915"}, {"b": "658010121873", "n": "V GOL ASHWAGANDHA STRESSMOOD 60S", "r": "220192411"}, {"b": "658010117678", "n": "V GOL MYKIND ORGNS MENS ONCE DAILY 60S TAB", "r": "220090018"}, {"b": "658010117760", "n": "V GOL MYKIND ORGNS WOMENS ONCE DAILY 60S TAB", "r": "220110339"}, {"b": "658010124522", "n": "V GOL DR FORM KETO FIT CHOC SHAKE 365G", "r": "220188924"}, {"b": "658010124546", "n": "V GOL DR FORM KETO FIT VANILA SHAKE 355G", "r": "220189320"}, {"b": "658010124485", "n": "V GOL DR FORM KETO MEAL CHOC SHAKE 700G", "r": "220187961"}, {"b": "658010124478", "n": "V GOL DR FORM KETO MEAL VANILA SHAKE 672G", "r": "220188845"}, {"b": "658010124461", "n": "V GOL DR FORM KETO ORG GRAS FED BTR PWDR 300G", "r": "220187818"}, {"b": "658010124454", "n": "V GOL DR FORM KETO ORG MCT PWDR 300G", "r": "220188675"}, {"b": "658010118323", "n": "V GOL PROBIOTIC ONCE DAILY WOMEN 30CAPS", "r": "220211177"}, {"b": "658010121774", "n": "VGOL ORG ELDERBERRY 120GUMMIES", "r": "220194358"}, {"b": "658010121903", "n": "VGOL MYKIND ORG HERBAL EX STR TURMERIC 60VTABS", "r": "220201884"}, {"b": "3600542224505", "n": "GARNIER VITAMIN C SHOT MIX TISSUE MASK 33GMS", "r": "220230564"}, {"b": "3600542097086", "n": "GARNIER TISSUE MASK PURE CHARCOAL 1PC 28GMS", "r": "220223282"}, {"b": "3600542064934", "n": "GARNIER HYDRA BOMB MASK POMERGRANATE 32GMS", "r": "220219135"}, {"b": "3600542065016", "n": "GARNIER HYDRA BOMB MASK GREEN TEA 32GMS", "r": "220229889"}, {"b": "3600542065047", "n": "GARNIER HYDRA BOMB MASK CAMOMILLE 32GMS", "r": "220226180"}, {"b": "3600542158718", "n": "GARNIER HYDRA BOMB EYE MASK ORANGE X1PC 6GMS", "r": "220228279"}, {"b": "3061376204239", "n": "GARNIER SKIN NATURALS LIGHT FAIRNESS FACE WASH 100ML", "r": "220232557"}, {"b": "3600542398183", "n": "GARNIER FAST BRIGHT 30X VIT C BOOSTER 30ML", "r": "220223105"}, {"b": "3600541510531", "n": "GARNIER UD REPLENISHING SHAMPOO 400ML", "r": "220232224"}, {"b": "3610340024276", "n": "GARNIER UD REPLENISHING CONDITIONER 400ML", "r": "220232167"}, {"b": "3610340027130", "n": "GARNIER UD OLIVE MYTHIQUE SHAMPOO 400ML", "r": "220235543"}, {"b": "3610340026089", "n": "GARNIER UD OIL REPLAC AVOCADO OIL  SHEA 300ML", "r": "220219125"}, {"b": "3610340040580", "n": "GARNIER UD MYTHIQUE OLIVE CONDITIONER 400ML", "r": "220231257"}, {"b": "3600540539397", "n": "GARNIER UD AVOCADO SHEA BUTR NUTRITION CRM 200ML", "r": "220222936"}, {"b": "3610340024313", "n": "GARNIER UD AVOCADO SHEA BUTR COND 400ML", "r": "220219248"}, {"b": "3600541177741", "n": "GARNIER UD AVOCADO SHEA BUTER SHAMOO 400ML", "r": "220222074"}, {"b": "3610340078781", "n": "GARNIER UD ALMOND CASTOR OIL SHAMPOO 400ML", "r": "220232762"}, {"b": "3610340078828", "n": "GARNIER UD ALMOND CASTOR OIL CONDITIONER 400ML", "r": "220226003"}, {"b": "3600541101036", "n": "GARNIER PURE ACTIVE 3IN1 150ML", "r": "220231903"}, {"b": "3600541731578", "n": "GARNIER MICELLAR WIPES ALL IN ONE 25S", "r": "220216334"}, {"b": "3600542081337", "n": "GARNIER MICELLAR WATER SENSITIVE SKIN 100ML", "r": "220231817"}, {"b": "3600542109796", "n": "GARNIER MICELLAR WATER IN OIL100ML", "r": "220234257"}, {"b": "3600541897694", "n": "GARNIER MICELLAR OIL INFUSED WATER 400ML", "r": "220225209"}, {"b": "3600541729711", "n": "GARNIER MICELLAR CLEANSING WATER 400ML", "r": "220217322"}, {"b": "3061375781069", "n": "GARNR COLOR NATRURALS 5 LIGHT BROWN", "r": "220231818"}, {"b": "3600541480018", "n": "GARNIER UD REPAIR SERUM 50ML", "r": "220222246"}, {"b": "3610340038624", "n": "GARNIER UD OIL BLENDS REMEDIES ARGAN CAMELIA 140ML", "r": "220217799"}, {"b": "3610340038723", "n": "GARNIER UD MYTHIC OLIVE REPL BIPHASE OIL 140ML", "r": "220216697"}, {"b": "3610340038877", "n": "GARNIER UD MYTHIC OLIVE OIL REPLACEMENT 300ML", "r": "220221516"}, {"b": "3600541327900", "n": "GARNIER UD MARVELOUS SHAMPOO 400ML", "r": "220218509"}, {"b": "3610340023552", "n": "GARNIER UD MARVELOUS CONDITIONER 400ML", "r": "220231331"}, {"b": "3610340038525", "n": "GARNIER UD BIPHASE AVOCAD  SHEA BUTER OIL 140ML", "r": "220217041"}, {"b": "3600542030885", "n": "GARNIER MICELLAR CLEANSING GEL WASH 200ML", "r": "220234813"}, {"b": "8901526951277", "n": "GARNIER LIGHT  RADIANT 3IN1 FACE WASH SCRUB 100ML", "r": "220224622"}, {"b": "3600542070799", "n": "GARNIER HYDRA BOMB MASK CHERRY BLOSSOM 32GMS", "r": "220228339"}, {"b": "3600541575714", "n": "GARNIER EXPRESS 2IN1 EYE MAKEUP REMOVER 125ML", "r": "220227780"}, {"b": "3600541319691", "n": "GARNIER BB CREAM SKIN PERFECTOR MEDIUM 50ML", "r": "220231819"}, {"b": "3600541319684", "n": "GARNIER BB CREAM 5IN1 MOISTURISER LIGHT 50ML", "r": "220223584"}, {"b": "3600541295438", "n": "GARNIER BB CREAM 5IN1 CLASSIC MEDIUM 50ML", "r": "220223231"}, {"b": "3600541295421", "n": "GARNIER BB CREAM 5IN1 CLASSIC LIGHT 50ML", "r": "220216492"}, {"b": "641528005131", "n": "GASAID DROPS 30ML", "r": "220073202"}, {"b": "7640153080165", "n": "GASEC 20MG CAP 28S", "r": "220220813"}, {"b": "7640153080196", "n": "GASEC 20MG CAP 14S", "r": "220229726"}, {"b": "854217006221", "n": "GAVE GOLD SUN C PEPTIDES 50ML", "r": "220079672"}, {"b": "854217006245", "n": "GAVE GOLD ROYAL DAY  NIGHT CRM 50ML", "r": "220065099"}, {"b": "854217006252", "n": "GAVE GOLD GOLDEN ENZYMES 50ML", "r": "220054971"}, {"b": "854217006191", "n": "GAVE GOLD CITRUS MIST 50ML", "r": "220061953"}, {"b": "854217006184", "n": "GAVE GOLD CITRUS CLEANSE 50ML", "r": "220074931"}, {"b": "854217006207", "n": "GAVE GOLD CELL SALT DETOX 50ML", "r": "220051381"}, {"b": "854217006238", "n": "GAVE GOLD 24K FLAKES HOG ELIXIR 50ML", "r": "220178268"}, {"b": "5000158071674", "n": "GAVISCON INFANT ORAL SUSP 30 SACHETS", "r": "220157970"}, {"b": "5000158071650", "n": "GAVISCON LIQUID PEPPERMINT FLAVOUR 200ML", "r": "220231341"}, {"b": "6295120041406", "n": "GAVISCON DOUBLE ACTION SUSP 300 ML", "r": "220224574"}, {"b": "629512004139", "n": "GAVISCON DA TAB 32S", "r": "220193376"}, {"b": "5000158069008", "n": "GAVISCON ADVANCE ANISEED SUSP 300ML", "r": "220234979"}, {"b": "5000158065109", "n": "GAVISCON ADVANCE PEPPERMINT FLAVOUR 300 ML", "r": "220171299"}, {"b": "5000158065222", "n": "GAVISCON EXTRA STRENGH 24TAB", "r": "220230146"}, {"b": "5000158060630", "n": "GAVISCON LIQUID 200ML", "r": "220223673"}, {"b": "5000158071148", "n": "GAVISCON LIQUID PEPPERMINT FLAVOUR 600 ML", "r": "220220150"}, {"b": "5000158060647", "n": "GAVISCON LIQUID 500ML", "r": "220225535"}, {"b": "8412971237071", "n": "VGDC T SRNS REPAIR NIGHT PROGRESS EYE 15 ML", "r": "220160885"}, {"b": "7460005010030", "n": "V GDC TIMEXPERT RIDES NIGHT SUCCESS", "r": "220179454"}, {"b": "8412971237057", "n": "V GDC TE SRNS REPAIR NIGHT PROGERSS 50 ML", "r": "220154065"}, {"b": "8412971258991", "n": "V GDC TE C PURE C ESSENCE FACIAL SERUM 46ML", "r": "220165634"}, {"b": "8412971203366", "n": "V GDC T WHITE SPOT CORRECTION CREAM SPF20 50ML", "r": "220176453"}, {"b": "8412971256348", "n": "V GDC T WHITE ANTIAGEING CLARIFYING CREAM 50ML", "r": "220175784"}, {"b": "8412971237064", "n": "V GDC T SRNS INTENSIVE RECOVERY CREAM 50 ML", "r": "220171362"}, {"b": "8412971258038", "n": "V GDC T SRNS EYES ILLUM DETOX FORMULA 15 ML", "r": "220206417"}, {"b": "8412971249814", "n": "V GDC T RIDES REFINITION 50ML", "r": "220199539"}, {"b": "8412971264466", "n": "V GDC T RIDES RECORD SERUM LINEWRINKLE 30ML", "r": "220165770"}, {"b": "8412971226846", "n": "V GDC T RIDES CORR CREAM LINEWRINK 50ML LIGHT", "r": "220153830"}, {"b": "8412971226853", "n": "V GDC T RIDES COR CREAM LINEWIRNK 50ML RICH", "r": "220206488"}, {"b": "7460005010023", "n": "V GDC PUREXPERT REFINER OILY 50ML", "r": "220175883"}, {"b": "7460005010016", "n": "V GDC PUREXPERT PURFYNG FOAM OILY 30ML", "r": "220177093"}, {"b": "8412971254030", "n": "V GDC PUREX ROLLON SPOT SOS SOLUTION 15 ML", "r": "220176987"}, {"b": "8412971264329", "n": "V GDC PUREX BALANCING PERFECTING SERUM 50 ML", "r": "220177553"}, {"b": "8412971254023", "n": "V GDC PUREX ANTI IMP SF DERMO CLEANSER", "r": "220172434"}, {"b": "8412971243201", "n": "V GDC HYDRAC INTENSE COMFORT HYDRACTMASK 75ML", "r": "220208005"}, {"b": "8412971220974", "n": "GDC TMXPRT WSPOT DMNSH PRCSN PRFCTNG CON 15ML", "r": "220219398"}, {"b": "8412971203380", "n": "GDC TMXPRT WSPOT DMNSH PRCSN PRFCTNG CON 15ML", "r": "220228813"}, {"b": "8412971203373", "n": "GDC TMXPRT WHITE SPOT CRRCTR INTNSVE SRM 30ML", "r": "220224378"}, {"b": "8412971226136", "n": "GDC TMXPRT RDS XCEL YTHFLNSS RCRTN CRM 50ML", "r": "220226863"}, {"b": "8412971243683", "n": "GDC TIME RIDES XCEL RETINAGE FILLER SRM 50ML", "r": "220235465"}, {"b": "8412971258663", "n": "GDC TE C INTEN MULTI CORR EMUL AGE 50ML", "r": "220230817"}, {"b": "8412971258670", "n": "GDC TE C INTEN MULTI CORR CREM AGE50ML", "r": "220218536"}, {"b": "8412971256331", "n": "GDC T WHITE POWER LIGHT 50ML", "r": "220178858"}, {"b": "8412971226877", "n": "GDC T RIDES EYE CONT TREATMEN 2X10 ML", "r": "220174487"}, {"b": "8412971261717", "n": "GDC SHINE YOUTH RESTORING ESSENCE 100ML", "r": "220223896"}, {"b": "8412971253996", "n": "GDC PUREXPERT EXTRACMFRT CLNSNG GEL 125ML", "r": "220231518"}, {"b": "8412971254016", "n": "GDC PUREX NO STRESS HYDRATING CREAM 50 ML", "r": "220177574"}, {"b": "8412971253972", "n": "GDC PRXPRT REFINER ESSENCE FOR OILY SKN 200ML", "r": "220220049"}, {"b": "8412971253989", "n": "GDC PRXPRT OILFREE HYDROMTFYNG GELCRM 50ML", "r": "220234330"}, {"b": "8412971263292", "n": "GDC PF SLIM STARTER NIGHT SPECIF CONC 125ML", "r": "220233599"}, {"b": "8412971278753", "n": "GDC PF SLIM MISSION EMULSION LIPOESCULT 200ML", "r": "220218538"}, {"b": "8412971165008", "n": "GDC PF DEODORANT GEL 75ML", "r": "220226010"}, {"b": "8412971246714", "n": "GDC PF DEO CONTROL ROLLON 24H 75ML", "r": "220231771"}, {"b": "8412971264251", "n": "GDC HYDRCRE HYDRCTVE RICH CRM VRY DRY SKN 50ML", "r": "220217968"}, {"b": "8412971254047", "n": "GDC EXFOLIATING DERMOPURIFYING MASK 75ML", "r": "220223918"}, {"b": "811676013924", "n": "GEL SOCKS ONE SIZE", "r": "220065584"}, {"b": "9650162000342", "n": "GELOBRONCHIAL SYP 200ML", "r": "220158937"}, {"b": "4029125074082", "n": "GELOMYRTOL FORTE CAP 20S", "r": "220160289"}, {"b": "4029125069750", "n": "GELOREVOICE THROAT LOZENGES", "r": "220169870"}, {"b": "8906045637053", "n": "GELTEC REVUP 30SG", "r": "220186583"}, {"b": "8906045633093", "n": "GELTEC RELIEVE 60SG", "r": "220183181"}, {"b": "8906045637084", "n": "GELTEC OLEGA 1000 FISHOIL OMG 3 30SG", "r": "220182387"}, {"b": "8906045633697", "n": "GELTEC NATAL 30SG", "r": "220182399"}, {"b": "8906045633611", "n": "GELTEC LAXI 60SG", "r": "220183467"}, {"b": "8906045637060", "n": "GELTEC IRO PLUS IRONFA 30SG", "r": "220185001"}, {"b": "8906045633147", "n": "GELTEC FEMIVIT 30SG", "r": "220183160"}, {"b": "8906045637046", "n": "GELTEC ESOFT 400 VIT E POT ANTIOX 30CAPS", "r": "220185588"}, {"b": "8906045637398", "n": "GELTEC DOLCIVIT VIT D3 50K 12CAPS", "r": "220186980"}, {"b": "8437016502297", "n": "GELYVIT D3 KIDS SPRAY 400IU 28ML", "r": "220238691"}, {"b": "8003693400678", "n": "GENERA INTIMATE WASH CAMOMILLE", "r": "220160666"}, {"b": "8003693401910", "n": "GENERA INTIMATE WASH ALOEMARIGOLD", "r": "220161131"}, {"b": "857630006601", "n": "GENEXA VITAMIN D3 INFANTS DROPS 3ML", "r": "220213307"}, {"b": "8033087660012", "n": "GENGIGEL HYALURONIC ACID GINGIVAL GEL 20ML", "r": "220226030"}, {"b": "8033087660142", "n": "GENGIGEL FIRST AID FLUID 50ML", "r": "220161001"}, {"b": "8033087660159", "n": "GENGIGEL GINGIVAL SPRAY 20ML", "r": "220219502"}, {"b": "8033087660029", "n": "GENGIGEL MOUTH WASH 150ML", "r": "220001261"}, {"b": "965017900013", "n": "GENTAMYCIN 03 E DROPS 10ML", "r": "220154586"}, {"b": "965017900012", "n": "GENTADEXA EYE DROPS 10ML", "r": "220160280"}, {"b": "5060164121596", "n": "GTONIC TRAVEL ESSENTIALS SET 50ML", "r": "220206318"}, {"b": "5060164120049", "n": "GTONIC SHAVE CREAM 100ML", "r": "220206389"}, {"b": "5060164120025", "n": "GTONIC PROTEIN COND 250ML", "r": "220206837"}, {"b": "5060164120001", "n": "GTONIC GENTLE BODY WASH 250ML", "r": "220206059"}, {"b": "5060164120032", "n": "GTONIC FOAMING CLEANSER 150ML", "r": "220205623"}, {"b": "5060164120179", "n": "GTONIC EXFOLIATING FACIAL SCRUB 100ML", "r": "220206029"}, {"b": "5060164120018", "n": "GTONIC DAILY SHMP 250ML", "r": "220207789"}, {"b": "5060164120162", "n": "GTONIC DAILY MOISTURISER 100ML", "r": "220205408"}, {"b": "5060164121695", "n": "GTONIC BEARD OIL 30ML", "r": "220207860"}, {"b": "5060164121749", "n": "GTONIC IMMUNE SUPPLEMENT CAP 90S", "r": "220206777"}, {"b": "5060164121732", "n": "GTONIC AGE DEFENCE SUPPLEMENT CAP 60S", "r": "220207823"}, {"b": "8698712454833", "n": "GERM X ANTISEPTIC VAGINAL DOUCHE 10X5ML", "r": "220210269"}, {"b": "4036831732502", "n": "GESALIFE NITRILE GLOVES M", "r": "220194623"}, {"b": "965013900039", "n": "DISP SYRNG 5CC 22GX112", "r": "220167350"}, {"b": "965013900037", "n": "DISP SYRNG 25CC 23GX114", "r": "220172178"}, {"b": "965013900041", "n": "DISP SYRNG 20CC 21GX112", "r": "220171441"}, {"b": "3518646040474", "n": "GILBERT MOUSTIDOSE REPELLANT LOTION 50ML", "r": "220156481"}, {"b": "3518646041204", "n": "GILBERT MOUSTIDOSE SOOTHING CREAM 40ML", "r": "220220747"}, {"b": "3518646040153", "n": "GILBERT MOUSTIDOSE REPELLANT MILK 50ML", "r": "220233039"}, {"b": "3518646672330", "n": "GILBERT MARIMER NASAL SPRAY 100ML", "r": "220224839"}, {"b": "4902430777483", "n": "GILLETTE SHAVE FOAM REG 50G", "r": "220204619"}, {"b": "7702018980857", "n": "GILLETE SERIES GEL 75ML", "r": "220204547"}, {"b": "7702018069255", "n": "GILLETTE SIMPLY VENUS DISP RAZOR 5S", "r": "220225540"}, {"b": "7702018581979", "n": "GILLETTE SOOTHING SENS SHAVEGEL 200ML", "r": "220229627"}, {"b": "7702018500062", "n": "GILLETTE SKINGUARD SENS RAZOR 1S", "r": "220236024"}, {"b": "7702018500215", "n": "GILLETTE SKINGUARD SENS CATRIDGE 8S", "r": "220227336"}, {"b": "7702018500123", "n": "GILLETTE SKINGUARD SENS CATRIDGE 4S", "r": "220218061"}, {"b": "7702018015009", "n": "GILLETTE SATINCARE DRYSKIN SHAVE GEL 200ML", "r": "220223687"}, {"b": "7702018545964", "n": "GILLETTE SIMPLY VENUS RAZOR 63S", "r": "220225827"}, {"b": "7702018587230", "n": "GILLETTE VENUS COCCONUT RAZOR 2S", "r": "220223942"}, {"b": "7702018498963", "n": "GILLETTE SATINCARE AVACADO SHAVE GEL 200ML", "r": "220233053"}, {"b": "7702018591565", "n": "GILLETTE VENUS EXTRA SMOOTH SNAP", "r": "220210838"}, {"b": "7702018514311", "n": "GLLETTE MACH3 TURBO RAZOR 12S", "r": "220230992"}, {"b": "7702018516063", "n": "GLLETTE MACH3 TURBO CATRIDGE 4S", "r": "220218921"}, {"b": "7702018368273", "n": "GILLETTE PROGLIDE COOL SHVE GEL 200ML", "r": "220221508"}, {"b": "3014260243531", "n": "GILLETTE MACH3 CARTRIDGE 4S", "r": "220232787"}, {"b": "3014260243548", "n": "GILLETTE MACH3 BLADES 8S", "r": "220231054"}, {"b": "8001841618326", "n": "GILLETTE KING C SHAVE GEL 150ML", "r": "220218217"}, {"b": "7702018541652", "n": "GILLETTE KING C DOUBLE EDGE RAZOR 15S", "r": "220235090"}, {"b": "7702018541683", "n": "GILLETTE KING C DOUBLE EDGE BLADES 10S", "r": "220226246"}, {"b": "7702018593262", "n": "GILLETTE KING C BEARD TRIMMER", "r": "220233849"}, {"b": "8001841618425", "n": "GILLETTE KING C BEARD OIL 30ML", "r": "220229508"}, {"b": "8001841772042", "n": "GILLETTE KING C BEARD ESSENTIAL BAG", "r": "220226692"}, {"b": "8001841618371", "n": "GILLETTE KING C BEARD BALM 100ML", "r": "220222606"}, {"b": "8001841618272", "n": "GILLETTE KING C BEARD  FACE WASH 350ML", "r": "220219951"}, {"b": "7702018537914", "n": "GILLETTE BLUE3 SMART 94S", "r": "220204470"}, {"b": "7702018457281", "n": "GILLETTE BLUE3 COOL DISP RAZOR 6S", "r": "220235997"}, {"b": "7702018489831", "n": "GILLETTE BLUE3 COMFORT RAZOR 6S", "r": "220224300"}, {"b": "7702018016808", "n": "GILLETTE VENUS RIVIERA DISP RAZOR 2S", "r": "220224334"}, {"b": "7702018024759", "n": "GILLETTE SIMPLY VENUS 2BLD DISP RAZOR 4S", "r": "220218167"}, {"b": "7702018334919", "n": "GILLETTE VENUS BREEZE RAZOR 2S", "r": "220231175"}, {"b": "7702018339907", "n": "GILLETTE VENUS OLAY CATRIDGE 4S", "r": "220229671"}, {"b": "7702018443628", "n": "GILLETTE VENUS TREASURES RAZOR 3S", "r": "220219768"}, {"b": "3014260262709", "n": "GILLETTE VENUS CARTRIDGES 4S", "r": "220228362"}, {"b": "7702018967612", "n": "GILLETTE VENUS SPA BREEZE CATRIDGE 4S", "r": "220219998"}, {"b": "3014260285425", "n": "GILLETTE VENUS RAZOR 2UP 1S", "r": "220234736"}, {"b": "7702018273386", "n": "GLLETTE FUSION PROGLIDE STYLER TRIMMER", "r": "220232720"}, {"b": "7702018085606", "n": "GILLETTE FUSION PROGLIDE PWR CATRIDGE 8S", "r": "220221199"}, {"b": "7702018085576", "n": "GILLETTE FUSION PROGLIDE PWR CATRIDGE 4S", "r": "220221549"}, {"b": "7702018390656", "n": "GILLETTE FUSION PROGLIDE FLEX RAZOR 1S", "r": "220234809"}, {"b": "7702018085514", "n": "GILLETTE FUSION PROGLIDE CATRIDGE 4S", "r": "220216409"}, {"b": "7702018390595", "n": "GILLETTE FUSION PG FLEX PWR RAZOR 1S", "r": "220225645"}, {"b": "7702018874125", "n": "GILLETTE FUSHION RAZOR 2S", "r": "220231600"}, {"b": "7702018877539", "n": "GILLETTE FUSHION POWER RAZOR 1S", "r": "220233037"}, {"b": "7702018877591", "n": "GILLETTE FUSHION POWER CATRIDGE 4S", "r": "220233990"}, {"b": "7702018874460", "n": "GILLETTE FUSHION CATRIDGE 4S", "r": "220229972"}, {"b": "3014260283254", "n": "GILLETTE DISPOS RAZOR BLUE II 5S", "r": "220230514"}, {"b": "7702018454716", "n": "GILLETTE BLUE3 SIMPLE DISP RAZOR 5S", "r": "220236595"}, {"b": "7702018457342", "n": "GILLETTE BLUE3 COOL DISP RAZOR 8S", "r": "220231165"}, {"b": "7702018581955", "n": "GILLETTE FUSHION PG SENS SHAVE FOAM 200ML", "r": "220218965"}, {"b": "7702018582112", "n": "GILLETTE PRO AQUAHYDRATE SHAVE GEL 200ML", "r": "220227173"}, {"b": "4015400673378", "n": "PAMPERS PANTS SIZE6 19S", "r": "220235267"}, {"b": "4015400672685", "n": "PAMPERS PANTS SIZE5 22S", "r": "220217853"}, {"b": "4015400672647", "n": "PAMPERS PANTS SIZE4 24S", "r": "220217546"}, {"b": "4015400703983", "n": "PAMPERS PANTS SIZE3 26S", "r": "220228595"}, {"b": "7702018413027", "n": "GILLTTE FUSION PROSHIELD RAZOR 2S", "r": "220228534"}, {"b": "7702018400966", "n": "GILLETTE VENUS SWIRL 5BLD RAZOR 1S", "r": "220217818"}, {"b": "7702018364510", "n": "GILLETTE VENUS SNAP RAZOR 1S", "r": "220232468"}, {"b": "7702018018116", "n": "GILLETTE VENUS PINK DISP RAZOR 3S", "r": "220219834"}, {"b": "7702018339877", "n": "GILLETTE VENUS OLAY RAZOR 1S", "r": "220219434"}, {"b": "7702018955527", "n": "GILLETTE VENUS EMBRACE CATRIDGE 4S", "r": "220218096"}, {"b": "7702018465675", "n": "GILLETTE SIMPLY VENUS DISP RAZOR 4S", "r": "220232201"}, {"b": "3014260307387", "n": "GILLETTE SHAVING GEL ULTRA COMFORT", "r": "220223162"}, {"b": "3014260258276", "n": "GILLETTE SERIES CONDITIONING SHAVING FOAM 250ML", "r": "220229529"}, {"b": "3014260214692", "n": "GILLETTE SENSI SHAVE GEL 200ML", "r": "220222727"}, {"b": "7702018582150", "n": "GILLETTE PRO ICY COOL SHAVEGEL 200ML", "r": "220225335"}, {"b": "7702018911981", "n": "GILLETTE POWER RUSH ANTI PERSP GEL 75ML", "r": "220223345"}, {"b": "3014260220051", "n": "GILLETTE MOIST SHAVE GEL 200ML", "r": "220218343"}, {"b": "3014260275143", "n": "GILLETTE MACH3 TURBO RAZOR BLADES 2 REFILLS", "r": "220195622"}, {"b": "7702018020942", "n": "GILLETTE MACH3 TURBO RAZOR 2S", "r": "220231628"}, {"b": "7702018516094", "n": "GILLETTE MACH3 TRB CARTRIDGE 8S", "r": "220197806"}, {"b": "3014260274924", "n": "GILLETTE MACH3 TRB CARTRIDGE 8S", "r": "220155465"}, {"b": "3014260274917", "n": "GILLETTE MACH3 TRB 4S BLD", "r": "220225157"}, {"b": "7702018082438", "n": "GILLETTE MACH3 SENSITIVE RAZOR 1S", "r": "220228214"}, {"b": "7702018465989", "n": "GILLETTE MACH3 SART CATRIDGE 4S", "r": "220226818"}, {"b": "7702018029655", "n": "GILLETTE MACH3 RAZOR 1UP", "r": "220155735"}, {"b": "7702018085927", "n": "GILLETTE FUSION PROGLIDE PWR CATRIDGE 2S", "r": "220229283"}, {"b": "7702018085545", "n": "GILLETTE FUSION PROGLIDE CATRIDGE 8S", "r": "220232061"}, {"b": "7702018085897", "n": "GILLETTE FUSION PROGLIDE CATRIDGE 2S", "r": "220224138"}, {"b": "7702018864485", "n": "GILLETTE FUSION H GEL TB200 ML", "r": "220154405"}, {"b": "7702018877621", "n": "GILLETTE FUSHION POWER CATRIDGE 8S", "r": "220236413"}, {"b": "7702018877560", "n": "GILLETTE FUSHION POWER CATRIDGE 2S", "r": "220219895"}, {"b": "7702018581931", "n": "GILLETTE FUSHION PG SENS SHAVE GEL 200ML", "r": "220222616"}, {"b": "7702018872749", "n": "GILLETTE FUSHION HYDRA SENS SHAVE GEL 200ML", "r": "220224236"}, {"b": "7702018877508", "n": "GILLETTE FUSHION CATRIDGE 8S", "r": "220228176"}, {"b": "7702018877478", "n": "GILLETTE FUSHION CATRIDGE 2S", "r": "220222954"}, {"b": "3014260267339", "n": "GILLETTE DISPOS RAZOR BLUII 5S", "r": "220161109"}, {"b": "7702018582037", "n": "GILLETTE COMFORT GLIDE SHAVE GEL 200ML", "r": "220224721"}, {"b": "3014260327699", "n": "GILLETTE CLEANSING SHAVE FOAM  200ML", "r": "220235289"}, {"b": "3014260228743", "n": "GILLETTE CLASSIC REGULAR SHAVING FOAM 200ML", "r": "220218044"}, {"b": "3014260228767", "n": "GILLETTE CLASSIC MENTHOL SHAVING FOAM 200ML", "r": "220235254"}, {"b": "3014260228750", "n": "GILLETTE CLASSIC LEMON LIME SHAVE FOAM 200ML", "r": "220229271"}, {"b": "7702018949946", "n": "GILLETTE BLUE3 DISP RAZOR 3S", "r": "220221169"}, {"b": "7702018468447", "n": "GILLETTE BLUE II PLUS DISP RAZOR 10S", "r": "220226729"}, {"b": "7702018840755", "n": "GILLETTE BLUE II DISP RAZOR 10S", "r": "220224433"}, {"b": "7702018467419", "n": "GILLETTE BLUE II DISP RAZOR 10S", "r": "220221271"}, {"b": "7702018883820", "n": "GILLETTE BLUE AFTER SHAVE SPLASH 100ML", "r": "220228493"}, {"b": "931857003", "n": "GINESTRA VAGINAL TABS", "r": "220208469"}, {"b": "9650364003646", "n": "GINIL DAILY INTIMATE WASH 150ML", "r": "220207618"}, {"b": "7610940002045", "n": "GINSANA G115 CAPS 30S", "r": "220228638"}, {"b": "7610940002052", "n": "GINSANA CAPSULES 100S", "r": "220172590"}, {"b": "716237180520", "n": "V GIOV SMOOTH AS SILK SHAMPOO 2OZ", "r": "220191459"}, {"b": "716237180414", "n": "V GIOV SMOOTH AS SILK CONDITIONER 2OZ", "r": "220190371"}, {"b": "716237180438", "n": "V GIOV DIRECT LEAVE IN TREATMENTCONDITIONER 2OZ", "r": "220192367"}, {"b": "716237180391", "n": "V GIOV 5050 BALANCED SHAMPOO 2OZ", "r": "220192349"}, {"b": "716237181749", "n": "V GIOV ROOT 66 MAX VOLUME SHAMPOO 2OZ", "r": "220191021"}, {"b": "716237181732", "n": "V GIOV ROOT 66 MAX VOLUME CONDITIONER 2OZ", "r": "220191663"}, {"b": "716237183590", "n": "GIOVANNI 2CHIC ULTRASLEEK SHAMP 85OZ", "r": "220099321"}, {"b": "716237183606", "n": "GIOVANNI 2CHIC ULTRASLEEK CONDI 85OZ", "r": "220065845"}, {"b": "716237184030", "n": "GIOVANNI 2CHIC ULTRAMOIST SUPER POTION 18OZ", "r": "220107787"}, {"b": "716237184009", "n": "GIOVANNI 2CHIC ULTRAMOIST SHAMP 85OZ", "r": "220065115"}, {"b": "716237184023", "n": "GIOVANNI 2CHIC ULTRAMOIST DEEP HAIR MASK 5OZ", "r": "220083398"}, {"b": "716237184016", "n": "GIOVANNI 2CHIC ULTRAMOIST CONDI 85OZ", "r": "220054988"}, {"b": "5902768711165", "n": "GLOV TRAVEL SET MAKE UP REMOVER", "r": "220222425"}, {"b": "5902768711066", "n": "GLOV QUICK TREAT MAKE UP CLOTH", "r": "220232789"}, {"b": "5902768711325", "n": "GLOV ON THE GO PINK", "r": "220058271"}, {"b": "5902768711004", "n": "GLOV ON THE GO MAKE UP CLOTH", "r": "220230238"}, {"b": "5902768711349", "n": "GLOV ON THE GO GREY", "r": "220075214"}, {"b": "5902768711332", "n": "GLOV ON THE GO BLUE", "r": "220087665"}, {"b": "5902768711394", "n": "GLOV COMFORT PEACH", "r": "220059743"}, {"b": "5902768711011", "n": "GLOV COMFORT MAKE UP CLOTH", "r": "220233786"}, {"b": "5902768711387", "n": "GLOV COMFORT GREY", "r": "220075743"}, {"b": "5902768711370", "n": "GLOV COMFORT BLUE", "r": "220089247"}, {"b": "3031364511670", "n": "GLOW RAD WHITY CREAM 50ML", "r": "220078169"}, {"b": "3031364632924", "n": "GLOW RAD CELLU LOTION 200ML", "r": "220051940"}, {"b": "3031364514466", "n": "GLOW RADIANCE FOLIKLE PERFECT LASH 10ML", "r": "220211329"}, {"b": "3031245212450", "n": "GLOW RADIANCE FOLIKLE HAIR SERUM 30ML", "r": "220211552"}, {"b": "3031364867531", "n": "GLOW RAD ULTRA GENTAL DEO 40ML", "r": "220110361"}, {"b": "3031364756422", "n": "GLOW RAD SHIELD CREAM 50ML", "r": "220065853"}, {"b": "3031364978640", "n": "GLOW RAD PERFECT LIPS 10", "r": "220084661"}, {"b": "3031364521891", "n": "GLOW RAD MICELLAR WATER 200ML", "r": "220064869"}, {"b": "3031364733867", "n": "GLOW RAD MESOLIFT 10ML", "r": "220054241"}, {"b": "3031364622659", "n": "GLOW RAD HYDRA SOOTHING CREAM", "r": "220072379"}, {"b": "3031364511540", "n": "GLOW RAD DEFY ANTIAGEING CREAM", "r": "220081692"}, {"b": "8040520154229", "n": "GLOW RADIANCE VIRILE ENHA PERFORM TAB60S", "r": "220211330"}, {"b": "8040520154144", "n": "GLOW RADIANCE RESISTY TABS 30S", "r": "220211014"}, {"b": "3031323852158", "n": "GLOW RAD WHITY 200 G POWDER", "r": "220082501"}, {"b": "3031323785593", "n": "GLOW RAD JOINTA PWDER 12GM 30 SCHTS", "r": "220062675"}, {"b": "1484684415647", "n": "GLOW RAD CELLU 60 CAP", "r": "220086002"}, {"b": "9383933398286", "n": "GLOW RAD DEFY 60 TABLETS", "r": "220055768"}, {"b": "9383993654254", "n": "GLOW RAD FOLIKLE 60 CAPS", "r": "220071086"}, {"b": "965013500034", "n": "GLUCOBAY 50MG TAB 30S", "r": "220162426"}, {"b": "965013500033", "n": "GLUCOBAY 100MG TAB 30S", "r": "220166639"}, {"b": "3596540150055", "n": "GLUCOPHAGE XR 1000MG TAB 30S", "r": "220232938"}, {"b": "9650160002461", "n": "GLUCOPHAGE XR 750MG TAB 30S", "r": "220154764"}, {"b": "3596540070094", "n": "GLUCOPHAGE 500 XR MG TAB 30", "r": "220230215"}, {"b": "3596540010274", "n": "GLUCOPHAGE 850MG TAB 30S", "r": "220160299"}, {"b": "3596540040257", "n": "GLUCOPHAGE TAB 500MG 50S", "r": "220222732"}, {"b": "5016973991042", "n": "GLUCOTABS RASPBERRY 10S", "r": "220232770"}, {"b": "5016973991219", "n": "GLUCOTABS LEMON  LIME 10S", "r": "220231219"}, {"b": "3596540190013", "n": "GLUCOVANCE 5500 MG TAB 30S", "r": "220217456"}, {"b": "3596540050171", "n": "GLUCOPHAGE 1000MG TAB 30S", "r": "220218752"}, {"b": "359650060286", "n": "GLUCOVANCE 25500 TAB 30S", "r": "220169485"}, {"b": "301320081121", "n": "GLYCERIN SUPPOSITORY  CHILD", "r": "220171440"}, {"b": "301320079128", "n": "GLYCERIN SUPPOSITORY  ADULT", "r": "220170647"}, {"b": "965015500017", "n": "GLYCILAX CHILD SUPPO 12S", "r": "220157458"}, {"b": "965015500016", "n": "GLYCILAX ADULT SUPPO 12S", "r": "220159628"}, {"b": "5016326008014", "n": "GT FLIGHT SOCKS SMALL", "r": "220088820"}, {"b": "5016326008021", "n": "GT FLIGHT SOCKS LARGE", "r": "220061963"}, {"b": "5016326006362", "n": "GT WORLDWIDE TRAVEL ADAPTOR", "r": "220082498"}, {"b": "5016326004542", "n": "GT BEAN SLEEPER", "r": "220086447"}, {"b": "5016326006560", "n": "GT CABIN BOTTLES", "r": "220068117"}, {"b": "5016326004627", "n": "GT SEWING KIT", "r": "220054984"}, {"b": "5060259570315", "n": "GOLD COLLAGEN MASK 4S", "r": "220058784"}, {"b": "5904014060072", "n": "GOLDISEPT MOUTH SPRAY 25ML", "r": "220237079"}, {"b": "8886389650065", "n": "GOODSPHERE ESSENCE WATER 250ML", "r": "220173967"}, {"b": "8886389650041", "n": "GOODSPHERE ESSENCE EARTH 250ML", "r": "220177539"}, {"b": "8886389670100", "n": "GOODSPHERE AROMATIC - 3 IN 1 - AROMA DIFFUSER", "r": "129807146"}, {"b": "8886389620020", "n": "GOODSPHERE PURE AIR SYSTEM", "r": "220229088"}, {"b": "8886389652205", "n": "GOODSPHERE ESSENCE DELUX SANDALWOOD", "r": "220216135"}, {"b": "8886389652120", "n": "GOODSPHERE ESSENCE DELUX EUCALYPTUS", "r": "220219071"}, {"b": "8886389652113", "n": "GOODSPHERE ESSENCE DELUX CHAMOMILE", "r": "220222457"}, {"b": "8886389652151", "n": "GOODSPHERE ESSENCE INFUSION GREEN TEA", "r": "220220967"}, {"b": "8886389652137", "n": "GOODSPHERE ESSENCE INFUSION APPLE", "r": "220219180"}, {"b": "8886389652199", "n": "GOODSPHERE ESSENCE CLASSIC PEPPERMINT", "r": "220236212"}, {"b": "8886389652182", "n": "GOODSPHERE ESSENCE CLASSIC LEMON  BERGAMOT", "r": "220219548"}, {"b": "8886389652175", "n": "GOODSPHERE ESSENCE CLASSIC LAVENDER  TEA TREE", "r": "220228718"}, {"b": "8886389644019", "n": "GOODSPHERE SPECTRUM LED PLATE", "r": "220220119"}, {"b": "8886389650027", "n": "GOODSPHERE ESSENCE WOOD 250ML", "r": "220178924"}, {"b": "8886389655565", "n": "GOODSPHERE ESSENCE SELECTION  5X30 ML", "r": "220155771"}, {"b": "8896389653539", "n": "GOODSPHERE ESSENCE PREMIUM THYME", "r": "220227946"}, {"b": "8896389653492", "n": "GOODSPHERE ESSENCE PREMIUM MALEWOOD", "r": "220230778"}, {"b": "8896389653522", "n": "GOODSPHERE ESSENCE PREMIUM LAVENDER", "r": "220227468"}, {"b": "8896389653515", "n": "GOODSPHERE ESSENCE PREMIUM JASMINE  ROSE", "r": "220232154"}, {"b": "8896389653560", "n": "GOODSPHERE ESSENCE PREMIUM GARDENIA", "r": "220229220"}, {"b": "8896389653508", "n": "GOODSPHERE ESSENCE PREMIUM CITRUS  GREEN TEA", "r": "220228716"}, {"b": "8896389653485", "n": "GOODSPHERE ESSENCE PREMIUM AGARWOOD", "r": "220236578"}, {"b": "8886389650058", "n": "GOODSPHERE ESSENCE METAL 250ML", "r": "220177750"}, {"b": "8886389652281", "n": "GOODSPHERE ESSENCE INFUSION VANILLA", "r": "220218112"}, {"b": "8886389650034", "n": "GOODSPHERE ESSENCE FIRE 250ML", "r": "220176579"}, {"b": "8886389652274", "n": "GOODSPHERE ESSENCE DELUXE ORANGE  CLOVE", "r": "220235375"}, {"b": "8886389652229", "n": "GOODSPHERE ESSENCE DELUX ROSE", "r": "220225370"}, {"b": "8886389652212", "n": "GOODSPHERE ESSENCE CLASSIC TIOMAN", "r": "220216261"}, {"b": "8886389652250", "n": "GOODSPHERE ESSENCE CLASSIC CITRONELLA", "r": "220233269"}, {"b": "8886389642008", "n": "GOODSPHERE BUBBLE AIR SYSTEM", "r": "220223734"}, {"b": "5711914104689", "n": "GOSH VITAMIN BOOSTER SHAMPOO 450ML", "r": "220217998"}, {"b": "5711914106461", "n": "GOSH VITAMIN BOOSTER OVERNIGHT DRY OIL 75ML", "r": "220072523"}, {"b": "5711914107352", "n": "GOSH VITAMIN BOOSTER CONDITIONER 450ML", "r": "220234064"}, {"b": "5711914106508", "n": "GOSH VITAMIN BOOSTER CLEANSING CONDIT 450ML", "r": "220230177"}, {"b": "5711914122331", "n": "GOSH DONODERM PRIME SET SPRAY 50ML", "r": "220224669"}, {"b": "5711914104702", "n": "GOSH COCONUT OIL SHAMPOO 450ML", "r": "220220773"}, {"b": "5711914041229", "n": "GOSH COCONUT OIL MOIST HAIR OIL", "r": "220063525"}, {"b": "5711914107420", "n": "GOSH COCONUT OIL CREAM MASK 175ML", "r": "220235938"}, {"b": "5711914104641", "n": "GOSH ARGAN OIL SHAMPOO 450ML", "r": "220225832"}, {"b": "5701278406802", "n": "GOSH ARGAN OIL INTENSE MASK 175ML", "r": "220230229"}, {"b": "5711914107291", "n": "GOSH ARGAN OIL CONDITIONER 450ML", "r": "220233503"}, {"b": "5701278407045", "n": "GOSH ARGAN MOROCCAN HAIR OIL50 ML", "r": "220075213"}, {"b": "6291103730923", "n": "GP HAND RUB SANITIZER SPR 250ML", "r": "220200849"}, {"b": "6291103730909", "n": "GP HAND RUB SANITIZER SPR 100ML", "r": "220200377"}, {"b": "5900793006270", "n": "GRACJA OLIVE NOURSHNG HAND CRM 100ML", "r": "220178742"}, {"b": "5900793006287", "n": "GRACJA LEMON PROT HAND CRM 100ML", "r": "220174156"}, {"b": "5900793041301", "n": "GRACJA COLLAGEN SMOOTHING HAND CRM 100ML", "r": "220175587"}, {"b": "5900793006256", "n": "GRACJA CHAMOMILE REG HAND CRM 100ML", "r": "220177854"}, {"b": "5900793006263", "n": "GRACJA ALOE MOIST HAND CRM 100ML", "r": "220176108"}, {"b": "6034000591057", "n": "GB KIDS BAMBO FLT TB SFT BRISTLES 4PK", "r": "220205105"}, {"b": "6034000591194", "n": "GB KIDS BAMBO FLT TB SFT BRISTLES 1PK", "r": "220206267"}, {"b": "6034000591187", "n": "GB BAMBO FLT TB WHITE SFT BRISTELS 1PK", "r": "220205903"}, {"b": "6034000591002", "n": "GB BAMBO CURVED TB CHARCOL SFT BRSTL 1PK", "r": "220207209"}, {"b": "9650364002809", "n": "GREEN CROSS SANITIZER", "r": "220188435"}, {"b": "4800047820014", "n": "GREEN CROSS ALCOHOL 70 500ML", "r": "220221365"}, {"b": "4800047860706", "n": "GREEN CROSS ALCOHOL MOIST 40 500ML", "r": "220231557"}, {"b": "4800047860010", "n": "GREEN CROSS ALCOHOL 40 500ML", "r": "220233955"}, {"b": "4800047820304", "n": "GREEN C ETHYL ALCOHOL 500ML 70", "r": "220088550"}, {"b": "5060221201506", "n": "GRENADE CREATINE 500GM", "r": "220202102"}, {"b": "5060221201490", "n": "GRENADE GLUTAMINE 500GM", "r": "220201200"}, {"b": "5060221203685", "n": "GRENADE DEFEND STRAWBERRY MANGO 390GM", "r": "220201493"}, {"b": "5060221201087", "n": "GRENADE DEFEND GREEN APPLE 390GM", "r": "220201595"}, {"b": "5060221203968", "n": "GRENADE CARB KILLA SHAKE BOTTLES WHITE CHOCO", "r": "220202232"}, {"b": "5060221201810", "n": "GRENADE CARB KILLA BARS WHITE CHOCO COOKIE", "r": "220202154"}, {"b": "5060221204606", "n": "GRENADE CARB KILLA BARS SALTED PEANUT", "r": "220201287"}, {"b": "5060221203753", "n": "GRENADE CARB KILLA BARS PEANUT NUTTER", "r": "220201121"}, {"b": "5060221203784", "n": "GRENADE CARB KILLA BARS JAFFA QUAKE", "r": "220201426"}, {"b": "5060221201575", "n": "GRENADE CARB KILLA BARS COOKIES AND CREAM", "r": "220201231"}, {"b": "5060221201605", "n": "GRENADE CARB KILLA BARS CHOCO FUDGE BROWNIE", "r": "220201198"}, {"b": "5060221203937", "n": "GRENADE CARB KILLA BARS CHOCO CHIP COOKIE DOUGH", "r": "220202261"}, {"b": "5060221201391", "n": "GRENADE CARB KILLA BARS CARAMEL CHAOS", "r": "220201749"}, {"b": "5060451230147", "n": "GROUNDED LEMON TEA TREE FACE SCRUB 60GM", "r": "220220753"}, {"b": "7630019902984", "n": "GUM SENSIVITAL TOOTH PASTE 75ML", "r": "220228193"}, {"b": "7630019903011", "n": "GUM SENSI VITAL MOUTH WASH 300ML", "r": "220235874"}, {"b": "7630019902472", "n": "GUM ACTIVITAL TOOTH PASTE 75ML", "r": "220233817"}, {"b": "7630019902625", "n": "GUM ACTIVIAL MOUTH WASH 300ML", "r": "220227327"}, {"b": "70942303286", "n": "GUM SOFT PICKS 40S", "r": "220234394"}, {"b": "70942123518", "n": "GUM SENSI VITAL COMPACT TOOTH BRUSH", "r": "220226664"}, {"b": "70942501248", "n": "GUM OTHO SOFT TOOTH BRUSH 4RW", "r": "220216875"}, {"b": "70942507233", "n": "GUM ORIGNAL ORTHODONTIC WAX ORG", "r": "220232944"}, {"b": "7630019900171", "n": "GUM INTERDENTAL BRUSH 09", "r": "220216709"}, {"b": "7630019900188", "n": "GUM INTER DENTAL BRUSH 11 MM", "r": "220225470"}, {"b": "70942304764", "n": "GUM HALI CONTROL MOUTH WASH 300ML", "r": "220223684"}, {"b": "70942302401", "n": "GUM EXPANDING FLOSS 30M", "r": "220219565"}, {"b": "70942302777", "n": "GUM BUTLER TONGE BRUSH", "r": "220228119"}, {"b": "70942304757", "n": "GUM BUTLER HALICONTROL TOOTHPASTE GEL 75GM", "r": "220165922"}, {"b": "70942018555", "n": "GUM  WEAVE MINT WAXED DENTAL FLOSS 5M", "r": "220223230"}, {"b": "70942304573", "n": "GUM STRAWBERY 26 YEAR TOOTH PAST", "r": "220228830"}, {"b": "70942304153", "n": "GUM STRAWBERY 26 YEAR TOOTH PAST", "r": "220226586"}, {"b": "7630019900164", "n": "GUM INTERDENTAL BRUSH 08", "r": "220217112"}, {"b": "7630019903783", "n": "GUM EASY FLOSS MINT WAX 30M", "r": "220222441"}, {"b": "70942508247", "n": "GUM BUTLER REDCOTE TABSINTL", "r": "220160904"}, {"b": "70942304795", "n": "GUM BUTLER ORTHO SPEARMINT TP GEL 75G", "r": "220161665"}, {"b": "70942303200", "n": "GUM BUTLER ORIGINAL WHITE FLOSS", "r": "220223670"}, {"b": "7630019902557", "n": "BG PENGUIN KIDS 37 YEARS TOOTH PASTE", "r": "220227654"}, {"b": "6291100086313", "n": "GUPISONE 20MG TAB 20S", "r": "220164096"}, {"b": "965014600001", "n": "GUPISONE 5MG TABLETS 20S", "r": "220164438"}, {"b": "965014500006", "n": "GYNERA TABLETS 21S", "r": "220164755"}, {"b": "965013700323", "n": "GYNO DAKTARIN 200MGOVULES 7S", "r": "220169720"}, {"b": "965013700324", "n": "GYNO DAKTARIN 400MGOVULES 3S", "r": "220164230"}, {"b": "965013700322", "n": "GYNO DAKTARIN VAG CREAM 78GM", "r": "220170062"}, {"b": "965016000167", "n": "GYNO PEVARYL CREAM 78GM", "r": "220162009"}, {"b": "965016000045", "n": "GYNO PEVARYL 150 OVULES 3S", "r": "220162875"}, {"b": "965016000224", "n": "GYNO PEVARYL 50  OVULES 15S", "r": "220164530"}, {"b": "965014300038", "n": "GYNOFLOR TAB 6S", "r": "220166621"}, {"b": "6291100080083", "n": "GYNOMIKOZAL 200MG OVLS 7S", "r": "220171712"}, {"b": "6291100081608", "n": "GYNOMIKOZAL CREAM 78GMS", "r": "220165697"}, {"b": "9650146000696", "n": "GYNOMIKOZAL 400MG OVLS 3S", "r": "220156302"}, {"b": "5690732861151", "n": "HB ULTRASONIC SCRUBBER", "r": "220203747"}, {"b": "6971442641912", "n": "HB ELECTRIC EYELASH CURLER", "r": "220205008"}, {"b": "6972364370492", "n": "HB CLEANSER BRUSH SONIC WATERPROOF SCRUBBER", "r": "220205053"}, {"b": "8543819350525", "n": "HB REAL ORGANIC FOOT CRM", "r": "220204979"}, {"b": "9663611173177", "n": "HB TEA TREE FOOT OIL", "r": "220204953"}, {"b": "5060166773236", "n": "HD EYEGLASSES 25 LENS POWER", "r": "220079208"}, {"b": "5060166773229", "n": "HD EYEGLASSES 20 LENS POWER", "r": "220075049"}, {"b": "5060166773212", "n": "HD EYEGLASSES 15 LENS POWER", "r": "220078480"}, {"b": "9650364000874", "n": "READ OPTICS COMPACT READER  ASSORTED", "r": "220089253"}, {"b": "5904302000025", "n": "HAGI SET OF THREE CYCLESENSITIVE FACE CREAMS PHASES 1 2 3 NEW 330ML", "r": "220238875"}, {"b": "5906874158074", "n": "HAGI PROTECTIVE BODY POMADE WITH SEA BUCKTHORN OIL 75ML", "r": "220238014"}, {"b": "5906874158050", "n": "HAGI PROTECTIVE BODY POMADE WITH MONOI OIL 75ML", "r": "220238417"}, {"b": "5906874158067", "n": "HAGI PROTECTIVE BODY POMADE WITH CUPUACU BUTTER 75ML", "r": "220237500"}, {"b": "5906874158616", "n": "HAGI NATURALLY NOURISHING CREAM WITH GARDENIA AND RHUBARB 50ML", "r": "220238918"}, {"b": "5906874158784", "n": "HAGI NATURAL SERUM FOR COMBINATION SKIN 30ML", "r": "220239960"}, {"b": "5906874158432", "n": "HAGI NATURAL SCRUN WITH NUTMEG AND CINNAMON 300GM", "r": "220238034"}, {"b": "5906874158456", "n": "HAGI NATURAL SCRUB WITH PLUM KERNEL AND JOJOBA OIL 300GM", "r": "220238766"}, {"b": "5906874158449", "n": "HAGI NATURAL SCRUB WITH HEMP AND MACADEMIA SEED OIL 280GM", "r": "220236730"}, {"b": "5906874158500", "n": "HAGI NATURAL REVITALIZING CREAM WITH DETOX PLANT COMPLEX 50ML", "r": "220239228"}, {"b": "5906874158579", "n": "HAGI NATURAL NAPPY CREAM WITH HEMP OIL 50ML", "r": "220237612"}, {"b": "5906874158821", "n": "HAGI NATURAL FACE CARE SET FOR COMBINATION SKIN 230ML", "r": "220237171"}, {"b": "5906874158586", "n": "HAGI NATURAL FACE AND BODY CREAM WITH APRICOT KERNEL OIL 50ML", "r": "220238169"}, {"b": "5906874158777", "n": "HAGI NATURAL CREAM FOR COMBINATION SKIN 50ML", "r": "220237148"}, {"b": "5906874158692", "n": "HAGI NATURAL BODY WASH HERBAL SENSE 300ML", "r": "220237588"}, {"b": "5906874158708", "n": "HAGI NATURAL BODY WASH BERRY LOVELY 300ML", "r": "220239607"}, {"b": "5906874158685", "n": "HAGI NATURAL BODY WASH BALI HOLIDAY 300ML", "r": "220239503"}, {"b": "5906874158555", "n": "HAGI NATURAL BODY OIL WITH POPPY SEED OIL 150ML", "r": "220238907"}, {"b": "5906874158517", "n": "HAGI NATURAL BODY OIL WITH CHIA SEED OIL AND GOLDEN DUST 100ML", "r": "220238493"}, {"b": "5906874158654", "n": "HAGI NATURAL BODY OIL WITH AMBER EXTRACT AND BAOBAB OIL  MOMENTS 100ML", "r": "220238217"}, {"b": "5906874158920", "n": "HAGI NATURAL BODY OIL HERBAL SENSE 100ML", "r": "220236971"}, {"b": "5906874158906", "n": "HAGI NATURAL BODY OIL BERRY LOVELY 100ML", "r": "220238731"}, {"b": "5906874158913", "n": "HAGI NATURAL BODY OIL BALI HOLIDAY100ML", "r": "220240120"}, {"b": "5906874158005", "n": "HAGI NATURAL BODY LOTION WITH PASSION FLOWER OIL AND ORGANIC ORANGE BLOSSOM WATER 200ML", "r": "220239056"}, {"b": "5906874158029", "n": "HAGI NATURAL BODY LOTION WITH MANGO BUTTER AND CHIA OIL 200ML", "r": "220239687"}, {"b": "5906874158036", "n": "HAGI NATURAL BODY LOTION WITH HEMP OIL AND CUPUACU BUTTER 200ML", "r": "220237996"}, {"b": "5906874158883", "n": "HAGI NATURAL BODY BALM HERBAL SENSE  NOURISHING 200ML", "r": "220238750"}, {"b": "5906874158876", "n": "HAGI NATURAL BODY BALM BERRY LOVELY  MODELLING 200ML", "r": "220238012"}, {"b": "5906874158890", "n": "HAGI NATURAL BODY BALM BALI HOLIDAY  MOISTURIZING 200ML", "r": "220239946"}, {"b": "5906874158548", "n": "HAGI NATURAL BODY AND HAIR GEL WITH SWEET ALMOND OIL 250ML", "r": "220237586"}, {"b": "5906874158562", "n": "HAGI NATURAL BABY SOAP WITH RICE OIL 100GM", "r": "220239581"}, {"b": "5906874158753", "n": "HAGI NATURAL ANTIAGING FACE ELIXIR 30ML", "r": "220237909"}, {"b": "5906874158746", "n": "HAGI NATURAL ANTIAGING FACE CREAM 50ML", "r": "220239051"}, {"b": "5906874158760", "n": "HAGI NATURAL ANTIAGING CARE SET 230ML", "r": "220238847"}, {"b": "5906874158272", "n": "HAGI HIMALAYAN BATH SALT 1200GM", "r": "220238029"}, {"b": "5906874158609", "n": "HAGI EARLY DAYS CARE SET", "r": "220238960"}, {"b": "5906874158265", "n": "HAGI DEAD SEA BATH SALT 1200GM", "r": "220240210"}, {"b": "5904302000018", "n": "HAGI CYCLESENSITIVE FACE CREAM PHASES 3 NEW 30ML", "r": "220237751"}, {"b": "5904302000001", "n": "HAGI CYCLESENSITIVE FACE CREAM PHASES 2 NEW 30ML", "r": "220237692"}, {"b": "5906874158999", "n": "HAGI CYCLESENSITIVE FACE CREAM PHASES 1 NEW 30ML", "r": "220237039"}, {"b": "5906874158661", "n": "HAGI BODY BUTTER WITH AMBER EXTRACT AND BAOBAB OIL  MOMENTS 100ML", "r": "220239046"}, {"b": "5906874158302", "n": "HAGI BATH SALT OF BOCHNIA 1300GM", "r": "220238332"}, {"b": "5906874158227", "n": "HAGI BATH POWDER WITH MARIGOLD 400GM", "r": "220239199"}, {"b": "5906874158241", "n": "HAGI BATH POWDER WITH GOATS MILK 400GM", "r": "220238003"}, {"b": "5906874158258", "n": "HAGI BATH POWDER WITH CORNFLOWER 400GM", "r": "220236776"}, {"b": "5906874158463", "n": "HAGI BALI HOLIDAY MULTICREAM  FACE  BODY 50ML", "r": "220237855"}, {"b": "5903068650253", "n": "V HAIR CARE PANDA GUMMIES 300G", "r": "220191285"}, {"b": "5903068650017", "n": "V HAIR CARE PANDA TRAVEL PACK GUM 70G", "r": "220172993"}, {"b": "5903068651069", "n": "HAIR CARE PANDA BUBBLE BOOM 80G", "r": "220173449"}, {"b": "18515010209", "n": "HAIR OFF INSTANT EYE BROW SHAPER", "r": "220070313"}, {"b": "18515010223", "n": "HAIR OFF HAIR REMOVAL MITTAN", "r": "220072375"}, {"b": "18515011046", "n": "HAIR OFF FACIAL WAX STRIP", "r": "220058994"}, {"b": "18515010261", "n": "HAIR OFF FACIAL BUFFER", "r": "220057744"}, {"b": "18515011022", "n": "HAIR OFF CREME FACIAL HAIR REMOVER", "r": "220057236"}, {"b": "37000821267", "n": "VHAIRFOOD TEATREE  LAV WTR SHAMP 300ML", "r": "220191013"}, {"b": "37000821427", "n": "VHAIRFOOD TEATREE  LAV WTR COND 300ML", "r": "220190820"}, {"b": "37000822318", "n": "VHAIRFOOD MANUKA HONEY  APRICT SHAMP 300ML", "r": "220191420"}, {"b": "37000822325", "n": "VHAIRFOOD MANUKA HONEY  APRICT COND 300ML", "r": "220190694"}, {"b": "37000823384", "n": "VHAIRFOOD COC MIL  CHAI SPICE SHAMP 300ML", "r": "220191219"}, {"b": "37000823421", "n": "VHAIRFOOD COC MIL  CHAI SPICE COND 300ML", "r": "220191527"}, {"b": "37000823445", "n": "VHAIRFOOD AVOC  ARGAN OIL SHAMP 300ML", "r": "220190958"}, {"b": "37000824084", "n": "VHAIRFOOD AVOC  ARGAN OIL MASK 50ML", "r": "220190917"}, {"b": "37000823476", "n": "VHAIRFOOD AVOC  ARGAN OIL COND 300ML", "r": "220190713"}, {"b": "37000868521", "n": "HAIRFOOD SMOTHNG AVOC  ARGAN HAIROIL 95ML", "r": "220192566"}, {"b": "37000868743", "n": "HAIRFOOD NOURSHNG COC HAIROIL 95ML", "r": "220191834"}, {"b": "37000899921", "n": "HAIRFOOD NOURSHNG COC HAIRMASK 50ML", "r": "220190661"}, {"b": "650429320243", "n": "HAIRGENISIS SHAMPOO 222ML", "r": "220068540"}, {"b": "650429320250", "n": "HAIRGENISIS SERUM 50ML", "r": "220233587"}, {"b": "650429320236", "n": "HAIRGENISIS CONDITIONER 222ML", "r": "220086621"}, {"b": "650429320403", "n": "HAIRGENESIS SPRAY 103ML", "r": "220236038"}, {"b": "650429320427", "n": "HAIRGENESIS DRY SHAMPOO FOR HAIR 102ML", "r": "220223414"}, {"b": "650429320601", "n": "HAIRGENISIS 30 TABS", "r": "220232431"}, {"b": "45923792137", "n": "HAIRGENESIS REJ TABS HAIR SKIN  NAIL", "r": "220182259"}, {"b": "5012335888302", "n": "HALIBORANGE OMEGA3 DHA  ORNG SYR 300ML", "r": "220209720"}, {"b": "5060216564784", "n": "HALIBORANGE OMEGA3MULTI ORNG CHEW 60S", "r": "220209701"}, {"b": "5060216564753", "n": "HALIBORANGE OMEGA3MULTI ORNG CHEW 30S", "r": "220210056"}, {"b": "5060216565132", "n": "HALIBORANGE IRON  STRAWBERRY CHEW 30S", "r": "220209771"}, {"b": "5060216565149", "n": "HALIBORANGE HAPPY TUMMI STRBRY CHEW30S", "r": "220210115"}, {"b": "5060216564838", "n": "HALIBORANGE MULTIVIT ORNG CHEW 30S", "r": "220209746"}, {"b": "5060216564845", "n": "HALIBORANGE CALVIT D STRBRY CHEW 30S", "r": "220210222"}, {"b": "5060216564777", "n": "HALIBORANGE OMEGA3  MULTI TEEN CHEW 30S", "r": "220209898"}, {"b": "5060116111057", "n": "HALOPET ANTIBACTERIAL HAND FOAM", "r": "220082205"}, {"b": "769915090017", "n": "HAND CHEMISTRY YOUTH COMPL 100ML", "r": "220075730"}, {"b": "769915090192", "n": "HAND CHEM HEEL HYDRAT COMLX 100ML", "r": "220341142"}, {"b": "4005900603067", "n": "HANSAPLAST DRY FEET MOIST CRM 100ML", "r": "220225416"}, {"b": "4005900604132", "n": "HANSAPLAST CALLUS INTENSIVE CRM 75ML", "r": "220226817"}, {"b": "4005900571786", "n": "HANSAPLAST SOS MIX PACK", "r": "220178294"}, {"b": "4005900571748", "n": "HANSAPLAST FOOT PROTECTION 2IN1 SPRAY 150ML", "r": "220228209"}, {"b": "4005900571823", "n": "HANSAPLAST CLASSIC 5MX25CM", "r": "220173084"}, {"b": "4005800078323", "n": "HANSAPLAST WATER RESISTANT X 100S", "r": "220233949"}, {"b": "4005800422928", "n": "HANSAPLAST ELASTIC PLASTER 100S", "r": "220219255"}, {"b": "4005800005732", "n": "HANSAPLAST BLISTER PLASTER LAR 5S", "r": "220217800"}, {"b": "4005800187766", "n": "HANSAPLAST DISNEY PRINCESS 20 STRIPS", "r": "220236061"}, {"b": "4005800225581", "n": "HANSAPLAST ABC HEAT PLASTER", "r": "220222087"}, {"b": "4005800187834", "n": "HANSAPLAST DISNEY FROZEN 20S", "r": "220234907"}, {"b": "4005800038242", "n": "HANSAPLAST CORN PLASTER 8S", "r": "220229944"}, {"b": "4005800071485", "n": "HANS AQUA PROTECT 20 STRIPS", "r": "220229401"}, {"b": "4005800250750", "n": "HANSAPLAST UNIVERSAL ASSOR 20S", "r": "220234499"}, {"b": "4005800030550", "n": "HANSAPLAST EXTRA TOUGH WATERPROOF 16S", "r": "220222833"}, {"b": "4005800255113", "n": "HANSAPLAST ELASTIC PLASTER 20S", "r": "220229250"}, {"b": "4005800484537", "n": "HANSAPLAST TRANSPARENT PLASTER 20S", "r": "220219670"}, {"b": "4005800041396", "n": "HANSAPLAST XTRA TOUGH WATERPROOF ASS 15S", "r": "220231350"}, {"b": "4005900533289", "n": "HANSAPLAST WOUND SPRAY 100ML", "r": "220228721"}, {"b": "4005800070709", "n": "HANSAPLAST WITH HEALING CREAM 12S", "r": "220220851"}, {"b": "4005800187872", "n": "HANSAPLAST STAR WARS 20S", "r": "220229344"}, {"b": "4005800096761", "n": "HANSAPLAST MICKEY  FRIENDS 16", "r": "220236133"}, {"b": "4005800092510", "n": "HANSAPLAST JUNIORS CARS 16S", "r": "220216231"}, {"b": "4005800091537", "n": "HANSAPLAST FAMILY PACK DISNEY 40S", "r": "220224823"}, {"b": "819573013306", "n": "VHB ORG BABY FOOD PRUNES 99G", "r": "220204858"}, {"b": "819573013887", "n": "VHB ORG BABY FOOD PRPL CRTS BAN AVOC QUIN 113G", "r": "220204626"}, {"b": "819573013221", "n": "VHB ORG BABY FOOD PEARS SQUASH BLACKB 113G", "r": "220204592"}, {"b": "819573013290", "n": "VHB ORG BABY FOOD MANGOS 99G", "r": "220203951"}, {"b": "819573013269", "n": "VHB ORG BABY FOOD BAN RASPB OATS 113G", "r": "220203964"}, {"b": "819573013894", "n": "VHB ORG BABY FOOD BAN PLUMS GRAN 113G", "r": "220203497"}, {"b": "819573013900", "n": "VHB ORG BABY FOOD APL SPOT GRAN 113G", "r": "220203617"}, {"b": "819573013238", "n": "HB APPL BLUEB OATS ORG POUCH", "r": "220203738"}, {"b": "5012251011891", "n": "BEAUTY FORMULAS HARD SKIN REMOVER", "r": "220230405"}, {"b": "71164323175", "n": "V HASK KERATIN PROTEIN SMOOTHING SHINE OIL 18ML", "r": "220062873"}, {"b": "71164343173", "n": "V HASK KERATIN PROTEIN SMOOTHING SHAMPOO 355ML", "r": "220066815"}, {"b": "71164333075", "n": "V HASK KERATIN PROTEIN SMOOTHING DEEP CONDITIONER 50G", "r": "220065121"}, {"b": "71164343272", "n": "V HASK KERATIN PROTEIN SMOOTHING CONDITIONER 355ML", "r": "220063373"}, {"b": "71164303184", "n": "V HASK COCONUT OIL NOURISHING SHAMPOO 100ML", "r": "220088907"}, {"b": "71164303283", "n": "V HASK COCONUT OIL NOURISHING CONDITIONER 100ML", "r": "220071731"}, {"b": "71164343166", "n": "V HASK ARGAN OIL REPAIRING SHAMPOO 355ML", "r": "220099333"}, {"b": "71164303160", "n": "V HASK ARGAN OIL REPAIRING SHAMPOO 100ML", "r": "220071078"}, {"b": "71164343265", "n": "V HASK ARGAN OIL REPAIRING CONDITIONER 355ML", "r": "220066617"}, {"b": "71164303269", "n": "V HASK ARGAN OIL REPAIRING CONDITIONER 100ML", "r": "220077336"}, {"b": "71164333068", "n": "V HASK ARGAN OIL INTENSE DEEP CONDITIONING HAIR TREATMENT 50G", "r": "220074516"}, {"b": "71164029855", "n": "V HASK ARGAN OIL HEALING SHINE HAIR TREATMENT 18ML", "r": "220107797"}, {"b": "75486091910", "n": "HAWAIIAN TROPIC TANNING OIL SPF25 236ML", "r": "220238439"}, {"b": "75486088729", "n": "HAWAIIAN TROPIC TANNING OIL SPF15 236ML", "r": "220238818"}, {"b": "75486091866", "n": "HAWAIIAN TROPIC SH WLESS LOT SPF5O 177ML", "r": "220237946"}, {"b": "75486091118", "n": "HAWAIIAN TROPIC SH WLESS CS SPF15 170GM", "r": "220237425"}, {"b": "75486091132", "n": "HAWAIIAN TROPIC SH WLES FACE SPF30 50ML", "r": "220239710"}, {"b": "75486105389", "n": "HAWAIIAN TROPIC SH OIL MIST SPF15 148ML", "r": "220239253"}, {"b": "75486105433", "n": "HAWAIIAN TROPIC SH OIL MIST SPF 30 148ML", "r": "220239003"}, {"b": "75486091484", "n": "HAWAIIAN TROPIC SH AFTER SUN LTN 177ML", "r": "220239068"}, {"b": "75486087418", "n": "HAWAIIAN TROPIC ISLAND TANLTN SPF8 236ML", "r": "220238652"}, {"b": "75486087425", "n": "HAWAIIAN TROPIC ISLAND TANLTN SPF4 236ML", "r": "220239728"}, {"b": "75486087531", "n": "HAWAIIAN TROPIC DRY OIL SPRY SPF12 158GM", "r": "220236726"}, {"b": "75486087432", "n": "HAWAIIAN TROPIC DARK TAN OIL SPF0 236ML", "r": "220240222"}, {"b": "5099821001834", "n": "HAWAIIAN TROPIC S PROTECTION SUN LOTION SPF 30", "r": "220072521"}, {"b": "5099821001872", "n": "HAWAIIAN TROPIC S PROTECTION C SPRAY SPF15", "r": "220085837"}, {"b": "5099821001797", "n": "HAWAIIAN TROPIC S HYDRA SUN LOTION SPF 30", "r": "220071637"}, {"b": "5099821001971", "n": "HAWAIIAN TROPIC PROTECTIVE DRY OIL C SPRAY SPF6 177ML", "r": "220061717"}, {"b": "5099821001933", "n": "HAWAIIAN TROPIC PROTECTIVE DRY OIL C SPRAY SPF15 177ML", "r": "220087647"}, {"b": "5099821009977", "n": "HAWAI TROP TAN SPRAY SPF8 200ML", "r": "220001262"}, {"b": "5099821001094", "n": "HAWAI TROP TAN OIL SPF4 200ML", "r": "220072147"}, {"b": "5099821001087", "n": "HAWAI TROP TAN OIL SPF2 200ML", "r": "220065143"}, {"b": "5099821001070", "n": "HAWAI TROP TAN OIL SPF0 200ML", "r": "220051677"}, {"b": "5099821001520", "n": "HAWAI TROP SUN LTN SPF15 200ML", "r": "220088918"}, {"b": "5099821001919", "n": "HAWAI TROP SILK HYDRAT FACE PROT LTN SPF30 50ML", "r": "220088900"}, {"b": "5099821002039", "n": "HAWAI TROP SILK HYDRAT AFSUN LTN 180ML", "r": "220078159"}, {"b": "5099821001421", "n": "HAWAI TROP SILK HYDRA SUN LTN SPF50 180ML", "r": "220053756"}, {"b": "5099821001414", "n": "HAWAI TROP SILK HYDRA SUN LTN SPF30 180ML", "r": "220076524"}, {"b": "5099821001407", "n": "HAWAI TROP SILK HYDRA SUN LTN SPF15 180ML", "r": "220079210"}, {"b": "5099821001230", "n": "HAWAI TROP DRYOIL SPRY SPF20 200ML", "r": "220076419"}, {"b": "5099821009991", "n": "HAWAI TROP DRYOIL SPRY SPF15 200ML", "r": "220084919"}, {"b": "5099821001742", "n": "HAWAI TROP DRYOIL SPRAY SPF0 180ML", "r": "220071176"}, {"b": "5099821009878", "n": "HAWAI TROP AFTERSUN GEL 200ML", "r": "220069022"}, {"b": "8902265450888", "n": "HC KIDS DISPOSABLE MASK 50S", "r": "220198017"}, {"b": "6902860346189", "n": "HCG 3 PLY DISPOSABLE FACE MASK 50S", "r": "220192881"}, {"b": "8001841389769", "n": "HS SUPREME SCALP SOOTHING SHAMP 400ML", "r": "220230448"}, {"b": "8001841389790", "n": "HS SUPREME SCALP REJUVENATION SHAMP 400ML", "r": "220229145"}, {"b": "8001090616364", "n": "HS SHAMP 2IN1 SS 400ML", "r": "220192739"}, {"b": "8001841054940", "n": "HS CHARCOAL DETOX SHAMPOO 400ML", "r": "220225880"}, {"b": "8001841641034", "n": "HS SMOOTH  SILKY SHMP 90ML", "r": "220203598"}, {"b": "8001841645544", "n": "HS CLASSIC CLEAN SHMP 90ML", "r": "220204730"}, {"b": "5011321361058", "n": "HS REFRESHG MENTHOL SHAMPOO 400ML", "r": "220224242"}, {"b": "5011321360945", "n": "HS CLASSIC CLEAN SHAMPOO 400ML", "r": "220224021"}, {"b": "5000174035155", "n": "HS SHP REFRESHING 200ML", "r": "220155734"}, {"b": "8001841389820", "n": "HS SHAMP SUP SCALP SOOTHNG 200ML", "r": "220190533"}, {"b": "8001841389851", "n": "HS SHAMP SUP SCALP REJ 200ML", "r": "220192179"}, {"b": "5011321986794", "n": "HS DRY SCALP SHAMPOO 400ML", "r": "220216861"}, {"b": "8001841389882", "n": "HS COND SUP SCALP SOOTHNG 200ML", "r": "220192450"}, {"b": "8001841389912", "n": "HS COND SUP SCALP REJ 200ML", "r": "220192113"}, {"b": "5011321357907", "n": "HS CLASSIC CLEAN SHAMPOO 200ML", "r": "220225203"}, {"b": "5011321525832", "n": "HS ANTI BREAKAGE SHAMPOO 400ML", "r": "220231313"}, {"b": "5011321360990", "n": "HS 2IN1 LIVELY  SILKY SHAMPOO 400ML", "r": "220224557"}, {"b": "5019781000234", "n": "HEALTH AID HAIR VIT CAPS 30S", "r": "220227581"}, {"b": "5019781015856", "n": "HEALTH AID VVEIN TABS 60S", "r": "220207242"}, {"b": "5019781020027", "n": "HEALTH AID SELENIUM  A C E ZINC TABS 60S", "r": "220205659"}, {"b": "5019781014583", "n": "HEALTH AID NEUROFORTE TABS 30S", "r": "220233190"}, {"b": "9650364003585", "n": "HEALTHCHOICE DISPOSABLE MASK 50S", "r": "220199351"}, {"b": "9650364003035", "n": "HEALTH CHOICE  VINYL GLOVES 100S", "r": "220191928"}, {"b": "6009663561723", "n": "HEALTHEASE 2IN1 DIGITAL EAR THERMOMETER", "r": "220061231"}, {"b": "6009663562584", "n": "HEALTHEASE PREG N CARE MIDSTREAM P TEST 1S", "r": "220110374"}, {"b": "6009663562607", "n": "HEALTHEASE PREG N CARE CASSETTE P TEST", "r": "220107809"}, {"b": "6009663562850", "n": "HEALTHEASE SPANDEX CREPE BANDAGE 75CMX45M", "r": "220088829"}, {"b": "6009663563116", "n": "HEALTHEASE CONFIRMING BANDAGE 10X45M", "r": "220075467"}, {"b": "6009663563109", "n": "HEALTHEASE CONFORMING BANDAGE75CMX45M", "r": "220063804"}, {"b": "6009663563062", "n": "HEALTHEASE SPANDEX CREPE BANDAGE 5CMX45M", "r": "220082206"}, {"b": "6009663561488", "n": "HEALTHEASE COTTON WOOL ROLL 50GM ROLL", "r": "220107805"}, {"b": "6009663561471", "n": "HEALTHEASE COTTON WOOL ROLL 100GM", "r": "220221704"}, {"b": "6009663561747", "n": "HEALTHEASE COTTON BALLS 1GM PER PC", "r": "220071206"}, {"b": "6009663563093", "n": "HEALTHEASE CONFORMING BANDAGE5CMX45M", "r": "220099346"}, {"b": "6009663568012", "n": "HEALTHEASE ATHLETIC SELF ADHERENT WRAP 25CMX4M", "r": "220061735"}, {"b": "6009663561822", "n": "HEALTHEASE ALCOHOL SWABS 200S", "r": "220232931"}, {"b": "9400097034406", "n": "HEALTHERIES WELLNESS ECHINACEA  LEMON TEA BAG 20S", "r": "220164228"}, {"b": "9400097034390", "n": "HEALTHERIES SLEEP CHAMOMILE  PASSNFLWR TEA BAG 20S", "r": "220160966"}, {"b": "9400097041077", "n": "HEALTHERIES NAT SLIM GARCINIA  SUPERFRUITS TEA BAG 20S", "r": "220167353"}, {"b": "9400097041145", "n": "HEALTHERIES CHAMOMILE WITH LEMN  MANUKA HNY TEA BAG 20S", "r": "220172530"}, {"b": "5011309034127", "n": "HEDRIN ALL IN ONE SHAMPOO 200ML", "r": "220207340"}, {"b": "5011309590012", "n": "HEDRIN ONCE SPRAY GEL 60 ML", "r": "220193351"}, {"b": "672935819035", "n": "V HELLO KITTY TOOTHBRUSH W CAP  TOY", "r": "220088567"}, {"b": "8718053575063", "n": "HEMOCLIN CAN HAEMORRHOID GEL 45ML", "r": "220074946"}, {"b": "8718053575070", "n": "HEMOCLIN HAEMORRHOID GEL 37GM", "r": "220190283"}, {"b": "9650364003608", "n": "HENGERXI DISPOSABLE MASK 50S", "r": "220204025"}, {"b": "8001090680280", "n": "HERBAL ESSENCE ARGAN OIL SHMP 100ML", "r": "220204590"}, {"b": "8001090680341", "n": "HERBAL ESSENCE ARGAN OIL COND 100ML", "r": "220204973"}, {"b": "8001090662262", "n": "HERBAL ESSENCES BIO RENEW STRWBRY  SWEET MINT COND 400 ML", "r": "220219940"}, {"b": "8001090662057", "n": "HERBAL ESSENCES BIO RENEW REPAIR ARGAN OIL SHAMP 400ML", "r": "220222293"}, {"b": "8001090662026", "n": "HERBAL ESSENCES BIO RENEW REPAIR ARGAN OIL COND 40ML", "r": "220221250"}, {"b": "8001090662231", "n": "HERBAL ESSENCES BIO RENEW COCONUT MILK SHAMP 400 ML", "r": "220226576"}, {"b": "8001090662200", "n": "HERBAL ESSENCES BIO RENEW COCONUT MILK COND 400 ML", "r": "220224492"}, {"b": "8001090662293", "n": "HERB ESS WHT STRBRY  SWT MINT SHAMP 400ML", "r": "220225024"}, {"b": "8001090661968", "n": "HERB ESS BRNW SMTH GLDN MORINGA OIL COND 400ML", "r": "220223777"}, {"b": "8001090661999", "n": "HERB ESS BRNW GLDN MORINGA OIL SHAMP 400ML", "r": "220217135"}, {"b": "8001090944634", "n": "HERD ESS PURIFY MICELLAR WTR  GNGR SHAMP 400ML", "r": "220216110"}, {"b": "8001090944665", "n": "HERB ESS COND MIR WTR  BLU GNR 400ML", "r": "220191611"}, {"b": "8001090662170", "n": "HERBAL ESSENCES BIO RENEW CUCUMBER  GREEN SHAMP 400 ML", "r": "220227444"}, {"b": "8001090742445", "n": "HERBAL ESSENCES BIO RENEW ARABICA COFE FRUIT SHAMP 400 ML", "r": "220235132"}, {"b": "8001090662149", "n": "HERBAL ESS CNDTNR CUCUMBER  GREEN TEA 400ML", "r": "220226660"}, {"b": "8001090742322", "n": "HERB ESS ARABICA COFFEE FRT SHAMP 400ML", "r": "220216188"}, {"b": "104058900003481", "n": "BIOLECTRA DIRECT MG 300MG 20STICKS", "r": "220162185"}, {"b": "104058900003474", "n": "BIOLECTRA ULTRA MG 400MG 20CAP", "r": "220152881"}, {"b": "9650162000274", "n": "HERMES ORANGE 20S", "r": "220163029"}, {"b": "9650162000304", "n": "HERMES EXTRA 20S", "r": "220158155"}, {"b": "104058900003528", "n": "CEVITT IMMUNE DIRECT 300MGZN 20STICKS", "r": "220158936"}, {"b": "965014400068", "n": "HERPESAN GEL 5GM", "r": "220170460"}, {"b": "8594171663017", "n": "HERPETINO LIP BALM 10ML", "r": "220077602"}, {"b": "4250360150013", "n": "HEVERT CALMVALERA 50ML", "r": "220070325"}, {"b": "4250360150020", "n": "HEVERT VITAMIN B12 FORTE INJECTION 10 AMPOULES", "r": "220081038"}, {"b": "9555608600011", "n": "HEXBIO SACHETS 10S", "r": "220170698"}, {"b": "6924090701323", "n": "HICARE SANITIZER 236ML", "r": "220202770"}, {"b": "8002660013361", "n": "HIDRASEC CHILDREN 30MG SACTS 16S", "r": "220169877"}, {"b": "8002660029614", "n": "HIDRASEC 100MG CAP 10S", "r": "220167401"}, {"b": "6251007002687", "n": "HIGEEN REDFRUIT HAND SANITIZER 50ML", "r": "220217260"}, {"b": "6251007003141", "n": "HIGEEN OUD HAND SANITIZER 50ML", "r": "220235716"}, {"b": "6251007632266", "n": "HIGEEN LOVE HAND SANITIZER 110ML", "r": "220234801"}, {"b": "6251007002694", "n": "HIGEEN LEMON HAND SANITIZER 50ML", "r": "220220249"}, {"b": "9650364001598", "n": "HIGEEN HAND SANITIZER 50ML ASSTED", "r": "220070676"}, {"b": "7640168160999", "n": "HIGEEN HAND SANITIZER 11 OFFER", "r": "220166525"}, {"b": "6251007004070", "n": "HIGEEN FRAGRANCE FREE 50ML", "r": "220169055"}, {"b": "6251007002731", "n": "HIGEEN DAMASK ROSE HAND SANITIZER 50ML", "r": "220229151"}, {"b": "9650364003011", "n": "HIGEEN HAND SANITIZER WIPES 15S", "r": "220190634"}, {"b": "8901138826376", "n": "HIMALAYA SUN PROTECT LIP BALM", "r": "220166230"}, {"b": "8901138825584", "n": "HIMALAYA SPARKLY WHITE TP 100ML", "r": "220227592"}, {"b": "8901138500061", "n": "HIMALAYA OIL CONTRL LEMN FACE WASH 150ML", "r": "220228030"}, {"b": "8901138509231", "n": "HIMALAYA NOURISHING LIP BALM", "r": "220172594"}, {"b": "8901138835040", "n": "HIMALAYA INT MOIS COCOA LIP BALM", "r": "220167466"}, {"b": "8901138500054", "n": "HIMALAYA HYDRATING FACE WASH 150ML", "r": "220233162"}, {"b": "8901138500306", "n": "HIMALAYA COMPLETE CAE TP 100ML", "r": "220224615"}, {"b": "8901138820190", "n": "HIMALAYA KOFLET LEMON LOZENGES 2X6S", "r": "220236548"}, {"b": "8901138820183", "n": "HIMALAYA KOFLET GINGER LOZENGES 2X6S", "r": "220235435"}, {"b": "8901138833695", "n": "V HIMALAYA VALERIAN 60 CAPS", "r": "220199762"}, {"b": "901138844783", "n": "HIMALAYA CYSTONE ES CAP 60S", "r": "220215190"}, {"b": "18901138088337", "n": "HIMALAYA LIV.52 GNX 60 TABLETS", "r": "129807189"}, {"b": "18901138085862", "n": "HIMALAYA URALKA SYRUP 100 ML", "r": "129807214"}, {"b": "8901138824303", "n": "VHIMALAYA STRESS WELLNESS ASHVAGANDHA 120 CAPS", "r": "220177428"}, {"b": "8901138831509", "n": "VHIMALAYA MENS WELLNESS TRIBULUS 60CAPS", "r": "220164812"}, {"b": "8901138831523", "n": "HIMALAYA BOWEL WELLNESS TRIPHALA 60CAPS", "r": "220235268"}, {"b": "8901138502065", "n": "HIMALAYA CONFIDO TABS 120S", "r": "220233075"}, {"b": "8901138502966", "n": "HIMALAYA PILEX TABLETS 60 S", "r": "220205664"}, {"b": "8901138100629", "n": "HIMALAYA KOFLET COUGH SYRUP 100ML", "r": "220233617"}, {"b": "8901138503154", "n": "VHIMALAYA SEPTILIN TAB 60S", "r": "220167649"}, {"b": "8901138500801", "n": "HIMALAYA SEPTILIN SYRUP 200ML", "r": "220170116"}, {"b": "8901138150891", "n": "HIMALAYA PILEX OINTMENT 30GM", "r": "220225171"}, {"b": "8901138110017", "n": "HIMALAYA LIVE 52 DS TAB 90S", "r": "220230359"}, {"b": "8901138030018", "n": "HIMALAYA CYSTONE TABLETS 60S", "r": "220223592"}, {"b": "6291107222967", "n": "HIMALAYA PURE HANDS FRESH HAND SANITIZER 50ML", "r": "220237069"}, {"b": "8901138838485", "n": "HIMALAYA TENTEX FORTE 30 CAPSULES", "r": "220210078"}, {"b": "8901138505561", "n": "HIMALAYA TENTEX ROYAL CAP 10S", "r": "220227178"}, {"b": "8901138505585", "n": "HIMALAYA RUMALAYA FORTE TAB 60S", "r": "220232869"}, {"b": "8901138831516", "n": "HIMALAYA JOINT WELLNESS BOSWELLIA 60CAPS", "r": "220168192"}, {"b": "8901138831363", "n": "HIMALAYA AYURSLIM CAPS 120S", "r": "220166665"}, {"b": "4260161040185", "n": "HIRUDOID GEL 40GM", "r": "220220600"}, {"b": "4260161040192", "n": "HIRUDOID CREAM 40GM", "r": "220229364"}, {"b": "6291100081264", "n": "HISTALOC SYRUP 100ML", "r": "220171433"}, {"b": "8806334370435", "n": "HOLIKA ALOE 99 SOOTHNG GEL 250ML", "r": "220175239"}, {"b": "8806334355975", "n": "HOLIKA ALOE 99 CLEANSING FOAM 250ML", "r": "220173151"}, {"b": "8806334379582", "n": "HOLIKA ALOE97 INT MOIST SOOTHNG LOT 240ML", "r": "220173295"}, {"b": "690615480016", "n": "HOLLYWOOD 48HOUR MIRACLE DIET", "r": "220050518"}, {"b": "690615240016", "n": "HOLLYWOOD 24HOUR MIRACLE DIET", "r": "220082521"}, {"b": "6939797217015", "n": "HOLLYWOOD I SMILE TEETH WHITENING PEN 4ML", "r": "220176220"}, {"b": "8056450230407", "n": "HOLLYWOOD I SMILE KIT", "r": "220177714"}, {"b": "8712856040278", "n": "HOMEBEAUTY CALLUSES REMOVER", "r": "220235475"}, {"b": "856006256", "n": "HONGO KILLER ANTIFUNGAL SPRAY LIQ 150G", "r": "220087661"}, {"b": "856109506", "n": "HONGO KILLER ANTIFUNGAL SPRAY PWDR 130G", "r": "220085858"}, {"b": "854336006003", "n": "HONGO KILLER ANTIFUNGAL SPRAY 44ML", "r": "220063370"}, {"b": "856008250", "n": "HONGO KILLER ANTIFUNGAL SOLUTION 30ML", "r": "220077332"}, {"b": "856105508", "n": "HONGO KILLER NAIL FORMULA 30 ML", "r": "220086453"}, {"b": "856106505", "n": "HONGO KILLER ANTIFUNGAL CREAM 14G", "r": "220071911"}, {"b": "663448001703", "n": "HONIBE HONEY GUMMIES KIDS OMEGA 3 60S", "r": "220158158"}, {"b": "663448001697", "n": "HONIBE HONEY GUMMIES KIDS COMPLETE  IMMUNE BOOST 60S", "r": "220159480"}, {"b": "8906015326109", "n": "HOODIA FIT CAP 60S", "r": "220155563"}, {"b": "8906015326291", "n": "HOODIA FIT 120S", "r": "220166956"}, {"b": "6291101715717", "n": "HOT PACK VINYL GLOVES M 100S", "r": "220193556"}, {"b": "965013900027", "n": "HOT WATER BAG W FTHR CVR", "r": "220156318"}, {"b": "965013900028", "n": "HOT WATER BAG RIBBED", "r": "220168764"}, {"b": "6291101715724", "n": "HOTPACK NITRILE GLOVES XL", "r": "220194909"}, {"b": "6291101711740", "n": "HOTPACK LATEX GLOVES ASSOTRED 100S", "r": "220195319"}, {"b": "9556100105516", "n": "HOVID OMEGA3GARLIC 60 SOFTGELS", "r": "220087526"}, {"b": "9556100102225", "n": "HOVID OMEGA 3 1000MG 60 SOFTGELS", "r": "220141277"}, {"b": "9650364003486", "n": "HUA CHUANG FACE MASK 50S", "r": "220195654"}, {"b": "5029053541723", "n": "HUGGIES SUPERFLEX DIAPERS SIZE4 19DIAPERS", "r": "220232670"}, {"b": "5029053530963", "n": "HUGGIES SUPERFLEX DIAPERS SIZE3 21DIAPERS", "r": "220219441"}, {"b": "5029053541730", "n": "HUGGIES SUPERFLEX CP XL 4 18", "r": "220162466"}, {"b": "5029053541747", "n": "HUGGIES SUPERFLEX CP JUN 5 16", "r": "220156869"}, {"b": "5029053550152", "n": "HUGGIES BABY WIPES ALOE 56S", "r": "220153227"}, {"b": "5391521280329", "n": "HUMANK SHAMPOOBODY WASH NORMAL HAIR 250ML", "r": "220071632"}, {"b": "5391521280336", "n": "HUMANK SHAMPOOBODY WASH DRY HAIR 250ML", "r": "220077896"}, {"b": "5391521280343", "n": "HUMANK SHAMPOOBODY SENSITIVE 250ML", "r": "220062319"}, {"b": "5391521281234", "n": "HUMANK IN SHOWER BODY MOIST 200ML", "r": "220084645"}, {"b": "5391521280169", "n": "HUMANK HAND ELBOW FOOT CREAM 50ML", "r": "220059884"}, {"b": "5391521280183", "n": "HUMANK DEEP CLEANSING 100ML", "r": "220062314"}, {"b": "5391521280367", "n": "HUMANK CONDITIONER NORMAL HAIR 200ML", "r": "220062443"}, {"b": "5391521281081", "n": "HUMANK BODY LOTION 200ML", "r": "220067549"}, {"b": "5391521280121", "n": "HUMANK ALL IN ONE DAYNIGHT CREAM 75ML", "r": "220000805"}, {"b": "5391521280091", "n": "HUMANK ALL IN ONE BODY OIL 75ML", "r": "220058990"}, {"b": "8033661802524", "n": "HYALO4 START OINTMENT 30GM", "r": "220213373"}, {"b": "8033661802548", "n": "HYALO4 SKIN CREAM 25GM", "r": "220213682"}, {"b": "8033661802609", "n": "HYALO4 PLUS CREAM 25GM", "r": "220213553"}, {"b": "8901149035705", "n": "HYDRILA 25 30TABS", "r": "220177456"}, {"b": "9650364003158", "n": "HYGIENE CLEAR VINYL GLOVES M 100S", "r": "220193475"}, {"b": "9650364003141", "n": "HYGIENE CLEAR VINYL GLOVES L 100S", "r": "220192951"}, {"b": "9650364002755", "n": "HYGIENE KIT N95WOW WIPES 10S", "r": "220187826"}, {"b": "965016200005", "n": "HYLOCOMOD 01 EDPS 10ML", "r": "220158197"}, {"b": "4031626711182", "n": "HYLODUAL EYE DROP 10ML", "r": "220075208"}, {"b": "9650162000373", "n": "HYLOGEL EYE DROP 10ML", "r": "220161153"}, {"b": "5206172217078", "n": "BENOSTAN HIMEN GEL 50ML", "r": "220221861"}, {"b": "965013700206", "n": "HYZAAR TABLETS 28S", "r": "220169812"}, {"b": "8906011141454", "n": "I BOOSTER SUPERIOR IMMUNE  SUPL TAB 30S", "r": "220206972"}, {"b": "763236169032", "n": "I REMEDIES ZINC 50MG 100 VEGAN TABLETS", "r": "220214371"}, {"b": "600246964465", "n": "I REMEDIES I AGELESS BEAUTY 60CAPS", "r": "220177386"}, {"b": "600246964519", "n": "I REMEDIES I SKINNY XS 90CAPS", "r": "220174050"}, {"b": "600246964526", "n": "I REMEDIES I ULTIMATE OMEGA 60SG", "r": "220174002"}, {"b": "6002469644416", "n": "I REMEDIES I ULTRA NOVA 60CAPS", "r": "220211790"}, {"b": "767870999888", "n": "I REMEDIES MAGNESIUM 500MG 90 TABLETS", "r": "220214538"}, {"b": "600246964489", "n": "I REMEDIES I GLUCO SUPPORT 60CAPS", "r": "220211426"}, {"b": "5425012531130", "n": "I WHITE WHITENING TOOTH PASTE 75ML", "r": "220231814"}, {"b": "5425012532236", "n": "I WHITE TEETH DARK STAINS WHITENING KIT", "r": "220221863"}, {"b": "5425012531055", "n": "I WHITE INSTANT TEETH WHITENING KIT", "r": "220220738"}, {"b": "5425012532373", "n": "I WHITE DARK STAINS TOOTH PASTE 75ML", "r": "220231793"}, {"b": "4260024450151", "n": "IBONS GINGER CANDIES PEPPERMINT 60G", "r": "220211371"}, {"b": "4260024451103", "n": "IBONS GINGER CANDIES PASSIONFRUIT SF75G", "r": "220211325"}, {"b": "4260024450199", "n": "IBONS GINGER CANDIES ORANGE 60G", "r": "220211045"}, {"b": "4260024450861", "n": "IBONS GINGER CANDIES LEMON SF 75G", "r": "220211213"}, {"b": "4260024450403", "n": "IBONS GINGER CANDIES LEMON 60G", "r": "220211362"}, {"b": "4260024450830", "n": "IBONS GINGER CANDIES CLASSIC SF 75G", "r": "220211249"}, {"b": "4260024450113", "n": "IBONS GINGER CANDIES CLASSIC 60G", "r": "220210934"}, {"b": "6419854101308", "n": "ICE POWER COLD GEL 75ML", "r": "220229793"}, {"b": "34000722297", "n": "ICE BREAKER STRWBERYMIXED BERRY42G", "r": "220065144"}, {"b": "34000722273", "n": "ICE BREAKER SPEARMINT42G", "r": "220062690"}, {"b": "72527278416", "n": "IGC DISPOSABLE FACE MASK 50S", "r": "220193398"}, {"b": "725272785416", "n": "IGC DISPOSABLE FACE MASK 50S", "r": "220194166"}, {"b": "8022297080840", "n": "IL SALONE PROTEIN STRAIGHTENING KIT WITH LINSEED OIL", "r": "220202727"}, {"b": "8022297067384", "n": "IL SALONE PROTEIN SHAMPOO FOR NORMAL DRY HAIR 500ML", "r": "220226344"}, {"b": "8022297067391", "n": "IL SALONE PROTEIN SHAMPOO FOR DRY DAMAGED HAIR 500ML", "r": "220202271"}, {"b": "8022297034300", "n": "IL SALONE PROTEIN MASK FOR DRY DAMAGED HAIR 250ML", "r": "220202766"}, {"b": "8022297067407", "n": "IL SALONE PROTEIN CONDITIONER FOR NORMAL DRY HAIR 500ML", "r": "220219188"}, {"b": "965016000132", "n": "ILIADIN NASAL SPRAY 10ML", "r": "220165344"}, {"b": "819984011212", "n": "IMAGE VITAL C HYDRATING REPAIR CREME 567GMS", "r": "220231938"}, {"b": "819984011243", "n": "IMAGE SKNCRE VITAL C HYDRTNG FACIAL CLNSR 177ML", "r": "220218789"}, {"b": "5700666025830", "n": "IMEDEEN TIME PERFECTION TABS 60S", "r": "220220676"}, {"b": "5700666025847", "n": "IMEDEEN TIME PERFECTION 120 TAB", "r": "220217977"}, {"b": "5700666020620", "n": "IMEDEEN PRIMERENEWAL 120 TAB", "r": "220229269"}, {"b": "5700666025632", "n": "IMEDEEN MANAGEMENT 60 TAB", "r": "220165712"}, {"b": "5700666023898", "n": "IMEDEEN HAIR  NAILS 60S", "r": "220167474"}, {"b": "8058697280191", "n": "IMEDEEN DERMA ONE 60S", "r": "220232132"}, {"b": "965015200096", "n": "IMIGRAN 100MG TAB 2S", "r": "220159165"}, {"b": "965015200061", "n": "IMIGRAN 50MG TAB 2S", "r": "220165640"}, {"b": "965015200163", "n": "IMIGRAN NASAL SPRAY 10MG", "r": "220168698"}, {"b": "6091403200832", "n": "IMURAN TABLETS 50MG 100S", "r": "220167120"}, {"b": "965015200164", "n": "IMIGRAN NASAL SPRAY 20MG", "r": "220156826"}, {"b": "965013700418", "n": "IMODIUM CAPS 60S", "r": "220156483"}, {"b": "9650160002799", "n": "IMODIUM INSTANTS 2 MG 12S PACK", "r": "220153581"}, {"b": "9650160002782", "n": "IMODIUM INSTANTS 2 MG 6S PACK", "r": "220167233"}, {"b": "965013700325", "n": "IMODIUM 2MG CAPSULES 6S", "r": "220172599"}, {"b": "5060042690602", "n": "INCHAID HUNGER STRIPS 24S", "r": "220063365"}, {"b": "716670621253", "n": "INCHAID AFRICAN MANGO 60CAPS", "r": "220052560"}, {"b": "891709000534", "n": "INCREDIWEAR KNEE BRACE WGRM L G703", "r": "220084479"}, {"b": "5000455007611", "n": "INDERAL 40MG TABLETS 50S", "r": "220159950"}, {"b": "965013700416", "n": "INEGY 1020MG TAB 28S", "r": "220171278"}, {"b": "8023496011451", "n": "INFLU ZINC WINTER COLD  FLU EFFER 12S", "r": "220206134"}, {"b": "6970392215631", "n": "INFRARED THERMOMETER FOREHEAD FI06", "r": "220194115"}, {"b": "3377466743787", "n": "INOSGEST\u00a030 SACHETS", "r": "129807231"}, {"b": "8029352351464", "n": "INSIGHTDAMAGED HAIR RS CONDITIONER 100ML", "r": "220085690"}, {"b": "8029352351457", "n": "INSIGHTDAILY USE ENERGIZING COND 100ML", "r": "220088570"}, {"b": "8029352352171", "n": "INSIGHT REGENERATING BODY OIL 150ML", "r": "220058264"}, {"b": "8029352351525", "n": "INSIGHT PROTECTIVE COND 100ML", "r": "220090311"}, {"b": "8029352350498", "n": "INSIGHT NON OIL FLUID 250 ML", "r": "220227912"}, {"b": "8029352350597", "n": "INSIGHT FRIZZY HAIR SHAMPOO 500ML", "r": "220229429"}, {"b": "8029352351495", "n": "INSIGHT FRIZZY HAIR HYDRATING SHAMPOO 100ML", "r": "220107806"}, {"b": "8029352351501", "n": "INSIGHT FRIZZY HAIR HYDRATING COND 100ML", "r": "220072391"}, {"b": "8029352350610", "n": "INSIGHT FRIZZY HAIR CONDITIONER 500ML", "r": "220229856"}, {"b": "8029352350535", "n": "INSIGHT DRY HAIR NOURISHING SHAMP 500ML", "r": "220219809"}, {"b": "8029352350542", "n": "INSIGHT DRY HAIR NOURISHING COND 500ML", "r": "220226096"}, {"b": "8029352351440", "n": "INSIGHT DRY HAIR CONDITIONER 100ML", "r": "220083206"}, {"b": "8029352350627", "n": "INSIGHT DAMAGED HAIR SHAMPOO 500 ML", "r": "220233722"}, {"b": "8029352150197", "n": "INSIGHT DAMAGED HAIR MASK 500 ML", "r": "220227768"}, {"b": "8029352350634", "n": "INSIGHT DAMAGED HAIR CONDITIONER 500 ML", "r": "220227568"}, {"b": "8029352150210", "n": "INSIGHT DAILY USE MASK 500ML", "r": "220235792"}, {"b": "8029352350573", "n": "INSIGHT DAILY USE ENERGIZING SHAMP 500ML", "r": "220218428"}, {"b": "8029352350580", "n": "INSIGHT DAILY USE CONDITIONER 500 ML", "r": "220234217"}, {"b": "8029352350641", "n": "INSIGHT COLORED HAIR SHAMPOO 500ML", "r": "220235370"}, {"b": "8029352150203", "n": "INSIGHT COLORED HAIR MASK 500ML", "r": "220232227"}, {"b": "8029352350658", "n": "INSIGHT COLORED HAIR CONDITIONER500 ML", "r": "220232678"}, {"b": "8029352450143", "n": "INSIGHT ANTIFRIZZ HYDRATING MASK 250ML", "r": "220232559"}, {"b": "8029352350672", "n": "INSIGHT ANTI HAIR LOSS SHAMPOO 500 ML", "r": "220232877"}, {"b": "8029352350528", "n": "INSIGHT ANTI HAIR LOSS LOTION 100 ML", "r": "220216182"}, {"b": "8029352350665", "n": "INSIGHT ANTI DANDRUFF SHAMPOO 500ML", "r": "220222789"}, {"b": "8029352351518", "n": "INSIGH TPROTECTIVE SHAMPOO 100ML", "r": "220067974"}, {"b": "965013700328", "n": "INSULATARD HMPENFIL 5X3ML", "r": "220170696"}, {"b": "5205152009740", "n": "INTERMED OPTO CLEAN EYEDROP 10AMP 05ML", "r": "220194497"}, {"b": "5205152011699", "n": "INTERMED OPTO CLEAN EYETOWELS 20SACHETS", "r": "220194962"}, {"b": "5205152011682", "n": "INTERMED OPTO CLEAN EYELID 50ML", "r": "220193940"}, {"b": "5205152010951", "n": "VINTERMED BIOLACT START DROPS 12ML", "r": "220193757"}, {"b": "5205152010944", "n": "VINTERMED VIT D3 FIX DROPS 30ML", "r": "220194317"}, {"b": "8027881502708", "n": "INTIMA3 VAGINAL GEL FOR WOMEN", "r": "220171882"}, {"b": "426028539548", "n": "INVISIBOBBLE WRAPSTAR", "r": "220208011"}, {"b": "4260285374708", "n": "INVISIBOBBLE HAIR RING POWER SET", "r": "220229933"}, {"b": "4260285373022", "n": "INVISIBOBBLE HAIR RING BROWN", "r": "220224565"}, {"b": "4260285374678", "n": "INVISIBOBBLE HAIR RING NANO SET", "r": "220233401"}, {"b": "6291100088003", "n": "ION HEAT PATCH 1S", "r": "220233111"}, {"b": "3830061810020", "n": "IONEX AIR IONIZER BLACK", "r": "220154557"}, {"b": "3660398504572", "n": "IONIL TSHAMPOO 200ML", "r": "220162191"}, {"b": "763236169131", "n": "IREMEDIES IWOMAN MULTI 90S", "r": "220211559"}, {"b": "763236169162", "n": "IREMEDIES ICAL MAG ZINC WITH VIT D 100S", "r": "220210958"}, {"b": "600246964458", "n": "IREMEDIES IULTIMATE OMEGA 120S", "r": "220211360"}, {"b": "763236169049", "n": "IREMEDIES IBALANCED B 100 60S", "r": "220211221"}, {"b": "763236169186", "n": "IREMEDIES IBALANCED B 50 60S", "r": "220211191"}, {"b": "8436036431532", "n": "IROHA REGENERATING ARGANHA MASK 1USE", "r": "220079055"}, {"b": "8436036430337", "n": "IROHA PURIFYING GRN TEA MASK 18G", "r": "220050505"}, {"b": "8436036430115", "n": "IROHA MOISTURZNG ALOEHA MASK 1USE", "r": "220071077"}, {"b": "8436036430993", "n": "IROHA GLV TRTMNT FOR HNDS N NAIL NOURISHNG 1USE", "r": "220054998"}, {"b": "8436036431525", "n": "IROHA FIRMING PEARLHA MASK 1USE", "r": "220061736"}, {"b": "8436036431822", "n": "IROHA DETOX CHARCOALHA MASK 1USE", "r": "220062447"}, {"b": "8436036431839", "n": "IROHA DETOX CHARCOAL MASK 18G", "r": "220071638"}, {"b": "8436036431846", "n": "IROHA DETOX CHARCOAL CLEANSNG STRIP 5USES", "r": "220071915"}, {"b": "8436036430634", "n": "IROHA BRIGHTENING VIT CHA MASK 1USE", "r": "220085859"}, {"b": "8436036430122", "n": "IROHA ANTIWRNK Q10HA MASK 1USE", "r": "220058265"}, {"b": "8436036431587", "n": "IROHA ANTIAGE PEARL GLOVES 1USE", "r": "220057239"}, {"b": "8436036431549", "n": "IROHA ANTIAGE COLLAGENHA MASK 1USE", "r": "220066960"}, {"b": "8436036431358", "n": "IROHA ANTIAGE COLLAGEN EYESLIPS 6USES", "r": "220077778"}, {"b": "8436036430436", "n": "IROHA REPAIR PEACH SOCKS 1USE", "r": "220085184"}, {"b": "8436036430429", "n": "IROHA RELAX PEPPERMINT SOCKS 1USE", "r": "220063035"}, {"b": "8436036431006", "n": "IROHA NOURISHNG ARGAN SOCKS 1USE", "r": "220071914"}, {"b": "8057017630005", "n": "IRON CATCH IRON SUPPLEMENT TAB 30S", "r": "220136814"}, {"b": "817244010005", "n": "IS CLINIC YOUTH COMPLEX INOVAS 37G", "r": "220085679"}, {"b": "8470001915528", "n": "ISDIN SINAILS NAIL STRENGTHENER 25ML", "r": "220231849"}, {"b": "8429420166547", "n": "ISDIN NUTRATOPIC PROAMP LOTION 400ML", "r": "220224445"}, {"b": "8470002006454", "n": "ISDIN NUTRATOPIC PROAMP EMOLIENT CREAM 200ML", "r": "220227619"}, {"b": "8429420166561", "n": "ISDIN NUTRATOPIC PROAMP BATH GEL 400ML", "r": "220219429"}, {"b": "8470003429757", "n": "ISDIN DEO GERMISDIN ROLL ON 40ML", "r": "220222158"}, {"b": "8470001569745", "n": "ISDIN WOMEN INTIMATE HYGIENE 200ML", "r": "220216976"}, {"b": "8470001527929", "n": "ISDIN WOMEN BREAST FIRMING CREAM", "r": "220221170"}, {"b": "8470001527974", "n": "ISDIN WOMEN ANTISTRETCH MARKS 250ML", "r": "220217452"}, {"b": "8470002098749", "n": "ISDIN UREADIN CREMA MANOS PROTECT HND CRM 50ML", "r": "220219394"}, {"b": "8470002610736", "n": "ISDIN UREADIN CREMA DE MANOS REPAIR HND CRM 50ML", "r": "220228536"}, {"b": "8470003245920", "n": "ISDIN TEEN SKIN ACNIBEN CONT BRIL GRAN 40ML", "r": "220236479"}, {"b": "8429420138346", "n": "ISDIN ISDINCUTICS FLAVOC MELATONIN AQ 10U 2ML", "r": "220223152"}, {"b": "8429420136472", "n": "ISDIN ISDINCEUTICS NIGHT PEEL 10 AMPOULES 2ML", "r": "220227053"}, {"b": "8429420165472", "n": "ISDIN INSTANT FLASH FIRMING SERUM 5X2ML", "r": "220216598"}, {"b": "8429420190597", "n": "ISDIN HYALURONIC BOOSTER SERUM  10 X 2ML", "r": "220223558"}, {"b": "8429420199606", "n": "ISDIN GERMISDIN HAND SANITIZER GEL 120ML", "r": "220229432"}, {"b": "8470002061408", "n": "ISDIN GERMISDIN ALOE VERA DRY SKIN BATH GEL 250ML", "r": "220222192"}, {"b": "8470001902870", "n": "ISDIN FOTOPROTECTOR HYDRO OIL SPF30 200ML", "r": "220230085"}, {"b": "8429420138933", "n": "ISDIN FLAVOC ULTRAGLICAN ANTIOXIDANT 10U 2ML", "r": "220232523"}, {"b": "8470002104433", "n": "ISDIN DEO UREADIN ROLL ON 50ML", "r": "220230447"}, {"b": "8470001856296", "n": "ISDIN DEO INTNSE 48H ALCHLFREE ROLLON 50ML", "r": "220232168"}, {"b": "8429420172401", "n": "ISDIN AGE REVERSE NIGHT CREAM 50 ML", "r": "220232051"}, {"b": "8429420189423", "n": "ISDIN FUSION WATER URBAN SPF30 50ML", "r": "220224241"}, {"b": "8429420200678", "n": "ISDIN CEUTICS HYALURONIC CONCENTRATE SRM 30ML", "r": "220219150"}, {"b": "8429420181175", "n": "ISDIN BABY NATURALS SHAMPOO 200ML", "r": "220235928"}, {"b": "8429420181052", "n": "ISDIN BABY NATURALS LOTION 200ML", "r": "220220913"}, {"b": "8429420206694", "n": "ISDIN BABY NATURALS AF NAPPY OINTMENT 50ML", "r": "220222652"}, {"b": "8429420181076", "n": "ISDIN BABY NAT ZN40 ONTMNT 50ML", "r": "220223009"}, {"b": "8429420181014", "n": "ISDIN BABY NAT SHAMPOO 400ML", "r": "220230400"}, {"b": "8429420181021", "n": "ISDIN BABY NAT LOTION 400ML", "r": "220230815"}, {"b": "8470001806475", "n": "ISDIN ACNIBEN BODY 150ML", "r": "220236335"}, {"b": "8429420187948", "n": "ISDIN FOTOPROTECTOR WET SKIN TRANSPARENT SPRAY SPF 50+ 250ML", "r": "220229517"}, {"b": "8429420188419", "n": "ISDIN FOTOPROTECTOR WET SKIN TRANSPARENT PEDIATRICS SPRAY SPF 50+ 250ML", "r": "220224693"}, {"b": "8429420183681", "n": "ISDIN FOTOPROTECTOR UV MINERAL BRUSH SPF 50+", "r": "220213840"}, {"b": "8429420174849", "n": "ISDIN LAMBDAPIL ANTI HAIRLOSS SHAMPOO 200ML", "r": "129936892"}, {"b": "8429420174894", "n": "ISDIN DAYLISDIN ULTRA GENTLE SHAMPOO 400ML", "r": "129936898"}, {"b": "8429420174863", "n": "ISDIN NUTRADEICA ANTI DRY DANDRUFF SHAMOO 200ML", "r": "129931899"}, {"b": "842942019175", "n": "ISDIN NUTRADEICA ANTI OILY DANDRUFF SHAMOO 200ML", "r": "129976963"}, {"b": "8429420174870", "n": "ISDIN PSORISDIN ANTIDESQUAMATIVE SHAMPOO 200ML", "r": "129936897"}, {"b": "8429420104563", "n": "ISDIN UREADIN ULTRA20 ANTI ROUGHNESS CREAM 100ML", "r": "129936900"}, {"b": "8429420107861", "n": "ISDIN UREADIN FOOT HYDRATING GEL OIL 75ML", "r": "129931895"}, {"b": "8470001649799", "n": "ISDIN UREADIN HYDRATING BATH GEL 400ML", "r": "129931901"}, {"b": "8429420104518", "n": "ISDIN UREADIN ULTRA10 REPAIRING LOTION PLUS 400ML", "r": "129936899"}, {"b": "8470002601826", "n": "ISDIN UREADIN ULTRA20 ANTI ROUGHNESS CREAM 50ML", "r": "129936894"}, {"b": "8429420175327", "n": "ISDIN CEUTICS GLICOSIDIN 25 INTENSE GEL FACIAL 50G", "r": "129936895"}, {"b": "8429420206014", "n": "ISDIN AGE REPAIR FUSION WATER COLOR SPF50 50ML", "r": "129931896"}, {"b": "8470001710529", "n": "SDIN FOTOULTRA100 ACTVUNFY FLUID50ML", "r": "220235570"}, {"b": "8470001984449", "n": "ISDIN NUTRAISDIN ZN 40 REPAIR BABY OINTMENT 50ML", "r": "220231968"}, {"b": "8470002261358", "n": "ISDIN NUTRAISDIN GEL SHAMPOO 200ML", "r": "220218700"}, {"b": "8470002570658", "n": "ISDIN NUTRAISDIN AF BABY OINTMENT 50ML", "r": "220233676"}, {"b": "8429420128644", "n": "ISDIN MICELLAR SOLUTION 400ML", "r": "220231592"}, {"b": "8470001648198", "n": "ISDIN LAMBDAPIL ANTIHAIRLOSS SHAMPOO 200 ML", "r": "220225966"}, {"b": "8429420083585", "n": "ISDIN LAMBDAPIL ANTI HAIRLOSS LOTION 125 ML", "r": "220228732"}, {"b": "8470001812353", "n": "ISDIN ISDINCEUTICS AGE REVERSE 50ML", "r": "220218193"}, {"b": "8470001839749", "n": "ISDIN FOTOULTRA AGE REPAIR FLUID 50ML", "r": "220226038"}, {"b": "8470001699664", "n": "ISDIN FOTOPROTECTOR GEL CREAM DRY TOUCH NO COLOR SPF 50 50 ML", "r": "220225538"}, {"b": "8470001878199", "n": "ISDIN FOTOPROTECTOR FUSION WTR COLOR 50ML", "r": "220225681"}, {"b": "8470001748577", "n": "ISDIN FOTOPROTECTOR FUSION WATER SPF 50 50ML", "r": "220224956"}, {"b": "8470001631695", "n": "ISDIN FOTOPROTECTOR FUSION GEL SPORT SPF 50 100ML", "r": "220236405"}, {"b": "8470001525369", "n": "ISDIN FOTOPROTECTOR FUSION FLUID 5050ML", "r": "220225331"}, {"b": "8470001631688", "n": "ISDIN FOTO ULTRA 100 SPOT PREVENT FUSION FLUID SPF 50 50 ML", "r": "220229360"}, {"b": "8470001674227", "n": "ISDIN FOTO ULTRA 100 ACTIVE SUNSCREEN UNIFY FLUID COLOR 50 ML", "r": "220229905"}, {"b": "8470001723222", "n": "ISDIN EVERCLEAN PURIFYING GEL 240ML", "r": "220229452"}, {"b": "8470001723239", "n": "ISDIN EVERCLEAN ONTHESPOT DRYING GEL 10ML", "r": "220224177"}, {"b": "8470002043961", "n": "ISDIN CICAPOST CREAM 50G", "r": "220231425"}, {"b": "8470001769169", "n": "ISDIN CEUTICS MELACLEAR SERUM 15ML", "r": "220217527"}, {"b": "8470001769183", "n": "ISDIN CEUTICS KOX EYES SERUM 15ML", "r": "220226342"}, {"b": "8470001509833", "n": "ISDIN ACNIBEN SANITIZING WIPES 30U", "r": "220224713"}, {"b": "8470001509802", "n": "ISDIN ACNIBEN RX LIP REPAIRING BALM 10ML", "r": "220225042"}, {"b": "8470002000698", "n": "ISDIN ACNIBEN RX CLEANSING EMULSION CREAM 180ML", "r": "220224067"}, {"b": "8470003245913", "n": "ISDIN ACNIBEN FOAM CLEANSER 150ML", "r": "220236547"}, {"b": "8470002000704", "n": "ISDIN ACNBN RX HYDRTNG GELCRM 40ML", "r": "220223219"}, {"b": "629202006148", "n": "VISDIN FUSION FLUID SUN PROMO", "r": "220195356"}, {"b": "629202006179", "n": "VISDIN FP SUN BRUSH MINERAL 30 4MG PROMO", "r": "220196043"}, {"b": "629202006162", "n": "VISDIN FP FUSION WATER COLOR 50ML PROMO", "r": "220196148"}, {"b": "8429420165595", "n": "ISDIN NUTRATOPIC PROAMP FACIAL CREAM 50ML", "r": "220219199"}, {"b": "8470001900111", "n": "ISDIN ANTIHAIR LOSS GROWTH NEW HAIR PROMO PACK", "r": "220186999"}, {"b": "8470002300125", "n": "ISDIN HAIR LOSS LTN SPRAY 11 PROMO PK", "r": "220212556"}, {"b": "9780143466543", "n": "ISDIN EVERCLEAN PRFYNG GEL PROMO PACK", "r": "220209198"}, {"b": "847011014516", "n": "ISDIN ANTIHAIR LOSS PROMO PACK", "r": "220202288"}, {"b": "629202006155", "n": "VISDIN MICELLAR SOLUTION 400ML PROMO PACK 11", "r": "220195635"}, {"b": "8470001674234", "n": "VISDIN FOTOPROTECTOR FUSION AIR 50 250ML", "r": "220184728"}, {"b": "9780201379624", "n": "VISDIN EXTREME INTIMATE HYGIENE PROMO", "r": "220194653"}, {"b": "9780201379631", "n": "VISDIN EXTREME HYDRATION AMP MELATVITCPROMO", "r": "220194673"}, {"b": "8429420096516", "n": "V ISDIN PROM NUTRAISDIN MOIST LOT 50ML", "r": "220178741"}, {"b": "8429420096578", "n": "V ISDIN PROM NUTRAISDIN GEL SHAMP 50ML", "r": "220174948"}, {"b": "8470002261365", "n": "V ISDIN NUTRAISDIN MOISTURIZING LOTION 200ML", "r": "220164150"}, {"b": "8470003013666", "n": "ISDIN NUTRAISDIN NAPPY CREAM 100ML", "r": "220216811"}, {"b": "8470002214941", "n": "ISDIN NUTRAISDIN FACIAL HYDRATING CREAM SPF 30 50ML", "r": "220226005"}, {"b": "8470001880154", "n": "ISDIN MICELLAR SOLUTION 100ML", "r": "220229474"}, {"b": "8429420151819", "n": "ISDIN ISDINCEUTICS PIGMENT EXPERT 30U 2ML", "r": "220231629"}, {"b": "8429420164390", "n": "ISDIN ISDINCEUTICS HYALURONIC BOOSTER 30 X 2ML", "r": "220217517"}, {"b": "8470001769138", "n": "ISDIN ISDINCEUTICS FLAVOC SERUM 15ML", "r": "220229448"}, {"b": "8470003854764", "n": "ISDIN GERMISDIN ORIGINAL NORMAL BATH GEL 250ML", "r": "220217314"}, {"b": "8470001826152", "n": "ISDIN FOTOPROTECTOR SUN BRUSH MINERAL 30 4MG", "r": "220223232"}, {"b": "8470001838919", "n": "ISDIN FOTOPROTECTOR HYDROLOTION SPF50 200ML", "r": "220226589"}, {"b": "8470003808996", "n": "ISDIN FOTOPROTECTOR AFTER SUN LOTION 200ML", "r": "220220769"}, {"b": "8470001769145", "n": "ISDIN FLAVOC POWERFUL ANTIOXIDANT SERUM 30ML", "r": "220236174"}, {"b": "847011014547", "n": "ISDIN EXTREME REPAIR PROMO", "r": "220202778"}, {"b": "847011014554", "n": "ISDIN EXTREME PROTECT PROMO", "r": "220203198"}, {"b": "9780201379648", "n": "ISDIN EXTREM WHITENNING PROMO AMPPIGPEEL", "r": "220203253"}, {"b": "8470001723192", "n": "ISDIN EVERCLEAN ULTRAMATTIFYING GEL CREAM 50ML", "r": "220218720"}, {"b": "8470001723215", "n": "ISDIN EVERCLEAN ANTIIMPERFECTIONS GEL CREAM 50ML", "r": "220217057"}, {"b": "8470002391949", "n": "ISDIN DEO LAMBDA CONTROL FRESH ROLL ON 50ML", "r": "220225122"}, {"b": "8470003717656", "n": "ISDIN DEO LABDA CONTROL CRM 50ML", "r": "220224684"}, {"b": "8470001900142", "n": "ISDIN DAILY FRESH DEODORANT PROMO PACK", "r": "220183419"}, {"b": "8470001769190", "n": "ISDIN CEUTICS SKIN DROPS SAND 15 ML", "r": "220228585"}, {"b": "8470001769206", "n": "ISDIN CEUTICS SKIN DROPS BRONZE 15 ML", "r": "220219347"}, {"b": "8470001769213", "n": "ISDIN CEUTICS FLAVOC ULTRAGLICAN 30 X 2ML", "r": "220236189"}, {"b": "8470001864802", "n": "ISDIN CEUTICS FLAVOC MELATONIN 30 AMPULES 2ML", "r": "220231368"}, {"b": "8429420136571", "n": "ISDIN CEUTICS EXFLTNG NIGHT PEELNG 30 X 2ML", "r": "220235165"}, {"b": "8470001864826", "n": "ISDIN CEUTICS DAY  NIGHT 10  10", "r": "220207925"}, {"b": "8470001769152", "n": "ISDIN CEUTICS AURIDERM CREAM 50 ML", "r": "220230977"}, {"b": "8429420181113", "n": "ISDIN BABY NATURALS FIRST TEETH GEL GINGIVAL 30ML", "r": "220221817"}, {"b": "8470001503329", "n": "ISDIN NUTRAISDIN TEETHING GEL 30ML", "r": "220154767"}, {"b": "3031500311591", "n": "ISIS UNITONE 4 WHITE ADVC INTENS DEPIGMENT EXFOLIATE 15 ML", "r": "220220853"}, {"b": "3401348888676", "n": "ISIS LIGHT EYES DARK CIRCLES 15ML", "r": "220218168"}, {"b": "3401397588275", "n": "ISIS BODYTONE WHITE MILK 1L", "r": "220236064"}, {"b": "4104480463076", "n": "V ISLA MOOS LOZENGES 30S", "r": "220156819"}, {"b": "4104480463143", "n": "ISLA MINT LOZENGES 30S", "r": "220223863"}, {"b": "4033109050016", "n": "ISODERM SOAP 100GM", "r": "220163879"}, {"b": "4033109050061", "n": "ISODERM LIQUID CLEANSER 250ML", "r": "220225936"}, {"b": "9650364002533", "n": "ISOLONE 5MG", "r": "220053287"}, {"b": "9650364002540", "n": "ISOLONE 20MG", "r": "220075229"}, {"b": "4029733000749", "n": "ISOMACK RET 40MG CAPS 20S", "r": "220168415"}, {"b": "8017045002007", "n": "ISOMAR NOSEEARS DAILY HYGIENE SPRAY 100ML", "r": "220228572"}, {"b": "8017045009174", "n": "ISOMAR NOSE ALLERGIES SPRAY 30ML", "r": "220229791"}, {"b": "8017045011498", "n": "ISOMAR NASAL DECON SPRY  HYLRNC ACD 100ML", "r": "220216512"}, {"b": "8017045003004", "n": "ISOMAR NOSE  EYES DAILY HYGIENE VIALS", "r": "220206772"}, {"b": "8017045002502", "n": "ISOMAR BABY NASAL SPRAY NO GAS", "r": "220222282"}, {"b": "8017045001505", "n": "ISOMAR ASPIRATOR", "r": "220167109"}, {"b": "8002660031136", "n": "ISOPTIN SR 240MG TAB 20S", "r": "220165632"}, {"b": "965016000139", "n": "ISOPTOCARPINE 1 EYE DRPS 15ML", "r": "220155479"}, {"b": "965016000046", "n": "ISORDIL 5MG TABLETS 100S", "r": "220171134"}, {"b": "965016000002", "n": "ISORDIL 10MG TABLETS 100S", "r": "220165763"}, {"b": "8033661801015", "n": "ITAMI 10 PATCHES 140 MG", "r": "220171794"}, {"b": "8033661801008", "n": "ITAMI 5 PATCHES 140MG", "r": "220160415"}, {"b": "30955230702", "n": "IVORY SKIN SUPPLEMENT 60 CAP", "r": "220060641"}, {"b": "6281056500759", "n": "J CASANOVA ARGAN HAIR OIL", "r": "220001241"}, {"b": "6281056501039", "n": "J CASANOVA ARGAN 100 PURE 100ML", "r": "220090292"}, {"b": "3574661449852", "n": "JJ ULTIMATE CLEAN WIPES 48S", "r": "220233393"}, {"b": "5000207582502", "n": "JJ PURE COTTON BUDS 100S", "r": "220223366"}, {"b": "6291018100026", "n": "JJ PURE COTTON BALLS 50S", "r": "220226517"}, {"b": "3574661472393", "n": "JJ MICELLAR REFRESHING WIPES NORMAL 25S", "r": "220227951"}, {"b": "3574669908900", "n": "JJ EXTR MOISTURISING WASH 500ML", "r": "220225660"}, {"b": "6291018100033", "n": "JJ COTTON WOOL 80GM", "r": "220234779"}, {"b": "6291018100019", "n": "JJ COTTON PADS 80S", "r": "220229255"}, {"b": "5000207584506", "n": "JJ COTTON BUDS 200S", "r": "220232156"}, {"b": "3574669908030", "n": "JJ BABY SOFT LOTION 200ML", "r": "220225394"}, {"b": "3574669907545", "n": "JJ BABY SHAMPOO 500ML", "r": "220222444"}, {"b": "3574669907552", "n": "JJ BABY SHAMPOO 200ML", "r": "220222813"}, {"b": "3574661427546", "n": "JJ BABY COTTON TOUCH FACE  BODY LOTION 300ML", "r": "220220839"}, {"b": "3574661435343", "n": "JJ BABY COTTON TOUCH 2IN1 WASH 300ML", "r": "220225487"}, {"b": "3574661450964", "n": "JJ MICELLAR ROSE INFUSED CLEANSE WATER 400ML", "r": "220217227"}, {"b": "3574669908016", "n": "JJ BABY SOFT LOTION 300ML", "r": "220235186"}, {"b": "8410207100052", "n": "JJ BABY OIL 200ML", "r": "220231573"}, {"b": "3574669908559", "n": "JJ BABY BATH 200ML", "r": "220231353"}, {"b": "3574661093949", "n": "JJ VITARICH POMEGRANATE BW 250 ML", "r": "220228319"}, {"b": "3574661558912", "n": "JJ MICELLAR MOISTURISING WIPES DRY 25S", "r": "220221991"}, {"b": "3574661370330", "n": "JJ HEAD TO TOE SKINCARE WIPES 15S", "r": "220232856"}, {"b": "3574661558950", "n": "JJ FRAGRANCE FREE FACIAL CLEANSING WIPES 25S", "r": "220227724"}, {"b": "3574661558943", "n": "JJ CLEAR SKIN COMBINATION SKIN WIPES 25S", "r": "220227961"}, {"b": "3574660026955", "n": "JJ BABY POWDER 500G", "r": "220224792"}, {"b": "8901012156018", "n": "JJ BABY POWDER 200G", "r": "220229226"}, {"b": "8410207100724", "n": "JJ BABY OIL 300ML", "r": "220220820"}, {"b": "6291100761616", "n": "JJ BABY COLOGNE MORNING DEW 200ML", "r": "220233720"}, {"b": "8850007012504", "n": "JJ BABY BEDTIME POWDER 200G", "r": "220227742"}, {"b": "3574660149548", "n": "JJ 24HR MOISTURE SOFT CREAM 200ML", "r": "220227230"}, {"b": "3574661375939", "n": "JJ HYDRATION DAY CREAM WROSEWATER 50ML", "r": "220227143"}, {"b": "3574661093918", "n": "JJ VITARICH ROSE WATER BW 250 ML", "r": "220229761"}, {"b": "3574661093680", "n": "JJ VITARICH RASPBERRY BW 250 ML", "r": "220229843"}, {"b": "3574661093857", "n": "JJ VITARICH PAPPAYA SOAP 125 GM", "r": "220235024"}, {"b": "3574661296111", "n": "JJ VITARICH COCOA BUTTER BW 250 ML", "r": "220231297"}, {"b": "3574661296135", "n": "JJ VITARICH COCOA BUTTER BL 250 ML", "r": "220216212"}, {"b": "3574661245362", "n": "JJ VITA RICH SMOOTHING BODY CREAM PAPAYA 200 ML", "r": "220236549"}, {"b": "3574661093659", "n": "JJ SMOOTHING PAPPAYA BW 250 ML", "r": "220229000"}, {"b": "3574669907316", "n": "JJ SHINY DROPS KIDS SHAMPOO 300ML", "r": "220236002"}, {"b": "3574661213132", "n": "JJ SHINY DROPS KIDS SHAMPOO 300ML", "r": "220231166"}, {"b": "3574669909853", "n": "JJ SHINY DROPS KIDS CONDITIONER SPRAY 200ML", "r": "220218078"}, {"b": "3574661221076", "n": "JJ SHINY DROPS KIDS CONDITIONER SPRAY 200ML", "r": "220221878"}, {"b": "3574669908238", "n": "JJ SHINY DROPS KIDS CONDITIONER 500ML", "r": "220232191"}, {"b": "3574661213415", "n": "JJ SHINY DROPS KIDS CONDI 500ML", "r": "220154836"}, {"b": "3574660583342", "n": "JJ REFRESHING FACIAL WIPES NORMAL SKIN 25S", "r": "220217045"}, {"b": "3574669908313", "n": "JJ PURE PROTECT KIDS BATH 500ML", "r": "220230376"}, {"b": "3574661094120", "n": "JJ POMEGRANATE SOAP 125 GM", "r": "220226568"}, {"b": "3574660588699", "n": "JJ NOURISHING CREAM WASH DRY SKIN 150ML", "r": "220216132"}, {"b": "3574661311586", "n": "JJ NIGHT CREAM EVEN COMPLEXION 50ML", "r": "220220695"}, {"b": "5000207005858", "n": "JJ KIDS SHAMPOO  CONDITIONER 200ML", "r": "220216040"}, {"b": "3574661429748", "n": "JJ KIDS PURE PROTECT WIPES 25S", "r": "220218754"}, {"b": "3574661369310", "n": "JJ HYDRATION NIGHT CREAM WROSEWATER 50ML", "r": "220218791"}, {"b": "3574661367989", "n": "JJ HYDRATION MICELLAR JELLY WROSEWATER 200ML", "r": "220218933"}, {"b": "3574661365138", "n": "JJ HYDRATION GEL CLEANSER WROSEWATER 150ML", "r": "220217256"}, {"b": "3574661152837", "n": "JJ HYDRATION ESSENTIALS CLEANSING WIPES 25S", "r": "220222007"}, {"b": "3574661355221", "n": "JJ HEAD TO TOE EXTRA MOISTURISING BABY WASH 500ML", "r": "220224572"}, {"b": "3574661265360", "n": "JJ GENTLE ALL OVER BABY WIPES 56S", "r": "220216398"}, {"b": "3574660583083", "n": "JJ GEL WASH NORMAL SKIN 150ML", "r": "220230302"}, {"b": "3574661265148", "n": "JJ EXTRA SENSITIVE BABY WIPES 56S", "r": "220227205"}, {"b": "3574660588712", "n": "JJ EXFOLIATING WASH ALL SKIN 150ML", "r": "220235330"}, {"b": "3574661312828", "n": "JJ EVEN COMPLEXION FWASH ALL SKIN 150ML", "r": "220234228"}, {"b": "3574661236834", "n": "JJ DESITIN NAPPY CREAM 75ML", "r": "220228995"}, {"b": "3574661312842", "n": "JJ DAY CREAM EVEN COMPLEXION SPF15 50ML", "r": "220222720"}, {"b": "3574669907422", "n": "JJ CHAMOMILE BABY SHAMPOO 200ML", "r": "220220182"}, {"b": "3574660089684", "n": "JJ BABY TOP TO TOE WASH 500ML", "r": "220235879"}, {"b": "6291100760459", "n": "JJ BABY SOAP 125GM", "r": "220232033"}, {"b": "3574661069210", "n": "JJ BABY SHMPOO NO MORE TANGEL 200ML", "r": "220221486"}, {"b": "6111079005392", "n": "JJ BABY SHAMPOO 500ML", "r": "220228533"}, {"b": "3574661115115", "n": "JJ BABY PURE PROTECT SOAP 125GM", "r": "220222888"}, {"b": "3574661172460", "n": "JJ BABY PURE PROTECT BATH 500ML", "r": "220220583"}, {"b": "3574660703368", "n": "JJ BABY POWDR 255G", "r": "220227549"}, {"b": "3574660151206", "n": "JJ BABY OIL GEL BLOSSOM 200ML", "r": "220234201"}, {"b": "8002110315243", "n": "JJ BABY OIL ALOEVERA 300ML", "r": "220227681"}, {"b": "6291018100187", "n": "JJ BABY NURSING PADS 30S", "r": "220233080"}, {"b": "3574660638479", "n": "JJ BABY NAPPY RASH CREAM 110ML", "r": "220224428"}, {"b": "3574661270524", "n": "JJ BABY LOTION EXTRA CARE 500ML", "r": "220222216"}, {"b": "3574661270517", "n": "JJ BABY LOTION EXTRA CARE 200ML", "r": "220229385"}, {"b": "5000207004578", "n": "JJ BABY LOTION 200ML", "r": "220215996"}, {"b": "6001011321133", "n": "JJ BABY JELLY LIGHTLY FRAGRANCED 250G", "r": "220226842"}, {"b": "6001011321126", "n": "JJ BABY JELLY FRAGRANCE FREE 250G", "r": "220231783"}, {"b": "3574660674293", "n": "JJ BABY FRESH POWDER 200GM", "r": "220223949"}, {"b": "3574660057607", "n": "JJ BABY CREAM 100ML", "r": "220224133"}, {"b": "3574661421674", "n": "JJ BABY COTTON TOUCH WIPES 56S", "r": "220232072"}, {"b": "3574661420684", "n": "JJ BABY COTTON TOUCH WIPES 20S", "r": "220230162"}, {"b": "3574669909693", "n": "JJ BABY COTTON TOUCH POWDER 200G", "r": "220224978"}, {"b": "6223000659144", "n": "JJ BABY COTTON TOUCH OIL 300ML", "r": "220235193"}, {"b": "6291100761791", "n": "JJ BABY COLOGNE LEMON 200ML", "r": "220220120"}, {"b": "6291100761074", "n": "JJ BABY CHAMOMILE SHAMPOO 200ML", "r": "220166888"}, {"b": "3574660272031", "n": "JJ BABY BED TIME OIL 300ML", "r": "220228491"}, {"b": "6111079005095", "n": "JJ B SHP GOLD 200ML", "r": "220161417"}, {"b": "3574661068893", "n": "JJ 2 IN 1 SHAMPOO  CONDITIONER 200ML", "r": "220219428"}, {"b": "5287000076371", "n": "JABAL EL SHEIKH ROYAL HONEY 275GM", "r": "220075448"}, {"b": "5000444029549", "n": "JAMES READ TAN SLEEP MASK TAN FACE 50ML", "r": "129807223"}, {"b": "5000444029563", "n": "JAMES READ TAN SLEEP MASK TAN BODY 200ML", "r": "129807224"}, {"b": "5000444029341", "n": "JAMES READ TAN INSTANT BRONZING MIST FACE & BODY 200ML", "r": "129812178"}, {"b": "5000444030651", "n": "JAMES READ TAN H2O TAN MIST FACE 100ML", "r": "220060017"}, {"b": "5000444035755", "n": "JAMES READ TAN H2O TAN DROPS FACE 30ML", "r": "129812149"}, {"b": "5000444072637", "n": "JAMES READ TAN H2O TAN DROPS BODY 45ML", "r": "129807169"}, {"b": "5000444040094", "n": "JAMES READ TAN H2O HYDRATING TAN MOUSSE", "r": "129812113"}, {"b": "5000444040100", "n": "JAMES READ TAN GLOW H2O TAN MOUSSE BODY 200ML", "r": "129807188"}, {"b": "5000444041060", "n": "JAMES READ TAN GLOW H2O FACIAL TAN SERUM 50ML", "r": "129812160"}, {"b": "5000444035762", "n": "JAMES READ TAN COCONUT WATER TAN MIST BODY 200ML", "r": "220071041"}, {"b": "5000444035816", "n": "JAMES READ TAN COCONUT TAN MIST FACE 100ML", "r": "129812146"}, {"b": "5000444035786", "n": "JAMES READ TAN COCONUT DRY OIL TAN BODY 100ML", "r": "220065912"}, {"b": "5000444038923", "n": "JAMES READ TAN CLICK & GLOW 15ML", "r": "129807204"}, {"b": "5000444035793", "n": "JAMES READ TAN BODY FOUNDATION WASH OFF TAN FACE & BODY 100ML", "r": "220177679"}, {"b": "814924011321", "n": "JAN MARINI LASH EYELASH CONDITIONER 246ML", "r": "220216413"}, {"b": "814924010225", "n": "JAN MARINI BIOGLYCOLIC FACE CLEANSER 8OZ", "r": "220228885"}, {"b": "9650137006140", "n": "JANUMET XR 501000MG TAB 56S", "r": "220167832"}, {"b": "9650137005587", "n": "JANUMET 501000MG TAB 56S", "r": "220169225"}, {"b": "9650137005570", "n": "JANUMET 50500MG TAB 56S", "r": "220166966"}, {"b": "300060277313", "n": "JANUVIA 100MG TAB 28S", "r": "220170141"}, {"b": "9650157001149", "n": "JARDIANCE 25MG TAB 30S", "r": "220191850"}, {"b": "9650157001156", "n": "JARDIANCE 10MG TAB 30S", "r": "220182382"}, {"b": "790011130086", "n": "VJARROW ZINC BALANCE CAP 100S", "r": "220203053"}, {"b": "790011150398", "n": "VJARROW GLUTATHIONE REDUCED 500MG VEGGIE CAP 60S", "r": "220202716"}, {"b": "790011190226", "n": "JARROW GLUCOSAMINE  CHONDROITIN  MSM CAP 240S", "r": "220202376"}, {"b": "790011130079", "n": "VJARROW MAGNESIUM OPTIMIZER TAB 200S", "r": "220202968"}, {"b": "790011180012", "n": "VJARROW METHYL B12 1000MCG TAB 100S", "r": "220202828"}, {"b": "790011220145", "n": "VJARROW ASHWAGANDHA CAP 120S", "r": "220202884"}, {"b": "790011150695", "n": "VJARROW SACETYLLGLUTATHIONE 100MG TAB 60S", "r": "220203224"}, {"b": "790011290247", "n": "VJARROW HYALURONIC ACID VEGGIES CAP 120S", "r": "220202755"}, {"b": "790011300014", "n": "JARROW VITAMIN K 90MCG CAP 600S", "r": "220204086"}, {"b": "9650364003493", "n": "V JARWAH KN95 FACE MASK 2S", "r": "220194030"}, {"b": "9650161000022", "n": "JASICONE 20 PASTILLES", "r": "220156794"}, {"b": "6297000373003", "n": "JASIMENTH HONEY AND LEMON 20S", "r": "220152543"}, {"b": "6297000373010", "n": "JASIMENTH BLACKCURRANT 20S", "r": "220159943"}, {"b": "8809495894963", "n": "JAYJUN ROSELLE TEA EYE GEL PATCH 60G", "r": "220206268"}, {"b": "8809495895106", "n": "JAYJUN LAVENDER TEA EYE GEL PATCH 60G", "r": "220205605"}, {"b": "8809495894956", "n": "JAYJUN GREEN TEA EYE GEL PATCH 60G", "r": "220206363"}, {"b": "9650364003523", "n": "JIAMEIKANG DISPOSABLE FACE MASK 50S", "r": "220194356"}, {"b": "3715748396519", "n": "JOELLE WHAT A POUT LIPGLOS 10ML", "r": "220179988"}, {"b": "3715748396588", "n": "JOELLE WASH AWAY FACIAL FOAM 150ML", "r": "220067965"}, {"b": "3715748350009", "n": "JOELLE TAKE COVER PROT  COLOR ALL IN 1 50ML", "r": "220181800"}, {"b": "3715748396502", "n": "JOELLE SUPERMODEL BODY CNTOURNG CRM 150ML", "r": "220180215"}, {"b": "3700327575034", "n": "JOELLE SUNSCREEN SHAMPOO 250ML", "r": "220071084"}, {"b": "3700327575041", "n": "JOELLE SUN PROTECT SUNSCREEN ELIXIR", "r": "220071201"}, {"b": "3700327575027", "n": "JOELLE SUN PROTECT SUNSCREEN CONDI 200ML", "r": "220064744"}, {"b": "3715748396755", "n": "JOELLE SOW WHITE SERUM 30ML", "r": "220088910"}, {"b": "3715748501289", "n": "JOELLE SOW WHITE EYES 20ML", "r": "220070855"}, {"b": "3715748396847", "n": "JOELLE SOW WHITE CREAM 50ML", "r": "220062454"}, {"b": "3715748396403", "n": "JOELLE SO COOL ITS COOL TONER MIST 170ML", "r": "220078501"}, {"b": "3274891999973", "n": "JOELLE SO COOL CLEAR EYES 200ML", "r": "220069481"}, {"b": "3715748396304", "n": "JOELLE SO COOL CLEANSER 170ML", "r": "220070854"}, {"b": "3715742315660", "n": "JOELLE SET BOX", "r": "220059883"}, {"b": "3715748148675", "n": "JOELLE RESCUE ME SMOTH MOISTURIZER 50ML", "r": "220078172"}, {"b": "3700327572064", "n": "JOELLE NUTRI INTENSE SHAMPOO 250ML", "r": "220077592"}, {"b": "3700327572071", "n": "JOELLE NUTRI INTENS HAIR MASK 200ML", "r": "220078500"}, {"b": "3700327571029", "n": "JOELLE NOURISH COLOR PROT MASK 250ML", "r": "220054242"}, {"b": "3715748396595", "n": "JOELLE MAGICWAND FULER LASH  EYBRW 10ML", "r": "220182035"}, {"b": "3715748534157", "n": "JOELLE LOVE EYES FIRMING CREAM 20ML", "r": "220053279"}, {"b": "3700327572095", "n": "JOELLE LISS KERATIN REGEN SHAMPOO 250ML", "r": "220085191"}, {"b": "3700327571104", "n": "JOELLE LISS KERATIN NOIURISH MASK 250ML", "r": "220071919"}, {"b": "3715748332357", "n": "JOELLE JGLOW FACIAL TONER 200ML", "r": "220079240"}, {"b": "3715748332258", "n": "JOELLE JGLOW FACIAL BALANCING CREAM 50ML", "r": "220206582"}, {"b": "3715748332159", "n": "JOELLE JGLOW ALL FACE WASH 150ML", "r": "220079710"}, {"b": "3700327571118", "n": "JOELLE INTERNSE NUTRITIVE LEAVE IN CREAM 100ML", "r": "220086014"}, {"b": "3715748401589", "n": "JOELLE HANDS OFF ITS MINE HAND CARE 30ML", "r": "220181079"}, {"b": "3700327572040", "n": "JOELLE HAIR LOSS SHAMPOO 250ML", "r": "220073084"}, {"b": "3700327572057", "n": "JOELLE HAIR LOSS LOTION 100ML", "r": "220065608"}, {"b": "3700327571081", "n": "JOELLE HAIR HYDRA NUTRIELIXIR VEGETAL 50ML", "r": "220081099"}, {"b": "3715748684173", "n": "JOELLE GOOD NIGHT CREAM 30ML", "r": "220079242"}, {"b": "3715748741081", "n": "JOELLE GOOD DAY CREAM 50ML", "r": "220050972"}, {"b": "3715748396700", "n": "JOELLE GOLDEN GIRL SHIMMER BODY OIL 170ML", "r": "220056686"}, {"b": "3715748633454", "n": "JOELLE FACELIFT GOLD MASK 125G", "r": "220181764"}, {"b": "3700327576024", "n": "JOELLE DETOX SHAMPOO 250ML", "r": "220060498"}, {"b": "3700327576017", "n": "JOELLE DETOX MASK 200ML", "r": "220092609"}, {"b": "3700327572019", "n": "JOELLE COLOR PROTECT SHAMPOO 250ML", "r": "220074522"}, {"b": "3700327571036", "n": "JOELLE BLOW SHINE SPRAY HAIR 150ML", "r": "220070324"}, {"b": "3715748128561", "n": "JOELLE BEAUTY IN A BOX JELLY STK 450G", "r": "220181688"}, {"b": "6251144001383", "n": "JOFLAM 50 MG 20 TABLETS", "r": "220228060"}, {"b": "372917000122", "n": "JOINTFLEX TURMERIC PAIN RELF CREAM 85GM", "r": "220214943"}, {"b": "857074001675", "n": "JOINTFLEX JOIN HEALTH SUPPLEMENTS 120S", "r": "220234990"}, {"b": "648668311016", "n": "JOINTFLEX PAIN RELIEVING CREAM 114GM", "r": "220223761"}, {"b": "146688100509", "n": "JOLEN CRM BLEACH ALOE VERA 1OZ", "r": "220066597"}, {"b": "46688400015", "n": "JOLEN CREAM BLEACH 133G", "r": "220224751"}, {"b": "46688350037", "n": "JOLEN LEGS  BODY WAX STRIPS SEN 20S", "r": "220073085"}, {"b": "46688350075", "n": "JOLEN INSHOWER CRM HAIR RMVR 150ML", "r": "220059004"}, {"b": "46688350013", "n": "JOLEN FACIAL WAX STRIPS SEN 20S", "r": "220059742"}, {"b": "46688350051", "n": "JOLEN CRM HAIR RMVR ARGANALOE 150ML", "r": "220000820"}, {"b": "6251649000232", "n": "JOSPAN COUGH SYRUP 100ML", "r": "220230901"}, {"b": "8719689830021", "n": "JOVIE GOAT MILK 3 400GM", "r": "220202475"}, {"b": "8719689830014", "n": "JOVIE GOAT MILK 2 400GM", "r": "220202852"}, {"b": "8719689830007", "n": "JOVIE GOAT MILK 1 400GM", "r": "220202330"}, {"b": "8023379994901", "n": "JOYCARE JC490", "r": "220155772"}, {"b": "793573963864", "n": "JOYMAX CAP 30S", "r": "220196424"}, {"b": "6222019600819", "n": "JR OLYMPIA TOFFEE BITES WOMEGA3 120G", "r": "220052585"}, {"b": "6222019600659", "n": "JR OLYMPIA TOFFEE BITES WCALVITD 120G", "r": "220073087"}, {"b": "6222019601342", "n": "JR OLYMPIA SPREAD CHOCOLATE WOMEGA3 200G", "r": "220229259"}, {"b": "6222019601366", "n": "JR OLYMPIA SPREAD CHOCOLATE WIRON 200G", "r": "220218359"}, {"b": "6222019601359", "n": "JR OLYMPIA SPREAD CHOCOLATE WCALVITD 200G", "r": "220090303"}, {"b": "9650146000771", "n": "JULPHAMOX 500MG 20S", "r": "220161722"}, {"b": "6291100087990", "n": "MAYA PAIN RELIEF HEAT PAD 3S", "r": "220217050"}, {"b": "5045096030871", "n": "JL FLASH ULTR THIN MINT 56SCHTS", "r": "220074007"}, {"b": "6291100087921", "n": "GINOXIL INTIMATE WASH GEL 30ML", "r": "220220292"}, {"b": "6291100087945", "n": "GINOXIL ECOFOAM 125ML", "r": "220164981"}, {"b": "6291100083374", "n": "JUSPRIN 81MG TAB 40S", "r": "220167734"}, {"b": "5010934002754", "n": "JUST FOR MEN M55 REAL BLACK HAIR CLR", "r": "220231643"}, {"b": "5010934002747", "n": "JUST FOR MEN M  B DARK BRWN M45", "r": "220225508"}, {"b": "5010934002174", "n": "JUST FOR MEN HAIR BLACK H55", "r": "220235219"}, {"b": "5010934002730", "n": "JUST FOR MEN M  B MEDIUM BROWN M35", "r": "220235255"}, {"b": "5010934001849", "n": "JUST FOR MEN HAIR DARK BROWN BLACK H45", "r": "220223844"}, {"b": "5010934001856", "n": "JUST FOR MEN HAIR DARK BROWN BLACK H45", "r": "220217011"}, {"b": "6953533292586", "n": "JUST GOLD MAKEUP BRUSH", "r": "220229584"}, {"b": "8002660030832", "n": "KAFOLESS 35MG SYRUP 100ML", "r": "220172929"}, {"b": "739122001588", "n": "KAMASUTRA STRAWBERRY WEEKENDER KIT", "r": "220140249"}, {"b": "6291103440037", "n": "V KAMINOMOTO MILD SHAMPOO200ML", "r": "220068544"}, {"b": "6291103440013", "n": "V KAMINOMOTO HAIR GROWTH TONIC180ML", "r": "220077252"}, {"b": "4987046710024", "n": "KAMINOMOTO NOURISHING RINSE 200ML", "r": "220233138"}, {"b": "4987046100559", "n": "KAMINOMOTO HAIR GROWTH TRIGGER 180ML", "r": "220226972"}, {"b": "6291103440020", "n": "KAMINOMOTO HAIR GROWTH ACCELERATOR180ML", "r": "220071209"}, {"b": "6291100083336", "n": "KAPTIN SUSPENSION 200ML", "r": "220220829"}, {"b": "965014600027", "n": "KAPTIN II TAB 20S", "r": "220165421"}, {"b": "6291100082292", "n": "GYNO FLOR TABS", "r": "220236588"}, {"b": "8902281347121", "n": "KARVOL PLUS INHALANT CAPS 20S", "r": "220081006"}, {"b": "7750075032941", "n": "KATIVA OMEGA COMPLEX HAIR CONDITIONER 250ML", "r": "220063375"}, {"b": "7750075032965", "n": "KATIVA OMEGA COMPLEX DEEP HAIR TREATMENT 250ML", "r": "220053275"}, {"b": "7750075024687", "n": "KATIVA COLAGENO HAIR SHAMPOO 250ML", "r": "220208607"}, {"b": "7750075024717", "n": "KATIVA COLAGENO HAIR CONDITIONER 250ML", "r": "220208908"}, {"b": "7750075024748", "n": "KATIVA COLAGENO DEEP HAIR TREATMENT 250ML", "r": "220208221"}, {"b": "8809577460833", "n": "KBEAUTY WHITENING TONE UP CREAM MASK", "r": "220209616"}, {"b": "8809577461267", "n": "KBEAUTY SHEA BUTTER HAND CREAM MASK", "r": "220210254"}, {"b": "8809577460857", "n": "KBEAUTY PRFCT CVR BB CRM NATBEIGE MASK", "r": "220210253"}, {"b": "8809577460840", "n": "KBEAUTY PERFECT COVER BB CREAM MASK", "r": "220209655"}, {"b": "8809577461236", "n": "KBEAUTY O2 BUBBLE MASK", "r": "220210018"}, {"b": "8809577461199", "n": "KBEAUTY INTNSV HERB HAND CREAM MASK", "r": "220210037"}, {"b": "8809577460802", "n": "KBEAUTY GOLDEN SNAIL CREAM MASK", "r": "220209539"}, {"b": "8809577461212", "n": "KBEAUTY GOLD PEEL OFF MASK", "r": "220210234"}, {"b": "8809577460772", "n": "KBEAUTY FRESH WHIPPING FOAM CLEANSER", "r": "220209499"}, {"b": "8809577460789", "n": "KBEAUTY DEEP CLEANSING MASK", "r": "220210086"}, {"b": "8809577461380", "n": "KBEAUTY CICA CARE CREAM MASK", "r": "220210042"}, {"b": "8809577461229", "n": "KBEAUTY CHARCOAL PEEL OFF MASK", "r": "220210015"}, {"b": "8809577461175", "n": "KBEAUTY BLEMISH CLEAR MASK", "r": "220210083"}, {"b": "8809577461243", "n": "KBEAUTY BLAKHEAD PEEL OFF MASK", "r": "220210138"}, {"b": "8809577460796", "n": "KBEAUTY AQUA SLEEPING MASK", "r": "220210149"}, {"b": "8809577461250", "n": "KBEAUTY ALOE VERA SOOTHING GEL MASK", "r": "220209884"}, {"b": "8809577461151", "n": "KBEAUTY ALL IN ONE MOISTURE MASK", "r": "220209846"}, {"b": "965016000048", "n": "KENALOG IN ORABASE 10GM", "r": "220160598"}, {"b": "5011637001525", "n": "KENT NATURAL SHINE WAVES LBC3", "r": "220050515"}, {"b": "5011637074918", "n": "KENT NATURAL SHINE PURE BRISTLE LARGE RADIAL", "r": "220075486"}, {"b": "5011637074925", "n": "KENT NATURAL SHINE PURE BRISTLE FULL RADIAL", "r": "220061248"}, {"b": "5011637051001", "n": "KENT LARGE PADLE CUSHION BRUSH", "r": "220232524"}, {"b": "5011637200072", "n": "KENT FOLDING CUSHION BRUSH", "r": "220227005"}, {"b": "5011637001723", "n": "KENT AIRHEDZ9 TAMING LRG", "r": "220071743"}, {"b": "5011637001709", "n": "KENT AIRHEDZ8 DETANG LRG", "r": "220092630"}, {"b": "5011637001778", "n": "KENT AIRHEDSZ 11 STRAIGHTENING MIDI", "r": "220068146"}, {"b": "40232647857", "n": "V KERAORGANICA RFM SSTEM SHPOO 500ML", "r": "220199885"}, {"b": "40232647895", "n": "V KERAORGANICA RFM SSTEM CNDR 500ML", "r": "220198985"}, {"b": "857074001613", "n": "KERASAL FUNGAL NAIL TREATMNT 10ML", "r": "220088890"}, {"b": "794504366235", "n": "KERATINE COLOR CARE SHAMPOO 400ML", "r": "220231362"}, {"b": "794504366334", "n": "KERATINE COLOR CARE CONDITIONER 400ML", "r": "220217151"}, {"b": "794504366631", "n": "KERATINE CARE SHAMPOO 400ML", "r": "220226964"}, {"b": "94922845139", "n": "KERATINE CARE CONDITIONER 400ML", "r": "220051592"}, {"b": "8022297067513", "n": "KERATIN THERAPY STRAIGHTENING KIT EXPRESS", "r": "220203313"}, {"b": "8022297056081", "n": "KERATIN THERAPY REHYDRATING MASK 200ML", "r": "220202299"}, {"b": "8022297014111", "n": "KERATIN THERAPY OIL 50ML", "r": "220202413"}, {"b": "8022297067483", "n": "KERATIN THERAPY MAINTENANCE SHAMPOO 250ML", "r": "220233527"}, {"b": "8022297067490", "n": "KERATIN THERAPY MAINTENANCE CONDITIONER 250ML", "r": "220231551"}, {"b": "35046107437", "n": "V KETOSCIENCE KETOGENIC MEAL SHK NAT VAN 532G", "r": "220189052"}, {"b": "35046107840", "n": "V KETOSCIENCE REAL KETONES NAT LEMON PWDR 150G", "r": "220189963"}, {"b": "8056457090240", "n": "KEZY ACTIVE SERUM 50ML", "r": "220165942"}, {"b": "625349019539", "n": "KIDITON STRONGER BONESGUMMY 60S", "r": "220002594"}, {"b": "625349019546", "n": "KIDITON ANTIOXIDANT GUMMY 60S", "r": "220168449"}, {"b": "778159602108", "n": "KIDS 09 FLU RELIEF 25ML DP", "r": "220160811"}, {"b": "778159102646", "n": "KIDS 09 COUGHCOLD NIGHT SYP 100ML", "r": "220157539"}, {"b": "778159216619", "n": "KIDS 09 COUGHCOLD 100ML", "r": "220154485"}, {"b": "778159216602", "n": "KIDS 09 CALM 25ML DP", "r": "220154798"}, {"b": "778159216510", "n": "KIDS 09 TEETHING 25ML DP", "r": "220155245"}, {"b": "778159216503", "n": "KIDS 09 COLIC 25ML DP", "r": "220155650"}, {"b": "778159022913", "n": "KIDS 09 PAINFEVER 25ML DP", "r": "220159908"}, {"b": "778159676383", "n": "KIDS 09 ALLERGY 25ML DP", "r": "220169344"}, {"b": "5060018511344", "n": "V KIKI HEALTH ORGANIC COCONUT OIL 500ML", "r": "220069834"}, {"b": "5060018511719", "n": "V KIKI HEALTH ORGANIC COCONUT OIL 200ML", "r": "220058270"}, {"b": "5060018511665", "n": "V KIKI HEALTH ORGANIC MACA PWDR 100G", "r": "220211186"}, {"b": "5060018511597", "n": "VKIKI HEALTH KRILL OIL 30 CAPS", "r": "220201916"}, {"b": "5060018511436", "n": "V KIKI HEALTH ORGANIC SPIRULINA PWDR 200G", "r": "220179895"}, {"b": "5060018511733", "n": "V KIKI HEALTH ORGANIC PSYLLIUM HUSKS 275G", "r": "220190978"}, {"b": "5060018511481", "n": "V KIKI HEALTH ORGANIC MORINGA LEAF 100G", "r": "220178423"}, {"b": "5060018512839", "n": "V KIKI HEALTH ACTVATED CHARC POWDER 70G", "r": "220201260"}, {"b": "5060018512860", "n": "V KIKI HEALTH ACTVATED CHARC 50CAP", "r": "220201998"}, {"b": "5060018511276", "n": "KIKI HEALTH BODY BIOTICS 30 CAPS", "r": "220202004"}, {"b": "6297000373232", "n": "KINDERVIT MULTIVITAMIN SYRUP 250ML", "r": "220077882"}, {"b": "688003100066", "n": "KOS ALPHAGEL SUPERCOOLED MENTHOL SHV GEL", "r": "220080830"}, {"b": "688003100042", "n": "KOS ALPHAGEL NATURAL UNMENTHOL SHV GEL", "r": "220075180"}, {"b": "688003100028", "n": "KOS SHAVING OIL SUPERCOOLED MENTHOL", "r": "220085161"}, {"b": "688003100004", "n": "KOS SHAVING OIL NATURAL UNMENTHOL", "r": "220084459"}, {"b": "731509642681", "n": "KISS SALON ACRYLC NUDE FRENCH NAIL KAN03C 28S", "r": "220072387"}, {"b": "731509502404", "n": "KISS LIGHTNING SPEED NAIL GLUE 5G", "r": "220075583"}, {"b": "731509692570", "n": "KISS LASH COUTURE MINK COLLECTION GALA KLCS01C", "r": "220077596"}, {"b": "731509692587", "n": "KISS LASH COUTURE MINK COLLECTION BLK DRESS KLCS02C", "r": "220051413"}, {"b": "731509541045", "n": "KISS LASH AU NATURALE 01", "r": "220224307"}, {"b": "731509606645", "n": "KISS GEL FANTASY NAILS REAL SHRT  LENGTH KGN02 30S", "r": "220089250"}, {"b": "731509606737", "n": "KISS GEL FANTASY NAILS MED LENGTH KGN11 28S", "r": "220216333"}, {"b": "731509606720", "n": "KISS GEL FANTASY NAILS MED LENGTH KGN10 28S", "r": "220225778"}, {"b": "731509606713", "n": "KISS GEL FANTASY NAILS MED LENGTH KGN09 28S", "r": "220229941"}, {"b": "731509606638", "n": "KISS GEL FANTASY NAILS MED LENGTH KGN01 28S", "r": "220059008"}, {"b": "731509659207", "n": "KISS BLOOMING LASH KBH03C", "r": "220221609"}, {"b": "731509659184", "n": "KISS BLOOMING LASH KBH01C", "r": "220229694"}, {"b": "731509567311", "n": "KISS BEAUTIFUL BROW KIT KPLK02", "r": "220079411"}, {"b": "731509649635", "n": "KISS WING EYELINER KIT KEYE01", "r": "220226091"}, {"b": "731509604887", "n": "KISS STRIP LASH ADHESIVE CLEAR 7GM", "r": "220234063"}, {"b": "731509642667", "n": "KISS SALON ACRYLC NUDE FRENCH NAIL KAN01C 28S", "r": "220228435"}, {"b": "731509579499", "n": "KISS NATURAL LIGHTWIGHT LASHES KHLD02 X 2", "r": "220077241"}, {"b": "731509579512", "n": "KISS LASHES NATURAL LIGHTWEIGHT KHLD04 2S", "r": "220076405"}, {"b": "731509579505", "n": "KISS LASHES NATURAL LIGHTWEIGHT KHLD03 2S", "r": "220225743"}, {"b": "731509579482", "n": "KISS LASHES NATURAL LIGHTWEIGHT KHLD01 2S", "r": "220084657"}, {"b": "731509601343", "n": "KISS EYELASHES DBL LAYERED KPE71", "r": "220079041"}, {"b": "731509601336", "n": "KISS EYELASHES DBL LAYERED KPE70", "r": "220077572"}, {"b": "731509608502", "n": "KISS EYEBROW KIT STENCILS KPEK01", "r": "220077885"}, {"b": "8002660027337", "n": "KLACID 500MG TABLETS 20S", "r": "220195646"}, {"b": "8002660029225", "n": "KLACID XL TAB 14S", "r": "220198270"}, {"b": "8002660031075", "n": "KLACID 250MG TABLETS 14S", "r": "220184549"}, {"b": "8002660028419", "n": "KLACID XL TAB 7S", "r": "220182836"}, {"b": "4250094921385", "n": "KLAPP XTREME WHITENING INTENSIVE SERUM 30ML", "r": "220227280"}, {"b": "4250094921408", "n": "KLAPP XTREME WHITENING AGE STOP CREAM SPF25 30ML", "r": "220232436"}, {"b": "4250094921927", "n": "KLAPP XTREME LIFTING CREAM DAY  NIGHT 17OZ 50ML", "r": "220219221"}, {"b": "4250094924867", "n": "KLAPP XTREME HYDRA COMPLETE CREAM GEL 17OZ 50ML", "r": "220225939"}, {"b": "4250094935696", "n": "KLAPP STEM CELL BOOSTER SERUM 30ML", "r": "220224873"}, {"b": "4250094964412", "n": "KLAPP REPAGEN EXCLUSIVE GLOBAL ANTIAGE CREAM 17OZ 50ML", "r": "220235073"}, {"b": "4250094945220", "n": "KLAPP IMMUN SUN SPF50 50ML", "r": "220069488"}, {"b": "4250094960056", "n": "KLAPP HYALURONIC MULTIPLE EFFECT DAY AND NIGHT CREAM 50ML", "r": "220220231"}, {"b": "4250094936716", "n": "KLAPP CS III EYEZONE CREAM FLUID 07OZ 20ML", "r": "220232876"}, {"b": "4250094921149", "n": "KLAPP C PURE FOAM CLEANSER 200ML", "r": "220221811"}, {"b": "4250094910143", "n": "KLAPP C PURE EYEZONE TREATMENT 05 OZ 15ML", "r": "220219930"}, {"b": "4250094960063", "n": "KLAPP  HYALURONIC DAY  NIGHT SERUM 17OZ 50ML", "r": "220230917"}, {"b": "6294010000073", "n": "KLARITH TABLETS 500MG 14S", "r": "220058763"}, {"b": "6281086010754", "n": "KLAVOX 625MG TABLETS 20", "r": "220232434"}, {"b": "965013700457", "n": "KLAVOX 1565ML SUSP 100ML", "r": "220166081"}, {"b": "6281002506675", "n": "KLEENEX HF WIPES SENSI 15S", "r": "220165743"}, {"b": "6281002506699", "n": "KLEENEX HF WIPES FRESH 15S", "r": "220156522"}, {"b": "6281002400416", "n": "KLEENEX HANDKERCHIEF 10S", "r": "220162268"}, {"b": "6281002506538", "n": "KLEENEX DISNY HAND WIPES 10S", "r": "220163572"}, {"b": "8809328320775", "n": "V KOCOSTAR SLICE MASK CUCUMBER 2SHEETS 20ML", "r": "220191690"}, {"b": "8809328320805", "n": "V KOCOSTAR ROSE FLOWER MASK 2SHEETS 20ML", "r": "220190974"}, {"b": "8809328320133", "n": "KOCOSTAR SLICE MASK WTRMLON 2SHEETS 20ML", "r": "220051409"}, {"b": "8809328321109", "n": "KOCOSTAR SLICE MASK STRWBRY 2SHEETS 20ML", "r": "220083415"}, {"b": "8809328321123", "n": "KOCOSTAR SLICE MASK KIWI 2SHEETS 20ML", "r": "220058269"}, {"b": "8809328321130", "n": "KOCOSTAR SLICE MASK ALOE 2SHEETS 20ML", "r": "220072541"}, {"b": "8809328322755", "n": "KOCOSTAR ROSE LIP MASK 1S", "r": "220238198"}, {"b": "8809328322502", "n": "KOCOSTAR PINK LIP MASK 1S", "r": "220239317"}, {"b": "8809328320294", "n": "KOCOSTAR MINT FOOT MOISTURE PACK 1S", "r": "220237449"}, {"b": "8809328320430", "n": "V KOCOSTAR HAND MOIST PK 1PR 14ML", "r": "220191460"}, {"b": "8809328320195", "n": "KOCOSTAR FOOT PEELNG PK", "r": "220075470"}, {"b": "8809328320843", "n": "KOCOSTAR FOOT MOIST PK", "r": "220085685"}, {"b": "4987072029381", "n": "KOOLFEVER  CHILD 4 PATCHES", "r": "220230680"}, {"b": "4987072029398", "n": "KOOLFEVER  ADULT 4 PATCHES", "r": "220219719"}, {"b": "4987072033494", "n": "KOOL FEVER BABIES 4 PATCH", "r": "220088555"}, {"b": "9400581035186", "n": "KORDELS THRU Z MULTIVITAMIN 60S", "r": "220219407"}, {"b": "9400581036145", "n": "KORDELS SLEEPWELL", "r": "220161484"}, {"b": "9400581023657", "n": "KORDELS PROSTAGUARD PLUS 30 CAPSULES", "r": "220232178"}, {"b": "9400581035346", "n": "KORDELS PROBIOTICA P3 30S", "r": "220224816"}, {"b": "9400581035995", "n": "KORDELS OMEGA SMART BITES CHEWABLE CAPSULES 30S", "r": "220219974"}, {"b": "9400581035131", "n": "KORDELS OMEGA 3 1500MG PLUS VIT D 90S", "r": "220225666"}, {"b": "9400581020434", "n": "KORDELS HERBAL SLEEP CAPS 30S", "r": "220217044"}, {"b": "9400581020427", "n": "KORDELS EVENING PRIMROSE OIL 1000MG 30S", "r": "220233130"}, {"b": "9400581020465", "n": "KORDEL ZEST FOR MEN TABS 30S", "r": "220217116"}, {"b": "9400581033403", "n": "KORDEL CITRIMAX PLUS CAP 90S", "r": "220234072"}, {"b": "6281002430246", "n": "KOTEX ULTRA THIN NIGHT WINGS 7S", "r": "220220601"}, {"b": "5029053535739", "n": "KOTEX ULTRA THIN NOR WITH WINGS 10S", "r": "220226625"}, {"b": "5029053535746", "n": "KOTEX ULTRA THIN PADS SUPER WITH WINGS 8S", "r": "220223349"}, {"b": "6281002430055", "n": "KOTEX MAXI NIGHT WITH WINGS 8S", "r": "220216399"}, {"b": "6281002431335", "n": "KOTEX MAXIPADS SUPER WINGS 10S", "r": "220234848"}, {"b": "5029053534817", "n": "KOTEX TAMPON SUPER 16S", "r": "220153042"}, {"b": "6281002430253", "n": "KOTEX PANTYLINER LONG 30S", "r": "220224477"}, {"b": "3838989722463", "n": "EMANERA 20 MG 28 CAPSULES", "r": "129807168"}, {"b": "3838989722470", "n": "EMANERA 40 MG 28 CAPSULES", "r": "129807226"}, {"b": "8809695240195", "n": "KSECRET REGENERAT EYE GEL PATCHES 102GM", "r": "220214768"}, {"b": "8809695240188", "n": "KSECRET INSTNT RLF EYE GEL PATCHES102GM", "r": "220214990"}, {"b": "8809695240201", "n": "KSECRET ILUMINAT EYE GEL PATCHES 102GM", "r": "220214684"}, {"b": "8809990034789", "n": "KSECRET CALAMINE SUNBLOCK SPF50 50ML", "r": "220214501"}, {"b": "8809990034727", "n": "KSECRET CALAMINE SECRET BAR 100GM", "r": "220214314"}, {"b": "8809990034796", "n": "KSECRET CALAMINE DERMA SECRET CRM 50ML", "r": "220214301"}, {"b": "8809695240232", "n": "KSECRET CALAMINE DERMA SCRT SERUM 50ML", "r": "220214957"}, {"b": "8809695240263", "n": "KSECRET CALAMINE 30 DAYS TONER 160ML", "r": "220214253"}, {"b": "6271004302061", "n": "KWIK TOILET SEAT DISINFECTNT 70ML 1S", "r": "220181247"}, {"b": "5000207414001", "n": "KY JELLY 82GM", "r": "220235434"}, {"b": "23542104418", "n": "V KYO CHOLESTEROL 100CAPS", "r": "220177825"}, {"b": "23542359412", "n": "V KYO DOPHILUS PROBIOTICS CRANBERRY EXTRACT 60CAP", "r": "220174398"}, {"b": "699856226742", "n": "V KYO GARCINIA CAMBOGIA 60CAPS", "r": "220172853"}, {"b": "6285078000204", "n": "LA BELLE BF CREAM SPF25 30ML", "r": "220189258"}, {"b": "6285078000150", "n": "LA BELLE COLLAGEN DRINK CHERRY 15X25ML", "r": "220234117"}, {"b": "3337875533317", "n": "LRP EFFACLAR PURIFYING MASK ANTI SHINE 100ML", "r": "220234062"}, {"b": "3337875685832", "n": "LRP LIPIKAR UREA 5 LAIT 200ML", "r": "220217469"}, {"b": "3337875685818", "n": "LRP ISO UREA 5 LAIT 400ML", "r": "220222618"}, {"b": "3337872413025", "n": "LRP EFFACLAR MAT 40ML", "r": "220229520"}, {"b": "3337875537315", "n": "LRP LIPIKR SYNDET AP CREAM 400ML", "r": "220217709"}, {"b": "30160415", "n": "MINI PURE VIT C10 SERUM 10ML", "r": "129871894"}, {"b": "6294016124193", "n": "LRP ANTH CLEAN TOUCH BOGOF PROMO", "r": "220058114"}, {"b": "30165021", "n": "HYALU B5 MINI SERUM 10ML", "r": "129871893"}, {"b": "7899706141628", "n": "LRPEFFACLAR PURIFYING DERMATOLOGICAL BAR 80G", "r": "220224013"}, {"b": "3337875578486", "n": "LRP TOLERIANE SENSITIVE CREAM 40ML", "r": "220222201"}, {"b": "6294016124223", "n": "LRP MOTHR N KID SUNCARE PROMO BOGOF", "r": "220062614"}, {"b": "3337872420696", "n": "LRP MICELLAR WATER ULTRA SENS SKIN 100ML", "r": "220223075"}, {"b": "3337875566254", "n": "LRP LIPIKAR STICK AP 15ML", "r": "220222364"}, {"b": "3337875548519", "n": "LRP CICAPLAST LAVANT B5 GEL 200ML", "r": "220235533"}, {"b": "3337875591577", "n": "LRP ANTHELIOS PIGMENT SPF50TINT CRM 50ML", "r": "220230191"}, {"b": "6294016124230", "n": "LRP ANTH ULTR LGHT FLUID SUNCARE PROMO BOGOF", "r": "220050423"}, {"b": "6294016124209", "n": "LRP ANTH CLEAN TOUCH TT SUNCARE PROMO BOGOF", "r": "220052492"}, {"b": "3337875694469", "n": "LRP RETINOL B3 SERUM 30ML", "r": "220224649"}, {"b": "3337875696579", "n": "LRP LIPIKAR BAUME APM 200ML", "r": "220235146"}, {"b": "3337875583626", "n": "LRP HYALU B5 HYALURONIC ACID SERUM 30ML", "r": "220227324"}, {"b": "3337875731409", "n": "LRP HYDRAPHASE HA RICHE 50 ML", "r": "220233526"}, {"b": "3337875731638", "n": "LRP HYDRAPHASE HA LIGHT 50 ML", "r": "220234182"}, {"b": "3337875722827", "n": "LRP EFFACLAR ULTRA CONCNTRTE SERUM 30ML", "r": "220232139"}, {"b": "3337875708289", "n": "LRP EFFACLAR MICRO PEELING GEL 400ML", "r": "220219155"}, {"b": "3337875708265", "n": "LRP EFFACLAR MICRO PEELING GEL  200ML", "r": "220218982"}, {"b": "3337875777797", "n": "LRP EFFACLAR H ISO BIOME ANTI MARKS CRM 40ML", "r": "220230239"}, {"b": "3337875797757", "n": "LRP ANTH DRY TOUCH SP50+ T50ML", "r": "220220572"}, {"b": "3433422404397", "n": "LRP THERMAL SPRINGWATER 150ML", "r": "220224168"}, {"b": "3433422406728", "n": "LRP SEROZINC FACE MIST 150ML", "r": "220234427"}, {"b": "3337875660549", "n": "LRP REDERMIC RETINOL CONCNTRTE INTNSE 30ML", "r": "220220061"}, {"b": "3337872414039", "n": "LRP REDERMIC R EYE CREAM 15ML", "r": "220223817"}, {"b": "3337872413728", "n": "LRP REDERMIC C UV SPF25 40ML", "r": "220219518"}, {"b": "3337872413735", "n": "LRP REDERMIC C EYES 15ML", "r": "220218377"}, {"b": "3337872414107", "n": "LRP PIGMENTCLAR INTENSE SERUM 30ML", "r": "220235128"}, {"b": "3337872414114", "n": "LRP PIGMENTCLAR FOAM CRM CLEANS 125ML", "r": "220236394"}, {"b": "3337872414152", "n": "LRP PIGMENTCLAR EYES 15ML", "r": "220221353"}, {"b": "3337875537308", "n": "LRP LIPIKAR SYNDET AP CRM 200ML", "r": "220223259"}, {"b": "3337872418815", "n": "LRP LIPIKAR GEL LAVANT 750ML", "r": "220233104"}, {"b": "3337875696548", "n": "LRP LIPIKAR BAUME APM 400ML", "r": "220228343"}, {"b": "3337872412516", "n": "LRP EFFACLAR MICELLAR WATER OILY SKN 400ML", "r": "220223612"}, {"b": "3337872411083", "n": "LRP EFFACLAR GEL PURIFYING 200ML", "r": "220223835"}, {"b": "3337872411991", "n": "LRP EFFACLAR GEL 400ML", "r": "220235827"}, {"b": "3337875518451", "n": "LRP EFFACLAR DUO UNIFIANT LIGHT 40ML", "r": "220229162"}, {"b": "3337875549493", "n": "LRP EFFACLAR DUO SPF30 40ML", "r": "220220465"}, {"b": "3337875598071", "n": "LRP EFFACLAR DUO 40ML", "r": "220230899"}, {"b": "3337872413148", "n": "LRP CLEANS MICLLR FOAMING WATER 150ML", "r": "220229807"}, {"b": "3337872414145", "n": "LRP CICAPLAST MAINS BARRIER REPAIR CRM 50ML", "r": "220224126"}, {"b": "30106659", "n": "LRP CICAPLAST LEVRES LIP BALM 75ML", "r": "220233106"}, {"b": "3337872412998", "n": "LRP CICAPLAST BAUME B5 40ML", "r": "220226571"}, {"b": "3337872413018", "n": "LRP CICAPLAST BAUME B5 100ML", "r": "220231900"}, {"b": "3337875545891", "n": "LRP ANTHELIOS XL TINT DRY GEL CRM SPF50 50ML", "r": "220233918"}, {"b": "30162662", "n": "LRP ANTHELIOS SHAKA FLUID FRAGRANCEFREE SPF50 50ML", "r": "220216335"}, {"b": "3337872419904", "n": "LRP ANTHELIOS DERMO PEDIA SPF50 LTN 50ML", "r": "220221664"}, {"b": "3337875549530", "n": "LRP ANTHELIOS ANTI SHINE MIST SPF50 75ML", "r": "220224502"}, {"b": "3337875660570", "n": "LRP PURE VITAMIN C10 30ML", "r": "220221934"}, {"b": "3337875757669", "n": "LRP TOLERIANE DERMALLERGO FLUID 40ML", "r": "220218706"}, {"b": "3337875757515", "n": "LRP TOLERIANE DERMALLERGO EYE 20ML", "r": "220221711"}, {"b": "3337875777759", "n": "LRP EFFACLAR H CLEANSER 200ML", "r": "129886893"}, {"b": "3337875586269", "n": "LRP CICAPLAST GEL B5 40ML", "r": "220218657"}, {"b": "6294016156064", "n": "LRP ANTHELIOS ULTRALIGHT BOGOF", "r": "220204574"}, {"b": "3337875706834", "n": "LRP ANTHELIOS SHAKA TINT FLD SPF50 50ML", "r": "220233231"}, {"b": "6294016184111", "n": "LRP ANTHELIOS MIST BOGOF PROMO", "r": "220193945"}, {"b": "3337875696838", "n": "LRP ANTHELIOS INVISIBLE SPRAY SPF50 200ML", "r": "220236596"}, {"b": "3337875698696", "n": "LRP ANTHELIOS DERMO PEDIA INVI SPRAY SPF50 200ML", "r": "220220869"}, {"b": "3337875398961", "n": "LRP EFFACLAR H HYDRTING CLNSING CRM 200ML", "r": "220220623"}, {"b": "3337875517300", "n": "LRP CICAPLAST BAUME B5 SPF50 40ML", "r": "220234690"}, {"b": "3337872414091", "n": "LRP TOLERIANE ULTRA FLUID 40ML", "r": "220224331"}, {"b": "3337872419522", "n": "LRP TOLERIANE ULTRA EYES 20ML", "r": "220224144"}, {"b": "3433422406599", "n": "LRP TOLERIANE DERMO CLEANSER 200ML", "r": "220218704"}, {"b": "3337872412905", "n": "LRP SENSI WHITE SOOTH BRIGHT LOTION 200ML", "r": "220224613"}, {"b": "3337872413704", "n": "LRP REDERMIC C NORCOM RENO SKIN 40ML", "r": "220169278"}, {"b": "337875660570", "n": "LRP REDERMIC ACT VIT C10 30ML", "r": "220193667"}, {"b": "3433422407909", "n": "LRP POSTHELIOS HYDRATING GEL 200ML", "r": "220235462"}, {"b": "3337872414176", "n": "LRP PIGMENTCLAR UV SPF30 40ML", "r": "220223384"}, {"b": "3337872411595", "n": "LRP PHYSIOLOGICAL MICELLAR SOLUTION 400ML", "r": "220228372"}, {"b": "3337872410338", "n": "LRP PHYSIOLOGICAL MICELLAR SOLUTION 200ML", "r": "220224215"}, {"b": "6294014666831", "n": "LRP ORGANZA POUCH GWP", "r": "220197556"}, {"b": "30070349", "n": "LRP NUTRITIC LEVRES STICK LIP CARE 47ML", "r": "220225320"}, {"b": "3433422407374", "n": "LRP LIPIKAR SYNDET CLEANSING GEL 200ML", "r": "220234658"}, {"b": "3337872420597", "n": "LRP LIPIKAR SOOTH PROT HYDRATE FLUID 400ML", "r": "220226748"}, {"b": "3433422402461", "n": "LRP LIPIKAR LIPID REPLENISH BODY MILK 400ML", "r": "220220569"}, {"b": "3337875656771", "n": "LRP LIPIKAR HUILE LAVANT AP 200ML", "r": "220223410"}, {"b": "3337875656764", "n": "LRP LIPIKAR HUIL LAVANT AP 400ML", "r": "220226236"}, {"b": "3337872418785", "n": "LRP LIPIKAR GEL LAVANT 400ML", "r": "220232413"}, {"b": "3337872420603", "n": "LRP LIPIKAR FLUIDE 200ML", "r": "220216144"}, {"b": "3337872418587", "n": "LRP LIPIKAR BAUME AP 200ML", "r": "220236437"}, {"b": "3433422404533", "n": "LRP LIPIKAR ANTIDRYNESS CLEANSING BAR 150GMS", "r": "220225526"}, {"b": "3337872411816", "n": "LRP KERIUM HAIRLOSS SHAMPOO 200ML", "r": "220227463"}, {"b": "3337872414282", "n": "LRP KERIUM EXTRA GENTLE GEL SHAMP 400ML", "r": "220230265"}, {"b": "3337872414305", "n": "LRP KERIUM EXTRA GENTLE GEL SHAMP 200ML", "r": "220223456"}, {"b": "6294014605298", "n": "LRP KERIUM EXT GENT GEL SHAMP 200ML", "r": "220228465"}, {"b": "3433422407268", "n": "LRP KERIUM ANTIDANDRUFF SHAMPOO 125ML", "r": "220226154"}, {"b": "3433422407299", "n": "LRP KERIUM ANTIDANDRUFF GEL SHAMPOO 200ML", "r": "220233248"}, {"b": "3433422407282", "n": "LRP KERIUM ANTIDANDRUFF CRM SHAMPOO 200ML", "r": "220228563"}, {"b": "3337872411052", "n": "LRP KERIUM ANTI HAIRLOSS TREATMENT 125ML", "r": "220223022"}, {"b": "3337872412264", "n": "LRP HYDRAPHASE INTENSE RICHE 50ML", "r": "220221111"}, {"b": "3337872412257", "n": "LRP HYDRAPHASE INTENSE LEGERE 50ML", "r": "220219023"}, {"b": "3337872412646", "n": "LRP HYDRAPHASE INTENSE EYES 15ML", "r": "220228252"}, {"b": "3433422408357", "n": "LRP EFFACLAR MICELLAR WATER 200 ML", "r": "220232573"}, {"b": "3433422402874", "n": "LRP EFFACLAR K RENEWAL FLUID 30ML", "r": "220224005"}, {"b": "3337875613491", "n": "LRP EFFACLAR K OILY SKIN  40 ML", "r": "220225959"}, {"b": "3337875518598", "n": "LRP EFFACLAR DUO UNIFIANT MEDIUM 40ML", "r": "220229962"}, {"b": "3337875609593", "n": "LRP EFFACLAR AI CORRECTOR 15ML", "r": "220223077"}, {"b": "3433422408067", "n": "LRP CICAPLAST PRORECOVERY GEL 40ML", "r": "220225731"}, {"b": "3337872418532", "n": "LRP CICAPLAST LAVANT B5 FOAM GEL 125ML", "r": "220231046"}, {"b": "6294014605274", "n": "LRP CICAPLAST BAUME T 40ML", "r": "220219506"}, {"b": "6294014605229", "n": "LRP BABY LIPIKAR LAIT FL 400ML", "r": "220223288"}, {"b": "6294014605281", "n": "LRP BABY EAU THERMALE 150ML", "r": "220296140"}, {"b": "3337872410673", "n": "LRP ANTHELIOS XL SPF50 SANS PARFUM CRM 50ML", "r": "220233612"}, {"b": "3337875516006", "n": "LRP ANTHELIOS XL SPF50 DRY TINT GEL CRM 50ML", "r": "220222045"}, {"b": "3337872413438", "n": "LRP ANTHELIOS XL COMFT SPF50 LTN 50ML", "r": "220224552"}, {"b": "3337872419959", "n": "LRP ANTHELIOS UNIFYNG SMTH OPT BLUR SPF50 40ML", "r": "220220987"}, {"b": "3337872413117", "n": "LRP ANTHELIOS UNIFIANT UNIVRSL SPF50 40ML", "r": "220217991"}, {"b": "3337875589185", "n": "LRP ANTHELIOS ULTRA TINT BB SPF50 50ML", "r": "220218755"}, {"b": "3337875588560", "n": "LRP ANTHELIOS ULTRA SENS EYES SPF50 CRM 50ML", "r": "220223378"}, {"b": "3337875589239", "n": "LRP ANTHELIOS ULTRA CRM SPF50 50ML", "r": "220221240"}, {"b": "3337872420085", "n": "LRP ANTHELIOS SPF50 SPRAY 200ML", "r": "220227967"}, {"b": "3337872413391", "n": "LRP ANTHELIOS KA SP50 50ML", "r": "220227866"}, {"b": "3337872412769", "n": "LRP ANTHELIOS DERMOKID LAIT SPF50 100ML", "r": "220224162"}, {"b": "6294016184098", "n": "LRP ANTHELIOS COMFORT BOGOF PROMO", "r": "220196002"}, {"b": "30162457", "n": "LRP ANTHELI0S 50 TINTED VRY HIGH PROT FLUID 50ML", "r": "220230110"}, {"b": "3433422400030", "n": "LRP ACTIVE C DRY SKIN 30ML", "r": "220159567"}, {"b": "3433422402683", "n": "LRP ACTIVE C  EYES 15ML", "r": "220164596"}, {"b": "4005808366606", "n": "LABELO ORIGINAL LIP BALM 48G", "r": "220232530"}, {"b": "4005808912940", "n": "LABELLO LIP CARE WATERMELON SHINE 48G", "r": "220233801"}, {"b": "4005808368372", "n": "LABELLO LIP CARE CHERRY SHINE STICK 48G", "r": "220234146"}, {"b": "4005808367016", "n": "LABELO SOFT ROSE LIP BALM 48G", "r": "220226794"}, {"b": "4005808619535", "n": "LABELLO VIT SHAKE CRANRASPBERY 48G", "r": "220169259"}, {"b": "4005808850204", "n": "LABELLO VELVET ROSE LIP CARE 48G", "r": "220218686"}, {"b": "4005808850280", "n": "LABELLO PEARL  SHINE LIP BALM 48GM", "r": "220228024"}, {"b": "4005808504008", "n": "LABELLO LIPCARE SUN 55ML", "r": "220171099"}, {"b": "4005808368488", "n": "LABELLO LIP STICK STRAWBERRY SHINE 48G", "r": "220216602"}, {"b": "4005808368853", "n": "LABELLO LIP CARE MOISTURIZING BALM MEN ACTIVE 48G", "r": "220216749"}, {"b": "8051417276627", "n": "LABO RINSEOFF DELICATE CLEANSING CREAM", "r": "220170814"}, {"b": "8051417276573", "n": "LABO OILFREE BALANCING CREAM", "r": "220170253"}, {"b": "8051417276658", "n": "LABO MICELLAR EYE MAKEUP REMOVER", "r": "220164342"}, {"b": "8051417276542", "n": "LABO INTENSIVE MOISTURIZING CREAM", "r": "220169729"}, {"b": "8051417276689", "n": "LABO FLUID BASE SPF 50 UVA UVB", "r": "220167637"}, {"b": "8051417276528", "n": "LABO EQUALIZING ANTISPOT CREAM", "r": "220166640"}, {"b": "8051417276634", "n": "LABO CLEANSING MILK", "r": "220161742"}, {"b": "8051417276610", "n": "LABO ANTIDARK CIRCLES EYE CREAM", "r": "220171111"}, {"b": "8051417276429", "n": "LABO ANTIAGE TIGHTENING LIFTING SERUM", "r": "220167476"}, {"b": "8051417276405", "n": "LABO ANTIAGE RENOVATING SMOOTHING SERUM", "r": "220164632"}, {"b": "8051417276399", "n": "LABO ANTIAGE RENOVATING SMOOTHING CREAM", "r": "220166818"}, {"b": "8051417276443", "n": "LABO ANTI WRINK SERUM DEEP WRINKLE FURROWS", "r": "220157985"}, {"b": "4016369546796", "n": "LACALUT WHITE TOOTHBRUSH", "r": "220220709"}, {"b": "4016369546666", "n": "LACALUT WHITE MOUTHWASH 300ML", "r": "220228396"}, {"b": "4016369506233", "n": "LACALUT SENSITIVE TB", "r": "220224039"}, {"b": "4016369546512", "n": "LACALUT SENSITIVE DENTAL RINSE 300ML", "r": "220228411"}, {"b": "4016369546444", "n": "LACALUT KIDS 48 TOOTHPASTE", "r": "220234414"}, {"b": "4016369506271", "n": "LACALUT AKTIV TOOTHBRUSH", "r": "220229589"}, {"b": "4016369546505", "n": "LACALUT AKTIV MOUTHWASH 300ML", "r": "220227460"}, {"b": "3582910055228", "n": "LACTACYD FEMME WASH 200ML", "r": "220217687"}, {"b": "3582910055204", "n": "LACTACYD FEMME WASH 120ML", "r": "220220164"}, {"b": "3587740802035", "n": "V LACTION SEMI PERM TOUCHUP MED BRWN 63ML", "r": "220175319"}, {"b": "3587741471315", "n": "V LACTION RADIANT GLOW MASK PEARL 6G", "r": "220178843"}, {"b": "3587740551117", "n": "V LACTION INT RENOVATOR HAIRMASK 1535ML", "r": "220172930"}, {"b": "3587749911998", "n": "V LACTION HAIR COVER STICK MAHOGANY 4G", "r": "220178285"}, {"b": "3587749911066", "n": "V LACTION HAIR COVER STICK AUBURN 4G", "r": "220173617"}, {"b": "3587740251048", "n": "LACTION VITAL HYDRATION FACE MASK 15GMS", "r": "220216782"}, {"b": "3587740671044", "n": "LACTION TEA TREE NOSE PORE STRIP 5S", "r": "220229480"}, {"b": "3587740802011", "n": "LACTION SEMI PERM TOUCHUP MED BLK 63ML", "r": "220173210"}, {"b": "3587740251062", "n": "LACTION LIFTING FACE MASK 15GMS", "r": "220225368"}, {"b": "3587749911967", "n": "LACTION HAIR COVER STICK MED BRWN 4G", "r": "220176433"}, {"b": "3587749911974", "n": "LACTION HAIR COVER STICK DRK BRWN 4G", "r": "220172950"}, {"b": "3587749911950", "n": "LACTION HAIR COVER STICK BLK 4G", "r": "220175056"}, {"b": "3587749911073", "n": "LACTION EYE LASH TREATMENT 10ML", "r": "220231753"}, {"b": "22200963435", "n": "LSS WILD FREESIA 65G", "r": "220219588"}, {"b": "22200964081", "n": "LSS TEEN SPIRIT PINK CRUSH 65G", "r": "220232563"}, {"b": "22200750318", "n": "LSS CHERRY BLOSSOM DEO 65G", "r": "220216720"}, {"b": "965015200115", "n": "LAMICTAL 100MG TABS 30S", "r": "220160220"}, {"b": "965013700419", "n": "LAMISIL 250MG TAB 14S", "r": "220170410"}, {"b": "965013700370", "n": "LAMISIL SPRAY 30ML", "r": "220156977"}, {"b": "965013700336", "n": "LAMISIL CREAM 15GM", "r": "220171727"}, {"b": "965013700337", "n": "LAMISIL DERMGEL 15GM", "r": "220167921"}, {"b": "9650137005600", "n": "LAMISIL ONCE CREAM 4GM", "r": "220152998"}, {"b": "6091403203918", "n": "LANOXIN 025MG TAB 100S", "r": "220155347"}, {"b": "3582910026235", "n": "LANZOR 30MG CAPS 14S", "r": "220221251"}, {"b": "3582910026242", "n": "LANZOR 15MG CAPS 30S", "r": "220234995"}, {"b": "8857101159128", "n": "LASER WHITE BLACK MASK 100ML", "r": "220061959"}, {"b": "811992017842", "n": "LASHFOOD DRAMA MASCARA BLK 8ML", "r": "220062860"}, {"b": "811992017880", "n": "LASHFOOD COLLAGEN LASH PRIMER WHT 8ML", "r": "220057732"}, {"b": "3582910029267", "n": "LASIX 40MG TABLETS 20S", "r": "220161815"}, {"b": "5016007203806", "n": "LASTACAFT EYE DP 025 3ML", "r": "220158429"}, {"b": "8011502000728", "n": "LAURA BAUMER INTIMATE WIPES 20S", "r": "220153532"}, {"b": "1094922079359", "n": "LAVON PERFECT DAY CREAM 50ML", "r": "220084466"}, {"b": "1094922022010", "n": "LAVON CLEAN RIGHT WASH 150ML", "r": "220070658"}, {"b": "1094922201200", "n": "LAVON AGE AWAY CREAM 50ML", "r": "220075050"}, {"b": "6295568524899", "n": "LAZER HAND SANITIZER 500ML", "r": "220192841"}, {"b": "9650364002892", "n": "LASER PDC HAND SANITIZER 60ML", "r": "220190944"}, {"b": "3511018811979", "n": "LCA ARNICA GEL 30ML", "r": "220063543"}, {"b": "6291100782741", "n": "LE FEMME VAGINAL WASH", "r": "220158413"}, {"b": "3760134346616", "n": "LE PETIT PRINCE TEAR FREE MILD SHMP 250ML", "r": "220201193"}, {"b": "3760134346661", "n": "LE PETIT PRINCE RELAXING STHNG OIL 150ML", "r": "220201293"}, {"b": "3760134346647", "n": "LE PETIT PRINCE NAPPY CHANGE PROTECTIVE CRM 100ML", "r": "220201327"}, {"b": "3760134346678", "n": "LE PETIT PRINCE MOSQUITO REPELLENT 80ML", "r": "220202195"}, {"b": "3760134346654", "n": "LE PETIT PRINCE MOISTURIZING BODY CRM 100ML", "r": "220201165"}, {"b": "3760134346623", "n": "LE PETIT PRINCE GENTLE BABY BATH 250ML", "r": "220201912"}, {"b": "895024002334", "n": "LS BLEACH PURPL TONING SHAMP 250ML", "r": "220232967"}, {"b": "895024002341", "n": "LS BLEACH BLONDES CONDITIONER 250ML", "r": "220232011"}, {"b": "886011000174", "n": "LS ARGAN OIL NOURISHING SHAMPOO 250ML", "r": "220227496"}, {"b": "886011000167", "n": "LS ARGAN OIL NOURISHING MIRACLE OIL 50ML", "r": "220222256"}, {"b": "5060282703339", "n": "LEE COCO AGAVE SHINE SHAMPOO 250ML", "r": "220214649"}, {"b": "5060282703407", "n": "LEE COCO AGAVE SHINE CONDITIONER 250ML", "r": "220214332"}, {"b": "5060282701694", "n": "LEE BLEACH PURPL TONING COND 250ML", "r": "220215833"}, {"b": "886011000600", "n": "LEE BLEACH  COLR LOVE TONE SHAMP 250ML", "r": "220215711"}, {"b": "886011000181", "n": "LEE ARGAN OIL NOURISHING COND 250ML", "r": "220214571"}, {"b": "886011000228", "n": "LEE ARGAN OIL MIRACLE HEAT SPRAY 200ML", "r": "220214430"}, {"b": "4019338607412", "n": "LEGALON FORTE 140MG 100 CAPS", "r": "220169612"}, {"b": "965014400074", "n": "LEGALON 70MG TAB 40S", "r": "220156966"}, {"b": "6281086122907", "n": "LEJAM 60 MG TAB 4S", "r": "220192930"}, {"b": "9650137006379", "n": "LEJAM 30 MG TAB 4S", "r": "220193234"}, {"b": "737513112004", "n": "LEOLYTE ORAL FRUIT 237ML 4S", "r": "220232616"}, {"b": "737513113056", "n": "LEOLYTE ORAL GRAPE 4 BOTTLES", "r": "220158833"}, {"b": "641528000556", "n": "LEONAS MULTIVITAMIN GUMMIES 60S", "r": "220232973"}, {"b": "641528005339", "n": "VLEONAS IMMUNITY GUMMIES 60S", "r": "220194308"}, {"b": "641528005445", "n": "V LEONAS OMEGA  DHA GUMMIES 60S", "r": "220196207"}, {"b": "9650137005648", "n": "LERCADIP 20MG TABS 30S", "r": "220170468"}, {"b": "965013700385", "n": "LERCADIP 10MG TABS 30S", "r": "220155570"}, {"b": "665808410187", "n": "LES ZAMIS TEETHING DROPS 25ML", "r": "220210000"}, {"b": "665808410170", "n": "LES ZAMIS REFLUX DROPS 25ML", "r": "220210216"}, {"b": "665808410132", "n": "LES ZAMIS INFANT COLIC DROPS 25ML", "r": "220209646"}, {"b": "665808410149", "n": "LES ZAMIS CONSTIPATION DROPS 25ML", "r": "220209931"}, {"b": "6291254468454", "n": "VLETS COOL INFANT SHEET 4S", "r": "220203356"}, {"b": "6291254468225", "n": "VLETS COOL 1 YEAR SHEET 4S", "r": "220203706"}, {"b": "9650364000973", "n": "LETS MAGIC GEL SOCKS", "r": "220074962"}, {"b": "9650135000515", "n": "LEVITRA 20MG TABLET 4S", "r": "220168807"}, {"b": "9650135000775", "n": "LEVITRA TABLETS 20MG 12S", "r": "220181731"}, {"b": "9650135000669", "n": "LEVITRA 10 MG ODT", "r": "220161741"}, {"b": "8002660030740", "n": "LEVOCRAT 500MG 7TABS", "r": "220167402"}, {"b": "8002660030757", "n": "LEVOCRAT 500MG 5TABS", "r": "220156532"}, {"b": "965016000126", "n": "LIADIN 0025 NAS SOLN 10ML", "r": "220171637"}, {"b": "6555173400880", "n": "LICE OFF ANTI LICE SHAMPOO 200ML", "r": "220074143"}, {"b": "609224371110", "n": "LICEX ROSE 200ML", "r": "220154414"}, {"b": "5900793042490", "n": "V LIDER SHAVING CREAM", "r": "220186110"}, {"b": "5900793035706", "n": "V LIDER EAU DE COLOGNE", "r": "220185336"}, {"b": "5900793035720", "n": "V LIDER AFTER SHAVE LOTION", "r": "220182936"}, {"b": "3508240202323", "n": "LIERACE HYDRAGENIST MOISTURIZING GEL 50ML", "r": "220220923"}, {"b": "3508240206475", "n": "LIERAC TONIQUE VITAMIN RICHED TONER 200ML", "r": "220235374"}, {"b": "3508240215569", "n": "LIERAC PREMIUM SERUM ABSOLUTE ANTI AGEING 30ML", "r": "220161627"}, {"b": "3508240215675", "n": "LIERAC PREMIUM LIGHT TEXTURE SILKY CRM 50ML", "r": "220170993"}, {"b": "3508240209117", "n": "LIERAC PHYTOLASTIL STRECH MARK GEL 100ML354OZ", "r": "220232497"}, {"b": "3508240000387", "n": "LIERAC MESOLIFT SERUM RADIANCE BOOSTER 30ML", "r": "220172399"}, {"b": "3508240206581", "n": "LIERAC MAGNIFICENCE REVITALISING SERUM 30ML", "r": "220227713"}, {"b": "3508240206680", "n": "LIERAC MAGNIFICENCE EYES 4GMS", "r": "220229172"}, {"b": "3508240206802", "n": "LIERAC LIFTISSIME SERUM 30ML", "r": "220216475"}, {"b": "3508240206864", "n": "LIERAC LIFTISSIME REPLUMPING LIP BALM 15ML", "r": "220227879"}, {"b": "3508240206840", "n": "LIERAC LIFTISSIME REDENSIFYING GEL CREAM 50ML", "r": "220162120"}, {"b": "3508240202347", "n": "LIERAC HYDRAGENIST MOISTURISING SERUM 30ML", "r": "220169653"}, {"b": "3508240202316", "n": "LIERAC HYDRAGENIST MOISTURISING CREAM 50ML", "r": "220162442"}, {"b": "3508240206178", "n": "LIERAC DEMQUILLANT DOUCEUR MICELLAR CLNSING WATER 200ML", "r": "220161962"}, {"b": "3508240206277", "n": "LIERAC DEMAQUILLANT FOAMING GEL 200ML", "r": "220217987"}, {"b": "8901030643286", "n": "LIFEBUOY TOTAL10 SANITIZER 50ML", "r": "220161650"}, {"b": "8901030643248", "n": "LIFEBUOY TOTAL10 SANITIZER 190ML", "r": "220162015"}, {"b": "6281006484047", "n": "LIFEBUOY TOTAL10 HAND WASH 120ML", "r": "220235082"}, {"b": "8886467038709", "n": "LIFEBUOY TOTAL 10 SANITISER 495 ML", "r": "220195637"}, {"b": "6281006488199", "n": "LIFEBUOY SEA MINERAL GERM PROT HAND WASH 200ML", "r": "220194514"}, {"b": "6281006488151", "n": "LIFEBUOY MATCHA HAND WASH 200ML", "r": "220219710"}, {"b": "6291107465937", "n": "LIFEBUOY LEMON FRESH SANITIZER 50ML", "r": "220184133"}, {"b": "8886467015069", "n": "LIFEBUOY HAND SANITIZER SPRAY 100ML", "r": "220196567"}, {"b": "6281006488175", "n": "LIFEBUOY CHARCOAL GERM PROT HAND WASH 200ML", "r": "220194360"}, {"b": "8901030643279", "n": "LIFEBUOY CARE SANITIZER 50ML", "r": "220167244"}, {"b": "8886467038327", "n": "LIFEBUOY ANTIBACTERIAL WIPES 5X10S", "r": "220197206"}, {"b": "8886467038761", "n": "LIFEBUOY ANTIBACTERIAL WIPES 40S", "r": "220197257"}, {"b": "6281006480216", "n": "LIFEBUOY ANTIBACTERIAL WIPES 15S", "r": "220234476"}, {"b": "8886467038501", "n": "LIFEBUOY HAND SANITISER CARE 95 ML", "r": "220192922"}, {"b": "9650160003079", "n": "V LIFESCAN VERIO REFLECT KITVERIO STP 50SDELICA LAN 100S", "r": "220199118"}, {"b": "7613427014500", "n": "ONE TOUCH SELECT PLUS STRIPS 50S", "r": "220216555"}, {"b": "7613427014647", "n": "ONE TOUCH SELECT PLUS FLEX METER", "r": "129812166"}, {"b": "7613427014296", "n": "ONE TOUCH VERIO STRIPS 50S", "r": "220229766"}, {"b": "4030841004635", "n": "LIFESCAN ONE TOUCH DELICA LANCET", "r": "220155757"}, {"b": "4030841004413", "n": "ONE TOUCH VERIO STRIPS 2 PKTSOT VERIO METER", "r": "220232509"}, {"b": "353885798006", "n": "ONE TOUCH ULTRA SOFT LANCETS", "r": "220221986"}, {"b": "7613427008837", "n": "LIFESCAN ONE TOUCH VERIO GLUCOSE MON SYS", "r": "220187361"}, {"b": "4030841008602", "n": "LIFESCAN ONE TOUCH VERIO FLEX KIT", "r": "220163031"}, {"b": "4030841003935", "n": "LIFESCAN ONE TOUCH ULTRA TEST STRP 50S", "r": "220218753"}, {"b": "353885001120", "n": "LIFESCAN ONE TOUCH ULTRA 2", "r": "220160425"}, {"b": "4030841001498", "n": "LIFESCAN ONE TOUCH SELECT 50S", "r": "220225751"}, {"b": "5025971207505", "n": "LILLETS ORGANIC LINERS NORMAL 20S", "r": "129812170"}, {"b": "5025971206881", "n": "LILLETS ORGANIC NON APPLICATOR TAMPON SUPER PLUS 16S", "r": "220192758"}, {"b": "5025971206904", "n": "LILLETS ORGANIC NON APPLICATOR TAMPON SUPER 16S", "r": "220190562"}, {"b": "5025971206928", "n": "LILLETS ORGANIC NON APPLICATOR TAMPON REG 16S", "r": "220191732"}, {"b": "5025971207260", "n": "LILLETS ORGANIC PADS NIGHT 9S", "r": "220192809"}, {"b": "5025971207284", "n": "LILLETS ORGANIC PADS NORMAL 10S", "r": "220192326"}, {"b": "5025971207239", "n": "LILLETS MATERNITY BREAST PADS 30S", "r": "220204360"}, {"b": "5025971206669", "n": "LILLETS MATERNITY PADS MAXI 10S", "r": "220180846"}, {"b": "5000304115504", "n": "LILLETS NON APP TAMPON REGULAR", "r": "220060490"}, {"b": "5000304116006", "n": "LILLETS NON APP TAMPON SUPER", "r": "220073063"}, {"b": "5000304116501", "n": "LILLETS SUPER PLUS NON APP TAMPON SUPER 16S", "r": "220223103"}, {"b": "5025971102978", "n": "LILLETS FRESHLOCK ULTRA NORMAL TOWEL 14S", "r": "220161319"}, {"b": "5025971103029", "n": "LILLETS TEENS ULTRA DAY TOWEL 14S", "r": "220163349"}, {"b": "5025971103036", "n": "LILLETS TEENS ULTRA NIGHT TOWEL 10S", "r": "220162313"}, {"b": "5025971103159", "n": "LILLETS FRESHLOCK ULTRA LONG TOWEL 12S", "r": "220002392"}, {"b": "5025971102404", "n": "LILLETS TEEN NGT TOWEL 10S", "r": "220066800"}, {"b": "5025971102398", "n": "LILLETS TEEN DAY TOWEL 14S", "r": "220051919"}, {"b": "5025971103234", "n": "LILLETS MAXI LONG 12S", "r": "220171821"}, {"b": "5025971102848", "n": "LILLETS LINERS POUCH PCK 20S", "r": "220054681"}, {"b": "4005800235054", "n": "LION PLASTER CAPSICUM PATCHES", "r": "220230111"}, {"b": "8002660025562", "n": "LIPANTHYL PENTA 145MG 30TABS", "r": "220155981"}, {"b": "965014300012", "n": "LIPITOR 40MG TABLETS 30S", "r": "220169613"}, {"b": "965014300011", "n": "LIPITOR 20MG TABLETS 30S", "r": "220171043"}, {"b": "965014300010", "n": "LIPITOR 10MG TABLETS 30S", "r": "220162672"}, {"b": "7350087730172", "n": "LIPOBASE CREAM 100GM", "r": "220166815"}, {"b": "3400935931016", "n": "LIPOSIC 15 GEL TUBE 10GM", "r": "220170967"}, {"b": "858067001009", "n": "LIP SMART LIP MOISTURIZER 033OZ", "r": "220221449"}, {"b": "610644193619", "n": "DOROFEN CAPSULES 40S", "r": "220179051"}, {"b": "3574661397641", "n": "LISTERINE MW TEETH  GUM DFNS 250ML", "r": "220229713"}, {"b": "3574660666144", "n": "LISTERINE MOUTHWASH ZERO 250ML", "r": "220233455"}, {"b": "3574661057071", "n": "LISTERINE MOUTHWASH TOTAL CARE ZERO 250ML", "r": "220223302"}, {"b": "3574661303925", "n": "LISTERINE MISWAK 250 ML", "r": "220218746"}, {"b": "312547811217", "n": "LISTERINE FRESH BURST MW 500ML", "r": "220234314"}, {"b": "3574661177120", "n": "LISTERINE COOLMINT 250ML", "r": "220219449"}, {"b": "5010123707293", "n": "LISTERINE COOL MINT MOUTH WASH 500ML", "r": "220230614"}, {"b": "3574661249384", "n": "LISTERINE TOTALCARE ZERO MW 95 ML", "r": "220228858"}, {"b": "3574661236100", "n": "LISTERINE TOTAL CARE 250ML", "r": "220218944"}, {"b": "3574661253367", "n": "LISTERINE MW TEETH  GUM DFNS 500ML", "r": "220234284"}, {"b": "3574661397634", "n": "LISTERINE MW TEETH  GUM DFNS 500ML", "r": "220234624"}, {"b": "3574660666175", "n": "LISTERINE MOUTHWASH ZERO 500ML", "r": "220218341"}, {"b": "3574661253428", "n": "LISTERINE GREEN TEA 95 ML", "r": "220227316"}, {"b": "3574661253350", "n": "LISTERINE GREEN TEA 250 ML", "r": "220228159"}, {"b": "3574661177144", "n": "LISTERINE FRESH BURST MOUTHWASH", "r": "220217450"}, {"b": "5010123707330", "n": "LISTERINE ANTISEPTIC ORGINAL MOUTH WASH 500ML", "r": "220226935"}, {"b": "756184123003", "n": "LITTLE FEVERS COLDS BABY RUB 50GM", "r": "220165413"}, {"b": "861116000199", "n": "LIVAR LUMINOUS FACIAL CREAM 30ML", "r": "220061973"}, {"b": "861116000182", "n": "LIVAR LUMINOUS BODY MOISTURIZER 355ML", "r": "220068653"}, {"b": "861116000106", "n": "LIVAR ARGAN OIL MOROCO TRT ALL HAIR 98ML", "r": "220079698"}, {"b": "865269000204", "n": "LIVAR ARGAN OIL BABY WASH 355ML", "r": "220055775"}, {"b": "861116000113", "n": "LIVAR ARG OIL MOISTURIZING SHAMP 237ML", "r": "220068515"}, {"b": "861116000120", "n": "LIVAR ARG OIL MOISTURIZING BODY WASH 237ML", "r": "220073176"}, {"b": "861116000168", "n": "LIVAR ARG OIL MOIST CONDI 237ML", "r": "220054219"}, {"b": "861116000144", "n": "LIVAR ARG OIL HAND PROTECTOR 118ML", "r": "220065109"}, {"b": "861116000151", "n": "LIVAR ARG OIL DEEP CONDIT MASK 355ML", "r": "220077580"}, {"b": "861116000137", "n": "LIVAR ARG OIL BODY MOISTURIZER", "r": "220071626"}, {"b": "965016000187", "n": "LIVIAL 25MG TABLETS 28S", "r": "220157761"}, {"b": "6973717440046", "n": "LIYALAN GREEN TEA FACE MASK", "r": "220204459"}, {"b": "6973717440039", "n": "LIYALAN CLAY MASK", "r": "220204114"}, {"b": "8021685600035", "n": "V LOCHERBER SUN PURE HIGH PROT 75ML", "r": "220187192"}, {"b": "8021685100504", "n": "V LOCHERBER REGENRTNG  MOIST EMUL 50ML", "r": "220185418"}, {"b": "8021685100276", "n": "V LOCHERBER PURIFYING GEL CLNSR 100ML", "r": "220183574"}, {"b": "8021685100832", "n": "V LOCHERBER GOLD24K INT SRM RADIANCE 30ML", "r": "220183025"}, {"b": "8021685100726", "n": "V LOCHERBER GOLD24K EYE CNTR CRM 30ML", "r": "220186626"}, {"b": "8021685100641", "n": "V LOCHERBER GOLD24K ANTIAGE CRM 50ML", "r": "220187496"}, {"b": "8021685100023", "n": "V LOCHERBER FRUIT ACID SERUM 30ML", "r": "220186058"}, {"b": "8021685100719", "n": "V LOCHERBER FLUID CLNSR PERS HYG 250ML", "r": "220184651"}, {"b": "8021685100771", "n": "V LOCHERBER ESS EYE GEL 30ML", "r": "220182189"}, {"b": "8021685100115", "n": "V LOCHERBER CLEANSNG TONIC LOT 150ML", "r": "220182739"}, {"b": "8021685100467", "n": "V LOCHERBER BTY INT REPULPNG SRM 30ML", "r": "220187224"}, {"b": "8021685100030", "n": "V LOCHERBER BRIGHTENING CRM 30ML", "r": "220186941"}, {"b": "8021685100900", "n": "V LOCHERBER 7 SECRETS CRM 30ML", "r": "220182371"}, {"b": "5702191014310", "n": "LOCOID LOTION 30ML", "r": "220182513"}, {"b": "5702191014334", "n": "LOCOID CRELO 01 30GM", "r": "220236145"}, {"b": "5702191014303", "n": "LOCOID OINTMENT 1 30GM", "r": "220216763"}, {"b": "5702191014297", "n": "LOCOID LIPOCREAM 30GM", "r": "220182545"}, {"b": "5702191014341", "n": "LOCOID CREAM 01 30GM", "r": "220235853"}, {"b": "6291100785261", "n": "LOFLAM 100MG TAB 30S", "r": "220212806"}, {"b": "6291100781409", "n": "LOFLAM 100MG TABS OF 20", "r": "220169381"}, {"b": "8058265620053", "n": "PROTEX PROBIOTIC 5 BILLIONCFU 55ML 8S", "r": "220235519"}, {"b": "9002859082412", "n": "LOLLI VIT FRUITY LOLLIPOPS MULTIVITAMIN 15PC", "r": "220217079"}, {"b": "6291164944643", "n": "LOLY BABY PACIFIER HOLDER", "r": "220177585"}, {"b": "6294192944643", "n": "LOLY BABY KNEE SUPPORT", "r": "220173527"}, {"b": "6241100944643", "n": "LOLY BABY FRUIT PACIFIER", "r": "220181648"}, {"b": "6291100964643", "n": "LOLY BABY BANANA TEETHER", "r": "220176179"}, {"b": "965016200009", "n": "LOMAHYPERICUM TABS 30S", "r": "220155811"}, {"b": "965013700392", "n": "LOMEXIN 1000 OVULE 1S", "r": "220152778"}, {"b": "965013700391", "n": "LOMEXIN 600 OVULES 1S", "r": "220161931"}, {"b": "965013700393", "n": "LOMEXIN 200 OVULES 3S", "r": "220168547"}, {"b": "8002660030849", "n": "LONASTOL 10MG 10TABS", "r": "220178399"}, {"b": "8002660030856", "n": "LONASTOL 5MG SYRUP 100ML", "r": "220194677"}, {"b": "40232648281", "n": "V LONSTIN MRCCAN ARG OIL MASK 300ML", "r": "220200652"}, {"b": "40232648267", "n": "V LONSTIN MRCCAN ARG OIL HDRATING SHPOO 500ML", "r": "220198944"}, {"b": "40232648274", "n": "V LONSTIN MRCCAN ARG OIL HDRATING CDTIONER 500ML", "r": "220199964"}, {"b": "40232648298", "n": "V LONSTIN MRCCAN ARG OIL 100ML", "r": "220199431"}, {"b": "40232629174", "n": "LONSTIN GOLD SILVER SHAMPOO 500ML", "r": "220215073"}, {"b": "40232629150", "n": "LONSTIN GOLD ANTIDANDRUFF SHAMPOO 500ML", "r": "220215374"}, {"b": "40232629167", "n": "LONSTIN GOLD ANTIDANDRUFF COND 500ML", "r": "220215388"}, {"b": "8809417490488", "n": "LOOK AT ME NOSE PORE STRIPS GREENTEA", "r": "220239303"}, {"b": "8809417491256", "n": "LOOK AT ME MENS NOSE STRIPS CHARCOAL  10 PCS", "r": "220239183"}, {"b": "8809417491218", "n": "LOOK AT ME MENS EYE PATCH HEMP  5 PCS", "r": "220238225"}, {"b": "8809417490907", "n": "LOOK AT ME LOOK AT MY SHINE HAIR MASK", "r": "220237201"}, {"b": "8809417490884", "n": "LOOK AT ME HYDROGEL EYE PATCH5 PAIRS ROSE", "r": "220238349"}, {"b": "8809417490983", "n": "LOOK AT ME GUACAMOLE TENCEL FACE MASK", "r": "220239538"}, {"b": "8809417491348", "n": "LOOK AT ME 1PC LOOK AT MY FOOT PEEL FOOT MASK BEAR", "r": "220240225"}, {"b": "965013700349", "n": "LOPRESSOR 100MG TAB 40S", "r": "220171303"}, {"b": "965013700350", "n": "LOPRESSOR 50MG TAB 40S", "r": "220169628"}, {"b": "6251107290014", "n": "LORADAD TAB 10S", "r": "220171060"}, {"b": "6294010000332", "n": "LORALIFE SYRUP 5MG5ML 100ML", "r": "220077002"}, {"b": "3600523516926", "n": "LOREAL PURE CLAY MASK MARINE ALGAE 50ML", "r": "220221777"}, {"b": "3600523363360", "n": "LOREAL HYDRA GENIUS ALOE WATER NORMDRY 70ML", "r": "220228072"}, {"b": "3600523363339", "n": "LOREAL HYDRA GENIUS ALOE WATER NORMCOMB 70ML", "r": "220228991"}, {"b": "8994993014545", "n": "LOREAL UV DEFNDR MOISTRE FRSH SPF50 50ML", "r": "220221786"}, {"b": "8994993014514", "n": "LOREAL UV DEFNDR INSTA BRGHT SPF50 50ML", "r": "220229279"}, {"b": "8994993014538", "n": "LOREAL UV DEFENDER MAT FRESH SPF50 50ML", "r": "220219510"}, {"b": "3600523823611", "n": "LOREAL HYALURON REPLUMPING SPF20 CREAM 50ML", "r": "220221879"}, {"b": "3600523823604", "n": "LOREAL HYALURON REPLUMPING NIGHT CREAM 50ML", "r": "220233270"}, {"b": "3600523823628", "n": "LOREAL HYALURON REPLUMPING EYE CREAM 15ML", "r": "220217214"}, {"b": "3600523959600", "n": "LOREAL HYALURON REPLUMP MICELLAR WATER 200ML", "r": "220235701"}, {"b": "3600523967988", "n": "LOREAL HYALURON EXPERT 15  SERUM 30ML", "r": "220228315"}, {"b": "3600542368094", "n": "GARNIER MICELLAR WATER VITAMIN C 400ML", "r": "220222014"}, {"b": "3600520564845", "n": "LOREAL REVITALIFT NIGHT CREAM ANTIWFIRM 50ML", "r": "220234246"}, {"b": "3600522249436", "n": "LOREAL REVITALIFT LASER SERUM 30ML", "r": "220231998"}, {"b": "3600522480143", "n": "LOREAL REVITALIFT LASER NIGHT CREAM MASK 50ML", "r": "220221726"}, {"b": "3600522248835", "n": "LOREAL REVITALIFT LASER DAY CREAM 50 ML", "r": "220220523"}, {"b": "3600520564838", "n": "LOREAL REVITALIFT DAY CREAM ANTIWFIRM 50ML", "r": "220231111"}, {"b": "3600523529308", "n": "LOREAL RARE FLOWER ROSEJASMINE WIPES 25S", "r": "220216111"}, {"b": "3600522599272", "n": "LOREAL PRODIGY 6 DARK BLONDE", "r": "220235122"}, {"b": "3600522599364", "n": "LOREAL PRODIGY 3 DARK BROWN", "r": "220224234"}, {"b": "3600522446927", "n": "LOREAL MAKEUP REMOVES EYES  LIPS 125ML", "r": "220229437"}, {"b": "3061375119015", "n": "LOREAL EXCELLENCE HAIR COLOR 5 LIGHT BROWN", "r": "220220909"}, {"b": "3061375114010", "n": "LOREAL EXCELLENCE HAIR COLOR 1 NATURAL BLACK", "r": "220218445"}, {"b": "3600522832003", "n": "LOREAL EXCELLENCE 30 DARK BROWN", "r": "220169216"}, {"b": "3600520837963", "n": "LOREAL ELVIVE COLOR PROT SHAMOO 400ML", "r": "220226696"}, {"b": "3061370834036", "n": "LOREAL ELNETT SUPREME HOLD SPRAY 200ML", "r": "220218673"}, {"b": "3061370834029", "n": "LOREAL ELNETT SUPER HOLD SPRAY 200ML", "r": "220226946"}, {"b": "3061370824020", "n": "LOREAL ELNETT HAIR SUPER HOLD SPRAY 75ML", "r": "220234992"}, {"b": "3061370834012", "n": "LOREAL ELNETT HAIR NORMAL HOLD SPRAY 200ML", "r": "220218798"}, {"b": "3600520564722", "n": "LOREAL WRINKLE DEPLUMPER NIGHT CREAM 50ML", "r": "220220548"}, {"b": "3600520564715", "n": "LOREAL WRINKLE DEPLUMPER DAY CREAM 50ML", "r": "220231444"}, {"b": "8991380233268", "n": "LOREAL WHITE PERFECT WHT TONER 200ML", "r": "220223693"}, {"b": "8991380221074", "n": "LOREAL WHITE PERFECT NIGHT CRM 50ML", "r": "220220717"}, {"b": "8992304013126", "n": "LOREAL WHITE PERFECT FAIRNES DAY CRM 50ML", "r": "220216099"}, {"b": "8991380232148", "n": "LOREAL WHITE PERFECT FACIAL FOAM 100ML", "r": "220224451"}, {"b": "8991380222545", "n": "LOREAL UV PERFECT SPF50 UV PROTECT 30ML", "r": "220227936"}, {"b": "3600523542178", "n": "LOREAL SMOOTH SUGAR SCRUB KIWI 50ML", "r": "220231035"}, {"b": "3600523541447", "n": "LOREAL SMOOTH SUGAR SCRUB COCOA BUTTER 50ML", "r": "220225594"}, {"b": "3600522892380", "n": "LOREAL REVITALIFT REPLUMPING SERUM 16ML", "r": "220218614"}, {"b": "3600521594926", "n": "LOREAL REVITALIFT REMESHING CREAM 50ML", "r": "220217403"}, {"b": "8991380232162", "n": "LOREAL REVITALIFT MILK CLEANSG FOAM 100ML", "r": "220222086"}, {"b": "3600522892373", "n": "LOREAL REVITALIFT FILLER DAY CREAM 50 ML", "r": "220161903"}, {"b": "3600520564913", "n": "LOREAL REVITALIFT EYE CREAM ANTIWFIRM 50ML", "r": "220223986"}, {"b": "3600523529292", "n": "LOREAL RARE FLOWER ROSELOTUS WIPES 25S", "r": "220232913"}, {"b": "3600523523115", "n": "LOREAL PURE CLAY MASK YUZU LEMON 50ML", "r": "220227160"}, {"b": "3600523306183", "n": "LOREAL PURE CLAY MASK RED ALGAE 50ML", "r": "220221422"}, {"b": "3600523306176", "n": "LOREAL PURE CLAY MASK EUCALYPTUS 50ML", "r": "220233700"}, {"b": "3600523306169", "n": "LOREAL PURE CLAY MASK CHARCOAL 50ML", "r": "220234287"}, {"b": "3600523431168", "n": "LOREAL PURE CLAY GEL WASH RED ALGAE 150ML", "r": "220230114"}, {"b": "3600523431182", "n": "LOREAL PURE CLAY GEL WASH EUCALYPTUS 150ML", "r": "220222476"}, {"b": "3600523431175", "n": "LOREAL PURE CLAY GEL WASH CHARCOAL 150ML", "r": "220227494"}, {"b": "3600522599333", "n": "LOREAL PRODIGY HAIR COLOR  415 SIENNA", "r": "220218430"}, {"b": "3600522599401", "n": "LOREAL PRODIGY 91 WHITE GOLD", "r": "220235583"}, {"b": "3600522599319", "n": "LOREAL PRODIGY 5 LIGHT BROWN", "r": "220226635"}, {"b": "3600522599340", "n": "LOREAL PRODIGY 4 BROWN", "r": "220228342"}, {"b": "3600520306087", "n": "LOREAL MEN SHAVING FOAM 200ML", "r": "220226826"}, {"b": "3600520297262", "n": "LOREAL MEN HYDRA ENERGETIC MOISTURIZ 50ML", "r": "220227692"}, {"b": "3600521604281", "n": "LOREAL MEN EXPT HYDRA SENSITIVE FACE WSH 150ML", "r": "220236062"}, {"b": "3600520299679", "n": "LOREAL MEN CLEANSING GEL 150ML", "r": "220224358"}, {"b": "3600520594170", "n": "LOREAL ME HY ENRGTC EYE 15ML", "r": "220168156"}, {"b": "3600521637142", "n": "LOREAL INVISIBLE CLEAR GEL EXTRA STRGTH 150ML", "r": "220217565"}, {"b": "3600523542161", "n": "LOREAL GLOW SCRUB GRAPESEED OIL 50ML", "r": "220221723"}, {"b": "3600522447177", "n": "LOREAL EYE MAKEUP REMOVER EXTRA GENTLE 125ML", "r": "220233418"}, {"b": "3061375128017", "n": "LOREAL EXCELLENCE HAIR COLOR 81 LIGHT ASH BLONDE", "r": "220231055"}, {"b": "3600520619002", "n": "LOREAL EXCELLENCE HAIR COLOR 71 LIGHT BLONDE", "r": "220231583"}, {"b": "3061375125016", "n": "LOREAL EXCELLENCE HAIR COLOR 7 BLONDE", "r": "220234218"}, {"b": "3061375122015", "n": "LOREAL EXCELLENCE HAIR COLOR 6 NAT DARK BLONDE", "r": "220221883"}, {"b": "3061375115017", "n": "LOREAL EXCELLENCE HAIR COLOR 3 DARK BROWN", "r": "220235668"}, {"b": "3061370824037", "n": "LOREAL ELNETT HAIR SUPREME HOLD SPRAY 75ML", "r": "220223717"}, {"b": "3061375361025", "n": "LOREAL ELNETT HAIR SUPER HOLD SPRAY 400ML", "r": "220221843"}, {"b": "3600522280194", "n": "LO HYDRA T5 FACIAL CLEANSING WIPES 25S", "r": "220227369"}, {"b": "6281086001981", "n": "LORINASE 100 ML", "r": "220108232"}, {"b": "9650137006423", "n": "LORINASE D EXTENDED RELEASE 20TABS", "r": "220214754"}, {"b": "5000456021142", "n": "LOSEC 20MG TABLETS 14S", "r": "220221570"}, {"b": "324208299050", "n": "LOTEMAX DROPS 5ML", "r": "220168052"}, {"b": "965013700351", "n": "LOTRIDERM CREAM 30GM", "r": "220167472"}, {"b": "965013700438", "n": "LOTRIDERM CREAM 15GM", "r": "220170515"}, {"b": "5056183603854", "n": "LOTTIE SWEET LIPS TOTALLY COCO", "r": "220239221"}, {"b": "5056183602932", "n": "LOTTIE SWEET LIP LIP OIL VANILLA WHIP", "r": "220239038"}, {"b": "5056183602949", "n": "LOTTIE SWEET LIP LIP OIL CHERRY", "r": "220239426"}, {"b": "5056183604363", "n": "LOTTIE SUNKISSED BRONZER SUNCATCHER", "r": "220239686"}, {"b": "5056183601324", "n": "LOTTIE PALETTE THE RUSTS", "r": "220238845"}, {"b": "5056183601317", "n": "LOTTIE PALETTE THE ROSE GOLDS", "r": "220237100"}, {"b": "5056183601331", "n": "LOTTIE PALETTE THE MAUVES", "r": "220239112"}, {"b": "5056183603984", "n": "LOTTIE DIAMOND BOUNCE GOLDEN", "r": "220236637"}, {"b": "5056183602260", "n": "LOTTIE COCONUT PRIMER  ILLUMINATING COCONUT PRIMER  ILLUMINATING COCONUT PRIMER GOLD", "r": "220239652"}, {"b": "5056183603694", "n": "LOTTIE BRUSH SET 5PC BRUSH SET", "r": "220237695"}, {"b": "5060359905956", "n": "LOTTIE THE BEST OF THE BRUSHES COLLECTION", "r": "220062869"}, {"b": "5060359905895", "n": "LOTTIE MAKE ME BLUSH BRUSH", "r": "220064742"}, {"b": "5060414314143", "n": "LOTTIE CONTOUR QUEEN", "r": "220085166"}, {"b": "5060359905932", "n": "LOTTIE CONCEAL IT BRUSH", "r": "220051672"}, {"b": "5060414314136", "n": "LOTTIE BUFF  BLEND BRUSH", "r": "220087334"}, {"b": "55086000239", "n": "LOVE BEAUTY PLNT TEA TREE OIL COND 399ML", "r": "220194149"}, {"b": "55086000093", "n": "LOVE BEAUTY PLNT TEA TRE OIL SHMP399ML", "r": "220194709"}, {"b": "55086000086", "n": "LOVE BEAUTY PLANET SHEA BUTR SHMP 399ML", "r": "220195616"}, {"b": "55086000215", "n": "LOVE BEAUTY PLANET SHEA BUTR COND 384ML", "r": "220195793"}, {"b": "55086000031", "n": "LBP MURU  ROSE BLOOM CLR SHAMPOO 400ML", "r": "220219799"}, {"b": "55086000192", "n": "LBP MURM  ROSE BLOOMING COLOR CONDITIONER 400ML", "r": "220219020"}, {"b": "55086000048", "n": "LBP COC  MIMOSA VOL  BOUNTY SHAMPOO 400ML", "r": "220220775"}, {"b": "8710447442456", "n": "V LOVE BEAUTY PLANET PETAL POLISH FACE SCRUB 125ML", "r": "220194041"}, {"b": "8710447442432", "n": "V LOVE BEAUTY PLANET INVIGOR DETOX FW 125ML", "r": "220194243"}, {"b": "8710447442449", "n": "V LOVE BEAUTY PLANET HYDRATE  REFRESH FW 125ML", "r": "220194785"}, {"b": "8714100794043", "n": "V LOVE BEAUTY AND PLANET SHEA BUTTER BODY LOTION 400 ML", "r": "220195338"}, {"b": "8714100793992", "n": "LBP ROSE BODY LTN 400ML", "r": "220218928"}, {"b": "8714100793961", "n": "LBP COCONUT WATER BODY LTN 400ML", "r": "220235763"}, {"b": "8710447442487", "n": "LOVE BEAUTY PLANET TEA TREE MASK 21ML", "r": "220207134"}, {"b": "8710447442463", "n": "LOVE BEAUTY PLANET MURU BUTTER  ROSE MASK 21ML", "r": "220207662"}, {"b": "8710447442470", "n": "LOVE BEAUTY PLANET COCO WATER  MIMOSA MASK 21ML", "r": "220205220"}, {"b": "5903407873916", "n": "LOVI MY LITTLE LOVE SOOTHER 02M PINK", "r": "220218861"}, {"b": "5903407228471", "n": "LOVI MY LITTLE LOVE SOOTHER 02M BLUE", "r": "220225239"}, {"b": "5901691802810", "n": "LOVI INDIAN SUMMER SOOTHER 618M PINK", "r": "220228695"}, {"b": "5903407228570", "n": "LOVI INDIAN SUMMER SOOTHER 618M BLUE", "r": "220232989"}, {"b": "5903407215600", "n": "LOVI FEEDNG BTL 330ML 3M", "r": "220174414"}, {"b": "5903407187525", "n": "LOVI DYNAMIC TEAT 2PCS", "r": "220172834"}, {"b": "5903407215648", "n": "LOVI DYNAMIC ANTI COLIC 0M 150ML", "r": "220173772"}, {"b": "5903407196022", "n": "LOVI EXC PROT DAY  NGHT 40PCS", "r": "220190478"}, {"b": "5903407215624", "n": "LOVI DYNAMIC ANTI COLIC 250ML", "r": "220230342"}, {"b": "5903407353005", "n": "LOVI TRAINING CUP SOFT 6M 150ML", "r": "220187942"}, {"b": "5903407228051", "n": "LOVI RETRO BABY 618M SOOTHER", "r": "220188302"}, {"b": "5903407353302", "n": "LOVI NONSPILL CUP BTL 250ML 12M", "r": "220177997"}, {"b": "5903407353319", "n": "LOVI NONSPILL CUP 12M 250ML BLUE", "r": "220173422"}, {"b": "5903407228198", "n": "LOVI MARINE 03M SOOTHER", "r": "220188011"}, {"b": "8901296109403", "n": "LOVIR 400MG TABS 50S", "r": "220169053"}, {"b": "965013900036", "n": "LOVIR 800MG 5S", "r": "220164589"}, {"b": "965013900035", "n": "LOVIR 400MG 5S", "r": "220169577"}, {"b": "8056450230261", "n": "LR WONDER HOLLYWOOD GOLD MASK 24K", "r": "220083391"}, {"b": "8056450230209", "n": "LR WONDER CAVIAR MASK 15ML", "r": "220073061"}, {"b": "8056450230186", "n": "LR WONDER BEER CREAM", "r": "220072351"}, {"b": "8056450230193", "n": "LR WONDER BEE VENOM MASK 15ML", "r": "220055748"}, {"b": "3337875797641", "n": "LRP ANTHELIOS UVMUNE FLUID TINTED +T50ML_EN/FR", "r": "220286148"}, {"b": "3337875797597", "n": "LRP ANTHELIOS UVMUNE 400 INVISIBLE FLUID SP50+ F50ML_EN-FR", "r": "220281140"}, {"b": "3337875797719", "n": "LRP ANTHELIOS UVMUNE 400 HYDRATING CREAM 50ML", "r": "220281145"}, {"b": "6291100087983", "n": "LUBRIMAX TEARS 02 SINGLE DOSE 20S", "r": "220222884"}, {"b": "6297000720456", "n": "LUMIFY EYE DROPS 75 ML", "r": "220239535"}, {"b": "5016007205442", "n": "LUMIGAN EYE DROPS 3ML", "r": "220160615"}, {"b": "6438458002309", "n": "LUNETTE REUSABLE MENSTRUAL CUP MODEL 1", "r": "220222579"}, {"b": "6430024463026", "n": "LUNETTE MENSTRUAL CUP VIOLET 2", "r": "220176349"}, {"b": "9650155002025", "n": "LUX POUCHE GWP", "r": "220194458"}, {"b": "13964720013", "n": "LYPOTROL FAT BURNER 450MG 60TABS", "r": "220212725"}, {"b": "3760084535863", "n": "V LYTESS YOUNG MUM FLAT TUMMY PANTY", "r": "220199732"}, {"b": "3760084535658", "n": "V LYTESS YOUNG MUM FIRMING BRA", "r": "220199785"}, {"b": "3662019009824", "n": "V LYTESS SLIMMINGCORDED LEGGINGS", "r": "220200638"}, {"b": "3662019009916", "n": "V LYTESS SLIMMING SUBLIME  GLAMOUR BODY WITH OR WITHOUT SLEEVES", "r": "220198650"}, {"b": "3662019011308", "n": "V LYTESS SLIMMING SHAPER LACE FLAT TUMMY PANTIES", "r": "220200170"}, {"b": "3662019008421", "n": "V LYTESS SLIMMING ORGANIC COTTON LEGGINGS", "r": "220199136"}, {"b": "3662019010196", "n": "V LYTESS SLIMMING HYALURO FLASH FLAT TUMMY CAPRIS", "r": "220200660"}, {"b": "3662019005727", "n": "V LYTESS NIGHT DETOX SLIMMING  ANTICELLULITE SHORTS", "r": "220198965"}, {"b": "3662019009626", "n": "V LYTESS NIGHT ANTICELLULITE HONEYCOMB LEGGINGS", "r": "220200478"}, {"b": "3760003053546", "n": "V LYTESS CORRECTIVE SLIMMING HIGH WAIST PUSH UP PANTY", "r": "220200141"}, {"b": "9650288000318", "n": "LYTESS TUBE BLACK VARIOUS SIZES", "r": "220155643"}, {"b": "3760084531537", "n": "LYTESS SM FLESH CORRECTION BELT", "r": "220216802"}, {"b": "9650288000158", "n": "LYTESS SLIMMING LEGGINGS VARIOUS SIZES", "r": "220152496"}, {"b": "9650288000226", "n": "LYTESS SLEEVES ANTICELLULITE VARIOUS COLORS", "r": "220152318"}, {"b": "9650288000264", "n": "LYTESS SHORTY BELT VARIOUS SIZES", "r": "220160978"}, {"b": "3760084535887", "n": "LYTESS PEDAL PUSHER EXCL SLIM SM", "r": "220227410"}, {"b": "9650288000196", "n": "LYTESS PEDAL PUSHER ANTICELLULITE BLACK VARIOUS SIZES", "r": "220154090"}, {"b": "9650288000288", "n": "LYTESS HIGH WAIST PUSHUP PANTY BLACK VARIOUS SIZES", "r": "220162992"}, {"b": "9650288000271", "n": "LYTESS HIGH WAIST PUSHUP PANTY BEIGE VARIOUS SIZES", "r": "220160661"}, {"b": "9650288000165", "n": "LYTESS EXCELSLIM PEDAL PUSHER VARIOUS SIZES", "r": "220158360"}, {"b": "9650288000189", "n": "LYTESS EXCELSLIM LEGGINGS VARIOUS SIZES", "r": "220152630"}, {"b": "9650288000172", "n": "LYTESS EXCELSLIM CAPRIS VARIOUS SIZES", "r": "220165571"}, {"b": "3760084531544", "n": "LYTESS CORRECTIVE SLIMMING BELT LXL", "r": "220226998"}, {"b": "9650288000202", "n": "LYTESS CAPRIS ANTICELLULITE BLACK VARIOUS SIZES", "r": "220157137"}, {"b": "9650288000349", "n": "LYTESS BODY FLESH VARIOUS SIZES", "r": "220157718"}, {"b": "9650288000356", "n": "LYTESS BODY BLACK VARIOUS SIZES", "r": "220152631"}, {"b": "9650288000257", "n": "LYTESS BELT PANTIES VARIOUS SIZES", "r": "220155709"}, {"b": "9650288000233", "n": "LYTESS BELT FLESH VARIOUS SIZES", "r": "220155590"}, {"b": "9650288000240", "n": "LYTESS BELT BLACK VARIOUS SIZES", "r": "220156073"}, {"b": "3760084531124", "n": "DONT USE LYTESS SLEEVES ANTICELLULITE BLACK TU PF00811A", "r": "220155192"}, {"b": "3760084535610", "n": "DONT USE LYTESS BELT BLACK XXXL PF00301A", "r": "220154788"}, {"b": "3760084534965", "n": "DONT USE LYTESS A15180401 FLESH SM", "r": "220154015"}, {"b": "3664798001105", "n": "MAALOX SUSPENSION 20 SACHETS", "r": "220230060"}, {"b": "3664798023251", "n": "MAALOX PLUS SUSP 355ML", "r": "220224233"}, {"b": "3582910083016", "n": "MAALOX PLUS CHEW TABS 40S", "r": "220226552"}, {"b": "3582910014799", "n": "MAALOX SUSPENSION 355ML", "r": "220217805"}, {"b": "851325002107", "n": "MACADAMIA REJUVENATING SHAMP 300ML", "r": "220226328"}, {"b": "815857010504", "n": "MACADAMIA NOURSHNG MOIST TRTMNT  OIL 125ML", "r": "220229040"}, {"b": "815857010511", "n": "MACADAMIA NOURSHNG MOIST OIL SPRAY 125ML", "r": "220085190"}, {"b": "815857010702", "n": "MACADAMIA NOURSHNG MOIST MASQUE 500ML", "r": "220082630"}, {"b": "815857010498", "n": "MACADAMIA NOURSHNG MOIST MASQUE 236ML", "r": "220222175"}, {"b": "815857010474", "n": "MACADAMIA NOURISHNG MOIST SHAMP 300ML", "r": "220222423"}, {"b": "815857010481", "n": "MACADAMIA NOURISHNG MOIST COND 300ML", "r": "220218457"}, {"b": "851325002152", "n": "MACADAMIA NOURISHING LEAVEINCREAM 300ML", "r": "220228183"}, {"b": "851325002206", "n": "MACADAMIA MOISTURIZING RINSE 300 ML", "r": "220217268"}, {"b": "851325002008", "n": "MACADAMIA HEALING OIL TREAT 125ML", "r": "220072370"}, {"b": "851325002251", "n": "MACADAMIA HEALING OIL SPRAY 125ML", "r": "220226227"}, {"b": "851325002060", "n": "MACADAMIA DEEP REPAIR MASQUE 250ML", "r": "220217794"}, {"b": "687456213101", "n": "MADE GOOD MIXED BERRY GRANOLA BARS 144G", "r": "129841898"}, {"b": "687456226026", "n": "MADE GOOD GF STRAWBERRY MUESLI MINIS 24G", "r": "129841900"}, {"b": "687456224152", "n": "MADE GOOD GF CHOCOLATE CHIP MINI POUCH 100G", "r": "129841902"}, {"b": "687456226019", "n": "MADE GOOD GF CHOCOLATE BANANA MUESLI MINIS 24G", "r": "129836891"}, {"b": "687456224015", "n": "MADE GOOD GF CHOCOLATE BANANA MUESLI MINIS 100G", "r": "129841894"}, {"b": "687456213095", "n": "MADE GOOD CHOCOLATE CHIP GRANOLA BARS 144 G", "r": "129836897"}, {"b": "687456111407", "n": "GOOD TO GO KETO BAR VANILLA ALMOND 40G", "r": "129836893"}, {"b": "687456111421", "n": "GOOD TO GO KETO BAR RASPBERRY LEMON 40G", "r": "129841892"}, {"b": "687456113784", "n": "GOOD TO GO KETO BAR DOUBLE CHOCOLATE 40G", "r": "129841899"}, {"b": "687456111438", "n": "GOOD TO GO KETO BAR CINNAMON PECAN 40G", "r": "129836898"}, {"b": "6285147008551", "n": "V MAESTRO TABLET 4S", "r": "220200800"}, {"b": "6281086010990", "n": "MAFEPAIN 500MG TABLETS 20S", "r": "220227455"}, {"b": "5060290251143", "n": "MAGNITONE RECHARG LADY SHAVER PINK", "r": "220227077"}, {"b": "5060290251754", "n": "MAGNITONE SILICONE CLEANSING BRUSH PINK", "r": "220203390"}, {"b": "9650364003721", "n": "MAGNOX OSTEO CAPSULES 60S", "r": "220235336"}, {"b": "9650364003745", "n": "MAGNOX VITAL CAPSULES 30S", "r": "220232726"}, {"b": "9650364003738", "n": "MAGNOX ANTI LEG CRAMPS CAPSULES 30S", "r": "220233171"}, {"b": "662578448020", "n": "MAIZAM WATER SPRAY", "r": "220206148"}, {"b": "662578447948", "n": "MAIZAM HYDRATING HAND  BODY LOTION 150ML", "r": "220193067"}, {"b": "662578448037", "n": "MAIZAM HAIR FB CLEANSER  WASH 125ML", "r": "220193463"}, {"b": "662578447924", "n": "MAIZAM FACIAL REV  ANTI AGE CREAM 50ML", "r": "220193493"}, {"b": "662578447931", "n": "MAIZAM FACIAL NOURISH  MOIST CREAM 50ML", "r": "220193295"}, {"b": "662578448044", "n": "MAIZAM FACE  BODY HYDEATING LOTION 150ML", "r": "220193305"}, {"b": "662578448051", "n": "MAIZAM 3IN1 PACK", "r": "220207668"}, {"b": "5025135118050", "n": "MALIBU NON WHITE SPF30 LTN 200ML", "r": "220226570"}, {"b": "5025135111327", "n": "MALIBU  LOTION SPF15 200ML", "r": "220232328"}, {"b": "5025135112812", "n": "MALIBU TANNING DRY OIL SPRAY SPF2 200ML", "r": "220227620"}, {"b": "5025135116599", "n": "MALIBU KIDS HIGH PROTECT LOTION SPF50 200ML", "r": "220233766"}, {"b": "5025135113376", "n": "MALIBU HIGH PROTECTION LOTION SPF50 200ML", "r": "220223677"}, {"b": "5025135114663", "n": "MALIBU FAST TANNING OIL CAROTEN 200ML", "r": "220223352"}, {"b": "5025135116278", "n": "MALIBU DRY OIL SPRAY SPF30 200ML", "r": "220227290"}, {"b": "5025135117978", "n": "MALIBU BRONZING TANNING OIL SPF15 200ML", "r": "220222151"}, {"b": "5025135117046", "n": "MALIBU ALOE AFTER SUN GEL SPRAY 175ML", "r": "220218588"}, {"b": "8027881503200", "n": "MANS SECRET INTIMATE HYGIENE GEL", "r": "220161483"}, {"b": "9421027843998", "n": "MANUKA DOC MANUKA HONEY 970 MGO 250MG", "r": "220197198"}, {"b": "9421027843981", "n": "MANUKA DOC MANUKA HONEY 850MGO 250MG", "r": "220196637"}, {"b": "9421027843974", "n": "MANUKA DOC MANUKA HONEY 700 MGO 250MG", "r": "220196756"}, {"b": "9421027843967", "n": "MANUKA DOC MANUKA HONEY 550MGO 250MG", "r": "220197518"}, {"b": "9421027846050", "n": "MANUKA DOC MANUKA HONEY 1050 MGO 250MG", "r": "220204784"}, {"b": "9421027843936", "n": "MANUKA DOC MANUKA HONEY 250MGO 250MG", "r": "220217482"}, {"b": "9421023624133", "n": "MANUKA MANK HNY BREAST PADS2S", "r": "220160157"}, {"b": "9421023625871", "n": "MANUKA HONEY MGO 400 250G", "r": "220228482"}, {"b": "9421023625895", "n": "MANUKA HONEY MGO 550 250GM", "r": "220234705"}, {"b": "621732531039", "n": "V MARC A COCO OIL  SB HYDRATING SHAMP 250ML", "r": "220186014"}, {"b": "621732531046", "n": "V MARC A COCO OIL  SB HYDRATING COND 250ML", "r": "220182734"}, {"b": "621732531077", "n": "V MARC A COCO OIL  SB DRY STYLING OIL 120ML", "r": "220182427"}, {"b": "621732010534", "n": "V MARC A BYEBYE FRIZZ SHAMP 250ML", "r": "220186283"}, {"b": "621732010541", "n": "V MARC A BYEBYE FRIZZ COND 250ML", "r": "220182706"}, {"b": "621732006452", "n": "V MARC A BIG VOLUME SHAMP 250ML", "r": "220183540"}, {"b": "621732006469", "n": "V MARC A BIG VOLUME COND 250ML", "r": "220187119"}, {"b": "621732300017", "n": "V MARC A ARGAN OIL SHAMP 250ML", "r": "220185450"}, {"b": "621732300123", "n": "V MARC A ARGAN OIL DRY STYLING OIL 120ML", "r": "220187302"}, {"b": "621732300024", "n": "V MARC A ARGAN OIL COND 250ML", "r": "220186454"}, {"b": "785364130456", "n": "MARIO BADESCU FACE SPR ALOE SAGE ORANGE", "r": "220207318"}, {"b": "785364130098", "n": "MARIO BADESCU FACE SPR ALOE ROSEWATER", "r": "220207031"}, {"b": "785364130357", "n": "MARIO BADESCU FACE SPR ALOE CUC", "r": "220206371"}, {"b": "785364130388", "n": "MARIO BADESCU FACE SPR ALOE CHAMOMILE", "r": "220205900"}, {"b": "5902853007494", "n": "V MARION ULTRALIGHT CONDITIONER WITH ARGAN OIL", "r": "220051929"}, {"b": "5902853017042", "n": "V MARION TROP ISL WTRMELON JELLY MASK", "r": "220191321"}, {"b": "5902853017028", "n": "V MARION TROP ISL PINACOLADA JELLY MASK", "r": "220177126"}, {"b": "5902853017035", "n": "V MARION TROP ISL MANGO  MAR JELLY MASK", "r": "220190898"}, {"b": "5902853017011", "n": "V MARION TROP ISL KIWI EXF SCRB", "r": "220173156"}, {"b": "5902853017059", "n": "V MARION TROP ISL BANANA JELLY MASK", "r": "220191190"}, {"b": "5902853007203", "n": "V MARION SILVER SHAMPOO", "r": "220065593"}, {"b": "5902853010616", "n": "V MARION REFRESHING WIPES SEA BREEZE", "r": "220191645"}, {"b": "5902853010609", "n": "V MARION REFRESHING WIPES GREEN TEA", "r": "220190987"}, {"b": "5902853011873", "n": "V MARION PEEL OFF SOOTHING MASK WITH CERRY  APRICOT 18ML", "r": "220074422"}, {"b": "5902853011880", "n": "V MARION PEEL OFF PURIFYNG MASK WITH PINEAPPLE  PEACH 18ML", "r": "220087515"}, {"b": "5902853011965", "n": "V MARION PEEL OFF MOISTRISING MASK HIBISCUS  MONOI OIL 18ML", "r": "220060044"}, {"b": "5902853107378", "n": "V MARION NATURA SILK BLOND AND LIGHTENED HAIR COND 150 ML", "r": "220088902"}, {"b": "5902853007487", "n": "V MARION HAIR TREATEMENT WITH ARGAN OIL 50 ML", "r": "220065594"}, {"b": "5902853104032", "n": "V MARION HAIR MASK BLOND", "r": "220066609"}, {"b": "5902853007449", "n": "V MARION FLUID AGAINST SPLIT ENDS WITH ARGAN OIL 50 ML", "r": "220057226"}, {"b": "5902853013518", "n": "V MARION BLACK MASK DETOX FABRIC", "r": "220054801"}, {"b": "5902853010746", "n": "V MARION ANTIBACTERIAL WIPES", "r": "220190493"}, {"b": "5902853013488", "n": "V MARION ACTIVE CHARCOAL FACIAL CLEANSING MASK", "r": "220083396"}, {"b": "5902853104025", "n": "MARION HAIR MASK BROWN", "r": "220077762"}, {"b": "5902853008354", "n": "MARION BRAZILIAN KERATIN SHAMP 250ML", "r": "220086448"}, {"b": "5902853008378", "n": "MARION BRAZILIAN KERATIN MASK 250ML", "r": "220080837"}, {"b": "5902853008361", "n": "MARION BRAZILIAN KERATIN COND 250ML", "r": "220075054"}, {"b": "5902853013525", "n": "MARION ACTIVE CHARCOAL MICELLAR WIPES", "r": "220194010"}, {"b": "5902853013464", "n": "MARION ACTIVE CHARCOAL MICELLAR GEL", "r": "220066607"}, {"b": "5902853013471", "n": "MARION ACTIVE CHARCOAL FACIAL SCRUB", "r": "220073998"}, {"b": "853029002537", "n": "MARITZ AFRICAN MANGO 1200 60CAP", "r": "220065948"}, {"b": "8410885083135", "n": "MARNYS ARTROHELP FORTE FOR JNTS FOOD SUP 200ML", "r": "220222171"}, {"b": "8410885084187", "n": "MARNYS BEAUTY IN  OUT ELIXIR FOOD SUP 14X25ML", "r": "220229533"}, {"b": "8410885075611", "n": "MARNYS GINJAL 2000 FOOD SUP 200ML", "r": "220195089"}, {"b": "8410885080691", "n": "MARNYS PROPOLVIT DEFENS FOOR SUP 200ML", "r": "220195003"}, {"b": "8410885081025", "n": "MARNYS GINSENG 1000MG WLECITHN 30CAP", "r": "220195559"}, {"b": "8410885081735", "n": "MARNYS ROYAL PROVITE 5000 FOOD SUP 220ML", "r": "220193977"}, {"b": "8410885082558", "n": "MARNYS EXOTIQUE FOOD SUP 220ML", "r": "220194597"}, {"b": "8410885081711", "n": "MARNYS MEMORY PLUS FOOD SUP 200ML", "r": "220194870"}, {"b": "8410885080660", "n": "MARNYS PROPOLIS 1000MG WECHINACEA 30CAP", "r": "220164515"}, {"b": "8410885089793", "n": "MARNYS VIT C 1000LIPOSOMAL VIALS 20S", "r": "220196291"}, {"b": "8410885072818", "n": "MARNYS BEAUTY IN  OUT 30 CAP", "r": "220079241"}, {"b": "8410885074669", "n": "MARNYS ROYAL JELLY CAP 90S", "r": "220152875"}, {"b": "8410885080028", "n": "MARNYS MEGA 2000 DRINKABLE VIALS ROYAL JELLY 20X10ML", "r": "220152531"}, {"b": "8410885080042", "n": "MARNYS PROTECT JUNIOR 20X10ML", "r": "220152384"}, {"b": "8410885077752", "n": "VMARNYS OMEGA JUNIOR 36 125ML SYRUP", "r": "220077239"}, {"b": "8410885071958", "n": "MARNYS ACTIVATED CHARCOAL 60S", "r": "220230739"}, {"b": "8410885071637", "n": "MARNYS CASTOR OIL W VITAMIN E CAPSULES 60S", "r": "220216665"}, {"b": "8410885083593", "n": "MARNYS PROPOLTOS SPRAY 30ML", "r": "220169269"}, {"b": "8410885080073", "n": "MARNYS MARVIT DROPS 30ML", "r": "220167347"}, {"b": "8410885082589", "n": "MARNYS JUNIOR WITH ROYAL JELLY 125ML", "r": "220152617"}, {"b": "8410885071217", "n": "MARNYS PROPOLSAFT COUGH SYRUP 125ML", "r": "220225392"}, {"b": "8410885072559", "n": "MARNYS VISION HELP 30 CAPS", "r": "220218118"}, {"b": "8410885077820", "n": "MARNYS OMEGA 3 125ML SYRUP", "r": "220225464"}, {"b": "8410885081681", "n": "MARNYS CALHELP FOOD SUP 30CAP", "r": "220158526"}, {"b": "6297000761923", "n": "MARSSAI HAND SANITIZER BLOSSOM 100ML", "r": "220196356"}, {"b": "6297000761992", "n": "MARSSAI HAND SANITIZER PATCHOULI 500ML", "r": "220194919"}, {"b": "6297000761886", "n": "MARSSAI HAND SANITIZER PATCHOULI 200ML", "r": "220194647"}, {"b": "6297000761930", "n": "MARSSAI HAND SANITIZER PATCHOULI 100ML", "r": "220193883"}, {"b": "6297000761879", "n": "MARSSAI HAND SANITIZER LIGHTLY SCENTED 200ML", "r": "220194687"}, {"b": "6297000761961", "n": "MARSSAI HAND SANITIZER LIGHTLY SCENTED 100 ML", "r": "220195779"}, {"b": "6297000761954", "n": "MARSSAI HAND SANITIZER HYPO POWDER 100ML", "r": "220194671"}, {"b": "6297000965000", "n": "MARSSAI HAND SANITIZER GOLD 500ML", "r": "220194111"}, {"b": "6297000761893", "n": "MARSSAI HAND SANITIZER GOLD 200ML", "r": "220195670"}, {"b": "6297000761947", "n": "MARSSAI HAND SANITIZER GOLD 100ML", "r": "220194341"}, {"b": "8437000435402", "n": "MD VITAL AGE CRM DRY  VERY DRY SKIN 50ML", "r": "220202773"}, {"b": "8437000435860", "n": "MD SOLUCION MICELAR LIMPIADORA 300ML", "r": "220064853"}, {"b": "8437000435709", "n": "MD PURIFYNG GEL 200ML", "r": "220070302"}, {"b": "8437000435297", "n": "MD PURE MASK 75ML", "r": "220066595"}, {"b": "8437000435150", "n": "MD PROTEOGLICANOS FPS 10AMP", "r": "220074117"}, {"b": "8437015942360", "n": "MD PLATINUM EYE CORRECT 2X10ML", "r": "220090032"}, {"b": "8437015942278", "n": "MD PIGMENT ZERO DSLBRIGHT 30AMP", "r": "220072377"}, {"b": "8437000435372", "n": "MD PHOTO AGE 10AMP", "r": "220052557"}, {"b": "8437019178062", "n": "MD ORIGINAL PROTEOS SPF50 FLUID 40ML", "r": "220202628"}, {"b": "8437000435587", "n": "MD NIGHT RENEW 10 AMP", "r": "220077755"}, {"b": "8437015460369", "n": "MD MOISTURIZING THERMAL WATER 150ML", "r": "220202375"}, {"b": "8437000435389", "n": "MD KRONOAGE SERUM 30ML", "r": "220195600"}, {"b": "8437015942759", "n": "MD FLASH SERUM 30ML", "r": "220193981"}, {"b": "8437000435600", "n": "MD FLASH 5AMP", "r": "220067542"}, {"b": "8437000435471", "n": "MD EXPRESSION GEL 15ML", "r": "220196219"}, {"b": "8437000435563", "n": "MD DSP SERUM ILLUMINADOR 30ML", "r": "220072856"}, {"b": "8437000435556", "n": "MD DSP CREMA RENOVACION 40ML", "r": "220082491"}, {"b": "8437000435129", "n": "MD DSP CREMA FPS50 40ML", "r": "220064379"}, {"b": "8437015942407", "n": "MD DRIOSEC DERMOPROTECT ROLLON 50ML", "r": "220203167"}, {"b": "8437015942094", "n": "MD CHAMPU ANTICAIDA ANTIAGING 200ML", "r": "220054995"}, {"b": "8437015942315", "n": "MD BLK DIAMOND SKIN COMPLEX 30AMP", "r": "220069824"}, {"b": "8437000435839", "n": "MD BLACK DIAMOND SKIN COMPLX 10AMP", "r": "220079674"}, {"b": "8437015942322", "n": "MD BLACK DIAMOND PROTEUM SRM 30ML", "r": "220070672"}, {"b": "8437015942308", "n": "MD BLACK DIAMOND EPIG 145 SLPNG CRM 50ML", "r": "220059902"}, {"b": "8437015942292", "n": "MD BLACK DIAMOND EPIG 145 CRM 50ML", "r": "220088828"}, {"b": "8437015942148", "n": "MD ARNIKA GEL CREAM FPS30 50ML", "r": "220195115"}, {"b": "8437015942100", "n": "MD ANTISEBUM ANTI HAIRLOSS SHAMP 200ML", "r": "220052576"}, {"b": "8437015942117", "n": "MD ANTI HAIRLOSS LOT 100ML", "r": "220077021"}, {"b": "8437015942087", "n": "MD AMPOLLAS ANTICAIDA 28AMP", "r": "220074136"}, {"b": "8437000435716", "n": "MD ACTIVE CREMIGEL 40ML", "r": "220080994"}, {"b": "8437015942704", "n": "MD ACNIOVER STICK CORCTR", "r": "220174793"}, {"b": "8437015942728", "n": "MD ACNIOVER SERUM 30ML", "r": "220173805"}, {"b": "965016000051", "n": "MARVELON TABLETS 21S", "r": "220160424"}, {"b": "8023496010973", "n": "MARVIT C IMMUNE ENHANCER EFFER 12S", "r": "220206790"}, {"b": "8053303260109", "n": "MAKESKIN REGENERATING CREAM 3X10ML", "r": "220212231"}, {"b": "22796170514", "n": "V MAUI M NOURSH MOISTURE COCO MLK SHAMP 385ML", "r": "220061732"}, {"b": "22796170521", "n": "V MAUI M NOURSH MOISTURE COCO MLK COND 385ML", "r": "220077591"}, {"b": "22796170026", "n": "V MAUI M CURL QUENCH COCONUT OIL COND 385ML", "r": "220069825"}, {"b": "22796170613", "n": "MAUI MOIST THICKEN  RESTORE  BAMBO FIBER SHAMP 385ML", "r": "220227826"}, {"b": "22796170620", "n": "MAUI MOIST THICKEN  RESTORE  BAMBO FIBER COND 385ML", "r": "220231271"}, {"b": "22796170316", "n": "MAUI MOIST STRENGTH  ANTI BREAK  AGAVE SHAMP 385ML", "r": "220223603"}, {"b": "22796170125", "n": "MAUI MOIST HEAL HYDRATE SHEA BTR COND 385ML", "r": "220227302"}, {"b": "22796170118", "n": "MAUI MOIST HEAL  HYDRATE  SHEA BUTTER SHAMP 385ML", "r": "220226960"}, {"b": "22796170019", "n": "MAUI MOIST CURL QUENCH  COCONUT OIL SHAMP 385ML", "r": "220221034"}, {"b": "22796180346", "n": "V MAUI M STRENGTH ANTIBREAKAGE AGAVE HAIR MASK 12OZ", "r": "220051938"}, {"b": "22796180216", "n": "V MAUI M SMOOTH REPAIR VANILA BEAN SHAMP 385ML", "r": "220084660"}, {"b": "7618900909090", "n": "MAVALA RIDGE FILLER 10ML", "r": "220226796"}, {"b": "7618900912205", "n": "MAVALA NAIL POLISH REMOVER PINK 100ML", "r": "220218819"}, {"b": "7618900905696", "n": "MAVALA NAIL ACTAN TUBE BOXED 15ML", "r": "220230051"}, {"b": "7618900917019", "n": "MAVALA MAVAPEN CUTICLE OIL 45ML", "r": "220216385"}, {"b": "7618900918092", "n": "MAVALA MAVADRY 10ML", "r": "220233441"}, {"b": "7618900915091", "n": "MAVALA CUTICLE REMOVER 10ML", "r": "220233537"}, {"b": "7618900914506", "n": "MAVALA CUTICLE OIL 10ML", "r": "220228519"}, {"b": "7618900914094", "n": "MAVALA CUTICLE CREAM 15ML", "r": "220234176"}, {"b": "7618900534018", "n": "MAVALA VITALITY DAY CREAM 45ML", "r": "220223135"}, {"b": "7618900535015", "n": "MAVALA SV SLEEPING MASK 65ML", "r": "220231117"}, {"b": "7618900536609", "n": "MAVALA SV ALPINE MICROMIST 50ML", "r": "220211222"}, {"b": "7618900533011", "n": "MAVALA S V HEALTHY GLOW SERUM 30ML", "r": "220226918"}, {"b": "7618900540019", "n": "MAVALA PD PERFECTING PURIFYING MASK 65ML", "r": "220231193"}, {"b": "7618900539013", "n": "MAVALA PD PERFECTING HYDRAMATT FLUID 45ML", "r": "220224846"}, {"b": "7618900542013", "n": "MAVALA PD PERFECTING FOAM CLEANSER 165ML", "r": "220236392"}, {"b": "7618900585010", "n": "MAVALA CC CLEANSING MILK 200ML", "r": "220229346"}, {"b": "7618900525016", "n": "MAVALA CC ALPINE MICELLAR WATER 200ML", "r": "220216800"}, {"b": "7618900523012", "n": "MAVALA AQUA PLUS SLEEPING MASK 75ML", "r": "220228462"}, {"b": "7618900521018", "n": "MAVALA AP MULTI MOISTURIZING SERUM 30ML", "r": "220226934"}, {"b": "7618900522015", "n": "MAVALA AP MULTI M FEATHERLIGHT CREAM 45ML", "r": "220234965"}, {"b": "7618900901018", "n": "V MAVALA MAVADERMA 10ML", "r": "220056819"}, {"b": "7618900900097", "n": "MAVALA SCIENTIFIC NAIL HARDENER 5ML", "r": "220217099"}, {"b": "7618900908093", "n": "MAVALA NAIL SHIELD 2X10ML", "r": "220222855"}, {"b": "7618900916265", "n": "MAVALA NAIL POLISH REMOVER PADS 30PCS", "r": "220235794"}, {"b": "7618900911208", "n": "MAVALA NAIL POLISH REMOVER BLUE100ML", "r": "220221640"}, {"b": "7618900916609", "n": "MAVALA NAIL DRY SPRAY 150ML", "r": "220217584"}, {"b": "7618900990012", "n": "MAVALA MAVASTRONG 10ML", "r": "220218810"}, {"b": "7618900931015", "n": "MAVALA DOUBLE LASH SERUM 10ML", "r": "220223581"}, {"b": "7618900904095", "n": "MAVALA BARRIER BASE COAT 10ML", "r": "220234723"}, {"b": "7618900902091", "n": "MAVALA PROTECTIVE BASE COAT 10ML", "r": "220222528"}, {"b": "7618900934207", "n": "MAVALA EYE MAKE UP REMVR PADS 75S", "r": "220234689"}, {"b": "7618900907096", "n": "MAVALA COLORFIX FOR NAIL POLISH 10ML", "r": "220218697"}, {"b": "7618900903012", "n": "MAVALA STOP 10ML", "r": "220054244"}, {"b": "7618900780095", "n": "V MAVALA REVITALIZING EMUL TIRED LEGS 75ML", "r": "220174512"}, {"b": "7618900778092", "n": "V MAVALA COND MOIST FOR FEET 75ML", "r": "220178897"}, {"b": "7618900777095", "n": "MAVALA SMOOTHING SCRUB CREAM FOR FEET 75ML", "r": "220219767"}, {"b": "7618900779013", "n": "MAVALA HYDROREPAIRING FOOT CARE 50ML", "r": "220223991"}, {"b": "7618900770096", "n": "MAVALA DEODORIZNG FOOT GEL 75ML", "r": "220223762"}, {"b": "705105210803", "n": "MAX PU TRANSP ADH WOUND DRESING WP 1015 30S", "r": "220159690"}, {"b": "705105210704", "n": "MAX PU TRANSP ADH WOUND DRESING WP 1010 30S", "r": "220157530"}, {"b": "705105208503", "n": "MAX ADH WOUND DRESING 1015 50S", "r": "220153710"}, {"b": "705105207407", "n": "MAX STERILE GAUZE SWAB 8PLY 7575 100S", "r": "220155429"}, {"b": "705105210605", "n": "MAX PU TRANSP ADH WOUND DRESING WP 68 30S", "r": "220158770"}, {"b": "705105208305", "n": "MAX ADH WOUND DRESING 610 50S", "r": "220152238"}, {"b": "705105207308", "n": "MAX STERILE GAUZE SWAB 8PLY 55 100S", "r": "220160833"}, {"b": "705105210506", "n": "MAX PU TRANSP ADH WOUND DRESING WP 57 30S", "r": "220161371"}, {"b": "705105231907", "n": "MAX STERILE TONGUE DEPRESSOR 100S", "r": "220155936"}, {"b": "705105207902", "n": "MAX ZINC OXIDE TAPE 75CMX5Y", "r": "220153262"}, {"b": "705105230306", "n": "MAX ELASTIC FORCE BNDG125CMX45M", "r": "220158359"}, {"b": "705105230207", "n": "MAX ELASTIC FORCE BNDG10CMX45CM", "r": "220154513"}, {"b": "705105207803", "n": "MAX ZINC OXIDE TAPE 5CMX5Y", "r": "220162716"}, {"b": "705105230108", "n": "MAX ELASTIC FORCE BNDG75CMX45M", "r": "220152229"}, {"b": "705105231204", "n": "MAX COTTON CREPE BNDG10CMX45M", "r": "220155935"}, {"b": "705105230009", "n": "MAX ELASTIC FORCE BNDG5CMX45M", "r": "220155589"}, {"b": "705105207704", "n": "MAX ZINC OXIDE TAPE 25CMX5Y", "r": "220155115"}, {"b": "705105207605", "n": "MAX ZINC OXIDE TAPE 125CMX5Y", "r": "220155236"}, {"b": "705105233505", "n": "MAX SYRINGES INSULIN 1ML 100PCSBOX", "r": "220155396"}, {"b": "705105232607", "n": "MAX SYRINGES 5ML 100PCSBOX", "r": "220152440"}, {"b": "705105232508", "n": "MAX SYRINGES 3ML 100PCSBOX", "r": "220152629"}, {"b": "705105224909", "n": "MAX VINYL GLOVE POWDERED LARGE", "r": "220159691"}, {"b": "705105207506", "n": "MAX STERILE GAUZE SWAB 8PLY 10X10 100S", "r": "220166373"}, {"b": "705105211008", "n": "MAX PBT CONFIRMING BANDAGE 3", "r": "220156834"}, {"b": "705105210902", "n": "MAX PBT CONFIRMING BANDAGE 2", "r": "220155238"}, {"b": "705105211107", "n": "MAX PBT CONFIRMING BANDAGE 1", "r": "220158441"}, {"b": "705105211404", "n": "MAX LATEX POWDERED GLOVE LARGE", "r": "220160660"}, {"b": "705105208206", "n": "MAX ADH WOUND DRESING 67 100S", "r": "220231161"}, {"b": "705105208404", "n": "MAX ADH WOUND DRESING 1010 50S", "r": "220163746"}, {"b": "897027000010", "n": "MAX RX MAX VITALITY FOR MEN 60CAP", "r": "220069495"}, {"b": "965013700534", "n": "MAXALT TABS 10MG 2S", "r": "220166527"}, {"b": "8902411114029", "n": "MAXIGESIC TABS 32S", "r": "220157649"}, {"b": "8595011140941", "n": "MAXIMUNE VITAMIN C 1000 MG  ZINC 50 MG", "r": "220205247"}, {"b": "7613421050054", "n": "MAXITROL EYE OINTMENT 35GM", "r": "220171489"}, {"b": "5413895006302", "n": "MAXITROL EYE DROPS 5ML", "r": "220231752"}, {"b": "9650146000672", "n": "MEBO OINTMENT 75GM", "r": "220168794"}, {"b": "6291100086894", "n": "MEBO SCAR OINTMENT 30G", "r": "220236371"}, {"b": "6291100082711", "n": "MEBO OINTMENT 30GM", "r": "220218293"}, {"b": "6291100083367", "n": "MEBO OINTMENT 15GM", "r": "220233098"}, {"b": "6291100087464", "n": "MEBO WOUND DRESS 60 X120MM 5S", "r": "220182510"}, {"b": "9650146000726", "n": "MEBO WOUND DRESS 40 X60 MM 5S", "r": "220170456"}, {"b": "9650146000719", "n": "MEBO WOUND DRESS 40 X100MM 5S", "r": "220167824"}, {"b": "965014600007", "n": "MEBO SCAR LOTION 30GM", "r": "220167735"}, {"b": "6298198535105", "n": "MED STAR CE U TRVLNG PLW 3510U", "r": "220166766"}, {"b": "6298198535099", "n": "MED STAR CE ROUND TRVLNG PLW 3509R", "r": "220167040"}, {"b": "6291100781560", "n": "MEDACINT GEL", "r": "220158988"}, {"b": "6291100780105", "n": "MEDACINT SOLUTION", "r": "220195077"}, {"b": "5392000080706", "n": "MEDCOLL CAP 60S", "r": "220171109"}, {"b": "7612367005265", "n": "MEDELA PURELAN 100 CRM 35GM", "r": "220171972"}, {"b": "7612367024396", "n": "MEDELA SWING ELECTRIC BREAST PUMP S1945", "r": "220228223"}, {"b": "7612367004428", "n": "MEDELA MINI ELECTRIC BREAST PUMP", "r": "220233308"}, {"b": "7612367004466", "n": "MEDELA MINI ELEC PLUS B PUMP", "r": "220171092"}, {"b": "9650288000073", "n": "MEDI FIRST AID KIT FM30 FULL", "r": "220158109"}, {"b": "705105209609", "n": "MAX SMART FIRST AID KIT FM011", "r": "220152273"}, {"b": "705105224404", "n": "MAX PERSONAL FIRST AID BAG FM060", "r": "220159692"}, {"b": "705105207209", "n": "MEDI GAUZE SWAB 8PLY 4X417THREADE", "r": "220152271"}, {"b": "8411278922826", "n": "ANDROPLUS INTIME LUBRICANT GEL 82 GRAM", "r": "220166101"}, {"b": "705105207100", "n": "MEDI GAUZE SWAB 8PLY 3X317THREADE", "r": "220155639"}, {"b": "705105226507", "n": "MEDI RUBBING ALCOHOL 200ML", "r": "220153525"}, {"b": "8412308040244", "n": "OPTIFARMPLUS LENS CLEANER TOWELETTES 24PCBOX", "r": "220153784"}, {"b": "705105227306", "n": "MEDIMAX SURGICAL SPIRIT 200ML", "r": "220162132"}, {"b": "70510520700", "n": "MEDI GAUZE SWAB 8PLY 2X2 17THREADE", "r": "220156176"}, {"b": "70510520800", "n": "MEDI SURGICAL FACE MASK 50PCBOX", "r": "220153160"}, {"b": "70510520750", "n": "MEDI STERILE GAUZE SWAB 8PLY 4X4 100PCBOX", "r": "220160150"}, {"b": "70510520740", "n": "MEDI STERILE GAUZE SWAB 8PLY 3X3 100PCBOX", "r": "220160241"}, {"b": "70510520730", "n": "MEDI STERILE GAUZE SWAB 8PLY 100PCBOX", "r": "220158440"}, {"b": "9650288000066", "n": "MEDI GUAZE BANDAGE 45 PACKET12", "r": "220162134"}, {"b": "9650288000059", "n": "MEDI GUAZE BANDAGE 35 PACKET12", "r": "220160244"}, {"b": "9650288000042", "n": "MEDI GUAZE BANDAGE 25 PACKET12", "r": "220155261"}, {"b": "9650288000035", "n": "MEDI GUAZE BANDAGE 15 PACKET12", "r": "220160979"}, {"b": "70510520810", "n": "MEDI DUST FILTER FACE MASK 50PCBOX", "r": "220002492"}, {"b": "9650288000127", "n": "MEDI CAR EMERGENCY KIT", "r": "220162831"}, {"b": "9650288000097", "n": "MAX SPHYGOMANOMETER", "r": "220160552"}, {"b": "705105209708", "n": "MAX SMART FIRST AID KIT FM012", "r": "220155058"}, {"b": "9555002110536", "n": "MEDIC DENT NITRILE GLOVES L", "r": "220194826"}, {"b": "8808819906658", "n": "ELECTRICAL NAIL TRIMMER", "r": "220073065"}, {"b": "5011784030126", "n": "MEDIGEL GEL 15GM", "r": "220218545"}, {"b": "8059602210180", "n": "MEDIREFLUX REFLUX TRTMNT ICE LEMON 20S", "r": "220208858"}, {"b": "51494101889", "n": "MEGAFOOD ZINC 60S", "r": "220211053"}, {"b": "51494103234", "n": "MEGAFOOD MULTI FOR WOMEN TAB 60S 10323", "r": "220213698"}, {"b": "51494103197", "n": "MEGAFOOD MULTI FOR MEN TAB 60S 10319", "r": "220213676"}, {"b": "51494102800", "n": "MEGAFOOD SKIN HAIR  NAILS 60 TABS", "r": "220210986"}, {"b": "5412569000028", "n": "MEGATONE VITAMINS PLUS 30TABS", "r": "220193656"}, {"b": "5412569000042", "n": "MEGATONE VITAMINS JR SYRUP ECHINACEA 180ML", "r": "220193279"}, {"b": "8470003597296", "n": "MELAGYN 200ML", "r": "220075455"}, {"b": "965014300080", "n": "MELIX 5MG TAB 10S", "r": "220155564"}, {"b": "3582910018537", "n": "MELROSOM SYRUP S 100 ML", "r": "220220455"}, {"b": "965014400031", "n": "DONT USE MELROSUM", "r": "220002460"}, {"b": "5011501040520", "n": "EXPORT DEEP HEAT SPRAY 150 ML", "r": "220229421"}, {"b": "5011501040117", "n": "EXPORT DEEP HEAT RUB CREAM 100GM", "r": "220232119"}, {"b": "5011501001620", "n": "MENTHOLATUM BALM JAR 30 GM", "r": "220221259"}, {"b": "5011501015320", "n": "DEEP HEAT PATCH 1S", "r": "220179195"}, {"b": "46688100250", "n": "JOLEN CREAM BLEACH 28G", "r": "220218370"}, {"b": "8935001706724", "n": "MENTOS WHITE SWEETMINT GUM 38GM", "r": "220229206"}, {"b": "8935001721529", "n": "MENTOS WHITE GUM BLISTERS TUTTI FRUTTI", "r": "220050487"}, {"b": "80774594", "n": "MENTOS SQUEEZ STRAWBERY", "r": "220072887"}, {"b": "80964391", "n": "MENTOS SQUEEZ MANGO", "r": "220079256"}, {"b": "80756606", "n": "MENTOS PURE GREEN TEA GUM 56GM", "r": "220229102"}, {"b": "80756590", "n": "MENTOS PURE FRESH MINT GUM 56GM", "r": "220227898"}, {"b": "80756637", "n": "MENTOS PURE FRESH MINT GUM 24GM", "r": "220221161"}, {"b": "80756842", "n": "MENTOS JUICE BLAST GUM 56GM", "r": "220218178"}, {"b": "80756620", "n": "MENTOS BLAST WATERMELON 24GM", "r": "220231588"}, {"b": "80789222", "n": "MENTOS 3D WATERMELON GUM 14S", "r": "220218031"}, {"b": "80792598", "n": "MENTOS 3D STRAWBERRY GUM 14S", "r": "220221762"}, {"b": "80945086", "n": "MENTOS 3D FRESH MINT GUM 14S", "r": "220220963"}, {"b": "4054839059711", "n": "FEMIBION HEALTHY PREGNACY 2 30TABS  30CAPS", "r": "220154835"}, {"b": "4054839059605", "n": "FEMIBION HEALTHY PREGNACY 1 30TABS", "r": "220160420"}, {"b": "8718951263109", "n": "MERIDOL VBALUE PACK TB SOFT 2S", "r": "220232237"}, {"b": "8718951263130", "n": "MERIDOL TOOTHBRUSH SOFT 1S", "r": "220235224"}, {"b": "8718951263581", "n": "MERIDOL MOUTHWASH 400ML", "r": "220224143"}, {"b": "8718951263437", "n": "MERIDOL GNTL WHTE TP 75ML", "r": "220173345"}, {"b": "8718951263321", "n": "MERIDOL FLOURIDE TP 75ML", "r": "220234774"}, {"b": "8718951399594", "n": "MERIDOL PARODONT EXPERT TP 75ML", "r": "220228787"}, {"b": "8718951393875", "n": "MERIDOL PARODONT EXPERT TB SOFT 2S", "r": "220234076"}, {"b": "8718951317574", "n": "MERIDOL MOUTHWASH 100ML", "r": "220235528"}, {"b": "8718951279698", "n": "MERIDOL GUM PROT TB MEDIUM 2S", "r": "220219244"}, {"b": "8718951262959", "n": "MERIDOL GUM PROT TB MEDIUM", "r": "220232271"}, {"b": "7610108059973", "n": "MERIDOL DENTAL FLOSS WAX MINT 40M", "r": "220222232"}, {"b": "5011309191318", "n": "METANIUM NAPPY RASH OINTMENT 30G", "r": "220220375"}, {"b": "5011309904611", "n": "METANIUM SPRAY LOTION 60ML", "r": "220193039"}, {"b": "5011309921618", "n": "METANIUM EVERYDAY OINTMENT 40GM", "r": "220193590"}, {"b": "965013700420", "n": "METHERGIN 0125MG TAB 30S", "r": "220169085"}, {"b": "9650172000158", "n": "METHYCOBAL AMP INJ", "r": "220163165"}, {"b": "965014300065", "n": "METROLAG 500MG TAB 24S", "r": "220171436"}, {"b": "7680402150690", "n": "METROLAG 250MG TAB 20S", "r": "220170505"}, {"b": "965014300066", "n": "METROLAG 125MG SUSP 100ML", "r": "220161249"}, {"b": "6291103732422", "n": "MG21 500MG 30 TABS", "r": "220213942"}, {"b": "6291103732439", "n": "MG21 500MG 60 TABS", "r": "220213726"}, {"b": "5908252679003", "n": "MIA CALNEA PREMIUM FOOT FILE", "r": "220223159"}, {"b": "5903111892128", "n": "MIA CALNEA NORDICARE MEN FOOTFILE", "r": "220232300"}, {"b": "5908252679089", "n": "MIA CALNEA PILERKA FAST BLUE FOOT FILE", "r": "220231562"}, {"b": "5908252679072", "n": "MIA CALNEA PILERKA DAILY PINK FOOT FILE", "r": "220218562"}, {"b": "5908252679027", "n": "MIA CALNEA PILERKA VELVET GREEN FOOT FILE", "r": "220226415"}, {"b": "4048846000590", "n": "MICARDIS PLUS 80125MG TAB 28S", "r": "220223956"}, {"b": "4048846000675", "n": "MICARDIS PLUS 80125MG TAB", "r": "220216272"}, {"b": "9650157000951", "n": "MICARDIS PLUS 80MG  25MG 28S", "r": "220156529"}, {"b": "4048846000651", "n": "MICARDIS PLUS 40125 TAB 28S", "r": "220229696"}, {"b": "4048846000576", "n": "MICARDIS 40MG 28 TABLETS", "r": "220231945"}, {"b": "5016003659300", "n": "MICROLET LANCET 25PCS", "r": "220192999"}, {"b": "8021685010629", "n": "VMIGLIORIN SHAMP COADIUVANTE HAIRLOSS 200ML", "r": "220182689"}, {"b": "8021685011930", "n": "V MIGLIORIN LOT SPRY COADIUVANTE HAIRLOSS 125ML", "r": "220184745"}, {"b": "8021685010636", "n": "MIGLIORIN PHIALS FOR HAIR AMPOULES 10S", "r": "220203444"}, {"b": "8021685011947", "n": "MIGLIORIN HAIR LOSS LOTION SPR 125 ML", "r": "220203355"}, {"b": "8021685011657", "n": "MIGLIORIN ANTI DANDRUFF SHMP 200ML", "r": "220203518"}, {"b": "8021685012364", "n": "MIGLIORIN TRICOX CAPS FOR HAIR 20S", "r": "220183349"}, {"b": "8021685010599", "n": "MIGLIORIN 90 GEL CAPSULES", "r": "220079053"}, {"b": "965018300014", "n": "MIGRANERTON CAP 20S", "r": "220171616"}, {"b": "6214901021048", "n": "MIM HAIR REMOVAL ROLL ON 135G", "r": "220173957"}, {"b": "5287000976022", "n": "MIM HAIR REMOVAL PASTE 245G", "r": "220081106"}, {"b": "3499320010481", "n": "MIRVASO 3MG GEL 30G", "r": "220193203"}, {"b": "3499320007924", "n": "MIRVASO 3MG GEL 10GM", "r": "220164900"}, {"b": "6922946001221", "n": "V MISS SWEET LIP BALM", "r": "220190981"}, {"b": "965013700208", "n": "MIXTARD 30HM PENFIL 5X3ML", "r": "220152999"}, {"b": "965013700352", "n": "MIXTARD 30HM 10ML", "r": "220169226"}, {"b": "4048846000767", "n": "MOBIC TABLETS 15MG 30S", "r": "220233906"}, {"b": "4048846000774", "n": "MOBIC TABLETS 75MG 10S", "r": "220227896"}, {"b": "3499320010436", "n": "LOCERYL 5 NAIL LACQUER", "r": "220195550"}, {"b": "679234052996", "n": "MOMMYS BLISS GRIPE WATER ORIG 2W 120ML", "r": "220175145"}, {"b": "679234054105", "n": "MOMMYS BLISS GRIPE WATER NGHT TIME 1M 120ML", "r": "220174183"}, {"b": "8002660030825", "n": "MONALTI MONTELUKAST 10MG 30TABS", "r": "220174413"}, {"b": "8002660030818", "n": "MONALTI MONTELUKAST 5MG 30TABS", "r": "220172714"}, {"b": "8002660030801", "n": "MONALTI MONTELUKAST 4MG 30TABS", "r": "220179711"}, {"b": "88093821481", "n": "MONOPOLY TRAVEL BAG", "r": "220217479"}, {"b": "83800029884", "n": "V MJ VERY BERRY MASQUE", "r": "220065592"}, {"b": "83800032013", "n": "V MJ GLACIAL CLAY SPA MASK", "r": "220051932"}, {"b": "857432400522", "n": "M S SILKY AROUSAL GEL 15ML", "r": "220062678"}, {"b": "857432400638", "n": "M S MAXXX SIZE GEL 15ML", "r": "220084648"}, {"b": "857432400621", "n": "M S MAXXX POWER GEL 15ML", "r": "220054228"}, {"b": "857432400690", "n": "M S MAXXX DELAY GEL 15ML", "r": "220081689"}, {"b": "857432400553", "n": "M S MAGICAL TIGHTENING GEL 15ML", "r": "220079216"}, {"b": "857432400126", "n": "M S INTIMATE SILKY LUBE VERY BERRY 15ML", "r": "220072366"}, {"b": "857432400188", "n": "M S INTIMATE SILKY LUBE TUTTY FRUITY 15ML", "r": "220077233"}, {"b": "857432400010", "n": "M S INTIMATE SILKY LUBE CHOCO LOCO 15ML", "r": "220079687"}, {"b": "857432400034", "n": "M S INTIMATE SILKY LUBE CARAMEL SCOTCH 15ML", "r": "220073073"}, {"b": "857432400096", "n": "M S INTIMATE SILKY LUBE BERRY BOMB 15ML", "r": "220079048"}, {"b": "857432401123", "n": "M S HOT BODY MASSAGE OIL LEMON MARGARITA 30ML", "r": "220058986"}, {"b": "857432401086", "n": "M S HOT BODY MASSAGE OIL KIWI CRUSH 30ML", "r": "220065842"}, {"b": "857432400997", "n": "M S HOT BODY MASSAGE OIL CHERRY BURST 30ML", "r": "220062864"}, {"b": "88634016055", "n": "MOODMATCHER LUXE TWIST STICK YELLOW", "r": "220218843"}, {"b": "88634016031", "n": "MOODMATCHER LUXE TWIST STICK PINK", "r": "220216148"}, {"b": "88634016024", "n": "MOODMATCHER LUXE TWIST STICK ORANGE", "r": "220231635"}, {"b": "88634016062", "n": "MOODMATCHER LUXE TWIST STICK LIGHT BLUE", "r": "220235163"}, {"b": "88634024012", "n": "MOODMATCHER LUXE SPLIT STICK MAGENTA GOLD", "r": "220224479"}, {"b": "88634024043", "n": "MOODMATCHER LUXE SPLIT STICK LAVNDER LIGHT BLUE", "r": "220233086"}, {"b": "88634024029", "n": "MOODMATCHER LUXE SPLIT STICK GREEN ORANGE", "r": "220223635"}, {"b": "88634082135", "n": "MOODMATCH YOUNG LIPS PLUMPERV 5ML", "r": "220233085"}, {"b": "88634016192", "n": "MOODMATCH TWST STICK WHITE", "r": "220178253"}, {"b": "88634016079", "n": "MOODMATCH TWST STICK PRPLE", "r": "220227208"}, {"b": "88634019063", "n": "MOODMATCH TWST STICK PLTNM", "r": "220173136"}, {"b": "88634019032", "n": "MOODMATCH TWST STICK METALLIC", "r": "220176121"}, {"b": "88634016185", "n": "MOODMATCH TWST STICK MAGENTA", "r": "220177991"}, {"b": "88634016178", "n": "MOODMATCH TWST STICK LAVENDAR", "r": "220176849"}, {"b": "88634019025", "n": "MOODMATCH TWST STICK GLD 24K", "r": "220177276"}, {"b": "88634016086", "n": "MOODMATCH TWST STICK DRK BLUE", "r": "220231679"}, {"b": "88634016093", "n": "MOODMATCH TWST STICK BRWN", "r": "220220014"}, {"b": "88634016109", "n": "MOODMATCH TWST STICK BLACK", "r": "220232503"}, {"b": "88634024067", "n": "MOODMATCH SPLIT PURPLE  SILVER 35", "r": "220216238"}, {"b": "88634024036", "n": "MOODMATCH SPLIT DK BLUE  YELLOW 35", "r": "220220939"}, {"b": "88634009934", "n": "MOODMATCH PEARL LS VIVAVIOUSORANGE 35G", "r": "220221046"}, {"b": "88634009941", "n": "MOODMATCH PEARL LS PASSIONPURPLE 35G", "r": "220227076"}, {"b": "88634009927", "n": "MOODMATCH PEARL LS COOLBLUE 35G", "r": "220234200"}, {"b": "88634009965", "n": "MOODMATCH PEARL LS ATTITUDE BROWN 35G", "r": "220218200"}, {"b": "88634009958", "n": "MOODMATCH PEARL LOVEPINK 35G", "r": "220223798"}, {"b": "88634009910", "n": "MOODMATCH PEARL ENVYGREEN 35G", "r": "220198423"}, {"b": "88634016048", "n": "MOODMATCH LUXE TWIST STICK RED 29G", "r": "220228349"}, {"b": "88634016017", "n": "MOODMATCH LUXE TWIST STICK GREEN 29G", "r": "220234011"}, {"b": "88634018035", "n": "MOODMATCH LIQUID MATTE VRY CHRY", "r": "220220845"}, {"b": "88634018097", "n": "MOODMATCH LIQUID MATTE SCARLT SASS", "r": "220225360"}, {"b": "88634018080", "n": "MOODMATCH LIQUID MATTE RD RUSH", "r": "220223869"}, {"b": "88634018028", "n": "MOODMATCH LIQUID MATTE PNK PASS", "r": "220219396"}, {"b": "88634018059", "n": "MOODMATCH LIQUID MATTE NURLY NUDE", "r": "220224636"}, {"b": "88634018073", "n": "MOODMATCH LIQUID MATTE M MAUV", "r": "220228413"}, {"b": "88634018011", "n": "MOODMATCH LIQUID MATTE LIL LUST", "r": "220222211"}, {"b": "88634018066", "n": "MOODMATCH LIQUID MATTE JUST BLUSH", "r": "220223533"}, {"b": "88634018042", "n": "MOODMATCH LIQUID MATTE COR CRUSH", "r": "220220542"}, {"b": "88634018103", "n": "MOODMATCH LIQUID MATTE BERRY BERET", "r": "220219411"}, {"b": "88634033106", "n": "MOODMATCH LIP LINERS WINE", "r": "220176592"}, {"b": "88634033052", "n": "MOODMATCH LIP LINERS ROSE", "r": "220175813"}, {"b": "88634033083", "n": "MOODMATCH LIP LINERS RD", "r": "220180894"}, {"b": "88634033069", "n": "MOODMATCH LIP LINERS PNK", "r": "220176145"}, {"b": "88634033014", "n": "MOODMATCH LIP LINERS NDE", "r": "220176750"}, {"b": "88634033021", "n": "MOODMATCH LIP LINERS MVE", "r": "220176157"}, {"b": "88634033076", "n": "MOODMATCH LIP LINERS FUCHIA", "r": "220179676"}, {"b": "88634033038", "n": "MOODMATCH LIP LINERS CRL", "r": "220174825"}, {"b": "88634033090", "n": "MOODMATCH LIP LINERS BRRY", "r": "220178502"}, {"b": "88634033045", "n": "MOODMATCH LIP LINERS BLSH", "r": "220181289"}, {"b": "88634013061", "n": "MOODMATCH LAQUER GLOSSES VIVA VIOLET", "r": "220178389"}, {"b": "88634013030", "n": "MOODMATCH LAQUER GLOSSES TAUPE TEMPT", "r": "220180256"}, {"b": "88634013023", "n": "MOODMATCH LAQUER GLOSSES SHEER INFAT", "r": "220177801"}, {"b": "88634013092", "n": "MOODMATCH LAQUER GLOSSES RUBY GLM", "r": "220174205"}, {"b": "88634013108", "n": "MOODMATCH LAQUER GLOSSES ROUGE DESIRE", "r": "220173197"}, {"b": "88634013085", "n": "MOODMATCH LAQUER GLOSSES REBEL RD", "r": "220177089"}, {"b": "88634013054", "n": "MOODMATCH LAQUER GLOSSES PNK PERF", "r": "220177364"}, {"b": "88634013078", "n": "MOODMATCH LAQUER GLOSSES FUCHSIA FLRT", "r": "220175164"}, {"b": "88634013047", "n": "MOODMATCH LAQUER GLOSSES CRAL BLISS", "r": "220181101"}, {"b": "88634013016", "n": "MOODMATCH LAQUER GLOSSES BARLY EXPSD", "r": "220181022"}, {"b": "88634012835", "n": "MOODMATCH COOLMINT LIP GLOSS 14GM", "r": "220229488"}, {"b": "88634024050", "n": "FRAN MOODMATCH SPLIT RED LTPINK 35G", "r": "220233973"}, {"b": "8901177101014", "n": "MOOV RAPID RELIEF OINT 100GM", "r": "220220016"}, {"b": "6291106463385", "n": "MOSAFER WEEKLY PILL BOX", "r": "220077779"}, {"b": "6291106469349", "n": "MOSAFER TSA LOCK 3 DIAL COMBI LUG STRAP LOCK", "r": "220080851"}, {"b": "6291106469325", "n": "MOSAFER TRAVEL KEY LOCK", "r": "220063797"}, {"b": "6291106462555", "n": "MOSAFER TRAVEL ADAPTER WITH USB PORT", "r": "220074138"}, {"b": "6291106991642", "n": "MOSAFER TOILET SEAT COVER 5S", "r": "220060054"}, {"b": "6291106992014", "n": "MOSAFER PRAYER MAT ASSORTED", "r": "220088830"}, {"b": "6291106991949", "n": "MOSAFER PORTABLE BIDET 140ML", "r": "220059740"}, {"b": "6291106460421", "n": "MOSAFER PASSPORT WALLET ASSORTED", "r": "220052306"}, {"b": "6291106460322", "n": "MOSAFER MINI TRAVEL IRON BOX", "r": "220071079"}, {"b": "6291106465921", "n": "MOSAFER MICRO BEAD TRAVEL PILLOW", "r": "220081098"}, {"b": "6291106466492", "n": "MOSAFER LONG BLACK ADAPTER", "r": "220085185"}, {"b": "6291106992175", "n": "MOSAFER FOLDABLE  BLUE WATER BOTTLE", "r": "220079707"}, {"b": "6291106991659", "n": "MOSAFER DISP BABY CHANGING MAT", "r": "220065130"}, {"b": "6291106463125", "n": "MOSAFER DIGITAL LUGGAGE SCALE", "r": "220069012"}, {"b": "6291106463361", "n": "MOSAFER DAILY PILL BOX", "r": "220083192"}, {"b": "6291106462494", "n": "MOSAFER BASIC SHOE POUCH", "r": "220110360"}, {"b": "6291106469189", "n": "MOSAFER 3 DIAL COMBINATION TSA LOCK", "r": "220074010"}, {"b": "965013700214", "n": "MOSEGOR 05MG TAB 30S", "r": "220163115"}, {"b": "5018741012027", "n": "MOSIGUARD STICK 40ML", "r": "220075046"}, {"b": "5018741012010", "n": "MOSIGUARD PUMP SPRAY 75ML", "r": "220064382"}, {"b": "5018741012034", "n": "MOSIGUARD PUMP SPRAY EXTRA 75ML", "r": "220067543"}, {"b": "5018741012041", "n": "MOSIGUARD ROLL ON 50ML", "r": "220077574"}, {"b": "8718164113468", "n": "MOSQUITNO INSECT REP FAMLY SPRY100ML", "r": "220184215"}, {"b": "8718164113154", "n": "MOSQUITNO FOR HER INSECT REP 30ML", "r": "220187563"}, {"b": "8718164112805", "n": "MOSQUITNO CITRONELLA STICKERS 30S", "r": "220184565"}, {"b": "8718164112720", "n": "MOSQUITNO CITRONELA BRAC KIDS", "r": "220183062"}, {"b": "8718164112904", "n": "MOSQUITNO SUN CRM SPF30 INS REP 50ML", "r": "220183238"}, {"b": "8718164113529", "n": "MOSQUITNO INS REP WOVEN BRAC", "r": "220182220"}, {"b": "8718164112836", "n": "MOSQUITNO CITRONELLA ANKLE BAND", "r": "220182268"}, {"b": "8718164112737", "n": "MOSQUITNO CITRONELA BRAC ADULT", "r": "220186569"}, {"b": "5060423240037", "n": "MOSQUITO BAND ASSORTED COLORS", "r": "220071629"}, {"b": "965013700356", "n": "MOTILIUM 10MG TABLETS 30S", "r": "220169175"}, {"b": "965013700358", "n": "MOTILIUM SUSPENSION 200ML", "r": "220153000"}, {"b": "25140140623", "n": "MOVICOL PAEDIATRIC PLAIN 30S", "r": "220205760"}, {"b": "965015700083", "n": "MOVICOL POWDER 20S", "r": "220171137"}, {"b": "6291100088133", "n": "MOXAL PLUS TAB 50S", "r": "220162368"}, {"b": "9336798000030", "n": "MOXIE SUPER TAMPONS 16", "r": "220136633"}, {"b": "9336798000207", "n": "MOXIE SLENDERS PANTY LINERS", "r": "220142118"}, {"b": "9336798000214", "n": "MOXIE SLENDERS PADS", "r": "220137898"}, {"b": "9336798000221", "n": "MOXIE SLEEPOVERS OVERNIGHT PADS", "r": "220139633"}, {"b": "9336798000191", "n": "MOXIE SCANTY PANTY LINERS 24S", "r": "220202960"}, {"b": "9336798000023", "n": "MOXIE REGULAR TAMPONS 16", "r": "220140859"}, {"b": "9336798000504", "n": "MOXIE ORGANIC SUPER TAMPONS 16S", "r": "220059450"}, {"b": "9336798000498", "n": "MOXIE ORGANIC REGULAR COTTON TAMPONS 16S", "r": "220075065"}, {"b": "7640144122263", "n": "MOXIFLOXACIN HCL EYE DROP", "r": "129807199"}, {"b": "8357760001031", "n": "V MR TUMEE VITAMIN C 60S", "r": "220160191"}, {"b": "965016900007", "n": "V MR TUMEE MULTI VIT 60S", "r": "220159126"}, {"b": "965016900001", "n": "V MR TUMEE CALCVITD 60", "r": "220160053"}, {"b": "965016900002", "n": "V DONT USE MRTUM VIT C", "r": "220170721"}, {"b": "835776000882", "n": "MRTUMEE GUMMIES OMEGA 3 60S", "r": "220223189"}, {"b": "835776000417", "n": "MRTUMEE GUMMIES MULTIVITAMINS AND MINERALS 60S", "r": "220233966"}, {"b": "835776000202", "n": "MRTUMEE ECHVIT C  ZNC GUMEE 60S", "r": "220220269"}, {"b": "835776001612", "n": "MR TUMEE VITAMIN D GUMMIES 60", "r": "220216150"}, {"b": "835776000066", "n": "MR TUMEE MULTI VIT  MINERAL SF GUMEE 60S", "r": "220221014"}, {"b": "835776001322", "n": "MR TUMEE FIBER GUMMIES 60", "r": "220221424"}, {"b": "6251653220305", "n": "HI DEE 10000 IU SOFT GEL CAP 30S", "r": "220072430"}, {"b": "6295120018293", "n": "MUCINEX TABLETS 16S", "r": "220231238"}, {"b": "6291100080878", "n": "MUCOLYTE SYRUP 100ML", "r": "220234628"}, {"b": "6291100081325", "n": "MUCOLYTE TAB 20S", "r": "220171868"}, {"b": "3664798031614", "n": "MUCOPLEXIL 033MGML SYRUP 100ML", "r": "220202355"}, {"b": "3664798006582", "n": "MUCOSOLVAN SYRUP 250ML", "r": "220180997"}, {"b": "3664798024142", "n": "MUCOSOLVAN SF 30MG5ML SYRUP 100", "r": "220222669"}, {"b": "3582910090311", "n": "MUCOSOLVAN LA 75 MG CAP 10S", "r": "220228685"}, {"b": "3664798006551", "n": "MUCOSOLVAN TAB 30MG 20S", "r": "220233400"}, {"b": "6291100084715", "n": "MUCUM 15MG5ML SYRUP 100ML", "r": "220223714"}, {"b": "767332803425", "n": "MURAD ILLUMINATING DAY MOISTURE SPF 30  PA", "r": "220067061"}, {"b": "767332107967", "n": "MURAD ANTIAGING MOISTURIZER", "r": "220059445"}, {"b": "810011081116", "n": "MUSCLE CORE LCARNITINE 3000MG BERRY 60ML", "r": "220188558"}, {"b": "859795006861", "n": "MUSCLE CORE LCARNITINE 4500 89ML", "r": "220188239"}, {"b": "3504105036768", "n": "MUSTELA HIGH PROTECT SUN LOTION SPF5040ML", "r": "220228766"}, {"b": "3504105033637", "n": "MUSTELA STELATOPIA CLEANSING GEL 200ML", "r": "220228148"}, {"b": "3504105033330", "n": "MUSTELA CICASTELA REPAIRING CREAM 40ML", "r": "220220760"}, {"b": "3504105037864", "n": "MUSTELA CLEANSING WIPES 70S", "r": "220225482"}, {"b": "3504105037871", "n": "MUSTELA CLEANSING WIPES 25S", "r": "220233485"}, {"b": "3504105024802", "n": "MUSTELA VITAMIN BARRIER CREAM 50ML", "r": "220223256"}, {"b": "3504105033521", "n": "MUSTELA STELATOPIA EMOLLIENT CREAM 200ML", "r": "220222318"}, {"b": "3504105028695", "n": "MUSTELA NOURISH CREAM WITH COLD CREAM 40ML", "r": "220217343"}, {"b": "3504105028497", "n": "MUSTELA NO RINSE CLEANSING WATER 300ML", "r": "220224777"}, {"b": "3504105028343", "n": "MUSTELA MULTI SENSORY BUBBLE BATH 200ML", "r": "220156134"}, {"b": "3504105028558", "n": "MUSTELA HYDRA BEBE BODY LOTION 300ML", "r": "220228580"}, {"b": "3504105028305", "n": "MUSTELA HYDRA BABE FACE CREAM 40ML", "r": "220228644"}, {"b": "3504105028442", "n": "MUSTELA GENTLE SHAMPOO 200ML", "r": "220223114"}, {"b": "3504105035778", "n": "MUSTELA GENTLE CLEASING GEL 500ML", "r": "220221007"}, {"b": "3504105034405", "n": "MUSTELA FOAM SHAMPOO FOR NEWBORNS 150ML", "r": "220223766"}, {"b": "3504105028428", "n": "MUSTELA BABY MASSAGE OIL 100ML", "r": "220219899"}, {"b": "3504105028183", "n": "MUSTELA 2 IN1 HAIR AND BODY CLEANING GEL 200ML", "r": "220227823"}, {"b": "3504105032999", "n": "MUSTELA GENTLE SOAP WITH COLD CREAM 100 G", "r": "220198469"}, {"b": "3504105017200", "n": "MUSTELA STELATRIA PURIFY RECOVERY CREAM 40ML", "r": "220220895"}, {"b": "3504105028978", "n": "MUSTELA STELATOPIA EMOLLIENT BALM 200 ML", "r": "220167414"}, {"b": "3504105029012", "n": "MUSTELA STELATOPIA CLEANSING CREAM 200ML", "r": "220228741"}, {"b": "3504105029036", "n": "MUSTELA STELATOPIA BATH OIL 200ML", "r": "220226755"}, {"b": "9650154000015", "n": "MUSTELA NEWBORN FOAM SHAMPOO 150ML", "r": "220296306"}, {"b": "3504105027148", "n": "MUSTELA MUSTI EAU SOIN PARFUME 50ML", "r": "220154775"}, {"b": "3504105027506", "n": "MUSTELA MTERNTY STRTCH MARKS RECOVERY SERUM 75ML", "r": "220222303"}, {"b": "3504105027179", "n": "MUSTELA MATERNITY STRETCH MARKS 3 IN 1 CREAM 150ML", "r": "220224370"}, {"b": "3504105027292", "n": "MUSTELA MATERNITY SOOTHING MOISTURIZING BALM 200ML", "r": "220226130"}, {"b": "3504105027537", "n": "MUSTELA MATERNITY BUST FIRMING SERUM 75ML", "r": "220229970"}, {"b": "3504105027339", "n": "MUSTELA MATERNITY BODY FIRMING GEL 200ML", "r": "220232677"}, {"b": "3504105026523", "n": "MUSTELA HYDRA STICK 10G", "r": "220168936"}, {"b": "3504105030940", "n": "MUSTELA HIGH PROTECT SUN LOTION SPF50 200ML", "r": "220226791"}, {"b": "3504105024390", "n": "MUSTELA HIGH PROTECT SUN LOTION SPF 50 100ML", "r": "220233458"}, {"b": "3504105028404", "n": "MUSTELA BATH OIL 300ML", "r": "220167117"}, {"b": "3504105028626", "n": "MUSTELA BABY CLEANSING MILK 200ML", "r": "220223029"}, {"b": "965016000055", "n": "MYCOSTATIN ORAL SUSP 60ML", "r": "220156803"}, {"b": "7640144122362", "n": "MYDOCALM 150 MG 30 TAB", "r": "220230481"}, {"b": "9650172000165", "n": "MYONAL TAB 30", "r": "220155468"}, {"b": "5202624640005", "n": "MYTHOS OLIVE  WHEAT PROTEIN SHAMPOO 50ML", "r": "220236557"}, {"b": "5202624640029", "n": "MYTHOS OLIVE  ALOEVERA BODYMILK 50ML", "r": "220230197"}, {"b": "5202624640043", "n": "MYTHOS NATURAL MILD SOAP 25 GM", "r": "220218374"}, {"b": "9650364003752", "n": "N95 PROTECTIVE MASK WHITE 10S", "r": "220225976"}, {"b": "9650364003769", "n": "N95 PROTECTIVE MASK BLACK 10S", "r": "220230441"}, {"b": "2115010008514", "n": "NAIL BLISS APPLIQUES", "r": "220079237"}, {"b": "9650364001161", "n": "NAIL FOIL ASSORTED", "r": "220216939"}, {"b": "9120050880078", "n": "NAILDOC REPAIR 5ML", "r": "220074132"}, {"b": "5010724280294", "n": "NAIR LEMON HAIR REMOV SPRAY 200 ML", "r": "220231886"}, {"b": "5010724280300", "n": "NAIR ROSE HAIR REMOV SPRAY 200 ML", "r": "220219781"}, {"b": "5010724280317", "n": "NAIR ROSE HAIR REMOV CRM 110 ML", "r": "220235294"}, {"b": "5010724280324", "n": "NAIR LEMON HAIR REMOV CRM 110 ML", "r": "220235639"}, {"b": "9650364003424", "n": "V NALEE DISPOSABLE FACE MASK 50S", "r": "220195685"}, {"b": "8902265450779", "n": "V NALEE BLACK DISPOSABLE MASK 50S", "r": "220198269"}, {"b": "8902265450777", "n": "V NALEE BLACK DISPOSABLE MASK 40S", "r": "220196602"}, {"b": "6291101684358", "n": "NALEE ACTIVE PLUS HAND SANITIZER 500ML", "r": "220190811"}, {"b": "6291108198094", "n": "NALEE ACTIVE PLUS HAND SANITIZER 125ML", "r": "220191329"}, {"b": "5413895024146", "n": "NAPHCON A EYE DROPS 15ML", "r": "220232667"}, {"b": "965015200127", "n": "NARAMIG 25MG TABS 2S", "r": "220155832"}, {"b": "6297000403687", "n": "NAREEN QO2 WELLNESS 150MG 60TAB", "r": "220070680"}, {"b": "6291100081974", "n": "NASIVIN CHILDREN NASAL DROPS 0025 10ML", "r": "220233985"}, {"b": "6291100081981", "n": "NASIVIN ADULT NASAL DROPS 005 N DROPS 10ML", "r": "220231217"}, {"b": "9650364003103", "n": "NASOMASK SURGICAL MASK 50S", "r": "220192847"}, {"b": "8906111100245", "n": "NASOMASK PDC N95 FACE MASK 1S", "r": "220195194"}, {"b": "9650364003004", "n": "NASOMASK N95 FACE MASK 1S", "r": "220192362"}, {"b": "965013700439", "n": "NASONEX NASAL SPRAY", "r": "220166347"}, {"b": "793573120359", "n": "NASORELIEF PROMOTES NASAL MOISTURE", "r": "220058258"}, {"b": "7891033711284", "n": "V NATIVASPA PITAYA EXFO SUGAR 200G", "r": "220065844"}, {"b": "7891033711307", "n": "V NATIVASPA MADAGASCAR BODY LOT 400ML", "r": "220075573"}, {"b": "7891033711864", "n": "V NATIVASPA AMEIXA MOIST LOT 400ML", "r": "220078491"}, {"b": "7891033711260", "n": "V NATIVASPA AMEIXA EXFO SUGAR 200G", "r": "220066951"}, {"b": "7891033725144", "n": "V NATIVASPA ALM  QUINOA DEO BODY OIL 250ML", "r": "220058988"}, {"b": "7891033276462", "n": "V NATIVASPA ACAI DEO BODY OIL 250ML", "r": "220070843"}, {"b": "7891033722501", "n": "NATIVASPA MADAGASCAR BODY SPLASH VANILA 200ML", "r": "220055760"}, {"b": "7891033711963", "n": "NATIVASPA LIQUID BODY SOAP LITCHI 200ML", "r": "220050963"}, {"b": "7891033743179", "n": "NATIVASPA KARITE DEO BODY OIL 250ML", "r": "220051593"}, {"b": "7891033743278", "n": "NATIVASPA HYDRATING BODY LOT KARITE 400ML", "r": "220082619"}, {"b": "7891033711826", "n": "NATIVASPA FLOR DE AMEIXA PLUM LIQ SOAP 200ML", "r": "220051665"}, {"b": "7891033722464", "n": "NATIVASPA DEO BODY SPLASH PLUM 200ML", "r": "220077766"}, {"b": "7891033720590", "n": "NATIVASPA CAVIAR LOT 400ML", "r": "220082199"}, {"b": "7891033722518", "n": "NATIVASPA CAVIAR BODY SPLASH 200ML", "r": "220065935"}, {"b": "7891033711413", "n": "NATIVASPA AMEIXA PLUM LIQ SOAP 200ML", "r": "220000803"}, {"b": "3594455200025", "n": "NATRILIX SR TABLETS 30S", "r": "220156526"}, {"b": "47469008826", "n": "V NATROL 5HTP MOOD  STRESS 50MG 45CAPS", "r": "220201101"}, {"b": "47469008840", "n": "V NATROL 5HTP MOOD  STRESS 50MG 30CAPS", "r": "220201416"}, {"b": "8699868040147", "n": "GO SILVER DIABETIC SOCKS VARIOUS SIZES AND COLORS", "r": "220161372"}, {"b": "8680782512780", "n": "GO SILVER SPORT SOCKS VARIOUS SIZES AND COLORS", "r": "220152272"}, {"b": "645638525831", "n": "NF VITAL SHIELD ULTRA CAPSULES 60S", "r": "220212038"}, {"b": "645638525824", "n": "NF VITAL SHIELD CHEWABLE TABLETS 60S", "r": "220212257"}, {"b": "645638525800", "n": "NF VITALSHIELD IMMUNE SUPPORT EFF 20S", "r": "220197838"}, {"b": "645638525572", "n": "NF MEGATON GOLD MULTIVIT 100S", "r": "220193289"}, {"b": "645638525787", "n": "NF MEGATON SILVER SUPER MULTIVITAMIN 100 TABS", "r": "220201747"}, {"b": "832621002350", "n": "VIGORMAX PLUS CAPS 60S", "r": "220166836"}, {"b": "645638525374", "n": "MEGATON WOMEN TABS 60S", "r": "220170835"}, {"b": "645638525398", "n": "MEGATON WOMEN 50 TABS 60S", "r": "220169077"}, {"b": "645638525404", "n": "NF HIGH QUALITY OMEGA3 1000MG", "r": "220002655"}, {"b": "645638525411", "n": "NF HIGH POTENCY OMEGA369 1200MG", "r": "220168358"}, {"b": "832621000134", "n": "NF LIBIZIRE LIBIDO ENHANCER 60S", "r": "220170664"}, {"b": "625349019553", "n": "KIDITON MULTIVITAMIN GUMMY 60S", "r": "220165526"}, {"b": "832621000127", "n": "NF VIGORMAX 60S", "r": "220178589"}, {"b": "832621001766", "n": "NF MEGATON TABS  100S", "r": "220173612"}, {"b": "832621002336", "n": "NF LYPOTRIM 90 CAP", "r": "220181606"}, {"b": "645638525428", "n": "NF HIGH QUALITY COQ10 100MG", "r": "220164705"}, {"b": "832621001728", "n": "NF GLOW N GROW SKIN NAIL HAIR 60TAB", "r": "220172387"}, {"b": "645638525671", "n": "NF GLOW N GROW ADVANCE SKHRNL 60S", "r": "220193581"}, {"b": "645638525596", "n": "NF GARCITRIM 60S", "r": "220193609"}, {"b": "645638525381", "n": "MEGATON MEN 50 TABS 60S", "r": "220170836"}, {"b": "74312847509", "n": "NW VITAMIN C TIME RELEASE 500MG 100 CAP", "r": "220172637"}, {"b": "74312805301", "n": "NW TR B  COMPLEXC 100 TAB", "r": "220167374"}, {"b": "699866101572", "n": "NW OMEGA 369 1200MG 120S", "r": "220167487"}, {"b": "74312828409", "n": "NW FOLIC ACID 800MCG 100S", "r": "220172003"}, {"b": "74312814525", "n": "NW FLAXSEED OIL 1000MG 120", "r": "220164699"}, {"b": "74312811500", "n": "NW COD LIVER OIL 100S", "r": "220169331"}, {"b": "74312812613", "n": "NW CE VITC 500MG VITE 400 100S", "r": "220166361"}, {"b": "74312842306", "n": "NW CAL 600  D 60 CAP", "r": "220172403"}, {"b": "74312879616", "n": "NW BIOTIN1000 MCG 100TAB", "r": "220155929"}, {"b": "74312800702", "n": "NW ABC PLUS 100 TAB", "r": "220161625"}, {"b": "5012368090222", "n": "NATWORLD BRAZILIAN KERATIN SMOTTHERAPY SHMPO 500ML", "r": "220085193"}, {"b": "5012368090239", "n": "NATWORLD BRAZILIAN KERATIN SMOTTHERAPY COND 500ML", "r": "220056685"}, {"b": "5012368090024", "n": "NATWORLD ARGAN OIL MOROCO MOISTRICH SHMPO 500ML", "r": "220079058"}, {"b": "5012368090031", "n": "NATWORLD ARGAN OIL MOROCO MOISTRICH CONDITIONER 500ML", "r": "220107799"}, {"b": "5012368091854", "n": "NATUWORLD CHIASEED OIL VOLSHINE SHMPO 500ML", "r": "220054243"}, {"b": "5012368091878", "n": "NATUWORLD CHIASEED OIL VOLSHINE COND 500ML", "r": "220083195"}, {"b": "8436551471181", "n": "NATURALIUM VANILA SHAMPOO 400ML", "r": "220208650"}, {"b": "8436551471082", "n": "NATURALIUM VANILA BODYSHOWER GEL 500ML", "r": "220211025"}, {"b": "8436551470160", "n": "NATURALIUM RASPBERY BODYSHOWER GEL500ML", "r": "220211238"}, {"b": "8436551470832", "n": "NATURALIUM MACADMIA BODYSHOWER GEL500ML", "r": "220211453"}, {"b": "8436551470825", "n": "NATURALIUM MACADAMIA SHAMPOO 400ML", "r": "220211147"}, {"b": "8436551471174", "n": "NATURALIUM LEMON SHAMPOO 400ML", "r": "220210992"}, {"b": "8436551471075", "n": "NATURALIUM LEMON BODYSHOWER GEL 500ML", "r": "220211447"}, {"b": "8436551471167", "n": "NATURALIUM ALMOND  SHAMPOO 400ML", "r": "220211474"}, {"b": "8436551470078", "n": "NAT SHAMPCOND PEACH 400ML", "r": "220051934"}, {"b": "8436551470108", "n": "NAT SHAMPCOND MANGO 400ML", "r": "220067951"}, {"b": "8436551470061", "n": "NAT SHAMPCOND COCO 400ML", "r": "220081094"}, {"b": "8436551470122", "n": "NAT BODY LOTION PEACH 370ML", "r": "220069823"}, {"b": "8436551470153", "n": "NAT BODY LOTION MANGO 370ML", "r": "220078497"}, {"b": "8436551470115", "n": "NAT BODY LOTION COCO 370ML", "r": "220110357"}, {"b": "8436551470023", "n": "NAT BATHSH GEL PEACH 500ML", "r": "220081694"}, {"b": "8436551470054", "n": "NAT BATHSH GEL MANGO 500ML", "r": "220054991"}, {"b": "8436551470016", "n": "NAT BATHSH GEL COCO 500ML", "r": "220071069"}, {"b": "6390902028276", "n": "NEW NB HAND SANITIZER SPRAY", "r": "220191362"}, {"b": "31604137021", "n": "NATURE MADE VITAMIN C 500MG CHEWABLE 60 TABS", "r": "220154673"}, {"b": "31604137090", "n": "NATURE MADE VITAMIN C 1000MG 100 TABS", "r": "220159358"}, {"b": "31604041069", "n": "NATURE MADE VITAMELTS HAIR SKN  NAILS 100TAB", "r": "220157336"}, {"b": "31604137137", "n": "NATURE MADE TRIPLE FLEX 60 TABS", "r": "220231653"}, {"b": "31604027254", "n": "NATURE MADE STRESS BCOMPLEX 75TABS", "r": "220162881"}, {"b": "31604137069", "n": "NATURE MADE MULTI COMPLETE 90 TABS", "r": "220234303"}, {"b": "31604137106", "n": "NATURE MADE KIDS CHEWABLE VIT D 400IU ORANGE 150 TABS", "r": "220002546"}, {"b": "31604137007", "n": "NATURE MADE FOLIC ACID 400MCG 100 TABS", "r": "220162775"}, {"b": "965015500027", "n": "NATURE MADE ESSENTIAL BALANCE 100", "r": "220171149"}, {"b": "31604137168", "n": "NATURE MADE DIGESTIVE HEALTH PROBIOTIC 30 CAPS", "r": "220225447"}, {"b": "31604137113", "n": "NATURE MADE D3 1000IU 100CHEW", "r": "220153587"}, {"b": "31604137045", "n": "NATURE MADE CALC MAGN ZINC 100TABS", "r": "220236452"}, {"b": "31604137076", "n": "NATURE MADE B12 VITAMIN 1000MCG 75TAB", "r": "220152414"}, {"b": "8809554022443", "n": "NATURE WAY VITAMIN C GEL 300ML", "r": "220205932"}, {"b": "8809554022511", "n": "NATURE WAY VITAMIN C GEL 150ML", "r": "220207121"}, {"b": "8809554022467", "n": "NATURE WAY LAVENDER GEL 300ML", "r": "220206655"}, {"b": "8809554022535", "n": "NATURE WAY LAVENDER GEL 150ML", "r": "220207805"}, {"b": "8809554022481", "n": "NATURE WAY COCONUT GEL 300ML", "r": "220206798"}, {"b": "8809554022559", "n": "NATURE WAY COCONUT GEL 150ML", "r": "220206515"}, {"b": "8809554022474", "n": "NATURE WAY ARGAN GEL 300ML", "r": "220205766"}, {"b": "8809554022542", "n": "NATURE WAY ARGAN GEL 150ML", "r": "220205435"}, {"b": "8809554022429", "n": "NATURE WAY ALOE VERA GEL 300ML", "r": "220207637"}, {"b": "8809554022498", "n": "NATURE WAY ALOE VERA GEL 150ML", "r": "220205694"}, {"b": "5023652670907", "n": "NATURES AID MULTIVIT  MINERALS  90TABS", "r": "220208030"}, {"b": "5023652760301", "n": "NATURES AID ZINC PICOLIANTE 15MG 30TABS", "r": "220208764"}, {"b": "5023652316065", "n": "NATURES AID ACTIVE MAN 60 TAB", "r": "220229450"}, {"b": "5023652020900", "n": "NATURES AID KOREAN GINSENG 600MG 90TABS", "r": "220234518"}, {"b": "5023652370098", "n": "NATURES AID COLLAGEN VITC ZINCB 90VCAPS", "r": "220231716"}, {"b": "5023652372061", "n": "NATURES AID 3N1 NAT FORMULA 1000MG 60CAP", "r": "220224559"}, {"b": "5023652382060", "n": "NATURES AID WOMEN HEALTH  VIT 60CAPS", "r": "220225375"}, {"b": "5023652385054", "n": "NATURES AID DHA DROPS INFANTCHILD 50ML", "r": "220208830"}, {"b": "5023652319059", "n": "NATURES AID VITD3 400IU INFANTCHILD 50ML", "r": "220208275"}, {"b": "5023652362055", "n": "NATURES AID MULTIVIT DROPS CHILD 50ML", "r": "220208902"}, {"b": "83000160318", "n": "NATURES ANSWER DERMABRITEGLUTATH 60CAP", "r": "220215431"}, {"b": "83000161582", "n": "NATURES ANSWERCRANBERRY 800MG 90 CAPS", "r": "220211183"}, {"b": "83000164569", "n": "NATURES ANSWER NUTRATRIM MAX 180 CAPS", "r": "220211199"}, {"b": "74312042904", "n": "NB CAL MAG ZINC 100S", "r": "220231529"}, {"b": "74312073731", "n": "NB EVENING PRIMROSE OIL 1000MG 60S", "r": "220220561"}, {"b": "74312029707", "n": "NB GARLIC OIL 1000MG SG CAPS 100S", "r": "220211109"}, {"b": "74312005305", "n": "NB VITAMIN B COMPLEX  C  FOLIC A 100S", "r": "220230905"}, {"b": "74312008160", "n": "NATURES BOUNTY BEAUTIFUL SKIN GUMMIES", "r": "129807145"}, {"b": "74312009549", "n": "NATURES BOUNTY VITAMIN C ZINC GUMMIES", "r": "129807213"}, {"b": "74312504334", "n": "NATURES BOUNTY E 400 IU W SELENIUM 50MG", "r": "129812121"}, {"b": "74312008108", "n": "NB VITAMIN E OIL 30000IU 15ML", "r": "220221401"}, {"b": "74312011108", "n": "NB CHELATED POTASSIUM 100S", "r": "220220534"}, {"b": "74312012600", "n": "NB VIT C 500MG  E 400IU CAPS 50S", "r": "220226388"}, {"b": "74312014031", "n": "NB FOLIC ACID 400 MCG 250 TAB", "r": "220234683"}, {"b": "74312016837", "n": "NB LCARNITINE 500MG TABS 30S", "r": "220217261"}, {"b": "74312020605", "n": "NB ZINC 50 MG 100 CAP", "r": "220236580"}, {"b": "74312038808", "n": "NB VITAMIN C CHEWABLE 500MG TAB 90S", "r": "220233256"}, {"b": "74312154171", "n": "NB TURMERIC 450MG CAP 60S", "r": "220226720"}, {"b": "699866068417", "n": "NB FLEXAMIN TABS 6020S", "r": "220222244"}, {"b": "74312171307", "n": "NB DOUBLE STR FISH OIL 90SG", "r": "220232376"}, {"b": "74312075803", "n": "NB SKIN HAIR  NAILS 60S", "r": "220224573"}, {"b": "74312296192", "n": "NB BIOTIN 5000MCG 150S", "r": "220230871"}, {"b": "74312589133", "n": "VNB QD BIOTIN 5000MCG 60CAP", "r": "220163129"}, {"b": "74312017803", "n": "NB E 1000 IU 60 SOFTGELS", "r": "220172383"}, {"b": "74312194054", "n": "NB FISH OIL 1200 MG  VITAMIN D3 1000 IU 90S", "r": "220172002"}, {"b": "74312017704", "n": "VNB VIT E400 IU SG CAPS 100S", "r": "220171462"}, {"b": "74312036392", "n": "NB EVENING PRIMROSE OIL 500MG 100S", "r": "220165014"}, {"b": "74312038303", "n": "NB EPA FISH OIL 1000MG 50 SOFTGELS", "r": "220172202"}, {"b": "74312042201", "n": "NB CALCIUM 600 1200MG 60 TAB", "r": "220165450"}, {"b": "74312001246", "n": "NB CAL 600  D 60 TABLETS", "r": "220165724"}, {"b": "74312044618", "n": "NB SALMON OIL 120 SOFTGELS", "r": "220170079"}, {"b": "699866068448", "n": "NB FLEXAMIN TABS 12040S", "r": "220165165"}, {"b": "74312111761", "n": "NB HAEMOFER 28MG 30S", "r": "220170352"}, {"b": "699866148461", "n": "NB FLEXAMIN TRPL STG 80 TABS", "r": "220169829"}, {"b": "74312021398", "n": "NB Q10 50MG", "r": "220167645"}, {"b": "74312019470", "n": "NB MILK THISTLE 1000 MG 50S", "r": "220166719"}, {"b": "74312055355", "n": "NB MAGNESIUM 500MG 100S", "r": "220223442"}, {"b": "74312515477", "n": "NB DUAL SPECTRUM CRANBERRY PLUS HIBISCUS SG 60S", "r": "220172140"}, {"b": "74312034824", "n": "NB LUTEIN 6MG 50S", "r": "220168636"}, {"b": "74312156052", "n": "N BOUNTY D3 1000IU 120 GEL", "r": "220234108"}, {"b": "74312512391", "n": "NB KRILL OIL 500 MG 30S", "r": "220199487"}, {"b": "74312553936", "n": "NB VIT C  ZINC QUICK DISSOLVE TAB 60S", "r": "220217922"}, {"b": "74312211010", "n": "NB WOMENS MULTI 45 90 TAB", "r": "220163295"}, {"b": "74312011405", "n": "NB VITAMIN D3 400 IU 100S", "r": "220216225"}, {"b": "74312193774", "n": "NB VIT D3 5000IU 100S", "r": "220223625"}, {"b": "74312017278", "n": "NB THERAVIM  M 30 TABLETS", "r": "220171325"}, {"b": "74312018503", "n": "NB Q10 120MG", "r": "220165452"}, {"b": "74312037009", "n": "NB PRENATAL VIT TAB 100S", "r": "220218572"}, {"b": "74312186783", "n": "NB MINI FISH OIL 90SG", "r": "220230298"}, {"b": "74312276699", "n": "NB MENS MULTI 45 90 TAB", "r": "220172393"}, {"b": "74312357107", "n": "NB HAIR SKIN NAILS  BIOTIN 5000MCG 150S", "r": "220220015"}, {"b": "74312527104", "n": "NB GREEN COFFEE BEAN 1500MG 60S", "r": "220223440"}, {"b": "74312119323", "n": "NB GINSENG COMPLEX WITH ROYAL JELLY CAP 75S", "r": "220219291"}, {"b": "74312051456", "n": "NB GINGER ROOT 550 MG CAP 100S", "r": "220219216"}, {"b": "74312533242", "n": "NB GARCINIA  COCONUT OIL SOFT GEL 60S", "r": "220232454"}, {"b": "74312761089", "n": "NB DIGEST HB 60S", "r": "220166875"}, {"b": "74312766763", "n": "NB DAILY MV ADULT 50 80CAPLETS", "r": "220160513"}, {"b": "74312137945", "n": "NB CRANBERRY WITH VITC 60S", "r": "220217807"}, {"b": "74312063909", "n": "NB CHROMIUM PICOLINATE 200MCG 100S", "r": "220161755"}, {"b": "74312027604", "n": "NB BIOTIN 300MCG 100TAB", "r": "220171294"}, {"b": "6009663566964", "n": "NC WHIMSICAL CHERRY HD SOAP 259ML", "r": "220203011"}, {"b": "6009663565875", "n": "NC SOFT VANILLA SHIM BODY MIST 236ML", "r": "220224932"}, {"b": "6009663565929", "n": "NC SOFT VANILA KISS HD SOAP 259ML", "r": "220196598"}, {"b": "6009663566315", "n": "NC RASPBERRY VANILA HD SOAP 259ML", "r": "220202777"}, {"b": "6009663566261", "n": "NC RASBERRY VAN SHIM BODY MIST 236ML", "r": "220230042"}, {"b": "600966356575", "n": "NC LUCIUS LIPS HAND SOAP 259ML", "r": "220196838"}, {"b": "6009663566704", "n": "NC HEAVENLY POMEGRANATE HD SOAP 259ML", "r": "220203304"}, {"b": "6009663566445", "n": "NC CCONUT LIME HAND SOAP 259ML", "r": "220196477"}, {"b": "6009663566919", "n": "NATURE C WHIMSICAL CHERRY SHIM BODY MIST 236ML", "r": "220050962"}, {"b": "6009663566971", "n": "NATURE C WHIMSICAL CHERRY HAND GEL", "r": "220174411"}, {"b": "6009663565936", "n": "NATURE C SOFT VANILLA KISS HAND GEL", "r": "220087673"}, {"b": "6009663566063", "n": "NATURE C SIMPLY SEDUCTIVE HAND GEL", "r": "220173619"}, {"b": "6009663566322", "n": "NATURE C RASPBERRY HAND GEL 59ML", "r": "220235862"}, {"b": "6009663567497", "n": "NATURE C MIDNIGHT ENVY HAND GEL 29ML", "r": "220228312"}, {"b": "6009663567091", "n": "NATURE C MANGO HAND WASH 259 ML", "r": "220221875"}, {"b": "6009663567107", "n": "NATURE C MANGO CITRUS HAND GEL 59ML", "r": "220228655"}, {"b": "6009663567626", "n": "NATURE C MADAGASCAN COCONUT LIME HAND GEL", "r": "220179791"}, {"b": "6009663566582", "n": "NATURE C LUSCIOUS LIPS HAND GEL", "r": "220077895"}, {"b": "6009663567237", "n": "NATURE C LOVE SCRAMBLE HAND GEL 29ML", "r": "220232542"}, {"b": "6009663566988", "n": "NATURE C LIP GLOSS WHIMSICAL CHERRY", "r": "220075590"}, {"b": "6009663565943", "n": "NATURE C LIP GLOSS SOFT VANILLA KISS", "r": "220065860"}, {"b": "6009663566339", "n": "NATURE C LIP GLOSS RASBERRY VANILLA FUSION", "r": "220057256"}, {"b": "6009663567763", "n": "NATURE C LIP GLOSS I LOVE", "r": "220059917"}, {"b": "6009663567114", "n": "NATURE C LIP GLOSS ASSORTED", "r": "220089828"}, {"b": "6009663567695", "n": "NATURE C I LOVE SHIM BODY MIST 236ML", "r": "220075190"}, {"b": "6009663567756", "n": "NATURE C I LOVE HAND GEL 59ML", "r": "220219703"}, {"b": "6009663566711", "n": "NATURE C HEAVENLY POMEGRANATE HAND GEL", "r": "220088921"}, {"b": "6009663566650", "n": "NATURE C HEAVENLY POMEG BODY MIST 236ML", "r": "220074945"}, {"b": "6009663566193", "n": "NATURE C BUTTERFLY FLOWERHAND GEL", "r": "220179058"}, {"b": "6009663567367", "n": "NATURE C AFRICAN SUN HAND GEL", "r": "220072130"}, {"b": "852076002378", "n": "NAT ONLY OPTICARE TAB 30S", "r": "220166972"}, {"b": "852076002361", "n": "NAT ONLY LAFF TAB 30S", "r": "220161935"}, {"b": "97467071087", "n": "V NATURES PLUS ASHWAGANDHA GF 60CAPS", "r": "220201613"}, {"b": "97467820067", "n": "NP KETO LCHF SHAKE VANILA 578GM", "r": "220074011"}, {"b": "97467820074", "n": "NP KETO LCHF SHAKE CHOCO 675GM", "r": "220077593"}, {"b": "33674104866", "n": "NWAY SAMBUCUS ELDERBERY ADULT GUMMY 60S", "r": "220213220"}, {"b": "33674122853", "n": "NWAY SAMBUCUS ELDERBERY KIDS GUMMY 60S", "r": "220212748"}, {"b": "33674159040", "n": "NATURES WAY ALIVE WOMENS 50 GUMMY VITAMIN 60S", "r": "220164017"}, {"b": "33674102558", "n": "NWAY ALIVE CALCIUM GUMMIES 60S PLUS VITAMIN D3", "r": "220158483"}, {"b": "33674159002", "n": "NWAY ALIVE MENS GUMMY VITAMINS 60S", "r": "220164524"}, {"b": "33674159033", "n": "NWAY ALIVE WOMENS GUMMY VITAMINS 60S", "r": "220154423"}, {"b": "33674104835", "n": "NATURES WAY ALIVE B COMPLEX GUMMY 60S", "r": "220152621"}, {"b": "33674104859", "n": "NATURES WAY ALIVE CRANRX GUMMY 60S", "r": "220154144"}, {"b": "33674157886", "n": "NWAY ALIVE GUMMIES 60S MULTIVITAMINS FOR CHILDREN", "r": "220157446"}, {"b": "965016000109", "n": "NEO HEALER SUPP 10S", "r": "220222509"}, {"b": "965016000108", "n": "NEO HEALER OINTMENT 30GM", "r": "220230861"}, {"b": "16185128965", "n": "NEOCELL SUPER COLAGEN  C 250 TB", "r": "220152542"}, {"b": "16185019867", "n": "NEOCELL SUPER COLLAGEN 7 OZ", "r": "220155111"}, {"b": "16185096646", "n": "NEOCELL HYALURONIC ACID 60CAP", "r": "220161155"}, {"b": "16185096653", "n": "NEOCELL BLUEBERRY HA LIQUID 16OZ", "r": "220153233"}, {"b": "16185128958", "n": "NEOCELL SUPER COLLAGEN  C 120TAB", "r": "220155112"}, {"b": "16185128996", "n": "NEOCELL COLLAGEN  C POMEGRANATE 16 OZ", "r": "220157574"}, {"b": "16185129009", "n": "NEOCELL FISH COLLAGEN  HA 120CAP", "r": "220162186"}, {"b": "16185129313", "n": "NEOCELL COLLAGEN BEAUTY BUILDER 150S TABLETS", "r": "220154834"}, {"b": "16185129399", "n": "NEOCELL BEAUTY BURST FRUIT 60CHEW", "r": "220171632"}, {"b": "16185129290", "n": "NEOCELL KERATIN HAIR VOLUMIZER 60S CAPSULES", "r": "220161514"}, {"b": "16185129559", "n": "NEOCELL GLOW MATRIX CAPS 90S", "r": "220162760"}, {"b": "16185129603", "n": "NEOCELL BIOTIN BURSTS CAPS 30S", "r": "220002536"}, {"b": "965014300052", "n": "NEODAY TAB 10S", "r": "220166841"}, {"b": "965014300041", "n": "NEOMOX 500MG CAPS 20S", "r": "220170130"}, {"b": "9650364003653", "n": "NEOPEPTINE LIQUID 60ML", "r": "220208227"}, {"b": "9650364003660", "n": "NEOPEPTINE DROPS 15ML", "r": "220209454"}, {"b": "732013301590", "n": "NEOSTRATA SACTIVE LIFTING SERUM 30ML", "r": "220209893"}, {"b": "732013301484", "n": "NEOSTRATA SACTIVE INTEN EYE THERAPY 15G", "r": "220209953"}, {"b": "732013301569", "n": "NEOSTRATA SACTIVE FIRM NECK CREAM 80G", "r": "220209543"}, {"b": "732013301460", "n": "NEOSTRATA SACTIVE EXFOLIATE WASH 125ML", "r": "220210200"}, {"b": "732013301118", "n": "NEOSTRATA ENLIGHTEN ACID BRIGHTPEEL 50ML", "r": "220210223"}, {"b": "732013250164", "n": "NEOSTRATA ENLIGHT SKIN BRIGHT SPF35 40G", "r": "220210180"}, {"b": "732013302160", "n": "NEOSTRATA ENLIGHT PIGMENT GEL 40G", "r": "220210231"}, {"b": "732013301606", "n": "NEOSTRATA ENLIGHT PIGMENT CONTROLER 50ML", "r": "220209974"}, {"b": "732013301613", "n": "NEOSTRATA ENLIGHT ILUMINATING SERUM 30ML", "r": "220210157"}, {"b": "732013301194", "n": "NEOSTRATA ENLIGHT BIONIC EYE CREAM 15G", "r": "220210005"}, {"b": "732013250171", "n": "NEOSTRATA DEFEND SHEER PROTECT SP50 50ML", "r": "220210107"}, {"b": "732013301019", "n": "NEOSTRATA CORRECT GLYCO MICRO POLISH 75G", "r": "220209651"}, {"b": "732013301040", "n": "NEOSTRATA CORRECT COMPRE EYE CREAM 15ML", "r": "220209549"}, {"b": "732013301651", "n": "NEOSTRATA CORRECT ANTIOXIDANT SERUM 30ML", "r": "220209638"}, {"b": "732013301026", "n": "NEOSTRATA CORRECT 03 NIGHT SERUM 30ML", "r": "220210041"}, {"b": "732013301446", "n": "NEOSTRATA CLARIFY SPOT TRATMENT GEL 15G", "r": "220209752"}, {"b": "732013250218", "n": "NEOSTRATA CLARIFY SHEER HYDRA SPF40 50ML", "r": "220209516"}, {"b": "732013301439", "n": "NEOSTRATA CLARIFY OIL CONTROL SERUM 30ML", "r": "220209658"}, {"b": "732013301033", "n": "NEOSTRATA CLARIFY EXFOLIATING MASK 75ML", "r": "220209765"}, {"b": "732013301422", "n": "NEOSTRATA CLARIFY CLEANSER MADELIC 200ML", "r": "220209604"}, {"b": "732013301323", "n": "NEOSTRATA ULTRA SMOOTHING CREAM/GLYCOLIC RENEWAL SMOOTHING CREAM 40GM", "r": "129807147"}, {"b": "732013301392", "n": "NEOSTRATA REDNESS NEUTRALIZING SERUM 29GM", "r": "129812135"}, {"b": "732013301057", "n": "NEOSTRATA GLYCOLIC RENEWAL SERUM 30ML", "r": "129807171"}, {"b": "732013301385", "n": "NEOSTRATA BIONIC FACE SERUM 30ML", "r": "129807163"}, {"b": "732013301378", "n": "NEOSTRATA BIONIC FACE CREAM 40GM", "r": "129807191"}, {"b": "732013301347", "n": "LAYALA LENSES  CHESTNUT BROWN 2S", "r": "129812122"}, {"b": "732013300104", "n": "NEOSTRATA EXFOLIATING WASH 42 OZ", "r": "220222607"}, {"b": "3499320000178", "n": "NEOXIDIL SOLUTION 60ML", "r": "220223989"}, {"b": "7613037310108", "n": "NESTLE NAN HA2 MILK 400GM", "r": "220194438"}, {"b": "7613037310399", "n": "NESTLE NAN HA1 MILK 400GM", "r": "220194925"}, {"b": "7613036487269", "n": "NESTLE NAN 3 MILK 400GM", "r": "220156476"}, {"b": "7613036848015", "n": "NESTLE NAN 2 MILK 400GM", "r": "220185737"}, {"b": "7613036140638", "n": "NESTLE NAN 1 MILK 400GM", "r": "220159065"}, {"b": "7613031885770", "n": "NESTLE PRE NAN MILK 400GM", "r": "220166072"}, {"b": "7613033495847", "n": "NESTLE NIDINA 1 MILK 400GM", "r": "220172520"}, {"b": "7613034955593", "n": "NESTLE NAN LACTOSE FREE MILK 03 YEARS 400GM", "r": "220165427"}, {"b": "4054839062001", "n": "NEUROBION AMP 6S", "r": "220222305"}, {"b": "4054839062964", "n": "NEUROBION FORTE TABLETS 30S", "r": "220228887"}, {"b": "965016000059", "n": "NEUROBION TABLETS 20S", "r": "220157584"}, {"b": "3705457020003", "n": "NEUROBION INJECTIONS 3ML 3S", "r": "220217155"}, {"b": "7640153080509", "n": "NEURORUBINA FORTE TABLETS 20S", "r": "220220926"}, {"b": "3574661450926", "n": "NEUTROGENA HYDRO BOOST MICELLAR WATER 400ML", "r": "220228844"}, {"b": "3574661591599", "n": "NEUTROGENA BRIGHT BOOST SERUM 30ML", "r": "220346177"}, {"b": "3574661592909", "n": "NEUTROGENA BRIGHT BOOST POLISH 75ML", "r": "220224091"}, {"b": "3574661593807", "n": "NEUTROGENA BRIGHT BOOST GEL SPF30 50ML", "r": "220346209"}, {"b": "3574661591537", "n": "NEUTROGENA BRIGHT BOOST GEL CREAM 50ML", "r": "220234337"}, {"b": "2961542480096", "n": "NUETROGENA FAST ABSORBING HAND CRM 75ML", "r": "220233241"}, {"b": "3754660428889", "n": "NEUTROGENA VC BLACKHEAD SCRUB 150ML", "r": "220153054"}, {"b": "3574661400730", "n": "NEUTROGENA TIMELESS BOOST RECOVERY MASK 30ML", "r": "220219830"}, {"b": "3574661073224", "n": "NEUTROGENA PORE  SHINE  WASH 200ML", "r": "220216161"}, {"b": "3574661034805", "n": "NEUTROGENA PORE  SHINE  SCRUB 150ML", "r": "220224870"}, {"b": "3574660644173", "n": "NEUTROGENA PINK GRAPEFRUIT  DAILY SCRUB 150ML", "r": "220221176"}, {"b": "3574661186009", "n": "NEUTROGENA PINK GRAPE FRUIT WASH 200ML", "r": "220232240"}, {"b": "3574661352541", "n": "NEUTROGENA HYDRO BOOST REFRESH EYE CRM 15ML", "r": "220225323"}, {"b": "3574661398419", "n": "NEUTROGENA HYDRO BOOST RECOVERY MASK 30ML", "r": "220224157"}, {"b": "3574661287256", "n": "NEUTROGENA HYDRO BOOST GEL CREAM 50ML", "r": "220221318"}, {"b": "3574661291413", "n": "NEUTROGENA HYDRO BOOST CLEANSER WIPES 25S", "r": "220217253"}, {"b": "3574661288376", "n": "NEUTROGENA HYDRO BOOST CLEANSER GEL 200ML", "r": "220227572"}, {"b": "3574661400853", "n": "NEUTROGENA FAIRNESS BOOST RECOVERY MASK 30ML", "r": "220220005"}, {"b": "3574661560489", "n": "NEUTROGENA DEEP CLEAN MAKEUP REMOVER WIPE 25S", "r": "220216808"}, {"b": "3574660372526", "n": "NEUTROGENA DEEP CLEAN DAILY SCRUB 150ML", "r": "220220495"}, {"b": "3574660245844", "n": "NEUTROGENA DEEP CLEAN CLEANSER 200ML", "r": "220232078"}, {"b": "3574661332567", "n": "NEUTROGENA CLEARPRO 2IN1 WASHMASK 150ML", "r": "220232494"}, {"b": "3574661333595", "n": "NEUTROGENA CLEAR  PROTECT DAILY WASH 200ML", "r": "220218176"}, {"b": "3574661392417", "n": "NEUTROGENA HYDRO BOOST WHIP BODY BALM 200ML", "r": "220229130"}, {"b": "3574661391458", "n": "NEUTROGENA HYDRO BOOST HYDRATING SPRAY 200ML", "r": "220223774"}, {"b": "3574661391359", "n": "NEUTROGENA HYDRO BOOST BODY GEL CREAM 250ML", "r": "220224841"}, {"b": "3574661476261", "n": "NEUTROGENA CELLULAR BOOST NIGHT CRM 50ML", "r": "220225902"}, {"b": "3574661476216", "n": "NEUTROGENA CELLULAR BOOST DAY CRM SPF 20 50ML", "r": "220220574"}, {"b": "3574660156454", "n": "NEUTROGENA VISIBLY CLEAR MOISTURISER 50ML", "r": "220231848"}, {"b": "965013800001", "n": "NEUTROGENA VCLEAR EXFOL WASH 150ML", "r": "220157968"}, {"b": "965013800002", "n": "NEUTROGENA VCLEAR 2 IN 1 WASH MASK 1", "r": "220166234"}, {"b": "86800687900", "n": "NEUTROGENA USHEER SUNSCREEN SPF55 3OZ", "r": "220231138"}, {"b": "3574661450575", "n": "NEUTROGENA SKIN DETOX MICELLAR WATER 400 ML", "r": "220231831"}, {"b": "3574661430713", "n": "NEUTROGENA SKIN DETOX COOLING SCRUB 150ML", "r": "220230781"}, {"b": "3574661430751", "n": "NEUTROGENA SKIN DETOX CLAY WASH MASK 150ML", "r": "220216556"}, {"b": "3574661400037", "n": "NEUTROGENA PURIFYING BOOST RECOVERY MASK 30ML", "r": "220232013"}, {"b": "3574661287263", "n": "NEUTROGENA HYDRO BOOST WATER GEL 50ML", "r": "220227102"}, {"b": "3574661288338", "n": "NEUTROGENA HYDRO BOOST MICELLAR WATER 200ML", "r": "220229294"}, {"b": "3574661351469", "n": "NEUTROGENA HYDRO BOOST LOTION SPF 25 50ML", "r": "220229202"}, {"b": "3574660297447", "n": "NEUTROGENA HAND CREAM 50ML", "r": "220234354"}, {"b": "3574660372625", "n": "NEUTROGENA DEEP CLEAN 2IN1 WASHMASK 150ML", "r": "220233623"}, {"b": "3574661332611", "n": "NEUTROGENA CLEARPROTECT MOISTURISER 50ML", "r": "220228594"}, {"b": "3574661332529", "n": "NEUTROGENA CLEARPRO SMOOTHING SCRUB 150ML", "r": "220235337"}, {"b": "3574661476308", "n": "NEUTROGENA BOOST EYE REJUVENATNG CREAM 15ML", "r": "220221832"}, {"b": "3574661476377", "n": "NEUTROGENA BOOST ANTI WRINKLE CONCNTRTE 30ML", "r": "220220159"}, {"b": "70501060155", "n": "NEUTROGENA BHEAD ELIM SCRB 125ML", "r": "220234262"}, {"b": "70501060254", "n": "NEUTROGENA BHEAD ELIM ASTRGNT 250ML", "r": "220165706"}, {"b": "3574660479911", "n": "NEUTROGENA 6HR PROTECTIION LIP BALM 15ML", "r": "220234889"}, {"b": "300650002110", "n": "NEVANAC 01 EYE DRP 5 ML", "r": "220161163"}, {"b": "727783900289", "n": "NEW CHAPTER WHOLEMEGA 1000MG 60 SOFT GEL", "r": "220209890"}, {"b": "727783900050", "n": "NEW CHAPTER EVERY MAN MULTI 72S", "r": "220054798"}, {"b": "727783900081", "n": "VNEW CHAPTER EVERY WOMAN MULTI 72S", "r": "220065590"}, {"b": "727783900074", "n": "NEW CHAPTER EVRY WOMN DLY MULTVIT 4072S", "r": "220072364"}, {"b": "727783900067", "n": "NEW CHAPTER EVERYMAN DLY MULTIVIT 4072S", "r": "220053759"}, {"b": "727783900296", "n": "NEW CHAPTER WHOLEMEGA 1000MG 120SG", "r": "220081695"}, {"b": "727783901200", "n": "NEW CHAPTER HAIR SKIN  NAILS 60CAPS", "r": "220073185"}, {"b": "727783902719", "n": "NEW CHAPTER ELDERBERRY POW  HONEY 15S", "r": "220209644"}, {"b": "727783900326", "n": "NEW CHAPTER CINNAMON FORCE LIQ VCAPS 30S", "r": "220210196"}, {"b": "727783900845", "n": "NEW CHAPTER BONE STRENGTH 60S", "r": "220054236"}, {"b": "837654405483", "n": "NEW GEL CLEAR SHEET 127X152CM NG30110", "r": "220161924"}, {"b": "816465020305", "n": "NEW GEL SILICONE GEL  VIT E OINTMENT 15G", "r": "220236096"}, {"b": "4056800759286", "n": "WELLA NEW WAVE VOLUME MOUSSE 200ML", "r": "220235829"}, {"b": "4056800759255", "n": "WELLA NEW WAVE VOLUME HAIR SPRAY 250ML", "r": "220218979"}, {"b": "4056800761760", "n": "WELLA NEW WAVE UTMT EFT STYLN GEL 150ML", "r": "220233146"}, {"b": "4056800700608", "n": "WELLA NEW WAVE ULTR STRG ROK HLD GL150", "r": "220218213"}, {"b": "4056800759477", "n": "WELLA NEW WAVE ULTMT EFCT WONDR GEL 150ML", "r": "220228756"}, {"b": "4056800759316", "n": "WELLA NEW WAVE ULTA STRG PWR HAIR SPRY 250ML", "r": "220223771"}, {"b": "7640127791042", "n": "NEWMED THROAT SPRAY DRY THROAT 30ML", "r": "220171720"}, {"b": "7640127791028", "n": "NEWMED NASAL SPRAY DRY NOSE 20ML", "r": "220231469"}, {"b": "7640127791035", "n": "NEWMED EAR SPRAY EAR HYGIENE 30ML", "r": "220161729"}, {"b": "5902658105623", "n": "NEXCARE HAPPY KIDS DAY PLASTERS 20S", "r": "220230638"}, {"b": "5902658105593", "n": "NEXCARE HAPPY KIDS NGHT PLASTERS 20S", "r": "220180917"}, {"b": "5902658089305", "n": "NEXCARE FINGER PLASTER 10S", "r": "220182034"}, {"b": "4054596879188", "n": "NEXCARE HAPPY KIDS PLASTERS MAGIC 20S", "r": "220231564"}, {"b": "4054596879195", "n": "NEXCARE HAPPY KIDS PLASTERS COOL 20S", "r": "220222536"}, {"b": "4046719516940", "n": "NEXCARE POSTPARTUM SUPPORT MED", "r": "220235565"}, {"b": "6291103653147", "n": "NEXCARE LIQUID BANDAGE SPRAY 18ML", "r": "220220615"}, {"b": "4046719863846", "n": "NEXCARE TEGADERM PAD WP DRESS 9CM15CM 5S", "r": "220222417"}, {"b": "6291103652447", "n": "NEXCARE OPTICLUDE EYE PATCH JUNIOR 20S", "r": "220232815"}, {"b": "6291103652454", "n": "NEXCARE OPTICLUDE EYE PATCH REGULAR SIZE 20S", "r": "220221135"}, {"b": "5902658066320", "n": "NEXCARE REUSABLE COLD HOT THERAPY PACK CLASSIC", "r": "220216011"}, {"b": "6291103652461", "n": "NEXCARE BLOOD STOP BANDAGES ASST 14S", "r": "220221445"}, {"b": "5902658097881", "n": "NEXCARE TOE BLISTER BANDAGE SMALL6S", "r": "220166069"}, {"b": "5902658097850", "n": "NEXCARE HEEL BLISTER BANDAGE 5S", "r": "220221109"}, {"b": "6291103652386", "n": "NEXCARE ACTIVE BANDAGES ASST 44S", "r": "220224871"}, {"b": "51131666863", "n": "NEXCARE ATHLETIC WRAP BROWN 35YDS", "r": "220221768"}, {"b": "51131566514", "n": "NEXCARE ATHLETIC WRAP BLUE 35YDS", "r": "220222754"}, {"b": "51131567863", "n": "NEXCARE ATHLETIC WRAP WHITE 35YDS", "r": "220231102"}, {"b": "51131566521", "n": "NEXCARE ATHLETIC WRAP RED 35YDS", "r": "220231388"}, {"b": "6291103652348", "n": "NEXCARE WATERPROOF BANDAGES 10S", "r": "220167918"}, {"b": "6291103682390", "n": "NEXCARE ACTIVE 360 BANDAGE 60S", "r": "220227876"}, {"b": "4046719863815", "n": "NEXCARE TEGADERM PAD WP DRESS 6CM12CM 5 S", "r": "220222306"}, {"b": "6291103652379", "n": "NEXCARE ACTIVE 360 BANDAGE 30S", "r": "220218718"}, {"b": "5902658105562", "n": "NEXCARE TATTOO BANDAGES ANIMAL 20S", "r": "220169046"}, {"b": "6291103652331", "n": "NEXCARE WATERPROOF BANDAGES ASRTD 44S", "r": "220171100"}, {"b": "6291103652416", "n": "NEXCARE SOFT FLEX COMFRT BANDAGES 30S", "r": "220223426"}, {"b": "6291103652362", "n": "NEXCARE ACTIVE BNDG KNEEELBOW 10S", "r": "220166843"}, {"b": "6291103682406", "n": "NEXCARE SOFT N FLEX 360 BANDAGE 10S", "r": "220222879"}, {"b": "6291103652430", "n": "NEXCARE SOFT AND FLEX 360 COLOR 24S", "r": "220217889"}, {"b": "6291103652355", "n": "NEXCARE WATERPROOF BANDAGE 20S", "r": "220172593"}, {"b": "6291103651112", "n": "NEXCARE SHEER BANDAGES 50S", "r": "220222443"}, {"b": "5902658070297", "n": "NEXCARE DURABLE FABRIC BNDG 30ASS", "r": "220158625"}, {"b": "6291103653062", "n": "NEXCARE TAPE TRANSPORE 25MM5M", "r": "220228973"}, {"b": "5902658092725", "n": "NEXCARE FOOT PROTECTIONTAPE 1IN180IN", "r": "220002634"}, {"b": "4046719863907", "n": "NEXCARE STERI STRIP BANDAGE 8S", "r": "220219972"}, {"b": "6291103653048", "n": "NEXCARE TAPE MICROPORE 25MM5M", "r": "220226648"}, {"b": "5902658074189", "n": "NEXCARE SOFT FLEX BANDAGES", "r": "220164221"}, {"b": "5902658074158", "n": "NEXCARE ACTIVE BNDG CUSHION 10S", "r": "220167180"}, {"b": "51141317007", "n": "NEXCARE COOLING GEL FEVER 2PATCHKIDS", "r": "220167625"}, {"b": "6291103653055", "n": "NEXCARE TAPE TRANSPORE 125MM5M", "r": "220217326"}, {"b": "6291103653031", "n": "NEXCARE TAPE MICROPORE 125MM5M", "r": "220235530"}, {"b": "5902658113710", "n": "NEXCARE WATERPROOF EMOJI BANDAGES 10S", "r": "220226076"}, {"b": "4046719863877", "n": "NEXCARE TEGADERM WP DRESS 10CM12CM 5 S", "r": "220232936"}, {"b": "5902658076626", "n": "NEXCARE TATOO SF WINNIE POOH 20S", "r": "220164759"}, {"b": "5902658076657", "n": "NEXCARE TATOO SENS PLANES 20S", "r": "220234061"}, {"b": "5902658076596", "n": "NEXCARE SOFT N FLEX FAIRIES PLASTER 20S", "r": "220221695"}, {"b": "6291103652423", "n": "NEXCARE SOFT N FLEX BANDAGES ASST 50S", "r": "220222123"}, {"b": "4046719283842", "n": "NEXCARE SENSITIVE PLASTER ASSORTED 30S", "r": "220222848"}, {"b": "5902658092633", "n": "NEXCARE SENS SKIN EYE PATCH REGULAR 14S", "r": "220154919"}, {"b": "5902658092664", "n": "NEXCARE SENS SKIN EYE PATCH JUNIOR 14S", "r": "220163882"}, {"b": "5902658066337", "n": "NEXCARE REUSABLE COLD HOT THERAPY PACK MAXI", "r": "220219391"}, {"b": "4046719516957", "n": "NEXCARE POSTPARTUM SUPPORT LRG", "r": "220229363"}, {"b": "5902658113802", "n": "NEXCARE MAX HOLD WTPRF 12S", "r": "220180968"}, {"b": "4046719516926", "n": "NEXCARE MATERNITY SUPPORT MED", "r": "220217324"}, {"b": "4046719516933", "n": "NEXCARE MATERNITY SUPPORT LRG", "r": "220227047"}, {"b": "5902658076039", "n": "NEXCARE HEAT PATCH 1 PACK", "r": "220168248"}, {"b": "4046719605224", "n": "NEXCARE COMFORT 360 BATMAN 20S", "r": "220229238"}, {"b": "51131598508", "n": "NEXCARE ATHLETIC WRAP BLACK 35YDS", "r": "220219549"}, {"b": "51131641068", "n": "NEXCARE ACTIVE STP BRIGHT REG30S", "r": "220170053"}, {"b": "5000456024808", "n": "NEXIUM 40MG TAB 14S", "r": "220221987"}, {"b": "5000456024785", "n": "NEXIUM 20MG TAB 14S", "r": "220231258"}, {"b": "5000456021494", "n": "NEXIUM 10MG SACHETS 28S", "r": "220223679"}, {"b": "605592700002", "n": "NEXXUS MASQUE HUMECTRESS 151ML", "r": "220178492"}, {"b": "605592005183", "n": "NEXXUS KERAPHIX SHMP 399ML", "r": "220177325"}, {"b": "605592005268", "n": "NEXXUS KERAPHIX COND 399ML", "r": "220173094"}, {"b": "605592263439", "n": "NEXXUS HYDRALIGHT COND 399ML", "r": "220179697"}, {"b": "605592263446", "n": "NEXXUS HYDRA LIGHT SHMP 399ML", "r": "220178752"}, {"b": "605592000027", "n": "NEXXUS HAIR SPRAY MAXXIMUM 296ML", "r": "220177659"}, {"b": "605592646638", "n": "NEXXUS DRY SHAMP REFRESHING MIST 148ML", "r": "220176030"}, {"b": "605592140532", "n": "NEXXUS DIAMETRESS SHMP 399ML", "r": "220176102"}, {"b": "605592000010", "n": "NEXXUS MOUSSE PLUS 313ML", "r": "220176000"}, {"b": "605592410611", "n": "NEXXUS HEAT PROT SPRAY PROMEND 51ML", "r": "220175767"}, {"b": "605592410727", "n": "NEXXUS EXXTRA DEFINING GEL 251ML", "r": "220175958"}, {"b": "605592093166", "n": "NEXXUS DIAMETRESS COND 399ML", "r": "220174490"}, {"b": "641528000693", "n": "NICE COUGH LOZENGES CITRUS 24S", "r": "220233948"}, {"b": "641528000686", "n": "NICE COUGH LOZENGES MENTHOL 24S", "r": "220235525"}, {"b": "641528000709", "n": "NICE COUGH HONEY LEMON LOZENGES 24S", "r": "220218153"}, {"b": "6291107432991", "n": "NICOTINNEL TTS 30 7S", "r": "220171227"}, {"b": "6291107432953", "n": "NICOTINNEL TTS 20 7S", "r": "220171305"}, {"b": "6291107432915", "n": "NICOTINNEL TTS 10 7S", "r": "220164873"}, {"b": "9650137005518", "n": "NICOTINELL 36 LOZENGES", "r": "220169084"}, {"b": "965013700360", "n": "NICOTINNEL GUM MINT 2MG 12S", "r": "220156485"}, {"b": "965013700361", "n": "NICOTINNEL GUM MINT 4MG 12S", "r": "220171054"}, {"b": "965013700209", "n": "NICOTINNEL GUM FRUIT 2MG 12S", "r": "220169462"}, {"b": "8068057142700", "n": "NIMED MOSQUITO DUO 2 IN 1", "r": "220160812"}, {"b": "624152553087", "n": "NISIM FAST VALUE PACK", "r": "220223891"}, {"b": "4104480570247", "n": "NISITA NASAL SPRAY 20ML", "r": "220216077"}, {"b": "4104480570841", "n": "NISITA NASAL OINT 20GM", "r": "220219098"}, {"b": "6223004510137", "n": "NITORA VITAMINS FOR HAIR  NAIL 60S", "r": "220218356"}, {"b": "4005900614308", "n": "NIVEA FRANGIPANI SHOWER GEL 250 ML", "r": "220231532"}, {"b": "4005900540188", "n": "NIVEA BLACK WHITE SILKY SMOOTH ROLL ON 150ML", "r": "220229397"}, {"b": "4005900542571", "n": "NIVEA BLACK WHITE SILKY SMOOTH ROLL ON 150ML", "r": "220230869"}, {"b": "4005900634849", "n": "NIVEA BABY SHAMPOO PURE  MILD 500ML", "r": "220221829"}, {"b": "4005900634818", "n": "NIVEA BABY MOISTURIZING LOTION MILD TOUCH 500ML", "r": "220229749"}, {"b": "4005900634788", "n": "NIVEA BABY HEAD TO TOE SHAMPOO  BATH 500ML", "r": "220228790"}, {"b": "4005900634597", "n": "NIVEA BABY CARING OIL DELICATE 200ML", "r": "220226967"}, {"b": "4005900715746", "n": "NIVEA SUN PROTECT  DRY TOUCH SPF30 175ML", "r": "220200179"}, {"b": "4005900713353", "n": "NIVEA SUN AFTER SUN SENSITIVE GEL 175ML", "r": "220200351"}, {"b": "4005900739353", "n": "NIVEA FRESH BLENDS WATERMELON SHWRGEL 300ML", "r": "220219169"}, {"b": "4005900739384", "n": "NIVEA FRESH BLENDS RASPBERRY SHWRGEL 300ML", "r": "220236458"}, {"b": "4005900739414", "n": "NIVEA FRESH BLENDS APRICOT SHWRGEL 300ML", "r": "220224398"}, {"b": "4005900803016", "n": "NIVEA LUMINOUS630 CONCENTRATED SERUM 30ML", "r": "220224719"}, {"b": "4005900802989", "n": "NIVEA FACE CREAM LUMINUS ASPOT SPF50 40ML", "r": "220221760"}, {"b": "4005900883926", "n": "LAYALA LENSES STARDUST GRAY 2S", "r": "129807221"}, {"b": "4005900883896", "n": "LAYALA LENSES SKYE BLUE 2S", "r": "129807074"}, {"b": "4005900929044", "n": "LAYALA LENSES POLAR GRAY 2S", "r": "129807076"}, {"b": "4005900934703", "n": "LAYALA LENSES GOLDEN GRAY 2S", "r": "129807075"}, {"b": "4005900880239", "n": "LAYALA LENSES  GOLDEN BROWN 2S", "r": "129812179"}, {"b": "4005900880260", "n": "LAYALA LENSES  CRYSTAL BROWN 2S", "r": "129807237"}, {"b": "4005808313341", "n": "NIVEA WATER LILLY SHOWER GEL 250 ML", "r": "220217657"}, {"b": "4005900713452", "n": "NIVEA SUN PR COOLMIST SPF30 200ML", "r": "220156474"}, {"b": "4005808478941", "n": "NIVEA SUN MOSTURISING AFTER SUN LOTION 200ML", "r": "220224681"}, {"b": "4005808880027", "n": "NIVEA SUN MOISTURIZING SPRAY SPF30 200ML", "r": "220225227"}, {"b": "4005808879922", "n": "NIVEA SUN MOISTURISING LOTION SPF50 200ML", "r": "220222416"}, {"b": "4005808879908", "n": "NIVEA SUN MOISTURISING LOTION SPF30 200ML", "r": "220235033"}, {"b": "4005808475018", "n": "NIVEA SUN KIDS SWIM PLAY  LOTN  SPF50150 ML", "r": "220229008"}, {"b": "4005808439836", "n": "NIVEA SUN KIDS MOISTURISING LOTN SPF50 200ML", "r": "220226801"}, {"b": "4005900479648", "n": "NIVEA SUN FACE ANTI AGE CREAM SPF50 50ML", "r": "220223689"}, {"b": "4005900477101", "n": "NIVEA SUN CAROTENE LTN SPF6 200ML", "r": "220157529"}, {"b": "4005900008442", "n": "NIVEA SOFT MOISTURIZING CREAM 200ML", "r": "220217688"}, {"b": "4005808166190", "n": "NIVEA SKIN CREAM FOR UNISEX 150ML", "r": "220225566"}, {"b": "4005808669325", "n": "NIVEA REFRESHING FACIAL WASH 150 ML", "r": "220235170"}, {"b": "4005808811212", "n": "NIVEA REFREHING CLEANSING WIPES 25S", "r": "220226059"}, {"b": "4005808864010", "n": "NIVEA REFINING CLEAR UP STRIPS 6S", "r": "220224523"}, {"b": "4005808669646", "n": "NIVEA PURIFYING FACE WASH FOR OILY SKIN 150 ML", "r": "220218086"}, {"b": "4005808781812", "n": "NIVEA PURE IMPACT MEN SHOWER GEL 250 ML", "r": "220216568"}, {"b": "4005808649891", "n": "NIVEA POWER FRUIT SHOWER GEL 250 ML", "r": "220217429"}, {"b": "4005808280827", "n": "NIVEA NORMAL SKIN BODY LTN 400 ML", "r": "220229639"}, {"b": "4005900250445", "n": "NIVEA NATURAL FAIRNESS EYE MAKEUP REMOVER 125ML", "r": "220217487"}, {"b": "4005808691982", "n": "NIVEA NATURAL FAIRNESS DEO SPRAY 150ML", "r": "220225788"}, {"b": "4005808839247", "n": "NIVEA NATURAL FAIRNESS BODY CREAM 200ML", "r": "220217954"}, {"b": "4005900339263", "n": "NIVEA MICELLAIR SENSITIVE 3IN1 MICELLAR WATER 400ML", "r": "220220228"}, {"b": "4005900419880", "n": "NIVEA MICELLAIR ROSE WATER WIPES 25", "r": "220235161"}, {"b": "4005900420664", "n": "NIVEA MICELLAIR ROSE WATER FACE WASH 150ML", "r": "220219909"}, {"b": "4005808501229", "n": "NIVEA MEN SHOWER GEL VITALITY FRESH 250ML", "r": "220224626"}, {"b": "4005808817207", "n": "NIVEA MEN SENSI SHAVE FOAM 200ML", "r": "220228945"}, {"b": "4005808817405", "n": "NIVEA MEN SENSI SHAV GEL 200ML", "r": "220230789"}, {"b": "4005808228010", "n": "NIVEA MEN ORIGINAL FACIAL WASH 100ML", "r": "220233730"}, {"b": "4005900000972", "n": "NIVEA MEN ORIGINAL CREAM 150ML", "r": "220219808"}, {"b": "4005808817719", "n": "NIVEA MEN MILD SHAVING CREAM 100ML", "r": "220222009"}, {"b": "4005808944927", "n": "NIVEA MEN FRESH POWER SPRAY 150 ML", "r": "220219586"}, {"b": "4005808816002", "n": "NIVEA MEN FRESH DEO SPRAY 150ML", "r": "220224000"}, {"b": "4005900517982", "n": "NIVEA MEN DEEP DRY  CLEAN ANT PERP SPRAY 150ML", "r": "220219663"}, {"b": "4005808130009", "n": "NIVEA MEN  REPLNSHG AFTER SHAVE BALM 100ML", "r": "220224611"}, {"b": "4005808135028", "n": "NIVEA LEMON GRASS OIL SHOWER GEL 250 ML", "r": "220232763"}, {"b": "4005900022998", "n": "NIVEA HAND CREAM INTENSIVE NOURISHING 100ML", "r": "220231985"}, {"b": "4005808668465", "n": "NIVEA GENTLE CLEANSING FACE WASH 150ML", "r": "220218551"}, {"b": "4005808819065", "n": "NIVEA GENTLE CLEANSING 3IN1 WIPES 25S", "r": "220228792"}, {"b": "4005900420633", "n": "NIVEA FACE MICELLAIR ROSE WATER 400ML", "r": "220221468"}, {"b": "4005808817009", "n": "NIVEA EXTRA MOISTURE SHAVING FOAM 200ML", "r": "220228454"}, {"b": "4005808135059", "n": "NIVEA ENERGY MEN SHOWER GEL 250 ML", "r": "220230270"}, {"b": "4005808816118", "n": "NIVEA DRY COMFORT 48H ROLL ON 50ML", "r": "220228671"}, {"b": "42217572", "n": "NIVEA DEO STICK BLACK  WITHE POWER MEN 40ML", "r": "220233771"}, {"b": "42216780", "n": "NIVEA DEO STICK BLACK  WHITE WOMEN 40ML", "r": "220224193"}, {"b": "4005808816033", "n": "NIVEA DEO SPRY DRY UNISEX 150ML", "r": "220235138"}, {"b": "4005808816026", "n": "NIVEA DEO SPRY DRY MEN 150ML", "r": "220227303"}, {"b": "4005808837311", "n": "NIVEA DEO SPRAY PEARLBEAUTY 150ML", "r": "220220848"}, {"b": "4005900034816", "n": "NIVEA DEO SPRAY INVISIBLE BW CLEAR WOMEN 150ML", "r": "220217407"}, {"b": "4005808816019", "n": "NIVEA DEO SPARY FRSH UNISEX 150ML", "r": "220217950"}, {"b": "4005808881918", "n": "NIVEA DEO ROLL ON POWDER TOUCH WOMEN 50ML", "r": "220216263"}, {"b": "4005808837359", "n": "NIVEA DEO ROLL ON PEARLBEAUTY 50ML", "r": "220232157"}, {"b": "4005900035295", "n": "NIVEA DEO ROLL ON INVISIBLE BW CLEAR WOMEN 50ML", "r": "220221225"}, {"b": "4005808828098", "n": "NIVEA DEO ROLL ON FRESH UNISEX 50ML", "r": "220227351"}, {"b": "4005808816101", "n": "NIVEA DEO ROLL ON DRY MEN 50ML", "r": "220222004"}, {"b": "42126560", "n": "NIVEA DEO PEARL  BEAUTY DEO STICK 40ML", "r": "220226913"}, {"b": "42097419", "n": "NIVEA DEO DRY STICK FOR MEN 40ML", "r": "220217239"}, {"b": "4005900036162", "n": "NIVEA DEO BLACKWHITE POWER MEN ROLL ON 50ML", "r": "220229626"}, {"b": "4005808571512", "n": "NIVEA DEFFECT EYE MAKE UP REMOVER 125ML", "r": "220226407"}, {"b": "4005808817306", "n": "NIVEA COOL KICK SHAVING GEL 200", "r": "220234611"}, {"b": "4005808196746", "n": "NIVEA COOL KICK MEN SHOWER GEL 250 ML", "r": "220226116"}, {"b": "4005808919093", "n": "NIVEA COCOA BUTTER BODY LTN 400 ML", "r": "220230059"}, {"b": "4005808093021", "n": "NIVEA BODY LOTION REPAIR  CARE 400ML", "r": "220215960"}, {"b": "4005808280797", "n": "NIVEA BODY LOTION NOURISHING EXTRA DRY SKIN 400ML", "r": "220229591"}, {"b": "4005900011817", "n": "NIVEA BODY LOTION NATURAL FAIRNESS 400ML", "r": "220225486"}, {"b": "4005808278350", "n": "NIVEA BODY LOTION FIRMING Q10 400ML", "r": "220221430"}, {"b": "4005900035653", "n": "NIVEA BLACKWHITE DEO MEN 150ML", "r": "220222530"}, {"b": "4005900490612", "n": "NIVEA ALOE  HYDRATION BODY LOTION 400ML", "r": "220235652"}, {"b": "4005808817603", "n": "NIV MEN MOIST SHAVING GEL 200ML", "r": "220218837"}, {"b": "4005808941919", "n": "NIVEA VISAGE BB CREAM MEDIUM TO DARK 50ML", "r": "220222989"}, {"b": "4005900526205", "n": "NIVEA URBAN SKIN DEFENCE DAY CARE CREAM 50ML", "r": "220227809"}, {"b": "4005900526380", "n": "NIVEA URBAN DETOX MASK PURIFY 75ML", "r": "220219769"}, {"b": "4005900499745", "n": "NIVEA URBAN DETOX MASK PORE REFINE 75ML", "r": "220217410"}, {"b": "4005900511416", "n": "NIVEA URBAN DETOX MASK MOISTURISE 75ML", "r": "220217545"}, {"b": "8850029008158", "n": "NIVEA SUN WATER SPORT SPF50 100ML", "r": "220219328"}, {"b": "6001051003686", "n": "NIVEA SUN SEN IMMEDIATE PROT 50 200ML", "r": "220172660"}, {"b": "4005900141941", "n": "NIVEA SUN PROTECT  BRONZE SPF30 200ML", "r": "220228845"}, {"b": "4005808879960", "n": "NIVEA SUN LTN PR GEL SPF30 200ML", "r": "220172519"}, {"b": "4005900600202", "n": "NIVEA SUN KIDS SEN PROT  CARE 50 200ML", "r": "220177270"}, {"b": "42360735", "n": "NIVEA SUN KIDS SEN FF ROLL ON 50 50ML", "r": "220177194"}, {"b": "4005900491695", "n": "NIVEA SUN KIDS ROLL ON SPF 50 50ML", "r": "220223328"}, {"b": "4005900265180", "n": "NIVEA SUN DEEP TANNING OIL 200ML", "r": "220172368"}, {"b": "4005900491664", "n": "NIVEA SUN ANTISTAIN ROLL ON SPF50 50ML", "r": "220227800"}, {"b": "8850029008196", "n": "NIVEA SUN  PROTECTION LOT KIDS SPF50 100ML", "r": "220168422"}, {"b": "4005808811069", "n": "NIVEA SOOTHING TONER DRY TO SENSITIVE SKIN 200ML", "r": "220220017"}, {"b": "4005808890590", "n": "NIVEA SOFT MOISTURIZING CREAM 100ML", "r": "220236271"}, {"b": "4005808668557", "n": "NIVEA SKIN REFINING SCRUB 150 ML", "r": "220227334"}, {"b": "4005900296269", "n": "NIVEA SKIN DELIGHT GLOWING ROSE OIL IN BODY MILK 400ML", "r": "220226893"}, {"b": "4005808811052", "n": "NIVEA REFRESHING TONER 200 ML", "r": "220229434"}, {"b": "4005900547682", "n": "NIVEA Q10 NIGHT ANTI WRINKLE CREME VITAMIN C 40ML", "r": "220232725"}, {"b": "4005808812899", "n": "NIVEA Q10 ANTIWRINKLE NIGHT CARE 50ML", "r": "220227670"}, {"b": "4005808812875", "n": "NIVEA Q10 ANTIWRINKLE DAY CARE 50ML", "r": "220225969"}, {"b": "4005808880515", "n": "NIVEA POWDER TOUCH SPRAY WOMN 150ML", "r": "220223846"}, {"b": "4005900478832", "n": "NIVEA NOURISHING BODY MOUSSE 200ML", "r": "220233621"}, {"b": "4005900526267", "n": "NIVEA NIGHT CREAM URBAN SKIN DETOX 50ML", "r": "220236082"}, {"b": "4005808836154", "n": "NIVEA NATURAL FAIRNESS SPF30 DAY CREAM 50ML", "r": "220224027"}, {"b": "4005808836161", "n": "NIVEA NATURAL FAIRNESS NIGHT CREAM 50ML", "r": "220231500"}, {"b": "4005808232208", "n": "NIVEA NATURAL FAIRNESS HAND CREME 100ML", "r": "220227872"}, {"b": "4005808836178", "n": "NIVEA NATURAL FAIRNESS FACE WASH 100ML", "r": "220228981"}, {"b": "4005808801305", "n": "NIVEA MOISTURIZING SKIN CREAM 100ML", "r": "220217605"}, {"b": "4005808804344", "n": "NIVEA MOIST AFTER SUN SPRAY 200 ML", "r": "220231684"}, {"b": "9005800273389", "n": "NIVEA MICELLAR WATER DRY TO SENS 400ML", "r": "220235773"}, {"b": "4005808813803", "n": "NIVEA MEN XTRA SOOTH AFTER SHAVE BALM 100ML", "r": "220235189"}, {"b": "4005808540044", "n": "NIVEA MEN SILVER PROTECT SHAVE GEL 200ML", "r": "220230130"}, {"b": "4005808224845", "n": "NIVEA MEN SENSI FACIAL WASH 100ML", "r": "220180261"}, {"b": "4005808817726", "n": "NIVEA MEN MILD SHAVING CREAM 100ML", "r": "220228609"}, {"b": "4005808817658", "n": "NIVEA MEN FREASH  COOL SHAVING FOAM 200ML", "r": "220220930"}, {"b": "4005900123589", "n": "NIVEA MEN FAIRNESS CREAM 150ML", "r": "220216485"}, {"b": "4005900281159", "n": "NIVEA MEN BODY DEO COOL 120ML", "r": "220219321"}, {"b": "4005808541591", "n": "NIVEA MEN AFTER SHAVE SENSITIVE LOTION 100ML", "r": "220225017"}, {"b": "4005808825233", "n": "NIVEA MEN AFTER SHAVE BALSAM 100ML", "r": "220216873"}, {"b": "4005900297860", "n": "NIVEA FACIAL CLEANSING WIPES 25PCS", "r": "220225906"}, {"b": "4005900306760", "n": "NIVEA FACE CLEANSING MILK 200ML", "r": "220233090"}, {"b": "4005808836185", "n": "NIVEA FACE CARE NAT FAIRNESS SCRUB 100ML", "r": "220226711"}, {"b": "4005808811106", "n": "NIVEA EYE MAKE UP REMOVER 125ML", "r": "220224772"}, {"b": "4005808530496", "n": "NIVEA ESSENTIALS DAY CREAM BB 50ML", "r": "220216080"}, {"b": "4005808816057", "n": "NIVEA DEO SPRAY SPRAY MEN 200ML", "r": "220219575"}, {"b": "4005900188540", "n": "NIVEA DEO SPRAY BLACKWHITE FRESH 150ML", "r": "220228800"}, {"b": "4005808816187", "n": "NIVEA DEO FRESH SPRAY MEN 200", "r": "220222865"}, {"b": "4005808816194", "n": "NIVEA DEO FRESH SPRAY FEM 200ML", "r": "220221253"}, {"b": "4005808653447", "n": "NIVEA DAY CREME SENSITIVE DRY SKIN 50ML", "r": "220236279"}, {"b": "4005808653416", "n": "NIVEA DAY CREME NORMAL AND MIXED SKIN 50ML", "r": "220232171"}, {"b": "4005808369546", "n": "NIVEA COCOA BUTTER BODY CREAM 200 ML", "r": "220223336"}, {"b": "4005808811038", "n": "NIVEA CLEANSING MILK DS 200ML", "r": "220169453"}, {"b": "4005900297914", "n": "NIVEA CLEANSE  CARE FACE WASH 150ML", "r": "220218422"}, {"b": "4005808885244", "n": "NIVEA CARE SHOWER CREAM 250 ML", "r": "220229230"}, {"b": "42269915", "n": "NIVEA CARE NOURISHING CREAM 200ML", "r": "220225952"}, {"b": "42333371", "n": "NIVEA CARE FAIRNESS CREAM 200ML", "r": "220234584"}, {"b": "4005900296320", "n": "NIVEA BODY LOTION SKIN DELIGHT LAVENDER 400ML", "r": "220346190"}, {"b": "4005808802012", "n": "NIVEA BODY LOTION RICH CARING 250ML", "r": "220218097"}, {"b": "4005900478856", "n": "NIVEA BODY LOT MOUSE SMOOTH 200ML", "r": "220169042"}, {"b": "4005900476128", "n": "NIVEA BODY LOT MOUSE RASPWHT TEA 200ML", "r": "220166619"}, {"b": "9005800297347", "n": "NIVEA BODY LOT MOUSE CUCMATCHA TEA 200ML", "r": "220171975"}, {"b": "4005900011503", "n": "NIVEA BODY GOODBYE CELLULITE GEL 200ML", "r": "220235437"}, {"b": "4005900634726", "n": "NIVEA BABY WIPES FRESH  PURE 63S", "r": "220216601"}, {"b": "4005900634870", "n": "NIVEA BABY MY FIRST CREAM 150ML", "r": "220221867"}, {"b": "4005900640710", "n": "NIVEA BABY BTM OINT RELIEVING 100ML", "r": "220171096"}, {"b": "4005808753550", "n": "NIVEA AFTTER SHAVE LOTION FOR MEN 100ML", "r": "220220449"}, {"b": "4005900476029", "n": "NIV SUN FACE SHINE CONTROL CREAM SPF50 50ML", "r": "220221085"}, {"b": "5900117100042", "n": "NIVELAZIONE FOOT POWDERWOMAN130ML", "r": "220069013"}, {"b": "965013700344", "n": "NIZORAL SHAMPOO", "r": "220167833"}, {"b": "965013700343", "n": "NIZORAL CREAM 30G", "r": "220164453"}, {"b": "6221032114150", "n": "NO URIC 300MG TABS 20S", "r": "220166517"}, {"b": "5903068653179", "n": "V V NOBLE HEALTH VIT C 1000MG CAPS 60S", "r": "220195299"}, {"b": "5000456034203", "n": "NOLVADEX 10MG TABLETS 30S", "r": "220152890"}, {"b": "965016000162", "n": "NOOTROPIL 800MG TAB 30S", "r": "220159486"}, {"b": "5425039445380", "n": "NOOZ OPT SC RE RED 25", "r": "220191018"}, {"b": "5425039445373", "n": "NOOZ OPT SC RE RED 2", "r": "220192657"}, {"b": "5425039445366", "n": "NOOZ OPT SC RE RED 15", "r": "220191323"}, {"b": "5425039445182", "n": "NOOZ OPT SC RE GREY 25", "r": "220190813"}, {"b": "5425039445175", "n": "NOOZ OPT SC RE GREY 2", "r": "220192785"}, {"b": "5425039445168", "n": "NOOZ OPT SC RE GREY 15", "r": "220191533"}, {"b": "5425039444888", "n": "NOOZ OPT SC RE BLACK 25", "r": "220192165"}, {"b": "5425039444871", "n": "NOOZ OPT SC RE BLACK 2", "r": "220191196"}, {"b": "5425039444864", "n": "NOOZ OPT SC RE BLACK 15", "r": "220190902"}, {"b": "768990018701", "n": "NORDIC NATURAL OMEGA BLOOD SUGAR 60S", "r": "220213245"}, {"b": "768990017612", "n": "NORD NAT OMEGA3D 60SG CAPS", "r": "220197548"}, {"b": "768990017902", "n": "NORD NAT ULTIMATE OMEGA 60SG CAPS", "r": "220196958"}, {"b": "768990018015", "n": "NORD NAT COMPLETE OMEGA XTRA 60SG CAPS", "r": "220196768"}, {"b": "768990417603", "n": "NORD NAT OMEGA3 FISH GELATIN 60SG CAPS", "r": "220196846"}, {"b": "768990016707", "n": "VNORD NAT BABY DHA VEGETARIAN DROPS 30ML", "r": "220197022"}, {"b": "768990301261", "n": "NORD NAT CHERRY BERRY GUMMIES 120S", "r": "220196374"}, {"b": "768990567803", "n": "NORD NAT CHILDRENS DHA  LIQUID 119ML", "r": "220197444"}, {"b": "768990301704", "n": "NORD NAT PROBIOTIC KIDS GUMMIES 60S", "r": "220196965"}, {"b": "768990027321", "n": "NORD NAT BABY VITAMIN D3 DROPS 11ML", "r": "220196634"}, {"b": "768990311437", "n": "NORD NAT VITAMIN D3 KIDS GUMMIES 60S", "r": "220197485"}, {"b": "768990301605", "n": "NORD NAT VITAMIN C 60S GUM TART TANGERINE", "r": "220196729"}, {"b": "810011083349", "n": "NORD N PRENATAL DHA 480MG WITH VIT D3", "r": "220205878"}, {"b": "810011083462", "n": "NORD N FISH FLAX  BORGE 369 WPRIMROSE OIL 100S", "r": "220211154"}, {"b": "810011083356", "n": "NORD N DAILY OMEGA 350MG KIDS CHEW", "r": "220210190"}, {"b": "810011083448", "n": "NORD N CHILDRENS DHA 85MG", "r": "220207621"}, {"b": "810011083493", "n": "NORD N ULTRA CONC OMEGA 3 1000MG", "r": "220211136"}, {"b": "768990311406", "n": "NORD NAT VITAMIN D3 60S GUM WILD BERRY", "r": "220081702"}, {"b": "768990027239", "n": "NORD NAT CHILDRENS DHA STAWBERRY 8OZ", "r": "220062456"}, {"b": "768990537875", "n": "NORD NAT BABYS DHA 2OZ", "r": "220053280"}, {"b": "6281080005947", "n": "NORMACOL PLUS GRANULES PACK 30S", "r": "220230375"}, {"b": "6281080005930", "n": "NORMACOL GRANULES PACK 30S", "r": "220223980"}, {"b": "5285003470639", "n": "NOROXIN TAB 14S", "r": "220167633"}, {"b": "965015200016", "n": "NORVASC 5MG CAPSULES 30S", "r": "220156071"}, {"b": "5707725100019", "n": "NOURKRIN EXTRA STRENGTH 60TAB", "r": "220160222"}, {"b": "8906557900338", "n": "NOVA VAGINAL TIGHTING GEL 50 GM", "r": "220078168"}, {"b": "5907581256893", "n": "V NC VIT C FORTE 1000 MG ORANGE 20 EFF TAB", "r": "220194329"}, {"b": "5900779382879", "n": "NOVACLEAR WHITENING INTIMATE WASH 200ML", "r": "220239758"}, {"b": "5906395837540", "n": "NOVACLEAR WHITENING DAY CREAM 50ML", "r": "220239369"}, {"b": "5900779381643", "n": "NOVACLEAR WHITENING ADVANCED SERUM 30ML", "r": "220237700"}, {"b": "5900779384118", "n": "NOVACLEAR WHITEN FACIAL FOAM 100ML", "r": "220218289"}, {"b": "5906395837922", "n": "NOVACLEAR SUNBLOCK SENSITIVE SKIN SPF50 40ML", "r": "220224001"}, {"b": "5900779381766", "n": "NOVACLEAR GLUTA WHITE PLUS SERUM 30ML", "r": "220240016"}, {"b": "5900779382350", "n": "NOVACLEAR COLLAGEN SERUM 30ML", "r": "220206478"}, {"b": "5900779385238", "n": "NOVACLEAR ADVANCED REVITALIZE SERUM 30ML", "r": "220238204"}, {"b": "5900779385221", "n": "NOVACLEAR ADVANCED HYDRATION SERUM 30ML", "r": "220240179"}, {"b": "5900779381063", "n": "NOVACLEAR ACNE CREAM 40ML", "r": "220240095"}, {"b": "5906395837946", "n": "NOVA URBAN SUNBLK OILY VHIGH PROT SPF50 40ML", "r": "220239155"}, {"b": "5900779381407", "n": "NOVA HYDRO HYAL ACD FACIAL FOAM 100ML", "r": "220226776"}, {"b": "5900779384187", "n": "NOVA GLUTA WHITE INTMATE ROLL ON 50ML", "r": "220209470"}, {"b": "5900779384170", "n": "NOVA GLUTA WHITE APERSPRNT ROLL ON 48HR 50ML", "r": "220208153"}, {"b": "5900779381124", "n": "NOVA ACNE FACIAL FOAM 100ML", "r": "220230391"}, {"b": "649020208203", "n": "REALY TECH COVID RAPID TEST KIT 1S", "r": "220217778"}, {"b": "6291103981677", "n": "NOVELL STOP NAIL BITE LACQUER 15ML", "r": "220236299"}, {"b": "3661467000490", "n": "V NOVEXPERT LIP UP W HYALURONIC ACID 8ML", "r": "220158540"}, {"b": "3661467000667", "n": "NOVEXPERT RADIANCE LIFTING EYE CONTOUR 15ML", "r": "220236579"}, {"b": "3661467000698", "n": "NOVEXPERT SMOOTHING TONING MIST 100ML", "r": "220229370"}, {"b": "3661467000582", "n": "NOVEXPERT BOOSTER SERUM WITH 5 OMEGAS 30ML", "r": "220227741"}, {"b": "3661467000506", "n": "NOVEXPERT CARAMEL CRM FAIRSKN RDNCE 30ML", "r": "220223950"}, {"b": "3661467000520", "n": "NOVEXPERT CARAMEL CRM GLDN RDNCE 30ML", "r": "220228686"}, {"b": "3661467000537", "n": "NOVEXPERT EXPERT EXFOLIATOR MASK  SCRUB 50ML", "r": "220216266"}, {"b": "3661467000605", "n": "NOVEXPERT BOOSTER SERUM WITH VITAMIN C 30ML", "r": "220232553"}, {"b": "3661467000674", "n": "NOVEXPERT MICELLAR WATER  HYALURONIC ACID 200ML", "r": "220228423"}, {"b": "3661467000681", "n": "NOVEXPERT EXPRESS RADIANT CLEANSING FOAM 150ML", "r": "220233983"}, {"b": "3661467001190", "n": "NOVEXPERT SERUM BOOSTER A LACIDE HYALURONIQUE 50 ML", "r": "220228093"}, {"b": "3661467001619", "n": "NOVEXPERT THE PEELING NIGHT CREAM 40ML", "r": "220231195"}, {"b": "965013700331", "n": "NOVO FINENEEDLE31GX025X6MM 100", "r": "220167834"}, {"b": "9650137006393", "n": "NORDITROPIN NORDIFLEX 5MG15ML", "r": "220193253"}, {"b": "965013700216", "n": "NOVONORM 20MG TABLETS 30S", "r": "220160969"}, {"b": "965013700186", "n": "NOVONORM 10MG TABLETS 30S", "r": "220163116"}, {"b": "965013700187", "n": "NOVORAPID PENFIL 5X3ML", "r": "220163721"}, {"b": "733739032089", "n": "NOW COQ10 100MG 50 SGEL", "r": "220291379"}, {"b": "733739030702", "n": "NOW QUERCETIN WITH BROMELAIN 120 CAPS", "r": "220212785"}, {"b": "733739077349", "n": "NOW ARGAN OIL ORGANIC 2OZ", "r": "220179592"}, {"b": "733739077035", "n": "NOW LIQUID COCONUT OIL PURE 473ML", "r": "220226730"}, {"b": "733739077172", "n": "NOW JOJOBA OIL 100 PURE 118ML", "r": "220217631"}, {"b": "733739046604", "n": "VNOW ECHINACEA 400MG 100VCAPS", "r": "220173637"}, {"b": "733739077585", "n": "NOW SHEA BUTTER NATURAL 7FL OZ", "r": "220176683"}, {"b": "733739075659", "n": "NOW ESS OIL LEMON 100 PURE 30ML", "r": "220179605"}, {"b": "733739076830", "n": "NOW COCONUT OIL NATURAL 7FL OZ", "r": "220178555"}, {"b": "733739076700", "n": "NOW AVOCADO OIL 100 PURE 118ML", "r": "220236531"}, {"b": "733739076601", "n": "NOW SWEET ALMOND OIL 100 PURE 118ML", "r": "220233749"}, {"b": "733739003690", "n": "NOW VITAMIN D3K2 1000IU45MCG 120CAPS", "r": "220213163"}, {"b": "733739009104", "n": "VNOW VIT E LIQ 13650 IU DA 1 OZ", "r": "220162282"}, {"b": "733739001047", "n": "NOW GLUTATHIONE 500 MG 60S", "r": "220220559"}, {"b": "733739003652", "n": "NOW VITAMIN D 1000 IU SGELS 180S", "r": "220221857"}, {"b": "733739004796", "n": "NOW BIOTIN 10MG 120 CAPS", "r": "220218508"}, {"b": "733739105103", "n": "NOW CAL MG ZN WITH D 120S", "r": "220216519"}, {"b": "733739112682", "n": "NOW VITAMIN C 1000 100S", "r": "220218360"}, {"b": "733739107596", "n": "NOW OMEGA 3 1000MG 100S", "r": "220233434"}, {"b": "733739016867", "n": "NOW TRI 3D OMEGA 1000 MG 90S", "r": "220233413"}, {"b": "733739025654", "n": "NOW ROYAL JELLY 1500 MG  60S", "r": "220222109"}, {"b": "733739145536", "n": "NOW FENUGREEK 500 MG 100 CAPS", "r": "220226746"}, {"b": "733739148490", "n": "VNOW ZINC PICOLINATE 50 MG 60 CAPS", "r": "220157753"}, {"b": "733739016256", "n": "NOW KRILL OIL 500 MG SGELS 60S", "r": "220158883"}, {"b": "733739016560", "n": "NOW OMEGA3 SOFTGEL 90S", "r": "220155314"}, {"b": "733739017550", "n": "NOW SUPER PRIMROSE 1300MG 60SG", "r": "220169374"}, {"b": "733739105141", "n": "NOW SUPER OMEGA 369 1200MG 90S", "r": "220159735"}, {"b": "733739031709", "n": "NOW GLUCO500CHOND400 MSM 90 CAP", "r": "220162758"}, {"b": "733739037961", "n": "VNOW EVE MULTIVITAMIN 90S TABS", "r": "220153951"}, {"b": "733739014351", "n": "VNOW GARCINIA 1000MG 120TABS", "r": "220154604"}, {"b": "733739017437", "n": "NOW COD LIVER OIL EXT STRN 90 SGEL", "r": "220164015"}, {"b": "733739018076", "n": "NOW ODORLESS GARLIC 100 SGEL", "r": "220163335"}, {"b": "733739040077", "n": "NOW GINS  ROYAL JELLY CAP 90S", "r": "220154275"}, {"b": "733739042347", "n": "VNOW POMEGRENATE TEA BAGS 24 BAGS", "r": "220155109"}, {"b": "733739110466", "n": "VNOW L CARNITINE 500 MG 60 VCAPS", "r": "220159941"}, {"b": "733739046383", "n": "VNOW CURCUMIN TURMERIC 60CAP", "r": "220161425"}, {"b": "733739006134", "n": "VNOW EFFER C ORANGE 30S PACKETS", "r": "220157321"}, {"b": "733739105097", "n": "NOW E400 MIXED TOCOSELECAP100S", "r": "220162005"}, {"b": "733739110978", "n": "VNOW VIT C500 CHEW ORNG 100S", "r": "220160193"}, {"b": "733739026804", "n": "VNOW KELP 150MCG 200 TAB", "r": "220166151"}, {"b": "733739004369", "n": "VNOW B100 CAPS 100S", "r": "220157850"}, {"b": "733739046864", "n": "VNOW GINKO BILOBA 60MG 60CAP", "r": "220153763"}, {"b": "733739004208", "n": "VNOW B 50 COMPLEX WITH C 100 CAPSULES", "r": "220164521"}, {"b": "733739029294", "n": "NOW PROBIOTIC10 24 PACKETS", "r": "220158324"}, {"b": "733739026989", "n": "VNOW SPIRULINA 500 MG TABS 200S", "r": "220152395"}, {"b": "733739114433", "n": "NOW LIQUID VIT D3 400IU DROPS", "r": "220154832"}, {"b": "733739075604", "n": "NOW ESS OIL LAVENDER 100 PURE 30ML", "r": "220154276"}, {"b": "733739075550", "n": "NOW SOLUTIONS JASMINE FRAGRANCE 30ML", "r": "220160290"}, {"b": "733739076250", "n": "NOW ESS OIL TEA TREE 100 PURE 30ML", "r": "220156525"}, {"b": "733739075857", "n": "NOW ESS OIL PEPPERMINT 100 PURE 30ML", "r": "220168904"}, {"b": "733739042361", "n": "NOW SENNA TEA 24S BAGS", "r": "220172424"}, {"b": "733739021717", "n": "VNOW TRIBULUS 1000MG 90TAB", "r": "220179501"}, {"b": "733739021335", "n": "VNOW PEA PROTEIN CHOCOLATE 2LBS", "r": "220202515"}, {"b": "733739000965", "n": "VNOW LGLUTATHIONE 250 MG 60 VCAPS", "r": "220161154"}, {"b": "733739037701", "n": "VNOW DAILY VITS TABS 100S", "r": "220171355"}, {"b": "733739020314", "n": "VNOW CREATINE MONOHYDRATE POWDER 600GR", "r": "220203017"}, {"b": "733739020239", "n": "VNOW CARBO GAIN UNFLAVORED 8LBS", "r": "220202931"}, {"b": "733739020079", "n": "VNOW BETA ALANINE POWDER 100 PURE 500GR", "r": "220202555"}, {"b": "733739002129", "n": "VNOW BCAA BIG 6 POWDER 600GR", "r": "220202791"}, {"b": "733739038753", "n": "VNOW ADAM MULTIVITAMIN 60S TABS", "r": "220166266"}, {"b": "733739021854", "n": "NOW WHEY PROTEIN VANILLA 2LBS", "r": "220202876"}, {"b": "733739021595", "n": "NOW WHEY PROTEIN ISOLATE VANILLA 5LBS", "r": "220203050"}, {"b": "733739021724", "n": "NOW WHEY PROTEIN ISOLATE 100 PURE 12LBS", "r": "220202411"}, {"b": "733739021809", "n": "NOW WHEY PROTEIN DUTCH CHOCOLATE 2LBS", "r": "220202501"}, {"b": "733739148162", "n": "NOW SOLUTIONS E1000 MXD TOCOPHEROLS 50S", "r": "220174581"}, {"b": "733739042316", "n": "NOW NIGHTTIME TEA BAGS 24 BAGS", "r": "220154421"}, {"b": "733739038821", "n": "NOW KID VITSBERRY BLAST TAB 120S", "r": "220157444"}, {"b": "733739146199", "n": "NOW GABA 750 MG 100S V CAPS", "r": "220155166"}, {"b": "733739017802", "n": "NOW FLAXSEED OIL 1000MG 120S", "r": "220167091"}, {"b": "733739075703", "n": "NOW ESS OIL ORANGE 100 PURE 30ML", "r": "220173724"}, {"b": "733739020468", "n": "NOW EGGWHITE PROTEIN POWDER CREAMY VANILLA 15LBS", "r": "220202273"}, {"b": "733739032300", "n": "NOW CRANBERRY CONCEN 100 CAPS", "r": "220158156"}, {"b": "733739005984", "n": "NOW C ELDERBERRY 30S PACKETS 30S", "r": "220161117"}, {"b": "733739004659", "n": "NOW B12 LIQUID BCOMPLEX 8 OZ", "r": "220165756"}, {"b": "8430469164111", "n": "NS FEMIBIOTIC 30 CAPSULES", "r": "220227715"}, {"b": "8430469164135", "n": "NS FLORABIOTIC INSTANT 8 SACHETS", "r": "220232037"}, {"b": "48526102822", "n": "NUBY TRAINER SIPEEZ 300ML", "r": "220077243"}, {"b": "48526679072", "n": "NUBY SOFTEES HARD  SOFT TEETHER", "r": "220195013"}, {"b": "48526055562", "n": "NUBY SOFT SILICONE SPOON 4", "r": "220058618"}, {"b": "48526009213", "n": "NUBY SILICONE NIPPLES NONDRIP 2PK", "r": "220069490"}, {"b": "48526009176", "n": "NUBY SILICONE NIPPLES FAST FLOW 2PK", "r": "220235209"}, {"b": "48526010622", "n": "NUBY SILICONE NIPPLE VARI FLO 330ML 0M", "r": "220195006"}, {"b": "48526010615", "n": "NUBY SILICONE NIPPLE VARI FLO 210ML 0M", "r": "220194303"}, {"b": "48526058174", "n": "NUBY PACIFIER ORTHODONTIC", "r": "220058999"}, {"b": "48526988518", "n": "NUBY PACIFIER CLIP 0M", "r": "220087662"}, {"b": "48526988761", "n": "NUBY PACIFIER CLASSIC OVAL", "r": "220221338"}, {"b": "48526675142", "n": "NUBY PACIFIER CHERRY 06M SMALL", "r": "220079704"}, {"b": "48526680023", "n": "NUBY NT SOFTFLEX NATURAL NURSER 240ML", "r": "220195511"}, {"b": "48526680573", "n": "NUBY NT SOFT FLEX NATURAL NURSER 270ML", "r": "220194103"}, {"b": "48526680566", "n": "NUBY NT SOFT FLEX NATURAL NURSER 180ML", "r": "220193801"}, {"b": "48526670161", "n": "NUBY NT SILICONE NURSER 150ML", "r": "220194383"}, {"b": "48526676811", "n": "NUBY NT SECTON PLATE WITH LIDBASE", "r": "220194823"}, {"b": "48526676118", "n": "NUBY NT INFAFEEDER SILICONE SPOON", "r": "220194280"}, {"b": "48526670185", "n": "NUBY NT FEEDING BOTTLE 300ML", "r": "220193843"}, {"b": "48526100965", "n": "NUBY NOSPILL FLIPIT CLIKIT 270ML 12M", "r": "220069491"}, {"b": "48526011773", "n": "NUBY GLASS NURSER 60ML", "r": "220221474"}, {"b": "48526011797", "n": "NUBY GLASS NURSER 240ML", "r": "220232411"}, {"b": "48526011780", "n": "NUBY GLASS NURSER 120ML", "r": "220072134"}, {"b": "48526053971", "n": "NUBY FIRST SOLIDS THE NIBBLER", "r": "220071910"}, {"b": "48526054596", "n": "NUBY FIRST SOLIDS SQUEEZE FEEDER 90ML", "r": "220233444"}, {"b": "48526412556", "n": "NUBY FEEDING BOTTLE NONDRIP WHEELZ 240ML", "r": "220069011"}, {"b": "48526410057", "n": "NUBY FEEDING BOTTLE NONDRIP PRINCESS 240ML", "r": "220069010"}, {"b": "48526505067", "n": "NUBY COMFORT REPLACEMENT NIPPLE", "r": "220083411"}, {"b": "48526515042", "n": "NUBY COMFORT 360 WITH MEDIUM FLOW NIPPLE 270ML", "r": "220223472"}, {"b": "48526676712", "n": "NUBY BREASTMILK STORAGE CONTAINERS 4PK", "r": "220195014"}, {"b": "48526103737", "n": "NUBY ACTIVE SIPEEZ SNACK N SIP 270ML", "r": "220056809"}, {"b": "4008600297543", "n": "V NUK WTP FCPP BTL 300ML", "r": "220164612"}, {"b": "4008600298724", "n": "V NUK WTP FCPP BTL 150ML", "r": "220168451"}, {"b": "4008600169338", "n": "V NUK WIDE SILCON TEATS FC S2 M 2PC", "r": "220162121"}, {"b": "4008600169574", "n": "V NUK WIDE SILCON TEATS FC S1 M 2PC", "r": "220168450"}, {"b": "4008600117339", "n": "V NUK POOH PP FC BTLL 150ML", "r": "220171240"}, {"b": "4008600203698", "n": "V NUK MICKY SPORTS CUP 450ML", "r": "220164355"}, {"b": "4008600129264", "n": "V NUK MICKY PP FC BTLL 150ML", "r": "220164811"}, {"b": "4008600149941", "n": "V NUK BABY BTL CLNSR 380ML", "r": "220171763"}, {"b": "4008600117346", "n": "V NUK ACTV CUP DISNEY 300ML", "r": "220168563"}, {"b": "4008600282853", "n": "NUK SS HAPPY DAYS S2 2PC", "r": "220170883"}, {"b": "4008600283072", "n": "NUK SS HAPPY DAYS S1 2PC", "r": "220171239"}, {"b": "4008600129639", "n": "NUK SS DISNEY SSR1 2B MICKEY", "r": "220168564"}, {"b": "4008600297536", "n": "NUK MICKY FCPP BTL 300ML", "r": "220165291"}, {"b": "4008600142737", "n": "NUK BOTTLE BRUSH W SPONGE", "r": "220164708"}, {"b": "5000167091663", "n": "NUROFEN COLD  FLU TABLETS 24S", "r": "220223309"}, {"b": "5000167091281", "n": "NUROFEN CHILDREN 100MG5ML", "r": "220225819"}, {"b": "5000158071216", "n": "NUROFEN CHILDREN 200ML 2 ORANGE", "r": "220169891"}, {"b": "5012509978365", "n": "WOODWARDSGRIPE WATER 150 ML", "r": "220217197"}, {"b": "8018799039400", "n": "NL SLIM ME 30TAB", "r": "220054790"}, {"b": "8018799454609", "n": "NL MEMORY PLUS BRAHMI 6000 30TAB", "r": "220065937"}, {"b": "8018799394509", "n": "NL LIVER GUARD 30TAB", "r": "220067947"}, {"b": "18515125460", "n": "NUTRA NAIL TRIPLE POWER GEL STRENGHTHENER", "r": "220059896"}, {"b": "18515129253", "n": "NUTRA NAIL SMUDGE", "r": "220077579"}, {"b": "18515122001", "n": "NUTRA NAIL GREEN TEA NAIL STRENGTHENER", "r": "220070653"}, {"b": "18515126702", "n": "NUTRA NAIL GREEN TEA GROWTH TREATMENT WITH ACAI", "r": "220064856"}, {"b": "18515124494", "n": "NUTRA NAIL GREEN TEA ANTIMICROBIAL SLN", "r": "220077006"}, {"b": "3499320003636", "n": "NUTRADERM LOTION 200ML", "r": "220227693"}, {"b": "3499320003582", "n": "V NUTRADERM CREAM 60GM", "r": "220226169"}, {"b": "9400581045543", "n": "NUTRALIFE SILICAPLEX 5000 50CAPS", "r": "220171725"}, {"b": "9400581039658", "n": "NUTRALIFE ROYAL JELLY HIGH STRENGTH 220CAPS", "r": "220162095"}, {"b": "9400581032802", "n": "NUTRALIFE GLUCOSAMINE 1500 CPLX ADVCD 90TAB", "r": "220165707"}, {"b": "9400581041644", "n": "NUTRALIFE GARCINIA  CHROMIUM 60CAPS", "r": "220165844"}, {"b": "3499320000086", "n": "NUTRAPLUS LOTN 200ML", "r": "220167101"}, {"b": "3499320000079", "n": "NUTRAPLUS CREAM 100 GM", "r": "220221392"}, {"b": "3515456363700", "n": "NUTRICAP SHAMPOO 200ML", "r": "220065120"}, {"b": "3515451141457", "n": "NUTRICAP NUTRISANTE KERATINE SUPLEMENT 30S", "r": "220205336"}, {"b": "3515457922494", "n": "NUTRICAP CAPSULES 60 GEL", "r": "220074434"}, {"b": "3515451141549", "n": "NUTRICAP NUTRISANTE KERATINE SUPLEMENT 90S", "r": "220207941"}, {"b": "4008976593942", "n": "NUTRICIA HERBAL TEA", "r": "220170048"}, {"b": "7070866014568", "n": "NUTRIDIET VLCD VANILLA 15S AE", "r": "220068514"}, {"b": "7070866014537", "n": "NUTRIDIET VLCD FOREST FRUIT 15S AE", "r": "220057727"}, {"b": "7070866014506", "n": "NUTRIDIET VLCD CHOCOLATE 15S AE", "r": "220064386"}, {"b": "8697711830020", "n": "NUTRIGROW ANTI HAIR LOSS SHAMPOO NORMAL HAIR 300ML", "r": "220234208"}, {"b": "8697711830013", "n": "NUTRIGROW ANTI HAIR LOSS SHAMPOO GREASY HAIR 300ML", "r": "220223236"}, {"b": "9650364001840", "n": "NEUTRIHERBS CARBONATED CLAY MASK 100G", "r": "220070681"}, {"b": "810011080911", "n": "NUTRITIONL APPLE CIDER EX STR VINEGAR TAB 100S", "r": "220196232"}, {"b": "810011082748", "n": "NUTRITIONL HYALURONIC ACID CAP 30S", "r": "220195147"}, {"b": "810011082717", "n": "NUTRITIONL ECHINACEA 125MG TAB 60S", "r": "220193844"}, {"b": "810011082632", "n": "NUTRITIONL VITAMIN ANIMALS KIDS CHEW TAB 30S", "r": "220194616"}, {"b": "810011085411", "n": "NUTRITIONL IMMUNITY ADULT GUMMIES 60S", "r": "220211353"}, {"b": "810011085442", "n": "NUTRITIONL BEAUTY ADULT GUMMIES 60S", "r": "220211094"}, {"b": "810011081048", "n": "NUTRITIONL CAL MG  ZN TABS 100S", "r": "220200403"}, {"b": "810011082533", "n": "NUTRITIONL DAILY MULTI TAB 30S", "r": "220200205"}, {"b": "810011082755", "n": "NUTRITIONL KOREAN GINSENG 1000MG TAB 60S", "r": "220198760"}, {"b": "810011082649", "n": "NUTRITIONL MAGNESIUM 500MG TAB 30S", "r": "220198543"}, {"b": "810011082656", "n": "NUTRITIONL MENS DAILY TAB 30S", "r": "220199474"}, {"b": "810011085428", "n": "NUTRITIONL MULTIVIT ADULT GUMMIES 60S", "r": "220211463"}, {"b": "810011081000", "n": "NUTRITIONL VIT C 1000MG PURE ASCORBIC ACID TABS 100S", "r": "220199162"}, {"b": "810011082519", "n": "NUTRITIONL VITAMIN C 1000MG TAB 60S", "r": "220198538"}, {"b": "810011082700", "n": "NUTRITIONL VITAMIN E 1000IU SOFTGEL 50S", "r": "220199768"}, {"b": "810011082694", "n": "NUTRITIONL ZINC 50MG TABS 30S", "r": "220200464"}, {"b": "811660021614", "n": "NUUN SPORT TROPICAL  10TABS", "r": "220209781"}, {"b": "811660021577", "n": "NUUN SPORT STRAWBERRY LEMON  10TABS", "r": "220210070"}, {"b": "811660021591", "n": "NUUN SPORT ORANGE  10TABS", "r": "220209690"}, {"b": "811660021553", "n": "NUUN SPORT LEMON LIME  10TABS", "r": "220209954"}, {"b": "811660022543", "n": "NUUN SPORT GRAPE  10TABS", "r": "220209889"}, {"b": "811660021638", "n": "NUUN SPORT CAFFEINE WILD BERRY  10TABS", "r": "220209757"}, {"b": "811660022529", "n": "NUUN SPORT CAFFEINE MANGO ORANGE  10TABS", "r": "220209812"}, {"b": "811660021621", "n": "NUUN SPORT CAFFEINE CHERRY LIME  10TABS", "r": "220209843"}, {"b": "811660021560", "n": "NUUN SPORT BERRY  10TABS", "r": "220209927"}, {"b": "811660022550", "n": "NUUN LIFE SPORT FRUIT PUNCH  10TABS", "r": "220209547"}, {"b": "81660022048", "n": "NUUN IMMUNITY ORANGE CITRUS 10TABS", "r": "220209578"}, {"b": "811660022024", "n": "NUUN IMMUNITY BLUEBERRY TANGERINE 10TABS", "r": "220209875"}, {"b": "3264680019708", "n": "NUXE WHITE ULTIMATE GLOW SERUM 50ML", "r": "220230920"}, {"b": "3264680019692", "n": "NUXE WHITE ULTIMATE GLOW GEL CREAM 50ML", "r": "220228320"}, {"b": "3264680019685", "n": "NUXE WHITE ULTIMAT GLOW EYE CNTR CRM 15ML", "r": "220233626"}, {"b": "3264680023323", "n": "NUXE SUPER SRM ANTAGNG CONCENTRATE 30ML", "r": "220218292"}, {"b": "3264680022111", "n": "NUXE ROSE LIGHT CLEANSING FOAM 150ML", "r": "220230284"}, {"b": "3264680022098", "n": "NUXE VERY ROSE REFRESHING TONING MIST 200 ML", "r": "220237568"}, {"b": "3264680022104", "n": "NUXE VERY ROSE RADIANCE PEELING LOTION 150 ML", "r": "220239700"}, {"b": "3264680022043", "n": "NUXE VERY ROSE 3IN1 SOOTHING MICELLAR WATER200ML", "r": "220237754"}, {"b": "3264680022166", "n": "NUXE SUN LIGHT FLUID HIGH PROTECTION SPF50 50ML", "r": "220237389"}, {"b": "3264680015946", "n": "NUXE HUILE PRODIGIEUSE FLORALE MULTIPURPOSE DRY OIL100 ML", "r": "220238429"}, {"b": "3264680005862", "n": "NUXE SUN TANNING OIL SPF10 150 ML", "r": "220227469"}, {"b": "3264680006999", "n": "NUXE SUN ANTAGING FONDANT CRM SPF50 50ML", "r": "220231524"}, {"b": "3264680004063", "n": "NUXE REVE DE ML FAC  BDY ULTRA CLNS GEL 400ML", "r": "220226764"}, {"b": "3264680004117", "n": "NUXE REVE DE MIEL LIP MOISTURIZING STICK 4G", "r": "220225499"}, {"b": "3264680004070", "n": "NUXE REVE DE MIEL FACE CLEANSING GEL 200 ML", "r": "220232602"}, {"b": "3264680010446", "n": "NUXE RDM HAND  NAIL CRM 50ML", "r": "220233266"}, {"b": "3264680007606", "n": "NUXE NUXELLENCE DETOX ANTIAGING CARE 50ML", "r": "220232473"}, {"b": "3264680013034", "n": "NUXE NUXELLENCE ANT AGE EYE CONTOUR 15 ML", "r": "220218717"}, {"b": "3264680009785", "n": "NUXE HUILE PROD MULTI PURPOSE DRY OIL GOLD 50 ML", "r": "220218566"}, {"b": "3264680009761", "n": "NUXE HUILE PROD MULTI PURPOSE DRY OIL 50 ML", "r": "220218806"}, {"b": "3264680009754", "n": "NUXE HUILE PROD MULTI PURPOSE DRY OIL 100 ML", "r": "220218441"}, {"b": "3264680010941", "n": "NUXE DELICIOUSLY NOURISH BODY SCRUB 175ML", "r": "220217217"}, {"b": "3264680012273", "n": "NUXE CREME FRAICHE 48H HYDRATE SRM 30 ML", "r": "220227213"}, {"b": "3264680004308", "n": "NUXE BODY 24H MOISTURIZE BODY LOTION 200ML", "r": "220229633"}, {"b": "3264680014888", "n": "NUXE AQUABELLA MOISTURISE EMULSION 50ML", "r": "220224849"}, {"b": "3264680014857", "n": "NUXE AQUABELLA EXFOLIATING GEL 150ML", "r": "220221941"}, {"b": "3264680014871", "n": "NUXE AQUABELLA ESSENCE LOTION 200ML", "r": "220219065"}, {"b": "3264680012280", "n": "NUXE 48H MOIST MATT FLUID 50ML", "r": "220232187"}, {"b": "3264680012310", "n": "NUXE 48H MOIST FACE CRM DRY SKIN 50ML", "r": "220228246"}, {"b": "3264680016554", "n": "NUXE NUXURIANCE ULTRA EYE  LIP CONTOUR 15ML", "r": "220229778"}, {"b": "3264680016561", "n": "V NUXE NUXURIANCE ULTRA DAY CREAM SPF20", "r": "220182843"}, {"b": "3264680006319", "n": "NUXE WHITE WHITENING SERUM 30ML", "r": "220216029"}, {"b": "3264680006333", "n": "NUXE WHITE UV PROTECTOR SPF30 30ML", "r": "220216382"}, {"b": "3264680007941", "n": "NUXE WHITE NIGHT CRM 50ML", "r": "220218349"}, {"b": "3264680010873", "n": "NUXE WHITE EYE CONTOUR CRM 15ML", "r": "220228859"}, {"b": "3264680006302", "n": "NUXE WHITE BRIGHTENING LOTION 200ML", "r": "220217441"}, {"b": "3264680006296", "n": "NUXE WHITE BRIGHTEN PURIFYING FOAM CLEANSER 125ML", "r": "220217921"}, {"b": "3264680006159", "n": "NUXE WHITE BRIGHTEN MASK 621ML", "r": "220228539"}, {"b": "3264680010743", "n": "NUXE WHITE BRIGHT PERECT MASK 6S", "r": "220220632"}, {"b": "3264680006326", "n": "NUXE WHITE BRIGHT MOISTURIZE EMULSION 50ML", "r": "220229928"}, {"b": "3264680006340", "n": "NUXE WHITE BRIGHT BB CREAM 30ML", "r": "220216466"}, {"b": "3264680003905", "n": "NUXE URIANCE EYESLIPS 15ML", "r": "220172441"}, {"b": "3264680007019", "n": "NUXE TAN OIL FACE  BODY HIGH PROT SPF30 150ML", "r": "220234589"}, {"b": "3264680010125", "n": "NUXE SUN FRAGRANT WATER EAU FRAICHE 100ML", "r": "220230046"}, {"b": "3264680005848", "n": "NUXE SUN DELICIOUS CREAM FOR FACE SPF30 50ML", "r": "220225927"}, {"b": "3264680007002", "n": "NUXE SUN CRM FBDY HIGH PROT SPF30 150ML", "r": "220221399"}, {"b": "3264680008726", "n": "NUXE SUN AFTER SUN HAIR AND BODY SHAMP 200ML", "r": "220230168"}, {"b": "3264680004100", "n": "NUXE REVE DE MIEL ULTRA COMFORT FACE DAY CRM 50ML", "r": "220222704"}, {"b": "3264680004087", "n": "NUXE REVE DE MIEL LIP BALM 15ML", "r": "220227042"}, {"b": "3264680008016", "n": "NUXE REV DE MIEL SHAMP 300ML", "r": "220225110"}, {"b": "3264680005879", "n": "NUXE REFRESH AFTERSUN LOTION FOR FACE  BODY 200ML", "r": "220226449"}, {"b": "3264680015700", "n": "NUXE RED LIMTD ETION MLT PURPOSE DRY OIL 100ML", "r": "220217561"}, {"b": "3264680004049", "n": "NUXE RE VE DEMIEL ULTRA COMFORT FOOT CRM 75ML", "r": "220218995"}, {"b": "3264680007750", "n": "NUXE RDM SACHET DUO PACK HANDLIP STICK", "r": "220162481"}, {"b": "3264680007408", "n": "NUXE PRODIGIEUSE DD MEDIUM SHADE CRM 30ML", "r": "220220334"}, {"b": "3264680007392", "n": "NUXE PRODIGIEUSE DD LGHT SHADE CRM 30ML", "r": "220227190"}, {"b": "3264680004445", "n": "NUXE PROD MOISTRICH DAY CRM DRY SKIN 40ML", "r": "220218578"}, {"b": "3264680009488", "n": "NUXE PROD LAIT PARFUME BODY LOTION 200ML", "r": "220220707"}, {"b": "3264680004452", "n": "NUXE PROD ANTIFATIGUE MOISTURIZE NGT CRM 40ML", "r": "220221559"}, {"b": "3264680004438", "n": "NUXE PROD ANTIFATIGUE MOISTURIZE CRM 40ML", "r": "220221582"}, {"b": "3264680009273", "n": "NUXE NUXURIANCE ULTRA SRM REDENS ANTIAGE 30ML", "r": "220235218"}, {"b": "3264680009297", "n": "NUXE NUXURIANCE ULTRA ROLLON MASK 50ML", "r": "220227472"}, {"b": "3264680009266", "n": "NUXE NUXURIANCE ULTRA NIGHT CRM RICHE 50ML", "r": "220234945"}, {"b": "3264680009259", "n": "NUXE NUXURIANCE ULTRA DAY CRM RICHE 50ML", "r": "220232096"}, {"b": "3264680009242", "n": "NUXE NUXURIANCE ULTRA CRM FLUIDE REDENSIFIANTE 50ML", "r": "220234021"}, {"b": "3264680011351", "n": "NUXE NUXURIANCE ULTRA ANTI AGE HAND CRM 75 ML", "r": "220230185"}, {"b": "3264680009280", "n": "NUXE NUXURIANCE EYE LIP CONTOUR 15ML", "r": "220218323"}, {"b": "3264680006050", "n": "NUXE NIRVANESQUE WRINKLE SMOOTH CRM DRY SKIN 15ML", "r": "220218816"}, {"b": "3264680006098", "n": "NUXE NIRVANESQUE EYE CONTOUR CRM 15ML", "r": "220223545"}, {"b": "3264680003561", "n": "NUXE MULTIPURPOSE MEN EYE CREAM 15ML", "r": "220221324"}, {"b": "3264680004964", "n": "NUXE MOISTURIZING MEN SHOWER GEL 200 ML", "r": "220235485"}, {"b": "3264680008115", "n": "NUXE MOIST PROTECTIVE MILKY HAIR OIL 100ML", "r": "220223691"}, {"b": "3264680005121", "n": "NUXE MICELLAR WATER 100ML", "r": "220169492"}, {"b": "3264680005152", "n": "NUXE MICELLAR FOAM CLEANSER ROSE PETALS 150ML", "r": "220233122"}, {"b": "3264680005114", "n": "NUXE MICELLAR CLEANSE WATER ROSE PETALS 200ML", "r": "220218244"}, {"b": "3264680006937", "n": "NUXE MERVEILLANCE EXPERT SERUM 30ML", "r": "220220920"}, {"b": "3264680008153", "n": "NUXE MERVEILLANCE EXPERT FLUID 50ML", "r": "220219373"}, {"b": "3264680008313", "n": "NUXE MERVEILLANCE EXPERT FLUID 50ML", "r": "220231411"}, {"b": "3264680006944", "n": "NUXE MERVEILLANCE EXPERT EYE CONTOUR 15ML", "r": "220232158"}, {"b": "3264680006951", "n": "NUXE MERVEIL EXPERT VISIBLE LINES DRY SKIN 50ML", "r": "220228273"}, {"b": "3264680006968", "n": "NUXE MERVEIL EXPERT LIFT  FIRM NIGHT CRM 50ML", "r": "220225585"}, {"b": "3264680003585", "n": "NUXE MEN SHAVING GEL 150ML", "r": "220232371"}, {"b": "3264680008719", "n": "NUXE MEN NUXELLENCE ANTAGE FLUID 50ML", "r": "220235046"}, {"b": "3264680004957", "n": "NUXE MEN MOISTURIZE MULTI PURPOSE GEL 50ML", "r": "220219272"}, {"b": "3264680003578", "n": "NUXE MEN DUO PROTECTION 24 H DEO ROLLON 50 ML", "r": "220227707"}, {"b": "3264680005190", "n": "NUXE MASQUE PURIF DOUX CLARIFY CRM MASK 50ML", "r": "220233354"}, {"b": "3264680004322", "n": "NUXE LONG LASTING DEODORANT 50ML", "r": "220233276"}, {"b": "3264680002007", "n": "NUXE HUILE PRODIGIEUSE 100ML", "r": "220230839"}, {"b": "3264680009778", "n": "NUXE HUILE PROD MULTI PURPOSE DRY OIL GOLD 100 ML", "r": "220232298"}, {"b": "3264680002021", "n": "NUXE HUILE PROD MULT PURPOSE DRY OIL 50ML", "r": "220231197"}, {"b": "3264680009518", "n": "NUXE HUILE PROD LIMITED EDITION PARIS 100ML", "r": "220226508"}, {"b": "3264680004032", "n": "NUXE HAND  NAIL CRM 75ML", "r": "220229879"}, {"b": "3264680015656", "n": "NUXE GREEN LIMTD ETION MLT PURPOSE DRY OIL 100ML", "r": "220232067"}, {"b": "3264680005145", "n": "NUXE GENTLE TONING LTN ROSE PETALS 200ML", "r": "220236008"}, {"b": "3264680005176", "n": "NUXE GEL DEMAQ FONDANT MELTING CLEANS GEL 125ML", "r": "220223107"}, {"b": "3264680005343", "n": "NUXE CRM FRCH CONCTRTE VERYDRY 50ML", "r": "220156130"}, {"b": "3264680005381", "n": "NUXE CLEAR YOUTH  AMP RADIANCE ANTIAGE CARE 50ML", "r": "220217716"}, {"b": "3264680005183", "n": "NUXE CLEAR GENTLE EXFOLIATING GEL 75ML", "r": "220217535"}, {"b": "3264680005138", "n": "NUXE CLEANSING MILK ROSE PETALS 200ML", "r": "220228408"}, {"b": "3264680004285", "n": "NUXE BODY WOMENS SHOWER GEL 200 ML", "r": "220216330"}, {"b": "3264680004315", "n": "NUXE BODY MELTING FIRMING CRM 200ML", "r": "220221541"}, {"b": "3264680006920", "n": "NUXE BODY FRAGRANT WATER 100ML", "r": "220227451"}, {"b": "3264680004292", "n": "NUXE BODY FONDANT BODY SCRUB 200 ML", "r": "220225252"}, {"b": "3264680004346", "n": "NUXE BODY CONTOUR SERUM EMBED CELLULITE 150ML", "r": "220229605"}, {"b": "3264680004339", "n": "NUXE BDY CONTOUR OIL INFILTRAT CELLULITE 100ML", "r": "220218587"}, {"b": "3264680003349", "n": "NUXE AROMA PERFECTION MASK 40ML", "r": "220220077"}, {"b": "3264680002748", "n": "NUXE AROMA PERFECT ANTIIMPERFECTION CARE 40ML", "r": "220233835"}, {"b": "3264680002731", "n": "NUXE AROMA PERF PURIFY CLEANS GEL 200ML", "r": "220229506"}, {"b": "3264680004469", "n": "NUXE ANTIFATIGUE EYE CONTOUR CRM 15 ML", "r": "220226909"}, {"b": "3264680003592", "n": "NUXE AFTER SHAVE BALM FOR MEN 50 ML", "r": "220224044"}, {"b": "3264680012334", "n": "NUXE 48HR SOS MOIST  SOOTHING MASK 50ML", "r": "220221037"}, {"b": "3264680012297", "n": "NUXE 48H MOIST FACE CRM NORMAL SKIN 50ML", "r": "220225309"}, {"b": "3264680005367", "n": "NUXE 24HR SOOTH AND MOISTURE SRM 30ML", "r": "220235700"}, {"b": "4029125057917", "n": "NYDA ANTI LICE SPRAY 50ML", "r": "220153576"}, {"b": "965014300048", "n": "NYSTALOCAL CREAM 20GM", "r": "220172075"}, {"b": "9421015060130", "n": "1839 MANUKA HONEY PREMIUM 15 UMF 250G", "r": "220225358"}, {"b": "9421015060093", "n": "1839 MANUKA HONEY GINGER 8UMF 500G", "r": "220231461"}, {"b": "3574661360850", "n": "OB TAMPONS  COMFORT MINI 16 PCS", "r": "220235876"}, {"b": "3574661364049", "n": "OB TAMPONS SUPER 16 PCS", "r": "220233910"}, {"b": "3574661360843", "n": "OB TAMPONS NORMAL 16 PCS", "r": "220226253"}, {"b": "3574661364056", "n": "OB TAMPONS SUPER PLUS 16 PCS", "r": "220229444"}, {"b": "362032070162", "n": "OBAGI RETINOL 10 CREAM 28G", "r": "220231552"}, {"b": "362032050515", "n": "OBAGI PROFESSIONALC SERUM 10 30ML", "r": "220232575"}, {"b": "362032050553", "n": "OBAGI PROFESSIONALC EYE BRIGHTENER 15ML", "r": "220233819"}, {"b": "362032050591", "n": "OBAGI PROFESSIONAL C 30 LASCORBIC ACID 80G", "r": "220190183"}, {"b": "362032070131", "n": "OBAGI NUDERM EXFODERM FORTE 57G", "r": "220187686"}, {"b": "362032070209", "n": "OBAGI HYDRATE LUXE MOIST RICH CRM 48G", "r": "220188181"}, {"b": "362032605258", "n": "OBAGI CLEANSNG WIPES 25S", "r": "220189520"}, {"b": "362032050089", "n": "OBAGI CEXFOLIATING DAY LOTION 57ML", "r": "220230016"}, {"b": "362032604664", "n": "OBAGI BALANCNG TONER 200ML", "r": "220189002"}, {"b": "362032606255", "n": "OBAGI ACNE CLEANSNG WIPES 25S", "r": "220188058"}, {"b": "362032050010", "n": "OBAGI  CCLEANSING GEL 177ML", "r": "220217122"}, {"b": "362032070117", "n": "OBAGI SUN SHIELD SPF50 MATTE LOTION 85GMS", "r": "220235203"}, {"b": "362032600017", "n": "OBAGI RETIVANCE 30G", "r": "220089809"}, {"b": "362032050539", "n": "OBAGI PROFESSIONALC SERUM 20 30ML", "r": "220229203"}, {"b": "362032050522", "n": "OBAGI PROFESSIONALC SERUM 15 30ML", "r": "220232672"}, {"b": "362032070018", "n": "OBAGI NUDERM TONER 198ML", "r": "220221794"}, {"b": "362032070056", "n": "OBAGI NUDERM FOAMING GEL 200ML", "r": "220221492"}, {"b": "362032070445", "n": "OBAGI NUDERM CLEARFX 57G", "r": "220061721"}, {"b": "362032601021", "n": "OBAGI IDR LOT 60G", "r": "220083182"}, {"b": "362032070193", "n": "OBAGI HYDRATE FACIAL MOISTURIZER 48GMS", "r": "220225038"}, {"b": "362032065038", "n": "OBAGI ELASTIDERM EYE COMPLEX SERUM 14ML", "r": "220074942"}, {"b": "301876102042", "n": "OBAGI CLENZIDERM PORE THERAPY 148ML", "r": "220088906"}, {"b": "301876100048", "n": "OBAGI CLENZIDERM FOAMING CLNSR 118ML", "r": "220195254"}, {"b": "362032101361", "n": "OBAGI NUDERM CLEAR 57GMS", "r": "220227520"}, {"b": "362032100364", "n": "OBAGI NUDERM BLENDER 57GMS", "r": "220222290"}, {"b": "857839003029", "n": "OBAGI HAIR HEALTH NEXTCELL 90CAPS", "r": "220188272"}, {"b": "362032603667", "n": "OBAGI FOAMING CLNSR 200ML", "r": "220187950"}, {"b": "362032106106", "n": "OBAGI CCLARIFYING SERUM 30ML", "r": "220234487"}, {"b": "362032070179", "n": "OBAGI 360 RETINOL 05 28GMS", "r": "220229654"}, {"b": "8713713071770", "n": "OBESIMED FORTE CAPS 42S", "r": "220181783"}, {"b": "774124360", "n": "OCEAN POTION SS LOT SPF50 200ML", "r": "220174594"}, {"b": "774124322", "n": "OCEAN POTION SS LOT SPF30 200ML", "r": "220177360"}, {"b": "774124308", "n": "OCEAN POTION SS LOT SPF15 200ML", "r": "220178616"}, {"b": "774126050", "n": "OCEAN POTION CONT SPRY SPORT SPF30 177ML", "r": "220176549"}, {"b": "774124407", "n": "OCEAN POTION CONT SPRY SPF50 177ML", "r": "220179837"}, {"b": "4020799000018", "n": "OCEAN SPRAY 15ML", "r": "220168902"}, {"b": "4031626000705", "n": "OCIANO PLUS NASAL SPRAY 30ML", "r": "220075228"}, {"b": "3760070493146", "n": "OE INTIMATE CLEANSING CARE 200ML", "r": "220206794"}, {"b": "3760070496758", "n": "OE HAIR REMOVER STRIPS", "r": "220205363"}, {"b": "3730070499032", "n": "OE HAIR REMOVER CREAM NORMAL SKIN", "r": "220205314"}, {"b": "3730070499018", "n": "OE HAIR REMOVER CREAM DRY SKIN", "r": "220206667"}, {"b": "3760070493962", "n": "OE HAIR REMOVER CREAM ALL SKIN TYPES", "r": "220206993"}, {"b": "8031387200099", "n": "OFFLIMITS AFTER COLOUR SHMP", "r": "220159081"}, {"b": "5016007202311", "n": "OFLOX EYE DROPS 5ML", "r": "220219805"}, {"b": "5900116025018", "n": "OILLAN LONG EYELASH ENHANCING SERUM 3 ML", "r": "220050499"}, {"b": "965015500018", "n": "OKACIN EYE DROPS 5ML", "r": "220158336"}, {"b": "8001090875532", "n": "OLAY RGNRST WHIP LWEIGHT FACE MSTRSR SPF30 50ML", "r": "220231776"}, {"b": "8001090274632", "n": "OLAY EYES FIRMING SERUM 15ML", "r": "220233871"}, {"b": "8001090252388", "n": "OLAY EYE ULTIMATE CREAM 15ML", "r": "220220505"}, {"b": "4902430822299", "n": "OLAY WHITE RADIANCE LIGHT PERFECTINGSHEET MASK 1S", "r": "220202362"}, {"b": "8001841016443", "n": "OLAY TTL EFFCTS UV DAY CRM SPF15 20ML", "r": "220218088"}, {"b": "8001841016504", "n": "OLAY TTL EFFCTS 7IN1 NGHT FRMNG CRM 15ML", "r": "220227980"}, {"b": "4902430408110", "n": "OLAY SKINFUSION MASKS KOREAN YUZU 1S", "r": "220202491"}, {"b": "8001090853103", "n": "OLAY RGNRST MICROSCULPTING CRM MSTRZR 15ML", "r": "220228222"}, {"b": "4902430917872", "n": "OLAY RG NIGHT MOIST CRM RETINOL24 50G", "r": "220202636"}, {"b": "4902430917896", "n": "OLAY REGENERIST SERUM RETINOL 30ML", "r": "220202508"}, {"b": "4902430822237", "n": "OLAY REGENERIST MICROSCULPTING SHEET MASK 1S", "r": "220203118"}, {"b": "8001090853233", "n": "OLAY REGENERIST MICROSCULPTING NIGHT CRM 15ML", "r": "220229119"}, {"b": "5013965752186", "n": "OLAY REG MICROSCULPT SERUM 50ML", "r": "220226898"}, {"b": "4902430872850", "n": "OLAY PROX BRIGHTENING TONER 150ML", "r": "220203168"}, {"b": "4902430872911", "n": "OLAY PROX BRIGHTENING ESSENCE SERUM 40ML", "r": "220202902"}, {"b": "4902430809146", "n": "OLAY PROX BRIGHTENING CRM 48G", "r": "220202622"}, {"b": "4902430873017", "n": "OLAY PROX ANTIAGING LOTION 150ML", "r": "220203036"}, {"b": "4902430872775", "n": "OLAY PROX ANTIAGING FACE CRM 48G", "r": "220203101"}, {"b": "4902430872737", "n": "OLAY PROX ANTIAGING EYE CRM 15ML", "r": "220203175"}, {"b": "4902430872669", "n": "OLAY PROX ANTIAGING 3D ESS 30ML", "r": "220202687"}, {"b": "4902430759601", "n": "OLAY LUMINOUS VIT C SUPER SERUM 30ML", "r": "220210384"}, {"b": "4902430759540", "n": "OLAY LUMINOUS HYLURONIC SUPER SERUM 30ML", "r": "220210582"}, {"b": "4902430759649", "n": "OLAY LUMINOUS CICA SUPER SERUM 30ML", "r": "220210687"}, {"b": "4902430872812", "n": "OLAY FACE PROX BRIGHTENING CLEANSER 150G", "r": "220203103"}, {"b": "4902430872621", "n": "OLAY FACE PROX ANTIAGING EXFOLIATING CLEANSER 150G", "r": "220202679"}, {"b": "4902430917681", "n": "OLAY EYE CREAM RETINOL 15ML", "r": "220203284"}, {"b": "4015600978242", "n": "OLAY REGENERIST MICROSCULPTING CREAM SPF30 50ML", "r": "220221029"}, {"b": "5011321626966", "n": "OLAY REG MICROSCULPT ANTIAGN CRM 48G", "r": "220235745"}, {"b": "8001841119328", "n": "OLAY LUMINOUS WHIP CREAM SPF30 50ML", "r": "220202397"}, {"b": "8001841119281", "n": "OLAY LUMINOUS WHIP CREAM 50ML", "r": "220202390"}, {"b": "4902430200707", "n": "OLAY WHITE RADIANCE NIGHT CREAM 50ML", "r": "220223764"}, {"b": "8001090875815", "n": "OLAY TTL EFFCTS WHIP LWGHT FACE MSTRSR 50ML", "r": "220217783"}, {"b": "5000174960587", "n": "OLAY TOTAL EFFECTS SERUM INSTANT SMOOTHING SERUM 50ML", "r": "220223871"}, {"b": "5000174442304", "n": "OLAY TOTAL EFFECTS NIGHT FIRMING MOISTURISER 50ML", "r": "220230846"}, {"b": "5000174960839", "n": "OLAY TOTAL EFFECTS EYE TRANSFORM CRM 15ML", "r": "220220053"}, {"b": "5000174442366", "n": "OLAY TOTAL EFFECTS ANTIAGEING DAY MOISTURISER 50ML", "r": "220234574"}, {"b": "5000174773903", "n": "OLAY TOTAL EFFECTS 7IN1 AGE DEFYING TONER 200ML", "r": "220231617"}, {"b": "5000174773965", "n": "OLAY TOTAL EFFECTS 7IN1 AGE DEFYING FACE WASH 150ML", "r": "220227393"}, {"b": "4015400981299", "n": "OLAY TOTAL EFFECTIVE EYE TRANS CRM 15ML", "r": "220234141"}, {"b": "4015600824921", "n": "OLAY TOTAL EFFECT 7 MOISTURISER COMPLEXION CORRECTOR 50ML", "r": "220232489"}, {"b": "8001090875389", "n": "OLAY RGNRST WHIP LIGHTWEIGHT FACE MSTRZR 50ML", "r": "220220200"}, {"b": "4084500092167", "n": "OLAY REGENERIST CLEANSING SYSTEM KIT", "r": "220217167"}, {"b": "4084500092211", "n": "OLAY REGENERIST CLEANSING REFILL KIT", "r": "220231511"}, {"b": "5011321372900", "n": "OLAY REGE ANTI AGING NIGHT CRM 50ML", "r": "220232716"}, {"b": "5011321372979", "n": "OLAY REG UV LOTION SPF15 75ML", "r": "220229286"}, {"b": "5011321373013", "n": "OLAY REG MOISTURISER DAY CRM 50ML", "r": "220216890"}, {"b": "5011321868175", "n": "OLAY NATURALWHITE DAY CRM 50G", "r": "220235040"}, {"b": "5011321868342", "n": "OLAY NATURAL WHITE NGT CRM 50ML", "r": "220227966"}, {"b": "5011321868281", "n": "OLAY NATURAL WHITE DAY LOTION 75ML", "r": "220218874"}, {"b": "5011321868311", "n": "OLAY NATURAL WHITE CRM SPF24 100G", "r": "220226099"}, {"b": "4902430987622", "n": "OLAY NATURAL WHITE CLEANSING FACE WASH 100ML", "r": "220221177"}, {"b": "4902430199940", "n": "OLAY FACE MOINST WHITE RADIANCE UV CREAM 50ML", "r": "220217757"}, {"b": "8001090251985", "n": "OLAY EYES ILLUMINATING CRM 15ML", "r": "220152607"}, {"b": "5000174512793", "n": "OLAY DOUBLE ACTION NIGHT CREAM 50ML", "r": "220228011"}, {"b": "5000174070354", "n": "OLAY DOUBLE ACTION DAY CREAM REGULAR 50ML", "r": "220222998"}, {"b": "5000174562170", "n": "OLAY COMPLETE SENS DAY CREAM 50ML", "r": "220224247"}, {"b": "5000174528688", "n": "OLAY COMPLETE NOURISHING NIGHT CREAM 50ML", "r": "220229491"}, {"b": "5000174010862", "n": "OLAY COMPLETE DAY CREAM SPF15 50ML", "r": "220229712"}, {"b": "5010527371229", "n": "OLAY BEAUTY FLUID 200ML", "r": "220226408"}, {"b": "5010527371304", "n": "OLAY BEAUTY FLUID 100ML", "r": "220231899"}, {"b": "5000174961256", "n": "OLAY AGE DEFYING DAY CREAM 50ML", "r": "220225687"}, {"b": "8001841816241", "n": "OLAY LUMINOUS TONE ESSENCE 30ML", "r": "220203197"}, {"b": "8001841174006", "n": "OLAY EYES DEEP HYDRATING GEL 15ML", "r": "220202952"}, {"b": "8001090875969", "n": "OLAY TTL EFFCTS WHIP LWGHT FACE MSTRSR SPF30 50ML", "r": "220229026"}, {"b": "37000974642", "n": "OLAY BODY WASH ULTRMOIST SHEABTR650ML", "r": "220202490"}, {"b": "37000974680", "n": "OLAY BODY WASH STRAWBERRY  MINT 650ML", "r": "220202992"}, {"b": "37000523871", "n": "OLAY BODY WASH FRESH OUTLAST ROSE WATER 650ML", "r": "220202611"}, {"b": "37000974918", "n": "OLAY BODY WASH FRESH OUTLAST LAVENDER 650ML", "r": "220202439"}, {"b": "37000974758", "n": "OLAY BODY WASH COCONUT OASIS 650ML", "r": "220202886"}, {"b": "37000974734", "n": "OLAY BODY WASH AGE DEFY 650ML", "r": "220202423"}, {"b": "5000477161131", "n": "OLBAS OIL 28ML", "r": "220163200"}, {"b": "5000477162138", "n": "OLBAS FOR CHILDREN 10ML", "r": "220220241"}, {"b": "5000477160134", "n": "OLBAS OIL 10ML", "r": "220218507"}, {"b": "5000477175145", "n": "OLBAS INHALER", "r": "220235890"}, {"b": "2223817000001", "n": "OLFEN 140MG PATCH 5S", "r": "220207940"}, {"b": "7640153080653", "n": "OLFEN 50 MG LACTAB 20S", "r": "220230397"}, {"b": "7640153080561", "n": "OLFEN GEL 50GM", "r": "220227058"}, {"b": "7640153080691", "n": "OLFEN 75MG DEPOTABS 10S", "r": "220218379"}, {"b": "965018300003", "n": "OLFEN 100MG SR CAP 20S", "r": "220181343"}, {"b": "8023496011284", "n": "OLIMAG MAGNESIUM WITH VIT B6GINGER 20S", "r": "220205958"}, {"b": "5901330053504", "n": "V OLIMP LEVIT C 1500 EFF TABS 20S", "r": "220193910"}, {"b": "5901330079047", "n": "OLIMP LCARNTN 1000MGCHROMIUM 40MG 20S", "r": "220208911"}, {"b": "5901330080326", "n": "OLIMP CRANBERY 360MG100MG VIT C 30CAPS", "r": "220208333"}, {"b": "5901330081101", "n": "OLIMP CHELATED MAGNESIUMVIT B COMPL 20S", "r": "220215860"}, {"b": "8002660030221", "n": "OMACOR 1000MG CAPSULES 28 S", "r": "220217413"}, {"b": "403218012234", "n": "OMACOR OMEGA3 ACID ETHYL ESTERS90 1000MG", "r": "220168690"}, {"b": "965013600018", "n": "OMEDAR TAB 14S", "r": "220170865"}, {"b": "4800011166841", "n": "OMEGA PAIN KILLER LINIMENT 120ML", "r": "220203194"}, {"b": "965013700455", "n": "OMEPREX 20MG CAPS 14S", "r": "220171228"}, {"b": "6281102233556", "n": "OMIZ 20MG CAPSULES 14S", "r": "220230773"}, {"b": "965015500046", "n": "OMIZ 10MG CAPS 14S", "r": "220162776"}, {"b": "6285094000295", "n": "OMNIC OCAS 04 MG TAB 30S", "r": "220164871"}, {"b": "965013700387", "n": "OMNIC 04MG CAPS 30S", "r": "220162686"}, {"b": "6251065019924", "n": "OMNICEF SUSP 80ML", "r": "220165974"}, {"b": "4015672110465", "n": "OMRON EVOLV BP MONITOR", "r": "220224250"}, {"b": "4015672111721", "n": "OMRON M7 INTELLI IT BPM UPPER ARM", "r": "220195329"}, {"b": "4015672104877", "n": "OMRON ECO TEMP BASIC", "r": "220218623"}, {"b": "4015672112803", "n": "OMRON COMPAIR NEBULISER C28", "r": "220229880"}, {"b": "4015672110892", "n": "OMRON MICROAIR U100 NEBULIZER", "r": "220226562"}, {"b": "4015672111745", "n": "OMRON M6 COMFORT INTELLISENSE", "r": "220227635"}, {"b": "4015672105621", "n": "OMRON C 801 KIDS NEBULIZER", "r": "220234285"}, {"b": "4015672111837", "n": "OMRON M3 UPPER ARM BP MONITOR", "r": "220218897"}, {"b": "4015672107045", "n": "OMRON BODY COMPOSTITION MONITOR BF 214", "r": "220228518"}, {"b": "4015672111455", "n": "OMRON WRIST BPM RS3", "r": "220198306"}, {"b": "4015672108400", "n": "OMRON M2 UPPER ARM BP MONITOR", "r": "220222294"}, {"b": "4015672108561", "n": "OMRON GT 720 FORHEAD THRMOMETER", "r": "220156392"}, {"b": "4015672107809", "n": "OMRON EAR THERMO GENTL TEMP 521", "r": "220228622"}, {"b": "4015672111110", "n": "OMRON WRIST BPM RS2", "r": "220219336"}, {"b": "4015672107793", "n": "OMRON EAR THERMO GENTL TEMP520", "r": "220167094"}, {"b": "4015672105720", "n": "OMRON NEBULIZER KIT", "r": "220155176"}, {"b": "4015672104914", "n": "OMRON FLEX TEMP SMART THERMOMETER", "r": "220223196"}, {"b": "4015672105355", "n": "OMRON STEP CNTR WLKG STLEIII BLK", "r": "220235743"}, {"b": "4015672101142", "n": "OMRON LONG LIFE PADS", "r": "220170727"}, {"b": "4015672104891", "n": "OMRON ECO TEMP SMART", "r": "220218563"}, {"b": "4015672101548", "n": "OMRON E4 PROFESSIONAL ELECTRONIC PULSE MASSAGER", "r": "220159896"}, {"b": "4015672110373", "n": "OMRON DUOBABY NEBULIZER", "r": "220232249"}, {"b": "4015672107885", "n": "OMRON DISPOSBL PROBE COVR 40 PCS", "r": "220231772"}, {"b": "4015672104945", "n": "OMRON DIGITAL PERSONAL SCALE HN286", "r": "220159740"}, {"b": "5028939000019", "n": "OMRON BGM STRIPS 50S", "r": "220156052"}, {"b": "4015672104051", "n": "OMRON BF 511  BODY COMPOSITION MONITOR BLUE", "r": "220219431"}, {"b": "4015672109575", "n": "OMRON A3 COMPRESSOR NEBULIZER", "r": "220152678"}, {"b": "4015672101401", "n": "OMRON 101401 U22 MICRO AIR POCKET NEBULISER", "r": "220234463"}, {"b": "727413009603", "n": "V ONLY NATURAL 5HTP WGT CNTL  ANXTY 45CAPS", "r": "220201084"}, {"b": "9650273000125", "n": "OPIZOLE B 20G CREAM", "r": "220152330"}, {"b": "9650273000118", "n": "OPIZOLE 1 20G CREAM", "r": "220159196"}, {"b": "3770001585307", "n": "OPTIBROW INTENS GROWTH EYEBROWS SERUM", "r": "220076390"}, {"b": "6281269025087", "n": "OPTIDEX T EYE DROPS 5ML", "r": "220220881"}, {"b": "300653144992", "n": "OPTIFREE EXPRESS 355ML", "r": "220154129"}, {"b": "300653145005", "n": "OPTIFREE EXPRESS 120ML", "r": "220160046"}, {"b": "6281282015102", "n": "OPTIFRESH EYE DROPS 10ML", "r": "220216043"}, {"b": "3770001585314", "n": "OPTIGLOSS EYELASH  BROW FORTIFY GLOSS", "r": "220066808"}, {"b": "3770001585291", "n": "OPTILASH EYE LASH GROWTH INTESNSV SERUM", "r": "220085674"}, {"b": "965014300023", "n": "OPTILONE EYED DROPS 5ML", "r": "220172591"}, {"b": "6902860346295", "n": "OPTITECT KIDS DISPOSABLE MASK 50S", "r": "220193706"}, {"b": "5000158105966", "n": "OPTREX EYE LOTION 110ML", "r": "220219203"}, {"b": "5010389101002", "n": "OPTREX EYE DROPS 10ML", "r": "220222785"}, {"b": "5000167027150", "n": "OPTREX MED EYE DROPS 10ML", "r": "220162498"}, {"b": "856125002005", "n": "ORABRUSH TOUNGE CLEANER", "r": "220227868"}, {"b": "4210201181439", "n": "ORAL B FROZEN RCHARGING TOOTH BRUSH 3", "r": "220234126"}, {"b": "3014260098803", "n": "ORAL B ULTRA THIN PREC CLEAN EXTRA SOFT TB", "r": "220232369"}, {"b": "5013965754937", "n": "ORAL B PROEXPERT PROF PROTECTION MW 500ML", "r": "220234269"}, {"b": "4084500190863", "n": "ORAL B PRO EXP SENGENTLE WHITENING TP 75ML", "r": "220194200"}, {"b": "8001090781284", "n": "ORAL B KIDS WINNIE TP 02 75ML", "r": "220194278"}, {"b": "3014260100544", "n": "ORAL B KIDS WINNIE 02Y 1CT", "r": "220194075"}, {"b": "3014260099268", "n": "ORAL B KIDS STARWARS 612Y 1CT", "r": "220194928"}, {"b": "3014260100728", "n": "ORAL B KIDS FROZCARS 3Y 75ML", "r": "220195002"}, {"b": "8001090365538", "n": "ORAL B GUM  ENAMEL REPAIR TP 75ML", "r": "220219308"}, {"b": "8001090365613", "n": "ORAL B GE REPAIR GNTL CLEAN TP 75ML", "r": "220224817"}, {"b": "4084500191310", "n": "ORAL B COMP MWWHITE TP 100ML", "r": "220235410"}, {"b": "4084500191617", "n": "ORAL B COMP EXTRA FRESH TP 100ML", "r": "220230979"}, {"b": "4210201233497", "n": "ORAL B AQUACAER 4 WATERFLOSSER", "r": "220194327"}, {"b": "4210201394952", "n": "ORAL B UC IO REFILL BRUSH HEADS WHITE", "r": "220212351"}, {"b": "4210201394938", "n": "ORAL B UC IO REFILL BRUSH HEADS BLACK", "r": "220211843"}, {"b": "8001841604510", "n": "ORAL B SENSITIVITY  GUM TP 75ML", "r": "220221343"}, {"b": "4210201390640", "n": "ORAL B IO9 BLACK 7 SMARTMODE ELECTRIC TB", "r": "220211891"}, {"b": "4210201390794", "n": "ORAL B IO7 WHITE 5 SMARTMODE ELECTRIC TB", "r": "220211819"}, {"b": "8001090720399", "n": "ORAL B FRESHMINT MOUTHWASH 500ML", "r": "220227556"}, {"b": "4210201181125", "n": "ORALB VITALITY RECHARGEABLE KIDS ELECTRIC TOOTH BRUSH", "r": "220230422"}, {"b": "4210201064121", "n": "ORAL B VITALITY PREC PWR CLAM", "r": "220171351"}, {"b": "4210201822325", "n": "ORAL B TOOTH BRUSH WITH BATTERY", "r": "220230591"}, {"b": "4210201293873", "n": "ORAL B STAGES POWER BATTERY TB", "r": "220158530"}, {"b": "3014260278328", "n": "ORAL B STAGES 2 TB 2  4 YEARS", "r": "220221911"}, {"b": "5010622017978", "n": "ORAL B SATIN TAPE MINT MEDIUM 25M", "r": "220222038"}, {"b": "5010622018258", "n": "ORAL B SATIN FLOSS MINT 25M", "r": "220226656"}, {"b": "3014260832544", "n": "ORAL B PULSR 3DW 35S", "r": "220173803"}, {"b": "3014260732073", "n": "ORAL B PULSAR PROEXPERT 35 MED TB", "r": "220219794"}, {"b": "3014260732165", "n": "ORAL B PULSAR EXPERT 40 MED", "r": "220235243"}, {"b": "3014260838379", "n": "ORAL B PROEXPERT EXTRA CLEAN 40 SOFT TB", "r": "220232089"}, {"b": "3014260777623", "n": "ORAL B PROEXPERT COMPLETE 35 SOFT", "r": "220217551"}, {"b": "3014260007393", "n": "ORAL B PROEXPERT CLINIC PROFLEX SOFT TB", "r": "220231061"}, {"b": "3014260007300", "n": "ORAL B PROEXPERT CLINIC PROFLEX MED TB", "r": "220233003"}, {"b": "3014260823801", "n": "ORAL B PROEXPERT ANTIBAC MED TB", "r": "220223389"}, {"b": "3014260838430", "n": "ORAL B PROEXPERT 3D CLEAN 40 MED TB", "r": "220230004"}, {"b": "4084500190818", "n": "ORAL B PRO WHITNG MINT TP 75ML", "r": "220226017"}, {"b": "4084500190665", "n": "ORAL B PRO EXP AL ARD PROT FRSH MINT 75M", "r": "220217003"}, {"b": "4103330031167", "n": "ORAL B ORTHO", "r": "220221151"}, {"b": "3014260280772", "n": "ORAL B ESSENTIAL FLOSS MINT WAXED 50M", "r": "220222537"}, {"b": "4210201746348", "n": "ORAL B EB252 REPLAC HEAD FOR D32", "r": "220158047"}, {"b": "5010622005012", "n": "ORAL B DENTAL FLOSS UNWAXED 50M", "r": "220221874"}, {"b": "3014260010317", "n": "ORAL B 3D WHITE LUXE PROFLEX MED TB", "r": "220218290"}, {"b": "3014260010461", "n": "ORAL B 3D WHITE LUXE PROFLEX 38 SOFT TB", "r": "220234675"}, {"b": "4210201746324", "n": "ORAL B  REFILL BRUSH EB20 2S", "r": "220223251"}, {"b": "4210201757757", "n": "ORAL B  REFILL 3D WHTE BRUSH 2S", "r": "220218273"}, {"b": "3014260278311", "n": "ORALB STAGES 1 TB 4  24 MONTHS", "r": "220228651"}, {"b": "4210201064183", "n": "ORAL B TRIUMPH 5000", "r": "220231432"}, {"b": "5010622008204", "n": "ORAL B SUPER REGULAR FLOSS 50S", "r": "220234034"}, {"b": "3014260278342", "n": "ORAL B STAGES 4 TB 8 YEARS", "r": "220231125"}, {"b": "3014260278489", "n": "ORAL B STAGES 3 TP 75ML", "r": "220228459"}, {"b": "3014260278335", "n": "ORAL B STAGES 3 TB 5  7 YEARS", "r": "220216622"}, {"b": "4210201746263", "n": "ORAL B REFILL BRUSH SET NEW STAGES POWER 2S", "r": "220220997"}, {"b": "301426077831600", "n": "ORAL B PROEXPERT COMP 40M", "r": "220152825"}, {"b": "3014260821234", "n": "ORAL B PROEXPERT ANTIBAC MED TB", "r": "220222199"}, {"b": "4084500191068", "n": "ORAL B PRO SENSITIVITY TP 75ML", "r": "220219177"}, {"b": "4015600572969", "n": "ORAL B PRO EXPERT MW NO ALCOHOL CLEAN MINT 500M", "r": "220235048"}, {"b": "4015400974970", "n": "ORAL B PRO EXP DEEP CLEAN RINSE 250ML", "r": "220235326"}, {"b": "4084500190917", "n": "ORAL B PRO DEEP CLEAN MINT TP 75ML", "r": "220222397"}, {"b": "4210201064206", "n": "ORAL B POWER PROFESSIONAL CARE", "r": "220232606"}, {"b": "8001090781369", "n": "ORAL B JUNIOR 6 YEARS KIDS TP 75ML", "r": "220217643"}, {"b": "3014260782818", "n": "ORAL B INTERDENTAL SET", "r": "220235312"}, {"b": "4210201174875", "n": "ORAL B GENIUS 9000  D701", "r": "220234880"}, {"b": "8001090781321", "n": "ORAL B FC 3 YEARS KIDS TP 75ML", "r": "220232662"}, {"b": "3014260318857", "n": "ORAL B 3DW 40M", "r": "220162752"}, {"b": "6291100082315", "n": "ORCINOL SYRUP 120ML", "r": "220152761"}, {"b": "3760035688358", "n": "ORESCIENCE CRYO SHAPE 280ML", "r": "220171048"}, {"b": "627733004824", "n": "VORG TRAD LEMONGRASS TEA 200GM", "r": "220201396"}, {"b": "627733004848", "n": "VORG TRAD HIBISCUS TEA 200GM", "r": "220201976"}, {"b": "627733001342", "n": "V ORG TRAD TURMRC LATTE WSAFRONPROB 150G", "r": "220201640"}, {"b": "627733004305", "n": "V ORG TRAD TURMERC PWDER 200G", "r": "220201782"}, {"b": "627733003902", "n": "V ORG TRAD ASHWAGANDHA ROOT PWDR 200G", "r": "220201923"}, {"b": "627733005012", "n": "ORG TRAD PROBIOTIC SUPER GREENS WTURMERIC 100GM", "r": "220201552"}, {"b": "627733001380", "n": "ORG TRAD CHOCLATE LATTE WASHWGNDHAPROBTCS 150GM", "r": "220201762"}, {"b": "22796913128", "n": "OGXRENEWNG ARGAN OILMOR COND 887ML", "r": "220174713"}, {"b": "22796672001", "n": "OGX CHARCOAL DETOX SHAMPOO 385ML", "r": "220221090"}, {"b": "22796672018", "n": "OGX CHARCOAL CONDITIONER 385ML", "r": "220229919"}, {"b": "3574661531656", "n": "OGX APPLE CIDER VINEGAR SHAMPOO 385ML", "r": "220215649"}, {"b": "3574661531618", "n": "OGX APPLE CIDER VINEGAR CONDITIONE 385ML", "r": "220215112"}, {"b": "22796910059", "n": "OGX NOURISH COCO MILK SHAMPOO 385ML", "r": "220218383"}, {"b": "22796910066", "n": "OGX NOURISH COCO MILK CONDI 385ML", "r": "220228868"}, {"b": "22796916112", "n": "OGX MOROCCO ARGAN OIL SHAMOO 385ML", "r": "220217868"}, {"b": "22796916129", "n": "OGX MOROCCO ARGAN OIL CONDITIONER 385ML", "r": "220234967"}, {"b": "22796917515", "n": "OGX KERATIN OIL SHAMPOO 385ML", "r": "220233189"}, {"b": "22796917522", "n": "OGX KERATIN OIL CONDITIONER 385ML", "r": "220225779"}, {"b": "22796900104", "n": "OGX EXTRA STREN ARG OIL SHAMP 13OZ", "r": "220082512"}, {"b": "22796900111", "n": "OGX EXTRA STREN ARG OIL CONDI 13OZ", "r": "220054819"}, {"b": "22796901200", "n": "OGX EXTR STRNGTH COCONUT MRCLE OIL SHAM13OZ", "r": "220077908"}, {"b": "22796901217", "n": "OGX EXTR STRNGTH COCONUT MRCLE OIL COND13OZ", "r": "220065128"}, {"b": "22796916013", "n": "OGX BRAZILIAN KERATIN SMTH SHAMP 385ML", "r": "220227764"}, {"b": "22796916020", "n": "OGX BRAZILIAN KERATIN SMOOTH CONDITIONER 385 ML", "r": "220222781"}, {"b": "22796916709", "n": "OGX BIOTIN  COLLAGEN SHAMPOO 385ML", "r": "220235140"}, {"b": "22796916716", "n": "OGX BIOTIN  COLLAGEN CONDITIONER 385ML", "r": "220233763"}, {"b": "22796916143", "n": "OGX ARGAN OIL OF MOROCCO PENETRATING OIL 100ML", "r": "220234028"}, {"b": "22796916167", "n": "OGX ARGAN OIL OF MOROCCO EXTRA PENTR OIL 100ML", "r": "220223149"}, {"b": "22796978325", "n": "OGXWEIGHTLES HYDRA COC WTR COND 887ML", "r": "220174189"}, {"b": "22796906700", "n": "OGXTHICKFULL BIOTINCOL SHAMP 887ML", "r": "220175791"}, {"b": "22796978318", "n": "OGX WEIGHTLES HYDRA COC WTR SHAMP 887ML", "r": "220184709"}, {"b": "22796906717", "n": "OGX THICKFULL BIOTINCOL COND 887ML", "r": "220177423"}, {"b": "22796973115", "n": "OGX RENEWNG ARGAN OIL MOR SHAMP 887ML", "r": "220186682"}, {"b": "22796901408", "n": "OGX ORCHID OIL SHAMPOO 13OZ", "r": "220074518"}, {"b": "22796901415", "n": "OGX ORCHID OIL CONDITIONER 13OZ", "r": "220058791"}, {"b": "22796901422", "n": "OGX ORCHID OIL COLOR PROTECT OIL 4OZ", "r": "220087341"}, {"b": "22796901620", "n": "OGX LAVENDER LUMICENT PNETRTG OIL33OZ", "r": "220084473"}, {"b": "22796972606", "n": "OGX LAVENDER LUMICENT PLAT SHAMP 13OZ", "r": "220054812"}, {"b": "22796972613", "n": "OGX LAVENDER LUMICENT PLAT COND13OZ", "r": "220090033"}, {"b": "22796971203", "n": "OGX HEALVIT E SHAMP 13OZ", "r": "220067069"}, {"b": "22796901224", "n": "OGX EXTR STRGH COCONUT MIRACLE PENTRATNG OIL33OZ", "r": "220056683"}, {"b": "3359996000004", "n": "VORLANE B21 PURETE PURIFY BALANCE GEL 200ML", "r": "220083213"}, {"b": "3359998220004", "n": "V ORLANE STIMULAT GENTLE FOAM CLNSER", "r": "220084022"}, {"b": "3359998061003", "n": "V ORLANE HYDRAT SERUM SUPER HYD 30ML", "r": "220079419"}, {"b": "3359992010007", "n": "V ORLANE ESSENTIAL TIMEFIGHTING EYE CARE 15ML", "r": "220092634"}, {"b": "3359992000008", "n": "V ORLANE ESSENTIAL TIME FIGHTING CARE 50ML", "r": "220073180"}, {"b": "3359992200606", "n": "V ORLANE COFFRET HYDRALANE", "r": "220175931"}, {"b": "3359992450001", "n": "V ORLANE COFFRET ANAGENESE SERUM", "r": "220176722"}, {"b": "3359993165904", "n": "V ORLANE COFFRET ANAGENESE", "r": "220178019"}, {"b": "3359994600602", "n": "V ORLANE COFF PIVOINE 100MLSH GELBD VEIL 75ML", "r": "220179763"}, {"b": "3359994210603", "n": "V ORLANE COFF COQUEL 100MLSH GELBD VEIL 75ML", "r": "220173944"}, {"b": "3359996021009", "n": "V ORLANE B21 PURETE HYDRO MATIFYING 50ML", "r": "220077350"}, {"b": "3359996011000", "n": "V ORLANE B21 PURETE ASTRIN PURIF LTN 250ML", "r": "220071659"}, {"b": "3359995800001", "n": "V ORLANE B21 OLIGO ANTIOXYDANT CREAM 50ML", "r": "220069030"}, {"b": "3359996903008", "n": "V ORLANE B21 BIO ABS SKIN RECOVER MASQUE 75ML", "r": "220088922"}, {"b": "3359997061004", "n": "V ORLANE ANTRID EXTREM REPULP 50ML", "r": "220068666"}, {"b": "3359992070001", "n": "V ORLANE ANAGENESE POINTS VULNERABLE FILLER 15ML", "r": "220069815"}, {"b": "3359993690000", "n": "ORLANE BRIGHTENING MICELLAR WATER BOTTLE 200ML", "r": "220084736"}, {"b": "3359998340009", "n": "ORLANE BB CREME ANTI FATIGUE ABSOLU SPF25", "r": "220060070"}, {"b": "3359995820009", "n": "ORLANE B21 OLIGO VITAL RADIANCE MICELLAR 250ML", "r": "220054829"}, {"b": "8594181301176", "n": "OROEXPERT ZERO GRAVITY ROOT SPRAY PUSH UP EFFECT 250ML", "r": "220178468"}, {"b": "8594181301152", "n": "OROEXPERT VOLUPTUOUS HAIR THICKENER 200ML", "r": "220154434"}, {"b": "8594181300896", "n": "OROEXPERT ULTRA LOCK SEALING CRM 300ML", "r": "220177255"}, {"b": "8594181300902", "n": "OROEXPERT SHINE SUBLIME SERUM 100ML", "r": "220205149"}, {"b": "8594181300926", "n": "OROEXPERT REBUILD SHAMP 500ML", "r": "220159625"}, {"b": "8594181300964", "n": "OROEXPERT REBUILD MASK 500ML", "r": "220165348"}, {"b": "8594181300940", "n": "OROEXPERT REBUILD CONDT 300ML", "r": "220153831"}, {"b": "8594181301169", "n": "OROEXPERT PLUMPING SPRAY CONDITIONER 250ML", "r": "220177511"}, {"b": "8594181301145", "n": "OROEXPERT PLUMPING SHAMPOO 500ML", "r": "220153066"}, {"b": "8594181301053", "n": "OROEXPERT NOURISH MASK 500ML", "r": "220156239"}, {"b": "8594181301039", "n": "OROEXPERT NOURISH CONDT 300ML", "r": "220155328"}, {"b": "8594181300841", "n": "OROEXPERT COLOR PROTECT SHAMP 500 ML", "r": "220156809"}, {"b": "8594181300889", "n": "OROEXPERT COLOR PROTECT MASK 500ML", "r": "220205307"}, {"b": "8594181300865", "n": "OROEXPERT COLOR PROTECT CONDT 300ML", "r": "220175406"}, {"b": "7815454545747", "n": "OROEXPERT ALMIGHTY", "r": "220205329"}, {"b": "965013700196", "n": "OROFAR SPRAY 30ML", "r": "220002472"}, {"b": "965013700189", "n": "OROFAR SOLUTION 200ML", "r": "220165002"}, {"b": "5060135050085", "n": "ORS SOLUBLE TABLETS 24S LEMON", "r": "220155434"}, {"b": "5060135050108", "n": "ORS SOLUBLE TABLETS 24S BLACKCURRENT", "r": "220152641"}, {"b": "965014300020", "n": "ORS NEOLYTE SACHET 15GM", "r": "220152766"}, {"b": "5060135050146", "n": "ORS SOLUBLE TABLETS STRAWBERRY 12S", "r": "220153171"}, {"b": "3352712003211", "n": "OSCILLOCOCCINUM 6 DOSES HOMEOPATHIC", "r": "220163421"}, {"b": "30768330491", "n": "OSTEO BI FLEX 30S", "r": "220172422"}, {"b": "965015200060", "n": "OTOSPORIN EAR DROPS 5ML", "r": "220171656"}, {"b": "5051562010407", "n": "OTRIBABY REFILLS 10S", "r": "220226883"}, {"b": "5051562010308", "n": "OTRIBABY NASAL ASPIRATOR 12 REFILLS", "r": "220223821"}, {"b": "9650137005990", "n": "OTRISALIN 5ML METERED DOSE SPRAY", "r": "220163269"}, {"b": "5054563991973", "n": "OTRINATURAL PLUS ALOW VERA SPRAY 50ML", "r": "220225892"}, {"b": "6291107435114", "n": "OTRIVIN COMPLETE NASAL SPRAY 10ML", "r": "220165001"}, {"b": "6291107433486", "n": "OTRIVIN MENTHOL SPRAY ADULT 10ML", "r": "220165709"}, {"b": "6291107433554", "n": "OTRIVIN 1 N DSPRAY 10ML", "r": "220169723"}, {"b": "965013700233", "n": "OTRIVIN 1 N DROPS 10ML", "r": "220170654"}, {"b": "965013700190", "n": "OTRIVIN 005 N DROPS 10ML", "r": "220165710"}, {"b": "6291107433646", "n": "OTRIVIN 005 N SPRAY 10ML", "r": "220164874"}, {"b": "5098928122411", "n": "V OVELLE ZINC OINTMENT BP NAPPY RASH OINTMENT 100G", "r": "220081533"}, {"b": "5098928125122", "n": "V OVELLE BABY AQUEOUS CRM SULFATE FREE 250ML", "r": "220068657"}, {"b": "5098928124583", "n": "OVELLE AQUEOUS CRM EMOLLIENT MOISTURSER 250ML", "r": "220053277"}, {"b": "5098928121605", "n": "OVELLE CALAMINE LOT 200ML", "r": "220072875"}, {"b": "5098928121667", "n": "OVELLE CALAMINE CRM 100ML", "r": "220062684"}, {"b": "53999221", "n": "OVELLE ZINC  CASTOR OIL OINTMENT 100G", "r": "220099322"}, {"b": "53999252", "n": "OVELLE WHT SOFT PARAFFIN EMOLLIENT MOIST 100G", "r": "220059889"}, {"b": "5098928122398", "n": "OVELLE PARAFFIN GEL EMOLLIENT MOIST 100G", "r": "220070853"}, {"b": "5098928125214", "n": "OVELLE MENTHOL AQUEOUS CRM 250ML", "r": "220077913"}, {"b": "5098928122374", "n": "OVELLE LANOLIN BP ULTR PURE MOIST 45G", "r": "220076539"}, {"b": "5098928121780", "n": "OVELLE IODINE TINCTURE BP 30ML", "r": "220081532"}, {"b": "53999214", "n": "OVELLE COCONUT OIL EMOLLIENT MOIST 100G", "r": "220076529"}, {"b": "53999375", "n": "OVELLE AQUEOUS CRM BP EMOLLIENT MOIST 100G", "r": "220058611"}, {"b": "5060434000026", "n": "OVERHANG JUICE GINGER ORNG  250ML", "r": "220197760"}, {"b": "965015200098", "n": "OXSORALEN LOTION 30ML", "r": "220159636"}, {"b": "965015200097", "n": "OXSORALEN CAPS 30S", "r": "220162208"}, {"b": "9650364003448", "n": "PALM CARE LATEX GLOVES M 100S", "r": "220194525"}, {"b": "9650364003431", "n": "PALM CARE LATEX GLOVES L 100S", "r": "220194122"}, {"b": "9650364003028", "n": "PALM CARE GLOVES 100S", "r": "220191619"}, {"b": "10181039058", "n": "PALMERS NATURAL ROSE WATER SHMP 350ML", "r": "220204062"}, {"b": "10181074509", "n": "PALMERS GLOW WATER LILY FACE CRM 75GM", "r": "220204811"}, {"b": "10181074486", "n": "PALMERS GLOW RADIANCE MASK 20ML", "r": "220204222"}, {"b": "10181074585", "n": "PALMERS GLOW PURIFYING MASK 18ML", "r": "220203647"}, {"b": "10181040764", "n": "PALMERS TUMMY BUTTER 44 OZ", "r": "220230347"}, {"b": "10181040313", "n": "PALMERS STRETCH MARKS LOTION 250ML", "r": "220220830"}, {"b": "10181040351", "n": "PALMERS STRECH MARKS MASSAGE CREAM 125G", "r": "220235557"}, {"b": "10181041808", "n": "PALMERS SOFTENS SMOOTHES LOTION 250ML", "r": "220235778"}, {"b": "10181043758", "n": "PALMERS PREGNANCY BODY WASH 300ML", "r": "220223610"}, {"b": "10181040603", "n": "PALMERS POST NATAL FIRMING LOTION 250ML", "r": "220230868"}, {"b": "10181025938", "n": "PALMERS OLIVE SHAMPOO 400ML", "r": "220168193"}, {"b": "10181025150", "n": "PALMERS OLIVE PACK 60GM", "r": "220172456"}, {"b": "10181025136", "n": "PALMERS OLIVE LEAVEIN CONDITIONER 250ML", "r": "220158238"}, {"b": "10181025945", "n": "PALMERS OLIVE CONDITIONER 250ML", "r": "220160442"}, {"b": "10181040375", "n": "PALMERS NURSING CREAM 30G", "r": "220233107"}, {"b": "10181041709", "n": "PALMERS MOISTURIZING BODY OIL 250ML", "r": "220220665"}, {"b": "10181042270", "n": "PALMERS LIP BALM SPF15", "r": "220223313"}, {"b": "10181033056", "n": "PALMERS COCONUT SHAMPOO 400ML", "r": "220156723"}, {"b": "10181033087", "n": "PALMERS COCONUT CONDITIONER 250ML", "r": "220164922"}, {"b": "10181040702", "n": "PALMERS BUST CREAM 125G", "r": "220228548"}, {"b": "10181039089", "n": "PALMERS NATURAL LAVENDER COND 350ML", "r": "220204364"}, {"b": "10181041655", "n": "PALMERS SOFTENS SMOOTHES LOTION 400ML", "r": "220228495"}, {"b": "10181055935", "n": "PALMERS SHEA SHAMPOO 473ML", "r": "220163199"}, {"b": "10181055942", "n": "PALMERS SHEA CONDITIONER 473ML", "r": "220169999"}, {"b": "693673012267", "n": "PALMERS MANUKA PACK 60GM", "r": "220154298"}, {"b": "10181091421", "n": "PALMERS EVENTONE SUNCARE BABY 30G", "r": "220181492"}, {"b": "10181040399", "n": "PALMERS DIAPER RASH CREAM 125G", "r": "220231043"}, {"b": "10181040009", "n": "PALMERS COCOA BUTTER CREAM JAR 35OZ", "r": "220227050"}, {"b": "10181091834", "n": "PALMERS COCOA BTR EVNTONE SUNCRE 150G", "r": "220164165"}, {"b": "10181042225", "n": "PALMERS COCOA  LIP BUTTER CHOCOPEP 10G", "r": "220222030"}, {"b": "10181043765", "n": "PALMERS CBF SM MASSAGE OIL 100ML", "r": "220187599"}, {"b": "10181040474", "n": "PALMERS BABY WASH 250ML", "r": "220226540"}, {"b": "10181041136", "n": "PALMERS BABY OIL 150ML", "r": "220230766"}, {"b": "10181040719", "n": "PALMERS BABY BUTTER LOTION 250ML", "r": "220230811"}, {"b": "10181041587", "n": "PALMERS COCOA BUTTER WITH ROSEHIP FRAGRANCE 60ML", "r": "220223554"}, {"b": "10181041730", "n": "PALMERS SKIN THERAPY FACE OIL 30ML", "r": "220166908"}, {"b": "10181043918", "n": "PALMERS CBF FOOT MAGIC 60 GM", "r": "220085019"}, {"b": "10181041594", "n": "PALMERS SKIN THERAPY OIL 60ML", "r": "220216189"}, {"b": "8693495039444", "n": "PALMOLIVE VANILLA SHOWER GEL 250ML", "r": "220231213"}, {"b": "8693495038607", "n": "PALMOLIVE SKIN RENEWAL SG 250ML", "r": "220156691"}, {"b": "8003520010971", "n": "PALMOLIVE NATURALS MILKHONEY 250ML", "r": "220164010"}, {"b": "6281001342021", "n": "PALMOLIVE NAT SOAP 48X175 G", "r": "220166142"}, {"b": "8003520028815", "n": "PALMOLIVE MILK  OLIVE HAND WASH 300ML", "r": "220225999"}, {"b": "8003520013026", "n": "PALMOLIVE MILK  HONEY HAND WASH 300 ML", "r": "220168667"}, {"b": "5900793081369", "n": "PALOMA FOOTSPA SMOOTHNG FOOT BALM 100ML", "r": "220172679"}, {"b": "5900793081321", "n": "PALOMA FOOTSPA FOOT SUGAR SCRUB 125ML", "r": "220178618"}, {"b": "5900793081345", "n": "PALOMA FOOTSPA COOLING  SOOTHNG GEL 125ML", "r": "220178325"}, {"b": "8001841238586", "n": "PAMPERS PURE PROTECTION SIZE3 31S", "r": "220216604"}, {"b": "8001841238685", "n": "PAMPERS PURE 5 11KG 24S", "r": "220190787"}, {"b": "8001841238630", "n": "PAMPERS PURE 4 914KG 28S", "r": "220187793"}, {"b": "8001841331942", "n": "PAMPERS AQUA PURE BABY WIPES 48S", "r": "220227595"}, {"b": "4015400636649", "n": "PAMPERS SENSITIVE WIPES 56S", "r": "220225311"}, {"b": "8001090266835", "n": "PAMPERS PREMIUM CARE SIZE5 46 DIAPERS", "r": "220219241"}, {"b": "8001090266958", "n": "PAMPERS PREMIUM CARE SIZE4 23 DIAPERS", "r": "220217665"}, {"b": "8001090267115", "n": "PAMPERS PREMIUM CARE SIZE3 25 DIAPERS", "r": "220222080"}, {"b": "8001090267276", "n": "PAMPERS PREMIUM CARE SIZE1 22 DIAPERS", "r": "220224850"}, {"b": "4015400439110", "n": "PAMPERS FRESH CLEAN WIPES 64S", "r": "220222909"}, {"b": "8001090698520", "n": "PAMPERS SPLASHERS SWIMMING PANTS SIZE 45 915 KG CARRY PACK 11S", "r": "220194229"}, {"b": "8001090698483", "n": "PAMPERS SPLASHERS SWIMMING PANTS 612 KG CARRY PACK 12S", "r": "220193782"}, {"b": "4015400406877", "n": "PAMPERS SIZE6 48DIAPERS", "r": "220224095"}, {"b": "4015400406785", "n": "PAMPERS SIZE5 70DIAPERS", "r": "220223214"}, {"b": "4015400406426", "n": "PAMPERS SIZE4 76DIAPERS", "r": "220234572"}, {"b": "4015400406600", "n": "PAMPERS SIZE4 74DIAPERS", "r": "220227856"}, {"b": "4015400406549", "n": "PAMPERS SIZE4 40DIAPERS", "r": "220233506"}, {"b": "4015400751403", "n": "PAMPERS SIZE4 16DIAPERS", "r": "220234352"}, {"b": "4015400751434", "n": "PAMPERS SIZE4 15DIAPERS", "r": "220235864"}, {"b": "4015400406181", "n": "PAMPERS SIZE3 88DIAPERS", "r": "220220453"}, {"b": "4015400751373", "n": "PAMPERS SIZE3 17DIAPERS", "r": "220231310"}, {"b": "4015400405788", "n": "PAMPERS SIZE2 23DIAPERS", "r": "220225865"}, {"b": "4015400406907", "n": "PAMPERS SIZE1 21DIAPERS", "r": "220223965"}, {"b": "4015400636670", "n": "PAMPERS SENSITIVE WIPES 56S", "r": "220226606"}, {"b": "4015400622079", "n": "PAMPERS SENSITIVE BABY WIPES VALUE PACK 31", "r": "220193693"}, {"b": "8001841238531", "n": "PAMPERS PURE PROTECTION SIZE2 39S", "r": "220225074"}, {"b": "8001841238487", "n": "PAMPERS PURE 1 25KG 50S", "r": "220183629"}, {"b": "8001090783738", "n": "PAMPERS PREMIUM CARE1 NEWBORN 25 KG SUPER SAVER PACK 136S", "r": "220194253"}, {"b": "8001090266798", "n": "PAMPERS PREMIUM CARE SIZE5 20 DIAPERS", "r": "220217398"}, {"b": "8001090266996", "n": "PAMPERS PREMIUM CARE SIZE4 54 DIAPERS", "r": "220233120"}, {"b": "8001090267153", "n": "PAMPERS PREMIUM CARE SIZE3 62 DIAPERS", "r": "220233338"}, {"b": "8001090267313", "n": "PAMPERS PREMIUM CARE SIZE2 46 DIAPERS", "r": "220235596"}, {"b": "8001090267191", "n": "PAMPERS PREMIUM CARE SIZE1 50 DIAPERS", "r": "220229209"}, {"b": "8001090697547", "n": "PAMPERS PREMIUM CARE PANTS SIZE6 18S", "r": "220227840"}, {"b": "8001090697509", "n": "PAMPERS PREMIUM CARE PANTS SIZE5 20S", "r": "220218439"}, {"b": "8001090697462", "n": "PAMPERS PREMIUM CARE PANTS SIZE4 22S", "r": "220225910"}, {"b": "8001090697707", "n": "PAMPERS PREMIUM CARE PANTS 6 EXTRA LARGE 16KG JUMBO PACK 36S", "r": "220196010"}, {"b": "8001090697660", "n": "PAMPERS PREMIUM CARE PANTS 5 JUNIOR 1218KG JUMBO PACK 40S", "r": "220193803"}, {"b": "8001090697622", "n": "PAMPERS PREMIUM CARE PANTS 4 MAXI 914 KG JUMBO PACK 44S", "r": "220195237"}, {"b": "8001090697585", "n": "PAMPERS PREMIUM CARE PANTS 3 MIDI 611 KG JUMBO PACK 56S", "r": "220193771"}, {"b": "8001090697424", "n": "PAMPERS PREMIUM CARE PANTS 3 MIDI 611 KG CARRY PACK 28S", "r": "220194343"}, {"b": "8001090268259", "n": "PAMPERS PREMIUM CARE NEWBORN CARRY PACK 30S", "r": "220196213"}, {"b": "8001090783769", "n": "PAMPERS PREMIUM CARE MINI 38 KG SUPER SAVER PACK 136S", "r": "220194786"}, {"b": "8001090267078", "n": "PAMPERS PREMIUM CARE MIDI 59 KG JUMBO PACK 80S", "r": "220195099"}, {"b": "8001090266910", "n": "PAMPERS PREMIUM CARE MAXI 914 KG SUPER SAVER PACK 66S", "r": "220195252"}, {"b": "8001090266750", "n": "PAMPERS PREMIUM CARE JUNIOR 1116KG SUPER SAVER PACK 56S", "r": "220195498"}, {"b": "4015400278665", "n": "PAMPERS PREMIUM CARE DIAPERS MINI 2", "r": "220220635"}, {"b": "8001090268136", "n": "PAMPERS PREMIUM CARE 6 EXTRA LARGE 15KG JUMBO PACK 42S", "r": "220194300"}, {"b": "8001090268167", "n": "PAMPERS PREMIUM CARE 6 EXTRA LARGE 13 KG MEGA BOX 60S", "r": "220195881"}, {"b": "4015400674023", "n": "PAMPERS PANTS SIZE6 44S", "r": "220225752"}, {"b": "4015400672906", "n": "PAMPERS PANTS SIZE5 48S", "r": "220234371"}, {"b": "4015400672869", "n": "PAMPERS PANTS SIZE4 52S", "r": "220223631"}, {"b": "4015400682882", "n": "PAMPERS PANTS SIZE3 60S", "r": "220219750"}, {"b": "4015400406969", "n": "PAMPERS NEW BABY DRY NEWBORN 25KG VALUE PACK 66S", "r": "220195062"}, {"b": "4015400405887", "n": "PAMPERS NEW BABY DRY 2 MINI 38KG JUMBO PACK 64S", "r": "220194209"}, {"b": "4015400622734", "n": "PAMPERS FRESH CLEAN BABY WIPES VALUE PACK 31", "r": "220195569"}, {"b": "4015400439295", "n": "PAMPERS COMPLETE CLEAN BABY WIPES VALUE PACK 42", "r": "220194367"}, {"b": "4015400439202", "n": "PAMPERS COMPLETE CLEAN BABY WIPES DUAL PACK", "r": "220194905"}, {"b": "8001090586902", "n": "PAMPERS BABY DRY SIZE6 40 DIAPERS", "r": "220234963"}, {"b": "8001090449436", "n": "PAMPERS BABY DRY SIZE5 58 DIAPERS", "r": "220222837"}, {"b": "8001090586872", "n": "PAMPERS BABY DRY 6 EXTRA LARGE 14KG MEGA PACK 32S", "r": "220193689"}, {"b": "8001090449405", "n": "PAMPERS BABY DRY 5JUNIOR 1217KG MEGA PACK 44S", "r": "220196089"}, {"b": "4015400406754", "n": "PAMPERS BABY DRY 5 JUNIOR1116 KG MEGA PACK 52S", "r": "220195946"}, {"b": "4015400406570", "n": "PAMPERS BABY DRY 4 MAXI1015KG MEGA PACK 56S", "r": "220193935"}, {"b": "4015400406396", "n": "PAMPERS BABY DRY 4 MAXI 914KG MEGA PACK 60S", "r": "220195742"}, {"b": "4015400406211", "n": "PAMPERS BABY DRY 3 MIDI 610KG MEGA PACK 68S", "r": "220196090"}, {"b": "965014500020", "n": "PANACARE TABLETS 96S", "r": "220166331"}, {"b": "6294002000227", "n": "PANACARE TABLETS 24S", "r": "220156306"}, {"b": "5054563991324", "n": "PANADOL JOINT CAPLETS 24S", "r": "220229737"}, {"b": "9502930970084", "n": "PANADOL ADVANCE TAB 96S", "r": "220002562"}, {"b": "9502930974983", "n": "PANADOL EXTRA OPTIZORB 72S", "r": "220224231"}, {"b": "6805699955488", "n": "PANADOL MIGRAINE 24S", "r": "220226319"}, {"b": "9502930974723", "n": "PANADOL EXTRA OPTIZORB 48S", "r": "220226309"}, {"b": "9502930970077", "n": "PANADOL ADVANCE 48S", "r": "220222187"}, {"b": "6805699953736", "n": "PANADOL CF VAPOUR RELEASE POWDER 10S", "r": "220231345"}, {"b": "2961544500143", "n": "PANADOL NIGHT TABLETS 24S", "r": "220231943"}, {"b": "9502930974716", "n": "PANADOL EXTRA OPTIZORB 24S", "r": "220229947"}, {"b": "9502930972507", "n": "PANADOL COLD  FLU ALL IN ONE 24S", "r": "220223268"}, {"b": "2961544500242", "n": "PANADOL BABYINFANT SUSP 100ML", "r": "220219715"}, {"b": "9502930970060", "n": "PANADOL ADVANCE 24S", "r": "220236078"}, {"b": "2961544501119", "n": "PANADOL JOINT 18 CAPLETS", "r": "220234563"}, {"b": "9502930975010", "n": "PANADOL ADVANCE OPTIZORB 72S", "r": "220235411"}, {"b": "5010006100739", "n": "PANADOL  96 CAPLETS", "r": "220154446"}, {"b": "6294010000097", "n": "PANALIFE SYRUP 120MG5ML 100ML", "r": "220051656"}, {"b": "6294010000011", "n": "PANALIFE CAPLETS 500MG 96S", "r": "220089800"}, {"b": "6294010000004", "n": "PANALIFE CAPLETS 500MG 24S", "r": "220070648"}, {"b": "4051892002036", "n": "PANBIO COVID19 TEST FAMILY 4S", "r": "220215052"}, {"b": "4051892001558", "n": "PANBIO COVID19 TEST INDIVIDUAL 1S", "r": "220219822"}, {"b": "4051892001473", "n": "PANBIO COVID19 AG SELF TEST FRIENDS  FAMILY PACK 10 TEST", "r": "220212633"}, {"b": "9650146000801", "n": "PANDERM CREAM 30GM", "r": "220208506"}, {"b": "6291100080441", "n": "PANDERM OINTMENT 15GM", "r": "220167915"}, {"b": "6291100080434", "n": "PANDERM CREAM 15GM", "r": "220171091"}, {"b": "5900793034655", "n": "PW WHITE PERFUMED SOAP", "r": "220209657"}, {"b": "5900793000797", "n": "V PANI WALEWSKA CRM SRM SOOTHNG HND  NAIL", "r": "220184836"}, {"b": "5900793000711", "n": "V PANI WALEWSKA CRM SRM ANT WRNK HND  NAIL", "r": "220185231"}, {"b": "5900793037335", "n": "PW SWEET ROMANCE PERFUMED SOAP", "r": "220209892"}, {"b": "5900793042766", "n": "PW PERFUMED SOAP RUBY", "r": "220194249"}, {"b": "5900793034631", "n": "PW PERFUMED SOAP NOIR", "r": "220194758"}, {"b": "5900793033627", "n": "PW GOLD PERFUMED SOAP", "r": "220196290"}, {"b": "5900793031517", "n": "PW CREAMY SOAP CLASSIC", "r": "220195458"}, {"b": "3577056013256", "n": "PANSORAL ORAL GEL 15G", "r": "220236344"}, {"b": "5410076652105", "n": "PANTENE PROV MILKY DAMAGE REPAIR SHAMP 400ML", "r": "220231480"}, {"b": "8001841123912", "n": "PANTENE PROV HAIR SUPPER FOOD SHAMPOO 400ML", "r": "220221394"}, {"b": "8001841138930", "n": "PANTENE PROV HAIR SUPPER FOOD OIL REPLAC 350ML", "r": "220224148"}, {"b": "8001841124032", "n": "PANTENE PROV HAIR SUPPER FOOD COND 200ML", "r": "220229692"}, {"b": "8001090609694", "n": "PANTENE PROV 3 MINUT MIRCL DAILY CARE COND 200ML", "r": "220228968"}, {"b": "8001090609656", "n": "PANTENE PROV 3 MINUT MIRCL ANTIHAIR FALL COND 200ML", "r": "220220506"}, {"b": "8001090609779", "n": "PANTENE PROV 3 MIN MIRCL SMTH  SILKY COND 200ML", "r": "220227703"}, {"b": "8001090609731", "n": "PANTENE PROV 3 MIN MIRCL MILKY DAM REP COND 200ML", "r": "220222872"}, {"b": "5410076652686", "n": "PANTENE 2IN1 SMOOTH  SILKY SHAMPOO 400ML", "r": "220230523"}, {"b": "5410076881840", "n": "PANTENE 2IN1 ANTIHAIR FALL SHAMPOO 400ML", "r": "220216936"}, {"b": "5410076651788", "n": "PANT CLASSIC CARE SHAMPO 400ML", "r": "220230443"}, {"b": "8001841641065", "n": "PANTENE REPAIR SHMP 90ML", "r": "220203942"}, {"b": "8001841641096", "n": "PANTENE AHF SHMP 90ML", "r": "220203652"}, {"b": "5410076652266", "n": "PANTENE PROV NATURE FUSION SHAMP 360ML", "r": "220217881"}, {"b": "5410076648894", "n": "PANTENE PROV NATURE FUSION COND 360 ML", "r": "220234886"}, {"b": "4046222620868", "n": "PANTOGAR TONIC HAIR GRWT ACT WMN 100ML", "r": "220184121"}, {"b": "4046222620875", "n": "PANTOGAR HAIR GRWT SHAMP WMN 200ML", "r": "220183005"}, {"b": "4046222620851", "n": "PANTOGAR ANTI HAIRLOSS TONIC MEN 100ML", "r": "220186088"}, {"b": "4046222620905", "n": "PANTOGAR ANTI HAIRLOSS SHAMP MEN 200ML", "r": "220185566"}, {"b": "4046222750909", "n": "PANTOGAR 90 CAPS", "r": "220167719"}, {"b": "7640153088567", "n": "PANTOZOL 20MG TAB 15S", "r": "220160200"}, {"b": "7640153088574", "n": "PANTOZOL 20MG TAB 30S", "r": "220162874"}, {"b": "7640153088581", "n": "PANTOZOL 40MG TAB 15S", "r": "220167539"}, {"b": "7640153088598", "n": "PANTOZOL 40MG TAB 30S", "r": "220163180"}, {"b": "8470001818164", "n": "PAPILOCARE VAGINAL GEL 7 CANNULES", "r": "129861891"}, {"b": "5391520940569", "n": "PARANIX LICE  EGG SHAMPOO 100ML", "r": "220230137"}, {"b": "5391520940576", "n": "PARANIX HEAD LICE  EGGS SPRAY 100ML", "r": "220226316"}, {"b": "965013700234", "n": "PARIET 20MG TABLETS 14S", "r": "220170973"}, {"b": "3577056010125", "n": "PARODIUM GEL GINGIVAL 50ML", "r": "220225009"}, {"b": "6805699957192", "n": "PARODONTAX COMPLETE SOFT TOOTH BRUSH", "r": "220231947"}, {"b": "6805699957178", "n": "PARODONTAX COMPLETE PROTECT EXTRA FRESH TOOTH PASTE 75ML", "r": "220228226"}, {"b": "6805699958823", "n": "PRAODONTAX WHITENING COMPLETE PROTECTION TOOTH PASTE 75ML", "r": "220228922"}, {"b": "16805699959339", "n": "PARODONTAX GUM CARE EXTRA FRESH MOUTH WASH 500ML", "r": "220223147"}, {"b": "6805699533334", "n": "PARODONTAX WHITENING TOOTHPASTE 75ML", "r": "220216644"}, {"b": "9502930975287", "n": "PARODONTAX ORIGINAL TP 75ML", "r": "220235147"}, {"b": "9502930975294", "n": "PARODONTAX FLOURIDE TP 75ML", "r": "220219217"}, {"b": "6805699533327", "n": "PARODONTAX EXTRA FRESH TOOTHPASTE 75ML", "r": "220234849"}, {"b": "9502930972224", "n": "PARODONTAX DAILY MW 300ML", "r": "220219161"}, {"b": "9502930975386", "n": "PARODONTAX TOOTHBRUSH SOFT", "r": "220235999"}, {"b": "9502930975393", "n": "PARODONTAX TOOTHBRUSH EXTRA SOFT", "r": "220229756"}, {"b": "5054563991218", "n": "PARODONTAX HERBAL FRESH GINGER MINT TOOTH PASTE 75ML", "r": "220218369"}, {"b": "9650364002977", "n": "PARTICULATE N95 MASK 20S", "r": "220192254"}, {"b": "9650364003042", "n": "PARTIKULAT N95 KB9009 FACE MASK 20S", "r": "220192502"}, {"b": "9650160002683", "n": "PATADAY 02 EYE DRP", "r": "220171636"}, {"b": "7612797507926", "n": "PATANOL EYE DROPS 5ML", "r": "220186397"}, {"b": "5903163601617", "n": "PAXAS BELLY FAT 120 CAPS", "r": "220210654"}, {"b": "9650364003257", "n": "PDC SURGICAL FACE MASK 50S", "r": "220193158"}, {"b": "9650364002663", "n": "PDC PITBULL 5009 N95 MASK 10S", "r": "220192325"}, {"b": "9650364002694", "n": "PDC PITBULL 5002 N95 MASK 15S", "r": "220182457"}, {"b": "9650364002625", "n": "PDC PIT BULL 50001 N95 MASK 30S", "r": "220186786"}, {"b": "9650364002687", "n": "PDC MEDISHIELD FM NANWOVEN EARLOOP 3PLY 50S", "r": "220189025"}, {"b": "9650364002946", "n": "PDC HM 102 DISPOSABLE MASK 50S", "r": "220190924"}, {"b": "9650364002823", "n": "PDC FACEMASK 2PLY SUR DISP 50S", "r": "220189317"}, {"b": "9650364002601", "n": "PDC FACE MASK N95", "r": "220187270"}, {"b": "9650364003219", "n": "PDC DISPOSABLE LATEX GLOVES 100S", "r": "220193572"}, {"b": "9650364003059", "n": "PDC DISPOSABLE 3PLY FACE MASK 50S", "r": "220192816"}, {"b": "9650364002618", "n": "PDC DELTAPLUS FACE MASK N95 10S", "r": "220186431"}, {"b": "9650364002830", "n": "PDC CONCORD N95 FACEMASK 12S", "r": "220191855"}, {"b": "9650364002847", "n": "PDC 3N 9213 RESPRATOR N95 FACEMASK 10S", "r": "220190432"}, {"b": "9650364002717", "n": "PDC 3N 9210 SP MASK 20S", "r": "220182672"}, {"b": "9650364002700", "n": "PDC 3N 9210 NP5 MASK 20S", "r": "220183155"}, {"b": "9650364003080", "n": "NASOMASK PDC DISPOSABLE RESPIRATOR MASK 50S", "r": "220190912"}, {"b": "8888688080321", "n": "V PEARLIE WHITE TOOTH STAIN ERASER", "r": "220068150"}, {"b": "8888688040127", "n": "V PEARLIE WHITE ORAL PICKS  110PICKS", "r": "220087666"}, {"b": "8888688040189", "n": "V PEARLIE WHITE FLOSSCARE 90M", "r": "220068270"}, {"b": "71031251105", "n": "V PEARLIE WHITE BSPRAY ICYMINT85ML", "r": "220000799"}, {"b": "71031252201", "n": "V PEARLIE WHITE BREATH SPR ABACTERIAL", "r": "220066598"}, {"b": "8888688080345", "n": "V PEARLIE WHITE MIRROR  CLEAN TOOL", "r": "220076413"}, {"b": "71031930161", "n": "PEARLIE WHITE TRAVEL TB  TP", "r": "220071100"}, {"b": "8888688070032", "n": "PEARLIE WHITE FLUORINZE MWASH100ML", "r": "220065620"}, {"b": "8023496011260", "n": "PECTIFLOR PROBIOTIC  PREBIOTIC EFFER 20S", "r": "220207747"}, {"b": "737513272005", "n": "PEDIATRIC ELECTRO GRAPE 237MLBOTTLE", "r": "220152386"}, {"b": "737513271008", "n": "PEDIATRIC ELECTRO FRUIT 237MLBOTTLE", "r": "220154040"}, {"b": "625720616395", "n": "PEDIAVIT D DROPS 50ML", "r": "220002365"}, {"b": "625720616388", "n": "PEDIACOL ORANGE FLAVOR 50ML", "r": "220153821"}, {"b": "625720615756", "n": "PEDIAVIT SELECT DROPS 50 ML", "r": "220219902"}, {"b": "625720615770", "n": "PEDIAVIT MIN DROPS 50ML", "r": "220155810"}, {"b": "625720612984", "n": "PEDIACOL 50ML", "r": "220161059"}, {"b": "8908010245195", "n": "PEE SAFE TOILET SEAT SANITIZER SPRAY FLORAL 75ML", "r": "220239918"}, {"b": "8908007100094", "n": "PEE SAFE TOILET SEAT SANITIZER SPRAY LAVENDER 300ML", "r": "220239047"}, {"b": "8908010245126", "n": "PEE SAFE TOILET SEAT SANITIZER SPRAY LAVENDER 75ML", "r": "220238964"}, {"b": "8908007100087", "n": "PEE SAFE TOILET SEAT SANITIZER SPRAY MINT 300ML", "r": "220237583"}, {"b": "8908007100063", "n": "PEE SAFE TOILET SEAT SANITIZER SPRAY MINT 75ML", "r": "220238182"}, {"b": "965014300021", "n": "PENCLOXIN SUSP 100ML", "r": "220158622"}, {"b": "5285003470653", "n": "PERIACTIN 4MG TABLETS 20S", "r": "220224853"}, {"b": "689076463089", "n": "PERMEA PLUS ANTI SAL SHAMPOO 200ML", "r": "220230602"}, {"b": "689076463188", "n": "PERMEA PLUS ANTI SAL CONDITIONER 200ML", "r": "220234955"}, {"b": "713757024037", "n": "PERMEA PLUS TABLETS 30S", "r": "220217777"}, {"b": "652685720102", "n": "PERRIS SKIN FIT YOUTH PROTECTION 50ML", "r": "220238511"}, {"b": "652685600138", "n": "PERRIS SKIN FIT PURIFYING PEELING", "r": "220237773"}, {"b": "652685600152", "n": "PERRIS SKIN FIT MAKE UP REMOVER 200ML", "r": "220239100"}, {"b": "652685630104", "n": "PERRIS SKIN FIT CLEANSING MILK 200ML", "r": "220237682"}, {"b": "652685650102", "n": "PERRIS SKIN FIT BODY EMULSION 200ML", "r": "220236694"}, {"b": "652685600114", "n": "PERRIS SKIN FIT ANTIAGING CREAM OILY 50", "r": "220238732"}, {"b": "652685600107", "n": "PERRIS SKIN FIT ANTIAGING CREAM 50ML", "r": "220239560"}, {"b": "652685600176", "n": "PERRIS SKIN FIT ACTIVE EYE CREAM 15ML", "r": "220240087"}, {"b": "6526855660101", "n": "PERRIS LIGHTENING RDIANCE LOTION 200ML", "r": "220239752"}, {"b": "652685600145", "n": "PERRIS LIGHTENING LIFT PEELING CREAM 50M", "r": "220239583"}, {"b": "855238006344", "n": "PESTLE RENEW GEL CLEANSER 100ML", "r": "220236704"}, {"b": "856149007642", "n": "PESTLE RECOVER EYE CREAM 15ML", "r": "220237350"}, {"b": "855238006061", "n": "PESTLE PURE HYALURONIC SERUM 30ML", "r": "220240077"}, {"b": "855717008630", "n": "PESTLE LACTIC ACID TONER 200ML", "r": "220237988"}, {"b": "855238006009", "n": "PESTLE HYDRATE MOISTURISER 50ML", "r": "220237913"}, {"b": "855238006689", "n": "PESTLE GLOW DROPS 30ML", "r": "220237742"}, {"b": "855717008180", "n": "PESTLE EXFOLIATE TONER 180ML", "r": "220237547"}, {"b": "855238006337", "n": "PESTLE ERASE BALM CLEANSER 100ML", "r": "220240057"}, {"b": "855238006351", "n": "PESTLE DOUBLE SIDED FACE CLOTHS  PACK OF 3", "r": "220237343"}, {"b": "855717008005", "n": "PESTLE BALANCE SPRITZ 80ML", "r": "220239390"}, {"b": "965016000006", "n": "PEVARYL CREAM 30GM", "r": "220155699"}, {"b": "965016000169", "n": "PEVARYL SPRAY 30ML", "r": "220154429"}, {"b": "965016000111", "n": "PEVISONE CREAM 15GM", "r": "220158493"}, {"b": "9650364002885", "n": "PEX ACTIVE HAND SANITIZER 500ML", "r": "220192355"}, {"b": "5709976363106", "n": "SYNCRODIN MELATONINE 3MG 30 TABLETS", "r": "220212404"}, {"b": "5900717147034", "n": "PHARMACERIS W EYE CREAM 15ML", "r": "220222603"}, {"b": "5900717147317", "n": "PHARMACERIS W DAY CREAM SPF50 30ML", "r": "220230395"}, {"b": "5900717163317", "n": "PHARMACERIS VITA  MOISTRZG CRM 50ML", "r": "220234065"}, {"b": "5900717140011", "n": "PHARMACERIS T SPOT GEL 10ML", "r": "220222860"}, {"b": "5900717142411", "n": "PHARMACERIS T PURI SEBOGEL FACE GEL 190M", "r": "220236753"}, {"b": "5900717149069", "n": "PHARMACERIS SUN PROTECTION CREAM SPF 50 50 ML", "r": "220232417"}, {"b": "5900717169128", "n": "PHARMACERIS REPLENISHING CRM 75ML", "r": "220236384"}, {"b": "5900717163812", "n": "PHARMACERIS PURI SENSILIQUE TONER 200ML", "r": "220232173"}, {"b": "5900717160064", "n": "PHARMACERIS PREBIOTIC MICELLAR WTR 200ML", "r": "220216639"}, {"b": "5900717165618", "n": "PHARMACERIS PHYSIOPURIC CLEANIG GEL 190ML", "r": "220218303"}, {"b": "5900717149519", "n": "PHARMACERIS HYDROLIPID BODY LTN SPF50 50ML", "r": "220235281"}, {"b": "5900717913967", "n": "PHARMACERIS HYDRATING LIPID BALM 190ML", "r": "220226320"}, {"b": "5900717160057", "n": "PHARMACERIS HYALURO SENSILIUM 40ML", "r": "220233335"}, {"b": "5900717158214", "n": "PHARMACERIS HSTIMUPURIN GRWTH STMLATING SHAMP 250ML", "r": "220230998"}, {"b": "5900717169159", "n": "PHARMACERIS EMOTOPIC BODY CREAM 200ML", "r": "220239340"}, {"b": "5900717169135", "n": "PHARMACERIS EMOLLIENT BARRIER CREAM 75ML", "r": "220227437"}, {"b": "5900717160071", "n": "PHARMACERIS CREAM SPF100 75ML", "r": "220232652"}, {"b": "5900717164314", "n": "PHARMACERIS ANTIWRINKLE EYE CRM 15ML", "r": "220236195"}, {"b": "5900717147010", "n": "PHARMA W WHTN FACEEYE CLNS FOAM 150ML", "r": "220222525"}, {"b": "5900717147065", "n": "PHARMA W WHTN ACTIVE CON 5 VIT C 30ML", "r": "220227885"}, {"b": "5900717141810", "n": "PHARMA T PURI SEBO DPLY CLNS FACE FOAM 150ML", "r": "220233851"}, {"b": "5900717142114", "n": "PHARMA T NORMLZNG FACE TONR 200ML", "r": "220235167"}, {"b": "5900717142619", "n": "PHARMA T MOIST FACE CRM  SPF30 50ML", "r": "220233757"}, {"b": "5900717142510", "n": "PHARMA SEBOMICELLAR SOLU 200ML", "r": "220216249"}, {"b": "5900717142213", "n": "PHARMA SEBO MATIFY ANTIACNE CRM 50ML", "r": "220219956"}, {"b": "5900717147041", "n": "PHARMA LW ALBUCIN MELA WHITI SERM 30ML", "r": "220227548"}, {"b": "5900717149052", "n": "PHARMA ACNE  OILY COMBI SKIN PROT CRM SPF 50 50ML", "r": "220221120"}, {"b": "5900717147027", "n": "PHARMA A WHTN CLEAR TONR 200ML", "r": "220232448"}, {"b": "5900717149618", "n": "PHARMACERIS KIDS SUN PROTECTION CREAM SPF50 125ML", "r": "220224528"}, {"b": "5900717158719", "n": "PHARMACERIS HSTIMUCLARIS DOUBLE ACTION SHAMP 250ML", "r": "220218681"}, {"b": "5900717149717", "n": "PPHARMACERIS KIDS SUN PROTECTION CREAM SPF30 125ML", "r": "220228451"}, {"b": "5900717163713", "n": "PHARMACERIS ULTRA SENSLIUM RELIF CRM 30ML", "r": "220230180"}, {"b": "5900717142916", "n": "PHARMACERIS T MATT GEL CRM 50ML", "r": "220220794"}, {"b": "5900717163515", "n": "PHARMACERIS PURI CLEANSING FOAM 150ML", "r": "220224758"}, {"b": "5900717149014", "n": "PHARMACERIS MOISTURSNG FACE CRM SPF30 50ML", "r": "220236550"}, {"b": "5900717158016", "n": "PHARMACERIS HPURIN WET DANDRUFF SHMPO 250ML", "r": "220231333"}, {"b": "5900717157910", "n": "PHARMACERIS HPURIN DRY DANDRUFF SHAMP 250ML", "r": "220230957"}, {"b": "5900717147058", "n": "PHARMA WHITE ESSE ANT BROWN MARKS 3X4ML", "r": "220231535"}, {"b": "5900717147416", "n": "PHARMA W INTNSV WHTN NGHT CRM 30ML", "r": "220232074"}, {"b": "5900717142428", "n": "PHARMA T PURISEBOGEL 190ML", "r": "220222124"}, {"b": "5900717142817", "n": "PHARMA SEBOALMO PEELING CRM 10 50ML", "r": "220231094"}, {"b": "5900717149113", "n": "PHARMA HYDROLIPID FACE CRM SPF50 50ML", "r": "220222065"}, {"b": "8420651328094", "n": "PHARMALINE INTIM FRESH GEL ALOVERA 250ML", "r": "220212208"}, {"b": "8420651328049", "n": "PHARMALINE SENSINTIMAT WGEL 250ML", "r": "220058803"}, {"b": "8420651328056", "n": "PHARMALINE INTIMO CAMOMILE WGEL 250ML", "r": "220077040"}, {"b": "698589081406", "n": "PHARMALINE VITAGIN 30 CAP", "r": "220169714"}, {"b": "698589040809", "n": "PHARMALINE UBQ10 60TABS", "r": "220165495"}, {"b": "698589150232", "n": "PHARMALINE SKIN HAIR NAIL GROWTH 60CAP", "r": "220169222"}, {"b": "698589090507", "n": "PHARMALINE OSTEOAMINE 30 TABS", "r": "220160478"}, {"b": "698589020108", "n": "PHARMALINE OMEGA 3 30 SG CAP", "r": "220153149"}, {"b": "698589140417", "n": "PHARMALINE MULTIWOMEN 60TABS", "r": "220156475"}, {"b": "8420651121121", "n": "PHARMALINE DERMA SHWR GL 750ML", "r": "220084024"}, {"b": "698589040205", "n": "PHARMALINE CO Q10 30 CAP", "r": "220166781"}, {"b": "698589100220", "n": "PHARMALINE CHAMP GUMMIES VIT CZINC 30S", "r": "220168797"}, {"b": "698589100138", "n": "PHARMALINE CHAMP GUMMIES MULTIVIT 30S", "r": "220161916"}, {"b": "698589100336", "n": "PHARMALINE CHAMP GUMMIES CALD3 30S", "r": "220168167"}, {"b": "3870132000998", "n": "ALMOND BABY SKIN CARE CREAM 150ML", "r": "220220320"}, {"b": "3870132001407", "n": "HERBIFIT MARIGOLD CREAM 50ML", "r": "220217678"}, {"b": "3870132000660", "n": "HERBIFIT PLANTAIN SYRUP 200ML", "r": "220081010"}, {"b": "3870132001902", "n": "HERBIFIT HEDERIN SYRUP IVY 100ML", "r": "220236341"}, {"b": "3664798006520", "n": "KIDDI PHARMATON SYRUP 200ML", "r": "220219705"}, {"b": "4048846007476", "n": "PHARMATON CAPS 30S", "r": "220223839"}, {"b": "4048846007469", "n": "PHARMATON CAPS 100S", "r": "220223884"}, {"b": "3664798033229", "n": "PHARMATON VITALITY 100S", "r": "129836892"}, {"b": "3664798033212", "n": "PHARMATON VITALITY 30S", "r": "129841895"}, {"b": "9650364003554", "n": "ADONIS 20MG TAB 15S", "r": "220197053"}, {"b": "9650364003547", "n": "ADONIS 5MG TAB 15S", "r": "220196427"}, {"b": "9650364003202", "n": "SILDOMAX 100MG TAB 4S", "r": "220193268"}, {"b": "9650364003561", "n": "ADONIS 20MG TAB 4S", "r": "220196935"}, {"b": "9650364003196", "n": "SILDOMAX 50MG TAB 4S", "r": "220193555"}, {"b": "9650364003189", "n": "PROTOMAX MUPS 40MG TAB 14S", "r": "220193190"}, {"b": "868573000199", "n": "V PHARMAXXI MAXXI OMEGA 3679 60CAPS", "r": "220190962"}, {"b": "868573000168", "n": "V PHARMAXXI MAXXI FIBER GUMMIES 60S", "r": "220190500"}, {"b": "868573000106", "n": "PHARMAXXI WEIGHT LOSS 4 90TABS", "r": "220073200"}, {"b": "868573000182", "n": "PHARMAXXI BEAUTY COLLAGEN 14STKS", "r": "220059443"}, {"b": "850007144029", "n": "V PHARMAXXI MAXXI KONJAC GUM PWDR 30STCKS", "r": "220191522"}, {"b": "850007144074", "n": "PHARMAXXI MAXXI C CHEWABLE 30S", "r": "220203302"}, {"b": "5060119291466", "n": "PHD SMART BAR DARK CHOCOLATE RASPBERRY", "r": "220202229"}, {"b": "5060119291497", "n": "PHD SMART BAR COOKIES  CREAM", "r": "220202135"}, {"b": "5060119292050", "n": "PHD SMART BAR CHOCOLATE BROWNIE", "r": "220201372"}, {"b": "5060119291961", "n": "PHD SMART BAR CHOC PEANUT BUTTER", "r": "220201691"}, {"b": "5060119291855", "n": "PHD SMART BAR CARAMEL CRUNCH", "r": "220201220"}, {"b": "5060119290407", "n": "PHD DIET WHEY BODY SCULPT POWDER 1KG BELGIAN CHOCO", "r": "220202251"}, {"b": "5060119290421", "n": "PHD DIET WHEY BODY SCULPT POWDER 1KG STRBERRY DELIGHT", "r": "220201791"}, {"b": "5060119293828", "n": "PHD ZMA MASS  STRENGTH 1000MG CAP 90S", "r": "220201394"}, {"b": "5060119293309", "n": "PHD SMART BAR WHITE CHOCO BLONDIE 65G", "r": "220201556"}, {"b": "5060578320844", "n": "PHD SMART BAR SALTED FUDGE BROWNIE 64G", "r": "220201146"}, {"b": "5060578321957", "n": "PHD SMART BAR PLANT CHOC TOFFEE POPCORN 64G", "r": "220201557"}, {"b": "5060578321728", "n": "PHD SMART BAR BIRTHDAY CAKE 64G", "r": "220201614"}, {"b": "5060119294979", "n": "PHD DIET WHEY BODY SCULPT STRBERRY DELIGHT 500G", "r": "220201856"}, {"b": "5060119296256", "n": "PHD DIET WHEY BODY SCULPT CHOCO PEANUT 1KG", "r": "220202112"}, {"b": "5060119294962", "n": "PHD DIET WHEY BODY SCULPT BELGIAN CHOCO500G", "r": "220201808"}, {"b": "5060119292548", "n": "PHD DIET WHEY BAR TRIPLE CHOCO COOKIES 65G", "r": "220202081"}, {"b": "5060119292326", "n": "PHD DIET WHEY BAR DOUBEL CHOCO BROWNIE 65G", "r": "220201497"}, {"b": "5060119290735", "n": "PHD CLA BODY SCULPT 1000MG CAP 90S", "r": "220201788"}, {"b": "8710103912897", "n": "PHILIPS STYLECARE AUTOCURLER BHH888", "r": "220194776"}, {"b": "8710103902072", "n": "PHILIPS ONE BLADE SHAVE  TRIM QP252023", "r": "220234522"}, {"b": "8710103902065", "n": "PHILIPS ONE BLADE SHAVE  TRIM QP251013", "r": "220226011"}, {"b": "8710103787419", "n": "PHILIPS ONE BLADE REPLACEMENT 2S", "r": "220219620"}, {"b": "8710103787402", "n": "PHILIPS ONE BLADE REPLACEMENT 1S", "r": "220226523"}, {"b": "8710103968566", "n": "PHILIPS LUMEA IPL9000 HAIR REMVR BRI958", "r": "220207311"}, {"b": "8710103872047", "n": "PHILIPS LUMEA ADV IPL HAIR RMV BRI92360", "r": "220214073"}, {"b": "8710103589877", "n": "PHILIPS REPLACEMENT BRUSH HEAD SC5991", "r": "220217319"}, {"b": "8710103614791", "n": "PHILIPS VISAPURE FACIAL CLEANNG BRSH 1PS", "r": "220224008"}, {"b": "8710103589907", "n": "PHILIPS VISAPURE EXFOLIATING BRUSH 1PCS", "r": "220220483"}, {"b": "8710103825852", "n": "PHILIPS VISACARE MICRODERMABRASION SYSTEM", "r": "220081836"}, {"b": "8710103837015", "n": "PHILIPS SATINELLE PREST EPILATOR BRE652", "r": "220076399"}, {"b": "8710103589846", "n": "PHILIPS REPLACEMENT BRUSH HEAD SC5990", "r": "220230619"}, {"b": "8710103669418", "n": "PHILIPS LUMEA SC2008 IPL HAIR REMOVER", "r": "220220031"}, {"b": "8710103835851", "n": "PHILIPS LUMEA SC1999 ADVANCED IPL HAIR REMOVE", "r": "220001266"}, {"b": "8710103669401", "n": "PHILIPS LUMEA PRECISION PLUS 1PCS", "r": "220232058"}, {"b": "8710103779353", "n": "PHILIPS LUMEA BRI956 IPL HAIR REMOVER", "r": "220218395"}, {"b": "8710103617815", "n": "PHILIPS BODY GROOMER", "r": "220232356"}, {"b": "8710103695387", "n": "PHILIPS AIRSTYLER ROTATING HP8664", "r": "220083204"}, {"b": "383730122618", "n": "PHILIPS INNOSPIRE ESSENCE NEBULIZER", "r": "220217876"}, {"b": "383730932682", "n": "PHILIPS SAMI THE SEAL CHILD NEBULIZER", "r": "220227777"}, {"b": "6291107463582", "n": "V PHL VITAMIN C 1000 100TABS", "r": "220192556"}, {"b": "185894746934", "n": "PHL IMMUNE TAB 100S", "r": "220204729"}, {"b": "6291107463568", "n": "PHL VIT D 1000MG MELT MIXED BERRY FLAVOR 100S", "r": "220235825"}, {"b": "868437000167", "n": "V PHL WOMENS MV CAPSULES 90S", "r": "220168792"}, {"b": "6291107463629", "n": "V PHL CAFFEINE 200MG 60CAPS", "r": "220160123"}, {"b": "851768007073", "n": "V PHL CHILDRENS MV CHEWABLE TAB 60S", "r": "220171711"}, {"b": "851768007172", "n": "V PHL VITAMIN E 1000 SG 60S", "r": "220165246"}, {"b": "851768007134", "n": "V PHL SUPER B COMPLEX CAP 60S", "r": "220184750"}, {"b": "851768007141", "n": "V PHL SUPER ANTIOXIDANTCAP 60S", "r": "220156468"}, {"b": "851768007035", "n": "V PHL MILK THISLE CAP 60S", "r": "220185539"}, {"b": "868437000174", "n": "V PHL MENS MV CAPSULES 90S", "r": "220165695"}, {"b": "6291107463551", "n": "V PHL GARCINA 1000 PLUS CAP 60S", "r": "220162366"}, {"b": "851768007028", "n": "V PHL COLON CLEANSER PLUS SG 60S", "r": "220170498"}, {"b": "851768007059", "n": "V PHL 5HTP 100 MG 60CAPS", "r": "220190842"}, {"b": "851768007097", "n": "PHL SUPER DIET CAP 60S", "r": "220218496"}, {"b": "284100036422", "n": "PHL PURPLE DUMBBELL WATER BOTTLE", "r": "220174242"}, {"b": "851768007004", "n": "PHL OMEGA 3 FISH OIL 100S", "r": "220231205"}, {"b": "868423002143", "n": "PHL MY STRONG JOINT TAB 60S", "r": "220234281"}, {"b": "6291107463599", "n": "PHL FAT BURNER 60 CAPS", "r": "220226500"}, {"b": "284100036453", "n": "PHL BLUE NORMAL SHAKER", "r": "220178425"}, {"b": "284100036439", "n": "PHL BLUE DUMBBELL WATER BOTTLE", "r": "220174436"}, {"b": "284100036460", "n": "PHL BLACK SMART SHAKER", "r": "220173711"}, {"b": "284100036446", "n": "PHL BLACK NORMAL SHAKER", "r": "220178471"}, {"b": "6192012110229", "n": "PHYSIOL NORMAL SALINE 10 X 5ML", "r": "220225780"}, {"b": "3701129000052", "n": "PHYSIOLOGICA SEPTINASAL SPRAY 50ML", "r": "220204363"}, {"b": "5412569139063", "n": "V PHYSIOLOGICA 20S", "r": "220001252"}, {"b": "3760008320872", "n": "PHYSIOTENS 04MG 28 TABS", "r": "220158998"}, {"b": "965015500044", "n": "PHYSIOTENS 02MG 28 TABS", "r": "220152700"}, {"b": "3338221000033", "n": "PHYTOCYAN DENSIFYING SERM AMP1275ML", "r": "220227747"}, {"b": "3338221002501", "n": "PHYTO COLOR 1 BLACK", "r": "220226928"}, {"b": "618059109690", "n": "V PHYTOCLOLOR 6AC DRK COP MAHGNY BLND", "r": "220232991"}, {"b": "618059013560", "n": "PHYTOLIUM SHAMPOO 125ML", "r": "220218992"}, {"b": "618059103438", "n": "PHYTOLISSE SHAMPOO 200ML", "r": "220221533"}, {"b": "618059165047", "n": "PHYTOLISSE SERUM 50ML", "r": "220217136"}, {"b": "618059013409", "n": "PHYTOKERATINE SHAMPOO 200 ML", "r": "220229189"}, {"b": "618059105401", "n": "PHYTOKERATINE SERUM 30ML", "r": "220236207"}, {"b": "618059103797", "n": "PHYTOCITRUS SHAMPOO 200ML", "r": "220234797"}, {"b": "618059102417", "n": "PHYTOBAUME REPAIR CONDITIONER 150 ML", "r": "220230478"}, {"b": "618059105272", "n": "PHYTOBAUME HYDRATION CONDITIONER 150 ML", "r": "220220900"}, {"b": "3338221000415", "n": "PHYTO SQUAM ANTI DAND PURIFY SHAMP 200ML", "r": "220222366"}, {"b": "3338221000408", "n": "PHYTO SQUAM ANTI DAND MOIST SHAMPOO 200ML", "r": "220218799"}, {"b": "3338221000392", "n": "PHYTO SQUAM AD INT TREAT SHMP 100ML", "r": "220227641"}, {"b": "618059163302", "n": "PHYTO RHUM SHAMPOO 200ML", "r": "220160314"}, {"b": "3338221000118", "n": "PHYTO PROGENIUM SHAMPOO 200 ML", "r": "220234197"}, {"b": "3338221000026", "n": "PHYTO PHYTOLIUM 4 TREATMENT AMP 1235ML", "r": "220220397"}, {"b": "618059104404", "n": "PHYTO PHYTOKERATINE SPRAY 150ML", "r": "220235314"}, {"b": "618059162299", "n": "PHYTO PHYTOKARITE MASQUE NUTRITION 200ML", "r": "220170740"}, {"b": "618059163104", "n": "PHYTO PHYTOCYANE SHAMPOO 200ML", "r": "220217832"}, {"b": "618059163067", "n": "PHYTO PHYTOCEDRAT SHAMPOO 200ML", "r": "220156135"}, {"b": "618059105289", "n": "PHYTO PHYTOBAUME COLOR PROTECT COND 150ML", "r": "220218694"}, {"b": "618059103247", "n": "PHYTO PHYTOAPAISANT SHAMP 200ML", "r": "220232471"}, {"b": "618059163777", "n": "PHYTO PHYTHEOL SHAMPOO 200ML", "r": "220163045"}, {"b": "3338221000378", "n": "PHYTO LIGHT HYDRATING OIL 100ML", "r": "220221053"}, {"b": "3338221000507", "n": "PHYTO KERATINE EXTREME EXEPTNAL SHAMPOO 200ML", "r": "220235131"}, {"b": "3338221000484", "n": "PHYTO KERATIN EXTREME EXCEPTIONAL CRM 100ML", "r": "220226028"}, {"b": "3338221000385", "n": "PHYTO HUILE SUPREME RICH SMOOTHING OIL 100ML", "r": "220220789"}, {"b": "618059152023", "n": "PHYTO HUILE D ALES 5X10ML", "r": "220156544"}, {"b": "3338221000590", "n": "PHYTO ELIXIR NUTRITION MASQUE 200ML", "r": "220216049"}, {"b": "3338221000569", "n": "PHYTO ELIXIR INTENSE NUTRITION SHAMP 200ML", "r": "220225771"}, {"b": "618059165023", "n": "PHYTO DEFRISANT RELAXING BALM 100ML", "r": "220231504"}, {"b": "618059109638", "n": "PHYTO COLOR 7 BLOND", "r": "220222714"}, {"b": "3338221002587", "n": "PHYTO COLOR 5 LIGHT CHESTNUT", "r": "220219685"}, {"b": "618059109805", "n": "PHYTO COLOR 4MC CHOCOLATE BROWN P0980 10S", "r": "220231994"}, {"b": "618059109744", "n": "PHYTO COLOR 4M LIGHT CHESTNUT BROWN", "r": "220232031"}, {"b": "618059109614", "n": "PHYTO COLOR 4 CHESTNUT", "r": "220216116"}, {"b": "618059109829", "n": "PHYTO COLOR 2 BROWN", "r": "220216592"}, {"b": "618059162039", "n": "PHYTO 9 CRME DE JOUR 50ML", "r": "220223463"}, {"b": "618059162015", "n": "PHYTO 7 50ML", "r": "220157465"}, {"b": "618059168215", "n": "PHYTO PHYTOPHANERE CAPSULES 120S", "r": "220153078"}, {"b": "8700508108101", "n": "PIASCLEDINE 300 MG", "r": "220162676"}, {"b": "8058090009849", "n": "PIC THERMOGEL COMFORT 10X10 CM", "r": "220174271"}, {"b": "8058090004295", "n": "PIC VEDO FAMILY THERMOMETER", "r": "220172191"}, {"b": "8058090005650", "n": "VPIC CLEAR RAPID BP MONITOR", "r": "220193964"}, {"b": "8003670887973", "n": "PIC VEDO PREMIUM DIGITAL THERMOMETER", "r": "220224968"}, {"b": "8058090004271", "n": "PIC VEDO CLEAR THERMOMETER", "r": "220162978"}, {"b": "8058090009764", "n": "PIC THERMOGEL 10X26 CM", "r": "220177113"}, {"b": "58664032228", "n": "PIC MY SKIN ELBOW  KNEE 4S", "r": "220163274"}, {"b": "8003670863922", "n": "PIC INSUPEN PEN NEEDLE G32X8MM  100PCS", "r": "220198332"}, {"b": "8003670995555", "n": "PIC INSTANT ICE PACK", "r": "220152783"}, {"b": "9650135000829", "n": "PIC ICE SPRAY INSTANT 150ML", "r": "220198699"}, {"b": "8003670995630", "n": "PIC DIGITAL THERMOMETER", "r": "220172340"}, {"b": "8058090008347", "n": "PIC 10 EYE PADS WITH ADHESIVE EDGE", "r": "220163434"}, {"b": "8058090008811", "n": "NESTLE NAN HA2 MILK 400GM", "r": "220198345"}, {"b": "4902508033282", "n": "PIGEON WEANING BOTTLE WITH SPOON 120ML", "r": "220228470"}, {"b": "4902508136662", "n": "PIGEON TRAINING TEETHER STEP 1", "r": "220062670"}, {"b": "4902508173391", "n": "PIGEON STYPE NIPPLE M 2PCS", "r": "220223694"}, {"b": "4902508173414", "n": "PIGEON STYPE NIPPLE L 2PCS", "r": "220231112"}, {"b": "4902508136815", "n": "PIGEON SILICON PACIFIER STEP 3 AEROPLANE", "r": "220230026"}, {"b": "4902508260077", "n": "PIGEON NURSING BTL 240ML26007", "r": "220051391"}, {"b": "4902508260060", "n": "PIGEON NURSING BTL 240ML26006", "r": "220078487"}, {"b": "4902508260107", "n": "PIGEON NURSING BTL 200ML26010", "r": "220070310"}, {"b": "4902508260091", "n": "PIGEON NURSING BTL 200ML26009", "r": "220070660"}, {"b": "4902508260114", "n": "PIGEON NURSING BTL 120ML26011", "r": "220072864"}, {"b": "4902508260145", "n": "PIGEON NURSING BOTTLE WITH CAP 50ML", "r": "220229910"}, {"b": "4902508105590", "n": "PIGEON NOSE CLEANER ASPIRATOR", "r": "220224202"}, {"b": "4902508129855", "n": "PIGEON LIQUID CLEANSER 700ML", "r": "220099318"}, {"b": "4902508002806", "n": "PIGEON GLASS NURSER K8 240 ML", "r": "220090013"}, {"b": "4902508002813", "n": "PIGEON GLASS NURSER K6 200 ML", "r": "220064723"}, {"b": "4902508002820", "n": "PIGEON GLASS NURSER K4 120 ML", "r": "220072855"}, {"b": "4902508033084", "n": "PIGEON GLASS JUICE FEEDER 50ML", "r": "220216370"}, {"b": "4902508136129", "n": "PIGEON COOLING TEETHER CARROT", "r": "220234333"}, {"b": "4902508045506", "n": "PIGEON BOTTLE AND NIPPLE BRUSH", "r": "220218077"}, {"b": "4902508108089", "n": "PIGEON BABY NAIL CLIPPERS", "r": "220230217"}, {"b": "4902508033299", "n": "PIGEON WEANING BOTTLE WITH SPOON 240ML", "r": "220219962"}, {"b": "4902508136884", "n": "PIGEON SILICONE PACIFIER STEP 1 LION", "r": "220229801"}, {"b": "4902508136785", "n": "PIGEON SILICON PACIFIER STEP 3 CHERRY", "r": "220217529"}, {"b": "4902508136808", "n": "PIGEON SILICON PACIFIER STEP 2 AEROPLANE", "r": "220217303"}, {"b": "4902508136792", "n": "PIGEON SILICON PACIFIER STEP 1 CAR", "r": "220223363"}, {"b": "4902508173384", "n": "PIGEON SILICON NIPPLE SIZE SMALL 2PCS", "r": "220215987"}, {"b": "4902508045636", "n": "PIGEON MAG STRAW CUP ASSORTED COLORS", "r": "220066955"}, {"b": "4902508150903", "n": "PIGEON FEVER COOL PLASTER 3S", "r": "220229759"}, {"b": "4902508105651", "n": "PIGEON ANTI MUSQUITO 12 WIPES", "r": "220061958"}, {"b": "965014000040", "n": "PILFOOD SHAMPOO 200ML", "r": "220162678"}, {"b": "965013700399", "n": "PIMAFUCORT OINTMENT 30GM", "r": "220170810"}, {"b": "5060580000536", "n": "VPINKY GOAT REEM PARTY LASH", "r": "220202262"}, {"b": "5060580000703", "n": "VPINKY GOAT LASH NEON ROSE", "r": "220202146"}, {"b": "5060580000680", "n": "VPINKY GOAT LASH NEON AMY", "r": "220201466"}, {"b": "5060580000611", "n": "VPINKY GOAT JULIA PARTY LASH", "r": "220202260"}, {"b": "5060580001090", "n": "PINKY GOAT KEONA VEGAN FAUX MINK LASH", "r": "220201589"}, {"b": "6297000765730", "n": "PINKY GOAT GLUEME WHITE CLEAR", "r": "220202254"}, {"b": "6297000765266", "n": "PINKY GOAT GLUEME BLACK LASH GLUE", "r": "220201594"}, {"b": "5060580000628", "n": "PINKY GOAT GHINA PARTY LASH", "r": "220201138"}, {"b": "380201200410", "n": "PIT BULL TRAVEL HYGIENE KIT", "r": "220192990"}, {"b": "8853348010147", "n": "PLAIVANA MASSAGE CREAM 35GM", "r": "220054805"}, {"b": "9120005460010", "n": "PLANTA LAX TEA BAGS 20GM", "r": "220152247"}, {"b": "3582910074236", "n": "PLAVIX 75MG TAB 28S", "r": "220227187"}, {"b": "78300015574", "n": "PLAYTEX GG WAPP SUPER", "r": "220080070"}, {"b": "78300015567", "n": "PLAYTEX GG WAPP REGULAR", "r": "220061759"}, {"b": "78300015581", "n": "PLAYTEX GG WAPP REGULARSUPER", "r": "220061251"}, {"b": "6291107470269", "n": "PLEGO SYRUP 150ML", "r": "220200920"}, {"b": "18515276995", "n": "PLUS WHITE 5 MIN WHITENING GEL", "r": "220077231"}, {"b": "855394003027", "n": "PMD REPLACEMENT DISCS GREEN MODERATE", "r": "220237595"}, {"b": "855394003010", "n": "PMD REPLACEMENT DISCS BLUE SENSITIVE", "r": "220236884"}, {"b": "855394003430", "n": "PMD REPLACEMENT  DISCS GREY VERY SENSITIVE", "r": "220237082"}, {"b": "811485030211", "n": "PMD PERSONAL MICRODERM PRO BLUSH", "r": "220240107"}, {"b": "811485030693", "n": "PMD PERSONAL MICRODERM PRO BLACK", "r": "220240066"}, {"b": "811485030204", "n": "PMD PERSONAL MICRODERM BLUSH", "r": "220240277"}, {"b": "855394003508", "n": "PMD PERSONAL MICRODERM  PINK", "r": "220239645"}, {"b": "854378006740", "n": "PMD CLEAN TEAL", "r": "220239590"}, {"b": "811485031423", "n": "PMD CLEAN PRO CREAM WITH JADE", "r": "220238782"}, {"b": "811485030631", "n": "PMD CLEAN PRO BLUSH WITH ROSE QUARTZ", "r": "220238224"}, {"b": "811485031164", "n": "PMD CLEAN PRO BLACK WITH OBSIDIAN", "r": "220238848"}, {"b": "811485031652", "n": "PMD CLEAN BODY BLUSH", "r": "220240229"}, {"b": "811485031645", "n": "PMD CLEAN BODY BERRY", "r": "220240071"}, {"b": "855394003843", "n": "PMD CLEAN BLUSH", "r": "220237046"}, {"b": "609224371271", "n": "POHLI DEO 7 DEO CREAM MUSK25GM", "r": "220161111"}, {"b": "6281006407527", "n": "PONDS FACIAL FOAM ACNE CLEAR  SCRUB 100ML", "r": "220228810"}, {"b": "8851932343756", "n": "PONDS AGE MIRACLE FIRM  LIFT SPF30 50G", "r": "220222843"}, {"b": "965014300016", "n": "PONSTAN FORTE TAB 20S", "r": "220171263"}, {"b": "9650364002953", "n": "POSIFORMIN 2 EYE OINT 5GM", "r": "220195151"}, {"b": "7350068600630", "n": "POXCLIN COOL MOUSSE FOR CHICKENPOX 100ML", "r": "220224103"}, {"b": "5016007202298", "n": "PRED FORTE 1 EYE DROPS 5ML", "r": "220219261"}, {"b": "9003638291827", "n": "PREDNISOLONE 5MG TABLETS 30S", "r": "220168831"}, {"b": "6281900001401", "n": "PREDO SYRUP 15MG5ML 120ML", "r": "220218564"}, {"b": "965016000210", "n": "PREGAINE GEL SHAMPOO", "r": "220159622"}, {"b": "115010134", "n": "PREMOSAN 10MG TAB", "r": "220168531"}, {"b": "6291100081233", "n": "PREMOSAN 5MG5ML SYRUP 120ML", "r": "220228596"}, {"b": "965014600059", "n": "PREMOSAN 5MG5ML SUSP", "r": "220170123"}, {"b": "3401246028716", "n": "PRESERVISION 3 60SG CAPS", "r": "220157829"}, {"b": "5391189150286", "n": "PRETERAX TABS 30S", "r": "220217432"}, {"b": "5031413979909", "n": "PRETTY MOISTURISING LIP BALM STRAWBERRY", "r": "220212665"}, {"b": "5031413982312", "n": "PRETTY MOISTURISING LIP BALM  ALOE VERA", "r": "220213176"}, {"b": "9650145000383", "n": "PRILIGY 30MG", "r": "220205350"}, {"b": "9650145000390", "n": "PRILIGY 60MG", "r": "220206578"}, {"b": "7640164860336", "n": "PRIMA VITAMIN D TEST KIT", "r": "220206198"}, {"b": "6291072001673", "n": "PRIME HYDROGEN PEROXIDE 100ML", "r": "220194601"}, {"b": "965014100002", "n": "PRIME ALCOHOL SWABS 200S", "r": "220169052"}, {"b": "6291072011856", "n": "PRIME BORIC ACID IP 100GM", "r": "220153154"}, {"b": "965014100001", "n": "PRIME ALCOHOL SWABS 100S", "r": "220164792"}, {"b": "506813078810", "n": "PRIMOLUT NOR 30S", "r": "220181425"}, {"b": "965014500001", "n": "DONT USE PRIMOLUT N TABLETS 30S", "r": "220152987"}, {"b": "3582910080060", "n": "PRIMPERAN TABLETS 20S", "r": "220181071"}, {"b": "5060361721469", "n": "PRINCIPLE VITALITY BOOST MULTIVITAMIN EFF TABS 20S", "r": "220227128"}, {"b": "5060361721407", "n": "PRINCIPLE IMMUNE BOOST VIT C 1000MG EFF TAB 20S", "r": "220234046"}, {"b": "5060361721438", "n": "PRINCIPLE IMMUNE BOOST VIT C  ZINC EFF TAB 20S", "r": "220217089"}, {"b": "6285074001151", "n": "PRIORIN REVITALISING SHAMPOO OILY HAIR 200ML", "r": "220228468"}, {"b": "6285074001144", "n": "PRIORIN REVITALISING SHAMP NORMALDRY HAIR 200ML", "r": "220226376"}, {"b": "6285074001519", "n": "PRIORIN LOTION LIQUID FORMULA 50ML", "r": "220222599"}, {"b": "9650155001455", "n": "PRIORIN N CAP 90S", "r": "220159243"}, {"b": "6291100278251", "n": "PRITTY LASH  BROW DYE COLORATION KIT BROWN", "r": "220222810"}, {"b": "6291100278275", "n": "PRITTY LASH  BROW DYE COLORATION KIT BLACK", "r": "220232487"}, {"b": "7629999061590", "n": "AURACOS PRO COLLAGENIUM 14X25ML", "r": "220194102"}, {"b": "9650160003055", "n": "PROACTIV TSONIC FCIAL CLNING BRSH GWP", "r": "220195064"}, {"b": "842944100220", "n": "PROACTIV SKIN SMOOTH EXFOLIATOR FACIAL CLENSER 60ML", "r": "220230675"}, {"b": "735786020804", "n": "PROACTIV SKIN SMOOTH EXFOLIATOR FACIAL CLENSER 120ML", "r": "220220802"}, {"b": "735786020958", "n": "PROACTIV PORE TARGETING TREATMENT 60ML", "r": "220228751"}, {"b": "842944100190", "n": "PROACTIV PORE TARGETING TREATMENT 30ML", "r": "220219593"}, {"b": "735786022686", "n": "PROACTIV PORE CLEANSING BRUSH", "r": "220217309"}, {"b": "842944100176", "n": "PROACTIV COMPLEXION PERFECTING HYDRATOR 60ML", "r": "220220728"}, {"b": "842944100183", "n": "PROACTIV COMPLEXION PERFECTING HYDRATOR 30ML", "r": "220231041"}, {"b": "7332665805625", "n": "PROACTIV 3 STEPS CLEAR SYSTEM 60 DAYS KIT", "r": "220226353"}, {"b": "7332665805618", "n": "PROACTIV 3 STEPS CLEAR SYSTEM 30 DAYS KIT", "r": "220227109"}, {"b": "735786007249", "n": "PROACTIVE EYE SERUM 15ML", "r": "220154714"}, {"b": "735786007300", "n": "PROACTIVE CLARIFYING NIGHT CRM 75ML", "r": "220155060"}, {"b": "735786007256", "n": "PROACTIVE  GREEN TEA MOISTURIZER 89ML", "r": "220154617"}, {"b": "855757003930", "n": "k", "r": "220230022"}, {"b": "855757003916", "n": "PROBULIN PROBIOTIC MARULA EYECREAM299ML", "r": "220215679"}, {"b": "855757003909", "n": "PROBULIN PROBIOTIC FACIAL SERUM 299ML", "r": "220215358"}, {"b": "855757003923", "n": "PROBULIN PROBIOTIC DAY CREAM 50ML", "r": "220215339"}, {"b": "855757003947", "n": "PROBULIN PROBIOTIC CLEANSING GEL 100ML", "r": "220215943"}, {"b": "855757003411", "n": "PROBULIN DAILY CARE 10 BILLION 60 CAPS", "r": "220211205"}, {"b": "855757003602", "n": "PROBULIN COLON SUPPORT 20BILLION 30CAPS", "r": "220211155"}, {"b": "855757003435", "n": "PROBULIN TOTAL CARE PROBIOTIC  CAP 30S", "r": "220213508"}, {"b": "855757003404", "n": "PROBULIN DAILY CARE PROBIOTIC CAP 30S", "r": "220213280"}, {"b": "855757003633", "n": "PROBULIN PPAK 20 BILLION 10CAPS", "r": "220210987"}, {"b": "4014852751412", "n": "PROCOMIL SPRAY 45 ML", "r": "220172370"}, {"b": "6291107433721", "n": "PROCTO GLYVENOL SUPP 10S", "r": "220172537"}, {"b": "965013700237", "n": "PROCTO GLYVENOL CREAM 30GM", "r": "220164797"}, {"b": "3582910080237", "n": "PROFENID TAB 30S", "r": "220183893"}, {"b": "6291100084166", "n": "PROFINAL XP TAB 20S", "r": "220218866"}, {"b": "6291100080144", "n": "PROFINAL 600MG TAB 20S", "r": "220162080"}, {"b": "6291100080137", "n": "PROFINAL 400MG TAB 24S", "r": "220164665"}, {"b": "6291100080427", "n": "PROFINAL SUSPENSION 110ML", "r": "220223874"}, {"b": "7763567468364", "n": "PROFLORA INTENSE 12 STRAINS 40BN 1GM", "r": "220207487"}, {"b": "7763567543788", "n": "PROFLORA KIDS TAB 30S", "r": "220206613"}, {"b": "7763567222294", "n": "PROFLORA SUPPLEMENTARY BABY DROPS", "r": "220162260"}, {"b": "5705675088081", "n": "PROFLORA RESTORE PROBIOTIC ADULTS 30S", "r": "220232558"}, {"b": "7763567234235", "n": "PROFLORA SUPPLEMENTARY FIBER 30 SACHETS", "r": "220227743"}, {"b": "5705675088074", "n": "PROFLORA START TODDLERS 10 STICKS", "r": "220171855"}, {"b": "5705675088098", "n": "PROFLORA KIDS CHILDREN 30 TABS", "r": "220171080"}, {"b": "7763567233641", "n": "PROFLORA FEMININE SUPPLEMENTARY 12 CAPS", "r": "220185908"}, {"b": "965014500022", "n": "PROGYLUTON TABLETS 21S", "r": "220171572"}, {"b": "9650141000585", "n": "DONT USE PROLYTE ORS SACHETS 285GMS ORANGE", "r": "220170404"}, {"b": "868573000137", "n": "MAXXIPROB ONCE DAILY PROBIOTIC 30S", "r": "220074003"}, {"b": "3525722014281", "n": "PROPOLIS THROAT SPRAY 20ML", "r": "220159412"}, {"b": "3525720011008", "n": "PROPOLIS NASAL SPRAY 100ML", "r": "220222898"}, {"b": "965013700431", "n": "PROSCAR TAB 28S", "r": "220162970"}, {"b": "4104480706073", "n": "PROSPAN COUGH SYRUP 200ML", "r": "220233293"}, {"b": "4104480705465", "n": "PROSPAN COUGH SYRUP 100ML", "r": "220223392"}, {"b": "4104480704222", "n": "PROSPAN ACUTE EFFER 20S", "r": "220234702"}, {"b": "965015500091", "n": "PROSPAN SUPPOSITORIES PCK 10S", "r": "220152421"}, {"b": "5702191014464", "n": "PROTOPIC 01 OINTMENT 30G", "r": "220189033"}, {"b": "965016000009", "n": "PROXEN 500MG TABLETS 20S", "r": "220166269"}, {"b": "965016000146", "n": "PROXEN 250MG TAB 20S", "r": "220152405"}, {"b": "8901463134181", "n": "PTU 50 50TABS", "r": "220173688"}, {"b": "5000456010887", "n": "PULMICORT 05MG NEB SOLN 20S", "r": "220152406"}, {"b": "5000456010870", "n": "PULMICORT 025MG NEB SOLN 20S", "r": "220234969"}, {"b": "5000456021517", "n": "PULMICORT TURBUHALER 200MCG 100S", "r": "220234156"}, {"b": "7321839710889", "n": "PULMICORT 5MG NEB SOLN", "r": "220171805"}, {"b": "7321839710872", "n": "PULMICORT 25MG NEB SOLN", "r": "220156706"}, {"b": "9650364003622", "n": "PULSE OXIMETER FINGERTIP LK87", "r": "220204192"}, {"b": "3401595022007", "n": "V PURESSENT ESS OIL RELAX BLEND 30ML", "r": "220201641"}, {"b": "3401545057837", "n": "V PURESSENT REST  RELAX AIR SPRAY 75ML", "r": "220190370"}, {"b": "5060259570001", "n": "PURE GOLD COLLAGEN500ML 10X 50ML 1 BX", "r": "220219802"}, {"b": "5060259570179", "n": "PURE GOLD COLLAGEN FORTE 500ML10X50ML 1BX", "r": "220227618"}, {"b": "5060259570377", "n": "PURE GOLD COLLAGEN ACTIVE 500ML10X50ML 1BX", "r": "220234140"}, {"b": "6294016059327", "n": "PUREBORN SIZE 5 SINGLE PACK NAPPY 11 TO 18KG 22S", "r": "220203696"}, {"b": "6294016059310", "n": "PUREBORN SIZE 4 SINGLE PACK NAPPY 7 TO 12KG 24S", "r": "220203324"}, {"b": "6294016059129", "n": "PUREBORN NEW BORN SINGLE 0 TO 45KG 34S", "r": "220204891"}, {"b": "6294016059112", "n": "PUREBORN BABY WIPES CHAMOMILE QRAIL 12S", "r": "220204346"}, {"b": "6294016059433", "n": "PUREBORN BABY WIPES CHAMOMILE 60S", "r": "220204985"}, {"b": "8809052588694", "n": "PUREDERM SNAIL CELL ILLUMINAT TREAT SACHET", "r": "220069475"}, {"b": "8809052588700", "n": "PUREDERM SNAIL AGE REGENERAT TREAT SACHET", "r": "220074112"}, {"b": "8809541198632", "n": "PUREDERM VEGAN GREEN TEA MUD MASK", "r": "220209799"}, {"b": "8809541198649", "n": "PUREDERM VEGAN CUCUMBR PEEL OFF MASK", "r": "220209902"}, {"b": "8809541199523", "n": "PUREDERM UNDER EYE COLLAGEN MASK", "r": "220209741"}, {"b": "6936217741488", "n": "PUREDERM ROLANJONA HAND MASK", "r": "220209729"}, {"b": "6947790705965", "n": "PUREDERM PEAR HAND CREAM", "r": "220209911"}, {"b": "8809541197543", "n": "PUREDERM HEATING MOIST HAND MASK", "r": "220210055"}, {"b": "8809541197550", "n": "PUREDERM HEATING MOIST FOOTMASK ARGNOIL", "r": "220209663"}, {"b": "8809541194023", "n": "PUREDERM GALAXY 3X MULTIMASK OILYSKIN", "r": "220209692"}, {"b": "8809541194016", "n": "PUREDERM GALAXY 3X MULTIMASK DRYSKIN", "r": "220209923"}, {"b": "8809541197529", "n": "PUREDERM DETOX FOOT MASK CHARCOAL", "r": "220210237"}, {"b": "8809738320587", "n": "PUREDERM ANTI MASKNE HYDROGEN MASK", "r": "220209848"}, {"b": "8809052581152", "n": "V PUREDERM AGE DEFYNG CLNSG TISUE 30S", "r": "220075724"}, {"b": "8809052581145", "n": "V PUREDERM ACNE WASH CLNSG TISUE 30S", "r": "220055757"}, {"b": "8809411189357", "n": "PUREDERM PEEL OFF MASK GOLD", "r": "220054217"}, {"b": "8809411188398", "n": "PUREDERM PEEL OFF MASK CHARCOAL", "r": "220077226"}, {"b": "8809052592332", "n": "PUREDERM MOISTRE  NOURSHG HANDMASK 1PR", "r": "220079046"}, {"b": "8809411187872", "n": "PUREDERM HONEY ESSENCE MASK", "r": "220077008"}, {"b": "8809411187865", "n": "PUREDERM GREEN TEA COLLAGEN MASK", "r": "220087331"}, {"b": "8809052589899", "n": "PUREDERM CO2 THERAPY SKIN REVIVAL TREAT SACHET", "r": "220001230"}, {"b": "8809052588434", "n": "PUREDERM CLEAN FRESH PEEL GEL SACHET", "r": "220073750"}, {"b": "8809411188251", "n": "PUREDERM CHARCOAL COLLAGEN MASK", "r": "220085673"}, {"b": "8809411187629", "n": "PUREDERM BLUEBERRY COLLAGEN MASK", "r": "220063782"}, {"b": "8809411188480", "n": "PUREDERM BLACK02 BUBLE MASK VOLCANC 1S", "r": "220078476"}, {"b": "8809411188473", "n": "PUREDERM BLACK02 BUBLE MASK CHARCOL 1S", "r": "220057724"}, {"b": "8809052588519", "n": "PUREDERM EXFOLIAT FOOT MASK", "r": "220078161"}, {"b": "8809052586607", "n": "PUREDERM JOJOBA HEEL PATCH CALLUS REDUCR", "r": "220065931"}, {"b": "8809052587970", "n": "PUREDERM SHINY N SOFT FOOT PEELNG MASK 1PR", "r": "220067944"}, {"b": "8809052592349", "n": "PUREDERM INTENSE HEALING FOOTMASK 1PR", "r": "220072863"}, {"b": "812787013001", "n": "PUREFIT PEANUT BTTR TOFEE CRNCH BAR 57GM", "r": "220090298"}, {"b": "812787001008", "n": "PUREFIT PEANUT BTTR CRUNCH BAR 57GM", "r": "220000816"}, {"b": "812787011007", "n": "PUREFIT PEANUT BTTR CHOC CHP BAR 57GM", "r": "220051943"}, {"b": "812787005006", "n": "PUREFIT CHOCO BROWNIE BAR 57GM", "r": "220087342"}, {"b": "9650155250913", "n": "PUREGON  50IU", "r": "220156235"}, {"b": "73852072075", "n": "PURELL ADV HAND SAN GEL 30ML", "r": "220235078"}, {"b": "73852023909", "n": "PURELL WALOE 2OZ PUMP BTL", "r": "220159872"}, {"b": "73852029437", "n": "PURELL OCEAN KISS PUMP 60ML", "r": "220153557"}, {"b": "73852009392", "n": "PURELL HSNTZR WAOLE 240", "r": "220152463"}, {"b": "73852096507", "n": "PURELL HSNTZR ORG 60M", "r": "220161411"}, {"b": "73852096521", "n": "PURELL HSNTZR ORG 240ML", "r": "220153744"}, {"b": "73852291216", "n": "PURELL SANITIZER ROUND 236 ML", "r": "220205349"}, {"b": "73852096316", "n": "PURELL SOOTHING GEL FLIP CAP 118ML", "r": "220207599"}, {"b": "73852023886", "n": "PURELL GEL PUMP 59ML", "r": "220210625"}, {"b": "73852055528", "n": "PURELL ORG SANITIZER PUMP 59ML", "r": "220207596"}, {"b": "6291108427736", "n": "PURELL COTTONY SOFT WIPES 10S", "r": "220205376"}, {"b": "96048719", "n": "PURELOGICOL COLLAGEN SKIN 90 CAP", "r": "220234194"}, {"b": "3401398302696", "n": "PURESSENT ANTISTING SOOTHNG ROLLON 5ML", "r": "220177573"}, {"b": "3401352036995", "n": "PURESSENT MSCLS  JNTS SOOTHNG BALM 30ML", "r": "220193296"}, {"b": "3401546259902", "n": "PURESSENT MCLS  JNTS ROLLER 75ML", "r": "220193361"}, {"b": "3401397097401", "n": "PURESSENT MUSCLES  JOINTS GEL 60ML", "r": "220193233"}, {"b": "3401554417950", "n": "V PURESSENT ANTIPIQUE SPRAY 75ML", "r": "220207998"}, {"b": "3401098489505", "n": "V PURESSENT ANTI LICE LOTION COMB 100ML", "r": "220066622"}, {"b": "3401548973172", "n": "V PURESSENT MSCL RLX ORGNC MSG OIL 100ML", "r": "220059006"}, {"b": "3401597183256", "n": "PURESSENT RESP THROAT SPRAY 15ML", "r": "220069831"}, {"b": "3401097183190", "n": "PURESSENT HYPERTONC NASAL SPRAY 15ML", "r": "220054816"}, {"b": "3701056800008", "n": "VPURESSENT ANTIBACTERIAL LOTION 250ML", "r": "220199484"}, {"b": "3401340797839", "n": "VPURESSENT POUDOUX ORG SHAMPOO 200ML", "r": "220199125"}, {"b": "3401546259551", "n": "V PURESSENT STRESS ROLLON 5ML", "r": "220054239"}, {"b": "3401351625466", "n": "V PURESSENT PURIFYING AIR SPRAY 41ESS OILS", "r": "220192762"}, {"b": "3401560123388", "n": "V PURESSENT LICE REPELLENT SPRAY 200ML", "r": "220087512"}, {"b": "3401545057608", "n": "PURESSENT RR BATH SHOWER 100ML", "r": "220065118"}, {"b": "3401597183317", "n": "PURESSENT RESP THROAT SYRUP 125ML", "r": "220206606"}, {"b": "3401540797776", "n": "PURESSENT RESP PAST W3 AROMAT HONEY 24S", "r": "220086432"}, {"b": "3401599289796", "n": "PURESSENT  BUMPS BRUISES GEL 30ML", "r": "220059007"}, {"b": "813523000590", "n": "HERBALAND KID OMEGA 3 CHEWABLE 60S", "r": "220226813"}, {"b": "813523000583", "n": "HERBALAND KID MULTI VIT  MINERAL CHEWABLE 60S", "r": "220233185"}, {"b": "813523000545", "n": "HERBALAND KID CAL WITH D3 CHEWABLE 60S", "r": "220231252"}, {"b": "8809052581060", "n": "PURIDERM VITAMIN C FACIAL PAD JAR 24S", "r": "220072543"}, {"b": "8809052581015", "n": "PURIDERM DEEP CLNS NOSE STRIPS 6S", "r": "220231688"}, {"b": "8809052582050", "n": "PURIDERM CHARCOL NOSE CLEANSNG STRIP 10S", "r": "220229304"}, {"b": "25077161058", "n": "PURITANS PRIDE TRPLESTRGTH OMEGA3 FISHOIL 1360MG 60S", "r": "220207782"}, {"b": "25077176212", "n": "PURITANS PRIDE SUPER PTNCY VIT D3 2000 IU 100S", "r": "220205899"}, {"b": "25077507795", "n": "PURITANS PRIDE HAIR SKIN  NAIL SFTGL 30S", "r": "220205637"}, {"b": "25077763924", "n": "PURITANS PRIDE LUTEIN VISION GUARD SFTGL 30S", "r": "220206704"}, {"b": "74312142307", "n": "PURITANS PRIDE CALCIUM 600VIT D 60S", "r": "220234652"}, {"b": "25077156054", "n": "PURITANS PRIDE VITAMIN D31000IU 100S", "r": "220153819"}, {"b": "74312105401", "n": "PURITANS PRIDE VITE400 100S", "r": "220155976"}, {"b": "74312105517", "n": "PURITANS PRIDE VIT E 1000IU 50 CAPS", "r": "220170723"}, {"b": "74312112607", "n": "PURITANS PRIDE VITCE 500MG400IU 50SG", "r": "220165049"}, {"b": "74312104305", "n": "PURITANS PRIDE VITC 500MG 100S", "r": "220235644"}, {"b": "74312121012", "n": "PURITANS PRIDE VITAMIN FOR HAIR 30S", "r": "220162184"}, {"b": "74312106910", "n": "PURITANS PRIDE VITAMIN C 1000MG 60S", "r": "220160691"}, {"b": "74312121005", "n": "PURITANS PRIDE VIT FOR HAIR 60S", "r": "220220788"}, {"b": "25077510184", "n": "PURITANS PRIDE SUPR OMEGA3 FISHOIL SG 90S", "r": "220162183"}, {"b": "74312144608", "n": "PURITANS PRIDE SALMON OIL SG 60S", "r": "220160873"}, {"b": "74312132414", "n": "PURITANS PRIDE PSYLLIUM HUSK 200S", "r": "220157181"}, {"b": "74312137006", "n": "PURITANS PRIDE PRENATAL VITS 100S", "r": "220159734"}, {"b": "74312155314", "n": "PURITANS PRIDE ODORLESS GARLIC 1000MG", "r": "220154052"}, {"b": "74312114038", "n": "PURITANS PRIDE FOLICACID 400 MCG 250", "r": "220220680"}, {"b": "74312132315", "n": "PURITANS PRIDE EVE PRIMROS OIL 1300MG 60S", "r": "220164898"}, {"b": "25077169702", "n": "PURITANS PRIDE ESTER C 500MG 60S", "r": "220158828"}, {"b": "25077169801", "n": "PURITANS PRIDE ESTER C 1000MG 60S", "r": "220168901"}, {"b": "74312116032", "n": "PURITANS PRIDE EASY IRON 28MG 90 CAP", "r": "220232114"}, {"b": "74312112508", "n": "PURITANS PRIDE COMPLETE B 100S", "r": "220160288"}, {"b": "74312172700", "n": "PURITANS PRIDE COENZYMEQ10 30MG 50S", "r": "220231188"}, {"b": "74312111501", "n": "PURITANS PRIDE COD LIV OIL 100 CAPS", "r": "220157848"}, {"b": "25077101429", "n": "PURITANS PRIDE BONE CARE TAB 120S", "r": "220162280"}, {"b": "25077159307", "n": "PURITANS PRIDE ABSORBABLE SELENIUM 200 MCG", "r": "220002364"}, {"b": "74312100703", "n": "PURITANS PRIDE ABC LUTINLYCOPNE 100S", "r": "220220922"}, {"b": "6281080001109", "n": "PYRALVEX SOLUTION 10ML", "r": "220225149"}, {"b": "6291100082216", "n": "PYRIDOXIN 40MG TABS 20S", "r": "220193683"}, {"b": "793573252951", "n": "QUANTUM N QUANTO DIAB PLUS CAPS 60S", "r": "220158623"}, {"b": "793573963857", "n": "QUANTUM N NUTRIJOINT PLUS CAPS 60S", "r": "220165838"}, {"b": "9650141000622", "n": "QUEST PREGNANCY TEST 1S", "r": "220162093"}, {"b": "965016000010", "n": "DONT USE QUIBRON TAB 100S", "r": "220209940"}, {"b": "931124717", "n": "APROPOS INTIMATE WASH 250ML", "r": "220061723"}, {"b": "841850011255", "n": "V QVS CUTICLE NIPPER", "r": "220057743"}, {"b": "6938294613955", "n": "QVS TWEEZ N SQUEEZ", "r": "220050492"}, {"b": "6938294611807", "n": "QVS TOENAIL CLIPPER", "r": "220073191"}, {"b": "6938294611715", "n": "QVS DUAL SIDED PEDICURE FILE", "r": "220066629"}, {"b": "3800500129310", "n": "QWELL COLLAGEN WATER ACTIVE 500ML", "r": "220209737"}, {"b": "3800500129044", "n": "QWELL COLLAGEN WATER SHAPE 500ML", "r": "220209791"}, {"b": "3800500129150", "n": "QWELL COLLAGEN WATER REFRESH 500ML", "r": "220210224"}, {"b": "3800500129020", "n": "QWELL COLLAGEN WATER BEAUTY 500ML", "r": "220210120"}, {"b": "7730720002208", "n": "BD READRES FOLDING", "r": "220074497"}, {"b": "7730923012981", "n": "BD READRES RL RIMLESS", "r": "220062315"}, {"b": "6430030150057", "n": "RADIAN ICE GEL 150ML", "r": "220221560"}, {"b": "6430030150040", "n": "RADIAN ICE ROLL ON 75ML", "r": "220229701"}, {"b": "5011309450811", "n": "RADIAN MUSCLE LOTION 125ML", "r": "220222648"}, {"b": "5011309146714", "n": "RADIAN MASSAGE CREAM 40GM", "r": "220233742"}, {"b": "5011309146615", "n": "RADIAN MASSAGE CREAM 40GM", "r": "220218131"}, {"b": "5019686003866", "n": "RADIAN MASSAGE CREAM 100GM", "r": "220170648"}, {"b": "8699905012137", "n": "RAIN ARGAN SHAMPOO 400ML", "r": "220058995"}, {"b": "8699905012243", "n": "RAIN ARGAN SERUM 2 IN 1 150ML", "r": "220064736"}, {"b": "8699905012144", "n": "RAIN ARGAN CONDITIONER 400ML", "r": "220058262"}, {"b": "4533213669611", "n": "RAIOS SUN SCREEN SPRY NO FRAGRANCE 70ML", "r": "220230933"}, {"b": "4533213669598", "n": "RAIOS SUN SCREEN SPRY MUMMY SHABON 70ML", "r": "220229368"}, {"b": "4533213669604", "n": "RAIOS SUN SCREEN SPRY FRESH ORANGE 70ML", "r": "220221071"}, {"b": "8901296105931", "n": "RANOXYL 500MG CAPS 20S", "r": "220168763"}, {"b": "115010173", "n": "RANTAG 300MG TAB", "r": "220171709"}, {"b": "965014600049", "n": "RANTAG 150MG TABS 20S", "r": "220166516"}, {"b": "786563161128", "n": "RAPID RENEW SKIN PERFECTING POLISH 72G", "r": "220061734"}, {"b": "35046102491", "n": "V RAPIDFIRE KETOGENIC COFFEE 15SERVINGS", "r": "220189099"}, {"b": "35046104481", "n": "V RAPIDFIRE KETOGENIC COFFEE ORIG BLEND 225G", "r": "220188391"}, {"b": "5014697055880", "n": "RAPID WHITE BRIGHT KIT", "r": "220156596"}, {"b": "5014697025128", "n": "RAPID WHITE BRIGHT PASTE", "r": "220159613"}, {"b": "786563136959", "n": "RAPID BROW EYEBROW ENHANCING SERUM 3ML", "r": "220226718"}, {"b": "6287002333532", "n": "RAPID CLAW MASSAGE CREAM 100ML", "r": "220225942"}, {"b": "786563137888", "n": "RAPID HAIR VOLUMIZING FORMULA 50 ML", "r": "220217422"}, {"b": "78653162798", "n": "RAPIDGLAM LASH ENHANCING MASCSERUM 4GM", "r": "220205725"}, {"b": "78656313630", "n": "RAPID LASH EYELASH ENHANCING SERUM 3ML", "r": "220227515"}, {"b": "6285147003730", "n": "RAPIDUS 50MG TABLETS 20S", "r": "220217902"}, {"b": "7621500144259", "n": "RAUSCH SWISS HERBAL HAIR TONIC HAIR 200ML", "r": "220226878"}, {"b": "7621500118656", "n": "RAUSCH GINSENG CAFFEINE SHAMPOO 200ML", "r": "220224919"}, {"b": "7621500119653", "n": "RAUSCH WILLOW BARK  SHAMPOO 200 ML", "r": "220219854"}, {"b": "7621500120352", "n": "RAUSCH WHEAT GERM COND 200ML", "r": "220167308"}, {"b": "7621500110452", "n": "RAUSCH SEAWEED DEGREASING SHAMPOO 200ML", "r": "220234869"}, {"b": "7621500110254", "n": "RAUSCH MALLOW VOLUME SHAMP 200ML", "r": "220230374"}, {"b": "7621500148851", "n": "RAUSCH HAIR TINCTURE 200ML", "r": "220223310"}, {"b": "7621500110353", "n": "RAUSCH EGG OIL SHAMPOO 200ML", "r": "220233077"}, {"b": "7621500114054", "n": "RAUSCH COLTSFOOT ANTI DAND SHAMPOO 200ML", "r": "220224303"}, {"b": "7621500110155", "n": "RAUSCH SWISS HERBAL SHAMPOO 200ML", "r": "220236388"}, {"b": "7621500110551", "n": "RAUSCH CHAMOMILE SHAMP 200ML", "r": "220234249"}, {"b": "7621500110650", "n": "RAUSCH AVOCADO SHAMPOO 200ML", "r": "220229861"}, {"b": "5060166773182", "n": "V READ OPTICS  BLACKBERRY AND PINK 150", "r": "220197075"}, {"b": "5060166773199", "n": "V READ OPTICS  BLACKBERRY AND PINK 200", "r": "220197337"}, {"b": "5060166773205", "n": "V READ OPTICS  BLACKBERRY AND PINK 250", "r": "220197243"}, {"b": "5060166776862", "n": "V READ OPTICS  BLACKBERRY AND PINK 300", "r": "220197165"}, {"b": "5060166776701", "n": "V READ OPTICS  FLAT FOLD READER 100", "r": "220197330"}, {"b": "5060166776718", "n": "V READ OPTICS  FLAT FOLD READER 150", "r": "220197382"}, {"b": "5060166776725", "n": "V READ OPTICS  FLAT FOLD READER 200", "r": "220197597"}, {"b": "5060166776732", "n": "V READ OPTICS  FLAT FOLD READER 250", "r": "220197486"}, {"b": "5060166775087", "n": "V READ OPTICS  MATT DARK BROWN 150", "r": "220196651"}, {"b": "5060166775094", "n": "V READ OPTICS  MATT DARK BROWN 200", "r": "220196625"}, {"b": "5060166776763", "n": "V READ OPTICS  MATT DARK BROWN 250", "r": "220197533"}, {"b": "5060166776770", "n": "V READ OPTICS  MATT DARK BROWN 300", "r": "220196739"}, {"b": "5060166777135", "n": "V READ OPTICS  METAL  BLACK 150", "r": "220197324"}, {"b": "5060166777142", "n": "V READ OPTICS  METAL  BLACK 200", "r": "220197093"}, {"b": "5060166777159", "n": "V READ OPTICS  METAL  BLACK 250", "r": "220196811"}, {"b": "5060166777166", "n": "V READ OPTICS  METAL  BLACK 300", "r": "220197349"}, {"b": "5060166773151", "n": "V READ OPTICS  PINK RASPBERRY TORT 150", "r": "220197527"}, {"b": "5060166773168", "n": "V READ OPTICS  PINK RASPBERRY TORT 200", "r": "220197247"}, {"b": "5060166773175", "n": "V READ OPTICS  PINK RASPBERRY TORT 250", "r": "220196790"}, {"b": "5060166777050", "n": "V READ OPTICS  PINK RASPBERRY TORT 300", "r": "220196667"}, {"b": "5060166777074", "n": "V READ OPTICS  PLASTIC WOODEN 150", "r": "220197387"}, {"b": "5060166777081", "n": "V READ OPTICS  PLASTIC WOODEN 200", "r": "220197196"}, {"b": "5060166777098", "n": "V READ OPTICS  PLASTIC WOODEN 250", "r": "220197288"}, {"b": "5060166777104", "n": "V READ OPTICS  PLASTIC WOODEN 300", "r": "220197017"}, {"b": "9650364003295", "n": "READY CARE LATEX GLOVES M 100S", "r": "220193008"}, {"b": "9650364003288", "n": "READY CARE LATEX GLOVES L 100S", "r": "220193261"}, {"b": "79625014136", "n": "REAL T SETTING BRUSH", "r": "220231347"}, {"b": "79625014327", "n": "REAL T SCULPTING BRUSH", "r": "220225118"}, {"b": "79625915532", "n": "REAL T MIRACLE SPONGE PACK 4S", "r": "220217119"}, {"b": "79625017113", "n": "REAL T MIRACLE COMPLEXION SPONGE  CASE", "r": "220229176"}, {"b": "79625100471", "n": "REAL T MIRACLE COMPLEXION SPONGE", "r": "220229613"}, {"b": "79625017045", "n": "REAL T MINI MULTITASK BRUSH", "r": "220234398"}, {"b": "79625017014", "n": "REAL T MINI MEDIUM SCULPTING BRUSH", "r": "220216219"}, {"b": "79625017007", "n": "REAL T MINI EXPERT FACE BRUSH", "r": "220222703"}, {"b": "79625915334", "n": "REAL T FLAWLESS BASE SET", "r": "220233737"}, {"b": "79625915297", "n": "REAL T EYE SHADE  BLEND", "r": "220222897"}, {"b": "79625014112", "n": "REAL T EXPERT FACE BRUSH", "r": "220217274"}, {"b": "79625017861", "n": "REAL T EVERYDAY ESSENTIALS", "r": "220232745"}, {"b": "79625014075", "n": "REAL T BLUSH BRUSH", "r": "220216394"}, {"b": "79625014921", "n": "REAL T 4 MINI MIRACLE SPONGES", "r": "220231481"}, {"b": "79625014624", "n": "REAL T 2PK MIRACLE COMPLEXION SPONGE", "r": "220225995"}, {"b": "79625018943", "n": "REAL T MIRACLE POWDER SPONGE", "r": "220216032"}, {"b": "79625017366", "n": "REAL T INSTAPOP CHEEK BRUSH", "r": "220225350"}, {"b": "79625018547", "n": "REAL T FACE  BODY BLENDER", "r": "220226721"}, {"b": "79625017052", "n": "REAL T COMPLEXION BLENDER BRUSH", "r": "220235222"}, {"b": "79625018950", "n": "REAL T ARTIST ESSENTIALS", "r": "220229914"}, {"b": "79625915709", "n": "REAL T 6 MIRACLE COMPLEXION SPONGES", "r": "220234386"}, {"b": "6292667435842", "n": "V REAL T BRUSH CRUSH GWP", "r": "220196047"}, {"b": "79625014006", "n": "REAL T TRAVEL ESSENTIALS", "r": "220234129"}, {"b": "79625014082", "n": "REAL T STIPPLING BRUSH", "r": "220229691"}, {"b": "79625100419", "n": "REAL T STARTER SET", "r": "220055752"}, {"b": "79625014280", "n": "REAL T SILICONE LINER BRUSH", "r": "220231730"}, {"b": "79625014044", "n": "REAL T SHADING BRUSH", "r": "220225161"}, {"b": "79625014389", "n": "REAL T SCULPTING SET", "r": "220066630"}, {"b": "79625014198", "n": "REAL T RETRACTABLE LIP BRUSH", "r": "220229073"}, {"b": "79625014181", "n": "REAL T RETRACTABLE KABUKI BRUSH", "r": "220219556"}, {"b": "79625014174", "n": "REAL T RETRACTABLE BRONZER BRUSH", "r": "220226825"}, {"b": "79625100389", "n": "REAL T POWDER BRUSH", "r": "220218365"}, {"b": "79625015188", "n": "REAL T MIRACLE SCULPTING SPONGE", "r": "220230098"}, {"b": "79625015171", "n": "REAL T MIRACLE MINI SPONGES", "r": "220221548"}, {"b": "79625014877", "n": "REAL T MIRACLE FINISH SPONGE", "r": "220222281"}, {"b": "79625014860", "n": "REAL T MIRACLE CLEANSING SPONGE", "r": "220058984"}, {"b": "79625014051", "n": "REAL T LASH BROW GROOMER", "r": "220225425"}, {"b": "79625014020", "n": "REAL T FOUNDATION BRUSH", "r": "220217872"}, {"b": "79625014143", "n": "REAL T DUO FIBRE COLLECTION", "r": "220235860"}, {"b": "79625014914", "n": "REAL T DUAL ENDED EXPERT SPONGE", "r": "220226940"}, {"b": "79625100396", "n": "REAL T CORE COLLECTION", "r": "220226160"}, {"b": "79625014297", "n": "REAL T CONCEALER BRUSH", "r": "220236281"}, {"b": "79625014686", "n": "REAL T BROW SET", "r": "220216632"}, {"b": "79625014471", "n": "REAL T BOLD 301 FLAT CONTOUR BRSUH", "r": "220233280"}, {"b": "79625014426", "n": "REAL T BOLD 300 TAPERED BLUSH BRUSH", "r": "220223254"}, {"b": "79625014488", "n": "REAL T BOLD 203 TAPERED SHADOW", "r": "220227139"}, {"b": "79625014464", "n": "REAL T BOLD 202 ANGLED LINER BRUSH", "r": "220228433"}, {"b": "79625014457", "n": "REAL T BOLD 201 POINTED CREASE BRSUH", "r": "220224610"}, {"b": "79625014433", "n": "REAL T BOLD 102 TRIANGLE CONCEALER BRUSH", "r": "220228199"}, {"b": "79625014419", "n": "REAL T BOLD 101 TRIANGLE FOUNDATION", "r": "220226311"}, {"b": "79625100426", "n": "REAL T BLUSH BRUSH", "r": "220235265"}, {"b": "79625014938", "n": "REAL T 4 MIRACLE BLOTTING CUSHIONS", "r": "220086445"}, {"b": "5060530000036", "n": "RECONIL 200MG 60TABS", "r": "220173011"}, {"b": "9650155001547", "n": "REDOXON ORANGE 1G EFF TABS 15S", "r": "220152697"}, {"b": "965015500033", "n": "REDOXON EFF 10 TABS", "r": "220156814"}, {"b": "3574661092171", "n": "REGAINE 5 FOAM FOR MEN 73ML", "r": "220230954"}, {"b": "3574661094076", "n": "REGAINE 5 FOAM FOR MEN 373ML", "r": "220223850"}, {"b": "3574661047492", "n": "REGAIN 5 TOPICAL SOLUTION 60ML", "r": "220218218"}, {"b": "4712818292008", "n": "REGAIN 2 TOPICAL SOLUTION 60ML", "r": "220226572"}, {"b": "8712561170277", "n": "REGENERATE ADVNCD TTHPSTE 75ML", "r": "220153256"}, {"b": "868573000175", "n": "MAXXI CARE HAIR SKIN  NAIL 30 CAPS", "r": "220063027"}, {"b": "35046087456", "n": "REJUVICARE SUPER COLLAGEN CAPS 90S", "r": "220090027"}, {"b": "35046074210", "n": "REJUVICARE LIQUID COLLAGEN COMPLEX 480ML", "r": "220055771"}, {"b": "5425012532557", "n": "REMESCAR TIRED LOOK EYE COUNTOUR CREME 15ML", "r": "220162710"}, {"b": "5425012531031", "n": "REMESCAR STRETCH MARKS 100ML", "r": "220168447"}, {"b": "5425012531703", "n": "REMESCAR EYE BAGS DARK CIRCLES 8ML", "r": "220166811"}, {"b": "5425012532328", "n": "REMESCAR CROWS FEET 8ML", "r": "220158002"}, {"b": "4026841598977", "n": "REMIFEMIN 60 TABS", "r": "220081097"}, {"b": "3282770110456", "n": "RF TRIPHASIC REGENERATING HAIR LOSS SERUM 8X55ML", "r": "220236137"}, {"b": "3282770107579", "n": "RF KERATINE LEAVEIN CRM 100ML", "r": "220225671"}, {"b": "3282770107470", "n": "RF KARITE NUTRI SHAMPOO 150ML", "r": "220221732"}, {"b": "3282770023817", "n": "RF ABSOLUE KERATINE ULTIMATE RENEWAL MASK 200ML", "r": "220221891"}, {"b": "3282770023800", "n": "RENE FUR ABSOLUE KERATINE ULTIMATE RENEWAL MASK 100ML", "r": "220153451"}, {"b": "3282779314398", "n": "RF VOLUMEA VOLUMIZING CONDITIONER 150ML", "r": "220222967"}, {"b": "3282779014076", "n": "RENE FUR COMPLEX 5  50ML", "r": "220164111"}, {"b": "3282770108248", "n": "RF VOLUMEA VOLUMIZING SHAMPOO 200ML", "r": "220236172"}, {"b": "3282779352383", "n": "RF OKARA LIGHT ACTIVATING SHAMPOO 200ML", "r": "220231877"}, {"b": "3282770114256", "n": "RF OKARA COLOR SHAMP 200ML", "r": "220230428"}, {"b": "3282770107524", "n": "RF KARITE NUTRI INTNSE MASK 200ML", "r": "220234145"}, {"b": "3282770107548", "n": "RF KARITE NOURISHING OIL 100ML", "r": "220229157"}, {"b": "3282770107500", "n": "RF KARITE NOURISHING MASK 100ML", "r": "220228200"}, {"b": "3282770030006", "n": "RF ABSOLUTE KERA REPAIR SHAMP 200ML", "r": "220218246"}, {"b": "3282770023824", "n": "RF ABSOLUTE KERA REPAIR CRM 100ML", "r": "220219323"}, {"b": "3282779285544", "n": "RENE FUR OKARA PC RADIANCE ENHANCING CONDITIONER 200ML", "r": "220159492"}, {"b": "3282779355803", "n": "RENE FUR FORTICEA STIMULATING SHAMPO 200ML", "r": "220158845"}, {"b": "631257158208", "n": "RENEW LIFE ULTIMATE FLORA IMMUNITY 30 CAPS", "r": "220088825"}, {"b": "631257535504", "n": "RENEW LIFE ULTIMATE FLORA CRITICAL CARE 50BILNS 30S", "r": "220085860"}, {"b": "631257595607", "n": "RENEW LIFE ULTIMAT FLORA SENIOR FORMULA 30BILNS 30S", "r": "220059904"}, {"b": "631257155542", "n": "RENEW LIFE SUPER OMEGA 30S", "r": "220000810"}, {"b": "631257624505", "n": "RENEW LIFE LIVER DETOX 2PART KIT", "r": "220080062"}, {"b": "631257158680", "n": "RENEW LIFE KIDS PROBIOTIC 30S", "r": "220210240"}, {"b": "631257534835", "n": "RENEW LIFE DIGESTMORE ULTRA 45 VCAP", "r": "220059735"}, {"b": "631257155894", "n": "RENEW LIFE DIET START CLEANSE", "r": "220059882"}, {"b": "631257155795", "n": "RENEW LIFE CRITICAL OMEGA 60S", "r": "220075200"}, {"b": "631257534507", "n": "RENEW LIFE CLEANSE SMART 2PART KIT", "r": "220060058"}, {"b": "965013700249", "n": "RENITEC 5MG TABLETS 28S", "r": "220168429"}, {"b": "965013700240", "n": "RENITEC 20MG TABLETS 28S", "r": "220169016"}, {"b": "965013700239", "n": "RENITEC 10MG TABLETS 28S", "r": "220158635"}, {"b": "4008500109946", "n": "RENNIE TABLETS 96S", "r": "220221586"}, {"b": "7391899847184", "n": "RENU MULTIPLUS EYE SOLUTION 360ML", "r": "220228747"}, {"b": "7391899847177", "n": "RENU MULTIPLUS 240ML", "r": "220171350"}, {"b": "7391899847160", "n": "RENU MULTIPLUS EYE SOLUTION 120ML", "r": "220230534"}, {"b": "7391899827933", "n": "RENU BL RENU MOISTURE LOC 360ML", "r": "220165615"}, {"b": "4019338607429", "n": "REPARIL 20MG TABLETS 40", "r": "220232905"}, {"b": "4019338607436", "n": "REPARIL N GEL 40G", "r": "220221389"}, {"b": "965014100057", "n": "SKIN DEEP COLLAGEN CAPSULES", "r": "220172088"}, {"b": "9650274000087", "n": "REPRAZOL 20 MG", "r": "220152798"}, {"b": "94922015709", "n": "RESERVEAGE KERATIN HAIR BOOSTER 60CAPS", "r": "220066810"}, {"b": "94922372192", "n": "RESERVEAGE COLLAGEN BOOSTER 120CAPS", "r": "220058257"}, {"b": "383735798207", "n": "RESPIRONICS OPTI CHAMBER CASE80010EU", "r": "220166959"}, {"b": "383735837845", "n": "RESPIRONICS MMASK FOR OPTICHAMBER", "r": "220169309"}, {"b": "9650152001885", "n": "RESTASIS 005  EYE DROPS 04 ML30", "r": "220166285"}, {"b": "965013700250", "n": "RESYL SYRUP 100ML", "r": "220157972"}, {"b": "965016000012", "n": "RETIN A 005N CREAM 30GM", "r": "220159741"}, {"b": "88634464030", "n": "RETINOL SUNSCREEN MOISTURZER DAY CRM 50G", "r": "220231923"}, {"b": "88634464023", "n": "RETINOL RESTORE MOISTURZER NIGHT CRM 50G", "r": "220226769"}, {"b": "88634464047", "n": "RETINOL EYE GEL 141G", "r": "220165941"}, {"b": "88634464115", "n": "RETINOL ANTI WRINKLE FACIAL SERUM 30ML", "r": "220222091"}, {"b": "818426020997", "n": "REVITALASH THICKENING SHAMPOO 250 ML", "r": "220212217"}, {"b": "818426021000", "n": "REVITALASH THICKENING CONDITIONER 250 ML", "r": "220211996"}, {"b": "893689001181", "n": "REVITALASH EYELASH CONDITONER 35ML", "r": "220224388"}, {"b": "893689001228", "n": "REVITALASH EYELASH COND 2ML", "r": "220219753"}, {"b": "893689001266", "n": "REVITALASH EYEBROW CONDITIONER 3ML", "r": "220233460"}, {"b": "833753000030", "n": "REVIVOGEN THICKG CNDITNR 360ML", "r": "220155932"}, {"b": "833753000023", "n": "REVIVOGEN BIO CLNSG SHAMP360ML", "r": "220170901"}, {"b": "761318029779", "n": "REVLON PS PADDLE HAIR BRUSH", "r": "220226608"}, {"b": "761318029847", "n": "REVLON PS APPLICATOR HAIR BRUSH", "r": "220087363"}, {"b": "761318029755", "n": "REVLON PS ALL PURPOSE HAIR BRUSH", "r": "220233201"}, {"b": "8432225048703", "n": "REVLON PROF EQUAVE KIDS STYLING GEL 125ML", "r": "220081022"}, {"b": "761318029762", "n": "REVLON FLAT BRISTLE HAIR BRUSH", "r": "220224083"}, {"b": "8022297304373", "n": "REVOLUTION HAIR COLOR TRUE BLUE 90ML", "r": "220220912"}, {"b": "822297304335", "n": "REVOLUTION HAIR COLOR RICH PURPLE 90ML", "r": "220215277"}, {"b": "8022297304328", "n": "REVOLUTION HAIR COLOR MAGENTA 90ML", "r": "220215524"}, {"b": "8022297304366", "n": "REVOLUTION HAIR COLOR DEEP RED 90ML", "r": "220215686"}, {"b": "59082910", "n": "REXONA MAX PROTECTN CONFIDENCE ROLL ON 50ML", "r": "220220896"}, {"b": "6281006545076", "n": "REXONA MAX PROTECTN AEROSOL XTRA DRY 150ML", "r": "220199764"}, {"b": "6281006545052", "n": "REXONA MAX PROTECTN AEROSOL CONFIDENCE WOMEN 150ML", "r": "220200350"}, {"b": "6281006545090", "n": "REXONA MAX PROTECTN AEROSOL CONFIDENCE MEN 150ML", "r": "220199868"}, {"b": "8711600350212", "n": "REXONA SHOWER CLEAN DEO SPRAY 150ML", "r": "220228471"}, {"b": "8712561224086", "n": "REXONA POWDER DRY DEO SPRAY 150ML", "r": "220227119"}, {"b": "8711600300385", "n": "REXONA EXTRA COOL DEO SPRAY 150ML", "r": "220233225"}, {"b": "8593838987831", "n": "REXONA COTON DEO SPRAY 150ML", "r": "220229503"}, {"b": "8712561224406", "n": "REXONA BAMBOO DEO SPRAY 150ML", "r": "220227017"}, {"b": "8712561289726", "n": "REXONA ACTIVE DEO SPRAY 150ML", "r": "220229657"}, {"b": "8717163891742", "n": "REXONA WORKOUT DEO SPRAY 150ML", "r": "220223967"}, {"b": "4800888179289", "n": "REXONA MEN ACTIVE AMET 40G", "r": "220235749"}, {"b": "4800888179272", "n": "REXONA DEO STICK POWDER DRY FOR WOMEN 40G", "r": "220220172"}, {"b": "795720126283", "n": "REXSOL VITAMIN C FACIA WASH CLEANSER 240ML", "r": "220218779"}, {"b": "795720126870", "n": "REXSOL VIT C20 SRM ANTIWRNKLE FRMING 30ML", "r": "220224322"}, {"b": "795720126863", "n": "REXSOL VIT C15 SRM ANTIWRNKLE FRMNG 30ML", "r": "220216025"}, {"b": "795720126672", "n": "REXSOL VIT C  10 SRM ANTIWRNKLE FRMNG 50ML", "r": "220227603"}, {"b": "795720126368", "n": "REXSOL ULTR WHTNNG CRM WITH ALPHARBTN 56GM", "r": "220221420"}, {"b": "795720126375", "n": "REXSOL ULTR LGHTNNG ALPH ARBTN SRM 60ML", "r": "220234541"}, {"b": "795720126641", "n": "REXSOL RTNL AND C AWRINKLE TRTMNT CRM 60ML", "r": "220227606"}, {"b": "795720126696", "n": "REXSOL INTNSVE MOISTURISING CREAM 75ML", "r": "220235787"}, {"b": "795720126658", "n": "REXSOL CLLGN SRM CELL RNWL ANTIAGING 50 ML", "r": "220234307"}, {"b": "795720126276", "n": "REXSOL AHA WSH FCL CLNSR FOAMING GEL 240ML", "r": "220220605"}, {"b": "795720126221", "n": "REXSOL ACNE TRTMNT GEL SLCYLC ACD GEL 60ML", "r": "220222958"}, {"b": "795720126320", "n": "REXSOL 10 AHA MULTIACTION CREAM 120GM", "r": "220221246"}, {"b": "795720126634", "n": "RESXOL RTNL AND C AWRNKLE TRTMNT CRM 60ML", "r": "220223117"}, {"b": "3582910081104", "n": "RHINATHIOL ADULTSYRUP 125ML", "r": "220158426"}, {"b": "5000456021531", "n": "RHINOCORT AQUA 64MCG 120S", "r": "220229030"}, {"b": "7321839712012", "n": "RHINOCORT 32 N SPRAY", "r": "220168915"}, {"b": "965013700251", "n": "RHINOMER FORCE1 115ML", "r": "220165270"}, {"b": "965013700252", "n": "RHINOMER FORCE2 135ML", "r": "220167195"}, {"b": "965013700253", "n": "RHINOMER FORCE3 135ML", "r": "220164108"}, {"b": "6291101021917", "n": "RICH WATERLESS HAND SANITIZER 300ML", "r": "220191051"}, {"b": "8809372754427", "n": "VRICO HAND SANITIZING WIPES 20S", "r": "220201270"}, {"b": "7610700607077", "n": "RICOLA ORANGE MINT SF DROPS 50GM", "r": "220220464"}, {"b": "7610700612002", "n": "RICOLA BLACK CURANT SF DROPS", "r": "220152567"}, {"b": "7610700607008", "n": "RICOLA SWISS HERBSF DROPS", "r": "220164164"}, {"b": "7610700004494", "n": "RICOLA LICORICE SF CANDY 45G", "r": "220164368"}, {"b": "7610700607046", "n": "RICOLA LEMON MINT SF DROPS", "r": "220172022"}, {"b": "7610700614921", "n": "RICOLA CRANBERRY SF DROPS", "r": "220170177"}, {"b": "7610700607091", "n": "RICOLA ALPINE FRESH SF DROPS", "r": "220159368"}, {"b": "8050444853627", "n": "RILASTIL XEROLACT CLEANSNG OIL 200ML", "r": "220054989"}, {"b": "8050444856970", "n": "RILASTIL XEROLACT CLEANSING GEL 400 ML", "r": "220193230"}, {"b": "8050444853610", "n": "RILASTIL XEROLACT ATOPIC INTNSVE MOUSSE 200ML", "r": "220229323"}, {"b": "8050444853641", "n": "RILASTIL XEROCLAST ATOPIC INT BALM 200ML", "r": "220057234"}, {"b": "8033224811802", "n": "RILASTIL TONING FACE NECK CREAM 50ML", "r": "220057232"}, {"b": "8050444857779", "n": "RILASTIL SUN SYSTEM PPT TATTOO SPF 50 75 ML", "r": "220193658"}, {"b": "8050444850336", "n": "RILASTIL SUN SYSTEM LGHT EMULSN WTR RESIST SPF50 50ML", "r": "220220611"}, {"b": "8050444855461", "n": "RILASTIL SUN SYSTEM DRY TOUCH WTR RESIST SPF50 200ML", "r": "220226095"}, {"b": "8033224818610", "n": "RILASTIL RESLEEP NIGHT SERUM 30ML", "r": "220050493"}, {"b": "8033224818603", "n": "RILASTIL RESLEEP NIGHT BALM 50ML", "r": "220087523"}, {"b": "8033224814377", "n": "RILASTIL PROGRESSION HD BR INTNS CRM50ML", "r": "220054832"}, {"b": "8033224819112", "n": "RILASTIL PROGRESSION EYE CONTOUR GEL 15ML", "r": "220084676"}, {"b": "8033224812106", "n": "RILASTIL PROGRESSION EYE CONTOUR CREAM 15ML", "r": "220069502"}, {"b": "8033224812168", "n": "RILASTIL PROGRESSION BODY MILK 200ML", "r": "220065956"}, {"b": "8033224816227", "n": "RILASTIL PRGRSSN HD ILLMNTNG EYE CNTR CRM 15ML", "r": "220235585"}, {"b": "8033224814322", "n": "RILASTIL PRGRSSN HD BRGHTNSS ACTVTR 30ML", "r": "220228681"}, {"b": "663250185585", "n": "RILASTIL POUCH GWP", "r": "220195075"}, {"b": "8033224810171", "n": "RILASTIL OPTIMALE CREAM HYPERSENSITIVE SKIN 50ML", "r": "220090321"}, {"b": "8050444856987", "n": "RILASTIL MULTIREPAIR HA FACIAL DETOX SERUM 30ML", "r": "220193175"}, {"b": "8033224812915", "n": "RILASTIL MICRO NOURISHING CREAM 50ML", "r": "220075574"}, {"b": "8033224812939", "n": "RILASTIL MICRO EYE CONTOUR CREAM 15ML", "r": "220083402"}, {"b": "8033224810164", "n": "RILASTIL LEGERE CREAM HYPER SENSITIVE SKIN 50ML", "r": "220056833"}, {"b": "8050444855980", "n": "RILASTIL HYDROTENSEUR LF 30 LIFTING VIALS", "r": "220220426"}, {"b": "6632501857070", "n": "RILASTIL FACIAL CLEANSING BRUSH GWP", "r": "220194903"}, {"b": "8050444854051", "n": "RILASTIL DERMASTIL PEDIATRIC BODY MILK 400ML", "r": "220176254"}, {"b": "8050444854044", "n": "RILASTIL DERMASTIL PEDIATRIC BODY HAIR CLNSR 400ML", "r": "220178498"}, {"b": "8050444857922", "n": "RILASTIL DCLAR CONC MICROPEELING", "r": "220192883"}, {"b": "8033224816463", "n": "RILASTIL DAILYCARE MILK 250ML", "r": "220088574"}, {"b": "8033224814834", "n": "RILASTIL DAILYCARE MICELLAR SOLUTION 250ML", "r": "220082640"}, {"b": "8050444852842", "n": "RILASTIL DAILY CARE ESSENCE 250ML", "r": "220193574"}, {"b": "8033224816326", "n": "RILASTIL DAILY CARE CLEANSING GEL 250 ML", "r": "220218716"}, {"b": "8050444857915", "n": "RILASTIL D CLAR DROPS 30ML", "r": "220192803"}, {"b": "8050444851371", "n": "RILASTIL D CLAR CREAM 50ML", "r": "220060060"}, {"b": "8050444853665", "n": "RILASTIL CREMA MANI RPR HAND CRM 100ML", "r": "220076402"}, {"b": "8033224810522", "n": "RILASTIL AQUA MOISTURIZING FACE CLEANSER 200ML", "r": "220061090"}, {"b": "8050444857885", "n": "RILASTIL AQUA HYDRA GEL INTENSIVE 72HR", "r": "220193096"}, {"b": "8050444852620", "n": "RILASTIL ACNESTIL CRM 50ML", "r": "220084651"}, {"b": "8050444852637", "n": "RILASTIL ACNESTIL CLEANSING MOUSSE 150ML", "r": "220235987"}, {"b": "6291100081301", "n": "RISEK 40MG CAPS 14S", "r": "220166065"}, {"b": "6291100080175", "n": "RISEK 20MG CAP 14S", "r": "220218852"}, {"b": "4607034472962", "n": "ROCS SENSITIVE REPAIR  WHITENING TP 75ML", "r": "220199530"}, {"b": "4607034472351", "n": "ROCS SENSATION WHITENING TP 60ML", "r": "220200072"}, {"b": "4607034472184", "n": "ROCS PRO SWEET MINT TP 100ML", "r": "220199957"}, {"b": "4607034474355", "n": "ROCS JUNIOR BERRY MIX TP 60ML", "r": "220200563"}, {"b": "4607034470623", "n": "ROCS COFFEE  TOBACCO TP 60ML", "r": "220200168"}, {"b": "4607034472733", "n": "ROCS ACTIVE CALCIUM TP 75ML", "r": "220199524"}, {"b": "4607034472450", "n": "ROCS TPTB SENS WHTNG BLK EDTN PROMO PK", "r": "220209583"}, {"b": "4607034473310", "n": "ROCS BABY TPTB 37 FRTYCONE PROMO PACK", "r": "220209975"}, {"b": "4607034472047", "n": "ROCS BABY TPTB 03 CHMOML PROMO PACK", "r": "220209673"}, {"b": "6281086010457", "n": "ROFENAC D 50MG TABLETS 20S", "r": "220224885"}, {"b": "6281086010129", "n": "ROFENAC 50MG TABLETS 20", "r": "220217471"}, {"b": "6281086010662", "n": "ROFENAC GEL 1 50GM", "r": "220227508"}, {"b": "3596490001339", "n": "ROGE CAVAILIES LONG LASTING CARE 48H DEO ROLL ON 50ML", "r": "220235022"}, {"b": "3596490002930", "n": "ROGE CAVAILIES INTIMATE CLEANSER 200ML", "r": "220228385"}, {"b": "3596490003807", "n": "ROGE CAVAILIES INTIMATE CLEANSE ANTIBAC 200ML", "r": "220218333"}, {"b": "3596490002008", "n": "ROGE CAVAILIES DERMATOLOGICAL SPRAY 150ML", "r": "220223560"}, {"b": "3596490001575", "n": "ROGE CAVAILIES DERMATOLOGICAL ROLLON 50ML", "r": "220220924"}, {"b": "3596490001346", "n": "ROGE CAVAILIES 48H DEOCARE SPRAY 150ML", "r": "220234593"}, {"b": "3596490001896", "n": "RC MOISTURISING INTIMATE CLEANSING WASH 200ML", "r": "220217377"}, {"b": "3596490000424", "n": "RC EXTRASOFT INTIMATE CLEANSING WASH 200ML", "r": "220232073"}, {"b": "3596490000066", "n": "ROGE CAVAILIES EXTRAMILD SURGRAS SOAP 150G", "r": "220227193"}, {"b": "3596490000103", "n": "ROGE CAVAILIES BATH AND SHOWER GEL 300ML", "r": "220225680"}, {"b": "3596490003500", "n": "RC VELVETY ARGAN  ALMOND SHOWER OIL 250 ML", "r": "220228201"}, {"b": "3596490004200", "n": "RC ALMOND  ROSE SHOWER CREAM 250ML", "r": "220069497"}, {"b": "7640148937917", "n": "RONTIS NOVATOPIA EMOL MILK PATH 150ML", "r": "220176778"}, {"b": "7640148937900", "n": "RONTIS NOVATOPIA EMOL CRM 150ML", "r": "220173999"}, {"b": "7640148937948", "n": "RONTIS NOVALOU BABY PROT CRM 100ML", "r": "220176516"}, {"b": "6947790775944", "n": "V ROREC HAND CRM ROSE 30G", "r": "220052288"}, {"b": "6947790775937", "n": "V ROREC HAND CRM GARDENIA 30G", "r": "220081676"}, {"b": "6947790775913", "n": "V ROREC HAND CRM BERRY MIX 30G", "r": "220063016"}, {"b": "6947790775906", "n": "V ROREC HAND CRM AVOCADO 30G", "r": "220090275"}, {"b": "6947790775920", "n": "ROREC HAND CRM MILK 30G", "r": "220064381"}, {"b": "8032622271577", "n": "ROUGJ STEMINELVEG CRM FACEDECOLLETE 40ML", "r": "220064885"}, {"b": "8032622272802", "n": "ROUGJ STEMINAL VEG TONER 200ML", "r": "220064761"}, {"b": "8032622273267", "n": "ROUGJ STEMINAL VEG FLUID 24H 30ML", "r": "220081722"}, {"b": "8032622273250", "n": "ROUGJ MULTIVIT SERUM DROPS 30ML", "r": "220068650"}, {"b": "5390387002014", "n": "ROWACHOL CAPSULES 50S", "r": "220152765"}, {"b": "5390387001017", "n": "ROWATINEX CAPSULES 50S", "r": "220172166"}, {"b": "61700731106", "n": "RUB A535 ICE RELIEF GEL 150GM", "r": "220209522"}, {"b": "61700711009", "n": "RUB A535 REGULAR STRGTH HEAT CRM 100GM", "r": "220209726"}, {"b": "61700721008", "n": "RUB A535 NO ODOUR CREAM 100GM", "r": "220209639"}, {"b": "642790805153", "n": "REJUVASIL SILICONE SCAR GEL", "r": "129861923"}, {"b": "5901468903115", "n": "V RYANA HENNA EYEBROW BROWN 10S LASHES", "r": "220052308"}, {"b": "5901468903108", "n": "V RYANA HENNA EYEBROW BLK 10S LASHES", "r": "220051941"}, {"b": "7350016332040", "n": "SACHJUAN THICKENING SHAMPOO 250ML", "r": "220237210"}, {"b": "7350016332057", "n": "SACHJUAN THICKENING CONDITIONER 250ML", "r": "220239832"}, {"b": "7350016331265", "n": "SACHJUAN SCALP SHAMPOO 250ML", "r": "220238941"}, {"b": "7350016332620", "n": "SACHJUAN SCALP CONDITIONER 250ML", "r": "220237035"}, {"b": "7350016331753", "n": "SACHJUAN OCEAN MIST VOLUME SHAMPOO 250ML", "r": "220238908"}, {"b": "7350016331760", "n": "SACHJUAN OCEAN MIST VOLUME CONDITIONER 250ML", "r": "220237936"}, {"b": "7350016332118", "n": "SACHJUAN MOISTURIZING SHAMPOO 250ML", "r": "220239286"}, {"b": "7350016332125", "n": "SACHJUAN MOISTURIZING CONDITIONER 250ML", "r": "220237517"}, {"b": "7350016331067", "n": "SACHJUAN LEAVE IN CONDITIONER 250ML", "r": "220238984"}, {"b": "7350016331579", "n": "SACHJUAN INTENSIVE REPAIR SHAMPOO 250ML", "r": "220236757"}, {"b": "7350016331586", "n": "SACHJUAN INTENSIVE REPAIR CONDITIONER 250ML", "r": "220236887"}, {"b": "7350016331050", "n": "SACHJUAN HAIR REPAIR 250ML", "r": "220238520"}, {"b": "7350016332453", "n": "SACHJUAN CURL TREATMENT 250ML", "r": "220238192"}, {"b": "7350016332446", "n": "SACHJUAN CURL CONDITIONER 250ML", "r": "220236891"}, {"b": "7350016332439", "n": "SACHAJUAN CURL SHAMPOO 250ML", "r": "220238617"}, {"b": "3401365334248", "n": "SAFORELLE GENTLE CLEANSING CARE", "r": "220163750"}, {"b": "3401371710708", "n": "SAFORELLE SOOTHING CREAM 50ML", "r": "220219314"}, {"b": "9650137006409", "n": "OLMETEC 20MG 28 TABLETS", "r": "220209936"}, {"b": "9650137006416", "n": "OLMETEC 40MG 28 TABLETS", "r": "220209916"}, {"b": "8423242602993", "n": "VSAKAI DIGESCURE CAP 30S", "r": "220204603"}, {"b": "8423245060158", "n": "VSAKAL GARGOLA ECHINACEA CAP 45S", "r": "220196168"}, {"b": "8423245260718", "n": "VSAKAL BETAGUCANO FORTE CAP 30S", "r": "220194790"}, {"b": "965014000026", "n": "SALAZOPYRIN EN TABS 100S", "r": "220168762"}, {"b": "5060130033106", "n": "SALCURA BIOSKIN ZEODERM 50ML", "r": "220160036"}, {"b": "5060130033137", "n": "SALCURA BIOSKIN ZEODERM 150ML", "r": "220172099"}, {"b": "5060130032239", "n": "SALCURA BIOSKIN RESCUE CREAM 50ML", "r": "220236105"}, {"b": "5060130032260", "n": "SALCURA BIOSKIN OUTBREAK RESCUE CREAM 150ML", "r": "220218772"}, {"b": "5060130032208", "n": "SALCURA BIOSKIN JUNIOR NOURISHING SPRAY 250ML", "r": "220229274"}, {"b": "5060130032178", "n": "SALCURA BIOSKIN JUNIOR NOURISHING SPRAY 100ML", "r": "220221190"}, {"b": "5060130033076", "n": "SALCURA BIOSKIN DERMA SPRAY 250ML", "r": "220170523"}, {"b": "5060130033045", "n": "SALCURA BIOSKIN DERMA SPRAY 100ML", "r": "220164767"}, {"b": "5060130033373", "n": "SALCURA BIOSKIN DERMA SERUM 50ML", "r": "220157981"}, {"b": "5060130032291", "n": "SALCURA BIOSKIN BATHTIME SHAMPOO 200ML", "r": "220222326"}, {"b": "5060130032321", "n": "SALCURA BIOSKIN BATHTIME FACE  BODY WASH 200ML", "r": "220222617"}, {"b": "5060130032383", "n": "SALCURA BIOSKIN BATHTIME BATH MILK 300ML", "r": "220221880"}, {"b": "5060130030969", "n": "SALCURA ANTIAC LIQUID SPRAY 100ML", "r": "220222483"}, {"b": "5060130031812", "n": "SALCURA ANTIAC FACE WASH 150ML", "r": "220229292"}, {"b": "5606130032109", "n": "SALCURA ANTIAC DAILY FACE WIPES 25S", "r": "220157982"}, {"b": "5060130030952", "n": "SALCURA ANTIAC ACTIV LIQ SPRY 50ML", "r": "220230546"}, {"b": "5060130032130", "n": "SALCURA ANTIAC ACTIV GEL SERUM 15M", "r": "220236411"}, {"b": "30072534000", "n": "SH NAIL TRMT MIRACLE NAIL THICKENER USA", "r": "220065811"}, {"b": "30072494000", "n": "SH MIRACLE CURE FOR SEVERE PROBLEM NAILS", "r": "220060452"}, {"b": "30003237301", "n": "SH HAN CLEAR", "r": "220062989"}, {"b": "30072500000", "n": "SH DOUBLE DUTY BASE TOP COAT", "r": "220346199"}, {"b": "75280025579", "n": "SH CLIP N CATCH NAIL CLIPPER", "r": "220222870"}, {"b": "74170306002", "n": "SH AIRBRUSH LEGS TAN GLOW", "r": "220225102"}, {"b": "74170305999", "n": "SH AIRBRUSH LEGS MEDIUM GLOW", "r": "220232783"}, {"b": "74170305982", "n": "SH AIRBRUSH LEGS LIGHT GLOW", "r": "220222454"}, {"b": "74170306019", "n": "SH AIRBRUSH LEGS DEEP GLOW", "r": "220234840"}, {"b": "4987188521601", "n": "SALONPAS PATCH ULTRA THIN BX5", "r": "220170137"}, {"b": "4987188505069", "n": "SALONPAS PATCH 20S", "r": "220222784"}, {"b": "346581400809", "n": "SALONPAS SPRAY 80ML", "r": "220163423"}, {"b": "4987188522295", "n": "SALONPAS PLASTERS", "r": "220166853"}, {"b": "4987188507131", "n": "SALONPAS PATCHES LARGE", "r": "220229351"}, {"b": "9353740001587", "n": "SALT PLUMP IT UP", "r": "220238404"}, {"b": "9353740000474", "n": "SALT MERMAID FACIAL OIL BERGAMOT  CLARY SAGE", "r": "220238135"}, {"b": "9353740001419", "n": "SALT GUA SHA ROSE QUARTZ", "r": "220238878"}, {"b": "9353740002065", "n": "SALT FACE ROLLER TEXTURED JADE", "r": "220239999"}, {"b": "9353740000658", "n": "SALT FACE ROLLER ROSE QUARTZ", "r": "220237057"}, {"b": "9353740000665", "n": "SALT FACE ROLLER JADE", "r": "220237058"}, {"b": "9353740000528", "n": "SALT EYE BABE NEROLI", "r": "220239612"}, {"b": "9353740000481", "n": "SALT BOTANICAL FACE SERUM  KAKADU PLUM", "r": "220237305"}, {"b": "9353740000139", "n": "SALT BODY POLISH  GRAPEFRUIT  VANILLA", "r": "220237652"}, {"b": "9353740000337", "n": "SALT BODY GLOW GOLDEN HOUR JASMINE  ARGAN OIL", "r": "220238425"}, {"b": "608473994163", "n": "SALT AND STONES LAVENDER  SAGE DEO 75GM", "r": "220236764"}, {"b": "711221983545", "n": "SALT AND STONE VETIVER  SANDALWOOD DEO 75GM", "r": "220238708"}, {"b": "608473994149", "n": "SALT AND STONE SUNSCREEN STICK SPF30 15GM", "r": "220238343"}, {"b": "860003937556", "n": "SALT AND STONE SUNSCREEN LOTION SPF30 88ML", "r": "220237648"}, {"b": "711221984627", "n": "SALT AND STONE SANTAL DEO 75GM", "r": "220240176"}, {"b": "860003937501", "n": "SALT AND STONE LIP BALM SPF 30 43GM", "r": "220239448"}, {"b": "860003937570", "n": "SALT AND STONE INVISIBLE LIGHTWEIGHT DAILY SUNSCREEN SPF40 60ML", "r": "220236943"}, {"b": "71122198381", "n": "SALT AND STONE EUCALYPTUS DEO 75GM", "r": "220238568"}, {"b": "711221984801", "n": "SALT AND STONE EUCALYPTUS  CEDARWOOD DEO 75GM", "r": "220238441"}, {"b": "608473726511", "n": "SALT AND STONE CALIFORNIA MINT LIP BALM 43GM", "r": "220236754"}, {"b": "668163541004", "n": "SAMA DISPOSABLE GLOVES XL 100S", "r": "220195384"}, {"b": "668163541002", "n": "SAMA DISPOSABLE GLOVES M 100S", "r": "220196095"}, {"b": "668163541003", "n": "SAMA DISPOSABLE GLOVES L 100S", "r": "220195306"}, {"b": "5060216560724", "n": "SAMBUCOL EXTRA DEFENCE 120ML", "r": "220065124"}, {"b": "5060216564098", "n": "SAMBUCOL KIDS GUMMIES 30S", "r": "220065125"}, {"b": "5060216560779", "n": "VSAMBUCOL IMMUNO FORTE CAP 30S", "r": "220203094"}, {"b": "5060216560748", "n": "VSAMBUCOL SUGAR FREE 120ML", "r": "220203039"}, {"b": "5060216564173", "n": "VSAMBUCOL BABY  VITAMIN C 20ML", "r": "220202374"}, {"b": "5060216561295", "n": "VSAMBUCOL IMMUNO FORTE PASTILLES 20S", "r": "220202652"}, {"b": "5060216560458", "n": "VSAMBUCOL BLK ELDERBERRY 15TABS", "r": "220079703"}, {"b": "5060216561318", "n": "VSAMBUCOL KIDS VITC 60CHEWS", "r": "220061738"}, {"b": "5060216560168", "n": "SAMBUCOL KIDS VITC 120ML ELDERBERRY", "r": "220057217"}, {"b": "5060149820094", "n": "SAMBUCOL IMMUNO FORTE 120ML", "r": "220075218"}, {"b": "3800003303576", "n": "SUPRAVIT VITC ORANGE 1000MG 20TABS", "r": "220229965"}, {"b": "800003304016", "n": "SANO VIT MULTIVITAMINS TROPICAL FRUITS 20 EFFERVS", "r": "220169831"}, {"b": "800003304375", "n": "SANO VITCALCIUM  C LEMON 20 EFFERVS", "r": "220170878"}, {"b": "800003304580", "n": "SANO VIT CA MG ZN  D3  C LEMON", "r": "220162125"}, {"b": "800003304030", "n": "SANO VIT ENERGY FRESH LEMON 20 EFFERVS", "r": "220168823"}, {"b": "800003304344", "n": "SANO VIT CALCIUM ORANGE 20 EFFERVS", "r": "220163533"}, {"b": "8021685010063", "n": "SANOTINT NO6CLASSIC DARK CHESTNUT", "r": "220206385"}, {"b": "8021685010049", "n": "SANOTINT NO4 CLASSIC LIGHT BROWN", "r": "220206979"}, {"b": "8021685010018", "n": "VSANOTINT N01 BLACK", "r": "220064863"}, {"b": "8021685200037", "n": "SANOTINT CLASSIC COLOR N073 NATURAL BROWN", "r": "220222787"}, {"b": "8021685200013", "n": "SANOTINT CLASSIC COLOR N071 BLACK", "r": "220229565"}, {"b": "8021685010032", "n": "SANOTINT CLASSIC COLOR N03 NATURAL BROWN", "r": "220217918"}, {"b": "8021685010025", "n": "SANOTINT CLASSIC COLOR N02 BLACK BROWN", "r": "220216206"}, {"b": "965013700450", "n": "SAPOFEN 600MG TABS 30S", "r": "220166235"}, {"b": "6281086010259", "n": "SAPOFEN 400MG TABS 20S", "r": "220235847"}, {"b": "815413020589", "n": "SASHAPURE INTENSIVE REPAIR CONDITIONER 12OZ", "r": "220214276"}, {"b": "815413020565", "n": "SASHAPURE HEALING SHAMPOO 12OZ", "r": "220214175"}, {"b": "815413020572", "n": "SASHAPURE HEALING CONDITIONER 85OZ", "r": "220214230"}, {"b": "815413020596", "n": "SASHAPURE DEFINING CURL CREAM 85OZ", "r": "220214420"}, {"b": "815413020558", "n": "SASHAPURE CONDITIONING MASQUE 8OZ", "r": "220214444"}, {"b": "9337213008785", "n": "SASMAR FRENCH VANILLA FLAVOUR LUBRICANT 50ML", "r": "220229704"}, {"b": "5034593040209", "n": "SAVOY FIRST AID SPRAY 50ML", "r": "220217188"}, {"b": "5034593040100", "n": "SAVOY BURN RELIEF SPRAY 50ML", "r": "220223501"}, {"b": "9650137006362", "n": "SAXENDA 6MG 3ML X 5", "r": "220179146"}, {"b": "5702191013689", "n": "SBR REPAIR CREAM 30G", "r": "220185740"}, {"b": "642790600000", "n": "SCAR HEAL SCAR ESTHETIQUE CREAM 60ML", "r": "220155205"}, {"b": "642790800004", "n": "SCAR HEAL REJUVASIL SILICON GEL 30ML", "r": "220157538"}, {"b": "6937266700761", "n": "SCHICK INTUITION KIT 2", "r": "129807233"}, {"b": "4891228309268", "n": "SCHICK HYDRO SILK TOUCH UP EYEBROW RAZOR 3S", "r": "129812112"}, {"b": "6937266700785", "n": "SCHICK INTUITION REFILL x 3", "r": "129812138"}, {"b": "4891228300456", "n": "SCHICK SENSI SHAV FOAM LIME 60ML", "r": "220080836"}, {"b": "6295120027486", "n": "SCHOLL VELVET SMTH ELECTRONIC NAIL CARE SYSTEM", "r": "220165266"}, {"b": "6295120027585", "n": "SCHOLL VELVET SMOOTH NAIL CARE OIL 75ML", "r": "220154053"}, {"b": "5052197030969", "n": "SCHOLL VELVET SMOOTH EXPRESS PEDI REFIL1S", "r": "220230759"}, {"b": "6295120027523", "n": "SCHOLL VELVET SMOOTH EXPRESS PEDI PINK 25OFF", "r": "220152399"}, {"b": "6295120026328", "n": "SCHOLL VELVET SMOOTH EXPRESS PEDI PINK", "r": "220156878"}, {"b": "6295120027530", "n": "SCHOLL VELVET SMOOTH EXPRESS PEDI BLUE 25OFF", "r": "220159137"}, {"b": "6295120026335", "n": "SCHOLL VELVET SMOOTH EXPRESS PEDI 1S", "r": "220155566"}, {"b": "5052197047677", "n": "SCHOLL VELVET CRYSTAL ROLLER 2S", "r": "220233310"}, {"b": "5052197047707", "n": "SCHOLL VELVET CRYSTAL ROLLER 1S", "r": "220234962"}, {"b": "5000288358089", "n": "SCHOLL SMOOTHING FOOT FILE", "r": "220227288"}, {"b": "5038483495445", "n": "SCHOLL PARTY FEET ULTRA SLIM GEL CUSHION", "r": "220228130"}, {"b": "50048793", "n": "SCHOLL PARTY FEET HEEL SHIELDS", "r": "220225967"}, {"b": "5038483179536", "n": "SCHOLL ODOUR CONTROL INSOLES", "r": "220236009"}, {"b": "5052197013405", "n": "SCHOLL ODOUR CONTROL FRESH STEP SHOE SPRAY 150ML", "r": "220222429"}, {"b": "5000288353879", "n": "SCHOLL NAIL CLIPPER", "r": "220224096"}, {"b": "6295120027653", "n": "SCHOLL INSOLE WORK WOMEN S", "r": "220223712"}, {"b": "6295120027660", "n": "SCHOLL INSOLE WORK MEN M", "r": "220224895"}, {"b": "6295120027677", "n": "SCHOLL INSOLE SPORT WOMEN S", "r": "220226121"}, {"b": "6295120027684", "n": "SCHOLL INSOLE SPORT MEN M", "r": "220222061"}, {"b": "6295120029589", "n": "SCHOLL INSOLE GEL ACTIVE OPEN SHOES", "r": "220227412"}, {"b": "6295120029602", "n": "SCHOLL INSOLE GEL ACTIVE FLAT SHOES", "r": "220230674"}, {"b": "6295120029596", "n": "SCHOLL INSOLE GEL ACTIVE EXTREME HEELS", "r": "220234919"}, {"b": "6295120029619", "n": "SCHOLL INSOLE GEL ACTIVE EVERYDAY HEELS", "r": "220226636"}, {"b": "5038483998427", "n": "SCHOLL HARD SKIN SOFTENING CREAM 60ML", "r": "220235973"}, {"b": "5038483677995", "n": "SCHOLL HARD SKIN DUAL ACTION FOOT FILE", "r": "220216320"}, {"b": "6295120027639", "n": "SCHOLL GEL ACTIVE EVERYDAY WOMEN S", "r": "220215986"}, {"b": "6295120027646", "n": "SCHOLL GEL ACTIVE EVERYDAY MEN M", "r": "220234090"}, {"b": "5052197017724", "n": "SCHOLL FRESH STEP SPRAY FOR DRY FEET 150ML", "r": "220233154"}, {"b": "5052197024982", "n": "SCHOLL FRESH STEP FOOT  SHOE POWDER 75G", "r": "220227521"}, {"b": "5038483999967", "n": "SCHOLL DRY SKIN RECOVERY CREAM 60ML", "r": "220221659"}, {"b": "5038483681794", "n": "SCHOLL CRACKED HEEL SMOOTH  REMOVE FILE", "r": "220228111"}, {"b": "5052197001471", "n": "SCHOLL CRACKED HEEL REPAIR CREAM K 60ML", "r": "220224754"}, {"b": "5038483971635", "n": "SCHOLL CORN SHIELD PLASTERS 6S", "r": "220234084"}, {"b": "5000288301160", "n": "SCHOLL CORN REMOVR PLASTER WP", "r": "220218057"}, {"b": "5038483225585", "n": "SCHOLL COMPLETE CORN TREATMENT KIT 6S", "r": "220216483"}, {"b": "5038483865026", "n": "SCHOLL BLISTER CLEAR GEL PLASTERS 5S", "r": "220232774"}, {"b": "5038483171288", "n": "SCHOLL AIRPILLOW COMFORT INSOLES", "r": "220225690"}, {"b": "9650364002632", "n": "SCI FACE MASK SCI 824N95 AO", "r": "220183756"}, {"b": "9650364002595", "n": "SCI 951 GBR PARTCULATE RESP N95 MASK 20PCS", "r": "220186564"}, {"b": "6291100080953", "n": "SCOPINAL 10MG TABLETS 20 S", "r": "220217369"}, {"b": "6291100081080", "n": "SCOPINAL 5MG5ML SYRUP 100ML", "r": "220224509"}, {"b": "9650364002861", "n": "SEA PEARL TRAVEL SANITIZER WIPES 36S", "r": "220191742"}, {"b": "9650364002878", "n": "SEA PEARL SKINCARE SANITIZER WIPES 72S", "r": "220191058"}, {"b": "8901171090178", "n": "SEACOD WOMENS FISH OIL 60S", "r": "220227738"}, {"b": "8901171021042", "n": "SEACOD PURE COD LIVER OIL 300MG 100S", "r": "220222705"}, {"b": "4103040147271", "n": "SEBAMED INTIMATE WASH 200 ML", "r": "220227085"}, {"b": "4103040114488", "n": "SEBAMED CHILDREN SHAMPOO 250ML", "r": "220218975"}, {"b": "4103040148131", "n": "SEBAMED BABY WASH EXTRA SOFT 200ML", "r": "220224571"}, {"b": "4103040114600", "n": "SEBAMED BABY SKIN CARE OIL 150ML", "r": "220221019"}, {"b": "4103040122476", "n": "SEBAMED BABY LOTION 200ML", "r": "220233105"}, {"b": "4103040901811", "n": "SEBAMED BABY LIP BALM 48G", "r": "220223647"}, {"b": "4103040116239", "n": "SEBAMED BABY CREAM EXTRA SOFT 200ML", "r": "220216777"}, {"b": "4103040113931", "n": "SEBAMED BABY BUBBLE BATH 200ML", "r": "220236080"}, {"b": "4103040115263", "n": "SEBAMED FACE  BODY WASH LIQUID 200ML", "r": "220223629"}, {"b": "4103040915252", "n": "SEBAMED EXTREME DRY UREA LOTION 200ML", "r": "220170064"}, {"b": "4103040117953", "n": "SEBAMED EVERYDAY SHAMPOO 200ML", "r": "220236308"}, {"b": "4103040111784", "n": "SEBAMED CLEANSING BAR 150GM", "r": "220236209"}, {"b": "4103040902788", "n": "SEBAMED ANTI HAIRLOSS SHAMPOO 200ML", "r": "220220969"}, {"b": "4103040117298", "n": "SEBAMED ANTI DANDRUFF SHAMPOO 200ML", "r": "220222834"}, {"b": "9403092900721", "n": "SEBIZOLE 2  20MGML 100ML BOTTLE", "r": "220152620"}, {"b": "3352712003228", "n": "SEDATIF PC 40 TAB HOMEOPATHIC", "r": "220165263"}, {"b": "965013700365", "n": "SELSUN BLUE MOIST SHAMP 207ML", "r": "220170087"}, {"b": "965013700366", "n": "SELSUN BLUE BAL SHAMP 207ML", "r": "220166528"}, {"b": "8022297065045", "n": "SEMI DILINO SUBLIME CRISTALLI LIQUIDI SILK OILY HAIR SERUM 50ML", "r": "129807217"}, {"b": "8022297064253", "n": "SEMI DILINO SHAMPOO WITH HONEY AND LINSEED FOR DRY HAIR 250ML", "r": "129807238"}, {"b": "8022297064185", "n": "SEMI DILINO SHAMPOO WITH BAMBO AND LINSEED FOR DAMAGED HAIR 250ML", "r": "129807230"}, {"b": "8022297064208", "n": "SEMI DILINO MASK WITH BAMBO AND LINSEED FOR RECONSTRUCTION DAMAGED HAIR 200ML", "r": "129812190"}, {"b": "8022297064321", "n": "SEMI DILINO LEAVE IN FLUID WITH HONEY AND LINSEED FOR DRY HAIR 125ML", "r": "129812191"}, {"b": "8022297064222", "n": "SEMI DILINO LEAVE IN FLUID WITH BAMBO AND LINSEED FOR DAMAGED HAIR 125ML", "r": "129812172"}, {"b": "8022297095868", "n": "SEMI DILINO ENERGIZING TONIC WITH MICROBIOTIC TECHNIQUE FOR HAIR LOSS 125ML", "r": "129807175"}, {"b": "8022297095837", "n": "SEMI DILINO ENERGIZING SHAMPOO WITH MICROBIOTIC TECHNIQUE FOR HAIR LOSS 250ML", "r": "129812152"}, {"b": "8022297095882", "n": "SEMI DILINO ANTI DANDRUFF SCALP EXFOLIATING SCRUB WITH MICROBIOTIC TECHNIQUE 150ML", "r": "129812183"}, {"b": "8022297095899", "n": "SEMI DILINO ANTI DANDRUFF PURIFYING SHAMPOO WITH MICROBIOTIC TECHNIQUE 250ML", "r": "129812163"}, {"b": "8022297017242", "n": "SEMI DILINO SUBLIME HAIR WATER PERFUME 50ML", "r": "129807239"}, {"b": "8022297012384", "n": "SEMI DILINO SUBLIME CRISTALLI DI SETA LIGHT HAIR SERUM 50ML", "r": "129807165"}, {"b": "8022297064239", "n": "SEMI DILINO SOS AMPOULES WITH BAMBO AND LINSEED FOR DAMAGED HAIR 6*13ML", "r": "129807194"}, {"b": "8022297064932", "n": "SEMI DILINO SHAMPOO WITH MULTIVITAMINS AND LINSEED FOR NORMAL HAIR 250ML", "r": "129812161"}, {"b": "8022297064970", "n": "SEMI DILINO MASK WITH MULTIVITAMINS AND LINSEED FOR NORMAL HAIR 200ML", "r": "129812128"}, {"b": "8022297064277", "n": "SEMI DILINO MASK WITH HONEY AND LINSEED FOR DRY HAIR 200ML", "r": "129812148"}, {"b": "8022297065014", "n": "SEMI DILINO LEAVE IN FLUID WITH MULTIVITAMINS AND LINSEED FOR NORMAL HAIR 125ML", "r": "129807196"}, {"b": "8022297064956", "n": "SEMI DILINO CONDITIONER WITH MULTIVITAMINS AND LINSEED FOR NORMAL HAIR 200ML", "r": "129812171"}, {"b": "8022297064314", "n": "SEMI DILINO AMPOULES WITH HONEY AND LINSEED FOR DRY HAIR 6*13ML", "r": "129812158"}, {"b": "6224008431138", "n": "SENFY M INTIAMTE GEL FOR MEN 50GM", "r": "220166885"}, {"b": "965013700338", "n": "SENOKOT TABLETS 50S", "r": "220168252"}, {"b": "3577051582672", "n": "SENSIGEL 50ML TUBE", "r": "220164460"}, {"b": "3830060720757", "n": "SENSILAB ZORI LOLIPOPS 3PC", "r": "220233331"}, {"b": "3830060726100", "n": "SENSILAB ZORI GUMMIES MULTIVITAMIS  MINERALS KIDS 60S", "r": "220232479"}, {"b": "3830044923600", "n": "SENSILAB SLIPIN PLUS 20S", "r": "220075582"}, {"b": "3830044923280", "n": "SENSILAB SENSOMEGA 60S", "r": "220221958"}, {"b": "3830060723055", "n": "SENSILAB DERMAGLOW 1000MG 30 SACHETS", "r": "220236559"}, {"b": "3830060727091", "n": "SENSILAB COLLAGEN PLUS 15S", "r": "220072386"}, {"b": "3830044924942", "n": "SENSILAB CERIN ACNE TRTMNT CAP 30S", "r": "220085853"}, {"b": "3830060726865", "n": "SENSILAB BEAUTY HAIR  NAILS GUMMIES", "r": "220223806"}, {"b": "2961544500921", "n": "SENSODYNE PRONAMEL WHITENING TP 75ML", "r": "220216979"}, {"b": "6805699957710", "n": "SENSODYNE PRONAMEL MULTI ACTION TOOTH PASTE 75ML", "r": "220227658"}, {"b": "6805699958120", "n": "SENSODYNE WHITENING SENSITIVITY  GUM TOOTH PASTE 75ML", "r": "220228382"}, {"b": "6805699958168", "n": "SENSODYNE SENSTIVITY  GUM SOFT TOOTH BRUSH", "r": "220219457"}, {"b": "6805699958106", "n": "SENSODYNE SENSITIVITY  GUM TOOTH PASTE 75ML", "r": "220220263"}, {"b": "6805699959189", "n": "SENSODYNE HERBAL MULTI CARE TOOTH PASTE100ML", "r": "220225768"}, {"b": "5054563991768", "n": "SENSODYNE PRONAMEL REPAIR WHITENING TOOTH PASTE 75ML", "r": "220233602"}, {"b": "5054563991751", "n": "SENSODYNE PRONAMEL REPAIR EXTRA FRESH TOOTH PASTE 75ML", "r": "220228237"}, {"b": "5054563993625", "n": "SENSODYNE T/PASTE NOURISH NATURALLY FRESH 75 ML", "r": "129807352"}, {"b": "5054563993618", "n": "SENSODYNE T/PASTE NOURISH HEALTHY WHITE 75 ML", "r": "129812249"}, {"b": "6805699955525", "n": "SENSODYNE WHITENING RAPID ACTION TOOTH PASTE  75ML", "r": "220232806"}, {"b": "9502930975232", "n": "SENSODYNE TRUE WHITE TP 75ML", "r": "220229686"}, {"b": "9502930975355", "n": "SENSODYNE TRUE WHITE TB MEDIUM", "r": "220227922"}, {"b": "6805699533211", "n": "SENSODYNE TRUE WHITE EXTRA FRESH TOOTH PASTE 75ML", "r": "220219381"}, {"b": "6805699533082", "n": "SENSODYNE SENSITIVE EXTRA SOFT TOOTH BRUSH", "r": "220224511"}, {"b": "6805699954498", "n": "SENSODYNE REPAIR  PROTECT SOFT TOOTH BRUSH", "r": "220234575"}, {"b": "6805699955501", "n": "SENSODYNE RAPID ACTION TOOTH PASTE 75ML", "r": "220227900"}, {"b": "2961544500358", "n": "SENSODYNE PRONAMEL FOR KIDS TP 50ML", "r": "220230116"}, {"b": "6805699533068", "n": "SENSODYNE MUTLI CARE MEDIUM TOOTH BRUSH", "r": "220229227"}, {"b": "9502930974891", "n": "SENSODYNE MULTICAREWHITENING TP 75ML", "r": "220223617"}, {"b": "5000347084027", "n": "SENSODYNE GENTLE WHITENING PUMP TOOTH PASTE 100ML", "r": "220223985"}, {"b": "9502930974976", "n": "SENSODYNE FLOURIDE TP 75ML", "r": "220221235"}, {"b": "9502930975379", "n": "SENSODYNE EXTRA FRESH MW 500ML", "r": "220234491"}, {"b": "6805699955044", "n": "SENSODYNE DEEP CLEAN SOFT TOOTH BRUSH", "r": "220217581"}, {"b": "9502930975362", "n": "SENSODYNE COOLMINT MW 500ML", "r": "220224739"}, {"b": "6805699953613", "n": "SENSODYNE ADVANCED REPAIR  PROTECT TOOTH PASTE 75ML", "r": "220234509"}, {"b": "6805699953873", "n": "SENSODYNE ADVANCED REPAIR  PROTECT EXTRA FRESH TOOTH PASTE 75ML", "r": "220230593"}, {"b": "6805699953637", "n": "SENSODYNE ADVANCED REPAIR  PROTECT EXTRA FRESH TOOTH PASTE 75ML", "r": "220233956"}, {"b": "6805699953651", "n": "SENSODYNE ADVANCED COMPLETE PROTECTION TOOTH PASTE 75ML", "r": "220234080"}, {"b": "6805699953675", "n": "SENSODYNE ADVANCED COMPLETE PROTECTION EXTRA FRESH TOOTH PASTE 75ML", "r": "220233357"}, {"b": "6805699955099", "n": "SENSODYNE ADVANCED COMPLETE  PROTECT MEDIUM TOOTH BRUSH", "r": "220220276"}, {"b": "9502930975348", "n": "SENSODYNE TRUE WHITE TB SOFT", "r": "220218604"}, {"b": "2961544500075", "n": "SENSODYNE TP PRONAMEL 75 ML", "r": "220229231"}, {"b": "6805699533051", "n": "SENSODYNE TB EFFECTIVE CLEANING MEDIUM TOOTH BRUSH", "r": "220231148"}, {"b": "9502930974167", "n": "SENSODYNE RP EXTRA FRESH TP 75ML", "r": "220219302"}, {"b": "9502930970879", "n": "SENSODYNE REPAIR  PROTECT TP 75ML", "r": "220223971"}, {"b": "9502930974952", "n": "SENSODYNE RAPID ACTION TP 75ML", "r": "220232922"}, {"b": "6805699956928", "n": "SENSODYNE RAPID ACT WHT WFREE MWTB", "r": "220161524"}, {"b": "2961544500112", "n": "SENSODYNE PRONAMEL TB", "r": "220220592"}, {"b": "9502930972729", "n": "SENSODYNE PRONAMEL EXTRA FRESH TP 75ML", "r": "220222582"}, {"b": "9502930974921", "n": "SENSODYNE ORIGINAL TP 75ML", "r": "220224311"}, {"b": "6805699533075", "n": "SENSODYNE GUM CARE TOOTH BRUSH", "r": "220218981"}, {"b": "6805699533099", "n": "SENSODYNE EXTRA SOFT MICRO ACTIVE TOOTH BRUSH", "r": "220226282"}, {"b": "9502930974082", "n": "SENSODYNE COMPLETE PROTECT TP 75ML", "r": "220220498"}, {"b": "9502930974099", "n": "SENSODYNE COMPLETE PROTECT EXTRAFRESH TP 75ML", "r": "220225027"}, {"b": "18653005365", "n": "SENS EXTR FRSH TP 100M", "r": "220225815"}, {"b": "3838989731533", "n": "SEPTOLETE OROMUCOSAL SPRAY SOLUTION 30ML", "r": "220214580"}, {"b": "3838989728786", "n": "SEPTOLETE LOZENGES 31MG 16S", "r": "220214711"}, {"b": "3838989731519", "n": "SEPTOLETE HONEYLEMON LOZENGES 31MG 16S", "r": "220214427"}, {"b": "965015200176", "n": "SERETIDE 500MCG DISKUS 60S", "r": "220171654"}, {"b": "965015200093", "n": "SERETIDE 50250 DISKUS", "r": "220159246"}, {"b": "965015200091", "n": "SERETIDE 25125 EVOHALER", "r": "220158237"}, {"b": "965015200090", "n": "SERETIDE 2550 EVOHALER", "r": "220172453"}, {"b": "8470003276689", "n": "SESDERMA SALISES SPOT 15ML", "r": "220179271"}, {"b": "8470003782326", "n": "SESDERMA PORE MNMZR 75ML", "r": "220089812"}, {"b": "8470002031746", "n": "SESDERMA MOIST GEL CREAM 50ML", "r": "220226137"}, {"b": "8470003950954", "n": "SESDERMA MANDELAC SCRUB 50ML", "r": "220220070"}, {"b": "8429979355355", "n": "SESDERMA LIPOSOMAL SERUM ANTIOX 30ML", "r": "220230538"}, {"b": "8429979438188", "n": "SESDERMA HIDRADERM TRX GEL CRM 50ML", "r": "220230771"}, {"b": "8470003406581", "n": "SESDERMA GLOWING FLUID ANTIOX 50ML", "r": "220226184"}, {"b": "8470003274944", "n": "SESDERMA FOAMY SOAP FR CRM 300ML", "r": "220232532"}, {"b": "8429979424464", "n": "SESDERMA EYE CNTR CRM ANTIOX 15ML", "r": "220071202"}, {"b": "8429979419491", "n": "SESDERMA SESLASH LASH  EYEBROW GRTH BOSTER 5ML", "r": "220193313"}, {"b": "8429979415622", "n": "SESDERMA NANOCAR INTIMAT REVTLZ 5ML 8VLS", "r": "220193429"}, {"b": "8429979418609", "n": "SESDERMA KVIT ANTIDARK CIRCLE SERUM 30ML", "r": "220193405"}, {"b": "8470003643153", "n": "SESDERMA HIDRAVEN SF FOAMING  CREAM 300ML", "r": "220224196"}, {"b": "8470002558106", "n": "SESDERMA HIDRADERM OATMEAL ROSE WATER 200ML", "r": "220221035"}, {"b": "8429979250223", "n": "SESDERMA HIDRADERM HYAL FACIAL CRM 50ML", "r": "220193319"}, {"b": "8470003298391", "n": "SESDERMA CVIT EYE CONTOUR PATCHES 5S", "r": "220218855"}, {"b": "8429979208040", "n": "SESDERMA AZELAC RU LIPOSOLAL SERUM 30ML", "r": "220223417"}, {"b": "8470001535634", "n": "SESDERMA RETISES NANO 050 GEL30ML", "r": "220221236"}, {"b": "8429979417343", "n": "SESDERMA RETIAGE SERUM 30ML", "r": "220230240"}, {"b": "8429979456083", "n": "SESDERMA REPASKIN SILK TOUCH 50 SPF 50ML", "r": "220213278"}, {"b": "8429979263070", "n": "SESDERMA NANOCARE INTIMATE HYGIEN GEL 200ML", "r": "220202284"}, {"b": "8470002029293", "n": "SESDERMA AZELAC CREAM 50GM", "r": "220224674"}, {"b": "8470002609006", "n": "SESDERMA REVTALZNG MASK ANTIOX 30ML", "r": "220218446"}, {"b": "8470002180345", "n": "SESDERMA RETISES 05 ANTIWRINKLE REGEN CREAM 50ML", "r": "220219237"}, {"b": "8429979417312", "n": "SESDERMA RETIAGE AA CRM 50ML", "r": "220177495"}, {"b": "8429979264022", "n": "SESDERMA REPASKIN DRY TCH SS PRTCTR SPF50 50ML", "r": "220218249"}, {"b": "8429979438232", "n": "SESDERMA HIDRADERM TRX SERUM 30ML", "r": "220067565"}, {"b": "8470003449526", "n": "SESDERMA HIDRADERM MOIST FCL CRM 50ML", "r": "220072129"}, {"b": "8470001818898", "n": "SESDERMA CVIT INTENSIVE SERUM 2ML 5AMPS", "r": "220192903"}, {"b": "809408861037", "n": "SGTI-FLEX COVID-19 AG 1 TEST", "r": "220296341"}, {"b": "9650364001758", "n": "V SHADOW SHIELDS 2PCS", "r": "220058609"}, {"b": "6291108893104", "n": "V SHIELD ME SANITIZER SPRAY 500ML", "r": "220196817"}, {"b": "6297000957197", "n": "SHIELD ME DISINFECTANT  SANITIZER SPRAY 250ML", "r": "220197478"}, {"b": "6291108893135", "n": "VSHIELD ME SANITIZER SPRAY 100ML", "r": "220196812"}, {"b": "6291109220060", "n": "SHIELD ME ANTIBACTERIAL ALCOHOL FREE WIPES 80S", "r": "220201890"}, {"b": "6291109220039", "n": "SHIELD ME HAND SANITIZER FOR GIRLS 100ML", "r": "220209436"}, {"b": "6291109220053", "n": "SHIELD ME HAND SANITIZER FOR BOYS 100ML", "r": "220208219"}, {"b": "6291109220077", "n": "SHIELD ME ANTIBACTERIAL ALCOHOL FREE WIPES 10S", "r": "220201518"}, {"b": "6291109220183", "n": "SHIELD ME FRUITVEGET ALCOHOL FREE SANITIZER 500ML", "r": "220201647"}, {"b": "6291109220619", "n": "SHIELD ME ANTBACT HANDWASH VBERRY300ML", "r": "220210236"}, {"b": "6291109220589", "n": "SHIELD ME ANTBACT HANDWASH SAPHIRE300ML", "r": "220209753"}, {"b": "6291109220527", "n": "SHIELD ME ANTBACT HANDWASH BLOSSOM300ML", "r": "220209886"}, {"b": "6291109220558", "n": "SHIELD ME ANTBACT HANDWASH AURORA300ML", "r": "220209664"}, {"b": "96115100056", "n": "SHYANCE GOLD 24K REJUVENAT DAY CREAM 50ML", "r": "220068527"}, {"b": "96115100063", "n": "SHYANCE GOLD 24K NIGHT REPAIR MOIST 50ML", "r": "220072533"}, {"b": "96115100018", "n": "SHYANCE GOLD 24K FACE SERUM 50ML", "r": "220000807"}, {"b": "96115100001", "n": "SHYANCE GOLD 24K FACE LIFTING MASK 50ML", "r": "220075575"}, {"b": "96115100025", "n": "SHYANCE GOLD 24K FACE CLEANSER", "r": "220050968"}, {"b": "96115100070", "n": "SHYANCE GOLD 24K EYE CREAM 50ML", "r": "220084653"}, {"b": "96115100032", "n": "SHYANCE GOLD 24K EXFOLIAT CLEANSER 110ML", "r": "220079402"}, {"b": "96115100049", "n": "SHYANCE GOLD 24K BALANCING TONER 110ML", "r": "220061726"}, {"b": "96115100100", "n": "SHYANCE GOLD 24K AHA AMPOULE SET 7X18ML", "r": "220064735"}, {"b": "3760075490072", "n": "SICLAIR LENS CLEANER WET TISSUE 42WIPES", "r": "220212342"}, {"b": "3057061133229", "n": "SICLAIR LENS CLEANER SPRAY KIT22ML 3IN1", "r": "220212270"}, {"b": "2654123215445", "n": "SIDERAL FORTE IRON SUP CAPS 30S", "r": "220162854"}, {"b": "2000000002002", "n": "SIDERAL FORTE FOOD SUPPLEMENT CAPS 20S", "r": "220077607"}, {"b": "2000000002064", "n": "SIDERAL GOCCE FOOD SUPPLEMENT DROPS 30ML", "r": "220084203"}, {"b": "2000000001999", "n": "SIDERAL IRON SUPPLEMENT CAPS 20S", "r": "220077793"}, {"b": "2000000002798", "n": "SIDERAL IRON DEF CAPS 30S", "r": "220157741"}, {"b": "6221048403408", "n": "SIGNAL TOOTHPASTE STRAWBERY CARS 75ML", "r": "220157891"}, {"b": "9650135000805", "n": "SILER SILDENFAIL 100 4FILMS", "r": "220180316"}, {"b": "9650135000799", "n": "SILER SILDENFAIL 50 4FILMS", "r": "220182020"}, {"b": "9650135000812", "n": "SILER SILDENFAIL 75 4FILMS", "r": "220181637"}, {"b": "6945184601824", "n": "SILKY FOOT PEEL 1 PAIR", "r": "220069486"}, {"b": "8908016894014", "n": "SIMECOL CAPSULES 20S", "r": "220208212"}, {"b": "8710447172087", "n": "SIMPLE WATERBOOST WIPES 25S", "r": "220172907"}, {"b": "8710908435812", "n": "SIMPLE PROTECTING LIGHT MOISTURIER 125ML", "r": "220232659"}, {"b": "8710908810510", "n": "SIMPLE HYDRATING GEL CRM 50ML", "r": "220174600"}, {"b": "5011451103863", "n": "SIMPLE FACIAL WASH GEL 150ML", "r": "220222996"}, {"b": "5011451103917", "n": "SIMPLE EYE MAKEUP REMOVER 125ML", "r": "220225326"}, {"b": "8710908810015", "n": "SIMPLE EYE MAKE UP RMVR WTR BOOST 30S", "r": "220177884"}, {"b": "5011451104907", "n": "SIMPLE EYE MAKE UP RMVR PADS 30S", "r": "220177694"}, {"b": "8710908131769", "n": "SIMPLE DUAL EF EYE MAKE UP RMVR 125ML", "r": "220173913"}, {"b": "5011451103979", "n": "SIMPLE CLEANSING FLOW PACK 25S", "r": "220176417"}, {"b": "87342826", "n": "SIMPLE UNFRAGRANCE DEO ROLL ON 50ML", "r": "220219892"}, {"b": "8710447309421", "n": "SIMPLE WATER MASK 21ML", "r": "220206196"}, {"b": "8717163667125", "n": "SIMPLE RADIANCE BOOST MASK 25ML", "r": "220206445"}, {"b": "8712561669825", "n": "SIMPLE MICELLAR CLEANSING WATER 200ML", "r": "220346167"}, {"b": "8717163667132", "n": "SIMPLE CHARCOAL MASK 21ML", "r": "220206171"}, {"b": "8710908810664", "n": "SIMPLE WATERBOOST NIGHT CRM 50ML", "r": "220175425"}, {"b": "8712561014496", "n": "SIMPLE VITAL VIT DAY CRM SPF15 50ML", "r": "220179481"}, {"b": "8710447304310", "n": "SIMPLE SOOTHING DEO SPRAY 125ML", "r": "220229372"}, {"b": "8710908710773", "n": "SIMPLE MICELLAR FCL GEL WASH 150ML", "r": "220227705"}, {"b": "8710908371509", "n": "SIMPLE MICELLAR CLEANSING WATER 400ML", "r": "220174561"}, {"b": "59079262", "n": "SIMPLE INVISIBLE VANILA  PEACH ANTI PERS DEO 50ML", "r": "220234742"}, {"b": "8717163621219", "n": "SIMPLE INVISIBLE DEO SPRAY 150ML", "r": "220223322"}, {"b": "6291100081684", "n": "SIMVAST 20MG TABLETS 28S", "r": "220155394"}, {"b": "965013700255", "n": "SINECOD SYRUP 200ML", "r": "220162687"}, {"b": "965013700254", "n": "SINECOD 05 DROPS 20ML", "r": "220172093"}, {"b": "5285003470738", "n": "SINEMET TABS 20S", "r": "220170470"}, {"b": "900509528", "n": "SINERGEN MINERALE 20 EFFERVESCENT TABS", "r": "220209158"}, {"b": "965013700256", "n": "SINGULAIR 5MG TABLETS 28S", "r": "220167196"}, {"b": "9650155250926", "n": "SINGULAIR 4MG PEAD GRANULES", "r": "220171229"}, {"b": "965013700200", "n": "SINGULAIR 4MG PAED TAB 28S", "r": "220162099"}, {"b": "965013700257", "n": "SINGULAIR 10MG TABLETS 28S", "r": "220171056"}, {"b": "5206892101060", "n": "V SINOMARIN BABIES NOSE CARE 18X5ML", "r": "220192665"}, {"b": "5206892101411", "n": "V SINOMARIN COLD  FLU 30ML", "r": "220084644"}, {"b": "5206892100117", "n": "SINOMARIN ADULTS NOSECARE SPRAY 125ML", "r": "220230226"}, {"b": "5206892100124", "n": "SINOMARIN CHILD NOSE CARE SPRAY 100ML", "r": "220219273"}, {"b": "5206892100148", "n": "SINOMARIN MINI SPRAY NOSE CARE 30ML", "r": "220234667"}, {"b": "4030855218097", "n": "SINUC COUGH SYRUP 100ML", "r": "220156605"}, {"b": "4250694703817", "n": "SISSEL BUCHI GRAY PILLOW 9543", "r": "220186869"}, {"b": "4250694703800", "n": "SISSEL BUCHI BURGUNDY PILLOW 9542", "r": "220185406"}, {"b": "4250694703794", "n": "SISSEL BUCHI BLUE PILLOW 9540", "r": "220182971"}, {"b": "8854424004517", "n": "SITSEF TOILET SEAT SANITIZER SPRAY 15ML", "r": "220217568"}, {"b": "8052742451482", "n": "V SKIN DOCTOR SCRUB STRAWBERRY", "r": "220200165"}, {"b": "8052742451451", "n": "V SKIN DOCTOR SCRUB GOLD", "r": "220200089"}, {"b": "644216709991", "n": "V SKIN DOCTOR SCRUB COFFEE", "r": "220200583"}, {"b": "644216709892", "n": "V SKIN DOCTOR SCRUB CHARCOAL", "r": "220200870"}, {"b": "8052742451468", "n": "V SKIN DOCTOR SCRUB ARGAN", "r": "220200997"}, {"b": "8052742451475", "n": "V SKIN DOCTOR SCRUB APRICOT", "r": "220200032"}, {"b": "8052742451727", "n": "V SKIN DOCTOR CRM SCRUB STRAWBERRY", "r": "220199723"}, {"b": "8052742451703", "n": "V SKIN DOCTOR CRM SCRUB PEACH", "r": "220200214"}, {"b": "8052742451710", "n": "V SKIN DOCTOR CRM SCRUB CUCUMBER", "r": "220199498"}, {"b": "8052742451680", "n": "V SKIN DOCTOR CRM SCRUB ARGAN", "r": "220199651"}, {"b": "6942644312178", "n": "SKIN DOCTOR ARGAN OIL MOIST CONDITIONER", "r": "220099323"}, {"b": "83800016655", "n": "SKIN DOCTOR DETOX FOOT PADS", "r": "220076546"}, {"b": "9325740000310", "n": "SURETHIK HAIR THICKENING FIBER 30G DRK BROWN", "r": "220080040"}, {"b": "5056183602888", "n": "SP VELVET CLOUD CLEANSE FOAM 150ML", "r": "220208791"}, {"b": "5056183602024", "n": "SP UNPLUG STICK FACE MASK 35G", "r": "220208423"}, {"b": "5056183601959", "n": "SP SORBET SKIN JELLY MOISTURISER 50ML", "r": "220208568"}, {"b": "5056183601973", "n": "SP SMOOTH TALK 2 HA GEL SERUM", "r": "220209218"}, {"b": "5056183601966", "n": "SP RECHARGE 05 RETINOL SERUM 25ML", "r": "220209478"}, {"b": "5056183602000", "n": "SP OVERNIGHT SLEEP MASK 50ML", "r": "220208909"}, {"b": "5056183602871", "n": "SP ICICLE COOLING EYE SERUM STICK 10G", "r": "220209222"}, {"b": "5056183602895", "n": "SP GENTLE ENZYME EXFOLIATOR 150ML", "r": "220208754"}, {"b": "5056183601980", "n": "SP BRIGHT BOOST 2 VIT C SERUM 25ML", "r": "220209035"}, {"b": "5056183602031", "n": "SP BALANCE ACT FACE MASK STICK 35G", "r": "220208505"}, {"b": "8809089292342", "n": "V SKIN REP RETINOL UNDR EYE PATCH 96G", "r": "220192666"}, {"b": "8809511984340", "n": "V SKIN REP RETINOL HYDROGL FACEMASK SHT 25ML", "r": "220191017"}, {"b": "8809313498373", "n": "SKIN REP HYALURONIC ACID  COLLAGEN 25ML", "r": "220185022"}, {"b": "8809089291758", "n": "V SKIN REP NOSE STRIPCHARCOAL 6S 48G", "r": "220051411"}, {"b": "8809362069814", "n": "V SKIN REP CHARCOAL PEELOFF FACE MASK 25ML", "r": "220062872"}, {"b": "8809511980571", "n": "V SKIN REP BUBBLE PURIFYINGCHARCOAL FACE MASK SHET 20ML", "r": "220056797"}, {"b": "8809313498977", "n": "SKIN REPUBLIC SPOT  BLMISH FCE MSK 25ML", "r": "220233691"}, {"b": "8809313498915", "n": "SKIN REPUBLIC PLATINUM LIFT 25ML", "r": "220215991"}, {"b": "8809273162482", "n": "SKIN REPUBLIC HAND REPAIR GLOVE 1PAIR", "r": "220233157"}, {"b": "8809313498885", "n": "SKIN REPUBLIC COLLAGEN INFUSION 25ML", "r": "220220620"}, {"b": "8809089290485", "n": "SKIN REPUBLIC COLAGEN UNDER EYE PATCH 10S", "r": "220236041"}, {"b": "8809313499004", "n": "SKIN REPUBLIC BRGHTNG VITC FCE MSK 25ML", "r": "220218487"}, {"b": "8809462424384", "n": "V SKIN REP PRIMEREFINE FACEMASK SHT 18G", "r": "220192660"}, {"b": "8809295014103", "n": "V SKIN REP MENS ENERGSNG FACEMASK SHT 23ML", "r": "220190596"}, {"b": "8809295014134", "n": "V SKIN REP MENS CHARC FCL SCRB 25ML", "r": "220192426"}, {"b": "8809089292151", "n": "V SKIN REP MENS ANTI FAG UNDER EYE PATCH 96G", "r": "220191893"}, {"b": "8809295012420", "n": "V SKIN REP DETOX CHARCOAL10 SUPERFOOD FORMULA FACE MASK SHET 25ML", "r": "220056690"}, {"b": "8809313498854", "n": "SKIN REPUBLIC STEM CELL FACE MASK 25ML", "r": "220220307"}, {"b": "8809313499035", "n": "SKIN REPUBLIC NECK  DECOLLETAGE MASK 38ML", "r": "220234666"}, {"b": "8809313498946", "n": "SKIN REPUBLIC COQ10 CAVIAR FACE MASK 25ML", "r": "220216787"}, {"b": "8809295013175", "n": "SKIN REPUBLIC 24K GOLD PEEL OFF 27ML", "r": "220220821"}, {"b": "8809525540372", "n": "SKIN REP YOUTHFOIL FACE MASK SHET 25ML", "r": "220176588"}, {"b": "8809511981646", "n": "SKIN REP 24KGOLD AQUA UNDEREYE PATCH 2PR", "r": "220053750"}, {"b": "8809273162390", "n": "SKIN REPUBLIC FOOT PEEL 40G", "r": "220221458"}, {"b": "8809273162420", "n": "SKIN REPUBLIC FOOT REPAIR 18G", "r": "220226905"}, {"b": "8809273162451", "n": "SKIN REPUBLIC FOOT ACTIVE 18G", "r": "220226371"}, {"b": "3606000511040", "n": "SKINCEUTICALS RETINOL 10 NIGHT CREAM  30ML", "r": "220219371"}, {"b": "3606000480964", "n": "SKINCEUTICALS GLYCOLIC 10 RENEW NIGHT 50ML", "r": "220220348"}, {"b": "3337875702478", "n": "VSKC ADVANCED UV DEFENSE SUNCREEN SPF50 40ML", "r": "220201481"}, {"b": "3606000435087", "n": "SKINCEUTICALS TRIPLE LIPID RESTORE 242 48ML", "r": "220231068"}, {"b": "3337875746267", "n": "SKINCEUTICALS SILYMARIN CF SERUM 30ML", "r": "220219117"}, {"b": "3606000409125", "n": "SKINCEUTICALS EYE UV DEFENSE SPF30 10ML", "r": "220230806"}, {"b": "3606000471269", "n": "SKINCEUTICALS EQUALIZING TONER 200ML", "r": "220216607"}, {"b": "883140022336", "n": "SKC SKN MOS BIOCELLULOSE MS PKT", "r": "220206609"}, {"b": "3606000471382", "n": "SKC SKIN TONR BLEMISH AGE 200ML", "r": "220209905"}, {"b": "635494369205", "n": "SKC EYE BALM POT 15ML", "r": "220234400"}, {"b": "635494330205", "n": "SKC CLARIFYING CLAY MASQUE 60ML", "r": "220166530"}, {"b": "635494391206", "n": "SKC BLEMISHAGE DEFENSE 30ML", "r": "220221521"}, {"b": "3606000463783", "n": "SKINCEUTICALS SIMPLY CLEAN GEL 200ML", "r": "220230506"}, {"b": "635494310207", "n": "SKINCEUTICALS SERUM 10 30ML", "r": "220226927"}, {"b": "3606000497290", "n": "SKINCEUTICALS RADIANCE UV DEFENCE SPF50 50ML", "r": "220230196"}, {"b": "635494314205", "n": "SKINCEUTICALS PHYTO CORR GEL 30ML", "r": "220221844"}, {"b": "3606000495470", "n": "SKINCEUTICALS METACELL RENEWAL B3 50ML", "r": "220218599"}, {"b": "3606000436442", "n": "SKINCEUTICALS HA INTENSIFIER SERUM 30ML", "r": "220219968"}, {"b": "3606000481244", "n": "SKINCEUTICALS DISCOLORATION DEFENSE 30ML", "r": "220222037"}, {"b": "635494334203", "n": "SKINCEUTICALS DAILY MOISTURIZER 50ML", "r": "220234915"}, {"b": "3606000463981", "n": "SKINCEUTICALS CLEANSER CREAM 200ML", "r": "220234266"}, {"b": "635494348200", "n": "SKINCEUTICALS AOX  EYE GEL 15ML SE FGBDNL", "r": "220216533"}, {"b": "3606000498983", "n": "SKINCEUTICALS ANTIOXIDANT LIP REPAIR 10ML", "r": "220233925"}, {"b": "3606000499607", "n": "SKINCEUTICALS ADVANCE PIGMENT CORRECTOR 30ML", "r": "220216822"}, {"b": "635494327205", "n": "SKIN RETEXTURING ACTIV SERUM 30ML", "r": "220217725"}, {"b": "635494363210", "n": "SKIN C E FERULIC TREATMENT 30ML", "r": "220232102"}, {"b": "635494349207", "n": "SKC ULTRA FACIAL DEFENS SPF50 30ML", "r": "220225317"}, {"b": "635494394207", "n": "SKC SHEER MINERAL SPF50 50ML", "r": "220232860"}, {"b": "635494328202", "n": "SKC PHLORETIN CF TREATMENT 15ML CORRE 30ML", "r": "220236239"}, {"b": "635494317206", "n": "SKC HYDRATING B5 GEL FL 30ML", "r": "220230626"}, {"b": "635494345155", "n": "SKC AGE INTERRUPTER 50ML", "r": "220222506"}, {"b": "635494358209", "n": "SKC ADVANCED AGE EYE COMPLEX 15ML", "r": "220235950"}, {"b": "3606000509603", "n": "SKC RETINOL 03 30ML", "r": "220167839"}, {"b": "3606000475380", "n": "SKINCEUTICALS RESVERATROL B E 30ML", "r": "220226289"}, {"b": "3606000481121", "n": "SKINCEUTICALS GLYCOLIC RENEW CLEANSER 150ML", "r": "220232043"}, {"b": "3606000471467", "n": "SKINCEUTICALS BLEMISHAGE CLEANSER GEL 250ML", "r": "220220335"}, {"b": "635494321203", "n": "SKC SIMPLY CLEAN FLPPE 250 ML", "r": "220226629"}, {"b": "635494320206", "n": "SKC RETINOL 03 30ML", "r": "220167839"}, {"b": "635494364200", "n": "SKC GNTLE CLENSR FLPPE 250ML", "r": "220233386"}, {"b": "6294016151205", "n": "SKC DISCOLORATION DEFENSE KIT", "r": "220084392"}, {"b": "635494330120", "n": "SKC CLARIFYING CLAY MASQUE", "r": "220195438"}, {"b": "635494392203", "n": "SKC BLEMISH AGE TONER 200ML", "r": "220235225"}, {"b": "635494390209", "n": "SKC AB CLEANSING GEL 250ML", "r": "220161934"}, {"b": "7640107016059", "n": "VSKINCODE ALPINE WHITE 30ML", "r": "220184356"}, {"b": "7640107050305", "n": "V SKINCODE CEL HYDRO PEEL SRM ESS 50ML", "r": "220190886"}, {"b": "7640107010354", "n": "SKNC ESSN 24HR INT MOIST LIP BALM 15ML", "r": "220232317"}, {"b": "7640107010255", "n": "SKNC ALL IN ONE CLNSR MCLR WTR 200ML", "r": "220229078"}, {"b": "7640107010262", "n": "SKINCODE FORTIFYING TNNG LOTN 200ML", "r": "220224840"}, {"b": "7640107080296", "n": "SKINCODE CEL AA SHEET MASK 20MLX5", "r": "220224417"}, {"b": "7640107010057", "n": "SKINCODE Regenerating night cream 50ML", "r": "220109501"}, {"b": "7640107010187", "n": "SKINCODE SKINCODE REVITALIZING EYE CONTOUR CREAM 50ML", "r": "220218433"}, {"b": "7640107010378", "n": "DIGITAL DETOX DAY CREAM SPF 15", "r": "220240037"}, {"b": "7640107010347", "n": "24H INTENSIVE MOISTURIZING HAND CREAM", "r": "220238117"}, {"b": "7640107010118", "n": "SKNC ESSNTS 24 HOUR ENERGZR CRM 50ML", "r": "220236421"}, {"b": "7640107050145", "n": "SKNC CELL WRNKL PROHBT EYE SERM 15ML", "r": "220229900"}, {"b": "7640107016004", "n": "SKNC BRIGHTENING DAY CREAM SPF15 50ML", "r": "220216794"}, {"b": "7640107016028", "n": "SKNC AW BRGHTNG TOTL CLARITY SRM 30ML", "r": "220219870"}, {"b": "7640107015007", "n": "SKINCODE SUNPROT FACELTN SPF50 100ML", "r": "220217457"}, {"b": "7640107010293", "n": "SKINCODE PORE REFINING MASK 75ML", "r": "220217327"}, {"b": "7640107017025", "n": "SKINCODE OILCONTRL MATIF LTN 50ML", "r": "220224045"}, {"b": "7640107017001", "n": "SKINCODE OIL CTRL CLARIF WSH 125ML", "r": "220221997"}, {"b": "7640107010026", "n": "SKINCODE ESS PURIFYING CLNS GEL 125ML", "r": "220224592"}, {"b": "7640107050077", "n": "SKINCODE CELULAR WRNKL EYECRM 15ML", "r": "220216929"}, {"b": "7640107050053", "n": "SKINCODE CELULAR REVTLZE TNR 200ML", "r": "220222625"}, {"b": "7640107050152", "n": "SKINCODE CELULAR DAY CRM SPF15 50ML", "r": "220232144"}, {"b": "7640107050114", "n": "SKINCODE CELULAR ANTIAGE CRM 50ML", "r": "220229340"}, {"b": "7640107050107", "n": "SKINCODE CELLULAR PWR CONCENTRAT 30ML", "r": "220229777"}, {"b": "7640107050046", "n": "SKINCODE CELLULAR CLNS MILK 200ML", "r": "220229325"}, {"b": "7640107050084", "n": "SKINCODE CELLR PERF SKIN CAP 45S", "r": "220228243"}, {"b": "7640107050237", "n": "SKINCODE CELLR NIGHT RR CRM 50ML", "r": "220220243"}, {"b": "7601070501928", "n": "SKINCODE CELL EYE LIFT POWER PEN 15ML", "r": "220218388"}, {"b": "7640107016035", "n": "SKINCODE BRIGHTENING HAND CREAM 75ML", "r": "220224206"}, {"b": "7640107016011", "n": "SKINCODE BRGHTNG EYE CREAM 15ML", "r": "220216711"}, {"b": "7640107010286", "n": "SKINCODE 24H DESTRES CMF BALM 50ML", "r": "220224130"}, {"b": "7640107010323", "n": "SKINCODE 24H COMFORT BODY LTN 200ML", "r": "220221602"}, {"b": "7640107017018", "n": "SKINCD SOS OIL CTRL BLNC SERM 30ML", "r": "220234122"}, {"b": "7640107012860", "n": "SKINCODE EXCLUSIVE ANTI AGING TRIO", "r": "220203916"}, {"b": "7640107012792", "n": "V SKINCODE XLCSV AGE PROHBT KIT", "r": "220191759"}, {"b": "7640107010156", "n": "V SKINCODE SOS OIL CONTROL 30ML", "r": "220065855"}, {"b": "7640107050008", "n": "V SKINCODE PURIFYING CLEANSING GEL 50ML", "r": "220073083"}, {"b": "7640107050282", "n": "V SKINCODE CELLULAR OVERNIGHT RESTORATION OIL 30ML", "r": "220067962"}, {"b": "7640107050268", "n": "V SKINCODE AGE RENEW MASK 50ML", "r": "220064854"}, {"b": "7640107016042", "n": "SKNC ALPINE WHITE BRIGHT MASK 50ML", "r": "220217449"}, {"b": "7640107010316", "n": "SKINCODE XTR GNTL SKIN RESURCNG CRM 75ML", "r": "220217711"}, {"b": "7640107010088", "n": "SKINCODE LIFTING MOISTURE MASK 75ML", "r": "220230549"}, {"b": "7640107050121", "n": "SKINCODE EXCLUS CEL WRNK SERUM 30ML", "r": "220235150"}, {"b": "7640107010248", "n": "SKINCODE DAILY DEFENSE  RECOVERY CREAM SPF30 40ML", "r": "220053598"}, {"b": "8809052585976", "n": "VSL ULTRA MOIST HAND MASK 1PAIR", "r": "220064739"}, {"b": "8809052585853", "n": "SL REJUVINATING PEARL MASK 1S", "r": "220071062"}, {"b": "8809052585822", "n": "SL NOSE PORE STRIPS 3STRIPS", "r": "220075060"}, {"b": "8809052585433", "n": "SL MOISTURIZING HERB 1MASK", "r": "220071907"}, {"b": "8809052588717", "n": "SL LIFT  FIRMING VLINE TREAT 1PATCH", "r": "220080845"}, {"b": "8809052584566", "n": "SL INTENSIVE HAIR TREAT STRENGTHEN  VOLUMIZE MASK 18G", "r": "220220627"}, {"b": "8809052584542", "n": "SL INTENSIVE HAIR TREAT SHINE  HYDRATE MASK 18G", "r": "220224941"}, {"b": "8809052584559", "n": "SL INTENSIVE HAIR TREAT NOURISH  COLOR PROTECT MASK 18G", "r": "220231805"}, {"b": "8809052585266", "n": "SL GREEN TEA ESSENCE 1MASK", "r": "220060646"}, {"b": "8809052585808", "n": "SL EYE PUFFINESS MINIMIZING PATCHES 4PATCHES", "r": "220090294"}, {"b": "8809052585815", "n": "SL DARK CIRCLE REDUCER EYE PATCHES 4PATCHES", "r": "220075198"}, {"b": "8809052585259", "n": "SL CUCUMBER ESSENCE 1MASK", "r": "220086007"}, {"b": "8809052585242", "n": "SL ALOE ESSENCE MASK 1MASK", "r": "220073076"}, {"b": "8809420563117", "n": "SKINLITE WHITENING CREAM MASK", "r": "220055767"}, {"b": "8809052585495", "n": "SKINLITE REJUVENATING ORANGE PADS 10S", "r": "220222210"}, {"b": "8809052590420", "n": "SKINLITE PURIFYING DEAD SEA MASK 2X10ML", "r": "220219757"}, {"b": "8809420563094", "n": "SKINLITE PEPTIDE WRINKLE CREAM MASK", "r": "220064741"}, {"b": "8809052585648", "n": "SKINLITE ILLUMINATING ARBUTIN MASK 1S", "r": "220225735"}, {"b": "8809420563100", "n": "SKINLITE ENERGIZING CREAM MASK", "r": "220069489"}, {"b": "8809052585754", "n": "SKINLITE CUCUMBER PEELOFF MASK 14ML", "r": "220227325"}, {"b": "8809420563148", "n": "SKINLITE AQUA PORE CREAM MASK", "r": "220056808"}, {"b": "8809052585655", "n": "SKINLITE AGE DEFYING COLLAGEN MASK 1S", "r": "220220103"}, {"b": "8809420563155", "n": "SKINLITE AC CONTROL CREAM MASK", "r": "220050497"}, {"b": "8809052590437", "n": "SKIN LITE TEA TREE PEELOFF MASK 2X10ML", "r": "220216425"}, {"b": "8809052585983", "n": "V SL INTENSIVE REPAIR FOOT MASK 1PAIR", "r": "220080844"}, {"b": "8809052590376", "n": "V SL EXFOLIATING FOOT MASK 1PAIR", "r": "220076532"}, {"b": "965014500019", "n": "SKINOREN CREAM 30GM", "r": "220166332"}, {"b": "8720387426027", "n": "SKINREPUBLIC VITAMIN C 6 SERUM 30ML", "r": "220239422"}, {"b": "8720387426195", "n": "SKINREPUBLIC SALICYLIC ACID 2 SERUM 30ML", "r": "220239054"}, {"b": "8720387426003", "n": "SKINREPUBLIC RETINOID COMPLEX 1 SERUM 30ML", "r": "220236872"}, {"b": "8809273160273", "n": "SKINREPUBLIC PEDI PEEL MAX FOOT MASK 40ML", "r": "220239309"}, {"b": "8720387426010", "n": "SKINREPUBLIC HYALURONIC ACID 1 SERUM 30ML", "r": "220239620"}, {"b": "8720387426225", "n": "SKINREPUBLIC NIACINAMIDE 10 SERUM 30ML", "r": "220239844"}, {"b": "5011831092107", "n": "SKYN ORIGINAL CONDOM 3S", "r": "220204665"}, {"b": "5011831092169", "n": "SKYN ORIGINAL CONDOM 10S", "r": "220204314"}, {"b": "5011831092138", "n": "SKYN INTENSE FEEL CONDOM 3S", "r": "220203713"}, {"b": "5011831092251", "n": "SKYN INTENSE FEEL CONDOM 10S", "r": "220204959"}, {"b": "5011831092190", "n": "SKYN EXTRA LUBE CONDOM 10S", "r": "220204475"}, {"b": "5011831092312", "n": "SKYN ELITE CONDOM 10S", "r": "220204683"}, {"b": "6901389384016", "n": "j", "r": "220059453"}, {"b": "84196033", "n": "SMINT WILDBERRY GUM 8GM", "r": "220222663"}, {"b": "8410031945737", "n": "SMINT TIN PEPPERMINT GUM 35GM", "r": "220216580"}, {"b": "8410031937541", "n": "SMINT STRAWBERRY GUM 142GM", "r": "220233608"}, {"b": "8410031937527", "n": "SMINT PEPPERMINT GUM 142GM", "r": "220218011"}, {"b": "84158833", "n": "SMINT PEPPERMINT", "r": "220162677"}, {"b": "84155634", "n": "SMINT MINT GUM 8GM", "r": "220220518"}, {"b": "84197368", "n": "SMINT BLACKBERRY GUM 8GM", "r": "220235408"}, {"b": "8410031940015", "n": "SMINT BLACKBERRY GUM 142GM", "r": "220228798"}, {"b": "9650137006386", "n": "SNAFI 5MG TAB 30S", "r": "220193182"}, {"b": "6281086341780", "n": "SNAFI TABLET 20MG 12S", "r": "220169060"}, {"b": "6281086031780", "n": "SNAFI 20MG TABLETS 4S", "r": "220222546"}, {"b": "6291101021238", "n": "SNOW HAND SANITIZER 500ML", "r": "220192133"}, {"b": "8437018022021", "n": "SOBERBIA ANTIAGING CREAM SPF20 50ML", "r": "220187844"}, {"b": "5019041124755", "n": "SHOP SOCK ENERGISING SOCKS 611", "r": "220085165"}, {"b": "5019041124779", "n": "SHOP SOCK ENERGISING SOCKS 47", "r": "220051657"}, {"b": "5019041144432", "n": "SHOP SOCK IOMI FLIGHT SOCKS 80DEN", "r": "220099316"}, {"b": "5019041138776", "n": "SHOP SOCK IOMI DIABETC SCK WOMEN 3PRS PK", "r": "220089802"}, {"b": "5019041134341", "n": "SHOP SOCK IOMI DIABETC SCK MEN 3PRS PK", "r": "220074936"}, {"b": "9650364002519", "n": "SOCLAV 500MG", "r": "220089823"}, {"b": "9650364002526", "n": "SOCLAV 125MG", "r": "220071739"}, {"b": "3609680214164", "n": "SODA PEELING GEL", "r": "220239121"}, {"b": "3609680214218", "n": "SODA HAND CREAM VANILLA", "r": "220239881"}, {"b": "3609680214157", "n": "SODA BUBBLE CLEANSING FOAM", "r": "220237758"}, {"b": "2020321662016", "n": "SOFT CARE FACE SHIELD", "r": "220194476"}, {"b": "76280473667", "n": "SOLARAY ACTIVE MAN 90 CAPS", "r": "220211180"}, {"b": "76280413540", "n": "SOLARAY CALCIUM MAG  ZINC 100 CAPS", "r": "220211018"}, {"b": "76280610413", "n": "SOLARAY ZINC 50MG 100 CAPS", "r": "220211456"}, {"b": "76280675900", "n": "SOLARAY COQ10 100MG 30SFTGLS", "r": "220211174"}, {"b": "76280902280", "n": "SOLARAY FOLIC ACID 80MCG 100 CAPS", "r": "220211605"}, {"b": "76280956665", "n": "SOLARAY HAIR NUTRIENTS 60S", "r": "220211667"}, {"b": "76280286991", "n": "SOLARAY B COMPLEX 100 50 CAPS", "r": "220211585"}, {"b": "76280686562", "n": "SOLARAY KIDS CHEWABLE MULTIVITAMIN 60S", "r": "220211589"}, {"b": "7680263950118", "n": "SOLCOSERYL OINTMENT 5 20GM", "r": "220231619"}, {"b": "3863847003750", "n": "SOLCOSERYL DENTAL ADPASTE 5GM", "r": "220221339"}, {"b": "3863847003828", "n": "SOLCOSERYL 20 JELLY 20G", "r": "220228422"}, {"b": "33984019584", "n": "SOLGAR METHYLCOBALAMIN VIT B12 5000 MCG 30S", "r": "220202201"}, {"b": "33984017252", "n": "SOLGAR MEGASORB VIT B12 2500 MCG NUGGETS 60S", "r": "220201316"}, {"b": "33984004160", "n": "V SOLGAR CALCIUM 600 TAB 120S", "r": "220192086"}, {"b": "33984009486", "n": "V SOLGAR COQ10 VEGICAPS 200 MG 30S", "r": "220192335"}, {"b": "33984011816", "n": "V SOLGAR FORMULA VM75 TAB 60S", "r": "220191147"}, {"b": "33984020580", "n": "SOLGAR OMEGA3 950 MG 100SGEL", "r": "220064872"}, {"b": "33984032750", "n": "V SOLGAR VITAMIN C 1000 MG TAB 90S", "r": "220192279"}, {"b": "33984033405", "n": "V SOLGAR VD 1000IU CHOLECALCIF 100SGEL", "r": "220192674"}, {"b": "33984037205", "n": "V SOLGAR ZINC 50 TAB 100S", "r": "220190454"}, {"b": "33984358720", "n": "SOLGAR VD3 10000 IU SOFTGELS 120S", "r": "220077915"}, {"b": "33984005204", "n": "SOLGAR CALCI  MAGNESIUMZINC TAB 100S", "r": "220221835"}, {"b": "33984012493", "n": "SOLGAR GENTLE IRON 25MG VEGI CAPS 90S", "r": "220217862"}, {"b": "33984013162", "n": "SOLGAR GLUCOSA HYALU CHONDROITIN MSM TAB 60S", "r": "220223460"}, {"b": "33984017351", "n": "SOLGAR HAIR SKIN AND NAILS TAB 60S", "r": "220229842"}, {"b": "33984017443", "n": "SOLGAR MALE MULTIPLE TAB 60S", "r": "220230463"}, {"b": "33984017887", "n": "SOLGAR OMEGA 3 FISH OIL CONCENTRATE SOFT GEL 120S", "r": "220224806"}, {"b": "33984041615", "n": "SOLGAR SFP TURMERIC EXTRACT 60S", "r": "220226685"}, {"b": "33984011496", "n": "V SOLGAR BCOMPLEX 100 VEGICAPS 50S", "r": "220191933"}, {"b": "33984014534", "n": "V SOLGAR 5HYDROXYTRYPTOPHAN 30CAPS", "r": "220191838"}, {"b": "33984027145", "n": "V SOLGAR TONALIN CLA 1300MG SOFTGELS 60S", "r": "220083186"}, {"b": "33984020665", "n": "V SOLGAR OMNIUM TAB 60S", "r": "220191705"}, {"b": "33984041318", "n": "V SOLGAR GINGKO BILOBA 60CAPS", "r": "220178205"}, {"b": "33984041042", "n": "V SOL SFP ASHWAGANDHA ROOT EXT 60CAPS", "r": "220201381"}, {"b": "33984020276", "n": "SOLGAR OMEGA 369 SFT GELS CAP 60S", "r": "220216634"}, {"b": "33984013513", "n": "SOLGAR LGLUTATHIONE 250 MG 60", "r": "220231144"}, {"b": "33984307216", "n": "SOLGAR LCARNITIN 1500MG LEMON 473ML", "r": "220055776"}, {"b": "33984010802", "n": "SOLGAR FOLIC ACID 400 MCG TAB 100S", "r": "220234602"}, {"b": "33984010635", "n": "SOLGAR FEMALE MULTI  VITAMIN TAB 60S", "r": "220222464"}, {"b": "33984004009", "n": "SOLGAR BREWERS YEAST GRAINS TAB WB12 250S", "r": "220222591"}, {"b": "6291107895727", "n": "VSOLO SOFT CARE PLUS SOLUTION 360 ML", "r": "220196144"}, {"b": "6291107895710", "n": "VSOLO SOFT CARE PLUS SOLUTION 150ML", "r": "220195717"}, {"b": "6291107895703", "n": "VSOLO SOFT CARE PLUS SOLUTION 60 ML", "r": "220194069"}, {"b": "8809211693603", "n": "SOLO CONTACTLENS SOLTION 360ML", "r": "220223927"}, {"b": "8809211691302", "n": "SOLO CONTACTLENS SOLTION 130ML", "r": "220234802"}, {"b": "8809211690602", "n": "SOLO CONTACTLENS SOLTION 60ML", "r": "220067080"}, {"b": "794712932918", "n": "ACTIVE IRON FERROUS SULFATE 25MG CAP 30S", "r": "220230744"}, {"b": "8809647390558", "n": "SBM YJANCN 30DAYS BRIGHTNG STARTER KIT", "r": "220214165"}, {"b": "8809647390534", "n": "SBM SNAIL TRUECICA MIRACLE STARTER KIT", "r": "220214974"}, {"b": "8809647390275", "n": "SBM SNAIL TRUECICA MIRACLE RPR SRM 50ML", "r": "220214760"}, {"b": "8809647390121", "n": "SBM PURE VITAMIN C GLOW TONER 200ML", "r": "220214348"}, {"b": "8809647390114", "n": "SBM PURE VITAMIN C GLOW SERUM 30ML", "r": "220214263"}, {"b": "8809647390244", "n": "SBM BYEBYE BLACKHEAD BUBLE CLNSR 120GM", "r": "220214510"}, {"b": "8809647390008", "n": "SBM AHABHA 30DAYS MIRACLE STARTER KIT", "r": "220214239"}, {"b": "8809326333661", "n": "SBM AHABHA 30 DAYS MIRACLE TONER 150ML", "r": "220214400"}, {"b": "7610940002014", "n": "SONGHA NIGHT 30 CAPS", "r": "220163876"}, {"b": "8710103715276", "n": "PHILIPS SONICARE AIRFLOSS ULTRA", "r": "220195353"}, {"b": "8710103894070", "n": "PHILIPS SONICARE CLEAN 430 HX680044", "r": "220207103"}, {"b": "8710103633266", "n": "SONICARE SENSITIVE REPLA 2 PCK HX6052", "r": "220077921"}, {"b": "8710103633075", "n": "SONICARE REPLACE HEAD HX6012 2S", "r": "220227573"}, {"b": "8710103796909", "n": "SONICARE DIAMOND CLEAN PINK HX9362", "r": "220066626"}, {"b": "8710103633891", "n": "SONICARE DIAMOND CLEAN HX6062", "r": "220079204"}, {"b": "8710103788935", "n": "SONICARE DIAMOND CLEAN BLACK REP HEAD HX606231", "r": "220087670"}, {"b": "8710103766124", "n": "SONICARE DIAMOND CLEAN BLACK HX9352", "r": "220082489"}, {"b": "8710103708353", "n": "SONICARE AIRFLOSS REPL HEAD HX8032", "r": "220073207"}, {"b": "8710103623267", "n": "SONICARE AIRFLOSS HX8211", "r": "220081041"}, {"b": "8710103633976", "n": "SONICRE SENS REPLACE HEAD HX6082 2S", "r": "220229680"}, {"b": "8710103817390", "n": "SONICARE PREM PLAQUE DEF REPLA 2 PCK HX904217", "r": "220064391"}, {"b": "8710103793779", "n": "SONICARE PLATINUM REPL HEAD HX9042", "r": "220070677"}, {"b": "8710103713203", "n": "SONICARE PLATINUM HX9112  HX917210", "r": "220051678"}, {"b": "8710103668787", "n": "SONICARE KIDS ELECTRIC TB HX6311", "r": "220216123"}, {"b": "8710103775614", "n": "SONICARE FLEXCARE HX6972", "r": "220087519"}, {"b": "8710103817598", "n": "SONICARE DIAMOND CLEAN SMART TB HX9924", "r": "220061724"}, {"b": "8710103623168", "n": "SONICARE AIRFLOS BRUSH HEAD 2PK HX8012", "r": "220061247"}, {"b": "8710103583332", "n": "PHILIPS SONICARE ELECTRIC TB", "r": "220219279"}, {"b": "8710103817444", "n": "PHILIPS SONICARE BRUSH HEAD HX906217", "r": "220205353"}, {"b": "8809545504538", "n": "SOOAE SQUEEZED LEMON SERUM 50ML", "r": "220237944"}, {"b": "8809545504514", "n": "SOOAE SQUEEZED LEMON SCRUB 80ML", "r": "220240230"}, {"b": "8809545504545", "n": "SOOAE SQUEEZED LEMON MOISTURIZER 80ML", "r": "220238011"}, {"b": "8809545504507", "n": "SOOAE SQUEEZED LEMON CLEANSING FOAM 150ML", "r": "220240007"}, {"b": "6291100080298", "n": "SOOLAN PAED SYRUP 100ML", "r": "220231462"}, {"b": "3499320007047", "n": "SOOLANTRA 10MG CREAM 15GM", "r": "220157065"}, {"b": "3760019121642", "n": "SOSKIN WHITENING BODY LOTION AND SENSITIVE AREA  150 ML", "r": "220221009"}, {"b": "3760019120416", "n": "SOSKIN SUPER MOISTURIZING CREAM 40ML", "r": "220234263"}, {"b": "3760019120522", "n": "SOSKIN REGEN ANTIAGEING NIGHT CREAM 50ML", "r": "220223709"}, {"b": "3760019121093", "n": "SOSKIN HYALURONIC SERUM 2PM 30ML", "r": "220233991"}, {"b": "3760019120560", "n": "SOSKIN GENTLE PURIFYING CLEANSING GEL 250ML", "r": "220218016"}, {"b": "3760019120386", "n": "SOSKIN EYE CARE SERUM 15ML", "r": "220220091"}, {"b": "3760019120447", "n": "SOSKIN DRAMATICALLY WHITENING BROWN SPOT CORRECTOR 30ML", "r": "220218658"}, {"b": "3760019121086", "n": "SOSKIN W CLARIFYING CREAM 50ML", "r": "220233987"}, {"b": "3760019121840", "n": "SOSKIN SUN CREAM SPF50  TINTED MEDIUM 02 50ML", "r": "220236493"}, {"b": "3760019120553", "n": "SOSKIN SOOTHING CLEANSING MILK 250ML", "r": "220221677"}, {"b": "3760019121963", "n": "SOSKIN R MICELLE WATER 250ML", "r": "220226454"}, {"b": "3760019121277", "n": "SOSKIN R GLYCOLIC NEW SKIN CREAM 50ML", "r": "220225493"}, {"b": "3760019120430", "n": "SOSKIN PURIFYING MASK 60ML", "r": "220235398"}, {"b": "3760019120515", "n": "SOSKIN MOISTURIZING ANTIAGEING CREAM 50ML", "r": "220219084"}, {"b": "3760019120454", "n": "SOSKIN MATTIFYING GELCREAM 40 ML", "r": "220233317"}, {"b": "3760019121444", "n": "SOSKIN LIP PLUMPER MOISTURIZERS 15ML", "r": "220234855"}, {"b": "3760019121079", "n": "SOSKIN INTENSE CLARIFYING SERUM 30ML", "r": "220221189"}, {"b": "3760019121260", "n": "SOSKIN INSTANT WRINKLE SMOOTHING BASE 15ML", "r": "220227720"}, {"b": "3760019120362", "n": "SOSKIN FACE SERUM BRIGHTNESS VITALITY C20 30ML", "r": "220223018"}, {"b": "3760019120492", "n": "SOSKIN FACE CREAM MOISTURIZING ENERGIZING 50ML", "r": "220224648"}, {"b": "3760019121833", "n": "SOSKIN EXTREME PROT SUN BLK SPF 50 TINT1 50ML", "r": "220226989"}, {"b": "3760019120621", "n": "SOSKIN CVITAL INTENSIVE CARE 50ML", "r": "220218274"}, {"b": "3760019121062", "n": "SOSKIN CLARIFYING PREPARATORY LOTION 250ML", "r": "220234549"}, {"b": "3760019121055", "n": "SOSKIN CLARIFYING CLEANSING FOAM 150ML", "r": "220231648"}, {"b": "3760019121918", "n": "SOSKIN C ANTIAGEING CONCENTRATE 20X15ML", "r": "220230165"}, {"b": "3760019121475", "n": "SOSKIN A DENSIFYING CREAM 50ML", "r": "220228912"}, {"b": "85876100125", "n": "SOUTH BEACH LIP  NIPPLES WHITENING 13ML", "r": "220155996"}, {"b": "858761001015", "n": "SOUTH BEACH LIGHTENING GEL 60 ML", "r": "220223604"}, {"b": "858761001107", "n": "SOUTH BEACH BODY MLK 118ML", "r": "220223699"}, {"b": "684088232333", "n": "VSOV SILVER DAILY IMMUNE SUPPORT 10PPM 236ML", "r": "220195036"}, {"b": "684088232371", "n": "VSOV SILVER DAILY IMMUNE SUPPORT 10PPM 473ML", "r": "220194143"}, {"b": "6957681745123", "n": "V SPA GEL GLOVES ONE SIZE", "r": "220192568"}, {"b": "853831008437", "n": "SPONGELLE SUGAR DAHLIA 14 WASHES", "r": "220237978"}, {"b": "850780001298", "n": "SPONGELLE FRENCH LAVENDER 14 WASHES", "r": "220237788"}, {"b": "850780001267", "n": "SPONGELLE BULGARIAN ROSE 14 WASHES", "r": "220239129"}, {"b": "853831008154", "n": "SPONGELLE BEACH GRASS 14 WASHES", "r": "220236870"}, {"b": "853831008185", "n": "SPONGOLOGY BODY BUFFER TUBEROSE 20113G", "r": "220238158"}, {"b": "853831008192", "n": "SPONGOLOGY BODY BUFFER ROSE 20 113GM", "r": "220238702"}, {"b": "853831008208", "n": "SPONGOLOGY BODY BUFFER OLIBANUM 20 113GM", "r": "220239412"}, {"b": "853831008178", "n": "SPONGOLOGY BODY BUFFER LAVENDER 20 113G", "r": "220237740"}, {"b": "853831008222", "n": "SPONGOLOGY BODY BUFFER GERANIUM 20 113G", "r": "220239425"}, {"b": "853831008215", "n": "SPONGOLOGY BODY BUFFER COCONUT 20 113GM", "r": "220240194"}, {"b": "965013700269", "n": "SPORANOX 100MG CAPSULES 15S", "r": "220168308"}, {"b": "965013700221", "n": "SPORANOX 100MG CAPSULES 4S", "r": "220163965"}, {"b": "5060022300521", "n": "V ST TROPEZ MOUSSE 120ML", "r": "220192656"}, {"b": "5060022300538", "n": "V ST TROPEZ INSTANT SELFTAN MOUSSE 240ML", "r": "220190937"}, {"b": "5060022300354", "n": "V ST TROPEZ EVERYDAY BODY MEDDARK 200ML", "r": "220188898"}, {"b": "5060022300347", "n": "V ST TROPEZ EVERYDAY BODY LIGHT 200ML", "r": "220190197"}, {"b": "5060022308145", "n": "DONT USE ST TROPEZ SELFTAN LUXE DRY OIL FACE 30ML", "r": "220169029"}, {"b": "5060022307476", "n": "DONT USE ST TROPEZ INSTANT TAN MED DARK LTN 100ML", "r": "220165522"}, {"b": "5060022307995", "n": "ST TROPEZ SELF TAN EXPRESS BRONZ MOUSSE 200ML", "r": "220189215"}, {"b": "8596024019491", "n": "SPEKTRUM GUMMIES ENERGY 60S", "r": "129816903"}, {"b": "8596024020299", "n": "MARTIANS IMUNACTIV SYRUP 150ML", "r": "129826892"}, {"b": "8596024019477", "n": "MARTIANS GUMMIES ELDERBERRY 60S", "r": "129816896"}, {"b": "8596024019453", "n": "MARTIANS GUMMIES ECHINACEA 60S", "r": "129816900"}, {"b": "8596024019460", "n": "MARTIANS GUMMIES BONEACTIVE 60S", "r": "129816902"}, {"b": "8596024020251", "n": "MARTIANS FUTURA SYRUP SYRUP 125ML", "r": "129826894"}, {"b": "381091066001", "n": "STAQUIS 2 OINTMENT 60GM", "r": "220214053"}, {"b": "5907763674576", "n": "STARPHARMA DENTI LOLLIPOP STRAWBERRY", "r": "220207364"}, {"b": "5907763674569", "n": "STARPHARMA DENTI LOLLIPOP PINEAPPLE", "r": "220206627"}, {"b": "5907763674460", "n": "STARPHARMA DENTI LOLLIPOP PINEAPPLE", "r": "220207010"}, {"b": "6902540752361", "n": "STELLA DERMAROLLER SYSTEM 540 NEEDLES", "r": "220190896"}, {"b": "8885006031683", "n": "STEM CELL BEAUTY COLLAGEN DRINK 50ML 10S", "r": "220235308"}, {"b": "9650137006270", "n": "STERADENT DENTURE TAB 30S", "r": "220169814"}, {"b": "9650137006263", "n": "STERADENT CREAM 40ML", "r": "220167635"}, {"b": "6291106887525", "n": "V STERI TECH NANO STEAM", "r": "220200298"}, {"b": "3331300097245", "n": "STERIMAR BLOCKED NOSE SPRAY 100 ML", "r": "220232485"}, {"b": "3401570918561", "n": "STERIMAR NASAL SPRY 100ML", "r": "220164680"}, {"b": "3331300097238", "n": "STERIMAR BABY NASAL HYGIENE 50ML", "r": "220218491"}, {"b": "5060102170563", "n": "STERINASE NASAL SPRAY 30ML", "r": "220195027"}, {"b": "754349910017", "n": "STERIPOD TOOTHBRUSH SANITIZER", "r": "220059893"}, {"b": "3352712003747", "n": "STODAL COUGH SYRUP HOMEOPATHIC", "r": "220161252"}, {"b": "6294008902426", "n": "STRAWBERRY SHORTCAKE SHAMP KIDS 300ML", "r": "220052583"}, {"b": "6295120041413", "n": "STREPSILS ORG WITH VITAMIN C 36S", "r": "220232390"}, {"b": "5000158106765", "n": "STREPSILS EXTRA BLACKCURRANT LOZ 36S", "r": "220230325"}, {"b": "5000158103634", "n": "STREPSILS INTENSIVE", "r": "220158561"}, {"b": "5000158106741", "n": "STREPSILS SORE THROAT  BLOCKED NOSE MENTHOL 36S", "r": "220224641"}, {"b": "5000158106734", "n": "STREPSILS HONEY  LEMON LOZ 36S", "r": "220228166"}, {"b": "5000158106758", "n": "STREPSILS LEMON SUGAR FREE LOZ 36S", "r": "220226951"}, {"b": "5000167090192", "n": "STREPSILS EXTRA BLACKCURRANT LOZ 24S", "r": "220225664"}, {"b": "5000158106895", "n": "STREPSILS WARM GINGER LOZ 16S", "r": "220230944"}, {"b": "5000167019346", "n": "STREPSILS ORANGE WITH VITC LOZ 24S", "r": "220233417"}, {"b": "5000167019353", "n": "STREPSILS MENTHOL LOZENGES 24S", "r": "220228965"}, {"b": "5000158102316", "n": "STREPSILS COOL LOZ 16S", "r": "220218547"}, {"b": "5000167023985", "n": "STREPSILS LEMON SUGAR FREE LOZENGES 16S", "r": "220219592"}, {"b": "5000167019339", "n": "STREPSILS HONEY  LEMON LOZENGES 24S", "r": "220233584"}, {"b": "5000158106130", "n": "STREPSILS JUNIOR TABS 16S", "r": "220229679"}, {"b": "348132100206", "n": "STUD 100 SPRAY FOR MEN 12G", "r": "220236499"}, {"b": "48675242002", "n": "STUDEX SENSITIVE STERILISED CRYSTAL ASSORTED", "r": "220201330"}, {"b": "48675207560", "n": "STUDEX SENSITIVE 304", "r": "220227063"}, {"b": "48675207550", "n": "STUDEX SENSITIVE 60616474", "r": "220227192"}, {"b": "48675209885", "n": "STUDEX SENS 5X5MM GP S749STX", "r": "220221305"}, {"b": "48675932601", "n": "STUDEX SELFPIERCING KIT ASSORDTED", "r": "220225949"}, {"b": "9315064000042", "n": "STUDEX ADVANCED 2 IN 1 PIERCING 100ML", "r": "220215225"}, {"b": "48675820012", "n": "STUDEX EAR PIERCING CARDED GEL 6ML", "r": "220215926"}, {"b": "48675209847", "n": "STUDEX SENS 7MM GP S747STX", "r": "220234368"}, {"b": "5011408062311", "n": "LORLEAL STUDIOLINE REWORK FIBER PUTTY 150ML", "r": "220234259"}, {"b": "5011408053814", "n": "LORLEAL STUDIO OUT OF BED FIBER CRM 150ML", "r": "220221978"}, {"b": "3600520921068", "n": "LOREAL STUDIO INDESTRUCTIBLE GEL 150ML", "r": "220229926"}, {"b": "965013700270", "n": "STUGERON 25MG TABLETS 30S", "r": "220172538"}, {"b": "8426420006279", "n": "SUAVINEX WIDE NECK TEAT S2 L2 6", "r": "220164794"}, {"b": "8426420006811", "n": "SUAVINEX EVO SOOTHER TEAT 6M PINK 2UDS", "r": "220170693"}, {"b": "8426420006644", "n": "SUAVINEX EVO SOOTHER TEAT 06M BLUE", "r": "220152771"}, {"b": "5011025045001", "n": "SUDOCREAM 250GM", "r": "220232924"}, {"b": "5011025044004", "n": "SUDOCREAM 125GM", "r": "220221884"}, {"b": "635797982873", "n": "SUGAR BEAR HAIR VITAMIN GUMMY 60S", "r": "220212981"}, {"b": "9327693004438", "n": "V SUKIN SUPER GRN FCL REC SERUM 30ML", "r": "220073071"}, {"b": "9327693003844", "n": "V SUKIN REVITALISING FACIAL SCRUB 50ML", "r": "220190840"}, {"b": "9327693000706", "n": "V SUKIN ORGANC ROSE HIP OIL 25ML", "r": "220063785"}, {"b": "9327693005343", "n": "V SUKIN OIL BALANCNG  CHAR FCL SCRB 125ML", "r": "220066949"}, {"b": "9327693005329", "n": "V SUKIN OIL BALANCING  CHAR GEL CLNSR 125ML", "r": "220084647"}, {"b": "9327693000348", "n": "V SUKIN NAT DEO 125ML", "r": "220088822"}, {"b": "9327693000508", "n": "V SUKIN MOIST RESTORNG NGHT CRM 120ML", "r": "220065841"}, {"b": "9327693000355", "n": "V SUKIN HYDRTNG MIST TONER 125ML", "r": "220051393"}, {"b": "9327693002687", "n": "V SUKIN HYDRATNG DAY CRM ROSE HIP OIL 120ML", "r": "220077894"}, {"b": "9327693000560", "n": "V SUKIN HYDRATING MIST TONER 50ML", "r": "220191675"}, {"b": "9327693000317", "n": "V SUKIN FOAMING FCL CLNSR 125ML", "r": "220087333"}, {"b": "9327693000294", "n": "V SUKIN FCL MOIST 125ML", "r": "220090023"}, {"b": "9327693000553", "n": "V SUKIN FACIAL MOISTURISER 50ML", "r": "220190638"}, {"b": "9327693004421", "n": "V SUKIN DETOXFYNG FCL SCRUB 125ML", "r": "220075453"}, {"b": "9327693004414", "n": "V SUKIN DETOXFYNG FCL MASQUE 100ML", "r": "220059886"}, {"b": "9327693003707", "n": "V SUKIN BIO NAT SKIN OIL 60ML", "r": "220054986"}, {"b": "41608000207", "n": "SUMMERS EVE BLISSFUL CLEANS WASH 15OZ", "r": "220240300"}, {"b": "41608000436", "n": "SUMMERS EVE FRAGRANCE FREE WASH 15OZ", "r": "220240297"}, {"b": "41608001990", "n": "SUMMERS EVE CLEANS WASH SENS SKIN 9OZ", "r": "220240290"}, {"b": "41608002508", "n": "SUMMERS EVE FEM WASH ALOE LOVE 15OZ", "r": "220240286"}, {"b": "41608002577", "n": "SUMMERS EVE NIGHT CLEANS WASH 12OZ", "r": "220240288"}, {"b": "41608140781", "n": "SUMMERS EVE SENSI CLEANS WASH 15OZ", "r": "220240293"}, {"b": "41608870398", "n": "SUMMERS EVE FEM WASH SENS SKIN 9OZ", "r": "220240295"}, {"b": "41608870497", "n": "SUMMERS EVE SIMPLY SENS WASH 9OZ", "r": "220240287"}, {"b": "41608001457", "n": "SUMMERS EVE DATENIGHT CLEANS WASH 266ML", "r": "220239491"}, {"b": "41608000023", "n": "SUMMERS EVE WASH COCO WATER 12OZ", "r": "220291413"}, {"b": "9327694000873", "n": "SUN ZAPPER ZINC STICK TRIPLE PACK PINK WHITE BLUE SPF50 36G", "r": "220198175"}, {"b": "9650364003578", "n": "SUN ZAPPER ZINC STICK TRIPLE PACK GREEN TAN GOLD SPF50 36G", "r": "220197834"}, {"b": "9327694000866", "n": "SUN ZAPPER ZINC STICK SINGLE PACK SKIN TONE SPF50 12G", "r": "220197953"}, {"b": "9327694000309", "n": "SUN ZAPPER LIP BALM TWIN PACK 85G", "r": "220198058"}, {"b": "9327694000316", "n": "SUN ZAPPER CLEAR ZINC SUN SCREEN LOTION ULTRA SPF50 60ML", "r": "220198106"}, {"b": "9327694000330", "n": "SUN ZAPPER CLEAR ZINC SUN SCREEN LOTION ULTRA SPF50 500ML", "r": "220197990"}, {"b": "9327694000323", "n": "SUN ZAPPER CLEAR ZINC SUN SCREEN LOTION ULTRA SPF50 30ML", "r": "220198199"}, {"b": "9327694000859", "n": "SUN ZAPPER CLEAR ZINC SUN SCREEN LOTION ULTRA SPF50 100ML", "r": "220197881"}, {"b": "35046067007", "n": "V SUNSHINE SUPER VITD3 2000IU 60TABS", "r": "220069820"}, {"b": "35046092047", "n": "V SUNSHINE SUPER VIT D3 10000 IU", "r": "220066959"}, {"b": "859795006601", "n": "V SUNSHINE N ADV COLLAGEN  VIT C 100TABS", "r": "220173684"}, {"b": "83502345916", "n": "V SUNSHINE N LIVER PURIFIER 60CAPS", "r": "220176517"}, {"b": "83502345923", "n": "V SUNSHINE N KIDNEY PURIFIER 60CAPS", "r": "220177804"}, {"b": "83502345886", "n": "V SUNSHINE N DAILY CLEANSE 90CAPS", "r": "220174009"}, {"b": "83502345909", "n": "V SUNSHINE N ULT COLON PURIFIER", "r": "220179078"}, {"b": "810011082915", "n": "VSUNSHINE N VIT C 1000MG EFFERV TAB 20S", "r": "220193780"}, {"b": "810011083929", "n": "SUNSHINE N SUPER IMMUNITY WITH NAC 100 CAPS", "r": "220198793"}, {"b": "810011083936", "n": "SUNSHINE N IMMUNE GUARD 100 CAPS", "r": "220200454"}, {"b": "813523000446", "n": "V SUNSHINE N COOLGUMMY VIT C 60S", "r": "220195041"}, {"b": "813523000453", "n": "V SUNSHINE N COOL GUMMIES VTMN D3 60S", "r": "220195049"}, {"b": "813523000439", "n": "V SUNSHINE N COOL GUMMIES FRT VEG  FIBR 45S", "r": "220194967"}, {"b": "810011082861", "n": "VSUNSHINE N IMUNESUPRT EFF ORNG20S", "r": "220195165"}, {"b": "859795006083", "n": "SUNSHINE N VIT C LOZENGES 30S", "r": "220193086"}, {"b": "859795006182", "n": "SUNSHINE N STRAWBERRY LOZENGES 30S", "r": "220193616"}, {"b": "859795006502", "n": "SUNSHINE N MENTHOL LOZENGES 30S", "r": "220193525"}, {"b": "859795006526", "n": "SUNSHINE N HONEY LEMON SF LOZENGES 30S", "r": "220192988"}, {"b": "859795006519", "n": "SUNSHINE N HONEY LEMON LOZENGES 30S", "r": "220193034"}, {"b": "859795006168", "n": "SUNSHINE N BLACK CHERRY SF LOZENGES 30S", "r": "220193332"}, {"b": "810011082892", "n": "SUNSHINE N SLIM SUPPORT EFFERV TABS 20S", "r": "220207525"}, {"b": "810011082908", "n": "SUNSHINE N MVIT EFFERV TAB 20S", "r": "220206102"}, {"b": "810011083059", "n": "SUNSHINE N BEAUTY SUGAR FREE EFFERV TAB 20S", "r": "220207212"}, {"b": "810011083066", "n": "SUNSHINE N IRON BLOOD EFFERV TAB 20S", "r": "220207090"}, {"b": "810011083073", "n": "SUNSHINE N FIBER APPLE EFFERV TAB 20S", "r": "220207418"}, {"b": "810011083431", "n": "SUNSHINE N EVNING PRMROSEOIL 1300MG 100S", "r": "220211612"}, {"b": "859795006229", "n": "V SUNSHINE N CAL MAG ZINCWITH VIT D3 TAB 100S", "r": "220205743"}, {"b": "859795006113", "n": "V SUNSHINE N OMEGA 3 950MG 100SG", "r": "220211535"}, {"b": "859795006274", "n": "V SUNSHINE N A TO Z WMN MULTIVIT 100TABS", "r": "220211074"}, {"b": "859795006670", "n": "SUNSHINE N GLUCOSAMINE CHONDROITIN  MSM TAB 100S", "r": "220206356"}, {"b": "859795006748", "n": "SUNSHINE N IRON 25 MG CAP 100S", "r": "220211645"}, {"b": "859795006755", "n": "V SUNSHINE N MAGNESIUM 400MG 100TABS", "r": "220211342"}, {"b": "813523001467", "n": "V SUNSHINE N COOL GUMIES MULTIVITMIN 120S", "r": "220207102"}, {"b": "813523001498", "n": "V SUNSHINE N COOL GUMMIES VIT C 120S", "r": "220211270"}, {"b": "813523001511", "n": "V SUNSHINE N COOL GUMMIES FRT VEG FBR 90S", "r": "220207115"}, {"b": "813523001504", "n": "V SUNSHINE N COOL GUMIES VIT D3 120S", "r": "220206168"}, {"b": "813523001474", "n": "V SUNSHINE N COOL GUMIES OMG3 120S", "r": "220207150"}, {"b": "813523001481", "n": "V SUNSHINE N COOL GUMIES CALVITD3 120S", "r": "220207470"}, {"b": "859795006915", "n": "SUNSHINE N VITAMIN B12 1000MCG TAB 100S", "r": "220209915"}, {"b": "810011082885", "n": "SUNSHINE N ELECTROLYTE EFFERV TAB 20S", "r": "220209727"}, {"b": "810011083080", "n": "SUNSHINE N KIDS MVIT EFFERV TAB 20S", "r": "220210039"}, {"b": "859795006106", "n": "V SUNSHINE N ORG FLAXSEED OIL OMEGA 369 SG 100S", "r": "220065107"}, {"b": "859795006137", "n": "SUNSHINE N COD LIVER OIL SG 100S", "r": "220059722"}, {"b": "859795006236", "n": "V SUNSHINE N CAL WITH VIT D3 TAB 100S", "r": "220084462"}, {"b": "859795006069", "n": "VSUNSHINE N VITC1000MG RSHP TAB100S", "r": "220076386"}, {"b": "859795006243", "n": "V SUNSHINE N BIOTIN 5000 MCG CAP 100S", "r": "220054795"}, {"b": "859795006564", "n": "V SUNSHINE N MULTIVITAMIN EFF TAB 20S", "r": "220078494"}, {"b": "859795006571", "n": "V SUNSHINE N CALCIUM  VIT D3 EFF TAB 20S", "r": "220059733"}, {"b": "859795006588", "n": "V SUNSHINE N CA MAG  ZN EFF TAB 20S", "r": "220067052"}, {"b": "859795006304", "n": "VSUNSHINE N VITC 1GM ORNG EFFER20S", "r": "220081035"}, {"b": "859795006144", "n": "V SUNSHINE N HIGH POTENCY MAG WITH B6 TAB 100S", "r": "220062853"}, {"b": "813523000064", "n": "VSUNSHINE N COOLGUMMY VEGAN MV", "r": "220078160"}, {"b": "813523000071", "n": "VSUNSHINE N COOLGUMMY OMEGA3 DHA", "r": "220057221"}, {"b": "813523000194", "n": "V SUNSHINE N COOL GUMMIES CALCIUM WD3", "r": "220075052"}, {"b": "859795006595", "n": "V SUNSHINE N ISOTONIC ELECTROLYTE EFFERVESCENT 20TAB", "r": "220067949"}, {"b": "859795006250", "n": "SUNSHINE N BCOMPLEX TAB 100S", "r": "220211502"}, {"b": "859795006281", "n": "V SUNSHINE N A TO Z MENS MULTIVIT 100TABS", "r": "220211334"}, {"b": "859795006151", "n": "V SUNSHINE N KOREAN GINSENG 100CAPS", "r": "220210941"}, {"b": "859795006014", "n": "V SUNSHINE N VIT E 400IU 100SG", "r": "220211150"}, {"b": "859795006052", "n": "V SUNSHINE N VIT C 500 MG TAB 100S", "r": "220195680"}, {"b": "190853001207", "n": "V SUNSHINE N PROPOLIS RAW HONEY SYRUP 150ML", "r": "220190633"}, {"b": "859795006120", "n": "SUNSHINE N OMEGA 3 FISHOIL CONC 1000MG SG100", "r": "220051388"}, {"b": "810011083912", "n": "SUNSHINE N IMMUNITY SUPPORT BREATHE EASY 100 TABS", "r": "220199135"}, {"b": "810011083905", "n": "SUNSHINE N IMMUNITY ENHANCE WITH PREBIO 100 CAPS", "r": "220199525"}, {"b": "5060320560412", "n": "SUN VIT VIT D 1000IU 100 TABLETS", "r": "220211727"}, {"b": "8904091102211", "n": "SUPIROCIN 2 15 GM OINTMENT", "r": "220155821"}, {"b": "6297000448343", "n": "SYNERGY FOLACTIVE 400MG TAB 60S", "r": "220059874"}, {"b": "6297000448077", "n": "SYNERGY VITA D 10000 IU TAB 30S", "r": "220079051"}, {"b": "6297000448312", "n": "SYNERGY  DHA SUNDROPS VITDDHA DRPS 30ML", "r": "220001232"}, {"b": "6297000448220", "n": "SYNERGY SUNDROPS VIT D 400IU DRPS 50ML", "r": "220076514"}, {"b": "6297000448084", "n": "SYNERGY VITAMIN D 50000 IU TAB 15S", "r": "220226122"}, {"b": "6297000448091", "n": "SYNERGY SUNTAB VITD 400IU CHEW TAB 60S", "r": "220071618"}, {"b": "6297000448022", "n": "SYNERGY MAGNESIUM VITB6 TAB 30S", "r": "220161015"}, {"b": "6297000448008", "n": "SYNERGY VITA D 1000 IU TAB 60S", "r": "220078153"}, {"b": "800003303170", "n": "SUPRAVIT SUPRALAX SENNAVITC", "r": "220169245"}, {"b": "6251065019900", "n": "SUPRAX 400MG 6 CAPS", "r": "220234416"}, {"b": "6251065019863", "n": "SUPRAX 200MG 6 CAPS", "r": "220154034"}, {"b": "965017900017", "n": "SUPRAX 1005ML SUSP 60ML", "r": "220157638"}, {"b": "6251065019856", "n": "SUPRAX 1005ML SUSP 30ML", "r": "220235248"}, {"b": "8002660035769", "n": "SURBEX WOMAN PRO 30 CAPSULES", "r": "220281179"}, {"b": "8002660035776", "n": "SURBEX MAN PRO 30 CAPSULES", "r": "220281174"}, {"b": "8002660035783", "n": "SURBEX CALCUIM PLUS 30 CAPSULES", "r": "220281175"}, {"b": "8002660035790", "n": "SURBEX KIDS PLUS 60 CAPSULES", "r": "220281177"}, {"b": "628157000126", "n": "SURETHIKHAIR THICKENING FIBER 30G LIGHT BROWN", "r": "220060033"}, {"b": "628157000119", "n": "SURETHIK HAIR THICKENING FIBER 30G MED BROWN", "r": "220066799"}, {"b": "628157000140", "n": "SURETHIK HAIR THICKENING FIBER 30G BLACK", "r": "220081014"}, {"b": "628157001093", "n": "SURETHIK EYE BROW THICKENING FIBERS LIGHT BROWN", "r": "220054972"}, {"b": "628157001086", "n": "SURETHIK EYE BROW THICKENING FIBER MED BROWN", "r": "220088891"}, {"b": "628157000638", "n": "SURETHIK EYE BROW THICKENING FIBER DARK BROWN", "r": "220110334"}, {"b": "7640128014867", "n": "TAMIFLU 75MG CAPSULES 10S", "r": "220190556"}, {"b": "3401360060722", "n": "SVR TOPIALYSE BAUME 200ML", "r": "220194853"}, {"b": "3401360167827", "n": "SVR SUN SECURE SPF50 CREAM 50ML", "r": "220217997"}, {"b": "3401360288188", "n": "SVR SPIRIAL SPRAY ANTI TRANSPIRANT 75ML", "r": "220234647"}, {"b": "3662361000364", "n": "SVR SEBIACLEAR SERUM 30ML", "r": "220194384"}, {"b": "3401381332617", "n": "SVR SEBIACLEAR GEL MOUSSANT 200 ML", "r": "220220585"}, {"b": "3401381332266", "n": "SVR SEBIACLEAR CREME SPF50 50 ML", "r": "220223470"}, {"b": "3401381331436", "n": "SVR SEBIACLEAR ACTIVE CREAM 40ML", "r": "220233922"}, {"b": "3401360025042", "n": "SVR LIFTIANE SERUM 30ML", "r": "220194726"}, {"b": "3401360025035", "n": "SVR LIFTIANE CRME 40ML", "r": "220194389"}, {"b": "3401360237957", "n": "SVR HYDRACID C50 MASQUE 50ML", "r": "220196147"}, {"b": "3401346462885", "n": "SVR HYDRACID C20 CREAM 30ML", "r": "220225241"}, {"b": "3401320541582", "n": "SVR DEODORANT ROLL ON 50ML", "r": "220225571"}, {"b": "3401347928779", "n": "SVR DENSITIUM CRME 50ML", "r": "220194832"}, {"b": "3401347928540", "n": "SVR DENSITIUM CONTOUR YEUX 5ML", "r": "220194117"}, {"b": "3401398845322", "n": "SVR CLAIRIAL SPF50 50 MLLUM VISIBLE 50ML", "r": "220195832"}, {"b": "3401381382353", "n": "SVR XERIAL 50 EXTREME CREAM 50ML", "r": "220228253"}, {"b": "3401395566091", "n": "SVR XERIAL 40 NAIL 10ML", "r": "220205690"}, {"b": "3401395565841", "n": "SVR XERIAL 30 CREAM 100ML", "r": "220236529"}, {"b": "3401395565490", "n": "SVR XERIAL 10 LAIT CORPS 200 ML", "r": "220234078"}, {"b": "3401381381981", "n": "SVR TOPIALYSE MAINS SECHES 50ML", "r": "220206188"}, {"b": "3401360215825", "n": "SVR TOPIALYSE EMOLIENT CREAM 200ML", "r": "220205109"}, {"b": "3401360215832", "n": "SVR TOPIALYSE BAUME LAVANT 200 ML", "r": "220207345"}, {"b": "3401360167834", "n": "SVR SUN SECURE ULTRA REP 200 ML", "r": "220206042"}, {"b": "3401320541643", "n": "SVR SPIRIAL ANTI PERSPRNT DEO CREAM 50ML", "r": "220235888"}, {"b": "3401381332037", "n": "SVR SEBIACLEAR CICAPEL ANTI ACNE GEL 15 ML", "r": "220221348"}, {"b": "3401360060753", "n": "SVR CLAIRIAL SERUM 30ML", "r": "220205557"}, {"b": "3401344442773", "n": "SVR CLAIRIAL PEEL 30 ML", "r": "220205989"}, {"b": "3401344502200", "n": "SVR CICAVIT CREAM 100 ML", "r": "220206246"}, {"b": "3401360167803", "n": "SVR SUN SECURE SPF50 CREAM 50ML", "r": "220216909"}, {"b": "3401381382933", "n": "SVR CLAIRIAL CC CREME SPF50 40ML", "r": "220219104"}, {"b": "3401360238091", "n": "SVR XERIAL PEEL MASK EXFOLIANT PIES 1SET", "r": "220225722"}, {"b": "7350100161020", "n": "SWATI CONTACT LENS TURQUOISE 6 MONTHS 2S", "r": "129861912"}, {"b": "7350100161563", "n": "SWATI CONTACT LENS SAPPHIRE 6 MONTHS 2S", "r": "220214189"}, {"b": "7350100161044", "n": "SWATI CONTACT LENS SANDSTONE 6 MONTHS 2S", "r": "220214731"}, {"b": "7350100160276", "n": "SWATI CONTACT LENS PEARL 6 MONTHS 2S", "r": "220214727"}, {"b": "7350100160016", "n": "SWATI CONTACT LENS JADE 6 MONTHS 2S", "r": "220214847"}, {"b": "7350100160535", "n": "SWATI CONTACT LENS HONEY 6 MONTHS 2S", "r": "220215001"}, {"b": "7350100161303", "n": "SWATI CONTACT LENS BRONZE 6 MONTHS 2S", "r": "220214372"}, {"b": "7350100162058", "n": "SWATI CONTACT LENS AQUAMARINE 6 MONTH 2S", "r": "220214245"}, {"b": "7350100163673", "n": "SWATI COSMETICS SAPPHIRE 1 MONTH 2S", "r": "220214354"}, {"b": "7350100162898", "n": "SWATI CONTACT LENS TURQUOISE 1 MONTH 2S", "r": "220214177"}, {"b": "7350100163154", "n": "SWATI CONTACT LENS SANDSTONE 1 MONTH 2S", "r": "220214519"}, {"b": "7350100162379", "n": "SWATI CONTACT LENS PEARL 1 MONTH 2S", "r": "220214311"}, {"b": "7350100162119", "n": "SWATI CONTACT LENS JADE 1 MONTH 2S", "r": "220214163"}, {"b": "7350100162638", "n": "SWATI CONTACT LENS HONEY 1 MONTH 2S", "r": "220214906"}, {"b": "7350100163413", "n": "SWATI CONTACT LENS BRONZE 1 MONTH 2S", "r": "220214164"}, {"b": "7350100163932", "n": "SWATI CONTACT LENS AQUAMARINE 1 MONTH 2S", "r": "220214305"}, {"b": "7309871929391", "n": "SWEDISH NATURA COLLAGEN HAIR SKIN & NAILS LIQUID 500ML", "r": "129826889"}, {"b": "7301337323422", "n": "SWEDISH NATURA COLLAGEN 10000 FISH PURE PEPTIDE POWDER\u00a0 300GM", "r": "129816897"}, {"b": "7301337278319", "n": "SWEDISH NATURA COLLAGEN 10000 FISH PURE PEPTIDE LIQUID 500ML", "r": "129826893"}, {"b": "7301238271969", "n": "SWEDISH NATURA HYALURONIC ACID 500ML", "r": "129816899"}, {"b": "7980351379994", "n": "BLACK DISPOSABLE MASK", "r": "220205064"}, {"b": "6287005511389", "n": "BLUE DISPOSABLE MASK", "r": "220204775"}, {"b": "6934044100119", "n": "SWIFT 3D PROTECT 4LAYER MASK 50S", "r": "220209254"}, {"b": "7640140380469", "n": "SWISSCODE PURE REPAIR COMPLEX 15ML", "r": "220063519"}, {"b": "7640140380421", "n": "SWISSCODE PURE HYALURON", "r": "220057731"}, {"b": "7640140380483", "n": "SWISSCODE PURE GENISTEIN", "r": "220082496"}, {"b": "7321832413107", "n": "SYMBICORT TH 16045 120S", "r": "220162603"}, {"b": "6297000448268", "n": "SYNERGY TESTOMAN CAPS 30S", "r": "220198079"}, {"b": "6297000448053", "n": "SYNERGY CRANBIOTIX CAPS 30S", "r": "220197931"}, {"b": "6297000448107", "n": "GLOBIFER FORTE 600MG 40TABS", "r": "220197601"}, {"b": "6297000448589", "n": "GLOBIFER ULTRA IRON FOLIC A B12 TAB 40S", "r": "220230055"}, {"b": "6297000448046", "n": "ULTRAD VITAMIN D3 5000 IUTABLET 60S", "r": "220235239"}, {"b": "6297000448336", "n": "HEME BEARS IRON 6MG GUMMY BEARS 60S", "r": "220233516"}, {"b": "6297000448404", "n": "ULTRAD VITAMIN D3 200 IUDROP 15ML", "r": "220231329"}, {"b": "6297000448763", "n": "INFABIOL INFAN PROBIOTIC DROPS 7ML", "r": "220225294"}, {"b": "300658052124", "n": "SYSTANE LID WIPES  MAKEUP REMOVER 30S", "r": "220217980"}, {"b": "300651437096", "n": "SYSTANE HYDRATION UD 30 VIALS", "r": "220210193"}, {"b": "8427324890926", "n": "SYSTANE ULTRA MD LUBRICANT EYEDROPS 10ML", "r": "220225492"}, {"b": "9650160002959", "n": "SYSTANE ULTRA UDV 30X07ML", "r": "220153824"}, {"b": "8427324891527", "n": "SYSTANE GEL EYE DROPS 10ML", "r": "220155816"}, {"b": "8427324832506", "n": "SYSTANE 10ML EYE DRP", "r": "220185476"}, {"b": "300651433548", "n": "SYSTANE BLANCE ADV LUBRCNT EYEDROPS 10ML", "r": "220231609"}, {"b": "6251159028634", "n": "TAKEPRON 30MG CAPS 14S", "r": "220233191"}, {"b": "6251159028627", "n": "TAKEPRON 15MG CAPS 14S", "r": "220216332"}, {"b": "965013700272", "n": "TEEJEL GEL 10GM", "r": "220167314"}, {"b": "73010712867", "n": "TAMPAX PEARL REGULAR 16S", "r": "220208001"}, {"b": "73010712881", "n": "TAMPAX PEARL SUPER 16S", "r": "220205689"}, {"b": "4015400829355", "n": "TAMPAX REGULAR 12S", "r": "220162581"}, {"b": "4015400829966", "n": "TAMPAX SUPER 12S", "r": "220154739"}, {"b": "4015400829324", "n": "TAMPAX SUPER PLUS 12S", "r": "220161050"}, {"b": "4015400219620", "n": "TAMPAX COMPAK SUPER PLUS 16S", "r": "220207017"}, {"b": "8806330475721", "n": "V TENET NAIL DECORATION", "r": "220075058"}, {"b": "8806330475790", "n": "TENET 82059G NAIL DECOR", "r": "220216527"}, {"b": "5060630041427", "n": "TGLE TZR WET DETANGLING HAIRBRUSH", "r": "220174510"}, {"b": "5060630048655", "n": "TGLE THE FINISHER", "r": "220207370"}, {"b": "5060630041205", "n": "TGLE EASY DRY  GO", "r": "220206291"}, {"b": "5060173370718", "n": "TT ULTIMATE BLACK HAIR BRUSH", "r": "220228582"}, {"b": "5060173371234", "n": "TT THE ULTIMATE PINK", "r": "220228267"}, {"b": "5060173370817", "n": "TT ORIGINAL CORAL PEACH", "r": "220225450"}, {"b": "5060173370046", "n": "TT DETANGLE HAIR BRUSH GOLD RUSH", "r": "220179561"}, {"b": "5060173372347", "n": "TT DETANGLE BRUSH THICKAFRO SALSA RED", "r": "220221484"}, {"b": "5060173373979", "n": "TT COMPACT STYLER ON THE GO DETANGLING HAIR BRUSH", "r": "220231719"}, {"b": "5060173370350", "n": "TT BLOW STYLING ROUND TOOL LARGE HAIR BRUSH", "r": "220230906"}, {"b": "5060173370534", "n": "TT BLOW STYLING HAIR BRUSH HALF PADDLE", "r": "220114425"}, {"b": "5060173373719", "n": "TT BACKCOMBING HAIR BRUSH", "r": "220236501"}, {"b": "5060173374891", "n": "TT ULTIMATE PURPLE HAIR BRUSH", "r": "220229837"}, {"b": "5060173372019", "n": "TT STYLER PINK SIZZLE HAIR BRUSH", "r": "220119100"}, {"b": "5060173370329", "n": "TT BLOW STYLING ROUND TOOL SMALL HAIR BRUSH", "r": "220229478"}, {"b": "5060173370558", "n": "TT BLOW STYLING HAIR BRUSH FULL PADDLE", "r": "220001870"}, {"b": "5900793000582", "n": "TANITA XPRES DEPIL BDY CRM 3MIN", "r": "220185362"}, {"b": "5900793034556", "n": "TANITA SHAVING GEL ALOE", "r": "220183971"}, {"b": "5903216513409", "n": "TANITA HONEY BODY WAX STRP 12S", "r": "220186597"}, {"b": "5903216513805", "n": "TANITA DEPIL CRM BODY PARTS", "r": "220184321"}, {"b": "5900793035652", "n": "TANITA ARGAN OIL BODY WAX STRP 12S", "r": "220184621"}, {"b": "5900793035676", "n": "TANITA ARGAN OIL BKN WAX STRP 12S", "r": "220185653"}, {"b": "5903216493602", "n": "TANITA ALOEVERA FCL WAX STRP 12S", "r": "220182415"}, {"b": "5903216493701", "n": "TANITA ALOEVERA BODY WAX STRP 12S", "r": "220184785"}, {"b": "6271100980088", "n": "TARA RESTORE HIAR MASK 200ML", "r": "220229634"}, {"b": "850008289163", "n": "TARA RADIANCE VITC SERUM", "r": "220233043"}, {"b": "850008289040", "n": "TARA PURIFY DEEP CLEANSIG CLAY MASK 50ML", "r": "220227544"}, {"b": "6271100980231", "n": "TARA ONION REMEDY SYSTEM KIT FOR HAIR", "r": "220234655"}, {"b": "6271100980224", "n": "TARA ONION REMEDY CONCENTRATE 15ML", "r": "220222300"}, {"b": "850008289156", "n": "TARA NURTURE SYSTEM KIT FOR HAIR", "r": "220216418"}, {"b": "850008289064", "n": "TARA NOURISH PURE ARGAN OIL 30ML", "r": "220220961"}, {"b": "850008289057", "n": "TARA GLOW NOURISHING DRY OIL 30ML", "r": "220227100"}, {"b": "9650137005761", "n": "TARDYFERON 80MG TAB 30S", "r": "220162974"}, {"b": "3582910029250", "n": "TARIVID 200MG TABLETS 10S", "r": "220164634"}, {"b": "3582910029243", "n": "TAVANIC 500MG TABLETS 7S", "r": "220169468"}, {"b": "3582910033592", "n": "TAVANIC TABLETS 500MG 5S", "r": "220219162"}, {"b": "9312146006633", "n": "TP TT ANTISEPTIC CREAM 125ML", "r": "220167349"}, {"b": "9312146001270", "n": "TP 100 PURE TEA TREE OIL 25ML", "r": "220169808"}, {"b": "965013700377", "n": "TEGRETOL CR 400MG TAB 30S", "r": "220168309"}, {"b": "965013700274", "n": "TEGRETOL CR 200MG TABLETS 50S", "r": "220168767"}, {"b": "965013700273", "n": "TEGRETOL 200MG TABLETS 50S", "r": "220162971"}, {"b": "965013700202", "n": "TEGRETOL 2 SYRUP 100ML", "r": "220157974"}, {"b": "8021293001408", "n": "TEK WIDE TEETH COMB WITH HANDLE", "r": "220346230"}, {"b": "8021293001507", "n": "TEK THICK TEETH COMB WITH HANDLE", "r": "220346170"}, {"b": "8021293031009", "n": "TEK SMALL COMB WITH WIDE TEETH ASTD", "r": "220346217"}, {"b": "8021293000500", "n": "TEK RECTANGULAR BRUSH", "r": "220346160"}, {"b": "8021293048700", "n": "TEK PURSE OVAL BRUSH  COMB COTTON BAG ASTD", "r": "220059728"}, {"b": "8021293052707", "n": "TEK LITTLE OVAL PURSE BRUSH ASSORTED", "r": "220346267"}, {"b": "8021293001705", "n": "TEK COMB WITH THICK AND WIDE TEETH", "r": "220346197"}, {"b": "8021293056200", "n": "TEK BIG RECTANG BRUSH SHORT WOODEN PINS", "r": "220346239"}, {"b": "8021293000401", "n": "TEK BIG OVAL BRUSH", "r": "220346226"}, {"b": "8021293064205", "n": "TEK BABY BRUSH WITH NATURAL BRISTLES", "r": "220075571"}, {"b": "8021293009107", "n": "TEK AFRO COMB ASSORTED", "r": "220346222"}, {"b": "3582910069102", "n": "TELFAST D TAB 10S", "r": "220193298"}, {"b": "3664798031966", "n": "TELFAST TAB 180 MG 30S", "r": "220172600"}, {"b": "3664798031980", "n": "TELFAST TAB 120 MG 30S", "r": "220175508"}, {"b": "3664798031997", "n": "TELFAST 180MG TABLETS 15S", "r": "220002473"}, {"b": "3582910080435", "n": "TELFAST TABLETS 120MG 15S", "r": "220219268"}, {"b": "6224007240489", "n": "TEMPO COOL INFANT 4 SHEETS", "r": "220232362"}, {"b": "9650142000140", "n": "TEMPO COOL 2S 1 YEAR PLUS", "r": "220165262"}, {"b": "44224102058", "n": "TENDER BENS TICKINSECT REPLNT SPRY37ML", "r": "220157612"}, {"b": "44224610805", "n": "TENDER AFTER BITE KIDS", "r": "220159193"}, {"b": "44224610607", "n": "TENDER AFTER BITE 14ML", "r": "220157403"}, {"b": "50726806", "n": "TENDER NAIL THE HABIT", "r": "220154096"}, {"b": "5000455017382", "n": "TENORETIC TABLETS 100MG 28S", "r": "220227123"}, {"b": "5000456032032", "n": "TENORMIN 100MG TABS 28S", "r": "220235280"}, {"b": "5000456032025", "n": "TENORMIN 50MG TABS 28S", "r": "220233624"}, {"b": "5000456032001", "n": "TENORMIN 25MG TABLETS 28S", "r": "220235065"}, {"b": "9650364002588", "n": "TERMINATOR LICE COMB WITH LONG TEETH", "r": "220184922"}, {"b": "965014600063", "n": "TETRACYCLINE 250MG CAP", "r": "220163708"}, {"b": "3499320002981", "n": "TETRALYSAL 300MG 16 CAPSULES", "r": "220225459"}, {"b": "91639011130", "n": "THAI CRYSTAL WIDE STICK DEODORANT 70GM", "r": "220210288"}, {"b": "91639820527", "n": "THAI CRYSTAL DEODORANT STICK 120GM", "r": "220210723"}, {"b": "91639602789", "n": "THAI CRYSTAL DEODORANT ROLLON", "r": "220210597"}, {"b": "91639906597", "n": "THAI CRYSTAL DEODORANT MIST SPRAY 240ML", "r": "220210616"}, {"b": "91639314002", "n": "THAI CRYSTAL DEODORANT MINI STICK 60GM", "r": "220210354"}, {"b": "91639212575", "n": "THAI CRYSTAL ROLL ON TEA TREEFLORAL 3OZ", "r": "220236791"}, {"b": "91639623807", "n": "THAI CRYSTAL ROLL ON LAVENDERJASMIN 3OZ", "r": "220237684"}, {"b": "91639128449", "n": "THAI CRYSTAL ROLL ON FLORAL 3 OZ", "r": "220237928"}, {"b": "91639553180", "n": "THAI CRYSTAL ROLL ON CITRUSJUNIPER 3OZ", "r": "220238716"}, {"b": "91639572112", "n": "THAI CRYSTAL MIST TEA TREEEUCALYPT 8OZ", "r": "220239938"}, {"b": "91639117856", "n": "THAI CRYSTAL MIST TEA TREE  FLORAL 8OZ", "r": "220236936"}, {"b": "91639714833", "n": "THAI CRYSTAL MIST LAVENDER JASMINE 8OZ", "r": "220237972"}, {"b": "91639128197", "n": "THAI CRYSTAL MIST FLORAL 8 OZ", "r": "220238118"}, {"b": "91639401580", "n": "THAI CRYSTAL MIST CITRUS  JUNIPER 8 OZ", "r": "220239910"}, {"b": "849980058270", "n": "THE CREME SHOP POWER FUSION CLEANSING TOWELETTES ROSE  PEACH", "r": "220239744"}, {"b": "849980049315", "n": "THE CREME SHOP COMPLETE MANICURE SET WITH POUCH  BLACK", "r": "220237766"}, {"b": "849980045904", "n": "TCS OVERNIGHT LIP THERAPY VANILLA CRME", "r": "220239691"}, {"b": "849980042927", "n": "TCS LITTLE GOLD MASK PEELOFF MASK 100ML", "r": "220236760"}, {"b": "849980066305", "n": "TCS HOLIDAY ROSE HIP OIL GELEE MASK OVERNIGHT TREATMENT", "r": "220237975"}, {"b": "849980040619", "n": "TCS GLITTER SWEET PEELOFF MASK PINK FANTASY", "r": "220236957"}, {"b": "849980049865", "n": "TCS FRESH CBD TONER MIST", "r": "220239495"}, {"b": "849980046482", "n": "TCS CICAMEND RESTORING SERUM NEROLI OIL  WITCH HAZEL  SALICYLIC ACID 30ML", "r": "220236902"}, {"b": "639738171173", "n": "TG HAIR NAIL  SKIN GUMMY ADULTS", "r": "220211541"}, {"b": "639738171227", "n": "TG APPLE CIDER VINEGAR GUMMY ADULTS", "r": "220210980"}, {"b": "639738166582", "n": "TG COLLAGEN HAIR SKIN NAILS JOINT  BONES ADULTS 60S", "r": "220169742"}, {"b": "639738166346", "n": "TG RASPBERRY KETONES 60 GUMMIES", "r": "220172636"}, {"b": "639738166353", "n": "TG GREEN COFFEE 60 GUMMIES", "r": "220169192"}, {"b": "639738166360", "n": "TG GARCINIA CAMBOGIA 60 GUMMIES", "r": "220170427"}, {"b": "639738166551", "n": "VTG OMEGA 3 GUMMY VITAMIN KIDS 60S", "r": "220169978"}, {"b": "639738166445", "n": "VTG VIT CBETA CRTN KIDS GUMMY 50S", "r": "220165288"}, {"b": "639738166469", "n": "VTG MULTI GUMMY VITAMIN KIDS 100S", "r": "220170828"}, {"b": "639738166483", "n": "VTG PRPOLSECHNCEA KIDS GUMMY 100S", "r": "220166660"}, {"b": "639738166476", "n": "VTG VIT D GUMMY FOR KID 100S", "r": "220169743"}, {"b": "639738166377", "n": "VTG VITAMIN C KIDS 50 GUMMY", "r": "220155928"}, {"b": "639738171326", "n": "VTG PROBIOTIC GUMMY VITAMINS KIDS 100S", "r": "220169333"}, {"b": "639738171319", "n": "TG CALCIUM PLUS VITAMIN D ADULTS 100S", "r": "220170351"}, {"b": "769915190762", "n": "THE ORDNRY HIGHADHERENCE SILICONE PRIMER 30ML", "r": "220225244"}, {"b": "769915190496", "n": "THE ORDNRY 100 ORG MOROCCAN ARGN OIL 30ML", "r": "220222500"}, {"b": "769915193596", "n": "THE ORDINARY VITAMIN C SUSPENSION 30 IN SILICONE 30ML", "r": "220194155"}, {"b": "769915194791", "n": "THE ORDINARY SQUALANE CLEANSER 50 ML", "r": "220195169"}, {"b": "769915194890", "n": "THE ORDINARY SQUALANE CLEANSER 150ML", "r": "220193778"}, {"b": "769915194852", "n": "THE ORDINARY SALICYLIC ACID 2 MASQUE 50ML", "r": "220194891"}, {"b": "769915194012", "n": "THE ORDINARY RETINOL 05 IN SQUALANE 30ML", "r": "220195948"}, {"b": "769915190311", "n": "THE ORDINARY NIACINAMIDE 10ZINC 130ML", "r": "220227038"}, {"b": "769915190168", "n": "THE ORDINARY MATRIXYL 10  HA 30 ML", "r": "220196123"}, {"b": "769915194371", "n": "THE ORDINARY MARINE HYALURONICS 30ML", "r": "220232161"}, {"b": "769915190373", "n": "THE ORDINARY LACTIC ACID 10  HA 30ML", "r": "220229028"}, {"b": "769915194760", "n": "THE ORDINARY HYDRANTOR  OILS PLANTDERIVED HEMISQUALANE 30ML", "r": "220195884"}, {"b": "769915194982", "n": "THE ORDINARY HYDRANTOR  OILS HYALURONIC ACID 2  B5 60ML", "r": "220195417"}, {"b": "769915194678", "n": "THE ORDINARY HYDRANTOR  OILS B OIL 30ML", "r": "220196201"}, {"b": "769915190885", "n": "THE ORDINARY HYDRANTOR  OILS 100 PLANT DERIVED SQUALANE 30ML", "r": "220195122"}, {"b": "769915194616", "n": "THE ORDINARY HYDRANTOR  OILS 100 ORGANIC VIRGIN CHIA SEED OIL 30ML", "r": "220193921"}, {"b": "769915194586", "n": "THE ORDINARY HYDRANTOR  OILS 100 ORGANIC COLD PRESSED BORAGE SEED OIL 30ML", "r": "220195308"}, {"b": "769915194555", "n": "THE ORDINARY HYDRANTOR  OILS 100  ORGANIC VIRGIN SEA BUCKTHORN FRUIT OIL 30ML", "r": "220195492"}, {"b": "769915190971", "n": "THE ORDINARY GLYCOLIC ACID 7 TONING SOLUTION", "r": "220200715"}, {"b": "769915194463", "n": "THE ORDINARY ETHYLATED ASCORBIC ACID 15 SOLUTION 30ML", "r": "220194856"}, {"b": "769915190854", "n": "THE ORDINARY COLOURS HIGH SPREADABILITY FLUID PRIMER 30ML", "r": "220195719"}, {"b": "769915190670", "n": "THE ORDINARY CAFFEINE SOL 5  EGCG 30ML", "r": "220219612"}, {"b": "769915190403", "n": "THE ORDINARY BUFFET SERUM 30ML", "r": "220235572"}, {"b": "769915194920", "n": "THE ORDINARY BUFFET SERUM 30ML", "r": "220195593"}, {"b": "769915194494", "n": "THE ORDINARY BUFFET COPPER PEPTIDES 1 SERUM 30ML", "r": "220195962"}, {"b": "769915194524", "n": "THE ORDINARY ASCORBIC ACID 8  ALPHA ARBUTIN 2 30ML", "r": "220194245"}, {"b": "769915190946", "n": "THE ORDINARY ARGIRELINE SOLUTION 10 30ML", "r": "220196107"}, {"b": "769915194739", "n": "THE ORDINARY ANTIOXIDANTS PYCNOGENOL 5 15ML", "r": "220194160"}, {"b": "769915194074", "n": "THE ORDINARY ANTIOXIDANT EUK 134 01 HIGH POTENCY FORMULA 30ML", "r": "220194362"}, {"b": "769915194708", "n": "THE ORDINARY AMINO ACIDS B5 30ML", "r": "220225885"}, {"b": "769915190250", "n": "THE ORDINARY ALPHA ARBUTIN 2  HA 30ML", "r": "220233465"}, {"b": "769915190823", "n": "THE ORDINARY 100 PERCENT COLD PRESSED VIRGIN MARULA OIL 30ML", "r": "220194390"}, {"b": "769915190700", "n": "THE ORD VIT C SUSPNSN 23  HA SPHERES 2 30ML", "r": "220231910"}, {"b": "769915193657", "n": "THE ORD NTRL MSTRZNG FCTRS HA SRFCE HYDRTN 100ML", "r": "220217025"}, {"b": "769915190731", "n": "THE ORD NAT MSTRZNG FCTRSHA 30ML MSTZR HYLRNC ACD", "r": "220221058"}, {"b": "769915194647", "n": "THE ORD MULTIPEPTIDE SRM FOR HAIR DNSTY 60ML", "r": "220231179"}, {"b": "769915194432", "n": "THE ORD MNDLC ACD 10 HA WITH AHA  HACD 30ML", "r": "220226036"}, {"b": "769915190199", "n": "THE ORD HYALURNC ACID 2  B5 30ML", "r": "220231472"}, {"b": "769915190618", "n": "THE ORD ASCRBYL TTRAISPLMTATE SOL 20 VIT F 30ML", "r": "220230537"}, {"b": "769915190649", "n": "THE ORD ASCORBYL GLUCOSIDE SOL 12 30ML", "r": "220235407"}, {"b": "769915191004", "n": "THE ORD AHA 30 PLUS BHA 2 PEELING SLTN", "r": "220233514"}, {"b": "769915190342", "n": "THE ORD 100 ORG CP ROSE HIP SD OIL 30ML", "r": "220216688"}, {"b": "5060056489674", "n": "SANC SPA COOLING GLACIAL SCRUB 400G", "r": "220170426"}, {"b": "5060056480985", "n": "SANC SPA BODY LOTION 250ML", "r": "220165520"}, {"b": "814892020110", "n": "THERA PEARL WRIST WARP", "r": "220162764"}, {"b": "814892020004", "n": "THERA PEARL SPORTS PACK MULTI ZONE", "r": "220161160"}, {"b": "814892020028", "n": "THERA PEARL PUPPY KIDS PACK", "r": "220160059"}, {"b": "814892020059", "n": "THERA PEARL NECK WARP", "r": "220154976"}, {"b": "814892020035", "n": "THERA PEARL KNEE WRAP", "r": "220157322"}, {"b": "814892020073", "n": "THERA PEARL FROG KIDS PACK", "r": "220166268"}, {"b": "814892020103", "n": "THERA PEARL FACE MASK", "r": "220170565"}, {"b": "814892020042", "n": "THERA PEARL BACK WARP", "r": "220162288"}, {"b": "5900793044395", "n": "MIRACULUM THERMAL WATER TWOPHASE MICELLAR LOTION 125ML", "r": "220237726"}, {"b": "5900793044494", "n": "MIRACULUM THERMAL WATER MICRO EXFOLIATING FACE WASH SCRUB 150ML", "r": "220239461"}, {"b": "5900793044371", "n": "MIRACULUM THERMAL WATER MICELLAR LOTION 200ML", "r": "220237863"}, {"b": "5900793044418", "n": "MIRACULUM THERMAL WATER FACE SERUM INTENSELY MOISTURIZING 30ML", "r": "220236663"}, {"b": "5900793044470", "n": "MIRACULUM THERMAL WATER EYE SERUM ACTIVELY MOISTURIZING 20ML", "r": "220240260"}, {"b": "5900793044456", "n": "MIRACULUM THERMAL WATER ACTIVELY MOISTURIZING NIGHT CREAM 50ML", "r": "220237603"}, {"b": "5900793044432", "n": "MIRACULUM THERMAL WATER ACTIVELY MOISTURIZING DAY CREAM 50ML", "r": "220238809"}, {"b": "5900793044357", "n": "MIRACULUM THERMAL WATER ACTIVELY MOISTURIZING CREAMMASK 50ML", "r": "220236992"}, {"b": "5900793046627", "n": "MIRACULUM THERMAL WATER  FACE AND BODY MIST 100ML", "r": "220238724"}, {"b": "5060423240327", "n": "THEYE MOSQUITO REPELLENT CRM 75ML", "r": "220183102"}, {"b": "5060423240297", "n": "THEYE MOSQUITO REPELLENT PUMP SPRAY", "r": "220074504"}, {"b": "5060423240303", "n": "THEYE MOSQUITO REPELLENT WIPES", "r": "220065113"}, {"b": "5060423240310", "n": "THEYE MOS REPELLENT AEROSOL SPRAY 150ML", "r": "220186367"}, {"b": "819933011737", "n": "V THICKER FULLER HAIR STRENGTHENING SHAMP", "r": "220192332"}, {"b": "819933011751", "n": "V THICKER FULLER HAIR ROOT LIFTNG SERUM", "r": "220190586"}, {"b": "819933011744", "n": "V THICKER FULLER HAIR REPAIRING COND", "r": "220191775"}, {"b": "819933011720", "n": "V THICKER FULLER HAIR NOURSHNG SCALP TONC 118ML", "r": "220190734"}, {"b": "6297000549682", "n": "THRILL HAND SANITIZER 500ML", "r": "220194942"}, {"b": "9650364001192", "n": "TINAQI NAIL ACCS KIT", "r": "220217715"}, {"b": "615908425871", "n": "V TIGI SUPERSTAR QUEEN FOR A DAY 320ML", "r": "220073187"}, {"b": "615908425284", "n": "V TIGI SMALL TALK 200ML", "r": "220060046"}, {"b": "615908426069", "n": "V TIGI MASTERPIECE SHNE HAIRSPRY 340ML", "r": "220055763"}, {"b": "615908427592", "n": "V TIGI MANIPULATOR STYLING", "r": "220088540"}, {"b": "615908426151", "n": "V TIGI EGO BOOST 237ML", "r": "220058776"}, {"b": "615908421606", "n": "V TIGI CURLESQUE CURL AMPLIFIER 150ML", "r": "220052584"}, {"b": "615908425703", "n": "V TIGI CONTROL FREAK SERUM 250ML", "r": "220193053"}, {"b": "615908426700", "n": "V TIGI URBAN ANTIDOTS RECOV CONDITIONER 200ML", "r": "220081107"}, {"b": "615908428209", "n": "V TIGI PURE TEXT MOLD PASTE100ML", "r": "220068643"}, {"b": "615908426144", "n": "V TIGI FOXY CURLS CONTOUR CREAM 200ML", "r": "220193623"}, {"b": "615908425819", "n": "V TIGI B4M MATTE SEPERTN WAX 85G", "r": "220077024"}, {"b": "615908425772", "n": "V TIGI AFTER PARTY LUSTERIZER 100ML", "r": "220060501"}, {"b": "615908425994", "n": "TIGI YOUR HIGHNESS ROOTBOOST 250ML", "r": "220068535"}, {"b": "615908425598", "n": "TIGI SUPERSTAR BLOWDRYING LTN 250ML", "r": "220001239"}, {"b": "615908415261", "n": "TIGI RECOVERY SHAMPOO 250ML", "r": "220083215"}, {"b": "615908425758", "n": "TIGI MOHAWK HARD HEAD GEL 100ML", "r": "220076530"}, {"b": "615908425925", "n": "TIGI DIRTY SECRET DRY SHAMPOO 300ML", "r": "220074446"}, {"b": "615908423136", "n": "TIGI COLOR COMBAT COLOUR GODDESS SHAMPOO 250ML", "r": "220079711"}, {"b": "615908426748", "n": "TIGI COLOR COMBAT COLOUR GODDESS CONDITIONER 200ML", "r": "220059447"}, {"b": "615908424652", "n": "TIGI CHARGE UP THICKEN SHAMP 250ML", "r": "220081004"}, {"b": "615908424690", "n": "TIGI CHARGE UP THICKEN CONDIT 200ML", "r": "220078156"}, {"b": "7612797507827", "n": "TOBRADEX DROPS 5ML", "r": "220228055"}, {"b": "7612797507759", "n": "TOBRADEX OINTMENT 35GM", "r": "220223627"}, {"b": "9650364000867", "n": "TOMMY FASHION EYE GLASS", "r": "220074162"}, {"b": "9650364001109", "n": "TOMMY FASHION CLIP READING GLASSES", "r": "220068554"}, {"b": "7612797507742", "n": "TOBREX EYE DROPS 5ML", "r": "220186326"}, {"b": "7612797508220", "n": "TOBREX EYE OINTMENT 35GM", "r": "220186422"}, {"b": "1094922080010", "n": "TOLETTA TISSUES BLUE 10 UNIT", "r": "220221561"}, {"b": "5060363050116", "n": "V TOM OLIVER ACTIVATED CHARCOAL TEETH WHITENING PWDR 50GM", "r": "220170573"}, {"b": "5060363050413", "n": "V TOM OLIVER ZINC PICOLINAT 60CAPS", "r": "220197029"}, {"b": "5060363050390", "n": "V TOM OLIVER VIT PROBIOTIC 10B 60CAP", "r": "220192546"}, {"b": "5060363050383", "n": "V TOM OLIVER VIT MAGNESIUM 60CAP", "r": "220187101"}, {"b": "5060363050338", "n": "V TOM OLIVER VIT D  K2 60TAB", "r": "220190879"}, {"b": "5060363050406", "n": "V TOM OLIVER VIT CURCUMIN 60CAP", "r": "220182988"}, {"b": "5060363050376", "n": "V TOM OLIVER VIT C 60CAP", "r": "220191541"}, {"b": "5060363050345", "n": "V TOM OLIVER VIT B COMPLEX 60TAB", "r": "220191173"}, {"b": "5060363050437", "n": "TOM OLIVER WOMENS COMPLETE MULTI CAP 90S", "r": "220208530"}, {"b": "5060363050000", "n": "TOM OLIVER OMEGA3 HRNG CAVIAR 60CAPS", "r": "220162195"}, {"b": "5060363050017", "n": "TOM OLIVER OMEGA 3 HERRING CAVIAR 30 CAPS", "r": "220167657"}, {"b": "5060363050420", "n": "TOM OLIVER MENS COMPLETE MULTI CAP 60S", "r": "220209169"}, {"b": "5060363050444", "n": "TOM OLIVER IRON COMPLEX CAP 60S", "r": "220208516"}, {"b": "5060363050451", "n": "TOM OLIVER CALCIUM CITRATE CAP 90S", "r": "220209408"}, {"b": "5010415465023", "n": "TOM T STORAGE POTSX2 4OZ", "r": "220051961"}, {"b": "5010415311108", "n": "TOM T ESSENTIALS 1ST CUP", "r": "220107813"}, {"b": "5010415221223", "n": "TOM T EASIVNT MED FLOW TEATX2", "r": "220085695"}, {"b": "5010415226051", "n": "TOM T CTN 2X AC MED TEAT", "r": "220075760"}, {"b": "5010415330994", "n": "TOM T BABY BRUSH AND COMB", "r": "220051427"}, {"b": "79400204714", "n": "TG SEA SALT SPRAY 200ML", "r": "220206969"}, {"b": "79400204356", "n": "TG VOLUME ADDICTION SHAMPOO 250ML", "r": "220156246"}, {"b": "79400204387", "n": "TG VOLUME ADDICTION CONDITIONER 250ML", "r": "220172018"}, {"b": "79400204363", "n": "TG SMOOTH DEFINITION SHAMPOO 250ML", "r": "220152912"}, {"b": "79400204394", "n": "TG SMOOTH DEFINITION CONDITIONER 250ML", "r": "220154678"}, {"b": "79400204370", "n": "TG INFINITE DAMAGE REPAIR SHAMPOO 250ML", "r": "220153836"}, {"b": "79400204530", "n": "TG INFINITE DAMAGE REPAIR MASK 200ML", "r": "220160713"}, {"b": "79400204424", "n": "TG INFINITE DAMAGE REPAIR CONDITI 250ML", "r": "220170582"}, {"b": "79400204585", "n": "TG HEAT PROTECT MIST 150ML", "r": "220163600"}, {"b": "8710908061639", "n": "TG VOLUME PLUMPING MOUSSE 222ML", "r": "220162620"}, {"b": "8711600724242", "n": "TG SHINE GLOSS SERUM  30ML", "r": "220154166"}, {"b": "667803002640", "n": "TG PERFECT TEASE DRY SHAMPOO 250ML", "r": "220156613"}, {"b": "667803002626", "n": "TG MATT TEXTURE DRY SHAMPOO 250ML", "r": "220159003"}, {"b": "79400197139", "n": "TG INSTANT REFRESH DRY SHAMPOO 250ML", "r": "220160317"}, {"b": "79400210494", "n": "TG HIGH DEFINITION SPRAY WAX 150ML", "r": "220161661"}, {"b": "8711600724167", "n": "TG FLAWLESS SLEEK CREATION SPRAY 250ML", "r": "220162309"}, {"b": "8711600723757", "n": "TG EXTREME STYLE CREATION HAIRSPRY 250ML", "r": "220157084"}, {"b": "79400197153", "n": "TG CURL SCULPTING SPRAY 150ML", "r": "220171500"}, {"b": "97954053626", "n": "TG 2000W DAILY DRYER", "r": "220061987"}, {"b": "8050444852545", "n": "TONIMER BABY 100ML", "r": "220163030"}, {"b": "8050444852552", "n": "TONIMER SOFT 125ML", "r": "220155635"}, {"b": "8050444852569", "n": "TONIMER NORMAL 125ML", "r": "220162002"}, {"b": "8050444853108", "n": "TONIMER NASAL GEL 20ML", "r": "220173377"}, {"b": "8050444852217", "n": "TONIMER HYPERTONIC PCKT NOSE 30ML SPRY", "r": "220160056"}, {"b": "8050444854099", "n": "TONIMER SINGLE DOSE 5ML 12S", "r": "220172423"}, {"b": "8033224818566", "n": "TONIMER BALSAMIC SOFT NASAL GEL 15ML", "r": "220158049"}, {"b": "667803002909", "n": "TG ILLUMINATING HAIR PERF 125ML", "r": "220206799"}, {"b": "79400204431", "n": "TG ILLUMINATING BLONDE SHMP 250ML", "r": "220207639"}, {"b": "79400204455", "n": "TG COND BLONDE 250ML", "r": "220205143"}, {"b": "667803002657", "n": "TG VOLUME DRY SHMP 250ML", "r": "220205494"}, {"b": "3582910081777", "n": "TOPLEXIL COUGH SYRUP 150ML", "r": "220217264"}, {"b": "6933289801201", "n": "TOUCH PREGNANCY TEST MIDSTREAM", "r": "220051426"}, {"b": "6933289801218", "n": "TOUCH PREGNANCY TEST CASSETTE", "r": "220067083"}, {"b": "5412569000066", "n": "VTOULAKIDS DRY COUGH SYRUP 180ML", "r": "220205066"}, {"b": "5412569149178", "n": "TOULARYNX THYM SYRUP 180ML", "r": "220080861"}, {"b": "965015500021", "n": "V TRACHITOL TABLETS 20S", "r": "220164539"}, {"b": "32917001597", "n": "V TM ORGANIC THROAT COAT LEMON ECHINACEA 16S", "r": "220191100"}, {"b": "32917000323", "n": "V TM ORGANIC NIGHTY NIGHT 16S", "r": "220191958"}, {"b": "32917000149", "n": "V TM ORGANIC MOTHERS MILK CAF FR 16S", "r": "220191492"}, {"b": "32917001566", "n": "V TM ORGANIC CHAMOMILE 16S", "r": "220191154"}, {"b": "32917000224", "n": "V TM ORGANIC BELLY COMFORT PEPPERMNT 16S", "r": "220192376"}, {"b": "32917002563", "n": "VTM TURMERIC  MEADOWSWEET  GINGER TEA 16S", "r": "220201472"}, {"b": "32917002549", "n": "VTM TULSI WITH GINGER TEA 16S", "r": "220201190"}, {"b": "32917000132", "n": "VTM THROAT COAT TEA 16S", "r": "220201620"}, {"b": "32917002471", "n": "VTM STRESS EASE TEA 16S", "r": "220201626"}, {"b": "32917000125", "n": "VTM PREGNANCY TEA 16S", "r": "220202249"}, {"b": "32917001894", "n": "VTM LICORICE ROOT FAIR WILD TEA 16S", "r": "220201770"}, {"b": "32917001979", "n": "VTM LEMON EVERYDAY DETOX TEA 16S", "r": "220201295"}, {"b": "32917001986", "n": "VTM HEART TEA WITH HAWTHORN 16S", "r": "220202071"}, {"b": "32917001498", "n": "VTM GREEN TEA WITH GINGER 16S", "r": "220202049"}, {"b": "32917001641", "n": "VTM GINGER TEA 16S", "r": "220201305"}, {"b": "32917000514", "n": "VTM ECHINACEA PLUS TEA 16S", "r": "220201554"}, {"b": "32917001542", "n": "VTM ECHINACEA PLUS ELDER TEA 16S", "r": "220201098"}, {"b": "32917000170", "n": "VTM CUP OF CALM TEA 16S", "r": "220201948"}, {"b": "32917000545", "n": "VTM CHAMOMILE WITH LAVENDER TEA 16S", "r": "220201860"}, {"b": "32917000156", "n": "VTM BREATHE EASY TEA 16S", "r": "220201108"}, {"b": "32917000644", "n": "V TM ORGANIC WEIGHTLESS CRANBRY 16S", "r": "220191903"}, {"b": "32917002006", "n": "V TM ORGANIC SMOOTH MOVE PEPPERMNT 16S", "r": "220201296"}, {"b": "32917002013", "n": "V TM ORGANIC SMOOTH MOVE CHAMOMILE 16S", "r": "220201719"}, {"b": "32917000095", "n": "V TM ORGANIC SMOOTH MOVE CAF FR 16S", "r": "220201043"}, {"b": "32917002211", "n": "V TM ORGANIC GAS RELIEF 16S", "r": "220190527"}, {"b": "32917000521", "n": "TM PEPPERMINT TEA 16S", "r": "220202263"}, {"b": "32917002396", "n": "TM GREEN TEA PEPPERMINT16S", "r": "220202048"}, {"b": "6297000373140", "n": "TRAUMAPLANT CREAM 50G", "r": "220090038"}, {"b": "965027400001", "n": "TRAUMEEL S CREAM 50GM", "r": "220169345"}, {"b": "965027400002", "n": "TRAUMEEL S 50 TAB", "r": "220166109"}, {"b": "965014500002", "n": "TRAVOCORT CREAM 20GM", "r": "220163873"}, {"b": "7612797507896", "n": "TRAVATAN EYE DROPS 0004 25ML", "r": "220234686"}, {"b": "75371004346", "n": "V TREE HUT SOOTHNG HMALAYAN SALT SCRB 15OZ", "r": "220183836"}, {"b": "75371006692", "n": "V TREE HUT SHEA TROPICAL MANGO BODY LOTION 255GM", "r": "220190578"}, {"b": "75371004513", "n": "V TREE HUT SHEA TROPICAL MANGO  EPSOM SALT 136KG", "r": "220192437"}, {"b": "75371003035", "n": "V TREE HUT SHEA SUGR SCRB COCO LIME 510G", "r": "220165729"}, {"b": "75371003066", "n": "V TREE HUT SHEA SUGAR SCRUB TRPCL MANGO 510GM", "r": "220191970"}, {"b": "75371006289", "n": "V TREE HUT SHEA SUGAR SCRB MOROCON ROSE 595G", "r": "220167338"}, {"b": "75371006296", "n": "V TREE HUT SHEA SUGAR SCRB MARULA JASMIN 595G", "r": "220172358"}, {"b": "75371006302", "n": "V TREE HUT SHEA SUGAR SCRB LYCHE  PLUM 595G", "r": "220161628"}, {"b": "75371003219", "n": "V TREE HUT SHEA SGR SCRUB MRULAJSMN 510G", "r": "220186840"}, {"b": "75371003226", "n": "V TREE HUT SHEA SGR SCRUB LYCHPLUM 510G", "r": "220182468"}, {"b": "75371003004", "n": "V TREE HUT SHEA SGR SCRB ALMOND HONEY 18OZ", "r": "220182963"}, {"b": "75371006739", "n": "V TREE HUT SHEA MOROCCAN ROSE BODY LOTION 25GM", "r": "220192599"}, {"b": "75371250590", "n": "V TREE HUT SHEA MOISTRZNG BDY WSH TRPCL MNGO 502G", "r": "220190620"}, {"b": "75371006654", "n": "V TREE HUT SHEA MOISTRZNG BDY LTN COCO LIME 255G", "r": "220191450"}, {"b": "75371006661", "n": "V TREE HUT SHEA MOIST BODY LOT ALMOND HONEY 9OZ", "r": "220183201"}, {"b": "75371250552", "n": "V TREE HUT SHEA MOIST BDYWASH ALMOND HONEY 17OZ", "r": "220185694"}, {"b": "75371004506", "n": "V TREE HUT SHEA EPSOM SALT SOAK COCO LIME 136KG", "r": "220163691"}, {"b": "75371250637", "n": "V TREE HUT SHEA BODYWASH MOROCAN ROSE 17OZ", "r": "220182507"}, {"b": "75371780271", "n": "V TREE HUT SHEA BODY REGIMEN GIFT SET", "r": "220186180"}, {"b": "75371005466", "n": "V TREE HUT SHEA BODY BTR TRPCL MNGO 198G", "r": "220191591"}, {"b": "75371005565", "n": "V TREE HUT SHEA BODY BTR MROCAN ROSE 198G", "r": "220192130"}, {"b": "75371005510", "n": "V TREE HUT SHEA BODY BTR COCO LIME 198G", "r": "220190503"}, {"b": "75371005480", "n": "V TREE HUT SHEA BDY BTR ALMOND HONEY 7OZ", "r": "220186834"}, {"b": "75371030222", "n": "V TREE HUT SHAVE PREP SUGAR SCRB 266ML", "r": "220187229"}, {"b": "75371004452", "n": "V TREE HUT SALT SOAK FIGOLV 136KG", "r": "220186587"}, {"b": "75371020506", "n": "V TREE HUT RENEW NGHT CRM CHAMOMILE 59ML", "r": "220184891"}, {"b": "75371020414", "n": "V TREE HUT PURFNG CLNSG GEL ROSEWTR 177ML", "r": "220185619"}, {"b": "75371020421", "n": "V TREE HUT POLSHING FCL SCRB REFINING ROSE 177ML", "r": "220182136"}, {"b": "75371030451", "n": "V TREE HUT NOURSHNG HND CRM TRPCL MNGO 85G", "r": "220191712"}, {"b": "75371030505", "n": "V TREE HUT NOURSHNG HND CRM MROCN ROSE 85G", "r": "220191276"}, {"b": "75371030406", "n": "V TREE HUT NOURSHNG HND CRM COCO LIME 85G", "r": "220192619"}, {"b": "75371030291", "n": "V TREE HUT MOIST SHAVE OIL 228ML", "r": "220185857"}, {"b": "75371004360", "n": "V TREE HUT MDITERANEAN SALT SCRB FIG  OLV 425G", "r": "220163133"}, {"b": "75371020490", "n": "V TREE HUT HYDRATNG OVRNGT MASK CHAMOMILE 59ML", "r": "220187257"}, {"b": "75371006357", "n": "V TREE HUT HAWAIAN SOOTHNG SALT SCRB 638G", "r": "220161629"}, {"b": "75371004322", "n": "V TREE HUT HAWAIAN KUKUI SALT SCRB 15OZ", "r": "220185753"}, {"b": "75371030338", "n": "V TREE HUT HAIR MINIMZNG BODY BTE 207ML", "r": "220185025"}, {"b": "75371020452", "n": "V TREE HUT EXFO MUD MASK DETOXIFYNG CHARCOAL 86ML", "r": "220182311"}, {"b": "75371010019", "n": "V TREE HUT 24H SHEA BODY BTR TROPCL MNGO 7OZ", "r": "220185807"}, {"b": "75371010040", "n": "V TREE HUT 24H SHEA BODY BTR COC LIME 7OZ", "r": "220182658"}, {"b": "75371010026", "n": "V TREE HUT 24H SHEA BODY BTR ALMOND HONGEY 7OZ", "r": "220183417"}, {"b": "75371006364", "n": "TREE HUT SOOTHNG HIMALAYAN SALT SCRB CHEERY 638G", "r": "220165730"}, {"b": "75371003233", "n": "TREE HUT SHEA SUGR SCRB MROCN ROSE 510G", "r": "220170433"}, {"b": "75371250576", "n": "TREE HUT SHEA MOISTRZNG BDY WSH COCO LIME 502G", "r": "220155933"}, {"b": "75371006272", "n": "TREE HUT DETOXIFYNG MEDTRN SALT SCRUB 638G", "r": "220161498"}, {"b": "3582910026754", "n": "TRENTAL 400MG TAB 20S", "r": "220156492"}, {"b": "6281006444119", "n": "TRESEMME KERATIN SMTH COND 500ML", "r": "220219482"}, {"b": "6281006452404", "n": "TRESEMME KERATIN SMOOTH HAIR MASK 180ML", "r": "220227773"}, {"b": "8712561340441", "n": "TRESEMME SPLIT REMEDY SHAMPOO  500ML", "r": "220233678"}, {"b": "8712561341899", "n": "TRESEMME SPLIT REMEDY CONDITIONER 500ML", "r": "220221818"}, {"b": "8712561340465", "n": "TRESEMME PLATNIUM STRENGTH SHAMPOO 500ML", "r": "220222970"}, {"b": "8712561342001", "n": "TRESEMME PLATNIUM STRENGTH COND 500ML", "r": "220236190"}, {"b": "5012254063156", "n": "TRESEMME MOISTURE RICH SHAM 900ML", "r": "220222802"}, {"b": "8712561340427", "n": "TRESEMME KERATIN SOTHNG SHAMPOO 500ML", "r": "220218014"}, {"b": "8712561341677", "n": "TRESEMME KERATIN SOOTHING COND 500ML", "r": "220228066"}, {"b": "8712561283021", "n": "TRESEMME KERATIN SMTH 7DAY SYSTEM COND 250ML", "r": "220216282"}, {"b": "8712561282093", "n": "TRESEMME KERATIN SMOOTH UP 7DAY SYSTEM SHAMP 250ML", "r": "220216714"}, {"b": "8710908181962", "n": "TRESEMME EXPERT BOTANIX SHMP 500ML", "r": "220234771"}, {"b": "8710908182198", "n": "TRESEMME COND BOTANIC EDEN 500ML", "r": "220152431"}, {"b": "8712561340403", "n": "TRESEMME 24 HOUR BODY SHAMPOO 500ML", "r": "220236194"}, {"b": "8712561341592", "n": "TRESEMME 24 HOUR BDY  VOL COND 500ML", "r": "220221091"}, {"b": "6281006452282", "n": "TRESEMME  KERATIN SMTH HAIR SPRAY 200ML", "r": "220222002"}, {"b": "5017089911139", "n": "TS TAME  DEFINE LIGHT HOLD CURL CRM 150ML", "r": "220227420"}, {"b": "5017089911146", "n": "TS TAME  DEFINE FIRM HOLD CURL CRM 150ML", "r": "220232466"}, {"b": "5017089922159", "n": "TS SMOOTH  HYDRATE NOURISHING MASK 200ML", "r": "220163187"}, {"b": "5017089921114", "n": "TS COLOUR PROTECT SHAMPOO 250ML", "r": "220222561"}, {"b": "3499320009591", "n": "TRILUMA CRM 30G", "r": "220186896"}, {"b": "965016000075", "n": "TRINORDIOL TABLETS 21S", "r": "220157859"}, {"b": "9650160002966", "n": "TRIPLIXAM 5MG125MG5MG TAB 30S", "r": "220162292"}, {"b": "7610196000338", "n": "TRISA SONICPOWER PRO INTERDENTAL REFILL 2S", "r": "220156000"}, {"b": "7640142290209", "n": "TRISA PRO CLEAN KID REFILL 2S", "r": "220155770"}, {"b": "7610196010443", "n": "TRISA PRO CLEAN ADULT REFILL 2S", "r": "220156250"}, {"b": "810011080454", "n": "TRISTER IONIC FACIAL SAUNA TS586FS", "r": "220173796"}, {"b": "810011080645", "n": "TRISTER SMART 3D HEAD MSGR TS596SBM", "r": "220174943"}, {"b": "8033717010552", "n": "TRISTER PISTON COMPRSR NEBULZER TS12003A", "r": "220173246"}, {"b": "810011080652", "n": "TRISTER MINI BODY MASSAGER TS594MM", "r": "220177715"}, {"b": "810011083530", "n": "TRISTER INFRARED FOREHEAD THERMOMETER", "r": "220193523"}, {"b": "810011081635", "n": "TRISTER 2IN1 BKETONEBLOOD GLUC MONITER", "r": "220213615"}, {"b": "810011084896", "n": "TRISTER GLUCOSCAN BLOOD GLUCO METER", "r": "220213426"}, {"b": "8806128310685", "n": "TRISTER BLOOD GLUC METER SYSTEM CLASSIC", "r": "220213944"}, {"b": "810011084902", "n": "TRISTER GLUCOSCAN  TEST STRIPS 50S", "r": "220213812"}, {"b": "810011081642", "n": "TRISTER 2IN1 BLOOD GLUC TEST STRIPS 50S", "r": "220213618"}, {"b": "8806128310623", "n": "TRISTER BLOOD GLUC CLASSIC STRIPS 50S", "r": "220213453"}, {"b": "810011083998", "n": "TRISTER KETONE  GLUCO TEST STRIPS 50S", "r": "220214111"}, {"b": "810011084391", "n": "TRISTER FINGERTIP PULSE OXIMETER TS372PO", "r": "220214476"}, {"b": "810011080409", "n": "TRISTER BP MONITOR TS320BPEC", "r": "220175984"}, {"b": "3582910076322", "n": "TRITAC 10MG TAB 28S", "r": "220217414"}, {"b": "3582910076360", "n": "TRITACE TAB 5MG 28S", "r": "220171286"}, {"b": "3582910076346", "n": "TRITAC 25MG TAB 28S", "r": "220236536"}, {"b": "965016000158", "n": "TRIVASTAL RETARD TAB 30S", "r": "220155179"}, {"b": "5390387006012", "n": "TROPEX EAR DROPS 10ML", "r": "220230696"}, {"b": "965013700285", "n": "TRUSOPT 2 EYE DROPS 5ML", "r": "220169057"}, {"b": "6805699957734", "n": "TUMS EXTRA STRENGTH 750 ASSORTED FRUITS 48S", "r": "220232656"}, {"b": "614373960245", "n": "TUNG TONGUE BRUSH", "r": "220226855"}, {"b": "614373347237", "n": "TUNG  FRESH TONGUE GEL 85G", "r": "220228878"}, {"b": "38097008029", "n": "TM SPACOMBO CLIPPER SET", "r": "220223526"}, {"b": "38097123012", "n": "TM SLANT TWEEZER SIGNATURE RED", "r": "220220847"}, {"b": "38097124873", "n": "TM MINI SLANT TWEEZER LOVELY LAVENDER", "r": "220229405"}, {"b": "38097676204", "n": "TM LIGHTED MIRROR 10X", "r": "220232461"}, {"b": "38097105414", "n": "TM FOLDING ILASHCOMB", "r": "220076558"}, {"b": "38097103403", "n": "TM CLASSIC LASH CURLER", "r": "220222189"}, {"b": "38097402162", "n": "TWEEZERMAN BABY MANICURE KIT", "r": "220223491"}, {"b": "38097121797", "n": "TM WIDE GRIP SLANT TWEEZER ASTD COLOR", "r": "220074970"}, {"b": "38097014532", "n": "TM NOSE HAIR TRIMMER", "r": "220075759"}, {"b": "38097009606", "n": "TM GEAR MOUSTACHE SCISSORS  COMB", "r": "220058281"}, {"b": "38097009965", "n": "TM GEAR ESSENTIAL GROOMING KIT 4PCS", "r": "220064418"}, {"b": "38097508505", "n": "TM COMFORT CALLUS SHAVER AND RASP", "r": "220087544"}, {"b": "9650157001187", "n": "TWYNSTA 80MG10MG TAB 28S", "r": "220167655"}, {"b": "965016000077", "n": "TYLENOL 200MG SUPPO 10S", "r": "220156599"}, {"b": "965016000076", "n": "TYLENOL 100MG SUPPO 10S", "r": "220164144"}, {"b": "965016000078", "n": "TYLENOL 350MG SUPPO 10S", "r": "220154840"}, {"b": "300450449078", "n": "TYLENOL XTRASTRENGTH 500MG 50S", "r": "220226436"}, {"b": "300450449092", "n": "TYLENOL XTRASTRENGTH 500MG 100S", "r": "220217229"}, {"b": "300450449054", "n": "TYLENOL XTRA STRENGTH 500MG 24", "r": "220153700"}, {"b": "965013700223", "n": "TYOTOCIN EAR DROPS 15CC", "r": "220169228"}, {"b": "9650157001071", "n": "TYWNSTA 80 5MG TAB 28S", "r": "220157766"}, {"b": "9650157001088", "n": "TYWNSTA 80 1MG TAB 28S", "r": "220153584"}, {"b": "8033120250422", "n": "UGA RESTORAFLOR LIQUID 10 BOTTLES", "r": "220212688"}, {"b": "8033120250439", "n": "UGA RESTORAFLOR JUNIOR 12 SACHETS", "r": "220212957"}, {"b": "6291100088041", "n": "ULCER EZE MOUTH ULCER FILM 12S", "r": "220195470"}, {"b": "6902136812080", "n": "ULTRA CARE LICE COMB HANDL SINGLE", "r": "220067064"}, {"b": "6902136812066", "n": "ULTRA CARE LICE COMB HANDL DOUBLE", "r": "220082629"}, {"b": "6902136812059", "n": "ULTRA CARE ANTI LICE COMB 1405 LONG PIN", "r": "220077014"}, {"b": "965015500022", "n": "ULTRACORTENOL EYE DROPS 5ML", "r": "220155336"}, {"b": "6294001601869", "n": "UNI HOT WATER BOTTLE", "r": "220203306"}, {"b": "8809788850003", "n": "UNICORN RAZOR EYEBROW RAZOR 3S", "r": "220206579"}, {"b": "965013700378", "n": "UNIPHYLLIN 300MG TAB 56S", "r": "220002641"}, {"b": "965013700433", "n": "UNIPHYLLIN 200MG TAB 56S", "r": "220166968"}, {"b": "8002660027313", "n": "URAL EFF SACHETS 4G 28 SACHETS", "r": "220217103"}, {"b": "19338607757", "n": "URALYT U GRANULES 280GM JAR", "r": "220165490"}, {"b": "5025042026851", "n": "URBAN PURIFYING EXFOLIATING FACIAL POLISH 125ML", "r": "220238622"}, {"b": "5025042029661", "n": "URBAN  SOOTHING FACIAL OIL 30ML", "r": "220237799"}, {"b": "5025042027155", "n": "URBAN  SOOTHING EXFOLIATING FACIAL POLISH 125ML", "r": "220238379"}, {"b": "5025042030643", "n": "URBAN  SOOTHING DAILY FACIAL WASH 150ML", "r": "220238944"}, {"b": "5025042027179", "n": "URBAN  SOOTHING CLARIFYING NIGHT CREAM 50ML", "r": "220239482"}, {"b": "5025042027247", "n": "URBAN  REVIVING RENEWAL NIGHT CREAM 50ML", "r": "220237317"}, {"b": "5025042029678", "n": "URBAN  REVIVING FACIAL OIL 30ML", "r": "220239026"}, {"b": "5025042026790", "n": "URBAN  RADIANCE REPLENISHING NIGHT CREAM 50ML", "r": "220239156"}, {"b": "5025042029654", "n": "URBAN  RADIANCE FACIAL OIL 30ML", "r": "220237407"}, {"b": "5025042026776", "n": "URBAN  RADIANCE EXFOLIATING FACIAL POLISH 125ML", "r": "220239951"}, {"b": "5025042030667", "n": "URBAN  RADIANCE DAILY FACIAL WASH 150ML", "r": "220239117"}, {"b": "5025042026875", "n": "URBAN  PURIFYING PROTECTING NIGHT CREAM 50ML", "r": "220237634"}, {"b": "5025042029647", "n": "URBAN  PURIFYING FACIAL OIL 30ML", "r": "220240126"}, {"b": "5025042030636", "n": "URBAN  PURIFYING DAILY FACIAL WASH 150ML", "r": "220239785"}, {"b": "3661434008337", "n": "URIAGE BARIESUN LOT SPF50 100ML", "r": "220156810"}, {"b": "3661434001062", "n": "URIAGE GYN8 SOOTHNG INTMTE GEL 100ML", "r": "220227295"}, {"b": "3661434006289", "n": "URIAGE GYN PHY CLEANSING MIST 50ML", "r": "220229568"}, {"b": "3661434002687", "n": "URIAGE TRI ACTIF DEO ROLL ON 50ML", "r": "220216594"}, {"b": "3661434003639", "n": "URIAGE THERMAL MICELLAR WATER SENSITIVE 250ML", "r": "220221163"}, {"b": "3661434003646", "n": "URIAGE THERMAL MICELLAR WATER SEN SKIN 500ML", "r": "220158995"}, {"b": "3661434003608", "n": "URIAGE THERMAL MICELLAR WATER DRY SKIN 250ML", "r": "220220220"}, {"b": "3661434003660", "n": "URIAGE THERMAL MICELLAR WATER 250ML", "r": "220217920"}, {"b": "3661434004421", "n": "URIAGE MOISTURIZING LIPSTICK 4GMS", "r": "220218203"}, {"b": "3661434004308", "n": "URIAGE HYSEAC 3REGUL SKIN CARE 40ML", "r": "220229211"}, {"b": "3661434005008", "n": "URIAGE EAU THERML LGHTWATR CRMSPF20 40ML", "r": "220193899"}, {"b": "3661434005015", "n": "URIAGE EAU THERMALE WTR EYE CRM 15ML", "r": "220160209"}, {"b": "3661434005510", "n": "URIAGE EAU THERMALE WATER HAND CRM 50ML", "r": "220161836"}, {"b": "3661434003110", "n": "URIAGE DEODORANT SPRAY SENSITIVE SKIN 125ML", "r": "220227829"}, {"b": "3661434001499", "n": "URIAGE BARIESUN THERMAL SPRAY SELF TAN 100ML", "r": "220157868"}, {"b": "3661434004735", "n": "URIAGE BARIEDERM CICACREAM 40ML", "r": "220218404"}, {"b": "3661434005480", "n": "VURIAGE BARIESUN SPF50FLUID ULTRA30ML", "r": "220200417"}, {"b": "3661434007835", "n": "VURIAGE EAU THERMALE JELLY 40ML", "r": "220200648"}, {"b": "3661434008061", "n": "VURIAGE AGE PROTECT FILLER 30ML", "r": "220200746"}, {"b": "3661434006401", "n": "VURIAGE AGE PROTECT CRM MULTIACTION", "r": "220199674"}, {"b": "3661434004858", "n": "URIAGE XEMOSE ANTIIRRITATION CREAM 400ML", "r": "220229143"}, {"b": "3661434004575", "n": "URIAGE POWER3 DEO ROLL ON 50ML", "r": "220224376"}, {"b": "3661434005503", "n": "URIAGE EAU THERMALE WATER SLEEPING MASK 50 ML", "r": "220225109"}, {"b": "3661434007422", "n": "URIAGE DS KERATOREDUCING SHAMPOO 150ML", "r": "220234418"}, {"b": "3661434007408", "n": "URIAGE DS HAIR SOFT BALANCING SHAMPOO 200ML", "r": "220229419"}, {"b": "3661434006258", "n": "URIAGE DEPIDERM BRIGHT EYE CONTOUR CARE 15ML", "r": "220233978"}, {"b": "3402658032654", "n": "URIAGE BARIESUN100 XTRM PRO FLUID SPF50 50ML", "r": "220231601"}, {"b": "3661434006425", "n": "URIAGE AGE PROTECT MULTIACTION INTENSIVE SERUM 30ML", "r": "220218038"}, {"b": "3661434006395", "n": "URIAGE AGE PROTECT MULTIACTION FLUID 40ML", "r": "220224580"}, {"b": "3661434006449", "n": "URIAGE AGE PROTECT MULTI ACTION DETOX NIGHT CREAM 40ML", "r": "220219785"}, {"b": "3661434008344", "n": "URIAGE BARIESUN SPF50 CREAM 50ML", "r": "220232508"}, {"b": "3661434005268", "n": "URIAGE GYN PHY RFRSH INTMTE GEL 200ML", "r": "220218375"}, {"b": "3661434001932", "n": "URIAGE HYSEAC SPF50 FLUID 50ML", "r": "220229275"}, {"b": "3661434000973", "n": "URIAGE HYSEAC CLEANSING GEL 150ML", "r": "220225138"}, {"b": "3661434005862", "n": "URIAGE EXTRE RICH DERMATOLOGICAL GEL 500ML", "r": "220163591"}, {"b": "3661434000041", "n": "URIAGE DEPIDERM BRYT CORRECTIV SERUM 30ML", "r": "220233461"}, {"b": "3661434006265", "n": "URIAGE DEPIDERM BRIGHT CLEANSING FOAM 100ML", "r": "220224837"}, {"b": "3661434004384", "n": "URIAGE DEPIDERM ANTIBROWN SPOT 30ML", "r": "220220521"}, {"b": "3661434005459", "n": "URIAGE BARIEDERM LIP PROTECTING BALM 15ML", "r": "220232279"}, {"b": "3661434000515", "n": "URIAGE THERMAL WATER 150ML", "r": "220090504"}, {"b": "3661434004841", "n": "URIAGE XEMOSE ANTIIRRITATION CREAM 200ML", "r": "220226421"}, {"b": "3661434003394", "n": "URIAGE ROSELIANE ANTIREDNESS CREAM 40ML", "r": "220234332"}, {"b": "3661434005886", "n": "URIAGE GYN PHY INTMTE GEL 500 ML", "r": "220222309"}, {"b": "3661434007415", "n": "URIAGE DS ANTI DANDRUFF SHAMPOO 200ML", "r": "220232423"}, {"b": "3661434006456", "n": "URIAGE AGE PROTECT MULTIACTION PEELING NIGHT CREAM 50ML", "r": "220216004"}, {"b": "9650155002049", "n": "URIAGE TRAVEL BAG GWP", "r": "220198968"}, {"b": "3661434001895", "n": "URIAGE ISOFILL SERUM INTENSE F 30 ML", "r": "220166554"}, {"b": "3661434002120", "n": "URIAGE HYSEAC MATIFYING EMULSION 40 ML", "r": "220219879"}, {"b": "3661434000102", "n": "URIAGE HYSEAC GEL NETTOYANT 300 ML", "r": "220154293"}, {"b": "3661434006128", "n": "URIAGE EAU THERMALE WATER SPRAY 150ML", "r": "220230035"}, {"b": "3661434004513", "n": "URIAGE DEPIDERM ANTI BROWN SPOT 15ML", "r": "220160606"}, {"b": "3661434001673", "n": "URIAGE BARIESUN SPF50 TINTED CREAM 50ML", "r": "220232177"}, {"b": "6291107464909", "n": "URIAGE BARIESUN SPF50 CRM TINTD GOLD 50ML 11", "r": "220178914"}, {"b": "785123441380", "n": "URIAGE BARIESUN SPF50 CRM TINTD FAIR 50ML 11", "r": "220173787"}, {"b": "785123441373", "n": "URIAGE BARIESUN SPF50 CRM T 50ML 11", "r": "220176723"}, {"b": "3661434001727", "n": "URIAGE BARIESUN GOLDN TINTED CRM SPF50 50ML", "r": "220160607"}, {"b": "3661434006432", "n": "URIAGE AGE PROTECT MULTI ACTION EYE CONTOUR 15ML", "r": "220220866"}, {"b": "8595165273625", "n": "URINAL 30S", "r": "220084655"}, {"b": "965013700371", "n": "URISPAS TAB 30S", "r": "220167061"}, {"b": "9650364003639", "n": "UROSEL PROSTATE HEALTH 30S", "r": "220208774"}, {"b": "7612729000891", "n": "VAGIC 250MG", "r": "220087531"}, {"b": "5010934001764", "n": "DONT USE VAGISIL POWDER 100GM", "r": "220159560"}, {"b": "965014300064", "n": "VAGOMYCIN VAG TAB 10S", "r": "220159555"}, {"b": "5280270015965", "n": "VALERA HAND SANTIZER 200ML", "r": "220209181"}, {"b": "8430087019510", "n": "VALTREX 500MG 42S CAP", "r": "220154999"}, {"b": "8430087019527", "n": "VALTREX 500MG TAB 10S", "r": "220154445"}, {"b": "5024874015439", "n": "V VALUPAK ENERGY RELEASE EFFER 20TAB", "r": "220192808"}, {"b": "5024874015507", "n": "VVALUPAK IMMUNE SUPPORT EFFER 20TAB", "r": "220192226"}, {"b": "5024874016122", "n": "VALUPAK HAIR NAIL SKIN TAB 30S", "r": "220206725"}, {"b": "5024874016573", "n": "VALUPAK ZINC TAB 60S", "r": "220207275"}, {"b": "5024874032061", "n": "VALUPACK VITAMIN D3 1000IU TAB 60S", "r": "220205500"}, {"b": "5024874015422", "n": "VALUPAK EFFERVESCENT VITAMIN C 1000MG", "r": "220073214"}, {"b": "5024874015101", "n": "VVALUPAK CA VIT D 30 TAB", "r": "220162073"}, {"b": "5024874015347", "n": "VVALUPAK FOLIC ACID 400MCG 90 TAB", "r": "220166610"}, {"b": "5024874015040", "n": "VVALUPAK MULTI IRON 60 TAB", "r": "220162539"}, {"b": "5024874015354", "n": "VVALUPAK MULTI MINERALS 30 TAB", "r": "220166941"}, {"b": "5024874030630", "n": "VVALUPAK VIT E 400IU 30CAP", "r": "220166506"}, {"b": "5024874016535", "n": "VVALUPAK MAGNESIUM 30 TAB", "r": "220166056"}, {"b": "5024874015095", "n": "VVALUPAK VIT B COMPLEX 60 TABLETS", "r": "220157506"}, {"b": "6291105153270", "n": "VASELINE LIP THERAPY ROSY LIPS 24X48G", "r": "220218351"}, {"b": "6291105153287", "n": "VASELINE LIP THERAPY ALOE 24X48G", "r": "220162771"}, {"b": "6281006408760", "n": "VASELINE PJELLY PURE GF 250ML", "r": "220220772"}, {"b": "6281006408746", "n": "VASELINE PJELLY COCOA BUTTER GF 250ML", "r": "220217164"}, {"b": "6281006506558", "n": "VASELINE LOTION SPF24 VISION 400ML", "r": "220206161"}, {"b": "6281006408722", "n": "VASELINE JELLY ALOE FRESH 250ML", "r": "220232259"}, {"b": "8886467038983", "n": "VASELINE ANTIBAC CRM 75ML", "r": "220206152"}, {"b": "6281006408708", "n": "VASELINE PURE PETROLLEUM JELLY 100ML", "r": "220216955"}, {"b": "6281006408845", "n": "VASELINE PETRLM JELLY BABY 450ML", "r": "220226496"}, {"b": "8711600839403", "n": "VASELINE TOTAL MOIST BODY LTN 400ML", "r": "220235517"}, {"b": "8712561940900", "n": "VASELINE SPRAY MOIST ALOE SOOTHE 190G", "r": "220235291"}, {"b": "6291105153263", "n": "VASELINE LIP THERAPY ORIGINAL 24X48G", "r": "220216129"}, {"b": "6291105153294", "n": "VASELINE LIP THERAPY COCOA BUTTER 24X48G", "r": "220153242"}, {"b": "6281006401709", "n": "VASELINE HGUARD 75G", "r": "220160319"}, {"b": "8901030003097", "n": "VASELINE HEEL GUARD", "r": "220166555"}, {"b": "8901030021244", "n": "VASELINE EVEN TONE 400ML", "r": "220218181"}, {"b": "8712561705189", "n": "VASELINE COCOA SPRAY MOISTURISER 190ML", "r": "220217969"}, {"b": "6001087011136", "n": "VASELINE COCOA BUTTER LOTION 400ML", "r": "220216671"}, {"b": "8711600839588", "n": "VASELINE ALOE COOL  FRESH 400 ML", "r": "220222831"}, {"b": "965016000156", "n": "VASTAREL MR TAB 60S", "r": "220165628"}, {"b": "6223002053919", "n": "VEBIX DEO CREAM FOR WOMEN 25ML", "r": "220232470"}, {"b": "6223002053896", "n": "VEBIX DEO CREAM FOR MEN 25ML", "r": "220235965"}, {"b": "3059944025102", "n": "VEET READY TO USE WAX SENSITIVE SKIN 20S", "r": "220220538"}, {"b": "5000146055853", "n": "VEET NORMAL SKIN WAX STRIPS 20S", "r": "220226063"}, {"b": "5000146056829", "n": "VEET FACE WAX STRIPS 20S", "r": "220217144"}, {"b": "5000146980353", "n": "VEET SENS SKIN HAIR REMOV CRM 100 GM", "r": "220228068"}, {"b": "6295120026083", "n": "VEET SPAWAX PURPLE LILLY DISC REFILL 150GM", "r": "220230590"}, {"b": "6295120027516", "n": "VEET SENS TOUCH BEAUTY TRIMMER 15 OFF PACK", "r": "220235116"}, {"b": "6295120027509", "n": "VEET SENS TOUCH BEAUTY TRIMMER", "r": "220219499"}, {"b": "5000309002601", "n": "VEET NORMAL SKIN HAIR REMOV CRM 100 GM", "r": "220217072"}, {"b": "6001106110536", "n": "VEET CREAM NORMAL SKIN 200GM", "r": "220153960"}, {"b": "838766005799", "n": "V VEGA ONE ASHWAGANDHA SHK TURMRC COC 392G", "r": "220201326"}, {"b": "65897888339", "n": "VELVET TOUCH SHOWER BUFF", "r": "220196931"}, {"b": "65897888223", "n": "VELVET TOUCH EYEBROW SHARPNER", "r": "220196856"}, {"b": "65897888308", "n": "VELVET TOUCH DEPY FACE", "r": "220196921"}, {"b": "65897888964", "n": "VELVET TOUCH COMFORT FOOT FOR MEN", "r": "220196932"}, {"b": "65897888247", "n": "VELVET TOUCH BODY MITTEN", "r": "220197588"}, {"b": "65897888605", "n": "VELVET TOUCH CALLUS REMOVER MITTEN", "r": "220072143"}, {"b": "965014300025", "n": "VENTOL SYRUP 120ML", "r": "220172323"}, {"b": "965015200089", "n": "VENTOLIN NEBULES 40S", "r": "220162207"}, {"b": "965015200027", "n": "VENTOLIN EVOHALER 100MCG", "r": "220002560"}, {"b": "965015200024", "n": "VENTOLIN RESP SOLN 20ML", "r": "220158709"}, {"b": "965015200026", "n": "VENTOLIN 25ML SYRUP 150ML", "r": "220171820"}, {"b": "9650364003301", "n": "VENUS FFP1 FACE MASK 1S", "r": "220193274"}, {"b": "9650364002724", "n": "VENUS FACE MASK 4200 N95 10S", "r": "220187202"}, {"b": "965013700288", "n": "VERMOX SUSPENSION 30ML", "r": "220171446"}, {"b": "965013700287", "n": "VERMOX 500MG TABLETS 1S", "r": "220166702"}, {"b": "965013700286", "n": "VERMOX 100MG TABLETS 6S", "r": "220169315"}, {"b": "4260132325983", "n": "VHC VEROSE GEL 100G", "r": "220181031"}, {"b": "745114768025", "n": "VHC SCALOSC OINTMENT 30GM", "r": "220200659"}, {"b": "4260132326164", "n": "VHC NEOFLEX SPRAY 100ML", "r": "220180779"}, {"b": "4260132325976", "n": "VHC NEOFLEX GEL 100G", "r": "220181883"}, {"b": "4260132326003", "n": "VHC MAFIZEMA OINTMENT 50G", "r": "220180125"}, {"b": "4260132326010", "n": "VHC HEMOL OINTMENT 30G", "r": "220180713"}, {"b": "745114768018", "n": "VHC HELO OINTMENT 30GM", "r": "220200484"}, {"b": "4260132326027", "n": "VHC DIAFOT CREAM 100G", "r": "220180276"}, {"b": "745114768001", "n": "V VHC ATHLEFOT CREAM 30GM", "r": "220200364"}, {"b": "9650152001892", "n": "VIAGRA 50 MG 30S TAB", "r": "220172021"}, {"b": "9650152001908", "n": "VIAGRA 50 MG 12S TAB", "r": "220170584"}, {"b": "9650152001830", "n": "VIAGRA 100MG 4S", "r": "220153086"}, {"b": "965015200029", "n": "VIAGRA 50MG TABLETS 4S", "r": "220169892"}, {"b": "9650152001939", "n": "VIAGRA DISP TABS 50MG X 8S ODT", "r": "220152566"}, {"b": "965015200030", "n": "VIBRAMCIN 100MG CAPSULES 10S", "r": "220164038"}, {"b": "965013700290", "n": "VIBROCIL NASAL GEL 12GM", "r": "220160489"}, {"b": "3337875660617", "n": "VICHY NORMDRM PHYTOSOLUTN  DAILY CARE 50ML", "r": "220223982"}, {"b": "3337875663076", "n": "VICHY NORMADRM PHYTOACTN CLNSNG GEL 200ML", "r": "220230505"}, {"b": "3337875607254", "n": "VICHY LIFTACTIV COLLGEN SPCIALST CRM 50ML", "r": "220232455"}, {"b": "3337875595711", "n": "VICHY DERCOS NUTRI NOURSH SHAMP 250ML", "r": "220233561"}, {"b": "3337875595728", "n": "VICHY DERCOS NUTRI NOURSH MASK 250ML", "r": "220233575"}, {"b": "3337875595612", "n": "VICHY DERCOS NUTRI DETOX SHAMP 250ML", "r": "220219103"}, {"b": "3337875595643", "n": "VICHY DERCOS NUTRI DETOX DRY SHAMP 150ML", "r": "220227916"}, {"b": "3337875674409", "n": "VICHY PT WTRPROOF EYE MKUP RMVR 100ML", "r": "220231361"}, {"b": "3337875660648", "n": "VICHY NORMADERM SOS SULFUR 10 PASTE 20ML", "r": "220233022"}, {"b": "3337875594516", "n": "VICHY MINERAL 89 30ML", "r": "220235235"}, {"b": "3337875695800", "n": "VICHY LIFTACTIV GLYCOC AMPOULES 30X2ML", "r": "220232387"}, {"b": "3337875711098", "n": "VICHY LIF ACTIV GLYCOC AMPOULES 10X2ML", "r": "220221139"}, {"b": "3337875711937", "n": "VICHY DERCOS ENERGIZING DRY SHAMPOO 150ML", "r": "220232782"}, {"b": "3337875663083", "n": "VICHY NORMADRM PHYTOSLTN INT PURIFY GEL 400ML", "r": "220223037"}, {"b": "3337875762908", "n": "VICHY MINERAL 89 PROBIOTIC FRACTIONS 30ML", "r": "220221349"}, {"b": "3337875719209", "n": "VICHY LIFTACTIV SUPREME HA FILLER 30ML", "r": "220234098"}, {"b": "3337875722520", "n": "VICHY LIFTACTIV COLLGEN SPECIALST NGHT 50ML", "r": "220232205"}, {"b": "3337875677967", "n": "VICHY DERCOSSENSI THICKENING BALM COND 200ML", "r": "220226550"}, {"b": "3337875734905", "n": "VICHY LIFTACTIV B3 DARK SPOT SERUM 30ML", "r": "220346150"}, {"b": "3337875795265", "n": "VICHY CAPITAL SOLEIL UV-AGE DAILY TINTED", "r": "220281157"}, {"b": "3337875762298", "n": "VICHY CAPITAL SOLEIL UV-AGE DAILY SPF 50+", "r": "220286142"}, {"b": "3337871324001", "n": "VICHY STRESS RESISTANCE DEO ROLL ON 50 ML", "r": "220219124"}, {"b": "3337871320447", "n": "VICHY SENSITIV SKIN DEO STICK 40ML", "r": "220229550"}, {"b": "3337871319144", "n": "VICHY PURETE THERMALE 3IN1 CLEANSER SENS  200ML", "r": "220216557"}, {"b": "3337871330125", "n": "VICHY PURETE THERMAL FRESH CLEAN GEL 200ML", "r": "220230800"}, {"b": "3337871320751", "n": "VICHY NORMADERM PURIFY TONER 200ML", "r": "220220485"}, {"b": "3337875414111", "n": "VICHY NORMADERM ANTI BLEMISH CRM 50ML", "r": "220232042"}, {"b": "3337875414067", "n": "VICHY NORMADERM 3IN1 SCRUBCLEANMASK 125ML", "r": "220219662"}, {"b": "3337871308612", "n": "VICHY MINERALIZING THERMAL SPA WATER 150ML", "r": "220216911"}, {"b": "3337875553155", "n": "VICHY MINERAL MGO DEO SPRAY 125ML", "r": "220227144"}, {"b": "3337875543248", "n": "VICHY MINERAL 89 50ML", "r": "220231087"}, {"b": "3337875560931", "n": "VICHY LIFTACTIV VIT C BRIGHT SKIN CORRECT 10ML", "r": "220229585"}, {"b": "3337871322502", "n": "VICHY LIFTACTIV SUPREME NIGHT CRM 50ML", "r": "220231288"}, {"b": "3337871328795", "n": "VICHY LIFTACTIV SUPREME NC DAY CRM 50ML", "r": "220234329"}, {"b": "3337871323332", "n": "VICHY LIFTACTIV SUPREME EYES 15ML", "r": "220226260"}, {"b": "3337871324445", "n": "VICHY IDEAL SOLEIL VELVETY DACE CREAM SPF50 50ML", "r": "220229986"}, {"b": "3337871323622", "n": "VICHY IDEAL SOLEIL DRY TOUCH 50ML", "r": "220225773"}, {"b": "3337871331405", "n": "VICHY HOMME OPTIMAL TOLERANCE DEO 48H SPRAY 100ML", "r": "220216589"}, {"b": "3337871320362", "n": "VICHY HOMME ANTI PERSPIRANT DEO ROLL ON 50ML", "r": "220216373"}, {"b": "3337871311346", "n": "VICHY DERCOS OIL CONTROL SHAMPOO 200 ML", "r": "220232175"}, {"b": "3337871311292", "n": "VICHY DERCOS ENERGISING SHAMPOO 200ML", "r": "220233143"}, {"b": "3337875574358", "n": "VICHY DERCOS DT DENSISOL SHAMPOO 250ML", "r": "220232340"}, {"b": "3337875574372", "n": "VICHY DERCOS DT DENSISOL LTN F100ML", "r": "220226526"}, {"b": "3337871323394", "n": "VICHY DERCOS ANTI DNDRF SNSITV SCALP SHMP 200ML", "r": "220234406"}, {"b": "3337871330286", "n": "VICHY DERCOS ANTI DAND SHAMP NOR OILY 200ML", "r": "220222981"}, {"b": "3337871330262", "n": "VICHY DERCOS ANTI DAND SHAMP DRY 200ML", "r": "220218066"}, {"b": "3337875522786", "n": "VICHY DERCOS AMINEXIL WOMEN  521 MONODOSES", "r": "220217080"}, {"b": "3337875522748", "n": "VICHY DERCOS AMINEXIL MEN 521 MONODOSES", "r": "220231395"}, {"b": "3337871310592", "n": "VICHY DEO 48 HOUR ANTIPERSPIRANT SPRAY 125ML", "r": "220224473"}, {"b": "3337871325787", "n": "VICHY CAPITAL SOLEIL BB DRY TOUCH 50ML", "r": "220228717"}, {"b": "3337871310455", "n": "VICHY ANTIPERSPIRATION DEO CREAM 30ML", "r": "220221231"}, {"b": "3337871320300", "n": "VICHY ANTIPERSPIRANT ROLL ON 50ML", "r": "220221907"}, {"b": "3337871325657", "n": "VICHY ANTI TRANSPIRIT DEO 48H 50ML", "r": "220222422"}, {"b": "3337875585750", "n": "VICHY ANTI STAIN  DEO ROLL ON 50ML", "r": "220219055"}, {"b": "3337875553278", "n": "VICHY  MINERAL  DEO ROLL ON 50ML", "r": "220218850"}, {"b": "3337871320324", "n": "VICH SENSITIVE SKIN DEOORANT ROLL ON 50ML", "r": "220234659"}, {"b": "3337875604796", "n": "VICHY LIFTACTIVE SUPREME SERUM10  30ML", "r": "220226208"}, {"b": "3337875674942", "n": "VICHY PT MINERAL MICELLAR WATER 200ML", "r": "220222137"}, {"b": "6294016911106", "n": "VICHY MINERAL89 AND GET MINERAL89 SHEET MASK", "r": "129866920"}, {"b": "6294016911175", "n": "VICHY MINERAL AND LIFTACTIV BOGOF", "r": "129866922"}, {"b": "6294016911564", "n": "VICHY LIFTACTIV GLYCO 10 AND MINERAL89 TO GET MINERAL89 AND LIFTACTIV HA", "r": "129861895"}, {"b": "6294016150888", "n": "VICHY IDEAL SOLEIL DRYTOUCH BB 1+1 PROMO", "r": "220296159"}, {"b": "6294016150864", "n": "VICHY IDEAL SOLEIL DRY TOUCH VELVETY BOGOF", "r": "220195296"}, {"b": "6294016150840", "n": "VICHY IDEAL SOLEIL DRY TOUCH BOGOF PROMO", "r": "220291250"}, {"b": "6294016184043", "n": "VICHY HOMME DEO ANTI TRANSPIRANT BOG 50 PROMO", "r": "220192886"}, {"b": "6294016184036", "n": "VICHY DEO STRESS RESIST BOG 50 PROMO", "r": "220193304"}, {"b": "6294016183978", "n": "VICHY DEO MINERAL BOG 50 PROMO", "r": "220193513"}, {"b": "6294016183954", "n": "VICHY DEO BEAUTY ANTI TRANSPRNT BOG 50 PROMO", "r": "220193631"}, {"b": "6294016184012", "n": "VICHY DEO ANTI TRANSPIRANT SENS BOG 50 PROMO", "r": "220193121"}, {"b": "6294016183992", "n": "VICHY DEO ANTI TRANSPIRANT BOG 50 PROMO", "r": "220193425"}, {"b": "6294016935232", "n": "VICHY CAPITAL SOIEIL DRY TOUCH SPF 50 CREAM 50  FREE CLEANSING GEL 50ML", "r": "220240188"}, {"b": "3337875756327", "n": "LIFTACTIV SUPREME HA FILLER 10ML", "r": "129871892"}, {"b": "3337875734929", "n": "LIFTACTIV SERUM B3 5ML", "r": "129876887"}, {"b": "3337871318895", "n": "VICHY HOMME ANTI IRRITATION SHAVING GEL 150ML", "r": "220232459"}, {"b": "3337875561365", "n": "VICHY UV PROTECT SPF50 INV MIST 75ML", "r": "220216854"}, {"b": "3337875567060", "n": "VICHY UV PROTECT SPF50 ANTI DULL BB CRM 40ML", "r": "220216169"}, {"b": "3337875561372", "n": "VICHY UV PROT SPF50 ANTI SHINE CRM 40ML", "r": "220223849"}, {"b": "3337871310462", "n": "VICHY SENSITIVE SKIN DEO CREAM 40ML", "r": "220228740"}, {"b": "3337871330149", "n": "VICHY PURETE THERMALE FRESH CLEANSE GEL 400ML", "r": "220231324"}, {"b": "3337871331313", "n": "VICHY PURETE THERMALE CLEANSING OIL 125ML", "r": "220222646"}, {"b": "3337871321994", "n": "VICHY PURETE THERMALE 3IN1 ONE STEP CLEANSER 300ML", "r": "220217271"}, {"b": "3337871319427", "n": "VICHY PURETE THERMAL 3IN1 CLEANSING SOL 200ML", "r": "220229834"}, {"b": "3337871322564", "n": "VICHY PT WATERPROOF SENS EYES CLEANSER 150ML", "r": "220226707"}, {"b": "3337871330347", "n": "VICHY PT HYDRATE  CLEAN FOAM CRM 125ML", "r": "220217781"}, {"b": "3337871321000", "n": "VICHY PT EYE MAKEUP REMOVER 150ML", "r": "220167050"}, {"b": "3337871308896", "n": "VICHY PT EXFOLIATING CREAM 75ML", "r": "220169946"}, {"b": "3337871319151", "n": "VICHY PT 3IN1 MICELLAR SOLUTION 400ML", "r": "220221819"}, {"b": "3337875549271", "n": "VICHY NORMADERM SKIN BALANCE 40ML", "r": "220225437"}, {"b": "3337871324865", "n": "VICHY NORMADERM NIGHT DETOX 40ML", "r": "220233944"}, {"b": "3337871324506", "n": "VICHY NORMADERM HYALUSPOT 15 ML", "r": "220235466"}, {"b": "3337871320744", "n": "VICHY NORMADERM DEEP CLEANSING GEL 200ML", "r": "220229949"}, {"b": "3337871322281", "n": "VICHY NORMADERM ANTIAGING 50ML", "r": "220223858"}, {"b": "3337871324032", "n": "VICHY NEOGENIC 28X6ML", "r": "220219062"}, {"b": "6294016124186", "n": "VICHY MINERAL 89MICELLAR PROMO PACK", "r": "220057441"}, {"b": "3337875489836", "n": "VICHY LIFTACTIVE SUPREME SERUM10  30ML", "r": "220226208"}, {"b": "3337871324346", "n": "VICHY LIFTACTIV SERUM 10 EYES  LASHES 15ML", "r": "220224289"}, {"b": "3337875607308", "n": "VICHY LIFTACTIV MICRO HYALU EYE PATCH 2S", "r": "220236214"}, {"b": "3337875607322", "n": "VICHY LIFTACTIV HYALU MASK 50ML", "r": "220231064"}, {"b": "3337871323059", "n": "VICHY LIFT ACTIV SERUM10 30 ML", "r": "220226633"}, {"b": "6294016124155", "n": "VICHY IS VELVETY PROMO", "r": "220051089"}, {"b": "6294016124131", "n": "VICHY IS DRY TOUCH PROMO", "r": "220061896"}, {"b": "6294016124148", "n": "VICHY IS BB PROMO", "r": "220051856"}, {"b": "3337875419802", "n": "VICHY IS ANTI DARK SPOT 3IN1 SPF50 50ML", "r": "220229957"}, {"b": "3337871323547", "n": "VICHY IDEALIA SMOOTH  ILLUMINATING CRM NS 50ML", "r": "220216748"}, {"b": "3337871330118", "n": "VICHY IDEALIA SKIN SLEEP GEL BALM NIGHT 50ML", "r": "220224423"}, {"b": "3337875551724", "n": "VICHY IDEALIA LIFE SERUM 30ML", "r": "220227210"}, {"b": "3337871324988", "n": "VICHY IDEALIA LIFE SERUM 30ML", "r": "220229754"}, {"b": "3337871323561", "n": "VICHY IDEALIA EYE CREAM 15ML", "r": "220222694"}, {"b": "3337871324537", "n": "VICHY IDEALIA BB CRM IDEAL MEDIUM SPF25 40ML", "r": "220231686"}, {"b": "3337871324520", "n": "VICHY IDEALIA BB CREAM SPF25 LIGHT", "r": "220229817"}, {"b": "3337871329426", "n": "VICHY IDEAL WHITE SPOT INTERVENTION 15ML", "r": "220231528"}, {"b": "3337875474450", "n": "VICHY IDEAL WHITE SLEEPING MASK 75ML", "r": "220226039"}, {"b": "3337871329419", "n": "VICHY IDEAL WHITE REPLUMP GEL CRM 50 ML", "r": "220217946"}, {"b": "3337871329433", "n": "VICHY IDEAL WHITE EYES CONCENTRATE 15ML", "r": "220220233"}, {"b": "3337871328634", "n": "VICHY IDEAL WHITE ESSENCE 30ML", "r": "220225054"}, {"b": "3337871329402", "n": "VICHY IDEAL WHITE BRIGHT CLEAN FOAM 100ML", "r": "220223566"}, {"b": "3337871330187", "n": "VICHY IDEAL SOLEIL SPRAY BRONZE SPF50 200ML", "r": "220230406"}, {"b": "3337871330217", "n": "VICHY IDEAL SOLEIL DRY OIL SPF50 125ML", "r": "220232458"}, {"b": "3337871318697", "n": "VICHY IDEAL SOLEIL AFTER SUN SOS BALM 100ML", "r": "220234525"}, {"b": "3337871322724", "n": "VICHY IDEAL SOLEIL AFTER SUN MILK 300ML", "r": "220217198"}, {"b": "3337871328610", "n": "VICHY IDEAL META WHITE EMULSION 50ML", "r": "220234183"}, {"b": "3337871328535", "n": "VICHY IDEAL BODY SERUM MILK 200ML", "r": "220224735"}, {"b": "3337871325824", "n": "VICHY IDEAL BODY OIL SHIMMER 100ML", "r": "220224131"}, {"b": "3337871325831", "n": "VICHY IDEAL BODY OIL 100ML", "r": "220221363"}, {"b": "3337871328566", "n": "VICHY IDEAL BODY BALM 200ML", "r": "220230083"}, {"b": "6294014647816", "n": "VICHY HOMME POUCH GWP", "r": "220194144"}, {"b": "3337871328894", "n": "VICHY HOMME IDEALIZER HYDRA MLTI ACTN 50ML", "r": "220232091"}, {"b": "3337871328856", "n": "VICHY HOMME IDEALIZER FREQ SHAVE MEN 50ML", "r": "220233613"}, {"b": "3337871318901", "n": "VICHY HOMME ANTI IRRITATION SHAVING FOAM 200ML", "r": "220217037"}, {"b": "3337875419833", "n": "VICHY HAND  NAIL CREAM SPF15 40ML", "r": "220231979"}, {"b": "3337871332334", "n": "VICHY DERMBLEND 3D CORRCTION 55 BRONZ SPF25 30ML", "r": "220226579"}, {"b": "3337871332327", "n": "VICHY DERMBLEND 3D CORRCTION 45 GOLD SPF25 30ML", "r": "220227771"}, {"b": "3337871332310", "n": "VICHY DERMBLEND 3D CORRCTION 35 SAND SPF25 30ML", "r": "220221995"}, {"b": "3337871332303", "n": "VICHY DERMBLEND 3D CORRCTION 25 NUDE SPF25 30ML", "r": "220226541"}, {"b": "3337871332297", "n": "VICHY DERMBLEND 3D CORRCTION 15 OPAL SPF25 30ML", "r": "220216147"}, {"b": "3337871324858", "n": "VICHY DERMAFINISH FOUNDATN STICK 45 GOLD 45G", "r": "220219551"}, {"b": "3337871324834", "n": "VICHY DERMAFINISH FOUNDATN STICK 35 SAND 45G", "r": "220228181"}, {"b": "3337871324810", "n": "VICHY DERMAFINISH FOUNDATN STICK 15 45G", "r": "220225223"}, {"b": "3337871324827", "n": "VICHY DERMABLEND STICK NUDE 25 45G", "r": "220220812"}, {"b": "3337871324841", "n": "VICHY DERMABLEND STICK BRONZE 55 45G", "r": "220230332"}, {"b": "3337871311582", "n": "VICHY DERMABLEND POWDER FIXER 35ML", "r": "220234544"}, {"b": "3337871316631", "n": "VICHY DERMABLEND FLUID 55 BRONZE FOUNDTN 30ML", "r": "220233669"}, {"b": "3337871316624", "n": "VICHY DERMABLEND FLUID 45 GOLD FOUNDTN 30ML", "r": "220226383"}, {"b": "3337871316617", "n": "VICHY DERMABLEND FLUID 35 SAND FOUNDTN 30ML", "r": "220222383"}, {"b": "3337871316600", "n": "VICHY DERMABLEND FLUID  25 NUDE FOUNDTN 30ML", "r": "220235413"}, {"b": "3337871316594", "n": "VICHY DERMABLEND FLUID  15 FOUNDTN 30ML", "r": "220220874"}, {"b": "3337871324766", "n": "VICHY DERMABLEND COMAPCT FOUNDTNL 55 BRONZE SPF30", "r": "220225797"}, {"b": "3337871324759", "n": "VICHY DERMABLEND COMAPCT FOUNDTNL 45 GOLD SPF30", "r": "220225139"}, {"b": "3337871324773", "n": "VICHY DERMABLEND COMAPCT FOUNDTNL 35 SAND SPF30", "r": "220232724"}, {"b": "3337871324780", "n": "VICHY DERMABLEND COMAPCT FOUNDTNL 25 NUDE SPF30", "r": "220216658"}, {"b": "3337871324742", "n": "VICHY DERMABLEND COMAPCT FOUNDTNL 15 SPF30", "r": "220217201"}, {"b": "6294014650465", "n": "VICHY DERCS ANTIDAND DRY HAIR 200ML", "r": "220163408"}, {"b": "3337875485128", "n": "VICHY DERCOS ULTRA SOOTHING SHAMP OILY 200ML", "r": "220236456"}, {"b": "3337875486736", "n": "VICHY DERCOS ULTRA SOOTHING SHAMP DRY 200ML", "r": "220220369"}, {"b": "3337871323790", "n": "VICHY DERCOS REPARATIVE DRY DAMAGED HAIR COND 150ML", "r": "220216825"}, {"b": "3337871323806", "n": "VICHY DERCOS REPARATIVE DRY  DAMAGED HAIR SHMP 200ML", "r": "220230700"}, {"b": "3337875595667", "n": "VICHY DERCOS NUTRI DETOX COND 200ML", "r": "220216842"}, {"b": "3337871323783", "n": "VICHY DERCOS NOURISHING REPARATIVE MASK 200 ML", "r": "220220564"}, {"b": "3337871330019", "n": "VICHY DERCOS NEOGENIC SHAMPOO 400ML", "r": "220167820"}, {"b": "3337871324629", "n": "VICHY DERCOS NEOGENIC REDENSIFYING SHAMPOO 200ML", "r": "220218327"}, {"b": "3337875574389", "n": "VICHY DERCOS DT DENSISOL CREAM T 150ML", "r": "220223180"}, {"b": "3337875551984", "n": "VICHY DERCOS ANTI DAND SHAMPOO 100ML", "r": "220217334"}, {"b": "3337871323424", "n": "VICHY DERCOS AMINEXIL PRO WOMEN 12X6ML", "r": "220219422"}, {"b": "6294016122984", "n": "VICHY DEO MINERAL PROMO 3F2", "r": "220061012"}, {"b": "3337871317768", "n": "VICHY CS ULTRA PROT FLD SPF50 40ML", "r": "220230048"}, {"b": "3337871325770", "n": "VICHY CS BRUM HYDRA SPF 50 200ML", "r": "220227908"}, {"b": "3337871324452", "n": "VICHY CAPITAL SOLEIL SPRAY ENFANT SPF50 200ML", "r": "220226166"}, {"b": "3337871322717", "n": "VICHY CAPITAL SOLEIL SPF50 BODY SPRAY 200ML", "r": "220223411"}, {"b": "3337871320201", "n": "VICHY CAPITAL SOLEIL MAX PROTECT CRM SPF 50 50ML", "r": "220221134"}, {"b": "3337875648561", "n": "VICHY CAP SOL REHYDRA LGHT SPRY SPF50 200ML", "r": "220234784"}, {"b": "3337875648530", "n": "VICHY CAP SOL MULTI PROTCT MILK SPF50 200ML", "r": "220226093"}, {"b": "3337871325541", "n": "VICHY AQUALIA THERMAL RICH CREAM 50ML", "r": "220225984"}, {"b": "30080270", "n": "VICHY AQUALIA THERMAL LIP BALM 47G", "r": "220235796"}, {"b": "3337871325572", "n": "VICHY AQUALIA THERMAL LIGHT CREAM 50ML", "r": "220216033"}, {"b": "3337871325558", "n": "VICHY AQUALIA THERMAL DYNAMIC HYDRATE RICH CRM 40ML", "r": "220223315"}, {"b": "6294016124100", "n": "VICHY ANTIPERSPIRANT DEO PROMO 3F2", "r": "220073007"}, {"b": "3337871320935", "n": "VICHY ANTI STRETCH MARK CREAM 200 ML", "r": "220232693"}, {"b": "3337871323455", "n": "VCHY DER AMXL PRO ANTI HAIR LOSS TRTMT MEN AMP126ML", "r": "220218174"}, {"b": "3337871321840", "n": "VCH CELLUDESTOCK ACELLULITE 200ML", "r": "220226176"}, {"b": "6294016150765", "n": "V VICHY MINERAL 89 75ML PROMO N", "r": "220186574"}, {"b": "6294016124124", "n": "V VICHY DEO HOMME PROMO 3F2", "r": "220056149"}, {"b": "6294016124117", "n": "V VICHY DEO BILLE STRESS PROMO 3F2", "r": "220055141"}, {"b": "6294016132976", "n": "V VICHY DEO BILLE PTS PROMO 3F2", "r": "220066442"}, {"b": "8006540139592", "n": "VICKS VAPORUB 100G", "r": "220236500"}, {"b": "8006540139530", "n": "VICKS VAPORUB 50G", "r": "220220192"}, {"b": "4022167105752", "n": "VICKS SWEET DREAM ULTRASONIC HUMIDIFIER 575E1", "r": "220221496"}, {"b": "4022167170415", "n": "VICKS COMFORTING VAPOURS PLUG IN", "r": "220227186"}, {"b": "4022167130211", "n": "VICKS STEAM INHALER", "r": "220229268"}, {"b": "4022167700858", "n": "VICKS VAPO PADS 7S", "r": "220223938"}, {"b": "4084500208872", "n": "VICKS INHALER 10ML", "r": "220234902"}, {"b": "5410076270415", "n": "VICKS THROATDROPSLIME  SAGE 40 GM", "r": "220227083"}, {"b": "5410076270347", "n": "VICKS THROATDROPS EXTRASTRONG MENTHOL 40GM", "r": "220226303"}, {"b": "5000174726084", "n": "VICKS COUGH DPS MENTHOL 40GM", "r": "220222131"}, {"b": "5000174726046", "n": "VICKS COUGH DPS LEMON 40GM", "r": "220230062"}, {"b": "4015600001926", "n": "VICKS VAPOROUB 50GM", "r": "220225485"}, {"b": "4015600001919", "n": "VICKS VAPOROUB 100GM", "r": "220228321"}, {"b": "5410076270446", "n": "VICKS THROATDROPS APPLEFENNEL 40 GM", "r": "220228577"}, {"b": "5000174726121", "n": "VICKS COUGH DPS CHERRY 40GM", "r": "220158185"}, {"b": "8001090181565", "n": "VICKS BABY RUB 50G", "r": "220156516"}, {"b": "9650137005723", "n": "VICTOZA 6 MG", "r": "220163118"}, {"b": "793596770807", "n": "VIDABLEX FORTE TAB 30S", "r": "220238934"}, {"b": "8050444850763", "n": "VIDERMINA INTIMATE GEL 30ML", "r": "220158154"}, {"b": "724165992108", "n": "VIDIMED VIDIKIDS NAPPY CREAM 75G", "r": "220168066"}, {"b": "724165992078", "n": "VIDIMED VIDIGYN INTIMATE WIPES 10S", "r": "220155558"}, {"b": "724165992085", "n": "VIDIMED VIDIGYM PROTECT 125ML", "r": "220164329"}, {"b": "4022679127174", "n": "VIDIMED MAGBEX", "r": "220166844"}, {"b": "724165992368", "n": "VIDIMED D3 10X1 STRIP", "r": "220167181"}, {"b": "4022679127136", "n": "VIDIMED CARNIGOR", "r": "220167183"}, {"b": "724165992320", "n": "VIDIMED B12 10X1 STRIP", "r": "220163107"}, {"b": "3830056330120", "n": "VIDIMED AMYCAL 1000MG 90G", "r": "220166070"}, {"b": "965016000223", "n": "VIGAMOX 5ML EYE SOL", "r": "220158890"}, {"b": "300654013037", "n": "VIGAMOX EYE DROPS 3ML", "r": "220158944"}, {"b": "5290931027619", "n": "VIMTRILE 20MG TAB 4S", "r": "220193485"}, {"b": "7640140380186", "n": "VINODERM WHTNNG CLR COMPLX MOIST50ML", "r": "220073177"}, {"b": "7640140380216", "n": "VINODERM WHTNNG CLNSR FOAM100ML", "r": "220071628"}, {"b": "7640140380209", "n": "VINODERM WHTNG CLR COMPLX SERUM30ML", "r": "220065838"}, {"b": "7640140380162", "n": "VINODERM PRTCT DETOX WASH CRM100ML", "r": "220061962"}, {"b": "7640140380155", "n": "VINODERM PRTCT DETOX MOIST CRM50ML", "r": "220062438"}, {"b": "7640140380308", "n": "VINODERM CLNSR RFRSH WASH GEL100ML", "r": "220051660"}, {"b": "7640140380292", "n": "VINODERM CLNSR MLD TONFY LTN200ML", "r": "220058980"}, {"b": "7640140380322", "n": "VINODERM CLNSR GNTL PELNG75ML", "r": "220073178"}, {"b": "7640140380261", "n": "VINODERM AAGE EYE CONTOUR GEL30ML", "r": "220056669"}, {"b": "745760419982", "n": "VIROMASK V BLOCK FACE MASK 1S", "r": "220204118"}, {"b": "8414042001550", "n": "VIS ACTIV WIPES STERILE EYE WIPES 30S", "r": "220229720"}, {"b": "4028694000997", "n": "VISMED EYE GEL 045MLX20S", "r": "220223025"}, {"b": "602573097830", "n": "V VITA COLON RELIEF SMOOTH MELT TAB 60S", "r": "220085850"}, {"b": "602573097878", "n": "V VITA ORTHO CALDK TAB 60S", "r": "220082207"}, {"b": "602573097861", "n": "V VITA GESTAT PRENATAL ONE A DAY CAPS 60S", "r": "220051654"}, {"b": "8436542622738", "n": "FORCENRGY PERFORMANCE DRINKABLE VIALS 10 VIALS 10ML", "r": "220218520"}, {"b": "602573097847", "n": "VITA GESTAT PLUS OMEGA3 PEGNANCY TAB 30S", "r": "220229976"}, {"b": "5021265222544", "n": "VITABIOTICS JOINTACE MAX 84S", "r": "220229484"}, {"b": "5021265221424", "n": "VITABIOTICS IMMUNACE TABS 30S", "r": "220219760"}, {"b": "5021265246656", "n": "VITABIOTICS WELLKID MULTI VIT LIQ 412Y", "r": "220154605"}, {"b": "5021265244843", "n": "VITABIOTICS PREGNACARE MAX  84S", "r": "220224737"}, {"b": "5021265223398", "n": "VITABIOTICS PERFECTIL PLUS SKIN TABS 56S", "r": "220198092"}, {"b": "5021265223527", "n": "VITABIOTICS WELLMAN SPORT TAB 30S", "r": "220197833"}, {"b": "5021265243389", "n": "VITABIOTICS WELLWOMAN SPORT TAB 30S", "r": "220197667"}, {"b": "5021265245741", "n": "VITABIOTICS PERFECTILPLUS HAIR TAB60S", "r": "220198200"}, {"b": "5021265249473", "n": "VVITABIOTICS PERFECTIL HAIR CRUSH GUMMIES 60S", "r": "220198141"}, {"b": "5021265224081", "n": "VITABIOTICS VISIONACE PLUS TAB 56S", "r": "220198099"}, {"b": "5021265243846", "n": "VITABIOTICS DIABETONE PLUS TAB 56S", "r": "220197619"}, {"b": "5021265247400", "n": "VITABIOTICS ULTRA VIT D3  2000IU 96 TABS", "r": "220212973"}, {"b": "5021265246694", "n": "VITABIOTICS PREGNACARE LIQUID 200 ML", "r": "220212912"}, {"b": "5021265246427", "n": "VITABIOTICS MENOPACE PLUS TAB", "r": "220167092"}, {"b": "5021265242252", "n": "VITABIOTICS DIABETONE CAPS 30S", "r": "220168678"}, {"b": "5021265220038", "n": "VITABIOTICS PERFECTIL CAP 30S", "r": "220225263"}, {"b": "5021265220076", "n": "VITABIOTICS FEROGLOBIN CAPS 30S", "r": "220231939"}, {"b": "5021265221301", "n": "VITABIOTICS WELLMAN TAB 30S", "r": "220220198"}, {"b": "5021265222001", "n": "VITABIOTICS WELLWOMAN CAPS 30", "r": "220235249"}, {"b": "5021265223350", "n": "VITABIOTICS PLATINUM 30TAB", "r": "220224678"}, {"b": "5021265223510", "n": "VITABIOTICS WELLMAN 50 30S", "r": "220227475"}, {"b": "5021265223534", "n": "VITABIOTICS WELLMAN CONCEPTON 30S", "r": "220235127"}, {"b": "5021265223602", "n": "VITABIOTICS WELLWOMAN 50 30S", "r": "220220047"}, {"b": "5021265232062", "n": "VITABIOTICS PREGNACARE BREASTFEEDING 84S", "r": "220221081"}, {"b": "5021265248780", "n": "VITABIOTICS HAIRFOLLIC WOMEN 60 TAB", "r": "220231743"}, {"b": "5021265244058", "n": "VITABIOTICS JOINTACE CHON 30S", "r": "220171479"}, {"b": "5021265221523", "n": "VITABIOTICS PREGNACARE PLUS 56S", "r": "220169375"}, {"b": "5021265227396", "n": "VITABIOTICS OSTEROCARE PLUS 84S", "r": "220161300"}, {"b": "5021265247219", "n": "VITABIOTICS PERFECTIL PLATINUM COLLAGEN SKIN 10X50ML", "r": "220152397"}, {"b": "5021265247295", "n": "VVITABIOTICS FEROGLOBIN FIZZ 20S", "r": "220158939"}, {"b": "5021265247318", "n": "VITABIOTICS WELLTEEN HER 30 TAB", "r": "220153298"}, {"b": "5021265250592", "n": "VITABIOTICS PREGCARE CNCEPTN TB 30S", "r": "220155636"}, {"b": "5021265247325", "n": "VITABIOTICS WELLTEEN MEN TAB 30S", "r": "220162285"}, {"b": "5021265243822", "n": "VITABIOTICS CARDIOACE CAPS 30S", "r": "220163580"}, {"b": "5021265221004", "n": "VITABIOTICS MENOPACE TABLET 30S", "r": "220154974"}, {"b": "5021265231218", "n": "VITABIOTICS FEROGLOBIN SYRUP 500ML", "r": "220164018"}, {"b": "5021265245871", "n": "VVITABIOTICS OSTEOCARE TAB 30S", "r": "220152545"}, {"b": "5021265247622", "n": "VVITABIOTICS PREGNACARE TAB 30S", "r": "220153694"}, {"b": "5021265244867", "n": "VVITABIOTICS ULTRA CRANBERRY EXTRACT TABS 30S", "r": "220162476"}, {"b": "5021265227471", "n": "VITABIOTICS OSTEOCAR GLUCSMNCONDRTN 60S", "r": "220002367"}, {"b": "5021265248094", "n": "VVITABIOTICS OSTEOCARE SYP 200ML", "r": "220162762"}, {"b": "5021265222902", "n": "VITABIOTICS OSTEOCARE FIZZ 20S", "r": "220165179"}, {"b": "5021265220403", "n": "VITABIOTICS OSTEOCARE 30 CHEWABLE", "r": "220158885"}, {"b": "5021265244508", "n": "VITABIOTICS NEUROZAN CAPS 30S", "r": "220221885"}, {"b": "5021265247578", "n": "VITABIOTICS WELLKID SOFTBURST 60S", "r": "220155750"}, {"b": "5021265221707", "n": "VITABIOTICS JOINTACE GEL 75ML", "r": "220222380"}, {"b": "5021265222605", "n": "VITABIOTICS VISIONACE CAPS 30S", "r": "220232408"}, {"b": "5021265223855", "n": "VITABIOTICS WELLBABY MULTIVITAMIN  LIQ 150ML", "r": "220154277"}, {"b": "5021265246441", "n": "VITABIOTICS WELLKID IMMUNE CHEWABLE TABS 30S", "r": "220164523"}, {"b": "5021265246342", "n": "VITABIOTICS WELLBABY VIT D DRP 30ML", "r": "220155748"}, {"b": "5021265223800", "n": "VITABIOTICS WELLKID CHEWABLE TAB 30S", "r": "220235464"}, {"b": "5021265222100", "n": "VITABIOTICS PREGNACARE CREAM 100ML", "r": "220231660"}, {"b": "5021265247196", "n": "VITABIOTICS WELLBABY DROPS 30ML", "r": "220161159"}, {"b": "5021265220090", "n": "VITABIOTICS WELLMAN CAP30S", "r": "220225204"}, {"b": "5021265243372", "n": "VITABIOTICS ULTRA D3 TAB 96S", "r": "220226501"}, {"b": "5021265247301", "n": "VITABIOTICS PERFECTIL PLATINUM COLLAGEN HAIR 10X50ML", "r": "220171485"}, {"b": "5021265222391", "n": "VITABIOTICS JOINTACE PATCH 8S", "r": "220217724"}, {"b": "5021265222254", "n": "VITABIOTICS HAIRFOLLIC MAN 60TAB", "r": "220231455"}, {"b": "5021265222551", "n": "VITABIOTICS AQUAMARINE CAP 2 IN 160S", "r": "220155742"}, {"b": "7611272000525", "n": "VITACED AZ LUTEIN  Q10", "r": "220214052"}, {"b": "850565006777", "n": "V VH CTAMIN VITAMIN C 1000MG 100TABS", "r": "220193116"}, {"b": "850565006760", "n": "V VH CTAMIN VITAMIN C 500 MG 100TABS", "r": "220193473"}, {"b": "751273775101", "n": "VH SYNOSHIELD FORTE TAB", "r": "220172112"}, {"b": "751273775149", "n": "VH SPERMADOL 30 TABLET", "r": "220169113"}, {"b": "751273775088", "n": "VH OPTIVIN 30 SOFTGEL", "r": "220169650"}, {"b": "751273775071", "n": "VH LACTOPLEX 30 TABLET", "r": "220170827"}, {"b": "74312718328", "n": "VW EXTRA STRENGTH WATER PILL 100S", "r": "220166363"}, {"b": "4204000410722", "n": "VITANE VITAGLOBIN SYRUP 200ML", "r": "220153440"}, {"b": "204000611642", "n": "VITANE VIT C 500MG GRAPE CHEW TAB 60S", "r": "220196203"}, {"b": "204000611659", "n": "VITANE VIT C 500MG CITR SQUEEZ CHEW TAB 60S", "r": "220195692"}, {"b": "4260297475486", "n": "VITANE TRIVISION 30SG CAPS", "r": "220158478"}, {"b": "204000611628", "n": "VITANE TDF VIT C 500 WITH A  D3 CHEW TAB 60S", "r": "220194734"}, {"b": "204000611338", "n": "VITANE PERFEKT DIAMOND FOR WOMEN 30TAB HAIRSKINNAILS", "r": "220166418"}, {"b": "204000611345", "n": "VITANE PERFEKT DIAMOND FOR MENS HAIR 30TAB", "r": "220163022"}, {"b": "4204000410739", "n": "VITANE MULTIVIT DROPS 30ML", "r": "220163329"}, {"b": "204000610362", "n": "VITANE MELATONIN TABLETS 3MG 30S", "r": "220234654"}, {"b": "4260297471570", "n": "VITANE LIQUID SYRUP 200ML", "r": "220226831"}, {"b": "4260297473413", "n": "VITANE KIDS PLUS ORAL DROPS 30ML", "r": "220217359"}, {"b": "204000610232", "n": "VITANE JOINT FREE TRIPLE ACTION TABLETS 80S", "r": "220217808"}, {"b": "4260297471617", "n": "VITANE IROVIT DROPS 30ML", "r": "220152878"}, {"b": "4204000410210", "n": "VITANE IROVIT CAP 30S", "r": "220160189"}, {"b": "204000611611", "n": "VITANE GINGER FLU DEF FORMLA CHEW TAB 60S", "r": "220194161"}, {"b": "4260297472669", "n": "VITANE GALACTOVIT GRANULES 180G PWDR", "r": "220159884"}, {"b": "204000610324", "n": "VITANE FOLVYTE TABLETS 30S", "r": "220235425"}, {"b": "204000610348", "n": "VITANE EVE PRIMROSE OIL 1000MG 30SG", "r": "220170719"}, {"b": "4260297473420", "n": "VITANE DTROL VIT D 30ML ORAL DROPS PINEAPPLE FLAV", "r": "220152388"}, {"b": "204000611055", "n": "VITANE DTROL 1000 IU SOFTGEL CAP 30S", "r": "220222746"}, {"b": "204000614568", "n": "VITANE DIABESURE 30 TAB", "r": "220216505"}, {"b": "204000710055", "n": "VITANE CALCIVYTE TAB 30S", "r": "220231397"}, {"b": "204000610331", "n": "VITANE CALCIVYTE 90S TAB", "r": "220161503"}, {"b": "4204000410135", "n": "VITANE CALCICARE SYRUP 200ML", "r": "220222987"}, {"b": "4204000410142", "n": "VITANE CALCICARE 30 TABLETS", "r": "220159885"}, {"b": "4260297473406", "n": "VITANE ADZIR 30ML VIT A D IRON ZN ORAL DRP TOFFEE", "r": "220152876"}, {"b": "3760095250212", "n": "VITIX VITAMINS 30S", "r": "220155128"}, {"b": "9555830800319", "n": "VITRAPLUS CABLOC 60CAPS", "r": "220164899"}, {"b": "5060307380231", "n": "VIV DRM SMOOTHING SERUM 30ML", "r": "220087343"}, {"b": "5060307380125", "n": "VIV DRM SCULPTING NECK  CHEST CRM 50ML", "r": "220189705"}, {"b": "5060307380088", "n": "VIV DRM RESTORING SKIN MOISTR 50ML", "r": "220099350"}, {"b": "5060307380163", "n": "VIV DRM PERFECTING FACIAL OIL 50 ML", "r": "220075230"}, {"b": "5060307380248", "n": "VIV DRM DETOX ELIXIR 30ML", "r": "220085870"}, {"b": "5060307380347", "n": "VIV DRM DE AGEING EYE CRM 10ML", "r": "220066631"}, {"b": "5060307380187", "n": "VIV DRM CONTOURING SERUM 30ML", "r": "220187752"}, {"b": "5060307380057", "n": "V VIV DRM PURIFING SKIN TONIC 125ML", "r": "220088575"}, {"b": "5060307380095", "n": "V VIV DRM EQUALISING MOISTURISER 50ML", "r": "220062328"}, {"b": "5060307380224", "n": "V VIV DRM DEPIGMENTATION SERUM 30ML", "r": "220077256"}, {"b": "5060307380330", "n": "V VIV DRM CORCTNG EYE SERUM 10ML", "r": "220191639"}, {"b": "5060307380019", "n": "V VIV DRM COMFORTING GELLE CLSNR 100ML", "r": "220050524"}, {"b": "5060307380279", "n": "V VIV DRM CELLULAR RECV SYSTEM 4X7ML", "r": "220082220"}, {"b": "5060307380033", "n": "V VIV DRM BALANCING CLEANSING CRM 125ML", "r": "220056812"}, {"b": "6970021531187", "n": "VIYA TOMATO OXYGN  FACE MASK 30ML", "r": "220087330"}, {"b": "6936217764302", "n": "VIYA ROSE WHTING REPAIR HAND MASK  40ML", "r": "220069016"}, {"b": "6970021531194", "n": "VIYA GREEN APPLE OXYGN FACE MASK 30ML", "r": "220084639"}, {"b": "6970021531217", "n": "VIYA CUCUMBER OXYGN  FACE MASK 30ML", "r": "220085167"}, {"b": "6970021531200", "n": "VIYA CHERRY OXYGN FACE MASK 30ML", "r": "220065108"}, {"b": "6970021531163", "n": "VIYA AVOCADO WHITENING FACE MASK 30ML", "r": "220058769"}, {"b": "6936217764319", "n": "VIYA TENDR  PEELING FOOT MASK 40ML", "r": "220061743"}, {"b": "3838989728779", "n": "VIZARSIN 100MG ORODISPERSIBLE TABLET", "r": "220211982"}, {"b": "8906008457193", "n": "VLCC LEMONGRASS WALNUT FOOTSCRUB 100ML", "r": "220161799"}, {"b": "8906008457216", "n": "VLCC LEMONGRASS PATCHOULI FOOT SPRY 100ML", "r": "220166838"}, {"b": "8906008457223", "n": "VLCC COCO BUT NEEM FOOT CRM 100ML", "r": "220160023"}, {"b": "965013700424", "n": "VOLTAREN SR 75MG TAB 30S", "r": "220168074"}, {"b": "6291107434315", "n": "VOLTAREN EMULGEL 2 12 HOURS GEL 100GM", "r": "220216380"}, {"b": "965013700194", "n": "VOLTAREN 50MG DIS TAB 20S", "r": "220169058"}, {"b": "9650137005983", "n": "VOLTAREN AMP 5S", "r": "220159566"}, {"b": "4607045191784", "n": "VOLTAREN DISPENSER 75GM", "r": "220167315"}, {"b": "965013700305", "n": "VOLTAREN 50MG TAB 20S", "r": "220166969"}, {"b": "965013700307", "n": "VOLTAREN RET 100MG TAB 10S", "r": "220172333"}, {"b": "6291107434278", "n": "VOLTAREN 12 HOUR EMULGEL 50GM", "r": "220169229"}, {"b": "965013700304", "n": "VOLTAREN 50MG SUPPO 10S", "r": "220164234"}, {"b": "965013700300", "n": "VOLTAREN 100MG SUPPO 5S", "r": "220169277"}, {"b": "965013700306", "n": "VOLTAREN 75MG SR TAB 10S", "r": "220167473"}, {"b": "965013700302", "n": "VOLTAREN 25MG SUPPO 10S", "r": "220171281"}, {"b": "965013700301", "n": "VOLTAREN 125MG SUPPO 10S", "r": "220164233"}, {"b": "965013700333", "n": "VOLTAREN EMULGEL 50G", "r": "220162972"}, {"b": "965013700515", "n": "VOLTAREN AMPS 75MG 5X3ML", "r": "220170063"}, {"b": "965013700303", "n": "VOLTAREN 25MG TAB 30S", "r": "220168847"}, {"b": "9650137006164", "n": "VOLTATHERM THERMAL PATCH 5S", "r": "220227067"}, {"b": "9650137005471", "n": "VOLTFAST 50MG SACHET 30S", "r": "220172375"}, {"b": "3057640245978", "n": "VOLVIC MINERAL WATER 750ML", "r": "220051583"}, {"b": "3057640253133", "n": "VOLVIC MINERAL WATER 500ML", "r": "220077754"}, {"b": "3057640202223", "n": "VOLVIC MINERAL WATER 330ML", "r": "220053259"}, {"b": "9555830800326", "n": "VSENSE INTIMATE GEL 30ML", "r": "220158935"}, {"b": "8021756000542", "n": "VULNAMIN GEL 50G", "r": "220185453"}, {"b": "8021756000399", "n": "VULNAMIN CREAM 50G", "r": "220182344"}, {"b": "2514783258475", "n": "WAFI 50 MG 4 TABLETS", "r": "129826901"}, {"b": "5265874125487", "n": "WAFI 100 MG 4 TABLETS", "r": "129812151"}, {"b": "6291108281512", "n": "V WASHAMI INST HAND SANT WITH ALOE 250ML", "r": "220193187"}, {"b": "5013662290011", "n": "WASSEN SILICA OK TABLETS 30S", "r": "220165501"}, {"b": "73950258623", "n": "WATERPIK DENTAL WATER JET WP 360", "r": "220072893"}, {"b": "73950271028", "n": "WATERPIK CORDLESS PLUS WHITE", "r": "220232384"}, {"b": "5099514041215", "n": "WATERWIPES BABY CHEMICALFREE WIPES 60S", "r": "220230065"}, {"b": "625273050530", "n": "WN ZINC TABLETS 180S", "r": "220159731"}, {"b": "625273076622", "n": "WN VITAMINE C 500MG CAPS 60S", "r": "220236045"}, {"b": "625273031041", "n": "WN VITAMIN D3 1000IU TAB 100S", "r": "220227790"}, {"b": "625273050585", "n": "WN VITAMIN D 400IU TAB 180S", "r": "220154826"}, {"b": "625273031331", "n": "WN VITAMIN B6 B12 WITH FOLIC ACID 50MG125MCG CAP 90S", "r": "220235461"}, {"b": "625273033359", "n": "WN VITAMIN B6 B12  FOLIC ACID 50MG125 MCG CAP 90S", "r": "220233187"}, {"b": "625273030624", "n": "WN VIT E400 NAT SOU CAP 90S", "r": "220156043"}, {"b": "625273075519", "n": "WN VIT C 500MG TROP BRZ 90CHW", "r": "220170717"}, {"b": "625273031249", "n": "WN VIT B6 100MG 60 TAB", "r": "220153569"}, {"b": "625273031010", "n": "WN VIT B50 COMPLEX 60S", "r": "220163779"}, {"b": "625273031386", "n": "WN VIT B100 COMPLEX 60S", "r": "220154042"}, {"b": "625273034417", "n": "WN ULTRACRAN 500 MG 60S", "r": "220167388"}, {"b": "625273033373", "n": "WN SUPER VISION 90S", "r": "220169867"}, {"b": "625273034097", "n": "WN STJOHNS 300MG 60S", "r": "220152535"}, {"b": "625273050035", "n": "WN SALMONFISHOIL 1000MG 100S", "r": "220153439"}, {"b": "625273036190", "n": "WN PRENATAL 100 CAP", "r": "220162869"}, {"b": "625273033731", "n": "WN OSTEOJOINT EASE 90S", "r": "220227505"}, {"b": "625273033748", "n": "WN OSTEO JOINTASE 120CAP", "r": "220155307"}, {"b": "625273033786", "n": "WN OMEGA 3 WITH D3 900MG 50SG CAPS", "r": "220154267"}, {"b": "625273033540", "n": "WN OMEGA 3 FOR WOMEN 90 SOFTGELS", "r": "220160865"}, {"b": "625273033496", "n": "WN OMEGA 3 FOR KIDS 120SHEW", "r": "220154138"}, {"b": "625273033953", "n": "WN OMEGA 3 EPADHA 900MG 80SG CAPS", "r": "220155632"}, {"b": "625273033557", "n": "WN OMEGA 3 CARDIO FORMULA 90S", "r": "220166420"}, {"b": "625273031461", "n": "WN MULTISURE WOMEN50 60S", "r": "220171790"}, {"b": "625273031478", "n": "WN MULTISURE WOMEN 60S", "r": "220170718"}, {"b": "625273031492", "n": "WN MULTISURE MEN50 60S", "r": "220158681"}, {"b": "625273031485", "n": "WN MULTISURE MEN 60S", "r": "220160284"}, {"b": "625273034066", "n": "WN MILK THISTLE EXTRACT 250MG 60S", "r": "220163780"}, {"b": "625273031300", "n": "WN MAG CITRATE 150MG 60 TAB", "r": "220154754"}, {"b": "625273034523", "n": "WN LIVER HEALTH 65CAPS", "r": "220156590"}, {"b": "625273032093", "n": "WN LACTASE ENZYE 60CAPS", "r": "220155804"}, {"b": "625273050332", "n": "WN GLUCHO CHON 750600 90 TAB", "r": "220158824"}, {"b": "625273050127", "n": "WN GINKOBILOBA 60MG TAB 60S", "r": "220158407"}, {"b": "625273031164", "n": "WN FOLIC ACID 400 MCG 90 TAB", "r": "220226110"}, {"b": "625273031089", "n": "WN FOLIC ACID 1MG 90 TAB", "r": "220164011"}, {"b": "625273033052", "n": "WN EVENPRIMROSE 500MG 90S", "r": "220158477"}, {"b": "625273033045", "n": "WN EVENPRIMROSE 1000MG 90S", "r": "220168899"}, {"b": "625273035117", "n": "WN ECHINAMAX 2500MG 60S", "r": "220156044"}, {"b": "625273032017", "n": "WN DIGESTIVE ENZYMES 90S", "r": "220159478"}, {"b": "625273032970", "n": "WN COQ10  OMEGA 3 100834MG SG 30 CAP", "r": "220165749"}, {"b": "625273034516", "n": "WN COLON HEALTH 90CAPS", "r": "220165331"}, {"b": "625273033007", "n": "WN COENZYME Q10 100MG 30S", "r": "220168672"}, {"b": "625273050868", "n": "WN COD LIVER OIL CAPS 180S", "r": "220153687"}, {"b": "625273031591", "n": "WN CALCIUM 650VIT D 400", "r": "220152316"}, {"b": "625273031096", "n": "WN CAL MAG WITH D 90 TAB", "r": "220171478"}, {"b": "625273031256", "n": "WN B12 CYANOCOBALA 90S", "r": "220165982"}, {"b": "625273050547", "n": "WN APPLE CIDER VINEGAR 250S", "r": "220159607"}, {"b": "625273034639", "n": "WN ANTIMIGRAINE 90CAP", "r": "220152313"}, {"b": "625273032031", "n": "V WN ACIDOPHLILUS BIFIDUS 60 CAP", "r": "220152672"}, {"b": "4001638098595", "n": "WELEDA SKIN FOOD CREAM 75ML", "r": "220291296"}, {"b": "4001638098311", "n": "WELEDA CALENDULA BABY NAPPY CHANGE CREAM 75ML", "r": "220286144"}, {"b": "4001638096515", "n": "WELEDA CAL BABY SHMP AND BW 200ML:NOCOLOUR:NO SIZE", "r": "220286155"}, {"b": "4056800195640", "n": "WELLA FLEX HAIR SPRAY BRILL CLR 250ML", "r": "220233320"}, {"b": "615828889173", "n": "WELLNESS WEIGHT MANAGEMENT 60ML", "r": "220163864"}, {"b": "615828777777", "n": "WELLNESS SKIN SUPPORT 60 ML", "r": "220161786"}, {"b": "615828889302", "n": "WELLNESS DAILY DETOX 60ML", "r": "220169211"}, {"b": "8426181972837", "n": "WHITE KISS WHITENING PEN 5G", "r": "220060655"}, {"b": "857188004012", "n": "WILEYS PEAK EPA SOFTGEL 30S", "r": "220213419"}, {"b": "793573167972", "n": "WILEYS EASY SWALLOW MINIS SOFTGEL 60S", "r": "220213341"}, {"b": "40181700982", "n": "WINCARE HAND SANITIZER 120ML", "r": "220192706"}, {"b": "5028763005068", "n": "WISDOM XTRA CLEAN MEDIUM TB", "r": "220203489"}, {"b": "5028763006737", "n": "WISDOM XTRA CLEAN FIRM TB", "r": "220203557"}, {"b": "5028763011182", "n": "WISDOM UV PRO WHITENING EXPERT TB", "r": "220203561"}, {"b": "5028763008076", "n": "WISDOM TONGUE CLEANER", "r": "220204105"}, {"b": "5028763004429", "n": "WISDOM SMOKERS TB", "r": "220203814"}, {"b": "5028763004252", "n": "WISDOM REGULAR FRESH MEDIUM TB", "r": "220203544"}, {"b": "5028763004276", "n": "WISDOM REGULAR FRESH FIRM TB", "r": "220203682"}, {"b": "5028763009592", "n": "WISDOM QUANTUM WHITENING MEDIUM TB", "r": "220204504"}, {"b": "5028763002210", "n": "WISDOM INTERDENTAL MEDIUM TB", "r": "220204026"}, {"b": "5028763008243", "n": "WISDOM FRESH EFFECT WHITENING MEDIUM TB", "r": "220203806"}, {"b": "5028763007710", "n": "WISDOM FRESH EFFECT SENSITIVE TB", "r": "220203665"}, {"b": "5028763007697", "n": "WISDOM FRESH EFFECT MEDIUM TB", "r": "220203401"}, {"b": "5028763004467", "n": "WISDOM DUAL TEXTURE TB", "r": "220203912"}, {"b": "5028763006430", "n": "WISDOM DENTAL TAPE", "r": "220203407"}, {"b": "5028763006409", "n": "WISDOM DENTAL FLOSS 100M", "r": "220204106"}, {"b": "5028763010529", "n": "WISDOM ADVANCED INTERDENTAL FIRM TB", "r": "220204148"}, {"b": "9010128014286", "n": "WOMENS BEST SHAPE BODY SHAKE VANILLA 1000GM", "r": "220201986"}, {"b": "9010128000234", "n": "WOMENS BEST VEGAN PROTEIN VANILLA 900GM", "r": "220202155"}, {"b": "9010128000227", "n": "WOMENS BEST VEGAN PROTEIN CHOCOLATE 900GM", "r": "220201893"}, {"b": "9010128014279", "n": "WOMENS BEST SHAPE BODY SHAKE CHOCOLATE 1000GM", "r": "220202054"}, {"b": "9010128025008", "n": "WOMENS BEST PROTEIN BAR STRAWBERRY CRUNCH", "r": "220201729"}, {"b": "9010128025015", "n": "WOMENS BEST PROTEIN BAR PEANUT BUTTER CARAMEL CRUNCH", "r": "220201370"}, {"b": "9010128024995", "n": "WOMENS BEST PROTEIN BAR COCONUT CRUNCH", "r": "220201846"}, {"b": "9010128024988", "n": "WOMENS BEST PROTEIN BAR CHOCOLATE HAZELNUT CRUNCH", "r": "220201399"}, {"b": "9010128000807", "n": "WOMENS BEST PRE WORKOUT MIXED BERRY 300GM", "r": "220201040"}, {"b": "9010128002313", "n": "WOMENS BEST FIT WHEY VANILLA 1000G", "r": "220201571"}, {"b": "9010128002306", "n": "WOMENS BEST FIT WHEY CHOCOLATE 1000G", "r": "220201230"}, {"b": "9010128005208", "n": "WOMENS BEST BCAA PASSION MANGO 200GM", "r": "220201328"}, {"b": "9010128001361", "n": "WOMENS BEST BCAA ICE TEA PEACH 200GM", "r": "220201152"}, {"b": "5052197012392", "n": "WOODWARDS GRIPE WATER 150ML", "r": "220231172"}, {"b": "8718053575094", "n": "WORTIE ADVANCD WARTVERRUCA RMVR 50ML", "r": "220194579"}, {"b": "8718053574585", "n": "WORTIE LIQUID WART  VERRUCA RMVR 5ML", "r": "220064859"}, {"b": "9650364003592", "n": "WOW LONG LASTING LIP GLOSS", "r": "220200978"}, {"b": "4009900441247", "n": "WRIGLEYS EXTRA WATERMELON GUM 60S", "r": "220232090"}, {"b": "4009900430951", "n": "WRIGLEYS EXTRA STRAWBERRY GUM 60S", "r": "220218261"}, {"b": "4009900414210", "n": "WRIGLEYS EXTRA PEPPERMINT GUM 60S", "r": "220222078"}, {"b": "42113188", "n": "EXTRA PROFESSIONAL WHITE", "r": "220167531"}, {"b": "42124368", "n": "EXTRA PROFESSIONAL FRESHMINT", "r": "220154137"}, {"b": "42174776", "n": "EXTRA FUSION RASPBERRY", "r": "220162595"}, {"b": "42174318", "n": "EXTRA FRUIT ENVELOP TABAS", "r": "220156871"}, {"b": "4009900444545", "n": "5 TURBULENCE WATERMELON", "r": "220158406"}, {"b": "4009900440608", "n": "5 ELECTRO SPEARMINT", "r": "220158931"}, {"b": "4009900440592", "n": "5 COBALT PEPPERMINT", "r": "220162470"}, {"b": "8886472101573", "n": "WYETH S26 GOLD 3 13 YEARS 400GM", "r": "220166336"}, {"b": "7613035700468", "n": "WYETH S26 GOLD 2 612 MONTH 400GM", "r": "220169223"}, {"b": "7613035699359", "n": "WYETH S26 GOLD 1 06 MONTH 400GM", "r": "220002465"}, {"b": "7613036208581", "n": "WYETH ILLUMA 3 MILK POWDER 800GM", "r": "220208933"}, {"b": "6251613000381", "n": "STRESSTAB WITH ZINC TAB 30S", "r": "220229551"}, {"b": "9650157001125", "n": "XALOCOM EYE DROPS 25 ML", "r": "220161173"}, {"b": "3582910077077", "n": "XATRAL XL 10MG TAB 30S", "r": "220228796"}, {"b": "4260095681317", "n": "XENICAL 120MG 84 TABS", "r": "220229095"}, {"b": "8710537305425", "n": "XL TO S DUO CMKG 30 TAB", "r": "220164856"}, {"b": "700596000001", "n": "XLEAR KIDS NASAL SPRAY 22 ML", "r": "220227418"}, {"b": "7898522926648", "n": "XLISO KERATIN TREATMENT KIT 3X100ML", "r": "220081690"}, {"b": "5060120166449", "n": "COCONUT WATER SHOWER CREME 300ML", "r": "220211228"}, {"b": "5060120166333", "n": "COCONUT WATER REVITALISING SHAMPOO 400ML", "r": "220211219"}, {"b": "5060120166340", "n": "COCONUT WATER REVITALISING CONDI 400ML", "r": "220211262"}, {"b": "5060120164926", "n": "ARGAN OIL SHOWER CREAM300 ML", "r": "220211118"}, {"b": "5060120164063", "n": "ARGAN OIL SHAMPOO", "r": "220211320"}, {"b": "5060120164087", "n": "ARGAN OIL CONDITIONER", "r": "220211128"}, {"b": "5060120165022", "n": "ARGAN OIL BODY BUTTER 250 ML", "r": "220211494"}, {"b": "5060120165770", "n": "BIOTIN & COLLAGEN CONDITIONER 400ML", "r": "129871904"}, {"b": "5060120166371", "n": "SILVER SHAMPOO", "r": "129871908"}, {"b": "5060120166647", "n": "SILVER HAIR TREATMENT SHOTS", "r": "129876895"}, {"b": "5060120166388", "n": "SILVER CONDITIONER", "r": "129871907"}, {"b": "5060120165862", "n": "MACADAMIA OIL SHAMPOO 400ML", "r": "129876898"}, {"b": "5060120164742", "n": "MACADAMIA OIL HAIR MASK", "r": "129876897"}, {"b": "5060120165879", "n": "MACADAMIA OIL CONDITIONER 400ML", "r": "129876896"}, {"b": "5060120165787", "n": "KERATIN CLASSIC SHAMPOO", "r": "129876894"}, {"b": "5060120165794", "n": "KERATIN CLASSIC CONDITIONER", "r": "129871913"}, {"b": "5060120168115", "n": "CHARCOAL TOOTHPASTE WITH FREE TOOTHBRUSH", "r": "129871901"}, {"b": "5060120165763", "n": "BIOTIN & COLLAGEN SHAMPOO 400ML", "r": "129871902"}, {"b": "5060120164131", "n": "ARGAN OIL HYDRATING HAIR MASK DEEP CONDITIONER", "r": "129871900"}, {"b": "5060120164346", "n": "ARGAN OIL HEAT DEFENCE LEAVE IN SPRAY", "r": "129871914"}, {"b": "5060120164919", "n": "ARGAN OIL HAND AND BODY WASH", "r": "129871911"}, {"b": "8430469176992", "n": "XPERT 10MG ODT PACK OF 8", "r": "220208007"}, {"b": "965016200002", "n": "XYLOCOMOD N SPRAY 15ML", "r": "220158984"}, {"b": "965016000206", "n": "XYLOCAINE 10 SPRY 50ML", "r": "220157858"}, {"b": "965016000079", "n": "XYLOCAINE JELLY 30GM", "r": "220171358"}, {"b": "7321839711084", "n": "XYLOCAINE 10 SPRAY 50ML", "r": "220219032"}, {"b": "6291100083435", "n": "XYLOLIN CHILD NASAL SPRAY 10ML", "r": "220230918"}, {"b": "6291100081448", "n": "XYLOLIN ADULT NASAL SPRAY 10ML", "r": "220233971"}, {"b": "965016000119", "n": "XYZAL TAB 30S", "r": "220152408"}, {"b": "965016000080", "n": "XYZAL TABLETS 10S", "r": "220154428"}, {"b": "5038580000269", "n": "V YANKEE CANDLE CLASSIC JAR MED HOME SWEET HOME", "r": "220200791"}, {"b": "5038581078502", "n": "V YANKEE CANDLE CLASSIC JAR MED GOLDEN CHESTNUT", "r": "220200924"}, {"b": "5038581078403", "n": "V YANKEE CANDLE CLASSIC JAR MED CIDERHOUSE", "r": "220200631"}, {"b": "5038580000252", "n": "V YANKEE CANDLE CLASSIC JAR LRG HOME SWEET HOME", "r": "220198535"}, {"b": "5038581078496", "n": "V YANKEE CANDLE CLASSIC JAR LRG GOLDEN CHESTNUT", "r": "220200727"}, {"b": "965014500003", "n": "YASMIN TABLETS 21S", "r": "220154910"}, {"b": "698589051010", "n": "VYAYA MULTIMINERALS VITA GUMMIES 60S", "r": "220163123"}, {"b": "698589046016", "n": "VYAYA BEARS CHEWGUM 60S", "r": "220161607"}, {"b": "698589050013", "n": "VYAYA OMEGS 3 60S", "r": "220167843"}, {"b": "6985890480108", "n": "YAYA VITAD 60S", "r": "220172190"}, {"b": "6985890600124", "n": "YAYA FIBER 60S", "r": "220170340"}, {"b": "7640123210509", "n": "YAYA BEARS VITAMIN C 60S", "r": "220157987"}, {"b": "9650145000321", "n": "YAZ TABLETS 28S", "r": "220168534"}, {"b": "8857101150569", "n": "YC WHITENING GOLD CAVIAR WASH 210ML", "r": "220232747"}, {"b": "671315019447", "n": "YEOUTH VITAMIN C  E SERUM 2OZ", "r": "220208076"}, {"b": "671315018990", "n": "YEOUTH VITAMIN C  E SERUM 1OZ", "r": "220208821"}, {"b": "671315019546", "n": "YEOUTH RETINOL MOISTURIZER 2OZ", "r": "220208656"}, {"b": "671315019119", "n": "YEOUTH RADIANCE EYE GEL 1OZ", "r": "220208373"}, {"b": "671315019430", "n": "YEOUTH PURE HYALURONIC ACID 2OZ", "r": "220209015"}, {"b": "671315019010", "n": "YEOUTH PURE HYALURONIC ACID 1OZ", "r": "220208619"}, {"b": "671315019225", "n": "YEOUTH HYALURONIC ACID CRM 1OZ", "r": "220208824"}, {"b": "671315019423", "n": "YEOUTH HYALURONIC ACID 2OZ", "r": "220209431"}, {"b": "671315019003", "n": "YEOUTH HYALURONIC ACID 1OZ", "r": "220208021"}, {"b": "671315019478", "n": "YEOUTH DAYNIGHT CRM 2OZ", "r": "220208541"}, {"b": "671315019409", "n": "YEOUTH ANTIAGING SERUM 1OZ", "r": "220208284"}, {"b": "671315019515", "n": "YEOUTH 30 GLYCOLIC ACID PEEL 2OZ", "r": "220208178"}, {"b": "671315019201", "n": "YEOUTH 30 GLYCOLIC ACID PEEL 1OZ", "r": "220208140"}, {"b": "671315019454", "n": "YEOUTH 25 RETINOL SERUM 2OZ", "r": "220208419"}, {"b": "671315019492", "n": "YEOUTH 25 RETINOL EYE CRM 2OZ", "r": "220208119"}, {"b": "671315019188", "n": "YEOUTH 20 SALYCILIC ACID PEEL 1OZ", "r": "220208853"}, {"b": "671315019232", "n": "YEOUTH NECK FIRMING CRM 2OZ", "r": "220209413"}, {"b": "671315019096", "n": "YEOUTH FACIAL TONER 34OZ", "r": "220209388"}, {"b": "3700444604327", "n": "YESFROLOV TITILLATING MASSAGE OIL", "r": "220060644"}, {"b": "3700444604228", "n": "YESFORLOV DELICE DELUXE MASSAGE COTTON CANDY", "r": "220072532"}, {"b": "3700444604396", "n": "YESFORLOV BEWITCHING MASSAGE CANDLE", "r": "220070312"}, {"b": "5060217940112", "n": "YLLUME SKIN SUP 800MG PHYTOFLORAL 30CAP", "r": "220160495"}, {"b": "4987072039755", "n": "YOKO YOKO NECK  SHOLDER HEAT PATCH", "r": "220065589"}, {"b": "4987072029367", "n": "YOKO YOKO LOCAL ANALGESIC 80 ML", "r": "220231318"}, {"b": "4987072029350", "n": "YOKO YOKO LOCAL ANALGESIC 46 ML", "r": "220230990"}, {"b": "4987072049938", "n": "YOKO YOKO BACK PAIN HEAT PATCH 2P", "r": "220085844"}, {"b": "8426181972196", "n": "YOTUEL WHITENING TP 50ML", "r": "220225829"}, {"b": "8426181972172", "n": "YOTUEL DENTAL WHITENING MOUTHWASH 250 ML", "r": "220064763"}, {"b": "8426181972295", "n": "YOTUEL ALL IN ONE TP 75ML", "r": "220232209"}, {"b": "8426181972790", "n": "YOTUEL 7 HOURS DENTAL WHITENING KIT", "r": "220217981"}, {"b": "9650364001864", "n": "YOU TRAVEL BOTTLE SET", "r": "220062467"}, {"b": "9650364002496", "n": "YOUNG PRETTY EYES MONTHLY GOLD", "r": "220087360"}, {"b": "9650364002489", "n": "YOUNG PRETTY EYES MONTHLY ASSORTED", "r": "220061983"}, {"b": "9650364002502", "n": "YOUNG PRETTY EYES DAILY MIX 3S", "r": "220070332"}, {"b": "9650364002472", "n": "YOUNG PRETTY EYES DAILY ASSORTED", "r": "220073209"}, {"b": "857432020010", "n": "YOUNG SKIN GOLD MOISTURIZER", "r": "220068518"}, {"b": "857432020034", "n": "YOUNG SKIN GOLD MASK", "r": "220073757"}, {"b": "853244003005", "n": "YOUTHEORY COLLAGEN 120S TAB", "r": "220075459"}, {"b": "853244003074", "n": "YOUTHEORY COLLAGEN ADVANCED 160S TAB", "r": "220050965"}, {"b": "965013700317", "n": "ZADITEN 15ML SYRUP 100ML", "r": "220162557"}, {"b": "965015200031", "n": "ZANTAC 75MG TABLETS 12S", "r": "220165075"}, {"b": "965015200057", "n": "ZANTAC 150MG TABLETS 20S", "r": "220158071"}, {"b": "5203619027146", "n": "ZARTAUX HAIR LOSS SHAMPOO 200ML", "r": "220224330"}, {"b": "5203619024695", "n": "ZARATAUX SERUM PRECIEUX LIFTENSEUR YEUX 30ML", "r": "220056831"}, {"b": "5203619027153", "n": "ZARATAUX HAIR LOSS LOTION 200ML", "r": "220227012"}, {"b": "5203619027306", "n": "ZARATAUX FACE PEEL PEARL OUSTER", "r": "220073064"}, {"b": "5203619027535", "n": "ZARATAUX AMPOULES HAIR LOSS 12X10ML", "r": "220235096"}, {"b": "5200300601043", "n": "SZ WHIT CRM 24H WITH ALP ARBUT 50ML", "r": "220218575"}, {"b": "5203619024664", "n": "SZ STEM CELLS CREAM 30ML", "r": "220216830"}, {"b": "5200300601036", "n": "SZ SERUM CONCENTREE TRES BLANC 30 ML", "r": "220228153"}, {"b": "5200300602323", "n": "SZ OILY  MIX SKIN TONIC LTN 200ML", "r": "220232718"}, {"b": "5200300601111", "n": "SZ MOIST 24H CRM MULTI VIT 50ML", "r": "220234112"}, {"b": "5200300602392", "n": "SZ CREAM AGAINST ACNE 50ML", "r": "220223973"}, {"b": "5200300601067", "n": "SZ CONCE HYALORUNIC SERUM 30ML", "r": "220217684"}, {"b": "5200300602347", "n": "SZ CLEANSING FOAM 250ML", "r": "220227941"}, {"b": "5200300601296", "n": "SZ CAVIAR NIGHT CREAM 50ML", "r": "220229990"}, {"b": "5200300601289", "n": "SZ CAVIAR DAY CREAM 50ML", "r": "220229697"}, {"b": "5200300601371", "n": "SZ APPRODITE ANTI CELLULITE CREAM 200ML", "r": "220230664"}, {"b": "8901086260109", "n": "ZECUF SYRUP 100ML", "r": "220153052"}, {"b": "8710908169304", "n": "ZENDIUM SENSITIVE TP 75ML", "r": "220223626"}, {"b": "8710908168352", "n": "ZENDIUM JUNIOR TOOTH PASTE 75ML", "r": "220172452"}, {"b": "8710908169427", "n": "ZENDIUM FRESH BREATH TP 75ML", "r": "220228105"}, {"b": "965015700012", "n": "ZENTAL SUSP 20ML", "r": "220160303"}, {"b": "96501570001", "n": "ZENTEL 400MG TABLETS 1S", "r": "220160600"}, {"b": "5031413914627", "n": "ZERO ORGANIC COTTON PADS 100S", "r": "129812162"}, {"b": "5031413913798", "n": "ZERO NIGHT CREAM 50ML", "r": "129812180"}, {"b": "5031413978704", "n": "ZERO HAND & NAIL CREAM 50ML", "r": "129807200"}, {"b": "5031413978681", "n": "ZERO FACE WASH 100ML", "r": "129812175"}, {"b": "5031413978926", "n": "ZERO FACE SCRUB 100ML", "r": "129807167"}, {"b": "5031413978728", "n": "ZERO EYE CREAM 25ML", "r": "129812165"}, {"b": "5031413913774", "n": "ZERO DAY CREAM 50ML", "r": "129812131"}, {"b": "5031413920307", "n": "LAYALA LENSES WILLOW GREEN 2S", "r": "129807208"}, {"b": "5000455005518", "n": "ZESTORETIC TAB 20125MG 28S", "r": "220233069"}, {"b": "5000456022309", "n": "ZESTRIL 5MG TABLETS 28S", "r": "220291216"}, {"b": "5000455005204", "n": "ZESTRIL TABLETS 20MG 28S", "r": "220230629"}, {"b": "5000456022354", "n": "ZESTRIL 10MG TABLETS 28S", "r": "220218401"}, {"b": "5000455005228", "n": "ZESTRIL TABLETS 5MG 28S", "r": "220230125"}, {"b": "5906874538005", "n": "ZEW HAIR SOAP 85ML", "r": "220068651"}, {"b": "5906874538111", "n": "ZEW BEARD BALM 80ML", "r": "220085176"}, {"b": "5906874538012", "n": "V ZEW SHAVING SOAP 85ML", "r": "220055764"}, {"b": "5906874538357", "n": "V ZEW FACE AND BODY CRM 80ML", "r": "220072866"}, {"b": "5906874538029", "n": "V ZEW BODY AND FACE SOAP 85ML", "r": "220067049"}, {"b": "5906874538036", "n": "V ZEW BEARD SOAP 85ML", "r": "220050491"}, {"b": "5906874538159", "n": "V ZEW BEARD OIL 30ML", "r": "220074002"}, {"b": "5906874538128", "n": "V ZEW BEARD BRUSH", "r": "220085177"}, {"b": "5906874538043", "n": "V ZEW 3IN1 SOAP FOR MEN 85ML", "r": "220077234"}, {"b": "7610276208876", "n": "ZILOX NASAL CONGESTION PEPPERMINT VIT C 24S", "r": "220193481"}, {"b": "7610276208869", "n": "ZILOX HERBS SORE THROAT 24S", "r": "220193016"}, {"b": "7610276208852", "n": "ZILOX COUGH ECHINCAEA ESS OIL 20S", "r": "220193311"}, {"b": "7610276208883", "n": "ZILOX BREATH EUCALYPTUS 20S", "r": "220193553"}, {"b": "6281086011638", "n": "ZIMAX 250MG CAPSULES 6", "r": "220235210"}, {"b": "965015200035", "n": "ZINNAT 500MG TABLETS 10S", "r": "220155767"}, {"b": "965015200033", "n": "ZINNAT 250MG TABLETS 10S", "r": "220153084"}, {"b": "965015200034", "n": "ZINNAT 2505ML SUSP 50ML", "r": "220152433"}, {"b": "965015200143", "n": "ZINNAT 1255ML SUSP 100ML", "r": "220156616"}, {"b": "965015200036", "n": "ZITHROMAX 250MG CAPSULES 6S", "r": "220157676"}, {"b": "965015200038", "n": "ZITHROMAX 900MG SUSP 225ML", "r": "220153258"}, {"b": "965015200037", "n": "ZITHROMAX 600MG SUSP 15ML", "r": "220152916"}, {"b": "6291107910642", "n": "ZIVA WATER WIPE 100S", "r": "220197938"}, {"b": "6294010001605", "n": "ZIVA TOOTH WIPES 12S", "r": "220198084"}, {"b": "6294010002107", "n": "ZIVA PREMIUM BABY SENSITIVE WIPES 72S", "r": "220198028"}, {"b": "6294010000905", "n": "ZIVA HAND SANITIZER 30ML", "r": "220197922"}, {"b": "6294010002114", "n": "ZIVA EXTRA GENTLE PREMIUM BABY WIPES 80S", "r": "220198257"}, {"b": "6294010002329", "n": "ZIVA ALCOHOL SWAB 100S", "r": "220198194"}, {"b": "6294010002336", "n": "ZIVA ALCOHOL SWAB 200S", "r": "220197814"}, {"b": "6294010002084", "n": "ZIVA INSECT REPELLANT WIPES 12S", "r": "220197632"}, {"b": "6297000698588", "n": "ZIVA LENS  GLASS CLEANING WIPES 24S", "r": "220197932"}, {"b": "810866013737", "n": "ZO GROWTH FACTOR EYE SERUM 15ML", "r": "220203044"}, {"b": "810866013966", "n": "ZO SKIN ANTIAGING WRNKLETXTRE RPAIR 50ML", "r": "220221395"}, {"b": "810866016103", "n": "ZO RADICAL NIGHT REPAIR 1 60ML", "r": "220087339"}, {"b": "810866016660", "n": "ZO SKIN HEALTH EXFOLIATING CLEANSER 200ML", "r": "220222029"}, {"b": "810866012051", "n": "ZO SKNIN CALMING TONER PH BALANCER 180ML", "r": "220225548"}, {"b": "810866010248", "n": "ZO SKN HLTH DAILY SHEER BROAD SPCTRM SPF50 45ML", "r": "220221733"}, {"b": "810866010446", "n": "ZO SKIN HLTH GRWTH FCTR ANTIAGING SRM 30ML", "r": "220225237"}, {"b": "810866011351", "n": "ZO SKIN HEALTH HYDRATING CREAME 113GMS", "r": "220222916"}, {"b": "810866011832", "n": "ZO SKIN HEALTH EYE BRIGHTENING CREAME 15ML", "r": "220219979"}, {"b": "810866010521", "n": "ZO SKIN HEALTH EXFOLIATION ACCELERATOR 50ML", "r": "220220499"}, {"b": "810866010514", "n": "ZO SKIN HEALTH ENZYMATIC PEEL 50ML", "r": "220218053"}, {"b": "810866010088", "n": "ZO SKIN HEALT OIL CONTROL PADS ACNE TRTMNT 60S", "r": "220216652"}, {"b": "810866010040", "n": "ZO SKIN HEALT EXFOLIATING POLISH 65GMS", "r": "220225635"}, {"b": "810866010057", "n": "ZO DUAL ACTION SCRUB 116G", "r": "220202526"}, {"b": "810866010620", "n": "ZO BRIGHTALIVE 50ML", "r": "220202872"}, {"b": "810866019968", "n": "ZO ILLUMINATING AOX SERUM 50 ml", "r": "129836894"}, {"b": "810866017322", "n": "ZO SKIN HEALTH GENTLE CLEANSER 200 ML", "r": "220221833"}, {"b": "810866017964", "n": "ZO DAILY POWER DEFENSE 50ML", "r": "220061729"}, {"b": "810866019524", "n": "ZO SKIN HEALTH RENEWAL CREME 50ML", "r": "220234947"}, {"b": "810866016837", "n": "ZO SMART TONE BROADSPECTRM SPF50 45ML", "r": "220065119"}, {"b": "810866016639", "n": "ZO SKIN SNSCRNPRMR SPF30 30ML", "r": "220218689"}, {"b": "810866017124", "n": "ZO SKIN ROZATROL NORMALIZING SERUM 50ML", "r": "220235895"}, {"b": "810866016318", "n": "ZO SKIN HEALTH INTENSE EYE CREME 15ML", "r": "220224588"}, {"b": "810866016608", "n": "ZO SKIN HEALTH CMPLXN CLRNG MASQUE 85GMS", "r": "220219105"}, {"b": "810866016240", "n": "ZO SKIN HEALTH 10 VIT C SELFACTIVATING 50ML", "r": "220235508"}, {"b": "810866015052", "n": "ZO RETINOL SKIN BRIGHTENER 1 50ML", "r": "220092623"}, {"b": "810866016035", "n": "ZO COMPLEXION RENEWAL PADS 60S", "r": "220063371"}, {"b": "810866010576", "n": "ZO SKIN PGMNT CNTRL BLNDNG CRM HQ 4 80ML", "r": "220231352"}, {"b": "810866010705", "n": "ZO SKIN HEALTH ACNE CONTROL 60ML", "r": "220223334"}, {"b": "810866015564", "n": "ZO SKIN AKNEBRIGHT ACNE  PGMNTTN TRTMNT 15ML", "r": "220234409"}, {"b": "810866017155", "n": "ZO OCLIPSEC BROAD SPECTRUM SPF50 118GM", "r": "220051404"}, {"b": "810866016325", "n": "ZO LIP REBUILD ADVANCED THERAPY LIP TREAT 16GM", "r": "220062448"}, {"b": "965013700320", "n": "ZOCOR 40MG TABLETS 28S", "r": "220155571"}, {"b": "965013700319", "n": "ZOCOR 20MG TABLETS 28S", "r": "220170471"}, {"b": "9650152001953", "n": "ZOFRAN 8 MG MELT TAB 10S", "r": "220167121"}, {"b": "9650152001946", "n": "ZOFRAN 4 MG TAB 10S", "r": "220162779"}, {"b": "853231003315", "n": "ZOLLIPOPS THE CLEAN TEETH POPS STRWBRY 15S", "r": "220176097"}, {"b": "853231003346", "n": "ZOLLIPOPS THE CLEAN TEETH POPS GRAPE 15S", "r": "220176890"}, {"b": "853231003766", "n": "ZOLLIPOP ZAFFI TAFFY CLEAN TEETH 3OZ", "r": "220177385"}, {"b": "853231003520", "n": "ZOLLIPOPS THE CLEAN TEETH POPS ASSTD 15S", "r": "220177649"}, {"b": "5000456021357", "n": "ZOMIG 25MG TABS 3S", "r": "220225201"}, {"b": "965014600054", "n": "ZORDYL 200ML BOTTLE", "r": "220170231"}, {"b": "965015200110", "n": "ZOVIRAX 800MG TABS 35S", "r": "220159638"}, {"b": "965015200108", "n": "ZOVIRAX 200MG TABS 25S", "r": "220164919"}, {"b": "965015200076", "n": "ZOVIRAX CREAM 10GM", "r": "220162897"}, {"b": "5010706005594", "n": "ZOVIRAX COLD SORE PUMP 2GM", "r": "220155000"}, {"b": "965015200041", "n": "ZOVIRAX CREAM 2GM", "r": "220159247"}, {"b": "965015200162", "n": "ZOVIRAX 800MG 5S", "r": "220154296"}, {"b": "965015200039", "n": "ZOVIRAX 3 EYE OINTMENT 45GM", "r": "220152710"}, {"b": "6925346318333", "n": "ZOZU PITAYA NOURSH RPR HDRT FACIAL MASK", "r": "220209624"}, {"b": "6925346318319", "n": "ZOZU PINAPLE FIRMING SKIN FACIAL MASK", "r": "220209903"}, {"b": "6925346318326", "n": "ZOZU MAGOSTEEN CALM  SMTH FACIAL MASK", "r": "220209951"}, {"b": "8026380708000", "n": "ZUCCARI SUPER PINAPPLE 30STICKS 300ML", "r": "220002092"}, {"b": "8026380708093", "n": "ZUCCARI SUPER ANANAS SLIM 25STICK PACK", "r": "220138942"}, {"b": "6091403201945", "n": "ZYLORIC TABLETS 300MG 28S", "r": "220222296"}, {"b": "6091403201587", "n": "ZYLORIC 100MG TAB 50S", "r": "220170917"}, {"b": "5016007202243", "n": "ZYMAR 03 WV EYE DROPS", "r": "220167670"}, {"b": "5016007203714", "n": "ZYMAXID 05 EYE DROP 25ML", "r": "220219505"}, {"b": "965016000106", "n": "ZYRTEC TABLETS 20S", "r": "220158692"}, {"b": "965016000082", "n": "ZYRTEC DROPS 10ML", "r": "220155756"}, {"b": "965016000083", "n": "ZYRTEC SOLUTION 75ML", "r": "220162011"}, {"b": "965016000081", "n": "ZYRTEC 10MG TABLETS 10S", "r": "220166158"}, {"b": "3499320010948", "n": "CETAPHIL OPTIMAL HYDRATION DAY CREAM 48G:NOCOLOUR:NO SIZE", "r": "273314379"}, {"b": "3282770142280", "n": "AVENE TOLERANCE EXTREMELY GENTLE CLEANSER LOTION 200ML:NOCOLOUR:NO SIZE", "r": "129976909"}, {"b": "3282779390132", "n": "AVENE HYDRANCE OPT RICH 40ML:NOCOLOUR:1", "r": "220232393"}, {"b": "6251613000558", "n": "CALTRATE CA 600MG VITD 400IU 60S:NOCOLOUR:1", "r": "220230311"}, {"b": "8596024024358", "n": "OROFAR PLUS HONEY & LEMON LOZENGES 24 TBL:NOCOLOUR:NO SIZE", "r": "271499380"}, {"b": "3661434008283", "n": "URIAGE HYSEAC PURIFYING PEEL OFF MASK 50ML:NOCOLOUR:NO SIZE", "r": "271494364"}, {"b": "3331300097214", "n": "STERIMAR NASAL SPRY 100ML:NOCOLOUR:1", "r": "271494364"}, {"b": "3661434009327", "n": "URIAGE EAU THERMAL SENSITIVE SKIN PINK 250ML:NOCOLOUR:1", "r": "220221163"}, {"b": "3661434009334", "n": "URIAGE THERMAL MICELLAR WATER SEN SKIN 500ML:NOCOLOUR:1", "r": "220158995"}, {"b": "6253344200610", "n": "DERMA EYE FIRMING CRM 15ML:NOCOLOUR:1", "r": "220224820"}, {"b": "3499320012447", "n": "CETAPHIL GENTLE SKIN CLEANSER 236ML:NOCOLOUR:1", "r": "220231200"}, {"b": "3499320012362", "n": "CETAPHIL MOISTURISING LOTION 236 ML:NOCOLOUR:1", "r": "220231022"}, {"b": "3499320012430", "n": "CETAPHIL GENTLE SKIN CLEANSER 500ML:NOCOLOUR:1", "r": "220231792"}, {"b": "3499320012416", "n": "CETAPHIL OILY SKIN CLSNR 500ML:NOCOLOUR:1", "r": "220181595"}, {"b": "3499320010986", "n": "CETAPHIL OPTIMAL HYDRATION 48H SERUM 30ML:NOCOLOUR:NO SIZE", "r": "273264431"}, {"b": "3499320012140", "n": "CETAPHIL MOIST LOTION 200ML:NOCOLOUR:1", "r": "220220379"}, {"b": "3499320011808", "n": "CETAPHIL DAILY ADV ULTRA HYDRA LOTION 225G:NOCOLOUR:1", "r": "220229087"}, {"b": "3499320012423", "n": "CETAPHIL OILY SKIN CLEANSER 236ML:NOCOLOUR:1", "r": "220218492"}, {"b": "3031323785616", "n": "GLOW RAD JOINTA PWDER 12GM 30 SCHTS:NOCOLOUR:1", "r": "220062675"}, {"b": "22796976710", "n": "OGX BIOTIN COLLAGEN CONDITIONER 385ML:NOCOLOUR:1", "r": "220233763"}, {"b": "628069520255", "n": "OH MY OH LUTEIN GUMMIES 350G:NOCOLOUR:NO SIZE", "r": "335769602"}, {"b": "6291109120247", "n": "CALTRATE CALCIUM 600MG 60S:NOCOLOUR:1", "r": "220224446"}, {"b": "4800888196477", "n": "DOVE DEO ORIGINAL STICK 40G:NOCOLOUR:1", "r": "220175481"}, {"b": "4800888209757", "n": "REXONA DEO XTRA COOL ROLL ON FOR MEN 50ML:NOCOLOUR:1", "r": "220180593"}, {"b": "5000158107557", "n": "STREPSILS EXTRA HONEY AND LEMON 36S:NOCOLOUR:NO SIZE", "r": "336237976"}, {"b": "35046123475", "n": "CYBERGENICS PRO TESTOSTERONE BOOST 60CAPS:NOCOLOUR:1", "r": "220064734"}, {"b": "5000158107540", "n": "STREPSILS EXTRA HONEY AND LEMON 24S:NOCOLOUR:NO SIZE", "r": "336252726"}, {"b": "8809650046008", "n": "CKJ POWER PLUS KOREAN RED GINSENG WITH MACA EXTRACT POWDER AND OCTACOSANOL TABLETS 60S", "r": "130061905"}, {"b": "3701129805367", "n": "BIODERMA SEBIUM KERATO+TE 30ML:NOCOLOUR:NO SIZE", "r": "274159449"}, {"b": "5319991382398", "n": "BIONIKA CARDIOLL 5G SACHETS 30'S:NOCOLOUR:NO SIZE", "r": "337447508"}, {"b": "370112980354", "n": "BIODERMA PHOTODERM FLUID MAX LIGHT:NOCOLOUR:NO SIZE", "r": "129846893"}, {"b": "8935006542952", "n": "ROHTO AQUA EYE DROPS 13ML:NOCOLOUR:NO SIZE", "r": "330833970"}, {"b": "5056227207628", "n": "ZESTRIL TABLETS 5MG 28S:NOCOLOUR:1", "r": "220230125"}, {"b": "3701129803547", "n": "BIODERMA PHOTODERM FLUID MAX LIGHT:NOCOLOUR:NO SIZE", "r": "129846893"}, {"b": "6285074003698", "n": "BEPANTHEN DERMA REPLENISHING BODY LOTION 200ML", "r": "130192048"}, {"b": "6285074003681", "n": "BEPANTHEN DERMA RESTORING BODY LOTION 400ML", "r": "130207914"}, {"b": "6285074003704", "n": "BEPANTHEN DERMA REPLENISHING BODY LOTION 400ML", "r": "130213069"}, {"b": "6285074003728", "n": "BEPANTHEN DERMA GENTLE BODY CLEANSER GEL 400ML", "r": "130213067"}, {"b": "6285074003735", "n": "BEPANTHEN DERMA GENTLE FACE CLEANSER GEL 200ML:NOCOLOUR:NO SIZE", "r": "130227060"}, {"b": "6285074003759", "n": "BEPANTHEN DERMA RESTORING FACE CREAM SPF 25 50ML:NOCOLOUR:NO SIZE", "r": "130213072"}, {"b": "6285074003674", "n": "BEPANTHEN DERMA RESTORING BODY LOTION 200ML:NOCOLOUR:NO SIZE", "r": "130207918"}, {"b": "4026466000015", "n": "ADDITIVA VITC EFF1GM REDOR 20", "r": "220171984"}, {"b": "7391899858395", "n": "RENU MULTIPLUS 240ML", "r": "220171350"}, {"b": "5705675801888", "n": "IMMUNOFEM IMMUNO FASTMELT TABLETS 30S", "r": "336462872"}, {"b": "5281018711088", "n": "BEESLINE INSTANT BRIGHT DAY CREAM 50ML", "r": "271824381"}, {"b": "5281018711248", "n": "BEESLINE 3 IN 1 MICELLAR CLEANSING WATER 400ML", "r": "271819375"}, {"b": "5281018710951", "n": "BEESLINE INSTANT BRIGHT 5 IN 1 CLEANSER 150ML", "r": "271794388"}, {"b": "5281018711071", "n": "BEESLINE INSTANT BRIGHT MICELLAR WATER WITH AHA 400ML", "r": "271794389"}, {"b": "5281018710944", "n": "BEESLINE INSTANT BRIGHT GLOW SERUM 30ML:NOCOLOUR:NO SIZE", "r": "271819376"}, {"b": "5281018711095", "n": "BEESLINE INSTANT BRIGHT EYE CREAM 15ML:NOCOLOUR:NO SIZE", "r": "271799374"}, {"b": "5281018710968", "n": "BEESLINE INSTANT BRIGHT FAICAL TONER WITH AHA 200ML:NOCOLOUR:NO SIZE", "r": "271814373"}, {"b": "5060216565002", "n": "HALIBORANGE OMEGA3 DHA ORNG SYR 300ML:NOCOLOUR:1", "r": "220209720"}, {"b": "7391899858418", "n": "BAUSCH LOMB BIO TRUE EYE SOLUTION 300ML:NOCOLOUR:1", "r": "220224605"}, {"b": "3660398504756", "n": "CYSTIPHANE ANTI HAIR LOSS LOTION 200ML", "r": "220223704"}, {"b": "3574660428889", "n": "NEUTROGENA BLACKHEAD DAILY SCRUB 150ML:NOCOLOUR:1", "r": "220226885"}, {"b": "732013301330", "n": "NEOSTRATA RESURF GLYCOLIC SMOOTH LOTION 200ML:NOCOLOUR:NO SIZE", "r": "130412615"}, {"b": "4987176101617", "n": "OLAY LUMINOUS VITAMIN C CREAM 50G:NOCOLOUR:NO SIZE", "r": "130237355"}, {"b": "5000456076609", "n": "NEXIUM 20MG TAB 14S", "r": "220231258"}, {"b": "4048846002204", "n": "MICARDIS PLUS 80MG  25MG 28S", "r": "220156529"}, {"b": "5702191018189", "n": "FUCIDIN OINTMENT 15GM", "r": "220164578"}, {"b": "8904278587404", "n": "SORAFEX ORAL GEL 15GM", "r": "334414935"}, {"b": "4019338609034", "n": "DYMISTA NASAL SPRAY 13750 MCG 120 DOSE 23G", "r": "220213701"}, {"b": "6285128013680", "n": "ELICASAL OINTMENT 30GM", "r": "331519146"}, {"b": "8699772525747", "n": "TANFLEX PLUS ORAL SPRAY 30ML", "r": "334739554"}, {"b": "18906051722818", "n": "NASOMIST PLUS NASAL SPRAY DROPS 20ML", "r": "274709726"}, {"b": "4019338607443", "n": "REPARIL GEL 100GM", "r": "220220779"}, {"b": "7612797507681", "n": "MAXITROL DROPS 5ML", "r": "220176721"}, {"b": "6285085000037", "n": "PANADREX BABY SYRUP 100ML", "r": "220203798"}, {"b": "890617473740", "n": "SIDDHAYU  SIDCOF SYRUP", "r": "332279457"}, {"b": "7640144122751", "n": "ZELLER REDORMIN FORTE", "r": ""}, {"b": "62911107935201", "n": "LINEX BABY SACHET", "r": "335754677"}, {"b": "3282770104950", "n": "DUCRAY ANACAP ACTIV +", "r": ""}, {"b": "6291100785056", "n": "ACNE MAX GEL 30GM", "r": ""}, {"b": "6297001137123", "n": "ACTIVE FOLATE 1000 L-METHYL FOLATE 1000 TAB 30S", "r": ""}, {"b": "2327662225323", "n": "ALFACORT OINT 30GM", "r": ""}, {"b": "6251151000829", "n": "APISAL NASAL SPRAY 15ML", "r": ""}, {"b": "5425034530470", "n": "APPETIT PLUS KIDS SYRUP 100 ML", "r": ""}, {"b": "6294018357582", "n": "ASPIRAYA 75MG TAB 56S", "r": ""}, {"b": "5000456021456", "n": "ATACAND 16MG TAB 28S", "r": ""}, {"b": "5000456059671", "n": "ATACAND PLUS 16125MG 28S", "r": ""}, {"b": "6285095004599", "n": "AVALON AVOQUIN 4 CREAM 50G", "r": ""}, {"b": "8002660030108", "n": "BETASERC 16MG TABLETS 60S", "r": ""}, {"b": "8002660030078", "n": "BETASERC TABLETS 8MG  100S", "r": ""}, {"b": "104066215003652", "n": "BIOLECTRA DIRECT MG 300MG 20STICKS", "r": ""}, {"b": "104066215003669", "n": "BIOLECTRA ULTRA MG 400MG 20CAP", "r": ""}, {"b": "4029799117801", "n": "BIONORICA SINUPRET TAB 50S", "r": ""}, {"b": "8002660035356", "n": "BRUFEN RETARD 800MG TAB 20S", "r": ""}, {"b": "9650157001194", "n": "BUSCOPAN TABLETS 50S", "r": ""}, {"b": "6285128004565", "n": "CLARA 10MG TAB 10S", "r": ""}, {"b": "96501370014", "n": "COSOPT EYE DROPS 5ML", "r": ""}, {"b": "6281247035107", "n": "CROMA OPTHALMIC SOLN 10ML", "r": ""}, {"b": "8904278584137", "n": "DENTIRAX TEETHING GEL 15G", "r": ""}, {"b": "8433042021351", "n": "DERMOFIX SERTACONAZOL", "r": ""}, {"b": "7640107471711", "n": "DOXIPROCT OINTMENT30GM", "r": ""}, {"b": "8002660030214", "n": "DUPHASTON TABS 10 MG 20S", "r": ""}, {"b": "6285128013666", "n": "DURACAN 150MG CAP 1S", "r": ""}, {"b": "8002660030511", "n": "DUSPATALIN 135MG TAB 50S", "r": ""}, {"b": "7502273992493", "n": "EPICYN SCAR HYDROGEL 75G", "r": ""}, {"b": "7640144123116", "n": "EROXON 300MG 4 SINGLE DOSE TUBE", "r": ""}, {"b": "8906088662098", "n": "EZ ONE 1.5MG 1 TABLET", "r": ""}, {"b": "625720617668", "n": "FERRATE SUSPENSION 60MG 100ML", "r": ""}, {"b": "94922363695", "n": "FERROSTAT PEDIATRICS TAB 30S", "r": ""}, {"b": "3664798016321", "n": "FLAGYL 400MG 14S", "r": ""}, {"b": "8055348700022", "n": "FLUGENIL VAGINAL GEL 30 ML TUBE", "r": ""}, {"b": "5702191018226", "n": "FUCIDIN CREAM 15GM", "r": ""}, {"b": "5702191018172", "n": "FUCIDIN OINTMENT 2 30 GM", "r": ""}, {"b": "8002660032744", "n": "GANATON FC TABS 50MG 100S", "r": ""}, {"b": "4029125106110", "n": "GELOREVOICE THROAT LOZENGES", "r": ""}, {"b": "8033087660203", "n": "GENGIGEL FORTE ORAL GEL 8ML TUBE", "r": ""}, {"b": "3518646267352", "n": "GILBERT PHYSIODOSE SALINE SOLN 15X5ML", "r": ""}, {"b": "4104480375774", "n": "GLYCILAX ADULT SUPPO 12S", "r": ""}, {"b": "4104480375873", "n": "GLYCILAX CHILD SUPPO 12S", "r": ""}, {"b": "2327662248757", "n": "GUPISONE 20MG TAB 40S", "r": ""}, {"b": "2327662248747", "n": "GUPISONE 5MG TABLETS 40S", "r": ""}, {"b": "7501054530718", "n": "HANSAPLAST LION ARNICA HEAT PLASTER 1S", "r": ""}, {"b": "8002660032768", "n": "HIDRASEC 100MG CAP 10S", "r": ""}, {"b": "8002660029348", "n": "HIDRASEC CHILDREN 30MG SACTS 16S", "r": ""}, {"b": "8901138502607", "n": "HIMALAYA KOFLET COUGH SYRUP 200ML", "r": ""}, {"b": "8901138841058", "n": "HIMALAYA LIV.52 GNX 60 TABLETS", "r": ""}, {"b": "8901138834371", "n": "HIMALAYA TAGARA CAPS 60S", "r": ""}, {"b": "6285085008972", "n": "IPROFEN 400MG 30TAB", "r": ""}, {"b": "6285085000914", "n": "IPROFEN 400MG TABLETS 50S", "r": ""}, {"b": "8699514011842", "n": "LEVOTIRON 100 MCG TABS 100S", "r": ""}, {"b": "8699514011866", "n": "LEVOTIRON 150 MCG TABS 100S", "r": ""}, {"b": "8699514011859", "n": "LEVOTIRON 25 MCG TABS 100S", "r": ""}, {"b": "8699514011835", "n": "LEVOTIRON 50 MCG TABS 100S", "r": ""}, {"b": "8002660035424", "n": "LIPANTHYL PENTA 145MG 30TABS", "r": ""}, {"b": "6297000720111", "n": "LIPOSIC 15 GEL TUBE 10GM", "r": ""}, {"b": "8902411117716", "n": "MAXIGESIC PE 20 TABLETS", "r": ""}, {"b": "7640125895834", "n": "METROLAG 500MG TAB 24S", "r": ""}, {"b": "4048846022103", "n": "MICARDIS 40MG 28 TABLETS", "r": ""}, {"b": "3760076740275", "n": "MIG SPRAY NASAL MIGRAINE PREVENTION 15ML", "r": ""}, {"b": "7640153088826", "n": "MOVICOL POWDER 20S", "r": ""}, {"b": "9650157000944", "n": "MUCOSOLVAN SF 30MG5ML SYRUP 100", "r": ""}, {"b": "6251151000584", "n": "MYCOSAT ORAL  SUSP", "r": ""}, {"b": "5413895401282", "n": "NAPHCON A EYE DROPS 15ML", "r": ""}, {"b": "6251159028504", "n": "NEO HEALER OINTMENT 30GM", "r": ""}, {"b": "6251159028450", "n": "NEO HEALER SUPP 10S", "r": ""}, {"b": "7640153087874", "n": "NEURORUBINE FORTE TAB 20S", "r": ""}, {"b": "5000456076616", "n": "NEXIUM 40MG TAB 14S", "r": ""}, {"b": "6221032114143", "n": "NOURIC  300 MG TAB", "r": ""}, {"b": "7640153081872", "n": "OLFEN 75 SR DEPOTABS TAB 30S", "r": ""}, {"b": "6251107032010", "n": "OMEDAR 20MG TABS 14S", "r": ""}, {"b": "8437017221265", "n": "OTIBLOCK PEDIATRIC EAR DROPS 18ML", "r": ""}, {"b": "8437017221272", "n": "OTIDRY MD EAR SPRAY 30ML", "r": ""}, {"b": "785249791000", "n": "OTOMED EAR WAX SPRAY 50ML", "r": ""}, {"b": "4447500621202", "n": "OTRI ALLERGY AQUOEUS NASAL SPRAY 120D", "r": ""}, {"b": "4447500622602", "n": "OTRI ALLERGY AQUOEUS NASAL SPRAY 60D", "r": ""}, {"b": "6285085009757", "n": "PANADREX MAX 500MG TAB 24S", "r": ""}, {"b": "1050074002661020", "n": "PANDERM OINTMENT 30GM", "r": ""}, {"b": "7612797504352", "n": "PATADAY 02 EYE DRP", "r": ""}, {"b": "3401041329971", "n": "PHYSIOLOGICA HYPERTONIC SEA WATER SPRAY 100ML", "r": ""}, {"b": "3401041330113", "n": "PHYSIOLOGICA ISOTONIC SEA WATER SPRAY 100ML", "r": ""}, {"b": "6223007351621", "n": "POWERECTA 20MG TAB 4S", "r": ""}, {"b": "355636000338", "n": "PROMESCENT SPRAY 10 SPRAYS 1.3ML", "r": ""}, {"b": "355636000345", "n": "PROMESCENT SPRAY 40 SPRAYS 5.2ML", "r": ""}, {"b": "6297000376639", "n": "QUESTD VITAMIN D 10000 IU TAB 30S", "r": ""}, {"b": "6297000376615", "n": "QUESTD VITAMIN D 50000 IU TAB 15S", "r": ""}, {"b": "6297000376622", "n": "QUESTD VITAMIN D3 5000 IUTABLET 60S", "r": ""}, {"b": "3701778010105", "n": "ROXONIN TABS 60MG 20S", "r": ""}, {"b": "785249791024", "n": "ROZAMED VAGINAL OVULES 10 OVULES", "r": ""}, {"b": "6251065019849", "n": "SUPRAX 100MG SUSP 60ML", "r": ""}, {"b": "300651429275", "n": "SYSTANE 10ML EYE DRP", "r": ""}, {"b": "300650454834", "n": "SYSTANE GEL EYE DROPS 10ML", "r": ""}, {"b": "300651439847", "n": "SYSTANE ULTRA LUBRICANT EYE DROP UD 30X0.7ML", "r": ""}, {"b": "300651432299", "n": "SYSTANE ULTRA UDV 30X07ML", "r": ""}, {"b": "7613326020060", "n": "TAMIFLU 75MG CAPSULES 10S", "r": ""}, {"b": "6285094000868", "n": "TANDO 20 MG TAB 4S", "r": ""}, {"b": "3582910040477", "n": "TELFAST TAB 120 MG 30S", "r": ""}, {"b": "3582910040460", "n": "TELFAST TAB 180 MG 30S", "r": ""}, {"b": "393434201565", "n": "TRIUM EYE DROPS UD  0.35ML 15 VIALS", "r": ""}, {"b": "393434201065", "n": "TRIUM FREE EYE DROPS 10 ML", "r": ""}, {"b": "8596024020312", "n": "URINAL AKUT FTA PC WM AE 10 TABLETS", "r": ""}, {"b": "8596024020329", "n": "VARIXINAL 50MG 30 TABLETS", "r": ""}, {"b": "8596024020336", "n": "VARIXINAL GEL 75ML", "r": ""}, {"b": "5600368492650", "n": "VIDOS 100 FILM COATED TABLETS SILDENAFIL CITRATE 100MG 4S", "r": ""}, {"b": "5600368492636", "n": "VIDOS 50 FILM COATED TABLETS SILDENAFIL CITRATE 50MG 4S", "r": ""}, {"b": "5903260904390", "n": "WHITE HEALTH PROBIOTIC XTRA 50BILLION 30S", "r": ""}, {"b": "5903163603246", "n": "WHITE HEALTH VIT D3 FORTE 4000IU 60S", "r": ""}, {"b": "6285085004868", "n": "XALAFIL 20MG 4 TABS", "r": ""}, {"b": "5000456034180", "n": "ZESTORETIC TAB 20125MG 28S", "r": ""}, {"b": "5056227205457", "n": "ZESTRIL TABLETS 20MG 28S", "r": ""}];
 
-// Auto-load on app start
-(function() {
-  const loadMaster = async () => {
-    if (typeof DB === 'undefined' || !App || !App.db) {
-      setTimeout(loadMaster, 300);
-      return;
-    }
-    
-    try {
-      const existing = await DB.getAllMaster();
-      
-      if (existing.length < 100) {
-        console.log('📦 Loading 11253 built-in products...');
-        
-        const fullData = MASTER_DB.map(p => ({
-          barcode: p.b,
-          name: p.n,
-          rms: p.r || ''
-        }));
-        
-        await DB.bulkAddMaster(fullData);
-        await refreshMasterCount();
-        console.log('✅ Master data loaded!');
-      } else {
-        console.log('📋 Master data exists:', existing.length, 'products');
-      }
-    } catch (e) {
-      console.error('Master load error:', e);
-    }
-  };
-  
-  setTimeout(loadMaster, 500);
-})();
+// Loaded into the `master` store by app.js (syncBuiltInMaster) whenever MASTER_DB_VERSION is newer than the stored one
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MASTER_DB, MASTER_DB_VERSION };
+}
@@ -0,0 +1,320 @@
+/**
+ * MASTER IMPORT
+ * Reads product lists from CSV/TSV (RFC 4180), XLSX and ODS without any library,
+ * maps their columns onto master fields and validates every row.
+ * No DOM access — used by the app's import wizard and by bin/pharmascan.js.
+ * XLSX/ODS need DecompressionStream (current browsers, Node 18+).
+ */
+
+const MasterImport = (() => {
+
+  const Core = typeof GS1Core !== 'undefined' ? GS1Core : require('./gs1-core.js');
+
+  // ════════════════════════════════════════
+  // CSV  (RFC 4180: quoted fields, "" escapes, embedded delimiters and newlines)
+  // ════════════════════════════════════════
+  const DELIMITERS = [',', '\t', ';', '|'];
+
+  /** The delimiter that occurs most often outside quotes on the first line. */
+  function sniff(text) {
+    const counts = new Map(DELIMITERS.map(d => [d, 0]));
+    let q = false;
+    for (const c of text) {
+      if (c === '"') q = !q;
+      else if (!q && (c === '\n' || c === '\r')) break;
+      else if (!q && counts.has(c)) counts.set(c, counts.get(c) + 1);
+    }
+    const [best, n] = [...counts].sort((a,b) => b[1] - a[1])[0];
+    return n ? best : ',';
+  }
+
+  /** Text → rows of cells. Blank lines stay (as []) so row numbers match the file; a quote only opens at the start of a field. */
+  function parseCSV(text, delim=sniff(text)) {
+    text = text.replace(/^﻿/, '');
+    const rows = [];
+    let row = [], field = '', q = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (q) {
+        if (c !== '"') field += c;
+        else if (text[i+1] === '"') { field += '"'; i++; }
+        else q = false;
+      }
+      else if (c === '"' && field === '') q = true;
+      else if (c === delim) { row.push(field); field = ''; }
+      else if (c === '\r' || c === '\n') {
+        row.push(field); rows.push(row); row = []; field = '';
+        if (c === '\r' && text[i+1] === '\n') i++;
+      }
+      else field += c;
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+    return rows.map(r => r.some(c => c.trim() !== '') ? r : []);
+  }
+
+  // ════════════════════════════════════════
+  // ZIP  (XLSX and ODS are zipped XML)
+  // ════════════════════════════════════════
+  async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  const isZip = bytes => bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+
+  /** Central directory → { names, read(name) → Promise<string|null> } (entries inflated on demand). */
+  function unzip(bytes) {
+    const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (dv.getUint32(i, true) === 0x06054b50) { end = i; break; }
+    }
+    if (end < 0) throw new Error('Damaged file (no ZIP directory)');
+    const files = new Map();
+    const utf8 = new TextDecoder();
+    let p = dv.getUint32(end + 16, true);
+    for (let n = dv.getUint16(end + 10, true); n > 0; n--) {
+      if (dv.getUint32(p, true) !== 0x02014b50) throw new Error('Damaged file (bad ZIP entry)');
+      const nameLen = dv.getUint16(p + 28, true);
+      files.set(utf8.decode(bytes.subarray(p + 46, p + 46 + nameLen)), {
+        method: dv.getUint16(p + 10, true), size: dv.getUint32(p + 20, true), local: dv.getUint32(p + 42, true)
+      });
+      p += 46 + nameLen + dv.getUint16(p + 30, true) + dv.getUint16(p + 32, true);
+    }
+    return {
+      names: [...files.keys()],
+      async read(name) {
+        const f = files.get(name);
+        if (!f) return null;
+        const start = f.local + 30 + dv.getUint16(f.local + 26, true) + dv.getUint16(f.local + 28, true);
+        const data  = bytes.subarray(start, start + f.size);
+        if (f.method !== 0 && f.method !== 8) throw new Error(`Unsupported compression in ${name}`);
+        return utf8.decode(f.method === 8 ? await inflateRaw(data) : data);
+      }
+    };
+  }
+
+  // ════════════════════════════════════════
+  // XML HELPERS  (the two formats are regular enough for regex scanning)
+  // ════════════════════════════════════════
+  const ENTITIES = { amp:'&', lt:'<', gt:'>', quot:'"', apos:"'" };
+  const decodeXML = s => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) =>
+    e[0] !== '#' ? (ENTITIES[e] ?? m) : String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : +e.slice(1)));
+  const attr = (tag, name) => { const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`)); return m ? decodeXML(m[1]) : null; };
+
+  /** Spreadsheet numbers come back as doubles: 6.29110743936E+12 → "6291107439360". */
+  function numberText(v) {
+    const n = Number(v);
+    return /e/i.test(v) && Number.isFinite(n) && Number.isInteger(n) ? n.toLocaleString('en-US', { useGrouping:false }) : v;
+  }
+
+  // ════════════════════════════════════════
+  // XLSX
+  // ════════════════════════════════════════
+  const colIndex = ref => [...ref.replace(/\d+$/, '')].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+  async function readXLSX(zip) {
+    const wb   = await zip.read('xl/workbook.xml');
+    const rels = await zip.read('xl/_rels/workbook.xml.rels') || '';
+    const target = id => { const m = rels.match(new RegExp(`<Relationship\\b[^>]*Id="${id}"[^>]*>`)); return m && attr(m[0], 'Target'); };
+    const shared = [];
+    const sst = await zip.read('xl/sharedStrings.xml');
+    if (sst) for (const si of sst.match(/<si>[\s\S]*?<\/si>/g) || []) {
+      // Rich text runs are concatenated; phonetic hints (rPh) are not part of the value
+      const body = si.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+      shared.push(decodeXML((body.match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || []).map(t => t.replace(/<[^>]+>/g, '')).join('')));
+    }
+
+    const sheets = [];
+    for (const tag of wb.match(/<sheet\b[^>]*>/g) || []) {
+      let path = target(attr(tag, 'r:id')) || '';
+      path = path.startsWith('/') ? path.slice(1) : 'xl/' + path.replace(/^\.\//, '');
+      const xml = await zip.read(path);
+      if (!xml) continue;
+      const rows = [];
+      for (const [, rowTag, body] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const r = +attr(rowTag, 'r') - 1 || rows.length;
+        const cells = [];
+        for (const [, cTag, inner=''] of (body || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+          const ref = attr(cTag, 'r'), t = attr(cTag, 't');
+          const v = (inner.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+          let value = '';
+          if (t === 's') value = shared[+v] ?? '';
+          else if (t === 'inlineStr') value = decodeXML((inner.match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || []).map(x => x.replace(/<[^>]+>/g, '')).join(''));
+          else if (v !== undefined) value = t === 'str' || t === 'e' ? decodeXML(v) : t === 'b' ? (v === '1' ? 'TRUE' : 'FALSE') : numberText(v);
+          cells[ref ? colIndex(ref) : cells.length] = value;
+        }
+        rows[r] = Array.from(cells, c => c ?? '');
+      }
+      sheets.push({ name:attr(tag, 'name') || `Sheet${sheets.length+1}`, rows:Array.from(rows, r => r || []) });
+    }
+    return sheets;
+  }
+
+  // ════════════════════════════════════════
+  // ODS
+  // ════════════════════════════════════════
+  function odsText(inner) {
+    return decodeXML(inner
+      .replace(/<text:s\b[^>]*?(?:text:c="(\d+)")?[^>]*\/>/g, (m, n) => ' '.repeat(+n || 1))
+      .replace(/<text:tab\b[^>]*\/>/g, '\t')
+      .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+      .replace(/<\/text:p>/g, '\n')
+      .replace(/<[^>]+>/g, '')).replace(/\n$/, '');
+  }
+
+  async function readODS(zip) {
+    const xml = await zip.read('content.xml');
+    if (!xml) throw new Error('Damaged ODS (no content.xml)');
+    const sheets = [];
+    for (const [, tTag, body] of xml.matchAll(/<table:table\b([^>]*)>([\s\S]*?)<\/table:table>/g)) {
+      const rows = [];
+      let blankRows = 0;
+      for (const [, rTag, rBody=''] of body.matchAll(/<table:table-row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:table-row>)/g)) {
+        const cells = [];
+        let blanks = 0;
+        // Repeated blank cells/rows are only filled in when something follows them (sheets end in 16384-wide runs)
+        for (const [, , cTag, cBody=''] of rBody.matchAll(/<table:(covered-table-cell|table-cell)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:\1>)/g)) {
+          const type  = attr(cTag, 'office:value-type');
+          const value = type === 'float' || type === 'percentage' || type === 'currency' ? numberText(attr(cTag, 'office:value') || '')
+                      : type === 'date' ? attr(cTag, 'office:date-value') || '' : odsText(cBody);
+          const rep   = +attr(cTag, 'table:number-columns-repeated') || 1;
+          if (value === '') { blanks += rep; continue; }
+          for (; blanks > 0; blanks--) cells.push('');
+          for (let k = 0; k < rep; k++) cells.push(value);
+        }
+        const rep = +attr(rTag, 'table:number-rows-repeated') || 1;
+        if (!cells.length) { blankRows += rep; continue; }
+        for (; blankRows > 0; blankRows--) rows.push([]);
+        for (let k = 0; k < rep; k++) rows.push(cells.slice());
+      }
+      sheets.push({ name:attr(tTag, 'table:name') || `Sheet${sheets.length+1}`, rows });
+    }
+    return sheets;
+  }
+
+  // ════════════════════════════════════════
+  // FILE → SHEETS
+  // ════════════════════════════════════════
+  /** Bytes as text: UTF-8 when valid, otherwise Windows-1252 (Excel's "CSV" default). */
+  function decodeText(bytes) {
+    try { return new TextDecoder('utf-8', { fatal:true }).decode(bytes); }
+    catch { return new TextDecoder('windows-1252').decode(bytes); }
+  }
+
+  /**
+   * Any supported file → { format, sheets:[{ name, rows:[[cell…]] }] }; rows[i] is row i+1 of the sheet.
+   * Format is sniffed from the content; the name only matters for .tsv and error messages.
+   */
+  async function read(name, bytes) {
+    if (isZip(bytes)) {
+      const zip = unzip(bytes);
+      if (zip.names.includes('xl/workbook.xml')) return { format:'xlsx', sheets:await readXLSX(zip) };
+      if (zip.names.includes('content.xml'))     return { format:'ods',  sheets:await readODS(zip) };
+      throw new Error(`${name} is a ZIP file but not XLSX or ODS`);
+    }
+    if (bytes[0] === 0xD0 && bytes[1] === 0xCF) throw new Error(`${name} is an old .xls workbook — save it as .xlsx or .csv`);
+    const text = decodeText(bytes);
+    const delim = /\.tsv$/i.test(name) ? '\t' : sniff(text);
+    return { format: delim === '\t' ? 'tsv' : 'csv', sheets:[{ name, rows:parseCSV(text, delim) }] };
+  }
+
+  // ════════════════════════════════════════
+  // COLUMN MAPPING
+  // ════════════════════════════════════════
+  const FIELDS = [
+    { key:'barcode',  label:'Barcode', required:true, names:['barcode','gtin','gtin14','ean','ean13','upc','code','barcodeno','itembarcode'] },
+    { key:'name',     label:'Name',     names:['name','description','desc','product','productname','itemname','item','itemdescription'] },
+    { key:'rms',      label:'RMS',      names:['rms','rmscode','rmsno','rms_code'] },
+    { key:'price',    label:'Price',    names:['price','rsp','retailprice','unitprice','sellingprice','mrp'] },
+    { key:'supplier', label:'Supplier', names:['supplier','vendor','agent','distributor','manufacturer'] },
+    { key:'category', label:'Category', names:['category','group','class','department','productgroup'] }
+  ];
+
+  const norm = s => String(s||'').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  /** { field → column index | -1 } from header names, or (no header) from what the cells look like. */
+  function guessMapping(rows, header=true) {
+    const map = Object.fromEntries(FIELDS.map(f => [f.key, -1]));
+    const taken = new Set();
+    if (header && rows.length) {
+      const cols = rows[0].map(norm);
+      for (const f of FIELDS) {
+        const i = cols.findIndex((c, i) => !taken.has(i) && f.names.map(norm).includes(c));
+        if (i >= 0) { map[f.key] = i; taken.add(i); }
+      }
+    }
+    if (map.barcode < 0) {
+      // The column where most cells are 8–14 digits
+      const sample = rows.slice(header ? 1 : 0, 200);
+      const width = Math.max(0, ...sample.map(r => r.length));
+      let best = -1, bestN = 0;
+      for (let c = 0; c < width; c++) {
+        if (taken.has(c)) continue;
+        const n = sample.filter(r => /^\d{8,14}$/.test(String(r[c]||'').trim())).length;
+        if (n > bestN) { best = c; bestN = n; }
+      }
+      if (bestN >= sample.length / 2) map.barcode = best;
+    }
+    return map;
+  }
+
+  // ════════════════════════════════════════
+  // ROWS → MASTER ITEMS + VALIDATION REPORT
+  // ════════════════════════════════════════
+  /**
+   * Apply a mapping and check every row.
+   *   errors   (row skipped): no barcode, not 8–14 digits, same barcode twice with different names
+   *   warnings (row kept):    wrong check digit, repeated row, same GTIN as another barcode / the
+   *                           existing catalogue under a different name
+   * opts.existing — Map(GTIN-14 → {barcode, name}) of what is already in the master store.
+   * Returns { items, issues:[{row, barcode, name, level, issue}], summary }.
+   */
+  function toMaster(rows, mapping, { header=true, existing=new Map() }={}) {
+    const items = [], issues = [];
+    let total = 0;
+    const seen = new Map(), byGtin = new Map();
+    const extras = FIELDS.filter(f => !['barcode','name','rms'].includes(f.key) && mapping[f.key] >= 0).map(f => f.key);
+    const same = (a, b) => !a || !b || a.replace(/\s+/g,' ').toUpperCase() === b.replace(/\s+/g,' ').toUpperCase();
+
+    for (let i = header ? 1 : 0; i < rows.length; i++) {
+      const row = rows[i], line = i + 1;
+      const get = k => mapping[k] >= 0 ? String(row[mapping[k]] ?? '').trim() : '';
+      // Spreadsheets often keep barcodes as text with a leading apostrophe or spaces
+      const barcode = get('barcode').replace(/^'/, '').replace(/[\s-]/g, '');
+      const it = { barcode, name:get('name'), rms:get('rms') };
+      extras.forEach(k => it[k] = get(k));
+      const issue = (level, text) => issues.push({ row:line, barcode, name:it.name, level, issue:text });
+
+      if (!row.some(c => String(c).trim() !== '')) continue;
+      total++;
+      if (!barcode)                     { issue('error', 'No barcode'); continue; }
+      if (!/^\d{8,14}$/.test(barcode))  { issue('error', 'Barcode must be 8–14 digits'); continue; }
+      const dup = seen.get(barcode);
+      if (dup) {
+        if (same(dup.name, it.name)) issue('warning', `Repeats row ${dup.row}`);
+        else issue('error', `Barcode also on row ${dup.row} as "${dup.name}"`);
+        continue;
+      }
+      const v = Core.validateGTIN(barcode);
+      if (!v.valid) issue('warning', v.issues[0]);
+      const gtin = v.normalized || barcode.padStart(14, '0');
+      const twin = byGtin.get(gtin);
+      if (twin && !same(twin.name, it.name)) issue('warning', `Same GTIN as ${twin.barcode} (row ${twin.row}) named "${twin.name}"`);
+      const known = existing.get(gtin);
+      if (known && !same(known.name, it.name)) issue('warning', `Catalogue has ${known.barcode} as "${known.name}"`);
+
+      seen.set(barcode, { row:line, name:it.name });
+      if (!twin) byGtin.set(gtin, { row:line, barcode, name:it.name });
+      items.push(it);
+    }
+    const count = level => issues.filter(x => x.level === level).length;
+    return { items, issues, summary:{ rows:total, imported:items.length, errors:count('error'), warnings:count('warning') } };
+  }
+
+  return { FIELDS, sniff, parseCSV, unzip, read, guessMapping, toMaster };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MasterImport;
+}
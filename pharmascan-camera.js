@@ -0,0 +1,216 @@
+/**
+ * PHARMASCAN CAMERA
+ * Barcode decoding behind one interface for both apps: the browser's BarcodeDetector where it can
+ * read DataMatrix, else a self-hosted zxing-wasm build (vendor/zxing-wasm/, copied in by
+ * `npm run vendor:zxing` — no CDN; the service worker keeps it once fetched). A scanner runs the
+ * decoder over a region of interest of the live video, cropped and scaled up so a tiny DataMatrix
+ * still gets enough pixels, with torch and camera switching; decodeImage() reads a photo or file.
+ */
+
+const PharmaCamera = (() => {
+
+  // ════════════════════════════════════════
+  // FORMATS  (BarcodeDetector names; zxing-wasm 3 spells them its own way)
+  // ════════════════════════════════════════
+  const FORMATS = ['data_matrix','code_128','ean_13','ean_8','upc_a','upc_e','qr_code'];
+  const ZXING = { data_matrix:'DataMatrix', code_128:'Code128', ean_13:'EAN13', ean_8:'EAN8', upc_a:'UPCA', upc_e:'UPCE', qr_code:'QRCode' };
+  const FROM_ZXING = Object.fromEntries(Object.entries(ZXING).map(([k, v]) => [v, k]));
+
+  // Relative to the page; override with decoder({ wasm:{ script, wasm } })
+  const WASM = { script:'vendor/zxing-wasm/index.js', wasm:'vendor/zxing-wasm/zxing_reader.wasm' };
+  const MAX_SIDE = 2400;   // stills are scaled down to this before decoding
+
+  // ════════════════════════════════════════
+  // FRAMES
+  // ════════════════════════════════════════
+  const sizeOf = src => ({ w:src.videoWidth || src.naturalWidth || src.width, h:src.videoHeight || src.naturalHeight || src.height });
+
+  /**
+   * The centre square of a frame (roi.size × the shorter side) drawn onto a canvas, scaled by roi.scale
+   * (capped at MAX_SIDE). size 1 / scale 1 is the whole frame.
+   */
+  function crop(src, roi, canvas=document.createElement('canvas')) {
+    const { w, h } = sizeOf(src);
+    const side = roi.size >= 1 ? null : Math.round(Math.min(w, h) * roi.size);
+    const sw = side || w, sh = side || h;
+    const k = Math.min(roi.scale || 1, MAX_SIDE / Math.max(sw, sh));
+    canvas.width = Math.round(sw * k); canvas.height = Math.round(sh * k);
+    const ctx = canvas.getContext('2d', { willReadFrequently:true });
+    ctx.imageSmoothingEnabled = false;   // upscaled modules stay sharp-edged
+    ctx.drawImage(src, (w - sw) / 2, (h - sh) / 2, sw, sh, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  const toImageData = c => c.getContext('2d', { willReadFrequently:true }).getImageData(0, 0, c.width, c.height);
+
+  // ════════════════════════════════════════
+  // DECODERS  { name, formats, detect(canvas) → Promise<[{ text, format }]> }
+  // ════════════════════════════════════════
+  async function nativeDecoder(formats=FORMATS) {
+    if (typeof BarcodeDetector === 'undefined') throw new Error('BarcodeDetector not available');
+    const supported = await BarcodeDetector.getSupportedFormats();
+    const use = formats.filter(f => supported.includes(f));
+    // Medicine packs are DataMatrix: a detector without it is no use here
+    if (!use.includes('data_matrix')) throw new Error('BarcodeDetector cannot read DataMatrix on this device');
+    const det = new BarcodeDetector({ formats:use });
+    return { name:'native', formats:use, async detect(canvas) {
+      return (await det.detect(canvas)).map(b => ({ text:b.rawValue, format:b.format }));
+    } };
+  }
+
+  function loadScript(src) {
+    return new Promise((res, rej) => {
+      const s = Object.assign(document.createElement('script'), { src, async:true });
+      s.onload = res;
+      s.onerror = () => rej(new Error(`Could not load ${src} — run npm run vendor:zxing`));
+      document.head.appendChild(s);
+    });
+  }
+
+  let wasmReady = null;
+  async function wasmDecoder(formats=FORMATS, { script=WASM.script, wasm=WASM.wasm }={}) {
+    wasmReady = wasmReady || (async () => {
+      if (typeof ZXingWASM === 'undefined') await loadScript(script);
+      const url = new URL(wasm, document.baseURI).href;
+      await ZXingWASM.prepareZXingModule({ overrides:{ locateFile:(path, prefix) => path.endsWith('.wasm') ? url : prefix + path }, fireImmediately:true });
+      return ZXingWASM;
+    })();
+    wasmReady.catch(() => { wasmReady = null; });
+    const Z = await wasmReady;
+    // Plain text keeps FNC1 as GS; the AIM prefix (]d2, ]C1, ]Q3…) tells the GS1 parser what it is reading
+    const opts = { formats:formats.map(f => ZXING[f]).filter(Boolean), tryHarder:true, textMode:'Plain', maxNumberOfSymbols:8 };
+    return { name:'wasm', formats, async detect(canvas) {
+      return (await Z.readBarcodes(toImageData(canvas), opts)).filter(r => r.isValid)
+        .map(r => ({ text:(r.symbologyIdentifier || '') + r.text, format:FROM_ZXING[r.format] || r.format }));
+    } };
+  }
+
+  /** prefer: 'auto' (native, else WASM), 'native' or 'wasm'. Rejects when nothing can decode here. */
+  async function decoder({ prefer='auto', formats=FORMATS, wasm }={}) {
+    const tried = [];
+    for (const name of prefer === 'auto' ? ['native','wasm'] : [prefer]) {
+      try { return name === 'native' ? await nativeDecoder(formats) : await wasmDecoder(formats, wasm); }
+      catch(e) { tried.push(e.message); }
+    }
+    throw new Error(`No barcode decoder: ${tried.join('; ')}`);
+  }
+
+  // ════════════════════════════════════════
+  // LIVE SCANNER
+  // ════════════════════════════════════════
+  /**
+   * opts.video    — <video> the camera is shown in
+   *     .decoder  — from decoder()
+   *     .onCode   — (text, format) for each new read
+   *     .collectMs — >0: instead, codes seen within this of the first one go to .onCodes([{ text, format }]) together
+   *                 (an EAN and a DataMatrix on the same pack come in one call)
+   *     .roi      — { size: share of the shorter side decoded (0.2–1, default 0.6), scale: upscaling of that crop (1–4) }
+   *     .fps      — decode attempts per second (default 8)
+   *     .repeatMs — a text seen again within this of its last sighting is the same sighting (default 1500)
+   */
+  function createScanner({ video, decoder:dec, onCode, onCodes, collectMs=0, roi={}, fps=8, repeatMs=1500 }) {
+    const canvas = document.createElement('canvas');
+    const st = { stream:null, track:null, deviceId:'', running:false, busy:false, timer:null, torch:false, seenAt:new Map(), batch:null, batchTimer:null, roi:{ size:0.6, scale:1 } };
+    const caps = () => st.track && st.track.getCapabilities ? st.track.getCapabilities() : {};
+
+    async function cameras() {
+      return (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'videoinput').map(d => ({ id:d.deviceId, label:d.label }));
+    }
+
+    /** deviceId: a camera from cameras(); none — the back camera where there is one. */
+    async function start(deviceId='') {
+      stop();
+      const which = deviceId ? { deviceId:{ exact:deviceId } } : { facingMode:{ ideal:'environment' } };
+      st.stream = await navigator.mediaDevices.getUserMedia({ audio:false, video:{ ...which, width:{ ideal:1920 }, height:{ ideal:1080 } } });
+      st.track = st.stream.getVideoTracks()[0];
+      st.deviceId = (st.track.getSettings && st.track.getSettings().deviceId) || deviceId;
+      st.torch = false;
+      // Labels are read close up: continuous focus where the camera offers it
+      if ((caps().focusMode || []).includes('continuous')) st.track.applyConstraints({ advanced:[{ focusMode:'continuous' }] }).catch(() => {});
+      video.setAttribute('playsinline', '');
+      video.muted = true;
+      video.srcObject = st.stream;
+      await video.play();
+      st.running = true;
+      tick();
+    }
+
+    function tick() {
+      if (!st.running) return;
+      st.timer = setTimeout(async () => {
+        if (!st.busy && video.readyState >= 2) {
+          st.busy = true;
+          try { for (const r of await dec.detect(crop(video, st.roi, canvas))) seen(r); }
+          catch(e) { console.warn('Decode:', e); }
+          st.busy = false;
+        }
+        tick();
+      }, 1000 / fps);
+    }
+
+    function seen(r) {
+      if (!st.running) return;
+      const now = Date.now(), last = st.seenAt.get(r.text);
+      st.seenAt.set(r.text, now);
+      if (last && now - last < repeatMs) return;
+      for (const [t, ts] of st.seenAt) if (now - ts >= repeatMs) st.seenAt.delete(t);
+      if (!collectMs) return onCode(r.text, r.format);
+      if (!st.batch) {
+        st.batch = [];
+        st.batchTimer = setTimeout(() => { const codes = st.batch; st.batch = null; if (st.running) onCodes(codes); }, collectMs);
+      }
+      st.batch.push({ text:r.text, format:r.format });
+    }
+
+    function stop() {
+      st.running = false;
+      clearTimeout(st.timer);
+      clearTimeout(st.batchTimer);
+      st.batch = null;
+      if (st.stream) st.stream.getTracks().forEach(t => t.stop());
+      st.stream = st.track = null;
+      video.srcObject = null;
+    }
+
+    /** Next camera in the list; resolves to its id. */
+    async function switchCamera() {
+      const list = await cameras();
+      if (list.length < 2) return st.deviceId;
+      const next = list[(list.findIndex(c => c.id === st.deviceId) + 1) % list.length];
+      await start(next.id);
+      return next.id;
+    }
+
+    const hasTorch = () => !!caps().torch;
+    async function torch(on=!st.torch) {
+      if (!hasTorch()) throw new Error('This camera has no torch');
+      await st.track.applyConstraints({ advanced:[{ torch:!!on }] });
+      return st.torch = !!on;
+    }
+
+    function setROI({ size=st.roi.size, scale=st.roi.scale }={}) {
+      st.roi = { size:Math.min(1, Math.max(0.2, +size || 0.6)), scale:Math.min(4, Math.max(1, +scale || 1)) };
+      return { ...st.roi };
+    }
+    setROI(roi);
+
+    return { start, stop, cameras, switchCamera, torch, hasTorch, setROI, decoder:dec,
+             get roi() { return { ...st.roi }; }, get deviceId() { return st.deviceId; }, get torchOn() { return st.torch; }, get running() { return st.running; } };
+  }
+
+  // ════════════════════════════════════════
+  // STILL IMAGES
+  // ════════════════════════════════════════
+  /** A photo / image file → [{ text, format }]: the whole picture, then its centre scaled up for a code shot from afar. */
+  async function decodeImage(file, dec) {
+    const bmp = await createImageBitmap(file);
+    try {
+      const found = await dec.detect(crop(bmp, { size:1, scale:1 }));
+      return found.length ? found : await dec.detect(crop(bmp, { size:0.5, scale:2 }));
+    } finally { if (bmp.close) bmp.close(); }
+  }
+
+  return { FORMATS, WASM, decoder, createScanner, decodeImage, crop };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = PharmaCamera;
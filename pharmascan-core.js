@@ -0,0 +1,1413 @@
+/**
+ * PHARMASCAN CORE
+ * The app's pure logic — GS1 parse/encode, expiry policy, master lookup, the shared data model, stock,
+ * locations, stock-takes and returns, recalls, serialised packs, OCR date extraction and the unified
+ * barcode parser — with no DOM or IndexedDB access, so the same code runs in the PWA (as a <script>
+ * after gs1-core.js) and under Node (require / import, see bin/pharmascan.js).
+ */
+
+const PharmaCore = ((GS1Core) => {
+
+  // ════════════════════════════════════════
+  // CONFIG
+  // ════════════════════════════════════════
+  const CFG = {
+    SOON_DAYS: 90,
+    DL_DOMAIN: 'https://id.gs1.org'
+  };
+
+  // ════════════════════════════════════════
+  // GS1 PARSER  (v3 — AI dictionary driven, see gs1-core.js)
+  // ════════════════════════════════════════
+  const GS1 = {
+    /**
+     * opts.fnc1 — site-specific FNC1 substitute sent by the scanner (settings key 'fnc1')
+     */
+    parse(raw, opts={}) {
+      const result = { raw:raw||'', gtin:'', expiry:'', expiryISO:'', expiryDisplay:'', batch:'', serial:'', qty:1, isGS1:false, symbology:'', elements:[], issues:[], ambiguous:false, alternatives:[], validation:null, digitalLink:'', dates:{}, expirySource:'' };
+      if (!raw || typeof raw !== 'string') return result;
+
+      const input = GS1Core.normalise(raw, opts);
+      const code  = input.code;
+      result.symbology = input.symbology;
+      const isLink     = GS1Core.isDigitalLink(code);
+      const hasParens  = /^\(\d{2,4}\)/.test(code);
+      const hasRawGS1  = input.gs1 === true || (input.gs1 !== false && (/^01\d{14}/.test(code) || code.includes(GS1Core.GS)));
+
+      if (!isLink && !hasParens && !hasRawGS1) {
+        // Plain EAN/UPC
+        const d = code.replace(/\D/g,'');
+        if (d.length >= 8 && d.length <= 14) {
+          result.gtin = d.padStart(14,'0');
+          result.validation = GS1Core.validateGTIN(d);
+        }
+        return result;
+      }
+
+      result.isGS1 = true;
+
+      // https://id.gs1.org/01/…/10/…  or  (01)XXXXXX(17)YYMMDD(10)BATCH  or  01GTIN17YYMMDD<GS>10BATCH
+      const parsed = isLink ? GS1Core.parseDigitalLink(code) : hasParens ? GS1Core.parseBracketed(code) : GS1Core.parseElements(code);
+      if (isLink) result.digitalLink = parsed.domain;
+      const { elements } = parsed;
+      result.elements     = elements;
+      result.issues       = parsed.issues;
+      result.ambiguous    = parsed.ambiguous;
+      result.alternatives = parsed.alternatives;
+
+      const get = ai => GS1Core.get(elements, ai);
+      result.gtin   = get('01') || get('02');
+      if (result.gtin) result.validation = GS1Core.validateGTIN(result.gtin);
+      result.batch  = get('10');
+      result.serial = get('21');
+
+      // Every date AI is kept; the one that limits shelf life drives expiryISO
+      result.dates = GS1Core.datesOf(elements);
+      const exp = GS1Core.relevantExpiry(result.dates);
+      if (result.dates.expiry) result.expiry = get('17');
+      if (exp.iso) {
+        result.expiryISO     = exp.iso;
+        result.expiryDisplay = this.display(exp.iso);
+        result.expirySource  = exp.field;
+      }
+
+      const count = get('30') || get('37');
+      if (count) result.qty = parseInt(count,10) || 1;
+      return result;
+    },
+
+    // Fields that must agree when several codes on one pack are read together
+    MERGE_FIELDS: { gtin:'GTIN', batch:'Batch', serial:'Serial', expiryISO:'Expiry' },
+
+    /**
+     * Codes read off one pack together — an EAN-13 beside a GS1 DataMatrix, or a 2D code with GTIN + serial
+     * beside a GS1-128 with batch / expiry — as one parse() result, each field taken from whichever code has it.
+     * Adds sources [{ raw, symbology, isGS1, gtin }] in input order and conflicts [{ field, label, values:[{ value, from:[source index] }] }]
+     * for fields the codes disagree on. opts.pick { gtin, batch, serial, expiryISO } settles them; codes carrying
+     * another GTIN than the picked one are left out.
+     */
+    merge(raws, opts={}) {
+      const parts = [...new Set((raws||[]).filter(Boolean))].map(raw => this.parse(raw, opts));
+      const sources = parts.map(p => ({ raw:p.raw, symbology:p.symbology, isGS1:p.isGS1, gtin:p.gtin }));
+      const pick = opts.pick || {};
+      // The richest GS1 code leads; a plain EAN only fills what the others lack
+      const use = parts.filter(p => !pick.gtin || !p.gtin || p.gtin === pick.gtin)
+        .sort((a,b) => b.isGS1 - a.isGS1 || b.elements.length - a.elements.length);
+
+      const conflicts = [];
+      for (const [field, label] of Object.entries(this.MERGE_FIELDS)) {
+        const values = [...new Set(use.map(p => p[field]).filter(Boolean))];
+        if (values.length > 1 && !pick[field]) conflicts.push({ field, label, values:values.map(value => ({ value, from:parts.flatMap((p,i) => p[field] === value ? [i] : []) })) });
+      }
+
+      const result = { ...(use[0] || this.parse('')), raw:use.map(p => p.raw).join('\n'), sources, conflicts };
+      const first = field => pick[field] || (use.find(p => p[field]) || {})[field] || '';
+      result.gtin       = first('gtin');
+      result.validation = result.gtin ? GS1Core.validateGTIN(result.gtin) : null;
+      result.batch      = first('batch');
+      result.serial     = first('serial');
+      result.isGS1      = use.some(p => p.isGS1);
+      result.ambiguous  = use.some(p => p.ambiguous);
+      result.issues     = use.flatMap(p => p.issues);
+      result.symbology  = [...new Set(use.map(p => p.symbology).filter(Boolean))].join(' + ');
+      const ais = new Set();
+      result.elements   = use.flatMap(p => p.elements).filter(el => !el.ai || !ais.has(el.ai) && ais.add(el.ai));
+
+      result.dates = Object.assign({}, ...[...use].reverse().map(p => p.dates));
+      const exp = GS1Core.relevantExpiry(result.dates);
+      const iso = pick.expiryISO || exp.iso || '';
+      const from = use.find(p => p.expiryISO === iso);
+      result.expiry        = from ? from.expiry : '';
+      result.expiryISO     = iso;
+      result.expiryDisplay = iso ? this.display(iso) : '';
+      result.expirySource  = from ? from.expirySource : iso ? 'expiry' : '';
+      return result;
+    },
+
+    /** YYYY-MM-DD → DD/MM/YYYY */
+    display(iso) {
+      const [y,m,d] = iso.split('-');
+      return `${d}/${m}/${y}`;
+    },
+
+    /**
+     * elements[] for a history entry. Edited fields (GTIN, batch, serial, expiry) win over
+     * the scanned elements; other scanned AIs are carried through untouched.
+     */
+    elementsOf(h) {
+      const scanned = new Map((h.elements||[]).filter(e => e.ai).map(e => [e.ai, e.raw]));
+      const out = new Map();
+      const keyAI = scanned.has('02') && !scanned.has('01') ? '02' : '01';
+      if (h.gtin) out.set(keyAI, h.gtin);
+
+      // Dates: the shelf-life date follows the edited expiryISO; a scanned DD=00 is kept while it still means the same day
+      // (7003/7007/7011 carry more than a date and are passed through as scanned)
+      const plainDate = ai => ai in GS1Core.DATE_FIELDS && !['7003','7007','7011'].includes(ai);
+      const source = h.expirySource || 'expiry';
+      for (const [ai, field] of Object.entries(GS1Core.DATE_FIELDS)) {
+        if (!plainDate(ai)) continue;
+        const iso = field === source ? h.expiryISO : (h.dates||{})[field];
+        if (!iso) continue;
+        const raw = scanned.get(ai);
+        out.set(ai, raw && GS1Core.parseDate(raw).iso === iso ? raw : GS1Core.toYYMMDD(iso));
+      }
+      if (h.batch)  out.set('10', h.batch);
+      if (h.serial) out.set('21', h.serial);
+      for (const [ai, raw] of scanned) if (!plainDate(ai) && !['01','02','10','21'].includes(ai)) out.set(ai, raw);
+
+      // Keep the scanned order so an untouched scan re-encodes to the same string
+      const order = [...scanned.keys()];
+      const rank  = ai => order.includes(ai) ? order.indexOf(ai) : order.length + (GS1Core.AI[ai] && GS1Core.AI[ai].fnc1 ? 1 : 0);
+      return [...out].sort((a,b) => rank(a[0]) - rank(b[0])).map(([ai,raw]) => ({ ai, raw }));
+    },
+
+    /**
+     * Encoded forms of a history entry:
+     *   hri  — (01)…(17)…(10)…   raw — element string with GS (\x1D) separators   link — Digital Link URI
+     * Throws with the validation problems when the entry cannot be encoded.
+     */
+    encode(h, domain=CFG.DL_DOMAIN) {
+      const els = this.elementsOf(h);
+      return { hri:GS1Core.toHRI(els), raw:GS1Core.toElementString(els), link:GS1Core.toDigitalLink(els, domain) };
+    },
+
+    /** Digital Link URI for a saved history entry. */
+    toDigitalLink(h, domain=CFG.DL_DOMAIN) {
+      return GS1Core.toDigitalLink(this.elementsOf(h), domain);
+    },
+
+    /** expired / expiring / ok / unknown — the band of Policy.evaluate(); item adds product, category and supplier for the rules. */
+    status(isoDate, item={}) {
+      return Policy.evaluate({ ...item, expiryISO:isoDate }).band;
+    }
+  };
+
+  // ════════════════════════════════════════
+  // EXPIRY POLICY  (rules → named states, so badges, filters, counts and exports agree)
+  // ════════════════════════════════════════
+  const Policy = {
+    // Most urgent first: an item is in the first state whose window it has entered.
+    // band is the expired / expiring / ok group behind the header counters and GS1.status().
+    STATES: {
+      expired:    { label:'Expired',            badge:'EXPIRED',       band:'expired'  },
+      quarantine: { label:'Quarantine',         badge:'QUARANTINE',    band:'expiring' },
+      return:     { label:'Return window open', badge:'RETURN NOW',    band:'expiring' },
+      discount:   { label:'Discount',           badge:'DISCOUNT',      band:'expiring' },
+      expiring:   { label:'Expiring soon',      badge:'EXPIRING SOON', band:'expiring' },
+      ok:         { label:'OK',                 badge:'OK',            band:'ok'       },
+      unknown:    { label:'No expiry',          badge:'NO EXPIRY',     band:'unknown'  }
+    },
+    // Least to most specific: a product rule beats a supplier rule beats a category rule
+    SCOPES: ['default','category','supplier','product'],
+
+    /** [{ scope, match, state, days }] — e.g. { scope:'supplier', match:'Sigma', state:'return', days:120 }. Set with use(). */
+    rules: [],
+
+    use(rules) {
+      this.rules = (rules||[]).filter(r => this.STATES[r.state] && r.state !== 'expired' && this.SCOPES.includes(r.scope) && +r.days >= 0);
+      return this;
+    },
+
+    /** item: { productId, gtin, unitGtin, rms, category, supplier } — product rules match any of its codes. */
+    applies(r, item) {
+      const m = String(r.match||'').trim().toLowerCase();
+      if (r.scope === 'default') return true;
+      if (!m) return false;
+      if (r.scope === 'category') return String(item.category||'').toLowerCase() === m;
+      if (r.scope === 'supplier') return String(item.supplier||'').toLowerCase() === m;
+      return [item.productId, item.gtin, item.unitGtin, item.rms].some(v => v && String(v).toLowerCase() === m);
+    },
+
+    /** Days before expiry each state starts for this item: CFG.SOON_DAYS for "expiring" unless a rule says otherwise. */
+    windows(item={}) {
+      const out = { expiring:CFG.SOON_DAYS }, rank = {};
+      for (const r of this.rules) {
+        const s = this.SCOPES.indexOf(r.scope);
+        if (rank[r.state] > s || !this.applies(r, item)) continue;
+        out[r.state] = +r.days; rank[r.state] = s;
+      }
+      return out;
+    },
+
+    /** item: anything with expiryISO (entry, lot balance…). Returns { state, label, badge, band, daysLeft }. */
+    evaluate(item={}, today=new Date()) {
+      const of = (state, daysLeft=null) => ({ state, ...this.STATES[state], daysLeft });
+      if (!item.expiryISO) return of('unknown');
+      const t   = new Date(today); t.setHours(0,0,0,0);
+      const exp = new Date(item.expiryISO); exp.setHours(0,0,0,0);
+      const daysLeft = Math.floor((exp-t)/86400000);
+      if (daysLeft < 0) return of('expired', daysLeft);
+      const w = this.windows(item);
+      return of(Object.keys(this.STATES).find(s => w[s] != null && daysLeft <= w[s]) || 'ok', daysLeft);
+    }
+  };
+
+  // ════════════════════════════════════════
+  // MASTER INDEX
+  // ════════════════════════════════════════
+  // Spellings found in the catalogue → one search token, so "TABS" finds "TABLETS"
+  const ABBREV = Object.fromEntries(Object.entries({
+    TAB:   ['TABS','TABLET','TABLETS','TB','TBS'],
+    CAP:   ['CAPS','CAPSULE','CAPSULES'],
+    CAPLT: ['CAPLET','CAPLETS'],
+    CRM:   ['CREAM','CREME','CRME'],
+    SPR:   ['SPRAY','SPRY'],
+    LOT:   ['LOTION','LOTN'],
+    DRP:   ['DROP','DROPS','DRPS','GTT'],
+    SYR:   ['SYRUP','SYRP'],
+    OINT:  ['OINTMENT','ONT'],
+    PWD:   ['POWDER','PWDR','PDR'],
+    SOLN:  ['SOLUTION'],
+    SUSP:  ['SUSPENSION'],
+    SACH:  ['SACHET','SACHETS'],
+    EFF:   ['EFFERVESCENT','EFFERV'],
+    AMP:   ['AMPS','AMPOULE','AMPOULES','AMPULE'],
+    STRP:  ['STRIP','STRIPS'],
+    BTL:   ['BOTTLE','BOTTLES'],
+    SUPP:  ['SUPPO','SUPPOSITORY','SUPPOSITORIES'],
+    INJ:   ['INJECTION','INJECTIONS'],
+    G:     ['GM','GMS','GRAM','GRAMS'],
+    MG:    ['MGS'],
+    ML:    ['MLS'],
+    PC:    ['PCS','PIECE','PIECES']
+  }).flatMap(([canon, spellings]) => spellings.map(sp => [sp, canon])));
+
+  /** Levenshtein distance, giving up (returning max+1) once it must exceed max. */
+  function editDistance(a, b, max) {
+    let prev = Array.from({ length:b.length+1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let low = i;
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(prev[j] + 1, cur[j-1] + 1, prev[j-1] + (a[i-1] === b[j-1] ? 0 : 1));
+        low = Math.min(low, cur[j]);
+      }
+      if (low > max) return max + 1;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  const Master = {
+    products: new Map(),   // product key → { key, name, rms, barcodes:[{code, kind}] }
+    codes:    new Map(),   // GTIN-14 → Set of product keys (more than one = conflicting rows)
+    rmsCodes: new Map(),   // RMS (no leading zeros) → Set of product keys
+    partial:  new Map(),   // last 8 digits → Set of product keys
+    packs:    new Map(),   // pack GTIN-14 → { kind, child:GTIN-14, qty }  (row.contains: case → inner → unit)
+    words:    new Map(),   // search token (name word, RMS, barcode) → Set of product keys; filled by the first search()
+    vocab:    null,        // { sorted:[token], byLength:Map(length → [word]) }
+
+    KINDS: { unit:'Unit EAN / UPC', inner:'Inner pack GTIN-14', case:'Outer case GTIN-14', legacy:'Legacy 12-digit', rms:'Internal RMS' },
+
+    /** Rows sharing an RMS are one product; a linked barcode names its product explicitly. */
+    productKey(row) {
+      return row.product || (row.rms ? 'RMS:' + row.rms : 'GTIN:' + String(row.barcode||'').replace(/\D/g,'').padStart(14,'0'));
+    },
+
+    /** case = GTIN-14 with packaging indicator 1–8; legacy = 12 digits that fail the UPC-A check (check digit dropped). */
+    kindOf(code) {
+      code = String(code||'').replace(/\D/g,'');
+      if (code.length === 14 && /^[1-8]/.test(code)) return 'case';
+      if (code.length === 12 && !GS1Core.validateGTIN(code).valid) return 'legacy';
+      return 'unit';
+    },
+
+    /** GTIN-14 keys a barcode answers to; a legacy code also answers to the EAN-13 it was cut from. */
+    keysOf(code, kind=this.kindOf(code)) {
+      const keys = [code.padStart(14,'0')];
+      if (kind === 'legacy') keys.push((code + GS1Core.checkDigit(code)).padStart(14,'0'));
+      return keys;
+    },
+
+    build(data) {
+      [this.products, this.codes, this.rmsCodes, this.partial, this.packs, this.words].forEach(m => m.clear());
+      this.vocab = null;
+      const add = (map, k, key) => (map.get(k) || map.set(k, new Set()).get(k)).add(key);
+      for (const it of data) {
+        const bc = String(it.barcode||'').replace(/\D/g,'');
+        if (!bc || bc.length<8) continue;
+        const key  = this.productKey(it);
+        const kind = it.kind || this.kindOf(bc);
+        let p = this.products.get(key);
+        if (!p) this.products.set(key, p = { key, name:'', rms:'', barcodes:[] });
+        if (!p.name) p.name = it.name||'';
+        if (!p.category && it.category) p.category = it.category;
+        if (!p.rms && it.rms) { p.rms = it.rms; p.barcodes.push({ code:it.rms, kind:'rms' }); add(this.rmsCodes, it.rms.replace(/^0+/,''), key); }
+        p.barcodes.push({ code:bc, kind, source:it.source||'', contains:it.contains||null });
+        this.keysOf(bc, kind).forEach(k => add(this.codes, k, key));
+        add(this.partial, bc.slice(-8), key);
+        if (it.contains && +it.contains.qty > 0) {
+          this.packs.set(bc.padStart(14,'0'), { kind:kind === 'inner' ? 'inner' : 'case', child:String(it.contains.barcode).padStart(14,'0'), qty:+it.contains.qty });
+        }
+      }
+    },
+
+    /** Word index for search(), built on first use (most sessions never search). */
+    buildWords() {
+      for (const p of this.products.values()) {
+        for (const t of this.tokens([p.name, ...p.barcodes.map(b => b.code)].join(' '))) {
+          (this.words.get(t) || this.words.set(t, new Set()).get(t)).add(p.key);
+        }
+      }
+      const sorted = [...this.words.keys()].sort(), byLength = new Map();
+      for (const w of sorted) if (!/^\d/.test(w)) (byLength.get(w.length) || byLength.set(w.length, []).get(w.length)).push(w);
+      this.vocab = { sorted, byLength };
+    },
+
+    /** Search tokens: upper case, digits split from letters ("12S" = "12 S"), abbreviations folded. */
+    tokens(text) {
+      return String(text||'').toUpperCase()
+        .replace(/(\d)([A-Z])/g, '$1 $2').replace(/([A-Z])(\d)/g, '$1 $2')
+        .split(/[^A-Z0-9.]+/).map(t => t.replace(/^\.+|\.+$/g, '')).filter(Boolean)
+        .map(t => ABBREV[t] || t);
+    },
+
+    /**
+     * Offline, typo-tolerant product search over names, RMS codes and barcodes.
+     * Per query token: exact word 3, prefix 2 (numbers from 4 digits, so RMS / barcode prefixes work),
+     * one typo (two from 7 letters) 1. Products matching the most tokens win, then by score.
+     * Returns up to `limit` products.
+     */
+    search(query, limit=20) {
+      const q = [...new Set(this.tokens(query))];
+      if (!q.length) return [];
+      if (!this.vocab) this.buildWords();
+      const { sorted, byLength } = this.vocab;
+      const scores = new Map();   // product key → { hits, score }
+      for (const t of q) {
+        const best = new Map();
+        const take = (word, sc) => { for (const k of this.words.get(word)) if ((best.get(k)||0) < sc) best.set(k, sc); };
+        const numeric = /^\d/.test(t);
+        if (this.words.has(t)) take(t, 3);
+        if (t.length >= (numeric ? 4 : 2)) {
+          // Words starting with t sit together in the sorted vocabulary
+          let lo = 0, hi = sorted.length;
+          while (lo < hi) { const mid = (lo + hi) >> 1; if (sorted[mid] < t) lo = mid + 1; else hi = mid; }
+          for (let i = lo; i < sorted.length && sorted[i].startsWith(t); i++) if (sorted[i] !== t) take(sorted[i], 2);
+        }
+        const typos = numeric || t.length < 4 ? 0 : t.length < 7 ? 1 : 2;
+        for (let len = t.length - typos; typos && len <= t.length + typos; len++) {
+          for (const w of byLength.get(len) || []) if (w !== t && editDistance(t, w, typos) <= typos) take(w, 1);
+        }
+        for (const [k, sc] of best) {
+          const s = scores.get(k) || { hits:0, score:0 };
+          s.hits++; s.score += sc;
+          scores.set(k, s);
+        }
+      }
+      const ranked = [...scores].sort((a,b) => b[1].hits - a[1].hits || b[1].score - a[1].score
+        || this.products.get(a[0]).name.length - this.products.get(b[0]).name.length);
+      const top = ranked.length ? ranked[0][1].hits : 0;
+      return ranked.filter(([, s]) => s.hits === top).slice(0, limit).map(([k]) => this.products.get(k));
+    },
+
+    /**
+     * Packaging level of a code, rolled down to the base unit: case of 4 inners of 6 → { level:'case', perPack:24, unit }.
+     * null for codes with no recorded contents.
+     */
+    packOf(code) {
+      let g = String(code||'').replace(/\D/g,'').padStart(14,'0'), perPack = 1, level = null;
+      const seen = new Set();
+      while (this.packs.has(g) && !seen.has(g)) {
+        const p = this.packs.get(g);
+        seen.add(g);
+        level = level || p.kind;
+        perPack *= p.qty;
+        g = p.child;
+      }
+      return level ? { level, perPack, unit:g } : null;
+    },
+
+    /**
+     * Master product for a scanned code. how:
+     *   EXACT · CASE (outer-case GTIN-14 of a known unit) · LEGACY (12-digit code without check digit)
+     *   RMS · PARTIAL (last 8 digits only — a guess) · AMBIGUOUS (several products, see candidates) · NONE
+     * pack — packOf() for the code; for CASE without recorded contents { level:'case', perPack:null, unit }.
+     */
+    find(code) {
+      const bc = String(code||'').replace(/\D/g,'');
+      if (!bc) return { name:'', rms:'', how:'NONE', product:null, candidates:[], pack:null };
+      const g14 = bc.padStart(14,'0');
+      const hit = (keys, how, pack=this.packOf(g14)) => {
+        const candidates = [...keys].map(k => this.products.get(k));
+        return candidates.length === 1 ? { name:candidates[0].name, rms:candidates[0].rms, how, product:candidates[0], candidates, pack }
+                                       : { name:'', rms:'', how:'AMBIGUOUS', product:null, candidates, pack };
+      };
+      if (this.codes.has(g14)) return hit(this.codes.get(g14), 'EXACT');
+      if (g14.length === 14 && /^[1-8]/.test(g14)) {
+        // Case GTIN-14 = indicator + the unit's GTIN-13 body + a new check digit
+        const body = g14.slice(1,13), unit = ('0' + body + GS1Core.checkDigit(body));
+        if (this.codes.has(unit)) return hit(this.codes.get(unit), 'CASE', this.packOf(g14) || { level:'case', perPack:null, unit });
+      }
+      const core = bc.replace(/^0+/,'');
+      if (core.length === 12 && !GS1Core.validateGTIN(core).valid) {
+        const ean = (core + GS1Core.checkDigit(core)).padStart(14,'0');
+        if (this.codes.has(ean)) return hit(this.codes.get(ean), 'LEGACY');
+      }
+      if (this.rmsCodes.has(core)) return hit(this.rmsCodes.get(core), 'RMS');
+      if (this.partial.has(bc.slice(-8))) return hit(this.partial.get(bc.slice(-8)), 'PARTIAL');
+      return { name:'', rms:'', how:'NONE', product:null, candidates:[], pack:this.packOf(g14) };
+    },
+
+    /** Built-in MASTER_DB rows ({b, n, r}) → master rows tagged as built-in. */
+    fromBuiltIn(rows) {
+      return rows.map(p => ({ barcode:p.b, name:p.n||'', rms:p.r||'', source:'builtin', builtin:{ name:p.n||'', rms:p.r||'' } }));
+    },
+
+    /**
+     * Merge a new built-in catalogue into the stored master rows.
+     * Built-in rows remember what the bundle said (`builtin`); a row whose name/rms no longer
+     * match that was edited by the user and is never overwritten or removed. Uploaded rows
+     * (source 'user', or no source — pre-versioning uploads) are left alone.
+     * Returns { put, del, report:{ added, changed, removed, kept } }.
+     */
+    mergeBuiltIn(stored, bundle) {
+      const byCode  = new Map(stored.map(r => [r.barcode, r]));
+      const inBundle = new Set();
+      const edited  = r => r.name !== r.builtin.name || (r.rms||'') !== (r.builtin.rms||'');
+      const put = [], del = [], report = { added:[], changed:[], removed:[], kept:[] };
+
+      for (const b of bundle) {
+        inBundle.add(b.barcode);
+        const r = byCode.get(b.barcode);
+        if (!r) { put.push(b); report.added.push({ barcode:b.barcode, name:b.name }); continue; }
+        if (r.source !== 'builtin') continue;
+        if (r.builtin.name === b.name && (r.builtin.rms||'') === b.rms) continue;
+        if (edited(r)) {
+          put.push({ ...r, builtin:b.builtin });
+          report.kept.push({ barcode:b.barcode, name:r.name, bundled:b.name, reason:'edited' });
+        } else {
+          put.push(b);
+          report.changed.push({ barcode:b.barcode, from:r.name, to:b.name, rmsFrom:r.rms||'', rmsTo:b.rms });
+        }
+      }
+      for (const r of stored) {
+        if (r.source !== 'builtin' || inBundle.has(r.barcode)) continue;
+        if (edited(r)) {
+          put.push({ ...r, source:'user' });
+          report.kept.push({ barcode:r.barcode, name:r.name, bundled:'', reason:'edited, dropped from catalogue' });
+        } else {
+          del.push(r.barcode);
+          report.removed.push({ barcode:r.barcode, name:r.name });
+        }
+      }
+      return { put, del, report };
+    }
+  };
+
+  // ════════════════════════════════════════
+  // DATA MODEL  (shared by app.js and enhanced_pharmacy_app.js; IndexedDB side in pharmascan-db.js)
+  // ════════════════════════════════════════
+  /**
+   * products  { id, gtin, name, rms, category, active, created, updated }
+   * units     { id, productId, gtin, batch, serial, expiry, expiryISO, expiryDisplay, expirySource,
+   *             dates, qty, pack, perPack, unitGtin, raw, format, symbology, elements, supplier, returnable, status, ts }
+   *           qty = packs counted of `gtin`; pack = 'unit' | 'inner' | 'case' holding perPack base units
+   *           of `unitGtin` (the product's GTIN). Old rows have neither: one unit per qty.
+   * aliases   { code, productId, kind, primary } — every barcode value that identifies a product
+   * movements { id, ts, type, productId, gtin, batch, expiryISO, lot, units, perPack, unitId, note } — see Ledger
+   * recalls   { id, gtin, batch, serialFrom, serialTo, reason, ref, issuer, date, created } — see Recalls
+   * serials   { key (gtin|serial), gtin, serial, batch, expiryISO, state, ts, history:[{ ts, event, batch, expiryISO, note, unitId? }] } — see Serials
+   *
+   * An "entry" is what the UI shows as a history row: a unit joined with its product's name and rms.
+   */
+  const UNKNOWN = 'Unknown Product';
+
+  const Schema = {
+    DB: 'PharmaScanDB',
+    VERSION: 6,
+    STORES: {
+      products: { keyPath:'id', indexes:['gtin','name','rms'] },
+      units:    { keyPath:'id', autoIncrement:true, indexes:['productId','gtin','batch','serial','expiryISO','status','ts'] },
+      aliases:  { keyPath:'code', indexes:['productId'] },
+      movements:{ keyPath:'id', autoIncrement:true, indexes:['lot','unitId','productId','type','ts'] },
+      locations:{ keyPath:'id', indexes:['parentId'] },
+      recalls:  { keyPath:'id', autoIncrement:true, indexes:['gtin','ref'] },
+      serials:  { keyPath:'key', indexes:['gtin','serial','state'] },
+      master:   { keyPath:'barcode' },
+      settings: { keyPath:'key' }
+    },
+    UNKNOWN,
+
+    productId(gtin) {
+      return 'PROD_' + (gtin || Date.now().toString(36) + Math.random().toString(36).slice(2,6));
+    },
+
+    /** Aliases for a product: its GTIN-14 plus a plain EAN-13 / UPC-12 / EAN-8 the way it was scanned. */
+    aliasesFor(productId, gtin, scanned='') {
+      const out = [];
+      const add = (code, kind, primary=false) => { if (code && !out.some(a => a.code === code)) out.push({ code, productId, kind, primary }); };
+      if (gtin) add(gtin, 'GTIN14', true);
+      const s = String(scanned||'').trim();
+      if (/^\d{8}$|^\d{12,14}$/.test(s)) add(s, { 8:'EAN8', 12:'LEGACY12', 13:'EAN13', 14:'GTIN14' }[s.length]);
+      return out;
+    },
+
+    /** Entry → the product, unit and aliases it is stored as. */
+    splitEntry(e) {
+      const { name, rms, category, ...unit } = e;
+      // A case or inner belongs to the product of the unit it holds
+      const base = e.unitGtin || e.gtin;
+      const productId = e.productId || this.productId(base);
+      const product = { id:productId, gtin:base||'', name:name === UNKNOWN ? '' : name||'', rms:rms||'' };
+      if (category) product.category = category;
+      const aliases = this.aliasesFor(productId, base, e.unitGtin ? '' : e.raw);
+      if (e.unitGtin && e.gtin !== e.unitGtin) aliases.push({ code:e.gtin, productId, kind:(e.pack||'case').toUpperCase(), primary:false });
+      return { product, unit:{ status:'IN_STOCK', ...unit, productId }, aliases };
+    },
+
+    /** Base units a unit row stands for (packs × units per pack). */
+    unitCount(u) {
+      return (u.qty||1) * (u.perPack||1);
+    },
+
+    /** Fill a stored product with whatever the new one knows; blanks never overwrite. */
+    mergeProduct(stored, incoming) {
+      const out = { ...stored };
+      for (const [k, v] of Object.entries(incoming)) if (v !== '' && v !== null && v !== undefined && k !== 'id') out[k] = v;
+      return out;
+    },
+
+    /** Unit + product → entry */
+    toEntry(unit, product={}) {
+      return { ...unit, name:product.name || UNKNOWN, rms:product.rms || '', category:product.category || '' };
+    },
+
+    /**
+     * v1 history rows → products / units / aliases. Rows are kept whole on the unit (same id),
+     * one product per GTIN; the newest non-empty name and rms win.
+     */
+    fromHistory(rows) {
+      const products = new Map(), aliases = new Map(), units = [];
+      for (const row of [...rows].sort((a,b) => (a.ts||0) - (b.ts||0))) {
+        const { product, aliases:al } = this.splitEntry(row);
+        const key = product.gtin || `name:${product.name}`;
+        const known = products.get(key);
+        if (known) products.set(key, this.mergeProduct(known, product));
+        else products.set(key, { ...product, created:new Date(row.ts||Date.now()).toISOString() });
+        const productId = products.get(key).id;
+        al.forEach(a => aliases.has(a.code) || aliases.set(a.code, { ...a, productId }));
+        units.push({ status:'IN_STOCK', ...row, productId });
+      }
+      return { products:[...products.values()], units, aliases:[...aliases.values()] };
+    },
+
+    /**
+     * enhanced_pharmacy_app.js "PharmacyDB" v2 (products / inventory_units / barcode_lookup) → our stores.
+     * `known` maps GTIN-14 → product already in PharmaScanDB, so the same product is not created twice.
+     */
+    fromPharmacyDB({ products=[], inventory_units=[], barcode_lookup=[] }, known=new Map()) {
+      const ids = new Map(), gtins = new Map();
+      const out = { products:[], units:[], aliases:[] };
+      const alias = (code, productId, kind, primary=false) => {
+        if (code && !out.aliases.some(a => a.code === code)) out.aliases.push({ code:String(code), productId, kind, primary });
+      };
+      for (const p of products) {
+        const gtin  = p.gtin_14 ? String(p.gtin_14).padStart(14,'0') : '';
+        const found = gtin && known.get(gtin);
+        const id    = found ? found.id : p.product_id;
+        ids.set(p.product_id, id); gtins.set(id, gtin);
+        const mapped = { id, gtin, name:p.product_name||'', rms:'', category:p.category||'', active:p.active !== false, created:p.created_date||'' };
+        if (!found) out.products.push(mapped);
+        else {
+          // Same GTIN already here: only fill what PharmaScanDB does not know yet
+          const fill = { name:found.name ? '' : mapped.name, category:found.category ? '' : mapped.category };
+          if (fill.name || fill.category) out.products.push(this.mergeProduct(found, fill));
+        }
+        alias(gtin, id, 'GTIN14', true);
+        alias(p.ean_13, id, 'EAN13');
+        alias(p.legacy_code, id, 'LEGACY12');
+      }
+      for (const l of barcode_lookup) {
+        // Full GS1 strings were stored as lookup keys; the GTIN inside them is the useful alias
+        const g = GS1.parse(String(l.barcode_value||''));
+        alias(g.isGS1 && g.gtin ? g.gtin : l.barcode_value, ids.get(l.product_id) || l.product_id, l.barcode_format||'', !!l.is_primary);
+      }
+      for (const u of inventory_units) {
+        const productId = ids.get(u.product_id) || u.product_id;
+        const iso = u.expiry_date || '';
+        out.units.push({
+          productId, gtin:gtins.get(productId)||'',
+          batch:u.batch_number||'', serial:u.serial_number||'',
+          expiry:'', expiryISO:iso, expiryDisplay:iso ? GS1.display(iso) : '', expirySource:iso ? 'expiry' : '',
+          dates:u.dates || (u.production_date ? { production:u.production_date } : {}),
+          qty:1, raw:u.raw_barcode||'', format:u.barcode_format||'', status:u.status||'IN_STOCK',
+          ts:Date.parse(u.scan_timestamp) || Date.now(),
+          importedFrom:{ db:'PharmacyDB', unitId:u.unit_id }
+        });
+      }
+      return out;
+    }
+  };
+
+  // ════════════════════════════════════════
+  // STOCK LEDGER  (units are the scan log; on-hand comes from movements)
+  // ════════════════════════════════════════
+  const Ledger = {
+    // sign: what the movement does to on-hand; adjust carries its own sign
+    TYPES: {
+      receive:  { label:'Receive',            sign:+1 },
+      dispense: { label:'Dispense',           sign:-1, status:'DISPENSED' },
+      return:   { label:'Return to supplier', sign:-1, status:'RETURNED' },
+      destroy:  { label:'Destroy',            sign:-1, status:'DESTROYED' },
+      transfer: { label:'Transfer out',       sign:-1, status:'TRANSFERRED' },
+      transferIn: { label:'Transfer in',      sign:+1 },
+      adjust:   { label:'Adjust',             sign:0 }
+    },
+
+    /** Stock is held per base-unit GTIN + batch + expiry. */
+    lotKey(gtin, batch, expiryISO) {
+      return `${gtin||''}|${batch||''}|${expiryISO||''}`;
+    },
+
+    /** lot = { productId, gtin, batch, expiryISO }; units in base units; extra.location = where (Locations id). Throws on an unknown type or a zero quantity. */
+    movement(type, lot, units, extra={}) {
+      const t = this.TYPES[type];
+      if (!t) throw new Error(`Unknown movement "${type}"`);
+      units = t.sign ? t.sign * Math.abs(+units) : +units;
+      if (!Number.isFinite(units) || !units) throw new Error('Quantity must be a number other than 0');
+      return { ts:Date.now(), type, productId:lot.productId||'', gtin:lot.gtin||'', batch:lot.batch||'', expiryISO:lot.expiryISO||'',
+               lot:this.lotKey(lot.gtin, lot.batch, lot.expiryISO), units, location:'', note:'', ...extra };
+    },
+
+    /** Stock moving between two locations: a transfer out of one and a transfer in at the other, sharing a ref. */
+    transfer(lot, units, from, to, extra={}) {
+      const ref = extra.ref || `TR-${Date.now().toString(36)}`;
+      return [this.movement('transfer', lot, units, { ...extra, ref, location:from||'', to:to||'' }),
+              this.movement('transferIn', lot, units, { ...extra, ref, location:to||'', from:from||'' })];
+    },
+
+    /** The receive movement a scanned unit row stands for (cases counted in base units). */
+    receiptOf(u) {
+      return this.movement('receive', { productId:u.productId, gtin:u.unitGtin||u.gtin, batch:u.batch, expiryISO:u.expiryISO },
+        Schema.unitCount(u), { ts:u.ts||Date.now(), unitId:u.id, perPack:u.perPack||1, location:u.location||'' });
+    },
+
+    /**
+     * A scanned unit's receipt brought in line with an edit of the unit (count, location, batch / expiry).
+     * lotMoves: the movements of the lot the receipt is on now. A receipt moved to another lot or location
+     * would leave what was already drawn there (dispenses, returns, transfers) overdrawn, so that much goes
+     * along as an adjust pair: back in where the receipt was, out where it is now.
+     * → the movements to put, the receipt first.
+     */
+    rebook(receipt, u, lotMoves=[]) {
+      const fresh = this.receiptOf(u);
+      if (!receipt) return [fresh];
+      const moved = { ...receipt, ...fresh, id:receipt.id, ts:receipt.ts };
+      const at = receipt.location || '';
+      if (receipt.lot === fresh.lot && at === fresh.location) return [moved];
+      const rest = lotMoves.filter(m => m.id !== receipt.id && (m.location||'') === at).reduce((n, m) => n + m.units, 0);
+      const drawn = Math.min(receipt.units, -rest);
+      if (drawn <= 0) return [moved];
+      const note = 'Scan corrected';
+      return [moved, this.movement('adjust', receipt, drawn, { unitId:u.id, location:at, note }),
+                     this.movement('adjust', fresh, -drawn, { unitId:u.id, location:fresh.location, note })];
+    },
+
+    /**
+     * Movements → one balance per lot: { lot, productId, gtin, batch, expiryISO, onHand, at, perPack, last, byType }.
+     * at: on-hand per location id ('' = no location recorded).
+     */
+    balances(movements) {
+      const out = new Map();
+      for (const m of [...movements].sort((a,b) => a.ts - b.ts)) {
+        const b = out.get(m.lot) || out.set(m.lot, { lot:m.lot, productId:m.productId, gtin:m.gtin, batch:m.batch, expiryISO:m.expiryISO,
+                                                      onHand:0, at:{}, perPack:1, last:null, byType:{} }).get(m.lot);
+        b.onHand += m.units;
+        b.at[m.location||''] = (b.at[m.location||''] || 0) + m.units;
+        b.byType[m.type] = (b.byType[m.type]||0) + m.units;
+        if (m.type === 'receive' && m.perPack) b.perPack = Math.max(b.perPack, m.perPack);
+        b.last = m;
+      }
+      return [...out.values()];
+    },
+
+    /** Balances narrowed to a set of locations (Locations.subtree()); null keeps them whole. */
+    atLocations(lots, ids) {
+      if (!ids) return lots;
+      return lots.map(b => { const at = Object.fromEntries(Object.entries(b.at||{}).filter(([l]) => ids.has(l)));
+        return { ...b, at, onHand:Object.values(at).reduce((n, u) => n + u, 0) }; });
+    },
+
+    /**
+     * Where units taken from a lot come from: `first` location, then the fullest others.
+     * → [{ location, units }]; more than is on hand is booked against `first`.
+     */
+    draw(b, units, first='') {
+      const at = b.at || {}, out = [];
+      let left = units;
+      for (const l of [first, ...Object.keys(at).filter(l => l !== first).sort((x, y) => at[y] - at[x])]) {
+        const take = Math.min(left, Math.max(0, at[l] || 0));
+        if (take > 0) { out.push({ location:l, units:take }); left -= take; }
+      }
+      if (left > 0) { const f = out.find(d => d.location === first); f ? f.units += left : out.push({ location:first, units:left }); }
+      return out;
+    },
+
+    /** Whole packs on hand, an opened pack counting as one (what is "at risk" on a shelf). */
+    packsOf(b) {
+      return b.onHand <= 0 ? 0 : b.perPack > 1 ? Math.ceil(b.onHand / b.perPack) : b.onHand;
+    },
+
+    /** Unit status once a lot's balance is known: in stock, or what emptied it. */
+    statusOf(onHand, lastType) {
+      return onHand > 0 ? 'IN_STOCK' : (this.TYPES[lastType] || {}).status || 'OUT_OF_STOCK';
+    },
+
+    /**
+     * First-expired-first-out check for a pack about to be dispensed.
+     * lots: balances of the scanned product; scanned: { gtin, batch, expiryISO, category?, supplier? }; courseEndISO: last day of the patient's course.
+     * Returns { lot, order (on hand, soonest expiry first), first (the lot to pick), warnings:[{ code, level, message, lot? }] }.
+     */
+    fefo(lots, scanned, courseEndISO='') {
+      const lot = this.lotKey(scanned.gtin, scanned.batch, scanned.expiryISO);
+      const exp = scanned.expiryISO || '';
+      // Expired and quarantined stock never leaves the shelf for a patient
+      const blocked = b => ['expired','quarantine'].includes(Policy.evaluate(b).state);
+      const usable  = b => !blocked(b);
+      // Undated lots go last: nobody can say they expire first
+      const order = lots.filter(b => b.onHand > 0).sort((a,b) => (a.expiryISO||'9999').localeCompare(b.expiryISO||'9999'));
+      const first = order.find(usable) || null;
+      const warnings = [];
+      const state = Policy.evaluate(scanned).state;
+      if (state === 'expired')    warnings.push({ code:'EXPIRED', level:'error', message:`This pack expired on ${exp} — do not dispense` });
+      if (state === 'quarantine') warnings.push({ code:'QUARANTINE', level:'error', message:`This pack is in quarantine (expires ${exp}) — do not dispense` });
+      const older = exp && order.find(b => b.lot !== lot && usable(b) && b.expiryISO && b.expiryISO < exp);
+      if (older) warnings.push({ code:'OLDER_IN_STOCK', level:'error', lot:older,
+        message:`Batch ${older.batch||'—'} expires ${older.expiryISO}, before this one, and ${older.onHand} unit${older.onHand===1?' is':'s are'} still on hand — dispense it first` });
+      if (exp && courseEndISO && exp < courseEndISO) warnings.push({ code:'EXPIRES_IN_COURSE', level:'error', message:`Expires ${exp}, before the course ends on ${courseEndISO}` });
+      if (!order.some(b => b.lot === lot)) warnings.push({ code:'NOT_IN_STOCK', level:'warn', message:'This batch is not on hand in the stock ledger' });
+      return { lot, order, first, warnings };
+    }
+  };
+
+  // ════════════════════════════════════════
+  // LOCATIONS  (branch › area › shelf / bin; scans and movements carry a location id, '' = none recorded)
+  // ════════════════════════════════════════
+  const Locations = {
+    KINDS: { branch:'Branch', area:'Area (dispensary, front shop, store room, fridge…)', bin:'Shelf / bin' },
+
+    create(name, parentId='', kind='') {
+      name = String(name||'').trim();
+      if (!name) throw new Error('Location name missing');
+      return { id:'LOC_' + Date.now().toString(36) + Math.random().toString(36).slice(2,6), name, parentId:parentId||'', kind:kind || (parentId ? 'area' : 'branch') };
+    },
+
+    /** "Main St › Fridge › Bin 2" */
+    path(locs, id) {
+      if (!id) return 'No location';
+      const byId = new Map(locs.map(l => [l.id, l])), names = [];
+      for (let l = byId.get(id); l && names.length < 20; l = byId.get(l.parentId)) names.unshift(l.name);
+      return names.length ? names.join(' › ') : '(removed location)';
+    },
+
+    /** Depth-first, siblings by name: [{ ...location, depth }] — the order selects and the editor list them in. */
+    tree(locs) {
+      const ids = new Set(locs.map(l => l.id)), out = [];
+      // A location whose parent is gone sits at the top
+      const walk = (parentId, depth) => locs.filter(l => (ids.has(l.parentId) ? l.parentId : '') === parentId)
+        .sort((a,b) => a.name.localeCompare(b.name)).forEach(l => { out.push({ ...l, depth }); if (depth < 20) walk(l.id, depth + 1); });
+      walk('', 0);
+      return out;
+    },
+
+    /** The location and everything under it, as a Set of ids; no id → null (everywhere). */
+    subtree(locs, id) {
+      if (!id) return null;
+      const ids = new Set([id]);
+      for (let grew = true; grew; ) { grew = false; for (const l of locs) if (ids.has(l.parentId) && !ids.has(l.id)) { ids.add(l.id); grew = true; } }
+      return ids;
+    },
+
+    /** The location moved under parentId ('' = top level) with everything in it. Throws when that would put it inside itself. */
+    move(locs, id, parentId='') {
+      const l = locs.find(x => x.id === id);
+      if (!l) throw new Error('Location not found');
+      if (parentId && this.subtree(locs, id).has(parentId)) throw new Error('A location cannot move inside itself');
+      return { ...l, parentId:parentId||'' };
+    },
+
+    /** Top of the location's tree — the branch whose stock a dispensary scan can draw on. */
+    branchOf(locs, id) {
+      const byId = new Map(locs.map(l => [l.id, l]));
+      let l = byId.get(id);
+      for (let n = 0; l && byId.has(l.parentId) && n < 20; n++) l = byId.get(l.parentId);
+      return l ? l.id : '';
+    }
+  };
+
+  // ════════════════════════════════════════
+  // STOCK-TAKE  (a location counted scan by scan, then compared with the ledger)
+  // ════════════════════════════════════════
+  const StockTake = {
+    // Report order: what needs looking at first
+    KINDS: { MISSING:'Missing', UNEXPECTED:'Unexpected', SHORT:'Short', OVER:'Over', OK:'Matches' },
+    COLUMNS: [['kind','Result'],['rms','RMS'],['gtin','GTIN'],['name','Product'],['batch','Batch'],['expiryISO','Expiry'],['expected','Expected'],['counted','Counted'],['diff','Difference']],
+
+    start(location='', locationName='', ts=Date.now()) {
+      return { id:`ST-${new Date(ts).toISOString().slice(0,10).replace(/-/g,'')}-${String(ts).slice(-4)}`, location, locationName, started:ts, scans:0, last:'', lines:{} };
+    },
+
+    /**
+     * One scan: { productId, gtin (base unit), name, rms, batch, expiryISO, serial, units, perPack } added to its lot's line.
+     * → { line, repeat } — a serial already counted in this session is not counted twice.
+     */
+    add(session, scan) {
+      const lot = Ledger.lotKey(scan.gtin, scan.batch, scan.expiryISO);
+      const line = session.lines[lot] || (session.lines[lot] = { lot, productId:scan.productId||'', gtin:scan.gtin||'', name:scan.name||'', rms:scan.rms||'',
+                                                                batch:scan.batch||'', expiryISO:scan.expiryISO||'', perPack:1, counted:0, serials:[] });
+      if (scan.serial && line.serials.includes(scan.serial)) return { line, repeat:true };
+      if (scan.serial) line.serials.push(scan.serial);
+      line.counted += scan.units;
+      line.perPack = Math.max(line.perPack, scan.perPack||1);
+      session.scans++;
+      session.last = lot;
+      return { line, repeat:false };
+    },
+
+    /** Correct a line by hand; 0 drops it. */
+    set(session, lot, units) {
+      if (!session.lines[lot]) return;
+      if (units > 0) session.lines[lot].counted = units;
+      else delete session.lines[lot];
+    },
+
+    /**
+     * Counted lines against the lots expected at the session's location (balances narrowed with
+     * Ledger.atLocations) → { id, location, locationName, started, closed, rows:[{ ...lot, expected, at, counted, diff, kind }], totals }.
+     * at: where the expected stock sits — the counted location or any location under it.
+     */
+    variance(session, lots, closed=Date.now()) {
+      const rows = new Map();
+      const row = (l, expected) => ({ lot:l.lot, productId:l.productId||'', gtin:l.gtin||'', name:l.name||'', rms:l.rms||'', batch:l.batch||'',
+                                      expiryISO:l.expiryISO||'', perPack:l.perPack||1, expected, at:{ ...l.at }, counted:0 });
+      for (const b of lots) if (b.onHand) rows.set(b.lot, row(b, b.onHand));
+      for (const l of Object.values(session.lines)) {
+        const r = rows.get(l.lot) || rows.set(l.lot, row(l, 0)).get(l.lot);
+        r.counted = l.counted;
+        if (!r.productId) r.productId = l.productId;
+      }
+      const kinds = Object.keys(this.KINDS), totals = Object.fromEntries(kinds.map(k => [k, 0]));
+      const out = [...rows.values()].map(r => { const diff = r.counted - r.expected;
+        const kind = !r.counted ? 'MISSING' : r.expected <= 0 ? 'UNEXPECTED' : diff < 0 ? 'SHORT' : diff > 0 ? 'OVER' : 'OK';
+        totals[kind]++;
+        return { ...r, diff, kind }; })
+        .sort((a,b) => kinds.indexOf(a.kind) - kinds.indexOf(b.kind) || a.name.localeCompare(b.name) || a.lot.localeCompare(b.lot));
+      return { id:session.id, location:session.location, locationName:session.locationName, started:session.started, closed, scans:session.scans, rows:out, totals };
+    },
+
+    toCSV(report) {
+      const cell = v => `"${String(v ?? '').replace(/"/g,'""')}"`;
+      return [['STOCK_TAKE','LOCATION',...this.COLUMNS.map(([,h]) => h.toUpperCase())].join(','),
+        ...report.rows.map(r => [report.id, report.locationName, ...this.COLUMNS.map(([k]) => k === 'kind' ? this.KINDS[r.kind] : r[k])].map(cell).join(','))].join('\n') + '\n';
+    },
+
+    /**
+     * Adjust movements that bring the ledger in line with the count. A shortfall comes off the locations
+     * the stock was expected at (Ledger.draw, the counted location first), so counting an area also
+     * clears its bins; stock found over is booked at the counted location.
+     */
+    adjustments(report) {
+      const extra = r => ({ perPack:r.perPack, note:`Stock-take ${report.id}` });
+      return report.rows.filter(r => r.diff).flatMap(r => r.diff > 0
+        ? [Ledger.movement('adjust', r, r.diff, { ...extra(r), location:report.location })]
+        : Ledger.draw(r, -r.diff, report.location).map(d => Ledger.movement('adjust', r, -d.units, { ...extra(r), location:d.location })));
+    }
+  };
+
+  // ════════════════════════════════════════
+  // SUPPLIER RETURNS  (lots inside a return window → return note as CSV / PDF)
+  // ════════════════════════════════════════
+  const Returns = {
+    COLUMNS: [['rms','RMS'],['gtin','GTIN'],['name','Product'],['batch','Batch'],['expiryISO','Expiry'],['units','Qty (units)'],['packs','Packs']],
+
+    /** "no" / "n" / "false" / "0" on a unit's returnable field keeps its lot off the worklist. */
+    returnable(v) {
+      return !/^(no|n|false|0)$/i.test(String(v||'').trim());
+    },
+
+    /**
+     * Lot balances on hand that have entered their return window (Policy "return" days, per supplier /
+     * category / product rules) → [{ supplier, lots:[{ ...balance, policy }] }], soonest expiry first.
+     */
+    worklist(lots, today=new Date()) {
+      const groups = new Map();
+      for (const b of lots) {
+        if (b.onHand <= 0 || !this.returnable(b.returnable) || !b.expiryISO) continue;
+        const win = Policy.windows(b).return, policy = Policy.evaluate(b, today);
+        if (win == null || policy.daysLeft > win) continue;
+        const k = String(b.supplier||'').trim().toLowerCase();
+        (groups.get(k) || groups.set(k, { supplier:String(b.supplier||'').trim(), lots:[] }).get(k)).lots.push({ ...b, policy });
+      }
+      for (const g of groups.values()) g.lots.sort((a,b) => a.expiryISO.localeCompare(b.expiryISO));
+      return [...groups.values()].sort((a,b) => a.supplier.localeCompare(b.supplier));
+    },
+
+    /** lines: [{ lot balance, units }] → { supplier, ref, date, lines:[{ rms, gtin, name, batch, expiryISO, units, packs }], units } */
+    note(supplier, lines, { ref='', date=new Date() }={}) {
+      const out = lines.filter(l => l.units > 0).map(({ rms, gtin, name, batch, expiryISO, perPack, units }) =>
+        ({ rms:rms||'', gtin:gtin||'', name:name||'', batch:batch||'', expiryISO:expiryISO||'', units, packs:perPack > 1 ? Math.ceil(units / perPack) : units }));
+      return { supplier:supplier||'', ref, date:date.toISOString().slice(0,10), lines:out, units:out.reduce((n, l) => n + l.units, 0) };
+    },
+
+    toCSV(note) {
+      const cell = v => `"${String(v ?? '').replace(/"/g,'""')}"`;
+      return [['SUPPLIER','RETURN_NOTE','DATE',...this.COLUMNS.map(([,h]) => h.toUpperCase().replace(/\W+/g,'_').replace(/_$/,''))].join(','),
+        ...note.lines.map(l => [note.supplier, note.ref, note.date, ...this.COLUMNS.map(([k]) => l[k])].map(cell).join(','))].join('\n') + '\n';
+    },
+
+    /** A4 text-only PDF (Helvetica, WinAnsi), one table row per line — no library needed for a printable note. */
+    toPDF(note) {
+      const W = [70, 90, 185, 70, 60, 50, 40], ROWS = 52;
+      const txt = s => String(s ?? '').replace(/[^\x20-\x7e\xa0-\xff]/g,'?').replace(/[\\()]/g,'\\$&');
+      const fit = (s, w) => { s = String(s ?? ''); const max = Math.floor(w / 4.6); return s.length > max ? s.slice(0, max-1) + '.' : s; };
+      const row = (cells, y, font='F1') => { let x = 40;
+        return cells.map((c, i) => { const t = `BT /${font} 8 Tf ${x} ${y} Td (${txt(fit(c, W[i]))}) Tj ET`; x += W[i]; return t; }).join('\n'); };
+      const pages = [];
+      for (let i = 0; i < Math.max(1, note.lines.length); i += ROWS) pages.push(note.lines.slice(i, i + ROWS));
+      const streams = pages.map((lines, p) => [
+        `BT /F2 14 Tf 40 800 Td (${txt(`Return note ${note.ref}`)}) Tj ET`,
+        `BT /F1 10 Tf 40 782 Td (${txt(`Supplier: ${note.supplier || '-'}    Date: ${note.date}    Page ${p+1} of ${pages.length}`)}) Tj ET`,
+        row(this.COLUMNS.map(([,h]) => h), 756, 'F2'),
+        '40 752 m 555 752 l S',
+        ...lines.map((l, j) => row(this.COLUMNS.map(([k]) => l[k]), 740 - j*13)),
+        p === pages.length - 1 ? `BT /F2 10 Tf 40 ${Math.max(60, 728 - lines.length*13)} Td (${txt(`Total: ${note.units} units in ${note.lines.length} lines`)}) Tj ET` : ''
+      ].join('\n'));
+      // 1 catalog, 2 pages, 3-4 fonts, then page + content per page
+      const objs = ['<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${5+i*2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'];
+      streams.forEach((st, i) => objs.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6+i*2} 0 R >>`,
+        `<< /Length ${st.length} >>\nstream\n${st}\nendstream`));
+      let pdf = '%PDF-1.4\n';
+      const offsets = objs.map((o, i) => { const at = pdf.length; pdf += `${i+1} 0 obj\n${o}\nendobj\n`; return at; });
+      const xref = pdf.length;
+      pdf += `xref\n0 ${objs.length+1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10,'0')} 00000 n \n`).join('')}`;
+      pdf += `trailer\n<< /Size ${objs.length+1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Uint8Array.from(pdf, c => c.charCodeAt(0));
+    }
+  };
+
+  // ════════════════════════════════════════
+  // RECALLS  (GTIN + batch and / or serial range, matched against stock and every scan)
+  // ════════════════════════════════════════
+  const Recalls = {
+    // Accepted column / key names, compared lower-case with only letters and digits
+    FIELDS: {
+      gtin:       ['gtin','gtin14','barcode','ean','ean13','productcode','code'],
+      batch:      ['batch','lot','batchno','lotno','batchnumber','lotnumber','batchlot'],
+      serialFrom: ['serialfrom','serialstart','fromserial','firstserial'],
+      serialTo:   ['serialto','serialend','toserial','lastserial'],
+      serial:     ['serial','serialno','serialnumber','sn'],
+      reason:     ['reason','description','details','problem','hazard'],
+      ref:        ['ref','reference','recallref','recallno','recallnumber','notice','alert'],
+      issuer:     ['issuer','issuedby','authority','regulator','supplier','manufacturer'],
+      date:       ['date','issued','recalldate','issuedate']
+    },
+
+    /** One recall from anything recall-shaped, or an issue string. A lone serial is a range of one. */
+    normalise(r) {
+      const gtin = String(r.gtin||'').replace(/\D/g,'');
+      if (!/^\d{8,14}$/.test(gtin)) return `GTIN "${r.gtin||''}" is not 8–14 digits`;
+      const from = String(r.serialFrom || r.serial || '').trim(), to = String(r.serialTo || r.serial || '').trim();
+      return { gtin:gtin.padStart(14,'0'), batch:String(r.batch||'').trim(), serialFrom:from || to, serialTo:to || from,
+               reason:String(r.reason||'').trim(), ref:String(r.ref||'').trim(), issuer:String(r.issuer||'').trim(),
+               date:String(r.date||'').trim(), created:r.created || Date.now() };
+    },
+
+    /** Objects with any of the FIELDS names as keys → { recalls, issues:[{ row, issue }] }; rowOf(i) numbers the issues. */
+    fromRecords(records, rowOf = i => i + 1) {
+      const key = k => String(k).toLowerCase().replace(/[^a-z0-9]/g,'');
+      const field = Object.fromEntries(Object.entries(this.FIELDS).flatMap(([f, names]) => names.map(n => [n, f])));
+      const recalls = [], issues = [];
+      records.forEach((rec, i) => {
+        const r = {};
+        for (const [k, v] of Object.entries(rec||{})) if (field[key(k)] && !r[field[key(k)]]) r[field[key(k)]] = v;
+        const out = this.normalise(r);
+        if (typeof out === 'string') issues.push({ row:rowOf(i), issue:out });
+        else recalls.push(out);
+      });
+      return { recalls, issues };
+    },
+
+    /** Sheet rows (first row = header) from MasterImport.read() → fromRecords(); row numbers are the sheet's. */
+    fromRows(rows) {
+      const [head=[], ...body] = rows;
+      const kept = body.map((r, i) => [r, i + 2]).filter(([r]) => r.some(c => String(c).trim()));
+      return this.fromRecords(kept.map(([r]) => Object.fromEntries(head.map((h, c) => [h, r[c]]))), i => kept[i][1]);
+    },
+
+    /** A JSON array of recalls, or { recalls:[…] }. */
+    fromJSON(data) {
+      const list = Array.isArray(data) ? data : data && Array.isArray(data.recalls) ? data.recalls : null;
+      if (!list) throw new Error('Expected a list of recalls');
+      return this.fromRecords(list);
+    },
+
+    /** Numeric serials compare as numbers, same-length ones as text; anything else only matches the range ends. */
+    inRange(serial, from, to) {
+      if (/^\d+$/.test(serial + from + to)) { const n = BigInt(serial); return BigInt(from) <= n && n <= BigInt(to); }
+      if (serial.length === from.length && from.length === to.length) return from <= serial && serial <= to;
+      return serial === from || serial === to;
+    },
+
+    /**
+     * Does a recall cover this item ({ gtin, unitGtin, batch, serial })? null, or { recall, certain } —
+     * certain is false when the item lacks the batch / serial the recall names, so it cannot be ruled out.
+     */
+    match(recall, item) {
+      const codes = [item.gtin, item.unitGtin].filter(Boolean).map(c => String(c).padStart(14,'0'));
+      if (!codes.includes(recall.gtin)) return null;
+      let certain = true;
+      const batch = String(item.batch||'').trim().toUpperCase(), serial = String(item.serial||'').trim();
+      if (recall.batch) {
+        if (!batch) certain = false;
+        else if (batch !== recall.batch.toUpperCase()) return null;
+      }
+      if (recall.serialFrom) {
+        if (!serial) certain = false;
+        else if (!this.inRange(serial, recall.serialFrom, recall.serialTo)) return null;
+      }
+      return { recall, certain };
+    },
+
+    check(recalls, item) {
+      return recalls.map(r => this.match(r, item)).filter(Boolean);
+    },
+
+    /** Recall-response report: one row per scanned unit a recall covers, with what is still on hand of its lot. */
+    report(recalls, entries, lots=[]) {
+      const onHand = new Map(lots.map(b => [b.lot, b.onHand]));
+      const rows = [];
+      for (const e of entries) for (const { recall, certain } of this.check(recalls, e)) {
+        rows.push({ recallId:recall.id, ref:recall.ref, issuer:recall.issuer, reason:recall.reason, match:certain ? 'CONFIRMED' : 'POSSIBLE',
+                    gtin:e.gtin, batch:e.batch||'', serial:e.serial||'', expiryISO:e.expiryISO||'', name:e.name||'', rms:e.rms||'',
+                    units:Schema.unitCount(e), onHand:onHand.get(Ledger.lotKey(e.unitGtin||e.gtin, e.batch, e.expiryISO)) ?? '',
+                    status:e.status||'', supplier:e.supplier||'', scanned:e.ts ? new Date(e.ts).toISOString().slice(0,10) : '' });
+      }
+      return rows;
+    },
+
+    toCSV(rows) {
+      const cols = ['ref','issuer','reason','match','gtin','batch','serial','expiryISO','name','rms','units','onHand','status','supplier','scanned'];
+      const cell = v => `"${String(v ?? '').replace(/"/g,'""')}"`;
+      return [cols.map(c => c === 'expiryISO' ? 'EXPIRY' : c === 'onHand' ? 'ON_HAND_IN_LOT' : c.toUpperCase()).join(','),
+              ...rows.map(r => cols.map(c => cell(r[c])).join(','))].join('\n') + '\n';
+    }
+  };
+
+  // ════════════════════════════════════════
+  // SERIALISED PACKS  (GTIN + AI 21 serial tracked pack by pack, falsified-medicines checks)
+  // ════════════════════════════════════════
+  const Serials = {
+    // RECEIVED: scanned at goods-in; IN_STOCK: saved as stock; DISPENSED / DECOMMISSIONED: gone for good
+    STATES: { RECEIVED:'Received', IN_STOCK:'In stock', DISPENSED:'Dispensed', DECOMMISSIONED:'Decommissioned' },
+    // event → the state it leaves the pack in (flagged: a suspicious sighting, state unchanged)
+    EVENTS: { scanned:'RECEIVED', received:'IN_STOCK', removed:'RECEIVED', dispensed:'DISPENSED', decommissioned:'DECOMMISSIONED', flagged:null },
+    GONE: ['DISPENSED','DECOMMISSIONED'],
+
+    key(gtin, serial) {
+      return `${gtin||''}|${serial||''}`;
+    },
+
+    /**
+     * What a new sighting ({ gtin, serial, batch, expiryISO }) of a known pack says: [{ code, level, message }].
+     * mode 'receive' | 'dispense'. Errors are suspected counterfeits; a warning is a likely double scan.
+     */
+    check(rec, seen, mode='receive') {
+      if (!rec) return [];
+      const out = [], when = ts => new Date(ts).toISOString().slice(0,10);
+      const last = rec.history[rec.history.length-1] || { ts:rec.ts };
+      const b1 = String(rec.batch||'').trim().toUpperCase(), b2 = String(seen.batch||'').trim().toUpperCase();
+      if (b1 && b2 && b1 !== b2) out.push({ code:'OTHER_BATCH', level:'error',
+        message:`Serial ${rec.serial} was recorded under batch ${rec.batch} — the same serial on batch ${seen.batch} suggests a falsified pack` });
+      if (rec.expiryISO && seen.expiryISO && rec.expiryISO !== seen.expiryISO) out.push({ code:'OTHER_EXPIRY', level:'error',
+        message:`Serial ${rec.serial} was recorded with expiry ${rec.expiryISO}, not ${seen.expiryISO}` });
+      if (this.GONE.includes(rec.state)) out.push({ code:rec.state, level:'error',
+        message:`Serial ${rec.serial} was already ${this.STATES[rec.state].toLowerCase()} on ${when(last.ts)} — a pack cannot come back: suspected counterfeit` });
+      else if (mode === 'receive' && rec.state === 'IN_STOCK') out.push({ code:'IN_STOCK', level:'warn',
+        message:`Serial ${rec.serial} has been in stock since ${when(last.ts)} — a double scan, or a cloned pack` });
+      return out;
+    },
+
+    /**
+     * Stored record + event → the updated record ({ key, gtin, serial, batch, expiryISO, state, ts, history }).
+     * Dispensed and decommissioned are final: later events only add to the history, so the evidence stays.
+     */
+    apply(rec, seen, event, extra={}) {
+      if (!(event in this.EVENTS)) throw new Error(`Unknown serial event "${event}"`);
+      const base = rec || { key:this.key(seen.gtin, seen.serial), gtin:seen.gtin, serial:seen.serial, batch:seen.batch||'', expiryISO:seen.expiryISO||'', state:'', history:[] };
+      const ts = extra.ts || Date.now();
+      return { ...base, batch:base.batch || seen.batch || '', expiryISO:base.expiryISO || seen.expiryISO || '',
+               state:this.GONE.includes(base.state) ? base.state : this.EVENTS[event] || base.state, ts,
+               history:[...base.history, { ts, event, batch:seen.batch||'', expiryISO:seen.expiryISO||'', note:'', ...extra }] };
+    }
+  };
+
+  // ════════════════════════════════════════
+  // OCR DATE EXTRACTION
+  // ════════════════════════════════════════
+  /**
+   * Extract expiry date from OCR text.
+   * Handles: EXP 12/2026 | 12/26 | JUN 2026 | 2026-06-30 | 30.06.26 | BB 06/2026 etc.
+   */
+  function extractDateFromOCR(text) {
+    // Normalise
+    const t = text.toUpperCase().replace(/[|Il]/g, '1').replace(/O/g,'0');
+
+    const MONTHS = { JAN:1,FEB:2,MAR:3,APR:4,MAY:5,JUN:6,JUL:7,AUG:8,SEP:9,OCT:10,NOV:11,DEC:12 };
+
+    const patterns = [
+      // ISO: 2026-06-30
+      { re:/\b(20\d{2})[\/\-\.](0?[1-9]|1[0-2])[\/\-\.](0?[1-9]|[12]\d|3[01])\b/, fn:m=>`${m[1]}-${m[2].padStart(2,'0')}-${m[3].padStart(2,'0')}` },
+      // DD/MM/YYYY or DD-MM-YYYY
+      { re:/\b(0?[1-9]|[12]\d|3[01])[\/\-\.](0?[1-9]|1[0-2])[\/\-\.](20\d{2})\b/, fn:m=>`${m[3]}-${m[2].padStart(2,'0')}-${m[1].padStart(2,'0')}` },
+      // MM/YYYY or MM-YYYY (no day → last day of month)
+      { re:/\b(0?[1-9]|1[0-2])[\/\-](20\d{2})\b/, fn:m=>{ const yr=parseInt(m[2]),mo=parseInt(m[1]); const last=new Date(yr,mo,0).getDate(); return `${yr}-${String(mo).padStart(2,'0')}-${String(last).padStart(2,'0')}`; } },
+      // MM/YY → assume 20YY
+      { re:/\b(0?[1-9]|1[0-2])[\/\-](\d{2})\b/, fn:m=>{ const yr=2000+parseInt(m[2]),mo=parseInt(m[1]); const last=new Date(yr,mo,0).getDate(); return `${yr}-${String(mo).padStart(2,'0')}-${String(last).padStart(2,'0')}`; } },
+      // MON YYYY  e.g. JUN 2026
+      { re:/\b(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)\s*(20\d{2})\b/, fn:m=>{ const mo=MONTHS[m[1]],yr=parseInt(m[2]); const last=new Date(yr,mo,0).getDate(); return `${yr}-${String(mo).padStart(2,'0')}-${String(last).padStart(2,'0')}`; } },
+      // DD MON YYYY e.g. 30 JUN 2026
+      { re:/\b(\d{1,2})\s*(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)\s*(20\d{2})\b/, fn:m=>`${m[3]}-${String(MONTHS[m[2]]).padStart(2,'0')}-${m[1].padStart(2,'0')}` },
+      // GS1 YYMMDD 6 digits (after EXP or BB)
+      { re:/(?:EXP|BB|EXPIRY|BEST\s*BEFORE|USE\s*BY)[:\s]*(\d{6})/, fn:m=>GS1Core.parseDate(m[1]).iso }
+    ];
+
+    for (const { re, fn } of patterns) {
+      const m = t.match(re);
+      if (m) {
+        try {
+          const iso = fn(m);
+          // Sanity check — must be a real future-ish date
+          const d = new Date(iso);
+          if (!isNaN(d) && d.getFullYear() >= 2020 && d.getFullYear() <= 2040) return iso;
+        } catch {}
+      }
+    }
+    return null;
+  }
+
+  // ════════════════════════════════════════
+  // UNIFIED BARCODE PARSER
+  // ════════════════════════════════════════
+  class UnifiedBarcodeParser {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.fnc1] - Character/token the scanner sends in place of GS
+     */
+    constructor(options = {}) {
+      this.ai = GS1Core;
+      this.fnc1 = options.fnc1 || '';
+    }
+
+    /**
+     * Detect barcode format based on structure
+     */
+    detectFormat(barcode, gs1 = null) {
+      const cleaned = barcode.replace(/[^0-9]/g, '');
+
+      // GS1 Digital Link URI (QR codes)
+      if (this.ai.isDigitalLink(barcode)) {
+        return 'GS1_DIGITAL_LINK';
+      }
+
+      // GS1 with parentheses
+      if (/^\(\d{2,4}\)/.test(barcode)) {
+        return 'GS1_PARENTHESIZED';
+      }
+
+      // AIM identifier says GS1 (]C1, ]d2, ]Q3, ]e0) — trust it
+      if (gs1 === true) {
+        return 'GS1_FULL';
+      }
+
+      // GS1 without parentheses: a known AI followed by a well-formed element string
+      if (gs1 !== false && barcode.length > 16 && this.ai.lookup(barcode)) {
+        const { elements } = this.ai.parseElements(barcode);
+        if (elements.length > 1 && !elements.some(e => e.unknown)) {
+          return 'GS1_FULL';
+        }
+      }
+
+      // Standard formats
+      if (cleaned.length === 14) return 'GTIN14';
+      if (cleaned.length === 13) return 'EAN13';
+      if (cleaned.length === 12) return 'LEGACY12';
+      if (cleaned.length === 8) return 'EAN8';
+
+      return 'UNKNOWN';
+    }
+
+    /**
+     * Map a parsed elements[] list onto the flat fields the UI and database use
+     */
+    fromElements(format, raw, { elements, issues, ambiguous = false, alternatives = [] }) {
+      const get = (ai) => this.ai.get(elements, ai);
+      const data = { format, raw, elements, issues, ambiguous, alternatives };
+
+      if (get('01')) {
+        data.gtin = get('01');
+        data.validation = this.ai.validateGTIN(data.gtin);
+      }
+      if (get('10')) data.batch = get('10');
+      if (get('21')) data.serial = get('21');
+
+      // Each date type is kept separately; expiry is whichever limits shelf life
+      data.dates = this.ai.datesOf(elements);
+      const relevant = this.ai.relevantExpiry(data.dates);
+      if (relevant.iso) {
+        data.expiry = relevant.iso;
+        data.expirySource = relevant.field;
+      }
+      if (get('17')) data.expiryRaw = get('17');
+
+      if (data.dates.production) {
+        data.productionDateRaw = get('11');
+        data.productionDate = data.dates.production;
+      }
+
+      return data;
+    }
+
+    /**
+     * Parse GS1 barcode with parentheses: (01)GTIN(17)EXPIRY(10)BATCH(21)SERIAL
+     */
+    parseParenthesized(barcode, raw = barcode) {
+      return this.fromElements('GS1_PARENTHESIZED', raw, this.ai.parseBracketed(barcode));
+    }
+
+    /**
+     * Parse GS1 barcode without parentheses: 01GTIN17EXPIRY10BATCH<GS>21SERIAL
+     * Separators must already be normalised to GS; when they were lost the result
+     * is flagged `ambiguous` with the other possible readings in `alternatives`.
+     */
+    parseNonParenthesized(barcode, raw = barcode) {
+      return this.fromElements('GS1_FULL', raw, this.ai.parseElements(barcode));
+    }
+
+    /**
+     * Parse simple barcode formats (GTIN14, EAN13, Legacy12)
+     */
+    parseSimple(barcode, format) {
+      const cleaned = barcode.replace(/[^0-9]/g, '');
+      const validation = this.ai.validateGTIN(cleaned);
+
+      return {
+        format: format,
+        raw: barcode,
+        code: cleaned,
+        gtin: format === 'GTIN14' ? cleaned : null,
+        gtin14: validation.normalized || null,
+        ean13: format === 'EAN13' ? cleaned : null,
+        legacy: format === 'LEGACY12' ? cleaned : null,
+        validation
+      };
+    }
+
+    /**
+     * Main parse function - handles all formats
+     */
+    parse(barcode) {
+      if (!barcode || barcode.trim().length === 0) {
+        return { error: 'Empty barcode' };
+      }
+
+      // Strip AIM symbology identifier, map FNC1 substitutes to GS
+      const input = this.ai.normalise(barcode, { fnc1: this.fnc1 });
+      const code = input.code;
+      const format = this.detectFormat(code, input.gs1);
+
+      try {
+        let data;
+        switch (format) {
+          case 'GS1_PARENTHESIZED':
+            data = this.parseParenthesized(code, barcode);
+            break;
+
+          case 'GS1_FULL':
+            data = this.parseNonParenthesized(code, barcode);
+            break;
+
+          case 'GS1_DIGITAL_LINK':
+            data = this.fromElements(format, barcode, this.ai.parseDigitalLink(code));
+            break;
+
+          case 'GTIN14':
+          case 'EAN13':
+          case 'LEGACY12':
+          case 'EAN8':
+            data = this.parseSimple(code, format);
+            data.raw = barcode;
+            break;
+
+          default:
+            return {
+              format: 'UNKNOWN',
+              raw: barcode,
+              error: 'Unrecognized barcode format'
+            };
+        }
+        if (input.symbology) data.symbology = input.symbology;
+        return data;
+      } catch (error) {
+        return {
+          format: 'ERROR',
+          raw: barcode,
+          error: error.message
+        };
+      }
+    }
+
+    /**
+     * Format expiry date from YYMMDD to YYYY-MM-DD
+     * Uses the GS1 sliding century; DD=00 becomes the last day of the month.
+     * Returns null for dates that cannot exist (month 13, 30 February …).
+     */
+    formatExpiry(yymmdd) {
+      const date = this.ai.parseDate(yymmdd);
+      return date.valid ? date.iso : null;
+    }
+
+    /**
+     * Encode parsed data back to GS1: { hri, raw, link }.
+     * Scanned elements are reused as-is so encode(parse(x)) gives x back;
+     * simple codes are built from gtin / expiry / batch / serial.
+     */
+    encode(parsedData, domain) {
+      const elements = parsedData.elements && parsedData.elements.length
+        ? parsedData.elements.filter(e => e.ai)
+        : [
+            { ai: '01', raw: parsedData.gtin14 || parsedData.gtin },
+            { ai: '17', raw: this.ai.toYYMMDD(parsedData.expiry) },
+            { ai: '10', raw: parsedData.batch },
+            { ai: '21', raw: parsedData.serial }
+          ];
+
+      return {
+        hri: this.ai.toHRI(elements),
+        raw: this.ai.toElementString(elements),
+        link: this.ai.toDigitalLink(elements, domain)
+      };
+    }
+
+    /**
+     * Get product identifier from parsed data
+     */
+    getProductId(parsedData) {
+      if (parsedData.gtin) return parsedData.gtin;
+      if (parsedData.code) return parsedData.code;
+      if (parsedData.ean13) return parsedData.ean13;
+      if (parsedData.legacy) return parsedData.legacy;
+      return null;
+    }
+  }
+
+  return { CFG, GS1, Policy, Master, Schema, Ledger, Locations, StockTake, Returns, Recalls, Serials, extractDateFromOCR, UnifiedBarcodeParser };
+})(typeof GS1Core !== 'undefined' ? GS1Core : require('./gs1-core.js'));
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PharmaCore;
+}
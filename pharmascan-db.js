@@ -0,0 +1,261 @@
+/**
+ * PHARMASCAN DB
+ * The one IndexedDB database both apps use (schema: Schema in pharmascan-core.js).
+ * Opening it upgrades v1 `history` rows into products / units / aliases, seeds the
+ * stock ledger (v3) with a receipt per scanned unit, and importLegacy() copies the
+ * old enhanced-app "PharmacyDB" in once.
+ */
+
+const PharmaDB = (() => {
+
+  const { Schema, Ledger, Serials } = typeof PharmaCore !== 'undefined' ? PharmaCore : require('./pharmascan-core.js');
+  const LEGACY_DB  = 'PharmacyDB';
+  const LEGACY_KEY = 'import.PharmacyDB';
+
+  const req  = r  => new Promise((res, rej) => { r.onsuccess = () => res(r.result); r.onerror = () => rej(r.error); });
+  const done = tx => new Promise((res, rej) => { tx.oncomplete = () => res(); tx.onerror = tx.onabort = () => rej(tx.error); });
+  const store = (db, name, mode='readonly') => db.transaction(name, mode).objectStore(name);
+
+  // ════════════════════════════════════════
+  // OPEN / UPGRADE
+  // ════════════════════════════════════════
+  function open(idb = globalThis.indexedDB) {
+    return new Promise((res, rej) => {
+      const r = idb.open(Schema.DB, Schema.VERSION);
+      r.onerror = () => rej(r.error);
+      r.onsuccess = () => res(r.result);
+      r.onupgradeneeded = () => upgrade(r.result, r.transaction);
+    });
+  }
+
+  function upgrade(db, tx) {
+    const created = new Set();
+    for (const [name, def] of Object.entries(Schema.STORES)) {
+      if (db.objectStoreNames.contains(name)) continue;
+      const st = db.createObjectStore(name, { keyPath:def.keyPath, autoIncrement:!!def.autoIncrement });
+      (def.indexes||[]).forEach(ix => st.createIndex(ix, ix, { unique:false }));
+      created.add(name);
+    }
+    // v1 → v2: history rows become units of relational products. Same versionchange
+    // transaction, so either everything is copied and `history` dropped, or nothing changes.
+    if (db.objectStoreNames.contains('history')) {
+      const hist = tx.objectStore('history').getAll();
+      hist.onsuccess = () => {
+        const { products, units, aliases } = Schema.fromHistory(hist.result);
+        products.forEach(p => tx.objectStore('products').put(p));
+        units.forEach(u => addWithReceipt(tx, 'put', u));
+        aliases.forEach(a => tx.objectStore('aliases').put(a));
+        db.deleteObjectStore('history');
+      };
+    }
+    // v2 → v3: every scan so far was a receipt
+    else if (created.has('movements') && !created.has('units')) {
+      const all = tx.objectStore('units').getAll();
+      all.onsuccess = () => all.result.forEach(u => tx.objectStore('movements').add(Ledger.receiptOf(u)));
+    }
+  }
+
+  /** Write a unit row and its receive movement (the unit's id is only known once written). */
+  function addWithReceipt(tx, how, u) {
+    const r = tx.objectStore('units')[how](u);
+    r.onsuccess = () => tx.objectStore('movements').add(Ledger.receiptOf({ ...u, id:r.result }));
+  }
+
+  /**
+   * Copy the enhanced app's PharmacyDB in, once. The old database is left in place.
+   * Resolves to { at, products, units, aliases } when something was imported, else null.
+   */
+  async function importLegacy(db, idb = globalThis.indexedDB) {
+    if (await req(store(db,'settings').get(LEGACY_KEY))) return null;
+    if (idb.databases && !(await idb.databases()).some(d => d.name === LEGACY_DB)) return null;
+
+    const old = await new Promise((res, rej) => {
+      let created = false;
+      const r = idb.open(LEGACY_DB);
+      // Opening a missing database creates it — abort instead
+      r.onupgradeneeded = e => { if (e.oldVersion === 0) { created = true; r.transaction.abort(); } };
+      r.onsuccess = () => res(r.result);
+      r.onerror   = e => { if (created) { e.preventDefault(); res(null); } else rej(r.error); };
+    });
+    if (!old) return null;
+    const read = name => old.objectStoreNames.contains(name) ? req(store(old, name).getAll()) : [];
+    const data = { products:await read('products'), inventory_units:await read('inventory_units'), barcode_lookup:await read('barcode_lookup') };
+    old.close();
+
+    const known = new Map((await req(store(db,'products').getAll())).filter(p => p.gtin).map(p => [p.gtin, p]));
+    const taken = new Set(await req(store(db,'aliases').getAllKeys()));
+    const out   = Schema.fromPharmacyDB(data, known);
+    const summary = { at:new Date().toISOString(), products:out.products.length, units:out.units.length, aliases:out.aliases.length };
+
+    const tx = db.transaction(['products','units','aliases','movements','settings'], 'readwrite');
+    out.products.forEach(p => tx.objectStore('products').put(p));
+    out.units.forEach(u => addWithReceipt(tx, 'add', u));
+    out.aliases.forEach(a => taken.has(a.code) || tx.objectStore('aliases').put(a));
+    tx.objectStore('settings').put({ key:LEGACY_KEY, value:summary });
+    await done(tx);
+    return summary.units || summary.products ? summary : null;
+  }
+
+  // ════════════════════════════════════════
+  // PRODUCTS / ALIASES
+  // ════════════════════════════════════════
+  const getProduct = (db, id) => id ? req(store(db,'products').get(id)) : Promise.resolve(undefined);
+
+  /** Product for any barcode value: alias first (GTIN-14, EAN-13, legacy 12-digit …), then the GTIN index. */
+  async function findProduct(db, code) {
+    code = String(code||'').trim();
+    if (!code) return null;
+    const keys = [code];
+    if (/^\d{8,14}$/.test(code)) keys.push(code.padStart(14,'0'));
+    for (const k of keys) {
+      const a = await req(store(db,'aliases').get(k));
+      if (a) { const p = await getProduct(db, a.productId); if (p) return p; }
+    }
+    return (await req(store(db,'products').index('gtin').get(keys[keys.length-1]))) || null;
+  }
+
+  /** Create or fill a product and add its aliases (existing aliases are never re-pointed). */
+  async function saveProduct(db, product, aliases=[]) {
+    const stored = await getProduct(db, product.id);
+    const now = new Date().toISOString();
+    const merged = stored ? { ...Schema.mergeProduct(stored, product), updated:now } : { active:true, created:now, ...product };
+    const tx = db.transaction(['products','aliases'], 'readwrite');
+    tx.objectStore('products').put(merged);
+    addAliases(tx, aliases.map(a => ({ ...a, productId:merged.id })));
+    await done(tx);
+    return merged;
+  }
+
+  function addAliases(tx, aliases) {
+    const st = tx.objectStore('aliases');
+    for (const a of aliases) { const g = st.get(a.code); g.onsuccess = () => { if (!g.result) st.put(a); }; }
+  }
+
+  // ════════════════════════════════════════
+  // ENTRIES  (unit + product, the shape the history UI uses)
+  // ════════════════════════════════════════
+  /**
+   * Save a scan or an edit. The product is found by productId, unit GTIN (packs), GTIN or scanned code
+   * (or created), its name/rms filled from the entry, aliases added, the unit written and
+   * its receive movement added / brought in line — all in one transaction. Resolves to { productId, unitId }.
+   * opts.overwrite — the entry's name/rms replace the product's even when blank (edits).
+   */
+  async function saveEntry(db, entry, { overwrite=false }={}) {
+    const found = await getProduct(db, entry.productId) || await findProduct(db, entry.unitGtin) || await findProduct(db, entry.gtin) || await findProduct(db, entry.raw);
+    const { product, unit, aliases } = Schema.splitEntry({ ...entry, productId:found ? found.id : entry.productId });
+    const now = new Date().toISOString();
+    const merged = !found ? { active:true, created:now, ...product }
+                 : { ...(overwrite ? { ...found, name:product.name, rms:product.rms } : Schema.mergeProduct(found, product)), updated:now };
+
+    const tx = db.transaction(['products','units','aliases','movements'], 'readwrite');
+    tx.objectStore('products').put(merged);
+    addAliases(tx, aliases);
+    const put = tx.objectStore('units').put(unit);
+    put.onsuccess = () => syncReceipt(tx, { ...unit, id:put.result });
+    await done(tx);
+    return { productId:merged.id, unitId:put.result };
+  }
+
+  // A receipt leaving its lot or location takes what was drawn there along (Ledger.rebook), so the lot's movements are read first
+  function syncReceipt(tx, u) {
+    const st = tx.objectStore('movements');
+    const r  = st.index('unitId').getAll(u.id);
+    r.onsuccess = () => {
+      const old = r.result.find(m => m.type === 'receive');
+      const put = lotMoves => Ledger.rebook(old, u, lotMoves).forEach(m => st.put(m));
+      if (!old) return put([]);
+      const lot = st.index('lot').getAll(old.lot);
+      lot.onsuccess = () => put(lot.result);
+    };
+  }
+
+  /** Delete a scanned unit and what it put on the ledger (its receipt, and any corrections of it). */
+  async function deleteUnit(db, id) {
+    const tx = db.transaction(['units','movements'], 'readwrite');
+    tx.objectStore('units').delete(id);
+    const keys = tx.objectStore('movements').index('unitId').getAllKeys(id);
+    keys.onsuccess = () => keys.result.forEach(k => tx.objectStore('movements').delete(k));
+    await done(tx);
+  }
+
+  async function entries(db) {
+    const [units, products] = await Promise.all([req(store(db,'units').getAll()), req(store(db,'products').getAll())]);
+    const byId = new Map(products.map(p => [p.id, p]));
+    return units.map(u => Schema.toEntry(u, byId.get(u.productId)));
+  }
+
+  async function entry(db, id) {
+    const u = await req(store(db,'units').get(id));
+    return u ? Schema.toEntry(u, await getProduct(db, u.productId)) : null;
+  }
+
+  // ════════════════════════════════════════
+  // STOCK  (movements ledger, balances per GTIN + batch + expiry, split by location)
+  // ════════════════════════════════════════
+  /**
+   * Record a movement (Ledger.movement()) — or several of one lot, e.g. Ledger.transfer(), in one
+   * transaction — and re-mark the lot's scanned units with the resulting status (IN_STOCK, DISPENSED, …).
+   * Resolves to the lot's new on-hand.
+   */
+  async function addMovement(db, moves) {
+    const list = [].concat(moves), m = list[list.length - 1];
+    const tx = db.transaction(['movements','units'], 'readwrite');
+    list.forEach(x => tx.objectStore('movements').add(x));
+    let onHand = 0;
+    const lot = tx.objectStore('movements').index('lot').getAll(m.lot);
+    lot.onsuccess = () => {
+      onHand = lot.result.reduce((n, x) => n + x.units, 0);
+      const status = Ledger.statusOf(onHand, m.type);
+      const units = tx.objectStore('units').index('productId').getAll(m.productId);
+      units.onsuccess = () => units.result
+        .filter(u => u.status !== status && Ledger.lotKey(u.unitGtin||u.gtin, u.batch, u.expiryISO) === m.lot)
+        .forEach(u => tx.objectStore('units').put({ ...u, status }));
+    };
+    await done(tx);
+    return onHand;
+  }
+
+  const movements = (db, lot) => req(lot ? store(db,'movements').index('lot').getAll(lot) : store(db,'movements').getAll());
+
+  /**
+   * Balance per lot, joined with its product's name / rms / category like entries(), and the
+   * supplier / returnable flag of the scans it was received with.
+   */
+  async function stock(db) {
+    const [mvs, products, units] = await Promise.all([movements(db), req(store(db,'products').getAll()), req(store(db,'units').getAll())]);
+    const byId = new Map(products.map(p => [p.id, p]));
+    const unitOf = new Map(units.map(u => [u.id, u]));
+    const received = new Map(mvs.filter(m => m.type === 'receive' && unitOf.has(m.unitId)).map(m => [m.lot, unitOf.get(m.unitId)]));
+    return Ledger.balances(mvs).map(b => { const p = byId.get(b.productId) || {}, u = received.get(b.lot) || {};
+      return { ...b, name:p.name || Schema.UNKNOWN, rms:p.rms || '', category:p.category || '', supplier:u.supplier || '', returnable:u.returnable || '' }; });
+  }
+
+  // ════════════════════════════════════════
+  // SERIALS  (one record per GTIN + serial, see Serials)
+  // ════════════════════════════════════════
+  const serial = (db, gtin, sn) => req(store(db,'serials').get(Serials.key(gtin, sn))).then(r => r || null);
+
+  /** Apply an event to a pack's record (created on first sight) in one transaction. Resolves to the record. */
+  async function recordSerial(db, seen, event, extra={}) {
+    const tx = db.transaction('serials', 'readwrite');
+    const st = tx.objectStore('serials');
+    let rec = null;
+    const r = st.get(Serials.key(seen.gtin, seen.serial));
+    r.onsuccess = () => { rec = Serials.apply(r.result, seen, event, extra); st.put(rec); };
+    await done(tx);
+    return rec;
+  }
+
+  /** A value from the settings store (expiry policy, FNC1 substitute…), or def. */
+  async function setting(db, key, def=null) {
+    const r = await req(store(db,'settings').get(key));
+    return r ? r.value : def;
+  }
+
+  return { LEGACY_DB, open, upgrade, importLegacy, getProduct, findProduct, saveProduct, saveEntry, deleteUnit, entries, entry,
+           addMovement, movements, stock, serial, recordSerial, setting };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PharmaDB;
+}
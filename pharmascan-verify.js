@@ -0,0 +1,149 @@
+/**
+ * PACK VERIFICATION
+ * Asks a verification service (an FMD / DSCSA-style repository, or the local stand-in in
+ * bin/mock-verify-server.js) whether a serialised pack is genuine and still active.
+ * Adapters do the talking; the verifier adds a response cache, retries and a queue for packs
+ * scanned while offline. No DOM or IndexedDB access — the caller persists the verifier's state.
+ */
+
+const PharmaVerify = (() => {
+
+  // ════════════════════════════════════════
+  // RESULTS
+  // ════════════════════════════════════════
+  const STATUS = {
+    VERIFIED:       'Verified — active pack',
+    DECOMMISSIONED: 'Decommissioned — do not supply',
+    UNKNOWN:        'Unknown to the repository',
+    PENDING:        'Queued — verifies when back online',
+    ERROR:          'Verification failed'
+  };
+
+  const keyOf = p => [p.gtin, p.serial, p.batch||'', p.expiryISO||''].join('|');
+
+  /** An adapter error worth another try: network down, timeout, 429 / 5xx. */
+  const transient = message => Object.assign(new Error(message), { retryable:true });
+
+  /**
+   * Repository lookup shared by the memory adapter and the mock server.
+   * packs: { "gtin|serial": { batch, expiry, status, reason } }; pack: { gtin, serial, batch, expiryISO }.
+   */
+  function lookup(packs, pack) {
+    const p = packs[`${pack.gtin}|${pack.serial}`];
+    if (!p) return { status:'UNKNOWN', reason:'Not in repository' };
+    // The printed batch / expiry must be what the manufacturer uploaded
+    if (p.batch && pack.batch && p.batch !== pack.batch) return { status:'UNKNOWN', reason:`Batch does not match the repository (${p.batch})` };
+    if (p.expiry && pack.expiryISO && p.expiry !== pack.expiryISO) return { status:'UNKNOWN', reason:`Expiry does not match the repository (${p.expiry})` };
+    return p.status === 'DECOMMISSIONED' ? { status:'DECOMMISSIONED', reason:p.reason || 'Decommissioned' } : { status:'VERIFIED', reason:'' };
+  }
+
+  // ════════════════════════════════════════
+  // ADAPTERS  { name, verify(pack) → Promise<{ status, reason }> } — throw an error with .retryable for transient failures
+  // ════════════════════════════════════════
+  /**
+   * JSON over HTTP:  POST url { gtin, serial, batch, expiry }  →  { status, reason }
+   * A 404 means the repository does not know the pack. bin/mock-verify-server.js speaks the same protocol.
+   */
+  function httpAdapter({ url, headers={}, timeout=8000, fetch:f=(typeof fetch !== 'undefined' ? fetch : null) }) {
+    if (!url) throw new Error('Verification URL missing');
+    return {
+      name: `http ${url}`,
+      async verify(pack) {
+        const ctl = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = ctl && setTimeout(() => ctl.abort(), timeout);
+        let res;
+        try {
+          res = await f(url, { method:'POST', headers:{ 'Content-Type':'application/json', ...headers }, signal:ctl && ctl.signal,
+                               body:JSON.stringify({ gtin:pack.gtin, serial:pack.serial, batch:pack.batch||'', expiry:pack.expiryISO||'' }) });
+        } catch(e) { throw transient(e.name === 'AbortError' ? 'Verification service timed out' : `Verification service unreachable: ${e.message}`); }
+        finally { if (timer) clearTimeout(timer); }
+        if (res.status === 404) return { status:'UNKNOWN', reason:(await res.json().catch(() => ({}))).reason || 'Not in repository' };
+        if (res.status === 429 || res.status >= 500) throw transient(`Verification service error ${res.status}`);
+        if (!res.ok) throw new Error(`Verification request rejected (${res.status})`);
+        const body = await res.json();
+        if (!['VERIFIED','DECOMMISSIONED','UNKNOWN'].includes(body.status)) throw new Error(`Unexpected verification status "${body.status}"`);
+        return { status:body.status, reason:body.reason||'' };
+      }
+    };
+  }
+
+  /** In-memory repository (same shape as lookup()) — for tests and demos without a server. */
+  function memoryAdapter(packs={}) {
+    return { name:'memory', packs, async verify(pack) { return lookup(packs, pack); } };
+  }
+
+  // ════════════════════════════════════════
+  // VERIFIER  (cache → adapter with retries → offline queue)
+  // ════════════════════════════════════════
+  /**
+   * opts.adapter   — see ADAPTERS
+   *     .state     — { cache, queue } as last passed to save(), to pick up where the previous session stopped
+   *     .save      — save(state) after every change
+   *     .ttl       — ms an answer stays good (default 24 h); DECOMMISSIONED is final and never re-asked
+   *     .attempts  — tries per request (3), .backoff ms before the second (500, doubling)
+   *     .online    — () → boolean (default navigator.onLine)
+   *     .onResult  — (pack, result) for queued packs as flush() gets their answers
+   */
+  function createVerifier({ adapter, state={}, save=()=>{}, ttl=864e5, attempts=3, backoff=500, online, onResult=()=>{} }) {
+    const cache = { ...(state.cache||{}) }, queue = [...(state.queue||[])];
+    const isOnline = online || (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+    const persist  = () => save({ cache, queue });
+    const sleep    = ms => new Promise(r => setTimeout(r, ms));
+    let flushing = null;
+
+    async function ask(pack) {
+      for (let i = 1; ; i++) {
+        try { return await adapter.verify(pack); }
+        catch(e) { if (!e.retryable || i >= attempts) throw e; await sleep(backoff * 2 ** (i-1)); }
+      }
+    }
+
+    function remember(pack, r) {
+      cache[keyOf(pack)] = { status:r.status, reason:r.reason||'', ts:Date.now() };
+      persist();
+      return { ...cache[keyOf(pack)], cached:false };
+    }
+
+    function enqueue(pack) {
+      if (!queue.some(q => keyOf(q) === keyOf(pack))) queue.push({ gtin:pack.gtin, serial:pack.serial, batch:pack.batch||'', expiryISO:pack.expiryISO||'', queued:Date.now() });
+      persist();
+      return { status:'PENDING', reason:STATUS.PENDING, queued:true };
+    }
+
+    /** pack { gtin, serial, batch, expiryISO } → { status, reason, cached?, queued? }. Never throws. */
+    async function verify(pack, { fresh=false }={}) {
+      if (!pack || !pack.gtin || !pack.serial) return { status:'ERROR', reason:'A GTIN and serial are needed to verify a pack' };
+      const hit = cache[keyOf(pack)];
+      if (hit && (hit.status === 'DECOMMISSIONED' || !fresh && Date.now() - hit.ts < ttl)) return { ...hit, cached:true };
+      if (!isOnline()) return enqueue(pack);
+      try { return remember(pack, await ask(pack)); }
+      catch(e) { return e.retryable ? enqueue(pack) : { status:'ERROR', reason:e.message }; }
+    }
+
+    /** Work through the queue (call on the 'online' event). Resolves to [{ pack, result }] answered this time. */
+    function flush() {
+      if (flushing) return flushing;
+      flushing = (async () => {
+        const answered = [];
+        for (const pack of [...queue]) {
+          if (!isOnline()) break;
+          let result;
+          try { result = remember(pack, await ask(pack)); }
+          catch(e) { if (e.retryable) break; result = { status:'ERROR', reason:e.message }; }
+          queue.splice(queue.findIndex(q => keyOf(q) === keyOf(pack)), 1);
+          persist();
+          answered.push({ pack, result });
+          onResult(pack, result);
+        }
+        return answered;
+      })().finally(() => { flushing = null; });
+      return flushing;
+    }
+
+    return { adapter, verify, flush, pending:() => queue.length };
+  }
+
+  return { STATUS, keyOf, lookup, httpAdapter, memoryAdapter, createVerifier };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = PharmaVerify;
@@ -1,5 +1,5 @@
 const CACHE = 'pharmascan-v1';
-const ASSETS = ['/', '/index.html', '/app.js', '/styles.css', '/manifest.json'];
+const ASSETS = ['/', '/index.html', '/gs1-core.js', '/gs1-symbols.js', '/pharmascan-core.js', '/pharmascan-db.js', '/master-import.js', '/pharmascan-verify.js', '/pharmascan-camera.js', '/master-data.js', '/app.js', '/styles.css', '/manifest.json'];
 
 self.addEventListener('install', e => e.waitUntil(caches.open(CACHE).then(c=>c.addAll(ASSETS)).then(()=>self.skipWaiting())));
 self.addEventListener('activate', e => e.waitUntil(caches.keys().then(ks=>Promise.all(ks.filter(k=>k!==CACHE).map(k=>caches.delete(k)))).then(()=>self.clients.claim())));
@@ -0,0 +1,47 @@
+// bin/pharmascan.js: output and exit codes (0 clean, 1 problems found, 2 usage / input errors)
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'pharmascan.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharmascan-'));
+test.after(() => fs.rmSync(dir, { recursive:true, force:true }));
+
+const file = (name, text) => { const f = path.join(dir, name); fs.writeFileSync(f, text); return f; };
+const run  = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding:'utf8', input:'' });
+
+test('validate-file exits 0 when every barcode is clean', () => {
+  const r = run('validate-file', file('good.txt', '(01)06291100080045(17)270630(10)AB\n\n6291100080045\n'));
+  assert.equal(r.status, 0, r.stderr);
+  assert.match(r.stderr, /2 barcodes, 0 with problems/);
+  assert.ok(JSON.parse(r.stdout).every(row => row.ok));
+});
+
+test('validate-file exits 1 and names the problem when a barcode is bad', () => {
+  const r = run('validate-file', '-f', 'ndjson', file('bad.txt', '(01)06291100080045(17)270630(10)AB\n0106291100080046\n0106291100080045172706301012AB21SN1\n'));
+  assert.equal(r.status, 1, r.stderr);
+  const rows = r.stdout.trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(rows.map(row => row.ok), [true, false, false]);
+  assert.match(rows[1].problems.join(' '), /check digit/i);
+  assert.match(rows[2].problems.join(' '), /separator lost/i);
+});
+
+test('usage and input errors exit 2', () => {
+  assert.equal(run('validate-file', '--bogus').status, 2);
+  assert.equal(run('frobnicate', file('x.txt', '6291100080045\n')).status, 2);
+  const missing = run('validate-file', path.join(dir, 'missing.txt'));
+  assert.equal(missing.status, 2);
+  assert.match(missing.stderr, /cannot read/);
+});
+
+test('parse writes CSV with GS shown as <GS>', () => {
+  const r = run('parse', '-f', 'csv', file('gs.txt', '0106291100080045172706301012AB\x1D21SN1\n'));
+  assert.equal(r.status, 0, r.stderr);
+  const [head, row] = r.stdout.trim().split('\n');
+  assert.match(head, /^source,line,raw,gtin/);
+  assert.match(row, /1012AB<GS>21SN1/);
+  assert.match(row, /"06291100080045","true","12AB","SN1"/);
+});
@@ -0,0 +1,130 @@
+// GS1 parsing and encoding — the same code the app, the enhanced app and the CLI run
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { GS1 } = require('../pharmascan-core.js');
+
+const GS = '\x1D';
+const fields = p => ({ gtin:p.gtin, expiryISO:p.expiryISO, batch:p.batch, serial:p.serial });
+const PACK   = { gtin:'06291100080045', expiryISO:'2027-06-30', batch:'12AB', serial:'SN1' };
+
+test('element string, bracketed and Digital Link forms parse alike', () => {
+  for (const raw of [`0106291100080045172706301012AB${GS}21SN1`,
+                     '(01)06291100080045(17)270630(10)12AB(21)SN1',
+                     'https://id.gs1.org/01/06291100080045/10/12AB/21/SN1?17=270630']) {
+    const p = GS1.parse(raw);
+    assert.equal(p.isGS1, true, raw);
+    assert.deepEqual(fields(p), PACK, raw);
+    assert.equal(p.ambiguous, false, raw);
+  }
+});
+
+test('AIM prefixes set the symbology and FNC1 substitutes become GS', () => {
+  const dm = GS1.parse(`]d20106291100080045172706301012AB${GS}21SN1`);
+  assert.equal(dm.symbology, 'GS1 DataMatrix');
+  assert.deepEqual(fields(dm), PACK);
+  assert.deepEqual(fields(GS1.parse('0106291100080045172706301012AB~21SN1')), PACK);
+  assert.deepEqual(fields(GS1.parse('0106291100080045172706301012AB|21SN1', { fnc1:'|' })), PACK);
+});
+
+test('a plain EAN-13 is padded to GTIN-14 and its check digit validated', () => {
+  const ok = GS1.parse('6291100080045');
+  assert.equal(ok.isGS1, false);
+  assert.equal(ok.gtin, '06291100080045');
+  assert.equal(ok.validation.valid, true);
+  assert.equal(GS1.parse('6291100080046').validation.valid, false);
+});
+
+test('encode() round-trips through parse() in all three forms', () => {
+  for (const raw of [`0106291100080045172706301012AB${GS}21SN1`,
+                     `01095011015300031728013110LOT-7${GS}21A1B2C3`,
+                     '0106291100080045172706303710']) {
+    const p = GS1.parse(raw);
+    const enc = GS1.encode({ ...p, elements:p.elements.map(({ ai, raw }) => ({ ai, raw })) });
+    assert.equal(enc.raw, raw);
+    for (const form of [enc.raw, enc.hri, enc.link]) assert.deepEqual(fields(GS1.parse(form)), fields(p), form);
+  }
+});
+
+test('edited fields win over the scanned elements when encoding', () => {
+  const p = GS1.parse(`0106291100080045172706301012AB${GS}21SN1`);
+  const enc = GS1.encode({ ...p, batch:'FIXED', expiryISO:'2028-01-31' });
+  assert.equal(enc.hri, '(01)06291100080045(17)280131(10)FIXED(21)SN1');
+});
+
+test('lost separator: every valid split is offered, pharma AIs first', () => {
+  const p = GS1.parse('0106291100080045172706301012AB21SN1');
+  assert.equal(p.ambiguous, true);
+  assert.deepEqual(fields(p), PACK);
+  assert.deepEqual(p.alternatives.map(a => a.map(e => `${e.ai}=${e.raw}`)), [['01=06291100080045','17=270630','10=12AB21SN1']]);
+  assert.match(p.issues[0], /Separator missing — 2 possible readings/);
+});
+
+test('lost separator: fixed-length fields and impossible dates need no guess', () => {
+  const last = GS1.parse('01062911000800451727063010ABC');
+  assert.equal(last.ambiguous, false);
+  assert.equal(last.batch, 'ABC');
+  // Month 13: no reading may cut "17271340" out of the batch as an expiry date
+  const p = GS1.parse('010629110008004510AB17271340');
+  for (const reading of [p.elements, ...p.alternatives]) assert.ok(!reading.some(e => e.ai === '17' && e.raw === '271340'));
+});
+
+// Several codes on one pack, read together
+const EAN = '6291100080045';
+
+test('an EAN-13 beside a DataMatrix merges into the DataMatrix reading', () => {
+  const m = GS1.merge([EAN, `]d20106291100080045172706301012AB${GS}21SN1`, EAN]);
+  assert.deepEqual(fields(m), PACK);
+  assert.deepEqual(m.conflicts, []);
+  assert.equal(m.sources.length, 2);
+  assert.equal(m.sources[1].isGS1, true);
+  assert.equal(m.isGS1, true);
+});
+
+test('GTIN + serial in one code and batch / expiry in another make one pack', () => {
+  const m = GS1.merge([']d2010629110008004521SN1', ']C1172706301012AB']);
+  assert.deepEqual(fields(m), PACK);
+  assert.deepEqual(m.conflicts, []);
+  assert.deepEqual(m.elements.map(e => e.ai).sort(), ['01', '10', '17', '21']);
+  assert.equal(m.raw, ']d2010629110008004521SN1\n]C1172706301012AB');
+});
+
+test('codes that disagree are conflicts until a pick settles them', () => {
+  const dm = `]d20106291100080045172706301012AB${GS}21SN1`, other = ']C10105012345678900';
+  const m = GS1.merge([dm, other]);
+  assert.deepEqual(m.conflicts.map(c => c.field), ['gtin']);
+  assert.deepEqual(m.conflicts[0].values, [{ value:PACK.gtin, from:[0] }, { value:'05012345678900', from:[1] }]);
+
+  const kept = GS1.merge([dm, other], { pick:{ gtin:'05012345678900' } });
+  assert.equal(kept.gtin, '05012345678900');
+  assert.equal(kept.batch, '');
+  assert.deepEqual(kept.conflicts, []);
+  assert.equal(kept.raw, other);
+  assert.equal(kept.sources.length, 2);
+
+  const lots = GS1.merge([dm, ']C1172712311099ZZ']);
+  assert.deepEqual(lots.conflicts.map(c => c.field), ['batch', 'expiryISO']);
+  const picked = GS1.merge([dm, ']C1172712311099ZZ'], { pick:{ batch:'99ZZ', expiryISO:'2027-12-31' } });
+  assert.deepEqual([picked.batch, picked.expiryISO, picked.expiryDisplay], ['99ZZ', '2027-12-31', '31/12/2027']);
+  assert.deepEqual(picked.conflicts, []);
+});
+
+test('lost separator: the split search is bounded on junk input', () => {
+  // A GS1 DataMatrix read of 102 digits that start AI after AI: an unbounded search took seconds here
+  const junk = '934958961532134539239043008224252087104100221907378012154022226411756537100793163458934048093364636555';
+  const t = Date.now();
+  const p = GS1.parse(`]d2${junk}`);
+  assert.ok(Date.now() - t < 500, `took ${Date.now() - t} ms`);
+  assert.equal(p.ambiguous, true);
+  assert.match(p.issues.join(' '), /too many possible readings/);
+});
+
+test('<GS> and <FNC1> are separators only in scans without an AIM identifier', () => {
+  assert.deepEqual(fields(GS1.parse('0106291100080045172706301012AB<GS>21SN1')), PACK);
+  assert.deepEqual(fields(GS1.parse('0106291100080045172706301012AB<FNC1>21SN1')), PACK);
+  // With ]d2 the scanner sends a real GS, so the same characters are batch text (CSET 82)
+  const text = GS1.parse(`]d20106291100080045172706301012<GS>AB${GS}21SN1`);
+  assert.equal(text.batch, '12<GS>AB');
+  assert.equal(text.serial, 'SN1');
+  assert.deepEqual(fields(GS1.parse(']d20106291100080045172706301012AB<GS>21SN1', { fnc1:'<GS>' })), PACK);
+  assert.deepEqual(fields(GS1.parse(']d20106291100080045172706301012AB~21SN1')), PACK);
+});
@@ -0,0 +1,161 @@
+// Stock ledger — movements, the per-lot balances they add up to, and what is built on them
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { Ledger } = require('../pharmascan-core.js');
+
+const LOT_A = { productId:'p1', gtin:'06291100080045', batch:'A1', expiryISO:'2027-06-30' };
+const LOT_B = { ...LOT_A, batch:'B2' };
+const at = ts => ({ ts });
+
+test('balances sum movements per lot, oldest first', () => {
+  // A case of 10 scanned in counts as 10 base units of its unit GTIN
+  const receipt = Ledger.receiptOf({ id:7, productId:'p1', gtin:'16291100080042', unitGtin:LOT_A.gtin, batch:'A1', expiryISO:'2027-06-30', qty:1, perPack:10, ts:1 });
+  assert.deepEqual([receipt.lot, receipt.units, receipt.unitId], [Ledger.lotKey(LOT_A.gtin, 'A1', '2027-06-30'), 10, 7]);
+  const [a, b] = Ledger.balances([Ledger.movement('dispense', LOT_A, 3, at(3)), receipt, Ledger.movement('receive', LOT_B, 2, at(2)),
+                                  Ledger.movement('return', LOT_A, 1, at(4))]);
+  assert.deepEqual([a.batch, a.onHand, a.perPack, a.byType], ['A1', 6, 10, { receive:10, dispense:-3, return:-1 }]);
+  assert.equal(a.last.type, 'return');
+  assert.equal(Ledger.packsOf(a), 1);
+  assert.deepEqual([b.batch, b.onHand, Ledger.packsOf(b)], ['B2', 2, 2]);
+  assert.equal(Ledger.statusOf(a.onHand, a.last.type), 'IN_STOCK');
+  assert.equal(Ledger.statusOf(0, 'dispense'), 'DISPENSED');
+  assert.equal(Ledger.statusOf(-1, 'adjust'), 'OUT_OF_STOCK');
+});
+
+test('movement() signs quantities by type and rejects nonsense', () => {
+  assert.equal(Ledger.movement('dispense', LOT_A, 4).units, -4);
+  assert.equal(Ledger.movement('receive', LOT_A, -4).units, 4);
+  assert.equal(Ledger.movement('adjust', LOT_A, -2).units, -2);
+  assert.throws(() => Ledger.movement('steal', LOT_A, 1), /Unknown movement/);
+  assert.throws(() => Ledger.movement('dispense', LOT_A, 0), /other than 0/);
+  assert.throws(() => Ledger.movement('dispense', LOT_A, 'two'), /other than 0/);
+});
+
+// FEFO: lots as balances() returns them
+const lot = (batch, expiryISO, onHand) => ({ lot:Ledger.lotKey(LOT_A.gtin, batch, expiryISO), productId:'p1', gtin:LOT_A.gtin, batch, expiryISO, onHand });
+const fefo = (lots, batch, expiryISO, courseEnd) => Ledger.fefo(lots, { gtin:LOT_A.gtin, batch, expiryISO }, courseEnd);
+const codes = r => r.warnings.map(w => w.code);
+
+test('fefo: the soonest usable expiry goes first; an older lot on hand is an error', () => {
+  const lots = [lot('L3', '2099-03-31', 4), lot('L1', '2099-01-31', 2), lot('L2', '2099-02-28', 1)];
+  const r = fefo(lots, 'L3', '2099-03-31');
+  assert.deepEqual(r.order.map(b => b.batch), ['L1', 'L2', 'L3']);
+  assert.equal(r.first.batch, 'L1');
+  assert.deepEqual(codes(r), ['OLDER_IN_STOCK']);
+  assert.equal(r.warnings[0].lot.batch, 'L1');
+  assert.match(r.warnings[0].message, /2 units are still on hand/);
+  assert.deepEqual(codes(fefo(lots, 'L1', '2099-01-31')), []);
+  assert.deepEqual(codes(fefo(lots, 'L1', '2099-01-31', '2099-02-15')), ['EXPIRES_IN_COURSE']);
+});
+
+test('fefo: lots expiring the same day are equally good', () => {
+  const lots = [lot('L1', '2099-01-31', 2), lot('L2', '2099-01-31', 5)];
+  assert.deepEqual(codes(fefo(lots, 'L2', '2099-01-31')), []);
+  assert.deepEqual(codes(fefo(lots, 'L1', '2099-01-31')), []);
+  assert.deepEqual(fefo(lots, 'L2', '2099-01-31').order.map(b => b.batch), ['L1', 'L2']);
+});
+
+test('fefo: undated lots go last and never count as older', () => {
+  const lots = [lot('U1', '', 9), lot('L1', '2099-01-31', 2)];
+  const r = fefo(lots, 'L1', '2099-01-31');
+  assert.deepEqual(r.order.map(b => b.batch), ['L1', 'U1']);
+  assert.deepEqual(codes(r), []);
+  assert.deepEqual(codes(fefo(lots, 'U1', '')), []);
+});
+
+test('fefo: empty, overdrawn and expired lots are passed over', () => {
+  const lots = [lot('X0', '2020-01-31', 3), lot('L0', '2099-01-01', 0), lot('LN', '2099-01-15', -2), lot('L1', '2099-02-28', 1)];
+  const r = fefo(lots, 'L1', '2099-02-28');
+  assert.deepEqual(r.order.map(b => b.batch), ['X0', 'L1']);
+  assert.equal(r.first.batch, 'L1');
+  assert.deepEqual(codes(r), []);
+  assert.deepEqual(codes(fefo(lots, 'L0', '2099-01-01')), ['NOT_IN_STOCK']);
+  assert.deepEqual(codes(fefo(lots, 'X0', '2020-01-31')), ['EXPIRED']);
+});
+
+test('balances split on-hand by location; a transfer moves it without changing the lot total', () => {
+  const [b] = Ledger.balances([Ledger.movement('receive', LOT_A, 10, { location:'S1', ts:1 }), Ledger.movement('dispense', LOT_A, 3, { location:'S1', ts:2 }),
+                               ...Ledger.transfer(LOT_A, 2, 'S1', 'S2', { ts:3 }), Ledger.movement('receive', LOT_A, 1, { ts:4 })]);
+  assert.equal(b.onHand, 8);
+  assert.deepEqual(b.at, { S1:5, S2:2, '':1 });
+  assert.equal(b.byType.transfer, -2);
+  assert.equal(b.byType.transferIn, 2);
+  assert.deepEqual(Ledger.atLocations([b], new Set(['S2', ''])).map(x => [x.onHand, x.at]), [[3, { S2:2, '':1 }]]);
+  assert.equal(Ledger.atLocations([b], null)[0], b);
+});
+
+test('draw() takes the chosen location first, then the fullest', () => {
+  const b = { at:{ S1:2, S2:5, S3:1 } };
+  assert.deepEqual(Ledger.draw(b, 4, 'S1'), [{ location:'S1', units:2 }, { location:'S2', units:2 }]);
+  // More than is on hand: the rest is booked against the chosen location
+  assert.deepEqual(Ledger.draw(b, 10, 'S3'), [{ location:'S3', units:3 }, { location:'S2', units:5 }, { location:'S1', units:2 }]);
+});
+
+// Receipts rebooked when a scan is edited
+const onHand = (mvs, lot) => (Ledger.balances(mvs).find(b => b.lot === Ledger.lotKey(lot.gtin, lot.batch, lot.expiryISO)) || { onHand:0, at:{} });
+
+// A scanned unit of 10 received on shelf S1 as the movements store would hold it
+function received(extra={}) {
+  let id = 0;
+  const unit = { id:7, productId:'p1', gtin:LOT_A.gtin, batch:'A1', expiryISO:'2027-06-30', qty:10, location:'S1', ts:1, ...extra };
+  const mvs = [{ ...Ledger.receiptOf(unit), id:++id }];
+  const add = m => [].concat(m).forEach(x => mvs.push({ ...x, id:++id, ts:mvs.length + 1 }));
+  // What syncReceipt does: put each movement back by id, new ones appended
+  const save = u => Ledger.rebook(mvs.find(m => m.unitId === u.id && m.type === 'receive'), u, mvs.filter(m => m.lot === mvs[0].lot))
+    .forEach(m => { const i = mvs.findIndex(x => x.id === m.id); i >= 0 ? mvs[i] = m : add(m); });
+  return { unit, mvs, add, save };
+}
+
+test('editing the count keeps the receipt where it is', () => {
+  const { unit, mvs, save } = received();
+  save({ ...unit, qty:12 });
+  assert.equal(mvs.length, 1);
+  assert.deepEqual(onHand(mvs, LOT_A).at, { S1:12 });
+});
+
+test('correcting the location after dispensing leaves the old shelf at zero', () => {
+  const { unit, mvs, add, save } = received();
+  add(Ledger.movement('dispense', LOT_A, 3, { location:'S1' }));
+  save({ ...unit, location:'S2' });
+  assert.deepEqual(onHand(mvs, LOT_A).at, { S1:0, S2:7 });
+});
+
+test('correcting the batch of an untouched unit moves its receipt', () => {
+  const { unit, mvs, save } = received();
+  save({ ...unit, batch:'B2' });
+  assert.equal(mvs.length, 1);
+  assert.equal(onHand(mvs, LOT_A).onHand, 0);
+  assert.equal(onHand(mvs, LOT_B).onHand, 10);
+});
+
+test('correcting the batch after dispensing takes what was drawn along', () => {
+  const { unit, mvs, add, save } = received();
+  add(Ledger.movement('dispense', LOT_A, 3, { location:'S1' }));
+  save({ ...unit, batch:'B2' });
+  assert.deepEqual(onHand(mvs, LOT_A).at, { S1:0 });
+  assert.equal(onHand(mvs, LOT_B).onHand, 7);
+  assert.ok(mvs.filter(m => m.type === 'adjust').every(m => m.unitId === 7));
+  // FEFO no longer sees a negative lot, nor an old one on hand
+  assert.deepEqual(Ledger.balances(mvs).filter(b => b.onHand > 0).map(b => b.batch), ['B2']);
+});
+
+test('a second correction leaves every lot it passed through at zero', () => {
+  const { unit, mvs, add, save } = received();
+  add(Ledger.movement('dispense', LOT_A, 3, { location:'S1' }));
+  save({ ...unit, batch:'B2' });
+  add(Ledger.movement('return', LOT_B, 2, { location:'S1' }));
+  save({ ...unit, batch:'C3' });
+  assert.equal(onHand(mvs, LOT_A).onHand, 0);
+  assert.equal(onHand(mvs, LOT_B).onHand, 0);
+  assert.equal(onHand(mvs, { ...LOT_A, batch:'C3' }).onHand, 5);
+});
+
+test('stock of other scans on the old lot is not moved', () => {
+  const { unit, mvs, add, save } = received();
+  add({ ...Ledger.receiptOf({ ...unit, id:8, qty:5 }) });
+  add(Ledger.movement('dispense', LOT_A, 3, { location:'S1' }));
+  save({ ...unit, batch:'B2' });
+  assert.equal(onHand(mvs, LOT_A).onHand, 2);
+  assert.equal(onHand(mvs, LOT_B).onHand, 10);
+  assert.equal(mvs.filter(m => m.type === 'adjust').length, 0);
+});
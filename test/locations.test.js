@@ -0,0 +1,57 @@
+// Locations — the branch › area › bin tree scans and movements point into
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { Locations } = require('../pharmascan-core.js');
+
+const loc = (id, name, parentId='', kind='') => ({ id, name, parentId, kind });
+// Main St › Dispensary › Bin 1 / Bin 2 › Tray, Main St › Fridge; High St; an area whose branch was deleted
+const LOCS = [loc('B1', 'Main St', '', 'branch'), loc('A1', 'Dispensary', 'B1', 'area'), loc('A2', 'Fridge', 'B1', 'area'),
+              loc('N2', 'Bin 2', 'A1', 'bin'), loc('N1', 'Bin 1', 'A1', 'bin'), loc('T1', 'Tray', 'N2', 'bin'),
+              loc('B2', 'High St', '', 'branch'), loc('X1', 'Orphan', 'GONE', 'area')];
+
+test('create() names a location and defaults its kind from where it sits', () => {
+  const top = Locations.create(' Main St ');
+  assert.match(top.id, /^LOC_/);
+  assert.deepEqual([top.name, top.parentId, top.kind], ['Main St', '', 'branch']);
+  assert.equal(Locations.create('Fridge', top.id).kind, 'area');
+  assert.equal(Locations.create('Bin 1', top.id, 'bin').kind, 'bin');
+  assert.throws(() => Locations.create('  '), /name missing/);
+});
+
+test('path() names a location from its branch down', () => {
+  assert.equal(Locations.path(LOCS, 'T1'), 'Main St › Dispensary › Bin 2 › Tray');
+  assert.equal(Locations.path(LOCS, ''), 'No location');
+  assert.equal(Locations.path(LOCS, 'NOPE'), '(removed location)');
+});
+
+test('tree() lists depth-first with siblings by name; orphans sit at the top', () => {
+  assert.deepEqual(Locations.tree(LOCS).map(l => `${l.depth}:${l.name}`),
+    ['0:High St', '0:Main St', '1:Dispensary', '2:Bin 1', '2:Bin 2', '3:Tray', '1:Fridge', '0:Orphan']);
+});
+
+test('subtree() is a location and everything nested under it', () => {
+  assert.deepEqual([...Locations.subtree(LOCS, 'A1')].sort(), ['A1', 'N1', 'N2', 'T1']);
+  assert.deepEqual([...Locations.subtree(LOCS, 'B1')].sort(), ['A1', 'A2', 'B1', 'N1', 'N2', 'T1']);
+  assert.deepEqual([...Locations.subtree(LOCS, 'T1')], ['T1']);
+  assert.equal(Locations.subtree(LOCS, ''), null);
+});
+
+test('branchOf() climbs to the top of the tree', () => {
+  assert.equal(Locations.branchOf(LOCS, 'T1'), 'B1');
+  assert.equal(Locations.branchOf(LOCS, 'B2'), 'B2');
+  assert.equal(Locations.branchOf(LOCS, 'X1'), 'X1');
+  assert.equal(Locations.branchOf(LOCS, 'NOPE'), '');
+  // A looped tree (a bad backup) still ends
+  assert.ok(['L1', 'L2'].includes(Locations.branchOf([loc('L1', 'a', 'L2'), loc('L2', 'b', 'L1')], 'L1')));
+});
+
+test('move() re-parents a location with everything in it, but never inside itself', () => {
+  const moved = Locations.move(LOCS, 'N2', 'A2');
+  assert.deepEqual(moved, { ...LOCS[3], parentId:'A2' });
+  const after = LOCS.map(l => l.id === moved.id ? moved : l);
+  assert.equal(Locations.path(after, 'T1'), 'Main St › Fridge › Bin 2 › Tray');
+  assert.equal(Locations.move(LOCS, 'A1', '').parentId, '');
+  assert.throws(() => Locations.move(LOCS, 'A1', 'T1'), /inside itself/);
+  assert.throws(() => Locations.move(LOCS, 'A1', 'A1'), /inside itself/);
+  assert.throws(() => Locations.move(LOCS, 'NOPE', 'B1'), /not found/);
+});
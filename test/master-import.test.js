@@ -0,0 +1,44 @@
+// Master list import: CSV reading, column mapping and row validation
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const MasterImport = require('../master-import.js');
+
+test('CSV: quotes, doubled quotes, embedded delimiters and newlines', () => {
+  assert.deepEqual(MasterImport.parseCSV('a,b\n"x,1","say ""hi"""\n"two\nlines",z\n'), [['a','b'],['x,1','say "hi"'],['two\nlines','z']]);
+  assert.equal(MasterImport.sniff('a;b;c\n1;2;3'), ';');
+  assert.equal(MasterImport.sniff('a\tb\n1\t2'), '\t');
+  assert.equal(MasterImport.sniff('"a;b",c\n'), ',');
+});
+
+test('mapping from header names', () => {
+  const map = MasterImport.guessMapping([['Description','EAN','RMS Code','Vendor'],['ADOL','6291100080045','123','Julphar']]);
+  assert.deepEqual(map, { barcode:1, name:0, rms:2, price:-1, supplier:3, category:-1 });
+});
+
+test('mapping without a header finds the barcode column by its contents', () => {
+  const map = MasterImport.guessMapping([['ADOL','6291100080045'],['PANADOL','5000000000104']], false);
+  assert.equal(map.barcode, 1);
+  assert.equal(map.name, -1);
+});
+
+test('toMaster keeps good rows, skips errors and warns on the rest', () => {
+  const rows = [['Barcode','Name'],
+    ['6291100080045','ADOL'],
+    ["'5000000000104 ",'PANADOL'],   // spreadsheet text barcode
+    ['6291100080045','ADOL'],        // repeated row
+    ['','NO CODE'],
+    ['12AB','LETTERS'],
+    ['5000000000104','OTHER NAME'],  // same barcode, another name
+    ['6291100080046','BAD CHECK'],
+    ['',''] ];
+  const r = MasterImport.toMaster(rows, MasterImport.guessMapping(rows), { existing:new Map([['06291100080045', { barcode:'6291100080045', name:'ADOL 500' }]]) });
+  assert.deepEqual(r.items.map(it => it.barcode), ['6291100080045','5000000000104','6291100080046']);
+  assert.deepEqual(r.summary, { rows:7, imported:3, errors:3, warnings:3 });
+  const on = row => r.issues.filter(i => i.row === row).map(i => `${i.level}: ${i.issue}`);
+  assert.match(on(2).join(), /warning: Catalogue has 6291100080045 as "ADOL 500"/);
+  assert.deepEqual(on(4), ['warning: Repeats row 2']);
+  assert.deepEqual(on(5), ['error: No barcode']);
+  assert.deepEqual(on(6), ['error: Barcode must be 8–14 digits']);
+  assert.match(on(7)[0], /error: Barcode also on row 3 as "PANADOL"/);
+  assert.equal(on(8)[0].startsWith('warning:'), true);
+});
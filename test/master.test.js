@@ -0,0 +1,62 @@
+// Built-in master catalogue — a new bundled version merged into the rows already stored
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { Master } = require('../pharmascan-core.js');
+
+const v1 = Master.fromBuiltIn([
+  { b:'6291100080045', n:'AMOXIL 500MG CAPS', r:'1001' },
+  { b:'6291100080052', n:'BRUFEN 400MG TABS', r:'1002' },
+  { b:'6291100080069', n:'PANADOL 500MG TABS', r:'1003' },
+  { b:'6291100080076', n:'ZANTAC 150MG TABS', r:'1004' },
+  { b:'6291100080083', n:'OLD SYRUP', r:'1005' },
+  { b:'6291100080090', n:'OLD CREAM', r:'1006' }
+]);
+
+test('fromBuiltIn() tags bundled rows with what the bundle said', () => {
+  assert.deepEqual(Master.fromBuiltIn([{ b:'123', n:'X' }]), [{ barcode:'123', name:'X', rms:'', source:'builtin', builtin:{ name:'X', rms:'' } }]);
+});
+
+test('a new version adds, changes and removes bundled rows, and keeps what the user edited or uploaded', () => {
+  const stored = [
+    ...v1.slice(0, 3),
+    { ...v1[3], name:'ZANTAC 150 (OUR NAME)' },   // edited by the user
+    v1[4],
+    { ...v1[5], rms:'9999' },                     // edited, then dropped from the bundle
+    { barcode:'5012345678900', name:'UPLOADED', rms:'7', source:'user' },
+    { barcode:'5012345678917', name:'PRE-VERSIONING UPLOAD', rms:'' }
+  ];
+  const v2 = Master.fromBuiltIn([
+    { b:'6291100080045', n:'AMOXIL 500MG CAPS', r:'1001' },       // same
+    { b:'6291100080052', n:'BRUFEN 400MG TABLETS', r:'1002' },    // renamed
+    { b:'6291100080069', n:'PANADOL 500MG TABS', r:'2003' },      // new RMS
+    { b:'6291100080076', n:'ZANTAC 150MG TABLETS', r:'1004' },    // renamed, but edited here
+    { b:'5012345678900', n:'BUNDLED NAME', r:'8' },               // uploaded by the user first
+    { b:'6291100080106', n:'NEW DROPS', r:'1007' }                // new
+  ]);
+  const { put, del, report } = Master.mergeBuiltIn(stored, v2);
+
+  assert.deepEqual(report.added, [{ barcode:'6291100080106', name:'NEW DROPS' }]);
+  assert.deepEqual(report.changed, [
+    { barcode:'6291100080052', from:'BRUFEN 400MG TABS', to:'BRUFEN 400MG TABLETS', rmsFrom:'1002', rmsTo:'1002' },
+    { barcode:'6291100080069', from:'PANADOL 500MG TABS', to:'PANADOL 500MG TABS', rmsFrom:'1003', rmsTo:'2003' }]);
+  assert.deepEqual(report.removed, [{ barcode:'6291100080083', name:'OLD SYRUP' }]);
+  assert.deepEqual(report.kept, [
+    { barcode:'6291100080076', name:'ZANTAC 150 (OUR NAME)', bundled:'ZANTAC 150MG TABLETS', reason:'edited' },
+    { barcode:'6291100080090', name:'OLD CREAM', bundled:'', reason:'edited, dropped from catalogue' }]);
+  assert.deepEqual(del, ['6291100080083']);
+
+  const byCode = new Map(put.map(r => [r.barcode, r]));
+  assert.equal(byCode.size, put.length);
+  assert.deepEqual([...byCode.keys()].sort(), ['6291100080052', '6291100080069', '6291100080076', '6291100080090', '6291100080106']);
+  // The edit stays, and remembers the new bundled name so the next version compares against it
+  assert.deepEqual(byCode.get('6291100080076'), { ...stored[3], builtin:{ name:'ZANTAC 150MG TABLETS', rms:'1004' } });
+  assert.equal(byCode.get('6291100080090').source, 'user');
+  assert.equal(byCode.get('6291100080052').source, 'builtin');
+});
+
+test('merging the same version again changes nothing', () => {
+  const { put, del, report } = Master.mergeBuiltIn(v1, v1);
+  assert.deepEqual([put, del], [[], []]);
+  assert.deepEqual(report, { added:[], changed:[], removed:[], kept:[] });
+  assert.equal(Master.mergeBuiltIn([], v1).report.added.length, v1.length);
+});
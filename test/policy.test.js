@@ -0,0 +1,58 @@
+// Expiry policy — the day each window opens, DD=00 expiry dates, and rules by category / supplier / product
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { Policy, GS1 } = require('../pharmascan-core.js');
+
+const TODAY = new Date('2026-05-01');
+// The date `days` after TODAY
+const inDays = days => new Date(TODAY.getTime() + days * 864e5).toISOString().slice(0, 10);
+const state = (item, today=TODAY) => Policy.evaluate(item, today).state;
+
+test.afterEach(() => Policy.use([]));
+
+test('"expiring" opens SOON_DAYS before expiry, to the day', () => {
+  assert.deepEqual(Policy.evaluate({ expiryISO:inDays(91) }, TODAY), { state:'ok', ...Policy.STATES.ok, daysLeft:91 });
+  assert.equal(state({ expiryISO:inDays(90) }), 'expiring');
+  assert.equal(state({ expiryISO:inDays(0) }), 'expiring');
+  assert.equal(state({}), 'unknown');
+});
+
+test('a pack is expired from the day after its expiry date', () => {
+  const r = Policy.evaluate({ expiryISO:inDays(-1) }, TODAY);
+  assert.deepEqual([r.state, r.band, r.daysLeft], ['expired', 'expired', -1]);
+  assert.equal(GS1.status(inDays(-1)), 'expired');
+});
+
+test('DD=00 expires on the last day of the month', () => {
+  const p = GS1.parse('01062911000800451726020010AB');
+  assert.equal(p.expiryISO, '2026-02-28');
+  assert.equal(state(p, new Date('2026-02-28')), 'expiring');
+  assert.equal(state(p, new Date('2026-03-01')), 'expired');
+  assert.equal(GS1.parse('01062911000800451728020010AB').expiryISO, '2028-02-29');
+});
+
+test('each state opens on the day its rule names, most urgent first', () => {
+  Policy.use([{ scope:'default', state:'discount', days:60 }, { scope:'default', state:'quarantine', days:30 },
+              { scope:'default', state:'expired', days:400 }, { scope:'nowhere', state:'return', days:10 }]);
+  assert.equal(Policy.rules.length, 2, 'expired and unknown scopes are dropped');
+  assert.equal(state({ expiryISO:inDays(61) }), 'expiring');
+  assert.equal(state({ expiryISO:inDays(60) }), 'discount');
+  assert.equal(state({ expiryISO:inDays(31) }), 'discount');
+  assert.equal(state({ expiryISO:inDays(30) }), 'quarantine');
+  assert.equal(Policy.evaluate({ expiryISO:inDays(30) }, TODAY).band, 'expiring');
+});
+
+test('a product rule beats a supplier rule beats a category rule', () => {
+  Policy.use([{ scope:'category', match:'Fridge', state:'expiring', days:180 },
+              { scope:'supplier', match:'sigma', state:'expiring', days:120 },
+              { scope:'product', match:'06291100080045', state:'expiring', days:30 },
+              { scope:'supplier', match:'sigma', state:'return', days:100 }]);
+  const item = { gtin:'05012345678900', category:'fridge', supplier:'Sigma' };
+  assert.deepEqual(Policy.windows({ category:'Fridge' }), { expiring:180 });
+  assert.deepEqual(Policy.windows(item), { expiring:120, return:100 });
+  assert.deepEqual(Policy.windows({ ...item, unitGtin:'06291100080045' }), { expiring:30, return:100 });
+  // The override also closes the window a wider rule opened
+  assert.equal(state({ ...item, gtin:'06291100080045', expiryISO:inDays(110) }), 'ok');
+  assert.equal(state({ ...item, expiryISO:inDays(110) }), 'expiring');
+  assert.equal(state({ ...item, expiryISO:inDays(100) }), 'return');
+});
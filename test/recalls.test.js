@@ -0,0 +1,70 @@
+// Recalls — import, serial ranges, matching scans and the recall-response report
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { Recalls, Ledger } = require('../pharmascan-core.js');
+
+const GTIN = '06291100080045';
+const recall = r => Recalls.normalise({ gtin:GTIN, ...r });
+
+test('numeric serial ranges compare as numbers, beyond 2^53 and with leading zeros', () => {
+  assert.equal(Recalls.inRange('150', '100', '199'), true);
+  assert.equal(Recalls.inRange('99', '100', '199'), false);
+  assert.equal(Recalls.inRange('0100', '100', '199'), true);
+  assert.equal(Recalls.inRange('90071992547409930', '90071992547409920', '90071992547409929'), false);
+  assert.equal(Recalls.inRange('90071992547409925', '90071992547409920', '90071992547409929'), true);
+});
+
+test('alphanumeric ranges compare as text when the lengths agree, else only their ends match', () => {
+  assert.equal(Recalls.inRange('AB150', 'AB100', 'AB199'), true);
+  assert.equal(Recalls.inRange('AC150', 'AB100', 'AB199'), false);
+  assert.equal(Recalls.inRange('AB15', 'AB100', 'AB199'), false);
+  assert.equal(Recalls.inRange('X9', 'X9', 'YY10'), true);
+});
+
+test('a lone serial is a range of one; a bad GTIN is an issue', () => {
+  const r = recall({ serial:'SN7', batch:' L1 ' });
+  assert.equal(r.serialFrom, 'SN7');
+  assert.equal(r.serialTo, 'SN7');
+  assert.equal(r.batch, 'L1');
+  assert.equal(recall({ serialFrom:'5' }).serialTo, '5');
+  assert.match(Recalls.normalise({ gtin:'12AB' }), /not 8–14 digits/);
+});
+
+test('sheet rows map column aliases and report issues by sheet row', () => {
+  const { recalls, issues } = Recalls.fromRows([
+    ['Barcode', 'Lot No.', 'First serial', 'Last serial', 'Recall ref'],
+    [GTIN, 'L1', '100', '199', 'R-1'],
+    ['', '', '', '', ''],
+    ['abc', 'L2', '', '', 'R-2'],
+    ['5012345678900', '', '', '', 'R-3']
+  ]);
+  assert.equal(recalls.length, 2);
+  assert.deepEqual([recalls[0].batch, recalls[0].serialFrom, recalls[0].serialTo, recalls[0].ref], ['L1', '100', '199', 'R-1']);
+  assert.equal(recalls[1].gtin, '05012345678900');
+  assert.deepEqual(issues.map(i => i.row), [4]);
+  assert.throws(() => Recalls.fromJSON({ items:[] }), /list of recalls/);
+});
+
+test('match() confirms, rules out, or cannot tell without the batch / serial', () => {
+  const r = recall({ batch:'l1', serialFrom:'100', serialTo:'199' });
+  assert.deepEqual(Recalls.match(r, { gtin:GTIN, batch:'L1', serial:'150' }), { recall:r, certain:true });
+  assert.equal(Recalls.match(r, { gtin:GTIN, batch:'L1', serial:'200' }), null);
+  assert.equal(Recalls.match(r, { gtin:GTIN, batch:'L2', serial:'150' }), null);
+  assert.equal(Recalls.match(r, { gtin:GTIN, batch:'L1' }).certain, false);
+  assert.equal(Recalls.match(r, { gtin:'05012345678900', batch:'L1', serial:'150' }), null);
+  // A case is recalled through the pack GTIN it holds
+  assert.equal(Recalls.match(r, { gtin:'16291100080042', unitGtin:GTIN, batch:'L1', serial:'150' }).certain, true);
+});
+
+test('the report lists covered scans with their lot on hand, and quotes CSV cells', () => {
+  const r = { ...recall({ batch:'L1', ref:'R-1', reason:'Label "B" misprinted' }), id:1 };
+  const scans = [{ gtin:GTIN, batch:'L1', expiryISO:'2027-06-30', serial:'SN1', qty:2, name:'Drug' },
+                 { gtin:GTIN, expiryISO:'2027-06-30' },
+                 { gtin:GTIN, batch:'L9', expiryISO:'2027-06-30' }];
+  const lots = [{ lot:Ledger.lotKey(GTIN, 'L1', '2027-06-30'), onHand:5 }];
+  const rows = Recalls.report([r], scans, lots);
+  assert.deepEqual(rows.map(x => [x.match, x.units, x.onHand]), [['CONFIRMED', 2, 5], ['POSSIBLE', 1, '']]);
+  const csv = Recalls.toCSV(rows).split('\n');
+  assert.match(csv[0], /^REF,ISSUER,REASON,MATCH,GTIN,BATCH,SERIAL,EXPIRY,/);
+  assert.match(csv[1], /"Label ""B"" misprinted"/);
+});
@@ -0,0 +1,71 @@
+// Supplier returns — the worklist of lots inside their return window, and the return note as CSV / PDF
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { Returns, Policy } = require('../pharmascan-core.js');
+
+const TODAY = new Date('2026-05-01');
+const inDays = days => new Date(TODAY.getTime() + days * 864e5).toISOString().slice(0, 10);
+const lot = (batch, days, extra={}) => ({ lot:`06291100080045|${batch}|${inDays(days)}`, gtin:'06291100080045', name:'Amoxil', rms:'1001',
+                                          batch, expiryISO:inDays(days), onHand:10, perPack:1, supplier:'Sigma', returnable:'', ...extra });
+
+test.afterEach(() => Policy.use([]));
+
+test('the worklist holds returnable lots on hand inside their window, by supplier, soonest first', () => {
+  Policy.use([{ scope:'default', state:'return', days:60 }, { scope:'supplier', match:'acme', state:'return', days:120 }]);
+  const lots = [lot('S2', 50), lot('S1', 10, { supplier:'sigma ' }), lot('S3', 61), lot('EMPTY', 10, { onHand:0 }),
+                lot('KEEP', 10, { returnable:'No' }), lot('UNDATED', 10, { expiryISO:'' }),
+                lot('A1', 100, { supplier:'Acme' }), lot('GONE', -1, { supplier:'Acme' })];
+  const list = Returns.worklist(lots, TODAY);
+  assert.deepEqual(list.map(g => [g.supplier, g.lots.map(l => l.batch)]), [['Acme', ['GONE', 'A1']], ['Sigma', ['S1', 'S2']]]);
+  assert.equal(list[1].lots[0].policy.state, 'return');
+  assert.equal(list[0].lots[0].policy.state, 'expired');
+  assert.equal(Returns.worklist(lots.slice(0, 3), TODAY).length, 1);
+  Policy.use([]);
+  assert.deepEqual(Returns.worklist(lots, TODAY), [], 'no return window, no worklist');
+});
+
+test('returnable() is only ruled out by an explicit no', () => {
+  assert.deepEqual(['', 'yes', 'Y', 'no', ' N ', 'false', '0'].map(v => Returns.returnable(v)), [true, true, true, false, false, false, false]);
+});
+
+test('the note counts packs, drops empty lines and quotes its CSV', () => {
+  const note = Returns.note('Sigma', [{ ...lot('S1', 10, { perPack:10, name:'Amoxil "500"' }), units:25 }, { ...lot('S2', 20), units:0 }, { ...lot('S3', 30), units:3 }],
+                           { ref:'RN-1', date:TODAY });
+  assert.deepEqual([note.supplier, note.ref, note.date, note.units], ['Sigma', 'RN-1', '2026-05-01', 28]);
+  assert.deepEqual(note.lines.map(l => [l.batch, l.units, l.packs]), [['S1', 25, 3], ['S3', 3, 3]]);
+  const csv = Returns.toCSV(note).trim().split('\n');
+  assert.equal(csv[0], 'SUPPLIER,RETURN_NOTE,DATE,RMS,GTIN,PRODUCT,BATCH,EXPIRY,QTY_UNITS,PACKS');
+  assert.equal(csv[1], `"Sigma","RN-1","2026-05-01","1001","06291100080045","Amoxil ""500""","S1","${inDays(10)}","25","3"`);
+});
+
+// Every xref entry must point at its object, startxref at the table, and each /Length at its stream
+function checkPDF(bytes) {
+  const pdf = Buffer.from(bytes).toString('latin1');
+  assert.ok(pdf.startsWith('%PDF-1.4\n') && pdf.endsWith('%%EOF\n'));
+  const startxref = +pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1];
+  assert.equal(pdf.slice(startxref, startxref + 5), 'xref\n');
+  const [, first, count] = pdf.slice(startxref).match(/^xref\n(\d+) (\d+)\n/);
+  assert.equal(+first, 0);
+  const entries = pdf.slice(startxref).split('\n').slice(2, 2 + +count);
+  assert.equal(entries[0], '0000000000 65535 f ');
+  entries.slice(1).forEach((e, i) => {
+    assert.match(e, /^\d{10} 00000 n $/);
+    assert.equal(pdf.slice(+e.slice(0, 10)).split('\n')[0], `${i + 1} 0 obj`);
+  });
+  assert.match(pdf, new RegExp(`trailer\\n<< /Size ${count} /Root 1 0 R >>`));
+  for (const [, len, body] of pdf.matchAll(/<< \/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/g)) assert.equal(body.length, +len);
+  return pdf;
+}
+
+test('toPDF() writes a valid cross-reference table, one page per 52 lines', () => {
+  const one = checkPDF(Returns.toPDF(Returns.note('Sigma (UK) \\ Ltd', [{ ...lot('S1', 10), units:2 }], { ref:'RN-1', date:TODAY })));
+  assert.match(one, /\/Count 1 >>/);
+  assert.match(one, /\(Supplier: Sigma \\\(UK\\\) \\\\ Ltd /);
+
+  const many = Array.from({ length:60 }, (_, i) => ({ ...lot(`B${i}`, 10, { name:'Ä very long product name that will not fit its column' }), units:1 }));
+  const two = checkPDF(Returns.toPDF(Returns.note('Sigma', many, { ref:'RN-2', date:TODAY })));
+  assert.match(two, /\/Kids \[5 0 R 7 0 R\] \/Count 2 >>/);
+  assert.match(two, /Page 2 of 2/);
+  assert.match(two, /Total: 60 units in 60 lines/);
+  assert.ok(Buffer.from(Returns.toPDF(Returns.note('Sigma', many, {}))).includes(0xc4), 'WinAnsi Ä kept as one byte');
+});
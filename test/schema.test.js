@@ -0,0 +1,86 @@
+// Data model — scans split into products / units / aliases, and the one-way migrations of both apps' old stores
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { Schema } = require('../pharmascan-core.js');
+
+const GTIN = '06291100080045', GS = '\x1D';
+
+test('an entry splits into its product, unit and the aliases it can be scanned by', () => {
+  const { product, unit, aliases } = Schema.splitEntry({ id:3, gtin:GTIN, name:'Amoxil', rms:'1001', batch:'AB', raw:'6291100080045', qty:2 });
+  assert.deepEqual(product, { id:`PROD_${GTIN}`, gtin:GTIN, name:'Amoxil', rms:'1001' });
+  assert.deepEqual(unit, { status:'IN_STOCK', id:3, gtin:GTIN, batch:'AB', raw:'6291100080045', qty:2, productId:`PROD_${GTIN}` });
+  assert.deepEqual(aliases.map(a => [a.code, a.kind, a.primary]), [[GTIN, 'GTIN14', true], ['6291100080045', 'EAN13', false]]);
+  assert.equal(Schema.splitEntry({ gtin:GTIN, name:Schema.UNKNOWN }).product.name, '');
+  const e = Schema.toEntry(unit, product);
+  assert.deepEqual([e.id, e.batch, e.name, e.rms], [3, 'AB', 'Amoxil', '1001']);
+  assert.equal(Schema.toEntry(unit).name, Schema.UNKNOWN);
+});
+
+test('v1 history: one product per GTIN, newest non-empty name / rms, rows kept whole', () => {
+  const rows = [
+    { id:2, gtin:GTIN, name:'AMOXIL 500', rms:'', batch:'B2', expiryISO:'2027-06-30', raw:`01${GTIN}17270630102B2`, qty:1, ts:Date.UTC(2025, 1, 2) },
+    { id:1, gtin:GTIN, name:'Amoxil', rms:'1001', batch:'B1', expiryISO:'2027-01-31', raw:'6291100080045', qty:3, ts:Date.UTC(2025, 0, 1) },
+    { id:3, gtin:'', name:'Loose tablets', rms:'', raw:'LOOSE', qty:1, ts:Date.UTC(2025, 2, 1), status:'DISPENSED' },
+    { id:4, gtin:'05012345678900', name:Schema.UNKNOWN, raw:'5012345678900', ts:Date.UTC(2025, 3, 1) }
+  ];
+  const { products, units, aliases } = Schema.fromHistory(rows);
+  assert.deepEqual(products.map(p => [p.id, p.gtin, p.name, p.rms]), [
+    [`PROD_${GTIN}`, GTIN, 'AMOXIL 500', '1001'],
+    [products[1].id, '', 'Loose tablets', ''],
+    ['PROD_05012345678900', '05012345678900', '', '']]);
+  assert.equal(products[0].created, '2025-01-01T00:00:00.000Z');
+  assert.match(products[1].id, /^PROD_/);
+  assert.deepEqual(units.map(u => [u.id, u.productId, u.batch || '', u.qty, u.status]), [
+    [1, `PROD_${GTIN}`, 'B1', 3, 'IN_STOCK'], [2, `PROD_${GTIN}`, 'B2', 1, 'IN_STOCK'],
+    [3, products[1].id, '', 1, 'DISPENSED'], [4, 'PROD_05012345678900', '', undefined, 'IN_STOCK']]);
+  assert.equal(units[1].raw, rows[0].raw);
+  assert.deepEqual(aliases.map(a => [a.code, a.productId, a.kind]), [
+    [GTIN, `PROD_${GTIN}`, 'GTIN14'], ['6291100080045', `PROD_${GTIN}`, 'EAN13'],
+    ['05012345678900', 'PROD_05012345678900', 'GTIN14'], ['5012345678900', 'PROD_05012345678900', 'EAN13']]);
+});
+
+// enhanced_pharmacy_app.js "PharmacyDB" v2, as its stores held it
+const PHARMACY_DB = {
+  products: [
+    { product_id:'P-1', product_name:'Amoxil 500mg', gtin_14:'6291100080045', ean_13:'6291100080045', legacy_code:'629110008004', category:'Antibiotic', created_date:'2024-05-01' },
+    { product_id:'P-2', product_name:'Brufen', gtin_14:'05012345678900', category:'Analgesic', active:false },
+    { product_id:'P-3', product_name:'House cream', gtin_14:'' }
+  ],
+  barcode_lookup: [
+    { barcode_value:`01${GTIN}17270630101AB${GS}21SN1`, product_id:'P-1', barcode_format:'DATA_MATRIX', is_primary:false },
+    { barcode_value:'HC-001', product_id:'P-3', barcode_format:'CODE_128', is_primary:true }
+  ],
+  inventory_units: [
+    { unit_id:'U-1', product_id:'P-1', batch_number:'1AB', serial_number:'SN1', expiry_date:'2027-06-30', production_date:'2024-06-01',
+      raw_barcode:`01${GTIN}17270630101AB${GS}21SN1`, barcode_format:'DATA_MATRIX', status:'DISPENSED', scan_timestamp:'2025-01-02T10:00:00Z' },
+    { unit_id:'U-2', product_id:'P-3', scan_timestamp:'2025-01-03T10:00:00Z' }
+  ]
+};
+
+test('PharmacyDB v2: products, lookup codes and units map onto our stores', () => {
+  const out = Schema.fromPharmacyDB(PHARMACY_DB);
+  assert.deepEqual(out.products.map(p => [p.id, p.gtin, p.name, p.category, p.active]), [
+    ['P-1', GTIN, 'Amoxil 500mg', 'Antibiotic', true], ['P-2', '05012345678900', 'Brufen', 'Analgesic', false], ['P-3', '', 'House cream', '', true]]);
+  // The GS1 string stored as a lookup key gives no new alias: its GTIN is already there
+  assert.deepEqual(out.aliases.map(a => [a.code, a.productId, a.kind, a.primary]), [
+    [GTIN, 'P-1', 'GTIN14', true], ['6291100080045', 'P-1', 'EAN13', false], ['629110008004', 'P-1', 'LEGACY12', false],
+    ['05012345678900', 'P-2', 'GTIN14', true], ['HC-001', 'P-3', 'CODE_128', true]]);
+  const [u1, u2] = out.units;
+  assert.deepEqual({ ...u1, ts:0 }, { productId:'P-1', gtin:GTIN, batch:'1AB', serial:'SN1', expiry:'', expiryISO:'2027-06-30', expiryDisplay:'30/06/2027',
+    expirySource:'expiry', dates:{ production:'2024-06-01' }, qty:1, raw:PHARMACY_DB.inventory_units[0].raw_barcode, format:'DATA_MATRIX',
+    status:'DISPENSED', ts:0, importedFrom:{ db:'PharmacyDB', unitId:'U-1' } });
+  assert.equal(u1.ts, Date.UTC(2025, 0, 2, 10));
+  assert.deepEqual([u2.productId, u2.gtin, u2.expiryISO, u2.expirySource, u2.status], ['P-3', '', '', '', 'IN_STOCK']);
+});
+
+test('PharmacyDB v2: a GTIN already in PharmaScanDB is not created twice, only filled in', () => {
+  const known = new Map([[GTIN, { id:`PROD_${GTIN}`, gtin:GTIN, name:'AMOXIL', rms:'1001' }]]);
+  const out = Schema.fromPharmacyDB(PHARMACY_DB, known);
+  assert.deepEqual(out.products.find(p => p.gtin === GTIN), { id:`PROD_${GTIN}`, gtin:GTIN, name:'AMOXIL', rms:'1001', category:'Antibiotic' });
+  assert.equal(out.products.filter(p => p.gtin === GTIN).length, 1);
+  assert.ok(out.aliases.filter(a => ['6291100080045', '629110008004'].includes(a.code)).every(a => a.productId === `PROD_${GTIN}`));
+  assert.equal(out.units[0].productId, `PROD_${GTIN}`);
+  // Nothing to fill: nothing written for it
+  const full = new Map([[GTIN, { id:`PROD_${GTIN}`, gtin:GTIN, name:'AMOXIL', category:'X' }]]);
+  assert.equal(Schema.fromPharmacyDB(PHARMACY_DB, full).products.some(p => p.gtin === GTIN), false);
+});
@@ -0,0 +1,46 @@
+// Serials — a serialised pack's states, and sightings that point at a falsified one
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { Serials } = require('../pharmascan-core.js');
+
+const PACK = { gtin:'06291100080045', serial:'SN1', batch:'12AB', expiryISO:'2027-06-30' };
+const codes = (rec, seen, mode) => Serials.check(rec, seen, mode).map(w => `${w.level}:${w.code}`);
+const through = (...events) => events.reduce((rec, e, i) => Serials.apply(rec, PACK, e, { ts:Date.UTC(2026, 0, i + 1) }), null);
+
+test('events move a pack through its states and keep the history', () => {
+  const rec = through('scanned', 'received');
+  assert.equal(rec.key, Serials.key(PACK.gtin, PACK.serial));
+  assert.equal(rec.state, 'IN_STOCK');
+  assert.deepEqual(rec.history.map(h => h.event), ['scanned', 'received']);
+  assert.equal(Serials.apply(rec, PACK, 'removed').state, 'RECEIVED');
+  assert.equal(Serials.apply(rec, PACK, 'flagged').state, 'IN_STOCK');
+  assert.throws(() => Serials.apply(rec, PACK, 'lost'), /Unknown serial event/);
+});
+
+test('dispensed and decommissioned are final', () => {
+  const rec = through('received', 'dispensed', 'received');
+  assert.equal(rec.state, 'DISPENSED');
+  assert.equal(rec.history.length, 3);
+  assert.equal(through('received', 'decommissioned', 'removed').state, 'DECOMMISSIONED');
+});
+
+test('the first sighting keeps its batch and expiry', () => {
+  const rec = Serials.apply(through('scanned'), { ...PACK, batch:'ZZ' }, 'flagged');
+  assert.equal(rec.batch, '12AB');
+  assert.equal(rec.history[1].batch, 'ZZ');
+});
+
+test('a new or matching pack raises nothing; a second receipt is a likely double scan', () => {
+  assert.deepEqual(codes(null, PACK), []);
+  assert.deepEqual(codes(through('scanned'), PACK), []);
+  assert.deepEqual(codes(through('received'), PACK, 'receive'), ['warn:IN_STOCK']);
+  assert.deepEqual(codes(through('received'), PACK, 'dispense'), []);
+});
+
+test('a reused serial on another batch or expiry, or a pack that is gone, is a suspected counterfeit', () => {
+  const rec = through('received');
+  assert.deepEqual(codes(rec, { ...PACK, batch:'12ab' }, 'dispense'), []);
+  assert.deepEqual(codes(rec, { ...PACK, batch:'99XY', expiryISO:'2028-01-31' }, 'dispense'), ['error:OTHER_BATCH', 'error:OTHER_EXPIRY']);
+  assert.deepEqual(codes(through('received', 'dispensed'), PACK), ['error:DISPENSED']);
+  assert.match(Serials.check(through('received', 'dispensed'), PACK)[0].message, /dispensed on 2026-01-02/);
+});
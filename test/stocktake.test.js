@@ -0,0 +1,63 @@
+// Stock-take — a location counted scan by scan, the variance against the ledger, and the adjustments that settle it
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { StockTake, Ledger } = require('../pharmascan-core.js');
+
+const LOT = { productId:'p1', gtin:'06291100080045', name:'Amoxil', batch:'A1', expiryISO:'2027-06-30' };
+const lotOf = (lot, extra={}) => ({ ...lot, ...extra });
+const scan = (lot, extra={}) => ({ ...lot, units:1, perPack:1, ...extra });
+const key = l => Ledger.lotKey(l.gtin, l.batch, l.expiryISO);
+
+test('start() opens an empty session for a location', () => {
+  const s = StockTake.start('LOC_1', 'Fridge', Date.UTC(2026, 4, 7, 9));
+  assert.match(s.id, /^ST-20260507-\d{4}$/);
+  assert.deepEqual([s.location, s.locationName, s.scans, s.lines], ['LOC_1', 'Fridge', 0, {}]);
+});
+
+test('scans add up per lot; a serial is only counted once', () => {
+  const s = StockTake.start('LOC_1', 'Fridge');
+  StockTake.add(s, scan(LOT, { serial:'SN1' }));
+  StockTake.add(s, scan(LOT, { units:10, perPack:10 }));
+  const again = StockTake.add(s, scan(LOT, { serial:'SN1' }));
+  assert.equal(again.repeat, true);
+  assert.equal(again.line.counted, 11);
+  assert.equal(again.line.perPack, 10);
+  assert.equal(s.scans, 2);
+  assert.equal(s.last, key(LOT));
+  StockTake.set(s, key(LOT), 4);
+  assert.equal(s.lines[key(LOT)].counted, 4);
+  StockTake.set(s, key(LOT), 0);
+  assert.deepEqual(s.lines, {});
+});
+
+test('variance sorts missing and unexpected lots first and books the differences', () => {
+  const found = { ...LOT, batch:'B2' }, short = { ...LOT, batch:'C3', name:'Brufen' }, ok = { ...LOT, batch:'D4', name:'Zinc' };
+  const s = StockTake.start('LOC_1', 'Fridge');
+  StockTake.add(s, scan(found, { units:2 }));
+  StockTake.add(s, scan(short, { units:3 }));
+  StockTake.add(s, scan(ok, { units:1 }));
+  const lots = [lotOf(LOT, { lot:key(LOT), onHand:5, at:{ LOC_1:5 } }), lotOf(short, { lot:key(short), onHand:4, at:{ LOC_1:4 } }),
+                lotOf(ok, { lot:key(ok), onHand:1, at:{ LOC_1:1 } }), lotOf({ ...LOT, batch:'E5' }, { lot:key({ ...LOT, batch:'E5' }), onHand:0, at:{} })];
+  const r = StockTake.variance(s, lots, 1);
+  assert.deepEqual(r.rows.map(x => [x.kind, x.batch, x.expected, x.counted, x.diff]),
+    [['MISSING', 'A1', 5, 0, -5], ['UNEXPECTED', 'B2', 0, 2, 2], ['SHORT', 'C3', 4, 3, -1], ['OK', 'D4', 1, 1, 0]]);
+  assert.deepEqual(r.totals, { MISSING:1, UNEXPECTED:1, SHORT:1, OVER:0, OK:1 });
+  assert.match(StockTake.toCSV(r).split('\n')[1], /^"ST-[^"]+","Fridge","Missing",/);
+
+  const ms = StockTake.adjustments(r);
+  assert.deepEqual(ms.map(m => [m.type, m.batch, m.units, m.location]), [['adjust', 'A1', -5, 'LOC_1'], ['adjust', 'B2', 2, 'LOC_1'], ['adjust', 'C3', -1, 'LOC_1']]);
+  assert.ok(ms.every(m => m.note === `Stock-take ${r.id}`));
+});
+
+test('counting an area takes shortfalls off the bins under it', () => {
+  // Fridge (LOC_1) holds Bin 1 and Bin 2; the ledger has 2 in the fridge itself, 5 in Bin 1 and 3 in Bin 2
+  const s = StockTake.start('LOC_1', 'Fridge');
+  StockTake.add(s, scan(LOT, { units:6 }));
+  const lots = [lotOf(LOT, { lot:key(LOT), onHand:10, at:{ LOC_1:2, BIN_1:5, BIN_2:3 } })];
+  const ms = StockTake.adjustments(StockTake.variance(s, lots));
+  assert.deepEqual(ms.map(m => [m.location, m.units]), [['LOC_1', -2], ['BIN_1', -2]]);
+  const after = Ledger.balances([Ledger.movement('receive', LOT, 2, { location:'LOC_1', ts:0 }), Ledger.movement('receive', LOT, 5, { location:'BIN_1', ts:0 }),
+                                 Ledger.movement('receive', LOT, 3, { location:'BIN_2', ts:0 }), ...ms])[0];
+  assert.deepEqual(after.at, { LOC_1:0, BIN_1:3, BIN_2:3 });
+  assert.equal(after.onHand, 6);
+});
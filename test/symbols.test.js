@@ -0,0 +1,29 @@
+// Symbol encoders checked by an independent decoder (zxing-wasm, a devDependency)
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+const GS1Symbols = require('../gs1-symbols.js');
+const { GS1 } = require('../pharmascan-core.js');
+
+const ZXING = path.join(__dirname, '..', 'node_modules', 'zxing-wasm', 'dist');
+const skip  = !fs.existsSync(ZXING) && 'zxing-wasm not installed (npm install)';
+
+async function reader() {
+  const Z = await import(path.join(ZXING, 'es', 'reader', 'index.js'));
+  await Z.prepareZXingModule({ overrides:{ wasmBinary:fs.readFileSync(path.join(ZXING, 'reader', 'zxing_reader.wasm')) }, fireImmediately:true });
+  return png => Z.readBarcodes(new Blob([png], { type:'image/png' }), { tryHarder:true, textMode:'Plain' });
+}
+
+test('DataMatrix, GS1-128 and QR decode back to the element string', { skip }, async () => {
+  const read = await reader();
+  for (const raw of ['0106291100080045172706301012AB\x1D21SN1', '01095011015300031728013110LOT-7', '0106291100080045']) {
+    for (const [aim, sym] of [[']d2', GS1Symbols.dataMatrix(raw)], [']C1', GS1Symbols.gs1_128(raw)], [']Q3', GS1Symbols.qr(raw, { gs1:true })]]) {
+      const [r] = await read(GS1Symbols.toPNG(sym, { scale:4 }));
+      assert.ok(r, `${aim} ${raw} not decoded`);
+      assert.equal(r.symbologyIdentifier, aim);
+      assert.equal(r.text, raw);
+      assert.equal(GS1.parse(aim + r.text).gtin, GS1.parse(raw).gtin);
+    }
+  }
+});
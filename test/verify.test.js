@@ -0,0 +1,125 @@
+// Pack verification — adapters, the verifier's retries / queue / cache, and the mock repository server
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { httpAdapter, memoryAdapter, createVerifier } = require('../pharmascan-verify.js');
+const { createServer, SAMPLE } = require('../bin/mock-verify-server.js');
+
+const PACK = { gtin:'06291100080045', serial:'SN1001', batch:'L2301', expiryISO:'2027-06-30' };
+const packs = () => JSON.parse(JSON.stringify(SAMPLE));
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// fetch stand-in answering from a list of (status, body) or thrown errors, counting calls
+function fakeFetch(answers) {
+  const f = async (url, init) => {
+    f.calls.push(JSON.parse(init.body));
+    const a = answers[Math.min(f.calls.length, answers.length) - 1];
+    if (a instanceof Error) throw a;
+    return { status:a[0], ok:a[0] >= 200 && a[0] < 300, json:async () => a[1] };
+  };
+  f.calls = [];
+  return f;
+}
+
+// Memory adapter that counts its calls
+function counting(p=packs()) {
+  const m = memoryAdapter(p), a = { ...m, calls:0, async verify(pack) { a.calls++; return m.verify(pack); } };
+  return a;
+}
+
+test('httpAdapter maps 404, 5xx, other 4xx and network errors', async () => {
+  const ask = answers => httpAdapter({ url:'http://repo.test/verify', fetch:fakeFetch(answers) }).verify(PACK);
+  assert.deepEqual(await ask([[200, { status:'VERIFIED' }]]), { status:'VERIFIED', reason:'' });
+  assert.deepEqual(await ask([[404, { reason:'No such pack' }]]), { status:'UNKNOWN', reason:'No such pack' });
+  await assert.rejects(ask([[503, {}]]), e => e.retryable === true && /error 503/.test(e.message));
+  await assert.rejects(ask([[429, {}]]), e => e.retryable === true);
+  await assert.rejects(ask([[400, {}]]), e => !e.retryable && /rejected \(400\)/.test(e.message));
+  await assert.rejects(ask([new TypeError('fetch failed')]), e => e.retryable === true && /unreachable: fetch failed/.test(e.message));
+  await assert.rejects(ask([[200, { status:'MAYBE' }]]), /Unexpected verification status "MAYBE"/);
+  assert.throws(() => httpAdapter({}), /URL missing/);
+});
+
+test('a 503 is retried with doubling backoff', async () => {
+  const f = fakeFetch([[503, {}], [503, {}], [200, { status:'VERIFIED' }]]);
+  const v = createVerifier({ adapter:httpAdapter({ url:'http://repo.test/verify', fetch:f }), backoff:20, online:() => true });
+  const t = Date.now();
+  assert.equal((await v.verify(PACK)).status, 'VERIFIED');
+  assert.equal(f.calls.length, 3);
+  assert.ok(Date.now() - t >= 55, 'waits 20 ms, then 40 ms');
+  assert.deepEqual(f.calls[0], { gtin:PACK.gtin, serial:PACK.serial, batch:'L2301', expiry:'2027-06-30' });
+});
+
+test('packs seen offline, or while the service keeps failing, queue until flush()', async () => {
+  let up = false, saved = null;
+  const answered = [];
+  const a = counting();
+  const v = createVerifier({ adapter:a, online:() => up, save:s => { saved = s; }, onResult:(p, r) => answered.push([p.serial, r.status]) });
+  assert.deepEqual(await v.verify(PACK), { status:'PENDING', reason:'Queued — verifies when back online', queued:true });
+  await v.verify(PACK);
+  await v.verify({ ...PACK, serial:'SN1002' });
+  assert.equal(v.pending(), 2);
+  assert.equal(saved.queue.length, 2);
+  // A new session picks up the queue it was saved with
+  assert.equal(createVerifier({ adapter:a, state:JSON.parse(JSON.stringify(saved)) }).pending(), 2);
+  assert.deepEqual(await v.flush(), []);
+  assert.equal(a.calls, 0);
+
+  up = true;
+  const done = await v.flush();
+  assert.deepEqual(done.map(d => d.result.status), ['VERIFIED', 'DECOMMISSIONED']);
+  assert.deepEqual(answered, [['SN1001', 'VERIFIED'], ['SN1002', 'DECOMMISSIONED']]);
+  assert.equal(v.pending(), 0);
+  assert.deepEqual(saved.queue, []);
+
+  const down = createVerifier({ adapter:httpAdapter({ url:'http://repo.test/verify', fetch:fakeFetch([[503, {}]]) }), attempts:2, backoff:1, online:() => true });
+  assert.equal((await down.verify(PACK)).status, 'PENDING');
+  assert.equal(down.pending(), 1);
+});
+
+test('answers are cached for the TTL; DECOMMISSIONED is final', async () => {
+  const a = counting();
+  const v = createVerifier({ adapter:a, ttl:30, online:() => true });
+  assert.equal((await v.verify(PACK)).cached, false);
+  assert.equal((await v.verify(PACK)).cached, true);
+  assert.equal(a.calls, 1);
+  await v.verify(PACK, { fresh:true });
+  assert.equal(a.calls, 2);
+  await sleep(40);
+  assert.equal((await v.verify(PACK)).cached, false);
+  assert.equal(a.calls, 3);
+
+  const gone = { ...PACK, serial:'SN1002' };
+  assert.equal((await v.verify(gone)).status, 'DECOMMISSIONED');
+  await sleep(40);
+  const again = await v.verify(gone, { fresh:true });
+  assert.deepEqual([again.status, again.cached], ['DECOMMISSIONED', true]);
+  assert.equal(a.calls, 4);
+});
+
+test('bad input and rejected requests are errors, not queued', async () => {
+  const v = createVerifier({ adapter:httpAdapter({ url:'http://repo.test/verify', fetch:fakeFetch([[400, {}]]) }), online:() => true });
+  assert.equal((await v.verify({ gtin:PACK.gtin })).status, 'ERROR');
+  assert.deepEqual(await v.verify(PACK), { status:'ERROR', reason:'Verification request rejected (400)' });
+  assert.equal(v.pending(), 0);
+});
+
+test('the mock server answers /verify and /decommission like a repository', async () => {
+  const server = createServer(packs());
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (path, body) => fetch(base + path, { method:'POST', headers:{ 'Content-Type':'application/json' }, body:JSON.stringify(body) })
+    .then(async res => [res.status, await res.json()]);
+  try {
+    const repo = httpAdapter({ url:`${base}/verify` });
+    assert.deepEqual(await repo.verify(PACK), { status:'VERIFIED', reason:'' });
+    assert.deepEqual(await repo.verify({ ...PACK, batch:'X1' }), { status:'UNKNOWN', reason:'Batch does not match the repository (L2301)' });
+    assert.deepEqual(await repo.verify({ ...PACK, serial:'NOPE' }), { status:'UNKNOWN', reason:'Not in repository' });
+    assert.deepEqual(await post('/verify', { gtin:PACK.gtin }), [400, { error:'gtin and serial are required' }]);
+
+    assert.deepEqual(await post('/decommission', { gtin:PACK.gtin, serial:'SN1001', reason:'Destroyed' }), [200, { ok:true }]);
+    assert.deepEqual(await repo.verify(PACK), { status:'DECOMMISSIONED', reason:'Destroyed' });
+    assert.equal((await post('/decommission', { gtin:PACK.gtin, serial:'NOPE' }))[0], 404);
+    assert.equal((await fetch(`${base}/health`).then(r => r.json())).ok, true);
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+});